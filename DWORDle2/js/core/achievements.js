@@ -1,13 +1,15 @@
-// 実績システム。通常 50 種 + 隠し 20 種。
+// 実績システム。通常 59 種 + 隠し 20 種。
 //
 // 同日・同問題の再プレイ（achievementCountableRecords のカウント対象外）では、
 // カウント系実績に加えて隠し実績と、1 手/2 手クリア・幻の正解のように答えを知っていれば
 // 狙える実績も判定しない（答えを知った再プレイでの稼ぎ防止）。
 // 途中で破棄したゲームは一切の実績判定から除外し、その日の同じ問題の後続プレイも
-// すべての実績判定から除外する。
+// すべての実績判定から除外する。カスタム問題（答えを出題者が選ぶ）は継続系も含めて
+// いっさい判定しない。
 //
 // 解放判定はイベント駆動:
 //   - checkOnGameFinish(ctx): ゲーム終了時（ctx はこのファイル冒頭のコメント参照）
+//   - checkOnSpeedRunFinish(run): Speed Run のラン終了時（core/speed-run.js の記録）
 //   - checkOnEvent(type): 分析モード使用・履歴移行などの単発イベント
 // 新規解放された実績の配列を返すので、呼び出し側がトースト表示する。
 //
@@ -33,8 +35,21 @@
 // }
 
 import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
-import { isClassicDailyPID, isClassicPID, isDailyPID, NEW_ERA, PID, problemNumber } from "./problems.js?v=20260806-a";
-import { getHistory, getExtraShot, MODES } from "./records.js?v=20260806-a";
+import {
+  categoryForPID,
+  challengeForPID,
+  isClassicDailyPID,
+  isClassicPID,
+  isCustomPID,
+  isDailyPID,
+  isoWeekMonday,
+  NEW_ERA,
+  PID,
+  problemNumber,
+  usesNewGenerator,
+  WEEKLY_LEVELS,
+} from "./problems.js?v=20260806-a";
+import { getHistory, getExtraShot, isDailyOnTheDay, maxGuessFor } from "./records.js?v=20260806-a";
 import { CELL, Logic } from "./logic.js?v=20260806-a";
 import { isDebugMode } from "./debug.js?v=20260806-a";
 import { reveal } from "./secret.js?v=20260806-a";
@@ -42,7 +57,8 @@ import { MARK, signAchievement, verifyAchievementMark } from "./achievement-mark
 
 // v7: 月間皆勤（30 日）→ 二週間皆勤（14 日）の緩和を既存履歴にも適用する
 // v8: 無限の探求の緩和（5000 → 1000 回）と、新設した DOUBLE CLEAR 系実績を既存履歴に適用する
-const RECONCILE_VERSION = 8;
+// v9: 新設したハードモード系実績を既存履歴に適用する
+const RECONCILE_VERSION = 9;
 export const COLLECTOR_REQUIREMENT = 30;
 
 // 実績画面の見出しに使うカテゴリ。ACHIEVEMENTS はこの順に並べる
@@ -79,6 +95,9 @@ export const ACHIEVEMENTS = [
   { id: "last-gasp", cat: "speed", icon: "hourglass", color: "#a0b8d0", name: "土壇場", desc: "最終手でクリアする" },
   { id: "speed-60", cat: "speed", icon: "gauge", color: "#7cf5ff", name: "スピードスター", desc: "開始から 60 秒以内にクリアする" },
   { id: "slow-10", cat: "speed", icon: "clock", color: "#c8b8a0", name: "熟考の人", desc: "10 分以上かけてクリアする" },
+  { id: "speed-run-1", cat: "speed", icon: "gauge", color: "#9fe8ff", name: "よーい、ドン", desc: "Speed Run で 1 問以上解く" },
+  { id: "speed-run-5", cat: "speed", icon: "gauge", color: "#ffd27f", name: "駆け抜ける頭脳", desc: "1 回の Speed Run で 5 問解く" },
+  { id: "speed-run-10", glow: true, cat: "speed", icon: "gauge", color: "#9fe8ff", name: "時を置き去りに", desc: "1 回の Speed Run で 10 問解く" },
   // --- 毎日の継続（Streak）---
   { id: "play-streak-3", cat: "habit", icon: "footprints", color: "#ffb088", name: "三日坊主卒業", desc: "3 日連続でプレイする" },
   { id: "play-streak-7", cat: "habit", icon: "calendar", color: "#ffc857", name: "一週間の習慣", desc: "7 日連続でプレイする" },
@@ -86,6 +105,9 @@ export const ACHIEVEMENTS = [
   { id: "daily-7", cat: "habit", icon: "flag", color: "#8fd88f", name: "週間皆勤", desc: "デイリー問題を 7 日連続でクリアする" },
   { id: "daily-streak-14", glow: true, cat: "habit", icon: "flag", color: "#8fd88f", name: "二週間皆勤", desc: "デイリー問題を 14 日連続でクリアする" },
   { id: "daily-30", glow: true, cat: "habit", icon: "calendar", color: "#7bd88f", name: "デイリー常連", desc: "デイリー問題を通算 30 回クリアする" },
+  { id: "weekly-clear", cat: "habit", icon: "mountain", color: "#88c8ff", name: "週間制覇", desc: "ウィークリーチャレンジの 1 週分（5 問）をすべてクリアする" },
+  { id: "weekly-streak-4", glow: true, cat: "habit", icon: "mountain", color: "#88c8ff", name: "四週連続制覇", desc: "ウィークリーチャレンジを 4 週連続ですべてクリアする" },
+  { id: "monthly-streak-3", glow: true, cat: "habit", icon: "gem", color: "#ff8fb0", name: "極の季節", desc: "月間エクストリームを 3 か月連続でクリアする" },
   { id: "play-days-30", cat: "habit", icon: "footprints", color: "#c8ffb0", name: "継続は力なり", desc: "通算 30 日プレイする" },
   { id: "play-days-100", glow: true, cat: "habit", icon: "footprints", color: "#c8ffb0", name: "百日の歩み", desc: "通算 100 日プレイする" },
   // --- やり込み ---
@@ -97,7 +119,7 @@ export const ACHIEVEMENTS = [
   { id: "guesses-3000", glow: true, cat: "volume", icon: "type", color: "#b8d8ff", name: "三千語の探求者", desc: "通算 3000 回 Guess する" },
   { id: "same-day-5", cat: "volume", icon: "layers", color: "#ffcf80", name: "今日は絶好調", desc: "同じ日に 5 回クリアする" },
   // --- 盤面の模様 ---
-  { id: "all-gray", cat: "board", icon: "cloud", color: "#a8b0bd", name: "完全なる空振り", desc: "1 回の Guess で 5 文字すべて灰色になる" },
+  { id: "all-gray", cat: "board", icon: "cloud", color: "#a8b0bd", name: "完全なる空振り", desc: "1 回の Guess ですべての文字が灰色になる" },
   { id: "rainbow", cat: "board", icon: "palette", color: "#ffb3de", name: "三色盛り", desc: "1 回の Guess で緑・黄・灰をすべて出す" },
   { id: "green-start", cat: "board", icon: "rocket", color: "#8fffb0", name: "ロケットスタート", desc: "初手で緑を 3 つ以上出す" },
   { id: "green-zero", cat: "board", icon: "moon", color: "#b8c4ff", name: "大逆転", desc: "3 手以上で、最終手より前に緑を 1 つも出さずにクリアする" },
@@ -108,6 +130,9 @@ export const ACHIEVEMENTS = [
   { id: "uso-20", cat: "modes", icon: "mask", color: "#7cd7ff", name: "嘘発見器", desc: "裏モード DWORDlie で通算 20 勝する" },
   { id: "extreme-clear", cat: "modes", icon: "mountain", color: "#ff8c66", name: "語彙の深淵", desc: "極 (No.10000-19999) の問題を 1 問クリアする" },
   { id: "level-clear", cat: "modes", icon: "compass", color: "#66e0d5", name: "開拓者", desc: "レベル問題 (No.20000-39999) を 1 問クリアする" },
+  { id: "hard-clear", cat: "modes", icon: "lock", color: "#ffb35c", name: "縛りの美学", desc: "ハードモードでクリアする" },
+  { id: "hard-uso", cat: "modes", icon: "lock", color: "#ff7a9a", name: "嘘の中の誠実", desc: "ハードモードで裏モード DWORDlie をクリアする" },
+  { id: "hard-10", cat: "modes", icon: "shield", color: "#ffb35c", name: "鉄の規律", desc: "ハードモードで通算 10 勝する" },
   // --- 時の記念 ---
   { id: "night-owl", cat: "calendar", icon: "nightMoon", color: "#9a8fff", name: "真夜中のDWORDler", desc: "深夜 0:00〜3:59 にクリアする" },
   { id: "early-bird", cat: "calendar", icon: "sun", color: "#ffd280", name: "早起きDWORDler", desc: "朝 5:00〜7:59 にクリアする" },
@@ -177,6 +202,7 @@ if (migratedAchievementIds) saveJSON("achievements", unlocked);
 const PLAY_ACHIEVEMENT_IDS = new Set([
   // 入門・モード・難易度（その 1 局でクリアしたことが条件）
   "first-play", "first-clear", "daily-clear", "uso-clear", "extreme-clear", "level-clear",
+  "hard-clear", "hard-uso",
   // 手数・スピード
   "one-shot", "two-shot", "within-4", "last-gasp", "speed-60", "slow-10",
   // 盤面の模様
@@ -296,6 +322,30 @@ function finalize(newly) {
   return newly;
 }
 
+// 別の端末で解除した実績を取り込む（端末間の同期、sync.js）。entries はエクスポートの
+// achievements と同じ { id: { at, sig? } }。解除時刻は早いほうを残し、署名はその時刻の側のものにする
+// （署名は解除時刻と組で照合するので、時刻だけ入れ替えると合わなくなる）。
+// このバージョンが知らない実績も、新しいバージョンの端末のために記録はそのまま持つ。
+// 新しく解除されたもの（この端末では未解除だったもの）の数を返す。
+export function mergeAchievementEntries(entries) {
+  if (isDebugMode()) return 0;
+  let added = 0;
+  let changed = false;
+  for (const [id, { at, sig }] of Object.entries(entries)) {
+    if (unlocked[id] !== undefined && unlocked[id] <= at) continue;
+    if (unlocked[id] === undefined) added++;
+    unlocked[id] = at;
+    if (sig) marks[id] = sig;
+    else delete marks[id];
+    changed = true;
+  }
+  if (changed) {
+    saveJSON("achievements", unlocked);
+    saveJSON("achievements.sig", marks);
+  }
+  return added;
+}
+
 function isPalindrome(w) {
   return w === [...w].reverse().join("");
 }
@@ -318,9 +368,10 @@ function isGuessWordChain(words) {
 
 // 帯・ゾロ目の判定は、内部 PID ではなく表示上の番号で行う
 // （新出題の内部 PID には NEW_OFFSET が乗っているため）。
+// ウィークリーチャレンジ・月間エクストリームの番号は週・月から作るので、どの帯にも入れない。
 function inNumberRange(pid, min, max) {
   const number = problemNumber(pid);
-  return !isDailyPID(pid) && number >= min && number <= max;
+  return !isDailyPID(pid) && !challengeForPID(pid) && number >= min && number <= max;
 }
 
 function isExtremeProblem(pid) {
@@ -382,7 +433,28 @@ function maxHistoricalDailyStreak(dailyPids) {
   return best;
 }
 
-// 連続した日数の最長記録（dayNums は「エポックからの日数」の Set）
+// ウィークリーチャレンジを全問クリアした週・月間エクストリームをクリアした月の連続記録。
+// 遊んだ日ではなく出題の週・月で数える（デイリーの maxHistoricalDailyStreak と同じ考え方）。
+// 週は月曜日の「エポックからの週数」、月は「年 * 12 + 月」の連番にして maxConsecutiveDays に渡す。
+function challengeStreaks(challengeClearPids) {
+  const levelsByWeek = new Map(); // 月曜日の週数 -> クリアしたレベル id の Set
+  const months = new Set();
+  for (const pid of challengeClearPids) {
+    const challenge = challengeForPID(pid);
+    if (challenge?.kind === "monthly") months.add(challenge.year * 12 + challenge.month - 1);
+    if (challenge?.kind !== "weekly") continue;
+    const monday = isoWeekMonday(challenge.year, challenge.week);
+    const week = Math.floor(Date.UTC(monday.getFullYear(), monday.getMonth(), monday.getDate()) / 86400000 / 7);
+    if (!levelsByWeek.has(week)) levelsByWeek.set(week, new Set());
+    levelsByWeek.get(week).add(challenge.level.id);
+  }
+  const fullWeeks = new Set(
+    [...levelsByWeek].filter(([, levels]) => levels.size === WEEKLY_LEVELS.length).map(([week]) => week)
+  );
+  return { fullWeeks: fullWeeks.size, weekStreak: maxConsecutiveDays(fullWeeks), monthStreak: maxConsecutiveDays(months) };
+}
+
+// 連続した日数の最長記録（dayNums は「エポックからの日数」の Set）。週・月の連番にも使う
 function maxConsecutiveDays(dayNums) {
   const days = [...dayNums].sort((a, b) => a - b);
   let best = 0;
@@ -432,7 +504,10 @@ export function isScoredRecord(record) {
   // 出題なので、切り替え後の Cls. と同様に実績へは数えない（日付が切り替え以降のものしか
   // この帯に入らないため、時刻の判定は不要）。
   if (isClassicDailyPID(record?.problemID)) return false;
-  if (!isClassicPID(record?.problemID)) return true;
+  // アーカイブ（#/calendar）から遊んだ 2026-08-01 より前のデイリーも旧 LCG の出題なので、
+  // Cls. と同じく切り替え前のプレイだけを数える
+  const oldDaily = isDailyPID(record?.problemID) && !usesNewGenerator(record.problemID);
+  if (!isClassicPID(record?.problemID) && !oldDaily) return true;
   const at = completedAtSec(record);
   return at === null || at < NEW_ERA.achievementCutoffSec;
 }
@@ -443,10 +518,14 @@ export function isScoredRecord(record) {
 //
 // 「通算プレイ日数」「連続プレイ」のように遊んだ事実だけが条件の実績は、Cls. のプレイも
 // 数えるのでこちらを使う（Cls. だけ遊んだ日で連続記録が途切れないようにする）。
+//
+// カスタム問題は答えを出題者が自由に選べる（自分で作って自分で解ける）ので、ここで最初に外す。
+// テーマ別（problems.js の CATEGORIES）も候補が数十語しかなく当てやすいので、同じく外す。
 export function habitEligibleRecords(records) {
   const blocked = new Set();
   return records
     .filter((record) => Array.isArray(record?.guessWord) && record.guessWord.length > 0)
+    .filter((record) => !isCustomPID(record.problemID) && !categoryForPID(record.problemID))
     .slice()
     .sort((a, b) => Number(a.startTime) - Number(b.startTime))
     .filter((record) => {
@@ -513,6 +592,7 @@ function calendarAndCountIds(records) {
   const winsPerDay = new Map();
   const clearedWeekdays = new Set();
   const dailyClearPids = [];
+  const challengeClearPids = [];
   let games = 0;
   let wins = 0;
   let guessTotal = 0;
@@ -552,7 +632,8 @@ function calendarAndCountIds(records) {
     if (!record.clear) continue;
     wins++;
     if (record.gameMode === "uso") usoWins++;
-    if (isDailyPID(record.problemID)) dailyClearPids.push(record.problemID);
+    if (isDailyOnTheDay(record)) dailyClearPids.push(record.problemID);
+    if (challengeForPID(record.problemID)) challengeClearPids.push(record.problemID);
     if (!date) continue;
     winsPerDay.set(date.toDateString(), (winsPerDay.get(date.toDateString()) ?? 0) + 1);
   }
@@ -568,6 +649,10 @@ function calendarAndCountIds(records) {
   if (playStreak >= 30) ids.add("h-play-streak-30");
   if (dailyClearPids.length >= 30) ids.add("daily-30");
   if (maxHistoricalDailyStreak(dailyClearPids) >= 14) ids.add("daily-streak-14");
+  const challenge = challengeStreaks(challengeClearPids);
+  if (challenge.fullWeeks >= 1) ids.add("weekly-clear");
+  if (challenge.weekStreak >= 4) ids.add("weekly-streak-4");
+  if (challenge.monthStreak >= 3) ids.add("monthly-streak-3");
   if (games >= 30) ids.add("plays-30");
   if (games >= 300) ids.add("plays-300");
   if (games >= 500) ids.add("plays-500");
@@ -630,11 +715,11 @@ export function achievementIdsFromHistory(records) {
       const greens = row.filter((state) => state === CELL.CORRECT).length;
       const yellows = row.filter((state) => state === CELL.USED).length;
       const grays = row.filter((state) => state === CELL.UNUSED).length;
-      if (grays === 5) ids.add("all-gray");
+      if (grays === row.length) ids.add("all-gray");
       if (greens > 0 && yellows > 0 && grays > 0) ids.add("rainbow");
       if (turn === 0 && greens >= 3) ids.add("green-start");
       // 幻の正解などは同日・同問題の再プレイ（カウント対象外）では判定しない
-      if (countable && greens === 5 && logic && !logic.isGameClear(record.guessWord[turn])) ids.add("h-phantom");
+      if (countable && greens === row.length && logic && !logic.isGameClear(record.guessWord[turn])) ids.add("h-phantom");
     }
 
     if (countable) {
@@ -666,7 +751,7 @@ export function achievementIdsFromHistory(records) {
       if (countable) usoWins++;
       ids.add("uso-clear");
     }
-    if (isDailyPID(pid)) {
+    if (isDailyOnTheDay(record)) {
       ids.add("daily-clear");
       if (countable) dailyClears.push(pid);
     }
@@ -675,13 +760,17 @@ export function achievementIdsFromHistory(records) {
       if (countable && guesses <= 4) ids.add("h-abyss");
     }
     if (mode === "normal" && isLevelProblem(pid)) ids.add("level-clear");
+    if (record.hard) {
+      ids.add("hard-clear");
+      if (mode === "uso") ids.add("hard-uso");
+    }
 
     // 1 手・2 手クリアは答えを知っていれば狙えるので、初回プレイ（カウント対象）だけ判定する
     if (countable && guesses === 1) ids.add("one-shot");
     if (countable && guesses <= 2) ids.add("two-shot");
     if (guesses <= 4) ids.add("within-4");
-    // 最大手数は MODES から引く（checkOnGameFinish 側の maxGuess と定義を分けない）
-    if (guesses === MODES[mode].maxGuess) ids.add("last-gasp");
+    // 最大手数は maxGuessFor から引く（checkOnGameFinish 側の maxGuess と定義を分けない）
+    if (guesses === maxGuessFor(mode, pid)) ids.add("last-gasp");
     if (
       guesses >= 3 &&
       results.length === guesses &&
@@ -729,6 +818,7 @@ export function achievementIdsFromHistory(records) {
   if (wins >= 50) ids.add("wins-50");
   if (wins >= 100) ids.add("wins-100");
   if (usoWins >= 5) ids.add("uso-5");
+  if (countableGames.filter((g) => g.clear && g.hard).length >= 10) ids.add("hard-10");
   if (countableGames.filter((g) => g.clear && getExtraShot(g)?.success).length >= 10) ids.add("h-double-10");
   if (maxDoubleClearStreak(countableGames) >= 3) ids.add("h-double-streak-3");
   if (words.size >= 1000) ids.add("h-lexicon");
@@ -822,11 +912,11 @@ function checkOnGameFinishInner(ctx) {
     const greens = row.filter((s) => s === CELL.CORRECT).length;
     const yellows = row.filter((s) => s === CELL.USED).length;
     const grays = row.filter((s) => s === CELL.UNUSED).length;
-    if (grays === 5) unlock("all-gray", newly);
+    if (grays === row.length) unlock("all-gray", newly);
     if (greens > 0 && yellows > 0 && grays > 0) unlock("rainbow", newly);
     if (t === 0 && greens >= 3) unlock("green-start", newly);
     // 幻の正解: 2 語の文字を位置ごとに組み合わせて全緑になったが、正解語そのものではない。
-    if (countablePlay && greens === 5 && !logic.isGameClear(record.guessWord[t])) unlock("h-phantom", newly);
+    if (countablePlay && greens === row.length && !logic.isGameClear(record.guessWord[t])) unlock("h-phantom", newly);
   }
 
   // 隠し: Guess の単語そのものに関するもの（勝敗不問・初回プレイのみ）
@@ -854,13 +944,18 @@ function checkOnGameFinishInner(ctx) {
 
   if (record.clear) {
     unlock("first-clear", newly);
-    if (isDailyPID(pid)) unlock("daily-clear", newly);
+    if (isDailyOnTheDay(record)) unlock("daily-clear", newly);
     if (!isUso && isExtremeProblem(pid)) unlock("extreme-clear", newly);
     if (!isUso && isLevelProblem(pid)) unlock("level-clear", newly);
     if (isUso) {
       unlock("uso-clear", newly);
       if (countedWins(history, "uso") >= 5) unlock("uso-5", newly);
     }
+    if (record.hard) {
+      unlock("hard-clear", newly);
+      if (isUso) unlock("hard-uso", newly);
+      if (countableHistory.filter((g) => g.clear && g.hard).length >= 10) unlock("hard-10", newly);
+    }
 
     // 1 手・2 手クリアは答えを知っていれば狙えるので、初回プレイだけ判定する
     if (countablePlay && guesses === 1) unlock("one-shot", newly);
@@ -878,7 +973,7 @@ function checkOnGameFinishInner(ctx) {
     const h = endDate.getHours();
     if (h >= 0 && h < 4) unlock("night-owl", newly);
     const dailyClearPids = countableHistory
-      .filter((game) => game.clear && isDailyPID(game.problemID))
+      .filter((game) => game.clear && isDailyOnTheDay(game))
       .map((game) => game.problemID);
     if (maxHistoricalDailyStreak(dailyClearPids) >= 7) unlock("daily-7", newly);
 
@@ -920,6 +1015,16 @@ function checkOnGameFinishInner(ctx) {
   return finalize(newly);
 }
 
+// Speed Run の実績はランの記録（履歴とは別）だけで決まるので、履歴からの復元
+// （achievementIdsFromHistory）の対象にはならない。
+export function checkOnSpeedRunFinish(run) {
+  const newly = [];
+  if (run.solved >= 1) unlock("speed-run-1", newly);
+  if (run.solved >= 5) unlock("speed-run-5", newly);
+  if (run.solved >= 10) unlock("speed-run-10", newly);
+  return finalize(newly);
+}
+
 // type: "analysis" | "migrate"
 export function checkOnEvent(type) {
   const newly = [];
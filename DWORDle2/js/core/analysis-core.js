@@ -1,7 +1,8 @@
 // 分析モードの計算コア。Worker (analysis.worker.js) とテストの両方から使う。
 //
-// 候補空間は「答えの組 {ans1, ans2}」の順序なしペア全体。
-// 各 Guess の判定結果と矛盾しないペアだけを残していき、
+// 候補空間は「答えの組 {ans1, ans2}」の順序なしペア全体。TRIWORDle / QUADWORDle
+// （答えが 3 語・4 語）は順序なしの 3 つ組・4 つ組全体で、以下「組」はどちらも指す。
+// 各 Guess の判定結果と矛盾しない組だけを残していき、
 //   - 残り候補数の推移
 //   - 獲得情報量（bit）= log2(絞り込み前 / 絞り込み後)
 //   - その Guess の期待情報量（判定パターン分布のエントロピー）
@@ -10,9 +11,20 @@
 //
 // ペア数が膨大な帯（極など、最大 14847*14846/2 ≈ 1.1 億）は一様サンプリングで
 // 推定する（結果に sampled フラグを立てる）。乱数はシード付きで再現可能。
+// 3 つ組・4 つ組はやさしい語彙でも数百万〜1 億を超えるので、ほぼ常にサンプリングから始まる。
+// サンプルは数手で尽きてしまうため、判定から答えになりえない語を落とした残りで組を数え直せる
+// ところまで絞れたら、厳密な集合へ切り替える（refineTuples）。
+//
+// 組は候補リスト内の番号を昇順に k 個並べ、Uint16Array に詰めて持つ（k 個ずつで 1 組）。
+//
+// 文字数違いの版（problems.js の LENGTH_SETS）もそのまま扱う。1 語は文字数 L バイトで符号化し、
+// 判定パターン ID は 0..3^L-1（L 桁の 3 進数）になる。文字数を取る関数の既定値はすべて 5。
+//
+// プレイ中の「残り候補」カウンタ（remainingPairs）と自動ソルバー（solver.js）も
+// 同じ候補集合と絞り込み規則を使う。
 
-import { queryWordPair, CELL } from "./logic.js?v=20260806-a";
-import { candidateWordsForPID } from "./problems.js?v=20260806-a";
+import { queryWordAnswers, queryWordPair, CELL } from "./logic.js?v=20260806-a";
+import { LENGTH_SETS, answerCountForPID, candidateWordsForPID, wordLengthForPID } from "./problems.js?v=20260806-a";
 import { EASY_WORDS, ALL_WORDS } from "../data/words.js?v=20260806-a";
 import { FREQ_ORDER } from "../data/levels.js?v=20260806-a";
 
@@ -23,22 +35,30 @@ export const ANALYSIS_LIMITS = {
   SUGGEST_PAIR_CAP: 15_000, // 提案評価に使うペア数の上限
   SUGGEST_GUESS_CAP: 500, // 提案として評価する Guess 候補数の上限
   SUGGEST_TOP: 5, // 表示する提案数
+  LIVE_LIST_MAX: 30, // プレイ中の残り候補を一覧で見せる上限（組数）
 };
 
-const POW3 = [1, 3, 9, 27, 81];
+// 扱う最大の文字数。DIGITS の 1 パターンあたりの桁数（行の幅）にもなる
+const MAX_LENGTH = Math.max(5, ...LENGTH_SETS.map((set) => set.length));
+const POW3 = Array.from({ length: MAX_LENGTH + 1 }, (_, i) => 3 ** i);
 const STATE_DIGIT = { [CELL.UNUSED]: 0, [CELL.USED]: 1, [CELL.CORRECT]: 2 };
 const DIGIT_STATE = [CELL.UNUSED, CELL.USED, CELL.CORRECT];
 
-// 判定結果の配列 (["correct","used",...]) をパターン ID (0..242) に変換
+// 文字数 L の判定パターンの数
+export function patternCount(L = 5) {
+  return POW3[L];
+}
+
+// 判定結果の配列 (["correct","used",...]) をパターン ID (5 文字なら 0..242) に変換
 export function resultToPatternId(result) {
   let id = 0;
-  for (let i = 0; i < 5; i++) id += STATE_DIGIT[result[i]] * POW3[i];
+  for (let i = 0; i < result.length; i++) id += STATE_DIGIT[result[i]] * POW3[i];
   return id;
 }
 
-export function patternIdToStates(id) {
+export function patternIdToStates(id, L = 5) {
   const states = [];
-  for (let i = 0; i < 5; i++) states.push(DIGIT_STATE[DIGITS[id * 5 + i]]);
+  for (let i = 0; i < L; i++) states.push(DIGIT_STATE[DIGITS[id * MAX_LENGTH + i]]);
   return states;
 }
 
@@ -47,33 +67,39 @@ export function computeTruePatternIds(ans1, ans2, guessWords) {
   return guessWords.map((w) => resultToPatternId(queryWordPair(w, ans1, ans2)));
 }
 
-// パターン ID の各桁 (0=灰,1=黄,2=緑) を引くテーブル
-const DIGITS = new Uint8Array(243 * 5);
-for (let id = 0; id < 243; id++) {
+// computeTruePatternIds の答え N 語版（TRIWORDle / QUADWORDle を含むどの出題にも使える）
+export function computeTruePatternIdsForAnswers(answers, guessWords) {
+  return guessWords.map((w) => resultToPatternId(queryWordAnswers(w, answers)));
+}
+
+// パターン ID の各桁 (0=灰,1=黄,2=緑) を引くテーブル。1 パターン MAX_LENGTH 桁で、
+// 文字数が少ないパターンの上の桁は 0 になる
+const DIGITS = new Uint8Array(POW3[MAX_LENGTH] * MAX_LENGTH);
+for (let id = 0; id < POW3[MAX_LENGTH]; id++) {
   let v = id;
-  for (let i = 0; i < 5; i++) {
-    DIGITS[id * 5 + i] = v % 3;
+  for (let i = 0; i < MAX_LENGTH; i++) {
+    DIGITS[id * MAX_LENGTH + i] = v % 3;
     v = Math.floor(v / 3);
   }
 }
 
-// 単語配列を 1 語 5 バイト (a=0..z=25) の Uint8Array に詰める
-export function encodeWords(words) {
-  const bytes = new Uint8Array(words.length * 5);
+// 単語配列を 1 語 L バイト (a=0..z=25) の Uint8Array に詰める
+export function encodeWords(words, L = 5) {
+  const bytes = new Uint8Array(words.length * L);
   for (let k = 0; k < words.length; k++) {
     const w = words[k];
-    for (let i = 0; i < 5; i++) bytes[k * 5 + i] = w.charCodeAt(i) - 97;
+    for (let i = 0; i < L; i++) bytes[k * L + i] = w.charCodeAt(i) - 97;
   }
   return bytes;
 }
 
 // queryWordPair のバイト列高速版。guess g(gOff) を答えペア (W[aOff], W[bOff]) で
-// 判定したパターン ID を返す。ロジックは logic.js の queryWordPair と等価。
-export function patternIdFast(g, gOff, W, aOff, bOff) {
+// 判定したパターン ID を返す。ロジックは logic.js の queryWordPair と等価。L は文字数。
+export function patternIdFast(g, gOff, W, aOff, bOff, L = 5) {
   let f0 = 0; // ans1 の消費済み位置ビットマスク
   let f1 = 0;
   let correctMask = 0;
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < L; i++) {
     const c = g[gOff + i];
     if (c === W[aOff + i]) {
       correctMask |= 1 << i;
@@ -84,13 +110,13 @@ export function patternIdFast(g, gOff, W, aOff, bOff) {
     }
   }
   let id = 0;
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < L; i++) {
     if (correctMask & (1 << i)) {
       id += 2 * POW3[i];
       continue;
     }
     const c = g[gOff + i];
-    for (let j = 0; j < 5; j++) {
+    for (let j = 0; j < L; j++) {
       if (i === j) continue;
       if (!(f0 & (1 << j)) && c === W[aOff + j]) {
         id += POW3[i];
@@ -107,6 +133,45 @@ export function patternIdFast(g, gOff, W, aOff, bOff) {
   return id;
 }
 
+const tupleFlags = new Int32Array(8); // patternIdTuple の答えごとの消費済み位置ビットマスク
+
+// patternIdFast の k 語版。guess g(gOff) を組 T[tOff .. tOff+k-1]（W 内の語番号）で判定した
+// パターン ID を返す。ロジックは logic.js の queryWordAnswers と等価（組の並び順を優先して消費）。
+export function patternIdTuple(g, gOff, W, T, tOff, k, L = 5) {
+  if (k === 2) return patternIdFast(g, gOff, W, T[tOff] * L, T[tOff + 1] * L, L);
+  for (let m = 0; m < k; m++) tupleFlags[m] = 0;
+  let correctMask = 0;
+  for (let i = 0; i < L; i++) {
+    const c = g[gOff + i];
+    for (let m = 0; m < k; m++) {
+      if (c === W[T[tOff + m] * L + i]) {
+        correctMask |= 1 << i;
+        tupleFlags[m] |= 1 << i;
+        break;
+      }
+    }
+  }
+  let id = 0;
+  for (let i = 0; i < L; i++) {
+    if (correctMask & (1 << i)) {
+      id += 2 * POW3[i];
+      continue;
+    }
+    const c = g[gOff + i];
+    search: for (let j = 0; j < L; j++) {
+      if (i === j) continue;
+      for (let m = 0; m < k; m++) {
+        if (!(tupleFlags[m] & (1 << j)) && c === W[T[tOff + m] * L + j]) {
+          id += POW3[i];
+          tupleFlags[m] |= 1 << j;
+          break search;
+        }
+      }
+    }
+  }
+  return id;
+}
+
 // 再現可能な乱数（mulberry32）
 export function makeRng(seed) {
   let a = seed >>> 0;
@@ -119,8 +184,160 @@ export function makeRng(seed) {
   };
 }
 
+// 嘘モードの生き残り条件: 真パターンが表示パターンと全位置で不一致
+export function allPositionsDiffer(pattA, pattB, L = 5) {
+  for (let i = 0; i < L; i++) {
+    if (DIGITS[pattA * MAX_LENGTH + i] === DIGITS[pattB * MAX_LENGTH + i]) return false;
+  }
+  return true;
+}
+
+// 嘘パターン分布への寄与: 真パターン patt に対し、各位置で真以外の 2 状態を
+// とる 2^L 通り（5 文字なら 32 通り）へ weight/2^L ずつ加算する。
+export function accumulateLiePatterns(counts, patt, weight = 1, L = 5) {
+  let ids = [0];
+  for (let i = 0; i < L; i++) {
+    const trueDigit = DIGITS[patt * MAX_LENGTH + i];
+    const opts = [];
+    for (let d = 0; d < 3; d++) if (d !== trueDigit) opts.push(d * POW3[i]);
+    const next = new Array(ids.length * 2);
+    let w = 0;
+    for (const base of ids) {
+      next[w++] = base + opts[0];
+      next[w++] = base + opts[1];
+    }
+    ids = next;
+  }
+  for (const id of ids) counts[id] += weight / ids.length;
+}
+
+// 初期の候補ペア集合（ペアを a * N + b で持つ）。多すぎる帯はシード付きでサンプリングする。
+export function initialPairs(pid, N) {
+  const L = ANALYSIS_LIMITS;
+  const totalPairs = (N * (N - 1)) / 2;
+  const sampled = totalPairs > L.MAX_EXACT_PAIRS;
+  const enumCount = sampled ? L.SAMPLE_PAIRS : totalPairs;
+  const rng = makeRng(pid ^ 0x5f3759df);
+  const alive = new Uint32Array(enumCount);
+  if (sampled) {
+    for (let k = 0; k < enumCount; k++) {
+      let a = Math.floor(rng() * N);
+      let b = Math.floor(rng() * (N - 1));
+      if (b >= a) b++;
+      if (a > b) [a, b] = [b, a];
+      alive[k] = a * N + b;
+    }
+  } else {
+    let k = 0;
+    for (let a = 0; a < N; a++) {
+      for (let b = a + 1; b < N; b++) alive[k++] = a * N + b;
+    }
+  }
+  return { alive, totalPairs, sampled, scale: totalPairs / enumCount };
+}
+
+// N 語から k 語を選ぶ組合せの数（4 つ組でも 2^53 未満に収まる）
+export function combinations(n, k) {
+  let c = 1;
+  for (let i = 0; i < k; i++) c = (c * (n - i)) / (i + 1);
+  return Math.round(c);
+}
+
+// words（昇順の語番号の配列）から作れる k 語の組を全部、辞書順に T へ詰める
+function enumerateTuples(words, k, T) {
+  const pick = new Array(k);
+  let w = 0;
+  const visit = (start, depth) => {
+    if (depth === k) {
+      for (let m = 0; m < k; m++) T[w + m] = pick[m];
+      w += k;
+      return;
+    }
+    for (let i = start; i <= words.length - (k - depth); i++) {
+      pick[depth] = words[i];
+      visit(i + 1, depth + 1);
+    }
+  };
+  visit(0, 0);
+  return w;
+}
+
+/**
+ * 初期の候補の組の集合（k 語ずつ Uint16Array に詰める）。多すぎる帯はシード付きでサンプリングする。
+ * k = 2 のときは initialPairs と同じ組を同じ順に並べる（分析結果を変えないため）。
+ * @returns {{ alive: Uint16Array, k, total, sampled, scale }}  total は組の総数
+ */
+export function initialTuples(pid, N, k) {
+  const L = ANALYSIS_LIMITS;
+  const total = combinations(N, k);
+  const sampled = total > L.MAX_EXACT_PAIRS;
+  if (!sampled) {
+    const alive = new Uint16Array(total * k);
+    enumerateTuples(Array.from({ length: N }, (_, i) => i), k, alive);
+    return { alive, k, total, sampled, scale: 1 };
+  }
+  const rng = makeRng(pid ^ 0x5f3759df);
+  const alive = new Uint16Array(L.SAMPLE_PAIRS * k);
+  const taken = [];
+  for (let t = 0; t < L.SAMPLE_PAIRS; t++) {
+    taken.length = 0;
+    for (let m = 0; m < k; m++) {
+      // 引いた番号を欠番にして読み替える（組の中で同じ語が重ならない）
+      let index = Math.floor(rng() * (N - m));
+      for (const used of taken) if (index >= used) index++;
+      taken.push(index);
+      taken.sort((a, b) => a - b);
+    }
+    alive.set(taken, t * k);
+  }
+  return { alive, k, total, sampled, scale: total / L.SAMPLE_PAIRS };
+}
+
+// 判定の行 rows（[{ gOff, shown }]、gOff は guessBytes 内の位置）と矛盾しない組だけを残す
+function narrowTuples({ W, k, L }, alive, guessBytes, rows, mode) {
+  const survivors = [];
+  for (let t = 0; t < alive.length; t += k) {
+    let ok = true;
+    for (const { gOff, shown } of rows) {
+      const patt = patternIdTuple(guessBytes, gOff, W, alive, t, k, L);
+      if (mode === "uso" ? !allPositionsDiffer(patt, shown, L) : patt !== shown) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) for (let m = 0; m < k; m++) survivors.push(alive[t + m]);
+  }
+  return Uint16Array.from(survivors);
+}
+
+// サンプリング中の集合を、厳密に数え直せるところまで絞れていたら数え直す。
+// 判定からは「緑でない位置に Guess と同じ文字を持つ語は、どの答えでもない」と分かる
+// （DWORDlie は表示が全マスで嘘なので、逆に緑と表示された位置が同じ扱いになる）。
+// そういう語を落とした残り m 語の組が MAX_EXACT_PAIRS 以下なら、全部を判定し直して厳密な集合を返す。
+// 数え直せなければ null。
+function refineTuples(ctx, guessBytes, rows, mode) {
+  const { N, W, k, L } = ctx;
+  const words = [];
+  for (let w = 0; w < N; w++) {
+    let ok = true;
+    for (const { gOff, shown } of rows) {
+      for (let i = 0; i < L && ok; i++) {
+        const green = DIGITS[shown * MAX_LENGTH + i] === 2;
+        if ((mode === "uso" ? green : !green) && W[w * L + i] === guessBytes[gOff + i]) ok = false;
+      }
+      if (!ok) break;
+    }
+    if (ok) words.push(w);
+  }
+  const total = combinations(words.length, k);
+  if (total > ANALYSIS_LIMITS.MAX_EXACT_PAIRS) return null;
+  const all = new Uint16Array(total * k);
+  const count = enumerateTuples(words, k, all);
+  return narrowTuples(ctx, all.subarray(0, count), guessBytes, rows, mode);
+}
+
 // パターン分布 counts からエントロピー(bit)を計算
-function entropyOfCounts(counts, total) {
+export function entropyOfCounts(counts, total) {
   let h = 0;
   for (const c of counts) {
     if (c > 0) {
@@ -133,8 +350,22 @@ function entropyOfCounts(counts, total) {
 
 // 提案として評価する Guess 候補（単語文字列の配列）を選ぶ。
 // 候補リストが小さければ全部、大きければ「やさしい語 + 頻度上位語 + ランダム」。
-function buildSuggestionPool(candWords, cap, rng) {
+// 文字数違いの版は候補リスト自体がよく使う語から順に並んでいるので、その先頭を頻度上位語の代わりにする。
+export function buildSuggestionPool(candWords, cap, rng) {
   if (candWords.length <= cap) return candWords.slice();
+  if (candWords[0].length !== 5) {
+    const pool = candWords.slice(0, Math.floor(cap * 0.8));
+    const seen = new Set(pool);
+    let guard = 0;
+    while (pool.length < cap && guard++ < cap * 20) {
+      const word = candWords[Math.floor(rng() * candWords.length)];
+      if (!seen.has(word)) {
+        seen.add(word);
+        pool.push(word);
+      }
+    }
+    return pool;
+  }
   const pool = [];
   const seen = new Set();
   const push = (w) => {
@@ -155,6 +386,73 @@ function buildSuggestionPool(candWords, cap, rng) {
   return pool;
 }
 
+// 期待情報量の評価に使う組。多すぎるときは SUGGEST_PAIR_CAP 組をシード付きで引く
+function evaluationTuples({ pid, k }, alive, turnIndex) {
+  const L = ANALYSIS_LIMITS;
+  const aliveCount = alive.length / k;
+  if (aliveCount <= L.SUGGEST_PAIR_CAP) return alive;
+  const rng2 = makeRng((pid + turnIndex * 7919) ^ 0x9e3779b9);
+  const evalTuples = new Uint16Array(L.SUGGEST_PAIR_CAP * k);
+  for (let t = 0; t < L.SUGGEST_PAIR_CAP; t++) {
+    const from = Math.floor(rng2() * aliveCount) * k;
+    evalTuples.set(alive.subarray(from, from + k), t * k);
+  }
+  return evalTuples;
+}
+
+// words の各語を Guess したときの判定パターン分布のエントロピー（期待情報量）。
+// mode が "uso" なら、表示されうる嘘の分布で数える（analyzeGame の expectedBits と同じ基準）
+function scoreWords({ W, k, L: length }, evalTuples, words, mode = "normal") {
+  const bytes = encodeWords(words, length);
+  const total = evalTuples.length / k;
+  const counts = new Float64Array(POW3[length]);
+  const lies = mode === "uso" ? new Float64Array(POW3[length]) : null;
+  return words.map((word, gi) => {
+    counts.fill(0);
+    const gOff = gi * length;
+    for (let t = 0; t < evalTuples.length; t += k) counts[patternIdTuple(bytes, gOff, W, evalTuples, t, k, length)]++;
+    if (!lies) return { word, expectedBits: entropyOfCounts(counts, total) };
+    // 組ごとではなく真のパターンごとに嘘を広げる（同じパターンの組は同じ嘘の分布になる）
+    lies.fill(0);
+    counts.forEach((c, patt) => {
+      if (c > 0) accumulateLiePatterns(lies, patt, c, length);
+    });
+    return { word, expectedBits: entropyOfCounts(lies, total) };
+  });
+}
+
+// ある時点の候補集合 alive（k 語ずつの組）で、各 Guess 候補の期待情報量を評価する。
+// uso モードでも「真の判定パターンの分布」で評価する（嘘のノイズは含めない）。
+// playedWord（実際に Guess した単語）を渡すと、その順位と期待情報量も返す。
+// ctx は { pid, candWords, N, W, k, L }（W は candWords を encodeWords したもの、L は文字数）。
+export function evaluateSuggestions(ctx, alive, playedWord = null, turnIndex = 0) {
+  const { pid, candWords, k } = ctx;
+  const L = ANALYSIS_LIMITS;
+  const aliveCount = alive.length / k;
+  if (aliveCount < 2) return { list: [], playedExpectedBits: 0, playedRank: null, evalPairs: aliveCount };
+  const evalTuples = evaluationTuples(ctx, alive, turnIndex);
+  const rng3 = makeRng(pid ^ 0xc0ffee);
+  const pool = buildSuggestionPool(candWords, L.SUGGEST_GUESS_CAP, rng3);
+  if (playedWord && !pool.includes(playedWord)) pool.push(playedWord);
+  const total = evalTuples.length / k;
+  const scored = scoreWords(ctx, evalTuples, pool);
+  scored.sort((x, y) => y.expectedBits - x.expectedBits);
+  const playedIdx = playedWord ? scored.findIndex((s) => s.word === playedWord) : -1;
+  return {
+    list: scored.slice(0, L.SUGGEST_TOP),
+    playedExpectedBits: playedIdx >= 0 ? scored[playedIdx].expectedBits : 0,
+    playedRank: playedIdx >= 0 ? playedIdx + 1 : null,
+    evalPairs: total,
+  };
+}
+
+// 出題ごとの計算用コンテキスト（候補リスト・その符号化・答えの語数 k・文字数 L）
+function makeContext(pid) {
+  const candWords = candidateWordsForPID(pid);
+  const L = wordLengthForPID(pid);
+  return { pid, candWords, N: candWords.length, W: encodeWords(candWords, L), k: answerCountForPID(pid), L };
+}
+
 /**
  * ゲーム 1 つ分の分析を実行する。
  * @param {object} params  { pid, mode, guessWords, truePatternIds, shownPatternIds }
@@ -165,146 +463,226 @@ function buildSuggestionPool(candWords, cap, rng) {
 export function analyzeGame(params, onProgress = () => {}) {
   const { pid, mode, guessWords, truePatternIds } = params;
   const shownPatternIds = mode === "uso" ? params.shownPatternIds : truePatternIds;
-  const L = ANALYSIS_LIMITS;
-  const candWords = candidateWordsForPID(pid);
-  const N = candWords.length;
-  const totalPairs = (N * (N - 1)) / 2;
-  const W = encodeWords(candWords);
-  const guessBytes = encodeWords(guessWords);
+  const ctx = makeContext(pid);
+  const { N, W, k, L } = ctx;
+  const guessBytes = encodeWords(guessWords, L);
 
-  // ---- 候補ペア集合の初期化（必要ならサンプリング）----
-  const sampled = totalPairs > L.MAX_EXACT_PAIRS;
-  const enumCount = sampled ? L.SAMPLE_PAIRS : totalPairs;
-  const scale = totalPairs / enumCount;
-  const rng = makeRng(pid ^ 0x5f3759df);
-  let alive = new Uint32Array(enumCount); // ペアを a * N + b で持つ
-  if (sampled) {
-    for (let k = 0; k < enumCount; k++) {
-      let a = Math.floor(rng() * N);
-      let b = Math.floor(rng() * (N - 1));
-      if (b >= a) b++;
-      if (a > b) [a, b] = [b, a];
-      alive[k] = a * N + b;
-    }
-  } else {
-    let k = 0;
-    for (let a = 0; a < N; a++) {
-      for (let b = a + 1; b < N; b++) alive[k++] = a * N + b;
-    }
-  }
+  // ---- 候補の組の集合の初期化（必要ならサンプリング）----
+  const initial = initialTuples(pid, N, k);
+  const { total: totalPairs, sampled } = initial;
+  let { alive, scale } = initial;
 
   const turns = [];
+  const rows = [];
   for (let t = 0; t < guessWords.length; t++) {
     onProgress(t / guessWords.length, `ターン ${t + 1} / ${guessWords.length} を分析中`);
-    const gOff = t * 5;
+    const gOff = t * L;
     const shown = shownPatternIds[t];
-    const before = alive.length;
+    const before = alive.length / k;
+    const beforeScale = scale;
 
     // (1) このターン開始時点の集合で、より良い単語の提案を評価
-    const suggestions = evaluateSuggestions(alive, guessWords[t], t);
+    const suggestions = evaluateSuggestions(ctx, alive, guessWords[t], t);
 
     // (2) 実際の Guess のパターン分布（期待情報量）と絞り込みを同時に行う
-    const counts = new Float64Array(243);
+    const counts = new Float64Array(POW3[L]);
     const survivors = [];
-    for (let k = 0; k < before; k++) {
-      const code = alive[k];
-      const a = (code / N) | 0;
-      const b = code % N;
-      const patt = patternIdFast(guessBytes, gOff, W, a * 5, b * 5);
+    for (let p = 0; p < alive.length; p += k) {
+      const patt = patternIdTuple(guessBytes, gOff, W, alive, p, k, L);
+      let ok;
       if (mode === "uso") {
         // 嘘モード: 表示は真の判定と全位置で異なる嘘。
         // 生き残り条件: 真パターンが表示パターンと全位置で不一致。
-        // 分布は「表示されうる嘘」全 32 通り（各 1/32）で数える。
-        accumulateLiePatterns(counts, patt);
-        if (allPositionsDiffer(patt, shown)) survivors.push(code);
+        // 分布は「表示されうる嘘」全 2^L 通り（5 文字なら 32 通り、各 1/32）で数える。
+        accumulateLiePatterns(counts, patt, 1, L);
+        ok = allPositionsDiffer(patt, shown, L);
       } else {
         counts[patt]++;
-        if (patt === shown) survivors.push(code);
+        ok = patt === shown;
       }
+      if (ok) for (let m = 0; m < k; m++) survivors.push(alive[p + m]);
     }
-    alive = Uint32Array.from(survivors);
-    const after = alive.length;
+    alive = Uint16Array.from(survivors);
+    rows.push({ gOff, shown });
+    if (scale !== 1) {
+      const exact = refineTuples(ctx, guessBytes, rows, mode);
+      if (exact) {
+        alive = exact;
+        scale = 1;
+      }
+    }
+    const after = alive.length / k;
+    const beforeCount = Math.round(before * beforeScale);
+    const afterCount = Math.round(after * scale);
 
     turns.push({
       word: guessWords[t],
       shownPattern: shown,
       truePattern: truePatternIds[t],
-      before: Math.round(before * scale),
-      after: Math.round(after * scale),
-      bitsGained: after > 0 ? Math.log2(before / after) : Math.log2(before || 1),
+      before: beforeCount,
+      after: afterCount,
+      bitsGained: afterCount > 0 ? Math.log2(beforeCount / afterCount) : Math.log2(beforeCount || 1),
       expectedBits: entropyOfCounts(counts, before),
-      maxBits: Math.log2(Math.round(before * scale) || 1),
+      maxBits: Math.log2(beforeCount || 1),
       suggestions,
     });
   }
 
   onProgress(1, "完了");
-  return { pid, mode, candListSize: N, initialPairs: totalPairs, sampled, turns };
-
-  // ---- 内部ヘルパ ----
+  return { pid, mode, candListSize: N, answerCount: k, wordLength: L, initialPairs: totalPairs, sampled, turns };
+}
 
-  function allPositionsDiffer(pattA, pattB) {
-    for (let i = 0; i < 5; i++) {
-      if (DIGITS[pattA * 5 + i] === DIGITS[pattB * 5 + i]) return false;
+// プレイ中の表示済みの行（shownPatternIds）と矛盾しない組だけを残す。
+// 分析と同じ候補集合・同じ絞り込み規則で、DWORDlie は表示（嘘）と全位置で食い違う組を残す。
+function filterTuples({ pid, mode, guessWords, shownPatternIds }) {
+  const ctx = makeContext(pid);
+  const guessBytes = encodeWords(guessWords, ctx.L);
+  let { alive, sampled, scale } = initialTuples(pid, ctx.N, ctx.k);
+  const rows = [];
+  for (let t = 0; t < guessWords.length; t++) {
+    rows.push({ gOff: t * ctx.L, shown: shownPatternIds[t] });
+    alive = narrowTuples(ctx, alive, guessBytes, rows.slice(-1), mode);
+    if (sampled) {
+      const exact = refineTuples(ctx, guessBytes, rows, mode);
+      if (exact) {
+        alive = exact;
+        sampled = false;
+        scale = 1;
+      }
     }
-    return true;
   }
+  return { ctx, alive, sampled, scale };
+}
 
-  // 嘘パターン分布への寄与: 真パターン patt に対し、各位置で真以外の 2 状態を
-  // とる 32 通りへ 1/32 ずつ加算する。
-  function accumulateLiePatterns(counts, patt) {
-    let ids = [0];
-    for (let i = 0; i < 5; i++) {
-      const trueDigit = DIGITS[patt * 5 + i];
-      const opts = [];
-      for (let d = 0; d < 3; d++) if (d !== trueDigit) opts.push(d * POW3[i]);
-      const next = new Array(ids.length * 2);
-      let w = 0;
-      for (const base of ids) {
-        next[w++] = base + opts[0];
-        next[w++] = base + opts[1];
-      }
-      ids = next;
-    }
-    for (const id of ids) counts[id] += 1 / 32;
+/**
+ * プレイ中の残り候補（答えの組）を数える。
+ * @param {object} params  { pid, mode, guessWords, shownPatternIds }
+ *   - shownPatternIds: 各行で表示した判定のパターン ID（DWORDle なら真の判定）
+ * @returns {{ count: number, sampled: boolean, pairs: string[][] | null }}
+ *   count はサンプリング時は推定値。pairs は厳密に数えられて LIVE_LIST_MAX 組以下のときだけ
+ *   [ans1, ans2]（TRIWORDle / QUADWORDle は 3 語・4 語）の配列で返す（それ以外は null）。
+ */
+export function remainingPairs(params) {
+  const { ctx, alive, sampled, scale } = filterTuples(params);
+  const { candWords, k } = ctx;
+  const aliveCount = alive.length / k;
+  const count = Math.round(aliveCount * scale);
+  let pairs = null;
+  if (!sampled && aliveCount <= ANALYSIS_LIMITS.LIVE_LIST_MAX) {
+    pairs = [];
+    for (let t = 0; t < alive.length; t += k) pairs.push(Array.from(alive.subarray(t, t + k), (w) => candWords[w]));
   }
+  return { count, sampled, pairs };
+}
 
-  // このターン開始時点の候補集合で、各 Guess 候補の期待情報量を評価する。
-  // uso モードでも「真の判定パターンの分布」で評価する（嘘のノイズは含めない）。
-  function evaluateSuggestions(aliveSet, playedWord, turnIndex) {
-    if (aliveSet.length < 2) return { list: [], playedExpectedBits: 0, playedRank: null, evalPairs: aliveSet.length };
-    let evalPairs = aliveSet;
-    if (aliveSet.length > L.SUGGEST_PAIR_CAP) {
-      const rng2 = makeRng((pid + turnIndex * 7919) ^ 0x9e3779b9);
-      const picked = new Uint32Array(L.SUGGEST_PAIR_CAP);
-      for (let k = 0; k < picked.length; k++) picked[k] = aliveSet[Math.floor(rng2() * aliveSet.length)];
-      evalPairs = picked;
-    }
-    const rng3 = makeRng(pid ^ 0xc0ffee);
-    const pool = buildSuggestionPool(candWords, L.SUGGEST_GUESS_CAP, rng3);
-    if (!pool.includes(playedWord)) pool.push(playedWord);
-    const poolBytes = encodeWords(pool);
-    const total = evalPairs.length;
-    const counts = new Float64Array(243);
-    const scored = [];
-    for (let gi = 0; gi < pool.length; gi++) {
-      counts.fill(0);
-      const gOff = gi * 5;
-      for (let k = 0; k < total; k++) {
-        const code = evalPairs[k];
-        const a = (code / N) | 0;
-        const b = code % N;
-        counts[patternIdFast(poolBytes, gOff, W, a * 5, b * 5)]++;
+/**
+ * 各 Guess の獲得情報量（bit）だけを計算する（統計画面 ui/stats-screen.js の推移用）。
+ * analyzeGame から提案と期待情報量の計算を除いたもので、bitsGained は analyzeGame と同じ値になる。
+ * @param {object} params  { pid, mode, guessWords, shownPatternIds }
+ * @returns {{ bits: number[], sampled: boolean }}
+ */
+export function gameBits({ pid, mode, guessWords, shownPatternIds }) {
+  const ctx = makeContext(pid);
+  const guessBytes = encodeWords(guessWords, ctx.L);
+  const initial = initialTuples(pid, ctx.N, ctx.k);
+  let { alive, scale } = initial;
+  const rows = [];
+  const bits = [];
+  for (let t = 0; t < guessWords.length; t++) {
+    const before = Math.round((alive.length / ctx.k) * scale);
+    rows.push({ gOff: t * ctx.L, shown: shownPatternIds[t] });
+    alive = narrowTuples(ctx, alive, guessBytes, rows.slice(-1), mode);
+    if (scale !== 1) {
+      const exact = refineTuples(ctx, guessBytes, rows, mode);
+      if (exact) {
+        alive = exact;
+        scale = 1;
       }
-      scored.push({ word: pool[gi], expectedBits: entropyOfCounts(counts, total) });
     }
-    scored.sort((x, y) => y.expectedBits - x.expectedBits);
-    const playedIdx = scored.findIndex((s) => s.word === playedWord);
-    return {
-      list: scored.slice(0, L.SUGGEST_TOP),
-      playedExpectedBits: playedIdx >= 0 ? scored[playedIdx].expectedBits : 0,
-      playedRank: playedIdx >= 0 ? playedIdx + 1 : null,
-      evalPairs: total,
-    };
+    const after = Math.round((alive.length / ctx.k) * scale);
+    bits.push(after > 0 ? Math.log2(before / after) : Math.log2(before || 1));
+  }
+  return { bits, sampled: initial.sampled };
+}
+
+// 「候補を絞れない手」とみなす期待情報量の上限（bit）
+const WASTED_BITS = 0.01;
+
+/**
+ * analyzeGame の結果 1 局分を、履歴全体の集計（core/batch-analysis.js）に使う数値にまとめる。
+ * 分析画面と同じく、正解した手（答えのどれかを当てた手）は評価しない。
+ *   - turns: 正解した手を除いた手の数。rated: そのうち良し悪しを比べられた手の数。efficiency は各手の「期待情報量 ÷ その時点で最善の手の期待情報量」の和
+ *   - best: 最善の手（提案の 1 位）を打った手の数
+ *   - wasted: 候補を絞れない手の数（残りが 1 組なのに答えを打たなかった手と、期待情報量がほぼ 0 の手）
+ *   - luck: 「獲得情報量 − 期待情報量」の和（bit）。プラスなら判定の出方に恵まれた
+ * 期待情報量は手の質を見るためのものなので、DWORDlie でも真の判定で評価する（提案と同じ）。
+ * luck の期待情報量は、DWORDlie では表示されうる嘘の分布で数える（獲得情報量と同じ基準）。
+ * @param {object} res  analyzeGame の結果
+ * @param {string[]} answers  その出題の答え
+ * @returns {{ guesses, turns, rated, efficiency, best, wasted, luck, sampled }}
+ */
+export function summarizeAnalysis(res, answers) {
+  const summary = { guesses: res.turns.length, turns: 0, rated: 0, efficiency: 0, best: 0, wasted: 0, luck: 0, sampled: res.sampled };
+  for (const turn of res.turns) {
+    if (answers.includes(turn.word)) continue;
+    summary.turns++;
+    const sug = turn.suggestions;
+    const top = sug.list[0]?.expectedBits ?? 0;
+    if (turn.before <= 1 || sug.playedExpectedBits < WASTED_BITS) summary.wasted++;
+    summary.luck += turn.bitsGained - turn.expectedBits;
+    if (top <= 0) continue; // 残りが 1 組以下では手の良し悪しを比べられない
+    summary.rated++;
+    summary.efficiency += Math.min(1, sug.playedExpectedBits / top);
+    if (sug.playedRank === 1) summary.best++;
   }
+  return summary;
+}
+
+/**
+ * 複数局をまとめて分析する（履歴全体の分析の 1 チャンク。ui/batch-analysis-job.js から Worker 経由で呼ぶ）。
+ * 局ごとに失敗を閉じ込め、失敗した局は summary: null で返す。
+ * @param {object} params  { games: [{ key, answers, pid, mode, guessWords, truePatternIds, shownPatternIds }] }
+ * @returns {{ key, summary }[]}
+ */
+export function analyzeBatch({ games }) {
+  return games.map((game) => {
+    try {
+      return { key: game.key, summary: summarizeAnalysis(analyzeGame(game), game.answers) };
+    } catch {
+      return { key: game.key, summary: null };
+    }
+  });
+}
+
+/**
+ * 1 手目（開幕の単語）の期待情報量を計算する（統計画面 ui/stats-screen.js のオープナー分析用）。
+ * 値は分析画面の 1 手目の期待情報量と同じ計算で、その出題の候補リストの組全体に対するもの。
+ * DWORDlie（mode: "uso"）では、おすすめも含めて表示されうる嘘の分布で数える。
+ * @param {object} params  { pid, mode, words }  words は文字数が出題と同じ単語の配列。mode は省略すると "normal"
+ * @returns {{ words: { word, expectedBits }[], best: { word, expectedBits }[], sampled: boolean }}
+ *   words は渡した順、best はその候補リストで期待情報量の高い単語（SUGGEST_TOP 語）
+ */
+export function openerBits({ pid, mode = "normal", words }) {
+  const ctx = makeContext(pid);
+  const initial = initialTuples(pid, ctx.N, ctx.k);
+  const evalTuples = evaluationTuples(ctx, initial.alive, 0);
+  // おすすめの候補は evaluateSuggestions と同じ語の集まり
+  const pool = buildSuggestionPool(ctx.candWords, ANALYSIS_LIMITS.SUGGEST_GUESS_CAP, makeRng(pid ^ 0xc0ffee));
+  return {
+    words: scoreWords(ctx, evalTuples, words, mode),
+    best: scoreWords(ctx, evalTuples, pool, mode)
+      .sort((x, y) => y.expectedBits - x.expectedBits)
+      .slice(0, ANALYSIS_LIMITS.SUGGEST_TOP),
+    sampled: initial.sampled,
+  };
+}
+
+/**
+ * プレイ中のヒント用に、いまの候補集合で期待情報量が最大の単語を 1 つ選ぶ。
+ * @param {object} params  remainingPairs と同じ
+ * @returns {{ word: string, expectedBits: number } | null}  候補が 1 組以下なら null
+ */
+export function suggestNextGuess(params) {
+  const { ctx, alive } = filterTuples(params);
+  return evaluateSuggestions(ctx, alive, null, params.guessWords.length).list[0] ?? null;
 }
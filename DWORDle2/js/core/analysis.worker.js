@@ -1,10 +1,24 @@
 // 分析モードの Worker。重い候補ペア計算を UI スレッドから隔離する。
 // module worker として起動される（ui/analysis-screen.js 参照）。
+// kind: "remaining" / "suggest" はプレイ中の残り候補カウンタとヒント（ui/game-screen.js）からの問い合わせ。
+// kind: "bits" / "openers" は統計画面（ui/stats-screen.js）の獲得情報量の推移と、1 手目の期待情報量。
+// kind: "batch" は履歴全体の分析（ui/batch-analysis-job.js）の 1 チャンク。
 
-import { analyzeGame } from "./analysis-core.js?v=20260806-a";
+import { analyzeBatch, analyzeGame, gameBits, openerBits, remainingPairs, suggestNextGuess } from "./analysis-core.js?v=20260806-a";
+
+const LIVE_QUERIES = { remaining: remainingPairs, suggest: suggestNextGuess, bits: gameBits, openers: openerBits, batch: analyzeBatch };
 
 self.onmessage = (e) => {
   const params = e.data;
+  const query = LIVE_QUERIES[params.kind];
+  if (query) {
+    try {
+      self.postMessage({ type: params.kind, serial: params.serial, result: query(params) });
+    } catch (err) {
+      self.postMessage({ type: "error", serial: params.serial, message: String(err?.message ?? err) });
+    }
+    return;
+  }
   try {
     const result = analyzeGame(params, (ratio, label) => {
       self.postMessage({ type: "progress", ratio, label });
@@ -0,0 +1,127 @@
+// 履歴全体の分析。各局を analysis-core.js の analyzeGame で分析した結果を 1 局ずつ要約して
+// キャッシュし（summarizeAnalysis）、運と腕前・無駄手・最善手を打った割合・スキル評価にまとめる。
+// 分析そのものは重いので、UI 側のジョブ（ui/batch-analysis-job.js）が Worker で少しずつ進める。
+//
+// キャッシュは "analysisCache" に { v: ANALYSIS_CACHE_VERSION, games: { "<mode>:<startTime>": 要約 } }。
+// 分析できなかった局は { failed: true } を置き、次の再開でも繰り返さない。
+// 分析の計算を変えたら ANALYSIS_CACHE_VERSION を上げる（古い要約を捨てて分析し直す）。
+// ジョブの状態は "analysisJob" に { running } で持つ。再読み込み後も running なら続きから再開する
+// （キャッシュ済みの局は飛ばすので、どこまで済んだかを別に覚える必要はない）。
+
+import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+
+export const ANALYSIS_CACHE_VERSION = 1;
+
+// スキル評価を出すのに要る、分析済みの局数（これ未満は暫定として見せる）
+export const RATING_MIN_GAMES = 10;
+
+let cache = null;
+
+onExternalChange("analysisCache", () => {
+  cache = null;
+});
+
+function ensureLoaded() {
+  if (cache === null) {
+    const saved = loadJSON("analysisCache", null);
+    cache = saved?.v === ANALYSIS_CACHE_VERSION && saved.games && typeof saved.games === "object" ? saved.games : {};
+  }
+  return cache;
+}
+
+export function analysisKey(record) {
+  return `${record.gameMode}:${record.startTime}`;
+}
+
+// 分析できる記録: 破棄していない・1 手以上打った・DWORDlie は表示した判定が揃っている
+export function isAnalysable(record) {
+  return (
+    !record.discarded &&
+    Array.isArray(record.guessWord) &&
+    record.guessWord.length > 0 &&
+    (record.gameMode !== "uso" || record.usoResults?.length === record.guessWord.length)
+  );
+}
+
+export function getCachedAnalysis(record) {
+  return ensureLoaded()[analysisKey(record)] ?? null;
+}
+
+// まだ分析していない記録（新しい順。最近の局から結果が揃うように）
+export function pendingAnalyses(records) {
+  const games = ensureLoaded();
+  return records.filter((record) => isAnalysable(record) && !games[analysisKey(record)]).reverse();
+}
+
+// 分析結果 [{ key, summary }] を保存する。summary: null は分析できなかった局
+export function saveAnalyses(results) {
+  const games = ensureLoaded();
+  for (const { key, summary } of results) games[key] = summary ?? { failed: true };
+  saveJSON("analysisCache", { v: ANALYSIS_CACHE_VERSION, games });
+}
+
+export function isAnalysisJobRunning() {
+  return loadJSON("analysisJob", {}).running === true;
+}
+
+export function setAnalysisJobRunning(running) {
+  saveJSON("analysisJob", { running });
+}
+
+/**
+ * records のうち分析済みの局をまとめる。
+ * @returns {{
+ *   total, analysed, failed,   // 分析できる局の数・分析済み・分析できなかった局
+ *   efficiency, bestRate,      // 手の質（期待情報量 ÷ 最善手の期待情報量）の平均と、最善手を打った割合（0〜1）
+ *   wasted, wastedPerGame,     // 無駄手の数と 1 局あたり
+ *   luck,                      // 1 手あたりの運（獲得情報量 − 期待情報量、bit）
+ *   rating, provisional,       // スキル評価（0〜100）と、局数が足りず暫定か
+ *   sampled                    // サンプリングで見積もった局の数
+ * }}  分析済みの局が無ければ efficiency 以下は null
+ */
+export function aggregateAnalyses(records) {
+  const games = ensureLoaded();
+  const sum = { analysed: 0, failed: 0, turns: 0, rated: 0, efficiency: 0, best: 0, wasted: 0, luck: 0, sampled: 0 };
+  let total = 0;
+  for (const record of records) {
+    if (!isAnalysable(record)) continue;
+    total++;
+    const summary = games[analysisKey(record)];
+    if (!summary) continue;
+    if (summary.failed) {
+      sum.failed++;
+      continue;
+    }
+    sum.analysed++;
+    for (const field of ["turns", "rated", "efficiency", "best", "wasted", "luck"]) sum[field] += summary[field];
+    if (summary.sampled) sum.sampled++;
+  }
+  const empty = sum.analysed === 0;
+  const efficiency = sum.rated > 0 ? sum.efficiency / sum.rated : null;
+  const wastedRate = sum.turns > 0 ? sum.wasted / sum.turns : 0;
+  return {
+    total,
+    analysed: sum.analysed,
+    failed: sum.failed,
+    efficiency,
+    bestRate: sum.rated > 0 ? sum.best / sum.rated : null,
+    wasted: empty ? null : sum.wasted,
+    wastedPerGame: empty ? null : sum.wasted / sum.analysed,
+    luck: sum.turns > 0 ? sum.luck / sum.turns : null,
+    rating: skillRating(efficiency, wastedRate),
+    provisional: sum.analysed < RATING_MIN_GAMES,
+    sampled: sum.sampled,
+  };
+}
+
+// スキル評価（0〜100）。勝ち負けや判定の運ではなく、打った手の質で決める:
+// 手の質の平均（最善手なら 1）を、候補を絞れない無駄手の割合だけ割り引く
+export function skillRating(efficiency, wastedRate) {
+  if (efficiency === null) return null;
+  return Math.round(100 * efficiency * (1 - wastedRate));
+}
+
+// テスト用: キャッシュ破棄
+export function _reloadAnalysisCache() {
+  cache = null;
+}
@@ -0,0 +1,86 @@
+// ウィークリーチャレンジ・月間エクストリームの一覧と達成状況（UI 非依存）。
+// PID と週・月の対応は problems.js（challengeForPID ほか）、実績は achievements.js を参照。
+//
+// 達成状況は records.js の buildProblemStatus(mode) が返す Map（PID -> { played, cleared, ... }）
+// から数える。カレンダーは 1 か月ごとに、その月に木曜日がある ISO 週を並べる
+// （ISO 週は木曜日の属する月・年に数える決まりなので、どの週もちょうど 1 つの月に入る）。
+
+import {
+  CHALLENGE_FIRST_MONTH,
+  WEEKLY_LEVELS,
+  isoWeekMonday,
+  isoWeekOf,
+  monthlyPID,
+  weeklyPID,
+} from "./problems.js?v=20260806-a";
+
+// 月の通し番号（年 * 12 + 月 - 1）。カレンダーの前後移動に使う
+export function monthIndex(year, month) {
+  return year * 12 + month - 1;
+}
+
+export function monthOfIndex(index) {
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+export const FIRST_CHALLENGE_MONTH_INDEX = monthIndex(CHALLENGE_FIRST_MONTH.year, CHALLENGE_FIRST_MONTH.month);
+
+function statusOf(statusMap, pid) {
+  const st = statusMap.get(pid);
+  if (!st) return "unplayed";
+  return st.cleared > 0 ? "cleared" : "failed";
+}
+
+// 1 週分。problems は Lv.1〜Lv.5 の順
+export function weekChallenge(statusMap, year, week, now = new Date()) {
+  const monday = isoWeekMonday(year, week);
+  const problems = WEEKLY_LEVELS.map((level) => {
+    const pid = weeklyPID(year, week, level.id);
+    return { pid, level, status: statusOf(statusMap, pid) };
+  });
+  const current = isoWeekOf(now);
+  return {
+    year,
+    week,
+    monday,
+    problems,
+    cleared: problems.filter((problem) => problem.status === "cleared").length,
+    future: monday > now,
+    current: current.year === year && current.week === week,
+  };
+}
+
+// 1 か月分。weeks はその月に木曜日がある ISO 週（月曜日の昇順）、extreme はその月の月間エクストリーム
+export function monthChallenges(statusMap, year, month, now = new Date()) {
+  const weeks = [];
+  // その月の最初の木曜日から 7 日ずつ
+  const first = new Date(year, month - 1, 1);
+  const thursday = new Date(year, month - 1, 1 + ((4 - first.getDay() + 7) % 7));
+  while (thursday.getMonth() === month - 1) {
+    const { year: weekYear, week } = isoWeekOf(thursday);
+    weeks.push(weekChallenge(statusMap, weekYear, week, now));
+    thursday.setDate(thursday.getDate() + 7);
+  }
+  return { year, month, weeks, extreme: extremeChallenge(statusMap, year, month, now) };
+}
+
+// その月の月間エクストリーム
+export function extremeChallenge(statusMap, year, month, now = new Date()) {
+  const pid = monthlyPID(year, month);
+  const nowIndex = monthIndex(now.getFullYear(), now.getMonth() + 1);
+  return {
+    pid,
+    status: statusOf(statusMap, pid),
+    future: monthIndex(year, month) > nowIndex,
+    current: monthIndex(year, month) === nowIndex,
+  };
+}
+
+// 今週と今月
+export function currentChallenges(statusMap, now = new Date()) {
+  const { year, week } = isoWeekOf(now);
+  return {
+    week: weekChallenge(statusMap, year, week, now),
+    extreme: extremeChallenge(statusMap, now.getFullYear(), now.getMonth() + 1, now),
+  };
+}
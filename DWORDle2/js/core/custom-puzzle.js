@@ -0,0 +1,50 @@
+// カスタム問題（答えの組を直接指定して友だちに出題するリンク）。
+// ルート: #/custom/<token>
+//
+// トークンは答えの組を secret.js と同じ Base64 + XOR で目隠しし、URL に載せられるよう
+// Base64URL（+ → -、/ → _、末尾の = を省く）にしたもの。リンクを眺めただけでは
+// 答えが読めない程度の目隠しで、暗号ではない。
+// 中身は "c1:<ans1>:<ans2>"。c1 は形式の版数で、将来形式を変えても古いリンクを読めるように付ける。
+// 遊んだ記録は problems.js のカスタム帯の PID で持ち、トークンそのものは保存しない。
+
+import { conceal, reveal } from "./secret.js?v=20260806-a";
+import { customPIDForPair, customPairForPID } from "./problems.js?v=20260806-a";
+
+const TOKEN_VERSION = "c1";
+
+function toBase64Url(base64) {
+  return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(token) {
+  const base64 = token.replace(/-/g, "+").replace(/_/g, "/");
+  return base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+}
+
+// 答えの組からトークンを作る。単語リストに無い語・同じ語 2 つは null
+export function customTokenForPair(ans1, ans2) {
+  const a = String(ans1 ?? "").trim().toLowerCase();
+  const b = String(ans2 ?? "").trim().toLowerCase();
+  if (customPIDForPair(a, b) === null) return null;
+  return toBase64Url(conceal(`${TOKEN_VERSION}:${a}:${b}`));
+}
+
+// トークンからカスタム問題の PID を読み戻す。読めない・答えとして無効なら null
+export function customPIDFromToken(token) {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]+$/.test(token)) return null;
+  let text;
+  try {
+    text = reveal(fromBase64Url(token));
+  } catch {
+    return null;
+  }
+  const [version, ans1, ans2, ...rest] = text.split(":");
+  if (version !== TOKEN_VERSION || rest.length > 0) return null;
+  return customPIDForPair(ans1, ans2);
+}
+
+// 遊んだ記録（PID）から共有用のトークンを作り直す（結果画面から同じ問題を出題し直す用）
+export function customTokenForPID(pid) {
+  const pair = customPairForPID(pid);
+  return pair ? customTokenForPair(pair[0], pair[1]) : null;
+}
@@ -0,0 +1,68 @@
+// 答えの単語の辞書（品詞・英語の短い定義・日本語の訳・例文）。UI 非依存。
+// データは data/dictionary.js（ALL_WORDS の index がキー）。結果画面・問題一覧・画像保存で使う。
+//
+// データは 900KB ほどあり起動には要らないので、最初に引くときに loadDictionary で読み込む
+// （Service Worker が先に取っておくので、オフラインでも引ける）。
+// 引けるのは 5 文字の語だけ（ALL_WORDS はすべて収録）。4・6・7 文字版の語は null を返す。
+// 意味を確かめられなかった語は品詞 x で、定義と訳は UNCONFIRMED を返す。
+
+import { ALL_WORDS } from "../data/words.js?v=20260806-a";
+
+export const PARTS_OF_SPEECH = {
+  n: { ja: "名詞", en: "noun" },
+  v: { ja: "動詞", en: "verb" },
+  adj: { ja: "形容詞", en: "adjective" },
+  adv: { ja: "副詞", en: "adverb" },
+  prep: { ja: "前置詞", en: "preposition" },
+  pron: { ja: "代名詞", en: "pronoun" },
+  conj: { ja: "接続詞", en: "conjunction" },
+  interj: { ja: "間投詞", en: "interjection" },
+  x: { ja: "不明", en: "unclear" },
+};
+
+// 品詞 x の語の定義と訳（データには ["x"] だけを置く）
+const UNCONFIRMED = {
+  definition: "a rare entry in large word lists whose meaning could not be confirmed",
+  gloss: "意味を確認できなかった語",
+};
+
+let entries = null; // 読み込んだ DICTIONARY
+let loading = null;
+let wordIndex = null; // 語 -> ALL_WORDS の index（初めて引くときに作る）
+
+/** 辞書を読み込む。2 回目以降は同じ Promise を返す。読み込めたら lookupWord を返す */
+export function loadDictionary() {
+  if (!loading) {
+    loading = import("../data/dictionary.js?v=20260806-a")
+      .then((module) => {
+        entries = module.DICTIONARY;
+        return lookupWord;
+      })
+      .catch((e) => {
+        loading = null; // 次に開いたときにもう一度試す
+        throw e;
+      });
+  }
+  return loading;
+}
+
+export function isDictionaryLoaded() {
+  return entries !== null;
+}
+
+/**
+ * 読み込み済みの辞書から引く。読み込み前・収録していない語は null。
+ * @returns {{ word, pos, definition, gloss, example: string | null } | null}
+ *   pos は PARTS_OF_SPEECH のキー（意味を確かめられなかった語は "x"）、definition は英語の定義、gloss は日本語の訳
+ */
+export function lookupWord(word) {
+  if (!entries || typeof word !== "string") return null;
+  if (!wordIndex) wordIndex = new Map(ALL_WORDS.map((w, i) => [w, i]));
+  const key = word.toLowerCase();
+  const index = wordIndex.get(key);
+  const entry = index === undefined ? undefined : entries[index];
+  if (!entry) return null;
+  if (entry[0] === "x") return { word: key, pos: "x", ...UNCONFIRMED, example: null };
+  const [pos, definition, gloss, example = null] = entry;
+  return { word: key, pos, definition, gloss, example };
+}
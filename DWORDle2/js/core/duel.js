@@ -0,0 +1,160 @@
+// 非同期の対戦（デュエル）。サーバーは使わない。
+// ルート: #/duel/<code>
+//
+// 1. 挑戦者（A）が遊び終えた記録から対戦コードを作り、リンクで送る
+// 2. 受け取った側（B）が #/duel/<code> を開いて同じ問題を遊ぶ
+// 3. 遊び終えたら、A と B の結果を並べて勝敗を出す（クリア → 手数 → 時間の順に比べる）
+//
+// コードは "d1.<PID 36 進>.<n|u>.<手数>.<クリア 1|0>.<秒数 36 進>.<署名>"。
+// URL のハッシュへそのまま載せられる文字だけで作る。d1 は形式の版数。
+// 署名は signature.js の HMAC の先頭 SIGNATURE_CHARS 桁で、URL の数字を書き換えた
+// コードを弾くためのもの（鍵はソースにあるので、なりすましまでは防げない）。
+//
+// 受けた対戦は "duels" に残す: [{ code, pid, mode, guesses, clear, elapsedSec, acceptedAt }]
+// B の記録は履歴（records.js）の通常の記録で、acceptedAt 以降に同じ PID・モードで
+// 遊び終えた最初の記録（破棄を除く）を対戦の記録とみなす。
+
+import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+import { getHistory } from "./records.js?v=20260806-a";
+import { isValidPID } from "./problems.js?v=20260806-a";
+import { signatureAvailable, signPayload } from "./signature.js?v=20260806-a";
+
+const CODE_VERSION = "d1";
+const SIGNATURE_CHARS = 16;
+const MODE_KEYS = { normal: "n", uso: "u" };
+const MAX_DUELS = 50; // 受けた対戦を残す数（古いものから消す）
+
+let duels = null;
+
+onExternalChange("duels", () => {
+  duels = null;
+});
+
+function ensureLoaded() {
+  if (duels === null) duels = loadJSON("duels", []);
+  return duels;
+}
+
+// 署名の対象。コードの各フィールドそのもの
+function payloadOf(entry) {
+  return { v: CODE_VERSION, pid: entry.pid, mode: entry.mode, guesses: entry.guesses, clear: entry.clear, elapsedSec: entry.elapsedSec };
+}
+
+async function shortSignature(entry) {
+  return (await signPayload(payloadOf(entry))).slice(0, SIGNATURE_CHARS);
+}
+
+// 遊び終えた記録から、対戦に使う結果を取り出す。破棄した記録・進行中は null
+export function duelEntryFromRecord(record) {
+  if (!record || record.discarded || !MODE_KEYS[record.gameMode] || !Number.isFinite(record.endTime)) return null;
+  return {
+    pid: record.problemID,
+    mode: record.gameMode,
+    guesses: record.guessWord.length,
+    clear: Boolean(record.clear),
+    elapsedSec: Math.max(0, Math.round(record.endTime - record.startTime)),
+  };
+}
+
+/**
+ * 記録から対戦コードを作る。対戦に使えない記録・署名が使えない環境では null。
+ */
+export async function createDuelCode(record) {
+  const entry = duelEntryFromRecord(record);
+  if (!entry || !signatureAvailable()) return null;
+  return [
+    CODE_VERSION,
+    entry.pid.toString(36),
+    MODE_KEYS[entry.mode],
+    entry.guesses,
+    entry.clear ? 1 : 0,
+    entry.elapsedSec.toString(36),
+    await shortSignature(entry),
+  ].join(".");
+}
+
+/**
+ * 対戦コードを読む。形式違い・署名の不一致（書き換え）・無効な PID は null。
+ * @returns {Promise<{ pid, mode, guesses, clear, elapsedSec } | null>}
+ */
+export async function readDuelCode(code) {
+  if (typeof code !== "string" || !signatureAvailable()) return null;
+  const parts = code.split(".");
+  if (parts.length !== 7 || parts[0] !== CODE_VERSION) return null;
+  const [, pidText, modeKey, guessText, clearText, elapsedText, signature] = parts;
+  if (!/^[0-9a-z]+$/.test(pidText) || !/^[0-9a-z]+$/.test(elapsedText) || !/^\d{1,2}$/.test(guessText)) return null;
+  if (clearText !== "0" && clearText !== "1") return null;
+  const mode = Object.keys(MODE_KEYS).find((key) => MODE_KEYS[key] === modeKey);
+  const entry = {
+    pid: parseInt(pidText, 36),
+    mode,
+    guesses: Number(guessText),
+    clear: clearText === "1",
+    elapsedSec: parseInt(elapsedText, 36),
+  };
+  if (!mode || !isValidPID(entry.pid) || entry.guesses < 1) return null;
+  if (signature !== (await shortSignature(entry))) return null;
+  return entry;
+}
+
+/**
+ * 2 人の結果を比べる。クリアした方 → 手数の少ない方 → 時間の短い方が勝ち。
+ * @returns {{ winner: "a" | "b" | null, by: "clear" | "guesses" | "time" | null }}
+ *   winner が null なら引き分け（by も null）
+ */
+export function compareDuel(a, b) {
+  if (a.clear !== b.clear) return { winner: a.clear ? "a" : "b", by: "clear" };
+  // どちらもクリアできなかったときは引き分け（どちらも上限まで使っているので、手数でも時間でも比べない）
+  if (!a.clear) return { winner: null, by: null };
+  if (a.guesses !== b.guesses) return { winner: a.guesses < b.guesses ? "a" : "b", by: "guesses" };
+  if (a.elapsedSec !== b.elapsedSec) return { winner: a.elapsedSec < b.elapsedSec ? "a" : "b", by: "time" };
+  return { winner: null, by: null };
+}
+
+export function findDuel(code) {
+  return ensureLoaded().find((duel) => duel.code === code) ?? null;
+}
+
+/**
+ * 対戦を受ける（B がこれから遊ぶ）。受けた時刻より後の記録だけを対戦の記録とみなす。
+ * 遊び終えた対戦はそのまま返す（遊び直しで記録を差し替えられないように）。
+ * 受けたまま遊び終えていない対戦は、受けた時刻を今に更新する。
+ */
+export function acceptDuel(code, entry, now = Date.now()) {
+  const existing = findDuel(code);
+  if (existing) {
+    if (!duelRecord(existing)) {
+      existing.acceptedAt = Math.floor(now / 1000);
+      saveJSON("duels", duels);
+    }
+    return existing;
+  }
+  const duel = { code, ...entry, acceptedAt: Math.floor(now / 1000) };
+  ensureLoaded().push(duel);
+  if (duels.length > MAX_DUELS) duels.splice(0, duels.length - MAX_DUELS);
+  saveJSON("duels", duels);
+  return duel;
+}
+
+// 受けた対戦の、B の記録（まだ遊び終えていなければ null）
+export function duelRecord(duel, history = getHistory()) {
+  return (
+    history.find(
+      (record) =>
+        record.problemID === duel.pid &&
+        record.gameMode === duel.mode &&
+        record.startTime >= duel.acceptedAt &&
+        !record.discarded
+    ) ?? null
+  );
+}
+
+// その記録が、受けた対戦の記録ならその対戦（結果画面から対戦結果へ案内する用）
+export function duelForRecord(record, history = getHistory()) {
+  return ensureLoaded().find((duel) => duelRecord(duel, history) === record) ?? null;
+}
+
+// テスト用: キャッシュ破棄
+export function _reload() {
+  duels = null;
+}
@@ -0,0 +1,122 @@
+// ほかのワードゲーム（NYT Wordle や Wordle の派生作）の記録。取り込みは migrate.js の importExternalFromText。
+//
+// 本作の履歴（records.js の "history"）とは別の "externalHistory" に持ち、統計も別に出す
+// （ui/external-stats.js）。本作の統計・連勝・countPlays・実績には一切数えない。
+//
+// 形式:
+//   {
+//     games: [{ source, game, number, guesses, maxGuesses, won, hard, importedAt }],
+//       // 1 局ずつ分かる記録（シェア文・NYT のその日の盤面）。game と number の組で重複を除く。
+//       // guesses は解けなかったときも使った手数（シェア文の X/6 は maxGuesses と同じ）
+//     snapshots: { [source]: { source, game, played, won, currentStreak, maxStreak, dist, importedAt } },
+//       // 集計しか分からない記録（NYT の統計 JSON など）。dist は 1 手〜maxGuesses 手で解いた回数の配列。
+//       // 取り込むたびに同じ source の分を置き換える（取り込み時点の値をそのまま見せる）
+//   }
+// source は取り込んだ形式: "nyt"（NYT Wordle）・"react-wordle"（オープンソースの派生作）・"share"（シェア文）。
+
+import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+
+let data = null;
+
+onExternalChange("externalHistory", () => {
+  data = null;
+});
+
+function ensureLoaded() {
+  if (data === null) {
+    const saved = loadJSON("externalHistory", {});
+    data = {
+      games: Array.isArray(saved.games) ? saved.games : [],
+      snapshots: saved.snapshots && typeof saved.snapshots === "object" && !Array.isArray(saved.snapshots) ? saved.snapshots : {},
+    };
+  }
+  return data;
+}
+
+function persist() {
+  saveJSON("externalHistory", data);
+}
+
+// ゲーム名の表記ゆれ（"Wordle" / "wordle"）を同じゲームとして扱う
+function gameKey(game) {
+  return String(game).trim().toLowerCase();
+}
+
+// 1 局ずつの記録を加える。加わった件数を返す
+export function addExternalGames(games) {
+  const { games: list } = ensureLoaded();
+  const seen = new Set(list.map((g) => `${gameKey(g.game)}#${g.number}`));
+  const importedAt = Math.floor(Date.now() / 1000);
+  let added = 0;
+  for (const game of games) {
+    const key = `${gameKey(game.game)}#${game.number}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    list.push({ ...game, importedAt });
+    added++;
+  }
+  if (added > 0) {
+    list.sort((a, b) => gameKey(a.game).localeCompare(gameKey(b.game)) || a.number - b.number);
+    persist();
+  }
+  return added;
+}
+
+// 集計の記録を置き換える
+export function setExternalSnapshot(snapshot) {
+  ensureLoaded().snapshots[snapshot.source] = { ...snapshot, importedAt: Math.floor(Date.now() / 1000) };
+  persist();
+}
+
+export function getExternalGames() {
+  return ensureLoaded().games;
+}
+
+export function getExternalSnapshots() {
+  return Object.values(ensureLoaded().snapshots);
+}
+
+export function hasExternalHistory() {
+  const { games, snapshots } = ensureLoaded();
+  return games.length > 0 || Object.keys(snapshots).length > 0;
+}
+
+// 1 局ずつの記録のゲーム別の統計（records.js の getStatistics と同じ項目）。
+// 連勝は番号が 1 つずつ続いている間だけ数える（番号が飛んだら、その日は遊んでいない）。
+// ゲーム名の順に返す
+export function externalStatistics() {
+  const byGame = new Map();
+  for (const game of ensureLoaded().games) {
+    const key = gameKey(game.game);
+    if (!byGame.has(key)) byGame.set(key, { game: game.game, games: [] });
+    byGame.get(key).games.push(game);
+  }
+  return [...byGame.values()]
+    .sort((a, b) => gameKey(a.game).localeCompare(gameKey(b.game)))
+    .map(({ game, games }) => {
+      const maxGuesses = Math.max(...games.map((g) => g.maxGuesses));
+      const dist = Array(maxGuesses).fill(0);
+      let won = 0;
+      let streak = 0;
+      let maxStreak = 0;
+      let previous = null;
+      for (const g of games) {
+        if (previous !== null && g.number !== previous + 1) streak = 0;
+        if (g.won) {
+          won++;
+          dist[g.guesses - 1]++;
+          streak++;
+          maxStreak = Math.max(maxStreak, streak);
+        } else {
+          streak = 0;
+        }
+        previous = g.number;
+      }
+      return { game, played: games.length, won, currentStreak: streak, maxStreak, dist };
+    });
+}
+
+// テスト用: キャッシュ破棄
+export function _reloadExternal() {
+  data = null;
+}
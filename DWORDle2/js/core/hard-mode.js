@@ -0,0 +1,86 @@
+// ハードモードの Guess 制約。
+//
+// ハードモードでは、それまでに表示された判定とつじつまの合う単語しか Guess できない。
+// 「つじつまが合う」= その単語を答えの一方とする答えの組 {word, other} のうち、
+// これまでの全行の判定を説明できるものが少なくとも 1 つ残っていること。
+//   - DWORDle: queryWordPair(過去の Guess, word, other) が表示された判定と一致する
+//   - DWORDlie: 表示は全マスで嘘なので、真の判定が表示と全位置で食い違う
+//     （analysis-core.js の allPositionsDiffer と同じ規則）
+// もう一方の答え other は、その問題の出題候補（candidateWordsForPID）から探す。
+// word 自体は候補に無くてもよい。候補表に載っているかどうかで弾くと、
+// 語彙の範囲そのものがプレイヤーに漏れてしまうため。
+//
+// Extreme では候補が万を超えるので、other だけで決まる必要条件（word に依らない）で
+// 候補を行ごとに絞り、その残りを 1 局の間キャッシュしておく。Guess が 1 行増えたら
+// 新しい行の条件で絞り直すだけでよく、queryWordPair を回すのは残った候補だけになる。
+//   - DWORDle: other[i] === guess[i] なら i は緑。緑でない位置と文字が同じ候補は外す。
+//     どの位置でも灰だった文字は、どちらの答えにも無い。
+//   - DWORDlie: 表示が緑の位置は真の判定が緑ではないので、other[i] === guess[i] の候補は外す。
+//
+// 答えが 3 語以上の出題（TRIWORDle / QUADWORDle）には効かせない（ui/game-screen.js の newGame）。
+// 「つじつまの合う 3 つ組・4 つ組」を Guess のたびに探すのは、UI スレッドでは重すぎるため。
+
+import { CELL, queryWordPair } from "./logic.js?v=20260806-a";
+import { candidateWordsForPID } from "./problems.js?v=20260806-a";
+
+function sameResult(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+function allPositionsDiffer(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) return false;
+  return true;
+}
+
+// guess の行の判定が shown のとき、other が答えの一方でありうるかの判定関数（word に依らない必要条件）
+function otherFilter(guess, shown, mode) {
+  if (mode === "uso") {
+    return (other) => {
+      for (let i = 0; i < guess.length; i++) if (shown[i] === CELL.CORRECT && other[i] === guess[i]) return false;
+      return true;
+    };
+  }
+  const absent = new Set(guess);
+  for (let i = 0; i < guess.length; i++) if (shown[i] !== CELL.UNUSED) absent.delete(guess[i]);
+  return (other) => {
+    for (let i = 0; i < guess.length; i++) {
+      if (shown[i] !== CELL.CORRECT && other[i] === guess[i]) return false;
+      if (absent.has(other[i])) return false;
+    }
+    return true;
+  };
+}
+
+// 過去の全行の必要条件を満たす other の候補。直前の呼び出しの続き（同じ問題・同じ行の先頭）なら、
+// 増えた行の条件だけで絞り直す。
+let cache = null; // { pid, mode, guessWords, shownResults, others }
+
+function otherCandidates(pid, mode, guessWords, shownResults) {
+  const reusable =
+    cache &&
+    cache.pid === pid &&
+    cache.mode === mode &&
+    cache.guessWords.length <= guessWords.length &&
+    cache.guessWords.every((guess, t) => guess === guessWords[t] && sameResult(cache.shownResults[t], shownResults[t]));
+  if (!reusable) cache = { pid, mode, guessWords: [], shownResults: [], others: candidateWordsForPID(pid) };
+  for (let t = cache.guessWords.length; t < guessWords.length; t++) {
+    cache.others = cache.others.filter(otherFilter(guessWords[t], shownResults[t], mode));
+    cache.guessWords.push(guessWords[t]);
+    cache.shownResults.push([...shownResults[t]]);
+  }
+  return cache.others;
+}
+
+// word が答えの一方であるとして、過去の全行と矛盾しない組があるか。
+// shownResults は各行で実際に表示した判定（DWORDle なら真の判定そのもの）。
+// queryWordPair の判定は答えの並び順に依らないので、組は (word, other) の順だけ試せばよい。
+export function isHardModeConsistent(word, { pid, mode, guessWords, shownResults }) {
+  if (guessWords.length === 0) return true;
+  const explains = mode === "uso" ? allPositionsDiffer : sameResult;
+  for (const other of otherCandidates(pid, mode, guessWords, shownResults)) {
+    if (other === word) continue;
+    if (guessWords.every((guess, t) => explains(queryWordPair(guess, word, other), shownResults[t]))) return true;
+  }
+  return false;
+}
@@ -0,0 +1,66 @@
+// ヒント。1 ゲームにつき HINTS_PER_GAME 回まで、次の 3 種類から選んで使える。
+//   - "position": ある位置の文字の本当の判定（答えのどれかがその位置にその文字を持つ = 緑）
+//   - "letter":   答えのどれかに必ず含まれる文字
+//   - "suggest":  いまの候補集合で期待情報量が最大の単語（analysis-core.js の evaluateSuggestions）
+//
+// 使ったヒントは記録の hints に、使った順に残す（records.js のスキーマ参照）:
+//   { kind: "position", turn, pos, letter } / { kind: "letter", turn, letter } / { kind: "suggest", turn, word }
+//   turn は使った時点の Guess 数（0 = 1 手目の前）。
+// "position" / "letter" はここで答えから作る。"suggest" は重いので Worker で計算し、
+// 結果を suggestHint で記録形式にする（ui/game-screen.js）。
+
+import { tr } from "./i18n.js?v=20260806-a";
+
+export const HINTS_PER_GAME = 3;
+
+export const HINT_KINDS = ["position", "letter", "suggest"];
+
+export function hintsLeft(game) {
+  return Math.max(0, HINTS_PER_GAME - (game.hints?.length ?? 0));
+}
+
+function pickRandom(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// まだ分かっていない「答えの文字と位置」を 1 つ明かす。
+// Guess で同じ位置に同じ文字を入れた（= 緑が出ている）ものと、明かし済みのものは選ばない。
+// 明かせるものが無ければ null。
+export function positionHint(game, logic, random = Math.random) {
+  const known = new Set();
+  for (const word of game.guessWord) for (let i = 0; i < word.length; i++) known.add(`${i}:${word[i]}`);
+  for (const hint of game.hints ?? []) if (hint.kind === "position") known.add(`${hint.pos}:${hint.letter}`);
+  const options = [];
+  for (const answer of logic.answers) {
+    for (let i = 0; i < answer.length; i++) {
+      if (!known.has(`${i}:${answer[i]}`)) options.push({ pos: i, letter: answer[i] });
+    }
+  }
+  if (options.length === 0) return null;
+  const { pos, letter } = pickRandom(options, random);
+  return { kind: "position", turn: game.guessWord.length, pos, letter };
+}
+
+// 答えのどれかに含まれる文字を 1 つ明かす。
+// まだ Guess に使っていない文字を優先し、明かし済みの文字は選ばない。無ければ null。
+export function letterHint(game, logic, random = Math.random) {
+  const revealed = new Set((game.hints ?? []).filter((hint) => hint.kind === "letter").map((hint) => hint.letter));
+  const guessed = new Set(game.guessWord.join(""));
+  const letters = [...new Set(logic.answers.join(""))].filter((c) => !revealed.has(c));
+  if (letters.length === 0) return null;
+  const fresh = letters.filter((c) => !guessed.has(c));
+  return { kind: "letter", turn: game.guessWord.length, letter: pickRandom(fresh.length > 0 ? fresh : letters, random) };
+}
+
+// Worker が返した提案（{ word, expectedBits } | null）を記録形式にする
+export function suggestHint(game, suggestion) {
+  return suggestion ? { kind: "suggest", turn: game.guessWord.length, word: suggestion.word } : null;
+}
+
+// ヒント 1 つを短い文にする（ゲーム画面・結果画面の一覧で使う）
+export function describeHint(hint) {
+  const letter = hint.letter?.toUpperCase();
+  if (hint.kind === "position") return tr(`${hint.pos + 1}文字目は ${letter}`, `Letter ${hint.pos + 1} is ${letter}`);
+  if (hint.kind === "letter") return tr(`${letter} を含む`, `Contains ${letter}`);
+  return tr(`おすすめ: ${hint.word.toUpperCase()}`, `Try: ${hint.word.toUpperCase()}`);
+}
@@ -0,0 +1,235 @@
+// ホットシート（1 台の端末を回して 2〜4 人で同じ問題を遊ぶ）。ルールは DWORDle と同じ。
+//
+// 遊び方（style）は 2 通り。
+//   "shared"   1 つの盤面に、プレイヤーが順番に 1 手ずつ Guess する（t 手目は t % 人数 番目の人）。
+//              答えを当てた人が 1 位。残りは新しく緑にした文字（hits）の多い順。
+//   "separate" 同じ問題を 1 人ずつ別の盤面で遊ぶ。クリア → 手数 → 時間の順に比べる
+//              （core/duel.js の compareDuel と同じ決め方）。
+//
+// 記録:
+//   - 進行中のセッション: "hotseat.current"
+//       { startTime, problemID, style, players: [名前...], turn, boards: [...] }
+//     turn と boards は separate だけが使う。turn は今遊んでいる人の番号、
+//     boards は遊び終えた人の盤面 [{ player, startTime, endTime, guessWord, clear }]。
+//     盤面そのものは他のモードと同じく進行中ゲーム "current.hotseat"（gameMode: "hotseat"）。
+//   - 終わったセッション: "hotseatSessions"（startTime 昇順、最大 MAX_SESSIONS 件）
+//       { startTime, endTime, problemID, style, players, scores: [{ player, rank, ... }] }
+//     scores は順位順。各プレイヤーの盤面は records.js のホットシート履歴に player 付きで残す。
+//   - 最後に遊んだメンバー: "hotseat.players"（入口の名前欄の初期値）
+
+import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+import { CELL, Logic } from "./logic.js?v=20260806-a";
+import { addHotseatGames } from "./records.js?v=20260806-a";
+import { compareDuel } from "./duel.js?v=20260806-a";
+
+export const HOTSEAT_MIN_PLAYERS = 2;
+export const HOTSEAT_MAX_PLAYERS = 4;
+export const HOTSEAT_STYLES = ["shared", "separate"];
+const MAX_SESSIONS = 100; // 終わったセッションを残す数（古いものから消す）
+
+let sessions = null; // 終わったセッションのキャッシュ
+
+onExternalChange("hotseatSessions", () => {
+  sessions = null;
+});
+
+function ensureLoaded() {
+  if (sessions === null) sessions = loadJSON("hotseatSessions", []);
+  return sessions;
+}
+
+export function getHotseatSessions() {
+  return ensureLoaded();
+}
+
+export function findHotseatSession(startTime) {
+  return ensureLoaded().find((session) => session.startTime === startTime) ?? null;
+}
+
+export function getCurrentSession() {
+  return loadJSON("hotseat.current", null);
+}
+
+export function saveCurrentSession(session) {
+  saveJSON("hotseat.current", session);
+}
+
+export function lastPlayers() {
+  return loadJSON("hotseat.players", []);
+}
+
+/**
+ * プレイヤー名の並びを確かめる。問題なければ null、あれば理由を返す。
+ * @returns {null | "count" | "empty" | "duplicate"}
+ */
+export function validatePlayers(names) {
+  if (names.length < HOTSEAT_MIN_PLAYERS || names.length > HOTSEAT_MAX_PLAYERS) return "count";
+  if (names.some((name) => !name)) return "empty";
+  if (new Set(names).size !== names.length) return "duplicate";
+  return null;
+}
+
+/**
+ * 新しいセッションを始める。進行中のセッションは上書きする（呼び出し側で先に終わらせておくこと）。
+ * プレイヤー名が正しくなければ null。
+ */
+export function startHotseat({ players, style, pid, now = Date.now() }) {
+  if (validatePlayers(players) || !HOTSEAT_STYLES.includes(style)) return null;
+  const session = {
+    startTime: Math.floor(now / 1000),
+    problemID: pid,
+    style,
+    players: players.slice(),
+    turn: 0,
+    boards: [],
+  };
+  saveCurrentSession(session);
+  saveJSON("hotseat.players", players);
+  return session;
+}
+
+// いま入力する人の番号。shared は手数で順番に回し、separate は盤面ごとに回す
+export function currentPlayerIndex(session, game) {
+  if (session.style === "shared") return (game?.guessWord.length ?? 0) % session.players.length;
+  return Math.min(session.turn, session.players.length - 1);
+}
+
+function isCleared(problemID, guessWord) {
+  const last = guessWord[guessWord.length - 1];
+  return Boolean(last) && new Logic(problemID).isGameClear(last);
+}
+
+function boardOf(session, game, endTime) {
+  return {
+    player: session.players[session.turn],
+    startTime: game.startTime,
+    endTime,
+    guessWord: game.guessWord.slice(),
+    clear: isCleared(session.problemID, game.guessWord),
+  };
+}
+
+/**
+ * separate: 決着した盤面を記録し、次の人へ回す。まだ遊んでいない人がいれば true。
+ */
+export function recordHotseatBoard(session, game, now = Date.now()) {
+  session.boards.push(boardOf(session, game, Math.floor(now / 1000)));
+  session.turn++;
+  saveCurrentSession(session);
+  return session.turn < session.players.length;
+}
+
+// shared の 1 人ずつの成績。hits は、その人の Guess で初めて緑になった「位置と文字」の数
+function sharedScores(session, guessWord) {
+  const logic = new Logic(session.problemID);
+  const revealed = new Set();
+  const scores = session.players.map((player) => ({ player, guesses: 0, hits: 0, found: false }));
+  guessWord.forEach((word, t) => {
+    const score = scores[t % scores.length];
+    score.guesses++;
+    logic.queryWord(word).forEach((state, i) => {
+      if (state !== CELL.CORRECT || revealed.has(`${i}${word[i]}`)) return;
+      revealed.add(`${i}${word[i]}`);
+      score.hits++;
+    });
+    if (logic.isGameClear(word)) score.found = true;
+  });
+  return scores;
+}
+
+// separate の 1 人ずつの成績。まだ遊んでいない人は done: false（live は遊んでいる最中の盤面）
+function separateScores(session, game = null) {
+  return session.players.map((player, index) => {
+    const board = session.boards[index];
+    if (board) {
+      return {
+        player,
+        done: true,
+        clear: board.clear,
+        guesses: board.guessWord.length,
+        elapsedSec: Math.max(0, board.endTime - board.startTime),
+      };
+    }
+    const live = index === session.turn && game ? game.guessWord.length : 0;
+    return { player, done: false, clear: false, guesses: live, elapsedSec: 0 };
+  });
+}
+
+function compareScores(style, a, b) {
+  if (style === "shared") return b.found - a.found || b.hits - a.hits;
+  if (a.done !== b.done) return a.done ? -1 : 1;
+  if (!a.done) return 0;
+  const { winner } = compareDuel(a, b);
+  return winner === "a" ? -1 : winner === "b" ? 1 : 0;
+}
+
+/**
+ * 途中経過の成績表（プレイヤーの並び順）。rank は今の時点での順位で、同点は同じ順位。
+ * game は進行中の盤面（shared ではその盤面の Guess から数える）。
+ */
+export function hotseatScoreboard(session, game = null) {
+  const scores = session.style === "shared" ? sharedScores(session, game?.guessWord ?? []) : separateScores(session, game);
+  const ranked = scores.slice().sort((a, b) => compareScores(session.style, a, b));
+  ranked.forEach((score, i) => {
+    score.rank = i > 0 && compareScores(session.style, ranked[i - 1], score) === 0 ? ranked[i - 1].rank : i + 1;
+  });
+  return scores;
+}
+
+/**
+ * セッションを終えて記録に残す。遊んでいる途中の盤面（game）は、
+ * separate では 1 手以上あれば未クリアとして加え、shared ではそのまま最終盤面にする。
+ * 各プレイヤーの盤面は records.js のホットシート履歴へ（1 手も入力していない人の分は残さない）。
+ */
+export function finishHotseat(session, game = null, now = Date.now()) {
+  const endTime = Math.floor(now / 1000);
+  if (session.style === "separate" && game?.guessWord.length > 0 && session.turn < session.players.length) {
+    session.boards.push({ ...boardOf(session, game, endTime), clear: false });
+    session.turn++;
+  }
+  const scores = hotseatScoreboard(session, game).sort((a, b) => a.rank - b.rank);
+  const record = {
+    startTime: session.startTime,
+    endTime,
+    problemID: session.problemID,
+    style: session.style,
+    players: session.players.slice(),
+    scores,
+  };
+  ensureLoaded().push(record);
+  if (sessions.length > MAX_SESSIONS) sessions.splice(0, sessions.length - MAX_SESSIONS);
+  saveJSON("hotseatSessions", sessions);
+
+  // shared は同じ盤面を全員の記録にし、どの手を誰が入力したか（guessBy）を添える
+  const guessWord = game?.guessWord ?? [];
+  const boards =
+    session.style === "shared"
+      ? scores.map((score) => ({
+          player: score.player,
+          startTime: game?.startTime ?? session.startTime,
+          endTime,
+          guessWord: score.guesses > 0 ? guessWord.slice() : [],
+          guessBy: guessWord.map((_, t) => session.players[t % session.players.length]),
+          clear: score.found,
+        }))
+      : session.boards;
+  const rankOf = new Map(scores.map((score) => [score.player, score.rank]));
+  addHotseatGames(
+    boards
+      .filter((board) => board.guessWord.length > 0)
+      .map((board) => ({
+        ...board,
+        problemID: session.problemID,
+        session: session.startTime,
+        style: session.style,
+        rank: rankOf.get(board.player),
+      }))
+  );
+  saveJSON("hotseat.current", null);
+  return record;
+}
+
+// テスト用: キャッシュ破棄
+export function _reload() {
+  sessions = null;
+}
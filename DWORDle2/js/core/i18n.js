@@ -56,6 +56,9 @@ const ACHIEVEMENT_EN = {
   "daily-clear": ["Daily Dose", "Clear a Daily puzzle"],
   "extreme-clear": ["Vocabulary Abyss", "Clear any one Extreme puzzle (No.10000–19999)"],
   "level-clear": ["Trailblazer", "Clear any one level puzzle (No.20000–39999)"],
+  "hard-clear": ["Self-Imposed Rules", "Clear a game in Hard mode"],
+  "hard-uso": ["Honest Among Lies", "Clear DWORDlie in Hard mode"],
+  "hard-10": ["Iron Discipline", "Win 10 games in Hard mode"],
   "uso-clear": ["See Through the Lie", "Clear DWORDlie"],
   "uso-5": ["Lie Master", "Win 5 DWORDlie games"],
   "one-shot": ["Divine Guess", "Clear a game on the first Guess"],
@@ -69,7 +72,7 @@ const ACHIEVEMENT_EN = {
   "wins-50": ["Veteran", "Win 50 games total"],
   "wins-100": ["Legend", "Win 100 games total"],
   "plays-100": ["Practice Makes Perfect", "Finish 100 games total"],
-  "all-gray": ["Complete Miss", "Get five gray tiles in one Guess"],
+  "all-gray": ["Complete Miss", "Get all gray tiles in one Guess"],
   rainbow: ["Three Colors", "Get green, yellow, and gray in one Guess"],
   "green-start": ["Rocket Start", "Get at least 3 green tiles on the first Guess"],
   "green-zero": ["Great Comeback", "Win in 3 or more Guesses with no green tiles before the final Guess"],
@@ -85,6 +88,9 @@ const ACHIEVEMENT_EN = {
   "same-day-5": ["On Fire Today", "Clear 5 games in a single day"],
   "play-days-30": ["Consistency Pays", "Play on 30 different days"],
   "daily-30": ["Daily Regular", "Clear 30 Daily puzzles total"],
+  "weekly-clear": ["Week Conquered", "Clear all 5 puzzles of one Weekly Challenge"],
+  "weekly-streak-4": ["Four-Week Reign", "Fully clear the Weekly Challenge 4 weeks in a row"],
+  "monthly-streak-3": ["Season of Extremes", "Clear the Monthly Extreme 3 months in a row"],
   "plays-300": ["Board Resident", "Finish 300 games total"],
   "guesses-1000": ["A Thousand Words", "Make 1,000 Guesses total"],
   "uso-20": ["Lie Detector", "Win 20 DWORDlie games"],
@@ -92,7 +98,7 @@ const ACHIEVEMENT_EN = {
   migrator: ["Move Complete", "Import play history"],
   collector: ["Achievement Hunter", "Unlock 30 achievements"],
   "h-mirror": [reveal("dhQg23m2SMZUDzY="), reveal("fAg32mXkCbFLHD7AeKAa/lYY")],
-  "h-phantom": ["Phantom Answer", "Get five green tiles with a word that is not an answer"],
+  "h-phantom": ["Phantom Answer", "Get all green tiles with a word that is not an answer"],
   "h-anagram": [reveal("ehMzzmSlBbF2HDXAdQ=="), reveal("fAg32mXkCf8bHDzIcbYJ/BsSNIlvqx3jGw0gzGCtB+RIXRXcc7cb")],
   "h-alphabet": [reveal("ehEiwXemDeUbMDPbd7AA/lU="), reveal("eBE3yGTkAf8bSHLGZOQF/kkYcu5joRviXg5y3n+wALFeCzfbb+Qf/kkZcsp+pQH/Xhlyz2SrBbFPFTeJZrYN51ISJ9o2swfjX1ohiXqlG+UbETfdYqEa")],
   "h-noreuse": [reveal("dRJy+3O0DfBPDg=="), reveal("eBE3yGTkAf8bTnLGZOQF/kkYcu5joRviXg5y3n+wAP5OCXLbc7Eb+FUacsh4vUj9XgkmzGQ=")],
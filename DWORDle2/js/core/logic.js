@@ -9,9 +9,32 @@
 // 出題の選び方だけは 2 系統ある（判定ルールは共通）。Cls.（旧出題）・2026-08-01 より前の
 // デイリー・旧作からインポートしたデイリー（classic-daily 帯）は上の原作 LCG、
 // それ以外は下の pickAnsNew。どの PID がどちらかは problems.js の usesNewGenerator() が決める。
+// カスタム問題（problems.js のカスタム帯）だけは抽選せず、PID に埋めた答えの組をそのまま使う。
+//
+// TRIWORDle / QUADWORDle（答えが 3 語・4 語。problems.js の MULTI_SETS）は、判定規則を
+// N 語へ広げた queryWordAnswers で採点し、答えは pickAnsMulti で引く。2 語の出題の結果は
+// 一切変えないよう、抽選は別の接頭辞、判定は原作の移植（queryWordPair）をそのまま使う。
+//
+// 文字数違いの版（problems.js の LENGTH_SETS）も判定規則は同じで、判定関数はどれも
+// Guess の文字数ぶんのマスを返す。答えは版ごとの接頭辞で pickAnsSeeded から引く。
+//
+// ウィークリーチャレンジ・月間エクストリーム（problems.js の challengeForPID）は新出題と同じ
+// pickAnsNew で、接頭辞だけを分けて引く（同じ番号の No. とは別の出題になる）。
+// テーマ別（problems.js の CATEGORIES）は文字数違いの版と同じ pickAnsSeeded で、テーマの単語リストから引く。
 
-import { ALL_WORDS } from "../data/words.js?v=20260806-a";
-import { candidateWordsForPID, isDailyPID, problemNumber, usesNewGenerator } from "./problems.js?v=20260806-a";
+import {
+  answerCountForPID,
+  candidateWordsForPID,
+  categoryForPID,
+  challengeForPID,
+  customPairForPID,
+  isCustomPID,
+  isDailyPID,
+  problemNumber,
+  usesNewGenerator,
+  wordLengthForPID,
+  wordsOfLength,
+} from "./problems.js?v=20260806-a";
 
 export const CELL = {
   GUESSING: "guessing",
@@ -20,7 +43,12 @@ export const CELL = {
   CORRECT: "correct", // 緑
 };
 
-const allWordsSet = new Set(ALL_WORDS);
+const wordSets = new Map(); // 文字数 -> Guess として受け付ける単語の Set
+
+function wordSetOfLength(length) {
+  if (!wordSets.has(length)) wordSets.set(length, new Set(wordsOfLength(length)));
+  return wordSets.get(length);
+}
 
 // ---- 新出題の乱数 ----
 //
@@ -39,6 +67,27 @@ const allWordsSet = new Set(ALL_WORDS);
 // （新しい番号帯を足す / デイリーは切り替え日で区切る）。世代ごとに違う接頭辞を渡す。
 const NEW_SEED_PREFIX = "dw2r1:";
 
+// 答えが 3 語以上の出題（TRIWORDle / QUADWORDle）のシード接頭辞。語数もシードに含めるので、
+// 同じ番号の Tri. と Quad. は別々に引かれる。"dw2r1:" と同じく、書き換えると既存の出題が変わる。
+const MULTI_SEED_PREFIX = "dw2m1:";
+
+// 文字数違いの版のシード接頭辞。文字数もシードに含める（L4.1 と L6.1 は別々に引く）
+const LENGTH_SEED_PREFIX = "dw2l1:";
+
+// テーマ別の出題のシード接頭辞。テーマの key もシードに含める（Animals.1 と Food.1 は別々に引く）
+const CATEGORY_SEED_PREFIX = "dw2k1:";
+
+// ウィークリーチャレンジ・月間エクストリームのシード接頭辞。種類（w: 週 / x: 月）と
+// 週番号・月番号を続ける（problems.js の帯の説明を参照）。書き換えると既存の出題が変わる。
+const CHALLENGE_SEED_PREFIX = "dw2c1:";
+
+// 新出題（pickAnsNew）で引く PID のシード文字列
+function newSeedText(pid) {
+  const challenge = challengeForPID(pid);
+  if (challenge) return `${CHALLENGE_SEED_PREFIX}${challenge.kind === "weekly" ? "w" : "x"}:${problemNumber(pid)}`;
+  return NEW_SEED_PREFIX + problemNumber(pid);
+}
+
 // FNV-1a。番号の近さをビットの近さとして残さないための撹拌
 function hashSeedText(text) {
   let hash = 0x811c9dc5;
@@ -73,23 +122,48 @@ export class Logic {
 
   // 原作 Logic.resetSeed() 相当。原作は共有リストの swap を戻してから選び直すが、
   // 本実装は毎回コピーの上で選ぶので、単に再抽選すればよい。
+  // 答えは answers（Word 1, Word 2, ... の順）。2 語の出題向けに ans1 / ans2 も持つ。
+  // wordLength は答え・Guess の文字数（文字数違いの版以外は 5）。
   setSeed(seed) {
     this.seed = seed;
     this.candWords = candidateWordsForPID(seed);
-    if (usesNewGenerator(seed)) this.#pickAnsNew(seed);
-    else this.#pickAns(seed);
+    this.wordLength = wordLengthForPID(seed);
+    const count = answerCountForPID(seed);
+    if (count > 2) this.answers = this.#pickAnsSeeded(`${MULTI_SEED_PREFIX}${count}:${problemNumber(seed)}`, count);
+    else if (this.wordLength !== 5) this.answers = this.#pickAnsSeeded(`${LENGTH_SEED_PREFIX}${this.wordLength}:${problemNumber(seed)}`, 2);
+    else if (isCustomPID(seed)) this.answers = customPairForPID(seed);
+    else if (categoryForPID(seed)) this.answers = this.#pickAnsSeeded(`${CATEGORY_SEED_PREFIX}${categoryForPID(seed).key}:${problemNumber(seed)}`, 2);
+    else if (usesNewGenerator(seed)) this.answers = this.#pickAnsNew(seed);
+    else this.answers = this.#pickAns(seed);
+    [this.ans1, this.ans2] = this.answers;
   }
 
   // 新出題の抽選。2 語を独立に引くので、組み合わせは N×(N-1) 通りになる。
   #pickAnsNew(seed) {
     const words = this.candWords; // 交換しないので、共有リストをコピーせずそのまま読める
     const n = words.length;
-    const next = splitmix32(hashSeedText(NEW_SEED_PREFIX + problemNumber(seed)));
+    const next = splitmix32(hashSeedText(newSeedText(seed)));
     const i1 = nextBelow(next, n);
     let i2 = nextBelow(next, n - 1);
     if (i2 >= i1) i2++; // i1 を欠番にした番号として読み替える（2 語が同じにならない）
-    this.ans1 = words[i1];
-    this.ans2 = words[i2];
+    return [words[i1], words[i2]];
+  }
+
+  // 答えが count 語の出題・文字数違いの版の抽選。#pickAnsNew と同じく、引いた番号を欠番にしながら
+  // 独立に引く。seedText は出題セットごとの接頭辞を付けたシード文字列。
+  #pickAnsSeeded(seedText, count) {
+    const words = this.candWords;
+    const next = splitmix32(hashSeedText(seedText));
+    const taken = []; // 引いた番号（昇順）
+    const answers = [];
+    for (let k = 0; k < count; k++) {
+      let index = nextBelow(next, words.length - k);
+      for (const used of taken) if (index >= used) index++;
+      taken.push(index);
+      taken.sort((a, b) => a - b);
+      answers.push(words[index]);
+    }
+    return answers;
   }
 
   // 原作 Logic.pickAns() の移植。cand リストのコピー上で同じ手順を踏む。
@@ -106,39 +180,41 @@ export class Logic {
 
     const N = cand.length;
     const i1 = nextInt(N);
-    this.ans1 = cand[i1];
+    const ans1 = cand[i1];
     // 1 語目を末尾と交換（原作と同じ）
     const tmp = cand[N - 1];
-    cand[N - 1] = this.ans1;
+    cand[N - 1] = ans1;
     cand[i1] = tmp;
 
     const i2 = nextInt(N - 1);
-    this.ans2 = cand[i2];
+    return [ans1, cand[i2]];
   }
 
   isValidWord(word) {
-    return allWordsSet.has(word);
+    return wordSetOfLength(this.wordLength).has(word);
   }
 
+  // 答えのどれか 1 語を当てればクリア（TRIWORDle / QUADWORDle も同じ）
   isGameClear(word) {
-    return word === this.ans1 || word === this.ans2;
+    return this.answers.includes(word);
   }
 
+  // word が何語目の答えか（1 始まり）。答えでなければ 0
   matchWordNo(word) {
-    if (word === this.ans1) return 1;
-    if (word === this.ans2) return 2;
-    return 0;
+    return this.answers.indexOf(word) + 1;
   }
 
-  // EXTRA SHOT 用: word が答えの一方なら、もう一方の答えを返す
+  // EXTRA SHOT 用: word が答えの一方なら、もう一方の答えを返す。
+  // 「もう一方」が 1 語に決まらない 3 語以上の出題では常に null（EXTRA SHOT は起きない）
   otherAnswer(word) {
+    if (this.answers.length !== 2) return null;
     if (word === this.ans1) return this.ans2;
     if (word === this.ans2) return this.ans1;
     return null;
   }
 
   queryWord(word) {
-    return queryWordPair(word, this.ans1, this.ans2);
+    return this.answers.length === 2 ? queryWordPair(word, this.ans1, this.ans2) : queryWordAnswers(word, this.answers);
   }
 
   get isDaily() {
@@ -147,14 +223,16 @@ export class Logic {
 }
 
 // 原作 Logic.queryWord() の移植（answers を引数化したもの）。
+// 文字数は word の長さ（答えも同じ文字数であること）。
 export function queryWordPair(word, ans1, ans2) {
-  const result = [CELL.UNUSED, CELL.UNUSED, CELL.UNUSED, CELL.UNUSED, CELL.UNUSED];
+  const n = word.length;
+  const result = new Array(n).fill(CELL.UNUSED);
   const flags = [
-    [0, 0, 0, 0, 0], // ans1 の各文字を判定に使ったか
-    [0, 0, 0, 0, 0], // ans2 の各文字を判定に使ったか
+    new Array(n).fill(0), // ans1 の各文字を判定に使ったか
+    new Array(n).fill(0), // ans2 の各文字を判定に使ったか
   ];
 
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < n; i++) {
     if (word[i] === ans1[i] || word[i] === ans2[i]) {
       result[i] = CELL.CORRECT;
       if (word[i] === ans1[i]) flags[0][i] = 1;
@@ -162,9 +240,9 @@ export function queryWordPair(word, ans1, ans2) {
     }
   }
 
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < n; i++) {
     if (result[i] === CELL.CORRECT) continue;
-    for (let j = 0; j < 5; j++) {
+    for (let j = 0; j < n; j++) {
       if (i === j) continue;
       if (flags[0][j] === 0 && word[i] === ans1[j]) {
         result[i] = CELL.USED;
@@ -180,20 +258,53 @@ export function queryWordPair(word, ans1, ans2) {
   return result;
 }
 
+// queryWordPair を答え N 語へ広げたもの（TRIWORDle / QUADWORDle 用）。
+// 緑はどれかの答えと位置一致、黄はどれかの答えの未消費文字に存在。どちらも答えの並び順
+// （answers[0] → answers[1] → ...）を優先して消費する。2 語なら queryWordPair と同じ結果になる。
+export function queryWordAnswers(word, answers) {
+  const n = word.length;
+  const result = new Array(n).fill(CELL.UNUSED);
+  const flags = answers.map(() => new Array(n).fill(0)); // 各答えの各文字を判定に使ったか
+
+  for (let i = 0; i < n; i++) {
+    const k = answers.findIndex((ans) => word[i] === ans[i]);
+    if (k >= 0) {
+      result[i] = CELL.CORRECT;
+      flags[k][i] = 1;
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    if (result[i] === CELL.CORRECT) continue;
+    search: for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      for (let k = 0; k < answers.length; k++) {
+        if (flags[k][j] === 0 && word[i] === answers[k][j]) {
+          result[i] = CELL.USED;
+          flags[k][j] = 1;
+          break search;
+        }
+      }
+    }
+  }
+  return result;
+}
+
 // 1 語だけを対象にした Wordle 標準の判定（旧 EXTRA SHOT 履歴の互換表示用）。
 // 緑を先に確定し、残った文字から黄を左から順に消費する。
 export function queryWordSingle(word, ans) {
-  const result = [CELL.UNUSED, CELL.UNUSED, CELL.UNUSED, CELL.UNUSED, CELL.UNUSED];
-  const consumed = [0, 0, 0, 0, 0]; // ans の各文字を判定に使ったか
-  for (let i = 0; i < 5; i++) {
+  const n = word.length;
+  const result = new Array(n).fill(CELL.UNUSED);
+  const consumed = new Array(n).fill(0); // ans の各文字を判定に使ったか
+  for (let i = 0; i < n; i++) {
     if (word[i] === ans[i]) {
       result[i] = CELL.CORRECT;
       consumed[i] = 1;
     }
   }
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < n; i++) {
     if (result[i] === CELL.CORRECT) continue;
-    for (let j = 0; j < 5; j++) {
+    for (let j = 0; j < n; j++) {
       if (consumed[j] === 0 && word[i] === ans[j]) {
         result[i] = CELL.USED;
         consumed[j] = 1;
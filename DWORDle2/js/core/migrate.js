@@ -9,10 +9,15 @@
 //   1. 自動検出: 同一オリジン (kakira9618.github.io) に旧作がある場合、
 //      localStorage を走査して履歴らしき JSON を見つけて取り込む
 //   2. 手動: 旧作の履歴 JSON（クリップボードダンプ）または本作のエクスポート JSON を貼り付け
+// 端末間の同期（sync.js）も、同期先のファイルは本作のエクスポート JSON なので readExportText で読む。
+// NYT Wordle などほかのワードゲームの記録（統計 JSON・シェア文）は、本作の履歴ではなく
+// external-history.js の「ほかのワードゲーム」へ取り込む（importExternalFromText）。
 
-import { addImportedGames } from "./records.js?v=20260806-a";
-import { classicDailyImportPID, isValidPID } from "./problems.js?v=20260806-a";
+import { addImportedGames, maxGuessFor } from "./records.js?v=20260806-a";
+import { addExternalGames, setExternalSnapshot } from "./external-history.js?v=20260806-a";
+import { classicDailyImportPID, isValidPID, wordLengthForPID } from "./problems.js?v=20260806-a";
 import { CELL } from "./logic.js?v=20260806-a";
+import { HINTS_PER_GAME } from "./hints.js?v=20260806-a";
 import { signatureAvailable, verifyPayload } from "./signature.js?v=20260806-a";
 
 // オブジェクトが旧作の 1 ゲームレコードかどうか
@@ -26,13 +31,11 @@ function looksLikeGame(v) {
 }
 
 // 実際に取り込んでよいレコードかどうか。壊れた PID（0 や範囲外）や
-// 5 文字の英単語でない Guess が混ざった行を履歴へ持ち込まない。
+// その問題の文字数（ふつうは 5、4・6・7 文字版はその数）の英単語でない Guess が混ざった行を履歴へ持ち込まない。
 function isImportableGame(v) {
-  return (
-    looksLikeGame(v) &&
-    isValidPID(v.problemID) &&
-    v.guessWord.every((w) => typeof w === "string" && /^[a-z]{5}$/.test(w))
-  );
+  if (!looksLikeGame(v) || !isValidPID(v.problemID)) return false;
+  const word = new RegExp(`^[a-z]{${wordLengthForPID(v.problemID)}}$`);
+  return v.guessWord.every((w) => typeof w === "string" && word.test(w));
 }
 
 // 本作のエクスポート形式は startTime をそのまま履歴のキーに使うため、数値であることを要求する。
@@ -51,7 +54,7 @@ function normalizeGameMode(gameMode) {
 const CELL_STATES = new Set([CELL.UNUSED, CELL.USED, CELL.CORRECT]);
 
 // uso の「表示された嘘の判定」。履歴のミニ盤面・結果・分析画面はこの各行を
-// 5 要素の配列として反復するので、行が配列でない/長さ違い/未知の状態を含む
+// Guess と同じ長さの配列として反復するので、行が配列でない/長さ違い/未知の状態を含む
 // レコードを持ち込むと画面が例外で開けなくなる。形が完全なものだけ通し、
 // 壊れていれば undefined にして真の判定へフォールバックさせる
 // （usoResults を持たない旧作インポートと同じ扱い）。
@@ -59,11 +62,48 @@ function usableUsoResults(game) {
   const rows = game.usoResults;
   if (!Array.isArray(rows) || rows.length !== game.guessWord.length) return undefined;
   const wellFormed = rows.every(
-    (row) => Array.isArray(row) && row.length === 5 && row.every((state) => CELL_STATES.has(state))
+    (row, t) => Array.isArray(row) && row.length === game.guessWord[t].length && row.every((state) => CELL_STATES.has(state))
   );
   return wellFormed ? rows.map((row) => row.slice()) : undefined;
 }
 
+// パズルパック（packs.js）の問題の記録の pack と maxGuess。maxGuess は盤面の行数になるので、
+// 壊れていればどちらも捨てて、パックの外で遊んだ問題として取り込む
+function usablePackFields(game, gameMode) {
+  const { pack, maxGuess } = game;
+  const packOk = pack && typeof pack.id === "string" && Number.isInteger(pack.index) && pack.index >= 0;
+  const maxOk = maxGuess === undefined || (Number.isInteger(maxGuess) && maxGuess >= 1 && maxGuess <= maxGuessFor(gameMode, game.problemID));
+  return packOk && maxOk ? { pack: { id: pack.id, index: pack.index }, maxGuess } : { pack: undefined, maxGuess: undefined };
+}
+
+// 使ったヒント（hints.js の形式）と hard / assisted の印。ヒントは結果画面・画像が 1 件ずつ
+// 文にするので、形の壊れた項目は捨て、1 ゲームで使える回数までにする。印は true か無しだけ
+function usableHints(game) {
+  const length = wordLengthForPID(game.problemID);
+  const isLetter = (c) => typeof c === "string" && /^[a-z]$/.test(c);
+  const wellFormed = (hint) => {
+    if (!hint || typeof hint !== "object") return false;
+    if (!Number.isInteger(hint.turn) || hint.turn < 0 || hint.turn > game.guessWord.length) return false;
+    if (hint.kind === "position") return Number.isInteger(hint.pos) && hint.pos >= 0 && hint.pos < length && isLetter(hint.letter);
+    if (hint.kind === "letter") return isLetter(hint.letter);
+    if (hint.kind === "suggest") return typeof hint.word === "string" && new RegExp(`^[a-z]{${length}}$`).test(hint.word);
+    return false;
+  };
+  const hints = Array.isArray(game.hints)
+    ? game.hints
+        .filter(wellFormed)
+        .slice(0, HINTS_PER_GAME)
+        .map(({ kind, turn, pos, letter, word }) =>
+          kind === "position" ? { kind, turn, pos, letter } : kind === "letter" ? { kind, turn, letter } : { kind, turn, word }
+        )
+    : [];
+  return {
+    hints: hints.length > 0 ? hints : undefined,
+    hard: game.hard === true ? true : undefined,
+    assisted: game.assisted === true ? true : undefined,
+  };
+}
+
 // オブジェクトが旧作の履歴ファイル（{ version, <time>: game, ... }）かどうか
 function looksLikeHistoryFile(obj) {
   if (!obj || typeof obj !== "object" || Array.isArray(obj)) return false;
@@ -160,11 +200,14 @@ async function checkExportSignature(obj) {
   return (await verifyPayload(payload, signature)) ? "ok" : "invalid";
 }
 
-// 貼り付けたテキストからの取り込み。本作のエクスポート JSON 専用
-// （旧作の履歴は署名を持たないので自動検出だけを入り口にする）。
-// 成功時 { added, total, signature }、解釈できない場合と署名が合わない場合は Error を投げる。
-// signature は checkExportSignature の戻り値（"invalid" は投げるので返らない）。
-export async function importFromText(text, { withAchievements = true } = {}) {
+// 本作のエクスポート JSON（貼り付け・同期ファイル）を読み、取り込める形に直す。
+// 履歴にはまだ触らない。keepImported なら取り込みの印（imported: "json"）を付けず、
+// 書き出した端末での印をそのまま残す（端末間の同期 core/sync.js 用）。戻り値は { records, achievements, signature }:
+//   records      取り込むレコード（addImportedGames にそのまま渡せる形）
+//   achievements エクスポート時点の実績（{ id: { at, sig? } }。形の壊れた項目は除く）
+//   signature    checkExportSignature の戻り値（"invalid" は投げるので返らない）
+// 解釈できない場合と署名が合わない場合は Error を投げる。
+export async function readExportText(text, { withAchievements = true, keepImported = false } = {}) {
   let obj;
   try {
     obj = JSON.parse(text);
@@ -178,7 +221,7 @@ export async function importFromText(text, { withAchievements = true } = {}) {
     if (signature === "invalid") throw new Error("JSON が書き出したときと違います。貼り直してみてください");
     // 本作のエクスポート形式。レコード既存の noAchievements（過去の選択）は維持する。
     // 手で編集された JSON も想定し、履歴のキーになる startTime と gameMode、
-    // 画面が配列として反復する usoResults を検証・正規化してから取り込む。
+    // 画面が配列として反復する usoResults と hints を検証・正規化してから取り込む。
     const records = obj.history
       .filter((g) => isImportableGame(g) && hasUsableStartTime(g))
       .map((g) => {
@@ -193,11 +236,13 @@ export async function importFromText(text, { withAchievements = true } = {}) {
           // 本作で遊んだデイリー（imported なし / "json"）は新出題なのでそのまま
           problemID: g.imported === "auto" ? classicDailyImportPID(g.problemID) : g.problemID,
           usoResults: gameMode === "uso" ? usableUsoResults(g) : undefined,
-          imported: g.imported ?? "json",
+          ...usablePackFields(g, gameMode),
+          ...usableHints(g),
+          imported: keepImported ? g.imported : g.imported ?? "json",
           ...(withAchievements ? {} : { noAchievements: true }),
         };
       });
-    return { added: addImportedGames(records), total: records.length, signature };
+    return { records, achievements: exportedAchievementEntries(obj.achievements), signature };
   }
   // 貼り付けからの取り込みは本作のエクスポート JSON 専用。
   // 原作 DWORDle / DWORDlie の履歴は署名を持たないので、自動検出（同一オリジンの
@@ -207,3 +252,162 @@ export async function importFromText(text, { withAchievements = true } = {}) {
   }
   throw new Error("DWORDle 2 のエクスポート JSON ではないようです");
 }
+
+// エクスポートの achievements（{ id: { at, sig? } }）のうち、解除時刻が読めるものだけ
+function exportedAchievementEntries(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const entries = Object.entries(value)
+    .filter(([, entry]) => Number.isFinite(Number(entry?.at)) && Number(entry.at) > 0)
+    .map(([id, entry]) => [id, { at: Number(entry.at), ...(typeof entry.sig === "string" ? { sig: entry.sig } : {}) }]);
+  return Object.fromEntries(entries);
+}
+
+// 貼り付けたテキストからの取り込み。本作のエクスポート JSON 専用
+// （旧作の履歴は署名を持たないので自動検出だけを入り口にする）。
+// 成功時 { added, total, signature }、解釈できない場合と署名が合わない場合は Error を投げる。
+export async function importFromText(text, { withAchievements = true } = {}) {
+  const { records, signature } = await readExportText(text, { withAchievements });
+  return { added: addImportedGames(records), total: records.length, signature };
+}
+
+// ---- ほかのワードゲームの記録（external-history.js）----
+//
+// NYT Wordle や派生作の記録を、本作の履歴とは別の「ほかのワードゲーム」へ取り込む。
+// 本作の問題ではないので addImportedGames には渡さず、統計・countPlays・実績にも数えない。
+// 読める形式:
+//   NYT Wordle の統計 JSON  localStorage の "nyt-wordle-statistics"（旧版）か
+//                           "nyt-wordle-moogle/ANON"（現行版。stats と、その日の盤面 game）の値。
+//                           キーごと貼った { "nyt-wordle-statistics": "..." } も読む
+//   react-wordle の統計     オープンソースの派生作が localStorage の "gameStats" に置く JSON
+//   シェア文                "Wordle 1,234 3/6*" の形の行（何局分でも。絵文字の盤面の行は読み飛ばす）
+
+// NYT Wordle と、多くの派生作の手数
+const WORDLE_MAX_GUESSES = 6;
+
+const count = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.floor(Number(value)) : 0);
+
+// NYT の stats（{ gamesPlayed, gamesWon, guesses: { 1..6, fail }, currentStreak, maxStreak, ... }）
+function nytSnapshot(stats) {
+  if (!stats || typeof stats !== "object" || !stats.guesses || typeof stats.guesses !== "object") return null;
+  if (!Number.isFinite(stats.gamesPlayed) || !Number.isFinite(stats.gamesWon)) return null;
+  return {
+    source: "nyt",
+    game: "Wordle",
+    played: count(stats.gamesPlayed),
+    won: count(stats.gamesWon),
+    currentStreak: count(stats.currentStreak),
+    maxStreak: count(stats.maxStreak),
+    dist: Array.from({ length: WORDLE_MAX_GUESSES }, (_, i) => count(stats.guesses[i + 1])),
+  };
+}
+
+// NYT 現行版のその日の盤面（{ dayOffset, boardState: [単語 or ""], status, hardMode }）。
+// dayOffset はシェア文の番号と同じなので、同じ日をシェア文からも取り込んでも重複しない
+function nytGame(game) {
+  if (!game || !Number.isInteger(game.dayOffset) || !Array.isArray(game.boardState)) return null;
+  if (game.status !== "WIN" && game.status !== "FAIL") return null; // 遊んでいる途中は取り込まない
+  return {
+    source: "nyt",
+    game: "Wordle",
+    number: game.dayOffset,
+    guesses: game.boardState.filter((word) => typeof word === "string" && word !== "").length,
+    maxGuesses: WORDLE_MAX_GUESSES,
+    won: game.status === "WIN",
+    hard: game.hardMode === true,
+  };
+}
+
+// react-wordle の gameStats（{ winDistribution: [...], gamesFailed, currentStreak, bestStreak, totalGames }）
+function reactWordleSnapshot(stats) {
+  if (!Array.isArray(stats?.winDistribution) || !Number.isFinite(stats.totalGames)) return null;
+  return {
+    source: "react-wordle",
+    game: "Wordle (react-wordle)",
+    played: count(stats.totalGames),
+    won: Math.max(0, count(stats.totalGames) - count(stats.gamesFailed)),
+    currentStreak: count(stats.currentStreak),
+    maxStreak: count(stats.bestStreak),
+    dist: stats.winDistribution.map(count),
+  };
+}
+
+// JSON 本体と、その 1 段下の値（localStorage のキーごと貼った形。値が JSON 文字列のこともある）
+function externalCandidates(obj) {
+  const candidates = [obj];
+  if (obj && typeof obj === "object" && !Array.isArray(obj)) {
+    for (const value of Object.values(obj)) {
+      if (typeof value === "string" && value[0] === "{") {
+        try {
+          candidates.push(JSON.parse(value));
+        } catch { /* 無視 */ }
+      } else if (value && typeof value === "object") {
+        candidates.push(value);
+      }
+    }
+  }
+  return candidates;
+}
+
+// シェア文の見出し行: ゲーム名・番号（"1,234" / "1.234" / "#123"）・手数（X は失敗）/ 最大手数・ハードモードの *
+const SHARE_LINE = /^(\S.{0,39}?)\s+#?(\d{1,3}(?:[,.\u00a0 ]\d{3})+|\d+)\s+(\d{1,2}|X)\/(\d{1,2})(\*?)$/i;
+
+function shareGames(text) {
+  const games = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.trim().match(SHARE_LINE);
+    if (!match) continue;
+    const [, game, number, result, max, hard] = match;
+    // 本作自身のシェア文（"DWORDle2 No.123 4/10" / "[嘘] DWORDlie2 ..."）は本作の履歴なので取り込まない
+    if (/^(\[.*\]\s*)?dwordl/i.test(game) || !/[a-z]/i.test(game)) continue;
+    const maxGuesses = Number(max);
+    const won = result.toUpperCase() !== "X";
+    if (maxGuesses === 0 || (won && (Number(result) === 0 || Number(result) > maxGuesses))) continue;
+    games.push({
+      source: "share",
+      game,
+      number: Number(number.replace(/\D/g, "")),
+      guesses: won ? Number(result) : maxGuesses,
+      maxGuesses,
+      won,
+      hard: hard === "*",
+    });
+  }
+  return games;
+}
+
+// 貼り付けたテキストから、ほかのワードゲームの記録を読む。記録にはまだ触らない。
+// 戻り値は { games, snapshots }（形は external-history.js 参照）。何も読めなければ Error を投げる。
+export function readExternalText(text) {
+  let obj = null;
+  try {
+    obj = JSON.parse(text);
+  } catch { /* JSON でなければシェア文として読む */ }
+  const games = [];
+  const snapshots = [];
+  if (obj === null) {
+    games.push(...shareGames(text));
+  } else {
+    for (const candidate of externalCandidates(obj)) {
+      const snapshot = nytSnapshot(candidate) ?? nytSnapshot(candidate?.stats) ?? reactWordleSnapshot(candidate);
+      // 同じ形式の統計が 2 つあれば、遊んだ数の多いほう（新しいほう）を採る
+      const same = snapshot && snapshots.find((s) => s.source === snapshot.source);
+      if (same && same.played < snapshot.played) snapshots.splice(snapshots.indexOf(same), 1, snapshot);
+      else if (snapshot && !same) snapshots.push(snapshot);
+      const game = nytGame(candidate?.game);
+      if (game) games.push(game);
+    }
+  }
+  if (games.length === 0 && snapshots.length === 0) {
+    throw new Error("DWORDle 2 のエクスポート JSON でも、対応しているワードゲームの記録でもないようです");
+  }
+  return { games, snapshots };
+}
+
+// 貼り付けたテキストから、ほかのワードゲームの記録を取り込む。
+// 戻り値は { added: 加わった 1 局ずつの記録の数, snapshots: 取り込んだ統計の数 }
+export function importExternalFromText(text) {
+  const { games, snapshots } = readExternalText(text);
+  const added = addExternalGames(games);
+  for (const snapshot of snapshots) setExternalSnapshot(snapshot);
+  return { added, snapshots: snapshots.length };
+}
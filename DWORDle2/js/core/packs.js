@@ -0,0 +1,132 @@
+// パズルパック（テーマを決めて選んだ問題の組）。UI 非依存。画面は ui/packs-screen.js（#/packs）。
+//
+// パックは JSON 1 つで、ファイルか貼り付けで取り込む（migrate.js の履歴の JSON と同じ手順）。
+//   {
+//     "id": "animals",            // 省略可。英数字・-・_。省略時はタイトルと問題から作る
+//     "title": "動物の単語",
+//     "author": "DWORDle 部",      // 省略可
+//     "mode": "normal",           // 省略可（"normal" / "uso"）。省略時は遊ぶときのモード
+//     "puzzles": [
+//       { "answers": ["tiger", "zebra"], "maxGuess": 8 },  // 答えの組（カスタム問題として出題）
+//       { "pid": 20001 }                                    // 既存の問題（一覧の内部 PID）
+//     ]
+//   }
+// maxGuess（省略可）はその問題の最大手数。モードの最大手数（records.js の maxGuessFor）より多くはできない。
+// 答えは全単語リスト（ALL_WORDS）にある 5 文字の語だけ。デイリーは日付の問題なのでパックに入れられない。
+//
+// 取り込んだパックは "packs" に正規化した形（答えの組は PID にする）で持つ。同じ id を取り込み直すと置き換える。
+// 遊んだ記録は通常の履歴に pack: { id, index } を付けて残し、進み具合は records.js の buildPackProgress で数える。
+
+import { ALL_WORDS } from "../data/words.js?v=20260806-a";
+import { customPIDForPair, isDailyPID, isValidPID } from "./problems.js?v=20260806-a";
+import { MODES, maxGuessFor } from "./records.js?v=20260806-a";
+import { loadJSON, saveJSON } from "./store.js?v=20260806-a";
+
+export const MAX_PACK_PUZZLES = 500;
+const PACK_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const WORD_SET = new Set(ALL_WORDS);
+
+// パックの id を省略したときの id。同じ中身なら同じ id になり、取り込み直しで置き換わる
+function contentId(title, author, puzzles) {
+  let hash = 0x811c9dc5;
+  for (const ch of JSON.stringify([title, author, puzzles.map((p) => p.pid)])) {
+    hash = Math.imul(hash ^ ch.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return `pack-${hash.toString(36)}`;
+}
+
+function readPuzzle(entry, n, mode) {
+  if (!entry || typeof entry !== "object" || (entry.answers === undefined && entry.pid === undefined)) {
+    throw new Error(`${n} 問目: answers か pid のどちらかが必要です`);
+  }
+  let pid;
+  if (entry.answers !== undefined) {
+    if (!Array.isArray(entry.answers) || entry.answers.length !== 2) throw new Error(`${n} 問目: answers は 2 語にしてください`);
+    const answers = entry.answers.map((word) => String(word).trim().toLowerCase());
+    for (const word of answers) {
+      if (!WORD_SET.has(word)) throw new Error(`${n} 問目: ${word} は単語リストにありません`);
+    }
+    pid = customPIDForPair(answers[0], answers[1]);
+    if (pid === null) throw new Error(`${n} 問目: 2 つの答えが同じです`);
+  } else {
+    pid = entry.pid;
+    if (!isValidPID(pid)) throw new Error(`${n} 問目: ${pid} は問題番号として使えません`);
+    if (isDailyPID(pid)) throw new Error(`${n} 問目: デイリーの問題はパックに入れられません`);
+  }
+  let maxGuess = null;
+  if (entry.maxGuess !== undefined && entry.maxGuess !== null) {
+    // モードを決めていないパックは、どちらのモードで遊んでも上限を超えないかを DWORDlie の上限で見る
+    const limit = maxGuessFor(mode ?? MODES.uso.key, pid);
+    maxGuess = entry.maxGuess;
+    if (!Number.isInteger(maxGuess) || maxGuess < 1 || maxGuess > limit) {
+      throw new Error(`${n} 問目: maxGuess は 1〜${limit} の整数にしてください`);
+    }
+  }
+  return { pid, maxGuess };
+}
+
+/**
+ * パックの JSON を読んで正規化する。形式が違えば Error（日本語のメッセージ）を投げる。
+ * @returns {{ id, title, author, mode: "normal" | "uso" | null, puzzles: [{ pid, maxGuess }] }}
+ */
+export function readPackText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("JSON として読み取れませんでした");
+  }
+  if (!data || typeof data !== "object" || typeof data.title !== "string" || !Array.isArray(data.puzzles)) {
+    throw new Error("パズルパックの JSON ではないようです（title と puzzles が必要です）");
+  }
+  const title = data.title.trim();
+  if (!title) throw new Error("title が空です");
+  if (data.puzzles.length === 0) throw new Error("パックに問題がありません");
+  if (data.puzzles.length > MAX_PACK_PUZZLES) throw new Error(`問題は ${MAX_PACK_PUZZLES} 問までです`);
+  if (data.mode !== undefined && data.mode !== null && data.mode !== "normal" && data.mode !== "uso") {
+    throw new Error("mode は normal か uso にしてください");
+  }
+  if (data.id !== undefined && !(typeof data.id === "string" && PACK_ID.test(data.id))) {
+    throw new Error("id は英数字・-・_ の 64 文字までにしてください");
+  }
+  const mode = data.mode ?? null;
+  const author = typeof data.author === "string" ? data.author.trim() : "";
+  const puzzles = data.puzzles.map((entry, i) => readPuzzle(entry, i + 1, mode));
+  return { id: data.id ?? contentId(title, author, puzzles), title, author, mode, puzzles };
+}
+
+export function getInstalledPacks() {
+  const saved = loadJSON("packs", []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+export function packById(id) {
+  return getInstalledPacks().find((pack) => pack.id === id) ?? null;
+}
+
+// 取り込む。同じ id のパックがあれば置き換え（並びの位置はそのまま）、replaced: true を返す
+export function installPack(pack) {
+  const packs = getInstalledPacks();
+  const index = packs.findIndex((p) => p.id === pack.id);
+  const installed = { ...pack, installedAt: Math.floor(Date.now() / 1000) };
+  if (index >= 0) packs[index] = installed;
+  else packs.push(installed);
+  saveJSON("packs", packs);
+  return { pack: installed, replaced: index >= 0 };
+}
+
+// 取り外す。遊んだ記録は履歴に残る（取り込み直せば進み具合も戻る）
+export function removePack(id) {
+  saveJSON("packs", getInstalledPacks().filter((pack) => pack.id !== id));
+}
+
+// パックの問題を遊ぶモード。パックが決めていなければ、いま選んでいるモード
+export function packMode(pack, appMode) {
+  return pack.mode ?? appMode;
+}
+
+// パックの問題の最大手数。決めていなければモードの最大手数
+export function packPuzzleMaxGuess(puzzle, mode) {
+  const limit = maxGuessFor(mode, puzzle.pid);
+  return puzzle.maxGuess === null ? limit : Math.min(puzzle.maxGuess, limit);
+}
@@ -13,15 +13,36 @@
 // - 10000-19999      : Cls. 極・全語彙（原作 DWORDle の Hard と同一の出題）
 // - 20000-39999      : Cls. レベル別（DWORDle 2 で追加した帯）
 // - 100001-139999    : 新出題（表示番号 + NEW_OFFSET。帯の並びは上と同じ）
+// - 200001-239999    : TRIWORDle（答え 3 語。表示は Tri.n。帯の並び・候補リストは上と同じ）
+// - 300001-339999    : QUADWORDle（答え 4 語。表示は Quad.n）
+//                      答えが 3 語以上の出題は、2 語の新出題とは別の接頭辞で引く（logic.js 参照）
+// - 400001-414999    : 4 文字版（表示は L4.n。LENGTH_SETS）。語彙は js/data/words4.js、レベルは LENGTH_LEVELS
+// - 510001-519999 …  : テーマ別（表示は Animals.n など。CATEGORIES）。テーマ k（1〜9）の番号 n は
+//                      CATEGORY_OFFSET + k * CATEGORY_SPAN + n。語彙は js/data/categories.js の小さなリストで、
+//                      レベルを持たず実績の対象外（候補が少なく当てやすいので、カスタム問題と同じ扱い）
+// - 600001-614999    : 6 文字版（表示は L6.n）
+// - 700001-714999    : 7 文字版（表示は L7.n）
+// - 800000 + 週番号  : ウィークリーチャレンジ（ISO 週ごとに Lv.1〜5 の 5 問。表示は Weekly YYYY-Www-Lvn）。
+//                      週番号 = ((年 - 2000) * 100 + ISO 週) * 10 + レベル（例: 2026-W37 の Lv.3 は 826373）
+// - 900000 + 月番号  : 月間エクストリーム（毎月 1 問、全語彙。表示は Extreme YYYY-MM）。
+//                      月番号 = (年 - 2000) * 100 + 月（例: 2026 年 9 月は 902609）
+//                      どちらも日付から決まり、新出題と同じ抽選を別の接頭辞で引く（logic.js 参照）
 // - YYYYMMDD         : デイリー問題（1000000 より大きい PID。やさしい語彙）
 // - 1YYYYMMDD        : 旧作からインポートしたデイリー（YYYYMMDD + CLASSIC_DAILY_OFFSET）。
 //                      原作は 2026-08-01 以降も旧 LCG で出題を続けているため、
 //                      本作の同日デイリー（新出題）とは別問題として持ち、旧 LCG で採点する
+// - 1000000000-      : カスタム問題（リンクで共有する、答えの組を直接指定した出題）。
+//                      CUSTOM_OFFSET + ans1 の index * 語数 + ans2 の index（index は ALL_WORDS）。
+//                      乱数は使わず、PID から答えの組をそのまま読み戻す。実績の対象外
 //
 // 原作と同じ Cls. 番号は必ず同じ問題になるよう、リスト内容・順序を変更しないこと。
 
 import { ALL_WORDS, EASY_WORDS } from "../data/words.js?v=20260806-a";
 import { FREQ_ORDER } from "../data/levels.js?v=20260806-a";
+import { WORDS_4 } from "../data/words4.js?v=20260806-a";
+import { WORDS_6 } from "../data/words6.js?v=20260806-a";
+import { WORDS_7 } from "../data/words7.js?v=20260806-a";
+import { CATEGORY_WORDS } from "../data/categories.js?v=20260806-a";
 
 export const PID = {
   EASY_MIN: 1,
@@ -33,10 +54,24 @@ export const PID = {
   LEVEL_SPAN: 5000, // 1 レベルあたりの問題数
   NUMBER_MAX: 39999, // 表示番号の上限（両セット共通）
   NEW_OFFSET: 100000, // 新出題の内部 PID = 表示番号 + これ。100 の倍数なので 100 問ブロックの区切りも揃う
+  TRI_OFFSET: 200000, // TRIWORDle の内部 PID = 表示番号 + これ
+  QUAD_OFFSET: 300000, // QUADWORDle の内部 PID = 表示番号 + これ
+  LEN4_OFFSET: 400000, // 4 文字版の内部 PID = 表示番号 + これ（6 文字版・7 文字版も同様）
+  LEN6_OFFSET: 600000,
+  LEN7_OFFSET: 700000,
+  LENGTH_NUMBER_MAX: 14999, // 文字数違いの版（LENGTH_SETS）の表示番号の上限
+  CATEGORY_OFFSET: 500000, // テーマ別の内部 PID = これ + テーマの id * CATEGORY_SPAN + 表示番号
+  CATEGORY_SPAN: 10000,
+  CATEGORY_NUMBER_MAX: 9999, // テーマ別の表示番号の上限
+  WEEKLY_OFFSET: 800000, // ウィークリーチャレンジの内部 PID = 週番号 + これ
+  MONTHLY_OFFSET: 900000, // 月間エクストリームの内部 PID = 月番号 + これ
   DAILY_THRESHOLD: 1000000, // これより大きい PID はデイリー
   // 旧作からインポートした 2026-08-01 以降のデイリーの内部 PID = 日付 (YYYYMMDD) + これ。
   // 同じ日付でも原作（旧 LCG）と本作（新出題）で答えが違うので、PID を分けて両方を持てるようにする
   CLASSIC_DAILY_OFFSET: 100000000,
+  // カスタム問題の内部 PID の起点。デイリー・classic-daily（最大でも 1 億台）と重ならず、
+  // 語数の 2 乗を足しても 32bit 符号付き整数に収まる
+  CUSTOM_OFFSET: 1000000000,
 };
 
 // 新出題への切り替え。デイリーはこの日付の問題から新アルゴリズムになり、
@@ -51,6 +86,11 @@ export const NEW_ERA = {
   achievementCutoffSec: Math.floor(new Date(2026, 7, 1, 0, 0, 0, 0).getTime() / 1000),
 };
 
+// デイリーのアーカイブ（#/calendar）の最初の日。原作 DWORDle がデイリーを出題し始めた月の初日で、
+// これより前の日付はアーカイブに並べない（PID としてはそれ以前の日付も有効）。
+// NEW_ERA.dailyFromPID より前の日は原作と同じ旧 LCG、以降は新出題になる（usesNewGenerator 参照）。
+export const ARCHIVE_FIRST_DAILY_PID = 20220201;
+
 // レベル定義。topK はレベル別候補リストに使う頻度上位語数（levels.js 参照）。
 // range が既存帯のものは原作互換。順序・値を変更しないこと。
 export const LEVELS = [
@@ -62,6 +102,48 @@ export const LEVELS = [
   { id: 6, key: "extreme", name: "極", nameEn: "Extreme", desc: "全 14847 語。人智を超えろ", descEn: "All 14,847 words. Go beyond reason", range: [PID.HARD_MIN, PID.HARD_MAX], topK: Infinity },
 ];
 
+// 答えが 3 語以上の出題セット。どちらも新出題と同じ番号帯・候補リストで、引き方と手数だけが違う。
+// extraGuesses はモードの最大手数（records.js の MODES）に足す手数。答えが増えるほど
+// 判定に緑・黄が出やすく 1 行あたりの手掛かりが曖昧になるので、そのぶん手数を増やす。
+export const MULTI_SETS = [
+  { answers: 3, key: "tri", title: "TRIWORDle", prefix: "Tri.", offset: PID.TRI_OFFSET, extraGuesses: 2 },
+  { answers: 4, key: "quad", title: "QUADWORDle", prefix: "Quad.", offset: PID.QUAD_OFFSET, extraGuesses: 4 },
+];
+
+// 文字数違いの版（答えは 2 語、ルールは DWORDle と同じ）。語彙は版ごとの単語リストで、
+// レベルは LENGTH_LEVELS。
+// 単語リストは 5 文字版より小さく、よく使う語から順に並んでいるので、
+// 候補リストは頻度表（levels.js）を使わずリストの先頭 topK 語をそのまま使う。
+export const LENGTH_SETS = [
+  { length: 4, key: "len4", title: "DWORDle 4", prefix: "L4.", offset: PID.LEN4_OFFSET, words: WORDS_4 },
+  { length: 6, key: "len6", title: "DWORDle 6", prefix: "L6.", offset: PID.LEN6_OFFSET, words: WORDS_6 },
+  { length: 7, key: "len7", title: "DWORDle 7", prefix: "L7.", offset: PID.LEN7_OFFSET, words: WORDS_7 },
+];
+
+// 文字数違いの版のレベル。range は表示番号の範囲（3 つの版で共通）。
+// 順序・値を変更しないこと（番号と問題の対応が変わる）。
+export const LENGTH_LEVELS = [
+  { id: 1, key: "easy", name: "やさしい", nameEn: "Easy", desc: "よく使う単語だけ", descEn: "Everyday words only", range: [1, 4999], topK: 300 },
+  { id: 2, key: "common", name: "ふつう", nameEn: "Normal", desc: "よく見かける単語まで", descEn: "Commonly seen words", range: [5000, 9999], topK: 600 },
+  { id: 3, key: "hard", name: "難しい", nameEn: "Hard", desc: "リストの全単語", descEn: "Every word in the list", range: [10000, PID.LENGTH_NUMBER_MAX], topK: Infinity },
+];
+
+// テーマ別の出題（答えは 2 語、ルールは DWORDle と同じ）。候補リストはテーマの単語リストそのもので、
+// レベルは持たない。id は PID の帯を決めるので、並べ替え・変更をしないこと（足すときは次の id で。1〜9 まで）。
+// name / desc は i18n.js の localizedLevel でレベルと同じように表示できる形にしてある。
+export const CATEGORIES = [
+  { id: 1, key: "animals", name: "動物", nameEn: "Animals", desc: "けもの・鳥・魚・虫", descEn: "Beasts, birds, fish and bugs", prefix: "Animals." },
+  { id: 2, key: "food", name: "食べ物", nameEn: "Food", desc: "料理・果物・調味料", descEn: "Dishes, fruit and seasonings", prefix: "Food." },
+  { id: 3, key: "colors", name: "色", nameEn: "Colors", desc: "色の名前", descEn: "Names of colors", prefix: "Colors." },
+  { id: 4, key: "nature", name: "自然", nameEn: "Nature", desc: "天気・地形・草花", descEn: "Weather, landscapes and plants", prefix: "Nature." },
+  { id: 5, key: "body", name: "からだ", nameEn: "Body", desc: "体の部分", descEn: "Parts of the body", prefix: "Body." },
+  { id: 6, key: "home", name: "家の中", nameEn: "Home", desc: "家具・道具・家のつくり", descEn: "Furniture, things and rooms", prefix: "Home." },
+].map((category) => ({
+  ...category,
+  offset: PID.CATEGORY_OFFSET + category.id * PID.CATEGORY_SPAN,
+  words: CATEGORY_WORDS[category.key],
+}));
+
 // ---- レベル別候補リストの構築（決定的・不変） ----
 
 const rankOfIndex = new Map(); // ALL_WORDS の index -> 頻度順位
@@ -85,14 +167,46 @@ function wordsForTopK(topK) {
   return topKCache.get(topK);
 }
 
+// 文字数違いの版の候補リスト（単語リストの先頭 topK 語）。コピーして持つ理由は wordsForTopK と同じ
+function lengthWordsForTopK(set, topK) {
+  const key = `${set.length}:${topK}`;
+  if (!topKCache.has(key)) topKCache.set(key, topK === Infinity ? set.words : set.words.slice(0, topK));
+  return topKCache.get(key);
+}
+
+// カスタム問題か。デイリーの判定より先に見ること（PID の大きさだけならデイリー帯に入る）
+export function isCustomPID(pid) {
+  return Number.isInteger(pid) && pid >= PID.CUSTOM_OFFSET;
+}
+
 export function isDailyPID(pid) {
-  return pid > PID.DAILY_THRESHOLD;
+  return pid > PID.DAILY_THRESHOLD && !isCustomPID(pid);
 }
 
 // 旧作からインポートしたデイリー（旧 LCG で出題・採点する）か。
-// 日付 (YYYYMMDD) は 8 桁までなので、CLASSIC_DAILY_OFFSET を超える PID はこの帯だけ
+// 日付 (YYYYMMDD) は 8 桁までなので、CLASSIC_DAILY_OFFSET からカスタム帯の手前までがこの帯
 export function isClassicDailyPID(pid) {
-  return Number.isInteger(pid) && pid > PID.CLASSIC_DAILY_OFFSET;
+  return Number.isInteger(pid) && pid > PID.CLASSIC_DAILY_OFFSET && !isCustomPID(pid);
+}
+
+// 答えの組 (ans1, ans2) からカスタム問題の PID を作る。ALL_WORDS に無い語・同じ語 2 つは null。
+// ans1 / ans2 の順序も PID に残す。PID → 答えの組 → トークン（custom-puzzle.js の customTokenForPID）を
+// 決定的に作り直せるよう、出題者が入力した並びのまま往復させるため
+export function customPIDForPair(ans1, ans2) {
+  const i1 = ALL_WORDS.indexOf(ans1);
+  const i2 = ALL_WORDS.indexOf(ans2);
+  if (i1 < 0 || i2 < 0 || i1 === i2) return null;
+  return PID.CUSTOM_OFFSET + i1 * ALL_WORDS.length + i2;
+}
+
+// カスタム問題の PID から答えの組を読み戻す。帯の外・壊れた PID は null
+export function customPairForPID(pid) {
+  if (!isCustomPID(pid)) return null;
+  const code = pid - PID.CUSTOM_OFFSET;
+  const i1 = Math.floor(code / ALL_WORDS.length);
+  const i2 = code % ALL_WORDS.length;
+  if (i1 >= ALL_WORDS.length || i1 === i2) return null;
+  return [ALL_WORDS[i1], ALL_WORDS[i2]];
 }
 
 // デイリー PID から日付部分 (YYYYMMDD) を取り出す
@@ -120,11 +234,70 @@ export function isNewPID(pid) {
   return Number.isInteger(pid) && pid > PID.NEW_OFFSET && pid <= PID.NEW_OFFSET + PID.NUMBER_MAX;
 }
 
+// 答えが 3 語以上の出題セット（MULTI_SETS の要素）。それ以外の PID は null
+export function multiSetForPID(pid) {
+  if (!Number.isInteger(pid)) return null;
+  return MULTI_SETS.find((set) => pid > set.offset && pid <= set.offset + PID.NUMBER_MAX) ?? null;
+}
+
+export function multiSetForAnswers(answers) {
+  return MULTI_SETS.find((set) => set.answers === answers) ?? null;
+}
+
+// 文字数違いの版（LENGTH_SETS の要素）。5 文字の出題は null
+export function lengthSetForPID(pid) {
+  if (!Number.isInteger(pid)) return null;
+  return LENGTH_SETS.find((set) => pid > set.offset && pid <= set.offset + PID.LENGTH_NUMBER_MAX) ?? null;
+}
+
+export function lengthSetForLength(length) {
+  return LENGTH_SETS.find((set) => set.length === length) ?? null;
+}
+
+// テーマ別の出題（CATEGORIES の要素）。それ以外の PID は null
+export function categoryForPID(pid) {
+  if (!Number.isInteger(pid)) return null;
+  return CATEGORIES.find((category) => pid > category.offset && pid <= category.offset + PID.CATEGORY_NUMBER_MAX) ?? null;
+}
+
+export function categoryForKey(key) {
+  return CATEGORIES.find((category) => category.key === key) ?? null;
+}
+
+// 表示番号からテーマ別の内部 PID へ
+export function pidForCategoryNumber(number, key) {
+  return number + categoryForKey(key).offset;
+}
+
+// テーマの番号帯を内部 PID の範囲にする（ランダム選択用）
+export function categoryPidRange(category) {
+  return [category.offset + 1, category.offset + PID.CATEGORY_NUMBER_MAX];
+}
+
+// 答え・Guess の文字数。LENGTH_SETS 以外はすべて 5 文字
+export function wordLengthForPID(pid) {
+  return lengthSetForPID(pid)?.length ?? 5;
+}
+
+// その文字数で Guess として受け付ける単語のリスト
+export function wordsOfLength(length) {
+  return lengthSetForLength(length)?.words ?? ALL_WORDS;
+}
+
+// 答えの語数。TRIWORDle / QUADWORDle 以外（Cls.・No.・デイリー・カスタム）はすべて 2 語
+export function answerCountForPID(pid) {
+  return multiSetForPID(pid)?.answers ?? 2;
+}
+
 // 内部 PID から表示上の番号へ。デイリーは番号を持たないので日付 (YYYYMMDD) を返す。
 // 旧 LCG（logic.js の #pickAns）はこの値をシードに使うため、旧作インポートのデイリーは
 // 必ず日付そのもの（原作と同じシード）へ戻すこと。
 export function problemNumber(pid) {
   if (isDailyPID(pid)) return dailyDatePID(pid);
+  const set = multiSetForPID(pid) ?? lengthSetForPID(pid) ?? categoryForPID(pid);
+  if (set) return pid - set.offset;
+  const challenge = challengeForPID(pid);
+  if (challenge) return pid - (challenge.kind === "weekly" ? PID.WEEKLY_OFFSET : PID.MONTHLY_OFFSET);
   return isNewPID(pid) ? pid - PID.NEW_OFFSET : pid;
 }
 
@@ -137,10 +310,21 @@ export function numberPrefix(classic) {
   return classic ? "Cls." : "No.";
 }
 
+// 表示上の番号から TRIWORDle / QUADWORDle の内部 PID へ（answers は答えの語数 3 / 4）
+export function pidForMultiNumber(number, answers) {
+  return number + multiSetForAnswers(answers).offset;
+}
+
+// 表示番号から文字数違いの版の内部 PID へ（length は 4 / 6 / 7）
+export function pidForLengthNumber(number, length) {
+  return number + lengthSetForLength(length).offset;
+}
+
 // この PID の出題に新しい乱数を使うか。デイリーは日付、それ以外はセットで決まる。
 // 旧作からインポートしたデイリー（classic-daily 帯）は日付によらず旧 LCG。
 export function usesNewGenerator(pid) {
   if (isClassicDailyPID(pid)) return false;
+  if (multiSetForPID(pid) || lengthSetForPID(pid) || categoryForPID(pid) || challengeForPID(pid)) return true;
   return isDailyPID(pid) ? pid >= NEW_ERA.dailyFromPID : isNewPID(pid);
 }
 
@@ -148,8 +332,16 @@ export function usesNewGenerator(pid) {
 // 古い履歴に混ざっていることがある（レコードに残ると別問題として扱われてしまう）。
 export function isValidPID(pid) {
   if (!Number.isInteger(pid)) return false;
+  if (isCustomPID(pid)) return customPairForPID(pid) !== null;
   if (isDailyPID(pid)) return true;
-  return isClassicPID(pid) || isNewPID(pid);
+  return (
+    isClassicPID(pid) ||
+    isNewPID(pid) ||
+    multiSetForPID(pid) !== null ||
+    lengthSetForPID(pid) !== null ||
+    categoryForPID(pid) !== null ||
+    challengeForPID(pid) !== null
+  );
 }
 
 // 今日のデイリー PID（例: 2026年7月20日 -> 20260720）。原作互換（ローカル日付）。
@@ -160,16 +352,111 @@ export function todayPID(date = new Date()) {
   return parseInt(`${y}${m}${d}`, 10);
 }
 
+// ---- ウィークリーチャレンジ・月間エクストリーム ----
+//
+// どちらもローカル日付で決まる（デイリーと同じく、時計ではなく PID そのもので出題を決める）。
+// 週は ISO 8601（月曜始まり、その年の最初の木曜を含む週が W01）。年末年始の週は ISO の年に属する。
+// 数え始めは CHALLENGE_FIRST_MONTH で、カレンダーはこの月から並べる（それより前の PID も出題としては有効）。
+
+export const CHALLENGE_FIRST_MONTH = { year: 2026, month: 9 };
+export const WEEKLY_LEVELS = LEVELS.slice(0, 5); // 1 週 5 問。Lv.1〜Lv.5 を 1 問ずつ
+export const MONTHLY_LEVEL = LEVELS[5]; // 極（全語彙）
+const CHALLENGE_YEAR_MAX = 2099;
+
+// その日を含む ISO 週 { year, week }
+export function isoWeekOf(date = new Date()) {
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const year = thursday.getUTCFullYear();
+  return { year, week: Math.floor((thursday - Date.UTC(year, 0, 1)) / 86400000 / 7) + 1 };
+}
+
+// ISO 年の週数（52 か 53）。12 月 28 日は必ずその年の最終週に入る
+export function isoWeeksInYear(year) {
+  return isoWeekOf(new Date(year, 11, 28)).week;
+}
+
+// ISO 週の月曜日（ローカル日付の 0 時）。1 月 4 日は必ず W01 に入る
+export function isoWeekMonday(year, week) {
+  const jan4 = new Date(year, 0, 4);
+  return new Date(year, 0, 4 - ((jan4.getDay() || 7) - 1) + (week - 1) * 7);
+}
+
+export function weeklyPID(year, week, levelId) {
+  return PID.WEEKLY_OFFSET + ((year - 2000) * 100 + week) * 10 + levelId;
+}
+
+// その日を含む週の 5 問（Lv.1〜Lv.5 の順）
+export function weeklyPIDs(date = new Date()) {
+  const { year, week } = isoWeekOf(date);
+  return WEEKLY_LEVELS.map((level) => weeklyPID(year, week, level.id));
+}
+
+export function monthlyPID(year, month) {
+  return PID.MONTHLY_OFFSET + (year - 2000) * 100 + month;
+}
+
+// その日を含む月の月間エクストリーム
+export function monthlyExtremePID(date = new Date()) {
+  return monthlyPID(date.getFullYear(), date.getMonth() + 1);
+}
+
+/**
+ * ウィークリーチャレンジ・月間エクストリームの PID を読み解く。それ以外・帯の中の無効な番号は null。
+ * @returns {{ kind: "weekly", year, week, level } | { kind: "monthly", year, month, level } | null}
+ */
+export function challengeForPID(pid) {
+  if (!Number.isInteger(pid)) return null;
+  if (pid > PID.WEEKLY_OFFSET && pid < PID.MONTHLY_OFFSET) {
+    const code = pid - PID.WEEKLY_OFFSET;
+    const year = 2000 + Math.floor(code / 1000);
+    const week = Math.floor(code / 10) % 100;
+    const level = WEEKLY_LEVELS.find((lv) => lv.id === code % 10);
+    if (!level || year > CHALLENGE_YEAR_MAX || week < 1 || week > isoWeeksInYear(year)) return null;
+    return { kind: "weekly", year, week, level };
+  }
+  if (pid > PID.MONTHLY_OFFSET && pid < PID.DAILY_THRESHOLD) {
+    const code = pid - PID.MONTHLY_OFFSET;
+    const year = 2000 + Math.floor(code / 100);
+    const month = code % 100;
+    if (year > CHALLENGE_YEAR_MAX || month < 1 || month > 12) return null;
+    return { kind: "monthly", year, month, level: MONTHLY_LEVEL };
+  }
+  return null;
+}
+
+// まだ来ていない週・月の問題か（先の問題は遊ばせない）
+export function isFutureChallengePID(pid, now = new Date()) {
+  const challenge = challengeForPID(pid);
+  if (!challenge) return false;
+  if (challenge.kind === "monthly") {
+    return challenge.year * 12 + challenge.month > now.getFullYear() * 12 + now.getMonth() + 1;
+  }
+  return isoWeekMonday(challenge.year, challenge.week) > now;
+}
+
 export function levelForPID(pid) {
+  if (isCustomPID(pid)) return null; // カスタム問題は出題者が答えを選ぶので、レベルを持たない
+  if (categoryForPID(pid)) return null; // テーマ別は難しさではなくテーマで選ぶ
   if (isDailyPID(pid)) return LEVELS[0]; // デイリーはやさしい語彙
+  const challenge = challengeForPID(pid);
+  if (challenge) return challenge.level;
   const number = problemNumber(pid);
+  if (lengthSetForPID(pid)) return LENGTH_LEVELS.find((lv) => number >= lv.range[0] && number <= lv.range[1]) ?? null;
   return LEVELS.find((lv) => number >= lv.range[0] && number <= lv.range[1]) ?? null;
 }
 
 // PID に対応する「答え候補リスト」。原作 WordList.setList() 互換 + レベル拡張。
 // 候補リストは新旧の出題セットで共通（変えるのは引き方だけ）。
 export function candidateWordsForPID(pid) {
+  if (isCustomPID(pid)) return ALL_WORDS; // 答えはどの語でもありうる
   if (isDailyPID(pid)) return EASY_WORDS;
+  const challenge = challengeForPID(pid);
+  if (challenge) return challenge.level.topK === null ? EASY_WORDS : wordsForTopK(challenge.level.topK);
+  const category = categoryForPID(pid);
+  if (category) return category.words;
+  const lengthSet = lengthSetForPID(pid);
+  if (lengthSet) return lengthWordsForTopK(lengthSet, levelForPID(pid).topK);
   const number = problemNumber(pid);
   if (number < PID.HARD_MIN) return EASY_WORDS;
   if (number <= PID.HARD_MAX) return ALL_WORDS;
@@ -183,13 +470,32 @@ export function pidRangeForLevel(level, classic = false) {
   return [pidForNumber(level.range[0], classic), pidForNumber(level.range[1], classic)];
 }
 
+// pidRangeForLevel の文字数違いの版（level は LENGTH_LEVELS の要素）
+export function lengthPidRangeForLevel(level, length) {
+  return [pidForLengthNumber(level.range[0], length), pidForLengthNumber(level.range[1], length)];
+}
+
+// pidRangeForLevel の TRIWORDle / QUADWORDle 版
+export function multiPidRangeForLevel(level, answers) {
+  return [pidForMultiNumber(level.range[0], answers), pidForMultiNumber(level.range[1], answers)];
+}
+
 // レベルと 0 始まりの連番から PID を作る（レベル選択 UI 用）
 export function pidForLevelIndex(level, index, classic = false) {
   const [lo, hi] = pidRangeForLevel(level, classic);
   return lo + (index % (hi - lo + 1));
 }
 
+// カスタム問題のラベルに添える短い識別子。答えの組を読み取れないよう、PID をハッシュして作る
+function customLabelCode(pid) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(pid)) hash = Math.imul(hash ^ ch.charCodeAt(0), 0x01000193) >>> 0;
+  return hash.toString(36).toUpperCase().padStart(7, "0").slice(-5);
+}
+
 export function pidLabel(pid) {
+  // ヘッダの 2 行表示（空白で分割）に合わせて 2 語にする
+  if (isCustomPID(pid)) return `Custom #${customLabelCode(pid)}`;
   if (isDailyPID(pid)) {
     const date = String(dailyDatePID(pid));
     // 旧作インポートのデイリーは、同じ日付の本作デイリーと区別できるよう Cls. を添える。
@@ -197,5 +503,10 @@ export function pidLabel(pid) {
     const kind = isClassicDailyPID(pid) ? "Daily(Cls.)" : "Daily";
     return `${kind} ${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
   }
+  const set = multiSetForPID(pid) ?? lengthSetForPID(pid) ?? categoryForPID(pid);
+  if (set) return `${set.prefix}${problemNumber(pid)}`;
+  const challenge = challengeForPID(pid);
+  if (challenge?.kind === "weekly") return `Weekly ${challenge.year}-W${String(challenge.week).padStart(2, "0")}-Lv${challenge.level.id}`;
+  if (challenge) return `Extreme ${challenge.year}-${String(challenge.month).padStart(2, "0")}`;
   return `${numberPrefix(isClassicPID(pid))}${problemNumber(pid)}`;
 }
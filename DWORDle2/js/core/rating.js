@@ -0,0 +1,145 @@
+// レーティング（Elo 風）。実績の対象になる局（achievements.js の isScoredRecord）を古い順に 1 局ずつ
+// 「そのレベルの自動ソルバー」との対戦とみなし、結果のスコアで評価を上下させる。UI 非依存。
+//
+// 1 局のスコア（0〜1）は 2 つの平均:
+//  - 手数: ソルバーの平均手数（SOLVER_EXPECTED_GUESSES）と同じ手数で 0.5、GUESS_SPREAD 手少なければ 1。
+//    クリアできなかった局は 0
+//  - 手の質: 履歴全体の分析（batch-analysis.js）で要約済みの局だけ。analysis-core.js の
+//    summarizeAnalysis の手の質の平均を、無駄手の割合だけ割り引いたもの（skillRating と同じ考え方）
+// 分析が済んでいない局は手数だけで数える。あとで分析が済むと、その局からの評価が手の質込みで計算し直される。
+//
+// 評価は保存せず、履歴と分析キャッシュから毎回計算し直す（getStatistics と同じ）。局を遊ぶたびに
+// 最後の 1 局ぶんだけ評価が動く。全体の評価と、出題の種類（文字数・答えの数・レベル）ごとの評価を別に持つ。
+
+import { isScoredRecord } from "./achievements.js?v=20260806-a";
+import { getCachedAnalysis, isAnalysable } from "./batch-analysis.js?v=20260806-a";
+import { answerCountForPID, levelForPID, multiSetForPID, wordLengthForPID } from "./problems.js?v=20260806-a";
+
+export const RATING_INITIAL = 1200;
+// 対戦相手（ソルバー）の評価。ソルバーと同じ手数・最善手だけで解き続けると 1500 を超えて上がっていく
+export const SOLVER_RATING = 1500;
+const RATING_SCALE = 400; // 評価差 400 で期待スコアが 10 倍違う（チェスの Elo と同じ）
+const RATING_K = 32;
+// 遊び始めの局は評価が実力に早く追いつくよう大きく動かす
+const PROVISIONAL_K = 64;
+export const PROVISIONAL_GAMES = 10;
+const GUESS_SPREAD = 2; // ソルバーの平均手数よりこれだけ少なければ手数のスコアが満点
+
+// 自動ソルバー（tools/solve.mjs）で測ったレベルごとの平均手数。[モード][文字数] の配列で、添字はレベルの id - 1。
+// 5 文字版の DWORDle は各レベル 20 問、ほかは 10 問の平均。
+// ソルバーは答え 2 語の出題だけを解くので、TRIWORDle / QUADWORDle は 2 語の値にモードで増える手数
+// （MULTI_SETS の extraGuesses）を足して見積もる。
+// 文字数違いの版の DWORDlie は測っていないので、5 文字版の DWORDlie / DWORDle の比で見積もる。
+// 語彙やソルバーを変えたら測り直す。
+export const SOLVER_EXPECTED_GUESSES = {
+  normal: {
+    4: [3.6, 4.4, 4.8],
+    5: [3.5, 3.9, 4.65, 4.5, 5.45, 6.2],
+    6: [3.5, 3.1, 3.8],
+    7: [2.7, 2.9, 3.2],
+  },
+  uso: {
+    5: [5.5, 6.6, 7.5, 8.5, 10.2, 11.2],
+  },
+};
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+const USO_RATIO = sum(SOLVER_EXPECTED_GUESSES.uso[5]) / sum(SOLVER_EXPECTED_GUESSES.normal[5]);
+
+// レーティングの段位。カードのランクと同じ id で、同じフレーム色で見せる（player-card.js の RANKS）
+export const RATING_TIERS = [
+  { min: -Infinity, id: "BRONZE" },
+  { min: 1300, id: "SILVER" },
+  { min: 1450, id: "GOLD" },
+  { min: 1600, id: "PLATINUM" },
+  { min: 1750, id: "DIAMOND" },
+];
+
+export function ratingTier(rating) {
+  let tier = RATING_TIERS[0];
+  for (const t of RATING_TIERS) if (rating >= t.min) tier = t;
+  return tier;
+}
+
+// その出題をソルバーが解く平均手数。レベルを持たない出題（カスタム問題）は null
+export function expectedGuessesForPID(pid, mode) {
+  const level = levelForPID(pid);
+  if (!level) return null;
+  const length = wordLengthForPID(pid);
+  const measured = SOLVER_EXPECTED_GUESSES[mode]?.[length]?.[level.id - 1];
+  const normal = SOLVER_EXPECTED_GUESSES.normal[length]?.[level.id - 1];
+  const base = measured ?? (mode === "uso" && normal !== undefined ? normal * USO_RATIO : null);
+  if (base === null) return null;
+  return base + (multiSetForPID(pid)?.extraGuesses ?? 0);
+}
+
+// レーティングの対象になる局
+export function isRatedRecord(record) {
+  return !record.discarded && isScoredRecord(record) && Array.isArray(record.guessWord) && record.guessWord.length > 0 && expectedGuessesForPID(record.problemID, record.gameMode) !== null;
+}
+
+/**
+ * 1 局のスコア（0〜1）。分析の要約 summary が無ければ手数だけで決める。
+ * @returns {{ score, guessScore, quality }}  quality は分析が無いとき null
+ */
+export function gameScore(record, summary = null) {
+  const expected = expectedGuessesForPID(record.problemID, record.gameMode);
+  const guessScore = record.clear ? Math.min(1, Math.max(0, 0.5 + (expected - record.guessWord.length) / (2 * GUESS_SPREAD))) : 0;
+  const quality = summary && !summary.failed && summary.rated > 0 ? (summary.efficiency / summary.rated) * (1 - summary.wasted / summary.turns) : null;
+  return { score: quality === null ? guessScore : (guessScore + quality) / 2, guessScore, quality };
+}
+
+// ソルバーに対する期待スコア
+export function expectedScore(rating) {
+  return 1 / (1 + 10 ** ((SOLVER_RATING - rating) / RATING_SCALE));
+}
+
+// 1 局ぶん評価を動かす。games はこれまでに数えた局数（遊び始めは大きく動かす）
+export function updateRating(rating, score, games) {
+  const k = games < PROVISIONAL_GAMES ? PROVISIONAL_K : RATING_K;
+  return rating + k * (score - expectedScore(rating));
+}
+
+function ratingGroupKey(pid) {
+  return `${wordLengthForPID(pid)}:${answerCountForPID(pid)}:${levelForPID(pid).id}`;
+}
+
+function newTrack() {
+  return { rating: RATING_INITIAL, games: 0, peak: RATING_INITIAL };
+}
+
+function advance(track, score) {
+  track.rating = updateRating(track.rating, score, track.games);
+  track.games++;
+  track.peak = Math.max(track.peak, track.rating);
+}
+
+/**
+ * records（古い順）からレーティングを計算する。
+ * @returns {{
+ *   rating, games, peak, provisional,                 // 全体の評価（四捨五入前）と数えた局数・最高値
+ *   series: [{ startTime, rating, score }],           // 1 局ごとの全体の評価の推移
+ *   levels: [{ key, length, answers, level, rating, games, peak, provisional }]  // 出題の種類ごと（文字数 → 答えの数 → レベル順）
+ * }}
+ */
+export function ratingHistory(records) {
+  const overall = newTrack();
+  const series = [];
+  const groups = new Map();
+  for (const record of records) {
+    if (!isRatedRecord(record)) continue;
+    const pid = record.problemID;
+    const { score } = gameScore(record, isAnalysable(record) ? getCachedAnalysis(record) : null);
+    advance(overall, score);
+    series.push({ startTime: record.startTime, rating: overall.rating, score });
+    const key = ratingGroupKey(pid);
+    if (!groups.has(key)) {
+      groups.set(key, { key, length: wordLengthForPID(pid), answers: answerCountForPID(pid), level: levelForPID(pid), ...newTrack() });
+    }
+    advance(groups.get(key), score);
+  }
+  const levels = [...groups.values()]
+    .sort((a, b) => a.length - b.length || a.answers - b.answers || a.level.id - b.level.id)
+    .map((group) => ({ ...group, provisional: group.games < PROVISIONAL_GAMES }));
+  return { ...overall, provisional: overall.games < PROVISIONAL_GAMES, series, levels };
+}
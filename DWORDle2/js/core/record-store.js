@@ -0,0 +1,103 @@
+// プレイ履歴の保存先（IndexedDB）。records.js だけが使う。
+//
+// 以前は履歴全体を 1 つの JSON として localStorage の "dwordle2.history" に持ち、保存のたびに
+// 丸ごと書き直していた。数千局を遊んだ人は localStorage の上限（5MB 前後）に近づき、
+// 保存に失敗すると記録が消える。IndexedDB なら上限がずっと大きく、1 局ずつ書ける。
+//
+// オブジェクトストア "history" のキーは [startTime, gameMode]（records.js の findGame・結果画面 URL
+// と同じ一意キー）。索引は 3 つ: mode（gameMode）・pid（problemID）・date（startTime、秒）。
+//
+// IndexedDB が使えない環境（古いブラウザのプライベートモード、Node のテストなど）では
+// openRecordStore が null を返し、records.js は従来どおり localStorage に持つ。
+
+const DB_NAME = "dwordle2";
+const DB_VERSION = 1;
+const STORE = "history";
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("transaction aborted"));
+  });
+}
+
+export async function openRecordStore() {
+  if (typeof indexedDB === "undefined") return null;
+  let db;
+  try {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: ["startTime", "gameMode"] });
+      store.createIndex("mode", "gameMode");
+      store.createIndex("pid", "problemID");
+      store.createIndex("date", "startTime");
+    };
+    db = await promisify(request);
+  } catch {
+    return null;
+  }
+  // 別タブが新しい版で開こうとしたら閉じて譲る（こちらは次の読み込みで新しい版になる）
+  db.onversionchange = () => db.close();
+
+  const run = async (mode, body) => {
+    const tx = db.transaction(STORE, mode);
+    const result = body(tx.objectStore(STORE));
+    await transactionDone(tx);
+    return result instanceof IDBRequest ? result.result : result;
+  };
+
+  return {
+    async getAll() {
+      return run("readonly", (store) => store.getAll());
+    },
+    // 同じキー（startTime, gameMode）は上書きになる。1 トランザクションなので全部入るか、全部入らないか
+    async putAll(records) {
+      if (records.length === 0) return;
+      await run("readwrite", (store) => {
+        for (const record of records) store.put(record);
+      });
+    },
+    async clear() {
+      await run("readwrite", (store) => store.clear());
+    },
+    // { mode, pid, from, to } で絞り込む（from / to は startTime の秒。両端を含む）。
+    // いちばん絞れる索引を 1 つ使い、残りの条件は読んだあとに確かめる。startTime の昇順で返す
+    async query({ mode = null, pid = null, from = null, to = null } = {}) {
+      const records = await run("readonly", (store) => {
+        if (pid !== null) return store.index("pid").getAll(IDBKeyRange.only(pid));
+        if (from !== null || to !== null) {
+          const range =
+            from !== null && to !== null
+              ? IDBKeyRange.bound(from, to)
+              : from !== null
+                ? IDBKeyRange.lowerBound(from)
+                : IDBKeyRange.upperBound(to);
+          return store.index("date").getAll(range);
+        }
+        if (mode !== null) return store.index("mode").getAll(IDBKeyRange.only(mode));
+        return store.getAll();
+      });
+      return records
+        .filter((record) => matchesQuery(record, { mode, pid, from, to }))
+        .sort((a, b) => a.startTime - b.startTime);
+    },
+  };
+}
+
+// query の条件（IndexedDB が無いときに records.js がメモリ上の履歴を絞るのにも使う）
+export function matchesQuery(record, { mode = null, pid = null, from = null, to = null } = {}) {
+  return (
+    (mode === null || record.gameMode === mode) &&
+    (pid === null || record.problemID === pid) &&
+    (from === null || record.startTime >= from) &&
+    (to === null || record.startTime <= to)
+  );
+}
@@ -3,7 +3,7 @@
 // レコード形式（原作 history.json のゲームオブジェクトの互換スーパーセット）:
 //   {
 //     startTime: 秒, endTime: 秒,
-//     gameMode: "normal" | "uso",
+//     gameMode: "normal" | "uso",        // Speed Run（"speed"）の記録は core/speed-run.js が別に持つ
 //     problemID: number,
 //     guessWord: ["about", ...],
 //     usoResults: [["correct",...], ...]  // uso のみ（表示された嘘の判定）
@@ -14,18 +14,60 @@
 //       // 追加推理（クリア時のみ発生しうる）。success ならDOUBLE CLEAR。
 //       // result はその場で表示した判定。DWORDlie のランダムな嘘も再現するため保存する。
 //       // 旧キー finalAnswer は読込時に extraShot へ移行する。
+//     hard: true | undefined,              // v2 追加スキーマ: ハードモードで遊んだ記録
+//     assisted: true | undefined,          // v2 追加スキーマ: プレイ中に残り候補を表示した記録
+//     hints: [{ kind, turn, ... }] | undefined, // v2 追加スキーマ: 使ったヒント（使った順。core/hints.js）
 //   }
-
-import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+//
+// 履歴の保存先は IndexedDB（core/record-store.js。使えない環境では従来どおり localStorage の "history"）。
+// どちらでも、起動後はメモリ上の配列が正本で、画面からの読み出しはすべて同期的にここから返す。
+//
+// ホットシート（core/hotseat.js）の記録は "hotseatHistory" に別に持つ。1 台を回して遊んだ
+// 他の人のプレイで、端末の持ち主の統計・連勝・実績が崩れないようにするため。
+//   { startTime, endTime, problemID, guessWord, clear,
+//     player: 名前, session: セッションの startTime, style: "shared" | "separate", rank: 順位,
+//     guessBy: [名前, ...] | undefined }  // shared のみ。各 Guess を入力した人
+
+import { loadJSON, saveJSON, removeKey, onExternalChange, reportSaveError } from "./store.js?v=20260806-a";
+import { isDebugMode } from "./debug.js?v=20260806-a";
+import { matchesQuery, openRecordStore } from "./record-store.js?v=20260806-a";
 import { Logic, CELL, queryWordSingle } from "./logic.js?v=20260806-a";
-import { classicDailyImportPID, isDailyPID } from "./problems.js?v=20260806-a";
+import {
+  answerCountForPID,
+  classicDailyImportPID,
+  dailyDatePID,
+  isDailyPID,
+  levelForPID,
+  multiSetForAnswers,
+  multiSetForPID,
+  pidLabel,
+  todayPID,
+  wordLengthForPID,
+} from "./problems.js?v=20260806-a";
 import { signatureAvailable, signPayload } from "./signature.js?v=20260806-a";
 
 export const MODES = {
   normal: { key: "normal", title: "DWORDle", maxGuess: 10 },
   uso: { key: "uso", title: "DWORDlie", maxGuess: 15 },
+  // 制限時間内に連番の問題を何問解けるか（ルールは DWORDle と同じ）。
+  // 1 問ごとの記録は history に入れず、core/speed-run.js が別に持つ
+  speed: { key: "speed", title: "Speed Run", maxGuess: 10, timeLimitSec: 300 },
+  // 1 台を回して 2〜4 人で同じ問題を遊ぶ（ルールは DWORDle と同じ）。
+  // 記録は history に入れず、下の hotseatHistory に player 付きで持つ
+  hotseat: { key: "hotseat", title: "Hot Seat", maxGuess: 10 },
 };
 
+// そのゲームの最大手数。TRIWORDle / QUADWORDle（problems.js の MULTI_SETS）は
+// モードの最大手数に extraGuesses を足す
+export function maxGuessFor(mode, pid) {
+  return MODES[mode].maxGuess + (multiSetForPID(pid)?.extraGuesses ?? 0);
+}
+
+// 記録（進行中ゲーム）の最大手数。パズルパック（core/packs.js）の問題は、パックが決めた手数（maxGuess）を使う
+export function maxGuessForRecord(record) {
+  return record.maxGuess ?? maxGuessFor(record.gameMode, record.problemID);
+}
+
 let history = null; // startTime 昇順の配列（キャッシュ）
 
 // 旧バージョンの finalAnswer レコードも、その場で失わず EXTRA SHOT として扱う。
@@ -42,7 +84,7 @@ export function getExtraShotResult(record, logic = new Logic(record.problemID))
   if (!attempt?.word) return null;
   if (
     Array.isArray(attempt.result) &&
-    attempt.result.length === 5 &&
+    attempt.result.length === attempt.word.length &&
     attempt.result.every((state) => FEEDBACK_STATES.has(state))
   ) {
     return attempt.result.slice();
@@ -62,9 +104,10 @@ export function normalizeExtraShotRecord(record) {
   return normalized;
 }
 
-// 別タブが履歴を書き換えたらキャッシュを捨て、次の保存で他タブの記録を巻き戻さないようにする
+// 別タブが履歴を書き換えたらキャッシュを捨て、次の保存で他タブの記録を巻き戻さないようにする。
+// IndexedDB に移したあとは localStorage の "history" を見ない（移行で消したときにも発火するので、捨てると空になる）
 onExternalChange("history", () => {
-  history = null;
+  if (!recordStore) history = null;
 });
 
 // classic-daily 帯（problems.js 参照）を導入する前に旧作から取り込まれた
@@ -81,19 +124,112 @@ function normalizeImportedDailyRecord(record) {
   return fixed;
 }
 
+function normalizeStoredRecord(record) {
+  return normalizeImportedDailyRecord(normalizeExtraShotRecord(record));
+}
+
 function ensureLoaded() {
   if (history === null) {
     const loaded = loadJSON("history", []);
-    history = loaded.map((record) => normalizeImportedDailyRecord(normalizeExtraShotRecord(record)));
+    history = loaded.map(normalizeStoredRecord);
     history.sort((a, b) => a.startTime - b.startTime);
     // 一度読み込んだ旧履歴は新キー・新 PID で保存し直す。以後のエクスポートにも反映される。
-    if (history.some((record, index) => record !== loaded[index])) persist();
+    const original = new Set(loaded);
+    const changed = history.filter((record) => !original.has(record));
+    if (changed.length > 0) persist(changed);
   }
   return history;
 }
 
-function persist() {
-  saveJSON("history", history);
+// ---- 保存先（IndexedDB）----
+
+// initRecordStore が開いた IndexedDB。null の間は localStorage の "history" に全体を持つ
+let recordStore = null;
+// 同じ端末の別タブへ、保存したレコードを知らせる（IndexedDB には storage イベントが無い）。
+// 送るのはレコードの配列か、全データ削除の { cleared: true }
+let historyChannel = null;
+
+// 加わった・変わったレコードを保存先へ書く。IndexedDB なら書くのはそのレコードだけ、
+// localStorage なら従来どおり全体を書き直す。
+// デバッグ中は IndexedDB に書かない。store.js のオーバーレイと同じく、デバッグ中のプレイは
+// メモリ上の履歴にだけ残り、リロードで消える。
+function persist(records) {
+  if (!recordStore) {
+    saveJSON("history", history);
+    return;
+  }
+  if (isDebugMode()) return;
+  recordStore.putAll(records).then(
+    () => historyChannel?.postMessage(records),
+    (e) => reportSaveError("history", e)
+  );
+}
+
+// 別タブが保存したレコードをメモリ上の履歴へ反映する（同じキーは置き換え）。
+// 別タブで全データを削除したら、こちらのメモリ上の履歴も空にする（古い履歴を書き戻さないように）
+function applyExternalRecords(records) {
+  if (records?.cleared === true) {
+    history = [];
+    return;
+  }
+  if (history === null || !Array.isArray(records)) return;
+  for (const record of records) {
+    const index = history.findIndex((g) => g.startTime === record.startTime && g.gameMode === record.gameMode);
+    if (index >= 0) history[index] = record;
+    else history.push(record);
+  }
+  history.sort((a, b) => a.startTime - b.startTime);
+}
+
+// 履歴の保存先を IndexedDB にする。起動時に main.js が一度だけ待ち、以後の読み書きはメモリ上の履歴で行う。
+// localStorage の "history" が残っていれば IndexedDB へ移し、移し終えてから消す
+// （途中で閉じられても次の起動でもう一度移す。キーが同じレコードは上書きなので重複しない。
+// 更新前のバージョンのタブが開いたままで、あとから書き込んだ分もこれで拾える）。
+// IndexedDB が使えない・移せなかったときは false を返し、localStorage のまま続ける。
+export async function initRecordStore(open = openRecordStore) {
+  const store = await open();
+  if (!store) return false;
+  let loaded;
+  try {
+    const legacy = loadJSON("history", null);
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      await store.putAll(legacy.map(normalizeStoredRecord));
+      // 容量に余裕がなくなったときに、ブラウザが黙って消さないように頼んでおく
+      void globalThis.navigator?.storage?.persist?.().catch(() => {});
+    }
+    if (legacy !== null) removeKey("history");
+    loaded = await store.getAll();
+  } catch (e) {
+    reportSaveError("history", e);
+    return false;
+  }
+  recordStore = store;
+  history = loaded.map(normalizeStoredRecord);
+  history.sort((a, b) => a.startTime - b.startTime);
+  const original = new Set(loaded);
+  const changed = history.filter((record) => !original.has(record));
+  if (changed.length > 0) persist(changed);
+  if (typeof BroadcastChannel === "function" && !historyChannel) {
+    historyChannel = new BroadcastChannel("dwordle2.history");
+    historyChannel.onmessage = (event) => applyExternalRecords(event.data);
+  }
+  return true;
+}
+
+// 履歴の絞り込み。filter は { mode, pid, from, to }（from / to は startTime の秒、両端を含む）。
+// startTime の昇順で返す。IndexedDB なら索引で引き、それ以外とデバッグ中はメモリ上の履歴から絞る
+// （デバッグ中のプレイは IndexedDB に無い）。
+export async function queryHistory(filter = {}) {
+  if (recordStore && !isDebugMode()) return recordStore.query(filter);
+  return ensureLoaded().filter((record) => matchesQuery(record, filter));
+}
+
+// 全データ削除（設定画面）。IndexedDB の履歴も消し、別タブにも知らせる
+export async function deleteAllHistory() {
+  history = [];
+  removeKey("history");
+  await recordStore?.clear();
+  historyChannel?.postMessage({ cleared: true });
 }
 
 export function getHistory() {
@@ -142,7 +278,7 @@ export function addFinishedGame(record) {
   }
   history.push(record);
   history.sort((a, b) => a.startTime - b.startTime);
-  persist();
+  persist([record]);
   saveJSON("playCount", playsBefore + 1);
   return record;
 }
@@ -157,13 +293,13 @@ export function addDiscardedGame(record) {
   }
   history.push(record);
   history.sort((a, b) => a.startTime - b.startTime);
-  persist();
+  persist([record]);
   return record;
 }
 
 export function addImportedGames(records) {
   ensureLoaded();
-  let added = 0;
+  const added = [];
   for (let rec of records) {
     rec = normalizeExtraShotRecord(rec);
     // (startTime, gameMode) は findGame・結果画面 URL のキーなので一意にする。
@@ -182,13 +318,13 @@ export function addImportedGames(records) {
     if (dup) continue;
     rec.clear = computeClear(rec);
     history.push(rec);
-    added++;
+    added.push(rec);
   }
-  if (added > 0) {
+  if (added.length > 0) {
     history.sort((a, b) => a.startTime - b.startTime);
-    persist();
+    persist(added);
   }
-  return added;
+  return added.length;
 }
 
 // ---- 進行中ゲーム（モードごとに 1 つ）----
@@ -197,8 +333,10 @@ export function getCurrentGame(mode) {
   return loadJSON(`current.${mode}`, null);
 }
 
+// チュートリアルのレッスン（core/tutorial.js）の盤面は、DWORDle / DWORDlie の続きを上書きしないよう
+// "tutorial" 枠に置く（getCurrentGame("tutorial") で読む）
 export function saveCurrentGame(game) {
-  saveJSON(`current.${game.gameMode}`, game);
+  saveJSON(`current.${game.lesson ? "tutorial" : game.gameMode}`, game);
 }
 
 export function clearCurrentGame(mode) {
@@ -229,6 +367,25 @@ export function isAlreadyPlayed(pid, mode) {
   return ensureLoaded().some((g) => g.gameMode === mode && g.problemID === pid);
 }
 
+// ---- パズルパック（core/packs.js）の進み具合 ----
+
+// 履歴の pack: { id, index } から、パックの問題ごとに { played, cleared, bestGuesses } を作る（puzzles と同じ並び）。
+// 破棄したゲームと、取り込み直しで別の問題に替わった位置の記録は数えない。bestGuesses はクリアが無ければ null
+export function buildPackProgress(pack) {
+  const progress = pack.puzzles.map(() => ({ played: 0, cleared: 0, bestGuesses: null }));
+  for (const g of ensureLoaded()) {
+    if (g.pack?.id !== pack.id || g.discarded) continue;
+    const st = progress[g.pack.index];
+    if (!st || pack.puzzles[g.pack.index].pid !== g.problemID) continue;
+    st.played++;
+    if (g.clear) {
+      st.cleared++;
+      st.bestGuesses = Math.min(st.bestGuesses ?? Infinity, g.guessWord.length);
+    }
+  }
+  return progress;
+}
+
 // ローカル日付を「1970-01-01 からの通し番号」に変換する（ロケール非依存の日付比較用）
 export function localDayNumber(epochSec) {
   const d = new Date(epochSec * 1000);
@@ -237,9 +394,19 @@ export function localDayNumber(epochSec) {
 
 // ---- 統計（原作 RecordManager.getStatistics の考え方を踏襲、モード別に集計）----
 
-export function getStatistics(mode) {
-  const maxGuess = MODES[mode].maxGuess;
-  const games = ensureLoaded().filter((g) => g.gameMode === mode);
+// hard: undefined = すべて / true = ハードモードの記録だけ / false = ハードモード以外だけ
+// answers: undefined = すべて / 3・4 = TRIWORDle・QUADWORDle の記録だけ（手数の分布もその最大手数まで）
+// length: undefined = すべて / 4・6・7 = その文字数版の記録だけ
+export function getStatistics(mode, { hard, answers, length } = {}) {
+  const multi = answers === undefined ? null : multiSetForAnswers(answers);
+  const maxGuess = MODES[mode].maxGuess + (multi?.extraGuesses ?? 0);
+  const games = ensureLoaded().filter(
+    (g) =>
+      g.gameMode === mode &&
+      (hard === undefined || Boolean(g.hard) === hard) &&
+      (answers === undefined || answerCountForPID(g.problemID) === answers) &&
+      (length === undefined || wordLengthForPID(g.problemID) === length)
+  );
   const hist = {};
   for (let i = 1; i <= maxGuess; i++) hist[i] = 0;
 
@@ -294,11 +461,22 @@ export function totalPlays(mode = null) {
   return ensureLoaded().filter((g) => (mode ? g.gameMode === mode : true)).length;
 }
 
+// その日のうちに遊んだデイリーか。アーカイブ（#/calendar）から遊んだ過去の日のデイリーは
+// 記録には残すが、デイリーの連続記録・デイリー系の実績には数えない（後から埋められてしまうので）。
+// 開始時刻のローカル日付で比べる（日付をまたいで解き終えても、その日のデイリーのまま）。
+// 開始時刻の分からない移行レコードは、旧作に過去のデイリーを遊ぶ手段が無かったのでその日のものとする。
+export function isDailyOnTheDay(record) {
+  if (!isDailyPID(record?.problemID)) return false;
+  const startTime = Number(record.startTime);
+  if (!Number.isFinite(startTime) || startTime <= 0) return true;
+  return todayPID(new Date(startTime * 1000)) === dailyDatePID(record.problemID);
+}
+
 // デイリー問題の連続クリア日数（実績用）。今日または昨日を起点に遡る。
 export function dailyClearStreak() {
   const clearedDaily = new Set(
     ensureLoaded()
-      .filter((g) => g.clear && isDailyPID(g.problemID))
+      .filter((g) => g.clear && isDailyOnTheDay(g))
       .map((g) => g.problemID)
   );
   const pidOf = (d) =>
@@ -345,7 +523,128 @@ export async function exportJSON() {
   return JSON.stringify({ ...payload, signature }, null, 2);
 }
 
-// テスト用: キャッシュ破棄
+// 表計算ソフト向けの書き出し。delimiter は "," なら CSV、"\t" なら TSV。
+// エクスポート JSON と違ってネストせず、署名も付けない（取り込みには使えない）。
+//   exportGamesTable    1 局 1 行
+//   exportGuessesTable  1 Guess 1 行（表示した判定付き）。date と mode で 1 局 1 行の表と突き合わせられる
+// 判定は G（緑）・Y（黄）・-（灰）の文字列。DWORDlie の pattern は画面に出した嘘込みの判定で、
+// true_pattern が本当の判定。
+
+const PATTERN_LETTER = { [CELL.CORRECT]: "G", [CELL.USED]: "Y", [CELL.UNUSED]: "-" };
+
+function patternText(states) {
+  return states.map((state) => PATTERN_LETTER[state] ?? "-").join("");
+}
+
+// 表計算ソフトが日時として読める、端末の時刻での "YYYY-MM-DD HH:MM:SS"
+function tableDateTime(epochSec) {
+  const d = new Date(epochSec * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function tableText(rows, delimiter) {
+  const cell = (value) => {
+    const text = value === null || value === undefined ? "" : typeof value === "boolean" ? (value ? "TRUE" : "FALSE") : String(value);
+    if (delimiter === "\t") return text.replace(/[\t\r\n]/g, " ");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(cell).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+export function exportGamesTable(delimiter = ",") {
+  const rows = [["date", "mode", "pid", "level", "guesses", "win", "double_clear", "discarded", "duration_sec", "words"]];
+  for (const record of ensureLoaded()) {
+    rows.push([
+      tableDateTime(record.startTime),
+      MODES[record.gameMode]?.title ?? record.gameMode,
+      pidLabel(record.problemID),
+      levelForPID(record.problemID)?.id ?? null,
+      record.guessWord.length,
+      record.clear === true,
+      getExtraShot(record)?.success === true,
+      record.discarded === true,
+      Number.isFinite(record.endTime) ? Math.max(0, record.endTime - record.startTime) : null,
+      record.guessWord.join(" "),
+    ]);
+  }
+  return tableText(rows, delimiter);
+}
+
+export function exportGuessesTable(delimiter = ",") {
+  const rows = [["date", "mode", "pid", "turn", "word", "pattern", "true_pattern"]];
+  for (const record of ensureLoaded()) {
+    const logic = new Logic(record.problemID);
+    const shown = record.gameMode === "uso" && record.usoResults?.length === record.guessWord.length ? record.usoResults : null;
+    record.guessWord.forEach((word, index) => {
+      const truth = patternText(logic.queryWord(word));
+      rows.push([
+        tableDateTime(record.startTime),
+        MODES[record.gameMode]?.title ?? record.gameMode,
+        pidLabel(record.problemID),
+        index + 1,
+        word,
+        shown ? patternText(shown[index]) : truth,
+        truth,
+      ]);
+    });
+  }
+  return tableText(rows, delimiter);
+}
+
+// ---- ホットシートの記録 ----
+
+let hotseatHistory = null; // startTime 昇順の配列（キャッシュ）
+
+onExternalChange("hotseatHistory", () => {
+  hotseatHistory = null;
+});
+
+function ensureHotseatLoaded() {
+  if (hotseatHistory === null) hotseatHistory = loadJSON("hotseatHistory", []);
+  return hotseatHistory;
+}
+
+// 1 セッション分の各プレイヤーの記録を加える（core/hotseat.js から呼ぶ）
+export function addHotseatGames(records) {
+  const list = ensureHotseatLoaded();
+  list.push(...records.map((record) => ({ ...record, gameMode: "hotseat", guessWord: record.guessWord.slice() })));
+  list.sort((a, b) => a.startTime - b.startTime);
+  saveJSON("hotseatHistory", list);
+}
+
+// ホットシートの記録。player を渡すとその人の分だけ（古い順）
+export function getHotseatHistory(player = null) {
+  const list = ensureHotseatLoaded();
+  return player === null ? list : list.filter((record) => record.player === player);
+}
+
+// プレイヤー別の通算成績（ホットシートの入口の一覧用）。名前の五十音・アルファベット順
+export function hotseatPlayerStats() {
+  const stats = new Map();
+  for (const record of ensureHotseatLoaded()) {
+    const entry = stats.get(record.player) ?? { player: record.player, plays: 0, wins: 0, clears: 0 };
+    entry.plays++;
+    if (record.rank === 1) entry.wins++;
+    if (record.clear) entry.clears++;
+    stats.set(record.player, entry);
+  }
+  return [...stats.values()].sort((a, b) => a.player.localeCompare(b.player));
+}
+
+// テスト用: キャッシュ破棄。IndexedDB に移したあとは、メモリ上の履歴が正本なので捨てない
 export function _reload() {
-  history = null;
+  if (!recordStore) history = null;
+  hotseatHistory = null;
+}
+
+// テスト用: 指定した startTime の記録を履歴から取り除く（保存先が IndexedDB でも localStorage でも）
+export async function _removeGames(startTimes) {
+  history = ensureLoaded().filter((record) => !startTimes.includes(record.startTime));
+  if (!recordStore) {
+    saveJSON("history", history);
+    return;
+  }
+  await recordStore.clear();
+  await recordStore.putAll(history);
 }
@@ -15,7 +15,7 @@ export function reveal(encoded) {
   return new TextDecoder().decode(bytes);
 }
 
-// reveal の逆。ツールとテストから使う（実行時の UI では使わない）
+// reveal の逆。tools/make-secret.mjs とテストのほか、実行時にも custom-puzzle.js がカスタム問題のトークンを作るのに使う
 export function conceal(text) {
   const bytes = new TextEncoder().encode(text);
   let binary = "";
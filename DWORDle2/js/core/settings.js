@@ -22,12 +22,23 @@ export const DEFAULT_SETTINGS = {
   // ON にするとピンチ / ダブルタップでの拡大を封じる（プレイ中の誤操作防止）。
   // 既定は OFF = ズーム可。viewport メタと touch-action の両方を切り替える。
   lockZoom: false,
+  snapshotMeanings: false, // 結果の画像保存で、答えの意味（core/dictionary.js）を下に添える
   keyboardHints: true, // DWORDle のキーボードを判定色で塗り分ける
   reduceFx: false, // 3D 効果やアニメーションを抑える
   randomLevel: 1, // ランダムプレイで前回選んだレベル
+  randomAnswers: 2, // ランダムプレイで前回選んだ答えの語数（2 = DWORDle / 3 = TRIWORDle / 4 = QUADWORDle）
+  randomLength: 5, // ランダムプレイで前回選んだ文字数（5 = DWORDle / 4・6・7 = その文字数版。答えは 2 語）
+  randomTheme: false, // ランダムプレイで前回「テーマ別」を選んだか
+  randomCategory: "animals", // ランダムプレイの「テーマ別」で前回選んだテーマ（problems.js の CATEGORIES の key）
   // EXTRA SHOT モード（10 回プレイで解放）。ON だとクリア後に追加推理タイムが入り、
   // もう一つの答えを 1 回だけ推理できる（成功で DOUBLE CLEAR）。DWORDle / DWORDlie 共通。
   extraShot: false,
+  // ハードモード。ON で始めたゲームは、それまでの判定と矛盾する単語を Guess できない
+  // （js/core/hard-mode.js）。切り替えは次に始めるゲームから効く。
+  hardMode: false,
+  // プレイ中に残りの答えの組の数を表示する（分析モードと同じ計算）。
+  // 一度でも表示したゲームは記録に assisted: true が付く。
+  remainingCounter: false,
 };
 
 // 実績で解放される隠しテーマ。設定画面では解放まで「???」表示になる。
@@ -0,0 +1,212 @@
+// 自動で問題を解くソルバー（ボット）。UI 非依存で、tools/solve.mjs（CLI）とテストから使う。
+// レベルごとの「実際の難しさ」（最善に近い手順で何手かかるか）を測るためのもの。
+//
+// 方針: 各ターン、残っている答えの組（順序なし）に対する期待情報量が大きい単語を選ぶ。
+// ただし Guess がそのまま正解になる確率 pWin も考え、
+//   (1 - pWin) × (残りの不確かさ log2(組数) − 期待情報量)
+// が最小の単語を選ぶ（組が 1 つに決まれば、その答えを Guess して終わる）。
+// DWORDlie は表示が全マスで嘘なので、期待情報量は「表示されうる嘘」の分布のエントロピーから
+// 嘘そのものの L bit（各位置 2 択。L は文字数）を引いた値で測り、絞り込みは allPositionsDiffer で行う。
+//
+// 残りの組が多すぎて持てないとき（極など、最大 1.1 億組）は、全組を流し読みしながら
+// これまでの全行と矛盾しない組を数え、一様サンプル（reservoir sampling）だけを持つ。
+// 組数が SOLVER_LIMITS.MAX_EXACT_PAIRS 以下になったら厳密な集合に切り替える。
+// 答えは判定の計算にだけ使い、Guess の選択には使わない。
+// 解けるのは答えが 2 語の出題だけ（TRIWORDle / QUADWORDle の 3 つ組・4 つ組は流し読みしきれない）。
+
+import { Logic, displayResultForMode, queryWordPair } from "./logic.js?v=20260806-a";
+import { answerCountForPID, candidateWordsForPID, pidLabel, wordLengthForPID } from "./problems.js?v=20260806-a";
+import {
+  ANALYSIS_LIMITS,
+  accumulateLiePatterns,
+  allPositionsDiffer,
+  buildSuggestionPool,
+  encodeWords,
+  entropyOfCounts,
+  initialPairs,
+  makeRng,
+  patternCount,
+  patternIdFast,
+  resultToPatternId,
+} from "./analysis-core.js?v=20260806-a";
+
+// ---- 計算量の上限(調整用定数) ----
+export const SOLVER_LIMITS = {
+  MAX_EXACT_PAIRS: 2_000_000, // これ以下になったら残りの組を厳密に持つ
+  SAMPLE_PAIRS: ANALYSIS_LIMITS.SAMPLE_PAIRS, // 厳密に持てない間のサンプル数
+  EVAL_PAIRS: ANALYSIS_LIMITS.SUGGEST_PAIR_CAP, // 1 手の評価に使う組の数の上限
+  GUESS_POOL: ANALYSIS_LIMITS.SUGGEST_GUESS_CAP, // 評価する Guess 候補数の上限
+  ANSWER_POOL_PAIRS: 200, // 残りの組がこれ以下なら、その語もすべて Guess 候補に加える
+  MAX_TURNS: 40, // 念のための打ち切り（これを超えたら未解決で返す）
+};
+
+// 候補リストごとの初手（どの PID でも初手の候補集合は同じなので使い回す）
+const openerCache = new Map();
+
+function survives(mode, patt, shown, L) {
+  return mode === "uso" ? allPositionsDiffer(patt, shown, L) : patt === shown;
+}
+
+// Guess した語（当たらなかった語）を含む組も落とす。判定だけでは、その語と別の組の両方が
+// 全部緑（幻の正解）になる場合に落とせず、同じ語を Guess し続けてしまう
+function containsGuess(rows, a, b) {
+  for (const row of rows) if (row.g === a || row.g === b) return true;
+  return false;
+}
+
+// 候補リストとモードごとの計算用コンテキスト（L は文字数）
+function makeContext(pid, mode) {
+  const words = candidateWordsForPID(pid);
+  const N = words.length;
+  const L = wordLengthForPID(pid);
+  const key = `${N}:${words[0]}:${words[N - 1]}`;
+  // Guess 候補の土台はシード固定で作り、PID によらず同じ候補リストなら同じにする
+  const pool = buildSuggestionPool(words, SOLVER_LIMITS.GUESS_POOL, makeRng(0x51ed))
+    .map((w) => words.indexOf(w))
+    .filter((index) => index >= 0);
+  return { mode, words, N, L, W: encodeWords(words, L), pool, key };
+}
+
+// 全組を流し読みして、これまでの全行（rows: [{ g, shown }]）と矛盾しない組を集める。
+// 厳密に持てる数なら全部、超えたら一様サンプルと総数を返す。
+function streamSurvivors(ctx, rows, rng) {
+  const { N, W, L, mode } = ctx;
+  const limits = SOLVER_LIMITS;
+  let exactBuf = new Uint32Array(limits.MAX_EXACT_PAIRS);
+  const reservoir = new Uint32Array(limits.SAMPLE_PAIRS);
+  let count = 0;
+  for (let a = 0; a < N; a++) {
+    for (let b = a + 1; b < N; b++) {
+      let ok = !containsGuess(rows, a, b);
+      for (const row of rows) {
+        if (!ok) break;
+        if (!survives(mode, patternIdFast(W, row.g * L, W, a * L, b * L, L), row.shown, L)) {
+          ok = false;
+          break;
+        }
+      }
+      if (!ok) continue;
+      const code = a * N + b;
+      if (count < limits.MAX_EXACT_PAIRS) exactBuf[count] = code;
+      if (count < limits.SAMPLE_PAIRS) {
+        reservoir[count] = code;
+      } else {
+        const j = Math.floor(rng() * (count + 1));
+        if (j < limits.SAMPLE_PAIRS) reservoir[j] = code;
+      }
+      count++;
+    }
+  }
+  if (count <= limits.MAX_EXACT_PAIRS) return { codes: exactBuf.slice(0, count), total: count, exact: true };
+  exactBuf = null;
+  return { codes: reservoir, total: count, exact: false };
+}
+
+// 1 行ぶん絞り込む。厳密な集合はその場で、サンプルなら全組を流し読みし直す。
+function narrow(ctx, belief, rows, rng) {
+  if (!belief.exact) return streamSurvivors(ctx, rows, rng);
+  const { N, W, L, mode } = ctx;
+  const { g, shown } = rows[rows.length - 1];
+  const survivors = [];
+  for (const code of belief.codes) {
+    const a = (code / N) | 0;
+    const b = code % N;
+    if (a !== g && b !== g && survives(mode, patternIdFast(W, g * L, W, a * L, b * L, L), shown, L)) survivors.push(code);
+  }
+  return { codes: Uint32Array.from(survivors), total: survivors.length, exact: true };
+}
+
+function subsample(codes, cap, rng) {
+  if (codes.length <= cap) return codes;
+  const picked = new Uint32Array(cap);
+  for (let k = 0; k < cap; k++) picked[k] = codes[Math.floor(rng() * codes.length)];
+  return picked;
+}
+
+// 残りの組 belief に対して、次に Guess する単語（候補リスト内の番号）を選ぶ。
+function chooseGuess(ctx, belief, rng) {
+  const { N, W, L, mode } = ctx;
+  if (belief.exact && belief.total === 1) return (belief.codes[0] / N) | 0;
+  const evalCodes = subsample(belief.codes, SOLVER_LIMITS.EVAL_PAIRS, rng);
+  const pool = new Set(ctx.pool);
+  if (belief.exact && belief.total <= SOLVER_LIMITS.ANSWER_POOL_PAIRS) {
+    for (const code of belief.codes) {
+      pool.add((code / N) | 0);
+      pool.add(code % N);
+    }
+  }
+  const n = evalCodes.length;
+  const uncertainty = Math.log2(belief.total);
+  const patterns = patternCount(L);
+  const counts = new Float64Array(patterns);
+  const lieCounts = new Float64Array(patterns);
+  let best = null;
+  for (const gi of pool) {
+    counts.fill(0);
+    let wins = 0;
+    for (let k = 0; k < n; k++) {
+      const code = evalCodes[k];
+      const a = (code / N) | 0;
+      const b = code % N;
+      if (a === gi || b === gi) wins++;
+      counts[patternIdFast(W, gi * L, W, a * L, b * L, L)]++;
+    }
+    let bits;
+    if (mode === "uso") {
+      lieCounts.fill(0);
+      for (let patt = 0; patt < patterns; patt++) if (counts[patt] > 0) accumulateLiePatterns(lieCounts, patt, counts[patt], L);
+      bits = entropyOfCounts(lieCounts, n) - L; // 嘘そのものの情報量（各位置 2 択）を引く
+    } else {
+      bits = entropyOfCounts(counts, n);
+    }
+    const pWin = wins / n;
+    const cost = (1 - pWin) * Math.max(0, uncertainty - bits);
+    if (
+      !best ||
+      cost < best.cost - 1e-9 ||
+      (Math.abs(cost - best.cost) <= 1e-9 && (pWin > best.pWin || (pWin === best.pWin && bits > best.bits)))
+    ) {
+      best = { gi, cost, pWin, bits };
+    }
+  }
+  return best.gi;
+}
+
+/**
+ * 1 問を最後まで自動で解く。
+ * @param {number} pid
+ * @param {"normal"|"uso"} mode
+ * @returns {{ pid, mode, guesses: string[], solved: boolean }}
+ *   guesses は Guess した単語の列（最後が答えなら solved）。MODES の maxGuess では
+ *   打ち切らないので、上限を超えたかどうかは呼び出し側で判断する。
+ */
+export function solveGame(pid, mode = "normal") {
+  if (answerCountForPID(pid) !== 2) throw new Error(`答えが 2 語の出題ではありません: ${pidLabel(pid)}`);
+  const logic = new Logic(pid);
+  const ctx = makeContext(pid, mode);
+  const rng = makeRng(pid ^ 0x2545f491);
+  const lieRng = makeRng(pid ^ 0x6a09e667);
+  const initial = initialPairs(pid, ctx.N);
+  let belief = { codes: initial.alive, total: initial.totalPairs, exact: !initial.sampled };
+  const rows = [];
+  const guesses = [];
+  while (guesses.length < SOLVER_LIMITS.MAX_TURNS) {
+    let gi;
+    if (rows.length === 0) {
+      // 初手は候補リストとモードだけで決まる
+      const cacheKey = `${ctx.key}:${mode}`;
+      if (!openerCache.has(cacheKey)) openerCache.set(cacheKey, chooseGuess(ctx, belief, makeRng(0x0be9)));
+      gi = openerCache.get(cacheKey);
+    } else {
+      gi = chooseGuess(ctx, belief, rng);
+    }
+    const word = ctx.words[gi];
+    guesses.push(word);
+    if (logic.isGameClear(word)) return { pid, mode, guesses, solved: true };
+    const shown = displayResultForMode(queryWordPair(word, logic.ans1, logic.ans2), mode, lieRng);
+    rows.push({ g: gi, shown: resultToPatternId(shown) });
+    belief = narrow(ctx, belief, rows, rng);
+    if (belief.total === 0) break; // 答えの組が候補リスト外（起こらないはず）
+  }
+  return { pid, mode, guesses, solved: false };
+}
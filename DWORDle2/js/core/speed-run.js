@@ -0,0 +1,166 @@
+// Speed Run（時間内に連番の No. 問題を何問解けるか）。ルール自体は DWORDle と同じで、
+// 制限時間は MODES.speed.timeLimitSec（records.js）。
+//
+// 1 回の挑戦（ラン）はレベルを 1 つ選び、その帯のランダムな番号から No.n, No.n+1, ... と
+// 順に出題する（帯の終わりまで来たら先頭へ戻る）。クリアでも 10 手で失敗でも次の問題へ進む。
+// 時計は開始時刻からの実時間で進み、画面を離れても止まらない。
+//
+// 記録は通常の履歴（records.js の history）とは別に持つ。1 問ごとの記録を履歴へ混ぜると、
+// 統計・連勝・実績のカウントが Speed Run の駆け足のプレイで崩れるため。
+//   - 進行中のラン: "speedRun.current"
+//       { startTime, endsAt, level, timeLimitSec, nextNumber, puzzles: [...] }
+//     解いている最中の 1 問は、他のモードと同じく進行中ゲーム "current.speed"（gameMode: "speed"）。
+//   - 終わったラン: "speedRuns"（startTime 昇順）
+//       { startTime, endTime, level, timeLimitSec, solved, guesses, endedEarly?: true,
+//         puzzles: [{ problemID, startTime, endTime, guessWord, clear }] }
+//     solved はクリアした問題数、guesses はクリアした問題の手数の合計（自己ベストの同点判定用）。
+//     endedEarly は時間切れの前に自分で終えたラン。
+
+import { loadJSON, saveJSON, onExternalChange } from "./store.js?v=20260806-a";
+import { Logic } from "./logic.js?v=20260806-a";
+import { LEVELS, pidForNumber } from "./problems.js?v=20260806-a";
+import { MODES } from "./records.js?v=20260806-a";
+
+let runs = null; // 終わったランのキャッシュ
+
+onExternalChange("speedRuns", () => {
+  runs = null;
+});
+
+function ensureLoaded() {
+  if (runs === null) runs = loadJSON("speedRuns", []);
+  return runs;
+}
+
+export function getSpeedRuns() {
+  return ensureLoaded();
+}
+
+export function findSpeedRun(startTime) {
+  return ensureLoaded().find((run) => run.startTime === startTime) ?? null;
+}
+
+export function getCurrentRun() {
+  return loadJSON("speedRun.current", null);
+}
+
+export function saveCurrentRun(run) {
+  saveJSON("speedRun.current", run);
+}
+
+export function speedTimeLeftMs(run, now = Date.now()) {
+  return Math.max(0, run.endsAt - now);
+}
+
+// 帯の中で番号を 1 つ進める（終わりまで来たら先頭へ）
+function nextNumberInLevel(level, number) {
+  const [lo, hi] = level.range;
+  return number >= hi ? lo : number + 1;
+}
+
+function levelById(id) {
+  return LEVELS.find((lv) => lv.id === id) ?? LEVELS[0];
+}
+
+/**
+ * 新しいランを始める。進行中のランは上書きする（呼び出し側で先に終わらせておくこと）。
+ * @returns {{ run, pid }} 保存したラン と 最初の問題の PID
+ */
+export function startSpeedRun(levelId, { now = Date.now(), random = Math.random } = {}) {
+  const level = levelById(levelId);
+  const [lo, hi] = level.range;
+  const first = lo + Math.floor(random() * (hi - lo + 1));
+  const timeLimitSec = MODES.speed.timeLimitSec;
+  const run = {
+    startTime: Math.floor(now / 1000),
+    endsAt: now + timeLimitSec * 1000,
+    level: level.id,
+    timeLimitSec,
+    nextNumber: nextNumberInLevel(level, first),
+    puzzles: [],
+  };
+  saveCurrentRun(run);
+  return { run, pid: pidForNumber(first) };
+}
+
+function puzzleRecord(game, endTime) {
+  const logic = new Logic(game.problemID);
+  const last = game.guessWord[game.guessWord.length - 1];
+  return {
+    problemID: game.problemID,
+    startTime: game.startTime,
+    endTime,
+    guessWord: game.guessWord.slice(),
+    clear: Boolean(last) && logic.isGameClear(last),
+  };
+}
+
+/**
+ * 決着した 1 問（クリア / 手数切れ）をランに加え、次の問題の PID を返す。
+ */
+export function recordSpeedPuzzle(run, game, now = Date.now()) {
+  run.puzzles.push(puzzleRecord(game, Math.floor(now / 1000)));
+  const pid = pidForNumber(run.nextNumber);
+  run.nextNumber = nextNumberInLevel(levelById(run.level), run.nextNumber);
+  saveCurrentRun(run);
+  return pid;
+}
+
+/**
+ * ランを終えて記録に残す。解いている途中の問題（game）は 1 手以上あれば未クリアとして加える。
+ * 時間切れより前に終えたときは endedEarly を付ける。
+ */
+export function finishSpeedRun(run, game = null, now = Date.now()) {
+  const endTime = Math.floor(Math.min(now, run.endsAt) / 1000);
+  const puzzles = run.puzzles.slice();
+  if (game?.guessWord.length > 0 && game.startTime >= run.startTime) puzzles.push(puzzleRecord(game, endTime));
+  const solvedPuzzles = puzzles.filter((puzzle) => puzzle.clear);
+  const record = {
+    startTime: run.startTime,
+    endTime,
+    level: run.level,
+    timeLimitSec: run.timeLimitSec,
+    solved: solvedPuzzles.length,
+    guesses: solvedPuzzles.reduce((sum, puzzle) => sum + puzzle.guessWord.length, 0),
+    ...(now < run.endsAt ? { endedEarly: true } : {}),
+    puzzles,
+  };
+  ensureLoaded();
+  // 別タブで同じランを終えていた場合は二重に残さない
+  if (!runs.some((r) => r.startTime === record.startTime)) {
+    runs.push(record);
+    runs.sort((a, b) => a.startTime - b.startTime);
+    saveJSON("speedRuns", runs);
+  }
+  saveJSON("speedRun.current", null);
+  return findSpeedRun(record.startTime);
+}
+
+// a が b より良い記録か（解いた数が多い → 同数なら合計手数が少ない → 先に出した記録を残す）
+function isBetterRun(a, b) {
+  if (a.solved !== b.solved) return a.solved > b.solved;
+  return a.guesses < b.guesses;
+}
+
+// レベルごとの自己ベスト。1 問も解けていないランはベストにしない。
+// 戻り値: Map<level id, run>
+export function personalBests(list = ensureLoaded()) {
+  const bests = new Map();
+  for (const run of list) {
+    if (run.solved === 0) continue;
+    const best = bests.get(run.level);
+    if (!best || isBetterRun(run, best)) bests.set(run.level, run);
+  }
+  return bests;
+}
+
+// このランが、それより前のランを含めたそのレベルの自己ベストか
+export function isPersonalBest(run, list = ensureLoaded()) {
+  const earlier = list.filter((r) => r.level === run.level && r.startTime < run.startTime);
+  return personalBests([...earlier, run]).get(run.level) === run;
+}
+
+// テスト用: キャッシュ破棄
+export function _reload() {
+  runs = null;
+}
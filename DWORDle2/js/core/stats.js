@@ -0,0 +1,155 @@
+// 統計ダッシュボード（ui/stats-screen.js）のグラフ用の集計。UI 非依存で、records.js の履歴の配列を受け取る。
+//
+// 日付はすべて端末のローカル時刻で区切る（records.js の localDayNumber と同じ）。
+// 途中で破棄したゲームも、getStatistics と同じく「遊んだ数」に数える。
+
+import { isDailyOnTheDay, localDayNumber } from "./records.js?v=20260806-a";
+import { answerCountForPID, isDailyPID, lengthSetForPID, levelForPID, todayPID, wordLengthForPID } from "./problems.js?v=20260806-a";
+
+const DAY = 86400;
+
+function localDate(epochSec) {
+  return new Date(epochSec * 1000);
+}
+
+// その日を含む週の月曜日（ローカル 0 時）
+function weekStart(epochSec) {
+  const d = localDate(epochSec);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function monthStart(epochSec) {
+  const d = localDate(epochSec);
+  return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+
+// 勝率の推移。期間が半年以内なら週ごと、それより長ければ月ごとに区切り、直近 maxBuckets 区間を返す。
+// 戻り値は { unit: "week" | "month", buckets: [{ start: Date, plays, wins, rate }] }。
+// 遊ばなかった区間も plays: 0・rate: null として並べる（線が途切れる）
+export function winRateSeries(records, { maxBuckets = 24 } = {}) {
+  if (records.length === 0) return { unit: "week", buckets: [] };
+  const first = records[0].startTime;
+  const last = records[records.length - 1].startTime;
+  const unit = last - first > 182 * DAY ? "month" : "week";
+  const startOf = unit === "week" ? weekStart : monthStart;
+  const next = (d) => (unit === "week" ? new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7) : new Date(d.getFullYear(), d.getMonth() + 1, 1));
+
+  const counts = new Map(); // 区間の開始時刻(ms) -> { plays, wins }
+  for (const record of records) {
+    const key = startOf(record.startTime).getTime();
+    const entry = counts.get(key) ?? { plays: 0, wins: 0 };
+    entry.plays++;
+    if (record.clear) entry.wins++;
+    counts.set(key, entry);
+  }
+  const buckets = [];
+  for (let d = startOf(first); d.getTime() <= startOf(last).getTime(); d = next(d)) {
+    const { plays, wins } = counts.get(d.getTime()) ?? { plays: 0, wins: 0 };
+    buckets.push({ start: d, plays, wins, rate: plays > 0 ? wins / plays : null });
+  }
+  return { unit, buckets: buckets.slice(-maxBuckets) };
+}
+
+// レベルごとのクリアまでの平均手数（levelForPID のレベル。4・6・7 文字版はその文字数のレベルとして別に数える）。
+// 戻り値は [{ level, length, wins, average }]（文字数 → レベルの順）。カスタム問題はレベルが無いので除く
+export function averageGuessesByLevel(records) {
+  const groups = new Map();
+  for (const record of records) {
+    if (!record.clear) continue;
+    const level = levelForPID(record.problemID);
+    if (!level) continue;
+    const length = lengthSetForPID(record.problemID)?.length ?? 5;
+    const key = `${length}:${level.id}`;
+    const group = groups.get(key) ?? { level, length, wins: 0, total: 0 };
+    group.wins++;
+    group.total += record.guessWord.length;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.length - b.length || a.level.id - b.level.id)
+    .map(({ level, length, wins, total }) => ({ level, length, wins, average: total / wins }));
+}
+
+// 時間帯のヒートマップ。counts[曜日 0=日..6=土][時 0..23] = 遊んだ数
+export function playHeatmap(records) {
+  const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const record of records) {
+    const d = localDate(record.startTime);
+    counts[d.getDay()][d.getHours()]++;
+  }
+  return counts;
+}
+
+// デイリーの連続記録のタイムライン。今日までの days 日を古い順に
+// { pid, status: "cleared" | "failed" | "none" } で返す。
+// 連続記録（records.js の dailyClearStreak）と同じく、その日のうちに遊んだデイリーだけを数える。
+// max はこれまでの最長の連続クリア日数
+export function dailyTimeline(records, { days = 91, now = Math.floor(Date.now() / 1000) } = {}) {
+  const statusByDay = new Map(); // localDayNumber -> "cleared" | "failed"
+  for (const record of records) {
+    if (!isDailyPID(record.problemID) || !isDailyOnTheDay(record)) continue;
+    const day = localDayNumber(record.startTime);
+    if (record.clear) statusByDay.set(day, "cleared");
+    else if (!statusByDay.has(day)) statusByDay.set(day, "failed");
+  }
+  const today = localDayNumber(now);
+  const timeline = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = localDate(now);
+    d.setDate(d.getDate() - i);
+    timeline.push({ pid: todayPID(d), status: statusByDay.get(today - i) ?? "none" });
+  }
+  const cleared = [...statusByDay].filter(([, status]) => status === "cleared").map(([day]) => day).sort((a, b) => a - b);
+  let max = 0;
+  let run = 0;
+  cleared.forEach((day, i) => {
+    run = i > 0 && day - cleared[i - 1] === 1 ? run + 1 : 1;
+    max = Math.max(max, run);
+  });
+  return { timeline, max };
+}
+
+// 1 手目（オープナー）の集計。モードと候補リストが同じ出題（文字数・答えの語数・レベルが同じ）ごとにまとめ、
+// 遊んだ局の多い順に [{ key, mode, level, length, answers, pid, plays, openers }] を返す。
+// DWORDlie は判定が嘘なので手数も期待情報量も DWORDle と比べられず、別のまとまりにする。
+// pid はその中でいちばん新しい局の問題で、期待情報量（analysis-core.js の openerBits）を計算する候補リストの代表。
+// openers は使った回数の多い順の [{ word, uses, wins, averageGuesses }]。averageGuesses はその単語で始めて
+// クリアした局の手数の平均（クリアが無ければ null）。カスタム問題はレベル（候補リスト）が決まらないので除く
+export function openerUsage(records) {
+  const groups = new Map();
+  for (const record of records) {
+    const word = record.guessWord[0];
+    const level = levelForPID(record.problemID);
+    if (!word || !level) continue;
+    const length = wordLengthForPID(record.problemID);
+    const answers = answerCountForPID(record.problemID);
+    const mode = record.gameMode;
+    const key = `${mode}:${length}:${answers}:${level.id}`;
+    if (!groups.has(key)) groups.set(key, { key, mode, level, length, answers, pid: record.problemID, plays: 0, openers: new Map() });
+    const group = groups.get(key);
+    group.pid = record.problemID; // 履歴は古い順なので、最後に見た局がいちばん新しい
+    group.plays++;
+    const opener = group.openers.get(word) ?? { word, uses: 0, wins: 0, guesses: 0 };
+    opener.uses++;
+    if (record.clear) {
+      opener.wins++;
+      opener.guesses += record.guessWord.length;
+    }
+    group.openers.set(word, opener);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.plays - a.plays || a.length - b.length || a.answers - b.answers || a.level.id - b.level.id || a.mode.localeCompare(b.mode))
+    .map((group) => ({
+      ...group,
+      openers: [...group.openers.values()]
+        .sort((a, b) => b.uses - a.uses || a.word.localeCompare(b.word))
+        .map(({ word, uses, wins, guesses }) => ({ word, uses, wins, averageGuesses: wins > 0 ? guesses / wins : null })),
+    }));
+}
+
+// 獲得情報量の推移に使う 1 局の値: 1 Guess あたりの平均獲得情報量（bit）
+export function averageBits(bits) {
+  return bits.length > 0 ? bits.reduce((sum, b) => sum + b, 0) / bits.length : null;
+}
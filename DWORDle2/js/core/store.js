@@ -1,4 +1,6 @@
 // localStorage の薄いラッパ。キーは全て "dwordle2." プレフィックスで名前空間を切る。
+// プレイ履歴だけは量が多いので IndexedDB に持つ（core/record-store.js。ここのデバッグ用オーバーレイと
+// 同じく、デバッグ中の書き込みは records.js がメモリ上だけに留める）。
 
 import { isDebugMode } from "./debug.js?v=20260806-a";
 
@@ -12,6 +14,12 @@ export function onSaveError(handler) {
   saveErrorHandler = handler;
 }
 
+// localStorage 以外への保存（履歴の IndexedDB、core/record-store.js）の失敗も同じ経路で知らせる
+export function reportSaveError(key, error) {
+  console.warn("save failed:", key, error);
+  saveErrorHandler?.(key, error);
+}
+
 // デバッグモード中の書き込み先（セッション限りのメモリオーバーレイ）。
 // 実データ（localStorage）は汚さず、読み出しはオーバーレイを優先する。
 // 単に保存を捨てると「保存 → 直後に読み出し」で成立している流れ
@@ -41,8 +49,7 @@ export function saveJSON(key, value) {
     localStorage.setItem(PREFIX + key, JSON.stringify(value));
     return true;
   } catch (e) {
-    console.warn("saveJSON failed:", key, e);
-    saveErrorHandler?.(key, e);
+    reportSaveError(key, e);
     return false;
   }
 }
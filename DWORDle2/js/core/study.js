@@ -0,0 +1,170 @@
+// 単語の復習（#/study）。負けた局・DOUBLE CLEAR を逃した局の答えと、自分で印を付けた語を
+// フラッシュカードとスペルクイズで覚え直す。UI 非依存。画面は ui/study-screen.js。
+//
+// 復習する語は毎回履歴から集め直す（保存するのは印と出題の予定だけ）:
+//   - 負けた局（GAME OVER。破棄した局は除く）の答えすべて
+//   - クリアしたが EXTRA SHOT を外した局の、もう一つの答え
+//   - 結果画面の「答えの意味」で印を付けた語
+// 辞書（core/dictionary.js）とクイズの盤面が 5 文字なので、4・6・7 文字版の答えは集めない。
+//
+// 出題の予定は SM-2 の考え方で、語ごとに { ef, interval, reps, due } を持つ。
+// 評価は 0〜5 の q のうち 1（もう一度）/ 3（難しい）/ 4（覚えた）/ 5（簡単）の 4 段階だけを使う。
+// q < 3 は覚え直し（reps を 0 に戻し、同じ日のうちにもう一度出す）。
+// 日付は records.js の localDayNumber（ローカル日付の通し番号）で数える。
+// 保存は "study" に { marked: [語...], cards: { 語: { ef, interval, reps, due, lapses } } }。
+
+import { ALL_WORDS } from "../data/words.js?v=20260806-a";
+import { Logic, queryWordSingle } from "./logic.js?v=20260806-a";
+import { wordLengthForPID } from "./problems.js?v=20260806-a";
+import { getExtraShot, getHistory, localDayNumber } from "./records.js?v=20260806-a";
+import { loadJSON, saveJSON } from "./store.js?v=20260806-a";
+
+export const GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+export const QUIZ_TRIES = 3; // スペルクイズで打てる回数
+const INITIAL_EF = 2.5;
+const MIN_EF = 1.3;
+const WORD_SET = new Set(ALL_WORDS);
+
+function loadStudy() {
+  const saved = loadJSON("study", {});
+  return {
+    marked: Array.isArray(saved.marked) ? saved.marked : [],
+    cards: saved.cards && typeof saved.cards === "object" ? saved.cards : {},
+  };
+}
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * SM-2 で次の予定を決める（保存はしない）。card が null なら初めての語。
+ * @returns {{ ef, interval, reps, due, lapses }} interval は日数、due は localDayNumber
+ */
+export function scheduleCard(card, grade, today) {
+  const prev = card ?? { ef: INITIAL_EF, interval: 0, reps: 0, lapses: 0 };
+  const ef = Math.max(MIN_EF, prev.ef + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  if (grade < 3) {
+    return { ef, interval: 0, reps: 0, due: today, lapses: prev.lapses + (prev.reps > 0 ? 1 : 0) };
+  }
+  const interval = prev.reps === 0 ? 1 : prev.reps === 1 ? 6 : Math.max(1, Math.round(prev.interval * ef));
+  return { ef, interval, reps: prev.reps + 1, due: today + interval, lapses: prev.lapses };
+}
+
+// word を逃した局か（missedAnswers と同じ規則）
+function missedIn(g, word) {
+  if (g.discarded || wordLengthForPID(g.problemID) !== 5) return false;
+  const extraShot = getExtraShot(g);
+  if (g.clear && !(extraShot && !extraShot.success)) return false;
+  const logic = new Logic(g.problemID);
+  return g.clear ? logic.otherAnswer(g.guessWord[g.guessWord.length - 1]) === word : logic.answers.includes(word);
+}
+
+/**
+ * 履歴から復習する答えを集める。
+ * @returns {Map<string, { sources: Set<"lost" | "extraShot">, lastMissed: number }>} lastMissed は最後に逃した局の startTime
+ */
+export function missedAnswers(records = getHistory()) {
+  const words = new Map();
+  const add = (word, source, time) => {
+    if (!WORD_SET.has(word)) return;
+    const entry = words.get(word) ?? { sources: new Set(), lastMissed: 0 };
+    entry.sources.add(source);
+    entry.lastMissed = Math.max(entry.lastMissed, time);
+    words.set(word, entry);
+  };
+  const logics = new Map(); // 同じ問題を何度も負けていても、答えは 1 回だけ作る
+  const logicFor = (pid) => {
+    if (!logics.has(pid)) logics.set(pid, new Logic(pid));
+    return logics.get(pid);
+  };
+  for (const g of records) {
+    if (g.discarded || wordLengthForPID(g.problemID) !== 5) continue;
+    const extraShot = getExtraShot(g);
+    if (!g.clear) {
+      for (const word of logicFor(g.problemID).answers) add(word, "lost", g.startTime);
+    } else if (extraShot && !extraShot.success) {
+      const other = logicFor(g.problemID).otherAnswer(g.guessWord[g.guessWord.length - 1]);
+      if (other) add(other, "extraShot", g.startTime);
+    }
+  }
+  return words;
+}
+
+/**
+ * スペルクイズの手掛かり。辞書（lookup は core/dictionary.js の lookupWord）に意味があれば出す（品詞 x は無いものとする）。
+ * 載っていない語でも出せるよう、頭文字と、最後に逃した局の Guess をその語に対して判定した行を添える
+ * （答えそのものの行は除く。印を付けただけの語は rows が空で、頭文字だけになる）。
+ * @returns {{ entry: object | null, first: string, rows: { guess: string, result: string[] }[] }}
+ */
+export function quizClue(word, lookup, records = getHistory()) {
+  let rows = [];
+  for (let i = records.length - 1; i >= 0; i--) {
+    const g = records[i];
+    if (!missedIn(g, word)) continue;
+    rows = g.guessWord.filter((guess) => guess !== word).map((guess) => ({ guess, result: queryWordSingle(guess, word) }));
+    break;
+  }
+  const entry = lookup(word);
+  return { entry: entry?.pos === "x" ? null : entry, first: word[0], rows };
+}
+
+/**
+ * 復習する語すべて。予定の近い順（同じ日なら、まだ覚えていない語 → 最近逃した語の順）。
+ * @returns {[{ word, sources: ("lost" | "extraShot" | "marked")[], card: object | null, due: number, isDue: boolean }]}
+ *   card は出題の予定（まだ一度も復習していなければ null で、今日出す）
+ */
+export function getStudyDeck(now = nowSec(), records = getHistory()) {
+  const today = localDayNumber(now);
+  const { marked, cards } = loadStudy();
+  const missed = missedAnswers(records);
+  for (const word of marked) {
+    if (!missed.has(word)) missed.set(word, { sources: new Set(), lastMissed: 0 });
+    missed.get(word).sources.add("marked");
+  }
+  return [...missed]
+    .map(([word, { sources, lastMissed }]) => {
+      const card = cards[word] ?? null;
+      const due = card ? card.due : today;
+      return { word, sources: [...sources], card, due, isDue: due <= today, lastMissed };
+    })
+    .sort((a, b) => a.due - b.due || (a.card?.reps ?? 0) - (b.card?.reps ?? 0) || b.lastMissed - a.lastMissed || (a.word < b.word ? -1 : 1))
+    .map(({ lastMissed, ...item }) => item);
+}
+
+// 今日復習する語（getStudyDeck の isDue だけ）
+export function dueStudyCards(now = nowSec(), records = getHistory()) {
+  return getStudyDeck(now, records).filter((item) => item.isDue);
+}
+
+// 1 語を評価して予定を保存し、新しい予定を返す
+export function reviewStudyWord(word, grade, now = nowSec()) {
+  const study = loadStudy();
+  const card = scheduleCard(study.cards[word] ?? null, grade, localDayNumber(now));
+  saveJSON("study", { ...study, cards: { ...study.cards, [word]: card } });
+  return card;
+}
+
+// スペルクイズの評価。1 回目で当てたら「覚えた」、2 回目以降なら「難しい」、当てられなければ「もう一度」
+export function quizGrade(tries, solved) {
+  if (!solved) return GRADES.again;
+  return tries <= 1 ? GRADES.good : GRADES.hard;
+}
+
+export function isMarkedStudyWord(word) {
+  return loadStudy().marked.includes(word);
+}
+
+// 印を付ける・外す。外すと、履歴から集まる語でなければ予定ごと消える（付け直すと最初から）
+export function setStudyMark(word, marked) {
+  if (!WORD_SET.has(word)) return;
+  const study = loadStudy();
+  const rest = study.marked.filter((w) => w !== word);
+  if (marked) {
+    saveJSON("study", { ...study, marked: [...rest, word] });
+    return;
+  }
+  const cards = { ...study.cards };
+  if (!missedAnswers().has(word)) delete cards[word];
+  saveJSON("study", { marked: rest, cards });
+}
@@ -0,0 +1,147 @@
+// 端末間の同期（スマホと PC で同じ履歴・実績を使う）。
+//
+// 同期先（バックエンド）には 1 つの JSON ファイルを置き、中身は本作のエクスポート JSON
+// （records.js の exportJSON）そのもの。同期は「読む → 手元にマージ → 手元の全体を書き戻す」:
+//   履歴  migrate.js の readExportText で読み、addImportedGames でマージする
+//         （(startTime, gameMode) の重複規則も、貼り付けからの取り込みと同じ）。
+//         ただし貼り付けの印（imported: "json"）は付けず、書き出した端末での印をそのまま残す
+//         （別の端末で遊んだ局は、その端末で遊んだ局のまま）
+//   実績  achievements.js の mergeAchievementEntries で、解除時刻の早いほうを残してマージする
+// どの端末から同期しても、同期先にはその時点の両方の和集合が残る。
+// 読んでから書くまでに別の端末が書き込んでいたら（write が SYNC_CONFLICT を投げたら）、
+// 読み直してマージし直す。マージは何度しても増えないので、やり直しても重複しない。
+//
+// バックエンドは次の形のオブジェクト:
+//   { kind, label, read(): Promise<string | null>, write(text): Promise<void> }
+// read はまだ何も置かれていなければ null を返す（初回の同期は書き出しだけになる）。
+// 用意しているのは 3 つ:
+//   createFileHandleBackend  File System Access API で選んだファイル
+//   createTransferBackend    上の API が無いブラウザ向け。ファイルを選んで読み込み、結果をダウンロード
+//   createHttpBackend        WebDAV / 素の HTTP（GET で読み、PUT で書く）。
+//                            手元で試すときは tools/sync-server.mjs を立てて URL を向ける
+
+import { loadJSON, saveJSON } from "./store.js?v=20260806-a";
+import { addImportedGames, exportJSON } from "./records.js?v=20260806-a";
+import { readExportText } from "./migrate.js?v=20260806-a";
+import { mergeAchievementEntries } from "./achievements.js?v=20260806-a";
+
+export const SYNC_FILE_NAME = "dwordle2-sync.json";
+
+// 読み直してもまだ別の端末と競合するときに、諦めるまでの同期の回数
+const SYNC_ATTEMPTS = 3;
+const SYNC_CONFLICT = "同期中に別の端末が同期しました。もう一度同期してください";
+
+// File System Access API で選んだファイル（FileSystemFileHandle）。
+// 書き込みの許可は、選んだ直後に UI 側で取っておく（requestPermission はユーザー操作の中でしか呼べない）
+export function createFileHandleBackend(handle) {
+  return {
+    kind: "file",
+    label: handle.name,
+    async read() {
+      const text = await (await handle.getFile()).text();
+      return text.trim() ? text : null;
+    },
+    async write(text) {
+      const writable = await handle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    },
+  };
+}
+
+// ファイルを直接書き換えられないブラウザ向け。upload は選ばれたファイルの中身（無ければ null）、
+// download は書き戻す内容をファイルとして保存させる関数（どちらも UI 側が用意する）
+export function createTransferBackend({ upload, download }) {
+  return { kind: "transfer", label: SYNC_FILE_NAME, read: upload, write: download };
+}
+
+// WebDAV / HTTP。url は同期ファイルそのものの URL（例: https://dav.example.com/dwordle2-sync.json）。
+// 読んだときの ETag を If-Match で送り、間に別の端末が書き込んでいたら上書きせずに止める。
+// まだ何も置かれていなかったとき（初回）は If-None-Match: * を送り、同時に初回の同期をした
+// 別の端末のファイルも上書きしない。どちらも 412 が返るので、SYNC_CONFLICT を投げる。
+export function createHttpBackend({ url, username = "", password = "" }, fetchImpl = globalThis.fetch) {
+  const headers = {};
+  if (username || password) headers.Authorization = `Basic ${base64(`${username}:${password}`)}`;
+  let etag = null;
+  const request = async (options) => {
+    try {
+      return await fetchImpl(url, { cache: "no-store", ...options, headers: { ...headers, ...options.headers } });
+    } catch {
+      throw new Error("同期先に接続できませんでした");
+    }
+  };
+  return {
+    kind: "http",
+    label: url,
+    async read() {
+      const response = await request({ method: "GET" });
+      if (response.status === 404) {
+        etag = null;
+        return null;
+      }
+      if (!response.ok) throw new Error(`同期先から読み込めませんでした（HTTP ${response.status}）`);
+      etag = response.headers.get("ETag");
+      const text = await response.text();
+      return text.trim() ? text : null;
+    },
+    async write(text) {
+      const response = await request({
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...(etag ? { "If-Match": etag } : { "If-None-Match": "*" }) },
+        body: text,
+      });
+      if (response.status === 412) throw new Error(SYNC_CONFLICT);
+      if (!response.ok) throw new Error(`同期先へ書き込めませんでした（HTTP ${response.status}）`);
+      etag = response.headers.get("ETag");
+    },
+  };
+}
+
+// UTF-8 のまま Basic 認証へ載せる（btoa は Latin-1 しか受け付けない）
+function base64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+// 1 回の同期。戻り値は { added, achievements, pulled }:
+//   added        同期先から手元へ加わったプレイ数
+//   achievements 同期先から手元へ加わった実績の数
+//   pulled       同期先にファイルがあったか（false なら初回で、書き出しだけをした）
+// 同期先の中身が読めない・署名が合わないときは、手元にも同期先にも何もせずに Error を投げる。
+// 別の端末との競合が SYNC_ATTEMPTS 回続いたときも Error を投げる（それまでにマージした分は手元に残る）。
+export async function syncWith(backend) {
+  let added = 0;
+  let achievements = 0;
+  for (let attempt = 1; ; attempt++) {
+    const remote = await backend.read();
+    if (remote !== null) {
+      const { records, achievements: entries } = await readExportText(remote, { keepImported: true });
+      added += addImportedGames(records);
+      achievements += mergeAchievementEntries(entries);
+    }
+    try {
+      await backend.write(await exportJSON());
+    } catch (e) {
+      if (e.message === SYNC_CONFLICT && attempt < SYNC_ATTEMPTS) continue;
+      throw e;
+    }
+    saveJSON("sync", { ...getSyncConfig(), lastSyncedAt: Math.floor(Date.now() / 1000), lastBackend: backend.kind });
+    return { added, achievements, pulled: remote !== null };
+  }
+}
+
+// 同期の設定（HTTP の接続先と最後に同期した時刻）。
+// パスワードもこの端末の localStorage に置く（WebDAV のアプリ用パスワードを想定）
+export function getSyncConfig() {
+  const saved = loadJSON("sync", {});
+  return {
+    url: typeof saved.url === "string" ? saved.url : "",
+    username: typeof saved.username === "string" ? saved.username : "",
+    password: typeof saved.password === "string" ? saved.password : "",
+    lastSyncedAt: Number.isFinite(saved.lastSyncedAt) ? saved.lastSyncedAt : null,
+    lastBackend: typeof saved.lastBackend === "string" ? saved.lastBackend : null,
+  };
+}
+
+export function setHttpSyncTarget({ url, username = "", password = "" }) {
+  saveJSON("sync", { ...getSyncConfig(), url, username, password });
+}
@@ -0,0 +1,198 @@
+// チュートリアル（#/tutorial）。答えを決めた短い練習問題を本物のゲーム画面で遊び、
+// 1 手ごとに緑・黄がどちらの答えから来たのかを遊び方（help.js）と同じ線で示す。
+//
+// レッスンは手順（steps）どおりに入力させる。どの手で何を打つかが決まっているので、解説も
+// 書き下ろしにできる。答えの組はカスタム問題（problems.js のカスタム帯）の PID にして Logic に渡す。
+// DWORDlie のレッスンは嘘の出方も shown に書いておく（本物は乱数なので、解説と食い違わないように）。
+// shown は 1 マス 1 文字で G: 緑 / Y: 黄 / .: 灰。どのマスも本当の判定と違う色にすること。
+//
+// 盤面は records.js の進行中ゲームの "tutorial" 枠（game.lesson にレッスンの id）に置き、本来の
+// DWORDle / DWORDlie の続きを上書きしない。遊んだ記録は履歴に残さない（実績・統計にも数えない）。
+// 済んだレッスンは "tutorial" に { done: [id...] } で持つ。DWORDle のレッスン（TRACK_LESSONS）を
+// すべて終えると、1 回プレイで開くタイトルのメニューが開く（title-screen.js）。
+
+import { CELL, queryWordPair } from "./logic.js?v=20260806-a";
+import { customPIDForPair } from "./problems.js?v=20260806-a";
+import { loadJSON, saveJSON } from "./store.js?v=20260806-a";
+
+const SHOWN_STATES = { G: CELL.CORRECT, Y: CELL.USED, ".": CELL.UNUSED };
+
+export const LESSONS = [
+  {
+    id: "sources",
+    mode: "normal",
+    answers: ["chair", "stone"],
+    titleJa: "緑と黄は、どちらの答え？",
+    titleEn: "Which answer lit it up?",
+    introJa: "答えは CHAIR と STONE。判定の色が、2 つの答えのどちらから来るのかを見てみよう。",
+    introEn: "The answers are CHAIR and STONE. Watch which answer each color comes from.",
+    steps: [
+      {
+        word: "crane",
+        noteJa: "C・A は Word 1（CHAIR）の同じ位置、N・E は Word 2（STONE）の同じ位置なので緑。R は CHAIR の別の位置にあるので黄。1 行の中に両方の答えの情報が混ざります。",
+        noteEn: "C and A sit in the same spots in Word 1 (CHAIR), N and E in Word 2 (STONE), so they are green. R is elsewhere in CHAIR, so it is yellow. One row mixes clues from both answers.",
+      },
+      {
+        word: "spoil",
+        noteJa: "S・O は STONE、I は CHAIR と同じ位置。P と L はどちらの答えにも無いので灰です。",
+        noteEn: "S and O match STONE, and I matches CHAIR. P and L are in neither answer, so they are gray.",
+      },
+      {
+        word: "stone",
+        noteJa: "どちらか 1 つを当てればクリア。もう 1 つの CHAIR は当てなくてかまいません。",
+        noteEn: "Guessing either answer wins. You never have to find CHAIR too.",
+      },
+    ],
+  },
+  {
+    id: "all-green",
+    mode: "normal",
+    answers: ["about", "black"],
+    titleJa: "全部緑でも正解とは限らない",
+    titleEn: "All green is not a win",
+    introJa: "答えは ABOUT と BLACK。緑は「どちらかの答えと同じ位置」という意味でしかありません。",
+    introEn: "The answers are ABOUT and BLACK. Green only means “same spot in one of the answers”.",
+    steps: [
+      {
+        word: "block",
+        noteJa: "B・L・C・K は BLACK、O は ABOUT と同じ位置なので全部緑。でも BLOCK はどちらの答えでもないので、ゲームは続きます。",
+        noteEn: "B, L, C and K match BLACK and O matches ABOUT, so every tile is green. But BLOCK is neither answer, so the game goes on.",
+      },
+      {
+        word: "black",
+        noteJa: "入力全体が答えと一致して、はじめてクリアです。",
+        noteEn: "You win only when the whole guess matches an answer.",
+      },
+    ],
+  },
+  {
+    id: "narrowing",
+    mode: "normal",
+    answers: ["brick", "ghost"],
+    titleJa: "灰で候補を絞る",
+    titleEn: "Narrowing it down with gray",
+    introJa: "答えは BRICK と GHOST。灰の文字は 2 つの答えのどちらにも無い、という強い手掛かりです。",
+    introEn: "The answers are BRICK and GHOST. A gray letter is in neither answer — a strong clue.",
+    steps: [
+      {
+        word: "crane",
+        noteJa: "A・N・E は灰なので、どちらの答えにもありません。C は BRICK の別の位置（黄）、R は BRICK と同じ位置（緑）です。",
+        noteEn: "A, N and E are gray, so neither answer has them. C is elsewhere in BRICK (yellow) and R is in the same spot in BRICK (green).",
+      },
+      {
+        word: "shout",
+        noteJa: "H・O・T は GHOST と同じ位置、S は GHOST の別の位置。灰の U も除けるので、残るのは GHOST です。",
+        noteEn: "H, O and T match GHOST and S is elsewhere in GHOST. Gray U is ruled out too, which leaves GHOST.",
+      },
+      {
+        word: "ghost",
+        noteJa: "手掛かりを組み合わせて、片方の答えを言い当てました。",
+        noteEn: "You combined the clues and named one of the answers.",
+      },
+    ],
+  },
+  {
+    id: "lies",
+    mode: "uso",
+    answers: ["heart", "light"],
+    titleJa: "DWORDlie: 嘘の読み方",
+    titleEn: "DWORDlie: reading the lies",
+    introJa: "答えは HEART と LIGHT。DWORDlie の判定は必ず嘘。表示された色から「本当はどの色か」を考えよう。",
+    introEn: "The answers are HEART and LIGHT. In DWORDlie every color lies. Work out what each tile truly is.",
+    steps: [
+      {
+        word: "crane",
+        shown: "G..Y.",
+        noteJa: "灰と出た R・A・E は、本当は緑か黄。つまりどちらかの答えに入っています。緑と出た C は本当は黄か灰なので、少なくとも 1 文字目ではありません。",
+        noteEn: "R, A and E show gray, so they are truly green or yellow: each is in one of the answers. C shows green, so it is truly yellow or gray — at least it is not the first letter.",
+      },
+      {
+        word: "earth",
+        shown: "G.G.G",
+        noteJa: "黄と出たマスが 1 つもありません。緑・灰と出たマスは本当の色ではないので、5 文字すべてが本当は黄でもおかしくありません。並べ替えてみると……",
+        noteEn: "Not one tile shows yellow. Green and gray tiles are never the true color, so all five could truly be yellow. Try rearranging them…",
+      },
+      {
+        word: "heart",
+        shown: "Y.YY.",
+        noteJa: "当たっていても判定は嘘をつきます。クリアかどうかは色ではなく、入力が答えと一致したかで決まります。",
+        noteEn: "Even a correct guess gets lying colors. Whether you win depends on the word matching an answer, not on the colors.",
+      },
+    ],
+  },
+];
+
+// すべて終えるとメニューが開くレッスン（DWORDlie のレッスンは別扱い）
+export const TRACK_LESSONS = LESSONS.filter((lesson) => lesson.mode === "normal");
+
+export function lessonById(id) {
+  return LESSONS.find((lesson) => lesson.id === id) ?? null;
+}
+
+export function lessonPID(lesson) {
+  return customPIDForPair(lesson.answers[0], lesson.answers[1]);
+}
+
+// 進行中ゲームのレッスン。レッスンの盤面でなければ null
+export function lessonForGame(game) {
+  return game?.lesson ? lessonById(game.lesson) : null;
+}
+
+// stepIndex 手目に見せる判定。DWORDle は本当の判定、DWORDlie は書き下ろしの嘘
+export function lessonShownResult(lesson, stepIndex, trueResult) {
+  const shown = lesson.steps[stepIndex]?.shown;
+  return shown ? [...shown].map((c) => SHOWN_STATES[c]) : trueResult.slice();
+}
+
+/**
+ * Guess の各マスの判定が、どちらの答えの何文字目を使ったのか。消費の順は logic.js の queryWordPair と同じ。
+ * @returns {{ result, links: [{ answer: 0 | 1, target, state } | null] }}  灰のマスは null
+ */
+export function traceFeedback(guess, ans1, ans2) {
+  const result = queryWordPair(guess, ans1, ans2);
+  const n = guess.length;
+  const answers = [ans1, ans2];
+  const flags = [Array(n).fill(0), Array(n).fill(0)];
+  const links = Array(n).fill(null);
+
+  for (let i = 0; i < n; i++) {
+    if (result[i] !== CELL.CORRECT) continue;
+    const answer = guess[i] === ans1[i] ? 0 : 1;
+    flags[answer][i] = 1;
+    links[i] = { answer, target: i, state: CELL.CORRECT };
+  }
+  for (let i = 0; i < n; i++) {
+    if (result[i] !== CELL.USED) continue;
+    for (let j = 0; j < n && !links[i]; j++) {
+      if (i === j) continue;
+      for (const answer of [0, 1]) {
+        if (!flags[answer][j] && guess[i] === answers[answer][j]) {
+          flags[answer][j] = 1;
+          links[i] = { answer, target: j, state: CELL.USED };
+          break;
+        }
+      }
+    }
+  }
+  return { result, links };
+}
+
+function loadDone() {
+  const saved = loadJSON("tutorial", {});
+  return Array.isArray(saved.done) ? saved.done : [];
+}
+
+export function isLessonDone(id) {
+  return loadDone().includes(id);
+}
+
+export function markLessonDone(id) {
+  const done = loadDone();
+  if (!done.includes(id)) saveJSON("tutorial", { done: [...done, id] });
+}
+
+// DWORDle のレッスンをすべて終えたか（タイトルのメニューが開く）
+export function isTutorialComplete() {
+  const done = loadDone();
+  return TRACK_LESSONS.every((lesson) => done.includes(lesson.id));
+}
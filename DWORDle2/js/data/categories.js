@@ -0,0 +1,12 @@
+// テーマ別の出題（problems.js の CATEGORIES）の単語リスト。気軽に遊ぶための小さなリストで、
+// どの語も 5 文字版の全単語リスト（words.js の ALL_WORDS）にある。Guess はふだんどおり全単語リストから受け付ける。
+// 配列の順序と語数が出題の再現性に直結するため、並べ替え・追加・削除をしないこと（語を変えたいときは新しいテーマにする）。
+
+export const CATEGORY_WORDS = {
+  animals: ["tiger","zebra","horse","sheep","camel","llama","moose","otter","panda","koala","lemur","hyena","bison","rhino","skunk","sloth","whale","shark","squid","snake","viper","cobra","eagle","raven","crane","heron","stork","robin","finch","goose","quail","mouse","hippo","gecko","trout","perch","macaw","dingo","hound","puppy","kitty","bunny","chimp","okapi","tapir","sable","stoat","egret","swift","steer","filly","mamba","gator","guppy","prawn","snail"],
+  food: ["apple","bread","pasta","pizza","salad","bacon","toast","lemon","mango","grape","peach","melon","olive","onion","honey","candy","cream","sugar","flour","spice","curry","sushi","steak","gravy","sauce","syrup","jelly","donut","bagel","crepe","fudge","berry","guava","chili","wheat","maize","cocoa","cider","juice","broth","cumin","thyme","basil","clove","mocha","gumbo","pilaf","kebab","scone","wafer","prune","nacho","pecan","dough","gourd","chard","caper","salsa"],
+  colors: ["amber","azure","beige","black","brown","coral","cream","ebony","green","ivory","khaki","lemon","lilac","mauve","ochre","olive","peach","pearl","sepia","taupe","white","umber","topaz","rouge","blush","denim","slate","straw","linen","mocha","cocoa","ember","tawny","sandy","ashen"],
+  nature: ["cloud","storm","rainy","sunny","windy","frost","snowy","sleet","foggy","misty","flood","river","ocean","beach","coast","shore","cliff","ridge","field","grass","plant","petal","bloom","daisy","tulip","lotus","maple","cedar","birch","aspen","stone","earth","marsh","swamp","creek","brook","delta","crest","glade","grove","oasis"],
+  body: ["heart","brain","chest","ankle","elbow","wrist","thumb","spine","skull","liver","mouth","tooth","teeth","cheek","belly","waist","thigh","blood","nerve","joint","pupil","torso","colon","navel","gland","scalp","aorta","femur","tibia"],
+  home: ["chair","table","couch","shelf","stool","bench","clock","plate","spoon","knife","glass","towel","sheet","quilt","broom","brush","stove","radio","phone","piano","frame","blind","dryer","cable","attic","porch","fence","floor","patio","house","cabin","mixer","crate","basin","brick"],
+};
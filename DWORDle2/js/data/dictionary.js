@@ -0,0 +1,14857 @@
+// 答えの単語の辞書（core/dictionary.js が読む）。オフラインで引けるよう、ALL_WORDS の index をキーに
+// [品詞, 英語の短い定義, 日本語の訳, 例文] を持つ（例文は無いこともある）。
+// 品詞は n 名詞 / v 動詞 / adj 形容詞 / adv 副詞 / prep 前置詞 / pron 代名詞 / conj 接続詞 / interj 間投詞。
+// 収録は ALL_WORDS の全語（どのレベルの候補も引ける。test/dictionary.test.mjs で確かめる）。
+// 大きな単語表にしか無く意味を確かめられなかった語は ["x"] だけを置く（定義と訳は core/dictionary.js が添える）。
+// 活用形・複数形は元の語を、固有名詞は何の名前かを添えて短く説明する。
+// キーは ALL_WORDS の index なので、words.js の順序と同じく変えないこと。
+
+export const DICTIONARY = {
+0:["v","exclaimed \"aah\" in pleasure or wonder (past of aah)","「ああ」と感嘆した"],
+1:["n","a small Hawaiian tree with hard dark wood","アアリイ（ハワイの低木）"],
+2:["interj","a cry of frustration, pain or anger","ああっ、うわあ（苛立ちの声）"],
+3:["n","a given name; the brother of Moses in the Bible","アーロン（人名）","Aaron is my classmate."],
+4:["n","Manila hemp; the banana-like plant of the Philippines that yields it","マニラ麻"],
+5:["n","plural of abacus","そろばん（複数）"],
+6:["adv","backward; (of sails) pressed back by the wind","後ろへ、不意を突かれて"],
+7:["n","an old name for the rhinoceros","サイ（古語）"],
+8:["x"],
+9:["adv","toward or at the stern of a ship; behind","船尾に、後方に"],
+10:["n","another spelling of abaca (Manila hemp)","マニラ麻（異綴り）"],
+11:["n","a unit of electric current equal to 10 amperes","アブアンペア（電流の単位）"],
+12:["v","to abandon; to banish (obsolete)","見捨てる（廃語）"],
+13:["v","to lower in rank or dignity; to humiliate","（品位を）落とす、卑しめる"],
+14:["v","to make ashamed or embarrassed","恥じ入らせる、まごつかせる"],
+15:["adv","basking in warmth","日なたぼっこして"],
+16:["v","to become less strong or intense; to reduce","和らぐ、減らす"],
+17:["x"],
+18:["x"],
+19:["x"],
+20:["n","plural of abba (father; a title of bishops in Eastern churches)","アバ（父・主教の称号、複数）"],
+21:["n","plural of abbe (a French title for a priest)","神父（複数）"],
+22:["n","a building where monks or nuns live","修道院","We visited Westminster Abbey."],
+23:["n","the head of an abbey of monks","修道院長","The abbot rang the bell."],
+24:["n","a religious devotee or dervish in Persia","（ペルシャの）修行者、托鉢僧"],
+25:["x"],
+26:["n","abbreviation of abdomen","腹部（略）"],
+27:["adv","at right angles to the length of a ship","（船の）真横に"],
+28:["v","to bear or endure (dialect)","耐える（方言）"],
+29:["x"],
+30:["n","the white poplar tree","ウラジロハコヤナギ"],
+31:["n","an abnormal end of a computer program","異常終了（コンピューター）"],
+32:["v","to wander or stray (obsolete)","さまよう（廃語）"],
+33:["v","helps or encourages, especially in wrongdoing (form of abet)","（悪事を）そそのかす、助長する"],
+34:["v","to hate something deeply","ひどく嫌う"],
+35:["v","to accept or obey; to bear","従う、我慢する","You must abide by the rules."],
+36:["x"],
+37:["x"],
+38:["n","an abyss (obsolete)","深淵（廃語）"],
+39:["n","in India, a maker or seller of spirits","（インドの）酒造・酒販業者"],
+40:["adj","more able (comparative of able)","より有能な"],
+41:["x"],
+42:["n","the bleak, a small freshwater fish","ブリーク（コイ科の小魚）"],
+43:["adv","blowing; in bloom","吹いて、咲いて"],
+44:["n","a unit of electrical conductance","アブモー（電気伝導の単位）"],
+45:["n","a given name; a commander in the Bible","アブネル（人名）"],
+46:["n","the girdle of a Jewish priest","（ユダヤ教の祭司の）帯"],
+47:["n","a home","住まい","Welcome to my humble abode."],
+48:["x"],
+49:["n","a unit of electrical resistance equal to a billionth of an ohm","アブオーム（電気抵抗の単位）"],
+50:["adj","boiling","沸き立って"],
+51:["n","a large South American boa","アボマ（南米の大蛇）"],
+52:["prep","above (Scottish)","〜の上に（スコットランド方言）"],
+53:["n","a manner of approaching someone; an approach (obsolete)","近づき方、挨拶（廃語）"],
+54:["v","to end something before it is finished; to end a pregnancy early","中止する、流産する"],
+55:["x"],
+56:["prep","on the subject of; concerning","〜について","Tell me about your trip."],
+57:["prep","higher than; over","〜の上に","The lamp hangs above the table."],
+58:["v","to start up; to awake (obsolete; same as abraid)","はっと目覚める（廃語）"],
+59:["x"],
+60:["adj","full to the brim","なみなみと満ちて"],
+61:["n","a toxic protein from the seeds of the rosary pea","アブリン（トウアズキの毒素）"],
+62:["n","plural of abri (a shelter or dugout)","避難所、待避壕（複数）"],
+63:["n","the alphabet; an ABC book (obsolete)","アルファベット、初歩（廃語）"],
+64:["n","the alphabet; an ABC book (obsolete)","アルファベット、初歩（廃語）"],
+65:["n","another spelling of apsis","長軸端（天文）"],
+66:["n","permission for a student to be absent for a night","外泊許可"],
+67:["n","abbreviation of abstract","要約、抽象（略）"],
+68:["n","the patriarch, or head, of the Ethiopian Church","アブナ（エチオピア正教会の総主教）"],
+69:["prep","above (Scottish)","〜の上に（スコットランド方言）"],
+70:["n","a West African tree and its light timber","アブラ（西アフリカの木材）"],
+71:["n","cruel or wrong treatment; misuse","虐待、乱用","Drug abuse is a serious problem."],
+72:["adv","in ambush (obsolete)","待ち伏せて（廃語）"],
+73:["v","lies next to; shares a border with (form of abut)","隣接する"],
+74:["adj","full of excited talk or activity","ざわめいて、活気づいて"],
+75:["n","extra taxes or cesses once levied in India","（インドの）付加税"],
+76:["v","pays the penalty for (form of aby)","償う"],
+77:["n","an abyss (literary)","深淵（文語）"],
+78:["n","a very deep hole","深淵、奈落","He stared into the abyss."],
+79:["x"],
+80:["n","a hard-wooded West Indian tree","アカナ（西インド諸島の硬材の木）"],
+81:["n","a hard Brazilian timber tree","アカプ（ブラジルの硬材の木）"],
+82:["n","a South American cichlid fish","アカラ（南米の熱帯魚）"],
+83:["n","mites and ticks (plural of acarus)","ダニ類"],
+84:["x"],
+85:["n","a purchase; provisions (obsolete)","買い物、食料（廃語）"],
+86:["n","abbreviation of accelerando (gradually faster, in music)","アッチェレランド（略）"],
+87:["v","to soothe or tame (obsolete)","なだめる、従わせる（廃語）"],
+88:["n","the capital city of Ghana","アクラ（ガーナの首都）"],
+89:["n","abbreviation of accounts","勘定、口座（略）"],
+90:["adj","abbreviation of accumulative","累積の（略）"],
+91:["x"],
+92:["n","abbreviation of accusative","対格（略）"],
+93:["n","sloth; spiritual apathy (same as acedia)","怠惰、無気力"],
+94:["adj","sour or bitter; harsh","酸っぱい、辛辣な"],
+95:["n","plural of acetum (a vinegar solution)","酢剤（複数）"],
+96:["n","a spicy South Asian pickle","アチャール（南アジアの漬物）"],
+97:["v","felt a dull, steady pain (past of ache)","痛んだ"],
+98:["n","one who aches","痛む人"],
+99:["n","dull, steady pains (plural of ache)","痛み（複数）"],
+100:["interj","the sound of a sneeze","はくしょん"],
+101:["n","a scalp eruption of small pustules","頭部の膿疱性発疹"],
+102:["n","sour, corrosive chemical compounds (plural of acid)","酸（複数）"],
+103:["adj","somewhat acid; sour","酸っぱい"],
+104:["v","to coat a metal plate with steel (acierate)","鋼で覆う"],
+105:["n","a battle line or array (Latin)","戦列"],
+106:["v","serving an ace; passing with ease (present participle of ace)","サービスエースを取る、楽々こなす"],
+107:["n","plural of acinus (a small sac in a gland)","腺房（複数）"],
+108:["n","a tropical tree and its fruit, eaten in Jamaica","アキー（熱帯の果実）"],
+109:["x"],
+110:["n","a former silver coin of the Gold Coast","アッキー（旧ゴールドコーストの銀貨）"],
+111:["n","a small javelin with a strap","（革紐付きの）小さな投げ槍"],
+112:["n","highest points (plural of acme)","頂点、絶頂（複数）"],
+113:["adj","relating to the acme or peak","絶頂の"],
+114:["adj","marked by acne","にきびのある"],
+115:["n","plural of acne","にきび（複数）"],
+116:["adv","cocked up; set at an angle","斜めに上げて"],
+117:["x"],
+118:["adj","cold (archaic)","寒い（古語）"],
+119:["n","a Pueblo people of New Mexico; their village","アコマ（ニューメキシコのプエブロ族）"],
+120:["x"],
+121:["x"],
+122:["n","the nut of the oak tree","どんぐり"],
+123:["x"],
+124:["x"],
+125:["adj","owning land","土地を所有する"],
+126:["n","units of land area (plural of acre, about 4,047 m²)","エーカー（面積の単位）","The farm covers forty acres."],
+127:["adj","sharp and bitter to smell or taste","（においや味が）刺すような、辛辣な"],
+128:["n","the front, unsegmented part of an arthropod's body","先節（節足動物の頭部前端）"],
+129:["adj","relating to acrylic compounds","アクリルの"],
+130:["v","did something; performed a role (past of act)","行動した、演じた","She acted quickly to stop the fire."],
+131:["n","a protein found in muscle fibres","アクチン（筋肉のたんぱく質）"],
+132:["n","a padded jacket worn under armour","（鎧の下に着る）詰め物入りの胴着"],
+133:["n","a person who performs in plays or films","俳優","The actor forgot his lines."],
+134:["x"],
+135:["n","a Roman unit of length or area","アクトゥス（古代ローマの単位）"],
+136:["adj","severe and sudden; sharp or keen","鋭い、急性の","He felt an acute pain in his side."],
+137:["n","plural of acyl (a chemical group of the form RCO-)","アシル基（複数）"],
+138:["n","a short, well-known saying","格言、ことわざ"],
+139:["x"],
+140:["n","a family name (as in John Adams)","アダムズ（姓）","John Adams was the second US president."],
+141:["v","to change to fit a new situation","適応する","Animals adapt to the cold."],
+142:["n","a fine cotton cloth from India","アダティ（インドの綿布）"],
+143:["n","a fine cotton cloth from India","アダティ（インドの綿布）"],
+144:["v","to awaken; to subdue (obsolete)","目覚めさせる（廃語）"],
+145:["adv","at dawn","夜明けに"],
+146:["adv","by day; daily (obsolete)","日中に、毎日（廃語）"],
+147:["x"],
+148:["n","a large pale antelope of the Sahara with spiral horns","アダックス（サハラのレイヨウ）"],
+149:["x"],
+150:["v","put in as an extra part; summed (past of add)","加えた","She added sugar to the tea."],
+151:["n","a small poisonous European snake; also one who adds","クサリヘビ、加算する人"],
+152:["interj","goodbye (Italian)","さようなら（イタリア語）"],
+153:["n","short for Addis Ababa, the capital of Ethiopia","アディスアベバ（略）"],
+154:["v","to confuse; (of an egg) to go bad","混乱させる、（卵が）腐る"],
+155:["adj","abbreviation of additional","追加の（略）"],
+156:["adv","to death (obsolete)","死ぬほど（廃語）"],
+157:["v","to revoke a legacy by disposing of the item before death","（遺贈を）取り消す"],
+158:["adv","deeply; deep down","深く"],
+159:["n","animal fat; lard","獣脂、ラード"],
+160:["adj","very skilled","熟達した"],
+161:["n","an affix","接辞"],
+162:["interj","goodbye; farewell","さらば、ごきげんよう"],
+163:["n","an ion held on a surface by adsorption","吸着イオン"],
+164:["interj","goodbye (Spanish)","さようなら（スペイン語）"],
+165:["n","horizontal entrances to mines (plural of adit)","横坑（複数）"],
+166:["x"],
+167:["n","Job's tears, a grass with hard, bead-like seeds","ハトムギ、ジュズダマ"],
+168:["x"],
+169:["n","a person who works in advertising","広告マン"],
+170:["n","plural of adman","広告マン（複数）"],
+171:["n","administration; an administrator (informal)","管理（者）","Ask the admin for a password."],
+172:["v","to confess to be true; to allow to enter","認める、入れる","He admitted his mistake."],
+173:["v","to mix in; to blend","混ぜる"],
+174:["v","abbreviation of admove (apply, in prescriptions)","適用せよ（処方の略）"],
+175:["n","abbreviation of administratrix","女性の遺産管理人（略）"],
+176:["adj","attached; annexed","付属の"],
+177:["n","bricks of sun-dried clay","日干しれんが","An adobe house stays cool."],
+178:["n","a Filipino dish of meat stewed in vinegar and garlic","アドボ（フィリピンの煮込み料理）"],
+179:["n","a given name","アドルフ（人名）"],
+180:["v","to take as your own; to legally raise another's child","採用する、養子にする","They decided to adopt a puppy."],
+181:["v","to love or admire very much","崇拝する、大好きだ"],
+182:["v","to decorate","飾る"],
+183:["adv","down; downward (archaic)","下へ（古語）"],
+184:["n","an opinion that is neither orthodox nor heretical","（正統でも異端でもない）意見"],
+185:["adv","dozing","うとうとして"],
+186:["x"],
+187:["adj","afraid (obsolete)","怖がって（廃語）"],
+188:["n","a mountain slope that faces the sun","日向斜面"],
+189:["adv","dripping","したたって"],
+190:["n","in alchemy, lead or the philosopher's stone made from it","（錬金術の）鉛"],
+191:["n","an African sedge whose root is used in medicine","アドルー（薬用のカヤツリグサ）"],
+192:["interj","\"I am present\" (Latin), used in answering a roll call","出席（ラテン語）"],
+193:["n","a fully grown person","大人、成人","Tickets are ten dollars for adults."],
+194:["adj","hooked; bent inward","鉤状に曲がった"],
+195:["v","to burn up (obsolete)","焼き尽くす（廃語）"],
+196:["adv","at dusk","夕暮れに"],
+197:["adj","scorched; burned by heat; gloomy","焦げた、日焼けした、陰気な"],
+198:["n","plural of adytum (the inner shrine of a temple)","（神殿の）至聖所（複数）"],
+199:["n","one who shapes wood with an adze","手斧で削る人"],
+200:["n","woodworking tools with arched blades (plural of adze)","手斧（複数）"],
+201:["n","plural of aecium (a cup-shaped spore structure of rust fungi)","さび胞子器（複数）"],
+202:["n","a genus of mosquitoes that carry yellow fever and dengue","ヤブカ属"],
+203:["n","a note excusing a student as ill (Latin, \"sick\")","病欠届"],
+204:["n","a tidal bore in a river","海嘯（河口の高潮）"],
+205:["n","protection or support; a shield in Greek myth","後援、庇護"],
+206:["n","immensely long periods of time (plural of aeon)","永劫（複数）"],
+207:["x"],
+208:["n","the high nest of an eagle or other bird of prey","（猛禽の）高巣"],
+209:["x"],
+210:["n","the chief gods of Norse mythology","アース神族（北欧神話）"],
+211:["n","the ancient Greek teller of fables","イソップ（古代ギリシャの寓話作家）"],
+212:["adj","abbreviation of aetatis, \"at the age of\" (Latin)","〜歳の（ラテン語の略）"],
+213:["x"],
+214:["n","eternity; an age (Latin)","永遠、時代（ラテン語）"],
+215:["x"],
+216:["n","a West African tree with light timber","アファラ（西アフリカの木）"],
+217:["n","the Afar people of Djibouti and Ethiopia","アファール人"],
+218:["v","to frighten (archaic)","怖がらせる（古語）"],
+219:["v","to attach or stick something on","貼り付ける、添える"],
+220:["n","an idol; a false god","偶像"],
+221:["adj","on fire; burning","燃えて"],
+222:["adv","level with the ground; flat (obsolete)","平らに（廃語）"],
+223:["x"],
+224:["adj","flowing","流れて"],
+225:["adj","foaming","泡立って"],
+226:["adv","on foot; in progress","徒歩で、進行中で"],
+227:["adv","before (dialect or archaic)","前に（方言・古語）"],
+228:["adv","in collision or entanglement; in conflict (run afoul of)","衝突して、もつれて"],
+229:["v","to frighten (obsolete)","怖がらせる（廃語）"],
+230:["x"],
+231:["n","a powerful evil spirit in Arabian myth","イフリート（アラビアの悪霊）"],
+232:["n","rounded, thickly curled hairstyles (plural of afro)","アフロヘア（複数）"],
+233:["prep","later than; following","〜の後で","Let's meet after lunch."],
+234:["n","the non-legal, storytelling parts of rabbinic literature (aggadah)","アガダー（ラビ文学の説話部分）"],
+235:["adv","one more time","もう一度、再び","Please say that again."],
+236:["n","a lizard of warm regions of the Old World","アガマ（トカゲ）"],
+237:["n","the trumpeter, a South American bird","ラッパチョウ"],
+238:["n","the absence of marriage; asexual reproduction","無婚、無性生殖"],
+239:["adj","with the mouth wide open in wonder","（驚いて）口をあんぐり開けて"],
+240:["n","jelly-like culture media (plural of agar)","寒天（複数）"],
+241:["adj","gasping","あえいで"],
+242:["adj","aghast (obsolete spelling)","ぎょっとして（廃綴）"],
+243:["n","a kind of glassware with a mottled finish","アガタ（斑模様のガラス器）"],
+244:["n","a banded, semi-precious form of quartz","めのう"],
+245:["adj","like or containing agate","めのう状の"],
+246:["n","a plant with thick spiky leaves, such as the century plant","アガベ、リュウゼツラン"],
+247:["adj","gazing, as in wonder","見とれて"],
+248:["n","an agendum (obsolete)","協議事項（廃語）"],
+249:["n","a chemical once used to bleach flour","アジーン（小麦粉の漂白剤）"],
+250:["n","a person who acts for another","代理人、諜報員","Her agent found her a new role."],
+251:["n","things that age something, such as wine or cloth","熟成させるもの"],
+252:["x"],
+253:["n","an earthwork or mound, such as a Roman road embankment","土塁"],
+254:["n","a marble made of agate; a student of an agricultural college","めのうのビー玉、農業大学生"],
+255:["n","aggressive behaviour; trouble (British slang)","もめごと、攻撃的な態度"],
+256:["adj","(of beads) of old, patterned glass found in West Africa","（西アフリカの）古いガラス玉の"],
+257:["x"],
+258:["n","plural of agha (an Ottoman title for a leader)","アガ（オスマン帝国の称号、複数）"],
+259:["adj","able to move quickly and easily","機敏な"],
+260:["n","the process of growing old","老化、熟成","Sunlight speeds up skin aging."],
+261:["n","fees for exchanging currencies (plural of agio)","両替手数料（複数）"],
+262:["n","discrimination based on age (same as ageism)","年齢差別"],
+263:["v","to take in livestock to graze for a fee","（家畜を）預かって放牧する"],
+264:["adv","askew (Scottish, same as agley)","斜めに（スコットランド方言）"],
+265:["n","the plastic or metal tip on a shoelace","（靴ひもの先の）金具"],
+266:["adv","askew; awry (Scottish)","斜めに、狂って（スコットランド方言）"],
+267:["adj","glowing","輝いて"],
+268:["x"],
+269:["n","a relative on the father's side (agnate)","父方の親族"],
+270:["n","an old French gold coin stamped with a lamb","アニエル（子羊の刻印の古い金貨）"],
+271:["n","short for Agnus Dei, \"Lamb of God\"","神の子羊"],
+272:["n","the tempo of a melody in ancient Greek music","アゴーゲー（古代ギリシャ音楽の速度）"],
+273:["n","a Philippine tree related to casuarina","アゴホ（フィリピンのモクマオウ）"],
+274:["adv","ago (archaic)","以前に（古語）"],
+275:["n","contests in ancient Greece (plural of agon)","競技（複数）"],
+276:["n","great pain","激しい苦痛","He was in agony after the fall."],
+277:["n","a public square or market place in ancient Greece","アゴラ（古代ギリシャの広場）"],
+278:["x"],
+279:["x"],
+280:["v","to have the same opinion","同意する","I agree with you."],
+281:["n","a pustular skin disease","膿疱性皮膚病"],
+282:["adj","abbreviation of agricultural","農業の（略）"],
+283:["adv","grinning","にやりとして"],
+284:["n","a disease in which the tongue chaps and cracks","舌のひび割れる病気"],
+285:["x"],
+286:["x"],
+287:["n","fevers with shivering (plural of ague)","おこり、悪寒（複数）"],
+288:["adj","shivering with ague","悪寒のする"],
+289:["x"],
+290:["adv","gushing","ほとばしって"],
+291:["x"],
+292:["adv","in front; forward in time or space","前方に、先に","Go straight ahead."],
+293:["adv","in a heap","山になって"],
+294:["n","throat-clearing sounds (plural of ahem)","せき払い（複数）"],
+295:["adv","behind (Scottish)","後ろに（スコットランド方言）"],
+296:["adv","behind (Scottish)","後ろに（スコットランド方言）"],
+297:["n","a grip or hold (get ahold of)","つかむこと"],
+298:["n","a hold (dialect form of ahold)","つかむこと（方言）"],
+299:["x"],
+300:["x"],
+301:["adv","with sails furled and helm lashed, riding out a storm","帆を畳んで漂泊して"],
+302:["adv","hunting","狩りをして"],
+303:["n","a good deity in Zoroastrianism","アフラ（ゾロアスター教の善神）"],
+304:["adv","hushed; silent","静まりかえって"],
+305:["x"],
+306:["v","helped (past of aid)","援助した","The map aided our search."],
+307:["n","one who helps","援助者"],
+308:["n","assistants (plural of aide)","補佐官、助手","The president's aides met today."],
+309:["n","an eagle's nest (same as aerie)","（猛禽の）高巣"],
+310:["n","a tidal bore (same as eagre)","海嘯"],
+311:["adj","sour (obsolete)","酸っぱい（廃語）"],
+312:["v","was ill; troubled (past of ail)","患った、悩ませた"],
+313:["x"],
+314:["n","a Mongol tribe or administrative district","アイマク（モンゴルの部族・行政区）"],
+315:["v","pointed or directed at a target (past of aim)","狙った、目指した","The ad is aimed at children."],
+316:["n","one who aims","狙う人"],
+317:["x"],
+318:["x"],
+319:["n","the Ainu people (plural of Ainu)","アイヌ（複数）"],
+320:["n","garlic mayonnaise","アイオリ（ニンニク入りマヨネーズ）"],
+321:["n","a salty yogurt drink of Central Asia and Turkey (ayran)","アイラン（塩味のヨーグルト飲料）"],
+322:["v","exposed to air; broadcast (past of air)","風に当てた、放送した"],
+323:["n","a frame for drying clothes","物干し"],
+324:["n","irons (Scottish)","鉄（スコットランド方言、複数）"],
+325:["n","a direction; a point of the compass (Scottish)","方角（スコットランド方言）"],
+326:["n","directions (Scottish, plural of airt)","方角（スコットランド方言、複数）"],
+327:["n","a passage between rows of seats or shelves","通路","I'd like an aisle seat."],
+328:["n","the letter H","H の文字"],
+329:["x"],
+330:["n","a work horse (Scottish)","荷馬（スコットランド方言）"],
+331:["n","a vaulted hall open at one end (iwan)","イーワーン（アーチ形の広間）"],
+332:["n","a hot ember (Scottish)","燃えさし（スコットランド方言）"],
+333:["n","the roseate spoonbill","ベニヘラサギ"],
+334:["n","a Buddhist teacher (acharya)","阿闍梨"],
+335:["n","the seeds of ajowan, used as a spice","アジョワン（香辛料）"],
+336:["x"],
+337:["n","non-living matter, in Jain philosophy","非命（ジャイナ教の非生命）"],
+338:["n","bugle, a low-growing garden plant","アジュガ（キランソウ属）"],
+339:["n","a Hawaiian raspberry","アカラ（ハワイのキイチゴ）"],
+340:["n","space or ether, in Indian philosophy (akasha)","アーカーシャ（虚空）"],
+341:["n","a climbing plant of Japan with edible fruit","アケビ"],
+342:["n","plural of akee (ackee, a tropical fruit)","アキー（複数）"],
+343:["x"],
+344:["n","a leader of a pack of Cub Scouts","アケーラ（カブスカウトの隊長）"],
+345:["n","a small dry one-seeded fruit (achene)","痩果"],
+346:["v","aching (old spelling)","痛む（古い綴り）"],
+347:["adv","on the knee","ひざまずいて"],
+348:["v","to acknowledge (obsolete)","認める（廃語）"],
+349:["x"],
+350:["n","a city in Ohio, USA","アクロン（米オハイオ州の都市）","Akron was once the rubber capital."],
+351:["n","a big-eyed scad fish of Hawaii","アクレ（ハワイのメアジ）"],
+352:["n","a silky fibre from the seed pods of a milkweed","アクンド（トウワタの種子の綿毛）"],
+353:["interj","an exclamation of sorrow (archaic)","ああ、悲しいかな（古語）"],
+354:["x"],
+355:["interj","a Greek war cry","アララ（古代ギリシャの鬨の声）"],
+356:["n","the mission in Texas besieged in 1836; a poplar tree","アラモ砦、ポプラ"],
+357:["adv","on or to land; ashore","陸へ"],
+358:["adv","alone (Scottish)","ひとりで（スコットランド方言）"],
+359:["n","a coarse grass of Southeast Asia (alang-alang)","チガヤ"],
+360:["x"],
+361:["n","large hunting dogs (plural of alan)","アラン犬（大型の猟犬、複数）"],
+362:["x"],
+363:["x"],
+364:["n","a warning sound or signal; sudden fear","警報、目覚まし","The alarm rang at six."],
+365:["adj","relating to wings; wing-shaped","翼の、翼状の"],
+366:["adj","having wings","翼のある"],
+367:["n","a white resin extracted from gutta-percha","アルバン（グッタペルカの樹脂）"],
+368:["n","plural of alba (white matter of the brain; a dawn song)","白質、暁の歌（複数）"],
+369:["conj","although (obsolete); also an American playwright's name","〜だけれども（廃語）、オールビー（劇作家）"],
+370:["x"],
+371:["n","a book for photos; a collection of songs","アルバム","The band released a new album."],
+372:["adj","white (Latin, in names of species)","白い（ラテン語）"],
+373:["n","a bird of the auk family, such as a puffin","ウミスズメ科の鳥"],
+374:["adv","continually (obsolete)","いつも（廃語）"],
+375:["n","a village or hamlet (Spanish)","村（スペイン語）"],
+376:["n","a given name or family name","オールデン（人名）"],
+377:["n","a tree of the birch family that grows in damp places","ハンノキ"],
+378:["x"],
+379:["n","a colourless liquid made from acetaldehyde","アルドール"],
+380:["adj","leaking","漏れて"],
+381:["x"],
+382:["n","plural of alef (the first letter of the Hebrew alphabet)","アレフ（複数）"],
+383:["adv","on or to the left","左に"],
+384:["n","a Jewish prayer recited at the end of services","アレイヌ（ユダヤ教の祈り）"],
+385:["n","the first letter of the Hebrew alphabet","アレフ（ヘブライ文字）"],
+386:["adj","watchful and ready","警戒している、油断のない","Stay alert while driving."],
+387:["n","a native of the Aleutian Islands","アレウト人"],
+388:["n","esparto grass (plural of alfa)","アフリカハネガヤ（複数）"],
+389:["n","a cauldron of boiling water used in trial by ordeal","神明裁判の熱湯釜"],
+390:["n","the bishop in old forms of chess","（古いチェスの）僧正"],
+391:["n","simple water plants such as seaweed","藻","Algae turned the pond green."],
+392:["adj","relating to algae","藻類の"],
+393:["n","plural of alga (algae)","藻（複数）"],
+394:["adj","relating to pain","痛みの"],
+395:["adj","cold; chilly","冷たい、寒い"],
+396:["n","a gum from seaweed used as a thickener","アルギン"],
+397:["n","a variable star in Perseus; an early programming language","アルゴル（ペルセウス座の変光星）、ALGOL"],
+398:["n","coldness; chill","寒冷、悪寒"],
+399:["n","a precious wood mentioned in the Bible (almug)","アルグム（聖書の貴重な木材）"],
+400:["x"],
+401:["n","a false name","偽名、別名","The spy used an alias."],
+402:["n","proof that you were elsewhere when a crime happened; an excuse","アリバイ、言い訳"],
+403:["n","a given name (as in Alice in Wonderland)","アリス（人名）","Alice followed the white rabbit."],
+404:["n","a being from another world; a foreigner","宇宙人、外国人","The film is about an alien invasion."],
+405:["x"],
+406:["adv","dearly; on my life (obsolete)","心から（廃語）"],
+407:["n","plural of alif (the first letter of the Arabic alphabet)","アリフ（複数）"],
+408:["v","to put in a straight line","一直線に並べる","Align the text to the left."],
+409:["adj","similar; like one another","似ている","The twins look alike."],
+410:["n","the larva of a mantis shrimp","アリマ（シャコの幼生）"],
+411:["v","to align; to line up","一列に並べる"],
+412:["adj","like ale","エールのような"],
+413:["n","a tree such as the alder or sycamore (Spanish)","ハンノキ類（スペイン語）"],
+414:["x"],
+415:["adj","(of a ship) listing; leaning","（船が）傾いて"],
+416:["n","a main mineral in portland cement clinker","エーライト（セメントの鉱物）"],
+417:["x"],
+418:["adj","living; not dead","生きている","The fish is still alive."],
+419:["n","immigration of Jews to Israel; being called up to read the Torah (aliyah)","アリヤー（イスラエル移住）"],
+420:["x"],
+421:["n","a synthetic resin used in paints","アルキド樹脂"],
+422:["n","a group of carbon and hydrogen atoms in chemistry","アルキル基","Methyl is an alkyl group."],
+423:["n","the Arabic word for God","アッラー（神）","Muslims pray to Allah."],
+424:["n","a given name","アラン（人名）","Allan runs every morning."],
+425:["v","to calm or reduce fear, doubt or pain","（不安や痛みを）和らげる"],
+426:["n","a given name or family name","アレン（人名）","Allen lives next door."],
+427:["adj","of all (obsolete, in compounds)","すべての（廃語）"],
+428:["n","a narrow street between buildings","路地","The cat ran down the alley."],
+429:["interj","go! come on! (French)","行け！（フランス語）"],
+430:["n","a European shad fish","アリスシャッド（ニシン科の魚）"],
+431:["n","land held outright, not under a lord (allodium)","自由保有地"],
+432:["v","to urge dogs on by shouting","（猟犬を）けしかける"],
+433:["v","to give out as a share","割り当てる"],
+434:["v","to let something happen; to permit","許す、許可する","Pets are not allowed here."],
+435:["n","a metal made by mixing metals","合金","Brass is an alloy of copper and zinc."],
+436:["n","a chemical group found in oils of garlic and mustard","アリル基"],
+437:["n","an Egyptian dancing girl","（エジプトの）踊り子"],
+438:["n","plural of alma (an Egyptian dancing girl)","（エジプトの）踊り子（複数）"],
+439:["n","an Egyptian dancing girl","（エジプトの）踊り子"],
+440:["n","plural of alme (an Egyptian dancing girl); alms (obsolete)","踊り子（複数）、施し（廃語）"],
+441:["n","a Philippine timber tree","アルモン（フィリピンの木材）"],
+442:["n","an old Spanish and Portuguese unit of dry or liquid measure","アルムド（旧スペイン・ポルトガルの升）"],
+443:["n","a precious wood mentioned in the Bible","アルムグ（聖書の貴重な木材）"],
+444:["n","the alder genus","ハンノキ属"],
+445:["n","land held outright (allodium)","自由保有地"],
+446:["adj","planted or covered with aloes","アロエの生えた"],
+447:["n","a bitter drug made from aloe leaves","アロエ（下剤）"],
+448:["adv","up in the air","空中に","The flag flew aloft."],
+449:["n","unreasonableness; absurdity (obsolete)","不合理（廃語）"],
+450:["interj","a Hawaiian greeting for hello or goodbye","アロハ（ハワイの挨拶）"],
+451:["adj","related to or like the aloe","アロエに似た"],
+452:["n","a bitter purgative substance extracted from aloes","アロイン（アロエの苦味成分）"],
+453:["x"],
+454:["adj","without other people","一人で、単独の","She lives alone."],
+455:["prep","from one end toward the other of","〜に沿って","We walked along the river."],
+456:["adj","distant and unfriendly","よそよそしい","She seemed aloof at the party."],
+457:["n","the European allis shad fish; (obsolete) to praise","アリスシャッド（魚）、称賛する（廃語）"],
+458:["adv","in a voice others can hear","声に出して","Read the poem aloud."],
+459:["x"],
+460:["adv","below; low down (archaic)","下に（古語）"],
+461:["n","an alloy of aluminium and silicon","アルパックス（アルミとケイ素の合金）"],
+462:["adj","relating to the Alps","アルプスの"],
+463:["n","the first letter of the Greek alphabet (α)","アルファ","Alpha is the first letter."],
+464:["n","a holy table in a church or temple","祭壇","Candles burned on the altar."],
+465:["v","to change","変える、作り直す","The tailor altered my jacket."],
+466:["conj","although (informal spelling)","〜だけれども（略式綴り）"],
+467:["n","an old Russian coin worth three kopecks","アルティン（旧ロシアの硬貨）"],
+468:["n","singers or instruments with the alto range (plural of alto)","アルト（複数）"],
+469:["x"],
+470:["n","the alto or countertenor part in old vocal music","アルトゥス（古い声楽の高い声部）"],
+471:["n","a small group of feathers on the front edge of a bird's wing","小翼羽"],
+472:["n","double sulphates used in dyeing and medicine (plural of alum)","ミョウバン（複数）"],
+473:["n","a walkway along a wall or roof (archaic)","（城壁の）通路（古語）"],
+474:["n","a soft tanned leather","なめし革"],
+475:["n","a limestone plain with thin soil and sparse plants","アルバール（石灰岩の平原）"],
+476:["x"],
+477:["n","the belly or bowels (Latin)","腹部（ラテン語）"],
+478:["adv","always (archaic or poetic)","いつも（古語・詩語）"],
+479:["n","thick soured milk (South Africa)","アマース（発酵乳、南アフリカ）"],
+480:["x"],
+481:["n","nannies or maids in East Asia (plural of amah)","アマ（子守・女中、複数）"],
+482:["adv","at full speed; with great force","全速力で、力いっぱい"],
+483:["x"],
+484:["x"],
+485:["prep","among (Scottish)","〜の間に（スコットランド方言）"],
+486:["x"],
+487:["x"],
+488:["x"],
+489:["v","to gather a large amount of something","蓄える、集める"],
+490:["v","to dismay; to match (archaic)","ひるませる、匹敵する（古語）"],
+491:["n","a violin made by the Amati family of Cremona","アマティ（ヴァイオリン）"],
+492:["n","the hood of an Inuit woman's parka for carrying a baby","アマウト（イヌイット女性の子負いフード）"],
+493:["v","to surprise greatly","びっくりさせる"],
+494:["n","a Chinese imperial official stationed in Tibet or Mongolia","アンバン（清朝の駐在大臣）"],
+495:["n","amber (variant spelling)","琥珀（異綴）"],
+496:["x"],
+497:["x"],
+498:["n","a yellow-orange color; fossil tree resin","琥珀（色）","The traffic light turned amber."],
+499:["n","the scope or extent of something","範囲、領域"],
+500:["v","to walk at a slow, relaxed pace","ぶらぶら歩く"],
+501:["n","a raised pulpit in an early Christian church (ambo)","アンボ（説教壇）"],
+502:["n","raised pulpits in early churches (plural of ambo)","アンボ（説教壇、複数）"],
+503:["n","a cupboard or niche in a church for sacred vessels","（教会の）聖器棚"],
+504:["n","a single-celled organism that changes shape (amoeba)","アメーバ"],
+505:["x"],
+506:["x"],
+507:["n","a Muslim ruler or commander (emir)","アミール、首長"],
+508:["x"],
+509:["v","to change in order to improve or correct","修正する","They voted to amend the law."],
+510:["adj","pleasant (obsolete)","快い（廃語）"],
+511:["n","utterances of \"amen\" (plural of amen)","アーメン（複数）"],
+512:["n","a catkin; a person with severe intellectual disability (dated)","尾状花序"],
+513:["n","a hood or cape worn by clergy (amice)","（聖職者の）肩衣"],
+514:["x"],
+515:["n","bowfin fish (plural of amia)","アミア（魚、複数）"],
+516:["n","a white linen cloth worn on the neck and shoulders by a priest at Mass","アミクトゥス（司祭の肩衣）"],
+517:["n","friends (plural of amicus, as in amici curiae)","友（複数、ラテン語）"],
+518:["n","an organic compound containing the group -CONH2","アミド"],
+519:["adj","containing an amide or amino group","アミドの"],
+520:["x"],
+521:["n","friends (obsolete, plural of amy)","友（廃語、複数）"],
+522:["n","a female friend (Spanish)","女友達（スペイン語）"],
+523:["n","a friend (Spanish)","友達（スペイン語）"],
+524:["n","a chemical compound related to ammonia","アミン","Amines smell like fish."],
+525:["x"],
+526:["adj","containing an amine group (as in amino acid)","アミノ〜","Proteins are made of amino acids."],
+527:["x"],
+528:["x"],
+529:["n","Muslim rulers or commanders (plural of amir)","アミール（複数）"],
+530:["n","a strict Mennonite people in North America","アーミッシュ"],
+531:["adj","wrong or faulty","具合が悪い、間違った"],
+532:["n","friendship, especially between nations","友好、親善"],
+533:["x"],
+534:["n","the capital city of Jordan","アンマン（ヨルダンの首都）"],
+535:["n","a yellowhammer or bunting (German)","ホオジロ類（ドイツ語）"],
+536:["n","supplies of ammunition (plural of ammo)","弾薬（複数）"],
+537:["n","plural of amnion (the membrane around an embryo)","羊膜（複数）"],
+538:["adj","relating to the amnion","羊膜の"],
+539:["x"],
+540:["n","frenzied attacks (plural of amok)","逆上（複数）"],
+541:["n","a plant root used as soap, such as the soap plant","アモレ（石けん代わりの植物の根）"],
+542:["prep","in the middle of; between several","〜の間で","He was among friends."],
+543:["n","one of the rabbis who discussed the Mishnah and produced the Gemara","アモラ（タルムードの学者）"],
+544:["adj","lifeless; dejected (archaic)","生気のない、意気消沈した（古語）"],
+545:["n","a love affair, especially a secret one","情事"],
+546:["v","to remove from office (law); to stir up (obsolete)","解任する（法律）"],
+547:["n","the hood of an Inuit woman's parka (amaut)","アマウト（イヌイット女性のフード）"],
+548:["x"],
+549:["x"],
+550:["adj","more than enough","十分な","There is ample room for two."],
+551:["adv","more than enough","十分に","The effort was amply rewarded."],
+552:["n","a small sealed glass container of medicine (ampoule)","アンプル"],
+553:["n","a headband worn by women in ancient Greece","アンピュクス（古代ギリシャの髪帯）"],
+554:["n","sweetened holy water used in Sikh ceremonies","アムリット（シク教の聖水）"],
+555:["n","the European ring ouzel, a thrush","クビワツグミ"],
+556:["adv","in a wild, uncontrolled way (run amuck)","狂ったように"],
+557:["n","a small vessel for holy water or wine (ecclesiastical)","（教会の）小さな器"],
+558:["v","to make someone laugh or smile","楽しませる","The clown amused the children."],
+559:["x"],
+560:["n","an explosive made with ammonium nitrate","アムビス（爆薬）"],
+561:["x"],
+562:["n","amyl groups or amyl nitrite (plural of amyl)","アミル（複数）"],
+563:["n","the European ring ouzel, a thrush","クビワツグミ"],
+564:["x"],
+565:["x"],
+566:["x"],
+567:["n","a pineapple (old word)","パイナップル（古語）"],
+568:["n","ankle (old spelling)","足首（古い綴り）"],
+569:["n","the elbow; a bracket supporting a cornice","肘、持ち送り"],
+570:["x"],
+571:["x"],
+572:["n","a long mountain range in South America","アンデス山脈","Llamas live in the Andes."],
+573:["x"],
+574:["x"],
+575:["x"],
+576:["adv","near (archaic)","近くに（古語）"],
+577:["v","to anoint, especially in last rites (archaic)","塗油する（古語）"],
+578:["x"],
+579:["prep","concerning; about (formal)","〜に関して"],
+580:["n","a Chadic language of northern Nigeria","アンガス語（ナイジェリア北部）"],
+581:["n","a spiritual being in many religions; a very kind person","天使","She is an angel to help us."],
+582:["n","a strong feeling of being upset","怒り","He could not hide his anger."],
+583:["x"],
+584:["n","the space between two lines that meet","角度","The roof slopes at a steep angle."],
+585:["adj","English or British (used in compounds)","英国系の","Anglo-Saxon history is his subject."],
+586:["n","extreme anxiety; anguish","激しい不安、苦悶"],
+587:["adj","feeling anger","怒った","Don't be angry with me."],
+588:["n","a deep feeling of anxiety or dread","不安、苦悩"],
+589:["n","a breed of black cattle; a given name","アンガス（牛の品種）","Angus beef is popular."],
+590:["x"],
+591:["adv","near (archaic)","近くに（古語）"],
+592:["adj","like a feeble old woman","老婆のような"],
+593:["n","indigo plants or indigo dye (plural of anil)","インディゴ（複数）"],
+594:["n","the soul; in Jung, the inner feminine part of a man's personality","アニマ、魂"],
+595:["n","Japanese animated films; a resin used in varnish","アニメ、アニメ樹脂"],
+596:["x"],
+597:["x"],
+598:["n","an ion with a negative charge","陰イオン","Chloride is an anion."],
+599:["n","a plant whose seeds taste of liquorice","アニス"],
+600:["n","an Indian timber tree","アンジャン（インドの木材）"],
+601:["x"],
+602:["n","an old Dutch and English liquid measure of about 38 litres","アンカー（昔の液量単位）"],
+603:["n","ancient Egyptian crosses with a loop at the top (plural of ankh)","アンク（複数）"],
+604:["n","the joint between the foot and the leg","足首","She twisted her ankle."],
+605:["n","a hooked goad used to drive elephants","象使いの突き棒"],
+606:["n","a short dagger worn at the belt in the Middle Ages","（中世の）短剣"],
+607:["x"],
+608:["x"],
+609:["x"],
+610:["n","the record of a single year (singular of annals)","一年の記録"],
+611:["n","former coins of India and Pakistan (plural of anna)","アンナ（旧硬貨、複数）"],
+612:["n","a half year's stipend paid to a dead minister's heirs (Scottish)","（遺族への）半年分の給与"],
+613:["n","the kittiwake, a gull","ミツユビカモメ"],
+614:["n","an extra building joined to a main one","別館","The library has a new annex."],
+615:["n","a given name","アニー（人名）","Annie sang a song."],
+616:["n","abbreviation of anniversary","記念日（略）"],
+617:["x"],
+618:["v","to make someone slightly angry","いらいらさせる"],
+619:["v","to declare a law, marriage or agreement invalid","無効にする"],
+620:["n","a year (as in per annum)","年（per annum で「毎年」）","The salary is fifty thousand per annum."],
+621:["n","a year (Latin, as in annus mirabilis)","年（ラテン語）"],
+622:["n","small buffalo of Sulawesi (plural of anoa)","アノア（複数）"],
+623:["n","the positive electrode","陽極","Current flows from the anode."],
+624:["n","idiocy (obsolete medical term)","痴愚（廃れた医学用語）"],
+625:["v","to anoint with oil (obsolete)","油を塗る（廃語）"],
+626:["n","a small tree lizard of tropical America that can change colour","アノール（トカゲ）"],
+627:["x"],
+628:["n","a lack of social norms; lawlessness (anomie)","アノミー、無法状態"],
+629:["v","to adorn (obsolete)","飾る（廃語）"],
+630:["x"],
+631:["n","analysis of variance, a statistical method","分散分析"],
+632:["n","handles; the parts of Saturn's rings seen beside the planet (plural of ansa)","取っ手、（土星の環の）耳（複数）"],
+633:["n","the early Muslims of Medina who helped Muhammad","アンサール（メディナの援助者）"],
+634:["n","pilasters at the ends of side walls (plural of anta)","アンタ（壁端柱、複数）"],
+635:["x"],
+636:["x"],
+637:["v","put up a stake; paid (past of ante)","賭け金を出した、支払った"],
+638:["n","stakes put up before a deal (plural of ante)","賭け金（複数）"],
+639:["n","a foolish or funny act (usually antics)","おどけた振る舞い"],
+640:["adj","abbreviation of antiquity or antiquarian","古物の（略）"],
+641:["n","people who oppose something (plural of anti)","反対者（複数）"],
+642:["n","plural of antrum (a cavity, especially in bone)","洞（複数）"],
+643:["n","a cave (literary)","洞窟（文語）"],
+644:["adj","restless and unable to keep still","そわそわした"],
+645:["n","the order of frogs and toads","無尾目（カエル類）"],
+646:["n","failure to produce urine (anuria)","無尿"],
+647:["n","a heavy iron block on which metal is hammered","金床"],
+648:["n","a soldier of the Australian and New Zealand Army Corps","アンザック兵"],
+649:["n","the main artery carrying blood from the heart","大動脈","The aorta is the largest artery."],
+650:["x"],
+651:["adv","quickly","速く"],
+652:["adj","paid; satisfied (obsolete)","満足した（廃語）"],
+653:["v","to impair (obsolete)","損なう（廃語）"],
+654:["adv","separated by a distance","離れて、ばらばらに","The houses are a mile apart."],
+655:["x"],
+656:["x"],
+657:["adv","vertically; (of an anchor) straight below the ship","垂直に、（錨が）真下に"],
+658:["adv","vertically (same as apeak)","垂直に"],
+659:["n","people who imitate others (plural of aper)","まねをする人（複数）"],
+660:["adj","open; public (archaic)","公然の（古語）"],
+661:["x"],
+662:["n","silly imitation; a place where apes are kept","猿まね、猿小屋"],
+663:["n","a small insect that sucks sap from plants","アブラムシ"],
+664:["n","an aphid, especially of the genus Aphis","アブラムシ"],
+665:["adj","relating to bees","ミツバチの"],
+666:["n","a glycoside found in parsley and celery","アピイン"],
+667:["x"],
+668:["v","imitating (present participle of ape)","まねしている"],
+669:["n","an oily compound from parsley seeds","アピオール"],
+670:["adj","like an ape; foolishly imitative","猿のような、猿まねの"],
+671:["n","foolish imitation","猿まね"],
+672:["n","the genus of celery","セロリ属"],
+673:["n","a temporary stop in breathing, especially during sleep","無呼吸"],
+674:["n","animals without feet, such as eels (plural of apod)","無足の動物（複数）"],
+675:["adv","on the poop deck (nautical)","船尾甲板に"],
+676:["adv","on or towards the port (left) side of a ship","左舷に"],
+677:["x"],
+678:["v","to shock or horrify (British spelling of appall)","ぞっとさせる"],
+679:["x"],
+680:["v","to satisfy; to pay (obsolete)","満足させる（廃語）"],
+681:["n","a stamp of the foot warning of an attack in fencing","アペル（フェンシングの踏み込み）"],
+682:["x"],
+683:["n","a round fruit with red or green skin","りんご","An apple a day keeps the doctor away."],
+684:["v","to make a formal request; to put on","申し込む、適用する","She applied for the job."],
+685:["n","abbreviation of appointment","任命、約束（略）"],
+686:["n","approval, as in goods sent \"on appro\" (British informal)","承認（英略式）"],
+687:["adj","abbreviation of appointed","任命された（略）"],
+688:["n","a support or prop (obsolete)","支え（廃語）"],
+689:["prep","after (French, as in après-ski)","〜の後（フランス語）"],
+690:["n","the fourth month of the year","4 月","School starts in April."],
+691:["n","a cloth worn over clothes to keep them clean","エプロン","The chef wore an apron."],
+692:["n","vaulted recesses at the end of churches (plural of apse)","後陣（複数）"],
+693:["x"],
+694:["n","either point in an orbit nearest to or farthest from the centre","軌道の近点・遠点"],
+695:["adj","more apt (comparative of apt)","より適切な"],
+696:["adv","in a suitable way","適切に","The dog is aptly named Speedy."],
+697:["n","waters (Latin, plural of aqua)","水（ラテン語、複数）"],
+698:["n","shades of blue-green (plural of aqua)","水色（複数）"],
+699:["n","a heavy covered cart used in Turkey and the Middle East","アラバ（トルコの荷車）"],
+700:["n","people of Arab descent (plural of Arab)","アラブ人（複数）"],
+701:["n","Arabia (archaic or poetic)","アラビア（古語・詩語）"],
+702:["x"],
+703:["v","to tear up by the roots (obsolete)","根こそぎにする（廃語）"],
+704:["n","orach, a leafy garden plant","ヤマホウレンソウ"],
+705:["x"],
+706:["x"],
+707:["x"],
+708:["x"],
+709:["n","strong alcoholic spirits of the East (plural of arak)","アラック酒（複数）"],
+710:["x"],
+711:["n","the palm cockatoo of Australia; a macaw","ヤシオウム"],
+712:["x"],
+713:["x"],
+714:["n","a Hindu ritual of waving lights before a deity (aarti)","アールティ（灯明の儀式）"],
+715:["x"],
+716:["n","a shady place covered with climbing plants","あずまや、緑陰","Roses grew over the arbor."],
+717:["x"],
+718:["v","formed an arc (past of arc)","弧を描いた"],
+719:["x"],
+720:["x"],
+721:["x"],
+722:["x"],
+723:["adj","arched; curved","アーチ形の"],
+724:["n","a whitish ring around the cornea of the eye","角膜環"],
+725:["n","an Egyptian unit of dry measure","アルデブ（エジプトの升）"],
+726:["x"],
+727:["n","great enthusiasm or passion","熱意、情熱"],
+728:["n","a high king of ancient Ireland","（古代アイルランドの）上王"],
+729:["v","to declare or interpret; to advise (obsolete)","告げる、解き明かす（廃語）"],
+730:["n","plural of area (Latin form)","区域（ラテン語複数）"],
+731:["adj","relating to an area","区域の、面積の"],
+732:["adv","in or to the rear; behind (obsolete)","後ろへ（廃語）"],
+733:["n","regions or parts of a place (plural of area)","地域（複数）"],
+734:["n","a palm whose nut is chewed with betel leaf","ビンロウ"],
+735:["adv","reeking; steaming","湯気を立てて、臭って"],
+736:["adv","reeling","よろめいて"],
+737:["v","to dry up (obsolete)","乾かす（廃語）"],
+738:["adj","without surface drainage","（地域が）排水路のない"],
+739:["n","a large area for sports or shows","競技場、アリーナ","The arena holds 20,000 people."],
+740:["x"],
+741:["n","the sugar palm, which yields sago and fibre","サトウヤシ"],
+742:["x"],
+743:["adv","behind; backward (obsolete, same as arear)","後ろへ（廃語）"],
+744:["n","a rest for a lance on armour (obsolete)","槍受け（廃語）"],
+745:["n","a sharp mountain ridge","やせ尾根"],
+746:["n","a wild sheep of Central Asia (argali); crude tartar","アルガリ（野生の羊）、粗酒石"],
+747:["n","a Moroccan tree whose nuts yield an oil","アルガン"],
+748:["n","a plant of the Middle East whose leaves are used to adulterate senna","アルゲル（植物）"],
+749:["n","clay, especially potter's clay","粘土、陶土"],
+750:["x"],
+751:["v","to argue or dispute (informal, as in argle-bargle)","言い争う"],
+752:["n","crude tartar deposited in wine casks","粗酒石"],
+753:["n","a gas used in light bulbs","アルゴン","Argon makes up 1% of the air."],
+754:["n","an ancient city in the Peloponnese, Greece","アルゴス（古代ギリシャの都市）"],
+755:["n","the slang of a particular group","隠語"],
+756:["v","to disagree in words; to give reasons","言い争う、主張する","They argue about money."],
+757:["n","a watchful guardian; in myth, a giant with a hundred eyes","アルゴス（百眼の巨人）、警戒怠りない番人"],
+758:["n","the pigeon pea","キマメ"],
+759:["n","a Buddhist who has reached nirvana","阿羅漢"],
+760:["adj","relating to Arius, who denied that Christ was equal to God","アリウス派の"],
+761:["n","songs for solo voice in an opera (plural of aria)","アリア（複数）"],
+762:["n","a gazelle of Arabia; a moon of Uranus","アリエル（ガゼル、天王星の衛星）"],
+763:["n","the Ram, the first sign of the zodiac","牡羊座"],
+764:["n","a chief or leader among the Maori and Polynesians","アリキ（マオリの首長）"],
+765:["n","fleshy coverings of some seeds (plural of aril)","仮種皮（複数）"],
+766:["adv","in a riot; riotously","騒ぎ立てて"],
+767:["v","to happen; to come up","生じる、起こる","Problems may arise later."],
+768:["n","a stubble field (dialect, same as arrish)","刈り株畑（方言）"],
+769:["v","arises (obsolete)","起きる（廃語）"],
+770:["x"],
+771:["n","abbreviation of arithmetic","算数（略）"],
+772:["n","an Indian tree whose bark is used in medicine","アルジュナ（インドの木）"],
+773:["n","a migrant worker from Arkansas (informal, dated)","アーカンソー出身の流民（俗）"],
+774:["n","money paid to bind a bargain (Scottish)","手付け金（スコットランド）"],
+775:["adj","carrying weapons","武装した","The guards are armed."],
+776:["x"],
+777:["n","a medieval helmet covering the whole head","アーメット（中世の兜）"],
+778:["n","a bracelet; an old astronomical ring instrument","腕輪、環状の天文器具"],
+779:["x"],
+780:["n","metal covering worn for protection","鎧","The knight wore armor."],
+781:["n","the wild water buffalo of India","野生のスイギュウ"],
+782:["n","the earthnut (obsolete)","ツチグリ（廃語）"],
+783:["adv","roaring","うなって"],
+784:["x"],
+785:["n","a plant of the arum family","サトイモ科の植物"],
+786:["n","a pleasant smell","香り"],
+787:["n","darling (Irish, a term of endearment)","いとしい人（アイルランド）"],
+788:["n","a name used by old chemists for various remedies (obsolete)","アロフ（昔の薬の呼び名）"],
+789:["v","happened; came up (past of arise)","生じた","A question arose during the meeting."],
+790:["n","an old French unit of land area (arpent)","アルパン（旧フランスの面積単位）"],
+791:["interj","an Irish exclamation of surprise or emotion","まあ！（アイルランド）"],
+792:["n","a rich tapestry hung on a wall","アラス織りの壁掛け"],
+793:["n","a large South American river turtle","オオヨコクビガメ"],
+794:["n","a large ordered group or display","配列、ずらりと並んだもの","The shop has an array of cakes."],
+795:["n","a judgment or decree of a court (French)","判決（フランス語）"],
+796:["n","abbreviation of arrangement","手配（略）"],
+797:["n","money given as a pledge of a contract","手付け金"],
+798:["x"],
+799:["n","the sharp edge where two surfaces meet","稜（りょう）"],
+800:["n","a pointed stick shot from a bow; a sign →","矢、矢印","Follow the arrows."],
+801:["n","rice (Spanish)","米（スペイン語）"],
+802:["n","buttocks (plural of arse, vulgar British)","尻（複数、卑語）"],
+803:["n","the stressed or unstressed part of a metrical foot; an upbeat","アルシス（韻律の強部・上拍）"],
+804:["v","to move backwards (dialect)","後ずさりする（方言）"],
+805:["n","the crime of deliberately setting fire to property","放火"],
+806:["x"],
+807:["n","plural of rotl, a Middle Eastern unit of weight","ロトル（重量単位、複数）"],
+808:["x"],
+809:["n","a cooperative group of workers in Russia","アルテリ（ロシアの協同組合）"],
+810:["x"],
+811:["n","wealth or material prosperity as a goal of life in Hinduism","アルタ（実利）"],
+812:["n","an articulated lorry (British informal)","トレーラートラック（英略式）"],
+813:["adv","with art or skill (obsolete)","巧みに（廃語）"],
+814:["x"],
+815:["adj","interested in the arts in a showy way","芸術家ぶった"],
+816:["x"],
+817:["x"],
+818:["n","plants of the arum family (plural of arum)","アルム（複数）"],
+819:["adj","formless, in Buddhist thought","無色の（仏教）"],
+820:["x"],
+821:["n","a funeral feast (northern English)","葬式の宴"],
+822:["n","a funeral feast (dialect)","葬式の宴（方言）"],
+823:["n","afternoons (Australian informal, plural of arvo)","午後（豪略式、複数）"],
+824:["n","a member of an ancient Indo-Iranian people; (Nazi ideology) a supposed master race","アーリア人"],
+825:["n","chemical groups derived from aromatic compounds (plural of aryl)","アリール基（複数）"],
+826:["x"],
+827:["x"],
+828:["x"],
+829:["n","a posture in yoga","アーサナ（ヨガのポーズ）"],
+830:["x"],
+831:["n","a standard code for representing text characters in computers","ASCII"],
+832:["n","a simple type of sponge with a single cavity","アスコン型海綿"],
+833:["n","a wide tie worn loosely around the neck","アスコットタイ"],
+834:["x"],
+835:["n","a sac in which fungal spores are formed","子嚢"],
+836:["n","an early form of sonar","アズディック（初期のソナー）"],
+837:["n","abbreviation of assignment","割り当て（略）"],
+838:["v","turned into ash (past of ash)","灰にした"],
+839:["adj","pale gray, like ash","灰色の、青ざめた","His face turned ashen."],
+840:["x"],
+841:["n","the powder left after something burns; a person's remains after cremation","灰、遺灰"],
+842:["n","a large serving plate (Scottish)","大皿（スコットランド）"],
+843:["x"],
+844:["n","the chief god of the Assyrians","アッシュール（アッシリアの主神）"],
+845:["adj","from or relating to Asia","アジアの","Asian food is popular here."],
+846:["adv","to one side; out of the way","わきへ","She put the book aside."],
+847:["n","a local soldier or police officer in East Africa","アスカリ（東アフリカの兵士）"],
+848:["v","put a question; requested (past of ask)","尋ねた、頼んだ","He asked for help."],
+849:["n","a person who asks","尋ねる人"],
+850:["adv","not straight; crooked","斜めに、ゆがんで"],
+851:["x"],
+852:["n","plural of askos (an ancient Greek flask)","アスコス（複数）"],
+853:["n","an ancient Greek flask shaped like a wineskin","アスコス（古代ギリシャの瓶）"],
+854:["x"],
+855:["adv","soaking","ずぶぬれで"],
+856:["n","an Indian tree with red flowers, sacred to Hindus","ムユウジュ（無憂樹）"],
+857:["n","the American Society for the Prevention of Cruelty to Animals","米国動物虐待防止協会"],
+858:["n","a poplar tree with trembling leaves","ポプラの一種（アスペン）","The aspen leaves shook in the wind."],
+859:["n","an old Turkish silver coin; a rough breathing mark in Greek","アスパー（旧トルコの銀貨）"],
+860:["n","a savoury jelly made from meat or fish stock","アスピック（煮こごり）"],
+861:["n","a horned viper","ツノクサリヘビ"],
+862:["adv","very (in musical directions); also a palm fruit (acai)","きわめて（音楽）"],
+863:["n","a state in north-east India known for tea","アッサム（インドの州・紅茶）","I like Assam tea."],
+864:["n","a test of what a substance contains","分析試験","An assay of the gold."],
+865:["n","donkeys; fools (plural of ass)","ロバ、ばか（複数）"],
+866:["n","something useful or valuable","資産、強み","Her calm is a great asset."],
+867:["x"],
+868:["n","abbreviation of association or associate","協会（略）"],
+869:["v","to make foolish; to infatuate (obsolete)","ぼうっとさせる（廃語）"],
+870:["adv","(of an anchor) with the cable in line with the forestay","（錨が）前支索と一直線に"],
+871:["n","a ceiling of boards in a mine","（坑道の）天井板"],
+872:["n","a garden flower with daisy-like petals","アスター"],
+873:["adj","moving about; out of bed","動き回って、起きて"],
+874:["n","a family name, as of the fur magnate and the first woman MP in Britain","アスター（人名）"],
+875:["n","a star (obsolete)","星（廃語）"],
+876:["adv","swaying","揺れて"],
+877:["adv","swimming; afloat","泳いで、浮かんで"],
+878:["n","plural of asylum (old form)","避難所（複数）"],
+879:["n","an asylum (obsolete)","避難所（廃語）"],
+880:["adj","short for asynchronous (computing)","非同期の（略）"],
+881:["v","to overtake (obsolete)","追いつく（廃語）"],
+882:["x"],
+883:["x"],
+884:["n","loss of coordination of muscle movements (ataxia)","運動失調"],
+885:["x"],
+886:["x"],
+887:["x"],
+888:["n","a perfume made from flowers (attar)","アター（花の香油）"],
+889:["adj","noble (Old English)","高貴な（古英語）"],
+890:["adv","tilted; at an angle","傾いて"],
+891:["n","public disgrace; loss of civil rights","公民権剥奪、不名誉"],
+892:["x"],
+893:["n","a book of maps","地図帳","Look it up in the atlas."],
+894:["x"],
+895:["n","the soul or self, in Hinduism","アートマン（真我）"],
+896:["x"],
+897:["x"],
+898:["n","the standard atmosphere unit (plural of atmo)","気圧（単位）"],
+899:["n","the front, non-sexual part of certain marine worms","無性部（ゴカイ類）"],
+900:["n","a hot drink or porridge made from maize","アトーレ（トウモロコシの粥）"],
+901:["n","a ring-shaped coral island around a lagoon","環礁"],
+902:["n","the smallest units of a chemical element (plural of atom)","原子（複数）"],
+903:["n","a tiny being; a skeleton (archaic)","小人、骸骨（古語）"],
+904:["v","to make amends for a wrong","償う"],
+905:["n","lack of normal muscle tone","無緊張症、弛緩"],
+906:["n","an inherited tendency to allergic reactions","アトピー"],
+907:["x"],
+908:["x"],
+909:["n","plural of atrium (an upper chamber of the heart; a central hall)","心房、アトリウム（複数）"],
+910:["adj","(of an anchor) just clear of the sea bottom","（錨が）海底を離れたばかりの"],
+911:["n","waste rock from a mine (attle)","ずり（廃石）"],
+912:["n","a fragrant oil made from rose petals","バラ油"],
+913:["n","poison; pus (obsolete)","毒、膿（廃語）"],
+914:["n","a room just under the roof","屋根裏部屋","Old toys are stored in the attic."],
+915:["n","a jumping spider","ハエトリグモ"],
+916:["n","waste rock from a mine","ずり（廃石）"],
+917:["adj","poisonous; malicious (obsolete)","有毒な、悪意のある（廃語）"],
+918:["x"],
+919:["v","to attune (old spelling)","調子を合わせる（古綴）"],
+920:["adv","in two; apart (archaic)","二つに（古語）"],
+921:["n","the state of being atypical","非定型"],
+922:["n","a broken gait of a horse between an amble and a gallop","（馬の）乱れた駆け足"],
+923:["n","property; possession (Scottish)","財産（スコットランド）"],
+924:["n","the Barbary sheep of North Africa (aoudad)","バーバリーシープ"],
+925:["n","recorded sound","音声、オーディオ","The audio is too quiet."],
+926:["n","an official check of accounts","監査","The company passed the audit."],
+927:["n","eye-shaped mineral grains in certain rocks (German \"eyes\")","眼球（片麻岩の眼状鉱物）"],
+928:["n","a tool for boring holes","きり、オーガー"],
+929:["n","a tube holding the priming for a mine charge","導火管"],
+930:["n","anything; zero","何か、ゼロ"],
+931:["v","to be a sign of a future outcome (augur well)","前兆となる"],
+932:["n","plural of aula (a hall)","広間（複数）"],
+933:["n","halls (plural of aula)","広間（複数）"],
+934:["adj","relating to a royal court","宮廷の"],
+935:["n","plural of aulos (an ancient Greek double pipe)","アウロス（複数）"],
+936:["n","an ancient Greek wind instrument with two pipes","アウロス（古代ギリシャの笛）"],
+937:["n","a revenue collector in India (amil)","（インドの）収税官"],
+938:["n","sisters of one's father or mother (plural of aunt)","おば（複数）"],
+939:["n","an aunt (informal)","おばちゃん"],
+940:["n","plural of aura","オーラ（複数）"],
+941:["adj","relating to the ear or hearing","聴覚の"],
+942:["n","plural of eyrir, an Icelandic coin","エイリル（アイスランドの硬貨、複数）"],
+943:["n","distinctive atmospheres around people or places (plural of aura)","オーラ（複数）"],
+944:["n","gold coins of ancient Rome (plural of aureus)","アウレウス金貨（複数）"],
+945:["n","ears (Latin, plural of auris)","耳（ラテン語、複数）"],
+946:["adj","relating to or containing gold","金の"],
+947:["n","a red dye made from phenol","オーリン（赤色染料）"],
+948:["x"],
+949:["n","the ear (Latin)","耳（ラテン語）"],
+950:["n","gold (Latin)","金（ラテン語）"],
+951:["x"],
+952:["n","a church (old thieves' slang)","教会（昔の盗賊隠語）"],
+953:["x"],
+954:["n","cars (plural of auto)","自動車（複数）"],
+955:["adj","other (French)","他の（フランス語）"],
+956:["x"],
+957:["n","a plant hormone that controls growth","オーキシン"],
+958:["n","the woolly lemur of Madagascar","アバヒ（キツネザル）"],
+959:["n","use or benefit (to no avail: without success)","効用（to no avail で「無駄に」）","We searched to no avail."],
+960:["v","to lower; to sink (obsolete)","下げる、沈む（廃語）"],
+961:["adj","ahead (as in avant-garde)","前衛の（avant-garde）","Avant-garde art shocks people."],
+962:["interj","stop! hold! (nautical)","やめ！（海事）"],
+963:["x"],
+964:["n","a plant of the rose family with yellow or purple flowers","ダイコンソウ"],
+965:["x"],
+966:["x"],
+967:["x"],
+968:["v","states firmly (third person of aver)","断言する"],
+969:["v","to prevent; to turn away","防ぐ、そらす","We averted a disaster."],
+970:["n","aviation gasoline","航空ガソリン"],
+971:["adj","relating to birds","鳥の"],
+972:["n","my son (Irish, a term of address)","坊や（アイルランド）"],
+973:["x"],
+974:["v","to debase; to belittle (obsolete)","けなす（廃語）"],
+975:["x"],
+976:["n","an aeroplane (French)","飛行機（フランス語）"],
+977:["n","a notice; a dispatch boat","通知、通報艦"],
+978:["v","to keep away from","避ける","Avoid the busy roads."],
+979:["n","short for avoirdupois (a system of weights)","常衡（略）"],
+980:["v","to call back (obsolete)","呼び戻す（廃語）"],
+981:["n","a French solicitor or attorney","（フランスの）代訴人"],
+982:["x"],
+983:["x"],
+984:["v","declares openly (third person of avow)","公言する"],
+985:["n","abalone (Japanese)","アワビ"],
+986:["n","an airborne warning and control system aircraft","早期警戒管制機"],
+987:["x"],
+988:["v","to wait for","待つ","A surprise awaits you."],
+989:["adj","not sleeping","目が覚めて","Are you awake?"],
+990:["x"],
+991:["x"],
+992:["x"],
+993:["n","a prize given for achievement","賞","She won an award for her book."],
+994:["adj","knowing about something","気付いている","Are you aware of the risk?"],
+995:["v","to warn (obsolete)","警告する（廃語）"],
+996:["adj","covered with water; having a great deal of something","水浸しの、あふれた"],
+997:["x"],
+998:["adv","away; always (dialect)","離れて（方言）"],
+999:["x"],
+1000:["adv","per week","週に"],
+1001:["adv","well (Scottish)","さて（スコットランド）"],
+1002:["adv","to or in the west","西に"],
+1003:["n","a New Zealand caterpillar infected by a fungus","アウェト（冬虫夏草の一種）"],
+1004:["adj","very bad","ひどい","The weather is awful."],
+1005:["x"],
+1006:["adv","whirring","ぶんぶん回って"],
+1007:["x"],
+1008:["adv","on the wing; flying","飛んで"],
+1009:["adv","winking","まばたきして"],
+1010:["x"],
+1011:["adv","awkwardly; perversely (obsolete)","ぎこちなく（廃語）"],
+1012:["adj","having awns or bristles","芒のある"],
+1013:["n","a machine that removes awns from grain","脱芒機"],
+1014:["v","woke up (past of awake)","目を覚ました"],
+1015:["n","soldiers absent without leave (plural of AWOL)","無断離隊者（複数）"],
+1016:["adv","at work (archaic)","働いて（古語）"],
+1017:["n","jumps in figure skating with one and a half turns (plural of axel)","アクセル（複数）"],
+1018:["n","people who use axes","斧を使う人（複数）"],
+1019:["adj","of or along an axis","軸の","Axial rotation."],
+1020:["adj","relating to or lying along an axis","軸の"],
+1021:["n","angles between a leaf and stem (plural of axil)","葉腋（複数）"],
+1022:["x"],
+1023:["v","chopping; cancelling (present participle of axe)","斧で切っている、打ち切っている"],
+1024:["n","a statement accepted as true","公理","It is an axiom of geometry."],
+1025:["n","a hypothetical subatomic particle","アクシオン"],
+1026:["x"],
+1027:["adj","having an axle","車軸のある"],
+1028:["n","rods on which wheels turn (plural of axle)","車軸（複数）"],
+1029:["n","a person who uses an axe","斧を使う人"],
+1030:["n","people who use axes (plural of axman)","斧を使う人（複数）"],
+1031:["x"],
+1032:["n","an axon (older spelling)","軸索（古い綴り）"],
+1033:["n","long fibres of nerve cells (plural of axon)","軸索（複数）"],
+1034:["n","nursemaids in India (plural of ayah)","（インドの）子守（複数）"],
+1035:["adv","yelping","きゃんきゃん鳴いて"],
+1036:["adv","again; back (obsolete)","再び（廃語）"],
+1037:["n","letters of the Hebrew alphabet (plural of ayin)","アイン（複数）"],
+1038:["x"],
+1039:["n","a traditional Andean community group","アイリュ（アンデスの共同体）"],
+1040:["prep","beyond (northern English)","〜の向こうに（方言）"],
+1041:["prep","beyond (Scottish)","〜の向こうに（スコットランド）"],
+1042:["n","the wood of an African tree, obeche","アユース（アフリカの木材）"],
+1043:["x"],
+1044:["n","calls to prayer in Islam (plural of azan)","アザーン（複数）"],
+1045:["n","a compound containing the group N3","アジ化物"],
+1046:["adj","containing the group N3","アジド基の"],
+1047:["n","a six-membered ring compound containing nitrogen","アジン"],
+1048:["n","a synthetic fibre made from protein","アズロン（蛋白繊維）"],
+1049:["x"],
+1050:["x"],
+1051:["adj","from the time before life existed","無生代の"],
+1052:["n","a five-membered ring compound containing nitrogen","アゾール"],
+1053:["x"],
+1054:["n","an old name for nitrogen","窒素（古称）"],
+1055:["n","mercury, as the supposed first principle of metals in alchemy","アゾート（錬金術の水銀）"],
+1056:["adj","containing two nitrogen atoms bound to one oxygen","アゾキシの"],
+1057:["n","a member of the people who ruled Mexico before the Spanish conquest","アステカ人"],
+1058:["adj","bright blue like a clear sky","空色の、紺碧の","The sea was azure and calm."],
+1059:["adj","somewhat azure; bluish","空色がかった"],
+1060:["n","unleavened bread","種なしパン"],
+1061:["v","bleated like a sheep (past of baa)","メーと鳴いた"],
+1062:["n","false gods (plural of baal)","偶像神（複数）"],
+1063:["x"],
+1064:["n","small rum-soaked cakes (plural of baba)","ババ（複数）"],
+1065:["n","a baby (dialect)","赤ん坊（方言）"],
+1066:["n","a confused noise of many voices","騒がしい話し声、混乱"],
+1067:["n","babies; attractive young people (plural of babe)","赤ん坊、かわい子ちゃん（複数）"],
+1068:["x"],
+1069:["n","a sweet yeast cake from Eastern Europe","バブカ（東欧の菓子パン）"],
+1070:["x"],
+1071:["n","a title like Mr. in India; a clerk who writes English","バーブー（インドの敬称）"],
+1072:["n","an Indian acacia that yields gum arabic","アラビアゴムノキ"],
+1073:["n","clerks or officials in India (plural of babu)","バーブー（複数）"],
+1074:["x"],
+1075:["n","a berry (botany)","漿果"],
+1076:["n","tobacco (British informal)","たばこ（英略式）"],
+1077:["x"],
+1078:["x"],
+1079:["n","rear parts of bodies or things (plural of back)","背中","Lie on your backs."],
+1080:["x"],
+1081:["n","salted or smoked meat from a pig","ベーコン","We had bacon and eggs."],
+1082:["x"],
+1083:["n","a villain (informal)","悪役"],
+1084:["n","a small pin or sign showing who you are","バッジ","The officer showed her badge."],
+1085:["x"],
+1086:["adv","poorly; seriously","ひどく、下手に","He was badly hurt."],
+1087:["n","blows; strokes (Scottish, plural of baff)","打撃（スコットランド、複数）"],
+1088:["n","an old wooden golf club with a lofted face","バフィー（昔のゴルフクラブ）"],
+1089:["n","a coarse cotton cloth made in India","バフタ（インドの粗い綿布）"],
+1090:["n","a ring-shaped bread roll","ベーグル","I eat a bagel every morning."],
+1091:["x"],
+1092:["adj","hanging loosely","だぶだぶの"],
+1093:["x"],
+1094:["x"],
+1095:["x"],
+1096:["n","a prison for convicts (French)","徒刑場（フランス語）"],
+1097:["x"],
+1098:["n","a follower of the Baha'i faith","バハイ教徒"],
+1099:["x"],
+1100:["n","an old unit of weight in the East Indies","バハル（東インドの重量単位）"],
+1101:["n","a house (Tagalog)","家（タガログ語）"],
+1102:["x"],
+1103:["x"],
+1104:["n","units of money of Thailand (plural of baht)","バーツ（複数）"],
+1105:["x"],
+1106:["n","a large chest; a raised part on top of a wall","大型の櫃"],
+1107:["x"],
+1108:["x"],
+1109:["x"],
+1110:["n","payments for release before trial; crosspieces on cricket stumps (plural of bail)","保釈金、ベイル（複数）"],
+1111:["n","an old small copper coin of the Papal States","バイオッコ（教皇領の銅貨）"],
+1112:["n","a child (Scottish)","子ども（スコットランド）"],
+1113:["adj","both (Scottish)","両方の（スコットランド）"],
+1114:["n","food used to attract fish or animals (plural of bait)","えさ（複数）"],
+1115:["n","a coin of Oman","バイザ（オマーンの硬貨）"],
+1116:["n","a green felt-like cloth used on card and snooker tables","ベーズ（緑の毛織物）"],
+1117:["n","a person from Barbados (informal)","バルバドス人（略式）"],
+1118:["n","pearl millet, grown in India","トウジンビエ"],
+1119:["n","pearl millet (same as bajra)","トウジンビエ"],
+1120:["x"],
+1121:["v","cooked in an oven (past of bake)","焼いた","She baked a cake."],
+1122:["v","baked (old past participle of bake)","焼いた（古い過去分詞）"],
+1123:["n","a person who makes bread","パン屋","The baker starts work at four."],
+1124:["v","cooks in an oven (third person of bake)","焼く"],
+1125:["x"],
+1126:["x"],
+1127:["n","a white person, especially a British one (Caribbean)","白人（カリブ）"],
+1128:["x"],
+1129:["n","a halfbeak fish of the western Atlantic","バラオ（サヨリ類）"],
+1130:["n","a pale rose-red spinel gem","バラスルビー"],
+1131:["x"],
+1132:["n","a hard timber of Southeast Asia","バラウ材"],
+1133:["v","becomes bald (third person of bald)","はげる"],
+1134:["n","a bald person (informal)","はげ頭の人（略式）"],
+1135:["v","made into bales (past of bale)","俵にした"],
+1136:["x"],
+1137:["n","a machine that makes hay or straw into bales","梱包機"],
+1138:["n","large bundles tied tightly (plural of bale)","（干し草などの）梱","Bales of hay filled the barn."],
+1139:["v","hesitates or refuses (third person of balk)","ためらう、しりごみする"],
+1140:["adj","stubbornly refusing to go on","言うことを聞かない"],
+1141:["x"],
+1142:["n","a dance or ball (Italian)","舞踏会（イタリア語）"],
+1143:["n","round objects for games (plural of ball)","ボール","Pick up the balls."],
+1144:["adj","a mild intensifier, a euphemism for bloody (British, dated)","ひどい、いまいましい（英、古風）"],
+1145:["n","soothing ointments (plural of balm)","香油、鎮痛剤（複数）"],
+1146:["adj","pleasantly warm; slightly crazy (informal)","さわやかな、頭のおかしい"],
+1147:["x"],
+1148:["n","a bear (from Hindi)","クマ（ヒンディー語から）"],
+1149:["interj","a lullaby word (Scottish)","ねんねん（子守唄）"],
+1150:["n","a very light wood from a tropical American tree","バルサ材"],
+1151:["n","a device that joins a balanced line to an unbalanced one (electronics)","バラン（平衡不平衡変換器）"],
+1152:["n","a boiled fertilised duck egg, eaten in the Philippines","バロット（孵化途中のアヒルの卵）"],
+1153:["n","balsa wood","バルサ材"],
+1154:["n","a high place for worship in the Hebrew Bible","高き所（聖書の礼拝所）"],
+1155:["x"],
+1156:["adj","boring and unoriginal","陳腐な"],
+1157:["n","the territory governed by a ban (a regional governor)","バナト（総督領）"],
+1158:["n","a dugout canoe of the Philippines (banka)","バンカ（フィリピンの丸木舟）"],
+1159:["n","a bank; a bet against the whole bank in some card games","銀行、バンコ（全額賭け）"],
+1160:["n","a Mexican brass band","バンダ（メキシコの吹奏楽団）"],
+1161:["x"],
+1162:["n","a general strike or shutdown in India","バンド（インドのゼネスト）"],
+1163:["x"],
+1164:["x"],
+1165:["n","groups of musicians; strips of material (plural of band)","バンド、帯（複数）"],
+1166:["v","to pass words or ideas back and forth","（言葉を）やり取りする"],
+1167:["x"],
+1168:["n","causes of great distress (plural of bane)","災いのもと（複数）"],
+1169:["x"],
+1170:["x"],
+1171:["n","loud noises; hair cut straight across the forehead (plural of bang)","爆音、前髪（複数）"],
+1172:["x"],
+1173:["n","a Hindu trader or merchant (banya)","バニア（インドの商人）"],
+1174:["n","a woven mat from the Philippines","バニグ（フィリピンの敷きござ）"],
+1175:["n","a stringed instrument with a round body","バンジョー"],
+1176:["n","places that keep money; sides of a river (plural of bank)","銀行、土手","The river overflowed its banks."],
+1177:["x"],
+1178:["n","a public announcement of an intended marriage in church","結婚予告"],
+1179:["n","a large group of related languages and peoples of Africa","バントゥー"],
+1180:["n","a bantam chicken (informal)","チャボ（略式）"],
+1181:["x"],
+1182:["n","a Russian steam bath","バーニャ（ロシアの蒸し風呂）"],
+1183:["n","a unit of pressure of one dyne per square centimetre","バラッド（圧力の単位）"],
+1184:["x"],
+1185:["x"],
+1186:["x"],
+1187:["n","sharp backward points; hurtful remarks (plural of barb)","かえし、とげのある言葉（複数）"],
+1188:["n","a fish of the western Atlantic coast","バルブ（魚）"],
+1189:["n","armour for a horse's neck and body","馬よろい"],
+1190:["n","the intermediate state between death and rebirth in Tibetan Buddhism","バルド（中有）"],
+1191:["n","poets (plural of bard)","詩人（複数）"],
+1192:["x"],
+1193:["v","uncovered (past of bare)","むき出しにした"],
+1194:["adj","more bare (comparative of bare)","よりむき出しの"],
+1195:["v","uncovers (third person of bare)","むき出しにする"],
+1196:["x"],
+1197:["x"],
+1198:["v","vomits (informal, third person of barf)","吐く（俗）"],
+1199:["adj","disgusting; nauseating (slang)","吐き気のする（俗）"],
+1200:["n","a flat boat for carrying goods","はしけ","A barge moved down the river."],
+1201:["x"],
+1202:["n","barium oxide (baryta)","酸化バリウム"],
+1203:["adj","relating to barium or to atmospheric pressure","バリウムの、気圧の"],
+1204:["x"],
+1205:["x"],
+1206:["x"],
+1207:["x"],
+1208:["x"],
+1209:["n","sharp cries of dogs; the outer layers of trees (plural of bark)","ほえ声、樹皮（複数）"],
+1210:["adj","covered with or like bark","樹皮のような"],
+1211:["x"],
+1212:["n","froth on fermenting liquor (plural of barm)","酵母の泡（複数）"],
+1213:["adj","crazy; foolish (British informal)","頭のおかしい（英略式）"],
+1214:["n","farm buildings for storage or animals (plural of barn)","納屋（複数）"],
+1215:["n","a noisy quarrel (British informal)","口げんか（英略式）"],
+1216:["x"],
+1217:["n","a nobleman of low rank; a powerful businessman","男爵、大物","A media baron."],
+1218:["n","the barramundi fish (Australian informal)","バラマンディ（豪略式）"],
+1219:["n","a horizontal bar used for ballet exercises","バー（バレエの練習用手すり）"],
+1220:["n","a given name","バリー（人名）","Barry drove us home."],
+1221:["n","the common perch (dialect)","パーチ（方言）"],
+1222:["n","a family name","バルト（姓）","Karl Barth was a theologian."],
+1223:["n","a unit of pressure of one dyne per square centimetre","バリ（圧力の単位）"],
+1224:["adv","towards the base","基部のほうへ"],
+1225:["adj","at or forming the base","基底の、基礎の","Basal metabolism is measured at rest."],
+1226:["n","sheepskin tanned in oak or larch bark (basil)","羊のなめし革"],
+1227:["x"],
+1228:["v","used as a starting point (past of base)","基づいた、拠点とした","The film is based on a true story."],
+1229:["adj","lower or more dishonourable (comparative of base)","より卑しい"],
+1230:["n","plural of base or of basis","基地、土台","The army has two bases here."],
+1231:["adj","simple; most important","基本的な","Learn the basic rules first."],
+1232:["n","a sweet-smelling herb","バジル","Add fresh basil to the pasta."],
+1233:["n","a bowl for water; a low area of land","洗面器、盆地","Fill the basin with warm water."],
+1234:["n","the main idea or fact something rests on","基礎、根拠","Trust is the basis of friendship."],
+1235:["x"],
+1236:["v","lies enjoying warmth or attention (third person of bask)","日光浴をする、浴する"],
+1237:["n","a basin (obsolete spelling)","たらい（廃綴）"],
+1238:["x"],
+1239:["n","plural of basso (bass singers)","バス歌手（複数）"],
+1240:["n","a bass singer","バス歌手"],
+1241:["adj","having a strong bass sound","低音の効いた"],
+1242:["interj","enough! (Italian)","もうたくさん！（イタリア語）"],
+1243:["v","to pour fat over meat while cooking; to sew with long loose stitches","たれをかける、仮縫いする"],
+1244:["n","a slum in India","（インドの）スラム"],
+1245:["n","the ace of clubs in some card games","バスト（クラブのエース）"],
+1246:["n","fibres from the inner bark of plants (plural of bast)","靭皮繊維（複数）"],
+1247:["x"],
+1248:["x"],
+1249:["n","a group made at one time","一回分、束","A batch of cookies."],
+1250:["n","a wooden bowl used for panning gold","バテア（砂金採りの木鉢）"],
+1251:["adj","held back, as in \"with bated breath\"","（息を）ひそめた"],
+1252:["x"],
+1253:["x"],
+1254:["v","reduces; (of a hawk) flaps wildly (third person of bate)","減らす、（鷹が）羽ばたく"],
+1255:["v","to wash oneself or swim","入浴する、水浴びする"],
+1256:["n","tubs for washing; public bathing places (plural of bath)","風呂、浴場","The Roman baths."],
+1257:["n","a method of dyeing cloth using wax","ろうけつ染め"],
+1258:["n","a thin stick used by a conductor or in relay races","指揮棒、バトン","Pass the baton."],
+1259:["n","an extra allowance paid to soldiers or officials in India","（インドの）手当"],
+1260:["n","sheets of insulation or cotton wadding (plural of batt)","詰め綿、断熱材（複数）"],
+1261:["adj","(in ballet) with beats of the legs","バテュの（バレエ）"],
+1262:["adj","slightly crazy (informal)","頭のおかしい（略式）"],
+1263:["adj","weak or poor (Scottish)","弱い、貧弱な（スコットランド）"],
+1264:["n","units of data transmission speed (plural of baud)","ボー（複数）"],
+1265:["x"],
+1266:["adj","bold (Scottish)","大胆な（スコットランド）"],
+1267:["v","to hesitate or refuse (British spelling of balk)","ためらう"],
+1268:["adj","relating to the Baumé scale of liquid density","ボーメ度の"],
+1269:["x"],
+1270:["n","a full-face Venetian carnival mask","バウタ（ヴェネツィアの仮面）"],
+1271:["n","a bundle of brushwood for kindling","柴の束"],
+1272:["n","women who keep brothels (plural of bawd)","売春宿の女将（複数）"],
+1273:["adj","humorously rude about sex","卑猥な"],
+1274:["x"],
+1275:["v","cries or shouts loudly (third person of bawl)","わめく、泣き叫ぶ"],
+1276:["x"],
+1277:["x"],
+1278:["x"],
+1279:["v","howled like a hound (past of bay)","ほえた"],
+1280:["x"],
+1281:["n","a slow-moving marshy stream in the southern US","バイユー（米南部の湿地の川）","Alligators live in the bayou."],
+1282:["n","a market (same as bazaar)","市場"],
+1283:["n","the mouth (slang)","口（俗）"],
+1284:["n","the sandy shore by the sea","浜辺、ビーチ","We played on the beach."],
+1285:["n","small balls with holes for threading (plural of bead)","ビーズ","A string of beads."],
+1286:["adj","(of eyes) small, round and shiny","（目が）小さく光る"],
+1287:["n","birds' bills (plural of beak)","くちばし（複数）"],
+1288:["adj","having a large pointed nose or beak","くちばしのような"],
+1289:["x"],
+1290:["n","long pieces of wood or metal; rays of light (plural of beam)","梁、光線（複数）"],
+1291:["adj","shining; (of a ship) broad","輝く、（船の）幅の広い"],
+1292:["n","a party; a game of bingo (British informal)","どんちゃん騒ぎ、ビンゴ（英略式）"],
+1293:["n","edible seeds of pod plants (plural of bean)","豆（複数）"],
+1294:["x"],
+1295:["n","a small close-fitting cap (beanie)","ビーニー帽"],
+1296:["n","hair on a man's chin and cheeks","あごひげ","He grew a beard."],
+1297:["x"],
+1298:["n","large heavy mammals with thick fur (plural of bear)","クマ（複数）"],
+1299:["n","a large or wild animal","獣","Beauty and the Beast."],
+1300:["x"],
+1301:["v","to dry or heat green wood (obsolete)","（生木を）乾かす（廃語）"],
+1302:["x"],
+1303:["v","hits again and again; defeats (third person of beat)","打つ、負かす","Her heart beats fast."],
+1304:["n","boyfriends or admirers (plural of beau)","恋人、求婚者（複数）"],
+1305:["n","an excellent example of something (informal)","すばらしいもの（略式）"],
+1306:["n","plural of beau","恋人、求婚者（複数）"],
+1307:["x"],
+1308:["x"],
+1309:["x"],
+1310:["x"],
+1311:["x"],
+1312:["n","a style of jazz developed in the 1940s","ビバップ"],
+1313:["x"],
+1314:["x"],
+1315:["n","a tool for recovering broken drill rods","ベッシュ（折れたロッドの回収具）"],
+1316:["n","beckoning gestures; small streams (plural of beck)","手招き、小川（複数）"],
+1317:["x"],
+1318:["x"],
+1319:["interj","an Irish exclamation, \"by God\"","おやまあ（アイルランド）"],
+1320:["x"],
+1321:["n","a university official who carries the mace (beadle)","（大学の）職杖捧持者"],
+1322:["n","the Nubian ibex","ヌビアアイベックス"],
+1323:["v","to cover with drops of moisture","露で濡らす"],
+1324:["v","to make dim","薄暗くする"],
+1325:["x"],
+1326:["x"],
+1327:["x"],
+1328:["x"],
+1329:["x"],
+1330:["x"],
+1331:["v","to dye or stain","染める"],
+1332:["n","a tree with smooth gray bark","ブナ","A beech forest."],
+1333:["n","a thin Indian cigarette wrapped in a leaf (bidi)","ビーディー（インドの葉巻たばこ）"],
+1334:["n","complaints (plural of beef)","不平（複数）"],
+1335:["adj","big and muscular","筋骨たくましい"],
+1336:["n","a pick used in mining","（鉱山用の）つるはし"],
+1337:["x"],
+1338:["n","short high sounds (plural of beep)","ピーという音（複数）"],
+1339:["n","alcoholic drinks made from malt and hops (plural of beer)","ビール（複数）"],
+1340:["adj","smelling of or affected by beer","ビール臭い"],
+1341:["v","art (archaic second person of be)","〜である（古語）"],
+1342:["x"],
+1343:["n","plants grown for their roots (plural of beet)","ビート（複数）"],
+1344:["x"],
+1345:["n","an ox or cow raised for beef","肉牛"],
+1346:["x"],
+1347:["v","to be suitable for","ふさわしい"],
+1348:["v","to confuse; to cover with fog","霧で包む、まごつかせる"],
+1349:["x"],
+1350:["x"],
+1351:["interj","a mild oath, \"by God\" (archaic)","おやまあ（古語）"],
+1352:["v","started (past of begin)","始めた","The show began at eight."],
+1353:["x"],
+1354:["v","fathered (archaic past of beget)","もうけた（beget の古い過去形）"],
+1355:["x"],
+1356:["v","to decorate with gems","宝石で飾る"],
+1357:["v","to father a child; to cause something","（子を）もうける、生じさせる"],
+1358:["v","to start","始める","Let's begin the lesson."],
+1359:["interj","a mild Irish oath, \"by God\"","おやまあ（アイルランド）"],
+1360:["v","to make into a god (obsolete)","神格化する（廃語）"],
+1361:["v","fathered; caused (past of beget)","もうけた、生じさせた"],
+1362:["n","a Muslim woman of high rank in South Asia","ベーガム（高位のイスラム女性）"],
+1363:["v","started (past participle of begin)","始められた","Work has begun on the bridge."],
+1364:["x"],
+1365:["x"],
+1366:["x"],
+1367:["n","a plant such as bladder campion or a knapweed","ベーヘン（シラタマソウなどの植物）"],
+1368:["x"],
+1369:["x"],
+1370:["adj","pale sandy brown","ベージュの","She wore a beige coat."],
+1371:["adj","somewhat beige","ベージュがかった"],
+1372:["n","a shelter (Scottish)","避難所（スコットランド）"],
+1373:["n","a living thing; existence","存在、生き物","Humans are social beings."],
+1374:["n","a port city in Mozambique","ベイラ（モザンビークの港町）"],
+1375:["n","an East African oryx","ベイサオリックス"],
+1376:["n","a first-year student at certain Scottish universities","（スコットランドの大学の）一年生"],
+1377:["n","a non-venereal form of syphilis found in dry regions","ベジェル（非性病性梅毒）"],
+1378:["x"],
+1379:["n","half a shekel, an ancient Hebrew weight","ベカ（半シェケル）"],
+1380:["n","tortoiseshell (Japanese)","べっこう"],
+1381:["n","an Australian tree related to casuarina","ベラー（オーストラリアのモクマオウ）"],
+1382:["v","to beat soundly (dialect)","打ちのめす（方言）"],
+1383:["x"],
+1384:["x"],
+1385:["x"],
+1386:["v","to secure a rope or climber; to stop (nautical)","（ロープを）留める、確保する"],
+1387:["v","to let air from the stomach out noisily through the mouth","げっぷをする"],
+1388:["v","to place a ship downwind of something (nautical)","風下に置く（海事）"],
+1389:["n","a former Belgian currency unit","ベルガ（旧ベルギーの通貨単位）"],
+1390:["v","to give a false impression of; to show to be false","偽って伝える、矛盾する"],
+1391:["n","a beautiful woman","美女","She was the belle of the ball."],
+1392:["x"],
+1393:["x"],
+1394:["n","hollow metal objects that ring (plural of bell)","鐘、ベル","Church bells rang."],
+1395:["n","the stomach area","お腹","The puppy rolled onto its belly."],
+1396:["prep","lower than; under","〜の下に","Sign your name below the line."],
+1397:["n","bands worn round the waist (plural of belt)","ベルト（複数）"],
+1398:["x"],
+1399:["x"],
+1400:["v","to make mad (obsolete)","狂わせる（廃語）"],
+1401:["x"],
+1402:["x"],
+1403:["n","raised platforms in synagogues or churches (plural of bema)","ベーマ（壇、複数）"],
+1404:["x"],
+1405:["x"],
+1406:["n","the flat sign in music (obsolete)","フラット記号（廃語）"],
+1407:["v","to cover with mud","泥まみれにする"],
+1408:["x"],
+1409:["n","a long seat for several people","ベンチ","We sat on a bench in the park."],
+1410:["x"],
+1411:["n","curves (plural of bend)","曲がり角","The road has many bends."],
+1412:["adj","flexible; having many bends","曲がりやすい、曲がりくねった"],
+1413:["x"],
+1414:["v","to catch in a net (obsolete)","網で捕らえる（廃語）"],
+1415:["x"],
+1416:["v","to take away (obsolete)","奪う（廃語）"],
+1417:["n","a country in West Africa","ベナン（西アフリカの国）"],
+1418:["x"],
+1419:["n","sesame","ゴマ"],
+1420:["n","sesame","ゴマ"],
+1421:["n","an amphetamine tablet (slang); an overcoat (old slang)","覚醒剤の錠剤（俗）"],
+1422:["x"],
+1423:["n","stiff coarse grasses; inclinations (plural of bent)","ベントグラス、好み（複数）"],
+1424:["adj","covered with bent grass","ベントグラスの生えた"],
+1425:["n","short for benzodiazepine (informal)","ベンゾジアゼピン（略式）"],
+1426:["x"],
+1427:["x"],
+1428:["x"],
+1429:["x"],
+1430:["x"],
+1431:["x"],
+1432:["v","to defile; to soil (obsolete)","汚す（廃語）"],
+1433:["n","a round flat soft cap","ベレー帽"],
+1434:["n","a hill (obsolete)","丘（廃語）"],
+1435:["n","icebergs (plural of berg)","氷山（複数）"],
+1436:["adj","full of icebergs (as in bergy bit)","氷山の多い"],
+1437:["n","a ledge between a ditch and a parapet (berm)","犬走り"],
+1438:["n","raised banks or ledges (plural of berm)","小段、土手（複数）"],
+1439:["n","the capital of Switzerland (Bern)","ベルン（スイスの首都）"],
+1440:["v","to rob (obsolete)","奪う（廃語）"],
+1441:["n","a small comb jelly","ウリクラゲ"],
+1442:["x"],
+1443:["n","a small juicy fruit","ベリー","Birds eat the red berries."],
+1444:["n","a bed on a ship or train; a place for a ship in port","寝台、停泊所","She booked a berth on the night train."],
+1445:["x"],
+1446:["n","a hard mineral that includes emerald and aquamarine","緑柱石"],
+1447:["n","a deep-sea fish, the alfonsino","キンメダイ属の魚"],
+1448:["n","flour made from chickpeas","ベサン粉（ヒヨコ豆粉）"],
+1449:["v","to look; to see to (obsolete)","見る（廃語）"],
+1450:["v","to trouble constantly","悩ませる","The project was beset by problems."],
+1451:["x"],
+1452:["x"],
+1453:["v","to suit; to become (obsolete)","似合う（廃語）"],
+1454:["n","a broom made of twigs","ほうき（小枝製）"],
+1455:["v","to make foolish, as with love or drink","夢中にさせる、ぼうっとさせる"],
+1456:["x"],
+1457:["n","a small Asian sparrowhawk","ツミ（小型のハイタカ）"],
+1458:["v","defeats (third person of best)","負かす"],
+1459:["x"],
+1460:["n","second letters of the Greek alphabet; test versions (plural of beta)","ベータ（複数）"],
+1461:["n","a leaf chewed with areca nut in South Asia","キンマ"],
+1462:["x"],
+1463:["n","second letters of the Hebrew alphabet (plural of beth)","ベート（複数）"],
+1464:["x"],
+1465:["n","concrete (French)","コンクリート（フランス語）"],
+1466:["n","a small old Venetian brass coin","ベッツォ（旧ヴェネツィアの小銭）"],
+1467:["n","a fighting fish of Southeast Asia","ベタ（闘魚）"],
+1468:["n","a given name","ベティ（人名）","Betty bakes bread."],
+1469:["n","a sloping edge","斜面、面取り"],
+1470:["n","a light snack between meals (obsolete)","間食（廃語）"],
+1471:["n","a bevel (obsolete spelling)","斜面（廃綴）"],
+1472:["n","a piece of armour protecting the chin and throat","（鎧の）あご当て"],
+1473:["n","a blunder (French)","失策（フランス語）"],
+1474:["n","an alcoholic drink (British informal)","酒（英略式）"],
+1475:["v","to wet","濡らす"],
+1476:["v","to put a wig on","かつらをかぶせる"],
+1477:["n","a leather strap fastening bells to a hawk's legs","（鷹の）鈴の足革"],
+1478:["x"],
+1479:["x"],
+1480:["n","a rim that holds a watch glass or gemstone in place","ベゼル（時計の縁、宝石の台座）"],
+1481:["n","a bezel (variant spelling)","ベゼル（異綴）"],
+1482:["x"],
+1483:["x"],
+1484:["n","a bear (Hindi)","クマ（ヒンディー語）"],
+1485:["n","a preparation of cannabis leaves used in India","バング（大麻の葉の製剤）"],
+1486:["x"],
+1487:["n","emotion or mood, in Indian aesthetics and dance","バーヴァ（情）"],
+1488:["n","a ghost (Hindi, bhut)","幽霊（ヒンディー語）"],
+1489:["n","ghosts (plural of bhut)","幽霊（複数）"],
+1490:["x"],
+1491:["n","a flat onion roll (bialy)","ビアリ（玉ねぎパン）"],
+1492:["n","a flat bread roll topped with onion","ビアリ（玉ねぎパン）"],
+1493:["n","timber pieces bolted to a mast to support the trestletrees","ビブ（マストの支え材）"],
+1494:["x"],
+1495:["n","the holy book of Christianity; an authoritative book","聖書","This book is the gardener's bible."],
+1496:["n","the large muscle at the front of the upper arm (biceps)","上腕二頭筋"],
+1497:["n","blue or green pigments (plural of bice)","岩群青（複数）"],
+1498:["x"],
+1499:["x"],
+1500:["n","a hen; a fussy old woman (informal)","めんどり、口うるさい老女"],
+1501:["v","waited (past of bide)","待った"],
+1502:["x"],
+1503:["v","waits (third person of bide)","待つ"],
+1504:["n","a low basin for washing the genitals and bottom","ビデ"],
+1505:["n","a metalware of dark alloy inlaid with silver, from India","ビドリ細工"],
+1506:["n","bidri metalware (variant spelling)","ビドリ細工（異綴）"],
+1507:["n","a shelter (Scottish)","避難所（スコットランド）"],
+1508:["n","goods; possessions (French)","財産（フランス語）"],
+1509:["n","stands for coffins (plural of bier)","棺台（複数）"],
+1510:["x"],
+1511:["v","hits with the fist (informal, third person of biff)","殴る（略式）"],
+1512:["n","a toilet (slang)","トイレ（俗）"],
+1513:["adj","split into two parts","二裂の"],
+1514:["n","plural of biga (a two-horse chariot)","二頭立て戦車（複数）"],
+1515:["n","a bigamist (obsolete)","重婚者（廃語）"],
+1516:["n","two-horse chariots (plural of biga)","二頭立て戦車（複数）"],
+1517:["n","an important person or thing (informal)","大物（略式）"],
+1518:["n","a unit of land area in South Asia","ビガ（南アジアの面積単位）"],
+1519:["n","a curve in a coastline; a loop of rope","湾曲部、ロープの輪"],
+1520:["adv","in a big or boastful way","尊大に"],
+1521:["n","a person who is intolerant of other views or groups","偏屈者、頑固な差別主義者"],
+1522:["adj","small and elegant","小さく洒落た"],
+1523:["v","rode a bicycle (past of bike)","自転車に乗った"],
+1524:["n","a motorcyclist or cyclist","バイク乗り"],
+1525:["n","bicycles or motorcycles (plural of bike)","自転車、バイク（複数）"],
+1526:["n","a member of a motorcycle gang (Australian)","暴走族（豪）"],
+1527:["x"],
+1528:["n","a sword; iron shackles for the ankles","剣、足かせ"],
+1529:["n","an Australian bandicoot with long ears","ミミナガバンディクート"],
+1530:["x"],
+1531:["n","digestive fluids; bad temper (plural of bile)","胆汁（複数）"],
+1532:["n","the bottom of a ship's hull; nonsense (informal)","船底、たわごと"],
+1533:["adj","smelling like bilge water","船底の汚水臭い"],
+1534:["x"],
+1535:["x"],
+1536:["v","cheats out of money (third person of bilk)","だまし取る"],
+1537:["n","a creek or river (Australian)","小川（豪）"],
+1538:["n","statements of money owed; beaks; draft laws (plural of bill)","請求書、くちばし、法案（複数）"],
+1539:["n","a given name; a male goat (billy goat)","ビリー（人名）、雄ヤギ","Billy is five."],
+1540:["x"],
+1541:["x"],
+1542:["n","a raised platform in a synagogue","ビマー（シナゴーグの壇）"],
+1543:["x"],
+1544:["n","an attractive but unintelligent person (derogatory slang)","頭の軽い美人（俗、軽蔑）"],
+1545:["adj","double; twofold","二重の"],
+1546:["n","a decorative dot worn on the forehead","ビンディ"],
+1547:["v","ties or fastens (third person of bind)","縛る"],
+1548:["n","climbing stems of hops (plural of bine)","つる（複数）"],
+1549:["n","a short period of excessive eating or drinking","やけ食い、どんちゃん騒ぎ"],
+1550:["n","a game of chance with numbered cards","ビンゴ"],
+1551:["x"],
+1552:["x"],
+1553:["x"],
+1554:["n","a large barbel fish of the Nile","ビニー（ナイルのバーベル）"],
+1555:["n","girls or women (derogatory British slang, plural of bint)","女（英俗、軽蔑、複数）"],
+1556:["n","a large natural community of plants and animals","生物群系"],
+1557:["n","a living organism","生物体"],
+1558:["n","a sugar with two carbon atoms","ビオース（二炭糖）"],
+1559:["n","the plant and animal life of a region","生物相"],
+1560:["n","an animal that walks on two legs","二足動物"],
+1561:["n","a two-legged stand","二脚"],
+1562:["n","a tree with thin white bark","カバノキ、白樺","A birch grows by the lake."],
+1563:["x"],
+1564:["n","feathered animals with wings (plural of bird)","鳥（複数）"],
+1565:["n","a little bird (informal)","小鳥（略式）"],
+1566:["n","birch trees (Scottish, plural of birk)","カバノキ（スコットランド、複数）"],
+1567:["x"],
+1568:["v","to spin a floating log by treading on it","（浮かんだ丸太を）足で回す"],
+1569:["v","spins a floating log by treading (third person of birl)","（丸太を）足で回す"],
+1570:["x"],
+1571:["x"],
+1572:["x"],
+1573:["x"],
+1574:["n","units of Ethiopian money; whirring sounds (plural of birr)","ブル（エチオピアの通貨、複数）、うなり"],
+1575:["n","a bristle (Scottish)","剛毛（スコットランド）"],
+1576:["x"],
+1577:["n","the moment of being born","誕生","Write your date of birth."],
+1578:["n","cold dry north winds in Switzerland (plural of bise)","ビーズ（スイスの北風、複数）"],
+1579:["n","a wild rock dove (French)","カワラバト（フランス語）"],
+1580:["v","to busy (obsolete)","忙しくさせる（廃語）"],
+1581:["n","rich shellfish soups (plural of bisk, same as bisque)","ビスク（複数）"],
+1582:["x"],
+1583:["n","a large wild ox with a shaggy mane","バイソン","Bison once roamed the plains."],
+1584:["x"],
+1585:["x"],
+1586:["n","a female dog; an offensive word for a woman","雌犬、（侮辱的な語）","The bitch had six puppies."],
+1587:["x"],
+1588:["n","a person or animal that bites","かみつく人・動物"],
+1589:["v","cuts into with the teeth (third person of bite)","かむ"],
+1590:["adj","tiny (informal, as in itsy-bitsy)","ちっちゃな（略式）"],
+1591:["interj","please (German)","どうぞ（ドイツ語）"],
+1592:["n","posts on a ship's deck for fastening ropes (plural of bitt)","係柱（複数）"],
+1593:["adj","tiny; made up of unconnected bits (informal)","ちっぽけな、断片的な"],
+1594:["adj","being two in one","二位一体の"],
+1595:["n","a small tent or bivouac (informal)","簡易テント（略式）"],
+1596:["n","an orange pigment from annatto seeds","ビキシン（アナトー色素）"],
+1597:["x"],
+1598:["x"],
+1599:["n","the French composer of Carmen","ビゼー（作曲家）"],
+1600:["v","tells secrets carelessly (third person of blab)","秘密を漏らす"],
+1601:["adj","the darkest color, like night","黒い","He has a black cat."],
+1602:["n","the sharp cutting part of a knife; a leaf of grass","刃、葉","The blade is very sharp."],
+1603:["adj","consisting of blades","葉身の多い"],
+1604:["x"],
+1605:["n","a feeling of boredom and low spirits","憂うつ、倦怠"],
+1606:["n","an inflamed swelling or blister","はれもの、水ぶくれ"],
+1607:["n","a family name or given name","ブレア（人名）","Tony Blair was prime minister."],
+1608:["n","a family name (as in William Blake)","ブレイク（姓）","Blake wrote poems."],
+1609:["v","to say someone is responsible for a fault","責める、〜のせいにする","Don't blame me."],
+1610:["n","loud bangs (plural of blam)","バンという音（複数）"],
+1611:["n","a white sauce; a white cosmetic","白いソース、白粉"],
+1612:["adj","without much flavor; dull","味気ない、退屈な","The soup is bland."],
+1613:["adj","empty; with nothing written","空白の","Leave this line blank."],
+1614:["v","to make a loud harsh sound","がなり立てる"],
+1615:["v","to bleat or bellow (dialect)","わめく（方言）"],
+1616:["adj","unimpressed because of having seen it all before (blasé)","無関心な、飽き飽きした"],
+1617:["n","a splash of water (Scottish)","水しぶき（スコットランド）"],
+1618:["n","an explosion; a strong gust","爆発、突風","The blast broke windows."],
+1619:["adj","timid; shy (Scottish)","内気な（スコットランド）"],
+1620:["v","bleats; blurts out (third person of blat)","鳴く、口走る"],
+1621:["v","blown (Scottish)","吹いた（スコットランド）"],
+1622:["v","blows (Scottish)","吹く（スコットランド）"],
+1623:["x"],
+1624:["n","a big bright fire","炎、大火","Firefighters fought the blaze."],
+1625:["x"],
+1626:["adj","cold and empty; without hope","荒涼とした、暗い","The future looked bleak."],
+1627:["adj","(of eyes) dim and watery","（目が）かすんだ"],
+1628:["v","to make the cry of a sheep or goat; to complain weakly","メーと鳴く、泣き言を言う"],
+1629:["n","small blisters or bubbles (plural of bleb)","水疱、気泡（複数）"],
+1630:["v","to blacken (obsolete)","黒くする（廃語）"],
+1631:["v","to lose blood","出血する","My nose is bleeding."],
+1632:["n","a short high electronic sound","ピーという電子音"],
+1633:["v","to mix together","混ぜる","Blend the fruit into a smoothie."],
+1634:["v","to blink; to shine (obsolete)","まばたきする（廃語）"],
+1635:["x"],
+1636:["v","blended (archaic past of blend)","混ぜた（古語）"],
+1637:["x"],
+1638:["v","to ask God to protect","祝福する","Bless you!"],
+1639:["adj","blessed (poetic)","祝福された（詩語）"],
+1640:["n","soft decay in overripe fruit (plural of blet)","（果物の）熟れすぎ（複数）"],
+1641:["x"],
+1642:["x"],
+1643:["x"],
+1644:["n","a small airship; a pompous old-fashioned person","小型飛行船、頑迷な保守派"],
+1645:["x"],
+1646:["adj","unable to see","目の見えない","The dog guides a blind man."],
+1647:["n","small Russian buckwheat pancakes","ブリヌイ"],
+1648:["v","to shut and open the eyes quickly","まばたきする"],
+1649:["n","small Russian buckwheat pancakes (blini)","ブリヌイ"],
+1650:["n","small spots on a screen; brief setbacks (plural of blip)","輝点、一時的な不調（複数）"],
+1651:["n","a gust of wind and rain","雨まじりの突風"],
+1652:["n","perfect happiness","至福","A day at the beach is bliss."],
+1653:["x"],
+1654:["n","a plant of the goosefoot family, such as strawberry blite","ブリタム（アカザ科の植物）"],
+1655:["n","a sudden intense attack or effort","電撃攻撃、集中作戦"],
+1656:["n","a blizzard (informal)","吹雪（略式）"],
+1657:["v","to swell up with air or liquid","ふくれる"],
+1658:["n","small shapeless lumps (plural of blob)","しずく、塊（複数）"],
+1659:["n","a solid piece; a group of buildings","ブロック、区画","Walk two blocks north."],
+1660:["n","groups of countries or parties acting together (plural of bloc)","ブロック（複数）"],
+1661:["n","a man (British informal)","男、やつ（英略式）"],
+1662:["adj","having pale yellow hair","金髪の","He has blond hair."],
+1663:["n","the red liquid in the body","血","He gave blood at the hospital."],
+1664:["n","a flower; the state of flowering","花、開花","The roses are in full bloom."],
+1665:["v","to make a blunder; to hit a weak fly ball (baseball)","へまをする、ポテンヒットを打つ"],
+1666:["n","a blast of wind (obsolete)","突風（廃語）"],
+1667:["v","to cure herrings by salting and smoking (obsolete)","（ニシンを）燻製にする（廃語）"],
+1668:["n","spots or stains (plural of blot)","しみ（複数）"],
+1669:["x"],
+1670:["v","moved by wind (past participle of blow)","吹かれた","The roof was blown off."],
+1671:["n","hard hits; shocks (plural of blow)","打撃（複数）"],
+1672:["adj","windy","風の強い"],
+1673:["v","made or turned blue (past of blue)","青くした"],
+1674:["adj","more blue (comparative of blue)","より青い"],
+1675:["n","sad slow music from the American South; sadness","ブルース、憂うつ","She sings the blues."],
+1676:["n","a small North American plant with pale blue flowers","ヒナソウ"],
+1677:["adj","bluish","青みがかった"],
+1678:["v","to pretend to be strong or know something","はったりをかける","He's bluffing."],
+1679:["x"],
+1680:["x"],
+1681:["adj","not sharp; very direct","鈍い、無遠慮な","A blunt knife."],
+1682:["n","a short promotional description of a book or product","宣伝文句"],
+1683:["n","things that cannot be seen clearly (plural of blur)","ぼやけたもの（複数）"],
+1684:["v","to say something suddenly without thinking","うっかり口走る"],
+1685:["v","to turn red in the face","赤面する","She blushed at the praise."],
+1686:["n","a piece of peeled skin (Scottish)","剥けた皮（スコットランド）"],
+1687:["n","a flat piece of wood; a group that runs a company","板、委員会","Write it on the board."],
+1688:["n","wild pigs or male pigs (plural of boar)","イノシシ、雄豚（複数）"],
+1689:["n","low-grade diamond used as an abrasive (bort)","ボルツ（研磨用ダイヤ）"],
+1690:["v","to talk proudly about yourself","自慢する","He boasts about his car."],
+1691:["n","small vessels for travelling on water (plural of boat)","ボート（複数）"],
+1692:["n","a marmot of Eastern Europe and Central Asia","ボバクマーモット"],
+1693:["n","a British police officer (informal); a given name","（英）警官、ボビー（人名）","Ask a bobby for directions."],
+1694:["x"],
+1695:["n","fraud or corruption (Caribbean)","汚職、詐欺（カリブ）"],
+1696:["n","a glass jar with a wide short neck","広口瓶"],
+1697:["n","the opening in a glass furnace","（ガラス炉の）取り出し口"],
+1698:["n","an Italian bowling game played on a long court","ボッチェ"],
+1699:["n","an Italian bowling game (bocce)","ボッチェ"],
+1700:["n","an offensive term for a German, especially a soldier","ドイツ人（蔑称）"],
+1701:["n","strong dark beers (plural of bock)","ボックビール（複数）"],
+1702:["x"],
+1703:["v","was a sign of (past of bode)","前兆となった"],
+1704:["x"],
+1705:["x"],
+1706:["v","is a sign of (third person of bode)","前兆となる"],
+1707:["v","to make or repair something badly (British informal)","下手に直す（英略式）"],
+1708:["n","enlightenment in Buddhism","菩提"],
+1709:["n","a small old Scottish copper coin","ボドル（スコットランドの銅貨）"],
+1710:["n","Afrikaners of Dutch descent (plural of Boer)","ボーア人（複数）"],
+1711:["adj","extremely successful (informal)","大当たりの（略式）"],
+1712:["n","big laughs; boffins (informal, plural of boff)","大笑い（複数、略式）"],
+1713:["n","an uncultured or unsophisticated person (Australian slang)","粗野な人（豪俗）"],
+1714:["x"],
+1715:["n","a score of one over par in golf; an imaginary evil spirit","ボギー、お化け"],
+1716:["adj","wet and muddy","沼地の、じめじめした"],
+1717:["n","a wheeled undercarriage under a railway car; a bogey","台車、ボギー"],
+1718:["n","a ghost or goblin (Scottish)","お化け（スコットランド）"],
+1719:["n","a Mediterranean sea bream; (nautical) to edge away to leeward","ボーグ（タイの仲間）"],
+1720:["x"],
+1721:["adj","not genuine; fake","偽の"],
+1722:["n","a black tea from China","武夷茶"],
+1723:["x"],
+1724:["v","heats a liquid until it bubbles (third person of boil)","沸かす、ゆでる"],
+1725:["x"],
+1726:["interj","the sound of something bouncing","ボイン（はねる音）"],
+1727:["n","the capital of Idaho, USA","ボイシ（米アイダホ州の州都）","Boise is in Idaho."],
+1728:["n","a box (obsolete)","箱（廃語）"],
+1729:["n","a small nightclub or restaurant (French)","小さなナイトクラブ（フランス語）"],
+1730:["x"],
+1731:["x"],
+1732:["adj","relating to or like bole (clay)","粘土の"],
+1733:["n","a throwing weapon of weighted balls on cords","ボーラ（投げ縄）"],
+1734:["n","a Chilean shrub whose leaves are used in herbal medicine","ボルド（チリの低木）"],
+1735:["x"],
+1736:["n","tree trunks; reddish clays (plural of bole)","幹、粘土（複数）"],
+1737:["n","a bright meteor that explodes","火球"],
+1738:["n","seed pods of cotton or flax (plural of boll)","さく果（複数）"],
+1739:["n","Bollinger champagne (British informal)","シャンパン（英略式）"],
+1740:["n","long knives of the Philippines (plural of bolo)","ボロナイフ（複数）"],
+1741:["n","a Nile fish, the Nile tilapia","ナイルティラピア"],
+1742:["n","metal pins; flashes of lightning (plural of bolt)","ボルト、稲妻（複数）"],
+1743:["n","a Nile fish (same as bolti)","ナイルティラピア"],
+1744:["n","a small round mass of food or medicine","食塊、大丸薬"],
+1745:["n","a frozen dessert in a rounded mould","ボンブ（アイスの菓子）"],
+1746:["x"],
+1747:["n","explosive devices (plural of bomb)","爆弾（複数）"],
+1748:["x"],
+1749:["x"],
+1750:["n","the head (British informal); a large marble","頭（英略式）、大きなビー玉"],
+1751:["n","ties that unite; loans sold by governments (plural of bond)","絆、債券","They share strong family bonds."],
+1752:["adj","having had the bones removed","骨を抜いた"],
+1753:["n","a foolish mistake (informal)","へま（略式）"],
+1754:["n","the hard parts of the skeleton (plural of bone)","骨","The dog buried the bones."],
+1755:["adj","bony","骨ばった"],
+1756:["n","a small drum played with the hands; a striped African antelope","ボンゴ（太鼓、アンテロープ）"],
+1757:["n","deep ringing sounds; water pipes for smoking (plural of bong)","ゴーンという音、水パイプ（複数）"],
+1758:["v","hits lightly on the head (informal, third person of bonk)","ごつんと打つ（略式）"],
+1759:["n","a nursemaid (French)","子守女（フランス語）"],
+1760:["adj","attractive; healthy-looking (Scottish)","かわいい、健康そうな（スコットランド）"],
+1761:["x"],
+1762:["n","a good (Latin, as in summum bonum)","善（ラテン語）"],
+1763:["n","an extra payment or reward","ボーナス","She got a bonus."],
+1764:["n","a Buddhist monk, especially in Japan or China","坊主、僧"],
+1765:["n","foolish mistakes; breasts (informal, plural of boob)","へま、おっぱい（俗）"],
+1766:["n","a stupid person; a tropical seabird related to the gannet","まぬけ、カツオドリ"],
+1767:["n","the Buddha (old spelling)","仏陀（古い綴り）"],
+1768:["x"],
+1769:["v","shouted \"boo\" in disapproval (past of boo)","ブーイングした"],
+1770:["n","written works bound between covers (plural of book)","本（複数）"],
+1771:["adj","bookish","本好きの"],
+1772:["n","an Irish herdsman who moves with his herds","アイルランドの遊牧の牧人"],
+1773:["n","loud deep sounds; periods of rapid growth (plural of boom)","轟音、好景気（複数）"],
+1774:["adj","having a booming sound; having too much bass","低音の響く"],
+1775:["n","an offensive term for an Aboriginal person (Australian)","先住民への蔑称（豪）"],
+1776:["x"],
+1777:["n","benefits or blessings (plural of boon)","恩恵（複数）"],
+1778:["n","rude, ill-mannered people (plural of boor)","無作法者（複数）"],
+1779:["n","low-grade diamond (bort)","ボルツ（研磨用ダイヤ）"],
+1780:["n","a stall for cattle; to drink heavily (booze)","牛舎、大酒を飲む"],
+1781:["v","to increase; to push up","高める","Music boosts my mood."],
+1782:["adj","drunk (boozy)","酔った"],
+1783:["n","a small enclosed space","ブース、小部屋","A phone booth."],
+1784:["n","shoes that cover the ankle (plural of boot)","ブーツ","Wear boots in the snow."],
+1785:["n","stolen goods or treasure","戦利品、略奪品"],
+1786:["n","alcoholic drink (informal)","酒（略式）"],
+1787:["adj","involving a lot of drinking","酒浸りの"],
+1788:["n","banter or teasing (Australian slang)","からかい（豪俗）"],
+1789:["n","a material of boron carbide and aluminium used in nuclear shielding","ボラル（中性子遮蔽材）"],
+1790:["x"],
+1791:["n","a white mineral used in cleaning and glassmaking","ホウ砂"],
+1792:["adj","tired of something dull","退屈した","I'm bored."],
+1793:["n","a lively French dance (bourrée)","ブーレ（フランスの舞曲）"],
+1794:["n","a coarse woollen cloth; a layman (obsolete)","粗い毛織物、俗人（廃語）"],
+1795:["n","a tool for making holes; an insect that bores into wood","穿孔具、穿孔虫"],
+1796:["n","dull people; tidal waves in rivers (plural of bore)","退屈な人、海嘯（複数）"],
+1797:["x"],
+1798:["adj","relating to boron","ホウ素の"],
+1799:["x"],
+1800:["v","carried; endured (past participle of bear)","運ばれた、耐えられた","The cost will be borne by the city."],
+1801:["n","a chemical element (B)","ホウ素","Boron is used in glass."],
+1802:["n","low-grade diamonds (plural of bort)","ボルツ（複数）"],
+1803:["x"],
+1804:["n","low-grade diamond (bort)","ボルツ（研磨用ダイヤ）"],
+1805:["x"],
+1806:["n","the Dutch painter Hieronymus Bosch","ボス（画家）"],
+1807:["x"],
+1808:["x"],
+1809:["n","small woods or thickets (plural of bosk)","小さな茂み（複数）"],
+1810:["adj","covered with bushes or trees","木の茂った"],
+1811:["n","a woman's chest; a place of closeness","胸、懐","A bosom friend."],
+1812:["n","a subatomic particle such as a photon that carries force","ボース粒子"],
+1813:["n","short for bossa nova, a Brazilian dance music","ボサノヴァ（略）"],
+1814:["adj","fond of telling others what to do","威張りたがる"],
+1815:["n","a ship's officer in charge of equipment and crew (boatswain)","甲板長"],
+1816:["x"],
+1817:["n","leather wine bottles (plural of bota)","革製ワイン袋（複数）"],
+1818:["v","to do a task badly","しくじる、やり損なう"],
+1819:["n","a boat used as a hotel","ボテル（宿泊船）"],
+1820:["n","a simple hut or shelter (Scottish)","小屋（スコットランド）"],
+1821:["x"],
+1822:["n","a thrust in fencing (French)","突き（フェンシング、フランス語）"],
+1823:["n","parasitic larvae of botflies (bots)","ウマバエの幼虫"],
+1824:["x"],
+1825:["n","a mouth; an allowance of food at court (obsolete)","口、宮廷の食事手当（廃語）"],
+1826:["x"],
+1827:["x"],
+1828:["v","to swell out; to bilge (obsolete)","ふくらむ（廃語）"],
+1829:["n","a large branch of a tree","大枝"],
+1830:["n","inlaid furniture decoration (buhl); a council in ancient Greece","象眼細工、ブーレー（古代ギリシャの評議会）"],
+1831:["v","to sift flour (bolt)","ふるいにかける"],
+1832:["adj","certain; tied; going toward","きっと〜する、縛られた、〜行きの","It is bound to rain."],
+1833:["n","a jest (obsolete)","冗談（廃語）"],
+1834:["n","a market town (French)","市場町（フランス語）"],
+1835:["n","a small stream; a boundary or goal (archaic)","小川、境界（古語）"],
+1836:["x"],
+1837:["v","to haul with a tackle (nautical); to drink heavily","滑車で引く、大酒を飲む"],
+1838:["adj","drunk (boozy)","酔った"],
+1839:["n","an Amazon river dolphin (boto)","アマゾンカワイルカ"],
+1840:["n","short periods of activity or illness; matches (plural of bout)","ひと勝負、発作（複数）"],
+1841:["x"],
+1842:["n","a member of the cattle family, including goats and antelopes","ウシ科の動物"],
+1843:["x"],
+1844:["v","bent forward to show respect (past of bow)","お辞儀をした","He bowed to the audience."],
+1845:["n","the intestine","腸","Bowel cancer."],
+1846:["n","a shady shelter in a garden","木陰のあずまや","They rested in the bower."],
+1847:["n","a young hawk not yet able to fly","巣立ち前の若鷹"],
+1848:["v","to swell out; to cause to leak (obsolete)","ふくらむ、水漏れさせる（廃語）"],
+1849:["n","a long hunting knife (bowie knife)","ボウイナイフ"],
+1850:["x"],
+1851:["x"],
+1852:["n","deep round dishes (plural of bowl)","ボウル、鉢","Set out four bowls."],
+1853:["x"],
+1854:["v","to make ready; to prepare (obsolete)","用意する（廃語）"],
+1855:["v","to haul with a tackle (nautical)","滑車で引く（海事）"],
+1856:["adj","put in a box; enclosed in a border","箱入りの、枠で囲んだ"],
+1857:["adj","made of or like boxwood","ツゲ製の"],
+1858:["n","a person who boxes; a dog breed","ボクサー"],
+1859:["n","containers with flat sides (plural of box)","箱","Pack the books in boxes."],
+1860:["n","an Irish potato pancake","ボクスティ（アイルランドのポテトパンケーキ）"],
+1861:["n","a member of the old Russian aristocracy","ボヤール（ロシアの大貴族）"],
+1862:["n","a zigzag trench in siege works","連絡壕"],
+1863:["n","a Flemish sloop with a castle at each end","ボイエル（フランドルの帆船）"],
+1864:["n","a witch doctor among Australian Aboriginal peoples","呪術医（オーストラリア先住民）"],
+1865:["n","boys or lads (Irish and Welsh informal, plural of boyo)","若者（複数、略式）"],
+1866:["x"],
+1867:["n","stupid people (plural of bozo)","ばか者（複数）"],
+1868:["x"],
+1869:["x"],
+1870:["n","a support; a device for straightening teeth","支え、歯列矯正器","She wears braces."],
+1871:["n","a female hound (archaic)","雌の猟犬（古語）"],
+1872:["n","a flaw or crack; brackish water","割れ目、汽水"],
+1873:["n","a leaf-like part beneath a flower","苞葉"],
+1874:["n","small thin nails (plural of brad)","無頭釘（複数）"],
+1875:["n","hillsides (Scottish, plural of brae)","丘の斜面（スコットランド、複数）"],
+1876:["n","the Norse god of poetry","ブラギ（北欧神話の詩の神）"],
+1877:["v","boasts (third person of brag)","自慢する"],
+1878:["x"],
+1879:["n","a length of hair woven in three strands; decorative cord","三つ編み、組みひも"],
+1880:["n","a rope for gathering in a sail","絞り綱"],
+1881:["n","the organ of thought in the head","脳","The brain controls the body."],
+1882:["n","a device for stopping a vehicle","ブレーキ","Hit the brake!"],
+1883:["adj","covered with brambles or ferns","やぶの多い"],
+1884:["n","a sharp passion; vexation (obsolete)","激情、いらだち（廃語）"],
+1885:["n","a product name of a company","ブランド、銘柄","Which brand do you like?"],
+1886:["n","a bridle with a gag used as a punishment; buckwheat (dialect)","口かせ、ソバ（方言）"],
+1887:["n","husks of grain (plural of bran)","ふすま（複数）"],
+1888:["n","a small dark goose (brent goose)","コクガン"],
+1889:["adj","self-assertive in a rude or loud way","生意気な、厚かましい"],
+1890:["n","a yellow metal of copper and zinc","真鍮","The door has a brass handle."],
+1891:["v","to burst (obsolete)","破裂する（廃語）"],
+1892:["n","badly behaved children (plural of brat)","悪ガキ（複数）"],
+1893:["interj","well done! (said to a female performer)","ブラーヴァ（女性への喝采）"],
+1894:["adj","showing courage","勇敢な","The brave girl saved the cat."],
+1895:["interj","well done! (said to several performers)","ブラーヴィ（複数への喝采）"],
+1896:["interj","well done!","ブラボー"],
+1897:["n","a rough noisy fight","けんか、乱闘"],
+1898:["n","physical strength; meat from a pig's head set in jelly","腕力、ヘッドチーズ"],
+1899:["n","fine clothes (Scottish, plural of braw)","晴れ着（スコットランド）"],
+1900:["n","a fatal bacterial disease of sheep","羊の腸の急性感染症"],
+1901:["x"],
+1902:["v","makes the loud harsh cry of a donkey (third person of bray)","（ロバが）いななく"],
+1903:["n","a Spanish unit of length (a fathom)","ブラサ（スペインの尋）"],
+1904:["v","to join metals with a hard solder","ろう付けする"],
+1905:["n","food baked from flour and water","パン","Buy a loaf of bread."],
+1906:["v","to split into pieces","壊す、割る","Don't break the glass."],
+1907:["n","a freshwater fish of the carp family","ブリーム（コイ科の魚）"],
+1908:["n","the first crop of figs of the season","夏果（イチジクの一番果）"],
+1909:["x"],
+1910:["n","a braid or embroidery (archaic)","組みひも、刺繍（古語）"],
+1911:["x"],
+1912:["n","a kind of animal","品種","What breed is your dog?"],
+1913:["x"],
+1914:["n","eyebrows (Scottish, plural of bree)","まゆ毛（スコットランド、複数）"],
+1915:["adj","fierce; severe (obsolete)","激しい（廃語）"],
+1916:["n","Bren light machine guns (plural of Bren)","ブレン機関銃（複数）"],
+1917:["n","a given name; a small goose","ブレント（人名）、コクガン","Brent crude oil."],
+1918:["x"],
+1919:["n","a briar (archaic)","イバラ（古語）"],
+1920:["n","a port city in Brittany, France","ブレスト（フランスの港町）"],
+1921:["x"],
+1922:["n","a given name","ブレット（人名）","Brett plays cricket."],
+1923:["x"],
+1924:["n","a mark (˘) over a short vowel; a long note in music","短音記号、二全音符"],
+1925:["x"],
+1926:["n","drinks made by brewing (plural of brew)","醸造酒（複数）"],
+1927:["n","a given name","ブライアン（人名）"],
+1928:["n","a thorny bush; a pipe made from heath root","イバラ、ブライヤーパイプ"],
+1929:["n","money given to get someone to do wrong","賄賂","He took a bribe."],
+1930:["n","a block of baked clay used for building","れんが","The house is made of brick."],
+1931:["n","a woman on her wedding day","花嫁","The bride wore white."],
+1932:["adj","short in time","短い、簡潔な","Please keep it brief."],
+1933:["n","a thorny bush (briar)","イバラ"],
+1934:["n","soft creamy French cheeses (plural of brie)","ブリーチーズ（複数）"],
+1935:["n","two-masted sailing ships; ship prisons (plural of brig)","ブリッグ、営倉（複数）"],
+1936:["n","a breach; ruin (obsolete)","破滅（廃語）"],
+1937:["n","a flatfish related to the turbot","ブリル（カレイの仲間）"],
+1938:["n","top edges of cups; rims of hats (plural of brim)","縁、つば（複数）"],
+1939:["n","salty water","塩水","Soak the pickles in brine."],
+1940:["v","to carry to a place","持ってくる","Bring your lunch."],
+1941:["n","the edge of a cliff; the point just before something happens","縁、瀬戸際","On the brink of war."],
+1942:["n","the sticks of a fan (plural of brin)","扇の骨（複数）"],
+1943:["adj","salty","塩辛い"],
+1944:["n","displays of energy and style (plural of brio)","活気（複数）"],
+1945:["x"],
+1946:["x"],
+1947:["adj","quick and lively","きびきびした","A brisk walk."],
+1948:["n","the Jewish ceremony of circumcision (bris)","割礼式（ユダヤ教）"],
+1949:["x"],
+1950:["adj","bright (informal spelling)","明るい（略式綴り）"],
+1951:["n","the Jewish ceremony of circumcision (brit milah)","割礼式（ユダヤ教）"],
+1952:["n","British people (informal, plural of Brit)","英国人（略式、複数）"],
+1953:["n","young herring or sprats","ニシンの稚魚"],
+1954:["n","quaking grass","コバンソウ"],
+1955:["x"],
+1956:["adj","wide","広い","He has broad shoulders."],
+1957:["n","an ancient round stone tower in Scotland","ブロッホ（スコットランドの石塔）"],
+1958:["n","a badger (old word); a given name","アナグマ（古語）","Brock the badger."],
+1959:["x"],
+1960:["v","to braid (obsolete)","編む（廃語）"],
+1961:["v","to cook with direct heat; a noisy quarrel","直火で焼く、騒ぎ"],
+1962:["v","split into pieces (past of break)","壊した","She broke her arm."],
+1963:["x"],
+1964:["n","a light cocoa drink; food (medical, obsolete)","ブローマ（ココア飲料）"],
+1965:["n","a grass of the genus Bromus","スズメノチャヒキ"],
+1966:["n","a medicine containing bromide, taken as a sedative","臭化物入りの鎮静剤"],
+1967:["n","an untamed horse (bronco)","荒馬"],
+1968:["x"],
+1969:["n","a borough of New York City","ブロンクス（ニューヨークの区）","He grew up in the Bronx."],
+1970:["n","a family of young birds","一腹のひな","The hen sat on her brood."],
+1971:["n","a small stream","小川","A brook runs through the woods."],
+1972:["x"],
+1973:["n","a brush with a long handle for sweeping","ほうき","Sweep the floor with a broom."],
+1974:["adj","brown (Scottish)","茶色の（スコットランド）"],
+1975:["x"],
+1976:["n","a Scottish dish of oatmeal with boiling liquid","ブロウズ（オートミールの粥）"],
+1977:["x"],
+1978:["n","a thin soup made from meat or vegetables","スープ、だし汁","Chicken broth is good for a cold."],
+1979:["x"],
+1980:["x"],
+1981:["adj","the color of wood or earth","茶色の","She has brown eyes."],
+1982:["n","eyebrows; foreheads (plural of brow)","まゆ、額（複数）"],
+1983:["x"],
+1984:["n","a given name (as in Bruce Lee)","ブルース（人名）","Bruce won the race."],
+1985:["x"],
+1986:["x"],
+1987:["n","a name for a bear in stories","クマ公（物語の熊）"],
+1988:["v","to spread a rumour","（うわさを）言いふらす"],
+1989:["n","a witch (Spanish)","魔女（スペイン語）"],
+1990:["n","a male witch or sorcerer (Spanish)","魔法使い（スペイン語）"],
+1991:["x"],
+1992:["n","a member of a Lakota people (Sicangu)","ブルレ族（ラコタ）"],
+1993:["n","mist or fog (literary)","霧（文語）"],
+1994:["x"],
+1995:["n","the main force of something unpleasant","矢面、衝撃"],
+1996:["n","a tool with bristles for cleaning or painting","ブラシ、筆","Clean the paint brush."],
+1997:["adj","abrupt and rude (brusque)","ぶっきらぼうな"],
+1998:["n","a cruel, violent person or animal","けだもの、乱暴者","He is a brute."],
+1999:["x"],
+2000:["n","a given name","ブライアン（人名）","Bryan fixed the car."],
+2001:["x"],
+2002:["x"],
+2003:["x"],
+2004:["n","a North African hartebeest (bubale)","ブバリス（ハーテビースト）"],
+2005:["n","yaws, a tropical skin disease","イチゴ腫"],
+2006:["n","a brother; a good old boy (US Southern informal)","兄貴、田舎者（米南部略式）"],
+2007:["n","a little boy (informal address)","坊や（呼びかけ）"],
+2008:["n","swollen inflamed lymph nodes (plural of bubo)","横痃（複数）"],
+2009:["n","the cheek (anatomy)","頬（解剖学）"],
+2010:["n","a South African shrub whose leaves are used in medicine","ブッコ（南アフリカの低木）"],
+2011:["n","a swaggering young man (informal)","若いやつ、いばり屋（略式）"],
+2012:["n","male deer; dollars (plural of buck)","雄ジカ、ドル（複数）"],
+2013:["x"],
+2014:["x"],
+2015:["n","a friend (informal)","相棒、仲間","He's my buddy."],
+2016:["v","to move slightly; to change one's mind","少し動く、考えを変える"],
+2017:["adj","made of fur (obsolete)","毛皮の（廃語）"],
+2018:["interj","good; OK (Spanish)","よし（スペイン語）"],
+2019:["adj","comic, as in opera buffa","喜劇の"],
+2020:["x"],
+2021:["n","plural of buffo (comic opera singers)","ブッフォ（複数）"],
+2022:["n","a comic singer in opera","ブッフォ（喜劇役の歌手）"],
+2023:["n","enthusiasts (plural of buff)","マニア（複数）"],
+2024:["adj","of a buff colour","淡黄色の"],
+2025:["x"],
+2026:["n","a light carriage; a pushchair","軽馬車、ベビーカー"],
+2027:["n","a sheepfold (Scottish)","羊の囲い（スコットランド）"],
+2028:["n","a brass instrument like a small trumpet","ラッパ、ビューグル"],
+2029:["x"],
+2030:["n","inlays of brass or tortoiseshell (plural of buhl)","象眼細工（複数）"],
+2031:["n","millstones made of burrstone (plural of buhr)","ひき臼石（複数）"],
+2032:["n","a brand of American car","ビュイック（米国の自動車）"],
+2033:["v","to make by putting parts together","建てる、作る","They will build a bridge."],
+2034:["v","made by putting parts together (past of build)","建てた","The house was built in 1900."],
+2035:["n","a box; a mark branded on sheep (Scottish)","箱、羊の焼き印（スコットランド）"],
+2036:["x"],
+2037:["n","rounded underground plant stems; light bulbs (plural of bulb)","球根、電球（複数）"],
+2038:["adj","bulb-shaped","球根状の"],
+2039:["n","a rounded swelling","ふくらみ"],
+2040:["adj","bulging","ふくらんだ"],
+2041:["n","large masses (plural of bulk)","大量、大部分（複数）"],
+2042:["adj","large and awkward","かさばる","A bulky package."],
+2043:["n","a large blister; a seal on a papal document","水疱、印章"],
+2044:["n","male cattle (plural of bull)","雄牛（複数）"],
+2045:["n","a person who hurts or frightens weaker people","いじめっ子"],
+2046:["n","a bag for carrying diamonds (India)","ダイヤモンド袋（インド）"],
+2047:["n","a drink of rum, sugar and water","バンボ（ラム酒の飲み物）"],
+2048:["x"],
+2049:["n","boring documents and papers (British informal)","書類、資料（英略式）"],
+2050:["n","lumps; knocks (plural of bump)","こぶ、衝突（複数）"],
+2051:["adj","having an uneven surface","でこぼこの"],
+2052:["n","an unexpected gain or bonus (British slang)","思わぬもうけ（英俗）"],
+2053:["n","a group of things growing or held together","房、束","A bunch of grapes."],
+2054:["n","a swindle, especially at cards (bunko)","いかさま、詐欺"],
+2055:["n","a general strike in India (bandh)","（インドの）ゼネスト"],
+2056:["n","embankments to hold back water (plural of bund)","土手、堤（複数）"],
+2057:["n","a ring-shaped cake baked in a fluted tin","バントケーキ"],
+2058:["n","remote wild country (South African)","未開の奥地（南アフリカ）"],
+2059:["n","a time clock for recording hours at work (Australian)","タイムレコーダー（豪）"],
+2060:["n","a kind of canoe used in Central and South America","ブンゴ（中南米のカヌー）"],
+2061:["n","stoppers for barrels (plural of bung)","樽の栓（複数）"],
+2062:["n","an elastic cord (bungee)","バンジーコード"],
+2063:["n","a swindle, especially at cards","いかさま、詐欺"],
+2064:["n","narrow beds, often one above another (plural of bunk)","寝台（複数）"],
+2065:["n","small sweet bread rolls (plural of bunn, bun)","甘い丸パン（複数）"],
+2066:["n","a rabbit (child's word)","うさちゃん","The bunny hopped away."],
+2067:["v","taps a baseball lightly without swinging (third person of bunt)","バントする"],
+2068:["x"],
+2069:["n","an Australian pine tree with edible nuts","ブニャマツ"],
+2070:["n","floating markers in water (plural of buoy)","ブイ（複数）"],
+2071:["n","a violent blizzard on the Russian steppes","ブラン（ステップの吹雪）"],
+2072:["x"],
+2073:["x"],
+2074:["n","suburbs (informal)","郊外（略式）"],
+2075:["n","young women (Scottish, plural of burd)","娘（スコットランド、複数）"],
+2076:["n","a coarse woollen cloth (borrel)","粗い毛織物"],
+2077:["n","a graduated glass tube with a tap for measuring liquids (burette)","ビュレット"],
+2078:["x"],
+2079:["x"],
+2080:["x"],
+2081:["n","a town with its own charter in Scotland","（スコットランドの）自治都市"],
+2082:["n","towns (informal, plural of burg)","町（略式、複数）"],
+2083:["n","a steel tool for engraving","彫刻刀"],
+2084:["n","a long loose garment covering the whole body, worn by some Muslim women","ブルカ"],
+2085:["n","a family name","バーク（姓）","Edmund Burke was a statesman."],
+2086:["n","knotty growths on trees (plural of burl)","こぶ（複数）"],
+2087:["adj","large and strong","たくましい"],
+2088:["n","the former name of Myanmar","ビルマ（ミャンマーの旧称）","Burma is now called Myanmar."],
+2089:["n","injuries caused by heat (plural of burn)","やけど","She had burns on her hand."],
+2090:["adj","damaged by fire","焦げた","The toast is burnt."],
+2091:["x"],
+2092:["n","the unemployment office (Scottish and Irish slang)","失業手当事務所（俗）"],
+2093:["v","lets air out of the stomach through the mouth (third person of burp)","げっぷをする"],
+2094:["n","a small donkey","小型のロバ"],
+2095:["n","prickly seed cases; rough edges on metal (plural of burr)","いが、ばり（複数）"],
+2096:["adj","full of burrs","いがの多い"],
+2097:["n","a fluid-filled sac that reduces friction in a joint","滑液包"],
+2098:["n","a purse; a fund for students","財布、奨学基金"],
+2099:["v","to break open suddenly","破裂する","The balloon burst."],
+2100:["x"],
+2101:["n","a tall fur hat worn by some soldiers","バスビー（毛皮の軍帽）"],
+2102:["v","transported by bus (past of bus)","バスで運んだ"],
+2103:["n","large passenger vehicles (plural of bus)","バス（複数）"],
+2104:["n","a warrior; a samurai (Japanese)","武士"],
+2105:["adj","growing thickly","ふさふさした"],
+2106:["v","performs music in the street for money (third person of busk)","大道で演奏する"],
+2107:["adj","bushy; wooded (bosky)","茂った"],
+2108:["n","a palm of tropical America with leaves used for thatch","ブッス（ヤシ）"],
+2109:["x"],
+2110:["x"],
+2111:["n","a bust; a statue (obsolete)","胸像（廃語）"],
+2112:["n","sculptures of heads and shoulders; police raids (plural of bust)","胸像、手入れ（複数）"],
+2113:["adj","having large breasts (informal)","胸の大きい（略式）"],
+2114:["x"],
+2115:["adj","having a masculine appearance or manner","男っぽい"],
+2116:["n","a broad-winged hawk of the genus Buteo","ノスリ属のタカ"],
+2117:["x"],
+2118:["x"],
+2119:["v","to work as a butler (informal)","執事を務める（略式）"],
+2120:["n","an isolated hill with steep sides and a flat top","ビュート（孤立した丘）","A butte rose from the desert."],
+2121:["n","thick ends; targets of jokes; barrels (plural of butt)","太い端、笑いもの、大樽（複数）"],
+2122:["n","a sandwich (British dialect)","サンドイッチ（英方言）"],
+2123:["n","a coin of the Gambia","ブトゥト（ガンビアの硬貨）"],
+2124:["n","a chemical group with four carbon atoms","ブチル基"],
+2125:["x"],
+2126:["adj","(of a woman) plump and full-bosomed","豊満な"],
+2127:["n","a person who buys","買い手","We found a buyer for the car."],
+2128:["adj","lively and exciting (informal)","にぎやかな（略式）"],
+2129:["n","sir; master (East Africa)","だんな（東アフリカ）"],
+2130:["n","a leather strap worn across the breast by coal miners pulling sledges","（炭坑夫の）胸当て革"],
+2131:["n","a rule made by a local authority or organization","条例、内規"],
+2132:["x"],
+2133:["x"],
+2134:["n","cowsheds (plural of byre)","牛小屋（複数）"],
+2135:["x"],
+2136:["n","a given name (as in Lord Byron)","バイロン（人名）","Byron wrote romantic poems."],
+2137:["x"],
+2138:["x"],
+2139:["n","plural of byssus (the threads by which mussels attach)","足糸（複数）"],
+2140:["n","units of computer data, usually eight bits (plural of byte)","バイト（複数）"],
+2141:["n","a small road that is not much used","わき道"],
+2142:["n","the sacred cube-shaped building in Mecca (Kaaba)","カアバ神殿"],
+2143:["n","a South African hartebeest; a small fox","アカシカハーテビースト"],
+2144:["x"],
+2145:["n","a secret group of plotters","陰謀団"],
+2146:["x"],
+2147:["n","a flat basket or handbag","平かご、手提げ"],
+2148:["n","a taxi driver","タクシー運転手"],
+2149:["x"],
+2150:["n","a long heavy pole tossed in Scottish games","ケイバー（丸太投げの丸太）"],
+2151:["n","a small wooden house; a room on a ship or plane","小屋、船室","They stayed in a cabin in the woods."],
+2152:["x"],
+2153:["n","a thick wire or rope","ケーブル","Plug in the cable."],
+2154:["n","a kebab (old spelling)","ケバブ（古い綴り）"],
+2155:["n","the explorers John and Sebastian Cabot","カボット（探検家）"],
+2156:["x"],
+2157:["x"],
+2158:["n","the seeds from which cocoa and chocolate are made","カカオ"],
+2159:["x"],
+2160:["x"],
+2161:["n","a hidden store of things; fast computer memory","隠し場所、キャッシュ","Clear the browser cache."],
+2162:["v","defecates (vulgar)","大便をする（卑語）"],
+2163:["n","plural of cactus","サボテン（複数）"],
+2164:["x"],
+2165:["n","a small box for tea; a person who carries golf clubs (caddie)","茶筒、キャディー"],
+2166:["x"],
+2167:["x"],
+2168:["n","juniper trees; pet lambs (plural of cade)","ネズ、手飼いの子羊（複数）"],
+2169:["n","a student at a military or police school","士官候補生","The cadets marched in line."],
+2170:["n","a caddis worm (obsolete)","トビケラの幼虫（廃語）"],
+2171:["v","to ask for something without paying","ねだる、たかる"],
+2172:["adj","cheerful; wanton (Scottish)","陽気な（スコットランド）"],
+2173:["n","an errand boy or messenger (Scottish)","使い走り（スコットランド）"],
+2174:["n","a coarse woollen serge","粗いサージ"],
+2175:["x"],
+2176:["n","a small group of trained people at the core of an organization","幹部"],
+2177:["x"],
+2178:["n","an ancient Greek jar or wine vessel","カドス（古代ギリシャの壺）"],
+2179:["n","plural of caecum (a pouch at the start of the large intestine)","盲腸（複数）"],
+2180:["n","small restaurants serving drinks and snacks (plural of cafe)","カフェ（複数）"],
+2181:["x"],
+2182:["n","an old Moorish unit of dry measure (cahiz)","カフィス（昔の升）"],
+2183:["x"],
+2184:["adj","kept in a cage","檻に入れられた"],
+2185:["n","a basketball player (informal)","バスケットボール選手（略式）"],
+2186:["n","enclosures with bars (plural of cage)","檻（複数）"],
+2187:["adj","unwilling to give information","用心深い、口の固い"],
+2188:["x"],
+2189:["n","a green parrot of the Philippines","カギット（フィリピンのインコ）"],
+2190:["n","a member of an outcast group in the Pyrenees","カゴ（ピレネーの被差別民）"],
+2191:["x"],
+2192:["n","an old Spanish unit of dry measure","カイス（スペインの升）"],
+2193:["n","a bump or hollow in a snowy road (Canadian French)","（雪道の）でこぼこ"],
+2194:["n","the Bermuda petrel","バミューダミズナギドリ"],
+2195:["x"],
+2196:["n","North African chiefs or governors (plural of caid)","カーイド（北アフリカの首長、複数）"],
+2197:["n","rents paid in kind (plural of cain, kain)","現物地代（複数）"],
+2198:["n","a travelling tinker (Scottish)","鋳掛け屋（スコットランド）"],
+2199:["n","a pile of stones marking a path or grave","ケルン（石塚）"],
+2200:["n","the capital of Egypt","カイロ","Cairo is on the Nile."],
+2201:["n","the pigeon pea","キマメ"],
+2202:["n","a box-shaped percussion instrument from Peru","カホン"],
+2203:["n","the cashew","カシューナッツ"],
+2204:["n","a Louisiana person descended from French-speaking Acadians","ケイジャン"],
+2205:["v","covered with a hardened layer (past of cake)","こびりついた"],
+2206:["x"],
+2207:["n","sweet baked foods (plural of cake)","ケーキ（複数）"],
+2208:["adj","like cake; forming cakes","ケーキのような"],
+2209:["n","a centre of energy in the body (chakra)","チャクラ"],
+2210:["x"],
+2211:["x"],
+2212:["x"],
+2213:["x"],
+2214:["adj","hot; burning (obsolete)","熱い（廃語）"],
+2215:["n","an abbreviation of California","カリフォルニア州の略","Los Angeles, Calif."],
+2216:["n","an alloy of lead and tin used in China for tea chests","キャリン（鉛と錫の合金）"],
+2217:["n","a cup or chalice (calyx)","杯"],
+2218:["n","spikes on horseshoes to prevent slipping (plural of calk)","滑り止め（複数）"],
+2219:["n","a plant with a large white funnel-shaped flower (calla lily)","カラー（オランダカイウ）"],
+2220:["x"],
+2221:["x"],
+2222:["n","telephone conversations; cries (plural of call)","電話、呼び声（複数）"],
+2223:["v","makes quiet or peaceful (third person of calm)","落ち着かせる"],
+2224:["adj","calm (poetic)","静かな（詩語）"],
+2225:["n","heat, as a sign of inflammation (medical)","熱感（医学）"],
+2226:["v","to give birth to a calf; (of ice) to break off","子牛を産む、（氷河が）分離する"],
+2227:["n","the outer green parts of a flower","萼（がく）","The calyx protects the bud."],
+2228:["n","a stick used in shinty","カマン（シンティのスティック）"],
+2229:["n","a North American plant of the lily family with edible bulbs","カマシア"],
+2230:["x"],
+2231:["n","a desert animal with one or two humps","ラクダ","A camel can go days without water."],
+2232:["n","a small carved gem; a brief appearance by a famous actor","カメオ、端役出演"],
+2233:["n","lead strips that hold panes in stained glass (plural of came)","ケイム（鉛の桟、複数）"],
+2234:["n","a light loose robe (obsolete)","軽いゆったりした衣（廃語）"],
+2235:["x"],
+2236:["n","plural of campo (an Italian town square)","広場（イタリア、複数）"],
+2237:["n","a grassy plain in South America; an Italian square","カンポ（南米の草原）"],
+2238:["n","places where people stay in tents (plural of camp)","キャンプ（複数）"],
+2239:["adj","deliberately exaggerated and theatrical","わざとらしく大げさな"],
+2240:["n","the French writer Albert Camus","カミュ（作家）"],
+2241:["n","a man-made waterway","運河","Boats sail along the canal."],
+2242:["x"],
+2243:["x"],
+2244:["n","sweets made of sugar","キャンディー、お菓子","Kids love candy."],
+2245:["v","beat with a cane (past of cane)","むちで打った"],
+2246:["x"],
+2247:["x"],
+2248:["n","walking sticks; stems of tall grasses (plural of cane)","杖、茎（複数）"],
+2249:["x"],
+2250:["n","a member of the dog family","イヌ科の動物"],
+2251:["x"],
+2252:["n","a tropical plant with bright flowers","カンナ"],
+2253:["adj","shrewd and careful","抜け目のない"],
+2254:["n","a light narrow boat moved with a paddle","カヌー","We paddled a canoe."],
+2255:["n","a general rule; a set of accepted works","規範、正典","The literary canon."],
+2256:["x"],
+2257:["n","a love song of the troubadours","カンソ（吟遊詩人の恋歌）"],
+2258:["v","can (archaic second person singular)","できる（古語）"],
+2259:["n","a main division of a long poem","（長詩の）編"],
+2260:["n","hypocritical talk; slangs; tilts (plural of cant)","偽善的な言葉、隠語、傾き（複数）"],
+2261:["adj","cheerful; lively (Scottish)","陽気な（スコットランド）"],
+2262:["x"],
+2263:["x"],
+2264:["x"],
+2265:["x"],
+2266:["adj","wearing a cape","ケープを着た"],
+2267:["n","a horse (obsolete); a rock in tin veins","馬（廃語）"],
+2268:["n","a small pickled flower bud; a playful act","ケーパー、いたずら","Add capers to the sauce."],
+2269:["n","sleeveless cloaks; headlands (plural of cape)","ケープ、岬（複数）"],
+2270:["n","letters of the Hebrew alphabet (plural of caph, kaph)","カフ（複数）"],
+2271:["n","kapok, a fibre used for stuffing","カポック"],
+2272:["n","a castrated rooster fattened for eating","去勢した雄鶏"],
+2273:["n","clamps on a guitar neck; Mafia bosses (plural of capo)","カポ（複数）"],
+2274:["n","the winning of all tricks in piquet","カポ（ピケの全勝）"],
+2275:["x"],
+2276:["n","a cylindrical box for holding scrolls in ancient Rome","カプサ（古代ローマの巻物入れ）"],
+2277:["n","the head or a head-like part (anatomy)","頭部（解剖学）"],
+2278:["x"],
+2279:["n","a South American tree whose seeds yield oil (crabwood)","カラパ（南米の木）"],
+2280:["n","a unit of weight for gems; a measure of the purity of gold","カラット"],
+2281:["x"],
+2282:["n","a carburettor (Australian informal)","キャブレター（豪略式）"],
+2283:["n","the base joint of an insect's jaw; the hinge of a shell","軸節、蝶番"],
+2284:["n","stiff paper pieces for games or messages (plural of card)","カード、トランプ","Let's play cards."],
+2285:["v","looked after; felt concern (past of care)","世話をした、気にかけた","She cared for her mother."],
+2286:["n","a person who looks after someone who is ill or old","介護者"],
+2287:["n","worries or concerns (plural of care)","心配（複数）"],
+2288:["n","a mark (^) showing where something should be inserted","脱字記号"],
+2289:["n","the sedge genus","スゲ属"],
+2290:["x"],
+2291:["x"],
+2292:["n","goods carried by ship or plane","貨物","The ship carries cargo."],
+2293:["n","a member of a people of the southern Caribbean","カリブ族"],
+2294:["x"],
+2295:["v","worries; troubles (archaic, third person of cark)","悩ませる（古語）"],
+2296:["n","a churl or peasant (churl)","田舎者"],
+2297:["x"],
+2298:["x"],
+2299:["n","peasants; churls (plural of carl)","田舎者（複数）"],
+2300:["n","meat (Spanish)","肉（スペイン語）"],
+2301:["x"],
+2302:["n","a person who works at a carnival or fair (informal)","カーニバル従業員（略式）"],
+2303:["n","a Brazilian plant whose leaves yield fibre","カロア（ブラジルの繊維植物）"],
+2304:["n","a Mediterranean tree with edible pods used as a chocolate substitute","イナゴマメ、キャロブ"],
+2305:["n","a Christmas song","キャロル","They sang carols."],
+2306:["n","a shot in billiards where the ball hits two others","キャノン（玉突きの連続当たり）"],
+2307:["x"],
+2308:["v","seize (Latin, as in carpe diem)","つかめ（ラテン語）"],
+2309:["n","plural of carpus (the wrist bones)","手根骨（複数）"],
+2310:["v","complains about trivial things (third person of carp)","あら探しをする"],
+2311:["x"],
+2312:["n","marshy areas with shrubs (plural of carr)","湿原の低木林（複数）"],
+2313:["v","to hold and take somewhere","運ぶ","Can you carry this bag?"],
+2314:["n","low fertile land by a river (Scottish)","川沿いの肥沃な低地（スコットランド）"],
+2315:["n","a menu; a position in fencing","献立表、カルト（フェンシング）"],
+2316:["n","small vehicles pushed or pulled (plural of cart)","荷車（複数）"],
+2317:["x"],
+2318:["x"],
+2319:["n","a deep coma","深い昏睡"],
+2320:["v","to cut into a shape; to slice meat","彫る、（肉を）切り分ける"],
+2321:["x"],
+2322:["x"],
+2323:["adj","relating to grammatical case","格の"],
+2324:["n","houses (Spanish, plural of casa)","家（スペイン語、複数）"],
+2325:["n","a lighter or barge used in the Philippines","カスコ（フィリピンのはしけ）"],
+2326:["adj","enclosed in a case","ケースに入った"],
+2327:["x"],
+2328:["n","instances; containers (plural of case)","事例、ケース（複数）"],
+2329:["x"],
+2330:["n","wooden barrels (plural of cask)","樽（複数）"],
+2331:["x"],
+2332:["x"],
+2333:["x"],
+2334:["n","a social class one is born into","カースト","The caste system."],
+2335:["n","actors in a play; moulded shapes (plural of cast)","配役、鋳型（複数）"],
+2336:["n","a case or event (Latin, as in casus belli)","事件（ラテン語）"],
+2337:["x"],
+2338:["v","to take hold of something moving","捕まえる","Catch the ball!"],
+2339:["n","property (obsolete)","財産（廃語）"],
+2340:["v","to provide food for an event; to meet a need","料理をまかなう、応じる"],
+2341:["n","delicacies; choice foods (archaic)","珍味（古語）"],
+2342:["x"],
+2343:["n","a rogue; a cheat (obsolete)","ごろつき（廃語）"],
+2344:["adj","spiteful; an Asian unit of weight","意地の悪い、斤（重量単位）"],
+2345:["x"],
+2346:["x"],
+2347:["n","a tail or tail-like part (anatomy)","尾（解剖学）"],
+2348:["adj","cold (Scottish)","寒い（スコットランド）"],
+2349:["n","cauliflower (informal)","カリフラワー（略式）"],
+2350:["v","to seal gaps with waterproof material","目地を詰める、コーキングする"],
+2351:["n","membranes covering a baby's head at birth (plural of caul)","大網膜、幸帽（複数）"],
+2352:["n","great bodily heat, as in fever","高熱"],
+2353:["x"],
+2354:["n","a cause (Latin)","原因、訴訟（ラテン語）"],
+2355:["n","something that makes a thing happen","原因","What was the cause of the fire?"],
+2356:["n","plural of cava (the vena cava)","大静脈（複数）"],
+2357:["adj","relating to the vena cava","大静脈の"],
+2358:["n","the seating area of an ancient theatre","カウェア（古代劇場の観客席）"],
+2359:["v","collapsed; gave in (past of cave)","陥没した、屈した"],
+2360:["x"],
+2361:["n","a person who explores caves","洞窟探検家"],
+2362:["n","natural hollows in rock (plural of cave)","洞窟（複数）"],
+2363:["x"],
+2364:["n","a hen coop (Scottish)","鶏小屋（スコットランド）"],
+2365:["v","to raise petty objections","けちをつける"],
+2366:["n","a hollow path that gives cover to troops","（部隊を隠す）くぼ道"],
+2367:["n","a cavity in the body (anatomy)","腔（解剖学）"],
+2368:["n","a foot with an unusually high arch (pes cavus)","凹足"],
+2369:["v","made the harsh cry of a crow (past of caw)","カーカー鳴いた"],
+2370:["adj","chalky","白亜質の"],
+2371:["x"],
+2372:["n","a kind of wig (obsolete)","かつらの一種（廃語）"],
+2373:["n","small islands or reefs (plural of cayo)","小島、岩礁（複数）"],
+2374:["n","an international committee that set telecommunications standards","CCITT（国際電信電話諮問委員会）"],
+2375:["v","to stop","やめる、終わる","The noise ceased at last."],
+2376:["n","a New World monkey of the family Cebidae","オマキザル科のサル"],
+2377:["x"],
+2378:["x"],
+2379:["n","the genus of capuchin monkeys","オマキザル属"],
+2380:["adj","relating to the cecum","盲腸の"],
+2381:["x"],
+2382:["n","a given name","セシル（人名）"],
+2383:["n","a pouch at the start of the large intestine","盲腸"],
+2384:["n","a tall evergreen tree with fragrant wood","スギ、ヒマラヤスギ","The chest is made of cedar."],
+2385:["v","gave up land or power (past of cede)","割譲した","Spain ceded Florida."],
+2386:["n","one who cedes or gives up something","譲渡人"],
+2387:["v","gives up control of (third person of cede)","譲る"],
+2388:["n","units of money of Ghana (plural of cedi)","セディ（複数）"],
+2389:["x"],
+2390:["adj","of the nature of cedar","杉の"],
+2391:["n","the kapok tree","カポックノキ"],
+2392:["n","a South American tree with crimson flowers","アメリカデイゴ"],
+2393:["x"],
+2394:["v","puts a ceiling in (third person of ceil)","天井を張る"],
+2395:["n","a girdle (obsolete)","帯（廃語）"],
+2396:["n","a celebrity (informal)","有名人（略式）"],
+2397:["n","the inner chamber of an ancient temple","ケラ（古代神殿の内陣）"],
+2398:["n","plural of cello","チェロ（複数）"],
+2399:["n","a large stringed instrument played sitting down","チェロ"],
+2400:["n","small rooms; basic units of life (plural of cell)","独房、細胞（複数）"],
+2401:["n","the main body cavity of an animal (coelom)","体腔"],
+2402:["n","people of Celtic origin; prehistoric stone tools (plural of Celt)","ケルト人、石斧（複数）"],
+2403:["v","to perfume with incense","香をたく"],
+2404:["x"],
+2405:["n","a piece of writing made up of quotations from other works","寄せ集め作品"],
+2406:["n","hundredths of a dollar (plural of cent)","セント（複数）"],
+2407:["n","a free peasant of the lowest rank in Anglo-Saxon England","（アングロサクソンの）自由農民"],
+2408:["n","edible boletus mushrooms (plural of cepe)","セープ茸（複数）"],
+2409:["x"],
+2410:["x"],
+2411:["n","a horn-like projection on the back of a sea slug","背側突起（ウミウシ）"],
+2412:["x"],
+2413:["n","paired tail feelers of some insects (plural of cercus)","尾毛（複数）"],
+2414:["v","wrapped in waxed cloth (past of cere)","蝋引き布で包んだ"],
+2415:["x"],
+2416:["n","the Roman goddess of agriculture; a dwarf planet","ケレス（農業の女神、準惑星）"],
+2417:["n","cerium oxide","酸化セリウム"],
+2418:["adj","relating to cerium with valence four","第二セリウムの"],
+2419:["n","a waxy substance extracted from cork","セリン（コルクの蝋質）"],
+2420:["n","large mackerels of the Atlantic (plural of cero)","セロ（サワラの仲間、複数）"],
+2421:["x"],
+2422:["n","a chemical group found in waxes","セリル基"],
+2423:["x"],
+2424:["n","the curved basket used in jai alai","セスタ（ハイアライのかご）"],
+2425:["x"],
+2426:["n","plural of cestus (an ancient boxing glove; a belt)","セスタス（複数）"],
+2427:["n","whales (plural of cete)","クジラ（複数）"],
+2428:["adj","relating to whales","クジラの"],
+2429:["n","a waxy substance forming the main part of spermaceti","セチン（鯨蝋の主成分）"],
+2430:["n","the Whale, a large constellation","くじら座"],
+2431:["n","a chemical group with sixteen carbon atoms","セチル基"],
+2432:["n","a chase; to pursue (obsolete spelling)","追跡（廃綴）"],
+2433:["x"],
+2434:["n","a region of dry plains in South America","チャコ（南米の平原）"],
+2435:["n","bits of paper punched out of cards (plural of chad)","パンチくず（複数）"],
+2436:["v","to rub and make sore; to be annoyed","すりむく、いらだつ"],
+2437:["n","the husks separated from grain","もみ殻"],
+2438:["x"],
+2439:["n","a row of connected metal rings","鎖","The dog is on a chain."],
+2440:["n","a seat for one person","椅子","Sit on the chair."],
+2441:["x"],
+2442:["n","the southern screamer, a South American bird","カンムリサケビドリ"],
+2443:["x"],
+2444:["n","a soft white stone used for writing on boards","チョーク","Write on the board with chalk."],
+2445:["n","a genus of thick-shelled clams","キクザル（二枚貝）"],
+2446:["x"],
+2447:["n","a champion (informal)","チャンピオン（略式）"],
+2448:["x"],
+2449:["n","a Chinese family name","チャン（中国の姓）","Mr. Chang runs the shop."],
+2450:["n","a large spiral shell used for bangles in India","チャンク貝"],
+2451:["n","words repeated in a rhythm","詠唱、スローガン","The crowd began a chant."],
+2452:["n","complete disorder","混乱","The room was in chaos."],
+2453:["n","the metal tip of a scabbard","鞘尻"],
+2454:["n","men (informal); leather leggings; jaws","男たち、革ズボン、あご"],
+2455:["x"],
+2456:["n","a green alga of fresh water (stonewort)","シャジクモ"],
+2457:["n","a leafy green vegetable","フダンソウ（チャード）","Chard tastes like spinach."],
+2458:["n","an odd job; a chore (archaic)","雑用（古語）"],
+2459:["n","charcoal (obsolete)","木炭（廃語）"],
+2460:["n","the power to please; a lucky object","魅力、お守り","He has a lot of charm."],
+2461:["n","a fish of the trout family (char)","イワナ"],
+2462:["v","burns black (third person of char)","焦がす"],
+2463:["n","a diagram showing information","図表","Look at the chart."],
+2464:["adj","cautious; wary","用心深い"],
+2465:["v","to run after","追いかける","The dog chased the cat."],
+2466:["n","a deep opening in the ground","深い裂け目"],
+2467:["x"],
+2468:["n","a small South American wild cat","オセロット類の小型ヤマネコ"],
+2469:["n","informal conversations (plural of chat)","おしゃべり（複数）"],
+2470:["x"],
+2471:["x"],
+2472:["n","the jungle cat of Asia and Africa","ジャングルキャット"],
+2473:["x"],
+2474:["x"],
+2475:["n","a large tenement building in India","チャウル（インドの長屋）"],
+2476:["x"],
+2477:["v","chews (dialect, third person of chaw)","かむ（方言）"],
+2478:["n","a Mexican shrub whose leaves are cooked as a vegetable (tree spinach)","チャヤ（メキシコの低木）"],
+2479:["x"],
+2480:["adj","low in price","安い","This pen is cheap."],
+2481:["v","to act dishonestly to win","ずるをする","Don't cheat on the test."],
+2482:["v","to look at to make sure","確認する","Check your answers."],
+2483:["n","the side of the face below the eye","頬","She kissed his cheek."],
+2484:["v","to make a weak high cry like a young bird","ピヨピヨ鳴く"],
+2485:["v","to shout in support","歓声を上げる、応援する","Cheer for our team!"],
+2486:["x"],
+2487:["n","professional cooks (plural of chef)","料理人（複数）"],
+2488:["x"],
+2489:["x"],
+2490:["n","the Soviet secret police of 1917–1922","チェーカー（ソ連の秘密警察）"],
+2491:["x"],
+2492:["x"],
+2493:["n","a pincer-like claw of a crab; a disciple of a guru","はさみ、弟子"],
+2494:["v","to chatter or chirp (dialect)","ぺちゃくちゃしゃべる（方言）"],
+2495:["n","fresh cheese curds used in Indian sweets (chhena)","チェナ（インドのカッテージチーズ）"],
+2496:["n","a Chinese family name","チェン（中国の姓）","Dr. Cheng is a surgeon."],
+2497:["x"],
+2498:["n","a hard fine-grained rock","チャート（岩石）","Tools were made from chert."],
+2499:["v","to choose (obsolete)","選ぶ（廃語）"],
+2500:["n","a board game for two players","チェス","Do you play chess?"],
+2501:["n","the front of the body between neck and belly; a large box","胸、箱","He has a pain in his chest."],
+2502:["n","a letter of the Hebrew alphabet (heth)","ヘート（ヘブライ文字）"],
+2503:["v","to succeed; to turn out (obsolete)","成功する（廃語）"],
+2504:["v","to chase or harass (chivvy)","せき立てる、追い回す"],
+2505:["v","crushes food with the teeth (third person of chew)","かむ"],
+2506:["adj","needing a lot of chewing","かみごたえのある"],
+2507:["adj","relating to the Greek island of Chios","キオス島の"],
+2508:["n","a Chinese unit of money (jiao)","角（中国の通貨単位）"],
+2509:["n","plural of chia (a plant whose seeds are eaten)","チア（複数）"],
+2510:["x"],
+2511:["n","a red dye made from a South American plant; a girl (Spanish)","チカ（赤色染料）、女の子（スペイン語）"],
+2512:["n","the chickpea (obsolete)","ヒヨコマメ（廃語）"],
+2513:["n","a baby bird","ひな","The chick came out of the egg."],
+2514:["n","a boy (Spanish); the greasewood shrub","男の子（スペイン語）、グリースウッド"],
+2515:["n","plural of chic (stylishness)","粋（複数）"],
+2516:["v","to scold or criticize","叱る"],
+2517:["n","a leader or head","長、チーフ","The chief of police spoke."],
+2518:["n","a young fellow (Scottish)","若者（スコットランド）"],
+2519:["n","a dog (French)","犬（フランス語）"],
+2520:["n","a young person","子供","Every child needs love."],
+2521:["n","a country in South America","チリ","Chile is long and narrow."],
+2522:["n","a small hot pepper","唐辛子","This chili is very hot."],
+2523:["n","a coldness","冷え、寒気","There's a chill in the air."],
+2524:["n","the rim at the end of a barrel (chime)","樽の縁"],
+2525:["n","a ringing sound of bells","チャイム、鐘の音"],
+2526:["n","a chimpanzee","チンパンジー","The chimp used a stick as a tool."],
+2527:["n","a country in East Asia; fine porcelain","中国、磁器","Her mother collects china."],
+2528:["n","the backbone; a ravine (dialect)","背骨、峡谷（方言）"],
+2529:["n","a ringing sound","チーンという音"],
+2530:["n","a narrow opening or crack; a light ringing sound","すき間、チリンという音"],
+2531:["n","a strong cotton twill fabric","チノ（綿の綾織り）"],
+2532:["n","parts of the face below the mouth (plural of chin)","あご（複数）"],
+2533:["x"],
+2534:["n","thin fried potato slices; small pieces (plural of chip)","ポテトチップス、かけら","Fish and chips."],
+2535:["v","to make a shrill noise; to cheer up (informal)","きしむ、元気づける（略式）"],
+2536:["v","to warble (Scottish)","さえずる（スコットランド）"],
+2537:["v","to chirp; a confused noise of birds (archaic)","さえずる、さえずり（古語）"],
+2538:["n","a chiropractor (informal)","カイロプラクター（略式）"],
+2539:["v","to make a short high sound like a small bird","さえずる"],
+2540:["v","to make a trilling sound like a cricket","（虫が）鳴く"],
+2541:["v","to squirt (Scottish)","噴き出す（スコットランド）"],
+2542:["n","the Tibetan antelope","チルー（チベットカモシカ）"],
+2543:["n","short notes or receipts; cheeky girls (plural of chit)","伝票、小娘（複数）"],
+2544:["n","a herb with thin onion-flavoured leaves","チャイブ"],
+2545:["x"],
+2546:["v","to chase or harass (chivvy)","せき立てる"],
+2547:["n","a cheat or swindle (British schoolboy slang)","ずる（英学生俗語）"],
+2548:["n","a given name","クロエ（人名）"],
+2549:["x"],
+2550:["v","to choke (obsolete spelling)","窒息させる（廃綴）"],
+2551:["x"],
+2552:["n","a wedge placed under a wheel to stop it moving","輪止め"],
+2553:["n","chocolate (informal)","チョコレート（略式）"],
+2554:["x"],
+2555:["n","a long-sleeved cloak worn in Afghanistan and India","チョガ（袖の長い外套）"],
+2556:["n","the unsharpened notch where a knife blade meets the handle","チョイル（刃元の切り欠き）"],
+2557:["n","a group of singers","合唱団","She sings in the choir."],
+2558:["v","to be unable to breathe","息が詰まる","He choked on a bone."],
+2559:["n","the chayote, a pear-shaped squash (Australian)","ハヤトウリ（豪）"],
+2560:["adj","making one choke; choking with emotion","息苦しい、胸が詰まる"],
+2561:["n","a dynasty of southern India; a Mexican-American girl in gang culture","チョーラ朝"],
+2562:["x"],
+2563:["n","a short tight blouse worn under a sari","チョリ（サリーの下のブラウス）"],
+2564:["n","a person of mixed Indigenous and Spanish ancestry; a Mexican-American gang member (often offensive)","チョロ（しばしば蔑称）"],
+2565:["v","to chew noisily","むしゃむしゃ食べる"],
+2566:["n","a fat animal, especially a cat (internet slang)","太った動物（ネット俗語）"],
+2567:["n","a chicken (Australian informal)","ニワトリ（豪略式）"],
+2568:["n","an Englishman (Australian slang)","イギリス人（豪俗）"],
+2569:["x"],
+2570:["x"],
+2571:["n","cuts of meat with bone; the jaws (plural of chop)","骨付き肉、あご（複数）"],
+2572:["n","three or more musical notes played together","和音、コード","He played a C chord."],
+2573:["n","a routine household task","雑用、家事"],
+2574:["x"],
+2575:["v","picked (past of choose)","選んだ","She chose the red dress."],
+2576:["n","a dry salt lake in North Africa (shott)","ショット（北アフリカの塩湖）"],
+2577:["x"],
+2578:["x"],
+2579:["n","a tax equal to a quarter of the revenue in old India","チャウト（旧インドの四分の一税）"],
+2580:["n","a light pastry used for eclairs and cream puffs","シュー生地"],
+2581:["n","a marketplace or crossroads in South Asia","チョウク（南アジアの広場）"],
+2582:["n","fluffy Chinese dog breeds; food (informal) (plural of chow)","チャウチャウ、食べ物（複数）"],
+2583:["x"],
+2584:["n","a short saying used as a school exercise in rhetoric","クレイア（修辞学の練習）"],
+2585:["x"],
+2586:["n","a type of lock with a mechanism that resists picking","チャブ錠"],
+2587:["n","freshwater fish of the carp family (plural of chub)","チャブ（コイ科の魚、複数）"],
+2588:["v","to throw (informal)","放り投げる","Chuck it in the bin."],
+2589:["n","minced meat (obsolete)","ひき肉（廃語）"],
+2590:["n","a sedge with edible tubers, the tiger nut","カヤツリグサ（ショクヨウ）"],
+2591:["v","to puff like a steam engine","ぽっぽと音を立てる"],
+2592:["v","moves with a dull repeated sound; drinks quickly (third person of chug)","ポッポと進む、一気飲みする"],
+2593:["n","a foolish person","まぬけ"],
+2594:["n","close friends (plural of chum)","親友（複数）"],
+2595:["x"],
+2596:["n","a thick piece","塊"],
+2597:["n","a rude, mean person","無作法者、けちな人"],
+2598:["x"],
+2599:["v","to stir milk to make butter; to move violently","かき回す、渦巻く"],
+2600:["v","to make a trilling sound like a nightjar","（鳥が）ルルルと鳴く"],
+2601:["v","to choose (obsolete spelling)","選ぶ（廃綴）"],
+2602:["n","a slide for sending things down","シュート、落とし口","A laundry chute."],
+2603:["x"],
+2604:["v","to tease or jeer (Australian slang)","からかう（豪俗）"],
+2605:["n","a milky fluid of fat and lymph in the intestines","乳び"],
+2606:["n","partly digested food passed from the stomach","糜粥（びじゅく）"],
+2607:["n","the Welsh onion","ネギ"],
+2608:["x"],
+2609:["n","the chickpea genus","ヒヨコマメ属"],
+2610:["n","a drink made from apples","リンゴ酒、サイダー","We drank hot cider."],
+2611:["n","a roll of tobacco leaves for smoking","葉巻","He lit a cigar."],
+2612:["x"],
+2613:["n","tiny hairs on cells; eyelashes","繊毛、まつげ"],
+2614:["n","the bedbug genus","トコジラミ属"],
+2615:["n","something very easy","たやすいこと"],
+2616:["x"],
+2617:["x"],
+2618:["n","films or cinemas (plural of cine)","映画（複数）"],
+2619:["n","shoots for grafting (plural of cion, scion)","接ぎ穂（複数）"],
+2620:["n","plural of cippus (a low pillar used as a landmark or tombstone)","標柱（複数）"],
+2621:["prep","about (used with dates)","およそ、約","Built circa 1850."],
+2622:["n","the enchantress in the Odyssey","キルケー（オデュッセイアの魔女）"],
+2623:["n","circumstances (informal)","事情（略式）"],
+2624:["x"],
+2625:["n","plural of cirrus (wispy clouds; tendrils)","巻雲、巻きひげ（複数）"],
+2626:["n","a North American freshwater whitefish","シスコ（サケ科の魚）"],
+2627:["n","a sissy (British spelling)","弱虫"],
+2628:["n","a box or chest in ancient Greece and Rome","キスタ（古代の箱）"],
+2629:["n","stone coffins; ancient boxes (plural of cist)","石棺、箱（複数）"],
+2630:["n","a summons to appear; a citation","召喚、引用"],
+2631:["v","mentioned as an example (past of cite)","引用した","The study was cited often."],
+2632:["x"],
+2633:["n","a person who cites","引用者"],
+2634:["v","quotes as evidence (third person of cite)","引用する"],
+2635:["x"],
+2636:["n","a cat-like animal; musk from it used in perfume","ジャコウネコ、霊猫香"],
+2637:["adj","of a city or its people","市民の、市の","Civic duty."],
+2638:["n","a civilian (civvy)","民間人"],
+2639:["adj","of citizens; polite","市民の、礼儀正しい","Civil rights are important."],
+2640:["n","a civilian (informal)","民間人（略式）"],
+2641:["v","to cut with scissors (obsolete)","はさみで切る（廃語）"],
+2642:["x"],
+2643:["n","a sharp sound of hard objects hitting","カタカタという音"],
+2644:["n","a group of organisms sharing a common ancestor","クレード、単系統群"],
+2645:["v","covers with another material (third person of clad)","被覆する"],
+2646:["n","clothes (Scottish)","服（スコットランド）"],
+2647:["n","sticky lumps of mud (plural of clag)","泥の塊（複数）"],
+2648:["n","the barnacle goose (Scottish)","カオジロガン（スコットランド）"],
+2649:["v","to say something is true; to demand as yours","主張する、要求する","He claims he saw a ghost."],
+2650:["n","a given name","クレア（人名）","Clair is an artist."],
+2651:["n","the barnacle goose","カオジロガン"],
+2652:["v","climbed (obsolete)","登った（廃語）"],
+2653:["x"],
+2654:["n","a tool that holds things tightly","留め具、クランプ","Hold the wood with a clamp."],
+2655:["n","shellfish with two hinged shells; dollars (slang) (plural of clam)","二枚貝、ドル（俗）"],
+2656:["n","a loud ringing metallic sound","ガランという音"],
+2657:["n","a short loud sound of metal hitting metal","ガチャンという音"],
+2658:["n","groups of related families (plural of clan)","一族","Scottish clans."],
+2659:["n","the flicker, a woodpecker","ハシボソキツツキ"],
+2660:["v","strikes the hands together (third person of clap)","拍手する"],
+2661:["v","clapped (archaic past of clap)","たたいた（古語）"],
+2662:["n","a given name","クレア（人名）","Clare plays the flute."],
+2663:["n","a family name","クラーク（姓）","Mr. Clark teaches math."],
+2664:["n","a light-coloured mild cigar","クラロ（淡色の葉巻）"],
+2665:["v","to smear with mud (dialect)","泥を塗る（方言）"],
+2666:["n","an aromatic herb, clary sage","オニサルビア"],
+2667:["n","a fight or disagreement","衝突","A clash between fans."],
+2668:["v","to grip tightly","しっかり握る"],
+2669:["n","a group of students; a kind","授業、クラス","Our class has thirty students."],
+2670:["n","a fragment of rock","砕屑（さいせつ）"],
+2671:["n","a given name, as in Santa Claus","クラウス（人名）"],
+2672:["n","a grab or scrape (Scottish)","ひとつかみ（スコットランド）"],
+2673:["n","a club-shaped swelling at the end of an antenna","棍棒状部"],
+2674:["n","a pair of wooden sticks used as a percussion instrument; cleaved (archaic)","クラベス、裂いた（古語）"],
+2675:["x"],
+2676:["n","a mantelpiece","マントルピース"],
+2677:["x"],
+2678:["n","sharp curved nails of animals (plural of claw)","かぎ爪（複数）"],
+2679:["x"],
+2680:["n","types of fine sticky earth (plural of clay)","粘土（複数）"],
+2681:["v","to clothe (Scottish)","着せる（スコットランド）"],
+2682:["x"],
+2683:["adj","free from dirt","きれいな","Keep your room clean."],
+2684:["adj","easy to see or understand","明らかな、澄んだ","The water is clear."],
+2685:["n","a piece of metal or wood for fastening ropes; a stud on a shoe","索止め、スパイク"],
+2686:["v","to hatch (Scottish)","孵す（スコットランド）"],
+2687:["n","a large hook; an old iron golf club","鉤、クリーク（ゴルフクラブ）"],
+2688:["n","signs at the start of a staff showing pitch (plural of clef)","音部記号（複数）"],
+2689:["n","a split or crack","割れ目","A cleft in the rock."],
+2690:["v","to call or name (archaic)","呼ぶ、名付ける（古語）"],
+2691:["v","called; named (archaic past of clepe)","呼ばれた（古語）"],
+2692:["n","an office or shop worker","事務員、店員","Ask the clerk for help."],
+2693:["x"],
+2694:["x"],
+2695:["n","lower corners of sails; cords of a hammock (plural of clew)","帆耳、ハンモックの吊り紐（複数）"],
+2696:["x"],
+2697:["v","to press a mouse button; to make a short sharp sound","クリックする","Click the link."],
+2698:["n","a steep rock face","崖","The house stands on a cliff."],
+2699:["n","a cliff or cleft (obsolete)","崖、裂け目（廃語）"],
+2700:["x"],
+2701:["v","to go up","登る","We climbed the hill."],
+2702:["n","a region considered for its climate (literary)","風土、地方（文語）"],
+2703:["n","a gradual change in a feature across a species' range","クライン、連続変異"],
+2704:["v","to hold on tightly","しがみつく","The child clung to her mother."],
+2705:["n","a short high ringing sound; prison (slang)","チリンという音、刑務所（俗）"],
+2706:["n","a block of limestone between cracks (geology)","クリント（石灰岩の塊）"],
+2707:["n","fasteners; short extracts (plural of clip)","クリップ、抜粋（複数）"],
+2708:["v","clipped (archaic past of clip)","切った（古語）"],
+2709:["x"],
+2710:["n","a given name","クライブ（人名）","Clive is a pilot."],
+2711:["n","a loose coat without sleeves","マント","The wizard wore a cloak."],
+2712:["x"],
+2713:["n","a device that shows the time","時計","The clock is slow."],
+2714:["n","lumps of earth; stupid people (plural of clod)","土くれ、まぬけ（複数）"],
+2715:["x"],
+2716:["n","an old allowance made on the weight of goods","クロフ（目方の割引）"],
+2717:["n","wooden shoes (plural of clog)","木靴（複数）"],
+2718:["x"],
+2719:["n","a cloak (obsolete spelling)","マント（廃綴）"],
+2720:["x"],
+2721:["v","climbed (archaic past of climb)","登った（古語）"],
+2722:["v","to walk heavily and noisily","どしんどしん歩く"],
+2723:["n","an exact genetic copy of an organism","クローン"],
+2724:["v","clung (obsolete past of cling)","しがみついた（廃語）"],
+2725:["n","a dull heavy sound","ゴツンという音"],
+2726:["x"],
+2727:["x"],
+2728:["n","the sound of a cork being drawn from a bottle","ポンという音"],
+2729:["n","one part of a cloven hoof; the Devil (Scottish)","割れたひづめ、悪魔（スコットランド）"],
+2730:["n","sounds of hooves on a hard surface (plural of clop)","パカパカという音（複数）"],
+2731:["v","to shut","閉める","Close the door."],
+2732:["n","a foot disease of cattle; the game of ninepins (obsolete)","蹄葉炎、九柱戯（廃語）"],
+2733:["n","the burdock (obsolete)","ゴボウ（廃語）"],
+2734:["n","material made by weaving","布","Wipe it with a cloth."],
+2735:["n","thick lumps of blood; fools (plural of clot)","血栓、まぬけ（複数）"],
+2736:["n","a white or gray mass in the sky","雲","A cloud hid the sun."],
+2737:["n","a lump or bump from a blow (Scottish)","たんこぶ（スコットランド）"],
+2738:["n","influence or power; a heavy blow","影響力、強打"],
+2739:["n","a dried flower bud used as spice; a piece of garlic","クローブ、（ニンニクの）一片","Add a clove of garlic."],
+2740:["n","a performer who does funny tricks","道化師、ピエロ"],
+2741:["v","becomes too sweet or sentimental (third person of cloy)","飽きさせる"],
+2742:["adj","relating to a test in which missing words must be filled in","穴埋め式の"],
+2743:["n","organizations; heavy sticks (plural of club)","クラブ、棍棒（複数）"],
+2744:["n","the low sound a hen makes","コッコッという鳴き声"],
+2745:["v","gave a clue (past of clue)","手がかりを与えた"],
+2746:["n","hints that help solve a problem (plural of clue)","手がかり（複数）"],
+2747:["x"],
+2748:["n","a small group of trees or plants","茂み、塊"],
+2749:["v","held on tightly (past of cling)","しがみついた","He clung to the rope."],
+2750:["n","a dull heavy sound","ゴトンという音"],
+2751:["x"],
+2752:["v","to tell tales; to inform on someone (Scottish)","告げ口する（スコットランド）"],
+2753:["n","a stinging cell of a jellyfish (nematocyst)","刺胞"],
+2754:["n","a sports trainer; a long bus","コーチ、長距離バス","The coach shouted at the team."],
+2755:["v","to act together","協力して働く"],
+2756:["x"],
+2757:["n","a koala (old spelling)","コアラ（古い綴り）"],
+2758:["n","pieces of coal (plural of coal)","石炭（複数）"],
+2759:["adj","like or containing coal","石炭のような"],
+2760:["v","to fit together the ends of a broken bone or wound","（骨折や傷口を）接合する"],
+2761:["n","the successor of an Irish abbot or saint (Irish church history)","（アイルランド教会の）後継修道院長"],
+2762:["x"],
+2763:["n","land next to the sea","海岸","We drove along the coast."],
+2764:["n","a raccoon-like animal of the Americas with a long nose","ハナグマ"],
+2765:["n","outer garments with sleeves (plural of coat)","コート（複数）"],
+2766:["x"],
+2767:["x"],
+2768:["adj","short and stocky, like a cob horse","ずんぐりした"],
+2769:["n","a large game fish of warm seas","スギ（魚）"],
+2770:["n","a flat-bottomed fishing boat of north-east England","コーブル（平底の漁船）"],
+2771:["n","a programming language for business data processing","COBOL"],
+2772:["n","a poisonous snake that spreads its neck","コブラ","The cobra raised its hood."],
+2773:["x"],
+2774:["n","South American shrubs whose leaves yield cocaine (plural of coca)","コカ（複数）"],
+2775:["n","round-shaped bacteria (plural of coccus)","球菌（複数）"],
+2776:["x"],
+2777:["x"],
+2778:["n","male birds, especially roosters (plural of cock)","雄鶏（複数）"],
+2779:["adj","too confident; arrogant","うぬぼれた"],
+2780:["n","powder from cacao beans; a hot chocolate drink","ココア","A cup of cocoa warms you up."],
+2781:["n","the coconut palm genus","ココヤシ属"],
+2782:["n","a hard tropical wood used for instruments (cocuswood)","ココス材"],
+2783:["adj","relating to a coda or to a code","コーダの"],
+2784:["n","concluding sections of music (plural of coda)","コーダ（複数）"],
+2785:["x"],
+2786:["n","a program or device that encodes and decodes data","コーデック"],
+2787:["adj","written in code","暗号化された、コード化された"],
+2788:["n","a short code identifying a periodical title","CODEN（逐次刊行物の識別コード）"],
+2789:["n","a computer programmer","プログラマー"],
+2790:["n","systems of secret signs; sets of rules (plural of code)","暗号、規則","Spies send messages in codes."],
+2791:["n","an ancient manuscript in book form","写本"],
+2792:["x"],
+2793:["n","a sequence of three nucleotides coding for an amino acid","コドン"],
+2794:["n","female students at a mixed college (plural of coed)","共学の女子学生（複数）"],
+2795:["n","abbreviation of coefficient","係数（略）"],
+2796:["x"],
+2797:["x"],
+2798:["n","a small wooden bowl (Scottish)","小さな木の椀（スコットランド）"],
+2799:["x"],
+2800:["n","a tall coarse grass of the Philippines used for thatching","チガヤ"],
+2801:["n","a small wooden pail (Scottish)","小さな木桶（スコットランド）"],
+2802:["n","a member of the Jewish priestly class (kohen); a family name","コーヘン（祭司の家系）"],
+2803:["v","to distil again by pouring the distillate back over the residue","再蒸留する"],
+2804:["n","the quahog clam","ホンビノスガイ"],
+2805:["x"],
+2806:["n","coho salmon (plural of coho)","ギンザケ（複数）"],
+2807:["x"],
+2808:["x"],
+2809:["n","close-fitting caps (plural of coif)","頭巾（複数）"],
+2810:["n","a projecting corner, as in \"coign of vantage\"","突角"],
+2811:["n","spirals or loops (plural of coil)","コイル、巻いたもの（複数）"],
+2812:["x"],
+2813:["n","pieces of metal money (plural of coin)","硬貨（複数）"],
+2814:["x"],
+2815:["n","coconut fibres (plural of coir)","ココヤシ繊維（複数）"],
+2816:["v","turned into coke (past of coke)","コークスにした"],
+2817:["x"],
+2818:["n","simpletons; dupes (obsolete)","まぬけ（廃語）"],
+2819:["x"],
+2820:["n","a cocaine addict (slang)","コカイン常用者（俗）"],
+2821:["n","sweet fizzy drinks (plural of cola)","コーラ（複数）"],
+2822:["x"],
+2823:["n","common viral infections (plural of cold)","風邪（複数）"],
+2824:["x"],
+2825:["n","cabbage plants (plural of cole)","キャベツ類（複数）"],
+2826:["n","an acolyte (obsolete)","侍者（廃語）"],
+2827:["n","the coalfish, saithe","セイス（タラの仲間）"],
+2828:["n","severe stomach pain, especially in babies","疝痛"],
+2829:["n","a given name","コリン（人名）","Colin plays rugby."],
+2830:["x"],
+2831:["v","to blacken with soot (archaic); a collie dog","すすで黒くする（古語）"],
+2832:["x"],
+2833:["x"],
+2834:["n","the punctuation mark (:); part of the large intestine","コロン、結腸","Put a colon before the list."],
+2835:["n","red, blue, green and so on","色","What color is your car?"],
+2836:["n","young male horses (plural of colt)","若い雄馬（複数）"],
+2837:["n","rapeseed","セイヨウアブラナ"],
+2838:["n","plural of coma (the cloud around a comet's head)","コマ（複数）"],
+2839:["n","a flat griddle used in Mexican cooking","コマル（メキシコの鉄板）"],
+2840:["n","states of deep unconsciousness (plural of coma)","昏睡（複数）"],
+2841:["n","a short valley or hollow on a hillside (coomb)","谷間"],
+2842:["n","a combination; a small jazz band","組み合わせ、小編成バンド"],
+2843:["n","tools for tidying hair (plural of comb)","くし","Combs and brushes."],
+2844:["x"],
+2845:["x"],
+2846:["n","abbreviation of commander","指揮官（略）"],
+2847:["n","abbreviation of commandant","司令官（略）"],
+2848:["n","someone who arrives; a promising newcomer","来る人、有望株"],
+2849:["v","moves toward (third person of come)","来る","The bus comes every ten minutes."],
+2850:["n","an icy body in space with a bright tail","彗星","A comet crossed the sky."],
+2851:["adj","comfortable (informal)","心地よい（略式）"],
+2852:["adj","funny","喜劇の、こっけいな","A comic scene."],
+2853:["n","the punctuation mark ,","コンマ","Put a comma here."],
+2854:["adv","like; as (French, as in comme il faut)","〜のように（フランス語）"],
+2855:["x"],
+2856:["n","a communist (informal, commie)","共産主義者（略式）"],
+2857:["x"],
+2858:["n","a mixture, such as a mortar (informal); compensation (Australian)","混合物、補償金（豪）"],
+2859:["n","comprehensive exams; complimentary tickets (informal, plural of comp)","総合試験、招待券（複数）"],
+2860:["v","to count (obsolete)","数える（廃語）"],
+2861:["n","a French count; a family name","伯爵（フランス）、コント（姓）","Auguste Comte founded sociology."],
+2862:["n","the Greek god of revelry","コーモス（饗宴の神）"],
+2863:["x"],
+2864:["n","a large spiral seashell","ホラガイ"],
+2865:["n","abbreviation of concentration","濃度（略）"],
+2866:["n","an apartment owned by its occupant (condominium)","分譲マンション"],
+2867:["x"],
+2868:["x"],
+2869:["n","shapes with a round base and a point (plural of cone)","円錐、球果","Pine cones."],
+2870:["n","a rabbit; rabbit fur","ウサギ、ウサギの毛皮"],
+2871:["x"],
+2872:["n","a tall narrow drum; a dance in a single line","コンガ"],
+2873:["n","a formal leave-taking; a dismissal","いとま乞い、解雇"],
+2874:["n","a river and two countries in central Africa","コンゴ","The Congo River is huge."],
+2875:["n","coniine, a poison found in hemlock","コニイン"],
+2876:["adj","shaped like a cone","円錐の"],
+2877:["x"],
+2878:["v","breaks down; hits on the head (informal, third person of conk)","故障する、頭を殴る（略式）"],
+2879:["x"],
+2880:["x"],
+2881:["v","directs the steering of a ship (third person of conn)","操船を指揮する"],
+2882:["x"],
+2883:["adj","brave; fine (dialect)","立派な（方言）"],
+2884:["n","abbreviation of constant","定数（略）"],
+2885:["x"],
+2886:["adj","abbreviation of continued","続く（略）"],
+2887:["n","a short story or tale","短編"],
+2888:["x"],
+2889:["n","a former Portuguese money unit of 1,000 escudos","コント（千エスクード）"],
+2890:["x"],
+2891:["n","a genus of cone snails; a cone-shaped part","イモガイ属、円錐"],
+2892:["n","an Australian acacia","クーバ（アカシア）"],
+2893:["x"],
+2894:["v","made a soft sound like a dove (past of coo)","クークー鳴いた"],
+2895:["interj","a call used to attract attention at a distance (Australian)","クーイー（呼びかけの声）"],
+2896:["x"],
+2897:["interj","a call used to attract attention (cooee)","クーイー（呼びかけの声）"],
+2898:["n","dolts; fools (Scottish, plural of coof)","まぬけ（スコットランド、複数）"],
+2899:["x"],
+2900:["n","people who prepare food (plural of cook)","料理人（複数）"],
+2901:["n","a cookie; a cook at a camp (informal)","クッキー、料理番"],
+2902:["v","makes or becomes cooler (third person of cool)","冷やす"],
+2903:["n","an offensive historical term for an Asian labourer (coolie)","苦力（蔑称）"],
+2904:["n","a short valley; an old dry measure of four bushels","谷間、クーム（升の単位）"],
+2905:["x"],
+2906:["n","raccoons (informal); also a racial slur (plural of coon)","アライグマ（略式）、蔑称"],
+2907:["x"],
+2908:["n","cages for poultry (plural of coop)","鶏小屋（複数）"],
+2909:["v","to elect as a member; to take over (co-opt)","新メンバーに選ぶ、取り込む"],
+2910:["x"],
+2911:["x"],
+2912:["n","black water birds; foolish old people (plural of coot)","オオバン、老いぼれ（複数）"],
+2913:["x"],
+2914:["n","a hard resin used in varnishes","コーパル（樹脂）"],
+2915:["v","dealt with difficulty (past of cope)","対処した"],
+2916:["x"],
+2917:["x"],
+2918:["n","a horse dealer; a boat selling liquor to fishermen","馬喰、酒売り船"],
+2919:["v","deals successfully with difficulty (third person of cope)","対処する"],
+2920:["n","abundance, especially of words (Latin)","豊富さ（ラテン語）"],
+2921:["x"],
+2922:["n","an Italian cured pork from the neck (capocollo)","コッパ（イタリアの生ハム）"],
+2923:["n","a copse (obsolete)","雑木林（廃語）"],
+2924:["x"],
+2925:["n","dried coconut flesh from which oil is pressed","コプラ"],
+2926:["n","a small group of trees","雑木林"],
+2927:["adj","having copses","雑木林の多い"],
+2928:["x"],
+2929:["n","a small loop of ribbon used in hats","（帽子の）リボンの輪"],
+2930:["adj","(of Indian silk) plain and undyed","（インド絹が）無地未染色の"],
+2931:["n","a hard sea material built by tiny animals; a pinkish color","サンゴ","Fish swim around the coral."],
+2932:["prep","in the presence of (Latin, legal)","〜の面前で（ラテン語、法律）"],
+2933:["n","the Koran (old spelling)","コーラン（古い綴り）"],
+2934:["adj","crooked (obsolete)","曲がった（廃語）"],
+2935:["n","a raven or crow (Scottish)","ワタリガラス（スコットランド）"],
+2936:["n","thin ropes or cables (plural of cord)","ひも、コード","Tie it with cords."],
+2937:["adj","like cord","ひものような"],
+2938:["v","had the core removed (past of core)","芯を抜いた"],
+2939:["n","a tool for removing the cores of fruit","芯抜き器"],
+2940:["n","central parts (plural of core)","芯、核心（複数）"],
+2941:["n","a score of twenty items (trade term in India)","20 個ひと組"],
+2942:["n","a Welsh dog breed with short legs","コーギー"],
+2943:["n","plural of corium (the dermis)","真皮（複数）"],
+2944:["x"],
+2945:["n","stoppers for bottles (plural of cork)","コルク栓（複数）"],
+2946:["adj","like cork; (of wine) spoiled by a bad cork","コルクのような、コルク臭い"],
+2947:["n","bulb-like underground stems (plural of corm)","球茎（複数）"],
+2948:["n","a French horn (Italian)","ホルン（イタリア語）"],
+2949:["n","grains; hard patches of skin on the foot (plural of corn)","穀物、うおのめ（複数）"],
+2950:["n","a horn-shaped structure (anatomy)","角（解剖学）"],
+2951:["adj","trite and sentimental","陳腐な、ださい"],
+2952:["x"],
+2953:["n","a corolla","花冠"],
+2954:["n","abbreviation of corporal","伍長（略）"],
+2955:["n","abbreviation of corporation","法人（略）"],
+2956:["n","a group of people working together; a military unit","軍団、団体","He joined the Peace Corps."],
+2957:["n","a corpse (archaic)","死体（古語）"],
+2958:["n","a main street or promenade in Italian towns","コルソ（大通り）"],
+2959:["x"],
+2960:["x"],
+2961:["n","a wagon or basket used in a mine (corf)","鉱車、炭籠"],
+2962:["x"],
+2963:["x"],
+2964:["n","short for cosecant (trigonometry)","コセカント"],
+2965:["x"],
+2966:["v","to cheat (cozen)","だます"],
+2967:["x"],
+2968:["n","a set formed from a subgroup in group theory","剰余類"],
+2969:["adj","cosy (old spelling)","居心地のよい（古い綴り）"],
+2970:["adj","cosy (variant spelling)","居心地のよい（異綴）"],
+2971:["x"],
+2972:["n","short for cosmopolitan, a cocktail","コスモポリタン（カクテル、略）"],
+2973:["x"],
+2974:["n","coast (in place names like Costa Rica)","コスタ（地名に使う「海岸」）","Costa Rica has many volcanoes."],
+2975:["n","amounts of money needed (plural of cost)","費用","Costs are rising."],
+2976:["n","short for cotangent (trigonometry)","コタンジェント"],
+2977:["x"],
+2978:["x"],
+2979:["n","shelters for animals or birds (plural of cote)","小屋（複数）"],
+2980:["x"],
+2981:["x"],
+2982:["n","a short surplice worn by clergy","短い白衣（聖職者）"],
+2983:["x"],
+2984:["x"],
+2985:["x"],
+2986:["n","a long soft seat","ソファー","He fell asleep on the couch."],
+2987:["x"],
+2988:["v","to push air from the lungs with a sudden noise","咳をする","He coughed all night."],
+2989:["v","was able to; might","〜できた、〜かもしれない","Could you help me?"],
+2990:["x"],
+2991:["v","to say numbers in order; to find the total","数える","Count to ten."],
+2992:["n","a two-door car with a fixed roof","クーペ"],
+2993:["n","sudden seizures of power (plural of coup)","クーデター（複数）"],
+2994:["v","to bend or bow (obsolete)","曲げる（廃語）"],
+2995:["n","a place where trials are held; a sports area","裁判所、コート","They met on the tennis court."],
+2996:["adj","refined and well-mannered (humorous back-formation of uncouth)","洗練された（戯言）"],
+2997:["x"],
+2998:["adj","having a concave curved surface","円弧状にくぼんだ"],
+2999:["n","a group of witches","魔女の集会"],
+3000:["v","to put something over","覆う","Cover the pot with a lid."],
+3001:["n","small bays (plural of cove)","入り江（複数）"],
+3002:["v","to want very much something that belongs to someone else","むやみに欲しがる"],
+3003:["n","a small flock of birds, especially partridges","（ウズラなどの）群れ"],
+3004:["n","the disease caused by the SARS-CoV-2 coronavirus","新型コロナウイルス感染症"],
+3005:["n","a secret agreement to defraud someone (law)","共謀、詐欺（法律）"],
+3006:["x"],
+3007:["n","a mason without formal training; an outsider to Freemasons","未熟練の石工、部外者"],
+3008:["adj","intimidated into submission","おびえた"],
+3009:["v","to crouch down in fear","すくむ"],
+3010:["x"],
+3011:["n","monks' hoods; covers for chimneys (plural of cowl)","頭巾、煙突帽（複数）"],
+3012:["n","a glossy seashell once used as money","タカラガイ"],
+3013:["n","plural of coxa (the hip; the first leg joint of an insect)","寛骨、基節（複数）"],
+3014:["adj","relating to the hip or coxa","寛骨の"],
+3015:["v","steered a rowing boat (past of cox)","コックスを務めた"],
+3016:["n","people who steer rowing boats (plural of cox)","コックス（複数）"],
+3017:["x"],
+3018:["x"],
+3019:["adj","more coy (comparative of coy)","よりはにかんだ"],
+3020:["adv","in a shy or teasing way","はにかんで"],
+3021:["n","a tropical American palm with edible nuts","コヨル（ヤシ）"],
+3022:["x"],
+3023:["n","a large South American water rodent (nutria)","ヌートリア"],
+3024:["x"],
+3025:["v","to trick or deceive","だます"],
+3026:["x"],
+3027:["adj","cozy (variant spelling)","居心地のよい（異綴）"],
+3028:["adj","cozy (variant spelling)","居心地のよい（異綴）"],
+3029:["n","a kraal (old spelling)","クラール（古い綴り）"],
+3030:["n","sea animals with ten legs and claws (plural of crab)","カニ","Crabs walk sideways."],
+3031:["n","a thin break","ひび","There is a crack in the cup."],
+3032:["n","a skill of making things by hand","工芸、技術","Pottery is an old craft."],
+3033:["n","steep rough cliffs (plural of crag)","岩山（複数）"],
+3034:["n","a slow trading vessel (obsolete)","鈍重な交易船（廃語）"],
+3035:["n","a given name","クレイグ（人名）","Craig drives a taxi."],
+3036:["v","to croak or complain (Scottish)","うめく、ぼやく（スコットランド）"],
+3037:["x"],
+3038:["n","a bird of the rail family, such as the corncrake","クイナ"],
+3039:["n","a sudden painful tightening of a muscle","けいれん、こむら返り"],
+3040:["v","forces into a small space (third person of cram)","詰め込む"],
+3041:["n","a tall wading bird; a machine that lifts heavy things","ツル、クレーン","A crane lifted the steel beam."],
+3042:["n","the carcass of a whale after the blubber is removed (krang)","脂肪を取った鯨の死骸"],
+3043:["n","a handle turned to move a machine; an odd person","クランク、変わり者","Turn the crank."],
+3044:["x"],
+3045:["n","a thin crinkled fabric, often black for mourning (crepe)","クレープ（喪章用の縮み布）"],
+3046:["n","a gambling game played with two dice","クラップス（サイコロ賭博）"],
+3047:["adj","like crape","クレープのような"],
+3048:["n","a slow trading vessel (obsolete)","鈍重な交易船（廃語）"],
+3049:["n","a violent accident; a loud noise","衝突、墜落","A car crash."],
+3050:["adj","rude and insensitive","粗野な、無神経な"],
+3051:["n","a large wooden or plastic box","木箱","A crate of apples arrived."],
+3052:["v","to want something very strongly","切望する"],
+3053:["x"],
+3054:["v","to move on hands and knees","はう","The baby can crawl."],
+3055:["x"],
+3056:["n","crops of birds (plural of craw)","嗉嚢（そのう、複数）"],
+3057:["x"],
+3058:["n","a short-lived fashion","一時的な大流行"],
+3059:["adj","mad; wild","狂った、夢中の","That's a crazy idea."],
+3060:["x"],
+3061:["x"],
+3062:["x"],
+3063:["v","to make a high squeaking sound","きしむ"],
+3064:["n","the thick fat part of milk","クリーム","Add cream to the coffee."],
+3065:["n","an assistant to a riding master","乗馬教師の助手"],
+3066:["x"],
+3067:["n","a set of beliefs","信条"],
+3068:["n","a set of beliefs","信条","People of every creed."],
+3069:["n","a small stream","小川","We fished in the creek."],
+3070:["n","a wicker basket for carrying fish","魚籠（びく）"],
+3071:["x"],
+3072:["x"],
+3073:["v","to move slowly and quietly","忍び寄る","The cat crept toward the bird."],
+3074:["n","members of a Native American and First Nations people (plural of Cree)","クリー族（複数）"],
+3075:["n","cream, in cooking or liqueur names (crème)","クレーム（クリーム）"],
+3076:["n","a rounded tooth on a leaf edge","鈍鋸歯"],
+3077:["n","a very thin pancake","クレープ","She ordered a banana crepe."],
+3078:["v","moved slowly and quietly (past of creep)","忍び寄った","He crept upstairs."],
+3079:["adj","wrinkled like crepe","ちりめん状にしわの寄った"],
+3080:["adv","abbreviation of crescendo","クレッシェンド（略）"],
+3081:["n","a plant with small peppery leaves eaten in salads","クレソン類"],
+3082:["n","the top of a hill or wave; a tuft on a bird's head","頂上、とさか","We reached the crest of the hill."],
+3083:["n","chalk (Latin)","白亜（ラテン語）"],
+3084:["n","a large Greek island","クレタ島","Crete is in the Mediterranean."],
+3085:["n","a town in Cheshire, England","クルー（英国の町）"],
+3086:["n","groups of people working on a ship or plane (plural of crew)","乗組員（複数）"],
+3087:["n","a large harmless snake of tropical America (indigo snake)","インディゴヘビ"],
+3088:["n","babies' beds with barred sides (plural of crib)","ベビーベッド（複数）"],
+3089:["n","a painful stiffness in the neck or back","（首や背中の）筋違え"],
+3090:["v","wept; shouted (past of cry)","泣いた、叫んだ","The baby cried all night."],
+3091:["n","a person who cries or makes public announcements","泣く人、触れ役"],
+3092:["n","shouts; sounds of weeping (plural of cry)","叫び声","Cries for help."],
+3093:["x"],
+3094:["x"],
+3095:["n","an act that breaks the law","犯罪","Crime is falling in the city."],
+3096:["v","to press into small folds or ridges","ひだを付ける、縮らせる"],
+3097:["x"],
+3098:["x"],
+3099:["x"],
+3100:["adj","hard and easy to break; cool and fresh","パリッとした、さわやかな","A crisp apple."],
+3101:["x"],
+3102:["n","the weight of one litre of hydrogen at standard conditions","クリス（重量単位）"],
+3103:["n","a deep hoarse sound like a frog","（カエルの）鳴き声、しわがれ声"],
+3104:["n","a person from Croatia","クロアチア人"],
+3105:["n","plural of crocus","クロッカス（複数）"],
+3106:["n","an earthenware pot; an old worn-out person or thing","陶器の壺、おんぼろ"],
+3107:["n","a small rented farm in Scotland","小作地"],
+3108:["n","a cross (obsolete)","十字（廃語）"],
+3109:["x"],
+3110:["n","an ugly old woman","鬼婆"],
+3111:["adj","unwell or broken (Australian informal); to croak like a raven","具合の悪い（豪略式）"],
+3112:["n","a close friend or companion, often in a bad sense","取り巻き、仲間"],
+3113:["v","to coo like a dove (Scottish)","クークー鳴く（スコットランド）"],
+3114:["n","a criminal; a bend","悪党、曲がり","The crook ran away."],
+3115:["v","to murmur (Scottish)","つぶやく（スコットランド）"],
+3116:["v","to sing softly and sentimentally","低く甘く歌う"],
+3117:["n","plants grown for food (plural of crop)","作物（複数）"],
+3118:["n","ten million (in South Asia)","クロール（1000 万）"],
+3119:["x"],
+3120:["x"],
+3121:["v","to go from one side to the other","渡る","Cross the street carefully."],
+3122:["v","crossed (archaic)","横切った（古語）"],
+3123:["n","a childhood illness causing a harsh cough; a horse's rump","クループ、（馬の）尻"],
+3124:["n","sauerkraut (obsolete)","ザワークラウト（廃語）"],
+3125:["n","a large group of people","群衆","A crowd gathered outside."],
+3126:["x"],
+3127:["n","a ring of gold worn by a king or queen","王冠","The queen wore a crown."],
+3128:["n","large black birds (plural of crow)","カラス（複数）"],
+3129:["x"],
+3130:["n","a cooper's tool for cutting grooves in barrel staves","クローズ（樽の溝切り）"],
+3131:["x"],
+3132:["n","one of a pair of curved timbers forming a roof frame","クラック（曲がり梁）"],
+3133:["adj","in a natural state; rough or rude","天然の、粗野な","Crude oil is refined into gas."],
+3134:["n","dirt or rubbish (slang)","汚れ、がらくた（俗）"],
+3135:["adj","coagulated; raw (obsolete)","凝固した（廃語）"],
+3136:["adj","causing pain on purpose","残酷な","Don't be cruel."],
+3137:["n","a small bottle for oil or vinegar at the table","薬味瓶"],
+3138:["adj","curly (obsolete)","巻き毛の（廃語）"],
+3139:["n","a tiny piece of bread or cake","パンくず"],
+3140:["n","the thud of an exploding shell; to make a crunching sound","ドスンという爆発音"],
+3141:["adj","excited or intoxicated (slang); a style of hip-hop","ハイになった（俗）、クランク"],
+3142:["x"],
+3143:["n","clotted blood","凝血"],
+3144:["n","plural of crus (a leg-like part)","脚（複数、解剖学）"],
+3145:["n","a small earthenware pot for oil or water","小さな壺"],
+3146:["v","to press hard and break","押しつぶす","Crush the garlic."],
+3147:["n","the hard outer layer of bread; the Earth's outer layer","パンの皮、地殻","Cut off the crust."],
+3148:["n","an ancient Celtic stringed instrument (crwth)","クルス（ケルトの弦楽器）"],
+3149:["n","an ancient Welsh stringed instrument played with a bow","クルス（ウェールズの弦楽器）"],
+3150:["n","the heron (obsolete)","サギ（廃語）"],
+3151:["n","an underground room beneath a church","地下聖堂"],
+3152:["x"],
+3153:["x"],
+3154:["n","an early US computer network for research","CSNET（初期の研究用ネットワーク）"],
+3155:["n","a comb-like plate of cilia on a comb jelly","櫛板"],
+3156:["x"],
+3157:["adj","from or relating to Cuba","キューバの","Cuban music."],
+3158:["x"],
+3159:["n","a small enclosed space","小部屋"],
+3160:["n","a spicy berry of a Javanese pepper","ヒッチョウカ（クベバ）"],
+3161:["adj","cut into cubes; raised to the third power","さいの目に切った、3 乗した"],
+3162:["x"],
+3163:["n","solid shapes with six square faces (plural of cube)","立方体（複数）"],
+3164:["adj","having three dimensions (as in cubic meter)","立方の","The tank holds two cubic meters."],
+3165:["n","an ancient measure of length, about the forearm","キュビット（ひじ尺）"],
+3166:["x"],
+3167:["x"],
+3168:["n","a monster used to frighten children (cucuy, coco)","ククイ（子どもを脅すお化け）"],
+3169:["n","a small cabin on a boat; a donkey (Scottish)","小船室、ロバ（スコットランド）"],
+3170:["n","a Chilean folk dance","クエッカ（チリの舞踊）"],
+3171:["n","ends of sleeves (plural of cuff)","袖口（複数）"],
+3172:["x"],
+3173:["adj","relating to an early angular form of Arabic script (Kufic)","クーフィー体の"],
+3174:["x"],
+3175:["v","giving a cue (present participle of cue)","合図している"],
+3176:["n","armour for the thigh (cuisse)","もも当て"],
+3177:["n","cucumbers (informal, plural of cuke)","キュウリ（略式、複数）"],
+3178:["n","shells and gravel forming an oyster bed (cultch)","カキ床"],
+3179:["n","the small flat face at the bottom of a cut gem","キューレット（宝石の底面）"],
+3180:["n","a common genus of mosquitoes","イエカ属"],
+3181:["x"],
+3182:["n","animals or items removed as inferior (plural of cull)","間引かれたもの（複数）"],
+3183:["n","a dupe; a mate (slang)","だまされやすい人、相棒（俗）"],
+3184:["n","stems of grasses (plural of culm)","稈（かん、複数）"],
+3185:["x"],
+3186:["x"],
+3187:["n","fault or negligence (Latin, legal)","過失（ラテン語）"],
+3188:["x"],
+3189:["n","small devoted religious groups (plural of cult)","カルト（複数）"],
+3190:["x"],
+3191:["x"],
+3192:["x"],
+3193:["adj","relating to cumin","クミンの"],
+3194:["n","a spice from small seeds","クミン","Curry often has cumin."],
+3195:["x"],
+3196:["n","cumene, a hydrocarbon","クメン"],
+3197:["x"],
+3198:["n","a covered drain (Australian)","暗渠（豪）"],
+3199:["x"],
+3200:["x"],
+3201:["x"],
+3202:["x"],
+3203:["n","a rabbit (dialect); also a vulgar slang word","ウサギ（方言）"],
+3204:["n","very offensive vulgar slang for genitals or contemptible people","卑語（きわめて下品）"],
+3205:["x"],
+3206:["x"],
+3207:["n","a small bowl used in refining precious metals","灰吹き皿"],
+3208:["n","the Roman god of love","キューピッド"],
+3209:["n","a cup of tea (British informal)","一杯のお茶（英略式）"],
+3210:["adj","cup-shaped; full of small hollows","杯状の、くぼみの多い"],
+3211:["n","a breastplate (obsolete)","胸当て（廃語）"],
+3212:["n","edges between sidewalks and roads; controls (plural of curb)","縁石、抑制（複数）"],
+3213:["x"],
+3214:["n","a woman's plain cap (Scottish)","婦人の頭巾（スコットランド）"],
+3215:["n","the thick part of soured milk, used to make cheese (plural of curd)","凝乳（複数）"],
+3216:["adj","like curd; coagulated","凝乳のような"],
+3217:["v","made healthy; preserved with salt (past of cure)","治った、塩漬けにした","Cured ham."],
+3218:["n","someone who cures, either a healer or a preserver of meat or fish","治療者、塩漬け職人"],
+3219:["n","treatments that heal illness (plural of cure)","治療法（複数）"],
+3220:["n","a scoop-shaped surgical instrument (curette)","キュレット（手術器具）"],
+3221:["x"],
+3222:["n","the central administration of the Roman Catholic Church","教皇庁"],
+3223:["n","a unit of radioactivity","キュリー（放射能の単位）"],
+3224:["x"],
+3225:["n","an unusual object worth collecting","骨董品"],
+3226:["n","spiral locks of hair (plural of curl)","巻き毛（複数）"],
+3227:["adj","having curls","巻き毛の","She has curly hair."],
+3228:["x"],
+3229:["v","coos or purrs (Scottish, third person of curr)","クークー鳴く（スコットランド）"],
+3230:["n","a spicy dish from South Asia","カレー","I like chicken curry."],
+3231:["n","words wishing harm; a cause of trouble","呪い","The witch put a curse on him."],
+3232:["adj","cursed; bad-tempered (archaic)","呪われた、意地の悪い（古語）"],
+3233:["x"],
+3234:["n","a line that bends smoothly","曲線、カーブ","Slow down at the curve."],
+3235:["adj","having curves","曲線的な"],
+3236:["n","a unit of flow, one cubic foot per second","キューセック（流量単位）"],
+3237:["adj","easy and comfortable (informal)","楽な（略式）"],
+3238:["x"],
+3239:["n","cod-like fish of the North Atlantic (plural of cusk)","カスク（魚、複数）"],
+3240:["n","points where two curves meet (plural of cusp)","尖点（複数）"],
+3241:["n","an Ethiopian tree whose flowers were used against tapeworms (kousso)","クッソ（駆虫薬の木）"],
+3242:["n","a tannin extract from mangrove bark (catechu)","カテキュー"],
+3243:["adj","more cute (comparative of cute)","よりかわいい"],
+3244:["x"],
+3245:["n","an attractive person (cutie)","かわいい人"],
+3246:["n","an attractive or endearing person (informal)","かわいい人（略式）"],
+3247:["n","a waxy waterproof substance in plant cuticles","クチン"],
+3248:["n","the skin, especially the dermis","皮膚"],
+3249:["adj","short (Scottish); a short clay pipe","短い（スコットランド）、短いパイプ"],
+3250:["n","a person who clowns around","おどけ者"],
+3251:["n","a blend or batch of wine","キュヴェ（ワインの仕込み）"],
+3252:["x"],
+3253:["adj","containing the cyanide group (chemistry)","シアノ基の"],
+3254:["n","blue-green colours (plural of cyan)","シアン（複数）"],
+3255:["x"],
+3256:["n","a palm-like tropical plant with cones","ソテツ"],
+3257:["n","the genus of cycads including the sago palm","ソテツ属"],
+3258:["n","a series of events that repeats; a bicycle","周期、自転車","The cycle of the seasons."],
+3259:["n","a three-wheeled bicycle taxi (cyclo-pousse)","シクロ（自転車タクシー）"],
+3260:["n","cider (archaic spelling)","サイダー、りんご酒（古い綴り）"],
+3261:["x"],
+3262:["n","a shallow ancient Greek drinking cup with two handles","キュリクス（古代ギリシャの杯）"],
+3263:["x"],
+3264:["n","a light loose robe or scarf for women (simar)","女性用の軽い上衣"],
+3265:["n","S-shaped mouldings (plural of cyma)","サイマ（繰形、複数）"],
+3266:["x"],
+3267:["n","flat-topped clusters of flowers (plural of cyme)","集散花序（複数）"],
+3268:["n","cymene, a hydrocarbon found in plant oils","シメン"],
+3269:["n","the Welsh people","ウェールズ人"],
+3270:["n","someone who doubts people's motives","皮肉屋"],
+3271:["n","a tropical American tree grown for timber (Cordia)","カキバチシャ属の木"],
+3272:["n","a given name; a king of ancient Persia","キュロス（人名）","Cyrus the Great."],
+3273:["n","abnormal sacs in the body (plural of cyst)","嚢胞（複数）"],
+3274:["n","the cytoplasm of a cell excluding the nucleus","細胞質"],
+3275:["n","the cell body of a nerve cell","神経細胞体"],
+3276:["n","Russian emperors (plural of czar)","ツァーリ（複数）"],
+3277:["adj","from the Czech Republic","チェコの","Czech beer."],
+3278:["x"],
+3279:["x"],
+3280:["x"],
+3281:["n","small European freshwater fish (plural of dace)","デース（魚、複数）"],
+3282:["n","a Russian country house","ダーチャ（別荘）"],
+3283:["x"],
+3284:["n","a tropical tree used to shade coffee plants (Erythrina)","デイゴの一種"],
+3285:["n","fathers (informal, plural of dada)","パパ（複数）"],
+3286:["n","father (child's word)","パパ","Daddy's home!"],
+3287:["n","lower panels of interior walls (plural of dado)","腰羽目（複数）"],
+3288:["n","an evil spirit in Zoroastrianism","ダエーワ（悪霊）"],
+3289:["n","daffodils (informal, plural of daff)","スイセン（略式、複数）"],
+3290:["adj","silly or mildly crazy (informal)","ばかげた（略式）"],
+3291:["n","cannabis (South African)","大麻（南ア）"],
+3292:["adj","unfashionable or scruffy (Australian informal)","ださい（豪略式）"],
+3293:["n","the chief god of the ancient Philistines","ダゴン（ペリシテ人の神）"],
+3294:["n","an offensive ethnic slur for Italians or Spaniards","蔑称"],
+3295:["x"],
+3296:["adj","happening every day","毎日の","Exercise is part of my daily routine."],
+3297:["adj","dainty (obsolete)","上品な（廃語）"],
+3298:["n","an estate of the Egyptian khedive","（エジプト副王の）領地"],
+3299:["x"],
+3300:["x"],
+3301:["n","milk and foods made from milk","乳製品","She can't eat dairy."],
+3302:["n","a small flower with white petals and a yellow center","ヒナギク、デイジー","She picked a daisy."],
+3303:["x"],
+3304:["n","a lot of ten, especially of hides","10 枚ひと組（皮革）"],
+3305:["n","a lot of ten, especially of hides (daker)","10 枚ひと組（皮革）"],
+3306:["n","part of the title of the Tibetan spiritual leader, the Dalai Lama","ダライ"],
+3307:["x"],
+3308:["x"],
+3309:["n","an old silver coin of Scandinavia (dollar)","ダーレル（北欧の古い銀貨）"],
+3310:["n","valleys (plural of dale)","谷（複数）"],
+3311:["x"],
+3312:["n","a slab or flagstone (French)","敷石"],
+3313:["v","to act slowly or waste time","ぐずぐずする"],
+3314:["n","a small hoofed mammal, the hyrax","ハイラックス"],
+3315:["n","a hard resin used in varnishes (dammar)","ダンマル樹脂"],
+3316:["x"],
+3317:["n","women, or knights' wives (plural of dame)","婦人（複数）"],
+3318:["x"],
+3319:["interj","damn me (archaic oath)","畜生（古い罵り言葉）"],
+3320:["v","condemns or curses (third person of damn)","呪う、けなす"],
+3321:["n","the friend of Pythias in Greek legend","ダモン（ギリシャ伝説）"],
+3322:["v","makes slightly wet; deadens (third person of damp)","湿らせる、弱める"],
+3323:["adj","somewhat damp; gloomy (obsolete)","湿っぽい、陰気な（廃語）"],
+3324:["n","a princess in Greek myth, mother of Perseus","ダナエ（ギリシャ神話）"],
+3325:["v","to move to music","踊る","Let's dance!"],
+3326:["adj","having a zigzag edge (heraldry, dancetté)","ジグザグの（紋章）"],
+3327:["x"],
+3328:["n","a man who cares a lot about his clothes","伊達男"],
+3329:["n","people from Denmark (plural of Dane)","デンマーク人（複数）"],
+3330:["v","damns (euphemism, third person of dang)","畜生と言う（婉曲）"],
+3331:["x"],
+3332:["n","a small tropical freshwater fish, such as the zebrafish","ダニオ（熱帯魚）"],
+3333:["interj","thank you (German)","ありがとう（ドイツ語）"],
+3334:["x"],
+3335:["x"],
+3336:["adj","Danish (obsolete)","デンマークの（廃語）"],
+3337:["x"],
+3338:["x"],
+3339:["n","an Italian poet; a given name","ダンテ","Dante wrote the Divine Comedy."],
+3340:["x"],
+3341:["n","a unit of elastance, the reciprocal of a farad","ダラフ（エラスタンスの単位）"],
+3342:["x"],
+3343:["x"],
+3344:["n","a long flat float used by plasterers","ダービー（左官の均し板）"],
+3345:["n","a unit of permeability of porous rock","ダルシー（透水率の単位）"],
+3346:["v","was brave enough (past of dare)","あえてした","Nobody dared to speak."],
+3347:["n","someone who dares","あえて挑む人"],
+3348:["n","challenges to do something risky (plural of dare)","挑戦（複数）"],
+3349:["n","a gold coin of ancient Persia","ダリック金貨"],
+3350:["x"],
+3351:["n","dark times or places (plural of dark)","暗がり（複数）"],
+3352:["n","an offensive racial slur for Black people","蔑称"],
+3353:["v","mends by sewing (third person of darn)","繕う"],
+3354:["n","the Egyptian sycamore fig","エジプトイチジク"],
+3355:["x"],
+3356:["n","a game of throwing small arrows at a board","ダーツ"],
+3357:["n","a river (Persian, used in names like Amu Darya)","川（ペルシャ語）"],
+3358:["n","a desert (Persian, used in names like Dasht-e Kavir)","砂漠（ペルシャ語）"],
+3359:["adj","showy and fashionable (informal)","派手な（略式）"],
+3360:["v","dare not (dialect)","〜する勇気がない（方言）"],
+3361:["n","a hyrax (dassie, South African)","ハイラックス（南ア）"],
+3362:["x"],
+3363:["adj","old-fashioned; marked with a date","時代遅れの、日付のある","The design looks dated."],
+3364:["n","someone who dates","デートする人"],
+3365:["n","days of the month; sweet fruits (plural of date)","日付、ナツメヤシの実（複数）"],
+3366:["x"],
+3367:["x"],
+3368:["x"],
+3369:["n","a tribal chief in the Philippines (datu)","ダトゥ（首長）"],
+3370:["n","a single piece of information (singular of data)","データ（単数）","Each datum was checked."],
+3371:["n","a French stew of meat braised in wine","ドーブ（フランスの煮込み）"],
+3372:["v","smears with paint or mud (third person of daub)","塗りたくる"],
+3373:["adj","sticky and smeary","べたべたした"],
+3374:["x"],
+3375:["x"],
+3376:["v","to make someone feel afraid or discouraged","ひるませる"],
+3377:["v","pets or fondles (Scottish, third person of daut)","かわいがる（スコットランド）"],
+3378:["v","to recite Jewish prayers","（ユダヤ教の）祈りを唱える"],
+3379:["x"],
+3380:["n","a given name","デイビッド（人名）","David plays the guitar."],
+3381:["n","a family name","デイビス（姓）","Ms. Davis is our teacher."],
+3382:["n","a small crane on a ship for lowering lifeboats","ダビット（吊り柱）"],
+3383:["x"],
+3384:["v","dawned (obsolete, past of daw)","夜が明けた（廃語）"],
+3385:["x"],
+3386:["n","postal relay stations in India (plural of dawk, dak)","飛脚制度（インド、複数）"],
+3387:["n","first light of mornings (plural of dawn)","夜明け（複数）"],
+3388:["x"],
+3389:["v","pets or fondles (Scottish, third person of dawt)","かわいがる（スコットランド）"],
+3390:["x"],
+3391:["n","an indigenous people of Borneo","ダヤク族"],
+3392:["n","the magpie robin of South Asia","シキチョウ"],
+3393:["n","a judge in a Jewish religious court","ダヤン（ユダヤ教の裁判官）"],
+3394:["adj","unable to think clearly, as after a shock","ぼうっとした"],
+3395:["v","stuns or confuses (third person of daze)","ぼうっとさせる"],
+3396:["n","waste rock around ore in a mine","廃石"],
+3397:["x"],
+3398:["v","to remove air from (deaerate)","脱気する"],
+3399:["n","agreements, especially in business (plural of deal)","取引（複数）"],
+3400:["v","handed out; handled (past of deal)","配った、対処した","He dealt the cards."],
+3401:["n","heads of university faculties (plural of dean)","学部長（複数）"],
+3402:["v","to injure (obsolete, dere)","害する（廃語）"],
+3403:["adj","secret; lonely (obsolete)","秘密の、寂しい（廃語）"],
+3404:["n","beloved people (plural of dear)","いとしい人（複数）"],
+3405:["n","a darling (familiar)","いとしい人"],
+3406:["v","to remove ash from","灰を除く"],
+3407:["n","the end of life","死","The death of the king shocked everyone."],
+3408:["v","to deafen with noise (Scottish)","騒音で耳を聾する（スコットランド）"],
+3409:["v","to remove someone's trousers as a prank (British slang)","ズボンを脱がす（英俗）"],
+3410:["v","to officially prevent someone from doing something","締め出す"],
+3411:["x"],
+3412:["x"],
+3413:["v","to conquer (obsolete)","征服する（廃語）"],
+3414:["n","an ancient Egyptian unit of weight","デベン（古代エジプトの重量単位）"],
+3415:["n","money taken from an account","借方、引き落とし","A debit card."],
+3416:["n","sums of money owed (plural of debt)","借金（複数）"],
+3417:["v","to find and fix errors in a program","デバッグする"],
+3418:["v","to get off a bus (military)","バスから降りる（軍事）"],
+3419:["n","a first public appearance","デビュー","Her debut album."],
+3420:["n","a unit of electric dipole moment","デバイ（単位）"],
+3421:["n","a decade (obsolete)","10 年（廃語）"],
+3422:["n","a design that can be transferred onto a surface","デカール、転写シール"],
+3423:["n","one of the 36 ten-degree divisions of the zodiac","デカン（黄道の 10 度区分）"],
+3424:["v","to remove the cap from; to decapitate (informal)","ふたを外す"],
+3425:["v","to rot or become weaker","腐る、衰える","Sugar makes teeth decay."],
+3426:["x"],
+3427:["n","an aspect of two planets 36 degrees apart (astrology)","十分の一相（占星術）"],
+3428:["x"],
+3429:["n","floors of a ship (plural of deck)","甲板（複数）"],
+3430:["n","the style of decoration of a room","室内装飾"],
+3431:["n","something used to lure a person or animal into a trap","おとり"],
+3432:["v","to criticize strongly in public","公然と非難する"],
+3433:["x"],
+3434:["n","a hydrocarbon radical with ten carbon atoms (chemistry)","デシル基"],
+3435:["adj","intricate; skilfully made (daedal)","精巧な"],
+3436:["x"],
+3437:["x"],
+3438:["n","acts; legal papers of ownership (plural of deed)","行い、証書","Good deeds make friends."],
+3439:["adj","industrious; active (rare)","勤勉な（まれ）"],
+3440:["v","considers or judges (third person of deem)","みなす"],
+3441:["x"],
+3442:["n","deep parts of the sea (plural of deep)","深み、深海（複数）"],
+3443:["n","deer (rare plural)","シカ（まれな複数形）"],
+3444:["n","a goddess (obsolete)","女神（廃語）"],
+3445:["v","to remove the fat from","脂肪を除く"],
+3446:["v","to put off until later; to yield","延期する、従う","Defer the payment."],
+3447:["x"],
+3448:["x"],
+3449:["v","to fix or fasten (obsolete)","固定する（廃語）"],
+3450:["v","to clear mist from, such as a car window","曇りを取る"],
+3451:["v","to remove gas from","ガスを抜く"],
+3452:["v","to remove gum from","ゴム質を除く"],
+3453:["v","to remove ice from","除氷する"],
+3454:["v","to treat someone as a god","神格化する"],
+3455:["v","to do something one thinks is beneath one's dignity","へりくだって〜する"],
+3456:["n","devils (Scottish, plural of deil)","悪魔（スコットランド、複数）"],
+3457:["v","to remove ink from paper for recycling","脱墨する"],
+3458:["n","belief in a God who created the world but does not intervene","理神論"],
+3459:["n","a person who believes in deism","理神論者"],
+3460:["n","a god or goddess","神","A Roman deity."],
+3461:["v","faked out an opponent (past of deke, sports slang)","フェイントをかけた（スポーツ俗語）"],
+3462:["n","feints to draw an opponent out of position (plural of deke)","フェイント（複数）"],
+3463:["n","a quick look (British slang)","ちらっと見ること（英俗）"],
+3464:["n","the deckle of a papermaking mould","デッケル（紙漉きの枠）"],
+3465:["x"],
+3466:["n","a time of waiting; a hold-up","遅れ","The train had a long delay."],
+3467:["v","deleted by a proofreader's mark (past of dele)","削除記号で消した"],
+3468:["n","proofreader's marks meaning delete (plural of dele)","削除記号（複数）"],
+3469:["n","quarries or pits (plural of delf)","採掘坑（複数）"],
+3470:["n","blue and white glazed pottery from the Netherlands","デルフト焼"],
+3471:["n","a large city in India","デリー（インドの都市）","Delhi is very hot in summer."],
+3472:["n","short for delimiter (computing)","区切り文字（略）"],
+3473:["n","delicatessens (plural of deli)","総菜屋（複数）"],
+3474:["n","delight (obsolete)","喜び（廃語）"],
+3475:["n","a given name","デラ（人名）","Della loves flowers."],
+3476:["n","small wooded valleys (plural of dell)","小さな谷（複数）"],
+3477:["x"],
+3478:["n","a small South African antelope, the duiker","ダイカー（小型のレイヨウ）"],
+3479:["n","delftware; a drain beside a sea embankment","デルフト焼、堤防脇の排水溝"],
+3480:["n","land where a river splits before the sea; the Greek letter Δ","三角州、デルタ","The Nile delta is fertile."],
+3481:["v","to search deeply for information","深く探る"],
+3482:["adj","relating to a deme (biology)","デームの"],
+3483:["n","districts of ancient Attica; local populations (plural of deme)","区、デーム（複数）"],
+3484:["v","to resign from an office","辞任する"],
+3485:["v","to release from military service (British informal)","復員させる（英略式）"],
+3486:["n","an evil spirit","悪魔、鬼","He fought his inner demons."],
+3487:["n","demonstrations (plural of demo)","デモ（複数）"],
+3488:["x"],
+3489:["v","to raise objections or show reluctance","異議を唱える"],
+3490:["n","the money unit of North Macedonia","デナール（北マケドニアの通貨）"],
+3491:["x"],
+3492:["v","to deny (obsolete)","否定する（廃語）"],
+3493:["x"],
+3494:["n","the brightest star in the constellation Cygnus","デネブ"],
+3495:["n","sandy areas by the sea; valleys (plural of dene)","砂丘、谷（複数）"],
+3496:["n","strong cotton cloth used for jeans","デニム","She wore a denim jacket."],
+3497:["n","short for denomination","額面、宗派（略）"],
+3498:["adj","closely packed; thick","密集した、濃い","The forest is dense."],
+3499:["n","hollows made by a blow (plural of dent)","へこみ（複数）"],
+3500:["x"],
+3501:["x"],
+3502:["x"],
+3503:["x"],
+3504:["x"],
+3505:["x"],
+3506:["n","a place for storing goods or vehicles","倉庫、車庫","The bus depot."],
+3507:["n","how deep something is","深さ","The depth of the lake is ten meters."],
+3508:["x"],
+3509:["v","to rid of rats","ネズミを駆除する"],
+3510:["n","disorder; merriment (obsolete)","騒ぎ（廃語）"],
+3511:["n","a horse race; a game between local rivals","ダービー","A local derby match."],
+3512:["x"],
+3513:["n","short for derivative","派生語、導関数（略）"],
+3514:["n","the inner layer of the skin","真皮"],
+3515:["n","layers of skin (plural of derm)","皮膚（複数）"],
+3516:["x"],
+3517:["x"],
+3518:["x"],
+3519:["n","dearth; scarcity (obsolete)","不足（廃語）"],
+3520:["x"],
+3521:["v","to remove the sex organs of; to make infertile","去勢する"],
+3522:["n","tables for working (plural of desk)","机（複数）"],
+3523:["x"],
+3524:["x"],
+3525:["x"],
+3526:["x"],
+3527:["x"],
+3528:["x"],
+3529:["x"],
+3530:["v","to discourage from doing something","思いとどまらせる","Cameras deter thieves."],
+3531:["x"],
+3532:["n","debt (obsolete)","借金（廃語）"],
+3533:["n","a prize of books given to a deserving student (at Harvard)","優秀学生への図書賞"],
+3534:["n","a score of 40 all in tennis; a two in cards or dice","デュース、2 の札"],
+3535:["x"],
+3536:["n","gods or divine beings in Hinduism and Buddhism (plural of deva)","天、神々（複数）"],
+3537:["x"],
+3538:["adj","bending down; sloping (obsolete)","傾斜した（廃語）"],
+3539:["n","an evil spirit","悪魔","Speak of the devil!"],
+3540:["n","a county in south-west England","デボン（英国の州）","We spent summer in Devon."],
+3541:["x"],
+3542:["v","to devote; to disavow (obsolete)","捧げる、否認する（廃語）"],
+3543:["x"],
+3544:["n","a chief minister or finance officer in India (diwan)","ディーワーン（宰相、財務官）"],
+3545:["n","a vacuum flask for holding very cold liquids","デュワー瓶"],
+3546:["v","to remove wax from","脱ろうする"],
+3547:["v","wetted with dew (past of dew)","露でぬらした"],
+3548:["x"],
+3549:["n","tablets of dextroamphetamine (slang, plural of dex)","デキセドリン錠（俗、複数）"],
+3550:["x"],
+3551:["n","a spiny-tailed lizard of North Africa and Arabia","トゲオアガマ"],
+3552:["n","flame-of-the-forest trees of India (plural of dhak)","ハナモツヤクノキ（複数）"],
+3553:["n","an Indian tree that yields timber and gum","ダーヴァ（インドの木）"],
+3554:["x"],
+3555:["n","Islamic devotion of repeating the names of God","ズィクル（唱念）"],
+3556:["n","a washerman in India","洗濯人（インド）"],
+3557:["n","a washerman in India (dhobi)","洗濯人（インド）"],
+3558:["n","a wild dog of Asia that hunts in packs","ドール（アカオオカミ）"],
+3559:["n","a small boat of the Maldives and South India","ドーニ（小舟）"],
+3560:["x"],
+3561:["n","a long loincloth worn by Hindu men","ドーティー（腰布）"],
+3562:["n","a loincloth worn by Hindu men (dhoti)","ドーティー（腰布）"],
+3563:["x"],
+3564:["n","Arab sailing boats with a triangular sail (plural of dhow)","ダウ船（複数）"],
+3565:["n","a loincloth worn by Hindu men (dhoti)","ドーティー（腰布）"],
+3566:["n","the magpie robin of South Asia (dayal)","シキチョウ"],
+3567:["x"],
+3568:["x"],
+3569:["n","faces of clocks or instruments (plural of dial)","文字盤（複数）"],
+3570:["x"],
+3571:["n","a given name; the Roman goddess of hunting","ダイアナ（人名）","Diana loves horses."],
+3572:["x"],
+3573:["n","a book for writing daily events","日記","I keep a diary."],
+3574:["adj","containing two linked nitrogen atoms (chemistry)","ジアゾの"],
+3575:["adj","cut into small cubes","さいの目に切った"],
+3576:["n","a tool for cutting food into cubes; a dice player","さいの目切り器、ばくち打ち"],
+3577:["v","cuts into cubes (third person of dice)","さいの目に切る"],
+3578:["adj","risky and unpredictable (informal)","危なっかしい（略式）"],
+3579:["x"],
+3580:["n","detectives (slang); also vulgar slang (plural of dick)","刑事（俗）、卑語"],
+3581:["adj","weak or unreliable (British informal); a false shirt front","調子の悪い（英略式）、付け胸"],
+3582:["n","a flowering plant with two seed leaves","双子葉植物"],
+3583:["n","plural of dictum (formal sayings)","格言（複数）"],
+3584:["adj","snobbish; high-class (dated slang)","気取った（古い俗語）"],
+3585:["n","a kind of triangular spade (obsolete)","三角形のすき（廃語）"],
+3586:["adj","small (British dialect)","小さな（英方言）"],
+3587:["x"],
+3588:["x"],
+3589:["v","did not (Scottish)","しなかった（スコットランド）"],
+3590:["v","did not (apostrophe omitted)","しなかった（アポストロフィ省略）"],
+3591:["n","mischievous tricks (informal, plural of dido)","いたずら（略式、複数）"],
+3592:["v","did (archaic second person singular)","した（古語、二人称単数）"],
+3593:["n","didymium, a mixture of rare earth elements","ジジム"],
+3594:["x"],
+3595:["n","a hydrocarbon with two double bonds","ジエン"],
+3596:["n","the kinds of food people usually eat (plural of diet)","食事、ダイエット（複数）"],
+3597:["x"],
+3598:["v","to dress or adorn (archaic)","装う（古語）"],
+3599:["n","a single number from 0 to 9; a finger or toe","数字（1 桁）、指","Enter a four-digit code."],
+3600:["adj","worthy; haughty (obsolete)","立派な、高慢な（廃語）"],
+3601:["n","a bank or dike (obsolete)","堤防（廃語）"],
+3602:["v","protected with a dike (past of dike)","堤防で囲った"],
+3603:["n","a ditch digger; a builder of dry-stone walls (Scottish)","溝掘り、石垣職人（スコットランド）"],
+3604:["n","walls built to hold back water (plural of dike)","堤防（複数）"],
+3605:["n","an object shaped like a penis used for sexual stimulation","張り形"],
+3606:["x"],
+3607:["x"],
+3608:["n","aromatic herbs used in pickles (plural of dill)","ディル（複数）"],
+3609:["n","something remarkable (informal); an old stagecoach","すごいもの（略式）、乗合馬車"],
+3610:["x"],
+3611:["n","a molecule formed from two identical smaller units","二量体"],
+3612:["n","ten-cent coins (plural of dime)","10 セント硬貨（複数）"],
+3613:["n","abbreviation of diminuendo","ディミヌエンド（略）"],
+3614:["v","to dismiss or release (obsolete)","解放する（廃語）"],
+3615:["adv","not brightly","薄暗く、ぼんやりと","The room was dimly lit."],
+3616:["adj","somewhat dim (obsolete)","薄暗い（廃語）"],
+3617:["x"],
+3618:["n","a money unit of several Middle Eastern and Balkan countries","ディナール（通貨）"],
+3619:["v","ate dinner (past of dine)","食事をした","We dined at eight."],
+3620:["n","a person eating a meal; a small roadside restaurant","食事客、簡易食堂"],
+3621:["v","eats dinner (third person of dine)","食事をする"],
+3622:["n","a dent; dinginess","へこみ、薄汚さ"],
+3623:["n","a wild dog of Australia","ディンゴ","A dingo howled at night."],
+3624:["n","ringing sounds; small dents (plural of ding)","チンという音、小さなへこみ（複数）"],
+3625:["adj","dark and dirty","薄汚い"],
+3626:["x"],
+3627:["n","soft shots dropped just over the net; couples with two incomes and no kids (plural of dink)","ドロップショット、ディンクス（複数）"],
+3628:["adj","small and cute (British); small and unimpressive (US)","小さくてかわいい、ちっぽけな"],
+3629:["n","dinosaurs (informal, plural of dino)","恐竜（略式、複数）"],
+3630:["n","dents or blows (plural of dint)","へこみ、打撃（複数）"],
+3631:["x"],
+3632:["n","an electronic part that lets current flow one way","ダイオード","A light-emitting diode."],
+3633:["n","alcohols with two hydroxyl groups (plural of diol)","ジオール（複数）"],
+3634:["n","a simple sugar with two carbon atoms","二炭糖"],
+3635:["n","an ancient vase with two handles","両耳付きの壺"],
+3636:["x"],
+3637:["x"],
+3638:["n","a critical mark shaped like an arrowhead used in old manuscripts","ディプレー（写本の注記記号）"],
+3639:["adj","foolish or scatterbrained (informal)","間の抜けた（略式）"],
+3640:["n","an alcoholic (informal, short for dipsomaniac)","大酒飲み（略式）"],
+3641:["n","a deep-sea sinker for a fishing line (sailors' slang)","深海用のおもり（水夫言葉）"],
+3642:["n","a genus of jerboas","トビネズミ属"],
+3643:["adj","more dire (comparative of dire)","より悲惨な"],
+3644:["x"],
+3645:["n","a slow mournful song for the dead","哀歌、葬送歌"],
+3646:["x"],
+3647:["n","long Scottish daggers (plural of dirk)","短剣（複数）"],
+3648:["v","vibrates or thrills (dialect, third person of dirl)","震える（方言）"],
+3649:["x"],
+3650:["adj","not clean","汚い","Your shoes are dirty."],
+3651:["n","plural of discus","円盤（複数）"],
+3652:["n","a nightclub for dancing to pop music; the music itself","ディスコ"],
+3653:["n","flat round objects (plural of disc)","円盤、ディスク（複数）"],
+3654:["adj","attractive (British informal)","魅力的な（英略式）"],
+3655:["n","flat circular plates; storage devices (plural of disk)","ディスク（複数）"],
+3656:["x"],
+3657:["n","a tenth part; a tithe","10 分の 1、十分の一税"],
+3658:["v","does not (Scottish)","しない（スコットランド）"],
+3659:["x"],
+3660:["x"],
+3661:["x"],
+3662:["n","a key that raises the pitch of a guitar or lute string","ディタル（弦楽器の音高変更キー）"],
+3663:["n","Asian trees whose bark is used as a tonic (plural of dita)","ジタノキ（複数）"],
+3664:["n","a long narrow channel dug in the ground","溝","The car slid into a ditch."],
+3665:["x"],
+3666:["x"],
+3667:["n","the same as before (often shown as 〃)","同上","Ditto for me."],
+3668:["n","a short simple song","小唄"],
+3669:["x"],
+3670:["n","a long low sofa without a back or arms","ソファーベッド、長いす"],
+3671:["n","famous female singers (plural of diva)","歌姫（複数）"],
+3672:["v","jumped head first into water (past of dive)","飛び込んだ"],
+3673:["v","to tear apart (obsolete)","引き裂く（廃語）"],
+3674:["n","a person who swims underwater; a diving bird","潜水士、アビ（鳥）"],
+3675:["n","a name for a rich man, from the parable of the rich man and Lazarus","富める人（聖書の寓話から）"],
+3676:["n","a piece of turf (divot)","芝土"],
+3677:["x"],
+3678:["x"],
+3679:["n","a piece of turf dug out by a golf club","ディボット（削れた芝）"],
+3680:["x"],
+3681:["v","to divide and share out (informal)","分ける（略式）"],
+3682:["n","a council of state; a collection of poems (divan)","政務会議、詩集"],
+3683:["n","the southern states of the US; a large cooking pot (military)","米国南部、飯盒"],
+3684:["n","an unsupported statement (from ipse dixit)","独断的な発言"],
+3685:["v","to dress up in a showy way","けばけばしく着飾る"],
+3686:["adj","feeling that everything is spinning","めまいがする"],
+3687:["x"],
+3688:["n","a spirit in Islamic belief (jinn)","ジン（精霊）"],
+3689:["n","spirits in Islamic belief (plural of djin)","ジン（精霊、複数）"],
+3690:["v","doing (obsolete)","していること（廃語）"],
+3691:["v","dotes (obsolete spelling)","溺愛する（古い綴り）"],
+3692:["x"],
+3693:["n","a loom attachment for weaving small patterns","ドビー装置"],
+3694:["n","a sun-dried brick (adobe)","日干しれんが"],
+3695:["n","an old Spanish gold coin","ドブラ（スペインの古い金貨）"],
+3696:["n","a Hungarian layered sponge cake with chocolate and caramel","ドボシュトルタ"],
+3697:["n","the money unit of São Tomé and Príncipe","ドブラ（通貨）"],
+3698:["n","places where ships load and unload (plural of dock)","波止場（複数）"],
+3699:["x"],
+3700:["v","to move quickly to avoid","かわす","He dodged the ball."],
+3701:["adj","dishonest or unreliable (British informal)","怪しい（英略式）"],
+3702:["n","extinct flightless birds; old-fashioned people (plural of dodo)","ドードー（複数）"],
+3703:["n","people who get things done (plural of doer)","実行家（複数）"],
+3704:["x"],
+3705:["v","do (archaic second person singular)","する（古語、二人称単数）"],
+3706:["v","does (archaic third person singular)","する（古語、三人称単数）"],
+3707:["v","takes off, as a hat (third person of doff)","脱ぐ"],
+3708:["adj","relating to a doge","ドージェの"],
+3709:["n","elected rulers of Venice or Genoa (plural of doge)","ドージェ（複数）"],
+3710:["n","a motherless calf (dogie)","母のない子牛"],
+3711:["adv","quiet and hidden (British slang, as in lie doggo)","じっと隠れて（英俗）"],
+3712:["n","a dog (child's word)","わんちゃん"],
+3713:["n","a motherless calf in a herd","母のない子牛"],
+3714:["x"],
+3715:["n","beliefs accepted without question","教義、独断","Religious dogma."],
+3716:["x"],
+3717:["n","a small decorative mat made of lace or paper","ドイリー（敷物）"],
+3718:["n","a Romanian folk song with a free rhythm","ドイナ（ルーマニアの民謡）"],
+3719:["v","performing (present participle of do)","〜している","What are you doing?"],
+3720:["n","tiny old Dutch coins; trifles (plural of doit)","小銭（複数）"],
+3721:["n","places for practising martial arts (plural of dojo)","道場（複数）"],
+3722:["adv","sweetly and gently (music)","甘く柔らかに（音楽）"],
+3723:["n","Italian desserts","ドルチェ（イタリアのデザート）"],
+3724:["v","handed out in small amounts (past of dole)","少しずつ分け与えた"],
+3725:["v","hands out in small amounts (third person of dole)","少しずつ分け与える"],
+3726:["x"],
+3727:["x"],
+3728:["n","toy figures of people (plural of doll)","人形（複数）"],
+3729:["n","a doll (child's word); a low cart","お人形、台車","Move the box on a dolly."],
+3730:["n","grief or sorrow (poetic)","悲しみ（詩語）"],
+3731:["n","a large concrete block with arms used in breakwaters","ドロス（消波ブロック）"],
+3732:["n","stupid people (plural of dolt)","まぬけ（複数）"],
+3733:["n","evil intent, such as fraud (law)","故意、詐欺（法律）"],
+3734:["adj","relating to a house","家の"],
+3735:["x"],
+3736:["adj","shaped like a dome","ドーム状の"],
+3737:["x"],
+3738:["n","rounded roofs (plural of dome)","ドーム（複数）"],
+3739:["x"],
+3740:["x"],
+3741:["n","a house in ancient Rome","ドムス（古代ローマの邸宅）"],
+3742:["n","the Germanic god of thunder","ドナール（雷神）"],
+3743:["n","Spanish ladies (plural of doña)","ドニャ（複数）"],
+3744:["n","a grammar; a primer (obsolete)","文法書（廃語）"],
+3745:["n","a giant cane grass of southern Europe","ダンチク"],
+3746:["x"],
+3747:["x"],
+3748:["n","a person who receives a gift","受贈者"],
+3749:["n","a grammar; a primer (obsolete, donat)","文法書（廃語）"],
+3750:["x"],
+3751:["n","a dry gully (South African)","涸れ谷（南ア）"],
+3752:["n","money units of Vietnam; ringing sounds (plural of dong)","ドン（通貨）、鐘の音（複数）"],
+3753:["x"],
+3754:["n","a given name","ドナ（人名）","Donna teaches piano."],
+3755:["n","a given fact or premise (donnée)","所与"],
+3756:["x"],
+3757:["n","a person who gives money or blood","寄付者、提供者","A blood donor."],
+3758:["x"],
+3759:["x"],
+3760:["n","a sweet ring-shaped fried cake","ドーナツ","He ate a chocolate donut."],
+3761:["x"],
+3762:["n","a covered litter for carrying people (India)","ドゥーリー（かご）"],
+3763:["n","a covered litter for carrying people (India)","ドゥーリー（かご）"],
+3764:["n","terrible fates (plural of doom)","破滅（複数）"],
+3765:["n","panels that open and close entrances (plural of door)","ドア","The doors open at nine."],
+3766:["n","something outstanding (informal)","すごいもの（略式）"],
+3767:["x"],
+3768:["v","given drugs (past of dope); treated with a substance","薬物を与えた、添加した","Doped silicon."],
+3769:["n","a drug user (slang)","麻薬常用者（俗）"],
+3770:["n","stupid people; drugs (slang, plural of dope)","まぬけ、麻薬（俗、複数）"],
+3771:["adj","sleepy or dull, as if drugged; stupid","ぼんやりした、まぬけな"],
+3772:["n","a large herring-like fish of the Indo-Pacific, the wolf herring","オキイワシ"],
+3773:["n","a fish, the dorado","ドラード（魚）"],
+3774:["x"],
+3775:["n","the John Dory fish","マトウダイ"],
+3776:["x"],
+3777:["x"],
+3778:["adj","of the simplest style of ancient Greek columns","ドーリア式の"],
+3779:["n","a given name","ドリス（人名）","Doris knits scarves."],
+3780:["n","a ritual object representing a thunderbolt in Tibetan Buddhism","ドルジェ（金剛杵）"],
+3781:["n","student residence halls (plural of dorm)","寮（複数）"],
+3782:["adj","ahead by as many holes as remain to play (golf)","ドーミーの（ゴルフ）"],
+3783:["n","small villages (South African, plural of dorp)","小さな村（南ア、複数）"],
+3784:["n","dor beetles (plural of dorr)","センチコガネ（複数）"],
+3785:["n","plural of dorsum (backs)","背（複数）"],
+3786:["n","the back of a book; a dorsal","背表紙"],
+3787:["x"],
+3788:["v","sulks (Scottish, third person of dort)","すねる（スコットランド）"],
+3789:["adj","sulky (Scottish)","すねた（スコットランド）"],
+3790:["v","gave a medicine to (past of dose)","投薬した"],
+3791:["n","a device that measures out doses","計量投与器"],
+3792:["n","measured amounts of medicine (plural of dose)","服用量（複数）"],
+3793:["x"],
+3794:["x"],
+3795:["adj","relating to a dowry","持参金の"],
+3796:["adj","foolish; decayed (obsolete)","愚かな、朽ちた（廃語）"],
+3797:["n","someone who dotes; a senile person","溺愛する人、もうろくした人"],
+3798:["v","shows too much fondness (third person of dote)","溺愛する"],
+3799:["adj","slightly crazy or eccentric (informal)","少しいかれた（略式）"],
+3800:["n","a village of Arab tents","ドゥアール（天幕の村）"],
+3801:["n","a feeling of not being sure","疑い","There is no doubt about it."],
+3802:["adj","sober and quiet (Scottish)","落ち着いた（スコットランド）"],
+3803:["n","a mix of flour and water for baking","生地","Knead the dough well."],
+3804:["x"],
+3805:["x"],
+3806:["n","a kind of sorghum grown for grain (durra)","モロコシ"],
+3807:["v","to pour water over; to put out a light","水をかける、消す"],
+3808:["x"],
+3809:["n","a port town in south-east England","ドーバー","The white cliffs of Dover."],
+3810:["n","small pigeons (plural of dove)","ハト（複数）"],
+3811:["adj","affectionate, as in lovey-dovey (informal)","べたべたした（略式）"],
+3812:["adj","unfashionable and dull in appearance","野暮ったい"],
+3813:["x"],
+3814:["n","a wooden pin that holds two pieces together","ダボ"],
+3815:["n","a widow's share of her husband's property","寡婦産","Her dower included the house."],
+3816:["adj","dull and dismal (Scottish)","陰気な（スコットランド）"],
+3817:["adj","dull; lonely (dialect)","陰気な、寂しい（方言）"],
+3818:["n","low grassy hills; bad times (plural of down)","丘陵、不調","Ups and downs."],
+3819:["adj","soft and fluffy like down","綿毛のような"],
+3820:["n","property a bride brings to her husband","持参金"],
+3821:["v","to search for water with a rod; to douse","ダウジングする、水をかける"],
+3822:["n","a dove (obsolete)","ハト（廃語）"],
+3823:["n","a mistress or lover (doxy)","情婦"],
+3824:["n","the most respected or senior member of a group","長老、第一人者"],
+3825:["adj","stupid; confused (Scottish)","ぼんやりした（スコットランド）"],
+3826:["n","a small ornamental mat (doily)","ドイリー（敷物）"],
+3827:["x"],
+3828:["v","slept lightly (past of doze)","うたた寝した"],
+3829:["n","a group of twelve","ダース、12 個","Buy a dozen eggs."],
+3830:["n","a bulldozer; someone who dozes","ブルドーザー、居眠りする人"],
+3831:["v","sleeps lightly (third person of doze)","うたた寝する"],
+3832:["n","slovenly women (dated); small amounts, as in dribs and drabs","だらしない女、ちびちび"],
+3833:["n","the Dragon, a northern constellation","りゅう座"],
+3834:["n","waste left after brewing; dregs","酒かす"],
+3835:["n","a first version of a text; a cold current of air","下書き、すきま風","This is only a draft."],
+3836:["x"],
+3837:["v","pulls along the ground (third person of drag)","引きずる"],
+3838:["v","to trail or draggle (obsolete)","引きずる（廃語）"],
+3839:["n","a pipe that carries water away","排水管","The drain is blocked."],
+3840:["n","a male duck","雄のカモ","A drake swam by."],
+3841:["n","a play for the stage; exciting events","劇、ドラマ","She studies drama."],
+3842:["x"],
+3843:["x"],
+3844:["n","small drinks of spirits (plural of dram)","（酒の）少量（複数）"],
+3845:["x"],
+3846:["v","took liquid into the mouth (past of drink)","飲んだ","She drank some milk."],
+3847:["v","to drone or drawl (dialect)","だらだら話す（方言）"],
+3848:["v","to hang cloth loosely over something","ゆったりと掛ける"],
+3849:["x"],
+3850:["interj","a mild expression of annoyance (drat)","ちぇっ"],
+3851:["v","drove (archaic past of drive)","駆った（古語）"],
+3852:["x"],
+3853:["v","to speak slowly with long vowel sounds","のろのろ話す"],
+3854:["v","pulled; made a picture (past participle of draw)","描かれた、引かれた","The curtains were drawn."],
+3855:["v","makes pictures with lines; pulls (third person of draw)","描く、引く"],
+3856:["n","low carts for heavy loads (plural of dray)","荷馬車（複数）"],
+3857:["n","great fear","恐怖","He lived in dread of the exam."],
+3858:["n","images in the mind while sleeping; a hope","夢","I had a strange dream."],
+3859:["adj","dreary (poetic)","わびしい（詩語）"],
+3860:["n","rubbish or trash (slang)","くず（俗）"],
+3861:["v","endured (Scottish, past of dree)","耐えた（スコットランド）"],
+3862:["v","to drip; to drop down (Scottish)","したたる（スコットランド）"],
+3863:["v","endures (Scottish, third person of dree)","耐える（スコットランド）"],
+3864:["n","the worst parts left at the bottom of a liquid","おり、かす"],
+3865:["x"],
+3866:["n","a free tenant in old Northumbria","ドレング（古い自由保有者）"],
+3867:["adj","drenched; drowned (obsolete)","ずぶぬれの、溺れた（廃語）"],
+3868:["n","a one-piece garment for women or girls; clothing","ドレス、服装","She wore a blue dress."],
+3869:["v","dressed (archaic past of dress)","装った（古語）"],
+3870:["x"],
+3871:["n","small amounts, as in dribs and drabs (plural of drib)","少量（複数）"],
+3872:["adj","with the water removed","乾燥した","Dried fruit keeps for months."],
+3873:["adj","more dry (comparative of dry)","より乾いた","The air is drier today."],
+3874:["v","becomes or makes dry (third person of dry)","乾く、乾かす"],
+3875:["v","to be carried slowly by wind or water","漂う","The boat drifted out to sea."],
+3876:["n","a tool for making holes; a practice exercise","ドリル、訓練","We had a fire drill today."],
+3877:["adv","in a quietly ironic way; without moisture","淡々と、乾いて"],
+3878:["v","to take liquid into the mouth and swallow","飲む","Drink plenty of water."],
+3879:["x"],
+3880:["n","falling drops of liquid (plural of drip)","しずく（複数）"],
+3881:["v","dripped (archaic)","したたった（古語）"],
+3882:["x"],
+3883:["v","to control a car","運転する","Can you drive?"],
+3884:["x"],
+3885:["v","to work slowly; to drudge (obsolete)","こつこつ働く（廃語）"],
+3886:["n","a legal right","権利"],
+3887:["adj","amusing in an odd way","ひょうきんな"],
+3888:["n","the crab plover, a shorebird","カニチドリ"],
+3889:["x"],
+3890:["n","a male bee; an unmanned aircraft; a low continuous sound","雄バチ、ドローン、うなり"],
+3891:["adj","like a drone; lazy","怠惰な"],
+3892:["n","a dull or hopeless person (Australian slang)","さえないやつ（豪俗）"],
+3893:["v","to let saliva run from the mouth","よだれを垂らす"],
+3894:["v","to hang or sag downwards","垂れ下がる"],
+3895:["n","small amounts of liquid; falls (plural of drop)","しずく、落下（複数）"],
+3896:["v","dropped (archaic)","落とした（古語）"],
+3897:["n","waste matter; worthless rubbish","かす、くず"],
+3898:["x"],
+3899:["v","to drench (Scottish)","ずぶぬれにする（スコットランド）"],
+3900:["v","controlled a car (past of drive)","運転した","She drove to work."],
+3901:["adj","muddy; filthy (obsolete)","濁った、汚い（廃語）"],
+3902:["v","to die under water","溺れる","He almost drowned."],
+3903:["x"],
+3904:["v","beats thoroughly (third person of drub)","打ち負かす"],
+3905:["n","medicines or illegal narcotics (plural of drug)","薬、麻薬（複数）"],
+3906:["n","a priest of the ancient Celtic religion","ドルイド"],
+3907:["n","percussion instruments (plural of drum)","太鼓（複数）"],
+3908:["x"],
+3909:["adj","affected by too much alcohol","酔った","He was drunk."],
+3910:["x"],
+3911:["n","a fruit with a hard stone in the middle, such as a plum","核果"],
+3912:["n","a family name (as in Drury Lane)","ドルーリー（姓）","A theater on Drury Lane."],
+3913:["n","a rock cavity lined with crystals; a member of the Druze faith","晶洞、ドルーズ派の信者"],
+3914:["adj","covered with tiny crystals","微晶で覆われた"],
+3915:["adj","(of timber) having decayed whitish spots","（木材が）腐朽斑のある"],
+3916:["n","a member of a religious community of the Middle East","ドルーズ派の信者"],
+3917:["n","a nymph of the woods in Greek myth","木の精"],
+3918:["n","a small arctic-alpine plant, mountain avens","チョウノスケソウ属"],
+3919:["n","a machine that dries clothes or hair","乾燥機、ドライヤー","Put the towels in the dryer."],
+3920:["adv","in a quietly ironic way; without moisture","淡々と、乾いて"],
+3921:["n","drought (obsolete)","干ばつ（廃語）"],
+3922:["x"],
+3923:["x"],
+3924:["n","pairs (plural of duad)","対（複数）"],
+3925:["x"],
+3926:["n","grammatical forms referring to two (plural of dual)","双数形（複数）"],
+3927:["x"],
+3928:["x"],
+3929:["x"],
+3930:["n","doubt, as in \"in dubio\" (Latin)","疑い（ラテン語）"],
+3931:["adj","relating to a duke","公爵の"],
+3932:["n","a former gold coin used in Europe","ダカット金貨"],
+3933:["n","leaders (plural of duce)","統領（複数）"],
+3934:["n","land ruled by a duke","公国","The Duchy of Cornwall."],
+3935:["n","water birds with flat bills (plural of duck)","アヒル、カモ（複数）"],
+3936:["n","a term of endearment (British informal)","かわいい人（英略式）"],
+3937:["n","tubes that carry liquid or air (plural of duct)","管（複数）"],
+3938:["adj","ragged (Scottish)","ぼろぼろの（スコットランド）"],
+3939:["n","men or guys (informal, plural of dude)","やつ、男（略式、複数）"],
+3940:["n","formal fights between two people (plural of duel)","決闘（複数）"],
+3941:["n","pieces for two performers (plural of duet)","二重奏（複数）"],
+3942:["n","steamed puddings; buttocks (slang, plural of duff)","蒸しプディング、尻（俗、複数）"],
+3943:["n","a ghost (West Indies, duppy)","幽霊（西インド諸島）"],
+3944:["x"],
+3945:["n","the Java plum tree of the Philippines","ムラサキフトモモ"],
+3946:["x"],
+3947:["x"],
+3948:["n","nobles of the highest rank (plural of duke)","公爵（複数）"],
+3949:["n","pearl millet (Arabic)","トウジンビエ（アラビア語）"],
+3950:["v","to sweeten; to soothe (obsolete)","甘くする、なだめる（廃語）"],
+3951:["x"],
+3952:["n","the veneration given to saints and angels","聖人崇敬"],
+3953:["v","makes less sharp or bright (third person of dull)","鈍らせる"],
+3954:["adv","in a boring or unlively way","退屈に"],
+3955:["n","an edible red seaweed","ダルス（食用紅藻）"],
+3956:["n","a French novelist family name (Alexandre Dumas)","デュマ（フランスの作家）"],
+3957:["x"],
+3958:["v","makes dumb, as in dumbs down (third person of dumb)","単純化する"],
+3959:["x"],
+3960:["n","a melancholy Slavic folk ballad","ドゥムカ（哀歌）"],
+3961:["n","plural of dumka (melancholy Slavic ballads)","ドゥムキー（哀歌、複数）"],
+3962:["n","a model of a human; a fake","人形、模造品","A crash-test dummy."],
+3963:["n","a gloomy state, as in \"down in the dumps\"","憂鬱"],
+3964:["adj","short and fat","ずんぐりした"],
+3965:["adj","relating to dunes","砂丘の"],
+3966:["n","a slow learner; a stupid person","のろま"],
+3967:["v","to nudge or jog (Scottish)","小突く（スコットランド）"],
+3968:["n","hills of sand (plural of dune)","砂丘（複数）"],
+3969:["n","animal droppings (plural of dung)","糞（複数）"],
+3970:["adj","full of dung; filthy","糞だらけの、汚い"],
+3971:["v","dips food into a drink; slams a basketball (third person of dunk)","浸す、ダンクする"],
+3972:["x"],
+3973:["v","don't know (informal)","知らない（略式）"],
+3974:["n","a toilet, often outside (Australian slang)","便所（豪俗）"],
+3975:["x"],
+3976:["n","blows or thumps (Scottish, plural of dunt)","打撃（スコットランド、複数）"],
+3977:["x"],
+3978:["n","plural of duomo (Italian cathedrals)","大聖堂（複数）"],
+3979:["n","an Italian cathedral","大聖堂（イタリア）"],
+3980:["v","tricked (past of dupe)","だました"],
+3981:["n","someone who tricks others","人をだます者"],
+3982:["n","people who are easily tricked (plural of dupe)","カモ（複数）"],
+3983:["x"],
+3984:["adj","having two beats in a bar (music)","2 拍子の"],
+3985:["n","a second reply in Scots law","再答弁（スコットランド法）"],
+3986:["x"],
+3987:["n","a ghost (Caribbean)","幽霊（カリブ）"],
+3988:["adj","relating to the dura mater","硬膜の"],
+3989:["n","outer membranes around the brain (plural of dura)","硬膜（複数）"],
+3990:["x"],
+3991:["v","endured or lasted (obsolete, past of dure)","続いた（廃語）"],
+3992:["x"],
+3993:["v","lasts; endures (obsolete, third person of dure)","続く（廃語）"],
+3994:["x"],
+3995:["x"],
+3996:["n","a breed of red American pig","デュロック（豚の品種）"],
+3997:["n","Spanish silver dollars (plural of duro)","ドゥーロ銀貨（複数）"],
+3998:["n","a coarse woollen cloth (obsolete)","粗い毛織物（廃語）"],
+3999:["n","a kind of grain sorghum","モロコシ"],
+4000:["x"],
+4001:["n","a cigarette (Australian slang)","たばこ（豪俗）"],
+4002:["v","dared (archaic past of dare)","あえてした（古語）"],
+4003:["n","a hard wheat used to make pasta","デュラム小麦"],
+4004:["x"],
+4005:["n","a tailor (India)","仕立屋（インド）"],
+4006:["x"],
+4007:["n","times of early evening darkness (plural of dusk)","夕暮れ（複数）"],
+4008:["adj","darkish; shadowy","薄暗い、黒ずんだ","A dusky evening."],
+4009:["v","removes dust (third person of dust)","ほこりを払う"],
+4010:["adj","covered with dust","ほこりっぽい","A dusty old book."],
+4011:["adj","from or relating to the Netherlands","オランダの","Dutch cheese is famous."],
+4012:["x"],
+4013:["n","a thick soft quilt used as a bed cover","羽毛布団"],
+4014:["n","top pupils of a class (plural of dux)","首席生徒（複数）"],
+4015:["x"],
+4016:["n","deadly nightshade","ベラドンナ"],
+4017:["n","a swoon or fainting fit (Scottish)","気絶（スコットランド）"],
+4018:["n","a short piece of wood between studs to stiffen them","間柱のつなぎ材"],
+4019:["n","a very small person or creature in stories","小人","Snow White and the Seven Dwarfs."],
+4020:["v","to live somewhere; to think about too much","住む、くよくよ考える","Don't dwell on the past."],
+4021:["v","lived; thought about (past of dwell)","住んだ","They dwelt in caves."],
+4022:["v","to waste away or pine (obsolete)","やつれる（廃語）"],
+4023:["n","pairs (plural of dyad)","対（複数）"],
+4024:["n","people who dye cloth (plural of dyer)","染物師（複数）"],
+4025:["v","coming to the end of life (present participle of die)","死にかけている","The plant is dying."],
+4026:["v","protected with a dyke (past of dyke)","堤防で囲った"],
+4027:["n","a builder of dry-stone walls (Scottish)","石垣職人（スコットランド）"],
+4028:["n","walls to hold back water (plural of dyke); also a slur","堤防（複数）、蔑称"],
+4029:["n","a unit of work, the foot-pound (obsolete)","仕事の単位（廃語）"],
+4030:["n","a synthetic fibre used for wigs","ダイネル（合成繊維）"],
+4031:["n","units of force (plural of dyne)","ダイン（複数）"],
+4032:["x"],
+4033:["adj","wanting very much to do something","熱心な、〜したがる","He is eager to learn."],
+4034:["n","a large bird of prey with strong eyesight","ワシ","An eagle flew over the valley."],
+4035:["n","a tidal wave in a river (bore)","潮津波"],
+4036:["adj","having ears; (of pages) having turned-down corners","耳のある、角の折れた"],
+4037:["n","British nobles ranking below a marquess (plural of earl)","伯爵（複数）"],
+4038:["adj","near the beginning; before the usual time","早い","I got up early."],
+4039:["v","gets money for work (third person of earn)","稼ぐ"],
+4040:["n","a stubble field (arrish)","刈り株畑"],
+4041:["n","the planet we live on; soil","地球、土","The Earth goes around the sun."],
+4042:["v","made less painful or difficult (past of ease)","和らげた","The pill eased the pain."],
+4043:["n","a stand for holding a painting","画架"],
+4044:["x"],
+4045:["v","makes less painful or difficult (third person of ease)","和らげる"],
+4046:["x"],
+4047:["v","taken food (past participle of eat)","食べられた","Have you eaten?"],
+4048:["n","a person or animal that eats","食べる人"],
+4049:["adj","having eaves","軒のある"],
+4050:["x"],
+4051:["n","the lower edges of a roof that overhang the walls","軒"],
+4052:["v","flowed back out to sea; declined (past of ebb)","引いた、衰えた"],
+4053:["n","a common green newt","イモリ"],
+4054:["n","the chief evil spirit in Islamic belief (Iblis)","イブリース（悪魔）"],
+4055:["n","ebony trees or wood (plural of ebon)","黒檀（複数）"],
+4056:["n","a hard black wood; a deep black color","黒檀（の色）","The piano keys were made of ebony."],
+4057:["x"],
+4058:["x"],
+4059:["x"],
+4060:["v","increased (obsolete, past of eche)","増やした（廃語）"],
+4061:["x"],
+4062:["x"],
+4063:["x"],
+4064:["n","brilliant success or great effect","華々しさ"],
+4065:["x"],
+4066:["n","a school (French)","学校（フランス語）"],
+4067:["n","pale beige colours (plural of ecru)","生成り色（複数）"],
+4068:["adv","toward the outside (anatomy)","外方へ（解剖学）"],
+4069:["adj","outer; near the surface (anatomy)","外側の（解剖学）"],
+4070:["n","an adder (dialect); flexible wood for binding hedges","マムシ（方言）、生垣の結び枝"],
+4071:["adj","relating to the Eddas (Old Norse poems)","エッダの"],
+4072:["n","swelling caused by fluid in the body","浮腫、むくみ","Edema in the legs."],
+4073:["n","a given name (as in Edgar Allan Poe)","エドガー（人名）","Edgar wrote ghost stories."],
+4074:["v","moved slowly; gave a border (past of edge)","じりじり進んだ、縁取った","He edged closer."],
+4075:["n","a tool for trimming the edges of a lawn","縁刈り機"],
+4076:["n","outer borders (plural of edge)","縁（複数）"],
+4077:["n","an official order","布告、勅令","The king issued an edict."],
+4078:["v","to teach someone in a way that improves them morally","啓発する"],
+4079:["n","an aedile, a magistrate of ancient Rome","按察官（古代ローマ）"],
+4080:["x"],
+4081:["v","corrects and prepares text (third person of edit)","編集する"],
+4082:["v","to draw out or develop something latent","引き出す"],
+4083:["n","something drawn out or extracted","抽出物"],
+4084:["n","a person who catches eels","ウナギ漁師"],
+4085:["adj","unsteady; insecure (Scottish)","ぐらぐらした（スコットランド）"],
+4086:["adj","strange and frightening","不気味な"],
+4087:["x"],
+4088:["n","a newt (eft)","イモリ"],
+4089:["interj","an old exclamation of surprise","おや、まあ"],
+4090:["adj","equal (obsolete)","等しい（廃語）"],
+4091:["n","tidal bores (plural of eger, eagre)","潮津波（複数）"],
+4092:["v","to discharge waste from the body","排出する"],
+4093:["n","a large brown moth of Europe","カレハガ"],
+4094:["v","urged on (past of egg); threw eggs at","けしかけた、卵をぶつけた"],
+4095:["n","a person who collects eggs; an eggar moth","卵集めをする人、カレハガ"],
+4096:["n","a white heron with long legs","シラサギ","An egret stood in the rice field."],
+4097:["x"],
+4098:["n","a country in north-east Africa","エジプト","The pyramids are in Egypt."],
+4099:["n","a large sea duck prized for its soft down","ケワタガモ"],
+4100:["n","the distinctive ideas of a culture (anthropology)","エイドス"],
+4101:["n","the number 8","8","The shop opens at eight."],
+4102:["adj","eldest; first-born (law)","長子の（法律）"],
+4103:["n","an image or icon","像、イコン"],
+4104:["x"],
+4105:["v","to force out or expel","追い出す、排出する"],
+4106:["n","a communal farm in Mexico","エヒード（共有農地）"],
+4107:["x"],
+4108:["x"],
+4109:["v","making last, as in eking out (present participle of eke)","やりくりしている"],
+4110:["x"],
+4111:["n","olein, the liquid part of a fat","オレイン"],
+4112:["x"],
+4113:["n","a large African antelope with spiral horns","エランド"],
+4114:["n","bursts of energy and style (plural of elan)","意気込み（複数）"],
+4115:["n","a genus of venomous snakes","エラプス属（毒ヘビ）"],
+4116:["v","to make very happy","大喜びさせる"],
+4117:["n","ethylene (old chemistry term)","エチレン（古い用語）"],
+4118:["n","the joint in the middle of the arm","ひじ","He hit his elbow on the door."],
+4119:["adj","older (of two people in a family)","年上の","My elder sister is a nurse."],
+4120:["n","fuel (Scottish)","燃料（スコットランド）"],
+4121:["v","to choose by voting","選挙で選ぶ","They elected a new mayor."],
+4122:["n","a sad poem, especially for someone who has died","哀歌、挽歌"],
+4123:["n","a kind of dried fig from Turkey (elemi fig)","トルコの干しイチジク"],
+4124:["n","a fragrant resin used in varnishes and ointments","エレミ（樹脂）"],
+4125:["n","a pupil or student (élève)","生徒"],
+4126:["x"],
+4127:["adj","small and delicate, like an elf","妖精のような"],
+4128:["v","to leave out a sound or part of a word; to omit","（音を）省略する"],
+4129:["n","the best or most powerful group","エリート","The elite of the army."],
+4130:["x"],
+4131:["n","a given name","エレン（人名）","Ellen is a nurse."],
+4132:["x"],
+4133:["n","a funeral speech of praise (éloge)","弔辞、賛辞"],
+4134:["n","praise; a eulogy (obsolete)","賛辞（廃語）"],
+4135:["v","to remove or carry away (law, eloign)","持ち去る（法律）"],
+4136:["v","to lengthen; to keep away (obsolete)","延ばす、遠ざける（廃語）"],
+4137:["v","to run away secretly to get married","駆け落ちする"],
+4138:["n","a genus of fish including the ladyfish","カライワシ属"],
+4139:["x"],
+4140:["n","a shoemaker's awl (dialect)","靴屋の錐（方言）"],
+4141:["v","to escape from or avoid skilfully","巧みに逃れる"],
+4142:["v","to wash out with a solvent (chemistry)","溶離する"],
+4143:["n","a vein of granite-like rock in Cornwall (mining)","エルバン岩"],
+4144:["n","a young eel","シラスウナギ"],
+4145:["n","small magical beings (plural of elf)","妖精（複数）"],
+4146:["x"],
+4147:["x"],
+4148:["n","a message sent by computer","電子メール","Send me an email."],
+4149:["x"],
+4150:["v","to shut in; to bar (archaic)","閉じ込める（古語）"],
+4151:["v","to enclose in a bay; to bathe (obsolete)","湾内に閉じ込める"],
+4152:["v","to fix firmly inside something","埋め込む"],
+4153:["n","a small glowing piece of coal or wood in a fire","燃えさし、残り火","The embers glowed red."],
+4154:["v","to plunge into a bog","沼に沈める"],
+4155:["v","to bend like a bow; to arch","弓形に曲げる"],
+4156:["v","to put in a box","箱に入れる"],
+4157:["v","to imbue (variant spelling)","染み込ませる（異綴）"],
+4158:["v","to put troops into vehicles (military)","（部隊を）車両に乗せる（軍事）"],
+4159:["n","a master of ceremonies","司会者"],
+4160:["n","a breed of large white goose","エムデン（ガチョウの品種）"],
+4161:["n","an emir (variant spelling)","首長（異綴）"],
+4162:["v","to correct a text","（文章を）校訂する"],
+4163:["n","a hard rock used to smooth things","金剛砂","An emery board for nails."],
+4164:["n","emus (plural of emeu)","エミュー（複数）"],
+4165:["x"],
+4166:["x"],
+4167:["n","Muslim rulers (plural of emir)","首長（複数）"],
+4168:["v","sends out light, heat, or gas (third person of emit)","放つ"],
+4169:["x"],
+4170:["n","an ancient kind of wheat","エンマー小麦"],
+4171:["n","an ant (dialect)","アリ（方言）"],
+4172:["v","to shut up or confine (obsolete)","閉じ込める（廃語）"],
+4173:["prep","among (obsolete)","〜の間に（廃語）"],
+4174:["x"],
+4175:["x"],
+4176:["v","to show emotion in an exaggerated way","大げさに感情を表す"],
+4177:["v","to move (obsolete)","動かす（廃語）"],
+4178:["adj","containing nothing","空の","The box is empty."],
+4179:["v","to emulate (obsolete)","張り合う（廃語）"],
+4180:["x"],
+4181:["n","a freshwater tortoise (emyd)","ヌマガメ"],
+4182:["n","freshwater tortoises (plural of emyd)","ヌマガメ（複数）"],
+4183:["v","to make into law; to act out","制定する、演じる","Congress enacted the law."],
+4184:["x"],
+4185:["x"],
+4186:["x"],
+4187:["v","to arm (obsolete)","武装させる（廃語）"],
+4188:["adj","related on the mother's side","母方の"],
+4189:["x"],
+4190:["x"],
+4191:["n","abbreviation of encyclopedia","百科事典（略）"],
+4192:["v","finished (past of end)","終わった","The game ended in a draw."],
+4193:["n","someone or something that ends","終わらせる者"],
+4194:["v","to endow (obsolete)","授ける（廃語）"],
+4195:["x"],
+4196:["v","to give money or qualities to","寄付する、授ける"],
+4197:["v","to provide with a quality","授ける"],
+4198:["n","the Aeneid, Virgil's epic poem","アエネーイス"],
+4199:["n","a liquid injected into the rectum to empty the bowels","浣腸"],
+4200:["n","a person or country that fights against you","敵","They were once enemies."],
+4201:["prep","concerning (Scottish, anent)","〜に関して（スコットランド）"],
+4202:["adv","finally; in short (French)","結局（フランス語）"],
+4203:["x"],
+4204:["x"],
+4205:["n","a favourite; a paramour (obsolete)","お気に入り、情人（廃語）"],
+4206:["x"],
+4207:["n","an early electronic computer built in 1945","ENIAC（初期の電子計算機）"],
+4208:["v","to get pleasure from","楽しむ","Enjoy your meal."],
+4209:["v","to inlay","はめ込む"],
+4210:["v","to shut up or confine (emmew)","閉じ込める"],
+4211:["v","to make new (obsolete)","新しくする（廃語）"],
+4212:["x"],
+4213:["n","annoyance (obsolete)","悩み（廃語）"],
+4214:["n","a feeling of boredom and dissatisfaction","倦怠、アンニュイ"],
+4215:["n","a biblical patriarch, father of Methuselah","エノク（聖書）"],
+4216:["v","to clear of knots (obsolete)","節を取る（廃語）"],
+4217:["x"],
+4218:["n","organic compounds with a hydroxyl group on a double-bonded carbon (plural of enol)","エノール（複数）"],
+4219:["adj","enormous (obsolete)","巨大な（廃語）"],
+4220:["v","to adorn (obsolete)","飾る（廃語）"],
+4221:["adj","enough (archaic plural form of enow)","十分な（古語）"],
+4222:["x"],
+4223:["x"],
+4224:["x"],
+4225:["v","to sign up as a member or student (enroll)","登録する"],
+4226:["x"],
+4227:["v","to raise to the skies","天に上げる"],
+4228:["v","to happen as a result","結果として起こる","Chaos ensued."],
+4229:["adv","toward the inside (anatomy)","内方へ（解剖学）"],
+4230:["adj","inner; deep (anatomy)","内側の（解剖学）"],
+4231:["x"],
+4232:["v","to go into","入る","Please enter the room."],
+4233:["n","plural of ens (beings or entities, philosophy)","存在者（複数、哲学）"],
+4234:["x"],
+4235:["x"],
+4236:["n","the act of going in; an item in a list","入場、項目","Entry is free."],
+4237:["x"],
+4238:["v","to inure; to accustom","慣れさせる"],
+4239:["n","a short closing stanza of a poem (envoy)","反歌、結句"],
+4240:["n","a messenger sent by a government","使節","A peace envoy."],
+4241:["x"],
+4242:["n","an enzyme (old spelling)","酵素（古い綴り）"],
+4243:["x"],
+4244:["n","a red dye used to stain tissue for microscopy","エオシン"],
+4245:["n","the moon's age at the start of the year","エパクト（月齢）"],
+4246:["n","fencing swords with heavy blades (plural of epee)","エペ（複数）"],
+4247:["x"],
+4248:["n","an ancient Hebrew dry measure","エファ（古代ヘブライの升）"],
+4249:["n","ancient Hebrew dry measures (plural of epha)","エファ（複数）"],
+4250:["n","a vestment worn by Jewish priests in ancient times","エポデ（祭服）"],
+4251:["n","plural of ephoros, a Greek magistrate (ephors)","エフォロス（複数）"],
+4252:["n","one of five magistrates of ancient Sparta","監督官（古代スパルタ）"],
+4253:["n","long poems or films about heroic deeds (plural of epic)","叙事詩（複数）"],
+4254:["x"],
+4255:["x"],
+4256:["x"],
+4257:["n","a period of time in history","時代、新紀元","A new epoch in science."],
+4258:["n","the third part of an ancient ode; a lyric poem","エポード（抒情詩）"],
+4259:["n","someone initiated into a secret system","秘儀を授かった者"],
+4260:["n","a strong glue","エポキシ樹脂","Glue it with epoxy."],
+4261:["x"],
+4262:["adj","in love (French, épris)","恋している（フランス語）"],
+4263:["n","a town in Surrey, England, known for Epsom salts","エプソム（英国の町）"],
+4264:["x"],
+4265:["adj","the same in size, number or value","等しい","All people are equal."],
+4266:["n","a Roman knight","騎士（ローマ）"],
+4267:["n","a member of the horse family","ウマ科の動物"],
+4268:["v","to give the tools needed","装備する","Equip the team with radios."],
+4269:["adj","abbreviation of equivalent","同等の（略）"],
+4270:["x"],
+4271:["v","to remove completely","消す"],
+4272:["n","the Muse of lyric and love poetry","エラト（抒情詩の女神）"],
+4273:["n","erbium oxide","酸化エルビウム"],
+4274:["adj","upright","直立した","Stand erect."],
+4275:["x"],
+4276:["n","potential energy (old physics term)","位置エネルギー（古い用語）"],
+4277:["n","a unit of work (old term)","仕事の単位（古い用語）"],
+4278:["n","a fungus disease of rye and other grains","麦角"],
+4279:["n","the heath genus of plants","エリカ属"],
+4280:["x"],
+4281:["x"],
+4282:["n","a hermit (obsolete)","隠者（廃語）"],
+4283:["n","sea eagles (plural of erne)","オジロワシ（複数）"],
+4284:["v","to wear away gradually","侵食する"],
+4285:["adj","having an irregularly notched edge","ぎざぎざの"],
+4286:["v","made a mistake (past of err)","誤った","The judge erred."],
+4287:["x"],
+4288:["n","a mistake","誤り","There is an error in the code."],
+4289:["n","bitter vetch plants (plural of ers)","ニガソラマメ（複数）"],
+4290:["n","a genus of plants including rocket (arugula); a caterpillar (old term)","キバナスズシロ属"],
+4291:["v","to belch","げっぷをする"],
+4292:["x"],
+4293:["x"],
+4294:["v","to burst out suddenly, as a volcano","噴火する、勃発する"],
+4295:["n","bitter vetch (obsolete)","ニガソラマメ（廃語）"],
+4296:["x"],
+4297:["n","a long ridge of gravel left by a glacier (esker)","エスカー"],
+4298:["v","to pay for; to maintain (obsolete)","養う（廃語）"],
+4299:["x"],
+4300:["x"],
+4301:["x"],
+4302:["n","a long ridge of gravel left by a glacier (esker)","エスカー"],
+4303:["n","a long winding ridge of gravel left by a glacier","エスカー"],
+4304:["adv","abbreviation of especially","特に（略）"],
+4305:["n","a citron used in the Jewish festival of Sukkot (etrog)","エトログ"],
+4306:["n","a short piece of writing on one subject","随筆、小論文","Write an essay about your town."],
+4307:["x"],
+4308:["x"],
+4309:["n","the letters S (plural of ess)","S の字（複数）"],
+4310:["x"],
+4311:["n","a chemical compound that often smells fruity","エステル","Esters give fruit its smell."],
+4312:["n","a long thrusting sword","エストック（刺突剣）"],
+4313:["v","to prevent legally by estoppel (law)","禁反言で妨げる（法律）"],
+4314:["n","the interior of a building (obsolete)","建物の内部（廃語）"],
+4315:["x"],
+4316:["n","a shallow lake or lagoon (French)","池、潟（フランス語）"],
+4317:["n","a day's march; a stopping place for troops","行軍の宿営地"],
+4318:["n","cetyl alcohol","セチルアルコール"],
+4319:["n","a given name","エセル（人名）","Ethel grew roses."],
+4320:["n","a liquid once used to put patients to sleep; the upper air","エーテル","The doctor used ether."],
+4321:["n","a set of moral principles","倫理","A strong work ethic."],
+4322:["x"],
+4323:["n","the typical spirit of a group","気風、精神","The ethos of the school."],
+4324:["n","a chemical group found in alcohol","エチル基","Ethyl alcohol."],
+4325:["adv","also; even (Latin)","〜もまた（ラテン語）"],
+4326:["n","small burners for heating liquids (plural of etna)","小型湯沸かし器（複数）"],
+4327:["n","a citron used in the Jewish festival of Sukkot","エトログ"],
+4328:["v","to intend or aim (dialect)","もくろむ（方言）"],
+4329:["n","a piece of music written as a study","練習曲、エチュード"],
+4330:["n","small ornamental cases (plural of etui)","小物入れ（複数）"],
+4331:["x"],
+4332:["x"],
+4333:["n","a small ornamental case (etui)","小物入れ"],
+4334:["n","plural of etymon (root words)","語源（複数）"],
+4335:["x"],
+4336:["x"],
+4337:["n","a Swiss mathematician (Leonhard Euler)","オイラー（数学者）"],
+4338:["x"],
+4339:["n","currency units of the European Union (plural of euro)","ユーロ（複数）"],
+4340:["n","the east wind","東風"],
+4341:["n","an antiseptic solution of chlorinated lime and boric acid","ユーソル（消毒液）"],
+4342:["v","to escape or avoid","逃れる、回避する","He evaded the question."],
+4343:["x"],
+4344:["n","a family name","エバンズ（姓）","Mr. Evans runs the shop."],
+4345:["x"],
+4346:["x"],
+4347:["v","to happen (obsolete)","起こる（廃語）"],
+4348:["n","even money in betting","五分五分の賭け率"],
+4349:["n","something that happens, especially something important","出来事、行事","The festival is a big event."],
+4350:["v","to turn inside out","裏返す"],
+4351:["adj","each one of a group","すべての、毎〜","I walk every day."],
+4352:["x"],
+4353:["v","to force someone to leave their home by law","立ち退かせる"],
+4354:["n","wicked or harmful things (plural of evil)","悪（複数）"],
+4355:["v","to avoid (obsolete)","避ける（廃語）"],
+4356:["v","to bring to mind","呼び起こす","The song evokes memories."],
+4357:["x"],
+4358:["n","large jugs with wide spouts (plural of ewer)","水差し（複数）"],
+4359:["n","a room where ewers and table linen were kept","水差し置き場"],
+4360:["adj","near; close at hand (Scottish)","近い（スコットランド）"],
+4361:["x"],
+4362:["n","a family name","ユーイング（姓）","The Ewing family."],
+4363:["adj","completely correct","正確な","What is the exact time?"],
+4364:["v","to praise highly; to raise in rank","称える、高める"],
+4365:["n","tests of knowledge (plural of exam)","試験（複数）"],
+4366:["x"],
+4367:["v","to be very good at","秀でる","She excels at math."],
+4368:["x"],
+4369:["v","to run out; to extend (obsolete)","広がる（廃語）"],
+4370:["x"],
+4371:["n","a permission for a student to be absent","外出許可"],
+4372:["n","executives (informal, plural of exec)","重役（略式、複数）"],
+4373:["v","to cut off or out (obsolete)","切除する（廃語）"],
+4374:["x"],
+4375:["v","to use force or effort","（力を）使う","Exert yourself."],
+4376:["x"],
+4377:["n","hysterics (dialect)","ヒステリー（方言）"],
+4378:["n","being forced to live away from your country","亡命、追放","He lived in exile."],
+4379:["n","the outer layer of a pollen grain","外膜（花粉）"],
+4380:["v","crossing out with an X (present participle of ex)","×で消している"],
+4381:["x"],
+4382:["v","to be real; to be present","存在する","Do ghosts exist?"],
+4383:["n","an outer branch of a crustacean's limb","外肢"],
+4384:["n","ways out (plural of exit)","出口（複数）"],
+4385:["adj","outside the law; outlawed (Latin)","法の保護外の（ラテン語）"],
+4386:["n","a comic afterpiece in ancient Roman theatre","エクソディウム（幕後の笑劇）"],
+4387:["n","an exodus; a departure (obsolete)","出発、脱出（廃語）"],
+4388:["x"],
+4389:["x"],
+4390:["v","to force to leave","追放する"],
+4391:["n","exhibitions (plural of expo)","博覧会（複数）"],
+4392:["adj","abbreviation of experimental","実験の（略）"],
+4393:["n","abbreviation of expressway","高速道路（略）"],
+4394:["n","short for exsecant (trigonometry)","エクセカント"],
+4395:["x"],
+4396:["v","to praise enthusiastically","褒めたたえる"],
+4397:["adj","more than usual","余分の、追加の","Bring an extra pen."],
+4398:["v","to give off slowly; to show a feeling strongly","にじみ出る、漂わせる"],
+4399:["v","to show great joy","大喜びする"],
+4400:["n","a prosperous area beyond the suburbs","準郊外"],
+4401:["x"],
+4402:["x"],
+4403:["n","a young hawk taken from the nest for training","巣立ち前の若鷹"],
+4404:["n","people who watch closely (plural of eyer)","じっと見る人（複数）"],
+4405:["n","a young hawk (eyass)","若鷹"],
+4406:["n","a small river island (eyot)","川中の小島"],
+4407:["v","looking at closely (present participle of eye)","じっと見ている"],
+4408:["x"],
+4409:["x"],
+4410:["n","wild cats of tropical America (plural of eyra)","ジャガランディ（複数）"],
+4411:["n","eggs (obsolete, plural of ey)","卵（廃語、複数）"],
+4412:["x"],
+4413:["n","circuits of travelling judges (plural of eyre)","巡回裁判（複数）"],
+4414:["n","the nest of an eagle or other bird of prey","（ワシなどの）巣"],
+4415:["n","a money unit of Iceland, one hundredth of a krona","エイリル（アイスランドの補助通貨）"],
+4416:["x"],
+4417:["x"],
+4418:["n","a short story with a moral, often with animals","寓話","Aesop's fables."],
+4419:["v","looked toward; dealt with (past of face)","直面した、向いた","She faced many problems."],
+4420:["n","a sudden unexpected difficulty (dated British)","突然の難題（英、古風）"],
+4421:["n","fronts of heads (plural of face)","顔（複数）"],
+4422:["n","one side or part of something","面、側面","Every facet of life."],
+4423:["n","a nameboard over a shop; a dashboard (fascia)","看板、計器盤"],
+4424:["n","face, as in prima facie (Latin)","一見して（ラテン語）"],
+4425:["x"],
+4426:["x"],
+4427:["adv","in fact (in de facto)","事実上（de facto）","The de facto leader."],
+4428:["n","things known to be true (plural of fact)","事実（複数）"],
+4429:["adj","full of facts (informal)","事実の多い（略式）"],
+4430:["adj","fussy about food (British informal)","好き嫌いの多い（英略式）"],
+4431:["adj","having lost color or brightness","色あせた","Faded jeans."],
+4432:["x"],
+4433:["n","a control for gradually changing sound volume; a father (obsolete)","フェーダー、父（廃語）"],
+4434:["v","gradually disappears (third person of fade)","薄れる"],
+4435:["v","to fit or agree (archaic)","うまく合う（古語）"],
+4436:["n","a fathom (obsolete)","尋（ひろ、廃語）"],
+4437:["n","sad Portuguese folk songs (plural of fado)","ファド（複数）"],
+4438:["n","the final series of passes before the kill in a bullfight","ファエナ（闘牛の仕上げ）"],
+4439:["n","fairyland; a fairy (archaic)","妖精の国、妖精（古語）"],
+4440:["x"],
+4441:["x"],
+4442:["x"],
+4443:["n","a person who trains children to steal, after a Dickens character","（子どもに盗みを教える）悪党"],
+4444:["n","a bundle of sticks for fuel (faggot); also an offensive slur","薪の束、蔑称"],
+4445:["n","the leaves of an orchid of Mauritius, used as tea","ファハム茶"],
+4446:["v","does not succeed (third person of fail)","失敗する"],
+4447:["n","a truce term children use in games (British, plural of fain)","タイム（子どもの遊び言葉）"],
+4448:["adj","weak; not clear","かすかな","A faint sound."],
+4449:["x"],
+4450:["x"],
+4451:["n","funfairs or trade exhibitions (plural of fair)","祭り、見本市（複数）"],
+4452:["n","a small magical creature with wings","妖精","A fairy tale."],
+4453:["n","strong belief or trust","信頼、信仰","Have faith in yourself."],
+4454:["n","facts or deeds, as in faits accomplis (French)","既成事実（フランス語）"],
+4455:["v","pretended or forged (past of fake)","偽造した"],
+4456:["n","a person who pretends or deceives","ペテン師"],
+4457:["n","counterfeit things (plural of fake)","偽物（複数）"],
+4458:["n","a Muslim or Hindu holy man who lives by begging","行者"],
+4459:["x"],
+4460:["x"],
+4461:["n","a waterfall (as in Niagara Falls)","滝","We visited the falls."],
+4462:["x"],
+4463:["adj","not true","誤った、偽の","The rumor is false."],
+4464:["x"],
+4465:["x"],
+4466:["adj","famous","有名な","A famed chef."],
+4467:["x"],
+4468:["n","a lighthouse or beacon","灯台"],
+4469:["n","a small old gold or silver coin of southern India","ファナム（南インドの古銭）"],
+4470:["adj","decorated; expensive and stylish","凝った、高級な","They ate at a fancy restaurant."],
+4471:["n","temples (plural of fane)","神殿（複数）"],
+4472:["x"],
+4473:["n","clay from hot springs used in therapy","ファンゴ（温泉泥）"],
+4474:["n","long pointed teeth (plural of fang)","牙（複数）"],
+4475:["x"],
+4476:["x"],
+4477:["n","a given name; the buttocks (informal)","ファニー（人名）、お尻（俗）","Fanny is a character in the novel."],
+4478:["n","a vestment worn by the pope; a maniple","ファノン（教皇の肩衣）"],
+4479:["x"],
+4480:["x"],
+4481:["n","a Muslim or Hindu holy man (fakir)","行者"],
+4482:["n","the unit of electrical capacitance","ファラド"],
+4483:["n","a silly comedy; a ridiculous situation","茶番","The trial was a farce."],
+4484:["adj","stuffed (cookery, French)","詰め物をした（料理、フランス語）"],
+4485:["n","a form of the horse disease glanders affecting the skin","皮疽（馬の病気）"],
+4486:["x"],
+4487:["n","a religious duty that is obligatory in Islam (fard)","ファルド（義務行為）"],
+4488:["x"],
+4489:["n","face paints (obsolete, plural of fard)","おしろい（廃語、複数）"],
+4490:["v","got on or managed (past of fare)","やっていった"],
+4491:["n","a traveller","旅人"],
+4492:["n","prices for journeys (plural of fare)","運賃（複数）"],
+4493:["x"],
+4494:["n","a thin oatcake or flat bread (farl)","薄いオート麦パン"],
+4495:["n","thin triangular oatcakes or scones (plural of farl)","薄いオート麦パン（複数）"],
+4496:["n","areas of land for growing crops or raising animals (plural of farm)","農場（複数）"],
+4497:["x"],
+4498:["x"],
+4499:["n","an addition in the vernacular to the Latin Mass; to stuff","ファルス（典礼の挿入句）"],
+4500:["x"],
+4501:["n","expulsions of intestinal gas (vulgar, plural of fart)","おなら（卑語、複数）"],
+4502:["n","the Roman calendar of festival and court days","ファスティ（古代ローマの暦）"],
+4503:["n","periods of not eating (plural of fast)","断食（複数）"],
+4504:["adj","causing death","致命的な","It was a fatal mistake."],
+4505:["adj","certain to happen because of fate","運命づけられた"],
+4506:["n","the things that will happen to people (plural of fate)","運命（複数）"],
+4507:["x"],
+4508:["adv","in a fat or greasy way","太って"],
+4509:["x"],
+4510:["n","an offensive word for a fat person","でぶ（侮蔑）"],
+4511:["adj","containing a lot of fat","脂肪の多い","Fatty foods."],
+4512:["n","a ruling on Islamic law by a recognized authority","ファトワ"],
+4513:["interj","an exclamation of disgust","ふん、げっ"],
+4514:["n","a piece of armour below the breastplate","草摺（くさずり）"],
+4515:["n","a mistake; responsibility for something bad","欠点、責任","It's not your fault."],
+4516:["x"],
+4517:["n","the animals of a place","動物相","The flora and fauna of Japan."],
+4518:["n","Roman rural gods with goat features (plural of faun)","ファウヌス（複数）"],
+4519:["x"],
+4520:["adj","false (Scottish)","偽りの（スコットランド）"],
+4521:["n","a man in legend who sold his soul to the devil","ファウスト","Goethe wrote Faust."],
+4522:["x"],
+4523:["n","a painter of the Fauvist movement","フォーヴィスムの画家"],
+4524:["adj","dun-coloured; a dun horse (obsolete)","栗毛の（廃語）"],
+4525:["n","a kind act to help someone","親切な行為、頼み","Can you do me a favor?"],
+4526:["n","a contagious fungal disease of the scalp","黄癬"],
+4527:["n","young deer (plural of fawn)","子ジカ（複数）"],
+4528:["x"],
+4529:["v","sent by fax (past of fax)","ファックスで送った"],
+4530:["n","documents sent by fax (plural of fax)","ファックス（複数）"],
+4531:["v","fitted closely together (past of fay)","ぴったり合わせた"],
+4532:["adj","disturbed or worried","動揺した"],
+4533:["v","disturbs or worries (third person of faze)","動揺させる"],
+4534:["x"],
+4535:["x"],
+4536:["x"],
+4537:["x"],
+4538:["n","feelings of being afraid (plural of fear)","恐れ（複数）"],
+4539:["x"],
+4540:["n","a large special meal","ごちそう、祝宴","A wedding feast."],
+4541:["n","notable achievements (plural of feat)","偉業（複数）"],
+4542:["x"],
+4543:["v","to untwist the end of a rope; to harass","ほぐす、悩ます"],
+4544:["adj","relating to feces","糞便の"],
+4545:["n","solid waste from the body","糞便","Animal feces."],
+4546:["v","made (it), written on works of art after the artist's name (Latin)","作（ラテン語）"],
+4547:["interj","in faith; by my faith (obsolete oath)","本当に（古い誓言）"],
+4548:["v","gives food to (third person of feed)","食べ物を与える"],
+4549:["x"],
+4550:["v","experiences an emotion or sensation (third person of feel)","感じる"],
+4551:["adj","emotional; tactile (informal)","感情的な、触感の（略式）"],
+4552:["n","a companion or spouse (obsolete)","連れ合い（廃語）"],
+4553:["x"],
+4554:["v","to turn as a screw; to harass (dialect)","ねじる、悩ます（方言）"],
+4555:["v","to pretend to feel or have","ふりをする"],
+4556:["n","a fake attack meant to distract","フェイント、陽動"],
+4557:["n","a small noisy mongrel dog","小型の雑種犬"],
+4558:["n","a member of the cat family","ネコ科の動物"],
+4559:["n","the genus of cats","ネコ属"],
+4560:["x"],
+4561:["n","a man or boy (informal)","やつ（略式）"],
+4562:["n","hills or moors in northern England (plural of fell)","丘陵（複数）"],
+4563:["n","the outer rim of a wheel","（車輪の）外縁"],
+4564:["n","a person who has committed a serious crime","重罪犯"],
+4565:["n","thick fabrics of pressed fibres (plural of felt)","フェルト（複数）"],
+4566:["adj","like felt","フェルトのような"],
+4567:["n","women, in legal terms (plural of feme)","女性（法律、複数）"],
+4568:["adj","(of rock) rich in iron and magnesium","苦鉄質の"],
+4569:["n","a woman (French)","女性（フランス語）"],
+4570:["n","the thigh bone","大腿骨","The femur is the longest bone."],
+4571:["n","a barrier around a field or garden","柵、塀","The cat jumped over the fence."],
+4572:["v","manages without help; wards off (third person of fend)","自活する、かわす"],
+4573:["x"],
+4574:["n","refuse whale blubber used as manure","鯨脂のかす"],
+4575:["adj","marshy; boggy","沼の多い"],
+4576:["n","feudal estates (plural of feod)","封土（複数）"],
+4577:["n","a fief, land held under the feudal system","封土"],
+4578:["adj","wild, especially after escaping from domestication","野生化した"],
+4579:["n","companions or spouses (obsolete, plural of fere)","連れ合い（廃語、複数）"],
+4580:["n","a weekday with no feast day in the church calendar; a fair","平日（教会暦）、祭り"],
+4581:["n","a holiday (obsolete)","休日（廃語）"],
+4582:["n","a mood of syllogism in logic","フェリオ（三段論法の式）"],
+4583:["n","a wonder or marvel (dialect)","驚異（方言）"],
+4584:["n","rent for a farm; a farm (obsolete)","小作料、農場（廃語）"],
+4585:["n","a family name (as in Enrico Fermi)","フェルミ（姓）","Fermi built the first reactor."],
+4586:["n","green plants with feathery leaves (plural of fern)","シダ（複数）"],
+4587:["adj","covered with ferns","シダの茂った"],
+4588:["n","a large lake trout of northern Europe","フェロックス（大型のマス）"],
+4589:["x"],
+4590:["n","a boat that carries people across water","フェリー","Take the ferry to the island."],
+4591:["x"],
+4592:["n","a broad horizontal band across a shield (heraldry)","横帯（紋章）"],
+4593:["n","a festival or feast day (Italian)","祭り（イタリア語）"],
+4594:["adj","disgusting (slang, festy)","気持ち悪い（俗）"],
+4595:["adj","of a fetus","胎児の","The fetal position."],
+4596:["n","feta cheeses (plural of feta)","フェタチーズ（複数）"],
+4597:["v","to go and bring back","取って来る","Fetch the ball!"],
+4598:["v","honoured with celebrations (past of fete)","歓待した"],
+4599:["n","outdoor fundraising events; festivals (plural of fete)","祝祭、バザー（複数）"],
+4600:["adj","smelling very unpleasant","悪臭を放つ"],
+4601:["adj","neat; well made (obsolete)","小ぎれいな（廃語）"],
+4602:["n","a strong unpleasant smell","悪臭"],
+4603:["n","an unborn baby","胎児","The fetus grows quickly."],
+4604:["n","an Islamic legal ruling (fatwa)","ファトワ"],
+4605:["n","a person who holds land under a feu (Scots law)","封土保有者（スコットランド法）"],
+4606:["n","long bitter quarrels (plural of feud)","確執（複数）"],
+4607:["v","granted land under a feu (Scots law)","封土として与えた（スコットランド法）"],
+4608:["x"],
+4609:["n","a high body temperature","熱","The child has a fever."],
+4610:["adj","a smaller number of","より少ない","Fewer people came this year."],
+4611:["adj","more fey (comparative of fey)","より霊感の強い"],
+4612:["n","red felt hats with tassels (plural of fez)","トルコ帽（複数）"],
+4613:["x"],
+4614:["x"],
+4615:["x"],
+4616:["n","a warrant for letters patent in old Irish law","特許状発給令状（旧アイルランド法）"],
+4617:["n","a low-lying inlet of the sea (firth)","フィアード（浅い入り江）"],
+4618:["n","owners of property subject to a life interest (Scots law)","物件所有者（スコットランド法）"],
+4619:["n","official orders (plural of fiat)","命令（複数）"],
+4620:["n","a thread; the part of food that helps digestion","繊維","Beans are high in fiber."],
+4621:["x"],
+4622:["n","fiber (British spelling)","繊維","Cotton fibre."],
+4623:["n","fibrous cement sheet used in building (Australian)","繊維セメント板（豪）"],
+4624:["x"],
+4625:["n","small mongrel dogs (plural of fice)","小型の雑種犬（複数）"],
+4626:["n","a microfiche","マイクロフィッシュ"],
+4627:["n","a small triangular scarf worn around the neck","フィシュー（肩掛け）"],
+4628:["n","a protein-digesting enzyme from fig latex","フィシン（酵素）"],
+4629:["n","the fig genus of trees and plants","イチジク属"],
+4630:["x"],
+4631:["n","faith personified as a Roman goddess","フィデス（信義の女神）"],
+4632:["v","to fidget (rare)","もじもじする（まれ）"],
+4633:["x"],
+4634:["n","lands held under the feudal system (plural of fief)","封土（複数）"],
+4635:["n","an area of open land; an area of study","野原、分野","Cows graze in the field."],
+4636:["n","an evil spirit; a very cruel person; an enthusiast","悪魔、鬼、熱中者"],
+4637:["x"],
+4638:["n","being made, as in fieri facias (Latin law)","（令状名の一部、ラテン語）"],
+4639:["adj","like fire; full of strong feeling","燃えるような、激しい","A fiery speech."],
+4640:["v","played on a fife (past of fife)","横笛を吹いた"],
+4641:["n","a person who plays the fife","横笛奏者"],
+4642:["n","small high flutes (plural of fife)","横笛（複数）"],
+4643:["n","a type of Scottish fishing boat","ファイフィ（スコットランドの漁船）"],
+4644:["adj","next after fourth","5 番目の","This is my fifth visit."],
+4645:["n","the number 50","50","He is fifty years old."],
+4646:["adj","containing figs","イチジク入りの"],
+4647:["v","to use force against someone","戦う、けんかする","The boys began to fight."],
+4648:["v","fidgeted or fussed (Scottish, past of fike)","そわそわした（スコットランド）"],
+4649:["x"],
+4650:["x"],
+4651:["n","the casuarina tree","モクマオウ"],
+4652:["adj","having fine threads across the field of view","糸の"],
+4653:["v","to steal small things","くすねる"],
+4654:["x"],
+4655:["v","put papers in order; sent in officially (past of file)","提出した、整理した","She filed a complaint."],
+4656:["n","someone who files papers or documents","提出者、整理係"],
+4657:["n","folders of documents; tools for smoothing (plural of file)","ファイル、やすり（複数）"],
+4658:["n","a boneless cut of meat or fish (fillet)","ヒレ肉"],
+4659:["n","sons (Latin, plural of filius)","息子たち（ラテン語）"],
+4660:["x"],
+4661:["n","a girl or daughter (French)","少女、娘（フランス語）"],
+4662:["v","makes full (third person of fill)","満たす"],
+4663:["n","a young female horse","若い雌馬","The filly won the race."],
+4664:["n","movies (plural of film)","映画（複数）"],
+4665:["adj","thin and almost transparent","薄く透けた"],
+4666:["n","disgusting dirt","汚物","The room was full of filth."],
+4667:["n","a thread-like structure","糸状構造"],
+4668:["adj","last","最後の","This is the final game."],
+4669:["n","a country estate or farm in Spanish-speaking countries","農園（スペイン語圏）"],
+4670:["n","a small songbird with a short beak","フィンチ（アトリ科の小鳥）","A finch sang in the tree."],
+4671:["v","discovers (third person of find)","見つける"],
+4672:["adj","full; solid (obsolete)","中身の詰まった（廃語）"],
+4673:["v","made to pay money as punishment (past of fine)","罰金を科された","He was fined for speeding."],
+4674:["adj","better; thinner (comparative of fine)","より良い、より細かい","Finer sand."],
+4675:["n","money paid as punishment (plural of fine)","罰金（複数）"],
+4676:["n","mouldiness (rare)","かび（まれ）"],
+4677:["n","the end (often written at the end of a book)","終わり"],
+4678:["n","informers (slang, plural of fink)","密告者（俗、複数）"],
+4679:["n","people from Finland (plural of Finn)","フィンランド人（複数）"],
+4680:["adj","having fins; full of fish","ひれのある、魚の多い"],
+4681:["n","a long narrow inlet between cliffs (fjord)","フィヨルド"],
+4682:["n","a fibre from an agave plant of South America","フィケ（繊維）"],
+4683:["x"],
+4684:["v","shot a gun; dismissed from a job (past of fire)","撃った、解雇した","He was fired for being late."],
+4685:["n","someone who fires a gun or sets fires","発砲者、放火者"],
+4686:["n","burning things (plural of fire)","火、火事（複数）"],
+4687:["x"],
+4688:["n","businesses or companies (plural of firm)","会社","Many firms hire in spring."],
+4689:["n","granular snow on glaciers (plural of firn)","フィルン（粒雪、複数）"],
+4690:["adj","made of or full of firs","モミの多い"],
+4691:["adj","coming before all others","最初の","She came first in the race."],
+4692:["n","a narrow inlet of the sea (Scottish)","入り江（スコットランド）"],
+4693:["n","state treasuries (plural of fisc)","国庫（複数）"],
+4694:["adj","tasting or smelling of fish; suspicious (informal)","魚臭い、怪しい（略式）"],
+4695:["n","hands with fingers closed tightly (plural of fist)","こぶし（複数）"],
+4696:["x"],
+4697:["n","a polecat, or its fur; a family name","ケナガイタチ（の毛皮）","A fitch brush."],
+4698:["adv","in a suitable way","ふさわしく"],
+4699:["x"],
+4700:["n","a five-pound or five-dollar note (informal)","5 ポンド札、5 ドル札（略式）"],
+4701:["n","a British ball game played with the hands against walls","ファイブズ（球技）"],
+4702:["adj","not changing; repaired","固定した、修理された","The price is fixed."],
+4703:["n","someone who arranges things, often illicitly; a photo chemical","まとめ役、定着剤"],
+4704:["v","repairs (third person of fix)","直す","He fixes cars."],
+4705:["n","a repair or improvement (informal)","修正（略式）"],
+4706:["adj","having bubbles of gas","泡立つ"],
+4707:["n","a high barren plateau in Scandinavia","フェル（高原）"],
+4708:["n","a long narrow inlet of the sea between steep cliffs","フィヨルド"],
+4709:["x"],
+4710:["n","a publicity agent; anti-aircraft fire (flak)","広報係、対空砲火"],
+4711:["v","to flap or flutter (Scottish)","はためく（スコットランド）"],
+4712:["n","pieces of cloth used as symbols (plural of flag)","旗（複数）"],
+4713:["v","to wave arms or legs about wildly","振り回す"],
+4714:["v","flayed (obsolete past participle of flay)","皮をはいだ（廃語）"],
+4715:["n","a natural ability or talent","才能、センス"],
+4716:["n","a small thin piece","薄片"],
+4717:["adj","breaking easily into flakes; unreliable (informal)","はがれやすい、当てにならない"],
+4718:["x"],
+4719:["n","the bright burning gas of a fire","炎","The candle flame flickered."],
+4720:["n","deceptions; drum strokes with a grace note (plural of flam)","ごまかし、フラム（複数）"],
+4721:["adj","like flame; flaming","炎のような"],
+4722:["x"],
+4723:["n","a miner's two-pointed pick","両頭つるはし"],
+4724:["n","the side of a body or army","脇腹、側面","Attack from the flank."],
+4725:["n","open tarts with a filling (plural of flan)","フラン（複数）"],
+4726:["n","flat pieces that hang down (plural of flap)","垂れ蓋","The plane lowered its flaps."],
+4727:["n","a sudden bright flame; a signal light","閃光、発炎筒","They fired a flare."],
+4728:["x"],
+4729:["n","a sudden bright light","閃光","A flash of lightning lit the sky."],
+4730:["n","a small bottle","フラスコ、水筒","A flask of tea."],
+4731:["n","apartments; low flat land (plural of flat)","アパート、低地","Salt flats."],
+4732:["x"],
+4733:["n","a kind of custard or pie (obsolete)","カスタードパイ（廃語）"],
+4734:["n","faults or weaknesses (plural of flaw)","欠陥（複数）"],
+4735:["adj","full of flaws; gusty","欠陥の多い、突風の"],
+4736:["adj","like flax; flaxen","亜麻のような"],
+4737:["v","strips the skin off (third person of flay)","皮をはぐ"],
+4738:["x"],
+4739:["x"],
+4740:["n","a flake or thread (obsolete)","薄片、糸（廃語）"],
+4741:["n","a lancet used for bleeding animals","放血針"],
+4742:["v","to sneer (fleer)","あざ笑う"],
+4743:["n","small jumping insects that bite (plural of flea)","ノミ（複数）"],
+4744:["x"],
+4745:["n","a small spot or mark","斑点"],
+4746:["x"],
+4747:["v","to laugh scornfully; a sneer","あざ笑う"],
+4748:["v","runs away (third person of flee)","逃げる"],
+4749:["n","a group of ships or vehicles","艦隊、（車両の）一団","The fleet sailed at dawn."],
+4750:["x"],
+4751:["v","to banish (obsolete)","追放する（廃語）"],
+4752:["n","the soft part of the body or of fruit","肉、果肉","The flesh of the peach is sweet."],
+4753:["n","a flower (French), as in fleur-de-lis","花（フランス語）"],
+4754:["n","the hanging upper lips of a hound","（猟犬の）垂れた上唇"],
+4755:["n","short for flexography, a printing method","フレキソ印刷"],
+4756:["v","frightens (Scottish, third person of fley)","おびえさせる（スコットランド）"],
+4757:["v","to move something with a quick light movement","はじく"],
+4758:["n","films (informal, plural of flic)","映画（略式、複数）"],
+4759:["v","hit a fly ball (past of fly, baseball)","フライを打った（野球）"],
+4760:["n","a pilot or air traveller; a leaflet","飛ぶもの、ちらし"],
+4761:["n","small insects with wings (plural of fly)","ハエ","Flies buzzed around."],
+4762:["x"],
+4763:["v","to throw carelessly or with force","放り投げる"],
+4764:["n","a hard gray stone that makes sparks","火打ち石","Flint tools."],
+4765:["v","to turn inside out (dialect)","裏返す（方言）"],
+4766:["v","turns over quickly (third person of flip)","ひっくり返す"],
+4767:["v","to behave as if attracted to someone without serious intent","いちゃつく"],
+4768:["v","to frisk; to skip (Scottish)","跳ね回る（スコットランド）"],
+4769:["v","to scold or quarrel (dialect)","口論する（方言）"],
+4770:["v","moves quickly and lightly (third person of flit)","すいすい飛ぶ"],
+4771:["x"],
+4772:["v","to stay on the surface of water","浮く","Wood floats."],
+4773:["n","a group of sheep or birds","群れ","A flock of sheep."],
+4774:["n","loose clumps of particles (plural of floc)","フロック（綿状沈殿、複数）"],
+4775:["n","sheets of floating ice (plural of floe)","流氷（複数）"],
+4776:["x"],
+4777:["v","beats with a whip; sells (British slang) (third person of flog)","むち打つ、売りさばく"],
+4778:["x"],
+4779:["n","a papier-mâché mould used in stereotype printing","紙型"],
+4780:["n","a large amount of water over dry land","洪水","The flood destroyed the bridge."],
+4781:["n","a fluke of an anchor","錨爪"],
+4782:["n","the surface you walk on indoors; a level of a building","床、階","The office is on the third floor."],
+4783:["n","failures (plural of flop)","失敗作（複数）"],
+4784:["n","the plants of a place","植物相","The flora of the island."],
+4785:["adj","decorated with fleurs-de-lis (heraldry)","ユリ紋で飾られた（紋章）"],
+4786:["n","a hopper-shaped box used in ore washing","選鉱用の漏斗箱"],
+4787:["n","a soft thread for cleaning between teeth","デンタルフロス"],
+4788:["n","a fleet, especially the Spanish treasure fleet","船団"],
+4789:["v","to skim (obsolete)","上澄みをすくう（廃語）"],
+4790:["x"],
+4791:["n","powder made from grain, used for baking","小麦粉","Mix the flour and eggs."],
+4792:["v","to openly disregard a rule","無視する"],
+4793:["x"],
+4794:["n","a flounder or fluke (fish)","カレイ"],
+4795:["v","traveled by air (past participle of fly)","飛んだ","She has flown to Paris."],
+4796:["v","moves steadily, as water (third person of flow)","流れる"],
+4797:["x"],
+4798:["x"],
+4799:["n","blunders (informal, plural of flub)","へま（略式、複数）"],
+4800:["adj","having a flue","煙道のある"],
+4801:["x"],
+4802:["n","pipes or ducts for smoke (plural of flue)","煙道（複数）"],
+4803:["adj","fluffy; downy (rare)","けば立った（まれ）"],
+4804:["n","soft light material such as down","綿毛、けば"],
+4805:["n","a liquid","液体","Drink plenty of fluids."],
+4806:["n","a lucky chance; a flatfish; a parasitic worm","まぐれ、カレイ、吸虫"],
+4807:["adj","happening by chance","まぐれの"],
+4808:["n","an artificial water channel; a water slide","導水路、ウォータースライダー"],
+4809:["v","to fall or set down heavily","どさっと落ちる"],
+4810:["v","threw with force (past of fling)","放り投げた","He flung the door open."],
+4811:["v","to fail an exam (informal)","落第する（略式）"],
+4812:["n","fluorite","蛍石"],
+4813:["x"],
+4814:["x"],
+4815:["n","a flirt (obsolete)","浮気者（廃語）"],
+4816:["v","to clean with a rush of water; to turn red","流す、赤面する","Flush the toilet."],
+4817:["x"],
+4818:["n","a musical instrument played by blowing across a hole","フルート","She plays the flute."],
+4819:["adj","soft and clear like a flute","笛のような"],
+4820:["n","a Dutch cargo ship of the 17th century","フライト船"],
+4821:["n","a flight past a point, such as a planet","フライバイ、接近通過"],
+4822:["n","a leaflet; someone who flies","ちらし、飛ぶもの"],
+4823:["v","to fold back or turn inside out (Scottish)","裏返す（スコットランド）"],
+4824:["v","to quarrel or scold (Scottish)","口論する（スコットランド）"],
+4825:["x"],
+4826:["v","to breathe heavily; to snort (obsolete)","鼻を鳴らす（廃語）"],
+4827:["n","young horses (plural of foal)","子馬（複数）"],
+4828:["x"],
+4829:["n","masses of small bubbles (plural of foam)","泡（複数）"],
+4830:["adj","covered with or like foam","泡立った"],
+4831:["adj","central; of a focus","焦点の","The focal point."],
+4832:["n","the center of attention","焦点","The focus is on safety."],
+4833:["x"],
+4834:["x"],
+4835:["x"],
+4836:["n","a warm dry wind that blows down mountains (föhn)","フェーン"],
+4837:["n","plural of foetus (fetuses)","胎児（複数）"],
+4838:["x"],
+4839:["n","an old-fashioned person (fogy)","時代遅れの人"],
+4840:["adj","full of fog","霧の深い","It was a foggy morning."],
+4841:["n","an old-fashioned person (fogy)","時代遅れの人"],
+4842:["n","a silk handkerchief (old slang)","絹のハンカチ（古い俗語）"],
+4843:["x"],
+4844:["n","an underground passage of prehistoric Cornwall","フォゴウ（コーンウォールの地下道）"],
+4845:["x"],
+4846:["n","cosmic energy in Theosophy","フォハット（神智学）"],
+4847:["n","warm dry mountain winds (plural of föhn)","フェーン（複数）"],
+4848:["n","thin sheets of metal; fencing swords (plural of foil)","ホイル、フルーレ（複数）"],
+4849:["n","thrusts with a weapon (plural of foin)","突き（複数）"],
+4850:["v","to force something unwanted on someone","押しつける"],
+4851:["n","bends or creases (plural of fold)","折り目（複数）"],
+4852:["x"],
+4853:["n","plural of folium (thin layers or leaves)","薄層（複数）"],
+4854:["adj","relating to folic acid","葉酸の"],
+4855:["n","madness (French), as in folie à deux","狂気（フランス語）"],
+4856:["n","a large book; a page number","二つ折り本、ページ番号","A Shakespeare folio."],
+4857:["n","people; parents (informal)","人々、家族","My folks live in Ohio."],
+4858:["adj","having the character of folk music","フォーク調の"],
+4859:["n","a foolish act","愚行","It would be folly to go."],
+4860:["n","an object that can carry infection (fomite)","媒介物"],
+4861:["n","fonds, the whole archive of one creator (archives)","フォンド（文書群）"],
+4862:["adj","blended gradually (of colours); a fondue","ぼかした、フォンデュ"],
+4863:["adv","foolishly (obsolete)","愚かに（廃語）"],
+4864:["n","sets of type in one style (plural of font)","フォント（複数）"],
+4865:["n","kinds of food (plural of food)","食べ物（複数）"],
+4866:["adj","eatable; fruitful (rare); a food lover (foodie)","食用の（まれ）、食通"],
+4867:["n","silly people (plural of fool)","ばか（複数）"],
+4868:["n","sediment at the bottom of a barrel","おり"],
+4869:["n","football (informal)","サッカー（略式）"],
+4870:["adj","foppish","めかし屋の"],
+4871:["n","a tiny marine organism with a shell (foraminifer)","有孔虫"],
+4872:["n","a sudden attack; a first attempt at something new","襲撃、初挑戦"],
+4873:["n","broad-leaved herbs other than grasses (plural of forb)","広葉草本（複数）"],
+4874:["prep","besides; near (dialect)","〜のほかに、近くに（方言）"],
+4875:["n","strength or power","力","They used force to open the door."],
+4876:["x"],
+4877:["v","to destroy or ruin (archaic)","滅ぼす（古語）"],
+4878:["n","shallow places for crossing rivers (plural of ford)","浅瀬（複数）"],
+4879:["x"],
+4880:["n","a kind of parchment for book covers","表紙用の羊皮紙"],
+4881:["n","front parts (plural of fore)","前部（複数）"],
+4882:["x"],
+4883:["n","foreign exchange, trading in currencies","外国為替"],
+4884:["v","to make a copy to cheat; to shape metal by heating","偽造する、鍛える","He forged a signature."],
+4885:["v","to go without something","なしで済ませる"],
+4886:["n","pronged eating tools (plural of fork)","フォーク（複数）"],
+4887:["adj","forked","分かれた"],
+4888:["n","a form or variety, the lowest rank in plant classification","品種（分類）"],
+4889:["n","a frame of type ready for printing (British)","組版"],
+4890:["n","shapes; documents to fill in (plural of form)","形、書式（複数）"],
+4891:["x"],
+4892:["x"],
+4893:["n","a thing at which someone excels","得意"],
+4894:["adv","forward; onward","前へ","They walked back and forth."],
+4895:["n","fortified buildings (plural of fort)","砦（複数）"],
+4896:["n","the number 40","40","She is forty today."],
+4897:["n","a place or meeting for discussion","討論の場、フォーラム","Post your question on the forum."],
+4898:["x"],
+4899:["n","a shallow depression in a bone; a cat-like animal of Madagascar","窩、フォッサ"],
+4900:["n","a ditch or moat","堀"],
+4901:["x"],
+4902:["x"],
+4903:["n","illegal acts in a game (plural of foul)","反則（複数）"],
+4904:["v","discovered (past of find); to establish","見つけた、設立する","I found my keys."],
+4905:["n","a source; a fountain","源泉、泉"],
+4906:["n","a cheat (obsolete)","ぺてん師（廃語）"],
+4907:["n","the number four; crews of four rowers (plural of four)","4、フォア（複数）"],
+4908:["x"],
+4909:["n","abundance (Scottish)","豊富（スコットランド）"],
+4910:["adj","despicable (obsolete)","卑しむべき（廃語）"],
+4911:["n","a small pit in the retina where vision is sharpest","中心窩"],
+4912:["n","birds such as chickens (plural of fowl)","家禽","Fowls in the yard."],
+4913:["adj","(of paper) marked with brown spots","（紙が）茶色いしみのある"],
+4914:["x"],
+4915:["n","wild animals with red fur and a bushy tail (plural of fox)","キツネ","Foxes hunt at night."],
+4916:["n","a fox terrier (Australian informal)","フォックステリア（豪略式）"],
+4917:["adj","foxlike (obsolete)","キツネのような（廃語）"],
+4918:["n","an entrance hall in a theatre or hotel","ロビー"],
+4919:["x"],
+4920:["x"],
+4921:["v","to extract oil or gas by fracturing rock","フラッキングする"],
+4922:["v","to break (obsolete)","破る（廃語）"],
+4923:["v","deliberately kills a fellow soldier with a grenade (slang)","上官を殺害する（俗）"],
+4924:["adj","afraid (informal)","怖い（略式）"],
+4925:["x"],
+4926:["adj","weak and easily hurt","虚弱な","A frail old man."],
+4927:["n","a border around a picture; a structure","枠、額縁","Put the photo in a frame."],
+4928:["n","the former money of France; the Swiss money","フラン","The Swiss franc."],
+4929:["adj","honest and direct","率直な","Let me be frank with you."],
+4930:["x"],
+4931:["n","a crowd or rabble (obsolete)","群衆（廃語）"],
+4932:["x"],
+4933:["v","binds tightly with ropes (third person of frap)","縛り締める"],
+4934:["x"],
+4935:["x"],
+4936:["n","excrement or debris left by insects","虫の糞"],
+4937:["n","a friar (Italian)","修道士（イタリア語）"],
+4938:["n","fraternities (informal, plural of frat)","男子学生クラブ（略式、複数）"],
+4939:["n","cheating to get money","詐欺","He was arrested for fraud."],
+4940:["n","German married women (plural of Frau)","奥さん（ドイツ語、複数）"],
+4941:["x"],
+4942:["x"],
+4943:["v","wears at the edges (third person of fray)","ほつれる"],
+4944:["x"],
+4945:["x"],
+4946:["n","a very unusual person or thing; an enthusiast","変わり者、マニア"],
+4947:["x"],
+4948:["v","to mark with spots (rare)","まだらにする（まれ）"],
+4949:["v","let go (past of free)","解放した","The prisoners were freed."],
+4950:["x"],
+4951:["adj","more free (comparative of free)","より自由な","A freer society."],
+4952:["v","releases (third person of free)","解放する"],
+4953:["n","a superstition (Scottish, freit)","迷信（スコットランド）"],
+4954:["x"],
+4955:["n","a superstition or omen (Scottish)","迷信、前兆（スコットランド）"],
+4956:["adj","strange; foreign (dialect)","よその、見慣れない（方言）"],
+4957:["adj","strange; foreign (Scottish, fremd)","よその（スコットランド）"],
+4958:["n","plural of frenum (small folds of tissue)","小帯（複数）"],
+4959:["n","a chlorofluorocarbon gas used in refrigeration","フロン"],
+4960:["n","a friar (obsolete)","修道士（廃語）"],
+4961:["adj","new; not old or stale","新鮮な","Eat fresh vegetables."],
+4962:["v","to eat greedily (informal)","がつがつ食う（略式）"],
+4963:["v","worries (third person of fret)","くよくよする"],
+4964:["n","the worn side of a riverbank","（川岸の）浸食面"],
+4965:["n","Sigmund Freud, founder of psychoanalysis","フロイト","Freud studied dreams."],
+4966:["n","the Norse goddess of love","フレイヤ（北欧神話）"],
+4967:["n","a member of a religious order","修道士","Friar Tuck."],
+4968:["adj","cooked in hot oil","揚げた、炒めた","Fried chicken."],
+4969:["n","a pan or person that fries (fryer)","揚げ鍋、揚げる人"],
+4970:["n","thin pieces of fried potato","フライドポテト"],
+4971:["x"],
+4972:["x"],
+4973:["n","a decorative strip with folds on the edge of cloth","ひだ飾り"],
+4974:["x"],
+4975:["v","to search someone for hidden things by running hands over them","ボディーチェックする"],
+4976:["x"],
+4977:["v","to sell on credit (rare)","掛け売りする（まれ）"],
+4978:["n","a narrow inlet of the sea (firth)","入り江"],
+4979:["n","partly fused materials for glass or glaze (plural of frit)","フリット（複数）"],
+4980:["n","partly fused glass materials (frit)","フリット"],
+4981:["n","a state of not working, as in \"on the fritz\" (informal)","故障（略式）"],
+4982:["n","a frieze (variant spelling)","フリーズ（異綴）"],
+4983:["n","hair in tight wiry curls","縮れ毛"],
+4984:["n","a woman's or girl's dress","ワンピース"],
+4985:["n","cleaving tools (plural of froe)","鉈（なた、複数）"],
+4986:["n","small jumping amphibians (plural of frog)","カエル（複数）"],
+4987:["n","a large divided leaf of a fern or palm","葉状体"],
+4988:["n","the forehead","前頭"],
+4989:["n","the part that faces forward","前部、正面","Sit in the front."],
+4990:["adj","religiously observant (Jewish, frum)","信心深い（ユダヤ）"],
+4991:["adj","frozen; very cold (archaic)","凍った（古語）"],
+4992:["adj","frozen; frothy (obsolete)","凍った（廃語）"],
+4993:["n","a first-year student (informal)","新入生（略式）"],
+4994:["x"],
+4995:["n","thin ice that forms on cold surfaces","霜","There was frost on the car."],
+4996:["n","a mass of small bubbles","泡"],
+4997:["x"],
+4998:["v","to pull the eyebrows together when unhappy","顔をしかめる","He frowned at me."],
+4999:["n","women, especially Dutch women (plural of frow)","女性（複数）"],
+5000:["adj","musty; rancid (obsolete)","かび臭い（廃語）"],
+5001:["v","became ice; stopped still (past of freeze)","凍った","The lake froze."],
+5002:["n","energetic 1960s dances (plural of frug)","フルッグ（ダンス、複数）"],
+5003:["n","the sweet part of a plant that holds seeds","果物","I eat fruit every day."],
+5004:["n","a dowdy woman","野暮ったい女"],
+5005:["v","to batter or smash (obsolete)","打ち砕く（廃語）"],
+5006:["x"],
+5007:["n","a pan for frying; a young chicken for frying","揚げ鍋、フライ用の若鶏"],
+5008:["n","a hearth tax (fumage)","炉税"],
+5009:["adj","plump; chubby","ずんぐりした"],
+5010:["adj","plump; chubby","ずんぐりした"],
+5011:["x"],
+5012:["v","vulgar slang for having sex; also used as a strong expletive","卑語"],
+5013:["n","a genus of brown seaweeds","ヒバマタ属"],
+5014:["x"],
+5015:["n","a soft sweet made of sugar, butter and milk","ファッジ（ソフトキャンディー）","Grandma makes chocolate fudge."],
+5016:["adj","like fudge","ファッジのような"],
+5017:["n","materials burned for energy (plural of fuel)","燃料（複数）"],
+5018:["adj","light; puffy (dialect)","ふわふわした（方言）"],
+5019:["adj","in the style of a fugue","フーガ風の"],
+5020:["adj","stuffy and stale (British informal)","むっとする（英略式）"],
+5021:["x"],
+5022:["n","the first coin authorized by the United States","フュージオ（米国最初の硬貨）"],
+5023:["v","flees, as in tempus fugit (Latin)","逃げる（ラテン語）"],
+5024:["v","to act as a leader or model; to signal","手本を示す"],
+5025:["n","a piece of music with a repeated theme; a memory loss state","フーガ、遁走"],
+5026:["n","Fuji apples; Japanese flowering cherries (plural of fuji)","ふじ（複数）"],
+5027:["v","cleans and thickens cloth (third person of full)","縮絨する"],
+5028:["adv","completely","完全に","The hotel is fully booked."],
+5029:["x"],
+5030:["x"],
+5031:["n","a butter-like fat from an Indian tree","フルワ脂"],
+5032:["v","was very angry; gave off smoke (past of fume)","いきり立った、煙を出した"],
+5033:["n","one who fumes; a perfumer (obsolete)","いら立つ人、調香師（廃語）"],
+5034:["n","strong smelly gas or smoke","煙霧、ガス","Exhaust fumes."],
+5035:["n","a concentrated stock of fish or game","フュメ（だし）"],
+5036:["adj","smoky; vaporous","煙った"],
+5037:["n","plural of fundus (the base of an organ)","底部（複数）"],
+5038:["n","money for a purpose (plural of fund)","資金","They raised funds for the school."],
+5039:["n","a blockhead (obsolete)","まぬけ（廃語）"],
+5040:["n","mushrooms and molds (plural of fungus)","菌類","Fungi grow in damp places."],
+5041:["n","a practice fly ball hit in baseball","ノック（野球）"],
+5042:["adj","relating to the umbilical cord","臍帯の"],
+5043:["n","the umbilical cord","臍帯"],
+5044:["n","states of fear or depression (plural of funk)","おびえ、落ち込み（複数）"],
+5045:["adj","having a strong rhythmic style; unconventional","ファンキーな、いかした"],
+5046:["x"],
+5047:["adj","making you laugh","おかしい","A funny story."],
+5048:["n","a chemical group derived from furan","フラル"],
+5049:["n","a colourless flammable liquid used in making nylon","フラン"],
+5050:["n","a forked structure","叉状突起"],
+5051:["x"],
+5052:["v","rolls up a flag or sail (third person of furl)","巻き上げる"],
+5053:["n","an outburst of public anger or excitement","騒ぎ、熱狂"],
+5054:["adj","covered with fur","毛皮で覆われた"],
+5055:["x"],
+5056:["n","gorse, a spiny shrub with yellow flowers","ハリエニシダ"],
+5057:["adj","overgrown with furze","ハリエニシダの茂った"],
+5058:["v","joined together by heat (past of fuse)","融合した","The bones fused."],
+5059:["n","a grooved cone in a clock; a large-headed match","円錐滑車、風防マッチ"],
+5060:["n","fusel oil, an oily mix of alcohols from fermentation","フーゼル油"],
+5061:["n","safety devices in circuits (plural of fuse)","ヒューズ（複数）"],
+5062:["x"],
+5063:["n","a light flintlock musket","フリントロック銃"],
+5064:["adj","hard to please","好みのうるさい"],
+5065:["adj","smelling stale; old-fashioned","かび臭い、古くさい"],
+5066:["n","an Islamic legal ruling (fatwa)","ファトワ"],
+5067:["v","fitted with a fuze (past of fuze)","信管を付けた"],
+5068:["n","a flare used as a warning signal (fusee)","発炎筒"],
+5069:["n","devices that detonate explosives (plural of fuze)","信管（複数）"],
+5070:["x"],
+5071:["adj","soft and hairy; not clear","けば立った、ぼやけた","A fuzzy photo."],
+5072:["x"],
+5073:["n","long bag nets for catching fish (plural of fyke)","袋網（複数）"],
+5074:["n","a section of a poem or song (archaic, fit)","（詩の）一節（古語）"],
+5075:["adj","talking too much (informal)","おしゃべりな（略式）"],
+5076:["n","the triangular upper part of a wall under a sloping roof","切妻"],
+5077:["n","a country on the west coast of central Africa","ガボン"],
+5078:["n","a cushioned throne of an Indian prince","（インドの王侯の）座布団の玉座"],
+5079:["x"],
+5080:["x"],
+5081:["n","a man (Romani slang, gadgie)","男（ロマ俗語）"],
+5082:["n","a fish of the cod family","タラ科の魚"],
+5083:["x"],
+5084:["interj","an old exclamation of surprise","おや（古い感嘆詞）"],
+5085:["n","Gaelic-speaking Celts (plural of Gael)","ゲール人（複数）"],
+5086:["n","an embarrassing social mistake","失言、へま"],
+5087:["n","hooked poles for landing fish (plural of gaff)","魚鉤（複数）"],
+5088:["v","measured (past of gage, variant of gauge)","測った"],
+5089:["x"],
+5090:["n","a measurer (gauger)","計量官"],
+5091:["n","pledges; greengage plums (plural of gage)","抵当、セイヨウスモモ（複数）"],
+5092:["x"],
+5093:["adv","in a cheerful, lively way","陽気に"],
+5094:["x"],
+5095:["n","increases; profits (plural of gain)","増加、利益","The company reported big gains."],
+5096:["x"],
+5097:["n","ways of walking (plural of gait)","歩き方（複数）"],
+5098:["x"],
+5099:["n","a Roman first name; a Roman jurist","ガイウス"],
+5100:["x"],
+5101:["n","a pink and grey Australian cockatoo; a fool (Australian slang)","モモイロインコ、ばか（豪俗）"],
+5102:["n","festive celebrations (plural of gala)","祝祭（複数）"],
+5103:["n","an evergreen plant with white flower spikes","ガラックス"],
+5104:["n","the outline or contour of a vase or column","輪郭"],
+5105:["n","a helmet-shaped part of a plant or animal","兜状部"],
+5106:["x"],
+5107:["n","a Greek physician of ancient Rome","ガレノス"],
+5108:["n","very strong winds (plural of gale)","強風（複数）"],
+5109:["n","a chip of stone (gallet)","石片"],
+5110:["x"],
+5111:["x"],
+5112:["v","annoys; makes sore by rubbing (third person of gall)","いら立たせる、擦りむく"],
+5113:["v","to frighten (dialect)","おびえさせる（方言）"],
+5114:["n","a lively dance in two-four time","ギャロップ（舞曲）"],
+5115:["x"],
+5116:["n","short for galvanometer","検流計（略）"],
+5117:["n","a viola da gamba; a large prawn (Spanish)","ヴィオラ・ダ・ガンバ、大エビ"],
+5118:["x"],
+5119:["x"],
+5120:["v","played games; gambled (past of game)","ゲームをした、賭けた"],
+5121:["n","a person who plays video games","ゲーマー"],
+5122:["n","activities played for fun (plural of game)","ゲーム（複数）"],
+5123:["adj","having the strong flavour of game meat","猟獣肉の臭みがある"],
+5124:["adj","requiring fertilization (biology)","有性の"],
+5125:["n","a street urchin","浮浪児"],
+5126:["n","the third letter of the Greek alphabet (γ)","ガンマ","Gamma rays."],
+5127:["adj","injured or lame (British informal)","不自由な（英略式）"],
+5128:["n","large umbrellas (British informal, plural of gamp)","こうもり傘（英略式、複数）"],
+5129:["n","the complete range of something","全範囲"],
+5130:["x"],
+5131:["v","to execute by dropping onto hooks (historical)","鉤で処刑する（歴史）"],
+5132:["x"],
+5133:["n","a thief or scoundrel (Yiddish)","泥棒、悪党（イディッシュ語）"],
+5134:["n","a thief or scoundrel (Yiddish, ganef)","泥棒、悪党（イディッシュ語）"],
+5135:["n","the Ganges river (Hindi)","ガンガー（ガンジス川）"],
+5136:["v","to protect a fishing line near the hook with wire","（釣り糸を）針金で巻く"],
+5137:["n","groups of criminals or friends (plural of gang)","一味、仲間（複数）"],
+5138:["n","cannabis","大麻"],
+5139:["n","a thief or scoundrel (Yiddish, ganef)","泥棒、悪党（イディッシュ語）"],
+5140:["n","a fabled wild goose (ganza)","伝説の野ガン"],
+5141:["n","a thick knitted sweater (dialect, gansey)","厚手のセーター（方言）"],
+5142:["x"],
+5143:["n","a kind of wild goose in a fable about a trip to the moon","（月旅行の寓話の）野ガン"],
+5144:["n","prisons (British, plural of gaol)","刑務所（英、複数）"],
+5145:["v","stared with the mouth open (past of gape)","ぽかんと見た"],
+5146:["n","someone who gapes; a kind of large clam","ぽかんと見る人、オオノガイ"],
+5147:["n","a fit of yawning; a disease of birds","あくび、開嘴病"],
+5148:["adj","having gaps","すき間の多い"],
+5149:["x"],
+5150:["x"],
+5151:["n","a garbage collector (Australian informal)","ごみ収集員（豪略式）"],
+5152:["n","distinctive clothing (plural of garb)","服装（複数）"],
+5153:["x"],
+5154:["x"],
+5155:["x"],
+5156:["x"],
+5157:["x"],
+5158:["adj","garnished (cookery, French)","付け合わせを添えた（料理、フランス語）"],
+5159:["x"],
+5160:["x"],
+5161:["x"],
+5162:["n","an enclosed yard or garden, such as a cloister garth","中庭"],
+5163:["n","a thick coastal fog of Peru and Chile","ガルーア（海霧）"],
+5164:["n","a fish sauce used in ancient Rome","ガルム（魚醤）"],
+5165:["n","substances like air (plural of gas)","気体、ガス","Cars give off harmful gases."],
+5166:["adj","full of gashes","深い傷のある"],
+5167:["n","quick breaths in surprise (plural of gasp)","あえぎ（複数）"],
+5168:["adj","breathless","息切れした"],
+5169:["adj","full of gas","ガスの多い"],
+5170:["v","frightens (obsolete, third person of gast)","おびえさせる（廃語）"],
+5171:["n","plaster used in Persian architecture","ガッチ（ペルシャの漆喰）"],
+5172:["adj","having a gate; closed off to the public","門のある、ゲートで囲われた"],
+5173:["x"],
+5174:["n","doors in a fence or wall (plural of gate)","門","The gates open at nine."],
+5175:["n","an alligator (informal)","ワニ（アリゲーター）","A gator slid into the swamp."],
+5176:["x"],
+5177:["adj","plump and jolly (Scottish, gawsy)","ふくよかで陽気な（スコットランド）"],
+5178:["n","cheap showy ornaments (plural of gaud)","安ぴかもの（複数）"],
+5179:["adj","too bright and showy","けばけばしい"],
+5180:["n","a device that measures; a measure","計器","The fuel gauge shows empty."],
+5181:["n","people of ancient Gaul (plural of Gaul)","ガリア人（複数）"],
+5182:["n","a heavy clay soil","ゴールト粘土"],
+5183:["v","smears (dialect, third person of gaum)","汚す（方言）"],
+5184:["adj","smeared; sticky (dialect)","べとべとした（方言）"],
+5185:["adj","very thin and bony","やせこけた"],
+5186:["v","to gaze or stare (obsolete)","見つめる（廃語）"],
+5187:["n","large wild oxen of India (plural of gaur)","ガウル（複数）"],
+5188:["n","a unit of magnetic flux density","ガウス"],
+5189:["n","thin loose cloth","ガーゼ","Cover the cut with gauze."],
+5190:["adj","thin and transparent like gauze","薄く透けた"],
+5191:["n","a small hammer used by a judge or chairperson","小槌"],
+5192:["n","a French dance (gavotte)","ガヴォット"],
+5193:["n","a baby; a dunce (dialect)","まぬけ（方言）"],
+5194:["v","stares stupidly (third person of gawk)","ぽかんと見る"],
+5195:["adj","awkward and clumsy","ぎこちない"],
+5196:["adj","plump and jolly (Scottish)","ふくよかで陽気な（スコットランド）"],
+5197:["n","a domesticated ox of South Asia (mithun)","ガヤル（ミタン）"],
+5198:["adj","more gay (comparative of gay)","より陽気な"],
+5199:["adv","cheerfully (gaily)","陽気に"],
+5200:["v","looked steadily (past of gaze)","じっと見つめた","She gazed at the stars."],
+5201:["x"],
+5202:["n","a gazelle; the black currant (dialect)","ガゼル、クロフサスグリ（方言）"],
+5203:["n","a person who gazes","見つめる人"],
+5204:["v","looks steadily (third person of gaze)","見つめる"],
+5205:["n","an old Venetian coin of small value","ガゼッタ（ヴェネツィアの小銭）"],
+5206:["n","a piece of turf used in fortification","芝土（築城）"],
+5207:["x"],
+5208:["x"],
+5209:["n","toothed wheels; equipment (plural of gear)","歯車、道具（複数）"],
+5210:["x"],
+5211:["x"],
+5212:["n","a tenant farmer in Anglo-Saxon England","ゲブール（古英国の小作人）"],
+5213:["n","a small lizard that can climb walls","ヤモリ","A gecko ran up the wall."],
+5214:["n","dupes; objects of scorn (plural of geck)","カモ、嘲笑の的（複数）"],
+5215:["n","pike fish (plural of gedd, Scottish)","カワカマス（スコットランド、複数）"],
+5216:["n","people obsessed with a special interest (plural of geek)","オタク（複数）"],
+5217:["n","large water birds (plural of goose)","ガチョウ（複数）","Geese fly south."],
+5218:["n","old alluvial deposits on the land surface","古沖積層"],
+5219:["x"],
+5220:["x"],
+5221:["x"],
+5222:["n","spirit; mind (German)","精神（ドイツ語）"],
+5223:["v","castrates (third person of geld)","去勢する"],
+5224:["n","a jelly (cookery, French)","ジュレ（料理、フランス語）"],
+5225:["adj","icy; extremely cold","凍るような"],
+5226:["n","gelignite, an explosive (informal); jelly (obsolete)","ゼリグナイト（略式）"],
+5227:["x"],
+5228:["adj","paired; twin","対になった"],
+5229:["n","a small bud that can grow into a new plant","無性芽"],
+5230:["adj","full of gems; sparkling","宝石の多い、きらめく"],
+5231:["n","a public assembly in Anglo-Saxon England","集会（古英国）"],
+5232:["x"],
+5233:["n","a small South American deer (huemul)","ゲマルジカ"],
+5234:["n","cheeks (plural of gena, anatomy)","頬（複数、解剖学）"],
+5235:["adj","relating to the cheek","頬の"],
+5236:["x"],
+5237:["n","units of heredity (plural of gene)","遺伝子（複数）"],
+5238:["n","a cat-like animal of Africa","ジェネット（ジャコウネコ科）","A genet climbed the tree."],
+5239:["adj","relating to genes","遺伝子の"],
+5240:["n","a spirit that grants wishes in Arabian stories","魔神"],
+5241:["n","plural of genius (guardian spirits)","守護霊（複数）"],
+5242:["x"],
+5243:["n","a person of a particular turn of mind (rare)","ある気質の人（まれ）"],
+5244:["n","a tropical American tree with edible fruit","ジェニパ"],
+5245:["x"],
+5246:["n","a port city in northern Italy","ジェノバ","Columbus was born in Genoa."],
+5247:["n","a genome (variant spelling)","ゲノム（異綴）"],
+5248:["n","a clan in ancient Greece","氏族（古代ギリシャ）"],
+5249:["n","a kind or style of art","ジャンル","My favorite genre is jazz."],
+5250:["n","the elder statesmen of Japan","元老"],
+5251:["n","gentlemen; a men's toilet (British informal, plural of gent)","紳士、男性用トイレ（英略式）"],
+5252:["adj","neat; trim (Scottish)","こぎれいな（スコットランド）"],
+5253:["n","plural of genu (knees)","膝（複数）"],
+5254:["n","a group of related species","属（生物分類）","Lions belong to the genus Panthera."],
+5255:["n","the lower edge of a bird's lower beak (gonys)","下嘴の稜"],
+5256:["n","a hollow rock lined with crystals","晶洞石、ジオード"],
+5257:["n","the shape of the Earth at mean sea level","ジオイド"],
+5258:["x"],
+5259:["n","an ancient Hebrew coin and weight, a twentieth of a shekel","ゲラ（古代ヘブライの単位）"],
+5260:["n","a firework that shoots out a sheaf of sparks","噴き出し花火"],
+5261:["n","a jerboa","トビネズミ"],
+5262:["x"],
+5263:["x"],
+5264:["n","microorganisms that cause disease (plural of germ)","細菌（複数）"],
+5265:["adj","full of germs","ばい菌だらけの"],
+5266:["n","a plaster used as a base for painting","ジェッソ"],
+5267:["n","a tale of adventure (archaic)","武勲物語（古語）"],
+5268:["n","deeds or tales of adventure (plural of gest)","武勲、武勲物語（複数）"],
+5269:["x"],
+5270:["n","Japanese wooden clogs (plural of geta)","下駄（複数）"],
+5271:["x"],
+5272:["x"],
+5273:["n","an outfit, often unusual","身なり"],
+5274:["n","avens plants (plural of geum)","ダイコンソウ（複数）"],
+5275:["x"],
+5276:["n","a letter of the Arabic alphabet","ガイン（アラビア文字）"],
+5277:["n","a country in West Africa","ガーナ","Ghana grows cocoa."],
+5278:["v","to frighten (obsolete)","おびえさせる（廃語）"],
+5279:["n","steps leading down to a river in India (plural of ghat)","ガート（複数）"],
+5280:["n","a mountain pass; steps to a river (India, ghat)","山道、ガート（インド）"],
+5281:["n","a Muslim warrior or veteran","ガーズィー（戦士）"],
+5282:["x"],
+5283:["n","kinds of clarified butter (plural of ghee)","ギー（複数）"],
+5284:["v","to guess (obsolete)","推測する（廃語）"],
+5285:["n","a ghoul (variant spelling)","食屍鬼（異綴）"],
+5286:["x"],
+5287:["n","the spirit of a dead person","幽霊","The house is haunted by a ghost."],
+5288:["n","an evil spirit that eats dead bodies","食屍鬼"],
+5289:["n","a ravine or narrow mountain stream (dialect, gill)","峡谷、谷川（方言）"],
+5290:["adj","very large","巨大な","A giant wave hit the boat."],
+5291:["x"],
+5292:["v","mocked or jeered (past of gibe)","あざけった"],
+5293:["n","the Prussian carp","ギベリオブナ"],
+5294:["n","a person who mocks or jeers","あざける人"],
+5295:["n","mocking remarks (plural of gibe)","あざけり（複数）"],
+5296:["n","a hot dry desert wind of Libya (ghibli)","ギブリ（熱風）"],
+5297:["n","a collapsible top hat (opera hat)","オペラハット"],
+5298:["adj","dizzy; excitedly happy","めまいがする、浮かれた"],
+5299:["n","presents (plural of gift)","贈り物（複数）"],
+5300:["x"],
+5301:["x"],
+5302:["x"],
+5303:["n","a leg of lamb or mutton","羊の脚肉"],
+5304:["n","a lively baroque dance (jig)","ジーグ"],
+5305:["x"],
+5306:["v","covers thinly with gold (third person of gild)","金めっきする"],
+5307:["x"],
+5308:["n","a sleeveless jacket or vest","ジレ"],
+5309:["n","a genus of American plants of the phlox family","ギリア属"],
+5310:["x"],
+5311:["n","breathing organs of fish (plural of gill)","えら（複数）"],
+5312:["n","a hunting or fishing attendant in Scotland (ghillie)","猟や釣りの案内人（スコットランド）"],
+5313:["x"],
+5314:["n","a young salmon (grilse)","若いサケ"],
+5315:["n","government bonds (British); young female pigs (plural of gilt)","英国債、若い雌豚（複数）"],
+5316:["x"],
+5317:["n","the third letter of the Hebrew alphabet","ギメル（ヘブライ文字）"],
+5318:["v","give me (informal)","ちょうだい（略式）"],
+5319:["x"],
+5320:["adj","limping (informal, often offensive)","足の不自由な（略式、侮蔑的）"],
+5321:["n","a tropical American tree with small edible fruit (genip)","ジェニパ"],
+5322:["n","fellows, often odd ones (slang, plural of gink)","やつ（俗、複数）"],
+5323:["x"],
+5324:["n","an offensive ethnic slur for Italians","蔑称"],
+5325:["n","a tunic worn under armour (jupon)","鎧下の胴衣"],
+5326:["n","an offensive term for a Gypsy or Egyptian","蔑称"],
+5327:["adj","upset, as in gippy tummy (British slang)","腹をこわした（英俗）"],
+5328:["n","a Romani person (dated, gypsy)","ジプシー（古風）"],
+5329:["x"],
+5330:["v","encircles; prepares for action (third person of gird)","巻く、身構える"],
+5331:["x"],
+5332:["n","female children (plural of girl)","少女（複数）"],
+5333:["adj","typical of girls; very feminine","女の子っぽい"],
+5334:["v","grins; snarls (dialect, third person of girn)","にやりと笑う、うなる（方言）"],
+5335:["x"],
+5336:["n","a triangular division of a shield (heraldry, gyron)","ジャイロン（紋章）"],
+5337:["n","bank transfer payments (plural of giro)","口座振替（複数）"],
+5338:["x"],
+5339:["x"],
+5340:["n","the measurement around the middle of something","胴回り"],
+5341:["n","horizontal beams in a frame (plural of girt)","胴縁（複数）"],
+5342:["x"],
+5343:["x"],
+5344:["n","a gadget (gizmo)","小道具"],
+5345:["n","main points (plural of gist)","要点（複数）"],
+5346:["x"],
+5347:["n","a joust (obsolete)","馬上槍試合（廃語）"],
+5348:["v","handed over (past participle of give)","与えられた","She was given a prize."],
+5349:["n","a person who gives","与える人"],
+5350:["v","hands over (third person of give)","与える","He gives money to charity."],
+5351:["x"],
+5352:["x"],
+5353:["n","a gadget (informal)","小道具（略式）"],
+5354:["adj","(of fruit) preserved in sugar; glossy","砂糖漬けの、光沢のある"],
+5355:["x"],
+5356:["n","an open space in a forest","林間の空き地","Deer grazed in the glade."],
+5357:["n","gladiolus flowers (informal, plural of glad)","グラジオラス（略式、複数）"],
+5358:["x"],
+5359:["x"],
+5360:["x"],
+5361:["n","egg white used as a glaze","卵白（つや出し）"],
+5362:["x"],
+5363:["x"],
+5364:["n","an organ that produces substances in the body","腺","Sweat comes from glands in the skin."],
+5365:["n","the rounded tip of the penis or clitoris","亀頭"],
+5366:["v","to look angrily","にらむ","She glared at him."],
+5367:["adj","dazzlingly bright","まぶしい"],
+5368:["n","a hard clear material; a cup for drinking","ガラス、コップ","A glass of water, please."],
+5369:["v","to grope or snatch (Scottish)","手探りする（スコットランド）"],
+5370:["n","mud or ooze (Scottish)","泥（スコットランド）"],
+5371:["n","a glaive, a kind of sword or pole weapon","グレイブ（剣、長柄武器）"],
+5372:["n","a shiny coating","うわぐすり、つや出し","A sugar glaze."],
+5373:["adj","having a glazed appearance","つやのある"],
+5374:["n","a live coal (gleed)","燃えさし"],
+5375:["v","to shine softly","きらめく","The car gleamed."],
+5376:["v","to gather information bit by bit","少しずつ集める"],
+5377:["n","the spore-bearing inner mass of a puffball","基本体（キノコの胞子塊）"],
+5378:["n","land belonging to a parish church; soil (poetic)","教会領地、土地（詩語）"],
+5379:["adj","cloddy; fertile","土くれの多い、肥沃な"],
+5380:["n","the red kite","トビ"],
+5381:["n","kites (birds) (plural of gled)","トビ（複数）"],
+5382:["x"],
+5383:["n","a glowing coal (archaic)","燃えさし（古語）"],
+5384:["n","a jest or trick; an old card game (obsolete)","冗談、トランプの古い遊び（廃語）"],
+5385:["v","to glisten (obsolete)","きらめく（廃語）"],
+5386:["n","part songs for three or more voices (plural of glee)","グリー（合唱曲、複数）"],
+5387:["n","a thin discharge from a wound or the urethra","分泌液"],
+5388:["x"],
+5389:["x"],
+5390:["x"],
+5391:["n","narrow valleys in Scotland (plural of glen)","峡谷（複数）"],
+5392:["v","to glance; to glint (dialect)","ちらりと光る（方言）"],
+5393:["n","clay soils saturated with water (plural of gley)","グライ土（複数）"],
+5394:["adj","relating to glia, supporting cells of the nervous system","グリアの"],
+5395:["x"],
+5396:["v","to move smoothly","滑るように動く","Swans glide on the lake."],
+5397:["n","a glimpse; a sudden fright (dialect)","ちらっと見ること、驚き（方言）"],
+5398:["n","a sneer (obsolete)","冷笑（廃語）"],
+5399:["x"],
+5400:["n","lights or candles (slang, plural of glim)","明かり（俗、複数）"],
+5401:["x"],
+5402:["n","a small flash of light","きらめき"],
+5403:["n","a glimpse (Scottish)","一瞥（スコットランド）"],
+5404:["n","short for glissando","グリッサンド（略）"],
+5405:["n","mica; glimmer (obsolete)","雲母、きらめき（廃語）"],
+5406:["n","twilight (poetic)","たそがれ（詩語）"],
+5407:["v","to feel or show smug pleasure at one's success or others' failure","ほくそ笑む"],
+5408:["n","a ball-shaped map of the world; the world","地球儀、地球","She traveled around the globe."],
+5409:["n","round lumps of a soft substance (plural of glob)","どろっとした塊（複数）"],
+5410:["adj","round like a globe","球形の"],
+5411:["x"],
+5412:["n","a Scandinavian hot spiced wine punch","グロッグ"],
+5413:["n","a rounded part of a horse's hoof","（馬の）蹄球"],
+5414:["x"],
+5415:["v","grabs or latches onto (informal, third person of glom)","ひったくる、くっつく（略式）"],
+5416:["x"],
+5417:["n","darkness; sadness","暗がり、憂うつ","A feeling of gloom."],
+5418:["n","soft messy lumps of food (informal, plural of glop)","どろどろした塊（略式、複数）"],
+5419:["v","to glare (obsolete)","にらむ（廃語）"],
+5420:["n","great fame and honor","栄光","They fought for glory."],
+5421:["n","shine on a surface","光沢","Lip gloss."],
+5422:["n","glaze on pottery","釉薬"],
+5423:["v","to pout or look sullen (obsolete)","ふくれっ面をする（廃語）"],
+5424:["n","a covering for the hand","手袋","A pair of gloves."],
+5425:["v","gives out steady light (third person of glow)","光る"],
+5426:["v","to explain away; to flatter","言い繕う、へつらう"],
+5427:["x"],
+5428:["v","stuck with glue (past of glue)","接着した"],
+5429:["n","someone who glues things","接着する人"],
+5430:["n","sticky substances for joining things (plural of glue)","接着剤（複数）"],
+5431:["adj","sticky like glue","べとべとした"],
+5432:["x"],
+5433:["n","a dry husk around a grass flower","穎（えい）"],
+5434:["v","to sulk (informal)","すねる（略式）"],
+5435:["n","a particle that binds quarks together","グルーオン"],
+5436:["n","excessive supplies (plural of glut)","供給過剰（複数）"],
+5437:["n","a carved symbol; a character in a font","絵文字、グリフ"],
+5438:["n","a knot on a tree","節こぶ"],
+5439:["v","to snarl or growl (obsolete)","うなる（廃語）"],
+5440:["n","knots in wood (plural of gnar)","節（複数）"],
+5441:["v","to grind the teeth together","歯ぎしりする"],
+5442:["x"],
+5443:["n","small flying insects (plural of gnat)","ブヨ（複数）"],
+5444:["v","gnawed (past participle of gnaw)","かじられた"],
+5445:["v","bites or chews persistently (third person of gnaw)","かじる"],
+5446:["v","to rub or break into pieces (obsolete)","すりつぶす（廃語）"],
+5447:["x"],
+5448:["n","a small creature in folklore that lives underground","ノーム、地の精"],
+5449:["v","provokes or urges (third person of goad)","けしかける"],
+5450:["n","aims; scores in games (plural of goal)","目標、ゴール（複数）"],
+5451:["n","horned animals related to sheep (plural of goat)","ヤギ（複数）"],
+5452:["adj","like a goat","ヤギのような"],
+5453:["x"],
+5454:["n","a board for the game of go","碁盤"],
+5455:["x"],
+5456:["adj","loud-mouthed (British slang)","口うるさい（英俗）"],
+5457:["n","a gobbet (obsolete)","一片（廃語）"],
+5458:["n","screens used to shape light or block sound (plural of gobo)","ゴボ（遮光板、複数）"],
+5459:["n","a triangular piece of cloth inserted in a skirt","ゴデ（布の三角まち）"],
+5460:["adj","deeply religious","信心深い","A godly man."],
+5461:["n","people who go or attend (plural of goer)","行く人（複数）"],
+5462:["n","witchcraft; invocation of evil spirits (obsolete)","黒魔術（廃語）"],
+5463:["n","a person who runs errands","使い走り"],
+5464:["n","an insect (South African informal)","虫（南ア略式）"],
+5465:["n","go-go dancers (plural of gogo)","ゴーゴーダンサー（複数）"],
+5466:["v","moving; leaving (present participle of go)","行くところ","Where are you going?"],
+5467:["n","gold medals or colours (plural of gold)","金メダル（複数）"],
+5468:["x"],
+5469:["x"],
+5470:["n","a clay figure brought to life in Jewish folklore","ゴーレム"],
+5471:["x"],
+5472:["n","the gullet (obsolete)","のど（廃語）"],
+5473:["v","plays golf (third person of golf)","ゴルフをする"],
+5474:["interj","an exclamation of surprise","おや、まあ"],
+5475:["x"],
+5476:["x"],
+5477:["n","gumbo","ガンボ"],
+5478:["n","an ancient Hebrew dry measure (omer)","オメル（古代ヘブライの升）"],
+5479:["n","an organ that produces sex cells","生殖腺"],
+5480:["adj","relating to a gonad","生殖腺の"],
+5481:["n","a Dravidian language of central India","ゴーンディー語"],
+5482:["n","a person or thing that is doomed (informal)","おしまいの人（略式）"],
+5483:["n","an albatross (gooney)","アホウドリ"],
+5484:["n","metal discs that ring when struck (plural of gong)","どら（複数）"],
+5485:["x"],
+5486:["x"],
+5487:["n","a thief or scoundrel (Yiddish, ganef)","泥棒（イディッシュ語）"],
+5488:["v","going to (informal)","〜するつもり（口語）","I'm gonna win."],
+5489:["x"],
+5490:["n","a thief or scoundrel (Yiddish, ganef)","泥棒（イディッシュ語）"],
+5491:["n","the ridge on the lower edge of a bird's beak","下嘴の稜"],
+5492:["adj","wildly unconventional; subjective in journalism","型破りな"],
+5493:["n","things for sale","商品","The shop sells leather goods."],
+5494:["n","something nice, especially to eat","お菓子、いいもの"],
+5495:["adj","soft and sticky","べたべたした"],
+5496:["n","silly mistakes (plural of goof)","へま（複数）"],
+5497:["adj","silly; foolish","まぬけな"],
+5498:["n","an offensive ethnic slur for East Asians","蔑称"],
+5499:["x"],
+5500:["x"],
+5501:["x"],
+5502:["n","thugs; stupid people (plural of goon)","ごろつき（複数）"],
+5503:["n","an albatross (gooney)","アホウドリ"],
+5504:["n","sticky substances (plural of goop)","べとべとしたもの（複数）"],
+5505:["adj","sticky and gooey","べとべとした"],
+5506:["n","a large water bird with a long neck","ガチョウ","A goose chased the children."],
+5507:["adj","foolish like a goose; easily startled","まぬけな、びくびくした"],
+5508:["n","a lively Ukrainian folk dance (hopak)","ホパーク（ウクライナの踊り）"],
+5509:["n","a small goat-antelope of the Himalayas","ゴーラル"],
+5510:["x"],
+5511:["n","a pool or weir for keeping fish (obsolete)","生け簀（廃語）"],
+5512:["v","pierced with a horn or tusk (past of gore)","角で突いた"],
+5513:["x"],
+5514:["v","pierces with a horn (third person of gore)","角で突く"],
+5515:["n","a deep narrow valley","峡谷","The river cut a gorge."],
+5516:["x"],
+5517:["x"],
+5518:["x"],
+5519:["x"],
+5520:["n","a spiny evergreen shrub with yellow flowers","ハリエニシダ"],
+5521:["x"],
+5522:["adj","covered with gorse","ハリエニシダの茂った"],
+5523:["x"],
+5524:["x"],
+5525:["n","a gutter (obsolete)","樋（廃語）"],
+5526:["x"],
+5527:["n","fans of dark gothic style; members of an ancient Germanic people (plural of goth)","ゴス、ゴート人（複数）"],
+5528:["n","goto statements in programming (plural of goto)","goto 文（複数）"],
+5529:["n","a Hindu lineage or clan","ゴートラ（氏族）"],
+5530:["v","got to; must (informal)","〜しなきゃ（口語）","I gotta go."],
+5531:["n","a mild yellow Dutch cheese","ゴーダチーズ"],
+5532:["v","to cut or scoop out; to overcharge","えぐる、ぼったくる"],
+5533:["n","a shrub with edible red berries (Elaeagnus multiflora)","ナツグミ"],
+5534:["n","a large crowned pigeon of New Guinea","カンムリバト"],
+5535:["n","a hard-shelled fruit related to the squash","ひょうたん、ウリ","The bowl is made from a gourd."],
+5536:["x"],
+5537:["n","drops or splashes (plural of gout)","しずく（複数）"],
+5538:["adj","suffering from gout","痛風の"],
+5539:["n","a daisy (Scottish)","ヒナギク（スコットランド）"],
+5540:["n","gold (Scottish, plural of gowd)","金（スコットランド、複数）"],
+5541:["x"],
+5542:["n","cuckoos; fools (Scottish, plural of gowk)","カッコウ、まぬけ（スコットランド、複数）"],
+5543:["n","long formal dresses (plural of gown)","ガウン（複数）"],
+5544:["x"],
+5545:["n","non-Jews (plural of goy, sometimes offensive)","異教徒（複数、侮蔑的な場合あり）"],
+5546:["x"],
+5547:["n","a ravine (dialect)","峡谷（方言）"],
+5548:["n","the Holy Grail (grail)","聖杯"],
+5549:["v","seizes suddenly (third person of grab)","つかむ"],
+5550:["n","smooth and elegant movement; kindness","優雅さ、恩恵","She danced with grace."],
+5551:["x"],
+5552:["n","a mark for school work; a level or year at school","成績、学年","He got a good grade."],
+5553:["n","graduates (informal, plural of grad)","卒業生（略式、複数）"],
+5554:["n","a steward; an overseer (obsolete)","管理人（廃語）"],
+5555:["n","a piece of skin or plant joined to another","移植片、接ぎ木","A skin graft."],
+5556:["n","the cup of Christ sought in legend; a desired goal","聖杯、悲願"],
+5557:["n","seeds of wheat or rice; a tiny piece","穀物、粒","A grain of sand."],
+5558:["n","a dung fork (Scottish)","堆肥フォーク（スコットランド）"],
+5559:["n","a pasture grass of the American plains","グラマグラス"],
+5560:["n","anger; sorrow (obsolete)","怒り、悲しみ（廃語）"],
+5561:["n","a grandfather (informal)","おじいちゃん（略式）"],
+5562:["n","metric units of weight (plural of gram)","グラム（複数）"],
+5563:["x"],
+5564:["x"],
+5565:["adj","large and impressive","壮大な","They live in a grand house."],
+5566:["v","to groan (obsolete)","うめく（廃語）"],
+5567:["x"],
+5568:["x"],
+5569:["n","money given for a purpose","助成金","She got a grant for research."],
+5570:["n","a small round fruit that grows in bunches","ブドウ","Wine is made from grapes."],
+5571:["n","a chart showing how values change","グラフ","The graph shows sales rising."],
+5572:["adj","tasting or looking like grapes","ブドウのような"],
+5573:["v","to hold firmly; to understand","つかむ、理解する","Grasp the rope."],
+5574:["n","the green plant covering lawns and fields","草、芝生","Keep off the grass."],
+5575:["adj","welcome, as in persona grata (Latin)","歓迎される（ラテン語）"],
+5576:["n","a metal frame in a fireplace","（暖炉の）火格子","Coals burned in the grate."],
+5577:["n","a place where a dead person is buried","墓","They visited their father's grave."],
+5578:["n","a sauce made from meat juices","グレービーソース","Pour gravy over the potatoes."],
+5579:["v","turns gray (third person of gray)","灰色になる"],
+5580:["v","to eat grass in a field; to scrape the skin lightly","草を食べる、すりむく"],
+5581:["adj","very good; very large","素晴らしい、大きな","We had a great time."],
+5582:["n","a diving water bird with lobed toes","カイツブリ"],
+5583:["x"],
+5584:["x"],
+5585:["n","wanting more than you need","貪欲","Greed ruins people."],
+5586:["adj","from or relating to Greece","ギリシャの","He is learning Greek history."],
+5587:["adj","the color of grass","緑の","She has green eyes."],
+5588:["n","steps; degrees (obsolete, plural of gree)","段、度（廃語、複数）"],
+5589:["v","to say hello","挨拶する","Greet the guests."],
+5590:["v","to make heavier; to increase (obsolete)","重くする（廃語）"],
+5591:["n","a short hooded jacket of coarse cloth","フード付きの短い上着"],
+5592:["x"],
+5593:["v","to weep (Scottish, greet)","泣く（スコットランド）"],
+5594:["adj","green (obsolete)","緑の（廃語）"],
+5595:["x"],
+5596:["adj","great (obsolete)","大きい（廃語）"],
+5597:["x"],
+5598:["v","turns grey (third person of grey)","灰色になる"],
+5599:["n","a young pig (Scottish)","子豚（スコットランド）"],
+5600:["v","to cut or scrape with a grating sound","きしらせて切る"],
+5601:["n","patterns of crossing lines (plural of grid)","格子、グリッド（複数）"],
+5602:["n","deep sadness after a loss","深い悲しみ","He was full of grief."],
+5603:["n","grasp or reach (obsolete); information (slang, griff)","つかみ（廃語）、情報（俗）"],
+5604:["v","to swindle (slang)","詐欺を働く（俗）"],
+5605:["n","crickets; small eels (plural of grig)","コオロギ、小ウナギ（複数）"],
+5606:["n","a crack in limestone pavement","グライク（石灰岩の割れ目）"],
+5607:["n","a cooking device with metal bars","グリル、焼き網","Cook the fish on the grill."],
+5608:["n","dirt ingrained on a surface","こびりついた汚れ"],
+5609:["x"],
+5610:["x"],
+5611:["adj","covered with dirt","汚れた"],
+5612:["v","to crush into powder","挽く","Grind the coffee beans."],
+5613:["v","smiles broadly (third person of grin)","にっこり笑う"],
+5614:["v","grinds (obsolete contraction of grindeth)","挽く（廃語）"],
+5615:["n","a West African storyteller and musician","グリオ（西アフリカの語り部）"],
+5616:["v","to complain (informal)","不平を言う（略式）"],
+5617:["x"],
+5618:["n","firm holds (plural of grip)","握り（複数）"],
+5619:["v","gripped (archaic)","握った（古語）"],
+5620:["x"],
+5621:["n","a step in a stair (obsolete)","段（廃語）"],
+5622:["n","grain for grinding","製粉用の穀物"],
+5623:["n","peace; protection (obsolete)","平和、保護（廃語）"],
+5624:["n","coarsely ground boiled corn, eaten in the southern US","グリッツ（ひき割りトウモロコシ）"],
+5625:["v","to make a low sound of pain","うめく","He groaned in pain."],
+5626:["n","an old English silver coin worth four pence","グロート銀貨"],
+5627:["x"],
+5628:["n","drinks of rum and water (plural of grog)","グロッグ（複数）"],
+5629:["n","the area where the legs meet the body; a sea wall","鼠径部、防砂堤"],
+5630:["n","a Roman surveying instrument","グローマ（古代ローマの測量器具）"],
+5631:["v","ground (obsolete past of grind)","挽いた（廃語）"],
+5632:["x"],
+5633:["x"],
+5634:["n","a man on his wedding day; a person who cares for horses","花婿、馬丁","The bride and groom."],
+5635:["x"],
+5636:["x"],
+5637:["x"],
+5638:["v","to search blindly with the hands","手探りする"],
+5639:["adj","total before costs are taken away; disgusting","総計の、気持ち悪い","Gross income was high."],
+5640:["n","a Polish coin, one hundredth of a zloty","グロシュ"],
+5641:["n","a groat (obsolete)","グロート銀貨（廃語）"],
+5642:["n","grottoes (plural of grot)","洞窟（複数）"],
+5643:["x"],
+5644:["n","a number of people or things together","集団、グループ","Work in groups of four."],
+5645:["n","thin mortar used to fill gaps between tiles","目地材、グラウト"],
+5646:["n","a small group of trees","木立、果樹園","We walked through an olive grove."],
+5647:["adj","like or full of groves","木立の多い"],
+5648:["v","to make a low threatening sound","うなる"],
+5649:["adj","fully developed; adult","成長した","He is a grown man."],
+5650:["v","gets bigger (third person of grow)","育つ"],
+5651:["n","insect larvae (plural of grub)","幼虫（複数）"],
+5652:["n","a thin porridge","薄い粥"],
+5653:["adj","rough and unfriendly in manner or voice","ぶっきらぼうな"],
+5654:["x"],
+5655:["n","a thick fluid; a clot","凝塊"],
+5656:["n","a grumpy person","不機嫌な人"],
+5657:["v","to make a short low sound like a pig","ブーブー言う、うなる"],
+5658:["x"],
+5659:["x"],
+5660:["x"],
+5661:["v","to gride (obsolete)","きしらせて切る（廃語）"],
+5662:["n","a vulture; a griffin (obsolete)","ハゲワシ、グリフィン（廃語）"],
+5663:["x"],
+5664:["x"],
+5665:["x"],
+5666:["n","a tropical plant used as a remedy for snake bites","グアコ"],
+5667:["x"],
+5668:["n","a tropical tree of the pea family (Inga)","インガ属の木"],
+5669:["n","an iguana","イグアナ"],
+5670:["n","the droppings of sea birds used as fertilizer","グアノ（鳥糞石）"],
+5671:["n","large turkey-like birds of the Americas (plural of guan)","シャクケイ（複数）"],
+5672:["n","the scarlet ibis; the maned wolf","ショウジョウトキ、タテガミオオカミ"],
+5673:["n","a person who protects or watches","警備員","The guard checked my bag."],
+5674:["n","legume plants grown for guar gum (plural of guar)","グアー（複数）"],
+5675:["x"],
+5676:["x"],
+5677:["n","a tropical fruit with pink or white flesh","グアバ","Guava juice is sweet."],
+5678:["x"],
+5679:["x"],
+5680:["x"],
+5681:["x"],
+5682:["x"],
+5683:["n","goods (Scottish, plural of gude)","品物（スコットランド、複数）"],
+5684:["x"],
+5685:["n","an old Russian bowed string instrument","グドーク（ロシアの弦楽器）"],
+5686:["n","a member of the papal faction in medieval Italy (Guelph)","教皇派"],
+5687:["v","to give an answer without being sure","推測する","Guess what I have!"],
+5688:["n","a visitor","客","We have guests tonight."],
+5689:["n","nonsense (plural of guff)","たわごと（複数）"],
+5690:["x"],
+5691:["x"],
+5692:["n","guaiacum resin","グアヤク脂"],
+5693:["x"],
+5694:["n","a person who shows the way","案内人、ガイド","Our guide spoke three languages."],
+5695:["x"],
+5696:["n","a strap for hanging a knight's shield from the shoulder","盾の吊り革"],
+5697:["x"],
+5698:["n","an association of workers or traders","ギルド、組合","A guild of artists."],
+5699:["n","clever but dishonest behaviour","狡猾さ"],
+5700:["n","the feeling of having done wrong","罪悪感、有罪","He felt guilt for lying."],
+5701:["x"],
+5702:["n","a Latin American percussion instrument, a notched gourd","ギロ（打楽器）"],
+5703:["n","an outward appearance or disguise","外観、見せかけ","In the guise of a friend."],
+5704:["x"],
+5705:["adj","relating to the throat","喉の"],
+5706:["x"],
+5707:["n","a narrow steep ravine","峡谷"],
+5708:["n","the colour red (heraldry)","赤（紋章）"],
+5709:["n","large bays; wide divisions (plural of gulf)","湾、隔たり（複数）"],
+5710:["adj","full of whirlpools or gulfs","渦の多い"],
+5711:["x"],
+5712:["n","seabirds (plural of gull)","カモメ（複数）"],
+5713:["n","a small channel cut by running water","雨裂、小峡谷"],
+5714:["n","a gulf (archaic spelling)","湾（古い綴り）"],
+5715:["v","swallows quickly (third person of gulp)","ぐいと飲む"],
+5716:["x"],
+5717:["n","a thick stew from Louisiana","ガンボ（米南部のスープ）","We had shrimp gumbo in New Orleans."],
+5718:["x"],
+5719:["x"],
+5720:["n","a soft tumour typical of late syphilis","ゴム腫"],
+5721:["adj","sticky; showing the gums","ねばねばした、歯茎を見せた"],
+5722:["x"],
+5723:["n","a small rodent of North Africa","グンディ"],
+5724:["x"],
+5725:["n","sticky messy stuff (British informal)","べとべとしたもの（英略式）"],
+5726:["n","cannabis (ganja)","大麻"],
+5727:["x"],
+5728:["adj","sticky and dirty (informal)","べとべとした（略式）"],
+5729:["x"],
+5730:["n","coarse jute fabric used for sacks","ズック、麻袋地"],
+5731:["n","a small colorful freshwater fish","グッピー","The guppy swam in the tank."],
+5732:["x"],
+5733:["n","a whirlpool (obsolete)","渦（廃語）"],
+5734:["x"],
+5735:["adj","rough and stormy (Scottish)","荒れた（スコットランド）"],
+5736:["n","fish offal and refuse","魚のくず"],
+5737:["x"],
+5738:["n","groats (obsolete)","ひき割り麦（廃語）"],
+5739:["n","spiritual teachers or experts (plural of guru)","グル、専門家（複数）"],
+5740:["x"],
+5741:["adj","too emotional or enthusiastic","感情過多の"],
+5742:["n","a one-stringed Balkan instrument (gusle)","グスレ（弦楽器）"],
+5743:["n","a one-stringed bowed instrument of the Balkans","グスレ（弦楽器）"],
+5744:["v","to dress up, as in gussy up (informal)","着飾る（略式）"],
+5745:["n","great enjoyment and energy","熱意、楽しさ"],
+5746:["n","sudden strong winds (plural of gust)","突風（複数）"],
+5747:["adj","with wind blowing in strong bursts","突風の吹く"],
+5748:["adj","brave and determined","根性のある"],
+5749:["n","a drop; a drop-shaped ornament in Doric architecture","しずく、グッタ（建築装飾）"],
+5750:["x"],
+5751:["x"],
+5752:["adj","sprinkled with drops (heraldry)","しずく模様の（紋章）"],
+5753:["v","ridiculed; secured with guy ropes (past of guy)","からかった、支え綱で固定した"],
+5754:["x"],
+5755:["n","a flat-topped seamount of volcanic origin","平頂海山、ギヨー"],
+5756:["x"],
+5757:["x"],
+5758:["v","going (dialect)","行く（方言）"],
+5759:["v","swung a sail across (past of gybe)","帆を反対舷に移した"],
+5760:["v","swings a sail across (third person of gybe)","帆を反対舷に移す"],
+5761:["n","a style of medieval two-part singing","ギメル（中世の二声唱法）"],
+5762:["x"],
+5763:["n","a member of the Roma people (now often considered offensive)","ジプシー（ロマ。蔑称とされることがある）","A traveling gypsy band."],
+5764:["adj","moving in a circle; relating to a gyrus of the brain","旋回する、脳回の"],
+5765:["v","whirled (past of gyre)","渦を巻いた"],
+5766:["n","spirals; large ocean current systems (plural of gyre)","渦、環流（複数）"],
+5767:["x"],
+5768:["n","a triangular charge in heraldry","ジャイロン（紋章の三角形）"],
+5769:["n","a Greek sandwich of roasted meat in pita","ギロス（ギリシャのサンドイッチ）"],
+5770:["n","a ridge on the surface of the brain","脳回"],
+5771:["v","shackled (past of gyve)","足かせをはめた"],
+5772:["n","shackles for the legs (plural of gyve)","足かせ（複数）"],
+5773:["n","deep-sea fishing grounds off Shetland (plural of haaf)","深海漁場（複数）"],
+5774:["n","cold sea fogs (plural of haar)","冷たい海霧（複数）"],
+5775:["x"],
+5776:["n","something done regularly","習慣","Reading is a good habit."],
+5777:["adj","able; skilful (obsolete)","有能な（廃語）"],
+5778:["x"],
+5779:["x"],
+5780:["n","an inverted circumflex accent placed over a letter","ハーチェク（発音記号）"],
+5781:["x"],
+5782:["x"],
+5783:["v","cuts roughly (third person of hack)","たたき切る"],
+5784:["adj","clumsy or makeshift (informal)","その場しのぎの（略式）"],
+5785:["adj","relating to the deepest parts of the ocean","超深海の"],
+5786:["x"],
+5787:["x"],
+5788:["n","the underworld of Greek mythology; hell","冥界、地獄"],
+5789:["x"],
+5790:["n","a Muslim who has made the pilgrimage to Mecca","ハッジ（メッカ巡礼者）"],
+5791:["v","had not (written without the apostrophe)","had not の略（アポストロフィなし）"],
+5792:["v","had (archaic second person)","持っていた（古語、二人称）"],
+5793:["n","iron-containing parts of hemoglobin (plural of haem)","ヘム（複数）"],
+5794:["x"],
+5795:["x"],
+5796:["n","a Muslim who knows the Koran by heart","ハーフィズ（コーラン暗誦者）"],
+5797:["n","handles of tools or weapons (plural of haft)","柄（複数）"],
+5798:["x"],
+5799:["x"],
+5800:["x"],
+5801:["n","a city in the Netherlands (The Hague)","ハーグ","The court is in The Hague."],
+5802:["n","a large white cloth worn as an outer garment in North Africa","ハイク（北アフリカの外衣）"],
+5803:["x"],
+5804:["n","large white outer garments (plural of haik)","ハイク（複数）"],
+5805:["n","a Japanese verse form of three short lines","俳句"],
+5806:["v","calls out to; praises (third person of hail)","呼びかける、称賛する"],
+5807:["adj","of hail","あられの"],
+5808:["x"],
+5809:["x"],
+5810:["n","fine threads growing from the skin (plural of hair)","毛（複数）"],
+5811:["adj","covered with hair","毛深い","Hairy arms."],
+5812:["n","a country in the Caribbean","ハイチ","Haiti shares an island."],
+5813:["n","pilgrimages to Mecca (plural of haj)","メッカ巡礼（複数）"],
+5814:["x"],
+5815:["n","Muslims who have made the pilgrimage to Mecca (plural of haji)","メッカ巡礼者（複数）"],
+5816:["n","a Muslim who has made the pilgrimage to Mecca","メッカ巡礼者"],
+5817:["x"],
+5818:["n","an Australian shrub with spiny leaves","ハケア（オーストラリアの低木）"],
+5819:["n","fish related to the cod (plural of hake)","メルルーサ（複数）"],
+5820:["n","a Muslim physician; a ruler or judge","医者、統治者"],
+5821:["adj","permitted under Islamic law, especially of food","ハラールの"],
+5822:["x"],
+5823:["x"],
+5824:["x"],
+5825:["v","pulled or forced (past of hale)","引っぱった"],
+5826:["n","a former coin of Czechoslovakia, a hundredth of a koruna","ハレル（硬貨）"],
+5827:["v","pulls or forces (third person of hale)","引っぱる"],
+5828:["n","esparto grass","アフリカハネガヤ"],
+5829:["x"],
+5830:["x"],
+5831:["x"],
+5832:["interj","a greeting or call for attention","おーい、やあ"],
+5833:["n","corridors; large rooms (plural of hall)","廊下、ホール（複数）"],
+5834:["n","a board game where pieces jump into the opposite corner","ハルマ（盤上ゲーム）"],
+5835:["n","stalks of grain or beans (plural of halm)","茎（複数）"],
+5836:["n","rings of light (plural of halo)","光輪（複数）"],
+5837:["v","to embrace around the neck; to greet (obsolete)","首を抱く、挨拶する（廃語）"],
+5838:["x"],
+5839:["v","stops (third person of halt)","止まる"],
+5840:["n","a sweet made of sesame paste and honey","ハルヴァ（菓子）"],
+5841:["v","to divide into two equal parts","半分にする"],
+5842:["n","a saint (obsolete)","聖人（廃語）"],
+5843:["n","a porter in Turkey and the Middle East","荷物運び"],
+5844:["n","the Persian minister in the Book of Esther who plotted against the Jews","ハマン（旧約聖書）"],
+5845:["x"],
+5846:["n","curved pieces on a horse's collar","首木の金具"],
+5847:["x"],
+5848:["adj","overacted; exaggerated","大げさな演技の"],
+5849:["n","a hand-shaped amulet from the Middle East","ハムサ（お守り）"],
+5850:["x"],
+5851:["n","an Arabic sign for a glottal stop","ハムザ（アラビア文字）"],
+5852:["n","a rich goblet used on state occasions (obsolete)","豪華な杯（廃語）"],
+5853:["n","a sudden drop in a ship's rail; the haunch of an arch","船の手すりの段差、アーチの迫腰"],
+5854:["x"],
+5855:["n","the parts at the ends of the arms (plural of hand)","手","Wash your hands."],
+5856:["adj","useful; close by","便利な、手近な","A handy tool."],
+5857:["x"],
+5858:["v","is suspended (third person of hang)","ぶら下がる"],
+5859:["n","a pre-Islamic Arab monotheist","ハニーフ（一神教徒）"],
+5860:["n","coils of yarn or rope (plural of hank)","かせ（複数）"],
+5861:["x"],
+5862:["n","a handkerchief (informal)","ハンカチ（略式）"],
+5863:["x"],
+5864:["n","the capital of Vietnam","ハノイ","Hanoi is famous for pho."],
+5865:["n","a medieval merchant guild (Hanse)","ハンザ同盟"],
+5866:["n","a medieval merchant guild; the haunch of an arch","ハンザ同盟、アーチの迫腰"],
+5867:["n","ghosts (dialect, haunts)","幽霊（方言）"],
+5868:["n","a non-native person in Hawaii, especially a white person","ハオレ（ハワイでの白人）"],
+5869:["n","a sacred drink of Zoroastrian ritual; the plant used for it","ハオマ（ゾロアスター教の神酒）"],
+5870:["n","a Japanese short coat worn over a kimono","羽織"],
+5871:["n","a word that occurs only once in a text","ハパックス（一度だけ出る語）"],
+5872:["adv","by chance; perhaps (archaic)","偶然に、もしかすると（古語）"],
+5873:["adj","feeling pleased","幸せな","I'm happy to see you."],
+5874:["adj","forbidden under Islamic law","ハラーム（禁じられた）"],
+5875:["x"],
+5876:["x"],
+5877:["n","the coarse refuse of flax; tow","麻くず"],
+5878:["adj","strong and able to survive hard conditions","丈夫な","Hardy plants."],
+5879:["v","ran very fast (past of hare)","疾走した"],
+5880:["n","the women's part of a Muslim household","ハーレム"],
+5881:["n","fast long-eared animals like large rabbits (plural of hare)","野ウサギ（複数）"],
+5882:["x"],
+5883:["x"],
+5884:["v","listens (third person of hark)","耳を傾ける"],
+5885:["n","the red-breasted merganser","ウミアイサ"],
+5886:["n","fibres of flax or hemp; barbs of a feather (plural of harl)","麻の繊維、羽枝（複数）"],
+5887:["v","hurts (third person of harm)","害する"],
+5888:["n","brains (Scottish)","脳（スコットランド）"],
+5889:["n","stringed instruments with a triangular frame (plural of harp)","ハープ（複数）"],
+5890:["n","a winged monster of Greek myth; a cruel woman","ハルピュイア、意地悪な女"],
+5891:["n","a hinge (obsolete)","ちょうつがい（廃語）"],
+5892:["n","a given name","ハリー（人名）","Harry is my cousin."],
+5893:["adj","cruel or severe; rough","厳しい","A harsh winter."],
+5894:["n","autumn; harvest (Scottish)","秋、収穫（スコットランド）"],
+5895:["n","male deer (plural of hart)","雄ジカ（複数）"],
+5896:["x"],
+5897:["x"],
+5898:["x"],
+5899:["n","a member of a strict Orthodox Jewish sect","ハシディズムの信者"],
+5900:["x"],
+5901:["v","has not (written without the apostrophe)","has not の略（アポストロフィなし）"],
+5902:["n","hinged metal fasteners (plural of hasp)","掛け金（複数）"],
+5903:["x"],
+5904:["n","great hurry","急ぎ","More haste, less speed."],
+5905:["adj","done too quickly","性急な","A hasty decision."],
+5906:["v","to come out of an egg","孵化する","The chicks hatched."],
+5907:["v","disliked very much (past of hate)","ひどく嫌った","He hated rain."],
+5908:["adj","hateful (obsolete)","憎むべき（廃語）"],
+5909:["n","a person who hates","憎む人"],
+5910:["v","strongly dislikes (third person of hate)","憎む"],
+5911:["n","an elephant (India)","象（インド）"],
+5912:["v","is called; was called (obsolete)","～と呼ばれる（廃語）"],
+5913:["x"],
+5914:["x"],
+5915:["n","a low meadow beside a river (Scottish)","川辺の低い牧草地（スコットランド）"],
+5916:["x"],
+5917:["n","the stalks of beans, peas or potatoes","茎"],
+5918:["v","pulls with effort (third person of haul)","引っぱる"],
+5919:["adj","lofty; haughty (obsolete)","高慢な（廃語）"],
+5920:["v","to visit as a ghost; to keep coming back to the mind","出没する、付きまとう","The memory haunts me."],
+5921:["n","a people of northern Nigeria; their language","ハウサ族、ハウサ語"],
+5922:["x"],
+5923:["x"],
+5924:["adj","high; fashionable (French)","高級な（フランス語）"],
+5925:["x"],
+5926:["n","a safe place","避難所","The island is a haven for birds."],
+5927:["n","oats (Scottish); a possessor","オート麦（スコットランド）、所有者"],
+5928:["n","people who have wealth, as in haves and have-nots","持てる者"],
+5929:["n","great damage or disorder","大混乱","The storm caused havoc."],
+5930:["v","hesitated in speech, as in hemmed and hawed (past of haw)","口ごもった"],
+5931:["x"],
+5932:["n","birds of prey (plural of hawk)","タカ（複数）"],
+5933:["x"],
+5934:["x"],
+5935:["n","the part of a ship's bow with holes for the anchor cables","錨鎖孔"],
+5936:["n","Joseph Haydn, Austrian composer","ハイドン"],
+5937:["v","made hay (past of hay)","干し草を作った"],
+5938:["x"],
+5939:["n","a family name","ヘイズ（姓）","Mr. Hayes is the coach."],
+5940:["x"],
+5941:["x"],
+5942:["n","a cantor in a synagogue","ハザン（ユダヤ教の先唱者）"],
+5943:["v","bullied newcomers; became hazy (past of haze)","新入りいじめをした、かすんだ"],
+5944:["n","a small nut tree; a light brown color","ハシバミ、薄茶色","She has hazel eyes."],
+5945:["x"],
+5946:["n","a person who hazes others","しごく人"],
+5947:["n","thin mists (plural of haze)","かすみ（複数）"],
+5948:["v","to dry (obsolete)","乾かす（廃語）"],
+5949:["n","headquarters (abbreviation)","本部（略）"],
+5950:["n","tops of bodies (plural of head)","頭（複数）"],
+5951:["adj","intoxicating; exciting","酔わせる、わくわくする"],
+5952:["n","a heddle in a loom","綜絖"],
+5953:["v","becomes healthy (third person of heal)","治る"],
+5954:["n","untidy piles (plural of heap); lots","山、たくさん","Heaps of laundry."],
+5955:["adj","lying in heaps","山積みの"],
+5956:["v","perceived with the ears (past of hear)","聞いた","I heard a noise."],
+5957:["v","perceives sound (third person of hear)","聞く"],
+5958:["n","the organ that pumps blood; the center of feeling","心臓、心","Her heart beat fast."],
+5959:["n","open land covered with low plants","荒れ野","A walk across the heath."],
+5960:["v","makes hot (third person of heat)","熱する"],
+5961:["v","to lift or pull with great effort","持ち上げる"],
+5962:["adj","weighing a lot","重い","The bag is heavy."],
+5963:["x"],
+5964:["n","ebony (obsolete)","黒檀（廃語）"],
+5965:["x"],
+5966:["x"],
+5967:["n","racks for feeding cattle; door latches (dialect)","飼い葉棚、掛け金（方言）"],
+5968:["x"],
+5969:["n","a Jewish elementary school (cheder)","ヘデル（ユダヤ教の初等学校）"],
+5970:["n","a line of bushes forming a fence","生け垣","Trim the hedge."],
+5971:["adj","full of hedges","生け垣の多い"],
+5972:["v","pays attention to (third person of heed)","注意を払う"],
+5973:["adj","heedful (obsolete)","注意深い（廃語）"],
+5974:["n","backs of the feet (plural of heel)","かかと（複数）"],
+5975:["v","to hoist (Scottish)","持ち上げる（スコットランド）"],
+5976:["x"],
+5977:["v","lifts to judge the weight (third person of heft)","持ち上げて重さを測る"],
+5978:["adj","large, heavy and powerful","重い、たくましい"],
+5979:["n","an ancient Hawaiian temple","ヘイアウ（ハワイの神殿）"],
+5980:["interj","an exclamation to call attention or express cheer","おい、やあ"],
+5981:["x"],
+5982:["x"],
+5983:["x"],
+5984:["n","people who will inherit (plural of heir)","相続人（複数）"],
+5985:["n","a robbery (informal)","強盗（略式）"],
+5986:["x"],
+5987:["interj","alas (French, archaic)","ああ（フランス語、古語）"],
+5988:["x"],
+5989:["n","a given name","ヘレン（人名）","Helen Keller wrote many books."],
+5990:["n","a heliograph (short form)","回光信号機（略）"],
+5991:["n","a spiral shape","らせん","DNA is a double helix."],
+5992:["interj","a greeting","こんにちは、もしもし","Hello, how are you?"],
+5993:["n","places of suffering (plural of hell)","地獄（複数）"],
+5994:["adj","hellish (obsolete)","地獄のような（廃語）"],
+5995:["n","steering wheels or tillers of ships (plural of helm)","舵（複数）"],
+5996:["x"],
+5997:["n","a serf in ancient Sparta; a slave","ヘイロタイ（スパルタの農奴）"],
+5998:["v","gives assistance (third person of help)","助ける"],
+5999:["n","the handle of an axe or tool","柄"],
+6000:["x"],
+6001:["adj","relating to the blood or blood vessels","血液の、血管の"],
+6002:["x"],
+6003:["x"],
+6004:["x"],
+6005:["adj","relating to blood","血液の"],
+6006:["n","a reddish-brown crystalline compound from blood","ヘミン"],
+6007:["x"],
+6008:["n","hemp plants or fibres (plural of hemp)","麻（複数）"],
+6009:["adj","like hemp","麻のような"],
+6010:["x"],
+6011:["adv","for this reason; from now","したがって","It is late, hence the rush."],
+6012:["adj","gentle; courteous (obsolete)","親切な（廃語）"],
+6013:["adv","hence (obsolete)","ここから（廃語）"],
+6014:["n","a prehistoric circular monument of stones or wood","ヘンジ（環状遺構）"],
+6015:["n","a reddish-brown dye from a shrub, used on hair and skin","ヘナ"],
+6016:["x"],
+6017:["n","a given name","ヘンリー（人名）","King Henry had six wives."],
+6018:["v","seizes (obsolete, third person of hent)","つかむ（廃語）"],
+6019:["n","liver of sulphur, a liver-brown compound (old chemistry)","硫肝（旧化学）"],
+6020:["x"],
+6021:["n","plants used for flavour or medicine (plural of herb)","ハーブ（複数）"],
+6022:["adj","full of or like herbs","草の多い"],
+6023:["n","groups of animals (plural of herd)","群れ（複数）"],
+6024:["n","excommunication in Judaism","ヘレム（ユダヤ教の破門）"],
+6025:["x"],
+6026:["n","barbs of a feather used in fly tying (plural of herl)","羽枝（複数）"],
+6027:["n","a herm; a pillar topped with a carved head","ヘルマ（頭像柱）"],
+6028:["x"],
+6029:["n","square pillars topped with a carved head (plural of herm)","ヘルマ（頭像柱、複数）"],
+6030:["n","a corner (obsolete)","隅（廃語）"],
+6031:["n","herons (plural of hern)","サギ（複数）"],
+6032:["n","a tall wading bird with a long neck","サギ","A heron waited for fish."],
+6033:["x"],
+6034:["v","to plunder (Scottish)","略奪する（スコットランド）"],
+6035:["n","a spiked portcullis","落とし格子"],
+6036:["n","the unit of frequency, one cycle per second","ヘルツ"],
+6037:["n","commands (archaic, plural of hest)","命令（古語、複数）"],
+6038:["n","the eighth letter of the Hebrew alphabet (plural of heth)","ヘート（ヘブライ文字、複数）"],
+6039:["x"],
+6040:["n","a crag or cliff (Scottish)","崖（スコットランド）"],
+6041:["n","a crag or cliff; a pit shaft (Scottish)","崖、坑（スコットランド）"],
+6042:["n","a South American tree that yields rubber","パラゴムノキ"],
+6043:["n","the head (obsolete)","頭（廃語）"],
+6044:["v","cut with an axe (past of hew)","切り刻んだ"],
+6045:["x"],
+6046:["n","a person who hews, especially a coal miner","切る人、採炭夫"],
+6047:["x"],
+6048:["n","a group of six","六つ組"],
+6049:["adj","bewitched; unlucky","呪われた"],
+6050:["x"],
+6051:["n","evil spells (plural of hex)","呪い（複数）"],
+6052:["n","a settled state or disposition (philosophy)","性向（哲学）"],
+6053:["n","the chemical group C6H13","ヘキシル基"],
+6054:["adj","high (obsolete)","高い（廃語）"],
+6055:["x"],
+6056:["x"],
+6057:["x"],
+6058:["x"],
+6059:["x"],
+6060:["n","unsophisticated country people (plural of hick)","田舎者（複数）"],
+6061:["x"],
+6062:["x"],
+6063:["x"],
+6064:["n","a person who hides","隠れる人"],
+6065:["v","conceals (third person of hide)","隠す"],
+6066:["x"],
+6067:["n","winter (obsolete)","冬（廃語）"],
+6068:["x"],
+6069:["n","high points or levels (plural of high)","最高点（複数）"],
+6070:["v","called; named (archaic)","～という名の（古語）"],
+6071:["x"],
+6072:["n","the flight of Muhammad from Mecca to Medina (Hegira)","ヒジュラ（聖遷）"],
+6073:["v","walked in the country; raised (past of hike)","ハイキングした、引き上げた"],
+6074:["n","a person who walks long distances for pleasure","ハイカー"],
+6075:["n","long walks; increases (plural of hike)","ハイキング、引き上げ（複数）"],
+6076:["adj","relating to a hilum","門の、へその"],
+6077:["x"],
+6078:["interj","a call to attract attention (hollo)","おーい"],
+6079:["n","raised areas of land (plural of hill)","丘（複数）"],
+6080:["adj","having many hills","丘の多い","A hilly town."],
+6081:["n","a herring-like fish of South Asia","ヒルサ（南アジアの魚）"],
+6082:["n","handles of swords (plural of hilt)","柄（複数）"],
+6083:["n","the scar on a seed; the point where vessels enter an organ","へそ、門"],
+6084:["n","the point where vessels enter an organ (hilum)","門（解剖）"],
+6085:["x"],
+6086:["n","a New Zealand tree","ヒナウ（ニュージーランドの木）"],
+6087:["x"],
+6088:["n","a main language of India","ヒンディー語","She speaks Hindi."],
+6089:["n","female deer (plural of hind)","雌ジカ（複数）"],
+6090:["n","a follower of Hinduism","ヒンドゥー教徒","A Hindu temple."],
+6091:["n","the buttocks (informal)","お尻（略式）"],
+6092:["n","a joint on which a door swings","蝶番","The hinge squeaks."],
+6093:["n","the offspring of a male horse and a female donkey","ケッテイ（雄馬と雌ロバの子）"],
+6094:["n","indirect suggestions (plural of hint)","ヒント（複数）"],
+6095:["x"],
+6096:["x"],
+6097:["x"],
+6098:["n","a hippopotamus","カバ","The hippo yawned in the river."],
+6099:["n","a person who rejects conventional society (hippie)","ヒッピー"],
+6100:["v","employed; rented (past of hire)","雇った、借りた","They hired a new teacher."],
+6101:["x"],
+6102:["n","a person who hires","雇い主"],
+6103:["v","employs for pay (third person of hire)","雇う"],
+6104:["x"],
+6105:["n","a wooded hill (dialect)","木の茂った丘（方言）"],
+6106:["x"],
+6107:["n","a tantrum, as in hissy fit (informal)","かんしゃく（略式）"],
+6108:["x"],
+6109:["n","a temporary difficulty; a kind of knot","障害、結び目"],
+6110:["n","a small port or landing place","小さな港"],
+6111:["v","put bees into a hive (past of hive)","巣箱に入れた"],
+6112:["n","a person who puts bees into hives","巣箱に蜂を集める人"],
+6113:["n","an itchy skin rash; urticaria","じんましん"],
+6114:["n","a long sandwich (hoagie)","ホーギー（サンドイッチ）"],
+6115:["n","a hidden store of money or valuables","秘蔵物、蓄え"],
+6116:["x"],
+6117:["adj","grey or white with age","白髪の、古びた"],
+6118:["n","a cough (Scottish)","咳（スコットランド）"],
+6119:["n","an activity done for pleasure","趣味","My hobby is fishing."],
+6120:["x"],
+6121:["n","homeless wanderers (plural of hobo)","浮浪者（複数）"],
+6122:["n","a crested curassow","ホウカンチョウ"],
+6123:["n","joints in animals' hind legs; white Rhine wines (plural of hock)","飛節、ホック（ワイン）（複数）"],
+6124:["x"],
+6125:["v","to deceive; to drug a drink","だます、飲み物に薬を入れる"],
+6126:["n","a non-surfer who hangs around surfers (slang)","サーファーもどき（俗）"],
+6127:["n","the hooded crow (dialect)","ハイイロガラス（方言）"],
+6128:["n","a farm labourer (typical English rustic)","田舎者"],
+6129:["n","people who use hoes (plural of hoer)","鍬を使う人（複数）"],
+6130:["n","a traditional Navajo house; a family name","ホーガン（ナバホ族の住居）","A Navajo hogan."],
+6131:["x"],
+6132:["n","young sheep before first shearing (plural of hogg)","一歳の羊（複数）"],
+6133:["x"],
+6134:["v","to lift or pull abruptly (informal)","ぐいと引き上げる（略式）"],
+6135:["v","to hoist (obsolete)","揚げる（廃語）"],
+6136:["v","to lift up, often with ropes","持ち上げる","Hoist the flag."],
+6137:["v","faked or overacted, as in hoked up (past of hoke)","でっち上げた"],
+6138:["n","scorn; derision (obsolete)","あざけり（廃語）"],
+6139:["v","fakes, as in hoke up (third person of hoke)","でっち上げる"],
+6140:["adj","corny; sentimental in a false way","わざとらしい、陳腐な"],
+6141:["n","the opening verse of a renga; a haiku","発句"],
+6142:["n","nonsense; cheap sentimental material","たわごと、安っぽい演出"],
+6143:["v","keeps in the hand (third person of hold)","持つ"],
+6144:["v","made a hole in; hit a golf ball into the hole (past of hole)","穴をあけた、カップインした"],
+6145:["x"],
+6146:["n","openings or hollows (plural of hole)","穴（複数）"],
+6147:["adj","full of holes","穴だらけの"],
+6148:["x"],
+6149:["x"],
+6150:["interj","a shout to attract attention","おーい"],
+6151:["interj","a shout to attract attention","おーい"],
+6152:["n","an evergreen bush with red berries","ヒイラギ","Holly at Christmas."],
+6153:["n","small river islands; holm oaks (plural of holm)","川中島、セイヨウヒイラギガシ（複数）"],
+6154:["n","woods; otters' dens (plural of holt)","雑木林、カワウソの巣穴（複数）"],
+6155:["v","went home; aimed at a target (past of home)","帰った、目標に向かった"],
+6156:["n","a home run; the ancient Greek poet Homer","ホームラン、ホメロス","He hit a homer."],
+6157:["n","places where people live (plural of home)","家（複数）"],
+6158:["adj","cosy and comfortable like home","家庭的な"],
+6159:["x"],
+6160:["n","homosexuals (offensive, plural of homo)","同性愛者（蔑称、複数）"],
+6161:["n","a silk fabric from China","ホーナン絹"],
+6162:["n","an eye at the end of a lasso rope","投げ縄の輪"],
+6163:["n","Honshu, the main island of Japan","本州"],
+6164:["v","sharpened; refined (past of hone)","研いだ、磨いた"],
+6165:["n","a person or tool that hones","研ぐ人、研ぐ道具"],
+6166:["v","sharpens (third person of hone)","研ぐ"],
+6167:["n","sweet food made by bees","はちみつ","Put honey in the tea."],
+6168:["n","foreign trading houses in old China (plural of hong)","洋行（複数）"],
+6169:["v","sounds a horn (third person of honk)","警笛を鳴らす"],
+6170:["n","a white person (offensive slang)","白人（蔑称）"],
+6171:["n","respect; a privilege","名誉","It is an honor to meet you."],
+6172:["n","cheap or illicit liquor","密造酒"],
+6173:["n","coverings for the head (plural of hood)","フード（複数）"],
+6174:["n","a hooded sweatshirt; the hooded crow","パーカー、ハイイロガラス"],
+6175:["n","nonsense (informal)","たわごと（略式）"],
+6176:["n","horny feet of horses (plural of hoof)","ひづめ（複数）"],
+6177:["x"],
+6178:["x"],
+6179:["n","curved pieces for hanging or catching (plural of hook)","フック、釣り針","Coat hooks."],
+6180:["n","truancy, as in play hooky (informal)","ずる休み（略式）"],
+6181:["adv","gently; slowly (Scottish)","静かに（スコットランド）"],
+6182:["n","circular bands; basketball (plural of hoop)","輪、バスケットボール（複数）"],
+6183:["x"],
+6184:["x"],
+6185:["v","makes an owl's cry; laughs loudly (third person of hoot)","ホーと鳴く、大笑いする"],
+6186:["n","bloat in cattle","鼓腸症（牛）"],
+6187:["x"],
+6188:["n","a lively Ukrainian folk dance","ホパーク（ウクライナの踊り）"],
+6189:["v","wanted something to happen (past of hope)","望んだ","We hoped for sunny weather."],
+6190:["n","a person who hopes","希望する人"],
+6191:["v","wishes for (third person of hope)","望む"],
+6192:["n","members of a Native American people of Arizona (plural of Hopi)","ホピ族（複数）"],
+6193:["n","a customs collector in old China","税関吏（中国）"],
+6194:["adj","tasting of hops","ホップの風味の"],
+6195:["n","the Hours, goddesses of the seasons","ホーライ（季節の女神）"],
+6196:["n","a circle dance of Israel (hora)","ホラ（輪舞）"],
+6197:["adj","relating to hours","時間の"],
+6198:["n","circle dances of Israel and the Balkans (plural of hora)","ホラ（輪舞、複数）"],
+6199:["n","a large crowd; a wandering tribe","大群、遊牧民の群れ"],
+6200:["x"],
+6201:["n","purposeful vital energy (psychology)","ホルメ（心理学の生命衝動）"],
+6202:["n","hard pointed growths on animals' heads; brass instruments (plural of horn)","角、ホルン（複数）"],
+6203:["adj","made of horn; hard like horn; sexually aroused (slang)","角質の、発情した（俗）"],
+6204:["x"],
+6205:["x"],
+6206:["n","a large animal people ride","馬","She rides a horse."],
+6207:["n","a block of the earth's crust raised between two faults","地塁"],
+6208:["adj","like a horse; fond of horses or horse racing","馬のような、馬好きの"],
+6209:["n","a Hebrew prophet; a book of the Old Testament","ホセア（預言者）"],
+6210:["v","sprayed with a hose; cheated (slang) (past of hose)","ホースで水をかけた、だました（俗）"],
+6211:["n","the socket of a golf club head where the shaft fits","ホーゼル（ゴルフクラブの首）"],
+6212:["n","stockings; hose (archaic plural)","靴下（古語、複数）"],
+6213:["n","flexible tubes for water (plural of hose)","ホース（複数）"],
+6214:["n","a shade-loving garden plant with broad leaves","ギボウシ"],
+6215:["n","people who receive guests (plural of host)","主人、主催者（複数）"],
+6216:["v","to fidget or jerk (Scottish)","もぞもぞする（スコットランド）"],
+6217:["n","a building where travelers pay to stay","ホテル","We stayed at a hotel."],
+6218:["adv","in a heated or passionate way","激しく"],
+6219:["n","the hock of an animal's hind leg","飛節"],
+6220:["n","a small wood (obsolete)","小さな森（廃語）"],
+6221:["n","a dog used for hunting","猟犬","The hound followed the scent."],
+6222:["n","a beautiful maiden of the Muslim paradise","天女（イスラムの天国の）"],
+6223:["n","periods of sixty minutes (plural of hour)","時間","I waited for hours."],
+6224:["n","a building where people live","家","They bought a new house."],
+6225:["n","a saddlecloth (obsolete)","鞍敷き（廃語）"],
+6226:["x"],
+6227:["n","a hood or cap (obsolete)","頭巾（廃語）"],
+6228:["n","a small, wretched dwelling","あばら家"],
+6229:["adj","bloated, of cattle suffering from hoove","鼓腸症の（牛）"],
+6230:["v","to stay in the air in one place","空中に浮かぶ"],
+6231:["interj","an informal greeting","やあ"],
+6232:["n","a cooper's plane for smoothing casks","たる削りかんな"],
+6233:["x"],
+6234:["n","a favourite haunt, especially a pub (Scottish)","行きつけの場所（スコットランド）"],
+6235:["n","favourite haunts (Scottish, plural of howf)","行きつけの場所（スコットランド、複数）"],
+6236:["v","digs (Scottish, third person of howk)","掘る（スコットランド）"],
+6237:["v","cries long and loud (third person of howl)","遠吠えする"],
+6238:["adv","howsoever (obsolete)","どのようにでも（廃語）"],
+6239:["n","a book of rules for card games, as in according to Hoyle","ゲームの規則書"],
+6240:["n","a county in China","県（中国）"],
+6241:["n","a sacred place or object in Andean culture","ワカ（アンデスの聖所）"],
+6242:["x"],
+6243:["x"],
+6244:["n","a husband (informal)","夫（略式）"],
+6245:["n","the huchen, a large salmon of the Danube","フーヘン（ドナウ川のサケ）"],
+6246:["n","huckaback towelling (plural of huck)","ハッカバック地（複数）"],
+6247:["v","blows out loudly; sulks (third person of huff)","息を吹く、むっとする"],
+6248:["adj","easily offended; sulky","すぐ怒る、不機嫌な"],
+6249:["adj","larger (comparative of huge)","より巨大な"],
+6250:["x"],
+6251:["n","Hawaiian dances (plural of hula)","フラダンス（複数）"],
+6252:["n","a hunch (obsolete)","こぶ（廃語）"],
+6253:["n","old ships' bodies; big clumsy people (plural of hulk)","廃船、図体の大きい人（複数）"],
+6254:["adj","bulky and clumsy","図体の大きい"],
+6255:["interj","hello","もしもし、やあ"],
+6256:["n","bodies of ships; husks of seeds (plural of hull)","船体、殻（複数）"],
+6257:["n","a person","人間","Humans need sleep."],
+6258:["x"],
+6259:["x"],
+6260:["adj","relating to humus","腐植の"],
+6261:["adj","hot and damp","湿気の多い","A humid summer."],
+6262:["n","a dark insoluble part of humus","フミン"],
+6263:["x"],
+6264:["n","the quality of being funny","ユーモア","A sense of humor."],
+6265:["interj","a sound expressing doubt or displeasure","ふん"],
+6266:["n","rounded lumps (plural of hump)","こぶ（複数）"],
+6267:["adj","full of humps","こぶの多い"],
+6268:["n","dark organic matter in soil from decayed plants","腐植土"],
+6269:["n","an intuitive feeling; a hump","予感、こぶ"],
+6270:["n","a bill of exchange in South Asia","フンディ（南アジアの為替手形）"],
+6271:["n","attractive muscular men (plural of hunk); a miser (obsolete)","たくましい男（複数）、けち（廃語）"],
+6272:["adj","attractive and muscular (informal)","たくましくて魅力的な（略式）"],
+6273:["v","chases animals to kill them (third person of hunt)","狩る"],
+6274:["n","the coarse part of flax or hemp","麻くず"],
+6275:["v","throws with force (third person of hurl)","投げつける"],
+6276:["n","noise; uproar","騒ぎ"],
+6277:["n","one of the Great Lakes; a Native American people","ヒューロン湖、ヒューロン族","Lake Huron."],
+6278:["v","to move or do quickly","急ぐ","Hurry, or we'll miss the bus."],
+6279:["n","a wood or wooded hill","森、林のある丘"],
+6280:["v","causes pain (third person of hurt)","痛める"],
+6281:["adj","painful (informal)","痛い（略式）"],
+6282:["x"],
+6283:["adj","hushed (archaic)","静まった（古語）"],
+6284:["n","dry outer coverings of seeds (plural of husk)","殻（複数）"],
+6285:["adj","hoarse in voice; big and strong","かすれ声の、がっしりした"],
+6286:["n","a woman regarded as shameless (dated, derogatory)","あばずれ（古風、侮蔑的）"],
+6287:["n","a wooden cage for rabbits","（ウサギなどの）小屋"],
+6288:["n","a rodent of the West Indies","フチア"],
+6289:["x"],
+6290:["interj","a shout of joy (hurrah)","万歳"],
+6291:["n","a hussy (dated)","あばずれ（古風）"],
+6292:["n","a many-headed monster of myth; a small freshwater polyp","ヒュドラ、ヒドラ"],
+6293:["n","electricity from water power","水力発電","Hydro power is clean."],
+6294:["n","a wild dog-like animal of Africa known for its laugh-like cry","ハイエナ","Hyenas hunt in packs."],
+6295:["v","hurrying (present participle of hie)","急いでいる"],
+6296:["n","tree frogs (plural of hyla)","アマガエル（複数）"],
+6297:["n","the ruling planet of a nativity in astrology","ハイレグ（占星術の支配星）"],
+6298:["adj","relating to matter; material","物質の"],
+6299:["n","a membrane at the opening of the vagina; the Greek god of marriage","処女膜、ヒュメン（婚姻の神）"],
+6300:["n","religious songs of praise (plural of hymn)","賛美歌（複数）"],
+6301:["x"],
+6302:["n","the U-shaped bone at the base of the tongue","舌骨"],
+6303:["v","promoted excessively (past of hype)","誇大宣伝した"],
+6304:["adj","overexcited (informal)","興奮しすぎた（略式）"],
+6305:["v","promotes excessively (third person of hype)","誇大宣伝する"],
+6306:["n","a threadlike filament of a fungus","菌糸"],
+6307:["x"],
+6308:["n","hypodermic needles; photographic fixer (plural of hypo)","皮下注射、ハイポ（複数）"],
+6309:["n","a small rodent-like mammal of Africa and the Middle East","ハイラックス"],
+6310:["n","millet (obsolete)","キビ（廃語）"],
+6311:["n","a wood (hurst)","森"],
+6312:["n","a Chinese green tea with twisted leaves","熙春茶"],
+6313:["n","iambuses (plural of iambus)","弱強格（複数）"],
+6314:["n","metrical feet of a weak then strong syllable (plural of iamb)","弱強格（複数）"],
+6315:["n","a Japanese privet shrub","イボタノキ"],
+6316:["n","the cocoplum, a tropical tree with edible fruit","イカコ（ココプラム）"],
+6317:["x"],
+6318:["n","an ancient British tribe led by Boudicca","イケニ族"],
+6319:["n","the fluid in the veins of the Greek gods; a watery discharge","イーコール（神々の血）、膿汁"],
+6320:["x"],
+6321:["x"],
+6322:["adj","colder (comparative of icy)","より冷たい"],
+6323:["adv","in a cold, unfriendly way","冷ややかに"],
+6324:["n","a sweet coating for cakes","糖衣、アイシング"],
+6325:["x"],
+6326:["n","an icicle (dialect); little (childish)","つらら（方言）、ちっちゃい（幼児語）"],
+6327:["n","small symbols on screens; famous figures (plural of icon)","アイコン、偶像（複数）"],
+6328:["x"],
+6329:["adj","relating to a seizure; sudden","発作の、突然の"],
+6330:["n","a stress in verse; a sudden attack such as a stroke","強音、発作"],
+6331:["n","a state in the north-western United States","アイダホ州","Idaho is famous for potatoes."],
+6332:["x"],
+6333:["x"],
+6334:["n","a waiting period for a Muslim widow or divorcee","イッダ（待婚期間）"],
+6335:["x"],
+6336:["adj","perfect","理想的な","It's an ideal place for a picnic."],
+6337:["n","thoughts or plans (plural of idea)","考え","She has good ideas."],
+6338:["n","a short clip identifying a TV channel","ステーションID"],
+6339:["x"],
+6340:["x"],
+6341:["n","an open-air enclosure for Eid prayers","イードガー（礼拝場）"],
+6342:["n","a phrase whose meaning differs from its words","慣用句","\"Break a leg\" is an idiom."],
+6343:["x"],
+6344:["n","a stupid person","ばか","Don't be an idiot."],
+6345:["x"],
+6346:["v","ran without doing work; wasted time (past of idle)","アイドリングした、怠けた"],
+6347:["n","a lazy person","怠け者"],
+6348:["v","runs without work (third person of idle)","アイドリングする"],
+6349:["n","false mental images, as in Bacon's idols (plural of idolum)","イドラ（複数）"],
+6350:["n","worshipped images; adored stars (plural of idol)","偶像、アイドル（複数）"],
+6351:["n","a sugar of the hexose group","イドース"],
+6352:["x"],
+6353:["n","a peaceful, happy scene or time","牧歌的な情景"],
+6354:["n","pastoral poems or scenes (plural of idyl)","牧歌（複数）"],
+6355:["x"],
+6356:["x"],
+6357:["n","a powerful demon of Arab folklore (afreet)","イフリート（魔神）"],
+6358:["x"],
+6359:["n","a dome-shaped hut made of snow blocks","イグルー（雪の家）"],
+6360:["n","igloos (plural of iglu)","イグルー（複数）"],
+6361:["x"],
+6362:["n","fire, as in ignis fatuus (Latin)","火（ラテン語）"],
+6363:["n","the white garments worn by pilgrims to Mecca","イフラーム（巡礼着）"],
+6364:["x"],
+6365:["x"],
+6366:["x"],
+6367:["x"],
+6368:["n","religious images (plural of ikon)","イコン（複数）"],
+6369:["n","a tropical American tree with edible fruit","イラマ"],
+6370:["adj","relating to the ileum","回腸の"],
+6371:["adj","relating to the ileum","回腸の"],
+6372:["x"],
+6373:["n","the last part of the small intestine","回腸"],
+6374:["n","blockage of the intestine","腸閉塞"],
+6375:["adj","relating to the ilium or hip","腸骨の"],
+6376:["n","Homer's epic poem about the siege of Troy","イーリアス"],
+6377:["adj","relating to the ilium","腸骨の"],
+6378:["n","a Hawaiian shrub related to the silversword","イリアウ（ハワイの植物）"],
+6379:["n","a Hawaiian shrub with yellow flowers used in leis","イリマ（ハワイの花）"],
+6380:["n","Troy, the ancient city","イリオン（トロイア）"],
+6381:["n","the broad upper bone of the pelvis; Troy","腸骨、トロイア"],
+6382:["x"],
+6383:["n","the opposite of wealth; harmful goods (Ruskin)","害富（ラスキンの造語）"],
+6384:["x"],
+6385:["n","a picture; how something seems to others","画像、イメージ","The image is blurry."],
+6386:["n","the adult form of an insect; an idealized mental image","成虫、イマーゴ"],
+6387:["n","Muslim prayer leaders (plural of imam)","イマーム（複数）"],
+6388:["n","an imam","イマーム"],
+6389:["v","to put under a ban","禁止する"],
+6390:["n","a cool summer wind of the Levant","イムバト（地中海東部の夏風）"],
+6391:["v","to embed","埋め込む"],
+6392:["x"],
+6393:["v","to fill with a feeling or quality","吹き込む、染み込ませる"],
+6394:["x"],
+6395:["n","an organic compound containing the group -CONHCO-","イミド"],
+6396:["adj","containing the imide group","イミドの"],
+6397:["x"],
+6398:["n","an organic compound containing a carbon-nitrogen double bond","イミン"],
+6399:["adj","containing the group =NH","イミノの"],
+6400:["v","to shut up or confine (emmew)","閉じ込める"],
+6401:["x"],
+6402:["v","to send in; to inject","注入する"],
+6403:["v","to mix together","混ぜる"],
+6404:["x"],
+6405:["x"],
+6406:["x"],
+6407:["v","grafted feathers onto a falcon's wing (past of imp)","羽を継いだ"],
+6408:["v","to drive or force to act","駆り立てる"],
+6409:["v","to shut up in a pen","囲いに入れる"],
+6410:["x"],
+6411:["n","bodies of Zulu warriors (plural of impi)","ズールー族の軍隊（複数）"],
+6412:["v","to suggest without saying directly","ほのめかす","Are you implying I'm wrong?"],
+6413:["n","an imposition; a written school punishment (slang)","罰課題（俗）"],
+6414:["x"],
+6415:["interj","go away (slang)","あっちへ行け（俗）"],
+6416:["x"],
+6417:["x"],
+6418:["n","a Brazilian palm (inaja palm)","イナジャヤシ"],
+6419:["adj","silly and meaningless","ばかげた"],
+6420:["adj","not suitable; unskilful","不適切な、不器用な"],
+6421:["x"],
+6422:["v","to encircle with the arms (archaic)","抱きしめる（古語）"],
+6423:["x"],
+6424:["adv","towards the inner part; inward (Scottish)","奥へ（スコットランド）"],
+6425:["adj","relating to the Incas","インカの"],
+6426:["n","the Incas; Inca rulers (plural of Inca)","インカ族（複数）"],
+6427:["n","a linen tape (inkle)","麻テープ"],
+6428:["adj","incognito (informal)","お忍びで（略式）"],
+6429:["x"],
+6430:["x"],
+6431:["v","to bring on yourself","（損失などを）招く","Incur a debt."],
+6432:["n","the anvil-shaped bone in the middle ear","きぬた骨"],
+6433:["adj","set in by cutting","切り込んだ"],
+6434:["x"],
+6435:["x"],
+6436:["v","to endue (obsolete)","授ける（廃語）"],
+6437:["n","an alphabetical list at the end of a book","索引","Look it up in the index."],
+6438:["n","a large country in South Asia","インド","India has many languages."],
+6439:["adj","relating to India or the Indo-Aryan languages","インドの、インド語派の"],
+6440:["x"],
+6441:["n","a dark red substance similar to indigo","インジン"],
+6442:["x"],
+6443:["n","indole, a crystalline compound found in coal tar and feces","インドール"],
+6444:["v","to endow (obsolete)","授ける（廃語）"],
+6445:["n","a large short-tailed lemur of Madagascar","インドリ"],
+6446:["x"],
+6447:["v","to endow; to put on (endue)","授ける、着る"],
+6448:["n","a great river in Pakistan","インダス川","The Indus Valley civilization."],
+6449:["x"],
+6450:["adj","lacking skill; unsuitable","不器用な、不適切な"],
+6451:["adj","without thorns or spines (botany)","とげのない（植物）"],
+6452:["adj","not moving; not chemically active","不活性の、動かない","Inert gases."],
+6453:["v","to graft by inserting a bud","芽接ぎする"],
+6454:["v","to conclude from evidence","推論する","What can we infer?"],
+6455:["x"],
+6456:["x"],
+6457:["n","an affix inserted inside a word","挿入辞"],
+6458:["n","pieces of information (informal, plural of info)","情報（略式、複数）"],
+6459:["adv","below (used to refer to a later part of a text)","下記","See infra."],
+6460:["n","an onion (Scottish)","タマネギ（スコットランド）"],
+6461:["x"],
+6462:["n","a fire on a hearth; a fireplace","暖炉の火"],
+6463:["x"],
+6464:["n","a block of cast metal","インゴット、鋳塊"],
+6465:["adj","relating to the inion","外後頭隆起の"],
+6466:["n","the bump at the back of the skull","外後頭隆起"],
+6467:["v","covered with ink; signed (past of ink)","インクを付けた、署名した"],
+6468:["x"],
+6469:["n","a person or roller that inks","インクを付ける人、インクローラー"],
+6470:["x"],
+6471:["x"],
+6472:["n","a linen tape used for trimming","麻テープ"],
+6473:["x"],
+6474:["v","to restore to legal protection","法の保護を回復させる"],
+6475:["v","to set pieces of material into a surface for decoration","象眼する"],
+6476:["n","a narrow arm of the sea; an opening for liquid","入り江、吸入口","A quiet inlet."],
+6477:["v","to shut up as in a cage","閉じ込める"],
+6478:["v","gathered in a harvest (past of in)","取り入れた"],
+6479:["adj","inside","内側の","The inner door was locked."],
+6480:["x"],
+6481:["x"],
+6482:["x"],
+6483:["x"],
+6484:["x"],
+6485:["n","what is put in; information given","入力、意見","Thanks for your input."],
+6486:["x"],
+6487:["x"],
+6488:["n","the approach slope of a ski jump","助走路（スキージャンプ）"],
+6489:["x"],
+6490:["x"],
+6491:["x"],
+6492:["n","a small picture set inside a larger one","差し込み図"],
+6493:["x"],
+6494:["x"],
+6495:["v","to ensue (obsolete)","続いて起こる（廃語）"],
+6496:["n","military intelligence; information (informal)","情報（略式）"],
+6497:["v","to bury a dead body","埋葬する","He was interred in the family grave."],
+6498:["prep","into (Scottish)","～の中へ（スコットランド）"],
+6499:["x"],
+6500:["adj","within (used in compounds)","内部の","Intra-city buses."],
+6501:["n","an introduction (informal)","導入部、紹介（略式）"],
+6502:["x"],
+6503:["x"],
+6504:["n","a plant of the daisy family, such as elecampane","オグルマ属の植物"],
+6505:["v","to accustom to something unpleasant","慣れさせる"],
+6506:["v","to put ashes in an urn; to bury","骨壺に納める"],
+6507:["adj","burnt in (obsolete)","焼き付けた（廃語）"],
+6508:["n","an iron-nickel alloy that barely expands with heat","インバー（合金）"],
+6509:["x"],
+6510:["n","conscience; inner sense (obsolete)","良心（廃語）"],
+6511:["n","an oily liquid analogous to chloral","ヨーダール"],
+6512:["adj","containing iodine","ヨウ素の"],
+6513:["n","iodide (older spelling)","ヨウ化物（旧綴り）"],
+6514:["n","iodine (older spelling)","ヨウ素（旧綴り）"],
+6515:["n","an iodine compound used as an antiseptic","ヨードール"],
+6516:["adj","of ions","イオンの","An ionic bond."],
+6517:["x"],
+6518:["n","very small amounts; Greek letters (plural of iota)","微量、イオタ（複数）"],
+6519:["n","a person from Iowa","アイオワ州人"],
+6520:["n","a decree of the Ottoman sultan","勅令（オスマン帝国）"],
+6521:["adj","from or relating to Iraq","イラクの","Iraqi food."],
+6522:["adj","very angry","激怒した"],
+6523:["n","the snow leopard","ユキヒョウ"],
+6524:["x"],
+6525:["x"],
+6526:["adj","relating to the iris of the eye","虹彩の"],
+6527:["x"],
+6528:["x"],
+6529:["adj","from or relating to Ireland","アイルランドの","He loves Irish music."],
+6530:["v","annoyed (past of irk)","いらだたせた"],
+6531:["n","a large West African hardwood tree","イロコ（西アフリカの木材）"],
+6532:["n","a fragrant oil from orris root used in perfume","イロン（香料）"],
+6533:["n","devices for pressing clothes; golf clubs (plural of iron)","アイロン、アイアン","Steam irons."],
+6534:["n","saying the opposite of what you mean; an odd twist","皮肉","The irony is that he was right."],
+6535:["adj","angry; irascible (obsolete)","怒りっぽい（廃語）"],
+6536:["x"],
+6537:["x"],
+6538:["n","a given name (as in Isaac Newton)","アイザック（人名）","Isaac Newton."],
+6539:["n","Russian log huts (plural of isba)","イズバ（ロシアの丸太小屋、複数）"],
+6540:["adj","relating to the goddess Isis","イシスの"],
+6541:["x"],
+6542:["x"],
+6543:["n","the religion of Muslims","イスラム教","Islam began in Arabia."],
+6544:["n","a California wild plum; a Scottish island known for whisky","イスレイ（野生スモモ）、アイラ島"],
+6545:["adj","placed on an isle","島にある"],
+6546:["n","islands (plural of isle)","島（複数）"],
+6547:["n","a small island","小島"],
+6548:["x"],
+6549:["x"],
+6550:["n","the chain of transmitters of a hadith","イスナード（伝承経路）"],
+6551:["x"],
+6552:["x"],
+6553:["n","a Japanese immigrant to North America, first generation","一世（日系移民）"],
+6554:["n","an important topic; one edition of a magazine","問題、号","This is a serious issue."],
+6555:["x"],
+6556:["n","a strong fibre from agave plants (ixtle)","イストル（リュウゼツランの繊維）"],
+6557:["n","a country in southern Europe","イタリア","Rome is in Italy."],
+6558:["adj","causing an itch; restless","かゆい、落ち着かない"],
+6559:["x"],
+6560:["n","individual things in a list (plural of item)","項目（複数）"],
+6561:["x"],
+6562:["n","passages in the brain (plural of iter)","導水管（複数）"],
+6563:["adj","other (Scottish)","ほかの（スコットランド）"],
+6564:["n","a genus of millipedes","ヤスデの一属"],
+6565:["adj","covered with ivy","ツタに覆われた"],
+6566:["n","climbing evergreen plants (plural of ivy)","ツタ（複数）"],
+6567:["n","the hard white material of elephant tusks; a creamy white color","象牙（色）","The walls are painted ivory."],
+6568:["x"],
+6569:["n","South African plants of the iris family (plural of ixia)","イキシア（複数）"],
+6570:["n","a king in Greek myth bound to a burning wheel","イクシオン（ギリシャ神話）"],
+6571:["n","a strong fibre from Mexican agave plants","イストル（リュウゼツランの繊維）"],
+6572:["n","a chamois of the Pyrenees","ピレネーシャモア"],
+6573:["n","long cotton outer garments worn by Muslim women (plural of izar)","イザール（複数）"],
+6574:["x"],
+6575:["n","a Central American yucca","イソテ（ユッカの一種）"],
+6576:["x"],
+6577:["n","honour; prestige (South Asia)","名誉、体面（南アジア）"],
+6578:["x"],
+6579:["n","a ruffle on the front of a shirt or blouse","ジャボ（胸飾り）"],
+6580:["x"],
+6581:["n","a hut of poles plastered with mud (Mexico)","ハカル（泥壁の小屋）"],
+6582:["x"],
+6583:["x"],
+6584:["n","a game of tossing and picking up small pieces; lifting devices (plural of jack)","ジャックス（遊び）、ジャッキ（複数）"],
+6585:["n","a sailor (slang); gin (dialect)","水兵（俗）、ジン（方言）"],
+6586:["n","a given name","ジェイコブ（人名）","Jacob is the oldest son."],
+6587:["adj","tired and bored from too much of something","うんざりした"],
+6588:["n","green gemstones (plural of jade)","翡翠（複数）"],
+6589:["x"],
+6590:["n","a sharpshooter; a jaeger bird","狙撃兵、トウゾクカモメ"],
+6591:["x"],
+6592:["adj","having sharp uneven points","ぎざぎざの"],
+6593:["n","a land grant in Mughal India","ジャーギール（封土）"],
+6594:["x"],
+6595:["x"],
+6596:["n","a tropical tree with edible fruit; the genipap","ジャグア（チブサノキ）"],
+6597:["n","prisons (plural of jail)","刑務所（複数）"],
+6598:["n","a privy; an outdoor toilet","便所"],
+6599:["n","a homeless alcoholic (Scottish slang)","アル中の浮浪者（スコットランド俗語）"],
+6600:["n","grey parrots (plural of jako)","ヨウム（複数）"],
+6601:["n","a purgative drug from the root of a Mexican plant","ヤラッパ（下剤）"],
+6602:["x"],
+6603:["x"],
+6604:["x"],
+6605:["x"],
+6606:["x"],
+6607:["x"],
+6608:["n","a piece of armour for the leg (jamb)","すね当て"],
+6609:["interj","hello (Swahili)","こんにちは（スワヒリ語）"],
+6610:["n","the side posts of doors or windows (plural of jamb)","脇柱（複数）"],
+6611:["n","a given name","ジェームズ（人名）","James plays football."],
+6612:["adj","covered with jam; lucky (British informal)","ジャムだらけの、運のいい（英略式）"],
+6613:["n","women (slang, plural of jane)","女（俗、複数）"],
+6614:["x"],
+6615:["n","an ancient Bengali device for raising irrigation water","ジャントゥ（揚水機）"],
+6616:["adj","jaunty (old spelling)","陽気な（旧綴り）"],
+6617:["x"],
+6618:["n","the Roman god of doorways, with two faces","ヤヌス"],
+6619:["n","an island country in East Asia","日本","Japan has four main islands."],
+6620:["v","joked; jested (past of jape)","冗談を言った"],
+6621:["n","a jester (obsolete)","道化（廃語）"],
+6622:["n","jokes; pranks (plural of jape)","冗談（複数）"],
+6623:["x"],
+6624:["n","Norse chieftains (plural of jarl)","ヤール（北欧の首長、複数）"],
+6625:["x"],
+6626:["x"],
+6627:["n","the driver of a hackney coach (slang)","辻馬車の御者（俗）"],
+6628:["n","a wig (slang)","かつら（俗）"],
+6629:["n","a given name","ジェイソン（人名）","Jason loves football."],
+6630:["adj","streaked or mottled like jasper","碧玉模様の"],
+6631:["x"],
+6632:["n","jet-assisted takeoffs (plural of jato)","ジェット補助離陸（複数）"],
+6633:["x"],
+6634:["n","a short pleasure trip","小旅行"],
+6635:["v","splashes (Scottish)","はねる（スコットランド）"],
+6636:["adj","relating to Java","ジャワの"],
+6637:["n","coffees (slang, plural of java)","コーヒー（俗、複数）"],
+6638:["n","a vagabond (obsolete)","浮浪者（廃語）"],
+6639:["x"],
+6640:["n","an answer; a building that balances another for symmetry (India)","返答、対になる建物（インド）"],
+6641:["n","an Indian soldier","兵士（インド）"],
+6642:["adj","having jaws of a given kind, as in square-jawed","～のあごをした"],
+6643:["n","a wig (jasey)","かつら"],
+6644:["adj","like jazz; bright and showy","ジャズ風の、派手な"],
+6645:["n","trousers made of denim","ジーンズ"],
+6646:["x"],
+6647:["n","a hill or mountain (Arabic)","山（アラビア語）"],
+6648:["n","rugged off-road vehicles (plural of jeep)","ジープ（複数）"],
+6649:["v","mocks loudly (third person of jeer)","あざける"],
+6650:["x"],
+6651:["n","bosses; chiefs (plural of jefe)","ボス（複数）"],
+6652:["n","a holy war or struggle in Islam (jihad)","ジハード"],
+6653:["x"],
+6654:["n","fast or reckless drivers (plural of jehu)","乱暴な御者（複数）"],
+6655:["x"],
+6656:["x"],
+6657:["n","a fruit-flavoured gelatin dessert","ゼリー"],
+6658:["v","sets into a jelly; takes shape (third person of jell)","固まる、まとまる"],
+6659:["n","a soft sweet food made with gelatin or fruit juice","ゼリー、ジャム","Peanut butter and jelly."],
+6660:["n","a hoe (East Africa)","鍬（東アフリカ）"],
+6661:["n","a short crowbar used by burglars","かなてこ"],
+6662:["x"],
+6663:["n","a given name; a female donkey","ジェニー（人名）、雌ロバ","Jenny paints."],
+6664:["n","Jerez, the Spanish city famous for sherry","ヘレス（シェリーの産地）"],
+6665:["n","a Persian land measure","ジェリブ（ペルシャの土地の単位）"],
+6666:["n","a blunt javelin used in equestrian games (jereed)","投げ槍"],
+6667:["v","pulls suddenly (third person of jerk)","ぐいと引く"],
+6668:["n","dried strips of meat","ジャーキー"],
+6669:["n","a given name","ジェリー（人名）","Tom and Jerry."],
+6670:["n","a given name","ジェシー（人名）","Jesse is a chef."],
+6671:["n","jokes (plural of jest)","冗談（複数）"],
+6672:["n","the central figure of Christianity","イエス（キリスト）","Christmas celebrates the birth of Jesus."],
+6673:["n","ballet leaps (plural of jete)","ジュテ（バレエの跳躍、複数）"],
+6674:["n","a counter or token used in place of a coin","ジュトン（代用硬貨）"],
+6675:["n","a pier or breakwater projecting into water","突堤、桟橋"],
+6676:["v","haggled or cheated (offensive, past of jew)","値切った（侮蔑的）"],
+6677:["n","a precious stone","宝石","A crown of jewels."],
+6678:["x"],
+6679:["n","Jews collectively","ユダヤ人（総称）"],
+6680:["n","a shallow lake or marsh (India)","浅い湖、沼（インド）"],
+6681:["x"],
+6682:["n","a long coat worn by Muslims (jubbah)","ジッバ（長衣）"],
+6683:["x"],
+6684:["x"],
+6685:["v","mocked; agreed (past of jibe)","あざけった、一致した"],
+6686:["n","a horse that balks; a person who jibes","立ち止まる馬、あざける人"],
+6687:["n","insulting remarks (plural of jibe)","あざけり（複数）"],
+6688:["n","a large South American snake (boa)","ボア"],
+6689:["n","moments (plural of jiff)","瞬間（複数）"],
+6690:["n","a very short time","瞬間"],
+6691:["adj","sexually excited, as in get jiggy (slang)","ノリノリの（俗）"],
+6692:["n","a holy war or spiritual struggle in Islam","ジハード"],
+6693:["n","female ferrets; young women (plural of jill)","雌フェレット、娘（複数）"],
+6694:["v","abandons a lover suddenly (third person of jilt)","捨てる（恋人を）"],
+6695:["x"],
+6696:["n","a given name; a short crowbar","ジミー（人名）、かなてこ","Jimmy is my brother."],
+6697:["adj","neat; slender (Scottish)","きちんとした、細い（スコットランド）"],
+6698:["n","an aggressive nationalist","好戦的愛国者"],
+6699:["n","a Shinto shrine of the highest rank","神宮"],
+6700:["n","a Shinto shrine","神社"],
+6701:["n","boisterous fun, as in high jinks","大騒ぎ"],
+6702:["n","a spirit in Islamic belief; a genie","ジン（精霊）"],
+6703:["n","spirits in Islamic belief (plural of jinn)","ジン（精霊、複数）"],
+6704:["x"],
+6705:["n","a Cuban timber tree with moisture-resistant wood","ジキ（キューバの木）"],
+6706:["n","a council of tribal elders in Afghanistan and Pakistan","ジルガ（長老会議）"],
+6707:["n","semen (vulgar, plural of jism)","精液（卑語、複数）"],
+6708:["x"],
+6709:["v","danced to swing music; teased (past of jive)","ジャイブを踊った、からかった"],
+6710:["n","lively dances to swing music (plural of jive)","ジャイブ（複数）"],
+6711:["x"],
+6712:["n","a tax on non-Muslims under Islamic rule","ジズヤ（人頭税）"],
+6713:["n","knowledge as a path to liberation in Hinduism","ジュニャーナ（知識）"],
+6714:["n","a chimpanzee (dated)","チンパンジー（古風）"],
+6715:["n","athletes (informal, plural of jock)","スポーツマン（略式、複数）"],
+6716:["x"],
+6717:["n","a yodel","ヨーデル"],
+6718:["n","young kangaroos (plural of joey)","カンガルーの子（複数）"],
+6719:["n","a family name (as in Jasper Johns)","ジョンズ（姓）","Jasper Johns painted flags."],
+6720:["v","connects; becomes a member of (third person of join)","つなぐ、加わる"],
+6721:["n","a place where two bones meet; a connection","関節、継ぎ目","My knee joint hurts."],
+6722:["n","a beam supporting a floor or ceiling","根太"],
+6723:["v","said something funny (past of joke)","冗談を言った"],
+6724:["n","a person who jokes; a playing card","冗談を言う人、ジョーカー"],
+6725:["n","funny remarks (plural of joke)","冗談（複数）"],
+6726:["adj","not serious; joking","冗談めいた"],
+6727:["n","a snow-covered mountain in Iceland","ヨークル（アイスランドの氷河の山）"],
+6728:["n","jowls (plural of jole)","あご（複数）"],
+6729:["adj","happy and cheerful","陽気な","A jolly fellow."],
+6730:["n","sudden jerks or shocks (plural of jolt)","衝撃（複数）"],
+6731:["adj","bumpy; jerky","がたがたする"],
+6732:["n","the prehistoric Jōmon period of Japan","縄文時代"],
+6733:["n","a prophet in the Bible swallowed by a whale","ヨナ","Jonah and the whale."],
+6734:["n","a family name","ジョーンズ（姓）","Mrs. Jones lives upstairs."],
+6735:["x"],
+6736:["n","a large drinking bowl (jorum)","大杯"],
+6737:["n","the towhee, a North American bird","トウヒチョウ"],
+6738:["n","a large drinking bowl","大杯"],
+6739:["x"],
+6740:["x"],
+6741:["x"],
+6742:["n","Spanish folk dances (plural of jota)","ホタ（スペインの踊り、複数）"],
+6743:["x"],
+6744:["n","a working-class dialect of Quebec French","ジュアル（ケベックの方言）"],
+6745:["x"],
+6746:["n","an iron collar formerly used as a punishment in Scotland","首かせ（スコットランド）"],
+6747:["v","ducks or dodges (Scottish, third person of jouk)","身をかわす（スコットランド）"],
+6748:["n","the unit of energy or work","ジュール"],
+6749:["x"],
+6750:["x"],
+6751:["v","to fight on horseback with lances","馬上槍試合をする"],
+6752:["n","sorghum (India)","モロコシ（インド）"],
+6753:["x"],
+6754:["x"],
+6755:["x"],
+6756:["n","the loose flesh under the jaw (plural of jowl)","たるんだあご（複数）"],
+6757:["adj","having heavy jowls","あごのたるんだ"],
+6758:["x"],
+6759:["n","a given name or family name (as in James Joyce)","ジョイス（人名）","Joyce wrote Ulysses."],
+6760:["v","rejoiced (past of joy)","喜んだ"],
+6761:["x"],
+6762:["n","manes; loose panicles (plural of juba)","たてがみ、円錐花序（複数）"],
+6763:["x"],
+6764:["n","gums or jujubes (plural of jube)","グミキャンディー（複数）"],
+6765:["x"],
+6766:["n","an ancient kingdom; a given name","ユダ（王国）","The tribe of Judah."],
+6767:["n","a traitor; the disciple who betrayed Jesus","裏切り者、ユダ","He called him a Judas."],
+6768:["x"],
+6769:["n","a person who decides cases in court","裁判官、審査員","The judge made a fair decision."],
+6770:["x"],
+6771:["x"],
+6772:["x"],
+6773:["adj","relating to the cheekbone","頬骨の"],
+6774:["n","a Roman measure of land","ユゲルム（ローマの面積単位）"],
+6775:["n","a ridge on a fruit; a pair of leaflets","肋、一対の小葉"],
+6776:["n","liquid from fruit or vegetables","ジュース、果汁","A glass of orange juice."],
+6777:["adj","full of juice; interesting and scandalous","汁の多い、興味をそそる"],
+6778:["n","judgment; sentence (obsolete)","判決（廃語）"],
+6779:["n","magic charms (plural of juju)","お守り、呪物（複数）"],
+6780:["v","faked out an opponent (past of juke)","フェイントをかけた"],
+6781:["n","jukeboxes (informal, plural of juke)","ジュークボックス（略式、複数）"],
+6782:["n","a drink of bourbon, sugar and mint over ice","ジュレップ"],
+6783:["n","a millipede of the family Julidae","ヤスデ"],
+6784:["x"],
+6785:["x"],
+6786:["adj","very large","特大の"],
+6787:["n","a ghost (Caribbean)","幽霊（カリブ）"],
+6788:["n","Friday; the Friday prayer (Islam)","金曜日、金曜礼拝"],
+6789:["v","leaps (third person of jump)","跳ぶ"],
+6790:["adj","nervous and easily startled","びくびくした"],
+6791:["n","a small North American finch","ユキヒメドリ"],
+6792:["x"],
+6793:["n","Chinese sailing ships; useless things (plural of junk)","ジャンク船、がらくた（複数）"],
+6794:["n","a drug addict (junkie)","麻薬中毒者"],
+6795:["n","a military group ruling after a coup","軍事政権"],
+6796:["n","a secret political group","徒党"],
+6797:["n","jupons; skirts (plural of jupe)","胴着、スカート（複数）"],
+6798:["n","a close-fitting tunic worn over armour","陣羽織（鎧の上衣）"],
+6799:["adj","relating to law or legal rights","法律上の"],
+6800:["n","a sworn officer; a statement of where an affidavit was sworn","宣誓役人、宣誓供述認証"],
+6801:["n","a yellow jack fish of the Atlantic","ジュレル（アジ科の魚）"],
+6802:["x"],
+6803:["n","a member of a jury","陪審員","The juror took notes."],
+6804:["x"],
+6805:["v","jousts (archaic)","馬上槍試合をする（古語）"],
+6806:["n","a Germanic people who settled in Kent","ジュート人"],
+6807:["n","a two-wheeled horse carriage of South India","ジュトカ（二輪馬車）"],
+6808:["n","a projecting part of a building; a jetty","突出部、突堤"],
+6809:["n","the Brazil nut tree","ブラジルナッツの木"],
+6810:["x"],
+6811:["n","the cube-shaped shrine in Mecca","カアバ神殿"],
+6812:["n","the hartebeest","ハーテビースト"],
+6813:["n","a kebab","ケバブ"],
+6814:["x"],
+6815:["x"],
+6816:["n","a kebab","ケバブ"],
+6817:["adj","raw; makeshift (India, kutcha)","粗末な（インド）"],
+6818:["n","Muslim judges (plural of kadi)","カーディー（複数）"],
+6819:["x"],
+6820:["n","an offensive term for a Black African; an unbeliever","蔑称（黒人に対する）、不信心者"],
+6821:["x"],
+6822:["n","Franz Kafka, Czech-born writer","カフカ"],
+6823:["n","spiced minced meat shaped on skewers (kofta)","コフタ"],
+6824:["x"],
+6825:["n","crested birds of New Caledonia (plural of kagu)","カグー（複数）"],
+6826:["n","a palanquin bearer (India)","かご担ぎ（インド）"],
+6827:["n","the proboscis monkey of Borneo","テングザル"],
+6828:["n","a kayak","カヤック"],
+6829:["n","states of dreamy pleasure (plural of kaif)","夢見心地（複数）"],
+6830:["n","kales (plural of kail)","ケール（複数）"],
+6831:["n","rent paid in produce or poultry (plural of kain)","現物地代（複数）"],
+6832:["x"],
+6833:["n","the barking deer (muntjac)","ホエジカ"],
+6834:["n","New Zealand parrots (plural of kaka)","カカ（複数）"],
+6835:["n","Japanese persimmons (plural of kaki)","柿（複数）"],
+6836:["n","beriberi (Japanese)","脚気"],
+6837:["n","Islamic theology","カラーム（イスラム神学）"],
+6838:["n","the sea otter","ラッコ"],
+6839:["n","cabbages with curly leaves (plural of kale)","ケール（複数）"],
+6840:["n","a caliph","カリフ"],
+6841:["n","saltworts (plural of kali)","オカヒジキ（複数）"],
+6842:["x"],
+6843:["n","an immense cycle of time in Hindu and Buddhist belief","劫（こう）"],
+6844:["x"],
+6845:["x"],
+6846:["n","ridges of glacial sand and gravel (plural of kame)","ケイム（氷河堆積丘、複数）"],
+6847:["n","a sealskin boot","カミック（アザラシ皮の長靴）"],
+6848:["n","Shinto deities (plural of kami)","神（複数）"],
+6849:["x"],
+6850:["x"],
+6851:["x"],
+6852:["n","an underground irrigation channel (qanat)","カナート（地下水路）"],
+6853:["x"],
+6854:["n","a Hebrew measure of length","カネ（ヘブライの長さの単位）"],
+6855:["x"],
+6856:["n","a printed cotton cloth worn as a wrap in East Africa","カンガ（布）"],
+6857:["n","Chinese characters used in Japanese writing","漢字"],
+6858:["x"],
+6859:["n","a long white robe worn by men in East Africa","カンズ（長衣）"],
+6860:["n","unstable mesons (plural of kaon)","K中間子（複数）"],
+6861:["adj","good (New Zealand, Maori)","良い（ニュージーランド、マオリ語）"],
+6862:["x"],
+6863:["n","the eleventh letter of the Hebrew alphabet (plural of kaph)","カフ（ヘブライ文字、複数）"],
+6864:["n","silky fibre from the seeds of a tropical tree, used for stuffing","カポック"],
+6865:["n","the tenth letter of the Greek alphabet (κ)","カッパ（ギリシャ文字）","Kappa comes after iota."],
+6866:["x"],
+6867:["n","a Southeast Asian hardwood tree; camphor","カプール（木材）、樟脳"],
+6868:["adj","broken; finished (informal)","壊れた、おしまいの（略式）"],
+6869:["n","a measure of the purity of gold","カラット（金の純度）"],
+6870:["x"],
+6871:["x"],
+6872:["n","a given name","カレン（人名）","Karen sings in a choir."],
+6873:["n","an underground irrigation channel (Central Asia)","カレーズ（地下水路）"],
+6874:["n","the effect of a person's actions on their fate","カルマ、業"],
+6875:["n","cairns (plural of karn)","ケルン（石塚、複数）"],
+6876:["n","a dry plateau in South Africa","カルー（南アフリカの高原）"],
+6877:["x"],
+6878:["x"],
+6879:["n","a tall Australian eucalyptus","カリー（ユーカリの一種）"],
+6880:["n","limestone landscape with caves and sinkholes","カルスト"],
+6881:["n","small motor racing cars (plural of kart)","カート（複数）"],
+6882:["x"],
+6883:["n","boiled or baked buckwheat","カーシャ（そば粥）"],
+6884:["x"],
+6885:["x"],
+6886:["n","a short Indian dagger with an H-shaped grip","カタール（インドの短剣）"],
+6887:["x"],
+6888:["n","a form of Indian religious storytelling","カター（説話）"],
+6889:["x"],
+6890:["n","a Maya period of twenty years","カトゥン（マヤ暦の20年）"],
+6891:["x"],
+6892:["n","a tall New Zealand conifer; its resin","カウリマツ"],
+6893:["n","the kauri tree","カウリマツ"],
+6894:["n","Polynesian drinks made from a pepper root (plural of kava)","カヴァ（複数）"],
+6895:["x"],
+6896:["n","a light narrow canoe with a covered deck","カヤック"],
+6897:["x"],
+6898:["n","knockouts (plural of kayo)","ノックアウト（複数）"],
+6899:["n","a toy instrument that buzzes when you hum into it","カズー（笛）"],
+6900:["x"],
+6901:["x"],
+6902:["n","John Keats, an English poet","キーツ","Keats wrote odes."],
+6903:["n","the mesquite tree in Hawaii","キアヴェ（ハワイのメスキート）"],
+6904:["n","pieces of meat cooked on a stick","ケバブ","We bought a lamb kebab."],
+6905:["x"],
+6906:["x"],
+6907:["n","a kebab","ケバブ"],
+6908:["n","trousers (British slang); dry stalks","ズボン（英俗）、枯れ茎"],
+6909:["adj","like a dry hollow stalk","茎の空洞のような"],
+6910:["v","to move a ship by hauling on a small anchor","小錨でたぐって船を動かす"],
+6911:["x"],
+6912:["n","a lump of fat (obsolete)","脂肪の塊（廃語）"],
+6913:["x"],
+6914:["v","peeps (Scottish, third person of keek)","のぞく（スコットランド）"],
+6915:["n","the bottoms of ships (plural of keel); ninepins","竜骨（複数）、九柱戯"],
+6916:["x"],
+6917:["v","wails in mourning (third person of keen)","泣き悲しむ"],
+6918:["v","holds on to (third person of keep)","保つ"],
+6919:["x"],
+6920:["n","young guinea fowl (plural of keet)","ホロホロチョウのひな（複数）"],
+6921:["n","a tub or vat used in brewing or bleaching","醸造桶"],
+6922:["n","a fermented milk drink","ケフィア"],
+6923:["n","bleaching vats (plural of keir)","漂白槽（複数）"],
+6924:["x"],
+6925:["x"],
+6926:["x"],
+6927:["n","a raft supported on inflated skins","ケレク（皮袋の筏）"],
+6928:["n","a stinging ant of Central America","ケレプ（中米のアリ）"],
+6929:["x"],
+6930:["x"],
+6931:["n","a given name or family name","ケリー（人名）","Kelly sings in a band."],
+6932:["n","large brown seaweeds (plural of kelp)","昆布類（複数）"],
+6933:["n","a water spirit in the form of a horse (kelpie)","ケルピー（水の精霊）"],
+6934:["n","salmon after spawning (plural of kelt)","産卵後のサケ（複数）"],
+6935:["x"],
+6936:["n","coarse hairs in wool (plural of kemp)","死毛（複数）"],
+6937:["adj","neatly kept","手入れの行き届いた"],
+6938:["x"],
+6939:["n","a fibre from an Asian hibiscus","ケナフ"],
+6940:["n","a bin for salting fish","魚の塩漬け箱"],
+6941:["n","Japanese fencing with bamboo swords","剣道"],
+6942:["x"],
+6943:["x"],
+6944:["x"],
+6945:["n","lottery games (plural of keno)","キーノ（複数）"],
+6946:["n","a colourful woven cloth of Ghana","ケンテ布"],
+6947:["n","a country in East Africa","ケニア","Kenya is famous for runners."],
+6948:["x"],
+6949:["n","French military caps (plural of kepi)","ケピ帽（複数）"],
+6950:["x"],
+6951:["n","edges of pavements (plural of kerb)","縁石（複数）"],
+6952:["x"],
+6953:["x"],
+6954:["n","cuts or slits made by saws (plural of kerf)","挽き目（複数）"],
+6955:["n","an Irish foot soldier (kern)","アイルランドの歩兵"],
+6956:["v","adjusts spacing between letters (third person of kern)","字詰めを調整する"],
+6957:["x"],
+6958:["n","a small black Irish breed of cattle","ケリー牛"],
+6959:["v","to carve (obsolete)","彫る（廃語）"],
+6960:["n","an emperor (obsolete, kaiser)","皇帝（廃語）"],
+6961:["x"],
+6962:["n","an organic compound formed from a ketone","ケタール"],
+6963:["n","a two-masted sailing boat","ケッチ（帆船）"],
+6964:["x"],
+6965:["n","an organic compound containing both ketone and alcohol groups","ケトール"],
+6966:["x"],
+6967:["x"],
+6968:["n","a radical anion formed from a ketone","ケチル"],
+6969:["n","a large cleat for fastening ropes on a ship","大型索止め"],
+6970:["v","to cover (obsolete)","覆う（廃語）"],
+6971:["x"],
+6972:["n","dry hollow stalks of plants (plural of kex)","枯れた茎（複数）"],
+6973:["adj","having keys; adjusted to a key","鍵のある、調子を合わせた"],
+6974:["x"],
+6975:["n","handwoven cotton cloth of India","カディ（手織り綿布）"],
+6976:["x"],
+6977:["x"],
+6978:["adj","dull yellowish brown","カーキ色の","He wore khaki trousers."],
+6979:["n","Asian rulers; caravan inns (plural of khan)","ハン、隊商宿（複数）"],
+6980:["x"],
+6981:["n","leaves of a shrub chewed as a stimulant (plural of khat)","カート（複数）"],
+6982:["n","an enclosure for catching wild elephants (India)","象の捕獲柵（インド）"],
+6983:["n","the main people or language of Cambodia","クメール人、クメール語"],
+6984:["n","a teacher; a member of an Ismaili community","ホージャ（教師）"],
+6985:["x"],
+6986:["n","a divorce initiated by the wife in Islamic law","フルウ（妻からの離婚）"],
+6987:["x"],
+6988:["n","a South African tree with valuable wood","キアート（南アフリカの木）"],
+6989:["x"],
+6990:["x"],
+6991:["n","a wild ass of Tibet","キャン（チベットの野生ロバ）"],
+6992:["n","an American born of Japanese parents and educated in Japan","帰米二世"],
+6993:["n","chapped sores on the heels (plural of kibe)","しもやけ（複数）"],
+6994:["n","the direction of Mecca, faced in prayer (qibla)","キブラ"],
+6995:["v","strikes with the foot (third person of kick)","蹴る"],
+6996:["adj","lively and fashionable (informal)","しゃれた（略式）"],
+6997:["n","a child; a friendly form of address (informal)","坊や、君（略式）"],
+6998:["n","a small child (informal)","子ども（略式）"],
+6999:["n","states of dreamy pleasure (plural of kief)","夢見心地（複数）"],
+7000:["n","bleaching vats (plural of kier)","漂白槽（複数）"],
+7001:["x"],
+7002:["n","a thorny acacia tree of India","キカール（アカシアの一種）"],
+7003:["n","Jews (ethnic slur, plural of kike)","蔑称（複数）"],
+7004:["n","a striped cloth worn as a wrap in East Africa","キコイ（布）"],
+7005:["x"],
+7006:["x"],
+7007:["x"],
+7008:["n","an Australian boomerang","ブーメラン"],
+7009:["n","a Turkish curved sabre","キリジ（トルコの刀）"],
+7010:["n","a flat-woven rug from Turkey or Persia","キリム（平織り絨毯）"],
+7011:["v","causes death (third person of kill)","殺す"],
+7012:["x"],
+7013:["n","ovens for firing pottery (plural of kiln)","窯（複数）"],
+7014:["x"],
+7015:["n","kilograms (plural of kilo)","キロ（複数）"],
+7016:["n","pleated skirts worn by Scottish men (plural of kilt)","キルト（複数）"],
+7017:["n","a person wearing a kilt (informal)","キルトを着た人（略式）"],
+7018:["adj","bent; crooked (obsolete), as in akimbo","曲がった（廃語）"],
+7019:["x"],
+7020:["x"],
+7021:["n","types (plural of kind)","種類（複数）"],
+7022:["n","protein kinases or kinins in biochemistry (rare)","キン（生化学、まれ）"],
+7023:["n","male rulers (plural of king)","王（複数）"],
+7024:["adj","quinic (older spelling)","キナの（旧綴り）"],
+7025:["n","a plant hormone that promotes cell division; a peptide hormone","キニン"],
+7026:["n","sharp twists; quirks (plural of kink)","よじれ、癖（複数）"],
+7027:["adj","tightly curled; sexually unconventional","縮れた、変態的な"],
+7028:["x"],
+7029:["n","gums from tropical trees (plural of kino)","キノ（樹脂、複数）"],
+7030:["x"],
+7031:["n","an extinct Hawaiian bird","キオエア（絶滅したハワイの鳥）"],
+7032:["n","a small booth selling newspapers or tickets","売店、キオスク"],
+7033:["n","a Native American people of the southern plains","カイオワ族"],
+7034:["x"],
+7035:["n","a family name or given name","カービー（人名）","Kirby plays drums."],
+7036:["n","churches (Scottish, plural of kirk)","教会（スコットランド、複数）"],
+7037:["n","harvest festivals (Scottish, plural of kirn)","収穫祭（スコットランド、複数）"],
+7038:["x"],
+7039:["n","a farmer (India)","農民（インド）"],
+7040:["x"],
+7041:["n","a fermented flatbread of Sudan","キスラ（スーダンのパン）"],
+7042:["adj","inclined to kiss; affectionate (informal)","キス好きな（略式）"],
+7043:["n","chests; coffins (Scottish, plural of kist)","箱、棺（スコットランド、複数）"],
+7044:["n","the black cloth covering the Kaaba","キスワ（カアバの覆い布）"],
+7045:["n","a book (Arabic)","書物（アラビア語）"],
+7046:["x"],
+7047:["v","wrote a fraudulent cheque (past of kite)","空手形を振り出した"],
+7048:["n","a person who flies kites or writes bad cheques","凧揚げをする人、空手形を切る人"],
+7049:["n","toys flown on a string; hawks (plural of kite)","凧、トビ（複数）"],
+7050:["v","to make known (obsolete)","知らせる（廃語）"],
+7051:["n","friends and neighbours (plural of kith)","知人（複数）"],
+7052:["n","a kitten or cat (child's word); a shared pool of money","子猫、共同資金","Here, kitty!"],
+7053:["n","underground ceremonial rooms of Pueblo peoples (plural of kiva)","キヴァ（複数）"],
+7054:["v","to cover (dialect)","覆う（方言）"],
+7055:["n","flightless birds of New Zealand; kiwifruit (plural of kiwi)","キーウィ（複数）"],
+7056:["x"],
+7057:["n","groups of the Ku Klux Klan (plural of klan)","クラン（複数）"],
+7058:["n","a klieg light","クリーグライト"],
+7059:["n","a kilometre (military slang)","キロメートル（軍隊俗語）"],
+7060:["n","a powerful arc lamp used in film studios","クリーグライト"],
+7061:["x"],
+7062:["n","a canal in Thailand","クローン（タイの運河）"],
+7063:["n","a ravine (South Africa)","峡谷（南アフリカ）"],
+7064:["x"],
+7065:["x"],
+7066:["x"],
+7067:["n","a dull heavy sound (clunk)","ゴツン"],
+7068:["n","a clumsy person (informal)","不器用な人（略式）"],
+7069:["n","a kilomole (unit)","キロモル"],
+7070:["n","a special skill or way of doing something","こつ"],
+7071:["x"],
+7072:["v","strikes sharply; chips stone (third person of knap)","打ち砕く"],
+7073:["x"],
+7074:["n","a knot in wood (gnarl)","木の節"],
+7075:["n","knots in wood (plural of knar)","木の節（複数）"],
+7076:["n","a dishonest man; the jack in cards","悪党、ジャック（トランプ）"],
+7077:["v","to work dough with the hands","こねる"],
+7078:["adj","having knees of a given kind, as in weak-kneed","～の膝をした"],
+7079:["v","to go down on one's knees","ひざまずく"],
+7080:["n","joints in the middle of the legs (plural of knee)","膝（複数）"],
+7081:["n","the sound of a bell rung for a death","弔鐘"],
+7082:["v","went down on the knees (past of kneel)","ひざまずいた","She knelt to pray."],
+7083:["x"],
+7084:["n","a prince in old Russia (knyaz)","公（ロシア）"],
+7085:["x"],
+7086:["n","a tool with a blade for cutting","ナイフ","Cut the bread with a knife."],
+7087:["n","a baked dumpling filled with potato or meat","クニッシュ"],
+7088:["v","makes fabric with needles (third person of knit)","編む"],
+7089:["x"],
+7090:["n","round handles (plural of knob)","取っ手（複数）"],
+7091:["v","to hit a door to get attention","ノックする","Knock before entering."],
+7092:["x"],
+7093:["n","a small round hill","小山"],
+7094:["n","knobs or ornamental bosses (plural of knop)","こぶ飾り（複数）"],
+7095:["x"],
+7096:["n","a knob or bud (knop)","つぼみ飾り"],
+7097:["n","fastenings made by tying; units of speed at sea (plural of knot)","結び目、ノット（複数）"],
+7098:["n","a heavy whip formerly used in Russia","むち（ロシアの刑具）"],
+7099:["n","a knoll (Scottish)","小山（スコットランド）"],
+7100:["adj","recognized; familiar","知られた","He is a known thief."],
+7101:["v","is aware of (third person of know)","知っている"],
+7102:["n","a small ridge or knob, as on a screw head","ローレット、こぶ"],
+7103:["n","knots or knobs (plural of knur)","こぶ（複数）"],
+7104:["x"],
+7105:["n","a prince in old Russia","公（ロシア）"],
+7106:["n","an Australian animal that lives in eucalyptus trees","コアラ","The koala slept all day."],
+7107:["x"],
+7108:["n","paradoxical Zen riddles (plural of koan)","公案（複数）"],
+7109:["n","an old Japanese oval gold coin","小判"],
+7110:["n","a brand of cameras and film","コダック","An old Kodak camera."],
+7111:["x"],
+7112:["n","Asian cuckoos (plural of koel)","オニカッコウ（複数）"],
+7113:["n","spiced balls of minced meat or vegetables","コフタ"],
+7114:["n","a skewer-like accessory of a Japanese sword","笄"],
+7115:["n","a Jewish priest descended from Aaron","コーヘン（祭司）"],
+7116:["n","dark eye cosmetics (plural of kohl)","コール墨（複数）"],
+7117:["x"],
+7118:["x"],
+7119:["n","the common Greek of the Hellenistic world; a common language","コイネー、共通語"],
+7120:["n","an Indian fruit used in cooking (kokum)","コカム"],
+7121:["x"],
+7122:["n","a Hawaiian tree of the cotton family","コキア（ハワイの木）"],
+7123:["x"],
+7124:["n","a Hawaiian tree of the cotton family","コキオ（ハワイの木）"],
+7125:["x"],
+7126:["x"],
+7127:["n","an Indian fruit used to sour curries","コカム"],
+7128:["n","kola nut trees (plural of kola)","コーラノキ（複数）"],
+7129:["n","the Pacific golden plover (Hawaiian)","ムナグロ（ハワイ語）"],
+7130:["x"],
+7131:["n","dried kelp used in Japanese cooking","昆布"],
+7132:["n","a large house or official residence in Turkey","コナク（トルコの邸宅）"],
+7133:["n","the main hall of a Japanese Buddhist temple","金堂"],
+7134:["n","a Bantu people of the Congo; their language","コンゴ族、コンゴ語"],
+7135:["x"],
+7136:["n","a kookaburra (Australian informal)","ワライカワセミ（豪略式）"],
+7137:["n","eccentric people (plural of kook)","変わり者（複数）"],
+7138:["adj","strange or eccentric (informal)","変な（略式）"],
+7139:["n","a Russian coin, one hundredth of a rouble (kopek)","カペイカ"],
+7140:["n","a Russian coin, one hundredth of a rouble","カペイカ"],
+7141:["n","the Hebrew letter qoph (plural of koph)","コフ（ヘブライ文字、複数）"],
+7142:["n","a curved Greek sword","コピス（ギリシャの刀）"],
+7143:["n","a small hill on the South African veld","小丘（南アフリカ）"],
+7144:["n","an archaic Greek letter","コッパ（古代ギリシャ文字）"],
+7145:["n","ancient Greek statues of young women (plural of kore)","コレー像（複数）"],
+7146:["n","the sacred book of Islam","コーラン"],
+7147:["n","a region in East Asia with two countries","朝鮮、韓国","Seoul is the capital of South Korea."],
+7148:["x"],
+7149:["n","a gazelle","ガゼル"],
+7150:["n","a mild, creamy South Asian curry","コルマ（カレー）"],
+7151:["n","Czech coins (plural of koruna)","コルナ（複数）"],
+7152:["n","a sheath or layer of the self in Hindu philosophy","コーシャ（鞘）"],
+7153:["n","a compound from kousso flowers used against tapeworms","コシン"],
+7154:["x"],
+7155:["x"],
+7156:["n","Japanese zithers (plural of koto)","琴（複数）"],
+7157:["v","to kowtow; to bow deeply","叩頭する、へつらう"],
+7158:["x"],
+7159:["n","a Hindu temple in Tamil areas","コーヴィル（ヒンドゥー寺院）"],
+7160:["n","a Malay unit of weight","コヤン（マレーの重量単位）"],
+7161:["n","an African village of huts; a livestock pen","クラール（村、家畜囲い）"],
+7162:["n","strong brown paper; a company name","クラフト紙","A kraft envelope."],
+7163:["n","a highly venomous snake of Asia","アマガサヘビ"],
+7164:["n","a checked scarf of Cambodia","クロマー（カンボジアのスカーフ）"],
+7165:["n","the carcass of a whale after the blubber is removed","鯨の死骸"],
+7166:["n","a wall of rock (South Africa)","岩壁（南アフリカ）"],
+7167:["n","a German (offensive)","ドイツ人（蔑称）"],
+7168:["n","the Krebs cycle, named after the biochemist Hans Krebs","クレブス（回路）"],
+7169:["x"],
+7170:["n","a district in Germany","郡（ドイツ）"],
+7171:["n","a white lead pigment","クレムス白"],
+7172:["n","a whale carcass (krang)","鯨の死骸"],
+7173:["n","small shrimp-like sea creatures","オキアミ"],
+7174:["x"],
+7175:["n","a Malay dagger (kris)","クリス（短剣）"],
+7176:["x"],
+7177:["x"],
+7178:["n","the currency of Sweden and Iceland","クローナ"],
+7179:["n","the currency of Denmark and Norway","クローネ"],
+7180:["n","the former currency of Estonia","クローン"],
+7181:["x"],
+7182:["n","a foul-smelling tropical plant with a huge flower","ショクダイオオコンニャク"],
+7183:["n","a fried dumpling of bulgur and meat (kibbeh)","クッバ"],
+7184:["n","praise and honour","称賛"],
+7185:["n","African antelopes with spiral horns (plural of kudu)","クーズー（複数）"],
+7186:["n","a fast-growing climbing vine from Asia","葛"],
+7187:["adj","relating to an early angular Arabic script","クーフィー体の"],
+7188:["n","a baked Jewish pudding of noodles or potatoes","クーゲル"],
+7189:["n","a curved Nepalese knife","ククリ（ネパールの刀）"],
+7190:["n","the candlenut tree of Hawaii","ククイ（ククイノキ）"],
+7191:["x"],
+7192:["n","a prosperous peasant in Russia","クラーク（富農）"],
+7193:["n","a wild ass of Central Asia","クーラン（野生ロバ）"],
+7194:["x"],
+7195:["n","fermented mare's milk","馬乳酒"],
+7196:["n","fermented mare's milk","馬乳酒"],
+7197:["n","a Japanese tool used as a weapon","苦無"],
+7198:["n","a loose collarless shirt worn in South Asia","クルタ"],
+7199:["n","a Turkish coin, one hundredth of a lira","クルシュ"],
+7200:["x"],
+7201:["n","a sacred grass used in Hindu rituals","クシャ草"],
+7202:["n","an Ethiopian tree whose flowers are used against tapeworms","クッソ"],
+7203:["n","the sacred cord worn by Zoroastrians","クスティ（聖紐）"],
+7204:["n","the safflower; an Indian tree","ベニバナ"],
+7205:["n","catechu, a tanning extract","カテキュー"],
+7206:["x"],
+7207:["n","a Russian fermented drink made from bread","クワス"],
+7208:["x"],
+7209:["n","a lively South African penny-whistle music","クウェラ（音楽）"],
+7210:["n","a pack sack slung on a packsaddle","荷袋"],
+7211:["n","the kiang, a wild ass of Tibet","キャン"],
+7212:["n","coconut fibre (coir)","ココヤシ繊維"],
+7213:["n","units of money of Myanmar (plural of kyat)","チャット（複数）"],
+7214:["n","an Australian boomerang","ブーメラン"],
+7215:["n","a Chinese mythical beast (qilin)","麒麟"],
+7216:["n","a shallow Greek drinking cup with two handles","キュリクス（杯）"],
+7217:["n","a small Highland breed of cattle","カイロー（ハイランド牛）"],
+7218:["n","a historic city in Japan","京都","Kyoto has many temples."],
+7219:["n","a short prayer beginning \"Lord, have mercy\"","キリエ"],
+7220:["n","bellies (Scottish, plural of kyte)","腹（スコットランド、複数）"],
+7221:["v","to make known (Scottish)","知らせる（スコットランド）"],
+7222:["x"],
+7223:["x"],
+7224:["x"],
+7225:["n","a tag giving information about an item","ラベル","Read the label first."],
+7226:["n","lips, especially of the vulva (plural of labium)","陰唇（複数）"],
+7227:["n","a spoon used in the Orthodox Eucharist","ラビス（聖餐用の匙）"],
+7228:["n","hard work; workers as a group","労働","The job needs skilled labor."],
+7229:["n","lips or lip-like parts (plural of labrum)","唇（複数）"],
+7230:["x"],
+7231:["adj","fastened with laces; spiked with alcohol","ひもで締めた、酒を混ぜた"],
+7232:["n","a worker who puts in laces","ひもを通す職人"],
+7233:["n","cords for shoes; openwork fabrics (plural of lace)","ひも、レース（複数）"],
+7234:["n","a type of braid used in lacework","レース用の組みひも"],
+7235:["adj","like lace (lacy)","レースのような"],
+7236:["n","neglect in asserting a legal right (laches)","懈怠"],
+7237:["n","a kind of square-meshed lace","ラシス（網目レース）"],
+7238:["v","does not have (third person of lack)","欠く"],
+7239:["x"],
+7240:["v","loaded (past of lade)","積んだ"],
+7241:["adj","heavily loaded","どっさり積んだ","A tree laden with fruit."],
+7242:["n","a person who loads","積み込む人"],
+7243:["v","loads (third person of lade)","積む"],
+7244:["n","a Rhaeto-Romance language of the Dolomites","ラディン語"],
+7245:["n","a large deep spoon for serving liquids","おたま"],
+7246:["x"],
+7247:["adj","turning to the left (levo)","左旋性の"],
+7248:["n","goods sunk at sea but marked with a buoy","浮標付き投げ荷"],
+7249:["x"],
+7250:["n","a light beer","ラガービール"],
+7251:["adv","slowly; laggingly (dialect)","のろのろと（方言）"],
+7252:["n","the ascendant in Hindu astrology","ラグナ（アセンダント）"],
+7253:["n","a mudflow on the side of a volcano","ラハール（火山泥流）"],
+7254:["adj","low (Scottish)","低い（スコットランド）"],
+7255:["n","lay people (plural of laic)","平信徒（複数）"],
+7256:["adj","low (Scottish)","低い（スコットランド）"],
+7257:["x"],
+7258:["n","a Scottish landowner","（スコットランドの）地主","The laird owned the village."],
+7259:["n","dens of wild animals (plural of lair)","巣穴（複数）"],
+7260:["adj","showy and loud (British slang)","けばけばしい（英俗）"],
+7261:["adj","loath (Scottish)","気が進まない（スコットランド）"],
+7262:["n","ordinary members of a church, not clergy","平信徒","The clergy and the laity."],
+7263:["n","the king of Thebes, father of Oedipus","ライオス（ギリシャ神話）"],
+7264:["v","made blood cells release hemoglobin (past of lake)","溶血させた"],
+7265:["n","one of the Lake poets; a fish of lakes","湖畔詩人、湖の魚"],
+7266:["n","large bodies of fresh water (plural of lake)","湖","Canada has many lakes."],
+7267:["x"],
+7268:["n","hundred thousands (plural of lakh)","10万（複数）"],
+7269:["x"],
+7270:["n","ladykin; the Virgin Mary (obsolete)","聖母（廃語）"],
+7271:["n","lack (obsolete)","欠乏（廃語）"],
+7272:["n","a spicy noodle soup of Malaysia","ラクサ"],
+7273:["x"],
+7274:["n","a steel column filled with concrete","ラリーコラム"],
+7275:["n","Tibetan Buddhist monks (plural of lama)","ラマ僧（複数）"],
+7276:["x"],
+7277:["n","young sheep (plural of lamb)","子羊（複数）"],
+7278:["x"],
+7279:["n","lambda, the Greek letter","ラムダ"],
+7280:["v","made lame (past of lame)","足を不自由にした"],
+7281:["n","a thin plate or layer (lamella)","薄層"],
+7282:["adj","more lame; weaker (comparative of lame)","より下手な"],
+7283:["n","thin metal plates in armour","小札（鎧の）"],
+7284:["n","a female monster of legend that sucks blood","ラミア（女の怪物）"],
+7285:["x"],
+7286:["n","a quilted jumper worn by sailors","船員の厚手の上着"],
+7287:["x"],
+7288:["n","devices giving light (plural of lamp)","ランプ（複数）"],
+7289:["n","a veranda or porch (Hawaii)","ラナイ（ベランダ）"],
+7290:["x"],
+7291:["x"],
+7292:["n","a long spear used on horseback","槍","The knight raised his lance."],
+7293:["v","to launch; to throw (obsolete)","投げる（廃語）"],
+7294:["n","a sandy heath in southwest France","ランド（荒れ地）"],
+7295:["n","areas of ground; countries (plural of land)","土地、国（複数）"],
+7296:["n","narrow roads; divisions of a road (plural of lane)","小道、車線（複数）"],
+7297:["x"],
+7298:["x"],
+7299:["adj","tall, thin and awkward","ひょろ長い"],
+7300:["n","a Southeast Asian tree with yellow berry-like fruit (langsat)","ランサ"],
+7301:["x"],
+7302:["n","the folded part at the front of a jacket","襟の折り返し"],
+7303:["n","rabbit fur","ウサギの毛皮"],
+7304:["n","lapis lazuli, a deep blue stone","ラピスラズリ"],
+7305:["x"],
+7306:["n","the Sami people of northern Scandinavia (often considered offensive)","サーミ人（侮蔑的とされる）"],
+7307:["n","a small failure; a passing of time","過失、経過","A lapse of memory."],
+7308:["n","early Christians who renounced their faith under persecution","棄教者（初期キリスト教）"],
+7309:["n","a conifer that sheds its needles in winter","カラマツ"],
+7310:["v","inserts fat into meat; embellishes (third person of lard)","ラードを差し込む、飾り立てる"],
+7311:["adj","like lard; fat","ラードのような、太った"],
+7312:["n","Roman household gods (plural of lar)","ラレース（家の守護神）"],
+7313:["adj","big","大きい","They have a large family."],
+7314:["adv","very slowly (music)","ラルゴ（非常にゆっくり）"],
+7315:["x"],
+7316:["n","a bird of the gull family","カモメ科の鳥"],
+7317:["n","a silver hook-shaped coin of Persia","ラリン（ペルシャの硬貨）"],
+7318:["n","the larch genus","カラマツ属"],
+7319:["n","songbirds; bits of fun (plural of lark)","ヒバリ、いたずら（複数）"],
+7320:["adj","playful (informal)","ふざけた（略式）"],
+7321:["x"],
+7322:["n","a given name","ラリー（人名）","Larry fixed the sink."],
+7323:["n","an alarm (archaic)","警報（古語）"],
+7324:["n","the young form of an insect","幼虫","A caterpillar is a larva."],
+7325:["n","a larva (obsolete)","幼虫（廃語）"],
+7326:["v","acted as a laser (past of lase)","レーザー発振した"],
+7327:["n","a device that makes a narrow strong beam of light","レーザー","The laser cut the metal."],
+7328:["v","acts as a laser (third person of lase)","レーザー発振する"],
+7329:["n","a rope with a noose for catching animals","投げ縄"],
+7330:["n","the slow section of a Hungarian csárdás","ラッシュ（チャルダーシュの緩徐部）"],
+7331:["v","continues (third person of last)","続く"],
+7332:["x"],
+7333:["n","a condition of exaggerated startle and imitation, found in Malaysia","ラター（驚愕反応症）"],
+7334:["n","a simple bar that fastens a door","掛け金","Lift the latch."],
+7335:["adj","belated (obsolete)","遅れた（廃語）"],
+7336:["x"],
+7337:["adv","at a time after now","後で","See you later."],
+7338:["n","a milky liquid from plants; rubber made from it","ラテックス","Latex gloves."],
+7339:["n","a machine that shapes wood or metal by turning it","旋盤","He turned the bowl on a lathe."],
+7340:["n","a heavy bamboo stick used by police in India","ラーティ（警棒）"],
+7341:["n","thin strips of wood (plural of lath)","木摺（複数）"],
+7342:["adj","thin like a lath","ひょろ長い"],
+7343:["n","the language of ancient Rome","ラテン語","Many words come from Latin."],
+7344:["n","a fried potato pancake","ラトケ（ポテトパンケーキ）"],
+7345:["n","latten, a brass-like alloy (obsolete)","真鍮（廃語）"],
+7346:["x"],
+7347:["x"],
+7348:["n","a light hardwood from the Philippines","ラワン材"],
+7349:["x"],
+7350:["v","praises (third person of laud)","称賛する"],
+7351:["v","to make sounds that show you find something funny","笑う","Everyone laughed at the joke."],
+7352:["x"],
+7353:["n","a glade; an open space in a wood (obsolete)","林間の空き地（廃語）"],
+7354:["n","a given name","ローラ（人名）","Laura writes songs."],
+7355:["x"],
+7356:["x"],
+7357:["x"],
+7358:["n","molten or cooled volcanic rocks (plural of lava)","溶岩（複数）"],
+7359:["v","washed; bathed (past of lave)","洗った"],
+7360:["n","an edible seaweed; a washing basin","アマノリ、洗盤"],
+7361:["v","washes; bathes (third person of lave)","洗う"],
+7362:["adj","relating to lava","溶岩の"],
+7363:["x"],
+7364:["interj","an exclamation of surprise (dated British)","おやまあ（古風な英語）"],
+7365:["n","areas of mown grass (plural of lawn)","芝生（複数）"],
+7366:["adj","having lawns; like fine linen","芝生のある、ローン地のような"],
+7367:["x"],
+7368:["adj","more lax (comparative of lax)","よりゆるい"],
+7369:["adv","in a loose or careless way","だらしなく"],
+7370:["v","laid (nonstandard past of lay)","置いた（非標準）"],
+7371:["n","a sheet of material on or under another","層","The cake has three layers."],
+7372:["x"],
+7373:["n","an easy basketball shot made close to the basket","レイアップシュート"],
+7374:["n","a person with leprosy (archaic)","ハンセン病患者（古語）"],
+7375:["v","relaxed idly (past of laze)","のんびりした"],
+7376:["v","relaxes idly (third person of laze)","のんびりする"],
+7377:["v","to drain out of soil by water","浸出する","Rain leaches minerals from the soil."],
+7378:["v","guides; is ahead (third person of lead)","導く、先頭に立つ"],
+7379:["adj","like lead","鉛のような"],
+7380:["v","turns pages quickly (third person of leaf)","ページをめくる"],
+7381:["adj","having many leaves","葉の多い","Leafy green vegetables."],
+7382:["n","holes letting something escape (plural of leak)","漏れ（複数）"],
+7383:["adj","having leaks","漏れる"],
+7384:["v","inclines or rests against (third person of lean)","傾く、寄りかかる"],
+7385:["v","leaned (past of lean)","寄りかかった"],
+7386:["adj","lean (obsolete)","やせた（廃語）"],
+7387:["v","jumps (third person of leap)","跳ぶ"],
+7388:["v","jumped (past of leap)","跳んだ"],
+7389:["v","to gain knowledge or skill","学ぶ","I want to learn Spanish."],
+7390:["x"],
+7391:["adj","wary; suspicious (leery)","疑い深い"],
+7392:["n","a contract to rent property","賃貸借契約","We signed a two-year lease."],
+7393:["n","a strap for leading a dog","引き綱"],
+7394:["adj","smallest in amount","最も少ない","At least try it."],
+7395:["x"],
+7396:["v","to go away from","去る、残す","Please leave now."],
+7397:["adj","leafy (obsolete)","葉の茂った（廃語）"],
+7398:["n","soured milk drunk in the Middle East","レーバン（発酵乳）"],
+7399:["n","soured milk drunk in the Middle East (leban)","レーバン（発酵乳）"],
+7400:["n","an ancient Greek bowl for mixing or cooking","レベス（古代ギリシャの鉢）"],
+7401:["n","a lechwe, an African antelope","リーチュエ（アフリカのレイヨウ）"],
+7402:["n","language; speech (obsolete)","言葉（廃語）"],
+7403:["n","a narrow shelf of rock or on a wall","岩棚、出っ張り","A bird sat on the ledge."],
+7404:["adj","having many ledges","岩棚の多い"],
+7405:["n","a camphor-like compound from Labrador tea","レドール"],
+7406:["n","a bloodsucking worm; a person who exploits others","ヒル、たかり屋"],
+7407:["n","a city in northern England","リーズ（英国の都市）","She studies in Leeds."],
+7408:["n","vegetables related to the onion (plural of leek)","ポロネギ（複数）"],
+7409:["x"],
+7410:["v","looks slyly or lustfully (third person of leer)","いやらしい目で見る"],
+7411:["adj","wary; suspicious","用心深い"],
+7412:["v","to lose (obsolete)","失う（廃語）"],
+7413:["n","lists of candidates (Scottish, plural of leet)","候補者名簿（スコットランド、複数）"],
+7414:["n","blows with the left hand; left turns (plural of left)","左パンチ、左折（複数）"],
+7415:["n","a left-handed person (informal)","左利きの人（略式）"],
+7416:["adj","allowed by law","合法の、法律の","Is it legal to park here?"],
+7417:["n","a ledger; a lesser ambassador (obsolete)","台帳、駐在公使（廃語）"],
+7418:["n","laws (Latin, plural of lex)","法（ラテン語、複数）"],
+7419:["v","to lay; to ease (obsolete)","置く、和らげる（廃語）"],
+7420:["adj","having long legs","脚の長い"],
+7421:["x"],
+7422:["adj","legitimate; genuine (informal)","合法的な、本物の（略式）"],
+7423:["x"],
+7424:["n","a Spanish league, a unit of distance","レグア（スペインの距離単位）"],
+7425:["x"],
+7426:["n","ovens for annealing glass (plural of lehr)","徐冷炉（複数）"],
+7427:["n","the flower of the ohia tree (Hawaii)","レフア（ハワイの花）"],
+7428:["x"],
+7429:["x"],
+7430:["n","a lover or mistress (archaic)","恋人、情婦（古語）"],
+7431:["n","metal filings (obsolete)","金属の削りくず（廃語）"],
+7432:["n","a statement proved to help prove another; a dictionary headword","補題、見出し語","First we prove a lemma."],
+7433:["n","a sour yellow citrus fruit","レモン","Add lemon to the fish."],
+7434:["n","a tree-living primate of Madagascar with a long tail","キツネザル","The lemur leapt between the trees."],
+7435:["x"],
+7436:["x"],
+7437:["v","gives for a time (third person of lend)","貸す","He lends me books."],
+7438:["n","consonants pronounced with little force (plural of lenis)","軟音（複数）"],
+7439:["n","Vladimir Lenin, Russian revolutionary leader","レーニン","Lenin led the revolution."],
+7440:["adj","pronounced with weak articulation (phonetics)","軟音の（音声学）"],
+7441:["n","light open-weave cotton fabrics (plural of leno)","紗織り（複数）"],
+7442:["n","a lens (variant spelling)","レンズ（異綴り）"],
+7443:["x"],
+7444:["adv","slowly (music)","レント（ゆるやかに）"],
+7445:["n","the money of Sierra Leone","レオン（通貨）","Prices are in leones."],
+7446:["n","a sterile transformed stamen","変形した不稔雄しべ"],
+7447:["n","a person with leprosy; an outcast","ハンセン病患者、のけ者"],
+7448:["adj","pleasant; jocular (rare)","愉快な（まれ）"],
+7449:["n","a motherless calf","母のない子牛"],
+7450:["n","leprosy","ハンセン病"],
+7451:["n","leprosy (obsolete)","ハンセン病（廃語）"],
+7452:["n","leprosy (obsolete)","ハンセン病（廃語）"],
+7453:["n","small Greek coins (plural of lepton)","レプタ（ギリシャの硬貨、複数）"],
+7454:["n","the garden dormouse of Europe","メガネヤマネ"],
+7455:["x"],
+7456:["x"],
+7457:["x"],
+7458:["x"],
+7459:["x"],
+7460:["n","a strong desire; a lecher","渇望、好色漢"],
+7461:["n","the river of forgetfulness in Hades","レテ（忘却の川）"],
+7462:["adj","causing forgetfulness (obsolete)","忘却の（廃語）"],
+7463:["n","a pause or reduction in activity","休止"],
+7464:["x"],
+7465:["x"],
+7466:["x"],
+7467:["x"],
+7468:["n","a bank built to stop a river flooding","堤防","The levee broke."],
+7469:["n","a height or standard","水準、段階","The water level is rising."],
+7470:["n","lightning (obsolete)","稲妻（廃語）"],
+7471:["n","a bar used to lift or move things","てこ、レバー","Pull the lever."],
+7472:["n","a trumpet call to wake soldiers (obsolete)","起床ラッパ（廃語）"],
+7473:["n","lightning (old word); a family name","稲妻（古語）","A flash of levin."],
+7474:["n","a husband's brother, in levirate marriage","夫の兄弟（レビラト婚）"],
+7475:["n","jeans (trademark Levi's)","リーバイス（ジーンズ）"],
+7476:["n","a family name or given name","ルイス（人名）","Lewis wrote many books."],
+7477:["x"],
+7478:["x"],
+7479:["x"],
+7480:["x"],
+7481:["n","the total vocabulary of a language","語彙"],
+7482:["n","a woody climbing plant of tropical forests","つる植物"],
+7483:["n","a woody climbing plant (liana)","つる植物"],
+7484:["n","a Chinese unit of weight, the tael","両（中国の重量単位）"],
+7485:["adj","grey, dappled (obsolete)","灰色の（廃語）"],
+7486:["n","people who tell lies (plural of liar)","うそつき（複数）"],
+7487:["n","a false written statement that harms someone","名誉毀損","He sued for libel."],
+7488:["n","the inner bark of a plant; phloem","師部、内樹皮"],
+7489:["n","the seventh sign of the zodiac, the Scales","てんびん座"],
+7490:["adj","free (as in free software)","自由な"],
+7491:["x"],
+7492:["n","a country in North Africa","リビア","Libya has a long coast."],
+7493:["x"],
+7494:["x"],
+7495:["n","a lychee","ライチ"],
+7496:["n","light (Scottish)","光（スコットランド）"],
+7497:["adj","allowed by law","合法の"],
+7498:["v","passes the tongue over (third person of lick)","なめる"],
+7499:["n","a system that measures distance with laser light","ライダー（レーザー測距）"],
+7500:["x"],
+7501:["n","public open-air swimming pools (plural of lido)","屋外プール（複数）"],
+7502:["n","a feudal lord or vassal","君主、臣下"],
+7503:["n","legal claims on property (plural of lien)","先取特権（複数）"],
+7504:["n","people who lie down, as in liers in wait (plural of lier)","横たわる者（複数）"],
+7505:["x"],
+7506:["v","lie (archaic second person)","横たわる（古語、二人称）"],
+7507:["x"],
+7508:["n","places, as in in lieu of (plural of lieu)","場所（複数）"],
+7509:["n","lieutenant (abbreviation)","中尉（略）"],
+7510:["adv","gladly; willingly (lief)","喜んで"],
+7511:["v","to enliven (obsolete)","活気づける（廃語）"],
+7512:["n","a prisoner serving a life sentence; a career professional","終身刑囚、生涯その職にある人"],
+7513:["x"],
+7514:["v","raises (third person of lift)","持ち上げる"],
+7515:["n","goods sunk at sea but marked by a buoy","浮標付き投げ荷"],
+7516:["x"],
+7517:["n","the offspring of a male lion and a female tiger","ライガー"],
+7518:["v","to lie (obsolete)","横たわる（廃語）"],
+7519:["n","brightness that lets you see","光、明かり","Turn on the light."],
+7520:["n","a unit for measuring button sizes","リーニュ（ボタンの径の単位）"],
+7521:["v","found pleasant (past of like)","好きだった","I liked the movie."],
+7522:["v","to compare; to point out a likeness","たとえる"],
+7523:["n","a person who likes something","好む人"],
+7524:["v","enjoys; is fond of (third person of like)","好む"],
+7525:["n","a former Chinese provincial tax on goods in transit","釐金（清の内地通過税）"],
+7526:["n","a shrub with purple or white flowers; pale purple","ライラック（色）","The lilac smells sweet."],
+7527:["x"],
+7528:["x"],
+7529:["n","a given name","リリー（人名）","Lilly plays the violin."],
+7530:["n","gentle rising and falling rhythms (plural of lilt)","抑揚（複数）"],
+7531:["n","a lagoon or estuary at a river mouth","リマン（河口の潟）"],
+7532:["n","lima beans (plural of lima)","ライマメ（複数）"],
+7533:["n","a West African hardwood tree","リンバ（木材）"],
+7534:["n","edges or borders (plural of limbus)","縁（複数）"],
+7535:["n","an uncertain state of waiting; a dance under a bar","宙ぶらりん、リンボーダンス"],
+7536:["n","arms or legs; branches (plural of limb)","手足、大枝（複数）"],
+7537:["x"],
+7538:["v","treated with lime (past of lime)","石灰をまいた"],
+7539:["n","the threshold of perception","閾（いき）"],
+7540:["n","a hound held on a leash (obsolete)","綱付きの猟犬（廃語）"],
+7541:["n","green citrus fruits (plural of lime)","ライム（複数）"],
+7542:["n","a British person (slang, sometimes derogatory)","イギリス人（俗、時に侮蔑的）"],
+7543:["n","the greatest amount allowed","限度、制限","The speed limit is 50."],
+7544:["x"],
+7545:["n","a small interval in ancient Greek music","リンマ（音程）"],
+7546:["n","an Assyrian official whose name dated the year","リンム（年名官）"],
+7547:["v","depicts; paints (third person of limn)","描く"],
+7548:["n","limousines (plural of limo)","リムジン（複数）"],
+7549:["v","walks unevenly because of injury (third person of limp)","足を引きずる"],
+7550:["x"],
+7551:["adj","limp; flimsy (dialect)","ぐにゃぐにゃの（方言）"],
+7552:["n","a linear particle accelerator","線形加速器"],
+7553:["n","a ledge (dialect)","岩棚（方言）"],
+7554:["x"],
+7555:["x"],
+7556:["n","an energetic swing dance, the Lindy Hop","リンディホップ"],
+7557:["n","a line (anatomy), as in linea alba","線（解剖）"],
+7558:["adj","having a lining; having lines","裏地のある、罫線のある","Lined paper."],
+7559:["n","cloth made from flax; sheets and towels","リネン、麻","The table has a white linen cloth."],
+7560:["n","a large passenger ship; a lining","定期客船、裏地","An ocean liner."],
+7561:["n","long thin marks; rows (plural of line)","線、行","Read between the lines."],
+7562:["x"],
+7563:["n","a phallic symbol of the Hindu god Shiva (lingam)","リンガ"],
+7564:["x"],
+7565:["n","jargon or foreign language (informal)","専門用語、言葉（略式）"],
+7566:["n","heathers; long cod-like fish (plural of ling)","ヒース、リング（魚）（複数）"],
+7567:["adj","covered with heather","ヒースの茂った"],
+7568:["x"],
+7569:["x"],
+7570:["n","an old term for the thread network in a cell nucleus","リニン"],
+7571:["x"],
+7572:["x"],
+7573:["n","connections (plural of link)","つながり、リンク","Click the links below."],
+7574:["x"],
+7575:["n","waterfalls (Scottish, plural of linn)","滝（スコットランド、複数）"],
+7576:["x"],
+7577:["n","linoleum floorings (plural of lino)","リノリウム（複数）"],
+7578:["n","fluffs of fibres (plural of lint)","糸くず（複数）"],
+7579:["adj","covered in lint","糸くずだらけの"],
+7580:["n","the flax genus","アマ属"],
+7581:["n","large wild cats of Africa (plural of lion)","ライオン","Lions live in prides."],
+7582:["adj","relating to fat","脂肪の"],
+7583:["n","a fat or oil in living things","脂質","Lipids store energy."],
+7584:["n","a lipid (dated)","リピン（古風）"],
+7585:["adj","cheeky; impudent (informal)","生意気な（略式）"],
+7586:["v","to lisp (obsolete)","舌足らずに話す（廃語）"],
+7587:["n","units of currency of Italy or Turkey (plural of lira)","リラ（複数）"],
+7588:["x"],
+7589:["n","a fine, strong cotton thread","ライル糸"],
+7590:["v","pronounces s like th (third person of lisp)","舌足らずに話す"],
+7591:["n","series of items (plural of list)","リスト（複数）"],
+7592:["x"],
+7593:["n","Franz Liszt, Hungarian composer and pianist","リスト"],
+7594:["n","units of Lithuanian currency (plural of litas)","リタイ（複数）"],
+7595:["n","the former currency of Lithuania","リタス"],
+7596:["x"],
+7597:["n","a unit of volume (1,000 cubic centimeters)","リットル","A liter of milk."],
+7598:["n","lights; lungs of animals (variant spelling)","肺（動物の、異綴り）"],
+7599:["adj","thin, supple and graceful","しなやかな"],
+7600:["x"],
+7601:["n","lithography (short form)","リトグラフ（略）"],
+7602:["adj","easily bent; pliable","しなやかな"],
+7603:["n","an ancient Sicilian coin","リトラ（古代シチリアの貨幣）"],
+7604:["n","liter (British spelling)","リットル","Two litres of water."],
+7605:["n","curved staffs of Roman augurs (plural of lituus)","リトゥウス（複数）"],
+7606:["x"],
+7607:["v","resided; was alive (past of live)","住んでいた、生きた","She lived in Paris."],
+7608:["v","to make lively","活気づける"],
+7609:["n","a large organ that cleans the blood","肝臓","Too much alcohol harms the liver."],
+7610:["n","more than one life (plural of life)","命、生活","Doctors save lives."],
+7611:["adj","furiously angry; bluish-grey","激怒した、鉛色の"],
+7612:["n","malice; spite (rare)","悪意（まれ）"],
+7613:["n","an old French coin","リーブル（旧フランスの貨幣）"],
+7614:["n","a vaulted hall open on one side (iwan)","イーワーン"],
+7615:["n","a South American animal related to the camel","ラマ","The llama carried our bags."],
+7616:["n","a large grassy plain in South America","リャノ（草原）"],
+7617:["n","a small freshwater fish with barbels","ドジョウ"],
+7618:["n","amounts carried (plural of load); a lot","荷物、たくさん","We have loads of time."],
+7619:["v","idles (third person of loaf)","のらくらする"],
+7620:["n","fertile soils of sand, clay and humus (plural of loam)","ローム（複数）"],
+7621:["adj","consisting of loam","ロームの"],
+7622:["n","money lent (plural of loan)","貸付金（複数）"],
+7623:["adj","unwilling; reluctant","気が進まない"],
+7624:["x"],
+7625:["x"],
+7626:["adj","relating to a lobe","葉の、肺葉の"],
+7627:["n","an entrance hall; a group trying to influence politicians","ロビー、圧力団体","Meet me in the lobby."],
+7628:["adj","having lobes","裂片のある"],
+7629:["n","rounded parts, as of the ear or lung (plural of lobe)","耳たぶ、葉（複数）"],
+7630:["n","wolves (plural of lobo)","オオカミ（複数）"],
+7631:["x"],
+7632:["adj","of a nearby area","地元の","Buy from local farmers."],
+7633:["n","a loach","ドジョウ"],
+7634:["x"],
+7635:["n","lakes in Scotland (plural of loch)","湖（スコットランド、複数）"],
+7636:["x"],
+7637:["n","fastening devices; strands of hair (plural of lock)","錠、髪の房（複数）"],
+7638:["adj","having locks or tufts (rare)","房のある（まれ）"],
+7639:["n","locomotives (plural of loco); crazy people","機関車（複数）、狂人"],
+7640:["n","a doctor or priest standing in for another","代診医、代理牧師"],
+7641:["n","a place or center; a set of points in math","所在地、軌跡","The locus of power."],
+7642:["n","a thick waterproof woollen cloth","ローデン（厚手ウール）"],
+7643:["n","veins of ore (plural of lode)","鉱脈（複数）"],
+7644:["n","a small house in the country, often for holidays","山小屋、ロッジ","We stayed in a ski lodge."],
+7645:["x"],
+7646:["n","fine wind-blown yellowish soil","黄土、レス"],
+7647:["n","upper floors or attics (plural of loft)","屋根裏、ロフト（複数）"],
+7648:["adj","very high; noble","そびえ立つ、高尚な","Lofty ideals."],
+7649:["n","a given name or family name","ローガン（人名）","Logan is a pilot."],
+7650:["n","theatre boxes (plural of loge)","ボックス席（複数）"],
+7651:["x"],
+7652:["n","sayings of Jesus (plural of logion)","ロギア（イエスの言葉、複数）"],
+7653:["n","careful reasoning","論理","Your logic is sound."],
+7654:["n","a piece of fake jewellery used in theatre","舞台用の模造宝石"],
+7655:["n","the process of signing in to a computer system","ログイン"],
+7656:["x"],
+7657:["n","words; reasons (plural of logos)","ロゴス（複数）"],
+7658:["n","symbols of companies (plural of logo); reason in philosophy","ロゴ、ロゴス","Brand logos."],
+7659:["n","a Buddhist saint who has reached nirvana (arhat)","羅漢"],
+7660:["n","the lower back and hips; the genitals","腰、陰部"],
+7661:["n","a green dye from China","ロカオ（緑色染料）"],
+7662:["x"],
+7663:["v","lounges lazily; hangs loosely (third person of loll)","だらりとする"],
+7664:["n","a lollipop; money (British informal)","棒付きキャンディー、お金（英略式）"],
+7665:["x"],
+7666:["n","a person who prefers to be alone","一匹狼"],
+7667:["n","a long note in medieval music","ロンガ（中世の長音符）"],
+7668:["n","a long rope for training horses (lunge)","調馬索"],
+7669:["v","wishes strongly (third person of long)","切望する"],
+7670:["n","an awkward clumsy fellow","不器用な男"],
+7671:["n","a medicine to be licked; a linctus (obsolete)","舐剤（廃語）"],
+7672:["v","beat at the card game loo (past of loo)","（ルーで）負かした"],
+7673:["n","a lieutenant (slang)","中尉（俗）"],
+7674:["n","a dried sponge made from a gourd","ヘチマたわし"],
+7675:["n","loofahs (plural of loof)","ヘチマたわし（複数）"],
+7676:["n","a lieutenant (slang)","中尉（俗）"],
+7677:["v","directs one's eyes (third person of look)","見る"],
+7678:["interj","look (informal)","ほら（略式）"],
+7679:["n","machines for weaving (plural of loom)","織機（複数）"],
+7680:["n","diving birds; crazy people (plural of loon)","アビ、変人（複数）"],
+7681:["adj","crazy (informal)","いかれた（略式）"],
+7682:["x"],
+7683:["n","curved shapes that cross themselves (plural of loop)","輪（複数）"],
+7684:["adj","having loops; crazy (informal)","輪の多い、いかれた（略式）"],
+7685:["n","a dull, stupid fellow (obsolete)","愚か者（廃語）"],
+7686:["x"],
+7687:["adj","not tight","緩い","The screw is loose."],
+7688:["v","steals in a riot or war (third person of loot)","略奪する"],
+7689:["v","ran with long easy strides (past of lope)","軽快に走った"],
+7690:["n","a horse that lopes; a swivel used in rope making","軽快に走る馬、より継ぎ具"],
+7691:["v","runs with long easy strides (third person of lope)","軽快に走る"],
+7692:["adj","hanging limply","垂れ下がった"],
+7693:["adj","relating to the lores of a bird or reptile","目先の"],
+7694:["n","a long-range radio navigation system","ロラン（電波航法）"],
+7695:["n","nobles; men with power (plural of lord)","貴族","The House of Lords met today."],
+7696:["interj","an exclamation of surprise","おやまあ"],
+7697:["x"],
+7698:["n","a good-for-nothing (obsolete)","ろくでなし（廃語）"],
+7699:["v","lost (obsolete past participle of lose)","失った（廃語）"],
+7700:["n","traditional knowledge (plural of lore); areas between a bird's eye and bill","伝承（複数）、目先"],
+7701:["x"],
+7702:["n","a small slow-moving primate with large eyes","ロリス"],
+7703:["x"],
+7704:["n","a large truck (British)","トラック（英）"],
+7705:["x"],
+7706:["n","a worthless person (archaic)","ろくでなし（古語）"],
+7707:["n","a person who loses","敗者"],
+7708:["v","fails to keep or win (third person of lose)","失う、負ける"],
+7709:["adj","losing data or energy, as in lossy compression","損失のある、非可逆の"],
+7710:["n","a round water pot used in South Asia (lota)","ロータ（水壺）"],
+7711:["x"],
+7712:["n","round water pots (plural of lota)","ロータ（水壺、複数）"],
+7713:["adj","living in fast-moving water","流水性の"],
+7714:["x"],
+7715:["n","the lotus","ハス"],
+7716:["n","a lottery game with numbered balls","ロト（宝くじ）"],
+7717:["n","a water plant with large flowers","ハス","The lotus blooms in summer."],
+7718:["x"],
+7719:["x"],
+7720:["n","a lake or sea inlet in Ireland","湖、入り江（アイルランド）"],
+7721:["n","a lieutenant (slang)","中尉（俗）"],
+7722:["n","a given name (as in King Louis)","ルイ（人名）","Louis XIV built Versailles."],
+7723:["n","a Hawaiian fan palm","ロウル（ハワイのヤシ）"],
+7724:["n","a small magnifying glass used by jewellers","ルーペ"],
+7725:["n","the Pawnee people (historical name)","ポーニー族（旧称）"],
+7726:["adj","heavy; dull (obsolete)","重い（廃語）"],
+7727:["v","frowns; looks threatening (third person of lour)","顔をしかめる、険悪になる"],
+7728:["adj","gloomy; threatening","陰鬱な"],
+7729:["n","a small wingless parasitic insect; a contemptible person","シラミ、卑劣な人"],
+7730:["adj","very bad; infested with lice","ひどい、シラミだらけの"],
+7731:["n","rough, uncouth men (plural of lout)","不作法者（複数）"],
+7732:["x"],
+7733:["n","a muted green or blue-green colour in tweed","ラバット色"],
+7734:["v","felt deep affection for (past of love)","愛した","She loved her grandmother."],
+7735:["n","a person who is loved (humorous)","愛される人（戯言）"],
+7736:["n","a person who loves something or someone","恋人、愛好家","He is a music lover."],
+7737:["v","likes very much (third person of love)","愛する","She loves music."],
+7738:["n","darling (British informal)","あなた（英略式）"],
+7739:["n","the mallee fowl of Australia","クサムラツカツクリ"],
+7740:["v","mooed (past of low)","モーと鳴いた"],
+7741:["adj","further down","下の、低い","Use the lower shelf."],
+7742:["n","flames (Scottish)","炎（スコットランド）"],
+7743:["adj","low in rank","身分の低い","A lowly clerk."],
+7744:["n","an open railway box car (lorry)","無蓋貨車"],
+7745:["adj","loose (Scottish)","ゆるい（スコットランド）"],
+7746:["x"],
+7747:["x"],
+7748:["n","portions of smoked salmon (plural of lox)","スモークサーモン（複数）"],
+7749:["n","the crossbill genus","イスカ属"],
+7750:["x"],
+7751:["adj","faithful","忠実な","A loyal friend."],
+7752:["x"],
+7753:["n","Hawaiian feasts (plural of luau)","ルアウ（複数）"],
+7754:["n","lubricants (plural of lube)","潤滑剤（複数）"],
+7755:["n","an Aboriginal woman (dated, offensive)","先住民女性（古風、侮蔑的）"],
+7756:["x"],
+7757:["n","pikes, the fish (plural of luce)","カワカマス（複数）"],
+7758:["n","a small tool for making cord","ルセット（組紐具）"],
+7759:["x"],
+7760:["adj","clear and easy to understand","明快な","A lucid explanation."],
+7761:["v","succeeds by chance, as in lucks out (third person of luck)","運よくうまくいく"],
+7762:["adj","having good luck","幸運な","You're lucky."],
+7763:["n","money, especially when gained dishonestly","不正な利益"],
+7764:["x"],
+7765:["n","a gourd whose dried fibres make a sponge (loofah)","ヘチマ"],
+7766:["n","the front edges of sails (plural of luff)","ラフ（帆の前縁、複数）"],
+7767:["n","a German semiautomatic pistol; a person who rides a luge","ルガー拳銃、リュージュ選手"],
+7768:["n","small racing sleds (plural of luge)","リュージュ（複数）"],
+7769:["adj","relating to Saint Luke or his gospel","ルカの"],
+7770:["x"],
+7771:["n","a palm branch used at the Jewish feast of Sukkot (lulav)","ルラヴ"],
+7772:["n","a palm branch used at the Jewish feast of Sukkot","ルラヴ"],
+7773:["n","quiet periods (plural of lull)","小康（複数）"],
+7774:["x"],
+7775:["n","remarkable things or people (informal, plural of lulu)","すごいもの（略式、複数）"],
+7776:["n","a unit of light output","ルーメン","A 1,000-lumen lamp."],
+7777:["interj","an exclamation of surprise (British, dated)","おやまあ（英、古風）"],
+7778:["interj","an exclamation of surprise (lumme)","おやまあ"],
+7779:["n","compact masses (plural of lump)","塊（複数）"],
+7780:["adj","full of lumps","塊の多い"],
+7781:["x"],
+7782:["adj","of the moon","月の","A lunar eclipse."],
+7783:["n","luna moths (plural of luna)","オオミズアオ（複数）"],
+7784:["n","a meal in the middle of the day","昼食","Let's have lunch."],
+7785:["x"],
+7786:["n","crescent-shaped figures (plural of lune)","月形（複数）"],
+7787:["n","a little moon (obsolete)","小さな月（廃語）"],
+7788:["v","to make a sudden forward thrust","突進する"],
+7789:["n","a cloth wrapped around the waist in South Asia","ルンギー（腰布）"],
+7790:["n","breathing organs (plural of lung)","肺（複数）"],
+7791:["x"],
+7792:["n","stupid, clumsy people (plural of lunk)","まぬけ（複数）"],
+7793:["n","slow matches; puffs of smoke (Scottish)","火縄、煙（スコットランド）"],
+7794:["n","a plant with tall spikes of flowers","ルピナス"],
+7795:["x"],
+7796:["n","an autoimmune disease; a skin disease","ループス、狼瘡"],
+7797:["x"],
+7798:["v","to stagger or move suddenly","よろめく"],
+7799:["v","tempted (past of lure)","誘い込んだ"],
+7800:["n","a person who lures","誘惑する人"],
+7801:["n","baits or attractions (plural of lure)","ルアー、誘惑（複数）"],
+7802:["adj","shocking and sensational; glaringly bright","どぎつい、けばけばしい"],
+7803:["v","waits hidden (third person of lurk)","潜む"],
+7804:["x"],
+7805:["n","a jumble; a confused heap (obsolete)","ごた混ぜ（廃語）"],
+7806:["n","a clueless computer user (slang)","ダメユーザー（俗）"],
+7807:["adj","drunk (slang)","酔っぱらった（俗）"],
+7808:["x"],
+7809:["n","strong desires (plural of lust)","欲望（複数）"],
+7810:["adj","healthy and strong; full of vigour","元気いっぱいの"],
+7811:["n","a freak of nature, as in lusus naturae","奇形"],
+7812:["x"],
+7813:["v","sealed with lute, a clay cement (past of lute)","封泥で塞いだ"],
+7814:["x"],
+7815:["n","a lute player","リュート奏者"],
+7816:["n","stringed instruments with a rounded back (plural of lute)","リュート（複数）"],
+7817:["n","units of illuminance (plural of lux)","ルクス（複数）"],
+7818:["n","luxury (German)","贅沢（ドイツ語）"],
+7819:["adj","grey; streaked with grey (Scottish)","白髪まじりの（スコットランド）"],
+7820:["adj","grey-haired (Scottish)","白髪の（スコットランド）"],
+7821:["n","an enzyme that breaks chemical bonds without hydrolysis","リアーゼ"],
+7822:["n","lyceums (plural of lyceum)","リセウム（複数）"],
+7823:["n","a French secondary school","リセ（フランスの中等学校）"],
+7824:["n","a net-winged beetle","ベニボタル"],
+7825:["x"],
+7826:["n","a genus of plant-sucking bugs","カスミカメムシ属"],
+7827:["v","telling untruths; resting flat (present participle of lie)","嘘をついている、横たわっている","The cat is lying in the sun."],
+7828:["v","to please (obsolete)","喜ばせる（廃語）"],
+7829:["n","a clear fluid in the body that carries white blood cells","リンパ液","Lymph nodes."],
+7830:["v","to kill without a legal trial (by a mob)","私刑にする","The mob tried to lynch him."],
+7831:["n","ancient harps (plural of lyre)","リラ（竪琴、複数）"],
+7832:["n","the words of a song (often lyrics)","歌詞","I love the lyrics."],
+7833:["n","a meteor of the April Lyrid shower","こと座流星群の流星"],
+7834:["v","broke down a cell (past of lyse)","溶解させた"],
+7835:["n","breakdowns of cells (plural of lysis)","溶解（複数）"],
+7836:["n","a substance that causes cells to break down","溶解素"],
+7837:["n","the breaking down of cells; gradual recovery from disease","溶解、渙散"],
+7838:["n","a disinfectant solution (trademark)","リゾール（消毒液）"],
+7839:["n","rabies","狂犬病"],
+7840:["n","the pollack fish (Scottish)","ポラック（スコットランド）"],
+7841:["adj","relating to lysis","溶解の"],
+7842:["n","a band of tissue in the tongue of some mammals","舌下の腱"],
+7843:["x"],
+7844:["n","flat volcanic craters (plural of maar)","マール（火口、複数）"],
+7845:["x"],
+7846:["n","a macaw; Macau","コンゴウインコ、マカオ"],
+7847:["n","a large colorful parrot","コンゴウインコ","The macaw has red and blue feathers."],
+7848:["n","a gambling game of the 18th century","マッコ（賭博）"],
+7849:["v","sprayed with Mace (past of mace)","催涙スプレーをかけた"],
+7850:["n","an official who carries a mace","職杖捧持者"],
+7851:["n","ceremonial staffs; heavy clubs (plural of mace)","職杖、こん棒（複数）"],
+7852:["x"],
+7853:["adj","aggressively masculine","男っぽさを誇示する"],
+7854:["n","Mach numbers (plural of mach)","マッハ（複数）"],
+7855:["n","mackintoshes (plural of mack)","レインコート（複数）"],
+7856:["n","a twin crystal; chiastolite","双晶、空晶石"],
+7857:["adj","large-scale","巨視的な、大規模な","Macro economics."],
+7858:["n","a polite way to address a woman","奥様","Can I help you, madam?"],
+7859:["n","the barn owl; the magpie (dialect)","メンフクロウ、カササギ（方言）"],
+7860:["n","a sticky American herb grown for oil","マディア"],
+7861:["adj","wet; moist (rare)","湿った（まれ）"],
+7862:["adv","wildly; extremely","狂ったように、ひどく"],
+7863:["n","mother (Spanish)","母（スペイン語）"],
+7864:["x"],
+7865:["n","a secret criminal organization","マフィア"],
+7866:["adj","rich in magnesium and iron, of rocks","苦鉄質の"],
+7867:["x"],
+7868:["x"],
+7869:["n","magicians (plural of mage)","魔法使い（複数）"],
+7870:["n","the power to make impossible things happen","魔法、手品","He does magic tricks."],
+7871:["n","hot melted rock under the ground","マグマ","Magma rises in a volcano."],
+7872:["x"],
+7873:["n","the Barbary ape","バーバリーマカク"],
+7874:["n","a magician; one of the Three Wise Men","魔術師、東方の三博士"],
+7875:["n","a palace or mansion (India)","宮殿（インド）"],
+7876:["x"],
+7877:["x"],
+7878:["n","the messianic leader expected in Islam","マフディー（救世主）"],
+7879:["n","a tropical shrubby tree with strong fibrous bark","オオハマボウ"],
+7880:["n","an Indian tree with edible flowers","マフア"],
+7881:["n","an Indian tree with edible flowers (mahua)","マフア"],
+7882:["n","female servants (plural of maid)","メイド（複数）"],
+7883:["x"],
+7884:["n","a spider crab","クモガニ"],
+7885:["n","a Hawaiian vine used in leis","マイレ（ハワイのつる）"],
+7886:["x"],
+7887:["v","sends by post (third person of mail)","郵送する"],
+7888:["v","injures seriously (third person of maim)","不具にする"],
+7889:["n","a state in the north-eastern United States","メイン州","Maine is famous for lobster."],
+7890:["n","the main supply of water or electricity","本管、幹線","Turn off the mains."],
+7891:["x"],
+7892:["x"],
+7893:["x"],
+7894:["adj","most (Scottish)","最も多くの（スコットランド）"],
+7895:["n","corn","トウモロコシ","Maize grows tall in summer."],
+7896:["x"],
+7897:["adj","important; large","主要な","It was a major success."],
+7898:["x"],
+7899:["n","a poet (Scottish)","詩人（スコットランド）"],
+7900:["n","a person or company that makes something","製造者","He is a furniture maker."],
+7901:["v","creates (third person of make)","作る"],
+7902:["n","fast mackerel sharks (plural of mako)","アオザメ（複数）"],
+7903:["x"],
+7904:["n","a teacher; a learned man (West Africa)","学者（西アフリカ）"],
+7905:["adj","relating to the cheekbone","頬骨の"],
+7906:["v","to soften by kneading","こねて柔らかくする"],
+7907:["adj","of Malaysia or the Malay people","マレーの","The Malay language."],
+7908:["x"],
+7909:["n","a large bird of Sulawesi that buries its eggs in sand","セレベスツカツクリ"],
+7910:["n","men or male animals (plural of male)","男性、雄","Males are larger than females."],
+7911:["x"],
+7912:["adj","relating to apples, as in malic acid","リンゴの"],
+7913:["x"],
+7914:["n","a chief or king in parts of Asia","首長"],
+7915:["n","shopping centres (plural of mall)","ショッピングモール（複数）"],
+7916:["n","soft chalky soils; light-coloured bricks (plural of malm)","マーム（複数）"],
+7917:["x"],
+7918:["n","an island country in the Mediterranean","マルタ","Malta is tiny."],
+7919:["n","grains prepared for brewing (plural of malt)","麦芽（複数）"],
+7920:["adj","tasting of malt","麦芽の風味の"],
+7921:["n","an evil (Latin)","悪（ラテン語）"],
+7922:["x"],
+7923:["n","mothers (plural of mama)","ママ（複数）"],
+7924:["n","a fast poisonous African snake","マンバ（毒ヘビ）","The black mamba is very fast."],
+7925:["n","a lively Latin American dance","マンボ"],
+7926:["x"],
+7927:["n","a tropical American tree with edible fruit","マメイ"],
+7928:["x"],
+7929:["n","mother (child's word)","ママ","Mamma made soup."],
+7930:["n","a mother (informal); an offensive term for a Black nursemaid","お母ちゃん（略式）、黒人乳母（侮蔑的）"],
+7931:["x"],
+7932:["x"],
+7933:["x"],
+7934:["n","the mind in Indian philosophy","マナス（心）"],
+7935:["x"],
+7936:["n","a market (India)","市場（インド）"],
+7937:["n","demands (obsolete)","要求（廃語）"],
+7938:["adj","having a mane","たてがみのある"],
+7939:["n","a Hebrew weight of money (mina)","マネ（ヘブライの重量単位）"],
+7940:["x"],
+7941:["n","long hair on horses' necks (plural of mane); spirits of the dead","たてがみ（複数）、死者の霊"],
+7942:["n","Édouard Manet, French painter","マネ"],
+7943:["x"],
+7944:["n","Japanese comics","漫画"],
+7945:["n","a skin disease of animals caused by mites","疥癬"],
+7946:["x"],
+7947:["n","a sweet tropical fruit with orange flesh","マンゴー","The mango is ripe."],
+7948:["adj","suffering from mange; shabby","疥癬にかかった、みすぼらしい"],
+7949:["n","a strong enthusiasm; a mental state of great excitement","熱狂、躁状態","Football mania."],
+7950:["adj","wildly excited; relating to mania","躁の、熱狂的な"],
+7951:["n","a pangolin","センザンコウ"],
+7952:["n","mania; insanity (obsolete)","狂気（廃語）"],
+7953:["n","the pangolin genus","センザンコウ属"],
+7954:["x"],
+7955:["x"],
+7956:["adj","Manx; of the Isle of Man","マン島の"],
+7957:["adj","dirty and unpleasant (British informal)","汚い（英略式）"],
+7958:["adj","having qualities thought typical of men","男らしい","A manly voice."],
+7959:["n","food from heaven in the Bible; an unexpected benefit","マナ、天の恵み"],
+7960:["n","a male nanny (informal)","男性ベビーシッター（略式）"],
+7961:["x"],
+7962:["n","a large country house with land","荘園、領主の館","The manor has a big garden."],
+7963:["n","hand stones for grinding corn (plural of mano)","マノ（すり石、複数）"],
+7964:["x"],
+7965:["n","a minister's house in Scotland","牧師館"],
+7966:["x"],
+7967:["n","a large ray fish; a cloak or blanket","オニイトマキエイ、毛布"],
+7968:["n","a mantle; a cloak (obsolete)","マント（廃語）"],
+7969:["x"],
+7970:["x"],
+7971:["n","Pallas's cat, a wild cat of Central Asia","マヌルネコ"],
+7972:["n","the hand or forefoot (anatomy)","手（解剖）"],
+7973:["n","the native people of New Zealand","マオリ族","Maori culture."],
+7974:["x"],
+7975:["n","a tree with wide leaves that turn red in autumn","カエデ","Maple syrup comes from maple trees."],
+7976:["x"],
+7977:["n","a Chilean shrub with edible berries","マキベリー"],
+7978:["n","a Maori meeting ground or sacred place","マラエ（マオリの集会所）"],
+7979:["n","bitterness (Hebrew)","苦さ（ヘブライ語）"],
+7980:["n","a large red deer of Central Asia","マラル（アカシカ）"],
+7981:["n","Patagonian hares (plural of mara)","マーラ（複数）"],
+7982:["x"],
+7983:["n","the third month of the year; a steady walk in step","3 月、行進","The band played a march."],
+7984:["x"],
+7985:["n","grape residues after pressing; brandies made from them (plural of marc)","搾りかす、マール（複数）"],
+7986:["n","Tuesday, as in Mardi Gras (French)","火曜日（フランス語）"],
+7987:["adj","sulky; moody (British dialect)","すねた（英方言）"],
+7988:["n","female horses (plural of mare)","雌馬（複数）"],
+7989:["x"],
+7990:["n","margarine (British informal); a margin (poetic)","マーガリン（英略式）、縁（詩語）"],
+7991:["n","a given name","マリア（人名）","Maria speaks four languages."],
+7992:["n","a powerful jinn in Arab folklore","マーリド（魔神）"],
+7993:["n","a given name (as in Marie Curie)","マリー（人名）","Marie Curie won two Nobel Prizes."],
+7994:["n","members of a Finno-Ugric people of Russia (plural of Mari)","マリ人（複数）"],
+7995:["n","the convertible mark, currency of Bosnia and Herzegovina","マルカ"],
+7996:["n","spots or lines; scores (plural of mark)","印、点数","She got full marks."],
+7997:["x"],
+7998:["n","crumbly clay and lime soils (plural of marl)","泥灰土（複数）"],
+7999:["adj","containing or like marl","泥灰質の"],
+8000:["x"],
+8001:["n","bitter herbs eaten at the Passover Seder","マロール（苦菜）"],
+8002:["x"],
+8003:["v","to become husband and wife","結婚する","Will you marry me?"],
+8004:["n","master (dialect)","だんな（方言）"],
+8005:["n","low wet land","沼地、湿地","Frogs live in the marsh."],
+8006:["n","markets (plural of mart)","市場（複数）"],
+8007:["adj","marvellous (slang)","すてきな（俗）"],
+8008:["x"],
+8009:["n","a people of Kenya and Tanzania; their language (Maasai)","マサイ族、マサイ語"],
+8010:["n","a device that amplifies microwaves","メーザー"],
+8011:["x"],
+8012:["n","an old golf club like a five iron","マッシー（ゴルフクラブ）"],
+8013:["n","face coverings (plural of mask)","仮面、マスク（複数）"],
+8014:["n","a person who builds with stone","石工","The mason repaired the wall."],
+8015:["n","master (dialect)","だんな（方言）"],
+8016:["n","a billiard shot with the cue held nearly vertical","マッセ（ビリヤード）"],
+8017:["adj","massive; heavy","どっしりした"],
+8018:["n","tall poles on ships (plural of mast)","マスト（複数）"],
+8019:["adj","full of acorns or nuts","どんぐりの多い"],
+8020:["n","a New Zealand conifer; a Samoan chief","マタイ（木）、族長（サモア）"],
+8021:["x"],
+8022:["n","a game between two sides; a small stick that makes fire","試合、マッチ","We won the match."],
+8023:["v","paired for breeding (past of mate)","交尾した"],
+8024:["n","mother (old British slang)","母（古い英俗語）","The mater is at home."],
+8025:["n","friends; partners (plural of mate)","仲間","He's out with his mates."],
+8026:["adj","friendly (British informal)","親しげな（英略式）"],
+8027:["x"],
+8028:["x"],
+8029:["n","mathematics (British)","数学（英）"],
+8030:["n","a fat herring with undeveloped roe","脂の乗ったニシン"],
+8031:["n","morning prayers (usually plural, matins)","朝課"],
+8032:["x"],
+8033:["n","a sailor (British slang)","水兵（英俗）"],
+8034:["n","a vowel sign in Indian scripts","マートラー（母音記号）"],
+8035:["n","a pine tree (Japanese)","松"],
+8036:["x"],
+8037:["adj","not shiny; dull-surfaced","つや消しの"],
+8038:["x"],
+8039:["x"],
+8040:["n","unleavened bread (matzo)","マツァ"],
+8041:["n","thin unleavened bread eaten at Passover","マツァ（種なしパン）"],
+8042:["n","a Caribbean drink made from tree bark","モービー（カリブの飲料）"],
+8043:["x"],
+8044:["v","attacks and injures savagely (third person of maul)","ひどく傷つける"],
+8045:["n","an Indian unit of weight; a basket (obsolete)","マウンド（重量単位）、籠（廃語）"],
+8046:["x"],
+8047:["adj","pale purple","藤色の","She wore a mauve scarf."],
+8048:["n","an expert","通（つう）、専門家"],
+8049:["x"],
+8050:["n","an expert (maven)","専門家"],
+8051:["n","the song thrush","ウタツグミ"],
+8052:["x"],
+8053:["n","a slattern (dialect)","だらしない女（方言）"],
+8054:["adj","maggoty (dialect)","うじのわいた（方言）"],
+8055:["n","a short saying of a general truth","格言","\"Less is more\" is a maxim."],
+8056:["n","long skirts (plural of maxi)","マキシスカート（複数）"],
+8057:["adj","relating to the Maya people","マヤの"],
+8058:["n","the Maya people (plural of Maya)","マヤ人（複数）"],
+8059:["adv","perhaps","たぶん、もしかすると","Maybe it will rain."],
+8060:["v","celebrated May Day (past of may)","五月祭を祝った"],
+8061:["v","may not (written without the apostrophe)","may not の略（アポストロフィなし）"],
+8062:["n","the head of a town or city","市長","The mayor opened the new park."],
+8063:["v","may (archaic second person)","～してよい（古語、二人称）"],
+8064:["adj","bewildered; dazed","当惑した"],
+8065:["n","luck, as in mazel tov (Yiddish)","幸運（イディッシュ語）"],
+8066:["n","a large wooden drinking bowl","木製の大杯"],
+8067:["n","networks of confusing paths (plural of maze)","迷路（複数）"],
+8068:["x"],
+8069:["n","a heavy residual fuel oil","重油、マズート"],
+8070:["n","an African instrument with metal tongues plucked by the thumbs","ムビラ（親指ピアノ）"],
+8071:["n","a disease of camels caused by trypanosomes","ムボリ（ラクダの病気）"],
+8072:["n","the real thing (the real McCoy)","本物（the real McCoy）","This is the real McCoy."],
+8073:["v","to skulk (dialect)","こそこそする（方言）"],
+8074:["n","alcoholic drinks of honey; meadows (plural of mead)","蜂蜜酒、牧草地（複数）"],
+8075:["n","occasions when food is eaten (plural of meal)","食事（複数）"],
+8076:["adj","dry and powdery, like meal","粉っぽい"],
+8077:["n","a way of doing something","手段","A car is a means of transport."],
+8078:["v","intended; signified (past of mean)","意図した、意味した","I meant to call you."],
+8079:["n","a mean person (meanie)","意地悪な人"],
+8080:["n","a measure of 500 herrings (dialect)","ニシン500尾（方言）"],
+8081:["n","mead (obsolete)","蜂蜜酒（廃語）"],
+8082:["n","animal flesh as food (plural of meat)","肉（複数）"],
+8083:["adj","full of meat; substantial","肉の多い、内容の充実した"],
+8084:["x"],
+8085:["n","a South African sweet of dried salted apricots","メボス（干しアンズ菓子）"],
+8086:["n","a holy city in Saudi Arabia; a place many people visit","メッカ、中心地","Paris is a mecca for artists."],
+8087:["x"],
+8088:["x"],
+8089:["n","a metal disk given as a prize","メダル","A gold medal."],
+8090:["n","the sorceress who helped Jason in Greek myth","メデイア"],
+8091:["n","TV, newspapers and the internet as a group","メディア","The media reported the news."],
+8092:["n","a medical worker (informal); a clover-like plant","衛生兵、ウマゴヤシ"],
+8093:["x"],
+8094:["x"],
+8095:["v","to mix; to meddle (obsolete)","混ぜる、干渉する（廃語）"],
+8096:["n","a red Bordeaux wine from Médoc","メドック（ワイン）"],
+8097:["x"],
+8098:["v","to skulk (dialect)","こそこそする（方言）"],
+8099:["n","rewards (archaic, plural of meed)","報い（古語、複数）"],
+8100:["x"],
+8101:["n","mead (obsolete)","蜂蜜酒（廃語）"],
+8102:["v","encounters (third person of meet)","会う"],
+8103:["n","the Meiji era of Japan (1868–1912)","明治"],
+8104:["x"],
+8105:["n","a household; a retinue (obsolete)","一家、従者（廃語）"],
+8106:["x"],
+8107:["n","a granular compound derived from ammonium thiocyanate","メラム"],
+8108:["n","Melba toast or peach melba, named after a soprano","メルバ（トースト、ピーチメルバ）"],
+8109:["x"],
+8110:["v","blends; declares cards for points (third person of meld)","融合させる、メルドする"],
+8111:["n","a confused, noisy fight","乱闘"],
+8112:["adj","lyric; meant to be sung","叙情の、歌の"],
+8113:["x"],
+8114:["v","mixes; meddles (obsolete)","混ぜる、干渉する（廃語）"],
+8115:["n","the oil beetle genus","ツチハンミョウ属"],
+8116:["n","a large round fruit with sweet juicy flesh","メロン","We shared a melon."],
+8117:["n","melody (Greek)","旋律（ギリシャ語）"],
+8118:["v","turns from solid to liquid (third person of melt)","溶ける"],
+8119:["n","short written messages (plural of memo)","メモ、回覧（複数）"],
+8120:["n","a maenad","マイナス（バッコスの巫女）"],
+8121:["n","an ancient Egyptian necklace counterweight","メナト（古代エジプトの首飾り）"],
+8122:["v","repairs (third person of mend)","直す"],
+8123:["x"],
+8124:["n","a minnow (obsolete)","ヒメハヤ（廃語）"],
+8125:["n","a southern constellation, the Table; an altar top","テーブルさん座、祭壇の台"],
+8126:["n","dignity; good manners (Scottish)","品位（スコットランド）"],
+8127:["x"],
+8128:["x"],
+8129:["n","lists of dishes or options (plural of menu)","メニュー（複数）"],
+8130:["v","makes a cat's cry (third person of meow)","ニャーと鳴く"],
+8131:["v","to fine (obsolete)","罰金を科す（廃語）"],
+8132:["n","merchandise (informal)","グッズ（略式）"],
+8133:["interj","thank you (French)","ありがとう（フランス語）"],
+8134:["n","kindness to someone you could punish","慈悲","The king showed mercy."],
+8135:["x"],
+8136:["n","a counter in the game of merels","メレルの駒"],
+8137:["x"],
+8138:["n","small lakes (plural of mere)","小さな湖（複数）"],
+8139:["v","to join together","合併する、合流する","The two roads merge."],
+8140:["x"],
+8141:["x"],
+8142:["n","worth; a good quality","長所、価値","The plan has merit."],
+8143:["n","old Scottish silver coins (plural of merk)","マーク銀貨（複数）"],
+8144:["n","a blackbird; a mottled coat colour in dogs","クロウタドリ、まだら模様"],
+8145:["n","blackbirds (plural of merl)","クロウタドリ（複数）"],
+8146:["x"],
+8147:["n","the flat part between the grooves of a triglyph; a leg segment","メロス（建築）、長節"],
+8148:["adj","happy and cheerful","陽気な","Merry Christmas!"],
+8149:["x"],
+8150:["adv","toward the middle plane (mesiad)","正中面の方へ"],
+8151:["adj","mesial; in the middle","正中の"],
+8152:["n","flat-topped hills with steep sides (plural of mesa)","メサ（複数）"],
+8153:["n","a leper (obsolete)","ハンセン病患者（廃語）"],
+8154:["x"],
+8155:["adj","formed like a mesh","網目状の"],
+8156:["adj","having a moderate amount of moisture (ecology)","適潤な（生態学）"],
+8157:["adj","intermediate, in law, as in mesne lord","中間の（法律）"],
+8158:["n","a subatomic particle made of a quark and an antiquark","中間子"],
+8159:["x"],
+8160:["adj","untidy or dirty","散らかった"],
+8161:["x"],
+8162:["x"],
+8163:["n","a hard shiny material such as iron or gold","金属","The box is made of metal."],
+8164:["x"],
+8165:["v","handed out, as in meted out (past of mete)","与えた"],
+8166:["x"],
+8167:["n","a unit of length (100 cm); a measuring device","メートル、計器","The room is four meters wide."],
+8168:["v","hands out, as in metes out (third person of mete)","与える"],
+8169:["n","methylated spirits (Australian informal)","変性アルコール（豪略式）"],
+8170:["n","methylated spirits (British informal)","変性アルコール（英略式）"],
+8171:["n","a resident alien in an ancient Greek city","メトイコイ（居留外国人）"],
+8172:["n","a métis","混血の人"],
+8173:["n","a Canadian people of mixed First Nations and European descent","メティス"],
+8174:["n","a photographic developer","メトール（現像薬）"],
+8175:["x"],
+8176:["n","meter (British spelling)","メートル","A hundred metres."],
+8177:["n","an underground railway","地下鉄","Take the metro."],
+8178:["x"],
+8179:["x"],
+8180:["x"],
+8181:["n","a gap in a hedge used by a hare; a European river","生け垣の抜け穴、ムーズ川"],
+8182:["n","a cage for hawks (mew)","鷹小屋"],
+8183:["v","made a cat's cry (past of mew)","ニャーと鳴いた"],
+8184:["x"],
+8185:["v","cries feebly (third person of mewl)","弱々しく泣く"],
+8186:["n","a mezzo-soprano","メゾソプラノ"],
+8187:["n","a North African gazelle","ムホールガゼル"],
+8188:["n","a city in Florida, USA","マイアミ","Miami has beaches."],
+8189:["v","to meow","ニャーと鳴く"],
+8190:["v","to meow","ニャーと鳴く"],
+8191:["n","a miasma","瘴気"],
+8192:["v","to meow; to caterwaul","ニャーと鳴く"],
+8193:["x"],
+8194:["n","a Hebrew prophet; a book of the Old Testament","ミカ（預言者）"],
+8195:["n","minerals that split into thin sheets (plural of mica)","雲母（複数）"],
+8196:["v","to skulk; to play truant (dialect)","こそこそする、ずる休みする（方言）"],
+8197:["v","might (Scottish)","～かもしれない（スコットランド）"],
+8198:["n","Irish people (ethnic slur, plural of mick)","蔑称（複数）"],
+8199:["n","mickey, as in take the micky (British informal)","からかい（英略式）"],
+8200:["n","microns (plural of micron)","ミクロン（複数）"],
+8201:["adj","very small","微小な","Micro organisms."],
+8202:["n","the king whose touch turned things to gold","ミダス王"],
+8203:["n","a midshipman; a sailor-style blouse","海軍士官候補生、セーラーブラウス"],
+8204:["n","a tiny flying insect","ユスリカ、ブヨ"],
+8205:["adj","full of midges","ブヨの多い"],
+8206:["n","mid-calf skirts (plural of midi)","ミディスカート（複数）"],
+8207:["n","the middle","真ん中","In the midst of the storm."],
+8208:["n","manners or bearings (plural of mien)","態度、物腰（複数）"],
+8209:["v","annoys (third person of miff)","むっとさせる"],
+8210:["adj","easily offended (informal)","すぐ怒る（略式）"],
+8211:["x"],
+8212:["v","may possibly","〜かもしれない","It might snow tonight."],
+8213:["v","fitted with a microphone (past of mike)","マイクを付けた"],
+8214:["n","microphones (plural of mike)","マイク（複数）"],
+8215:["x"],
+8216:["x"],
+8217:["n","a city in northern Italy","ミラノ","Milan is famous for fashion."],
+8218:["adj","giving milk, of livestock","乳を出す"],
+8219:["n","a runner of mile races","1マイル競走の選手"],
+8220:["n","units of distance, about 1.6 km each (plural of mile)","マイル","We walked five miles."],
+8221:["x"],
+8222:["n","tiny white cysts on the skin (plural of milium)","稗粒腫（複数）"],
+8223:["x"],
+8224:["n","a milkman (Australian informal)","牛乳配達人（豪略式）"],
+8225:["v","draws milk from (third person of milk)","乳を搾る"],
+8226:["adj","like milk; cloudy white","乳白色の","A milky drink."],
+8227:["x"],
+8228:["n","a thousand (French)","千（フランス語）"],
+8229:["n","factories or machines for grinding (plural of mill)","工場、製粉所","Cotton mills lined the river."],
+8230:["x"],
+8231:["n","an English lord (French form of my lord)","英国紳士"],
+8232:["n","drought-resistant sorghums (plural of milo)","マイロ（複数）"],
+8233:["n","a small cleared field for growing maize in Central America","ミルパ（トウモロコシ畑）"],
+8234:["n","fish sperm (plural of milt)","白子（複数）"],
+8235:["adj","full of milt","白子の多い"],
+8236:["v","acted without words (past of mime)","身振りで演じた"],
+8237:["n","a mimeograph copy","謄写版"],
+8238:["n","a mime artist","パントマイム役者"],
+8239:["n","performers who act without words (plural of mime)","パントマイム（複数）"],
+8240:["v","to copy how someone speaks or acts","まねる","Parrots mimic sounds."],
+8241:["n","the wise giant of Norse myth who guards the well of wisdom","ミーミル（北欧神話）"],
+8242:["x"],
+8243:["adj","prim; flimsy (Lewis Carroll's coinage)","しょんぼりした（キャロルの造語）"],
+8244:["x"],
+8245:["n","ancient Greek units of weight and money (plural of mina)","ムナ（複数）"],
+8246:["n","a myna bird","キュウカンチョウ"],
+8247:["n","a tower; a minaret (India)","塔（インド）"],
+8248:["n","myna birds (plural of mina)","キュウカンチョウ（複数）"],
+8249:["x"],
+8250:["v","to chop finely; to walk with short affected steps","細かく刻む、気取って歩く"],
+8251:["x"],
+8252:["n","thinking faculties (plural of mind)","心（複数）"],
+8253:["v","dug from the earth (past of mine)","採掘した","They mined gold."],
+8254:["n","a person who works in a mine","鉱夫","A coal miner."],
+8255:["n","excavations for minerals; explosive devices (plural of mine)","鉱山、地雷（複数）"],
+8256:["n","a woman's genitals (vulgar)","女性器（卑語）"],
+8257:["adj","mean and stingy (British informal)","けちな（英略式）"],
+8258:["n","a Minié ball, a rifle bullet","ミニエー弾"],
+8259:["n","a half note in music; a tiny liquid measure","二分音符、ミニム"],
+8260:["n","miniskirts; small cars (plural of mini)","ミニスカート、小型車（複数）"],
+8261:["n","small furry mammals (plural of mink)","ミンク（複数）"],
+8262:["n","a minnow","ヒメハヤ"],
+8263:["adj","small or less important","小さい、重要でない","It's a minor problem."],
+8264:["n","the legendary king of Crete","ミノス王"],
+8265:["x"],
+8266:["n","a minnow","ヒメハヤ"],
+8267:["n","aromatic plants; places where coins are made (plural of mint)","ミント、造幣所（複数）"],
+8268:["adj","tasting of mint","ミントの味の"],
+8269:["n","a minim (music); a small printing type","二分音符、ミニオン活字"],
+8270:["prep","less; with the subtraction of","マイナス、〜を引いた","Ten minus four is six."],
+8271:["n","the Hebrew Bible read aloud; scripture","ミクラー（聖書朗読）"],
+8272:["adj","stuck in mud or difficulties","泥にはまった"],
+8273:["n","swamps; bogs (plural of mire)","ぬかるみ（複数）"],
+8274:["n","an organochlorine insecticide","マイレックス（殺虫剤）"],
+8275:["n","a plant bug of the family Miridae","カスミカメムシ"],
+8276:["n","darkness (plural of mirk)","暗闇（複数）"],
+8277:["adj","dark; murky","暗い"],
+8278:["x"],
+8279:["n","laughter and fun","陽気な笑い","Full of mirth."],
+8280:["n","missiles with several independently targeted warheads (plural of MIRV)","多弾頭ミサイル（複数）"],
+8281:["n","a Persian title of honour","ミールザー（ペルシャの敬称）"],
+8282:["x"],
+8283:["v","to do wrongly","し損なう"],
+8284:["n","a person who hoards money","けちな人"],
+8285:["n","issues in a writ of right (law)","争点（法律）"],
+8286:["v","to go astray (archaic)","道を誤る（古語）"],
+8287:["x"],
+8288:["adj","drizzly","霧雨の"],
+8289:["n","fermented soybean pastes (plural of miso)","味噌（複数）"],
+8290:["n","the Mass (Latin)","ミサ（ラテン語）"],
+8291:["n","a young girl (informal)","お嬢ちゃん（略式）"],
+8292:["n","thin fogs (plural of mist)","霧（複数）"],
+8293:["adj","full of mist","霧の立ちこめた","It was a misty morning."],
+8294:["v","to play truant (dialect)","ずる休みする（方言）"],
+8295:["n","a bishop's tall hat; a corner joint","司教冠、留め継ぎ"],
+8296:["n","tiny arachnids; small amounts (plural of mite)","ダニ、少量（複数）"],
+8297:["n","a malleable iron casting","ミティス鋳鉄"],
+8298:["n","an Indo-Iranian god of friendship and contracts","ミトラ"],
+8299:["n","a bishop's tall hat; a corner joint","司教冠、留め継ぎ"],
+8300:["n","mittens; hands (informal) (plural of mitt)","ミトン、手（略式）（複数）"],
+8301:["n","the stormy petrel (dialect)","ウミツバメ（方言）"],
+8302:["adj","made of different things","混ざった","I have mixed feelings."],
+8303:["n","a dunghill","堆肥の山"],
+8304:["n","a machine for mixing food","ミキサー","Beat the eggs with a mixer."],
+8305:["v","combines (third person of mix)","混ぜる"],
+8306:["n","a confusion or mistake","混乱、取り違え"],
+8307:["n","a star in the Big Dipper","ミザール（北斗七星の星）"],
+8308:["n","the mast behind the mainmast (mizzen)","ミズンマスト"],
+8309:["n","a bog (obsolete)","沼地（廃語）"],
+8310:["x"],
+8311:["n","memory as a property of living matter","ムネメ（記憶）"],
+8312:["v","makes a low sound of pain; complains (third person of moan)","うめく、不平を言う"],
+8313:["n","water-filled ditches around castles (plural of moat)","堀（複数）"],
+8314:["n","a drink made from sweet potatoes or fruit","モビー（芋酒）"],
+8315:["x"],
+8316:["x"],
+8317:["v","to wrap the head in a hood (obsolete)","頭巾で包む（廃語）"],
+8318:["n","coffee with chocolate; a dark brown color","モカ","I'll have a mocha, please."],
+8319:["n","a bale of raw silk; much (obsolete)","生糸の梱、多く（廃語）"],
+8320:["x"],
+8321:["v","ridicules (third person of mock)","あざける"],
+8322:["adj","of a mode; (grammar) expressing possibility","様式の、法の","\"Can\" is a modal verb."],
+8323:["n","a small copy; a person who shows clothes","模型、モデル","He built a model plane."],
+8324:["n","a device that connects a computer to the internet","モデム","Restart the modem."],
+8325:["n","a mother (obsolete)","母（廃語）"],
+8326:["n","ways or methods (plural of mode)","方式（複数）"],
+8327:["x"],
+8328:["x"],
+8329:["n","a mode; a way, as in modus operandi","方式"],
+8330:["x"],
+8331:["n","a cat (British informal)","猫（英略式）"],
+8332:["x"],
+8333:["n","a powerful person; a bump on a ski slope","大立者、モーグル"],
+8334:["x"],
+8335:["n","a person who performs Jewish circumcisions","モヘル（割礼執刀者）"],
+8336:["n","boundaries between crust and mantle (plural of moho)","モホ面（複数）"],
+8337:["n","an old gold coin of British India","モハール金貨"],
+8338:["n","an Indian tree with edible flowers (mahua)","マフア"],
+8339:["x"],
+8340:["n","a high shoe (obsolete)","高靴（廃語）"],
+8341:["v","toils; churns (third person of moil)","骨折って働く"],
+8342:["n","fate, personified in Greek myth","モイラ（運命）"],
+8343:["n","silk with a wavy watered pattern","モアレ（波紋絹）"],
+8344:["x"],
+8345:["adj","slightly wet","湿った","A moist cake."],
+8346:["x"],
+8347:["n","magic charms; personal magic (plural of mojo)","魔力（複数）"],
+8348:["n","donkeys (British informal, plural of moke)","ロバ（英略式、複数）"],
+8349:["x"],
+8350:["adj","containing one mole of solute per kilogram of solvent","重量モル濃度の"],
+8351:["n","a back tooth for grinding food","臼歯","The dentist pulled a molar."],
+8352:["n","ocean sunfish (plural of mola)","マンボウ（複数）"],
+8353:["n","forms for shaping; fungi (plural of mold)","型、カビ（複数）"],
+8354:["adj","covered with mold","カビの生えた"],
+8355:["x"],
+8356:["n","small burrowing animals; skin spots; chemical units (plural of mole)","モグラ、ほくろ、モル（複数）"],
+8357:["x"],
+8358:["x"],
+8359:["n","a Muslim teacher (mullah)","ムッラー"],
+8360:["n","a Peruvian pepper tree","コショウボク"],
+8361:["n","gangsters' girlfriends (plural of moll)","ギャングの情婦（複数）"],
+8362:["n","a given name; a small fish","モリー（人名）","Molly walks her dog."],
+8363:["x"],
+8364:["adv","very (music)","非常に（音楽）"],
+8365:["v","sheds feathers or skin (third person of molt)","脱皮する"],
+8366:["n","a Muslim religious scholar (maulvi)","マウルヴィ（イスラム学者）"],
+8367:["n","fools; blockheads (archaic)","まぬけ（古語）"],
+8368:["n","a mother (informal)","ママ（略式）"],
+8369:["n","a Japanese unit of weight; a unit for silk weight","匁"],
+8370:["n","a mother (informal)","ママ（略式）"],
+8371:["n","the Greek god of mockery; a faultfinder","モーモス、あら探し屋"],
+8372:["n","a single unit; an indivisible entity in philosophy","単子、モナド"],
+8373:["n","a brilliantly coloured Himalayan pheasant","ニジキジ"],
+8374:["n","a monad; a genus of flagellates","モナド、モナス属"],
+8375:["x"],
+8376:["n","the fashionable world (French)","社交界（フランス語）"],
+8377:["adj","very; extreme (slang)","すごい（俗）"],
+8378:["n","a corrosion-resistant nickel-copper alloy","モネルメタル"],
+8379:["n","a simple organism (obsolete term, one of the Monera)","モネラ生物（旧用語）"],
+8380:["n","coins and notes used to buy things","お金","I saved some money."],
+8381:["n","a Mongolian coin, one hundredth of a tugrik","モンゴ"],
+8382:["adj","having a leading coefficient of one (mathematics)","モニックな（数学）"],
+8383:["x"],
+8384:["n","men living in a religious community (plural of monk)","修道士（複数）"],
+8385:["x"],
+8386:["n","mononucleosis; mono sound (plural of mono)","伝染性単核球症、モノラル"],
+8387:["n","a card game; part of place names (Monte Carlo)","モンテ（地名）","Monte Carlo."],
+8388:["n","one of the twelve parts of a year","月","See you next month."],
+8389:["v","to scrounge; to wander aimlessly (informal)","たかる、ぶらつく（略式）"],
+8390:["n","states of mind (plural of mood)","気分（複数）"],
+8391:["adj","often changing mood; gloomy","気分屋の、憂うつな","A moody teenager."],
+8392:["v","made a cow's sound (past of moo)","モーと鳴いた"],
+8393:["n","money (slang)","お金（俗）"],
+8394:["n","soil; graves (Scottish, plural of mool)","土、墓（スコットランド、複数）"],
+8395:["n","the mung bean","緑豆"],
+8396:["n","natural satellites (plural of moon)","月（複数）"],
+8397:["adj","dreamy; like the moon","夢見るような、月の"],
+8398:["n","a family name","ムーア（姓）","Roger Moore played James Bond."],
+8399:["x"],
+8400:["n","open high land covered with heather (plural of moor)","荒野","The Yorkshire moors."],
+8401:["adj","marshy; like a moor","湿原の"],
+8402:["x"],
+8403:["n","a large deer with wide antlers","ヘラジカ","A moose crossed the road."],
+8404:["x"],
+8405:["x"],
+8406:["v","raises for discussion (third person of moot)","議題にする"],
+8407:["n","a light motorcycle","モペット"],
+8408:["n","a person who mopes","ふさぎこむ人"],
+8409:["n","low spirits, as in the mopes","憂鬱"],
+8410:["adj","gloomy and listless","ふさぎこんだ"],
+8411:["n","a Muslim of Kerala (Moplah)","モプラ（ケーララのムスリム）"],
+8412:["x"],
+8413:["n","a dowdy woman (dialect)","だらしない女（方言）"],
+8414:["n","a dull person (obsolete)","退屈な人（廃語）"],
+8415:["n","units of syllable timing (plural of mora)","モーラ（複数）"],
+8416:["adj","about right and wrong","道徳の","It's a moral question."],
+8417:["n","units of syllable length (plural of mora); a finger-guessing game","モーラ（複数）、指当て遊び"],
+8418:["n","a drink of honey flavoured with mulberries (obsolete)","桑の実入り蜂蜜酒（廃語）"],
+8419:["n","a brightly coloured eel","ウツボ"],
+8420:["x"],
+8421:["n","an edible mushroom with a honeycombed cap","アミガサタケ"],
+8422:["n","the customs and conventions of a society","慣習"],
+8423:["x"],
+8424:["adj","relating to fustic dye","フスチックの"],
+8425:["n","a yellow pigment from fustic wood","モリン"],
+8426:["n","a bugbear (obsolete)","お化け（廃語）"],
+8427:["adj","gloomy; dismal","陰鬱な"],
+8428:["n","mornings (plural of morn)","朝（複数）"],
+8429:["x"],
+8430:["n","a very stupid person (offensive)","ばか（侮蔑的）"],
+8431:["x"],
+8432:["v","to change smoothly from one form to another","変形する"],
+8433:["n","a finger-guessing game","モッラ（指当て遊び）"],
+8434:["n","a rounded hill or headland","丸い丘、岬"],
+8435:["n","a code of dots and dashes","モールス信号","Send it in Morse code."],
+8436:["x"],
+8437:["n","great quantities (dialect, plural of mort)","たくさん（方言、複数）"],
+8438:["n","a group of Native American languages of the Northwest","モーサン語族"],
+8439:["n","a white wine from the Moselle valley","モーゼルワイン"],
+8440:["n","a prophet in the Bible","モーセ","Moses led his people out of Egypt."],
+8441:["v","to walk slowly and aimlessly (informal)","ぶらぶら歩く（略式）"],
+8442:["n","mosques (obsolete, plural of mosk)","モスク（廃語、複数）"],
+8443:["adv","lively; with motion (music)","動きをもって（音楽）"],
+8444:["adj","covered with moss","苔むした"],
+8445:["v","must (obsolete)","～せねばならない（廃語）"],
+8446:["x"],
+8447:["adj","full of floating dust","ちりの舞う"],
+8448:["n","a roadside hotel for drivers","モーテル","We stayed at a motel."],
+8449:["x"],
+8450:["n","tiny specks of dust (plural of mote)","ちり（複数）"],
+8451:["n","a choral work on a sacred text","モテット"],
+8452:["adj","full of motes","ちりの多い"],
+8453:["n","night insects like butterflies (plural of moth)","蛾","Moths fly to the light."],
+8454:["adj","moth-eaten; full of moths","虫食いの"],
+8455:["n","a repeated design or idea","モチーフ","A flower motif."],
+8456:["n","a small armour plate protecting the armpit","脇当て（鎧）"],
+8457:["n","an engine","モーター","The boat has a small motor."],
+8458:["n","a mound for a castle; a clump of trees on a prairie","城の土塁、木立"],
+8459:["n","a short saying that expresses a belief","モットー、標語","Our motto is \"never give up\"."],
+8460:["x"],
+8461:["adj","full of motes (Scottish)","ちりの多い（スコットランド）"],
+8462:["v","to loiter; to mooch (dialect)","ぶらつく（方言）"],
+8463:["x"],
+8464:["n","pouts (plural of moue)","ふくれっつら（複数）"],
+8465:["n","mold (British spelling): a fungus; a shape for casting","カビ、型","Mould on the bread."],
+8466:["v","to grow mouldy (obsolete)","カビが生える（廃語）"],
+8467:["x"],
+8468:["v","to shed feathers or skin","羽が抜け替わる、脱皮する"],
+8469:["x"],
+8470:["n","a small hill or pile","塚、盛り土","A mound of earth."],
+8471:["v","to climb onto; to organize","登る、乗る","She mounted the horse."],
+8472:["v","to feel sad about a death","悼む","They mourned their friend."],
+8473:["n","a small animal with a long tail; a computer pointing device","ネズミ、マウス","The cat caught a mouse."],
+8474:["adj","quiet and timid; dull light brown","内気な、くすんだ茶色の"],
+8475:["n","the opening in the face for eating and speaking","口","Open your mouth."],
+8476:["v","changed position or home (past of move)","動いた、引っ越した","We moved to Osaka."],
+8477:["n","a person who moves furniture or proposes something","引っ越し業者、動かす人","The movers came at nine."],
+8478:["v","changes position (third person of move)","動く"],
+8479:["n","a film","映画","Let's watch a movie."],
+8480:["x"],
+8481:["v","cut grass (past of mow)","刈った"],
+8482:["n","a machine for cutting grass","芝刈り機"],
+8483:["n","an Indian tree with edible flowers (mahua)","マフア"],
+8484:["x"],
+8485:["n","an Indian tree with edible flowers (mahua)","マフア"],
+8486:["x"],
+8487:["x"],
+8488:["n","cones of dried herb burned on the skin as therapy (plural of moxa)","もぐさ（複数）"],
+8489:["n","courage and determination (informal)","気力、度胸（略式）"],
+8490:["x"],
+8491:["n","a mule (obsolete); a high shoe","ラバ（廃語）、高靴"],
+8492:["n","male servants (Spanish, plural of mozo)","使用人（スペイン語、複数）"],
+8493:["x"],
+8494:["n","the title of the ruler of Albania in 1914","ムプレト（アルバニア君主の称号）"],
+8495:["x"],
+8496:["x"],
+8497:["x"],
+8498:["n","a town or principality in Thailand and Laos","ムアン（タイの町）"],
+8499:["adj","relating to an acid obtained from gums","粘液酸の"],
+8500:["adj","musty; slimy","かび臭い、ぬるぬるした"],
+8501:["n","a protein found in mucus","ムチン"],
+8502:["v","messes about, as in mucks about (third person of muck)","ぶらぶらする"],
+8503:["adj","dirty; covered in muck","汚い"],
+8504:["n","a common bread mould","ケカビ"],
+8505:["n","a short sharp point at the tip of a leaf","微突起"],
+8506:["n","a thick slimy liquid in the nose and throat","粘液","Mucus protects the nose."],
+8507:["n","an Asian shrub yielding fibre and medicine","カイガンタバコ"],
+8508:["x"],
+8509:["adj","covered with mud","泥だらけの","Muddy boots."],
+8510:["x"],
+8511:["n","a governor of a province in Egypt or Turkey","州知事（エジプト、トルコ）"],
+8512:["n","a symbolic hand gesture in Hindu and Buddhist practice","ムドラー（印相）"],
+8513:["v","bungles (third person of muff)","しくじる"],
+8514:["x"],
+8515:["n","a Muslim legal scholar; plain clothes worn by an officer","ムフティー、平服"],
+8516:["x"],
+8517:["x"],
+8518:["adj","warm and humid","蒸し暑い"],
+8519:["n","a dwarf mountain pine","モンタナマツ"],
+8520:["n","a grass of the genus Muhlenbergia","ミューレンベルギア（草）"],
+8521:["x"],
+8522:["n","a Russian peasant (muzhik)","ムジーク（ロシアの農民）"],
+8523:["n","liberation in Hinduism (moksha)","解脱"],
+8524:["n","material spread on soil to keep in moisture","マルチ、根覆い"],
+8525:["v","to fine; to extract money from by fraud","罰金を科す、だまし取る"],
+8526:["x"],
+8527:["n","animals from a horse and a donkey (plural of mule)","ラバ","Mules carried the supplies."],
+8528:["x"],
+8529:["adj","hornless (of cattle)","角のない（牛）"],
+8530:["n","an Australian acacia; the outback","マルガ（アカシア）、奥地"],
+8531:["n","a mullah","ムッラー"],
+8532:["v","thinks over (third person of mull)","熟考する"],
+8533:["n","wine boiled with honey","蜂蜜入りワイン"],
+8534:["adj","many (used in compounds)","多〜","This is a multi-level car park."],
+8535:["x"],
+8536:["n","meaningless talk, as in mumbo jumbo","ちんぷんかんぷん"],
+8537:["v","acts in a mummers' play (third person of mumm)","無言劇を演じる"],
+8538:["n","a preserved dead body; a mother (British informal)","ミイラ、ママ（英略式）"],
+8539:["n","a viral disease causing swollen glands","おたふくかぜ"],
+8540:["adj","dowdy and homely (British informal)","野暮ったい（英略式）"],
+8541:["v","to chew noisily","むしゃむしゃ食べる"],
+8542:["n","the bonnet macaque","ボンネットモンキー"],
+8543:["v","to modify or mangle data (computing slang)","データを変換する（俗）"],
+8544:["n","cheap wool fibre recovered from rags","再生羊毛"],
+8545:["x"],
+8546:["x"],
+8547:["n","Muntz metal, a brass alloy","マンツメタル"],
+8548:["n","unstable subatomic particles (plural of muon)","ミュー粒子（複数）"],
+8549:["n","a large painting on a wall","壁画","A colorful mural."],
+8550:["x"],
+8551:["v","walled up (past of mure)","壁で囲んだ"],
+8552:["v","walls up (third person of mure)","壁で囲む"],
+8553:["n","a sea snail that yields purple dye","アクキガイ"],
+8554:["x"],
+8555:["n","a rodent of the mouse family","ネズミ科の動物"],
+8556:["n","gloom; darkness (plural of murk)","暗がり（複数）"],
+8557:["adj","dark and gloomy; unclear","暗い、にごった"],
+8558:["x"],
+8559:["n","a substance used in ancient Rome for precious vases","ムラ（古代ローマの器の材料）"],
+8560:["n","a black-and-white diving seabird","ウミガラス"],
+8561:["n","catarrhs (obsolete)","鼻風邪（廃語）"],
+8562:["n","a moray eel","ウツボ"],
+8563:["x"],
+8564:["n","a Tatar noble","ムルザ（タタールの貴族）"],
+8565:["adj","relating to the Muses or poetry","詩神の"],
+8566:["n","a musette player","ミュゼット奏者"],
+8567:["n","the housefly genus; a southern constellation, the Fly","イエバエ属、はえ座"],
+8568:["v","thought deeply (past of muse)","物思いにふけった"],
+8569:["n","a person who muses","思索家"],
+8570:["v","thinks deeply (third person of muse)","物思いにふける"],
+8571:["n","a gap in a hedge used by hares","生け垣の抜け穴"],
+8572:["interj","an Irish exclamation of surprise","まあ（アイルランド）"],
+8573:["adj","soft and pulpy; too sentimental","どろどろの、感傷的な"],
+8574:["n","sounds arranged in a pleasant way","音楽","I listen to music every day."],
+8575:["x"],
+8576:["n","a gap in a hedge used by hares (muset)","生け垣の抜け穴"],
+8577:["n","strong-smelling substances (plural of musk)","麝香（複数）"],
+8578:["adj","smelling of musk","麝香の香りの"],
+8579:["adj","untidy; rumpled (informal)","乱れた（略式）"],
+8580:["n","a frenzied state of male elephants","マスト期（雄象の発情期）"],
+8581:["n","things that are essential (plural of must)","必須のもの（複数）"],
+8582:["adj","smelling stale and mouldy","かび臭い"],
+8583:["n","a close linen cap worn by old women (Scottish)","女性用の頭巾（スコットランド）"],
+8584:["adj","quiet; subdued","抑えた"],
+8585:["adj","more silent (comparative of mute)","より静かな"],
+8586:["v","silences (third person of mute)","消音する"],
+8587:["adj","without a point; blunt (botany)","尖りのない（植物）"],
+8588:["n","mongrel dogs (plural of mutt)","雑種犬（複数）"],
+8589:["x"],
+8590:["adj","confused; blurred","ぼんやりした"],
+8591:["n","an Australian acacia","マイオール（アカシア）"],
+8592:["x"],
+8593:["n","a thin strong polyester film (trademark)","マイラー"],
+8594:["n","an Asian starling that can mimic speech","キュウカンチョウ"],
+8595:["n","Asian starlings (plural of myna)","キュウカンチョウ（複数）"],
+8596:["adj","resembling muscle","筋肉のような"],
+8597:["n","a benign tumour of muscle tissue","筋腫"],
+8598:["n","a short-sighted person","近視の人"],
+8599:["n","a short-sighted person","近視の人"],
+8600:["n","myopia","近視"],
+8601:["n","holy oil used in Orthodox chrismation","聖膏"],
+8602:["n","a fragrant resin used in incense","没薬"],
+8603:["pron","myself (dialect)","自分自身（方言）"],
+8604:["n","an opossum shrimp","アミ（甲殻類）"],
+8605:["n","traditional stories; false beliefs (plural of myth)","神話、迷信（複数）"],
+8606:["x"],
+8607:["x"],
+8608:["x"],
+8609:["n","a group of French post-impressionist painters","ナビ派"],
+8610:["n","the inverted triangle symbol ∇ used in vector calculus","ナブラ"],
+8611:["x"],
+8612:["n","a rich and powerful person","大富豪"],
+8613:["n","the rump (obsolete)","尻（廃語）"],
+8614:["n","a tortilla chip with melted cheese","ナチョス","We shared a plate of nachos."],
+8615:["n","mother-of-pearl","真珠層"],
+8616:["x"],
+8617:["n","the lowest point","どん底、天底"],
+8618:["n","birthmarks (plural of naevus)","母斑（複数）"],
+8619:["x"],
+8620:["adj","irritable; prone to nagging (informal)","小言の多い（略式）"],
+8621:["x"],
+8622:["n","a West African reedbuck","ナゴール（リードバック）"],
+8623:["n","a Hebrew prophet; a book of the Old Testament","ナホム（預言者）"],
+8624:["n","a water nymph; the larva of a dragonfly","水の精、ヤゴ"],
+8625:["n","naive people (plural of naif)","うぶな人（複数）"],
+8626:["n","metal pins; fingernails (plural of nail)","釘、爪（複数）"],
+8627:["x"],
+8628:["n","the currency of Nigeria","ナイラ"],
+8629:["x"],
+8630:["x"],
+8631:["adj","lacking experience; too trusting","世間知らずの","A naive question."],
+8632:["adj","without clothes","裸の","The baby was naked."],
+8633:["n","a small kettledrum (obsolete)","小型の太鼓（廃語）"],
+8634:["n","the gavial","インドガビアル"],
+8635:["n","an organophosphate insecticide","ナレッド（殺虫剤）"],
+8636:["n","the ritual Muslim prayer","礼拝（ナマーズ）"],
+8637:["adj","weak and sentimental, as in namby-pamby","めめしい"],
+8638:["n","a felted wool rug from Kashmir","ナムダ（フェルト敷物）"],
+8639:["v","gave a name to (past of name)","名付けた","They named the dog Max."],
+8640:["n","a person who names","命名者"],
+8641:["n","words by which people or things are known (plural of name)","名前","Write your names here."],
+8642:["x"],
+8643:["x"],
+8644:["n","grandmothers (plural of nana)","おばあちゃん（複数）"],
+8645:["n","an effeminate or homosexual man (offensive)","女々しい男（侮蔑的）"],
+8646:["n","a given name","ナンシー（人名）","Nancy is a lawyer."],
+8647:["n","the bull vehicle of the Hindu god Shiva","ナンディン（シヴァの乗る牛）"],
+8648:["n","a rhea, a South American flightless bird","レア（鳥）"],
+8649:["x"],
+8650:["x"],
+8651:["n","a Chinese tree with fragrant wood","楠木（中国の木）"],
+8652:["n","a woman employed to look after children","乳母"],
+8653:["x"],
+8654:["n","brandy (obsolete, from Nantes)","ブランデー（廃語）"],
+8655:["n","Ruth's mother-in-law in the Bible","ナオミ（聖書）"],
+8656:["x"],
+8657:["n","backs of necks (plural of nape)","うなじ（複数）"],
+8658:["adj","finished; dead (First World War slang)","終わった（第一次大戦の俗語）"],
+8659:["n","soft leather from sheep or goat skin","ナッパ革"],
+8660:["n","a sheet of rock moved over other rock; a sheet of a surface","ナップ（押しかぶせ構造）"],
+8661:["n","a baby's diaper (British)","おむつ（英）"],
+8662:["n","a drug trafficker; a narcotics agent (informal)","麻薬密売人、麻薬捜査官（略式）"],
+8663:["n","narcotics agents (plural of narc)","麻薬捜査官（複数）"],
+8664:["n","spikenard ointments (plural of nard)","ナルド香油（複数）"],
+8665:["x"],
+8666:["n","the nostrils","鼻孔"],
+8667:["x"],
+8668:["n","a nostril","鼻孔"],
+8669:["n","police informers (British slang, plural of nark)","警察のたれ込み屋（英俗、複数）"],
+8670:["adj","irritable (British informal)","不機嫌な（英略式）"],
+8671:["n","a Philippine hardwood tree","ナラ（フィリピンの木）"],
+8672:["x"],
+8673:["adj","of the nose","鼻の","A nasal spray."],
+8674:["x"],
+8675:["x"],
+8676:["adj","very unpleasant","嫌な","A nasty smell."],
+8677:["n","the nose (anatomy, Latin)","鼻（解剖、ラテン語）"],
+8678:["adj","of birth","出生の","Natal care."],
+8679:["adv","naturally; of course (informal)","当然（略式）"],
+8680:["n","the buttocks","臀部"],
+8681:["x"],
+8682:["adj","smart and fashionable in dress","こざっぱりした"],
+8683:["x"],
+8684:["n","a traditional Indian dance performed by professional dancers (nautch)","ナーチ（インドの舞踊）"],
+8685:["x"],
+8686:["n","an aunt (obsolete)","おば（廃語）"],
+8687:["adj","of a navy","海軍の","It was a great naval battle."],
+8688:["x"],
+8689:["n","the small hollow in the middle of the belly","へそ","The shirt showed her navel."],
+8690:["n","central areas of churches (plural of nave)","身廊（複数）"],
+8691:["x"],
+8692:["n","a kind of small wild turnip","小カブ"],
+8693:["x"],
+8694:["x"],
+8695:["n","a labourer on roads or canals (British)","土木作業員（英）"],
+8696:["n","a Muslim governor or noble in India","ナワーブ（太守）"],
+8697:["x"],
+8698:["x"],
+8699:["n","a provincial governor in Mughal India","ナーズィム（州知事）"],
+8700:["n","an Indian court official","ナーズィル（法廷の役人）"],
+8701:["n","members of Hitler's party (plural of Nazi)","ナチ党員（複数）"],
+8702:["n","tides with the least range (plural of neap)","小潮（複数）"],
+8703:["v","comes closer to (third person of near)","近づく"],
+8704:["prep","beneath (poetic)","～の下に（詩語）"],
+8705:["n","cattle (archaic, plural of neat)","牛（古語、複数）"],
+8706:["x"],
+8707:["n","an ancient Hebrew harp","ネベル（古代ヘブライの竪琴）"],
+8708:["x"],
+8709:["n","parts joining heads to bodies (plural of neck)","首（複数）"],
+8710:["x"],
+8711:["n","a donkey (pet name); a fool (informal)","ロバ（愛称）、まぬけ（略式）"],
+8712:["x"],
+8713:["n","things that are necessary (plural of need)","必要なもの","Babies have simple needs."],
+8714:["adj","poor; wanting too much attention","貧しい、かまってほしがる","Help needy families."],
+8715:["x"],
+8716:["n","a needle (obsolete)","針（廃語）"],
+8717:["n","a needle (obsolete)","針（廃語）"],
+8718:["n","Indian trees whose oil is used in medicine (plural of neem)","ニーム（複数）"],
+8719:["n","turnips (Scottish, plural of neep)","カブ（スコットランド、複数）"],
+8720:["v","to sneeze (obsolete)","くしゃみをする（廃語）"],
+8721:["v","to sneeze (obsolete)","くしゃみをする（廃語）"],
+8722:["x"],
+8723:["x"],
+8724:["x"],
+8725:["n","a dated term for a Black person, now considered offensive","（古く、現在は侮蔑的とされる語）黒人"],
+8726:["n","a drink of hot wine with sugar and spice; a title of Ethiopian rulers","ニーガス酒、エチオピア皇帝の称号"],
+8727:["n","Jawaharlal Nehru, India's first prime minister","ネルー","Nehru led India."],
+8728:["n","fists (obsolete, plural of neif)","こぶし（廃語、複数）"],
+8729:["v","to make the high cry of a horse","いななく"],
+8730:["adj","next (Scottish)","次の（スコットランド）"],
+8731:["n","a silly person; an effeminate man (offensive)","ばか、女々しい男（侮蔑的）"],
+8732:["n","nematode worms (plural of nema)","線虫（複数）"],
+8733:["x"],
+8734:["n","Hawaiian geese (plural of nene)","ハワイガン（複数）"],
+8735:["x"],
+8736:["n","neon lights or signs (plural of neon)","ネオン（複数）"],
+8737:["x"],
+8738:["n","a country in the Himalayas","ネパール","Everest is in Nepal."],
+8739:["n","a unit for comparing the ratio of two signal amplitudes","ネーパ（単位）"],
+8740:["x"],
+8741:["n","one isomer of citral, found in lemon oil","ネラール"],
+8742:["n","socially awkward studious people (plural of nerd)","オタク（複数）"],
+8743:["n","the sockeye salmon","ベニザケ"],
+8744:["n","a fragrant alcohol from orange-blossom oil","ネロール"],
+8745:["interj","nonsense; nuts (slang)","ばかな（俗）"],
+8746:["interj","nonsense; nuts (slang)","ばかな（俗）"],
+8747:["n","a fibre that carries messages in the body; courage","神経、度胸","It takes nerve to do that."],
+8748:["adj","nervous and tense; bold or cheeky","神経質な、厚かましい"],
+8749:["n","structures where birds lay eggs (plural of nest)","巣（複数）"],
+8750:["x"],
+8751:["x"],
+8752:["n","a friend (old New England term)","友（ニューイングランドの古語）"],
+8753:["v","nets; earns as profit (third person of nett)","純益を得る"],
+8754:["adj","like a net; netted (rare)","網状の（まれ）"],
+8755:["x"],
+8756:["n","a sign used in medieval notation of plainchant","ネウマ（記譜）"],
+8757:["n","signs of medieval plainchant notation (plural of neum)","ネウマ（複数）"],
+8758:["x"],
+8759:["x"],
+8760:["v","to name; to mention (obsolete)","名を挙げる（廃語）"],
+8761:["adv","not at any time","決して〜ない","I never eat meat."],
+8762:["n","snowfields of glaciers (plural of neve)","万年雪（複数）"],
+8763:["x"],
+8764:["n","a birthmark or mole","母斑、ほくろ"],
+8765:["n","the post at the top or bottom of a staircase","親柱"],
+8766:["adj","more new (comparative of new)","より新しい","A newer model."],
+8767:["adv","recently","新たに","A newly built house."],
+8768:["adj","full of news (informal)","話題の多い（略式）"],
+8769:["n","small amphibians (plural of newt)","イモリ（複数）"],
+8770:["x"],
+8771:["n","a form of debt bondage in ancient Rome","ネクスム（古代ローマの債務拘束）"],
+8772:["n","a connection or central point","結びつき、中心"],
+8773:["n","a small New Zealand tree","ンガイオ（ニュージーランドの木）"],
+8774:["n","fermented fish paste of Myanmar","ンガピ（魚醤ペースト）"],
+8775:["n","a type of drum of East and Central Africa","ンゴマ（太鼓）"],
+8776:["n","a monetary unit of Zambia, a hundredth of a kwacha","ングウェー"],
+8777:["x"],
+8778:["x"],
+8779:["x"],
+8780:["adj","more pleasant (comparative of nice)","より良い"],
+8781:["n","a small space in a wall; a special area of the market","くぼみ、すき間市場","A niche market."],
+8782:["n","night (Scottish)","夜（スコットランド）"],
+8783:["v","cuts slightly; steals (British informal) (third person of nick)","傷をつける、盗む（英略式）"],
+8784:["x"],
+8785:["n","a prism for producing polarized light","ニコルプリズム"],
+8786:["adj","relating to a nest","巣の"],
+8787:["x"],
+8788:["n","broods of pheasants (plural of nide)","キジのひと巣（複数）"],
+8789:["v","to dress stone with a pointed hammer","石を尖った槌で仕上げる"],
+8790:["n","the smell of cooking meat (obsolete)","焼肉の匂い（廃語）"],
+8791:["n","a nest; a focus of infection","巣、病巣"],
+8792:["n","the daughter of your brother or sister","姪","My niece is six."],
+8793:["x"],
+8794:["n","a fist (Scottish)","こぶし（スコットランド）"],
+8795:["x"],
+8796:["n","a trifle (obsolete)","つまらないもの（廃語）"],
+8797:["adj","very good or clever (informal)","気の利いた（略式）"],
+8798:["v","approaches (third person of nigh)","近づく"],
+8799:["n","the time when it is dark","夜","Good night!"],
+8800:["x"],
+8801:["n","the chigoe flea","スナノミ"],
+8802:["n","nothing (Latin)","無（ラテン語）"],
+8803:["n","a New Zealand palm tree","ニカウヤシ"],
+8804:["x"],
+8805:["v","refuses; is unwilling (obsolete, third person of nill)","拒む（廃語）"],
+8806:["n","a member of a Nilotic people","ナイル系民族の人"],
+8807:["n","rain clouds; haloes (plural of nimbus)","雨雲、光輪（複数）"],
+8808:["n","the numbers nine (plural of nine)","9（複数）"],
+8809:["n","a foolish person","まぬけ"],
+8810:["n","a fine sheer fabric of silk or nylon","ニノン（薄地の布）"],
+8811:["n","children (Spanish, plural of nino)","子ども（スペイン語、複数）"],
+8812:["adj","next after eighth","9 番目の","This is the ninth floor."],
+8813:["n","a name of the Sumerian mother goddess Ninhursag","ニントゥ（シュメールの母神）"],
+8814:["n","the magpie (dialect)","カササギ（方言）"],
+8815:["n","a weeping mother in Greek myth whose children were killed","ニオベ（ギリシャ神話）"],
+8816:["x"],
+8817:["n","Asian mangrove palms (plural of nipa)","ニッパヤシ（複数）"],
+8818:["adj","cold; quick and nimble (informal)","肌寒い、すばしこい（略式）"],
+8819:["x"],
+8820:["x"],
+8821:["n","the first month of the Jewish religious year","ニサン（ユダヤ暦の月）"],
+8822:["n","a person born in America to Japanese immigrant parents","二世"],
+8823:["n","a friendly goblin of Scandinavian folklore","ニッセ（北欧の妖精）"],
+8824:["n","an effort or striving","努力"],
+8825:["x"],
+8826:["n","potassium nitrate; saltpetre","硝石"],
+8827:["adj","bright; shining","光沢のある"],
+8828:["n","an old name for radon","ニトン（ラドンの旧名）"],
+8829:["x"],
+8830:["n","potassium nitrate; saltpetre","硝石"],
+8831:["n","nitroglycerine (informal)","ニトログリセリン（略式）"],
+8832:["x"],
+8833:["adj","full of nits","シラミの卵だらけの"],
+8834:["adj","growing in or relating to snow","雪の"],
+8835:["v","rejected (past of nix)","却下した"],
+8836:["n","a spare-time job (Irish informal)","副業（アイルランド略式）"],
+8837:["v","rejects (third person of nix)","却下する"],
+8838:["n","a water sprite; an undeliverable letter","水の精、配達不能郵便"],
+8839:["n","Richard Nixon, a US president","ニクソン","Nixon visited China."],
+8840:["n","the title of the ruler of Hyderabad","ニザーム（ハイデラバードの君主）"],
+8841:["x"],
+8842:["x"],
+8843:["adj","smart; elegant (slang)","粋な（俗）"],
+8844:["n","the Nobel Prize; Alfred Nobel","ノーベル（賞）","She won a Nobel."],
+8845:["x"],
+8846:["adj","honest and brave; of high social rank","高潔な、貴族の","It was a noble act."],
+8847:["adv","in a noble manner","気高く"],
+8848:["adv","only; nothing but (dialect)","ただ～だけ（方言）"],
+8849:["n","nothing (Scottish)","無（スコットランド）"],
+8850:["v","fits arrows to a bowstring (third person of nock)","矢をつがえる"],
+8851:["adj","relating to a node","節の、結節点の"],
+8852:["x"],
+8853:["n","a tropical tern; a fool","クロアジサシ、まぬけ"],
+8854:["x"],
+8855:["n","points of connection (plural of node)","節、ノード（複数）"],
+8856:["n","a knotty point; a difficulty","難点"],
+8857:["n","Christmas carols (plural of noel)","クリスマスキャロル（複数）"],
+8858:["x"],
+8859:["x"],
+8860:["x"],
+8861:["adv","in no way (dialect)","決して～ない（方言）"],
+8862:["n","short fibres combed out of wool","落ち綿、ノイル"],
+8863:["x"],
+8864:["v","to anoint (obsolete)","油を塗る（廃語）"],
+8865:["x"],
+8866:["n","a loud or unpleasant sound","騒音","Stop making noise."],
+8867:["adj","making a lot of noise","うるさい","A noisy street."],
+8868:["x"],
+8869:["n","a dismissal of a court case, as in nolle prosequi","不起訴"],
+8870:["n","pleas of no contest (plural of nolo)","不抗争の答弁（複数）"],
+8871:["n","a member of a people who move from place to place","遊牧民"],
+8872:["x"],
+8873:["n","ulcers of the mouth or face (plural of noma)","水癌（複数）"],
+8874:["n","the family name of a Roman citizen","氏族名（古代ローマ）"],
+8875:["n","provinces of ancient Egypt (plural of nome)","ノモス（古代エジプトの州、複数）"],
+8876:["adj","customary, of spelling","慣習的な（綴り）"],
+8877:["n","laws (Greek, plural of nomos)","法（ギリシャ語、複数）"],
+8878:["n","law; custom (Greek)","法、慣習（ギリシャ語）"],
+8879:["x"],
+8880:["n","the present occasion, as in for the nonce","当座"],
+8881:["n","an Australian tree with edible plum-like fruit","ノンダ"],
+8882:["n","a plant of the Appalachians with an aromatic root","ノンド（セリ科）"],
+8883:["n","the ninth day before the ides in the Roman calendar; a daily office","ノーナエ、九時課"],
+8884:["n","a composition for nine instruments","九重奏曲"],
+8885:["x"],
+8886:["x"],
+8887:["n","a ninny (obsolete)","まぬけ（廃語）"],
+8888:["n","a woman of Straits Chinese descent (nyonya)","ニョニャ（プラナカン女性）"],
+8889:["n","a radical derived from nonane","ノニル基"],
+8890:["n","sheltered corners (plural of nook)","片隅（複数）"],
+8891:["n","sexual intercourse (slang)","性交（俗）"],
+8892:["n","middays (plural of noon)","正午（複数）"],
+8893:["n","a loop of rope with a running knot","輪縄"],
+8894:["n","a prickly pear cactus","ノパル（ウチワサボテン）"],
+8895:["n","a water wheel with buckets","ノーリア（揚水車）"],
+8896:["n","the cormorant (dialect)","ウ（方言）"],
+8897:["x"],
+8898:["n","a rule or standard; a southern constellation, the Square","規範、じょうぎ座"],
+8899:["n","standards regarded as typical (plural of norm)","規範（複数）"],
+8900:["n","one of the three Norse Fates (Norn)","ノルン（運命の女神）"],
+8901:["x"],
+8902:["adj","relating to ancient Scandinavia or its language","古代北欧の"],
+8903:["x"],
+8904:["n","the direction toward the North Pole","北","Birds fly north in spring."],
+8905:["v","pried; moved forward carefully (past of nose)","かぎ回った、少しずつ進んだ"],
+8906:["x"],
+8907:["n","organs of smell (plural of nose)","鼻（複数）"],
+8908:["adj","too curious about other people's affairs","詮索好きな"],
+8909:["x"],
+8910:["adj","relating to the back; dorsal","背の"],
+8911:["n","the Japanese design principle of balancing light and dark","濃淡（デザイン原理）"],
+8912:["n","a small V-shaped cut","切り込み","A notch in the wood."],
+8913:["adj","famous","有名な","He is a noted writer."],
+8914:["n","a person who takes notes; an annotator","記録者、注釈者"],
+8915:["n","short written records; musical sounds (plural of note)","メモ、音符（複数）"],
+8916:["x"],
+8917:["n","the back of a thoracic segment of an insect","背板（昆虫）"],
+8918:["n","the south wind personified","南風（ノトス）"],
+8919:["v","would not (obsolete)","～しようとしなかった（廃語）"],
+8920:["n","words that name things (plural of noun)","名詞","\"Cat\" and \"city\" are nouns."],
+8921:["n","stars that suddenly brighten (plural of nova)","新星（複数）"],
+8922:["n","stars that suddenly brighten (plural of nova)","新星（複数）"],
+8923:["n","a long story in a book","小説","She is reading a novel."],
+8924:["n","an old dice game (novum)","ノーヴェム（さいころ遊び）"],
+8925:["n","an old dice game; something new","ノーヴム（さいころ遊び）、新機軸"],
+8926:["x"],
+8927:["adv","in no way; not at all","決して～ない"],
+8928:["n","a brooch or clasp (obsolete)","ブローチ、留め金（廃語）"],
+8929:["adj","knotted, of a serpent (heraldry)","結び目状の（紋章）"],
+8930:["n","Christmas; the inner part of a mould for casting","クリスマス（廃語）、鋳型の中子"],
+8931:["n","cattle (dialect, plural of nowt)","牛（方言、複数）"],
+8932:["adj","relating to liability for harm done by a slave or animal (Roman law)","加害責任の（ローマ法）"],
+8933:["n","a liqueur flavoured with fruit kernels","ノワイヨー（リキュール）"],
+8934:["x"],
+8935:["n","a king of the gods in Irish mythology","ヌアザ（アイルランド神話）"],
+8936:["adj","having small knobs or lumps, of textiles","節のある（布地）"],
+8937:["n","an ancient region along the Nile; a light woollen scarf","ヌビア、ウールのスカーフ"],
+8938:["x"],
+8939:["n","the nape of the neck","うなじ"],
+8940:["n","juglone, a compound from walnuts","ユグロン"],
+8941:["n","nakedness, as in in the nuddy (British informal)","裸（英略式）"],
+8942:["adj","more naked (comparative of nude)","より裸の"],
+8943:["n","pictures of naked figures (plural of nude)","裸体画（複数）"],
+8944:["v","to push gently, especially with the elbow","軽くつつく"],
+8945:["n","a film or magazine featuring nudity (informal)","ヌード映画（略式）"],
+8946:["n","a taxonomic name not validly published, as in nomen nudum","裸名"],
+8947:["v","to nag; to pester (informal)","しつこくせがむ（略式）"],
+8948:["n","trifles; jests","つまらないもの、冗談"],
+8949:["n","nuclear weapons (plural of nuke)","核兵器（複数）"],
+8950:["n","a game or bid to win no tricks","ヌロ（トランプ）"],
+8951:["n","zero values (plural of null)","ヌル（複数）"],
+8952:["x"],
+8953:["v","makes numb (third person of numb)","麻痺させる"],
+8954:["x"],
+8955:["n","a divine spirit inhabiting a place or object","神霊"],
+8956:["x"],
+8957:["n","Roman coins (plural of nummus)","ヌンムス硬貨（複数）"],
+8958:["n","a blockhead (obsolete)","まぬけ（廃語）"],
+8959:["x"],
+8960:["x"],
+8961:["n","a light meal; a snack (dialect)","軽食（方言）"],
+8962:["x"],
+8963:["n","an uncle (informal)","おじさん（略式）"],
+8964:["x"],
+8965:["x"],
+8966:["x"],
+8967:["v","knurls; cuts ridges on the edge of (third person of nurl)","ぎざぎざを付ける"],
+8968:["x"],
+8969:["x"],
+8970:["n","a person who cares for sick people","看護師","The nurse took my temperature."],
+8971:["x"],
+8972:["adj","crazy (slang)","いかれた（俗）"],
+8973:["adj","tasting of nuts; crazy (informal)","木の実の風味の、いかれた（略式）"],
+8974:["n","a southern African antelope with spiral horns","ニアラ（アンテロープ）"],
+8975:["n","a strong man-made material","ナイロン","A nylon bag."],
+8976:["x"],
+8977:["n","a nature spirit in the form of a young woman; an insect larva","ニンフ、若虫"],
+8978:["x"],
+8979:["x"],
+8980:["x"],
+8981:["adj","made of oak","オーク製の"],
+8982:["n","loose fibre from old ropes, used to caulk ships","槙皮（まいはだ）"],
+8983:["adj","having oars","櫂のある"],
+8984:["x"],
+8985:["x"],
+8986:["n","fertile spots in a desert (plural of oasis)","オアシス（複数）"],
+8987:["n","a place in a desert with water and plants","オアシス","The camels rested at the oasis."],
+8988:["n","kilns for drying hops (plural of oast)","ホップ乾燥窯（複数）"],
+8989:["adj","made of oats or oat straw","オート麦の"],
+8990:["n","a western film (informal)","西部劇（略式）"],
+8991:["n","solemn promises; swear words (plural of oath)","誓い、悪態（複数）"],
+8992:["x"],
+8993:["n","a form of Caribbean sorcery","オビア（カリブの呪術）"],
+8994:["n","marks used in ancient texts; daggers (plural of obelus)","疑句標、短剣符（複数）"],
+8995:["adj","very overweight","肥満の"],
+8996:["v","does what is ordered (third person of obey)","従う"],
+8997:["n","forms of Caribbean sorcery (plural of obia)","オビア（複数）"],
+8998:["v","he or she died (Latin, used on tombstones)","死去（ラテン語、墓碑銘）"],
+8999:["n","obituaries (plural of obit)","死亡記事（複数）"],
+9000:["n","an object, as in objet d'art (French)","物品（フランス語）"],
+9001:["x"],
+9002:["n","a small flat cake or wafer used in the Eucharist (obsolete)","聖餅（廃語）"],
+9003:["x"],
+9004:["n","double-reed woodwind instruments (plural of oboe)","オーボエ（複数）"],
+9005:["n","a small weight of about ten or twelve grains","オボル（小さな重量単位）"],
+9006:["n","ancient Greek coins (plural of obolus)","オボロス硬貨（複数）"],
+9007:["n","ancient Greek coins (plural of obol)","オボロス硬貨（複数）"],
+9008:["x"],
+9009:["v","to happen","起こる","When did the accident occur?"],
+9010:["n","a very large sea","海洋","The Pacific Ocean is huge."],
+9011:["n","an earthy yellow or red pigment (ochre)","黄土、オーカー"],
+9012:["n","a yellowish-brown earth color","黄土色","The walls were painted ochre."],
+9013:["n","okra (dialect)","オクラ（方言）"],
+9014:["adj","like or containing ochre","黄土色の"],
+9015:["n","a boorish Australian (informal)","粗野なオーストラリア人（略式）"],
+9016:["n","a Mexican pine with resinous wood","オコテマツ"],
+9017:["x"],
+9018:["n","a sheath formed around a plant stem by joined stipules","葉鞘（托葉鞘）"],
+9019:["n","a group of eight","八つ組"],
+9020:["adj","using a number system with base eight","八進法の"],
+9021:["adj","recurring every eighth day, of a fever","八日ごとの（熱）"],
+9022:["n","a group of eight musicians; a group of eight electrons","八重奏、オクテット"],
+9023:["adj","of the eighth degree (mathematics)","八次の（数学）"],
+9024:["n","a radical derived from octane","オクチル基"],
+9025:["x"],
+9026:["n","eyes; round windows (plural of oculus)","眼、丸窓（複数）"],
+9027:["x"],
+9028:["adj","stranger (comparative of odd)","より奇妙な"],
+9029:["adv","strangely","奇妙に","Oddly, no one came."],
+9030:["x"],
+9031:["n","a small roofed theatre for music in ancient Greece","オデオン（音楽堂）"],
+9032:["n","a small roofed theatre for music in ancient Greece","オデウム（音楽堂）"],
+9033:["n","a writer of odes","頌詩作者"],
+9034:["n","general hatred or disgrace","憎悪、汚名"],
+9035:["x"],
+9036:["n","smells (plural of odor)","におい（複数）"],
+9037:["n","odor (British spelling): a smell","におい","A strange odour."],
+9038:["n","a supposed natural force once believed to explain mesmerism","オド力（仮説上の力）"],
+9039:["n","supposed natural forces once believed to explain mesmerism (plural of odyl)","オド力（複数）"],
+9040:["x"],
+9041:["n","an eye or bud of a plant (obsolete)","芽（廃語）"],
+9042:["n","a pigment found in red grape skins","エニン（色素）"],
+9043:["n","white people (offensive slang, plural of ofay)","白人（侮蔑的な俗語、複数）"],
+9044:["n","the edible internal organs of an animal","臓物"],
+9045:["v","killed (slang, past of off)","殺した（俗）"],
+9046:["v","to say you will give or do something","申し出る","She offered me tea."],
+9047:["x"],
+9048:["adv","many times","よく、しばしば","I often go there."],
+9049:["adv","more often (obsolete, comparative of oft)","より頻繁に（廃語）"],
+9050:["x"],
+9051:["n","inscriptions in the ancient Irish alphabet (plural of ogam)","オガム文字（複数）"],
+9052:["adj","having an S-shaped moulding","S字繰形のある"],
+9053:["n","S-shaped mouldings (plural of ogee)","S字繰形（複数）"],
+9054:["n","an ancient Irish alphabet of strokes","オガム文字"],
+9055:["n","a pointed arch; a diagonal rib of a vault","尖頭アーチ、対角リブ"],
+9056:["v","stared at lustfully (past of ogle)","色目を使った"],
+9057:["n","a person who ogles","色目を使う人"],
+9058:["v","stares at lustfully (third person of ogle)","色目を使う"],
+9059:["adj","relating to ogham writing","オガム文字の"],
+9060:["n","cruel giants in folklore (plural of ogre)","人食い鬼（複数）"],
+9061:["x"],
+9062:["n","a Hawaiian shrub with edible red berries","オヘロ"],
+9063:["n","Hawaiian trees with red flowers (plural of ohia)","オヒア（複数）"],
+9064:["v","exclaiming oh (present participle of oh)","「おお」と言っている"],
+9065:["adj","relating to or measured in ohms","オームの"],
+9066:["interj","an Irish or Scottish cry of grief","ああ悲しい（アイルランド、スコットランド）"],
+9067:["x"],
+9068:["n","thin-walled fungal spores (plural of oidium)","分節胞子（複数）"],
+9069:["adj","treated with oil; drunk (slang)","油を塗った、酔った（俗）"],
+9070:["n","a worker who oils machines; an oil tanker","注油係、油槽船"],
+9071:["v","grunts like a pig (third person of oink)","ブーブー鳴く"],
+9072:["n","a legendary Irish poet-warrior (Ossian)","オシーン（アイルランド伝説）"],
+9073:["n","an African animal related to the giraffe with striped legs","オカピ","The okapi lives in the rainforest."],
+9074:["v","approves (third person of okay)","承認する"],
+9075:["n","approvals (plural of okeh)","承認（複数）"],
+9076:["n","edible green seed pods (plural of okra)","オクラ（複数）"],
+9077:["n","an administrative district in Russia","オクルグ（ロシアの管区）"],
+9078:["adj","of a former age","昔の"],
+9079:["adj","having lived longer","年上の、より古い","My brother is older than me."],
+9080:["n","an old song or film (informal)","懐メロ（略式）"],
+9081:["adj","relating to an acid found in oils","オレイン酸の"],
+9082:["n","a glyceride of oleic acid found in fats","オレイン"],
+9083:["x"],
+9084:["adj","having a scent","香りのよい"],
+9085:["n","margarines (plural of oleo)","マーガリン（複数）"],
+9086:["x"],
+9087:["n","fuming sulphuric acid","発煙硫酸"],
+9088:["n","mixtures; stews of mixed meats (plural of olio)","ごたまぜ、煮込み（複数）"],
+9089:["n","a genus of marine snails with polished shells","マクラガイ属"],
+9090:["n","a small oily fruit; a dull green color","オリーブ","Olive oil is healthy."],
+9091:["n","earthenware pots (plural of olla)","土鍋（複数）"],
+9092:["n","a learned man in ancient Ireland","オラヴ（古代アイルランドの学者）"],
+9093:["n","a branch of knowledge (humorous)","学問（おどけて）"],
+9094:["x"],
+9095:["n","ancient Greek jugs (plural of olpe)","オルペ（複数）"],
+9096:["n","ancient Greek jugs (plural of olpe)","オルペ（複数）"],
+9097:["n","a city in Nebraska, USA","オマハ","Omaha is on the Missouri River."],
+9098:["n","third stomachs of ruminants (plural of omasum)","第三胃（複数）"],
+9099:["n","an old card game for three players (ombre)","オンブル（トランプ）"],
+9100:["n","an old card game for three players; a colour shading from light to dark","オンブル（トランプ）、グラデーション"],
+9101:["n","the last letter of the Greek alphabet (ω)","オメガ","Alpha and omega."],
+9102:["n","signs of future events (plural of omen)","前兆（複数）"],
+9103:["n","Hebrew dry measures (plural of omer)","オメル（複数）"],
+9104:["x"],
+9105:["v","leaves out (third person of omit)","省く"],
+9106:["n","a body of native officials in an Indian court","オムラ（インドの法廷職員団）"],
+9107:["n","all the characters, as a stage direction (Latin)","全員（ト書き、ラテン語）"],
+9108:["n","a lord of the court of the Mughal empire","ムガル宮廷の貴族"],
+9109:["n","something that happens only once (informal)","一度きりのこと（略式）"],
+9110:["x"],
+9111:["adv","once (dialect)","一度（方言）"],
+9112:["x"],
+9113:["x"],
+9114:["adj","ornery; bad-tempered (dialect)","意地の悪い（方言）"],
+9115:["n","a round vegetable with a strong smell","玉ねぎ","Chopping onions makes me cry."],
+9116:["n","a class of cation, as in onium ion","オニウム"],
+9117:["x"],
+9118:["n","a high headdress worn by actors in Greek tragedy","オンコス（悲劇俳優の髪飾り）"],
+9119:["n","an overlap of sedimentary strata extending beyond older ones","オンラップ（地層）"],
+9120:["n","a dental restoration covering a tooth's cusps; an overlay","アンレー（歯科）"],
+9121:["n","the beginning of something bad","始まり、発症","The onset of winter."],
+9122:["x"],
+9123:["adj","relating to real existence (philosophy)","存在的な（哲学）"],
+9124:["x"],
+9125:["n","a hairy caterpillar (dialect)","毛虫（方言）"],
+9126:["v","exclaimed in admiration (past of ooh)","感嘆の声を上げた"],
+9127:["x"],
+9128:["x"],
+9129:["n","energy; sex appeal (informal)","活力、色気（略式）"],
+9130:["n","a kind of black tea","ウーパック（紅茶の一種）"],
+9131:["x"],
+9132:["adj","dreary; shivering (Scottish)","陰気な、震える（スコットランド）"],
+9133:["n","a mature egg cell before fusion of nuclei with the sperm","卵細胞（オーティッド）"],
+9134:["v","seeped out slowly (past of ooze)","にじみ出た"],
+9135:["v","seeps out slowly (third person of ooze)","にじみ出る"],
+9136:["x"],
+9137:["n","large colourful deep-sea fish (plural of opah)","アカマンボウ（複数）"],
+9138:["n","iridescent gemstones (plural of opal)","オパール（複数）"],
+9139:["n","a Hawaiian mackerel scad","オペル（アジ科の魚）"],
+9140:["v","makes or becomes open (third person of open)","開く"],
+9141:["n","a play in which the words are sung","オペラ","We went to the opera."],
+9142:["x"],
+9143:["n","a land in the Bible famous for its gold","オフィル（聖書の地名）"],
+9144:["v","to state an opinion","意見を述べる"],
+9145:["v","opening (archaic, present participle of ope)","開いている（古語）"],
+9146:["n","a strong drug made from poppies","アヘン","The Opium War."],
+9147:["n","a protein that forms visual pigments in the retina","オプシン"],
+9148:["v","chose (past of opt)","選んだ"],
+9149:["adj","of the eye or sight","目の、光学の","The optic nerve."],
+9150:["n","a plant of the goosefoot family grown as a vegetable","ハマアカザ（オラーチ）"],
+9151:["n","the ability to express oneself in speech","話す力"],
+9152:["x"],
+9153:["interj","an exclamation of approval or greeting (Mexican Spanish slang)","いいぞ、よう（メキシコスペイン語の俗語）"],
+9154:["n","spoken examinations (plural of oral)","口述試験（複数）"],
+9155:["n","an orangutan","オランウータン"],
+9156:["n","a figure in early Christian art shown praying with raised arms","オランス（祈る人物像）"],
+9157:["n","a praying figure in early Christian art (orans)","祈る人物像"],
+9158:["n","a stole worn by a deacon in the Eastern Church","オラリ（輔祭の帯）"],
+9159:["v","to speak pompously","大げさに演説する"],
+9160:["adj","round; shaped like an orb","球形の"],
+9161:["adj","round; spherical (rare)","球形の（まれ）"],
+9162:["n","the path of an object around a planet or star","軌道","The moon's orbit."],
+9163:["n","killer whales (plural of orca)","シャチ（複数）"],
+9164:["n","a compound obtained from lichens, used in dyes","オルシン"],
+9165:["n","a request for goods; the way things are arranged","注文、順序","Put the cards in order."],
+9166:["x"],
+9167:["n","a mountain nymph in Greek myth","オレアス（山の精）"],
+9168:["n","argol, crude tartar (obsolete)","粗酒石（廃語）"],
+9169:["n","a part of the body; a large keyboard instrument","器官、オルガン","The heart is an organ."],
+9170:["x"],
+9171:["x"],
+9172:["n","a row of heavy timbers hung over a gateway as a portcullis","落とし格子の角材"],
+9173:["n","a small African antelope","オリビ（アンテロープ）"],
+9174:["n","a projecting bay window on an upper floor","出窓"],
+9175:["n","a giant hunter in Greek myth; a bright constellation","オリオン、オリオン座"],
+9176:["n","a member of a people of Odisha in India; their language","オリヤー人、オリヤー語"],
+9177:["x"],
+9178:["n","borders within the edge of a shield (heraldry, plural of orle)","オール（紋章、複数）"],
+9179:["x"],
+9180:["n","an acrylic fibre (trademark)","オーロン（アクリル繊維）"],
+9181:["n","the lowest deck of a ship","最下甲板"],
+9182:["n","Spanish wind instruments (plural of orlo)","オルロ（スペインの管楽器、複数）"],
+9183:["n","an abalone of the Channel Islands","アワビ"],
+9184:["x"],
+9185:["n","the birds of a region; an avifauna","鳥類相"],
+9186:["n","a yellow pigment; the orpine plant","石黄、ムラサキベンケイソウ"],
+9187:["x"],
+9188:["n","an iris whose root is used in perfume","ニオイイリス"],
+9189:["x"],
+9190:["x"],
+9191:["n","the original plant from which a clone is derived","オルテット（原株）"],
+9192:["adj","relating to the ortho position in a benzene ring (chemistry)","オルト位の（化学）"],
+9193:["n","the slowworm","アシナシトカゲ"],
+9194:["n","a member of a Native American people of Missouri","オセージ族"],
+9195:["n","a large city in Japan","大阪","Osaka is famous for food."],
+9196:["n","an ancient Italic people of Campania; their language","オスク人、オスク語"],
+9197:["n","a given name; an Academy Award","オスカー（人名・アカデミー賞）","She won an Oscar."],
+9198:["x"],
+9199:["x"],
+9200:["n","gum ammoniac","アンモニアゴム"],
+9201:["x"],
+9202:["x"],
+9203:["n","a willow with flexible shoots used in basketwork","コリヤナギ"],
+9204:["adj","relating to or containing osmium","オスミウムの"],
+9205:["x"],
+9206:["n","a unit of osmotic pressure (osmole)","オスモル"],
+9207:["x"],
+9208:["x"],
+9209:["x"],
+9210:["x"],
+9211:["conj","or else, marking an alternative passage (music)","あるいは（音楽）"],
+9212:["n","small openings (plural of ostium)","小孔（複数）"],
+9213:["n","an eared seal","アシカ"],
+9214:["x"],
+9215:["adj","different; the remaining","他の","Use the other door."],
+9216:["n","leisure; ease (Latin)","閑暇（ラテン語）"],
+9217:["x"],
+9218:["n","a fragrant oil from roses (attar)","バラ油"],
+9219:["n","a playful water animal with brown fur","カワウソ","The otter floated on its back."],
+9220:["n","fragrant oils from roses (plural of otto)","バラ油（複数）"],
+9221:["x"],
+9222:["v","should","〜すべきである","You ought to rest."],
+9223:["n","a board with letters used at seances (trademark)","ウィジャボード"],
+9224:["x"],
+9225:["x"],
+9226:["n","a unit of weight (about 28 g)","オンス","An ounce of gold."],
+9227:["x"],
+9228:["adj","wavy (obsolete)","波打った（廃語）"],
+9229:["n","an elf or goblin (obsolete)","小妖精（廃語）"],
+9230:["n","elves or goblins (obsolete, plural of ouph)","小妖精（廃語、複数）"],
+9231:["adj","dreary; shivering (Scottish, oorie)","陰気な（スコットランド）"],
+9232:["n","a blackbird or related thrush","クロウタドリ"],
+9233:["n","essence or substance (theology)","本質（神学）"],
+9234:["v","drives out (third person of oust)","追い出す"],
+9235:["x"],
+9236:["adv","outside; a little way off (Scottish)","外に（スコットランド）"],
+9237:["v","to do better than","しのぐ"],
+9238:["v","revealed someone's secret identity (past of out)","暴露した"],
+9239:["v","to put out, as a light (dialect)","消す（方言）"],
+9240:["adj","on the outside","外側の","Remove the outer skin."],
+9241:["n","money paid out; expenditure","支出"],
+9242:["x"],
+9243:["adj","unusual and startling","風変わりな"],
+9244:["x"],
+9245:["n","a blackbird or related thrush","クロウタドリ"],
+9246:["n","Greek anise-flavoured liquors (plural of ouzo)","ウーゾ（複数）"],
+9247:["n","egg-shaped figures (plural of oval)","楕円（複数）"],
+9248:["adj","exultant (obsolete)","勝ち誇った（廃語）"],
+9249:["n","the organ that produces eggs","卵巣","The ovary produces eggs."],
+9250:["adj","egg-shaped","卵形の","Ovate leaves."],
+9251:["n","enclosed compartments for cooking (plural of oven)","オーブン（複数）"],
+9252:["n","sets of six balls in cricket (plural of over)","オーバー（クリケット、複数）"],
+9253:["adj","done openly","公然の","Overt hostility."],
+9254:["x"],
+9255:["adj","relating to sheep (ovine)","羊の"],
+9256:["adj","relating to sheep","羊の"],
+9257:["n","the old theory that the egg contains the whole future organism","卵原説"],
+9258:["n","a believer in ovism","卵原論者"],
+9259:["adj","egg-shaped","卵形の"],
+9260:["n","convex mouldings (plural of ovolo)","まんじゅう繰形（複数）"],
+9261:["n","a rounded convex moulding","まんじゅう繰形"],
+9262:["n","the part of a plant ovary that becomes a seed","胚珠"],
+9263:["x"],
+9264:["adj","still to be paid","未払いの","There is fifty dollars owing."],
+9265:["n","a smuggler (obsolete)","密輸業者（廃語）"],
+9266:["n","a young or small owl","子フクロウ"],
+9267:["v","had as property (past of own)","所有していた","He owned three cars."],
+9268:["n","a person who owns something","持ち主","Who is the owner of this bag?"],
+9269:["n","oxen (Scottish)","牛（スコットランド）"],
+9270:["n","tanner's ooze (obsolete)","なめし液（廃語）"],
+9271:["x"],
+9272:["n","a U-shaped bend in a river; a yoke collar for an ox","河跡湖、牛のくびき"],
+9273:["x"],
+9274:["n","a daisy-like plant with a large flower head","フランスギク"],
+9275:["n","a gadfly that attacks cattle","ウシバエ"],
+9276:["n","a compound of oxygen and another element","酸化物","Rust is iron oxide."],
+9277:["n","oxides (obsolete spelling, plural of oxid)","酸化物（古い綴り、複数）"],
+9278:["n","a compound formed from hydroxylamine and an aldehyde or ketone","オキシム"],
+9279:["n","oximes (plural of oxim)","オキシム（複数）"],
+9280:["n","a primula with pale yellow flowers","オクスリップ（サクラソウ）"],
+9281:["x"],
+9282:["n","the armpit (Scottish and northern English)","脇の下（スコットランド、北イングランド）"],
+9283:["n","hearings or inspections of documents in court (plural of oyer)","証書の開示（複数）"],
+9284:["n","an eyelet","鳩目"],
+9285:["n","a chronic nasal disease with a foul-smelling discharge","臭鼻症"],
+9286:["n","a form of oxygen; the layer that protects Earth","オゾン","The ozone layer."],
+9287:["x"],
+9288:["x"],
+9289:["n","large South American rodents (plural of paca)","パカ（複数）"],
+9290:["n","a South American tree with edible pods (Inga feuilleei)","パカイ"],
+9291:["v","walked back and forth (past of pace)","行ったり来たりした","He paced the room."],
+9292:["n","a horse that paces; a runner who sets the pace","側対歩の馬、ペースメーカー"],
+9293:["n","steps; rates of movement (plural of pace)","歩み、速度（複数）"],
+9294:["n","a pasha","パシャ"],
+9295:["v","fills a bag or container (third person of pack)","荷造りする"],
+9296:["n","an alpaca; an earthy silver ore","アルパカ、パコス（銀鉱）"],
+9297:["n","agreements (Latin, plural of pactum)","協定（ラテン語、複数）"],
+9298:["n","formal agreements (plural of pact)","協定（複数）"],
+9299:["n","a flooded field for growing rice","水田","A rice paddy."],
+9300:["n","the barn owl (dialect)","メンフクロウ（方言）"],
+9301:["x"],
+9302:["x"],
+9303:["n","a chaplain; a priest","従軍牧師、神父"],
+9304:["n","priests (plural of padre)","神父（複数）"],
+9305:["n","a song of praise or triumph","賛歌"],
+9306:["n","a metrical foot of one long and three short syllables","パイオン（詩脚）"],
+9307:["adj","of religions other than the main world religions","異教の","A pagan festival."],
+9308:["v","called over a pager or loudspeaker (past of page)","呼び出した"],
+9309:["n","a small device that beeps to signal a message","ポケットベル"],
+9310:["n","sides of sheets in a book (plural of page)","ページ（複数）"],
+9311:["x"],
+9312:["n","a pagoda; an idol (obsolete)","仏塔、偶像（廃語）"],
+9313:["n","a rural district in ancient Rome","パグス（古代ローマの村落区）"],
+9314:["x"],
+9315:["x"],
+9316:["x"],
+9317:["n","buckets (plural of pail)","手桶（複数）"],
+9318:["n","a family name (as in Thomas Paine)","ペイン（姓）","Thomas Paine wrote Common Sense."],
+9319:["n","aches; great effort (plural of pain)","痛み、苦労","Growing pains."],
+9320:["n","a colored liquid for covering surfaces","ペンキ、絵の具","The paint is still wet."],
+9321:["n","sets of two (plural of pair)","一組（複数）"],
+9322:["n","a part (Scottish)","部分（スコットランド）"],
+9323:["n","a monetary unit of India and Pakistan, a hundredth of a rupee","パイサ"],
+9324:["n","monetary units of India, hundredths of a rupee (plural of paisa)","パイサ（複数）"],
+9325:["x"],
+9326:["n","an Indian tree with bright orange flowers","ハナモツヤクノキ"],
+9327:["x"],
+9328:["x"],
+9329:["n","an inner bract of a grass flower","内花穎"],
+9330:["v","became pale (past of pale)","青ざめた"],
+9331:["adj","more pale (comparative of pale)","より青白い","She looked paler."],
+9332:["v","becomes pale (third person of pale)","青ざめる"],
+9333:["n","a narrow vertical band on a shield (heraldry)","細縦帯（紋章）"],
+9334:["x"],
+9335:["x"],
+9336:["n","a palanquin","かご"],
+9337:["n","a rectangular mantle worn by Roman women","パッラ（ローマ女性の外衣）"],
+9338:["x"],
+9339:["v","becomes less interesting (third person of pall)","飽きがくる"],
+9340:["adj","friendly (informal)","仲のよい（略式）"],
+9341:["x"],
+9342:["x"],
+9343:["n","inner surfaces of hands; palm trees (plural of palm)","手のひら、ヤシ（複数）"],
+9344:["adj","flourishing; having many palms","繁栄した、ヤシの多い"],
+9345:["n","feelers of insects (plural of palpus)","触鬚（複数）"],
+9346:["n","feelers of insects (plural of palp)","触鬚（複数）"],
+9347:["n","paralysis, often with shaking","麻痺","Cerebral palsy."],
+9348:["n","an avocado (South American Spanish)","アボカド（南米スペイン語）"],
+9349:["n","an upright process in a coral skeleton","パリ（サンゴの突起）"],
+9350:["x"],
+9351:["n","a vast treeless plain of South America","パンパ（大草原）"],
+9352:["n","the ginseng genus of plants","トチバニンジン属"],
+9353:["n","a black and white bear from China","パンダ","The panda ate bamboo."],
+9354:["v","to strike on the palm as punishment (Scottish)","手のひらを打つ（スコットランド）"],
+9355:["adj","having panes; made of strips of cloth","ガラス板のはまった、切り替えのある"],
+9356:["n","a flat piece of a surface; a group of experts","パネル、委員団","A panel of judges chose the winner."],
+9357:["n","sheets of glass in windows (plural of pane)","窓ガラス（複数）"],
+9358:["n","a large broad-bladed knife used in Africa","パンガ（大型の刃物）"],
+9359:["x"],
+9360:["n","sudden sharp pains (plural of pang)","激痛、心の痛み（複数）"],
+9361:["n","sudden strong fear","パニック","Don't panic."],
+9362:["n","a velvet-like fabric with a flattened pile","パンベルベット"],
+9363:["x"],
+9364:["n","a garden plant with brightly coloured flowers","パンジー"],
+9365:["n","a pantomime (British informal)","パントマイム劇（英略式）"],
+9366:["n","trousers; underpants","ズボン、下着","Put on your pants."],
+9367:["adj","relating to women's underpants, as in panty hose","パンティーの"],
+9368:["x"],
+9369:["n","an old Italian silver coin","パオロ銀貨"],
+9370:["adj","of the pope","ローマ教皇の","A papal visit."],
+9371:["n","fathers (plural of papa)","パパ（複数）"],
+9372:["n","a North American tree with edible fruit; a papaya","ポポー、パパイヤ"],
+9373:["n","thin material for writing; a newspaper","紙、新聞","Write it on paper."],
+9374:["x"],
+9375:["n","tufts of hairs on seeds (plural of pappus)","冠毛（複数）"],
+9376:["adj","soft like pap","どろどろの"],
+9377:["n","a region of New Guinea","パプア","Papua New Guinea."],
+9378:["x"],
+9379:["x"],
+9380:["n","dicyandiamide","パラム（ジシアンジアミド）"],
+9381:["n","a small Philippine sailing boat","パラオ（フィリピンの帆船）"],
+9382:["n","paratroopers; paragraphs (informal, plural of para)","落下傘兵、段落（略式、複数）"],
+9383:["v","to dry out with heat","干からびさせる"],
+9384:["interj","certainly; truly (obsolete oath)","まことに（廃語）"],
+9385:["interj","certainly; truly (obsolete oath)","まことに（廃語）"],
+9386:["n","an old money of account in Goa","パルド（ゴアの旧計算貨幣）"],
+9387:["n","leopards (archaic, plural of pard)","ヒョウ（古語、複数）"],
+9388:["interj","certainly; truly (obsolete oath)","まことに（廃語）"],
+9389:["v","trimmed the outer edge of (past of pare)","削った"],
+9390:["n","apparel (obsolete)","衣服（廃語）"],
+9391:["n","a parenthesis (informal)","丸括弧（略式）"],
+9392:["n","a tool for paring","皮むき器"],
+9393:["v","trims the edge of (third person of pare)","削る"],
+9394:["n","a Polynesian wraparound skirt","パレオ"],
+9395:["v","to coat a wall with plaster","漆喰を塗る"],
+9396:["n","a red snapper or porgy","フエダイ、タイ"],
+9397:["n","the capital of France","パリ","Paris is famous for the Eiffel Tower."],
+9398:["n","a warm hooded jacket","パーカ"],
+9399:["n","public gardens (plural of park)","公園","The city has many parks."],
+9400:["adj","chilly (British informal)","肌寒い（英略式）"],
+9401:["v","to talk; to parley (obsolete)","談判する（廃語）"],
+9402:["x"],
+9403:["x"],
+9404:["n","a round shield of Roman soldiers","パルマ（ローマの丸盾）"],
+9405:["adj","spoken, not written (in law)","口頭の","A parol agreement."],
+9406:["n","young salmon (plural of parr)","サケの稚魚（複数）"],
+9407:["v","to turn aside a blow or question","受け流す","He parried the question."],
+9408:["v","to analyse a sentence or data into its parts","構文解析する"],
+9409:["n","a member of a Zoroastrian community in India","パールシー（ゾロアスター教徒）"],
+9410:["adj","from one side (in law: ex parte)","一方的な（ex parte）","An ex parte hearing."],
+9411:["n","a suitable person to marry; a basic design concept","結婚相手、パルティ（設計の基本構想）"],
+9412:["x"],
+9413:["n","pieces of a whole (plural of part)","部分、部品","The car needs new parts."],
+9414:["n","a social event; a political group","パーティー、政党","We had a birthday party."],
+9415:["n","a genus of tits","シジュウカラ属"],
+9416:["adj","containing neither meat nor dairy under Jewish dietary law","肉も乳も含まない（ユダヤ教の食規定）"],
+9417:["n","the gemsbok","ゲムズボック"],
+9418:["n","the Passover; Easter","過越の祭、復活祭"],
+9419:["n","a leisurely stroll; a promenade","散歩、遊歩道"],
+9420:["n","passes made with the cape in bullfighting (plural of pase)","パセ（闘牛、複数）"],
+9421:["n","a high-ranking Turkish official in history","パシャ（トルコの高官）","The pasha ruled Egypt."],
+9422:["n","the fine underfleece of Himalayan goats","パシュム（山羊の綿毛）"],
+9423:["x"],
+9424:["x"],
+9425:["adj","no longer fashionable","時代遅れの"],
+9426:["x"],
+9427:["adv","at an equal pace, as in pari passu (Latin)","同等に（ラテン語）"],
+9428:["n","Italian food made from flour and water, like spaghetti","パスタ","I cooked pasta for dinner."],
+9429:["n","a soft thick mixture","ペースト、のり","Tomato paste."],
+9430:["n","histories (plural of past)","過去（複数）"],
+9431:["n","a pastry with a savoury filling","パイ包み（パスティ）"],
+9432:["x"],
+9433:["x"],
+9434:["n","a reddish long-tailed West African monkey","パタスモンキー"],
+9435:["n","a small piece used to cover a hole","つぎはぎ、区画","A patch on his jeans."],
+9436:["adj","having a pate, as in shallow-pated","頭の～な"],
+9437:["adj","having arms widening toward the ends, of a cross (heraldry)","末広の（十字架、紋章）"],
+9438:["x"],
+9439:["n","a plate for the bread at the Eucharist","聖体皿"],
+9440:["n","a father (British informal)","父（英略式）"],
+9441:["n","heads; crowns of heads (plural of pate)","頭（複数）"],
+9442:["n","narrow ways for walking (plural of path)","小道","Paths lead into the forest."],
+9443:["x"],
+9444:["x"],
+9445:["n","a plate (obsolete, paten)","皿（廃語）"],
+9446:["n","a paved area outside a house","中庭、テラス","We ate dinner on the patio."],
+9447:["adv","in a pat or glib manner","ぴったりと、すらすらと"],
+9448:["n","a person easily cheated or blamed","だまされやすい人、身代わり"],
+9449:["x"],
+9450:["adj","having arms widening toward the ends, of a cross (heraldry)","末広の（十字架、紋章）"],
+9451:["x"],
+9452:["n","a small flat cake of minced food","パティ"],
+9453:["adj","shrewd; sly (Scottish, pawky)","抜け目のない（スコットランド）"],
+9454:["v","to stop for a short time","一時停止する","Pause the video."],
+9455:["n","a South American curassow","ホウカンチョウ"],
+9456:["n","a slow stately court dance","パヴァーヌ"],
+9457:["adj","covered with a hard surface","舗装された","A paved road."],
+9458:["n","a slow stately court dance (pavan)","パヴァーヌ"],
+9459:["n","a paving stone; a person who paves","敷石、舗装工"],
+9460:["v","covers with paving (third person of pave)","舗装する"],
+9461:["x"],
+9462:["adj","timid (rare)","臆病な（まれ）"],
+9463:["n","a slow stately court dance (pavan)","パヴァーヌ"],
+9464:["n","a large medieval shield covering the whole body","大盾"],
+9465:["x"],
+9466:["v","touched or scraped with a paw (past of paw)","前足でかいた"],
+9467:["n","a person who paws at others","べたべた触る人"],
+9468:["adj","dryly humorous; shrewd (Scottish)","とぼけた、抜け目のない（スコットランド）"],
+9469:["n","catches that engage a ratchet (plural of pawl)","爪、歯止め（複数）"],
+9470:["n","chess pieces; people used by others (plural of pawn)","ポーン、手先（複数）"],
+9471:["n","tablets kissed at Mass (plural of pax)","聖像牌（複数）"],
+9472:["v","let out, of a rope (past of pay)","繰り出した（綱）"],
+9473:["n","a person who receives a payment","受取人","Write the payee's name."],
+9474:["n","a pagan (obsolete)","異教徒（廃語）"],
+9475:["n","a person who pays","支払人"],
+9476:["n","a person who pays (payer)","支払人"],
+9477:["n","private telephone exchanges (plural of PBX)","構内交換機（複数）"],
+9478:["n","a time without war; calm","平和","We hope for peace."],
+9479:["n","a soft round fruit with fuzzy skin","桃","This peach is very sweet."],
+9480:["n","a toll (obsolete)","通行料（廃語）"],
+9481:["n","shell beads used as money (plural of peag)","貝玉（複数）"],
+9482:["n","mountain tops; highest points (plural of peak)","頂上、ピーク（複数）"],
+9483:["adj","pale and sickly (British informal)","青白い（英略式）"],
+9484:["n","loud ringing sounds (plural of peal)","鐘の音、とどろき（複数）"],
+9485:["n","songs of praise (plural of pean)","賛歌（複数）"],
+9486:["n","a smooth white gem formed inside an oyster","真珠","She wore a pearl necklace."],
+9487:["n","sweet juicy fruits (plural of pear)","洋ナシ（複数）"],
+9488:["adj","lively; cheerful (dialect)","元気な（方言）"],
+9489:["n","peas (archaic)","エンドウ（古語）"],
+9490:["adj","very easy, as in easy-peasy (British informal)","とても簡単な（英略式）"],
+9491:["n","pieces of peat (plural of peat)","泥炭（複数）"],
+9492:["adj","like or full of peat","泥炭の"],
+9493:["n","a lever with a spike used to move logs","ピービー（丸太用てこ）"],
+9494:["n","a sweet nut from a hickory tree","ペカン（ナッツ）","Pecan pie is a holiday treat."],
+9495:["v","pants; puffs (Scottish, third person of pech)","あえぐ（スコットランド）"],
+9496:["x"],
+9497:["v","strikes with the beak (third person of peck)","ついばむ"],
+9498:["adj","marked by fungus decay, of timber","腐朽した（木材）"],
+9499:["n","a part pressed by the foot","ペダル","Press the gas pedal."],
+9500:["x"],
+9501:["n","feet (Latin, plural of pes)","足（ラテン語、複数）"],
+9502:["n","a given name","ペドロ（人名）","Pedro is from Mexico."],
+9503:["n","a shepherd's crook in classical art","牧杖"],
+9504:["x"],
+9505:["v","looks quickly or secretly (third person of peek)","のぞく"],
+9506:["n","the grey rhebok, a South African antelope","リーボック（アンテロープ）"],
+9507:["v","removes the skin from (third person of peel)","皮をむく"],
+9508:["n","ends of hammer heads opposite the face (plural of peen)","ハンマーの頭の反対側（複数）"],
+9509:["x"],
+9510:["v","looks quickly; makes a high cry (third person of peep)","のぞく、ピーピー鳴く"],
+9511:["adj","sleepy (informal)","眠い（略式）"],
+9512:["n","equals; nobles (plural of peer)","同等の人、貴族（複数）"],
+9513:["adj","lively (dialect, peart)","元気な（方言）"],
+9514:["adj","inquisitive; suspicious (dialect)","詮索好きな（方言）"],
+9515:["n","a cause of annoyance","いらだちの種"],
+9516:["n","a given name","ペギー（人名）","Peggy owns a cafe."],
+9517:["x"],
+9518:["x"],
+9519:["n","ends of hammer heads (plural of pein)","ハンマーの頭の反対側（複数）"],
+9520:["n","a weight (obsolete)","重り（廃語）"],
+9521:["v","to weigh; to balance (obsolete)","量る（廃語）"],
+9522:["n","the fisher, a North American marten","フィッシャー（テン）"],
+9523:["n","Pekingese dogs (plural of peke)","ペキニーズ（複数）"],
+9524:["n","a civilian (military slang, from French)","民間人（軍隊の俗語）"],
+9525:["n","a high-quality black tea","ペコー（紅茶）"],
+9526:["x"],
+9527:["n","sums of ill-gotten money (plural of pelf)","不正な金（複数）"],
+9528:["adj","hairless (Spanish)","毛のない（スペイン語）"],
+9529:["n","a small crescent-shaped shield","ペルタ（小盾）"],
+9530:["n","animal skins with fur (plural of pelt)","毛皮（複数）"],
+9531:["adj","of punishment","刑罰の","The penal code."],
+9532:["n","British pennies (plural of penny)","ペンス","Fifty pence."],
+9533:["x"],
+9534:["x"],
+9535:["v","hangs; awaits settlement (third person of pend)","未決のままである"],
+9536:["n","penises (plural of penis)","陰茎（複数）"],
+9537:["n","the former currency of Hungary","ペンゲー"],
+9538:["n","the male sex organ","陰茎","The penis is part of the body."],
+9539:["n","a contour feather","正羽"],
+9540:["n","a former Finnish coin, a hundredth of a markka","ペンニ"],
+9541:["n","a small coin; one cent","ペニー、1 セント","A penny for your thoughts."],
+9542:["x"],
+9543:["x"],
+9544:["x"],
+9545:["x"],
+9546:["n","labourers; menial workers (plural of peon)","日雇い労働者（複数）"],
+9547:["n","a plant with large showy flowers","ボタン、シャクヤク"],
+9548:["n","short flounces on jackets (plural of peplum)","ペプラム（複数）"],
+9549:["n","fleshy fruits with hard rinds (plural of pepo)","ウリ状果（複数）"],
+9550:["adj","lively and energetic (informal)","元気いっぱいの（略式）"],
+9551:["n","a brand of cola (trademark)","ペプシ"],
+9552:["n","a piranha","ピラニア"],
+9553:["x"],
+9554:["n","the genus of freshwater perches","パーチ属"],
+9555:["n","a freshwater fish; a branch where a bird rests","パーチ（淡水魚）、止まり木","The bird sat on its perch."],
+9556:["adj","hidden; concealed","隠れた"],
+9557:["interj","certainly; truly (obsolete oath)","まことに（廃語）"],
+9558:["x"],
+9559:["n","serious danger","危険","In peril."],
+9560:["n","fairies of Persian myth (plural of peri)","ペリ（ペルシャの妖精、複数）"],
+9561:["x"],
+9562:["n","extra benefits of a job (plural of perk)","役得（複数）"],
+9563:["adj","cheerful and lively","元気な"],
+9564:["x"],
+9565:["n","permanent waves (plural of perm)","パーマ（複数）"],
+9566:["n","a drink made from pears; a family name","洋梨酒","A glass of perry."],
+9567:["adj","dark greyish blue","暗い青灰色の"],
+9568:["adj","pretty (dialect)","かわいい（方言）"],
+9569:["adj","annoying (informal)","厄介な（略式）"],
+9570:["n","currency units of several Latin American countries (plural of peso)","ペソ（複数）"],
+9571:["x"],
+9572:["n","harmful insects or annoying people (plural of pest)","害虫、厄介者（複数）"],
+9573:["n","one of the colored parts of a flower","花びら","A rose petal fell."],
+9574:["n","a given name","ピーター（人名）","Peter is my best friend."],
+9575:["adj","small (in legal phrases)","小さい（法律用語）","Petit larceny."],
+9576:["x"],
+9577:["n","saltpetre","硝石"],
+9578:["adj","relating to a shallow lab dish, as in petri dish","ペトリ皿の"],
+9579:["x"],
+9580:["x"],
+9581:["n","the breast, as in in petto (secretly)","胸（秘密に）"],
+9582:["adj","small and unimportant; mean","ささいな、けちな","Petty crime."],
+9583:["x"],
+9584:["x"],
+9585:["n","a small North American flycatcher","モリタイランチョウ"],
+9586:["n","the lapwing; a black-headed gull","タゲリ、ユリカモメ"],
+9587:["x"],
+9588:["x"],
+9589:["x"],
+9590:["x"],
+9591:["n","a virus that infects bacteria","ファージ"],
+9592:["n","a temple (obsolete, fane)","神殿（廃語）"],
+9593:["x"],
+9594:["n","a lighthouse (obsolete)","灯台（廃語）"],
+9595:["n","a pharmacy (informal)","薬局（略式）"],
+9596:["n","a lighthouse (obsolete); the card game faro","灯台（廃語）、ファロ（トランプ）"],
+9597:["n","a stage in a process","段階","The project is in its final phase."],
+9598:["n","an apparition; a phantom (rare)","幻影（まれ）"],
+9599:["x"],
+9600:["n","benzene (obsolete)","ベンゼン（廃語）"],
+9601:["n","a barbed arrowhead as a heraldic charge","矢じり（紋章）"],
+9602:["n","a small glass bottle","小瓶"],
+9603:["x"],
+9604:["n","a garden plant with clusters of colourful flowers","フロックス"],
+9605:["x"],
+9606:["n","the genus of harbour seals","ゴマフアザラシ属"],
+9607:["n","a telephone","電話","Answer the phone."],
+9608:["adj","relating to a type of audio connector, as in phono plug","フォノの（端子）"],
+9609:["n","units of perceived loudness (plural of phon)","ホン（複数）"],
+9610:["adj","fake; not genuine","偽の"],
+9611:["x"],
+9612:["x"],
+9613:["n","a photograph","写真","Take a photo of us."],
+9614:["n","units of illumination (plural of phot)","フォト（照度単位、複数）"],
+9615:["x"],
+9616:["x"],
+9617:["n","major divisions of living things (plural of phylum)","門（生物分類、複数）"],
+9618:["n","a tribe of ancient Athens","フュレー（古代アテネの部族）"],
+9619:["n","a tubercle on the skin","結節"],
+9620:["n","a genus of freshwater snails with left-coiled shells","サカマキガイ属"],
+9621:["x"],
+9622:["x"],
+9623:["n","a large keyboard instrument","ピアノ","She plays the piano."],
+9624:["n","yaws, a tropical skin disease","フランベジア"],
+9625:["n","a pilot balloon used to measure winds","測風気球"],
+9626:["x"],
+9627:["n","typographic units of one sixth of an inch (plural of pica)","パイカ（複数）"],
+9628:["n","the genus of spruces","トウヒ属"],
+9629:["n","a South American shrub used in medicine","ピチ（低木）"],
+9630:["v","chooses (third person of pick)","選ぶ"],
+9631:["adj","hard to please; fussy","好みのうるさい"],
+9632:["n","a small loop of thread forming an edging","ピコ（縁飾りの小輪）"],
+9633:["n","a purgative powder of aloes and canella","ピクラ（下剤）"],
+9634:["x"],
+9635:["n","an Asian unit of weight, about 60 kilograms","担（ピクル）"],
+9636:["n","a Chinese preserved egg","皮蛋"],
+9637:["n","a part of something","一片、部分","Have a piece of cake."],
+9638:["n","the peen of a hammer; a salient angle","ハンマーの頭の反対側、出隅"],
+9639:["n","structures built out into water (plural of pier)","桟橋（複数）"],
+9640:["x"],
+9641:["x"],
+9642:["n","a picture or sculpture of Mary holding the dead Christ","ピエタ"],
+9643:["n","deep religious devotion","敬虔","Acts of piety."],
+9644:["adj","piezoelectric","圧電の"],
+9645:["n","a little pig (child's word)","子豚（幼児語）"],
+9646:["adj","pitched; fixed (obsolete)","据えられた（廃語）"],
+9647:["x"],
+9648:["n","a very small person or thing (pygmy)","小人、小型のもの"],
+9649:["x"],
+9650:["n","small rabbit-like mammals (plural of pika)","ナキウサギ（複数）"],
+9651:["adj","having a pike; pointed","尖った"],
+9652:["n","a pitchfork (dialect)","干し草用フォーク（方言）"],
+9653:["n","a mean or timid person (informal)","けちな人、意気地なし（略式）"],
+9654:["n","long spears; predatory freshwater fish (plural of pike)","槍、カワカマス（複数）"],
+9655:["n","a traveller or gypsy (British, offensive)","流浪民（英、侮蔑的）"],
+9656:["x"],
+9657:["n","rice cooked in broth with spices","ピラフ","Chicken pilaf is on the menu."],
+9658:["adj","relating to hair","毛の"],
+9659:["n","rice cooked in spiced stock (pilaf)","ピラフ"],
+9660:["n","rice cooked in spiced stock (pilaf)","ピラフ"],
+9661:["n","a fur-lined garment (obsolete)","毛皮の上着（廃語）"],
+9662:["n","a genus of tropical plants grown for their foliage","ピレア属"],
+9663:["v","put in a heap (past of pile)","積み重ねた","Books piled on the desk."],
+9664:["n","caps of mushrooms (plural of pileus)","菌傘（複数）"],
+9665:["n","a person who piles things","積み上げる人"],
+9666:["n","heaps (plural of pile)","山","Piles of paper."],
+9667:["n","a protein that forms bacterial pili","ピリン"],
+9668:["x"],
+9669:["n","tablets of medicine (plural of pill)","錠剤（複数）"],
+9670:["x"],
+9671:["n","a small gift to a customer; a cone of sugar","おまけ、棒砂糖"],
+9672:["n","a person who flies a plane","パイロット","The pilot landed safely."],
+9673:["n","a heavy javelin of Roman soldiers","ピルム（ローマの投げ槍）"],
+9674:["n","a hair-like filament on a bacterium","線毛"],
+9675:["adj","relating to the Pima people or their language","ピマ族の"],
+9676:["n","members of a Native American people of Arizona (plural of Pima)","ピマ族（複数）"],
+9677:["n","men who control prostitutes (plural of pimp)","ぽん引き（複数）"],
+9678:["x"],
+9679:["n","a tablet; a list inscribed on a tablet (rare)","書板、一覧（まれ）"],
+9680:["v","to squeeze between finger and thumb","つねる","Don't pinch me."],
+9681:["n","a peanut (Caribbean)","ピーナッツ（カリブ）"],
+9682:["x"],
+9683:["v","longed for; wasted away (past of pine)","思い焦がれた、やつれた"],
+9684:["x"],
+9685:["n","evergreen conifers (plural of pine)","マツ（複数）"],
+9686:["adj","smelling of or covered with pines","松の香りの、松の多い"],
+9687:["x"],
+9688:["n","a mound of earth-covered ice in the Arctic","ピンゴ（氷丘）"],
+9689:["v","makes a short high ringing sound (third person of ping)","ピンと鳴る"],
+9690:["adj","relating to or obtained from pines","松の"],
+9691:["n","a person with left-wing views (derogatory)","左翼かぶれ（軽蔑的）"],
+9692:["n","pale red colours; garden carnations (plural of pink)","ピンク、ナデシコ（複数）"],
+9693:["n","the little finger","小指"],
+9694:["n","the external ear; a leaflet of a compound leaf","耳介、羽片"],
+9695:["n","a pinafore (informal)","エプロン（略式）"],
+9696:["n","a low pine of western North America with edible seeds","ピニョンマツ"],
+9697:["n","a grape variety used for wine","ピノ（ブドウ品種）"],
+9698:["n","a skin disease of tropical America; a pint of milk (British)","ピンタ（皮膚病）、1パイントの牛乳（英）"],
+9699:["x"],
+9700:["n","a horse with patches of white and another colour","まだら馬"],
+9701:["n","units of liquid measure (plural of pint)","パイント（複数）"],
+9702:["n","a picture of an attractive person pinned on a wall","ピンナップ"],
+9703:["n","the genus of pines","マツ属"],
+9704:["x"],
+9705:["n","mesons involved in binding nuclei (plural of pion)","パイ中間子（複数）"],
+9706:["adj","deeply religious","信心深い","A pious woman."],
+9707:["n","the sacred fig tree of India","インドボダイジュ"],
+9708:["v","conveyed by pipe; played on a pipe (past of pipe)","管で送った、笛を吹いた"],
+9709:["n","a person who plays the bagpipes or a pipe","笛吹き","The Pied Piper."],
+9710:["n","tubes; wind instruments (plural of pipe)","管、笛（複数）"],
+9711:["n","a narrow tube for measuring liquids (pipette)","ピペット"],
+9712:["x"],
+9713:["n","a tongueless frog of the family Pipidae","ピパ科のカエル"],
+9714:["n","a small brown songbird of open country","タヒバリ"],
+9715:["x"],
+9716:["n","resentment from wounded pride; a ribbed cotton fabric","立腹、ピケ織"],
+9717:["n","bobbins of a weaver's shuttle (plural of pirn)","糸巻き（複数）"],
+9718:["x"],
+9719:["n","a large Russian pie","ピローグ（ロシアのパイ）"],
+9720:["x"],
+9721:["x"],
+9722:["n","rammed earth used for walls (pise)","版築"],
+9723:["n","a grape brandy from Peru and Chile","ピスコ"],
+9724:["n","the Canada lynx","カナダオオヤマネコ"],
+9725:["n","a pixie (Cornish dialect)","小妖精（コーンウォール方言）"],
+9726:["n","a ski run; a fencing strip","ゲレンデ、フェンシングのピスト"],
+9727:["n","flat breads that open into pockets (plural of pita)","ピタパン（複数）"],
+9728:["x"],
+9729:["n","a sports field; how high a sound is","（競技の）ピッチ、音の高さ","The players ran onto the pitch."],
+9730:["n","spongy tissues in stems (plural of pith)","髄（複数）"],
+9731:["adj","brief and full of meaning","簡潔で含蓄のある"],
+9732:["n","a metal spike driven into rock for climbing","ハーケン"],
+9733:["n","a brightly coloured ground bird of tropical Asia; pita bread","ヤイロチョウ、ピタパン"],
+9734:["x"],
+9735:["n","a member of the Paiute people","パイユート族"],
+9736:["n","a point on which something turns","軸、回転軸","The door swings on a pivot."],
+9737:["x"],
+9738:["n","one tiny dot on a screen","画素、ピクセル","A 12-megapixel camera."],
+9739:["n","boxes holding coins for assay; pyxes (plural of pix)","貨幣検査箱、聖体容器（複数）"],
+9740:["n","a small mischievous fairy","小妖精"],
+9741:["n","a flat bread baked with cheese and toppings","ピザ","Let's order a pizza."],
+9742:["n","a particular area or position","場所","This is a nice place."],
+9743:["n","a small old Scottish copper coin","プラック（スコットランドの銅貨）"],
+9744:["n","a stripe of colour","色の縞"],
+9745:["n","a beach; a bright area on the sun","浜辺、白斑（太陽）"],
+9746:["n","cloth with a tartan pattern","格子縞の布"],
+9747:["adj","simple; easy to see or understand","簡素な、明白な","She wore a plain dress."],
+9748:["n","a braid of hair","おさげ、編んだ髪"],
+9749:["n","an airplane; a flat surface","飛行機、平面","The plane took off."],
+9750:["x"],
+9751:["n","a long flat piece of wood","厚板","Walk the plank."],
+9752:["n","intended courses of action (plural of plan)","計画（複数）"],
+9753:["n","a living thing that grows in soil","植物","Water the plants."],
+9754:["n","a splash; a puddle","水のはねる音、水たまり"],
+9755:["n","plasma; protoplasm","原形質"],
+9756:["x"],
+9757:["n","a flat dish for food","皿","Put the cake on a plate."],
+9758:["n","an ancient Greek philosopher","プラトン","Plato taught Aristotle."],
+9759:["n","maps of land divisions; braids (plural of plat)","区画図、編み紐（複数）"],
+9760:["n","a small colourful Mexican fish","プラティ（熱帯魚）"],
+9761:["v","to applaud (obsolete)","賞賛する（廃語）"],
+9762:["n","a dry desert basin that floods after rain","プラヤ（乾燥湖）"],
+9763:["v","takes part in a game or music (third person of play)","遊ぶ、演奏する","She plays the violin."],
+9764:["n","a public square","広場","Meet at the plaza."],
+9765:["v","to beg; to answer a charge in court","嘆願する、答弁する","He pleaded guilty."],
+9766:["n","earnest requests; answers to charges (plural of plea)","嘆願、答弁（複数）"],
+9767:["n","a fold in cloth","ひだ、プリーツ"],
+9768:["n","a first-year student at a US military academy","士官学校の新入生"],
+9769:["n","the common people","庶民"],
+9770:["n","a small plot of ground (dialect)","小さな土地（方言）"],
+9771:["x"],
+9772:["n","full assemblies; spaces full of matter (plural of plenum)","全体会議、充満空間（複数）"],
+9773:["x"],
+9774:["n","the abdomen of a crustacean","腹節（甲殻類）"],
+9775:["n","a fold of skin or membrane; a matted state of the hair","ひだ、糾髪症"],
+9776:["v","worked steadily at; supplied (past of ply)","精を出した、しきりに勧めた"],
+9777:["n","a person who plies a trade","営む人"],
+9778:["v","works steadily; travels regularly (third person of ply)","精を出す、定期的に往復する"],
+9779:["v","to make a short metallic sound; to shoot at targets casually","チンと鳴らす、気楽に的を撃つ"],
+9780:["x"],
+9781:["x"],
+9782:["n","the repetition of a word for emphasis (rhetoric)","反復法（修辞）"],
+9783:["x"],
+9784:["v","walks heavily and slowly (third person of plod)","とぼとぼ歩く"],
+9785:["x"],
+9786:["n","cheap wine (British informal)","安ワイン（英略式）"],
+9787:["n","a pimple (Scottish)","にきび（スコットランド）"],
+9788:["v","falls with a soft splash (third person of plop)","ポチャンと落ちる"],
+9789:["x"],
+9790:["n","secret plans; storylines (plural of plot)","陰謀、筋（複数）"],
+9791:["n","a breed of American hunting hound","プロット・ハウンド"],
+9792:["x"],
+9793:["n","a pimple (Scottish)","にきび（スコットランド）"],
+9794:["x"],
+9795:["v","turns over soil (third person of plow)","耕す"],
+9796:["n","cunning plans (plural of ploy)","策略（複数）"],
+9797:["v","to pull out; to pick","引き抜く、摘む"],
+9798:["n","a puff of smoke or dust (Scottish)","ひと吹き（スコットランド）"],
+9799:["n","stoppers; electrical connectors (plural of plug)","栓、プラグ（複数）"],
+9800:["n","a feather","羽"],
+9801:["adj","exactly vertical","垂直な"],
+9802:["n","a large feather; a column of smoke","羽飾り、煙の柱","A plume of smoke."],
+9803:["adj","slightly fat; full","ふっくらした","A plump chicken."],
+9804:["n","juicy fruits with a stone (plural of plum)","スモモ（複数）"],
+9805:["adj","feathery; adorned with plumes","羽毛のような"],
+9806:["v","to set down heavily; to pluck a string","どさっと置く、弦をはじく"],
+9807:["x"],
+9808:["adj","luxurious; rich","豪華な"],
+9809:["n","the Roman god of the underworld; a dwarf planet","プルートー、冥王星"],
+9810:["n","a person who plies","営む人"],
+9811:["x"],
+9812:["v","to hunt illegally; to cook gently in liquid","密猟する、ポーチする"],
+9813:["adj","swollen; puffy (dialect)","腫れた（方言）"],
+9814:["n","the pokeweed","ヨウシュヤマゴボウ"],
+9815:["x"],
+9816:["n","pockmarks (plural of pock)","あばた（複数）"],
+9817:["adj","marked with pocks","あばたのある"],
+9818:["x"],
+9819:["n","trickery, as in hocus-pocus","まやかし"],
+9820:["adj","relating to the feet","足の"],
+9821:["n","a hand-fed calf (Australian)","人工哺育の子牛（オーストラリア）"],
+9822:["n","the rump; the anal region","尻、肛門部"],
+9823:["n","a short fat person; porridge (dialect)","ずんぐりした人、粥（方言）"],
+9824:["adj","short and plump","ずんぐりした"],
+9825:["n","platforms for speakers (plural of podium)","演壇（複数）"],
+9826:["x"],
+9827:["n","pieces of poetry (plural of poem)","詩（複数）"],
+9828:["n","poetry (archaic)","詩（古語）"],
+9829:["n","writers of poems (plural of poet)","詩人（複数）"],
+9830:["n","unemployment benefit (Canadian informal)","失業手当（カナダ略式）"],
+9831:["n","an armoured fish of the North Atlantic","ホシトクビレ（魚）"],
+9832:["n","a porgy; a small whale","タイ類、小型のクジラ"],
+9833:["x"],
+9834:["n","a French infantry soldier of the First World War","ポワリュ（仏兵）"],
+9835:["v","to impound; to seize goods for debt (Scottish)","差し押さえる（スコットランド）"],
+9836:["n","a sharp end; a main idea; a unit of score","点、要点","What's your point?"],
+9837:["x"],
+9838:["n","graceful balance and composure","落ち着き、平衡"],
+9839:["v","prodded with a finger or stick (past of poke)","つついた"],
+9840:["n","a card game; a metal rod for a fire","ポーカー、火かき棒","They played poker."],
+9841:["v","prods with a finger or stick (third person of poke)","つつく"],
+9842:["n","a jail (slang)","刑務所（俗）"],
+9843:["n","a poker machine (Australian informal)","スロットマシン（オーストラリア略式）"],
+9844:["adj","of the North or South Pole","極地の","A polar bear."],
+9845:["v","pushed with a pole (past of pole)","竿で押した"],
+9846:["n","a horse harnessed beside the pole of a vehicle","轅馬"],
+9847:["n","long rods; ends of the earth's axis (plural of pole)","棒、極（複数）"],
+9848:["adj","hornless (Australian)","角のない（オーストラリア）"],
+9849:["n","a viral disease that can cause paralysis","ポリオ"],
+9850:["n","a city-state of ancient Greece; the police (Scottish)","ポリス（都市国家）、警察（スコットランド）"],
+9851:["x"],
+9852:["n","a large flat basin in karst country","ポリエ（溶食盆地）"],
+9853:["n","a lively dance of Bohemian origin","ポルカ"],
+9854:["x"],
+9855:["n","voting; opinion surveys (plural of poll)","投票、世論調査","The polls open at seven."],
+9856:["n","a given name; a common name for a parrot","ポリー（人名・オウム）","Polly wants a cracker."],
+9857:["x"],
+9858:["n","tall cylindrical crowns of Greek goddesses (plural of polos)","ポロス（女神の冠）"],
+9859:["n","a small growth on a mucous membrane; a simple sea animal","ポリープ、ポリプ"],
+9860:["n","polymorphonuclear white blood cells (informal, plural of poly)","多形核白血球（略式、複数）"],
+9861:["n","a beer brewed in East Africa","ポンベ（東アフリカのビール）"],
+9862:["x"],
+9863:["n","a pommel (obsolete)","柄頭（廃語）"],
+9864:["n","fruits like apples and pears (plural of pome)","ナシ状果（複数）"],
+9865:["n","a green roundel (heraldry)","緑の円形（紋章）"],
+9866:["adj","having arms ending in balls, of a cross (heraldry)","球状の先端の（十字架、紋章）"],
+9867:["n","a British person (Australian slang, often disparaging)","イギリス人（オーストラリアの俗語、蔑称）"],
+9868:["x"],
+9869:["n","splendid displays (plural of pomp)","華やかさ（複数）"],
+9870:["n","a pimp; an effeminate man (British, offensive)","ぽん引き、気取った男（英、侮蔑的）"],
+9871:["n","small bodies of still water (plural of pond)","池（複数）"],
+9872:["x"],
+9873:["n","cornbreads (plural of pone)","コーンブレッド（複数）"],
+9874:["x"],
+9875:["n","a tall New Zealand tree fern","ポンガ（木生シダ）"],
+9876:["n","the orangutan genus; a large ape","オランウータン属、大型類人猿"],
+9877:["x"],
+9878:["x"],
+9879:["x"],
+9880:["n","a dog (informal)","犬（略式）"],
+9881:["n","old Russian units of weight (plural of pood)","プード（複数）"],
+9882:["v","dismisses with scorn (third person of pooh)","ばかにする"],
+9883:["n","a mischievous spirit in Irish folklore (puca)","プーカ（アイルランドの妖精）"],
+9884:["x"],
+9885:["n","small bodies of water; swimming pools (plural of pool)","水たまり、プール（複数）"],
+9886:["x"],
+9887:["n","East Indian trees yielding timber (plural of poon)","テリハボク類（複数）"],
+9888:["n","the sterns of ships; excrement (plural of poop)","船尾、うんち（複数）"],
+9889:["n","a puffed fried bread of India","プーリー"],
+9890:["n","a mountain pass (South African)","峠（南アフリカ）"],
+9891:["x"],
+9892:["n","a homosexual man (British, offensive)","同性愛者への蔑称（英）"],
+9893:["x"],
+9894:["n","heads of the Roman Catholic Church (plural of pope)","教皇（複数）"],
+9895:["x"],
+9896:["n","a father (informal)","パパ（略式）"],
+9897:["n","a plant with showy red flowers","ケシ、ポピー"],
+9898:["n","an attractive young woman (dated British slang)","かわい子ちゃん（古い英俗語）"],
+9899:["adj","relating to pores","孔の"],
+9900:["n","a covered entrance to a house","ポーチ、玄関","They sat on the porch."],
+9901:["v","studied closely (past of pore)","熟読した"],
+9902:["n","a person who pores over something","熟読する人"],
+9903:["n","tiny openings in skin (plural of pore)","毛穴（複数）"],
+9904:["x"],
+9905:["v","to make meat kosher by removing forbidden parts","肉を清浄にする（ユダヤ教）"],
+9906:["x"],
+9907:["n","a sea bream","タイ類"],
+9908:["x"],
+9909:["n","kinds of pig meat (plural of pork)","豚肉（複数）"],
+9910:["adj","fat (informal)","太った（略式）"],
+9911:["n","pornography (informal)","ポルノ（略式）"],
+9912:["n","kinds of pornography (plural of porn)","ポルノ（複数）"],
+9913:["n","a soft porous limestone used in Greek buildings","ポロス石"],
+9914:["x"],
+9915:["n","the point where vessels enter an organ","門（解剖）"],
+9916:["n","the Ottoman government, as in the Sublime Porte","オスマン帝国政府"],
+9917:["n","a city in Portugal (also Oporto)","ポルト","Port wine comes from Porto."],
+9918:["n","harbours (plural of port)","港（複数）"],
+9919:["x"],
+9920:["x"],
+9921:["n","a drink of vinegar and water of Roman soldiers","ポスカ（酢水）"],
+9922:["v","sat for a photo; asked (past of pose)","ポーズをとった、提起した","She posed for a photo."],
+9923:["n","a puzzling question; a person who poses","難問、気取り屋"],
+9924:["v","presents; sits for a picture (third person of pose)","提起する、ポーズをとる"],
+9925:["adj","pretentious (British informal)","気取った（英略式）"],
+9926:["n","maize meal (East African)","トウモロコシ粉（東アフリカ）"],
+9927:["v","to put forward as a basis for argument","仮定する"],
+9928:["n","a group of people summoned to help a sheriff","民兵隊、一団"],
+9929:["x"],
+9930:["n","upright poles; jobs (plural of post)","柱、職（複数）"],
+9931:["v","to poke; to thrust (obsolete)","突く（廃語）"],
+9932:["x"],
+9933:["n","a nocturnal bird of tropical America","タチヨタカ"],
+9934:["n","hopscotch (New York dialect)","石蹴り遊び（ニューヨーク方言）"],
+9935:["x"],
+9936:["n","a slow-moving African primate","ポット（霊長類）"],
+9937:["n","a child's chamber pot","おまる"],
+9938:["x"],
+9939:["x"],
+9940:["n","a small bag; a pocket of skin","小袋","A kangaroo's pouch."],
+9941:["x"],
+9942:["n","a padded footstool; an elaborate hairstyle (pouf)","クッション椅子、ふくらませた髪型"],
+9943:["n","padded footstools (plural of pouf)","クッション椅子（複数）"],
+9944:["x"],
+9945:["n","an octopus","タコ"],
+9946:["n","a young domestic fowl","ひな鳥"],
+9947:["n","a unit of weight (about 454 g); British money","ポンド","It costs five pounds."],
+9948:["v","flows; makes liquid flow (third person of pour)","注ぐ"],
+9949:["x"],
+9950:["v","pushes out the lips sulkily (third person of pout)","口をとがらす"],
+9951:["adj","tending to pout; sulky","すねた"],
+9952:["n","a small whitefish of Scottish lakes","パウアン（淡水魚）"],
+9953:["n","strength; control; energy","力、権力、電力","The power went out."],
+9954:["n","a pony (Scottish)","小馬（スコットランド）"],
+9955:["adj","infected with pox","梅毒にかかった"],
+9956:["n","diseases with pustules (plural of pox)","痘（複数）"],
+9957:["n","the six-banded armadillo","ムツオビアルマジロ"],
+9958:["n","a position (military slang); jam (British dialect)","陣地（軍隊の俗語）、ジャム（英方言）"],
+9959:["n","a flat-bottomed boat used in the Baltic","平底船"],
+9960:["x"],
+9961:["n","a flat-bottomed boat (praam)","平底船"],
+9962:["n","a Malay sailing boat (proa)","プラウ（マレーの帆船）"],
+9963:["n","baby carriages (plural of pram)","乳母車（複数）"],
+9964:["n","the life force in Hindu philosophy","プラーナ"],
+9965:["x"],
+9966:["v","to crash a vehicle (British informal)","衝突させる（英略式）"],
+9967:["n","a playful trick","いたずら"],
+9968:["n","Malay sailing boats (plural of prao)","プラウ（複数）"],
+9969:["n","a leek-green variety of quartz","緑石英"],
+9970:["v","to talk foolishly at length","くだらないことをしゃべる"],
+9971:["n","fools; buttocks (British informal, plural of prat)","ばか、尻（英略式、複数）"],
+9972:["n","Malay sailing boats (plural of prau)","プラウ（複数）"],
+9973:["n","a sea creature like a large shrimp","エビ","Grilled prawns with garlic."],
+9974:["n","a very long colonial siphonophore","ボウズニラの仲間（管クラゲ）"],
+9975:["v","speaks to a god (third person of pray)","祈る"],
+9976:["adj","cleared for action, of a ship (obsolete)","戦闘準備の整った（廃語）"],
+9977:["x"],
+9978:["v","to clean and arrange feathers; to primp","羽づくろいする、めかす"],
+9979:["n","a throng (obsolete)","群衆（廃語）"],
+9980:["x"],
+9981:["x"],
+9982:["x"],
+9983:["x"],
+9984:["v","prepares (informal, third person of prep)","準備する（略式）"],
+9985:["n","a sign indicating where a voice enters in a canon (music)","プレーザ（音楽）"],
+9986:["x"],
+9987:["v","to push firmly","押す","Press the button."],
+9988:["n","a loan or advance of money (obsolete)","前貸し金（廃語）"],
+9989:["n","a hungry ghost in Buddhism","餓鬼"],
+9990:["adj","valiant; gallant (archaic)","勇敢な（古語）"],
+9991:["v","to prove (obsolete)","証明する（廃語）"],
+9992:["n","a college president (US informal)","学長（米略式）"],
+9993:["v","hunts for food (third person of prey)","捕食する"],
+9994:["n","the last king of Troy in Greek legend","プリアモス"],
+9995:["n","the amount of money something costs","値段","What's the price?"],
+9996:["x"],
+9997:["v","to pierce with a sharp point","ちくりと刺す"],
+9998:["adj","expensive (pricey)","高価な"],
+9999:["n","a feeling of satisfaction in what you have done","誇り","She takes pride in her work."],
+10000:["x"],
+10001:["v","looked nosily; levered open (past of pry)","のぞいた、こじ開けた"],
+10002:["n","a person who pries","詮索好きな人"],
+10003:["v","looks nosily; levers open (third person of pry)","詮索する、こじ開ける"],
+10004:["n","self-righteous people (plural of prig)","堅物（複数）"],
+10005:["n","a small pellet; a nugget of metal","小粒、金属塊"],
+10006:["adj","first (as in prima donna)","第一の（prima donna）","A prima ballerina."],
+10007:["adj","main; best","主要な、最良の","Safety is our prime concern."],
+10008:["n","first courses of an Italian meal (plural of primo)","プリモ（複数）"],
+10009:["adj","excellent; first-rate (informal)","一流の（略式）"],
+10010:["v","to groom oneself fussily","めかし込む"],
+10011:["v","purses the lips primly (third person of prim)","取り澄ます"],
+10012:["adj","in its prime (obsolete)","盛りの（廃語）"],
+10013:["x"],
+10014:["v","to dress up fussily","めかし込む"],
+10015:["v","to put words or pictures on paper with a machine","印刷する","Print two copies."],
+10016:["n","an infectious protein that causes brain diseases","プリオン"],
+10017:["adj","earlier","前の、事前の","No prior experience is needed."],
+10018:["v","to lever open (British)","こじ開ける（英）"],
+10019:["n","a glass shape that splits light into colors","プリズム","Light passes through a prism."],
+10020:["n","a prissy person (informal)","気取り屋（略式）"],
+10021:["x"],
+10022:["adj","allowed to know secret information","内々に関与する","Privy to the plan."],
+10023:["n","something won in a competition","賞","She won first prize."],
+10024:["x"],
+10025:["n","Malay sailing boats (plural of proa)","プラウ（複数）"],
+10026:["v","to examine closely","調べる","Police probed the case."],
+10027:["n","a light crossbow","軽い石弓"],
+10028:["v","pokes; urges (third person of prod)","つつく、促す"],
+10029:["n","a preface or introduction","序文"],
+10030:["n","professors (informal, plural of prof)","教授（略式、複数）"],
+10031:["n","food obtained by foraging (plural of prog)","食料（複数）"],
+10032:["v","to poke (obsolete)","突く（廃語）"],
+10033:["n","a member of the working class (informal)","労働者階級の人（略式）"],
+10034:["n","a promotional item or video (informal)","宣伝（略式）"],
+10035:["n","formal school dances (plural of prom)","プロム（複数）"],
+10036:["adj","likely to; lying face down","〜しがちな、うつ伏せの","Prone to colds."],
+10037:["n","a tine of a fork","フォークの歯、突起"],
+10038:["n","facts that show something is true","証拠","Do you have proof?"],
+10039:["x"],
+10040:["n","supports; objects used on stage (plural of prop)","支柱、小道具（複数）"],
+10041:["n","the prow of a ship (poetic)","船首（詩語）"],
+10042:["n","ordinary written language, not poetry","散文","He writes prose."],
+10043:["n","broomcorn millet","キビ"],
+10044:["x"],
+10045:["interj","a German toast, cheers","乾杯（ドイツ語）"],
+10046:["adj","dull and commonplace","退屈な"],
+10047:["x"],
+10048:["adj","first; original","最初の、原型の"],
+10049:["adj","pleased with what you or others have done","誇りに思う","I'm proud of you."],
+10050:["v","to show something is true","証明する","Can you prove it?"],
+10051:["v","to move about stealthily, as if hunting","うろつく"],
+10052:["n","front parts of ships (plural of prow)","船首（複数）"],
+10053:["n","a person allowed to act for another","代理","Vote by proxy."],
+10054:["n","a person easily shocked by matters of sex","上品ぶる人"],
+10055:["n","a dried plum","プルーン","Prunes are good for you."],
+10056:["n","a blob of glass applied as decoration","プラント（ガラスの装飾粒）"],
+10057:["n","a small Israeli coin; an ancient Jewish coin","プルタ（硬貨）"],
+10058:["n","a person who pries","詮索好きな人"],
+10059:["x"],
+10060:["n","a sacred song or poem","賛美歌、詩篇","Psalm 23."],
+10061:["x"],
+10062:["n","a pretentious person (British informal)","えせインテリ（英略式）"],
+10063:["interj","an exclamation of contempt or impatience","ふん"],
+10064:["x"],
+10065:["n","loin muscles (plural of psoas)","腰筋（複数）"],
+10066:["n","loin muscles (plural of psoas)","腰筋（複数）"],
+10067:["n","a large muscle of the loin","腰筋"],
+10068:["n","an itching skin disease","疥癬"],
+10069:["v","to prepare mentally, as in psych up (informal)","気合いを入れる（略式）"],
+10070:["x"],
+10071:["n","the pubic hair or region","陰毛、恥骨部"],
+10072:["adj","relating to the pubis or pubes","恥骨の、陰部の"],
+10073:["n","the front part of the hipbone","恥骨"],
+10074:["n","dark purplish-brown colours (plural of puce)","暗紫褐色（複数）"],
+10075:["adj","genuine; first-class (pukka)","本物の、一流の"],
+10076:["n","rubber discs used in ice hockey (plural of puck)","パック（複数）"],
+10077:["x"],
+10078:["x"],
+10079:["n","a short fat person (informal)","ずんぐりした人（略式）"],
+10080:["adj","slightly fat","ずんぐりした"],
+10081:["adj","relating to the external genitals","陰部の"],
+10082:["x"],
+10083:["v","breathes in short bursts (third person of puff)","ぷっと吹く"],
+10084:["adj","swollen; puffed out","腫れぼったい"],
+10085:["x"],
+10086:["x"],
+10087:["x"],
+10088:["n","a small pinch, as between thumb and two fingers (obsolete)","ひとつまみ（廃語）"],
+10089:["x"],
+10090:["v","vomited (informal, past of puke)","吐いた（略式）"],
+10091:["n","a person who vomits","吐く人"],
+10092:["v","vomits (informal, third person of puke)","吐く（略式）"],
+10093:["adj","genuine; first-class","本物の、一流の"],
+10094:["n","an Indian tree with bright orange flowers (palas)","ハナモツヤクノキ"],
+10095:["v","whimpered (past of pule)","めそめそ泣いた"],
+10096:["n","a person who whimpers","めそめそする人"],
+10097:["v","whimpers (third person of pule)","めそめそ泣く"],
+10098:["n","the genus of fleas","ヒトノミ属"],
+10099:["n","Hungarian sheepdogs (plural of puli)","プーリー犬（複数）"],
+10100:["n","Hungarian sheepdogs (plural of puli)","プーリー犬（複数）"],
+10101:["n","a boat-shaped sledge pulled by a reindeer or a skier","プルカ（そり）"],
+10102:["x"],
+10103:["v","draws toward oneself (third person of pull)","引く","He pulls the cart."],
+10104:["n","soft wet masses; cheap magazines (plural of pulp)","パルプ、低俗雑誌（複数）"],
+10105:["adj","soft and wet","どろどろの"],
+10106:["n","the regular beat of the heart felt at the wrist","脈","The nurse took his pulse."],
+10107:["n","cougars (plural of puma)","ピューマ（複数）"],
+10108:["x"],
+10109:["n","devices that move fluids; light shoes (plural of pump)","ポンプ、パンプス（複数）"],
+10110:["n","high cold plateaus of the Andes (plural of puna)","プーナ（複数）"],
+10111:["x"],
+10112:["v","to hit with the fist","殴る","He punched the bag."],
+10113:["x"],
+10114:["n","a New Zealand tree fern (ponga)","ポンガ（木生シダ）"],
+10115:["n","a snake charmer's wind instrument of India","プーンギー（蛇使いの笛）"],
+10116:["n","box-shaped sleighs (plural of pung)","箱ぞり（複数）"],
+10117:["n","a small sailing boat of Chesapeake Bay","パンジー（帆船）"],
+10118:["adj","relating to ancient Carthage","カルタゴの"],
+10119:["n","a large swinging cloth fan (punkah)","パンカ（吊り扇）"],
+10120:["n","followers of punk rock; young ruffians (plural of punk)","パンク、チンピラ（複数）"],
+10121:["x"],
+10122:["n","a tiny biting midge","ヌカカ"],
+10123:["adj","full of puns","しゃれの多い"],
+10124:["x"],
+10125:["x"],
+10126:["n","a hit or thrust in fencing","突き（フェンシング）"],
+10127:["v","kicks the ball; bets (third person of punt)","パントする、賭ける"],
+10128:["n","an iron rod used to hold glass while working it","ポンテ棒"],
+10129:["n","insects in the chrysalis stage (plural of pupa)","さなぎ（複数）"],
+10130:["adj","relating to a pupa","さなぎの"],
+10131:["n","insects in the chrysalis stage (plural of pupa)","さなぎ（複数）"],
+10132:["n","a student; the black center of the eye","生徒、瞳孔","The pupil raised her hand."],
+10133:["n","a young dog","子犬","The puppy chewed my shoe."],
+10134:["n","a tropical hibiscus tree of the seashore","オオハマボウ"],
+10135:["x"],
+10136:["adj","pretty (dialect)","かわいい（方言）"],
+10137:["adj","purified (obsolete)","清められた（廃語）"],
+10138:["n","food blended into a thick smooth liquid","ピューレ"],
+10139:["adj","cleaner; more unmixed (comparative of pure)","より純粋な"],
+10140:["x"],
+10141:["x"],
+10142:["v","to get rid of unwanted people or things","一掃する","The party purged its rivals."],
+10143:["n","a Jewish festival recalling deliverance told in the Book of Esther","プリム祭"],
+10144:["x"],
+10145:["n","puffed fried breads of India (plural of puri)","プーリー（複数）"],
+10146:["v","knits with a reverse stitch; flows with a murmur (third person of purl)","裏編みする、さらさら流れる"],
+10147:["n","the dunlin (dialect)","ハマシギ（方言）"],
+10148:["v","makes the low sound of a contented cat (third person of purr)","ごろごろ喉を鳴らす"],
+10149:["x"],
+10150:["n","a small bag for money","財布、ハンドバッグ","She lost her purse."],
+10151:["adj","short of breath; fat","息切れする、太った"],
+10152:["adj","pretty (dialect)","かわいい（方言）"],
+10153:["x"],
+10154:["adj","too forceful and assertive","押しの強い"],
+10155:["n","a cat (pet name); the female genitals (vulgar)","猫ちゃん、女性器（卑語）"],
+10156:["adj","rotten; worthless (obsolete)","腐った（廃語）"],
+10157:["n","a deception or hoax (informal)","かつぎ（略式）"],
+10158:["n","figures of chubby infants in art (plural of putto)","プット（複数）"],
+10159:["n","a figure of a chubby infant in art","プット（童子像）"],
+10160:["v","hits a golf ball lightly on the green (third person of putt)","パットする"],
+10161:["n","a soft paste used to fix glass in frames","パテ"],
+10162:["x"],
+10163:["adj","relating to the rump","臀部の"],
+10164:["n","a very small person or animal","小人、小型の動物"],
+10165:["x"],
+10166:["x"],
+10167:["x"],
+10168:["n","a tall tower carrying power lines; a gateway of an Egyptian temple","鉄塔、塔門"],
+10169:["n","a magpie (dialect)","カササギ（方言）"],
+10170:["adj","like pus","膿のような"],
+10171:["adj","relating to a pyre (rare)","火葬の薪の（まれ）"],
+10172:["n","a ring compound containing one oxygen atom","ピラン"],
+10173:["n","heaps of wood for burning bodies (plural of pyre)","火葬用の薪（複数）"],
+10174:["n","heat-resistant glass (trademark)","パイレックス"],
+10175:["adj","resulting from burning","燃焼による"],
+10176:["n","the genus of pears","ナシ属"],
+10177:["n","containers for consecrated bread (plural of pyx)","聖体容器（複数）"],
+10178:["n","a creeping evergreen shrub of the eastern US","ピキシー（低木）"],
+10179:["n","a small box; a seed capsule with a lid","小箱、蓋果"],
+10180:["n","North African chiefs or officials (plural of qaid)","カーイド（複数）"],
+10181:["n","an underground water channel in Iran","カナート（地下水路）"],
+10182:["n","an Arab country on a peninsula in the Persian Gulf","カタール"],
+10183:["n","a silky nylon fabric (trademark)","キアナ（ナイロン生地）"],
+10184:["n","the direction of the Kaaba, faced in Muslim prayer","キブラ"],
+10185:["n","reasoning by analogy in Islamic law","キヤース（類推）"],
+10186:["n","letters of the Hebrew alphabet (plural of qoph)","コフ（複数）"],
+10187:["n","the sound of a duck; a fake doctor","ガーガー、やぶ医者"],
+10188:["n","quadruplets; quadrangles (informal, plural of quad)","四つ子、中庭（略式、複数）"],
+10189:["v","to drink heartily","ぐいぐい飲む"],
+10190:["n","bogs (plural of quag)","沼地（複数）"],
+10191:["n","a small brown game bird","ウズラ","Quail eggs are tiny."],
+10192:["x"],
+10193:["v","to shake or tremble","震える"],
+10194:["adj","shaky; trembling","震える"],
+10195:["n","a quality as experienced (philosophy)","クオリア（哲学）"],
+10196:["n","a feeling of doubt or unease","良心の呵責、不安"],
+10197:["n","a punting pole; a quantitative analyst (informal)","竿、クオンツ（略式）"],
+10198:["adj","strange; remarkable (Irish dialect)","妙な、すごい（アイルランド方言）"],
+10199:["n","a fundamental particle; a soft cheese","クォーク、クワルク"],
+10200:["n","a jellyfish (rare)","クラゲ（まれ）"],
+10201:["n","a unit of liquid, about one liter","クォート（容量の単位）","Buy a quart of milk."],
+10202:["v","to reject or cancel; to suppress","無効にする、鎮圧する"],
+10203:["adj","seeming to be (used in compounds)","準〜、半〜","A quasi-official body."],
+10204:["n","kvass, a Russian fermented drink","クワス"],
+10205:["n","a spider monkey (coaita)","クモザル"],
+10206:["x"],
+10207:["x"],
+10208:["v","to quaver (obsolete)","震える（廃語）"],
+10209:["x"],
+10210:["n","wharves (plural of quay)","波止場（複数）"],
+10211:["x"],
+10212:["x"],
+10213:["x"],
+10214:["n","an impudent woman; a prostitute (archaic)","あばずれ、売春婦（古語）"],
+10215:["n","a female ruler; the wife of a king","女王","The queen waved to the crowd."],
+10216:["adj","strange (old-fashioned); used as a term for LGBTQ people","奇妙な（古風）、性的少数者の","A queer feeling."],
+10217:["x"],
+10218:["n","a shallow drinking cup (quaich)","クエイヒ（杯）"],
+10219:["v","to put an end to; to calm","鎮める"],
+10220:["x"],
+10221:["v","to please (obsolete)","喜ばせる（廃語）"],
+10222:["x"],
+10223:["v","to twirl; to coil (dialect)","巻く（方言）"],
+10224:["n","a simple hand mill for grinding grain","手臼"],
+10225:["n","a question","質問","Any queries?"],
+10226:["n","a long search","探求","A quest for the truth."],
+10227:["n","a line of people waiting","列","Join the queue."],
+10228:["n","heifers (Scottish, plural of quey)","若い雌牛（スコットランド、複数）"],
+10229:["n","a small South American opossum","フクロネズミの一種"],
+10230:["adj","fast","速い","Take a quick look."],
+10231:["n","pounds sterling (slang, plural of quid)","ポンド（俗、複数）"],
+10232:["adj","making little noise","静かな","Please be quiet."],
+10233:["n","a tuft of hair brushed up from the forehead","前髪の盛り上がり"],
+10234:["x"],
+10235:["n","a large feather; a pen made from one","羽軸、羽ペン"],
+10236:["n","a warm bed cover made of layers sewn together","キルト、掛け布団","Grandma made this quilt."],
+10237:["n","cinchona bark","キナ皮"],
+10238:["x"],
+10239:["n","quintuplets (plural of quin)","五つ子（複数）"],
+10240:["n","a sequence of five cards; a quintuplet","5枚続きの札、五つ子"],
+10241:["n","an Inca knotted-string record (quipu)","キープ（結縄）"],
+10242:["n","witty remarks (plural of quip)","気の利いた言葉（複数）"],
+10243:["n","an Inca device of knotted strings for records","キープ（結縄）"],
+10244:["n","hard red wood of a tropical American tree","キラ材"],
+10245:["n","twenty-four or twenty-five sheets of paper","一帖（紙）"],
+10246:["n","an odd habit; a peculiar feature","癖、奇妙な点"],
+10247:["v","to twirl; to coil (dialect, querl)","巻く（方言）"],
+10248:["n","a short riding whip with a braided lash","乗馬用の短いむち"],
+10249:["n","a wood pigeon (dialect)","モリバト（方言）"],
+10250:["adv","fairly; completely","かなり、まったく","It's quite cold today."],
+10251:["n","the capital of Ecuador","キト"],
+10252:["adj","on equal terms after repayment","五分五分の"],
+10253:["prep","as far as; with respect to (Latin)","～に関しては（ラテン語）"],
+10254:["n","prisons (slang, plural of quod)","刑務所（俗、複数）"],
+10255:["n","an external corner of a building; a wedge","隅石、くさび"],
+10256:["n","a ring thrown over a peg in a game","輪投げの輪"],
+10257:["n","a fixed share or amount","割り当て","A sales quota."],
+10258:["n","words repeated from someone else","引用","That's a famous quote."],
+10259:["v","said (archaic)","言った（古語）"],
+10260:["x"],
+10261:["n","a Saudi Arabian coin (qirsh)","キルシュ（硬貨）"],
+10262:["n","the electric catfish","デンキナマズ"],
+10263:["x"],
+10264:["n","the capital of Morocco; a clerical collar","ラバト、聖職者の襟"],
+10265:["n","a Jewish religious teacher","ラビ","The rabbi led the prayer."],
+10266:["adj","relating to rabies","狂犬病の"],
+10267:["adj","having rabies; fanatical","狂犬病の、狂信的な"],
+10268:["n","a hardwood rubber used to polish marble","大理石磨き板"],
+10269:["v","ran fast; competed (past of race)","競走した、急いだ","She raced home."],
+10270:["n","a person, animal or vehicle that races","競走者、レーサー"],
+10271:["n","contests of speed (plural of race)","競走（複数）"],
+10272:["n","a hunting dog that follows by scent (obsolete)","臭覚猟犬（廃語）"],
+10273:["n","frames for holding things (plural of rack)","棚、ラック（複数）"],
+10274:["n","a radar beacon that replies with a coded signal","レーダービーコン"],
+10275:["n","a system that finds objects using radio waves","レーダー","Radar detected the plane."],
+10276:["n","plural of radius","半径（複数）","The radii of the circles."],
+10277:["n","a device for listening to broadcasts","ラジオ","Turn on the radio."],
+10278:["n","the base of a number system; a root","基数、根"],
+10279:["x"],
+10280:["n","a radioactive gaseous element","ラドン"],
+10281:["x"],
+10282:["n","riffraff; rubbish (plural of raff)","くず（複数）"],
+10283:["n","flat floating platforms; large numbers (plural of raft)","いかだ、多数（複数）"],
+10284:["adj","damp; musty (dialect)","じめじめした（方言）"],
+10285:["n","melodic frameworks in Indian music (plural of raga)","ラーガ（複数）"],
+10286:["v","showed violent anger (past of rage)","激怒した"],
+10287:["n","finger millet, an East Indian cereal (ragi)","シコクビエ"],
+10288:["n","a wild party (slang)","どんちゃん騒ぎ（俗）"],
+10289:["v","shows violent anger (third person of rage)","激怒する"],
+10290:["adj","ragged; rough (obsolete)","ぼろぼろの（廃語）"],
+10291:["n","finger millets (plural of ragi)","シコクビエ（複数）"],
+10292:["n","rays of the skate genus (plural of raia)","ガンギエイ（複数）"],
+10293:["n","sudden attacks (plural of raid)","襲撃（複数）"],
+10294:["n","bars forming a railway or fence (plural of rail)","レール、手すり","Trains run on rails."],
+10295:["n","heavy rain; the rainy season","雨、雨季","The rains came in June."],
+10296:["adj","with a lot of rain","雨の","It's a rainy day."],
+10297:["v","to lift up; to bring up children","上げる、育てる","Raise your hand."],
+10298:["n","the seventh month of the Islamic calendar","ラジャブ月"],
+10299:["n","an Indian king or prince","ラージャ（王）"],
+10300:["n","Indian kings or princes (plural of raja)","ラージャ（複数）"],
+10301:["n","periods of rule (plural of raj)","統治（複数）"],
+10302:["x"],
+10303:["v","gathered with a rake (past of rake)","熊手でかき集めた"],
+10304:["n","an anise-flavoured spirit (raki)","ラキ（蒸留酒）"],
+10305:["n","a person or machine that rakes","かき集める人、レーキ"],
+10306:["n","garden tools with teeth; dissolute men (plural of rake)","熊手、放蕩者（複数）"],
+10307:["n","anise-flavoured spirits (plural of raki)","ラキ（複数）"],
+10308:["x"],
+10309:["n","abnormal crackling sounds in the lungs (plural of rale)","ラ音（複数）"],
+10310:["n","a large public meeting; a car race","集会、ラリー","A peace rally."],
+10311:["n","a given name","ラルフ（人名）","Ralph works at the bank."],
+10312:["adj","relating to a branch","枝の"],
+10313:["adj","having the frame set up, of a ship on the stocks","骨組みの据わった（船）"],
+10314:["n","ramie, an Asian plant yielding fibre","ラミー"],
+10315:["n","an individual member of a clone","ラメット（クローン個体）"],
+10316:["x"],
+10317:["n","an Asian plant yielding a strong fibre","ラミー、カラムシ"],
+10318:["x"],
+10319:["adj","like a ram; smelling rank","雄羊のような"],
+10320:["x"],
+10321:["n","sloping surfaces (plural of ramp)","傾斜路（複数）"],
+10322:["x"],
+10323:["n","a branch-like part of a bone or nerve","枝（解剖）"],
+10324:["adj","related to the buttercup family of plants","キンポウゲ類の"],
+10325:["n","a prop; a rung between chair legs (Scottish)","支柱、椅子の桟（スコットランド）"],
+10326:["n","a large farm for cattle or horses","牧場","He works on a ranch."],
+10327:["x"],
+10328:["n","the currency units of South Africa (plural of rand)","ランド（複数）"],
+10329:["n","a given name","ランディ（人名）","Randy plays baseball."],
+10330:["n","the wife of a rajah; a queen","ラーニー（王妃）"],
+10331:["n","a set of different things; the limits something varies between","範囲、品ぞろえ","The shop has a wide range of shoes."],
+10332:["adj","tall and slim with long limbs","手足のひょろ長い"],
+10333:["n","a frog of the family Ranidae","アカガエル科のカエル"],
+10334:["n","wives of rajahs (plural of rani)","ラーニー（複数）"],
+10335:["n","positions in a hierarchy; rows (plural of rank)","階級、列（複数）"],
+10336:["x"],
+10337:["n","the shrew (dialect)","トガリネズミ（方言）"],
+10338:["v","speaks loudly and angrily (third person of rant)","わめく"],
+10339:["adj","wild; noisy","騒々しい"],
+10340:["v","sexually assaulted (past of rape)","性的暴行を加えた"],
+10341:["n","a person who commits rape (rare)","強姦者（まれ）"],
+10342:["n","sexual assaults; oilseed plants (plural of rape)","性的暴行、アブラナ（複数）"],
+10343:["n","a seam-like ridge between two parts of an organ","縫線"],
+10344:["x"],
+10345:["adj","very fast","急速な","The town saw rapid growth."],
+10346:["x"],
+10347:["adj","less common (comparative of rare)","よりまれな"],
+10348:["v","erased; razed (past of rase)","消した、破壊した"],
+10349:["x"],
+10350:["x"],
+10351:["v","erases; razes (third person of rase)","消す、破壊する"],
+10352:["x"],
+10353:["n","coarse files (plural of rasp)","石目やすり（複数）"],
+10354:["adj","harsh and grating in sound","がらがら声の"],
+10355:["n","the small Indian civet","コジャコウネコ"],
+10356:["x"],
+10357:["n","the amount on which rates are assessed","課税評価額"],
+10358:["n","rattan","籐"],
+10359:["n","a ratchet","ラチェット"],
+10360:["v","judged the quality of (past of rate)","評価された","A top-rated show."],
+10361:["n","the honey badger","ラーテル"],
+10362:["n","a person who rates or assesses","評価者"],
+10363:["n","amounts or speeds measured against something (plural of rate)","率、料金","Interest rates went up."],
+10364:["n","a temple chariot in India","ラタ（山車）"],
+10365:["adj","early (poetic)","早い（詩語）"],
+10366:["n","the relation between two amounts","比率","The ratio of boys to girls is 2 to 1."],
+10367:["x"],
+10368:["n","an Indian unit of weight for gold and gems","ラティ（重量単位）"],
+10369:["adj","shabby; irritable (informal)","みすぼらしい、怒りっぽい（略式）"],
+10370:["n","a small Himalayan deer, the muntjac","ホエジカ"],
+10371:["n","a South American beech tree","ラウリ（ナンキョクブナ）"],
+10372:["n","a New Zealand bulrush","ラウポ（ガマ）"],
+10373:["v","talked wildly; praised enthusiastically (past of rave)","うわごとを言った、絶賛した"],
+10374:["v","to tangle; to untangle","もつれさせる、ほどく"],
+10375:["n","a large black bird of the crow family","ワタリガラス","A raven sat on the roof."],
+10376:["n","a person who goes to raves","レイブの参加者"],
+10377:["v","talks wildly; praises enthusiastically (third person of rave)","うわごとを言う、絶賛する"],
+10378:["n","prey; plunder (archaic)","獲物、略奪（古語）"],
+10379:["adj","more raw (comparative of raw)","より生の"],
+10380:["n","a measurement of upper winds by radar tracking of a balloon","レーウィン（高層風観測）"],
+10381:["x"],
+10382:["adv","in a raw manner; unskilfully","生のままで、未熟に"],
+10383:["v","stretched; reached (Scottish, past of rax)","伸ばした（スコットランド）"],
+10384:["v","stretches; reaches (Scottish, third person of rax)","伸ばす（スコットランド）"],
+10385:["n","a non-Muslim subject of the Ottoman Empire","ラーヤー（非ムスリムの臣民）"],
+10386:["x"],
+10387:["n","an Indian peasant farmer (ryot)","農民（インド）"],
+10388:["adj","having rays","光線のある"],
+10389:["n","a smooth man-made fabric","レーヨン","A rayon shirt."],
+10390:["v","completely destroyed (past of raze)","破壊した"],
+10391:["n","a ship with its upper deck cut away","甲板を削った軍艦"],
+10392:["n","a person who razes","破壊者"],
+10393:["v","destroys completely (third person of raze)","破壊する"],
+10394:["n","a nonexistent coin, as in not a brass razoo (Australian)","一文（オーストラリア）"],
+10395:["n","a tool for shaving","かみそり","A sharp razor."],
+10396:["x"],
+10397:["v","to arrive at; to stretch out a hand","届く、到着する","We reached the top."],
+10398:["v","to act in response","反応する","How did she react?"],
+10399:["v","to add again","再び加える"],
+10400:["x"],
+10401:["v","looks at and understands text (third person of read)","読む"],
+10402:["adj","prepared","準備ができた","Are you ready?"],
+10403:["n","pranks (obsolete, plural of reak)","いたずら（廃語、複数）"],
+10404:["n","a kingdom; an area of activity","王国、領域","The realm of science."],
+10405:["n","old Spanish silver coins (plural of real)","レアル銀貨（複数）"],
+10406:["n","500 sheets of paper; large amounts (plural of ream)","連、大量（複数）"],
+10407:["adj","creamy (Scottish)","クリーム状の（スコットランド）"],
+10408:["v","harvests (third person of reap)","刈り取る"],
+10409:["v","to supply with weapons again","再武装する"],
+10410:["v","raises; rises on hind legs (third person of rear)","育てる、後ろ足で立つ"],
+10411:["v","to ask again","再び尋ねる"],
+10412:["v","to become rancid (dialect)","悪臭を放つ（方言）"],
+10413:["x"],
+10414:["n","a lariat","投げ縄"],
+10415:["v","to plunder; to rob (archaic)","略奪する（古語）"],
+10416:["n","a bowed string instrument of the Islamic world","ラバーブ"],
+10417:["v","to put into a bag again","再び袋に入れる"],
+10418:["v","to ban again","再び禁止する"],
+10419:["n","steel bars used to reinforce concrete","鉄筋"],
+10420:["n","a Hasidic spiritual leader","レッベ（ハシディズムの指導者）"],
+10421:["n","a medieval bowed instrument","レベック"],
+10422:["x"],
+10423:["x"],
+10424:["n","a person who fights against authority","反逆者","The rebels took the city."],
+10425:["x"],
+10426:["v","to bid again","再び入札する"],
+10427:["x"],
+10428:["n","bebop","ビバップ"],
+10429:["v","to put into a box again","再び箱に入れる"],
+10430:["v","to bud again","再び芽を出す"],
+10431:["n","a puzzle in which pictures stand for words","判じ絵"],
+10432:["v","to argue that something is false","反論する"],
+10433:["v","to buy again","買い戻す"],
+10434:["n","a short summary","要約"],
+10435:["n","a reconnaissance (British informal)","偵察（英略式）"],
+10436:["n","a reconnaissance (informal)","偵察（略式）"],
+10437:["n","a reconnaissance (informal)","偵察（略式）"],
+10438:["x"],
+10439:["x"],
+10440:["v","heeds; cares (archaic, third person of reck)","気にかける（古語）"],
+10441:["n","a reconnaissance (informal)","偵察（略式）"],
+10442:["x"],
+10443:["n","final sections of the large intestine (plural of rectum)","直腸（複数）"],
+10444:["n","straight muscles (plural of rectus)","直筋（複数）"],
+10445:["n","a right-hand page of a book","右ページ"],
+10446:["v","to happen again","再発する","The pain may recur."],
+10447:["v","to cut again","再び切る"],
+10448:["n","a fortification with two faces forming a salient angle","凸角堡"],
+10449:["n","spawning nests of fish (plural of redd)","産卵床（複数）"],
+10450:["x"],
+10451:["x"],
+10452:["n","advice; counsel (archaic, plural of rede)","助言（古語、複数）"],
+10453:["n","a larval stage of a fluke","レジア（吸虫の幼生）"],
+10454:["v","did again (past of redo)","やり直した"],
+10455:["v","to dig again","再び掘る"],
+10456:["v","to dip again","再び浸す"],
+10457:["adv","with a red colour","赤く"],
+10458:["v","does again (third person of redo)","やり直す"],
+10459:["n","a reaction involving both reduction and oxidation","酸化還元"],
+10460:["v","to dry again","再び乾かす"],
+10461:["v","to repay; to remedy (obsolete)","償う（廃語）"],
+10462:["x"],
+10463:["v","dug again (past of redig)","再び掘った"],
+10464:["adj","brought back; revived","復活した"],
+10465:["v","to dye again","染め直す"],
+10466:["n","tall water grasses; vibrating strips in instruments (plural of reed)","アシ、リード（複数）"],
+10467:["adj","full of reeds; high and thin in tone","アシの多い、か細い声の"],
+10468:["n","ridges of rock or coral (plural of reef)","礁（複数）"],
+10469:["adj","full of reefs","岩礁の多い"],
+10470:["v","smells strongly and unpleasantly (third person of reek)","悪臭を放つ"],
+10471:["adj","smoky; smelling strongly","煙たい、臭い"],
+10472:["n","spools; lively dances (plural of reel)","リール、リール舞踊（複数）"],
+10473:["n","a family name or given name","リース（人名）","Reese won the race."],
+10474:["x"],
+10475:["v","to refuse to move, of a horse (Scottish)","動こうとしない（馬、スコットランド）"],
+10476:["n","a local official in medieval England; a female ruff","代官、エリマキシギの雌"],
+10477:["v","to fan again","再びあおぐ"],
+10478:["v","fed again (past of refeed)","再び餌を与えた"],
+10479:["v","to refute (obsolete)","論駁する（廃語）"],
+10480:["v","to mention; to send to another person for help","言及する、参照する","Refer to the map."],
+10481:["n","a refugee (Australian slang, often offensive)","難民（オーストラリアの俗語、侮蔑的）"],
+10482:["v","to repair and re-equip a ship","改装する"],
+10483:["v","to fix again","再び固定する"],
+10484:["v","to fly again","再び飛ぶ"],
+10485:["v","to fry again","再び揚げる"],
+10486:["adj","royal; fit for a king","王の、堂々とした"],
+10487:["n","the star Rigel","リゲル"],
+10488:["n","kings (Latin, plural of rex)","王（ラテン語、複数）"],
+10489:["v","to get again","再び得る"],
+10490:["x"],
+10491:["n","a government monopoly, as of tobacco","専売公社"],
+10492:["x"],
+10493:["v","to rule; to govern (obsolete)","治める（廃語）"],
+10494:["n","a dry fruit that splits into several parts","分離果"],
+10495:["x"],
+10496:["n","a black cotton soil of India","レグール（黒綿土）"],
+10497:["v","to hem again","縁を縫い直す"],
+10498:["x"],
+10499:["x"],
+10500:["x"],
+10501:["n","the German state (as in the Third Reich)","ライヒ（ドイツ帝国）","The Third Reich."],
+10502:["n","robberies; plunder (obsolete, plural of reif)","略奪（廃語、複数）"],
+10503:["v","to treat an abstract idea as a concrete thing","具象化する"],
+10504:["n","the period a king or queen rules","治世","Her reign lasted fifty years."],
+10505:["x"],
+10506:["v","to ink again","再びインクを付ける"],
+10507:["n","straps used to control a horse","手綱","Hold the reins."],
+10508:["v","to refuse to move, of a horse (Scottish, reest)","動こうとしない（馬、スコットランド）"],
+10509:["v","to plunder; to raid (Scottish)","略奪する（スコットランド）"],
+10510:["v","to rearrange; to re-equip (informal)","組み直す（略式）"],
+10511:["v","to key in again; to change the locks of","再入力する、鍵を取り替える"],
+10512:["x"],
+10513:["v","to rest and become calm","くつろぐ","Relax and enjoy."],
+10514:["n","a race in which team members take turns","リレー","The relay team won."],
+10515:["x"],
+10516:["v","to let or rent out again","再び賃貸する"],
+10517:["n","an object from the past","遺物","An ancient relic."],
+10518:["x"],
+10519:["v","lit again (past of relight)","再び火をつけた"],
+10520:["x"],
+10521:["v","to supply with new staff","再び人員を配置する"],
+10522:["v","to map again; to assign differently","再マッピングする"],
+10523:["x"],
+10524:["v","met again (past of remeet)","再会した"],
+10525:["n","a flight feather of a bird's wing","風切羽"],
+10526:["v","to send money","送金する","Remit the payment."],
+10527:["n","a new version of a recording made by altering the original","リミックス"],
+10528:["x"],
+10529:["v","to remove (obsolete)","取り除く（廃語）"],
+10530:["n","the twin brother of Romulus in Roman myth","レムス"],
+10531:["adj","of the kidneys","腎臓の","Renal failure is serious."],
+10532:["v","to deny; to disown (obsolete)","否認する（廃語）"],
+10533:["v","tears violently (third person of rend)","引き裂く"],
+10534:["x"],
+10535:["v","to renege (informal)","約束を破る（略式）"],
+10536:["n","the kidneys (Latin)","腎臓（ラテン語）"],
+10537:["x"],
+10538:["v","to make valid again; to begin again","更新する","Renew your passport."],
+10539:["n","a Japanese form of linked verse","連歌"],
+10540:["v","to renege; to fail to follow suit (informal)","約束を破る（略式）"],
+10541:["n","an enzyme secreted by the kidneys","レニン"],
+10542:["x"],
+10543:["v","to run (obsolete)","走る（廃語）"],
+10544:["n","annual income from government bonds in France","年金、国債利子（フランス）"],
+10545:["n","payments for the use of property (plural of rent)","賃料（複数）"],
+10546:["v","to oil again","再び油を差す"],
+10547:["v","to own again","再び所有する"],
+10548:["x"],
+10549:["x"],
+10550:["v","to pay back","返済する","Repay the loan."],
+10551:["v","to peg a currency at a new rate","為替レートを再設定する"],
+10552:["v","to drive back; to cause disgust","撃退する、嫌悪を催させる"],
+10553:["x"],
+10554:["x"],
+10555:["n","a score of thirty in the card game piquet","ルピック（ピケの得点）"],
+10556:["v","to pin again","再びピンで留める"],
+10557:["n","an answer","返事","I'm waiting for your reply."],
+10558:["v","to move a plant to a new pot","植え替える"],
+10559:["n","ribbed fabrics (plural of repp)","レップ織（複数）"],
+10560:["n","a reproduction or copy (informal)","複製（略式）"],
+10561:["x"],
+10562:["v","ran or broadcast again (past of rerun)","再放送した"],
+10563:["x"],
+10564:["v","to rig again","再び艤装する"],
+10565:["x"],
+10566:["x"],
+10567:["x"],
+10568:["n","a repeated broadcast","再放送"],
+10569:["v","sat an exam again (past of resit)","再受験した"],
+10570:["v","to saw again","再び挽く"],
+10571:["v","to say again","再び言う"],
+10572:["v","to see again","再び見る"],
+10573:["v","to set again; to restart","リセットする","Reset the password."],
+10574:["v","to sew again","縫い直す"],
+10575:["x"],
+10576:["n","residual oil left after petroleum distillation","残油"],
+10577:["n","a sticky substance from trees","樹脂","Pine resin."],
+10578:["v","to take an exam again (British)","再受験する（英）"],
+10579:["v","to sow again","まき直す"],
+10580:["x"],
+10581:["v","relaxes; stays still (third person of rest)","休む"],
+10582:["adj","sluggish; restive (obsolete)","怠惰な（廃語）"],
+10583:["x"],
+10584:["x"],
+10585:["x"],
+10586:["v","to tag again","タグを付け直す"],
+10587:["x"],
+10588:["v","to tan again","なめし直す"],
+10589:["x"],
+10590:["v","to tax again","再課税する"],
+10591:["v","to try to vomit","えずく"],
+10592:["n","a desert broom shrub of the Middle East","レテム（エニシダ類）"],
+10593:["x"],
+10594:["n","networks of blood vessels (plural of rete)","網（解剖、複数）"],
+10595:["v","to tie again","結び直す"],
+10596:["x"],
+10597:["v","to put a new tip on","先端を付け替える"],
+10598:["adj","imitating a style from the past","レトロな"],
+10599:["v","to try again, especially a court case","再審理する、再試行する"],
+10600:["x"],
+10601:["v","to use again","再利用する","Reuse your bags."],
+10602:["x"],
+10603:["v","to take great pleasure; to celebrate noisily","大いに楽しむ、浮かれ騒ぐ"],
+10604:["x"],
+10605:["v","to face an embankment with masonry","護岸を施す"],
+10606:["v","to vie in return; to raise a wager (obsolete)","賭け金を上げる（廃語）"],
+10607:["n","a show with songs, dances and sketches","レビュー（寸劇の舞台）","A musical revue."],
+10608:["x"],
+10609:["v","to wax again","ワックスを塗り直す"],
+10610:["v","to wed again","再婚する"],
+10611:["v","to wet again","再び濡らす"],
+10612:["v","to win back","取り戻す"],
+10613:["v","won back (past of rewin)","取り戻した"],
+10614:["x"],
+10615:["n","cats or rabbits with a curly rex coat (plural of rex)","レックス種（複数）"],
+10616:["x"],
+10617:["x"],
+10618:["n","large flightless South American birds (plural of rhea)","レア（複数）"],
+10619:["n","a four-wheeled Roman travelling carriage","レーダ（ローマの馬車）"],
+10620:["x"],
+10621:["adj","relating to an acid found in rhubarb","ダイオウ酸の"],
+10622:["n","a compound found in rhubarb; the river Rhine (German)","レイン、ライン川"],
+10623:["x"],
+10624:["n","the part of a sentence that gives new information (linguistics)","レーマ（言語学）"],
+10625:["n","a watery discharge from the eyes or nose","目やに、鼻水"],
+10626:["x"],
+10627:["n","a major river in western Europe","ライン川","The Rhine flows through Germany."],
+10628:["n","a rhinoceros","サイ","The rhino has a large horn."],
+10629:["n","a rhombus","ひし形"],
+10630:["n","a line crossing all meridians at the same angle","航程線"],
+10631:["n","words that end with the same sound","韻、押韻詩","\"Cat\" rhymes with \"hat\"."],
+10632:["x"],
+10633:["n","ancient drinking horns (plural of rhyton)","リュトン（複数）"],
+10634:["n","currency units of Iran and Oman (plural of rial)","リアル（複数）"],
+10635:["adj","cheerful; smiling","陽気な"],
+10636:["n","a lariat","投げ縄"],
+10637:["n","a fortified Muslim outpost","リバート（要塞）"],
+10638:["adj","showing the ribs; having ribs","あばら骨の見える"],
+10639:["n","the genus of currants and gooseberries","スグリ属"],
+10640:["v","pressed through a ricer (past of rice)","裏ごしした"],
+10641:["n","a kitchen tool that presses soft food into small pieces","ライサー（裏ごし器）"],
+10642:["n","kinds of rice (plural of rice)","米（複数）"],
+10643:["x"],
+10644:["x"],
+10645:["adj","right (Scottish)","正しい（スコットランド）"],
+10646:["n","a highly toxic protein from castor beans","リシン"],
+10647:["n","stacks of hay (plural of rick)","干し草の山（複数）"],
+10648:["v","ridden (obsolete)","乗った（廃語）"],
+10649:["n","a person who rides","乗り手","A horse rider."],
+10650:["v","sits on and controls a horse or vehicle (third person of ride)","乗る"],
+10651:["n","a long narrow top of a hill or mountain","尾根","We hiked along the ridge."],
+10652:["adj","having ridges","尾根のある"],
+10653:["n","currency units of Cambodia (plural of riel)","リエル（複数）"],
+10654:["adj","more widespread (comparative of rife)","よりはびこった"],
+10655:["n","short repeated musical phrases (plural of riff)","リフ（複数）"],
+10656:["n","a long gun","ライフル銃","A hunting rifle."],
+10657:["n","cracks; breaks in relations (plural of rift)","割れ目、不和（複数）"],
+10658:["x"],
+10659:["n","the brightest star in Orion","リゲル"],
+10660:["adj","correct; on the side opposite the left","正しい、右の","You're right."],
+10661:["adj","stiff; not easily changed","硬い、厳格な","The rules are rigid."],
+10662:["n","a circle; a diadem (obsolete)","輪、王冠（廃語）"],
+10663:["n","strictness; severity (rigour)","厳格さ"],
+10664:["v","annoyed (past of rile)","いらだたせた"],
+10665:["v","annoys (third person of rile)","いらだたせる"],
+10666:["n","a given name or family name","ライリー（人名）","Riley plays guitar."],
+10667:["n","a long narrow valley on the moon","月面の谷"],
+10668:["n","small streams (plural of rill)","小川（複数）"],
+10669:["x"],
+10670:["x"],
+10671:["n","narrow clefts (plural of rima)","裂（複数）"],
+10672:["adj","covered with frost","霜に覆われた"],
+10673:["n","a rhymer","へぼ詩人"],
+10674:["n","frost; rhymes (plural of rime)","霧氷、韻（複数）"],
+10675:["n","strips of rawhide used for chair seats (South African)","革ひも（南アフリカ）"],
+10676:["x"],
+10677:["n","tough outer skins of fruit or cheese (plural of rind)","皮（複数）"],
+10678:["adj","having a rind","皮のある"],
+10679:["x"],
+10680:["n","circles; jewelry worn on fingers (plural of ring)","指輪、輪","She wears two rings."],
+10681:["adj","angry; irritable (dialect)","怒りっぽい（方言）"],
+10682:["x"],
+10683:["n","skating areas (plural of rink)","リンク（複数）"],
+10684:["v","to wash with clean water","すすぐ","Rinse the cup."],
+10685:["n","violent disturbances by crowds (plural of riot)","暴動（複数）"],
+10686:["x"],
+10687:["v","ripened (archaic)","熟した（古語）"],
+10688:["v","to become ripe","熟す"],
+10689:["adj","more ripe (comparative of ripe)","より熟した"],
+10690:["v","ripens (archaic)","熟す（古語）"],
+10691:["x"],
+10692:["v","gone up (past participle of rise)","昇った","The sun has risen."],
+10693:["n","a person who gets up; the vertical part of a stair","起きる人、蹴上げ"],
+10694:["v","goes up (third person of rise)","上がる"],
+10695:["n","a Hindu sage","リシ（聖仙）"],
+10696:["n","dangers (plural of risk)","危険（複数）"],
+10697:["adj","dangerous","危険な","A risky plan."],
+10698:["x"],
+10699:["n","a laugh, as in risus sardonicus","笑い（痙笑）"],
+10700:["n","religious ceremonies (plural of rite)","儀式","Funeral rites."],
+10701:["x"],
+10702:["n","a Japanese musical scale","律音階"],
+10703:["x"],
+10704:["adj","expensively stylish (informal)","豪華な（略式）"],
+10705:["n","a competitor","ライバル","Old rivals."],
+10706:["v","split; tore apart (past of rive)","裂いた"],
+10707:["v","to wrinkle; to shrivel (obsolete)","しわが寄る（廃語）"],
+10708:["adj","split apart","裂けた"],
+10709:["n","a large natural stream of water","川","The river flows into the sea."],
+10710:["v","splits; tears apart (third person of rive)","裂く"],
+10711:["n","a metal pin for fastening plates together","リベット"],
+10712:["n","the currency unit of Saudi Arabia and Qatar","リヤル"],
+10713:["x"],
+10714:["n","a cockroach; a European freshwater fish","ゴキブリ、ローチ（魚）"],
+10715:["n","ways for cars (plural of road)","道路","All roads lead to Rome."],
+10716:["v","wanders (third person of roam)","歩き回る"],
+10717:["n","horses with mixed coats; soft sheepskin leathers (plural of roan)","葦毛の馬、羊革（複数）"],
+10718:["v","makes a deep loud sound (third person of roar)","ほえる"],
+10719:["v","to cook in an oven","焼く、ローストする","Roast the chicken."],
+10720:["adj","dressed in a robe","ローブをまとった"],
+10721:["x"],
+10722:["n","long loose garments (plural of robe)","ローブ（複数）"],
+10723:["n","a small bird with a red or orange breast","コマドリ","A robin sang in the garden."],
+10724:["n","a California white oak; a tropical American tree","カリフォルニアホワイトオーク"],
+10725:["n","a machine that does tasks automatically","ロボット","A cleaning robot."],
+10726:["n","the English oak","ヨーロッパナラ"],
+10727:["n","a family name; rock (French)","ロシュ（姓）","Roche is a drug company."],
+10728:["n","stones (plural of rock)","岩（複数）"],
+10729:["adj","full of rocks","岩の多い","We climbed a rocky path."],
+10730:["x"],
+10731:["n","a show of cowboy skills","ロデオ"],
+10732:["n","the gadwall (dialect)","オカヨシガモ（方言）"],
+10733:["x"],
+10734:["n","a given name","ロジャー（人名）","Roger plays tennis."],
+10735:["n","a dishonest or mischievous person","ならず者","A lovable rogue."],
+10736:["adj","roguish (obsolete)","いたずらな（廃語）"],
+10737:["x"],
+10738:["n","a thickened fruit juice (rob)","濃縮果汁"],
+10739:["x"],
+10740:["v","stirs up; agitates (third person of roil)","かき乱す"],
+10741:["adj","turbid; agitated","濁った、荒れた"],
+10742:["v","to roister; to bluster (obsolete)","浮かれ騒ぐ（廃語）"],
+10743:["n","a Malaysian fruit and vegetable salad","ロジャック（マレーシアのサラダ）"],
+10744:["n","parched ground corn mixed with sugar (dialect)","炒ったトウモロコシ粉（方言）"],
+10745:["n","a ray or skate (dialect)","エイ（方言）"],
+10746:["x"],
+10747:["n","a log-rolling contest","丸太乗り競技"],
+10748:["n","parts played; functions (plural of role)","役割（複数）"],
+10749:["n","small loaves of bread; things rolled up (plural of roll)","ロールパン、巻いたもの","Warm rolls with butter."],
+10750:["n","a silk or cotton handkerchief; a rein extension used as a whip","絹のハンカチ、手綱の鞭"],
+10751:["adj","of ancient Rome","ローマの","They saw a Roman bath."],
+10752:["n","a romantic lover (from Romeo and Juliet)","ロミオ、色男","Romeo and Juliet."],
+10753:["n","a phonetic notation based on Roman letters","ローミック（音声表記）"],
+10754:["v","plays boisterously (third person of romp)","はしゃぎ回る"],
+10755:["adj","broken, of a heraldic ordinary","途切れた（紋章）"],
+10756:["x"],
+10757:["n","a grunting fish, a croaker","イサキの類"],
+10758:["n","a round upright style of handwriting","ロンド体（書体）"],
+10759:["n","a musical form with a recurring main theme","ロンド"],
+10760:["n","a masterless samurai","浪人"],
+10761:["n","crucifixes; old units of land area (plural of rood)","十字架、ルード（複数）"],
+10762:["x"],
+10763:["n","tops of buildings (plural of roof)","屋根（複数）"],
+10764:["n","a sedative pill used illicitly (slang)","ロヒプノール（俗）"],
+10765:["n","crows; castles in chess (plural of rook)","ミヤマガラス、ルーク（複数）"],
+10766:["adj","full of rooks; misty (obsolete)","ミヤマガラスの多い、霧深い（廃語）"],
+10767:["n","parts of a building with walls (plural of room)","部屋","The house has six rooms."],
+10768:["adj","spacious","広々とした"],
+10769:["n","an aromatic Indian grass (rusa)","パルマローザ"],
+10770:["v","to praise (Scottish)","ほめる（スコットランド）"],
+10771:["n","a place where birds rest","ねぐら"],
+10772:["x"],
+10773:["n","parts of a plant under the ground; origins (plural of root)","根、ルーツ","The tree has deep roots."],
+10774:["adj","full of roots","根の多い"],
+10775:["v","to rivet (dialect)","鋲で留める（方言）"],
+10776:["v","tied with rope (past of rope)","綱で縛った"],
+10777:["n","a person who makes or handles ropes","綱作り職人"],
+10778:["n","thick cords (plural of rope)","ロープ（複数）"],
+10779:["adj","poor in quality (British informal); like rope","粗悪な（英略式）、縄状の"],
+10780:["n","a form of croquet played on a hard court","ロック（クロッケーの一種）"],
+10781:["adj","dewy (rare)","露の（まれ）"],
+10782:["adj","dewy","露の"],
+10783:["adj","dewy (rare)","露にぬれた（まれ）"],
+10784:["adj","lively; rowdy (British slang)","にぎやかな（英俗）"],
+10785:["x"],
+10786:["adj","made rosy","ばら色にした"],
+10787:["x"],
+10788:["n","flowers of the rose plant (plural of rose)","バラ（複数）"],
+10789:["n","a red colour used by painters","ロゼット（赤色顔料）"],
+10790:["n","a Zen teacher","老師"],
+10791:["n","resin rubbed on violin bows","ロジン、松やに"],
+10792:["adj","relating to wheels (rare)","車輪の（まれ）"],
+10793:["n","rattan","籐"],
+10794:["n","lists of duties in turn (plural of rota)","当番表（複数）"],
+10795:["n","the little auk (rotche)","ヒメウミスズメ"],
+10796:["x"],
+10797:["n","mechanical repetitions (plural of rote)","機械的反復（複数）"],
+10798:["n","the little auk","ヒメウミスズメ"],
+10799:["n","Middle Eastern units of weight (plural of rotl)","ラトル（複数）"],
+10800:["n","the spinning part of a machine or helicopter","ローター、回転翼","The helicopter's rotor."],
+10801:["n","rotogravure sections of newspapers (plural of roto)","グラビア印刷（複数）"],
+10802:["n","a medieval stringed instrument (rote)","ロッタ（古楽器）"],
+10803:["n","a medieval stringed instrument (rote)","ロッテ（古楽器）"],
+10804:["n","a breed of domestic duck","ルーアン種のアヒル"],
+10805:["n","debauched men (plural of roue)","放蕩者（複数）"],
+10806:["n","red makeup for the cheeks; a red color","紅、ほお紅","She put on a little rouge."],
+10807:["adj","not smooth; not exact","粗い、おおよその","The road is rough."],
+10808:["x"],
+10809:["x"],
+10810:["adj","shaped like a circle or ball","丸い","A round table."],
+10811:["n","auctions (Scottish); poultry diseases (plural of roup)","競売（スコットランド）、家禽の鼻炎（複数）"],
+10812:["adj","hoarse (Scottish)","しわがれ声の（スコットランド）"],
+10813:["v","to wake up; to stir up","起こす、奮起させる","Rouse the crowd."],
+10814:["v","to rouse; to drive out roughly","たたき起こす、追い出す"],
+10815:["n","a way from one place to another","道筋、ルート","Take the shortest route."],
+10816:["n","plenty (Scottish)","豊富（スコットランド）"],
+10817:["n","decisive defeats (plural of rout)","大敗（複数）"],
+10818:["v","wandered (past of rove)","さまよった"],
+10819:["x"],
+10820:["n","a wanderer; a vehicle for exploring","放浪者、探査車"],
+10821:["v","wanders (third person of rove)","さまよう"],
+10822:["x"],
+10823:["n","the mountain ash tree","ナナカマド"],
+10824:["adj","noisy and disorderly","騒々しい"],
+10825:["v","propelled a boat with oars (past of row)","漕いだ"],
+10826:["n","a spiked wheel on a spur","拍車の歯車"],
+10827:["n","a second crop of hay","二番刈りの干し草"],
+10828:["n","a person who rows","漕ぎ手"],
+10829:["x"],
+10830:["v","to roar; to bellow (obsolete)","ほえる（廃語）"],
+10831:["n","plenty (Scottish, routh)","豊富（スコットランド）"],
+10832:["x"],
+10833:["adj","of a king or queen","王室の","The royal family."],
+10834:["x"],
+10835:["x"],
+10836:["x"],
+10837:["n","spirit; breath (Hebrew)","霊、息（ヘブライ語）"],
+10838:["n","a woollen poncho of Colombia","ルアナ（ポンチョ）"],
+10839:["n","a drunk who drinks rubbing alcohol (Canadian slang)","酔いどれ（カナダ俗）"],
+10840:["n","naive country people (plural of rube)","田舎者（複数）"],
+10841:["n","a family name","ルービン（姓）","Dr. Rubin is a dentist."],
+10842:["n","the currency unit of Russia","ルーブル"],
+10843:["n","redness of the skin, a sign of inflammation","発赤"],
+10844:["n","the genus of brambles","キイチゴ属"],
+10845:["n","a frill or pleat of fabric","ひだ飾り"],
+10846:["n","loose scrums in rugby; creases (plural of ruck)","ラック、しわ（複数）"],
+10847:["x"],
+10848:["n","a coarse old woman (Scottish)","がさつな老女（スコットランド）"],
+10849:["n","European freshwater fish (plural of rudd)","ラッド（複数）"],
+10850:["adj","reddish and healthy-looking","血色のよい"],
+10851:["adj","more impolite (comparative of rude)","より失礼な"],
+10852:["x"],
+10853:["x"],
+10854:["n","people who regret (plural of ruer)","後悔する人（複数）"],
+10855:["n","a small European freshwater perch","ラッフ（魚）"],
+10856:["n","pleated collars (plural of ruff)","ひだ襟（複数）"],
+10857:["n","a given name","ルーファス（人名）","Rufus is a red dog."],
+10858:["n","folds or ridges of tissue (plural of ruga)","ひだ（複数）"],
+10859:["x"],
+10860:["n","a ball game played with an oval ball","ラグビー","He plays rugby."],
+10861:["adj","rugged; rough (obsolete)","ごつごつした（廃語）"],
+10862:["v","regretting (present participle of rue)","後悔している"],
+10863:["n","remains of destroyed buildings (plural of ruin)","廃墟（複数）"],
+10864:["v","governed; drew straight lines (past of rule)","統治した","The king ruled for years."],
+10865:["n","a strip for measuring; a leader of a country","定規、統治者","Draw a line with a ruler."],
+10866:["n","instructions about what is allowed (plural of rule)","規則","Follow the rules."],
+10867:["n","a handkerchief or head cloth (India)","ルーマール（ハンカチ）"],
+10868:["n","a Cuban dance","ルンバ"],
+10869:["n","a punch made with rum (obsolete)","ラム酒のパンチ（廃語）"],
+10870:["n","the first stomach of a ruminant","第一胃"],
+10871:["n","the genus of docks and sorrels","ギシギシ属"],
+10872:["x"],
+10873:["n","a card game; a drunkard (slang)","ラミー、酔っぱらい（俗）"],
+10874:["n","a story that may not be true","うわさ","Don't spread rumors."],
+10875:["n","hind parts of animals (plural of rump)","尻（複数）"],
+10876:["n","a tailless Manx cat","尾のないマンクス猫"],
+10877:["x"],
+10878:["n","the wild radish","セイヨウノダイコン"],
+10879:["adj","inscribed with runes","ルーン文字を刻んだ"],
+10880:["n","a bard of the ancient Norse","古代北欧の吟遊詩人"],
+10881:["n","letters of an ancient Germanic alphabet (plural of rune)","ルーン文字（複数）"],
+10882:["n","steps of a ladder (plural of rung)","はしごの段（複数）"],
+10883:["adj","relating to runes","ルーン文字の"],
+10884:["adj","more liquid than normal","水っぽい、鼻水の出る"],
+10885:["x"],
+10886:["n","the smallest animals of litters (plural of runt)","発育不良の子（複数）"],
+10887:["adj","small and weak","ちびの"],
+10888:["n","the currency unit of India and Pakistan","ルピー"],
+10889:["n","a skin eruption with crusted blisters","カキ殻疹"],
+10890:["x"],
+10891:["adj","of the countryside","田舎の","She grew up in a rural area."],
+10892:["n","tricks (plural of ruse)","策略（複数）"],
+10893:["adj","full of rushes","イグサの多い"],
+10894:["n","hard dry biscuits (plural of rusk)","ラスク（複数）"],
+10895:["x"],
+10896:["n","a depilatory paste used in Turkey","ルスマ（脱毛剤）"],
+10897:["x"],
+10898:["adj","Russian, as in charlotte russe","ロシア風の"],
+10899:["v","becomes rusty (third person of rust)","さびる"],
+10900:["adj","covered with rust; out of practice","さびた、なまった","My French is rusty."],
+10901:["x"],
+10902:["n","feelings of pity (plural of ruth)","哀れみ（複数）"],
+10903:["adj","relating to rue","ヘンルーダの"],
+10904:["n","a flavonoid found in rue and buckwheat","ルチン"],
+10905:["adj","full of ruts","わだちの多い"],
+10906:["x"],
+10907:["x"],
+10908:["n","a dressed stone at the side of a window or door (Scottish)","戸口の化粧石（スコットランド）"],
+10909:["n","an old Dutch gold coin; a rider clause (obsolete)","ライダー金貨（廃語）"],
+10910:["x"],
+10911:["x"],
+10912:["n","iron bars supporting upper millstones (plural of rynd)","石臼の受け金（複数）"],
+10913:["n","Indian peasant farmers (plural of ryot)","農民（インド、複数）"],
+10914:["x"],
+10915:["x"],
+10916:["n","a curved cavalry sword; a fencing sword","サーベル"],
+10917:["x"],
+10918:["n","a unit of sound absorption","セービン"],
+10919:["n","a former lingua franca of Mediterranean ports","サビール語"],
+10920:["n","a small animal with dark fur; black (in poetry)","クロテン、黒","The coat is trimmed with sable."],
+10921:["x"],
+10922:["n","a wooden shoe","木靴"],
+10923:["n","a native-born Israeli","サブラ（イスラエル生まれの人）"],
+10924:["n","a curved cavalry sword; a fencing sword","サーベル"],
+10925:["n","a cooked vegetable dish of South Asia","サブジ（野菜料理）"],
+10926:["n","large bags (plural of sack)","袋（複数）"],
+10927:["n","triangular bones at the base of the spine (plural of sacrum)","仙骨（複数）"],
+10928:["n","a saker falcon","セーカーハヤブサ"],
+10929:["x"],
+10930:["x"],
+10931:["n","letters of the Hebrew alphabet (plural of sade)","ツァディ（複数）"],
+10932:["n","a letter of the Hebrew alphabet","ツァディ"],
+10933:["n","a Hindu holy man","サドゥー（苦行者）"],
+10934:["adj","sadistic","サディスティックな"],
+10935:["x"],
+10936:["adv","in a sad way; unfortunately","悲しげに、残念ながら","Sadly, he died."],
+10937:["n","an Andalusian religious song","サエタ（聖歌）"],
+10938:["n","the second month of the Islamic calendar","サファル月"],
+10939:["v","to make safe","安全にする"],
+10940:["adj","more safe (comparative of safe)","より安全な","It's safer here."],
+10941:["n","strongboxes (plural of safe)","金庫（複数）"],
+10942:["x"],
+10943:["n","long stories of heroic deeds (plural of saga)","サガ（複数）"],
+10944:["adj","wiser (comparative of sage)","より賢い"],
+10945:["n","wise people; herbs (plural of sage)","賢人、セージ（複数）"],
+10946:["adj","sagging","たるんだ"],
+10947:["n","starches from palm pith (plural of sago)","サゴ（複数）"],
+10948:["n","the military cloak of Roman soldiers","サグム（ローマ兵の外套）"],
+10949:["n","sir; master (used in colonial India)","旦那（インド）"],
+10950:["x"],
+10951:["x"],
+10952:["x"],
+10953:["n","an antelope of the Central Asian steppes","サイガ"],
+10954:["n","cloths that catch wind (plural of sail)","帆（複数）"],
+10955:["adj","like a sail (rare)","帆のような（まれ）"],
+10956:["x"],
+10957:["v","blesses; makes the sign of the cross (Scottish, third person of sain)","祝福する（スコットランド）"],
+10958:["n","a very holy or good person","聖人","She has the patience of a saint."],
+10959:["adj","sorry; poor (Scottish)","哀れな（スコットランド）"],
+10960:["v","says (old form)","言う（古語）","Thus saith the Lord."],
+10961:["n","a worshipper of Shiva","シヴァ派の信者"],
+10962:["n","a capuchin monkey","オマキザル"],
+10963:["x"],
+10964:["n","a large falcon; an old small cannon","セーカーハヤブサ、小型の大砲"],
+10965:["n","purposes; rice wines (plural of sake)","ため、日本酒（複数）"],
+10966:["n","South American monkeys with long bushy tails (plural of saki)","サキ（サル、複数）"],
+10967:["n","divine female energy in Hinduism (shakti)","シャクティ"],
+10968:["n","a dish of mixed raw vegetables","サラダ","I'll have a green salad."],
+10969:["n","an evergreen shrub of the Pacific coast with edible berries","サラール"],
+10970:["x"],
+10971:["n","the ritual prayer of Islam, performed five times daily","サラート（礼拝）"],
+10972:["x"],
+10973:["n","a city in Massachusetts, USA","セーラム","The Salem witch trials."],
+10974:["n","a starchy flour from orchid tubers, used for drinks","サレップ"],
+10975:["n","the selling of goods (plural of sale)","売上、セール","Sales rose last month."],
+10976:["n","a light medieval helmet (sallet)","サレット（兜）"],
+10977:["adj","relating to the Salian Franks, as in Salic law","サリカの"],
+10978:["n","the genus of willows","ヤナギ属"],
+10979:["n","a hall or room (French)","広間（フランス語）","The salle of the castle."],
+10980:["n","a given name; a sudden rush out; a witty remark","サリー（人名）、出撃","Sally bakes pies."],
+10981:["x"],
+10982:["n","a ragout of game birds","サルミ（野鳥の煮込み）"],
+10983:["n","phenyl salicylate, used as an antiseptic","サロール"],
+10984:["n","a shop for hair or beauty treatments; a reception room","美容院、サロン","A hair salon."],
+10985:["n","a genus of free-swimming tunicates","サルパ属"],
+10986:["n","free-swimming marine tunicates (plural of salp)","サルパ（複数）"],
+10987:["n","a spicy tomato sauce; a Latin dance","サルサ","Chips and salsa."],
+10988:["n","a mud volcano","泥火山"],
+10989:["x"],
+10990:["n","chemical compounds; seasonings (plural of salt)","塩類（複数）"],
+10991:["adj","containing or tasting of salt","塩辛い"],
+10992:["interj","a Spanish toast, to your health","乾杯（スペイン語）"],
+10993:["v","to salute (obsolete)","挨拶する（廃語）"],
+10994:["x"],
+10995:["n","an ointment that soothes","軟膏"],
+10996:["n","a simultaneous discharge of guns","一斉射撃"],
+10997:["x"],
+10998:["n","a religious society in India, as in Brahmo Samaj","サマージ（宗教団体）"],
+10999:["n","the rain tree, a tropical American tree","アメリカネム"],
+11000:["n","a Brazilian dance","サンバ"],
+11001:["n","a black person (offensive, dated)","黒人への蔑称（古い）"],
+11002:["n","a letter of the Hebrew alphabet (samekh)","サメフ"],
+11003:["adj","underburnt, of bricks","焼きの甘い（れんが）"],
+11004:["x"],
+11005:["x"],
+11006:["n","an island country in the Pacific","サモア","Samoa is in Polynesia."],
+11007:["n","an obsolete Greek letter used as a numeral for 900","サンピ"],
+11008:["n","coarsely ground maize dishes (plural of samp)","ひき割りトウモロコシ（複数）"],
+11009:["x"],
+11010:["x"],
+11011:["n","areas of sand (plural of sand)","砂浜、砂","The sands of time."],
+11012:["adj","covered with sand; pale yellowish brown","砂の、砂色の","A sandy beach."],
+11013:["x"],
+11014:["adj","more sensible (comparative of sane)","より正気の"],
+11015:["x"],
+11016:["n","an African breed of humped cattle with long horns","サンガ牛"],
+11017:["n","an association or union in India","サング（団体）"],
+11018:["n","an African breed of humped cattle (sanga)","サンガ牛"],
+11019:["x"],
+11020:["x"],
+11021:["x"],
+11022:["n","Santa Claus","サンタクロース","Santa brings presents."],
+11023:["x"],
+11024:["n","sappanwood, an Asian dyewood","スオウ"],
+11025:["n","a small Chinese coin (sapeque)","サペーク（硬貨）"],
+11026:["adj","having a strong pleasant taste","風味のある"],
+11027:["x"],
+11028:["x"],
+11029:["x"],
+11030:["n","flavour; taste","風味"],
+11031:["adj","full of sap; overly sentimental","樹液の多い、感傷的な"],
+11032:["n","a money changer in the Middle East","両替商"],
+11033:["n","a given name","サラ（人名）","Sarah is a doctor."],
+11034:["n","a plastic used to make clinging food wrap","サラン"],
+11035:["n","reddish varieties of chalcedony (plural of sard)","紅玉髄（複数）"],
+11036:["n","a long draped garment worn by South Asian women (sari)","サリー"],
+11037:["n","a sergeant (informal)","軍曹（略式）"],
+11038:["n","a sea bream","サルゴ（タイの類）"],
+11039:["x"],
+11040:["n","a highly toxic nerve gas","サリン"],
+11041:["x"],
+11042:["n","long draped garments worn by South Asian women (plural of sari)","サリー（複数）"],
+11043:["n","shirts (Scottish, plural of sark)","シャツ（スコットランド、複数）"],
+11044:["adj","sarcastic (British informal)","皮肉な（英略式）"],
+11045:["x"],
+11046:["n","a lute-like instrument of North India","サロード"],
+11047:["n","a metallophone of the Javanese gamelan","サロン（ガムランの楽器）"],
+11048:["n","an eclipse cycle of about eighteen years","サロス周期"],
+11049:["n","a large toadfish of the Gulf of Mexico","ガマアンコウの一種"],
+11050:["x"],
+11051:["n","sarsaparilla","サルサパリラ"],
+11052:["n","the medieval liturgy of Salisbury, as in Sarum rite","サラム式典礼"],
+11053:["n","a large grey crane of southern Asia","オオヅル"],
+11054:["x"],
+11055:["n","the blackbuck antelope","ブラックバック"],
+11056:["n","a sluice or lock on a river (obsolete)","水門（廃語）"],
+11057:["adj","lively and cheeky","生意気な"],
+11058:["x"],
+11059:["n","the Devil","サタン、悪魔","Satan tempted him."],
+11060:["v","satisfied fully (past of sate)","満足させた"],
+11061:["adj","relating to Indo-European languages that changed k sounds to s","サテム語派の"],
+11062:["v","satisfies fully (third person of sate)","満足させる"],
+11063:["n","a smooth shiny cloth","サテン","A satin dress."],
+11064:["adv","enough (Latin)","十分（ラテン語）"],
+11065:["n","a woodland god, part man and part goat","サテュロス"],
+11066:["n","a leaf-cutting ant of South America","ハキリアリ"],
+11067:["n","a liquid served with food to add flavor","ソース","Pour the sauce over the pasta."],
+11068:["n","a willow (Scottish, saugh)","ヤナギ（スコットランド）"],
+11069:["adj","cheeky; slightly rude in a playful way","生意気な、きわどい"],
+11070:["adj","of Saudi Arabia","サウジアラビアの","Saudi oil."],
+11071:["n","a willow (Scottish)","ヤナギ（スコットランド）"],
+11072:["x"],
+11073:["n","souls (Scottish, plural of saul)","魂（スコットランド、複数）"],
+11074:["n","a waterfall or rapid","滝、早瀬"],
+11075:["n","a room for hot steam or dry heat bathing","サウナ"],
+11076:["n","a saint (Scottish)","聖人（スコットランド）"],
+11077:["n","a long slender fish with beak-like jaws","サンマ"],
+11078:["v","to fry quickly in a little fat","ソテーする"],
+11079:["x"],
+11080:["x"],
+11081:["v","rescued; kept for later (past of save)","救った、貯めた","He saved the child."],
+11082:["n","a person who saves money","貯蓄する人"],
+11083:["v","rescues; keeps money (third person of save)","救う、貯める"],
+11084:["v","to understand (slang, savvy)","わかる（俗）"],
+11085:["n","a Eurasian juniper shrub","サビナ（ビャクシン）"],
+11086:["v","to enjoy the taste of (savour)","味わう"],
+11087:["n","a kind of cabbage; a region of France and Italy","サボイキャベツ、サヴォワ","Savoy cabbage."],
+11088:["adj","shrewd and knowledgeable (informal)","物わかりのよい（略式）"],
+11089:["n","a flooded rice field in Indonesia","水田（インドネシア）"],
+11090:["v","cut with a saw (past of saw)","のこぎりで切った"],
+11091:["n","a person who saws","木挽き"],
+11092:["n","a fool (dated slang)","まぬけ（古い俗語）"],
+11093:["n","saxophones (plural of sax)","サックス（複数）"],
+11094:["n","a member of a Germanic people that settled England","サクソン人","The Anglo-Saxons."],
+11095:["x"],
+11096:["n","a person who says something","言う人"],
+11097:["n","a descendant of the Prophet Muhammad (sayyid)","サイイド"],
+11098:["v","sayest (archaic)","言う（古語）"],
+11099:["x"],
+11100:["n","crusts over wounds; strikebreakers (plural of scab)","かさぶた、スト破り（複数）"],
+11101:["n","large amounts (informal)","たくさん（略式）"],
+11102:["n","food (Scottish)","食べ物（スコットランド）"],
+11103:["n","heroin (slang)","ヘロイン（俗）"],
+11104:["n","a spiral canal of the cochlea","階（蝸牛）"],
+11105:["v","to burn with hot liquid","やけどさせる"],
+11106:["n","a device for weighing; a set of levels; a small plate on a fish","はかり、規模、うろこ","Weigh the flour on a scale."],
+11107:["x"],
+11108:["n","a scabby disease of the scalp","頭皮の皮膚病"],
+11109:["n","the skin on the top of the head","頭皮","Massage your scalp."],
+11110:["x"],
+11111:["x"],
+11112:["adj","covered with scales","うろこのある"],
+11113:["x"],
+11114:["n","a mischievous person","いたずらっ子"],
+11115:["n","fraudulent schemes (plural of scam)","詐欺（複数）"],
+11116:["n","images made by a scanner (plural of scan)","スキャン","Brain scans."],
+11117:["adj","barely enough","乏しい","Scant attention."],
+11118:["n","a leafless flower stalk rising from the ground","花茎"],
+11119:["v","to frighten","怖がらせる","Don't scare me."],
+11120:["n","a cloth worn around the neck","スカーフ、マフラー","A wool scarf."],
+11121:["n","dung (dialect)","糞（方言）"],
+11122:["n","a steep slope","急斜面"],
+11123:["n","marks left by healed wounds (plural of scar)","傷跡（複数）"],
+11124:["v","to scratch (Scottish)","引っかく（スコットランド）"],
+11125:["adj","frightening","怖い"],
+11126:["x"],
+11127:["n","animal droppings; jazz vocal improvisations (plural of scat)","糞、スキャット（複数）"],
+11128:["n","tribute; tax (rare)","貢ぎ物（まれ）"],
+11129:["x"],
+11130:["x"],
+11131:["n","a diving duck with a bluish bill","スズガモ"],
+11132:["n","a steep rocky cliff (scar)","断崖"],
+11133:["x"],
+11134:["x"],
+11135:["x"],
+11136:["n","a small Anglo-Saxon silver coin","シャット（アングロサクソンの銀貨）"],
+11137:["x"],
+11138:["n","a dramatic scene in an opera","シェーナ（歌劇の場面）"],
+11139:["v","to heave upward on a wave","波で持ち上がる"],
+11140:["n","a place where something happens; part of a play","場面、現場","The police arrived at the scene."],
+11141:["n","a pleasant smell","香り","The scent of roses."],
+11142:["n","a cold soup made from sorrel (schav)","スイバのスープ"],
+11143:["n","a schizophrenic person (offensive slang)","統合失調症者への蔑称（俗）"],
+11144:["n","a foolish or boring person (Yiddish slang)","まぬけ（イディッシュの俗語）"],
+11145:["x"],
+11146:["n","a synagogue (shul)","シナゴーグ"],
+11147:["n","the neutral vowel sound, as in the first a of about","シュワー（あいまい母音）"],
+11148:["x"],
+11149:["x"],
+11150:["n","a descendant of a notable family; a shoot for grafting","御曹司、接ぎ穂"],
+11151:["n","a slate (Scottish)","スレート（スコットランド）"],
+11152:["x"],
+11153:["x"],
+11154:["x"],
+11155:["x"],
+11156:["n","raspings of ivory or metal; dross","削りくず、かす"],
+11157:["v","to mock; to eat greedily","あざける、がつがつ食べる"],
+11158:["n","the pokeweed","ヨウシュヤマゴボウ"],
+11159:["x"],
+11160:["v","to speak angrily to someone for doing wrong","叱る"],
+11161:["n","a buffoon; a jeer (obsolete)","道化者、あざけり（廃語）"],
+11162:["n","a small plain cake often eaten with cream and jam","スコーン","Tea and scones."],
+11163:["x"],
+11164:["n","a deep spoon; an exclusive news story","スコップ、スクープ"],
+11165:["v","to move quickly","さっと走る"],
+11166:["n","a brush of hairs on a bee's leg; an Italian card game","花粉ブラシ、スコパ（トランプ）"],
+11167:["n","the range of what something covers","範囲","That is beyond the scope of this book."],
+11168:["n","Anglo-Saxon poets (plural of scop)","古英語の詩人（複数）"],
+11169:["n","the number of points in a game","得点","What's the score?"],
+11170:["n","a feeling that someone is worthless","軽蔑","Full of scorn."],
+11171:["x"],
+11172:["adj","Scottish","スコットランドの","Scots pine."],
+11173:["n","a given name or family name","スコット（人名）","Scott reached the South Pole."],
+11174:["x"],
+11175:["x"],
+11176:["v","to clean by rubbing hard; to search thoroughly","磨く、探し回る"],
+11177:["n","a person sent to get information; a member of the Scouts","偵察兵、スカウト","A talent scout."],
+11178:["x"],
+11179:["x"],
+11180:["v","to frown angrily","しかめっ面をする"],
+11181:["n","flat-bottomed boats (plural of scow)","平底船（複数）"],
+11182:["x"],
+11183:["x"],
+11184:["n","a thin bony person or animal; the bony neck of mutton","やせこけた人、羊の首肉"],
+11185:["v","to go away quickly (informal)","さっさと立ち去る（略式）"],
+11186:["n","food (British slang)","食べ物（英俗）"],
+11187:["n","a small piece; waste material","切れ端、くず","A scrap of paper."],
+11188:["v","to scratch (obsolete)","引っかく（廃語）"],
+11189:["n","a turf (obsolete)","芝土（廃語）"],
+11190:["n","a tern (dialect)","アジサシ（方言）"],
+11191:["n","loose stones on a mountainside","がれ場"],
+11192:["n","a metal pin with a spiral groove","ねじ","Tighten the screw."],
+11193:["n","a light open fabric used in theatres","スクリム（紗幕）"],
+11194:["x"],
+11195:["n","a certificate entitling the holder to something; a small bag","仮証券、小袋"],
+11196:["n","a writing or document (obsolete)","文書（廃語）"],
+11197:["x"],
+11198:["n","a young cod prepared for cooking","タラの子"],
+11199:["n","a stunted bush (Scottish)","低木（スコットランド）"],
+11200:["x"],
+11201:["n","a scroll; clippings from hides (obsolete)","巻物、革くず（廃語）"],
+11202:["v","to rub hard to clean","ごしごし洗う","Scrub the floor."],
+11203:["x"],
+11204:["n","a formation of rugby forwards pushing against each other","スクラム"],
+11205:["n","apparatus for breathing underwater","スキューバ"],
+11206:["n","old Italian coins (plural of scudo)","スクード銀貨（複数）"],
+11207:["n","an old Italian silver coin","スクード銀貨"],
+11208:["v","moves fast before the wind (third person of scud)","疾走する"],
+11209:["v","to mark by scraping; to drag the feet","すり減らす、足を引きずる"],
+11210:["n","the nape of the neck (dialect)","うなじ（方言）"],
+11211:["v","to skulk","こそこそ隠れる"],
+11212:["n","an oar; a light racing boat","オール、スカル"],
+11213:["v","to carve; to sculpture (humorous)","彫る（おどけて）"],
+11214:["x"],
+11215:["n","layers of dirt on liquid (plural of scum)","浮きかす（複数）"],
+11216:["n","porgies of the Atlantic coast (plural of scup)","スカップ（タイの類、複数）"],
+11217:["n","flakes of dead skin","ふけ、あか"],
+11218:["v","to excuse (informal)","許す（略式）"],
+11219:["n","bony plates (plural of scutum)","甲板、鱗板（複数）"],
+11220:["n","a bony or horny plate on an animal","鱗板、甲板"],
+11221:["n","short tails of rabbits or deer (plural of scut)","短い尾（複数）"],
+11222:["x"],
+11223:["n","marine mammals; stamps for closing (plural of seal)","アザラシ、印章（複数）"],
+11224:["x"],
+11225:["n","lines where fabric is sewn; layers of coal (plural of seam)","縫い目、鉱層（複数）"],
+11226:["adj","sordid; disreputable","いかがわしい"],
+11227:["v","burns the surface of (third person of sear)","焦がす"],
+11228:["x"],
+11229:["n","things to sit on (plural of seat)","座席","Take your seats."],
+11230:["n","a rush (dialect)","イグサ（方言）"],
+11231:["adj","overgrown with rushes (dialect)","イグサの茂った（方言）"],
+11232:["n","the eleventh month of the Hebrew calendar (Shevat)","シェバト月"],
+11233:["n","oily matter secreted by skin glands","皮脂"],
+11234:["n","painting on dry plaster","セッコ（乾式壁画）"],
+11235:["x"],
+11236:["x"],
+11237:["adj","secret; discreet (obsolete)","秘密の（廃語）"],
+11238:["n","religious groups (plural of sect)","宗派（複数）"],
+11239:["x"],
+11240:["n","a car with a closed body; a sedan chair","セダン、かご"],
+11241:["n","a Jewish ceremonial meal at Passover","セデル"],
+11242:["n","a grass-like plant of wet ground","スゲ"],
+11243:["adj","covered with sedge","スゲの茂った"],
+11244:["n","a succulent plant, stonecrop","セダム、マンネングサ"],
+11245:["x"],
+11246:["n","small parts of plants that grow into new plants (plural of seed)","種","Plant the seeds in spring."],
+11247:["adj","shabby and disreputable; full of seeds","みすぼらしい、種の多い"],
+11248:["x"],
+11249:["v","tries to find (third person of seek)","探す"],
+11250:["v","sews shut the eyes of a falcon (third person of seel)","鷹の目を縫う"],
+11251:["adj","happy; innocent (obsolete)","幸せな、無邪気な（廃語）"],
+11252:["v","appears to be (third person of seem)","～のようだ"],
+11253:["v","oozes slowly (third person of seep)","しみ出る"],
+11254:["adj","oozy; poorly drained","じめじめした"],
+11255:["n","prophets (plural of seer)","予言者（複数）"],
+11256:["n","a cigar (obsolete)","葉巻（廃語）"],
+11257:["x"],
+11258:["n","signs marking repeats in music (plural of segno)","セーニョ（複数）"],
+11259:["n","a sign marking the start or end of a repeat in music","セーニョ"],
+11260:["n","a Hebrew vowel point","セゴル（ヘブライ語の母音記号）"],
+11261:["n","lilies of the western US (plural of sego)","セゴユリ（複数）"],
+11262:["x"],
+11263:["v","to move smoothly from one thing to another","途切れずに移る"],
+11264:["x"],
+11265:["n","the river that flows through Paris; a fishing net","セーヌ川、引き網","A boat on the Seine."],
+11266:["v","to put in legal possession of property","占有させる"],
+11267:["n","an earthquake","地震"],
+11268:["n","selfhood (rare)","自己性（まれ）"],
+11269:["v","to take hold of suddenly","つかむ、押収する","Seize the day."],
+11270:["n","a sacred enclosure in an ancient Greek temple","セコス（聖域）"],
+11271:["interj","a word of uncertain meaning found in the Psalms","セラ（詩篇の語）"],
+11272:["x"],
+11273:["n","a saddle-shaped hollow, as in sella turcica","トルコ鞍"],
+11274:["n","a saddle (obsolete)","鞍（廃語）"],
+11275:["v","exchanges for money (third person of sell)","売る"],
+11276:["x"],
+11277:["n","a dense tropical rainforest","セルバ（熱帯雨林）"],
+11278:["adj","strewn with small charges (heraldry, seme)","散らし模様の（紋章）"],
+11279:["x"],
+11280:["n","the fluid containing sperm","精液","Semen carries sperm."],
+11281:["n","units of meaning (plural of seme)","意義素（複数）"],
+11282:["x"],
+11283:["x"],
+11284:["n","semifinals; semi-trailer trucks (plural of semi)","準決勝、トレーラー（複数）"],
+11285:["x"],
+11286:["x"],
+11287:["n","since (dialect)","～以来（方言）"],
+11288:["v","causes to go (third person of send)","送る"],
+11289:["n","an old man as a stock character","老人（典型的役柄）"],
+11290:["n","an elephant shrew","ハネジネズミ"],
+11291:["n","braided cordage (sennit)","組み紐"],
+11292:["n","a plant whose dried leaves are a laxative","センナ"],
+11293:["n","a Spanish title for a man","セニョール"],
+11294:["n","sense data (plural of sensum)","感覚与件（複数）"],
+11295:["n","one of sight, hearing, taste, smell or touch; good judgment","感覚、分別","Dogs have a good sense of smell."],
+11296:["x"],
+11297:["adv","in the sense of, as in sensu stricto (Latin)","～の意味で（ラテン語）"],
+11298:["n","former Estonian coins (plural of sent)","センティ（複数）"],
+11299:["x"],
+11300:["n","mustard seed (obsolete)","カラシの種（廃語）"],
+11301:["prep","without (music)","～なしで（音楽）"],
+11302:["n","a Spanish title for a married woman (senora)","セニョーラ"],
+11303:["n","the capital of South Korea","ソウル","Seoul is a busy city."],
+11304:["x"],
+11305:["n","one of the green leaf-like parts around a flower","がく片"],
+11306:["n","a reddish-brown color, as in old photos","セピア色","The old photo was sepia."],
+11307:["adj","done in sepia","セピアの"],
+11308:["n","an Indian soldier in British service","セポイ"],
+11309:["n","a washer on a Japanese sword guard","切羽（刀の部品）"],
+11310:["n","dividing walls (plural of septum)","隔壁（複数）"],
+11311:["n","clans (plural of sept)","氏族（複数）"],
+11312:["x"],
+11313:["x"],
+11314:["x"],
+11315:["x"],
+11316:["n","a pinnacle of ice on a glacier","セラック（氷塔）"],
+11317:["n","a caravanserai","隊商宿"],
+11318:["adj","relating to an ecological sere","遷移系列の"],
+11319:["x"],
+11320:["x"],
+11321:["v","withered; dried (past of sere)","しおれた"],
+11322:["n","lemongrass","レモングラス"],
+11323:["n","a West African people of Senegal; their language","セレール人、セレール語"],
+11324:["n","series of ecological communities (plural of sere)","遷移系列（複数）"],
+11325:["n","labourers bound to the land (plural of serf)","農奴（複数）"],
+11326:["n","a durable twilled woollen fabric","サージ"],
+11327:["x"],
+11328:["x"],
+11329:["n","a small line at the end of a stroke in a letter","セリフ（字の飾り）"],
+11330:["n","a small European finch","セリン（アトリ科の小鳥）"],
+11331:["x"],
+11332:["x"],
+11333:["n","a bale or package covered with hide (ceroon)","皮包み"],
+11334:["n","a goat-antelope of Asian mountains","カモシカ"],
+11335:["n","a sawlike edge (rare)","のこぎり歯状の縁（まれ）"],
+11336:["v","to press close together","密集させる"],
+11337:["x"],
+11338:["n","the clear liquid part of blood; a medicine","血清、美容液","The doctor gave him a serum."],
+11339:["x"],
+11340:["v","to give food; to work for","出す、仕える","Dinner is served."],
+11341:["n","a servomechanism","サーボ機構"],
+11342:["x"],
+11343:["interj","hurry; run (obsolete)","急げ（廃語）"],
+11344:["x"],
+11345:["n","bristles on an animal or plant (plural of seta)","剛毛","Worms move using setae."],
+11346:["adj","relating to setae","剛毛の"],
+11347:["n","a thread passed under the skin to keep a wound open","串線法"],
+11348:["n","the way something is arranged","構成、設定","A home office setup."],
+11349:["n","a ditch (Scottish, sheugh)","溝（スコットランド）"],
+11350:["n","the number 7","7","There are seven days in a week."],
+11351:["v","to cut off","切断する"],
+11352:["x"],
+11353:["n","shell beads used as money (seawan)","貝玉"],
+11354:["x"],
+11355:["v","stitched (past of sew)","縫った"],
+11356:["n","a Welsh sea trout","降海型マス（ウェールズ）"],
+11357:["n","an underground pipe for waste water","下水管","Rats in the sewer."],
+11358:["n","a Welsh sea trout","降海型マス（ウェールズ）"],
+11359:["adj","having a specified sex drive or sex","性別のある"],
+11360:["n","groups of male and female (plural of sex)","性別（複数）"],
+11361:["adj","relating to sex (rare)","性の（まれ）"],
+11362:["n","a book with sheets folded into six leaves","六折判"],
+11363:["n","prayers of the sixth hour (plural of sext)","六時課（複数）"],
+11364:["interj","an oath, by God's foot (archaic)","ちくしょう（古語）"],
+11365:["x"],
+11366:["n","a crude small hut","掘っ立て小屋"],
+11367:["n","an area out of the sun; a tone of a color","日陰、色合い","Sit in the shade."],
+11368:["x"],
+11369:["n","herring-like fish (plural of shad)","シャッド（複数）"],
+11370:["adj","in the shade; suspicious","日陰の、いかがわしい","A shady deal."],
+11371:["n","a long narrow passage; a long pole","縦穴、軸","The mine shaft is deep."],
+11372:["n","cormorants; coarse tobacco (plural of shag)","ヨーロッパヒメウ、粗刻みタバコ（複数）"],
+11373:["x"],
+11374:["n","former kings of Iran (plural of shah)","シャー（複数）"],
+11375:["v","to move quickly up and down","振る","Shake the bottle."],
+11376:["n","a tall military cap with a plume","シャコー帽"],
+11377:["n","a Japanese unit of length, about 30 cm","尺"],
+11378:["adj","trembling; unsteady","震える、不安定な"],
+11379:["n","soft rock that splits into layers","頁岩","Shale gas."],
+11380:["v","will (used with I and we); used to offer","〜しましょうか","Shall we dance?"],
+11381:["v","shall (old form, with thou)","〜すべし（古語）","Thou shalt not steal."],
+11382:["adj","like shale","頁岩状の"],
+11383:["n","an Asian songbird of the thrush family","アカハラシキチョウ"],
+11384:["n","a painful feeling of having done wrong","恥","What a shame!"],
+11385:["n","fakes; pillow covers (plural of sham)","見せかけ、枕カバー（複数）"],
+11386:["n","the leg between knee and ankle; a shaft","すね、柄","Lamb shank."],
+11387:["x"],
+11388:["n","the outer form of something","形","The cake is in the shape of a heart."],
+11389:["n","leather leggings worn by cowboys (chaps)","チャップス"],
+11390:["x"],
+11391:["n","a broken piece of pottery or glass","破片"],
+11392:["v","to use or have with others","分け合う","Share your toys."],
+11393:["n","a large sea fish with sharp teeth","サメ","A shark swam near the boat."],
+11394:["n","cow dung (dialect)","牛糞（方言）"],
+11395:["adj","having a thin cutting edge","鋭い","The knife is sharp."],
+11396:["x"],
+11397:["x"],
+11398:["v","to cut hair off with a razor","剃る"],
+11399:["n","a piece of cloth worn over the shoulders","ショール"],
+11400:["n","a medieval oboe","ショーム"],
+11401:["x"],
+11402:["n","small woods; potato stalks (plural of shaw)","木立、ジャガイモの茎（複数）"],
+11403:["x"],
+11404:["n","light carriages (plural of shay)","軽馬車（複数）"],
+11405:["n","a bundle of grain stalks or papers","束"],
+11406:["n","a shepherd's hut (Scottish)","羊飼いの小屋（スコットランド）"],
+11407:["v","to cut the wool off a sheep","刈る","The farmer shears the sheep."],
+11408:["n","African trees whose nuts yield butter (plural of shea)","シアの木（複数）"],
+11409:["x"],
+11410:["n","small huts (plural of shed)","物置小屋（複数）"],
+11411:["n","a winged bull guardian in Assyrian art","シェドゥ（有翼牡牛像）"],
+11412:["v","to shell peas (dialect)","さやをむく（方言）"],
+11413:["n","a soft shine on a surface","光沢"],
+11414:["n","a farm animal kept for wool","羊","The sheep are in the field."],
+11415:["adj","complete; very steep; very thin","まったくの、切り立った、透けるほど薄い","Sheer luck."],
+11416:["n","a thin flat piece of paper; a bed cover","一枚、シーツ","Change the sheets."],
+11417:["n","an Arab leader","族長"],
+11418:["x"],
+11419:["adj","variegated; piebald (dialect)","まだらの（方言）"],
+11420:["n","a flat board for putting things on","棚","Put the book on the shelf."],
+11421:["n","the hard outer covering of an egg, nut or sea animal","殻、貝殻","She found a shell on the beach."],
+11422:["n","a Jewish prayer declaring the oneness of God","シェマ"],
+11423:["v","to disgrace; to harm (archaic)","辱める、傷つける（古語）"],
+11424:["n","a Chinese mouth organ","笙"],
+11425:["v","disgraced; harmed (archaic, past of shend)","辱めた（古語）"],
+11426:["n","the abode of the dead in Hebrew scripture","シェオル（冥界）"],
+11427:["n","a fragment of pottery","土器の破片"],
+11428:["n","the part of a plough that holds the share","犂柱"],
+11429:["n","a Hebrew vowel point (schwa)","シェワー"],
+11430:["n","a Hebrew vowel point (schwa)","シェワー"],
+11431:["v","shown (old spelling)","示された（古い綴り）","As shewn above."],
+11432:["v","shows (archaic, third person of shew)","見せる（古語）"],
+11433:["n","the Shia branch of Islam; a Shiite","シーア派"],
+11434:["n","a judo contest","試合"],
+11435:["x"],
+11436:["adj","drunk (Australian slang)","酔った（オーストラリア俗）"],
+11437:["n","a thin board; a splinter (dialect)","薄板、木片（方言）"],
+11438:["v","moved back suddenly in fear (past of shy)","しりごみした"],
+11439:["n","a shepherd's hut (Scottish)","羊飼いの小屋（スコットランド）"],
+11440:["adj","more shy (comparative of shy)","より内気な"],
+11441:["v","starts suddenly in fear (third person of shy)","しりごみする"],
+11442:["n","a change; a period of work","変化、交代勤務","He works the night shift."],
+11443:["x"],
+11444:["n","straw (obsolete)","わら（廃語）"],
+11445:["n","an accomplice posing as an enthusiastic customer","さくら"],
+11446:["adv","shyly","恥ずかしそうに"],
+11447:["n","thin wedges used to fill gaps (plural of shim)","詰め木、シム（複数）"],
+11448:["v","to give off light","輝く","The sun shines."],
+11449:["n","fronts of the lower legs (plural of shin)","すね（複数）"],
+11450:["adj","bright and reflecting light","ぴかぴかの","Shiny shoes."],
+11451:["n","large seagoing vessels (plural of ship)","船（複数）"],
+11452:["v","shipped (archaic)","船で送った（古語）"],
+11453:["n","a county in Britain","州（英国）","The shire is quiet."],
+11454:["v","to avoid a duty","怠ける"],
+11455:["adj","shrill (dialect)","甲高い（方言）"],
+11456:["v","to gather cloth with parallel threads; to bake eggs","シャーリングする、卵を焼く"],
+11457:["n","a piece of clothing for the upper body","シャツ","He ironed his shirt."],
+11458:["n","grilled meat on skewers, as in shish kebab","シシカバブ"],
+11459:["x"],
+11460:["n","schist","片岩"],
+11461:["x"],
+11462:["n","excrement; nasty people (vulgar, plural of shit)","糞、くそ野郎（卑語、複数）"],
+11463:["n","a seven-day period of Jewish mourning; a Hindu god","シヴァー（服喪）、シヴァ神"],
+11464:["n","a slice; a flat cork; a splinter","一切れ、平栓、木片"],
+11465:["n","makeshift knives (slang, plural of shiv)","ナイフ（俗、複数）"],
+11466:["x"],
+11467:["v","to carry or drag something heavy (informal)","引きずって運ぶ（略式）"],
+11468:["n","fragments of ore carried away from a vein","漂礫鉱"],
+11469:["n","a large group of fish; a shallow place","魚群、浅瀬","A shoal of fish."],
+11470:["n","a young pig","子豚"],
+11471:["n","a sudden upsetting surprise","衝撃","The news was a shock."],
+11472:["n","the parting of the hair (obsolete)","髪の分け目（廃語）"],
+11473:["v","fitted with shoes (past of shoe)","蹄鉄を打った"],
+11474:["n","a person who shoes horses","装蹄師"],
+11475:["n","coverings for the feet (plural of shoe)","靴","Take off your shoes."],
+11476:["n","Japanese chess","将棋"],
+11477:["v","jogs; shakes (third person of shog)","揺れる"],
+11478:["n","a Japanese paper screen","障子"],
+11479:["n","an Indian plant whose pith is used for hats (sola)","ショラ（合歓木の類）"],
+11480:["n","a plank put under a heavy object to protect it","敷板"],
+11481:["v","gave off light (past of shine)","輝いた","The sun shone."],
+11482:["x"],
+11483:["n","the Arctic skua (dialect)","クロトウゾクカモメ（方言）"],
+11484:["v","moved quickly back and forth (past of shake)","振った、揺れた","The ground shook."],
+11485:["v","to saunter; to beg (dialect)","ぶらつく、たかる（方言）"],
+11486:["n","shoes (archaic plural)","靴（古語、複数）"],
+11487:["v","shaped (obsolete past of shape)","形作った（廃語）"],
+11488:["x"],
+11489:["v","drives away (third person of shoo)","追い払う"],
+11490:["v","to fire a gun; to kick at the goal","撃つ、シュートする","Don't shoot!"],
+11491:["x"],
+11492:["n","stores (plural of shop)","店（複数）"],
+11493:["n","the land along the edge of a sea or lake","岸","We walked along the shore."],
+11494:["n","black tourmaline (schorl)","鉄電気石"],
+11495:["adj","having had the hair or wool cut off","刈り取られた"],
+11496:["adj","not long; not tall","短い、背の低い","He has short hair."],
+11497:["n","a young pig","子豚"],
+11498:["n","firings of a gun; attempts; photos (plural of shot)","発砲、写真","Two shots were fired."],
+11499:["n","a shallow salt lake of North Africa (chott)","ショット（塩湖）"],
+11500:["v","to say very loudly","叫ぶ","Don't shout at me."],
+11501:["v","to push roughly","押しのける"],
+11502:["x"],
+11503:["v","displayed (past participle of show)","示された","The film was shown on TV."],
+11504:["n","performances; exhibitions (plural of show)","ショー（複数）"],
+11505:["adj","striking and bright; ostentatious","派手な"],
+11506:["x"],
+11507:["n","soy sauce","醤油"],
+11508:["x"],
+11509:["x"],
+11510:["n","a lopped twig (obsolete)","切り枝（廃語）"],
+11511:["v","to benumb with cold (dialect)","凍えさせる（方言）"],
+11512:["n","a place baited to attract birds (obsolete)","餌場（廃語）"],
+11513:["n","a thin strip torn off; a tiny amount","切れ端、わずか"],
+11514:["n","an honorific title in India (shri)","シュリー（敬称）"],
+11515:["n","a small mouse-like mammal; a bad-tempered woman","トガリネズミ、口やかましい女"],
+11516:["x"],
+11517:["n","honorific titles in India (plural of shri)","シュリー（複数）"],
+11518:["x"],
+11519:["n","a small bush","低木","Plant a shrub."],
+11520:["v","to raise the shoulders to show doubt or indifference","肩をすくめる"],
+11521:["n","a Russian fur coat","シューバ（毛皮外套）"],
+11522:["n","a husk or shell","殻、さや"],
+11523:["x"],
+11524:["n","synagogues (plural of shul)","シナゴーグ（複数）"],
+11525:["n","synagogues (plural of shul)","シナゴーグ（複数）"],
+11526:["x"],
+11527:["v","avoids deliberately (third person of shun)","避ける"],
+11528:["v","to move to a side track; to push aside","わきへ移す","The train was shunted."],
+11529:["x"],
+11530:["x"],
+11531:["v","to tell to be quiet","シーッと黙らせる"],
+11532:["n","a chute","シュート（落とし樋）"],
+11533:["v","closes (third person of shut)","閉める"],
+11534:["adj","more shy (comparative of shy)","より内気な"],
+11535:["adv","in a shy way","恥ずかしそうに"],
+11536:["n","an African driver ant","サスライアリ"],
+11537:["n","upper layers of the earth's crust (plural of sial)","シアル（複数）"],
+11538:["x"],
+11539:["x"],
+11540:["n","a prophetess of ancient times","巫女、予言者"],
+11541:["n","a newly coined rupee (India)","シッカ・ルピー"],
+11542:["n","a strong drink; cider (obsolete)","強い酒（廃語）"],
+11543:["n","sixes at dice (plural of sice)","6の目（複数）"],
+11544:["n","sight (Scottish)","視覚（スコットランド）"],
+11545:["v","urges a dog to attack (third person of sic)","けしかける"],
+11546:["n","a shekel (obsolete)","シェケル（廃語）"],
+11547:["adj","having sides (as in one-sided)","〜の側面を持つ","A one-sided game."],
+11548:["n","a person who takes a side","味方する人"],
+11549:["n","edges or surfaces; teams (plural of side)","側面、側","Choose sides."],
+11550:["n","the fairy folk of Irish mythology","シー（アイルランドの妖精）"],
+11551:["x"],
+11552:["v","to move sideways or furtively","横歩きする、にじり寄る"],
+11553:["x"],
+11554:["n","surrounding a place to force it to surrender","包囲","The siege lasted months."],
+11555:["x"],
+11556:["x"],
+11557:["n","an old French title of respect","殿（フランス語の敬称）"],
+11558:["n","a tool with a mesh for straining","ふるい","Pour it through a sieve."],
+11559:["x"],
+11560:["n","a white sifaka lemur","シファカ"],
+11561:["v","passes through a sieve (third person of sift)","ふるいにかける"],
+11562:["v","breathes out audibly (third person of sigh)","ため息をつく"],
+11563:["n","the ability to see; something seen","視力、光景","What a beautiful sight!"],
+11564:["n","a seal or magical symbol","印章、魔術記号"],
+11565:["n","abbreviations used in manuscripts","略記号"],
+11566:["n","the Greek letter Σ or σ","シグマ","Sigma means sum."],
+11567:["x"],
+11568:["n","indications; notices (plural of sign)","しるし、標識（複数）"],
+11569:["x"],
+11570:["adj","sure; certain (dialect)","確かな（方言）"],
+11571:["n","small streams (plural of sike)","小川（複数）"],
+11572:["x"],
+11573:["n","followers of Sikhism (plural of Sikh)","シク教徒（複数）"],
+11574:["x"],
+11575:["n","young herrings canned as sardines (plural of sild)","ニシンの幼魚（複数）"],
+11576:["n","a woodland deity, companion of Dionysus","シレノス（森の神）"],
+11577:["n","silica; heat-resistant glass","珪石、耐熱ガラス"],
+11578:["n","fabrics made of silk; jockeys' clothes (plural of silk)","絹物、騎手の勝負服（複数）"],
+11579:["adj","smooth and soft like silk","絹のような"],
+11580:["n","ledges at the base of windows (plural of sill)","窓台（複数）"],
+11581:["adj","foolish","ばかげた","Don't be silly."],
+11582:["n","tall storage towers (plural of silo)","サイロ（複数）"],
+11583:["v","fills with silt (third person of silt)","沈泥でふさがる"],
+11584:["adj","full of fine mud","沈泥の多い","Silty soil."],
+11585:["n","a family name; woodland (Latin)","シルバ（姓）","Ms. Silva is from Brazil."],
+11586:["n","a radical derived from silane","シリル基"],
+11587:["n","the silk cotton tree","インドワタノキ"],
+11588:["n","a woman's long robe","シマー（女性用長衣）"],
+11589:["n","lower layers of the earth's crust (plural of sima)","シマ（複数）"],
+11590:["n","a lion (Swahili)","ライオン（スワヒリ語）"],
+11591:["n","an old genus of apes","サル属（旧分類）"],
+11592:["n","a given name","サイモン（人名）","Simon says, touch your nose."],
+11593:["n","foolish people (informal, plural of simp)","まぬけ（略式、複数）"],
+11594:["n","a simultaneous chess exhibition","同時対局"],
+11595:["adj","relating to a sinus","洞の"],
+11596:["prep","from a past time until now","〜以来","I've lived here since 2010."],
+11597:["n","trigonometric functions (plural of sine)","正弦（複数）"],
+11598:["n","a tendon","腱"],
+11599:["v","to burn slightly","焦がす"],
+11600:["n","a common Sikh family name","シン（姓）","Mr. Singh owns the shop."],
+11601:["v","makes music with the voice (third person of sing)","歌う"],
+11602:["n","hyperbolic sines (plural of sinh)","双曲線正弦（複数）"],
+11603:["n","basins with taps (plural of sink)","流し（複数）"],
+11604:["x"],
+11605:["x"],
+11606:["n","a hollow space in the bones of the face","副鼻腔","A sinus infection."],
+11607:["n","a Native American people","スー族","The Sioux nation."],
+11608:["v","seeped (dialect, past of sipe)","しみ出た（方言）"],
+11609:["x"],
+11610:["v","seeps (dialect, third person of sipe)","しみ出る（方言）"],
+11611:["adj","having a flavour (obsolete)","風味のある（廃語）"],
+11612:["adj","for sipping, as in sippy cup","ちびちび飲む用の"],
+11613:["v","fathered, of an animal (past of sire)","父となった（動物）"],
+11614:["n","sir, used for emphasis (informal)","絶対に（略式の強調）"],
+11615:["n","a loud warning device; a dangerous temptress","サイレン、妖婦"],
+11616:["n","male parents of animals (plural of sire)","種馬、父獣（複数）"],
+11617:["n","a genus of wood wasps","キバチ属"],
+11618:["n","betel (Malay)","キンマ（マレー語）"],
+11619:["n","a large Asian tree of the pea family","ビルマネム"],
+11620:["x"],
+11621:["x"],
+11622:["n","a sirocco (poetic)","シロッコ（詩語）"],
+11623:["x"],
+11624:["x"],
+11625:["n","sirrah, a contemptuous form of address (archaic)","おい、こら（古語）"],
+11626:["n","syrup","シロップ"],
+11627:["n","a plant fibre used for rope","サイザル麻"],
+11628:["n","the souslik, a ground squirrel","スースリク"],
+11629:["x"],
+11630:["n","an Indian rosewood tree","シッソノキ"],
+11631:["n","a timid or effeminate person (derogatory)","弱虫、女々しい男（軽蔑的）"],
+11632:["x"],
+11633:["n","a long-necked Indian lute","シタール"],
+11634:["x"],
+11635:["v","placed in a location (past of site)","配置した"],
+11636:["n","locations; websites (plural of site)","場所、サイト（複数）"],
+11637:["n","a scythe; a time (obsolete)","大鎌、回（廃語）"],
+11638:["x"],
+11639:["n","an exercise raising the upper body from a lying position","腹筋運動"],
+11640:["n","the position or site of something","位置"],
+11641:["n","water parsnips (plural of sium)","ムカゴニンジン属（複数）"],
+11642:["n","the third month of the Jewish religious year","シワン月"],
+11643:["v","to simmer (obsolete)","煮る（廃語）"],
+11644:["n","a hit for six runs in cricket; a leader of six Cub Scouts","6点打、組長"],
+11645:["n","the numbers six (plural of six)","6（複数）"],
+11646:["n","a book size with sheets folded in six","六折判"],
+11647:["n","the sixth parry in fencing","第六の構え（フェンシング）"],
+11648:["adj","next after fifth","6 番目の","It's his sixth birthday."],
+11649:["n","the number 60","60","There are sixty minutes in an hour."],
+11650:["x"],
+11651:["n","a student at Cambridge or Dublin given an allowance","給費生"],
+11652:["adj","having a particular size","〜の大きさの","A medium-sized dog."],
+11653:["n","a device that sorts items by size","選別機"],
+11654:["n","dimensions (plural of size)","大きさ（複数）"],
+11655:["x"],
+11656:["n","heroin (slang)","ヘロイン（俗）"],
+11657:["v","to scatter (Scottish)","散らす（スコットランド）"],
+11658:["x"],
+11659:["n","an ancient Scandinavian poet","スカルド詩人"],
+11660:["n","a cormorant; a shag (dialect)","ウ（方言）"],
+11661:["v","to glide on skates","スケートをする"],
+11662:["n","a three-handed German card game","スカート（トランプ）"],
+11663:["n","a dagger of the Scottish Highlanders","短剣"],
+11664:["x"],
+11665:["n","a skid (obsolete)","すべり材（廃語）"],
+11666:["x"],
+11667:["n","a shallow wooden milk tub (dialect)","牛乳桶（方言）"],
+11668:["x"],
+11669:["v","to scare (dialect)","怖がらせる（方言）"],
+11670:["n","skis (obsolete spelling, plural of skee)","スキー（古い綴り、複数）"],
+11671:["n","the sport of shooting clay targets","クレー射撃"],
+11672:["n","braces at the rear of a keel supporting the rudder (plural of skeg)","スケグ（複数）"],
+11673:["x"],
+11674:["n","a loosely coiled length of yarn; a flock of geese in flight","かせ（糸）、雁の群れ"],
+11675:["n","a splinter (Scottish)","とげ（スコットランド）"],
+11676:["n","a homeless person; a derelict (slang)","浮浪者（俗）"],
+11677:["v","to strike or slap (Scottish)","ひっぱたく（スコットランド）"],
+11678:["x"],
+11679:["n","a Scottish dagger (skean)","短剣"],
+11680:["n","wicker baskets or beehives (plural of skep)","編みかご、わらの巣箱（複数）"],
+11681:["x"],
+11682:["x"],
+11683:["n","a small settlement of Orthodox monks","スキート（修道院の小集落）"],
+11684:["x"],
+11685:["v","turns or places at an angle (third person of skew)","傾ける、ゆがめる"],
+11686:["x"],
+11687:["x"],
+11688:["v","slides without control (third person of skid)","スリップする"],
+11689:["v","travelled on skis (past of ski)","スキーをした"],
+11690:["n","a person who skis","スキーヤー"],
+11691:["n","the sky (plural)","空","Clear skies."],
+11692:["adj","like the sky (skyey)","空のような"],
+11693:["n","a small light boat","小舟"],
+11694:["x"],
+11695:["x"],
+11696:["n","the ability to do something well","技術、技能","Typing is a useful skill."],
+11697:["x"],
+11698:["x"],
+11699:["v","to use or provide too little of something","けちる"],
+11700:["v","removes from the surface; reads quickly (third person of skim)","すくい取る、ざっと読む"],
+11701:["n","a smooth-scaled lizard with short legs","トカゲ（スキンク）"],
+11702:["n","outer coverings of bodies (plural of skin)","皮膚（複数）"],
+11703:["adj","having no money (British informal)","文無しの（英略式）"],
+11704:["v","jumps lightly; leaves out (third person of skip)","跳ねる、飛ばす"],
+11705:["n","the shrill sound of bagpipes","バグパイプの甲高い音"],
+11706:["x"],
+11707:["v","to move rapidly; to scour (archaic)","疾走する（古語）"],
+11708:["n","a piece of clothing that hangs from the waist","スカート","A long skirt."],
+11709:["v","to boast (Australian informal)","自慢する（豪略式）"],
+11710:["n","short comic sketches (plural of skit)","寸劇（複数）"],
+11711:["v","to shave off a thin layer; to avoid work (British informal)","薄く削る、サボる（英略式）"],
+11712:["x"],
+11713:["x"],
+11714:["interj","a toast meaning \"to your health\"","乾杯"],
+11715:["x"],
+11716:["n","a guillemot","ウミガラス"],
+11717:["n","large predatory seabirds (plural of skua)","トウゾクカモメ（複数）"],
+11718:["v","to hide or move in a sneaky way","こそこそする"],
+11719:["n","the bone that forms the head","頭蓋骨","The skull protects the brain."],
+11720:["x"],
+11721:["n","a black and white animal that sprays a bad smell","スカンク","The skunk sprayed the dog."],
+11722:["x"],
+11723:["v","hit high into the air (past of sky)","高く打ち上げた"],
+11724:["adj","like the sky; in the sky","空のような"],
+11725:["x"],
+11726:["x"],
+11727:["n","thick flat pieces (plural of slab)","厚板（複数）"],
+11728:["adj","loose; not busy","緩い、不景気な","A slack rope."],
+11729:["n","a little valley or dell (obsolete)","小谷（廃語）"],
+11730:["n","waste left after smelting (plural of slag)","鉱滓（複数）"],
+11731:["v","killed (past participle of slay)","殺された","The dragon was slain."],
+11732:["x"],
+11733:["v","to quench thirst; to combine lime with water","渇きをいやす、消和する"],
+11734:["x"],
+11735:["x"],
+11736:["v","shuts violently (third person of slam)","バタンと閉める"],
+11737:["n","a turf-cutting spade (Irish)","泥炭用の鋤（アイルランド）"],
+11738:["n","very informal words and expressions","俗語"],
+11739:["v","slunk (archaic past of slink)","こそこそ去った（古語）"],
+11740:["n","a slope; a particular point of view","傾斜、偏り"],
+11741:["adj","slippery; crafty (dialect)","つるつるした、ずるい（方言）"],
+11742:["v","hits with an open hand (third person of slap)","平手で打つ"],
+11743:["x"],
+11744:["x"],
+11745:["v","to cut with a long sweeping stroke; to reduce sharply","切りつける、大幅に削る"],
+11746:["x"],
+11747:["n","a dark gray rock that splits into thin layers; a blue-gray color","粘板岩、スレート色","The roof is made of slate."],
+11748:["x"],
+11749:["n","thin narrow strips of wood or metal (plural of slat)","細長い板（複数）"],
+11750:["adj","like slate in colour or texture","スレート状の"],
+11751:["x"],
+11752:["n","a person owned by another and forced to work","奴隷","The slaves were finally freed."],
+11753:["n","members of Slavic-speaking peoples (plural of Slav)","スラブ人（複数）"],
+11754:["n","coleslaw salads (plural of slaw)","コールスロー（複数）"],
+11755:["v","kills violently (third person of slay)","殺す"],
+11756:["x"],
+11757:["n","vehicles on runners for snow (plural of sled)","そり（複数）"],
+11758:["adj","smooth and glossy; elegantly streamlined","なめらかな、洗練された"],
+11759:["v","to rest with the eyes closed","眠る","I sleep eight hours a night."],
+11760:["n","a slayer (obsolete)","殺害者（廃語）"],
+11761:["n","a mix of rain and snow","みぞれ","Sleet fell all afternoon."],
+11762:["n","a slant (obsolete)","傾斜（廃語）"],
+11763:["v","rested asleep (past of sleep)","眠った","I slept well."],
+11764:["x"],
+11765:["n","large numbers or amounts (informal)","多数、多量（略式）"],
+11766:["n","weavers' reeds (plural of sley)","おさ（複数）"],
+11767:["n","a thin flat piece cut from something","薄切り","A slice of bread."],
+11768:["n","crushed ore ready for smelting (schlich)","粉鉱"],
+11769:["adj","smooth and slippery; clever","滑らかな、巧妙な","A slick road."],
+11770:["v","to move smoothly over a surface","滑る","Kids slide down the hill."],
+11771:["adj","more sly (comparative of sly)","よりずるい"],
+11772:["adv","slyly","ずるく"],
+11773:["n","thick slippery liquid","ぬめり、粘液"],
+11774:["v","loses weight (third person of slim)","痩せる"],
+11775:["adj","covered with slime; unpleasantly flattering","ぬるぬるした、いやらしい"],
+11776:["x"],
+11777:["n","a strap for supporting an arm; a weapon for throwing stones","吊り包帯、投石器"],
+11778:["v","to move quietly and secretly","こそこそ動く"],
+11779:["n","a sledge runner; wool removed from a slaughtered sheep with lime","そりの滑走部、石灰剥ぎの羊毛"],
+11780:["v","slides by accident (third person of slip)","滑る"],
+11781:["v","slipped (archaic)","滑った（古語）"],
+11782:["x"],
+11783:["n","a cut (colloquial)","切り傷（口語）"],
+11784:["x"],
+11785:["n","long narrow cuts or openings (plural of slit)","細長い切れ目（複数）"],
+11786:["v","to slip or sneak; to split (dialect)","こっそり行く、裂く（方言）"],
+11787:["x"],
+11788:["n","a slat, as on a cart","横木"],
+11789:["n","lazy untidy people (plural of slob)","だらしない人（複数）"],
+11790:["v","to quench (Scottish)","消す、いやす（スコットランド）"],
+11791:["n","small sour blackthorn fruits (plural of sloe)","スロー（リンボクの実、複数）"],
+11792:["v","works hard and steadily (third person of slog)","こつこつ働く"],
+11793:["n","a Swedish system of manual training in woodwork (sloyd)","スロイド（木工教育）"],
+11794:["n","sloyd","スロイド（木工教育）"],
+11795:["n","a Sanskrit verse couplet (shloka)","シュローカ（サンスクリット詩節）"],
+11796:["n","an edible seaweed (laver)","アマノリ"],
+11797:["x"],
+11798:["x"],
+11799:["n","slumber (dialect)","まどろみ（方言）"],
+11800:["n","a single-masted sailing boat","スループ帆船"],
+11801:["x"],
+11802:["n","a surface that goes up or down","坂、斜面","Ski down the slope."],
+11803:["n","waste liquid food; cheap clothing (plural of slop)","残飯、安物の衣類（複数）"],
+11804:["adj","sloping","傾斜した"],
+11805:["x"],
+11806:["v","to splash about in liquid","バシャバシャはねる"],
+11807:["x"],
+11808:["n","a slow animal that hangs in trees; laziness","ナマケモノ、怠惰","The sloth hung from a branch."],
+11809:["n","narrow openings; allotted times (plural of slot)","差し込み口、枠（複数）"],
+11810:["x"],
+11811:["n","milk sickness, a disease from eating white snakeroot","乳毒症"],
+11812:["n","a Swedish system of manual training in woodwork","スロイド（木工教育）"],
+11813:["n","lumps in yarn (plural of slub)","糸のむら（複数）"],
+11814:["v","turned sharply (past of slue)","ぐるりと回した"],
+11815:["x"],
+11816:["v","turns sharply (third person of slue)","ぐるりと回す"],
+11817:["v","to slough; to cast off","脱ぎ捨てる"],
+11818:["n","slimy shell-less snails (plural of slug)","ナメクジ（複数）"],
+11819:["x"],
+11820:["n","a deep gully formed by heavy rain (South African)","雨裂（南アフリカ）"],
+11821:["v","to fall suddenly; to sit heavily","急落する、どさりと座る"],
+11822:["n","poor overcrowded urban areas (plural of slum)","スラム（複数）"],
+11823:["v","threw or hung (past of sling)","投げた、吊るした"],
+11824:["v","moved furtively (past of slink)","こそこそ動いた"],
+11825:["n","an ugly, poorly planned suburb","無秩序な郊外"],
+11826:["v","to eat or drink noisily","音を立てて飲む"],
+11827:["n","insulting remarks (plural of slur)","中傷（複数）"],
+11828:["n","partly melted snow","半解けの雪"],
+11829:["n","promiscuous or slovenly women (derogatory, plural of slut)","ふしだらな女（侮蔑的、複数）"],
+11830:["adj","more sly (comparative of sly)","よりずるい"],
+11831:["adv","in a sly way","ずるく"],
+11832:["n","a covered passage between a cathedral transept and chapter house","回廊通路"],
+11833:["v","to hit with an open hand","ピシャリと打つ"],
+11834:["n","a rascal (Scottish)","ろくでなし（スコットランド）"],
+11835:["adj","little in size","小さい","A small dog."],
+11836:["x"],
+11837:["n","a deep blue glass pigment made with cobalt","花紺青"],
+11838:["n","excessive, oily flattery","お世辞たらたら"],
+11839:["adj","clever; neatly dressed","賢い、きちんとした","She is a smart student."],
+11840:["v","to break violently into pieces","粉々に砕く"],
+11841:["n","a mixture of smoke and haze","煙霧"],
+11842:["v","to spread something greasy; to damage a reputation","塗りつける、中傷する"],
+11843:["x"],
+11844:["x"],
+11845:["n","what the nose senses","におい","What's that smell?"],
+11846:["v","to extract metal by heating ore","製錬する"],
+11847:["v","to smirk (obsolete)","にやにやする（廃語）"],
+11848:["x"],
+11849:["n","small diving ducks (plural of smew)","ミコアイサ（複数）"],
+11850:["x"],
+11851:["n","a fuse for firing a charge","導火線"],
+11852:["v","to make a happy face","ほほえむ","Smile for the camera!"],
+11853:["x"],
+11854:["v","to smile in a smug or silly way","にやにや笑う"],
+11855:["v","to strike hard (literary)","強く打つ（文語）"],
+11856:["n","a person who works with metal; a common family name","鍛冶屋、スミス（姓）","The smith made horseshoes."],
+11857:["n","a loose protective overgarment","スモック"],
+11858:["n","polluted foggy air (plural of smog)","スモッグ（複数）"],
+11859:["n","the gray cloud that rises from a fire","煙","Smoke filled the room."],
+11860:["n","a short break from work (Australian informal)","休憩（豪略式）"],
+11861:["adj","full of smoke; tasting of smoke","煙たい、スモーキーな","A smoky room."],
+11862:["n","a young salmon going to sea for the first time","スモルト（降海期の若いサケ）"],
+11863:["x"],
+11864:["x"],
+11865:["v","to smother (obsolete)","窒息させる（廃語）"],
+11866:["v","struck (past of smite)","打った"],
+11867:["n","a pedlar (South African)","行商人（南アフリカ）"],
+11868:["x"],
+11869:["x"],
+11870:["x"],
+11871:["x"],
+11872:["v","to crush or squash (informal)","押しつぶす（略式）"],
+11873:["n","flakes of soot; plant diseases (plural of smut)","すす、黒穂病（複数）"],
+11874:["x"],
+11875:["n","a small amount of food between meals","軽食、おやつ","An afternoon snack."],
+11876:["x"],
+11877:["n","a chaotic, confused situation (informal)","大混乱（略式）"],
+11878:["n","unexpected problems (plural of snag)","思わぬ障害（複数）"],
+11879:["n","a slow animal with a spiral shell","カタツムリ","A snail crossed the path."],
+11880:["n","a long legless reptile","ヘビ","The snake hid in the grass."],
+11881:["adj","like a snake; winding","ヘビのような、曲がりくねった"],
+11882:["v","to bevel the end of a timber","木材の端を斜めに削る"],
+11883:["v","breaks sharply; speaks sharply (third person of snap)","ポキッと折る、かみつくように言う"],
+11884:["x"],
+11885:["n","a trap; a drum with wires across it","わな、スネアドラム"],
+11886:["n","sarcastic criticism (informal)","嫌味（略式）"],
+11887:["v","to growl with bared teeth; to tangle","歯をむいてうなる、もつれる"],
+11888:["adj","like a snare; entangling","わなのような"],
+11889:["x"],
+11890:["n","the burnt wick of a candle (obsolete)","燃えさし（廃語）"],
+11891:["n","the handle of a scythe","大鎌の柄"],
+11892:["n","snows (Scottish, plural of snaw)","雪（スコットランド、複数）"],
+11893:["n","the handle of a scythe (snath)","大鎌の柄"],
+11894:["v","to move quietly and secretly","こっそり動く"],
+11895:["v","to rebuke; to nip with cold (obsolete)","叱る、凍えさせる（廃語）"],
+11896:["n","a latch (Scottish)","掛け金（スコットランド）"],
+11897:["v","lops branches (third person of sned)","枝を払う"],
+11898:["v","to smile or speak with contempt","あざ笑う"],
+11899:["adj","quick; sharp; keen (Scottish)","すばやい、鋭い（スコットランド）"],
+11900:["x"],
+11901:["v","rebukes; fastens with a bolt (third person of snib)","叱る、掛け金をかける"],
+11902:["n","a small cut; a slight edge off the bat in cricket","小さな切り込み、かすり当たり"],
+11903:["adj","sneering and slyly insulting","嫌味な"],
+11904:["n","upward curves of a ship's planking (plural of sny)","船板の反り（複数）"],
+11905:["v","to breathe in quickly through the nose","くんくん嗅ぐ"],
+11906:["v","to sniff; to snort (obsolete)","嗅ぐ、鼻を鳴らす（廃語）"],
+11907:["n","small eels (dialect, plural of snig)","小ウナギ（方言、複数）"],
+11908:["n","a long-billed wading bird","シギ"],
+11909:["n","hand shears for cutting sheet metal","金切りばさみ"],
+11910:["adj","like a snipe; having a long pointed nose","シギのような"],
+11911:["x"],
+11912:["n","a suppressed laugh (Scottish)","忍び笑い（スコットランド）"],
+11913:["n","a snipe (Scottish)","シギ（スコットランド）"],
+11914:["n","fits of irritation (plural of snit)","不機嫌（複数）"],
+11915:["x"],
+11916:["x"],
+11917:["n","people who look down on others (plural of snob)","気取り屋（複数）"],
+11918:["x"],
+11919:["n","a long thin edible fish of southern seas","スノーク（クロタチカマス）"],
+11920:["x"],
+11921:["v","to sniff about (dialect)","嗅ぎ回る（方言）"],
+11922:["n","a hairnet or ornamental bag for the hair","ヘアネット"],
+11923:["n","a large tropical game fish; a rude gesture of the thumb to the nose","アカメの類、あかんべえ"],
+11924:["v","to cringe or submit (Scottish)","へつらう（スコットランド）"],
+11925:["v","to look around secretly to find things out","こそこそ詮索する"],
+11926:["n","a nose; a snobbish person (informal)","鼻、気取り屋（略式）"],
+11927:["v","to breathe noisily while asleep","いびきをかく"],
+11928:["x"],
+11929:["v","to push air out loudly through the nose","鼻を鳴らす"],
+11930:["n","nasal mucus; rude young people (informal, plural of snot)","鼻水、生意気な奴（略式、複数）"],
+11931:["n","the long nose of an animal","鼻づら","A pig's snout."],
+11932:["v","to sniff or nose about (Scottish)","嗅ぎ回る（スコットランド）"],
+11933:["n","the hooded merganser","オウギアイサ"],
+11934:["v","falls as snow (third person of snow)","雪が降る"],
+11935:["adj","covered with snow","雪の多い","A snowy winter."],
+11936:["v","rebuffs or ignores pointedly (third person of snub)","冷たくあしらう"],
+11937:["v","sneaked (informal past of sneak)","こっそり動いた（略式）"],
+11938:["n","powdered tobacco for sniffing; the burnt end of a wick","嗅ぎたばこ、燃えさし"],
+11939:["n","small cosy rooms in a pub (plural of snug)","パブの小部屋（複数）"],
+11940:["x"],
+11941:["n","a small nuclear ribonucleoprotein (biology)","核内低分子リボ核タンパク質"],
+11942:["x"],
+11943:["x"],
+11944:["n","upward curves of a ship's planking (plural of sny)","船板の反り（複数）"],
+11945:["v","makes thoroughly wet (third person of soak)","浸す"],
+11946:["adj","soaked; wet","びしょぬれの"],
+11947:["x"],
+11948:["n","cleansing agents; soap operas (plural of soap)","石けん、連続メロドラマ（複数）"],
+11949:["adj","like or covered with soap","石けんのような"],
+11950:["v","flies or rises high (third person of soar)","舞い上がる"],
+11951:["x"],
+11952:["n","a dry white Italian wine","ソアーヴェ（白ワイン）"],
+11953:["x"],
+11954:["adj","not drunk; serious","しらふの、まじめな","He stayed sober."],
+11955:["v","sought (Scottish)","探した（スコットランド）"],
+11956:["n","partners or associates (Latin, plural of socius)","仲間（ラテン語、複数）"],
+11957:["adj","extremely successful (informal)","大当たりの（略式）"],
+11958:["n","knitted foot coverings (plural of sock)","靴下（複数）"],
+11959:["adj","wet; soaky (dialect)","湿った（方言）"],
+11960:["n","a low plinth supporting a wall or statue","台座"],
+11961:["n","fizzy drinks (plural of soda)","炭酸飲料（複数）"],
+11962:["n","a house built of sod","芝土の家"],
+11963:["adj","containing sodium","ナトリウムを含む"],
+11964:["x"],
+11965:["n","a place notorious for vice","悪徳の町"],
+11966:["n","a system for locating sound sources in the ocean's deep channel","ソーファー（水中音響測位）"],
+11967:["n","upholstered seats for several people (plural of sofa)","ソファー（複数）"],
+11968:["n","a Jewish scribe","ソフェル（ユダヤ教の筆写者）"],
+11969:["x"],
+11970:["n","a student of Islamic theology","イスラム神学生"],
+11971:["n","soft drinks or soft goods (plural of soft)","ソフトドリンク、布製品（複数）"],
+11972:["n","a weak or sentimental person","弱虫、情にもろい人"],
+11973:["n","a soldier; a shirker (slang)","兵隊、怠け者（俗）"],
+11974:["x"],
+11975:["adj","wet and soft","ぐしょぐしょの"],
+11976:["x"],
+11977:["n","earth in which plants grow (plural of soil)","土壌（複数）"],
+11978:["adj","dirty; soiled (obsolete)","汚れた（廃語）"],
+11979:["n","soybeans (plural of soja)","大豆（複数）"],
+11980:["n","a district under a lord's jurisdiction (obsolete)","裁判管区（廃語）"],
+11981:["n","districts under a lord's jurisdiction (plural of soke)","裁判管区（複数）"],
+11982:["n","the northern gannet","シロカツオドリ"],
+11983:["adj","of the sun","太陽の","Solar power is clean energy."],
+11984:["x"],
+11985:["n","old Italian coins (plural of soldo)","ソルド（複数）"],
+11986:["n","an old Italian copper coin","ソルド（旧イタリア硬貨）"],
+11987:["n","a genus of flatfish, the soles","ササウシノシタ属"],
+11988:["adj","having soles","底のある"],
+11989:["n","a razor clam","マテガイ"],
+11990:["n","an upper room; a loft (obsolete)","屋根裏部屋（廃語）"],
+11991:["n","undersides of feet or shoes (plural of sole)","足の裏、靴底（複数）"],
+11992:["n","the system of sol-fa syllables for singing","ソルファ"],
+11993:["adj","hard and firm; not liquid or gas","固体の、頑丈な","Ice is solid water."],
+11994:["n","a photographic printing paper","ソリオ印画紙"],
+11995:["n","a leached soil type","ソロド（脱塩土壌）"],
+11996:["n","a wise lawmaker","賢明な立法者"],
+11997:["n","pieces performed alone (plural of solo)","独奏、独唱（複数）"],
+11998:["n","the upper part of a soil profile","ソラム（土壌の上層）"],
+11999:["adj","alone (used in stage directions)","ひとりで（ト書き）"],
+12000:["v","to find the answer to","解く、解決する","Solve the puzzle."],
+12001:["n","a Somali (obsolete)","ソマリ人（廃語）"],
+12002:["n","bodies of cells; a ritual drink (plural of soma)","細胞体、ソーマ（複数）"],
+12003:["x"],
+12004:["n","the rim of an older volcanic crater","外輪山"],
+12005:["v","to summon (obsolete)","召喚する（廃語）"],
+12006:["n","a system using sound waves to detect objects under water","ソナー"],
+12007:["adj","lucky; plump (Scottish)","幸運な、ふくよかな（スコットランド）"],
+12008:["n","an instrument sent up to gather atmospheric data","ゾンデ"],
+12009:["n","units of loudness (plural of sone)","ソーン（複数）"],
+12010:["n","pieces of music for singing (plural of song)","歌（複数）"],
+12011:["x"],
+12012:["adj","relating to sound","音の"],
+12013:["adj","like a son (obsolete)","息子らしい（廃語）"],
+12014:["n","a familiar way of addressing a boy","坊や"],
+12015:["adj","plump and pleasant looking (Scottish)","ふくよかで愛らしい（スコットランド）"],
+12016:["interj","a call used to summon pigs","ブーブー（豚を呼ぶ声）"],
+12017:["adj","cry-babyish; sulky (Australian informal)","泣き虫の（豪略式）"],
+12018:["x"],
+12019:["n","the skin of bacon (obsolete)","ベーコンの皮（廃語）"],
+12020:["n","truth (archaic)","真実（古語）"],
+12021:["n","black powders left by burning (plural of soot)","すす（複数）"],
+12022:["adj","covered with soot; black","すすけた、真っ黒な"],
+12023:["n","second-year students (plural of soph)","2年生（複数）"],
+12024:["n","a former title of the shah of Persia","ペルシャ王の称号"],
+12025:["n","a deep unnatural sleep","昏睡"],
+12026:["adj","sentimental; soaking wet","感傷的な、びしょぬれの"],
+12027:["adj","relating to a sorus","胞子嚢群の"],
+12028:["n","small North American rails (plural of sora)","カオグロクイナ（複数）"],
+12029:["n","service trees or their fruits (plural of sorb)","ナナカマドの類（複数）"],
+12030:["x"],
+12031:["x"],
+12032:["n","flocks of mallards (plural of sord)","マガモの群れ（複数）"],
+12033:["n","a sora rail","カオグロクイナ"],
+12034:["n","a buck in its third year","3歳の雄鹿"],
+12035:["adj","more sore (comparative of sore)","より痛い"],
+12036:["n","painful places on the body (plural of sore)","ただれ（複数）"],
+12037:["n","a sweet sorghum grown for syrup","サトウモロコシ"],
+12038:["v","sponges on others for food and lodging (Scottish)","居候する（スコットランド）"],
+12039:["x"],
+12040:["adj","feeling regret","すまなく思う","I'm sorry I'm late."],
+12041:["n","kinds or types (plural of sort)","種類（複数）"],
+12042:["x"],
+12043:["n","a cluster of spore cases on a fern","胞子嚢群"],
+12044:["n","a South American tree whose latex is used in chewing gum","ソルバ"],
+12045:["x"],
+12046:["x"],
+12047:["n","a satirical farce of medieval France","ソティ（中世の風刺劇）"],
+12048:["n","a desert plant of the southwestern US; a spirit made from it","ソトル"],
+12049:["v","to make a soft murmuring sound","ざわめく"],
+12050:["n","spiritual parts of people (plural of soul)","魂（複数）"],
+12051:["x"],
+12052:["x"],
+12053:["x"],
+12054:["n","something you can hear","音","I heard a strange sound."],
+12055:["n","liquid dishes (plural of soup)","スープ（複数）"],
+12056:["adj","like soup; thick; sentimental","スープ状の、濃い"],
+12057:["x"],
+12058:["n","sour cocktails (plural of sour)","サワー（複数）"],
+12059:["x"],
+12060:["v","to soak or pickle","浸す、酢漬けにする"],
+12061:["n","the direction toward the South Pole","南","Birds fly south in winter."],
+12062:["x"],
+12063:["n","a mounted soldier in India","インドの騎兵"],
+12064:["v","planted seeds (past of sow)","種をまいた"],
+12065:["x"],
+12066:["n","a person who sows seeds","種をまく人"],
+12067:["v","to pull by the ears (obsolete)","耳を引っ張る（廃語）"],
+12068:["v","to souse (obsolete)","浸す（廃語）"],
+12069:["x"],
+12070:["n","soybeans (plural of soya)","大豆（複数）"],
+12071:["n","a defensive protein in the body","ゾジン"],
+12072:["x"],
+12073:["n","a kind of spar; asbestos (obsolete)","石綿（廃語）"],
+12074:["n","an empty area; the universe beyond Earth","空間、宇宙","There's no space in the car."],
+12075:["x"],
+12076:["adj","dreamy and unfocused (informal)","ぼんやりした（略式）"],
+12077:["n","a digging tool; a playing card suit","スコップ、スペード"],
+12078:["n","a castrated or impotent person (law)","去勢者、性的不能者（法律）"],
+12079:["v","foretold (Scottish, past of spae)","予言した（スコットランド）"],
+12080:["n","a fortune-teller (Scottish)","占い師（スコットランド）"],
+12081:["v","foretells (Scottish, third person of spae)","予言する（スコットランド）"],
+12082:["n","a Turkish or Algerian cavalryman","スパーヒー（騎兵）"],
+12083:["n","a three-year-old red deer stag","3歳の雄鹿"],
+12084:["x"],
+12085:["x"],
+12086:["n","a country in south-western Europe","スペイン","Madrid is the capital of Spain."],
+12087:["x"],
+12088:["x"],
+12089:["v","spoke (old form)","話した（古語）","Thus spake Zarathustra."],
+12090:["x"],
+12091:["n","a chip of wood; a lath (dialect)","木片、木摺（方言）"],
+12092:["n","a chip or flake broken off stone","石の破片"],
+12093:["adj","brittle (dialect)","もろい（方言）"],
+12094:["v","to wean (dialect)","乳離れさせる（方言）"],
+12095:["adv","directly; exactly (informal)","まともに、ちょうど（略式）"],
+12096:["v","to slap on the buttocks","尻をたたく"],
+12097:["x"],
+12098:["v","extends across (third person of span)","またがる"],
+12099:["adj","extra; kept in case it is needed","予備の","We have a spare tire."],
+12100:["n","a tiny piece of fire","火花","A spark started the fire."],
+12101:["x"],
+12102:["n","poles used on ships (plural of spar)","円材（複数）"],
+12103:["x"],
+12104:["adj","sparing; stingy (obsolete)","けちな（廃語）"],
+12105:["n","a sudden tightening of a muscle","けいれん","A muscle spasm."],
+12106:["n","a large number coming together; a river flood","多発、増水"],
+12107:["x"],
+12108:["n","small quarrels; ankle coverings (plural of spat)","口げんか、スパッツ（複数）"],
+12109:["x"],
+12110:["v","to spit (obsolete)","つばを吐く（廃語）"],
+12111:["n","the eggs of fish or frogs","卵（魚類、カエル）"],
+12112:["v","removes the ovaries of (third person of spay)","卵巣を除去する"],
+12113:["v","to say words","話す","Do you speak English?"],
+12114:["x"],
+12115:["v","to wean (Scottish)","乳離れさせる（スコットランド）"],
+12116:["n","a long pointed weapon","槍","He threw a spear."],
+12117:["n","species; kind (obsolete)","種類（廃語）"],
+12118:["n","a tiny spot or particle","小さな点、しみ"],
+12119:["n","spectacles; specifications (informal)","眼鏡、仕様（略式）"],
+12120:["x"],
+12121:["n","how fast something moves","速度","The car was at full speed."],
+12122:["v","to climb (Scottish)","よじ登る（スコットランド）"],
+12123:["x"],
+12124:["v","to ask (Scottish)","尋ねる（スコットランド）"],
+12125:["x"],
+12126:["v","to ask (Scottish)","尋ねる（スコットランド）"],
+12127:["x"],
+12128:["n","a splinter; a thatching rod (dialect)","とげ、屋根ふき用の串（方言）"],
+12129:["v","to say or write the letters of a word","つづる","How do you spell your name?"],
+12130:["n","an old variety of wheat","スペルト小麦"],
+12131:["v","to pay out money; to use time","使う、過ごす","I spend too much money."],
+12132:["v","paid out; used time (past of spend)","使った、過ごした","We spent a week in Kyoto."],
+12133:["n","a temple or tomb cut into rock in ancient Egypt","岩窟神殿"],
+12134:["v","to ask; to inquire (dialect)","尋ねる（方言）"],
+12135:["n","the male cell that joins an egg","精子","Sperm and egg."],
+12136:["x"],
+12137:["v","pours out; vomits (third person of spew)","吐き出す"],
+12138:["adj","wet and soggy (of ground)","じめじめした"],
+12139:["n","a genus of digger wasps","アナバチ属"],
+12140:["n","a spy; a scout (obsolete)","スパイ、斥候（廃語）"],
+12141:["n","a spiral bandage; the brightest star in Virgo","麦穂帯、スピカ"],
+12142:["n","a dried plant part that adds flavor","スパイス","Pepper is a common spice."],
+12143:["n","an offensive term for a Latin American person (ethnic slur)","中南米系の人への蔑称"],
+12144:["n","an offensive term for Latin American people (ethnic slur, plural)","中南米系の人への蔑称（複数）"],
+12145:["adj","hot and strongly flavoured","辛い、香辛料の効いた"],
+12146:["v","saw or watched secretly (past of spy)","見つけた、偵察した"],
+12147:["n","a long persuasive speech, such as a sales pitch","口上、宣伝文句"],
+12148:["n","a person who spies","スパイ"],
+12149:["n","secret agents (plural of spy)","スパイ","Spies send secret messages."],
+12150:["v","to smarten up, as in spiff up (informal)","めかす（略式）"],
+12151:["n","a sharp point; a sudden rise","とげ、急上昇","A spike in prices."],
+12152:["n","an offensive term for Latin American people (ethnic slur, plural)","中南米系の人への蔑称（複数）"],
+12153:["adj","having sharp points","とげだらけの"],
+12154:["n","a wooden peg; a spout for tapping sap","木栓、樹液採取用の管"],
+12155:["v","to let liquid fall out","こぼす","Don't spill the milk."],
+12156:["v","spilled (past of spill)","こぼした"],
+12157:["n","a spine (anatomy)","棘（解剖）"],
+12158:["n","the backbone","背骨","Sit with your spine straight."],
+12159:["n","a chaffinch (dialect)","ズアオアトリ（方言）"],
+12160:["v","turns round quickly (third person of spin)","回転する"],
+12161:["adj","covered with spines","とげのある"],
+12162:["x"],
+12163:["n","a tall pointed structure on top of a church tower","尖塔"],
+12164:["x"],
+12165:["v","to spurt","噴出する"],
+12166:["adj","spiral; having many spires","らせん状の、尖塔の多い"],
+12167:["x"],
+12168:["adj","thick; dense (obsolete)","濃い、密な（廃語）"],
+12169:["n","a wish to hurt or annoy (in spite of: despite)","悪意（in spite of で「〜にもかかわらず」）","In spite of the rain, we went out."],
+12170:["v","forces saliva out of the mouth (third person of spit)","つばを吐く"],
+12171:["n","a breed of dog with a pointed muzzle and curled tail","スピッツ"],
+12172:["n","petty crooks who deal in shady goods (British, plural of spiv)","闇屋（英、複数）"],
+12173:["x"],
+12174:["n","the sound of something wet hitting a surface","ピシャッという音"],
+12175:["v","to spread out or apart","広げる"],
+12176:["x"],
+12177:["v","to divide into parts","分ける、割る","Let's split the bill."],
+12178:["n","a fine English bone china","スポード焼"],
+12179:["v","to ruin; to give a child too much","台無しにする、甘やかす","Don't spoil the ending."],
+12180:["v","said words (past of speak)","話した","She spoke quietly."],
+12181:["x"],
+12182:["x"],
+12183:["n","a narrow strip of land (dialect)","細長い土地（方言）"],
+12184:["n","a humorous imitation; a hoax","パロディー、いたずら"],
+12185:["n","a ghost; a spy (informal)","幽霊、スパイ（略式）"],
+12186:["n","a reel on which thread or film is wound","糸巻き、リール"],
+12187:["v","to scud before the wind (obsolete)","風を受けて疾走する（廃語）"],
+12188:["n","a tool with a small bowl for eating","スプーン","Eat soup with a spoon."],
+12189:["n","the track or trail of an animal","足跡"],
+12190:["x"],
+12191:["n","a tiny cell from which fungi and ferns grow","胞子","Mushrooms release spores."],
+12192:["n","a game played for exercise or fun","スポーツ","Soccer is my favorite sport."],
+12193:["n","slush (dialect)","ぬかるみ（方言）"],
+12194:["n","small round marks; places (plural of spot)","斑点、場所","A leopard has spots."],
+12195:["n","a tube for pouring liquid; a jet of liquid","注ぎ口、噴出"],
+12196:["v","spread (obsolete past participle)","広げた（廃語）"],
+12197:["n","a prop or wedge used to stop a wheel","輪止め、つっかい棒"],
+12198:["n","a small European herring-like fish","スプラット（小ニシン）"],
+12199:["n","liquid in tiny drops","しぶき、スプレー","Sea spray hit our faces."],
+12200:["n","a short period of wild activity, as a spending spree","ばか騒ぎ、散財"],
+12201:["x"],
+12202:["n","thrush, a mouth infection (dialect)","鵞口瘡（方言）"],
+12203:["n","a small stem with leaves or flowers","小枝"],
+12204:["n","a spar crossing a sail diagonally","スプリット（斜桁）"],
+12205:["n","a salmon in its second year (dialect)","2年目のサケ（方言）"],
+12206:["x"],
+12207:["n","a channel for pouring molten metal; a digestive disorder","湯口、スプルー（吸収不良症）"],
+12208:["v","to make smart (obsolete)","めかす（廃語）"],
+12209:["n","potatoes (informal, plural of spud)","じゃがいも（略式、複数）"],
+12210:["v","spewed (past of spue)","吐き出した"],
+12211:["v","spews (third person of spue)","吐き出す"],
+12212:["n","a spook (obsolete)","幽霊（廃語）"],
+12213:["n","froth or foam on waves","泡、しぶき"],
+12214:["adj","foamy","泡立つ"],
+12215:["x"],
+12216:["n","courage and spirit (informal)","勇気、気概（略式）"],
+12217:["x"],
+12218:["v","to reject with contempt","はねつける"],
+12219:["n","spikes on riders' heels (plural of spur)","拍車（複数）"],
+12220:["n","a sudden gush; a short burst of effort","噴出、一時的な頑張り"],
+12221:["n","spit or phlegm (plural of sputum)","痰（複数）"],
+12222:["v","to dispute (obsolete)","論じる（廃語）"],
+12223:["x"],
+12224:["n","a young pigeon; a thick cushion","ひな鳩、厚いクッション"],
+12225:["n","a small group of soldiers, players or police","分隊、チーム","The football squad."],
+12226:["n","an oilskin hat worn by fishermen","防水帽"],
+12227:["v","to crouch down; to occupy a building illegally","しゃがむ、不法占拠する"],
+12228:["n","an offensive term for a Native American woman (ethnic slur)","アメリカ先住民の女性への蔑称"],
+12229:["v","to oscillate irregularly (electronics)","不規則に発振する（電子工学）"],
+12230:["x"],
+12231:["n","a small firework; a short satirical piece","爆竹、風刺文"],
+12232:["n","a sea animal with ten arms","イカ","Fried squid is tasty."],
+12233:["x"],
+12234:["n","a small insignificant person; nonsense (British)","取るに足らない人、たわごと（英）"],
+12235:["n","a quick look (Australian informal)","ちらっと見ること（豪略式）"],
+12236:["n","a microtonal interval in Indian music (shruti)","シュルティ（インド音楽の微分音）"],
+12237:["x"],
+12238:["x"],
+12239:["x"],
+12240:["x"],
+12241:["v","pierces with a knife (third person of stab)","刺す"],
+12242:["x"],
+12243:["n","a neat pile","積み重ね","A stack of books."],
+12244:["n","a stadium (ancient unit of length); a landing place","スタディオン、船着き場"],
+12245:["n","the people who work for an organization","職員、スタッフ","The staff are very friendly."],
+12246:["n","a raised platform in a theater; a step in a process","舞台、段階","The band came on stage."],
+12247:["n","adult male deer (plural of stag)","雄鹿（複数）"],
+12248:["adj","theatrical and artificial","芝居がかった"],
+12249:["x"],
+12250:["adj","sedate and respectable; unadventurous","堅苦しい、地味な"],
+12251:["n","a young horse (Scottish)","若馬（スコットランド）"],
+12252:["n","a handle, as of a mop","柄"],
+12253:["n","a dirty mark that is hard to remove","染み","A coffee stain."],
+12254:["x"],
+12255:["n","one step of a staircase; stairs","階段","Climb the stairs."],
+12256:["n","a pointed post; money risked","くい、賭け金","Lives are at stake."],
+12257:["adj","no longer fresh","古くなった","Stale bread."],
+12258:["n","the stem of a plant","茎","A celery stalk."],
+12259:["n","a small shop or table at a market","屋台","A fruit stall."],
+12260:["n","a small sticker you put on a letter","切手","Put a stamp on the envelope."],
+12261:["v","to be on your feet","立つ","Please stand up."],
+12262:["n","a stone (Scottish)","石（スコットランド）"],
+12263:["n","a pole or bar (dialect); stung (archaic past of sting)","棒（方言）、刺した（古語）"],
+12264:["v","smelled bad (past of stink)","悪臭を放った"],
+12265:["n","staphylococcus bacteria","ブドウ球菌"],
+12266:["v","to look at for a long time","じっと見る","Don't stare."],
+12267:["adj","severe; plain; complete","厳しい、殺風景な","A stark contrast."],
+12268:["n","a starling (dialect)","ムクドリ（方言）"],
+12269:["n","a family name (as in Ringo Starr)","スター（姓）","Ringo Starr played drums."],
+12270:["n","celestial bodies; famous performers (plural of star)","星、スター（複数）"],
+12271:["v","to begin","始める","Start the engine."],
+12272:["x"],
+12273:["x"],
+12274:["n","a secret store of something","隠し持ったもの"],
+12275:["n","a condition; a part of a country such as the US","状態、州","The house is in a bad state."],
+12276:["n","statistics (informal)","統計","Check the stats."],
+12277:["x"],
+12278:["x"],
+12279:["x"],
+12280:["n","a wooden strip forming part of a barrel; a musical staff","樽板、五線"],
+12281:["x"],
+12282:["v","remains (third person of stay)","とどまる","She stays at home."],
+12283:["x"],
+12284:["n","place or role (in someone's stead)","代わり","She went in my stead."],
+12285:["n","a thick slice of beef","ステーキ","He ordered a steak."],
+12286:["v","to take without permission","盗む","Don't steal."],
+12287:["n","the gas that water becomes when it boils","蒸気","Steam rose from the kettle."],
+12288:["n","a stone vessel or jar (obsolete)","石のかめ（廃語）"],
+12289:["x"],
+12290:["n","a horse (literary)","馬、駿馬（文語）"],
+12291:["v","to stitch; to shut (Scottish)","縫う、閉じる（スコットランド）"],
+12292:["n","a strong metal made from iron","鋼鉄","The bridge is made of steel."],
+12293:["n","esteem; a gleam (obsolete)","尊重、輝き（廃語）"],
+12294:["n","a stone vessel; a stone lining of a well","石の容器、井戸の石壁"],
+12295:["adj","rising or falling sharply","険しい","A steep hill."],
+12296:["v","to control the direction of; a young male cow","操縦する、去勢牛","Steer the boat to the left."],
+12297:["x"],
+12298:["x"],
+12299:["n","a large beer mug","ビールジョッキ","A stein of beer."],
+12300:["n","an upright stone slab with an inscription","石碑"],
+12301:["n","an inscribed stone slab; the central vascular tissue of a plant","石碑、中心柱"],
+12302:["n","a prop; a stone enclosure for sheep (Scottish)","支柱、羊囲い（スコットランド）"],
+12303:["x"],
+12304:["n","main stalks of plants (plural of stem)","茎（複数）"],
+12305:["x"],
+12306:["x"],
+12307:["n","a stenographer (informal)","速記者（略式）"],
+12308:["n","a small tube inserted to keep a blood vessel open","ステント"],
+12309:["n","movements of the feet; stairs (plural of step)","歩み、階段","Take small steps."],
+12310:["v","stepped (archaic)","歩んだ（古語）"],
+12311:["n","a cubic metre, used for firewood","ステール（1立方メートル）"],
+12312:["x"],
+12313:["x"],
+12314:["adj","serious and strict; the back of a ship","厳格な、船尾","A stern teacher."],
+12315:["x"],
+12316:["v","started (obsolete)","始めた（廃語）"],
+12317:["v","cancels a correction in proofreading (third person of stet)","校正を元に戻す"],
+12318:["n","a given name","スティーブ（人名）","Steve fixed my bike."],
+12319:["n","dishes of slowly cooked meat and vegetables (plural of stew)","シチュー（複数）"],
+12320:["adj","like a stew","シチューのような"],
+12321:["n","a line of verse","詩行"],
+12322:["n","a thin piece of wood","棒","The dog fetched the stick."],
+12323:["v","kept pigs in a sty (past of sty)","豚小屋に入れた"],
+12324:["n","pigpens; swollen eyelid glands (plural of sty)","豚小屋、ものもらい（複数）"],
+12325:["x"],
+12326:["adj","hard to bend","硬い、こわばった","A stiff neck."],
+12327:["n","a unit of luminance","スチルブ（輝度の単位）"],
+12328:["n","steps for climbing over a fence","踏み越し段"],
+12329:["adv","even now; without moving","まだ、じっと","Are you still here?"],
+12330:["n","one of a pair of poles for walking high; a wading bird","竹馬、セイタカシギ"],
+12331:["n","a glimmer (dialect)","かすかな光（方言）"],
+12332:["n","a stymie in golf","スタイミー（ゴルフ）"],
+12333:["x"],
+12334:["n","a sharp pain from an insect","刺し傷","A bee sting."],
+12335:["v","to smell very bad","悪臭を放つ"],
+12336:["n","a period of work; a small sandpiper","一定期間の仕事、ハマシギの類"],
+12337:["x"],
+12338:["n","the stalk of a mushroom or fern","柄、葉柄"],
+12339:["x"],
+12340:["x"],
+12341:["n","a yearling bullock or heifer","1歳の子牛"],
+12342:["n","stock; lineage (obsolete)","血統（廃語）"],
+12343:["v","mixes; moves slightly (third person of stir)","かき混ぜる、動く"],
+12344:["x"],
+12345:["n","an anvil (dialect)","金床（方言）"],
+12346:["v","to stuff; to make stifling (dialect)","詰め込む、息苦しくする（方言）"],
+12347:["adj","stuffy (dialect)","むっとする（方言）"],
+12348:["n","covered colonnades (plural of stoa)","柱廊（複数）"],
+12349:["n","covered colonnades (plural of stoa)","柱廊（複数）"],
+12350:["n","covered colonnades (plural of stoa)","柱廊（複数）"],
+12351:["n","a small brown animal related to the weasel","オコジョ","A stoat's fur turns white in winter."],
+12352:["n","stakes or posts (plural of stob)","杭（複数）"],
+12353:["n","goods kept for sale; shares in a company","在庫、株","The item is out of stock."],
+12354:["n","a veranda in front of a house (South African)","ベランダ（南アフリカ）"],
+12355:["x"],
+12356:["n","a cheap cigar (stogie)","安葉巻"],
+12357:["n","a cheap cigar; a heavy shoe","安葉巻、どた靴"],
+12358:["n","a person who endures hardship without complaint","禁欲的な人"],
+12359:["v","to stagger (Scottish)","よろめく（スコットランド）"],
+12360:["v","to add fuel to a fire","火をたく"],
+12361:["n","a long robe worn by Roman women","ストラ（ローマ女性の長衣）"],
+12362:["x"],
+12363:["v","took without permission (past of steal)","盗んだ","He stole a car."],
+12364:["n","a pore in a leaf; a surgical opening in the body","気孔、ストーマ"],
+12365:["v","to tread heavily","どしどし歩く"],
+12366:["n","a stop; a stand (obsolete)","停止、立ち位置（廃語）"],
+12367:["n","a small piece of rock","石","He threw a stone."],
+12368:["x"],
+12369:["n","a heavy artillery bombardment (military slang)","集中砲撃（軍俗）"],
+12370:["adj","full of stones; cold and unfriendly","石の多い、冷たい","A stony path."],
+12371:["v","was on the feet (past of stand)","立っていた","She stood by the door."],
+12372:["x"],
+12373:["n","a group of sheaves set upright in a field","刈り束の山"],
+12374:["n","a seat without a back or arms","スツール（背もたれのない椅子）","Sit on the stool."],
+12375:["x"],
+12376:["v","to bend the body forward and down","かがむ"],
+12377:["x"],
+12378:["x"],
+12379:["n","a step-like excavation in a mine","採掘場（階段掘り）"],
+12380:["n","places where buses stop (plural of stop)","停留所","Three stops from here."],
+12381:["v","stopped (archaic)","止めた（古語）"],
+12382:["n","a shop","店","I went to the store."],
+12383:["n","a large white bird with long legs","コウノトリ","A stork built a nest on the roof."],
+12384:["n","violent weather with wind and rain","嵐","The storm knocked down trees."],
+12385:["n","an account of events, real or made up","物語","Tell me a story."],
+12386:["x"],
+12387:["adj","facing the direction from which a glacier moved","氷河の流れに面した"],
+12388:["x"],
+12389:["x"],
+12390:["n","a drinking vessel; a basin for holy water","杯、聖水盤"],
+12391:["n","a battle or tumult; dust (archaic)","戦い、騒動、ほこり（古語）"],
+12392:["adj","fat and strong; a dark beer","太った、スタウト（黒ビール）","A stout man."],
+12393:["n","a device for cooking or heating","コンロ、ストーブ","The soup is on the stove."],
+12394:["x"],
+12395:["v","packs away (third person of stow)","しまい込む"],
+12396:["n","a Stradivarius violin (informal)","ストラディバリウス（略式）"],
+12397:["n","straw (Scottish)","わら（スコットランド）"],
+12398:["x"],
+12399:["v","to spring back violently (dialect)","はね返る（方言）"],
+12400:["n","a strip of leather or cloth","ひも、ストラップ","A watch strap."],
+12401:["n","dry stalks of grain; a tube for drinking","わら、ストロー","Drink with a straw."],
+12402:["adj","lost from home","迷子の","A stray cat."],
+12403:["n","straw (obsolete)","わら（廃語）"],
+12404:["n","streptococcus bacteria, as in strep throat","連鎖球菌"],
+12405:["x"],
+12406:["v","to scatter untidily","まき散らす"],
+12407:["x"],
+12408:["n","a thin line or groove","線条、細溝"],
+12409:["n","a narrow gorge that looks crossable in a stride (dialect)","一またぎの峡谷（方言）"],
+12410:["n","the stalk of a flower or fruit (dialect)","花柄（方言）"],
+12411:["n","a long narrow piece","細長い一片","A strip of paper."],
+12412:["x"],
+12413:["n","a genus of owls","フクロウ属"],
+12414:["x"],
+12415:["n","a leather strap for sharpening razors","革砥"],
+12416:["v","to strew (archaic)","まき散らす（古語）"],
+12417:["v","to destroy (obsolete)","破壊する（廃語）"],
+12418:["x"],
+12419:["x"],
+12420:["v","to play a guitar by brushing the strings","かき鳴らす"],
+12421:["v","to walk in a proud stiff way","気取って歩く"],
+12422:["x"],
+12423:["x"],
+12424:["x"],
+12425:["n","short remaining pieces (plural of stub)","切れ端、半券（複数）"],
+12426:["adj","unable to move","動けない","The door is stuck."],
+12427:["x"],
+12428:["n","small metal knobs; breeding stallions (plural of stud)","鋲、種馬（複数）"],
+12429:["v","to learn about something","勉強する","I study English every day."],
+12430:["n","things in general","もの、こと","Put your stuff here."],
+12431:["n","a timber platform or prop in a mine","坑内の支柱"],
+12432:["n","a drainage tunnel in a mine","排水坑道"],
+12433:["n","the part of a tree left after cutting","切り株","Sit on the stump."],
+12434:["n","unfermented grape juice (plural of stum)","未発酵ぶどう汁（複数）"],
+12435:["v","pierced with a sting (past of sting)","刺した"],
+12436:["v","smelled bad (past participle of stink)","悪臭を放った"],
+12437:["v","knocks senseless; amazes (third person of stun)","気絶させる、驚かせる"],
+12438:["n","a daring feat; a publicity trick","離れ業、売名行為"],
+12439:["n","a dome-shaped Buddhist shrine","仏塔"],
+12440:["n","a hot medicated compress; a stupid person (slang)","温湿布、まぬけ（俗）"],
+12441:["x"],
+12442:["n","a stirk, a young bullock (dialect)","子牛（方言）"],
+12443:["n","trouble; annoyance (dialect)","面倒、いらだち（方言）"],
+12444:["n","a gambling card game like faro","スタス（トランプ賭博）"],
+12445:["n","a sty on the eyelid","ものもらい"],
+12446:["n","an Anglo-Saxon copper coin of low value","スティカ（アングロサクソンの銅貨）"],
+12447:["v","kept in a sty (past of sty)","豚小屋に入れた"],
+12448:["n","swollen eyelid glands (plural of stye)","ものもらい（複数）"],
+12449:["n","a way of doing something; fashion","様式、スタイル","I like her style."],
+12450:["n","pointed writing tools (plural of stylus)","尖筆（複数）"],
+12451:["n","a stylographic pen","万年筆（スタイログラフ）"],
+12452:["v","to hinder (stymie)","妨げる"],
+12453:["v","to persuade (obsolete)","説得する（廃語）"],
+12454:["adj","even; smooth (dialect)","平らな、むらのない（方言）"],
+12455:["adj","charming and polished","物腰の柔らかな"],
+12456:["n","a province of the Mughal empire","スーバ（ムガル帝国の州）"],
+12457:["x"],
+12458:["x"],
+12459:["n","cork tissue (botany)","コルク組織"],
+12460:["x"],
+12461:["x"],
+12462:["n","juices (plural of succus)","汁（複数）"],
+12463:["v","draws in with the mouth (third person of suck)","吸う"],
+12464:["n","the former currency of Ecuador","スクレ（エクアドルの旧通貨）"],
+12465:["n","a country in north-east Africa","スーダン","The Nile flows through Sudan."],
+12466:["n","floating masses of vegetation on the White Nile (plural of sudd)","浮島植生（複数）"],
+12467:["x"],
+12468:["x"],
+12469:["n","sweat","汗"],
+12470:["n","a member of the labouring caste in traditional Hindu society (shudra)","シュードラ"],
+12471:["adj","full of soapy froth","泡だらけの"],
+12472:["n","leather with a soft napped surface","スエード"],
+12473:["adj","even; smooth (dialect)","平らな（方言）"],
+12474:["n","people who sue (plural of suer)","訴える人（複数）"],
+12475:["n","hard animal fats (plural of suet)","スエット（複数）"],
+12476:["adj","like suet","脂肪のような"],
+12477:["x"],
+12478:["n","a straw rope (Irish)","わら縄（アイルランド）"],
+12479:["n","a sweet substance from plants","砂糖","Do you take sugar?"],
+12480:["x"],
+12481:["v","makes a soft murmuring sound (third person of sugh)","ざわめく"],
+12482:["n","Japanese cedars (plural of sugi)","スギ（複数）"],
+12483:["n","a butter substitute made of oleomargarine and lard","人造バター"],
+12484:["v","taking legal action (present participle of sue)","訴えている"],
+12485:["n","the natural grease in sheep's wool","羊毛脂"],
+12486:["n","a selfish person (rare)","利己的な人（まれ）"],
+12487:["n","a set of rooms; a set of matching furniture","スイートルーム、一式","They booked a hotel suite."],
+12488:["n","sets of matching clothes (plural of suit)","スーツ（複数）"],
+12489:["x"],
+12490:["n","grooves, especially on the brain (plural of sulcus)","溝、脳溝（複数）"],
+12491:["x"],
+12492:["n","a sulfonamide antibacterial drug","サルファ剤"],
+12493:["adj","containing the sulfonic acid group","スルホ基の"],
+12494:["x"],
+12495:["n","a mood of sulking","すねた気分"],
+12496:["adj","silent and bad-tempered","すねた"],
+12497:["n","a Mediterranean clover-like forage plant","スラ（飼料植物）"],
+12498:["v","to spoil or stain","汚す"],
+12499:["n","a shrub whose dried berries are used as a spice","ウルシ、スマック"],
+12500:["x"],
+12501:["n","a comprehensive treatise","大全"],
+12502:["n","sumo wrestlers or bouts (plural of sumo)","相撲（複数）"],
+12503:["n","a dunce (Scottish)","まぬけ（スコットランド）"],
+12504:["n","pits for collecting liquid (plural of sump)","溜めます、油だめ（複数）"],
+12505:["x"],
+12506:["n","the body of traditional Muslim practice based on the Prophet's example","スンナ"],
+12507:["n","a member of the largest branch of Islam","スンニ派"],
+12508:["n","East Indian plants grown for fibre (plural of sunn)","サンヘンプ（複数）"],
+12509:["adj","full of sunshine","晴れた","A sunny day."],
+12510:["n","sunrise","日の出"],
+12511:["adj","very good (informal)","すごい、最高の","That's super!"],
+12512:["n","supernumerary actors (informal, plural of supe)","端役（略式、複数）"],
+12513:["x"],
+12514:["adv","above (used to refer to an earlier part of a text)","上記","See note 3 supra."],
+12515:["x"],
+12516:["n","a soft twilled silk fabric","シュラー絹"],
+12517:["adj","relating to the calf of the leg","ふくらはぎの"],
+12518:["n","chapters of the Koran (plural of sura)","スーラ（複数）"],
+12519:["n","a coarse cotton cloth from Surat, India","スラト綿布"],
+12520:["n","irrational roots; voiceless sounds (plural of surd)","無理数、無声音（複数）"],
+12521:["x"],
+12522:["adj","more sure (comparative of sure)","より確かな"],
+12523:["x"],
+12524:["v","rides waves; browses the internet (third person of surf)","波に乗る、ネットを見て回る"],
+12525:["adj","full of surf","寄せ波の多い"],
+12526:["n","a sudden increase","急増","A surge in prices."],
+12527:["adj","full of surges; billowing","うねる"],
+12528:["adj","bad-tempered and rude","無愛想な"],
+12529:["n","a black eye cosmetic (kohl)","スルマ（アイライナー）"],
+12530:["n","a disease of horses and camels caused by a parasite","スーラ病"],
+12531:["x"],
+12532:["n","Japanese rice with raw fish or other toppings","寿司","We had sushi for dinner."],
+12533:["x"],
+12534:["adj","suspicious (slang)","怪しい（俗）"],
+12535:["n","a cobbler (humorous)","靴屋（戯言）"],
+12536:["n","a Buddhist or Hindu scripture or aphorism","経、スートラ"],
+12537:["n","a Buddhist scripture in Pali","経（パーリ語）"],
+12538:["x"],
+12539:["n","pads of absorbent material (plural of swab)","綿棒、モップ（複数）"],
+12540:["x"],
+12541:["n","a tool for shaping metal","スエージ（鍛造工具）"],
+12542:["n","loot; draped fabric (plural of swag)","盗品、掛け布（複数）"],
+12543:["n","a swale","低湿地"],
+12544:["n","a young lover or suitor (literary)","恋人、若者（文語）"],
+12545:["n","a low marshy area","低湿地"],
+12546:["n","a Hindu religious teacher","スワミ（ヒンドゥー教の師）"],
+12547:["n","wet soft land with trees","沼地","Alligators live in the swamp."],
+12548:["n","a Hindu religious teacher (swami)","スワミ"],
+12549:["v","swung (obsolete past of swing)","振った（廃語）"],
+12550:["v","to show off (informal)","見せびらかす（略式）"],
+12551:["n","large white waterbirds (plural of swan)","白鳥（複数）"],
+12552:["n","a pole used as a lever; a long oar","はねつるべ、大オール"],
+12553:["v","exchanges (third person of swap)","交換する"],
+12554:["n","an area of grassy turf","芝生"],
+12555:["v","swore (archaic past of swear)","誓った（古語）"],
+12556:["n","metal or wood shavings from machining","切り粉"],
+12557:["n","a large group of insects","群れ","A swarm of bees."],
+12558:["adj","swarthy (archaic)","浅黒い（古語）"],
+12559:["v","to splash about; to swagger","バシャバシャ動く、威張り散らす"],
+12560:["n","a strip cut by a mower; a broad strip","刈り跡、帯状の区域"],
+12561:["v","hits sharply (third person of swat)","ピシャリとたたく"],
+12562:["v","moves slowly to and fro (third person of sway)","揺れる"],
+12563:["n","a member of a people of Eswatini","スワジ人"],
+12564:["v","to scorch; to melt and gutter (dialect)","焦がす、溶けて垂れる（方言）"],
+12565:["v","to promise; to use rude words","誓う、悪態をつく","I swear it's true."],
+12566:["n","liquid that comes out of the skin when hot","汗","Wipe the sweat off."],
+12567:["n","a person from Sweden; a rutabaga","スウェーデン人、スウェーデンカブ"],
+12568:["v","to clean with a broom","掃く","Sweep the floor."],
+12569:["adj","lazy; reluctant (Scottish)","怠惰な、気の進まない（スコットランド）"],
+12570:["adj","tasting of sugar","甘い","This cake is too sweet."],
+12571:["x"],
+12572:["v","to become bigger","ふくらむ、腫れる","My ankle swelled."],
+12573:["x"],
+12574:["v","to faint; to swelter (obsolete)","気絶する、うだる（廃語）"],
+12575:["v","cleaned with a broom (past of sweep)","掃いた","She swept the porch."],
+12576:["n","a sward; a sword (obsolete)","芝生、剣（廃語）"],
+12577:["x"],
+12578:["adj","fast; a fast bird with long wings","速い、アマツバメ","A swift reply."],
+12579:["v","drinks in large gulps (third person of swig)","がぶ飲みする"],
+12580:["x"],
+12581:["n","pig food made from scraps; cheap liquor","残飯、安酒"],
+12582:["v","moves through water (third person of swim)","泳ぐ"],
+12583:["x"],
+12584:["n","pigs; a nasty person","豚、卑劣な人","Swine flu."],
+12585:["v","to move back and forth","揺れる","Swing the bat."],
+12586:["v","to toil (archaic)","あくせく働く（古語）"],
+12587:["v","to hit with a sweeping blow; to steal (informal)","強打する、盗む（略式）"],
+12588:["x"],
+12589:["x"],
+12590:["n","a hollow between hills (dialect)","鞍部（方言）"],
+12591:["v","to move in a twisting spiral","渦を巻く"],
+12592:["v","to move with a hissing sound","ヒュッと音を立てる"],
+12593:["adj","from Switzerland","スイスの","Swiss cheese."],
+12594:["adv","quickly (obsolete)","すぐに（廃語）"],
+12595:["v","to have sex with (obsolete, vulgar)","交わる（廃語、卑語）"],
+12596:["n","a swindle; a disappointment (British informal)","詐欺、期待外れ（英略式）"],
+12597:["n","swabs (plural of swob)","モップ（複数）"],
+12598:["adj","swollen (archaic)","腫れた（古語）"],
+12599:["x"],
+12600:["v","to faint from emotion","気絶する、うっとりする"],
+12601:["v","to dive down swiftly","急降下する"],
+12602:["v","swaps (third person of swop)","交換する"],
+12603:["n","a weapon with a long blade","剣","The knight drew his sword."],
+12604:["v","promised; used rude words (past of swear)","誓った","He swore to tell the truth."],
+12605:["adj","having promised formally","誓った","Sworn enemies."],
+12606:["v","to move with a swishing sound","シュッと音を立てる"],
+12607:["v","studies hard (British informal, third person of swot)","がり勉する（英略式）"],
+12608:["v","to swoon (obsolete)","気絶する（廃語）"],
+12609:["v","moved back and forth (past of swing)","揺れた","The door swung open."],
+12610:["x"],
+12611:["n","a spring onion (Scottish)","ネギ（スコットランド）"],
+12612:["n","silver ingots formerly used as currency in China","馬蹄銀"],
+12613:["n","grooms in India (plural of syce)","馬丁（複数）"],
+12614:["n","a sponge with a particular canal system","サイコン型海綿"],
+12615:["x"],
+12616:["n","small streams (plural of syke)","小川（複数）"],
+12617:["x"],
+12618:["n","an air spirit; a slender graceful woman","空気の精、ほっそりした女性"],
+12619:["n","the trees of a region (silva)","樹木誌、一地方の森林"],
+12620:["v","to synchronize (sync)","同期させる"],
+12621:["v","synchronizes (third person of sync)","同期させる"],
+12622:["n","a church council","教会会議","The synod met in Rome."],
+12623:["x"],
+12624:["n","a siren (archaic spelling)","セイレーン、サイレン（古い綴り）"],
+12625:["n","a country in the Middle East","シリア","Damascus is in Syria."],
+12626:["n","a long trailing robe worn by tragic actors","シュルマ（悲劇役者の長衣）"],
+12627:["n","a thick sweet liquid","シロップ","Pancakes with maple syrup."],
+12628:["x"],
+12629:["x"],
+12630:["x"],
+12631:["n","tobacco; a tobacconist's shop (French)","たばこ、たばこ屋（フランス語）"],
+12632:["n","a cat with striped fur","トラ猫"],
+12633:["x"],
+12634:["v","to beat as on a tabor (archaic)","小太鼓のように打つ（古語）"],
+12635:["n","wasting of the body due to disease","消耗症"],
+12636:["x"],
+12637:["adj","relating to wasting disease (tabetic)","消耗症の"],
+12638:["adj","wasted by disease","やつれた"],
+12639:["n","Japanese split-toe socks (plural of tabi)","足袋（複数）"],
+12640:["n","a pair of Indian hand drums","タブラ"],
+12641:["n","a piece of furniture with a flat top","テーブル","Set the table for dinner."],
+12642:["x"],
+12643:["n","a social or religious prohibition","タブー"],
+12644:["n","a small drum played with a pipe","小太鼓"],
+12645:["n","taboos (plural of tabu)","タブー（複数）"],
+12646:["x"],
+12647:["n","a navigation system for aircraft","タカン（航空用航法装置）"],
+12648:["n","pieces of thigh armour (plural of tace)","腿当て（複数）"],
+12649:["v","is silent (musical direction)","休止（音楽用語）"],
+12650:["n","a buckle or clasp (obsolete); a moustache (informal)","留め金（廃語）、口ひげ（略式）"],
+12651:["n","a long Japanese sword","太刀"],
+12652:["n","tachometers (informal, plural of tach)","回転計（略式、複数）"],
+12653:["adj","understood without being said","暗黙の","Tacit approval."],
+12654:["n","small broad-headed nails (plural of tack)","びょう（複数）"],
+12655:["adj","slightly sticky; cheap and tasteless","べたつく、安っぽい"],
+12656:["n","folded tortillas with a filling (plural of taco)","タコス（複数）"],
+12657:["x"],
+12658:["n","sensitivities in dealing with others (plural of tact)","気配り（複数）"],
+12659:["n","East Asian units of weight (plural of tael)","両（重さの単位、複数）"],
+12660:["n","a chewy sweet made of boiled sugar","タフィー"],
+12661:["n","a cheap rum from the West Indies","タフィア（ラム酒）"],
+12662:["x"],
+12663:["x"],
+12664:["n","a palm whose hard nut is used as vegetable ivory","タグア椰子"],
+12665:["x"],
+12666:["x"],
+12667:["n","a tael (Malay)","タヒル（重さの単位）"],
+12668:["n","tahini, sesame paste","タヒニ（練りごま）"],
+12669:["n","wild goats of the Himalayas (plural of tahr)","タール（ヒマラヤの野生ヤギ、複数）"],
+12670:["x"],
+12671:["x"],
+12672:["n","the coniferous forest of northern regions","タイガ"],
+12673:["n","back ends of animals; the side of a coin without a head","尾、（コインの）裏","Heads or tails?"],
+12674:["x"],
+12675:["n","a member of an extinct Caribbean people","タイノ族"],
+12676:["n","thin tin plates (plural of tain)","薄いブリキ板（複数）"],
+12677:["v","to contaminate or spoil","汚染する"],
+12678:["x"],
+12679:["n","a tarn (obsolete)","山上湖（廃語）"],
+12680:["x"],
+12681:["x"],
+12682:["x"],
+12683:["n","a member of a Persian-speaking people of Central Asia","タジク人"],
+12684:["x"],
+12685:["x"],
+12686:["v","got; carried (past participle of take)","取られた","This seat is taken."],
+12687:["n","a person who takes or accepts","受け取る人"],
+12688:["v","gets hold of; carries (third person of take)","取る"],
+12689:["n","a large goat-antelope of the Himalayas","ターキン"],
+12690:["n","a clay flat in a desert","タキル（粘土質の荒地）"],
+12691:["x"],
+12692:["x"],
+12693:["n","an ankle-length robe","足首丈の長衣"],
+12694:["n","Samoan currency units; rhythmic cycles in Indian music (plural of tala)","タラ（複数）"],
+12695:["x"],
+12696:["n","soft minerals used for powder (plural of talc)","滑石（複数）"],
+12697:["n","a Jewish prayer shawl (tallith)","タリート（祈祷用ショール）"],
+12698:["n","a former German silver coin (thaler)","ターラー銀貨"],
+12699:["n","stories (plural of tale)","物語","Fairy tales."],
+12700:["n","retaliation in kind (Latin)","同害報復（ラテン語）"],
+12701:["x"],
+12702:["n","formal discussions (plural of talk)","会談","Peace talks began today."],
+12703:["adj","too talkative","口数の多い"],
+12704:["x"],
+12705:["n","a running count","集計","Keep a tally."],
+12706:["n","a large cape or short cloak","タルマ（ケープ）"],
+12707:["n","a claw of a bird of prey","かぎ爪"],
+12708:["n","the genus of moles","モグラ属"],
+12709:["n","an administrative subdivision of a district in India","タールク（郡）"],
+12710:["n","the ankle bone; a slope of loose rock","距骨、崖錐"],
+12711:["n","a tamale","タマル（トウモロコシの包み料理）"],
+12712:["n","the quality of darkness and inertia in Hindu philosophy","タマス（暗質）"],
+12713:["x"],
+12714:["v","domesticated (past of tame)","飼いならした"],
+12715:["n","a person who tames animals","調教師"],
+12716:["v","domesticates (third person of tame)","飼いならす"],
+12717:["n","a language and people of southern India and Sri Lanka","タミル語、タミル人","She speaks Tamil."],
+12718:["n","a cloth sieve","裏ごし布"],
+12719:["n","a glazed woollen cloth; a tam-o'-shanter","タミー布、タモシャンター帽"],
+12720:["n","a city in Florida, USA","タンパ","Tampa Bay."],
+12721:["v","packs down tightly (third person of tamp)","突き固める"],
+12722:["x"],
+12723:["x"],
+12724:["n","a very brief bikini; a former coin of Central Asia","タンガ（ビキニ）、タンガ（硬貨）"],
+12725:["n","a Maori funeral","タンギ（マオリの葬儀）"],
+12726:["n","a ballroom dance from Argentina","タンゴ"],
+12727:["n","sharp tastes or smells (plural of tang)","ぴりっとした味（複数）"],
+12728:["adj","having a sharp pleasant taste","ぴりっとした"],
+12729:["n","craving, in Buddhism","渇愛"],
+12730:["x"],
+12731:["n","a Japanese poem of 31 syllables","短歌"],
+12732:["n","large containers; armoured vehicles (plural of tank)","タンク、戦車（複数）"],
+12733:["x"],
+12734:["x"],
+12735:["x"],
+12736:["n","a plant with yellow button flowers","ヨモギギク"],
+12737:["x"],
+12738:["adv","too much (music)","過度に（音楽）"],
+12739:["x"],
+12740:["n","small Spanish snacks","タパス（小皿料理）"],
+12741:["v","recorded; fastened with tape (past of tape)","録音した、テープで留めた"],
+12742:["x"],
+12743:["v","to become narrower at one end","先細りになる","The leaves taper to a point."],
+12744:["n","strips for recording or sticking (plural of tape)","テープ","Old video tapes."],
+12745:["n","tapestry (obsolete)","つづれ織り（廃語）"],
+12746:["n","mud for building walls","土壁用の泥"],
+12747:["n","a pig-like animal with a short trunk","バク","The tapir lives in South America."],
+12748:["n","tapestry; formerly, a table cover","つづれ織り、テーブル掛け"],
+12749:["x"],
+12750:["x"],
+12751:["n","tapa cloth","タパ布"],
+12752:["x"],
+12753:["x"],
+12754:["x"],
+12755:["x"],
+12756:["x"],
+12757:["adj","slow (music)","遅く（音楽）"],
+12758:["adj","late; slow","遅れた"],
+12759:["x"],
+12760:["v","weighed to find the tare (past of tare)","風袋を量った"],
+12761:["n","weeds; weights of containers (plural of tare)","雑草、風袋（複数）"],
+12762:["x"],
+12763:["n","a small round shield","小型の丸盾"],
+12764:["x"],
+12765:["n","the siskin (dialect)","マヒワ（方言）"],
+12766:["n","small mountain lakes (plural of tarn)","山上の小湖（複数）"],
+12767:["n","a card game played with tarot cards","タロック（トランプ遊び）"],
+12768:["n","a card game played with tarot cards","タロック（トランプ遊び）"],
+12769:["n","tropical plants with starchy roots (plural of taro)","タロイモ（複数）"],
+12770:["n","a set of cards used for fortune-telling","タロット"],
+12771:["n","waterproof sheets (plural of tarp)","防水シート（複数）"],
+12772:["v","to urge on, as a dog (obsolete)","けしかける（廃語）"],
+12773:["x"],
+12774:["v","to linger or delay","ぐずぐずする、とどまる"],
+12775:["n","a male falcon (tercel)","雄のハヤブサ"],
+12776:["n","ankle bones; insect feet (plural of tarsus)","足根（複数）"],
+12777:["x"],
+12778:["n","pastries with fruit filling (plural of tart)","タルト（複数）"],
+12779:["x"],
+12780:["n","clay for making melting pots","るつぼ用粘土"],
+12781:["n","pieces of work (plural of task)","仕事（複数）"],
+12782:["n","a thigh guard in plate armour","腿当て"],
+12783:["n","the flavor of food; what you like","味、好み","It has a sweet taste."],
+12784:["adj","having a pleasant flavour","おいしい"],
+12785:["n","a member of a Turkic people of Russia","タタール人"],
+12786:["n","a potato (informal)","じゃがいも（略式）"],
+12787:["n","locks of hair (dialect)","髪の房（方言）"],
+12788:["n","a potato (dialect)","じゃがいも（方言）"],
+12789:["x"],
+12790:["n","an armadillo","アルマジロ"],
+12791:["n","a screen of wet grass for cooling a room (India)","冷房用の濡れ簾（インド）"],
+12792:["adj","worn and shabby","みすぼらしい"],
+12793:["x"],
+12794:["n","a T-shaped stone monument of Minorca","タウラ（巨石記念物）"],
+12795:["v","to mock or provoke","なじる、あざける"],
+12796:["adj","brownish gray","トープ色の、灰褐色の","A taupe sofa."],
+12797:["x"],
+12798:["x"],
+12799:["x"],
+12800:["x"],
+12801:["v","made skins into white leather (past of taw)","なめした"],
+12802:["n","a maker of white leather","白なめし職人"],
+12803:["adj","tame; docile (Scottish)","おとなしい（スコットランド）"],
+12804:["adj","orange-brown","黄褐色の","The lion has a tawny coat."],
+12805:["x"],
+12806:["x"],
+12807:["n","a leather strap formerly used to punish children","むち（革ひも）"],
+12808:["v","charged tax on (past of tax)","課税された","Income is taxed."],
+12809:["n","a person who imposes taxes","課税者"],
+12810:["n","money paid to the government (plural of tax)","税金（複数）"],
+12811:["n","a poisonous alkaloid from yew","タキシン"],
+12812:["x"],
+12813:["n","movement of an organism toward or away from a stimulus","走性"],
+12814:["n","a group in biological classification","分類群"],
+12815:["n","an officer who assesses prices (taxer)","査定官"],
+12816:["n","the genus of yews","イチイ属"],
+12817:["x"],
+12818:["x"],
+12819:["n","a tree-dwelling weasel of tropical America","タイラ"],
+12820:["n","a model of a martyr's tomb carried in Muharram processions","タージヤ（殉教者廟の模型）"],
+12821:["n","a shallow ornamental cup on a stem","タッツァ（脚付き浅杯）"],
+12822:["n","shallow ornamental cups (plural of tazza)","タッツァ（複数）"],
+12823:["x"],
+12824:["v","to help someone learn","教える","She teaches math."],
+12825:["x"],
+12826:["x"],
+12827:["n","hardwood trees of Asia (plural of teak)","チーク（複数）"],
+12828:["n","small freshwater ducks (plural of teal)","コガモ（複数）"],
+12829:["n","groups working together (plural of team)","チーム（複数）"],
+12830:["n","drops of water from the eyes (plural of tear)","涙","Tears ran down her face."],
+12831:["adj","painful; severe (dialect)","ひどい（方言）"],
+12832:["adj","full of tears","涙ぐんだ"],
+12833:["v","to make fun of playfully","からかう"],
+12834:["x"],
+12835:["n","nipples of animals (plural of teat)","乳首（複数）"],
+12836:["x"],
+12837:["x"],
+12838:["v","to tease (archaic spelling)","からかう（古い綴り）"],
+12839:["n","the tenth month of the Jewish religious year","テベト月"],
+12840:["adj","irritable (tetchy)","怒りっぽい"],
+12841:["x"],
+12842:["x"],
+12843:["n","a palm yielding strong fibre (tucum)","ツクム椰子"],
+12844:["n","a toy bear","テディベア","The child hugged her teddy."],
+12845:["n","the channel through which molten metal is poured into a mould","湯道"],
+12846:["v","is full of; swarms (third person of teem)","満ちあふれる"],
+12847:["n","the ages 13 to 19","10 代","In her teens."],
+12848:["adj","very small (informal)","ちっちゃな（略式）"],
+12849:["n","a tinsmith's small anvil","小型金床"],
+12850:["n","the hard white things in the mouth (plural of tooth)","歯","Brush your teeth."],
+12851:["x"],
+12852:["n","African cereal grasses (plural of teff)","テフ（複数）"],
+12853:["x"],
+12854:["interj","a sound of giggling (tee-hee)","ひひひ（くすくす笑い）"],
+12855:["n","a lizard of the whiptail family","テユー科のトカゲ"],
+12856:["n","a tithe (Scottish)","十分の一税（スコットランド）"],
+12857:["x"],
+12858:["n","a badger (Spanish American)","アナグマ（中南米スペイン語）"],
+12859:["n","a dervish monastery","テッケ（修道場）"],
+12860:["x"],
+12861:["n","web-like tissues (plural of tela)","組織膜（複数）"],
+12862:["x"],
+12863:["x"],
+12864:["n","televisions (informal, plural of tele)","テレビ（略式、複数）"],
+12865:["n","an old system for sending typed messages","テレックス","Send a telex."],
+12866:["n","spore-forming structures of rust fungi (plural of telium)","冬胞子堆（複数）"],
+12867:["adj","directed toward a goal or purpose","目的を示す"],
+12868:["v","says; informs (third person of tell)","話す、告げる"],
+12869:["v","told (Scottish)","話した（スコットランド）"],
+12870:["n","television (British informal)","テレビ（英略式）"],
+12871:["n","ultimate purposes (plural of telos)","究極目的（複数）"],
+12872:["n","an ultimate end or purpose","究極目的"],
+12873:["n","a Welsh harp","テリン（ウェールズのハープ）"],
+12874:["x"],
+12875:["x"],
+12876:["x"],
+12877:["n","a cake of fermented soybeans (tempeh)","テンペ"],
+12878:["n","speeds of pieces of music (plural of tempo)","テンポ（複数）"],
+12879:["n","the speed of music","テンポ","A fast tempo."],
+12880:["n","temporary workers (plural of temp)","派遣社員（複数）"],
+12881:["v","to entice someone to do something","誘惑する"],
+12882:["n","a sieve (dialect)","ふるい（方言）"],
+12883:["x"],
+12884:["n","a European freshwater fish of the carp family","テンチ"],
+12885:["n","a tendon (anatomy)","腱（解剖）"],
+12886:["v","is inclined to; looks after (third person of tend)","傾向がある、世話をする"],
+12887:["n","a principle or belief","信条"],
+12888:["x"],
+12889:["n","a long-nosed goblin of Japanese folklore","天狗"],
+12890:["n","a headband; a tapeworm (taenia)","ヘアバンド、条虫"],
+12891:["x"],
+12892:["x"],
+12893:["n","an orange-brown colour in heraldry","テネ（紋章の橙褐色）"],
+12894:["n","the emperor of Japan","天皇"],
+12895:["n","a tapir","バク"],
+12896:["n","a projecting end of wood fitting into a mortise","ほぞ"],
+12897:["n","a high male singing voice","テノール","He sings tenor."],
+12898:["adj","nervous; stretched tight","緊張した","A tense moment."],
+12899:["x"],
+12900:["adj","next after ninth","10 番目の","It's our tenth anniversary."],
+12901:["n","portable shelters of cloth (plural of tent)","テント（複数）"],
+12902:["adj","careful; attentive (Scottish)","注意深い（スコットランド）"],
+12903:["n","bearing; deportment (French)","身なり、立ち居振る舞い（フランス語）"],
+12904:["n","a segment of a flower's outer whorl not divided into sepal and petal","花被片"],
+12905:["x"],
+12906:["n","a cone-shaped Native American tent","ティピー"],
+12907:["adj","slightly warm; unenthusiastic","ぬるい、気のない"],
+12908:["n","gentle warmth","ほのかな温かさ"],
+12909:["n","a wide-brimmed felt hat","テライ帽"],
+12910:["x"],
+12911:["n","a severely malformed fetus (medicine)","奇形胎児（医学）"],
+12912:["n","the third canonical hour","三時課"],
+12913:["n","a grey sandpiper of northern Eurasia","ソリハシシギ"],
+12914:["n","either of two muscles of the shoulder","大円筋、小円筋"],
+12915:["x"],
+12916:["n","back plates of arthropods (plural of tergum)","背板（複数）"],
+12917:["n","a thin wall of the brain's third ventricle","終板"],
+12918:["n","conditions of an agreement; words (plural of term)","条件、用語","Read the terms carefully."],
+12919:["x"],
+12920:["n","sheet steel coated with a lead-tin alloy","ターンめっき鋼板"],
+12921:["n","slender seabirds with forked tails (plural of tern)","アジサシ（複数）"],
+12922:["n","earth; land (Latin)","大地（ラテン語）","Terra firma."],
+12923:["n","earth; land (French)","大地（フランス語）","Terre Haute is in Indiana."],
+12924:["n","a given name; soft looped cloth for towels","テリー（人名）、タオル地","Terry cloth."],
+12925:["adj","brief and abrupt","簡潔な、そっけない"],
+12926:["x"],
+12927:["n","the SI unit of magnetic flux density","テスラ"],
+12928:["n","the hard outer coat of a seed","種皮"],
+12929:["n","a witness (law)","証人（法律）"],
+12930:["n","exams; checks (plural of test)","試験","We have two tests this week."],
+12931:["adj","easily irritated","怒りっぽい"],
+12932:["x"],
+12933:["n","an African hartebeest","テテル（ハーテビースト）"],
+12934:["n","letters of the Hebrew alphabet (plural of teth)","テット（複数）"],
+12935:["n","a small brightly coloured tropical fish","テトラ（熱帯魚）"],
+12936:["adj","testy (obsolete)","怒りっぽい（廃語）"],
+12937:["adj","tough (Scottish)","硬い（スコットランド）"],
+12938:["adj","tough (Scottish)","硬い（スコットランド）"],
+12939:["adj","tired; worn out (dialect)","疲れ果てた（方言）"],
+12940:["n","a chimney or pipe; a furnace tuyere (obsolete)","煙突、羽口（廃語）"],
+12941:["x"],
+12942:["n","a lapwing (dialect)","タゲリ（方言）"],
+12943:["x"],
+12944:["n","a person from Texas","テキサス人"],
+12945:["n","a large state in the southern United States","テキサス州","Texas is famous for cowboys."],
+12946:["n","written words; text messages (plural of text)","文章、メッセージ（複数）"],
+12947:["n","thatch (dialect)","わらぶき（方言）"],
+12948:["x"],
+12949:["n","a police station in India","警察署（インド）"],
+12950:["n","a man holding land from a king in Anglo-Saxon England","セイン（豪族）"],
+12951:["v","to say you are grateful","感謝する","Thank you very much."],
+12952:["x"],
+12953:["n","an intestine; gut string (dialect)","腸、腸線（方言）"],
+12954:["x"],
+12955:["x"],
+12956:["x"],
+12957:["n","a young ewe (dialect)","若い雌羊（方言）"],
+12958:["x"],
+12959:["v","melts (third person of thaw)","解ける"],
+12960:["adj","thawing","解けかかった"],
+12961:["x"],
+12962:["x"],
+12963:["n","a sheath or case, such as a spore case","莢膜、胞子嚢"],
+12964:["v","to thatch (Scottish)","わらでふく（スコットランド）"],
+12965:["x"],
+12966:["x"],
+12967:["n","the crime of stealing","窃盗","Car theft."],
+12968:["n","a thane","セイン（豪族）"],
+12969:["n","caffeine found in tea (theine)","テイン"],
+12970:["pron","belonging to them","彼らの","That's their house."],
+12971:["x"],
+12972:["n","the main subject","テーマ","The theme of the party is space."],
+12973:["x"],
+12974:["x"],
+12975:["x"],
+12976:["x"],
+12977:["n","a slave in Anglo-Saxon England","奴隷（アングロサクソン）"],
+12978:["adv","in or at that place","そこに","Put it there."],
+12979:["n","a unit of heat equal to 100,000 British thermal units","サーム（熱量単位）"],
+12980:["pron","the ones here","これら","These are my books."],
+12981:["n","the eighth letter of the Greek alphabet","シータ"],
+12982:["n","a member of the lowest class of citizens in ancient Athens","テーテス（最下層市民）"],
+12983:["n","muscles; strength (plural of thew)","筋肉、体力（複数）"],
+12984:["adj","muscular","筋骨たくましい"],
+12985:["x"],
+12986:["adj","wide from one side to the other; dense","厚い、濃い","A thick book."],
+12987:["n","a person who steals","泥棒","Stop, thief!"],
+12988:["n","the top part of the leg","太もも","He hurt his thigh."],
+12989:["adj","that same (obsolete)","その同じ（廃語）"],
+12990:["n","a shaft of a cart","轅"],
+12991:["pron","yours (old form)","汝の（古語）","Thine is the kingdom."],
+12992:["n","an object","もの","What is that thing?"],
+12993:["v","to use the mind; to believe","考える、思う","I think so."],
+12994:["v","makes or becomes thinner (third person of thin)","薄くする"],
+12995:["n","an organic compound containing a sulfur-hydrogen group","チオール"],
+12996:["adj","next after second","3 番目の","She came third."],
+12997:["v","to pierce (obsolete)","突き通す（廃語）"],
+12998:["x"],
+12999:["x"],
+13000:["x"],
+13001:["x"],
+13002:["n","a pin serving as a pivot for an oar","櫂栓"],
+13003:["n","domed tombs (plural of tholos)","円形墳墓（複数）"],
+13004:["x"],
+13005:["n","a narrow strip of leather; a type of sandal or underwear","革ひも、ビーチサンダル"],
+13006:["x"],
+13007:["x"],
+13008:["n","a sharp point on a plant","とげ","A rose has thorns."],
+13009:["adj","thorough (simplified spelling)","完全な（簡略綴り）"],
+13010:["n","a village or hamlet (archaic)","村（古語）"],
+13011:["x"],
+13012:["pron","the ones there","それら","Those are my shoes."],
+13013:["n","thousandths of an inch (informal, plural of thou)","1000分の1インチ（略式、複数）"],
+13014:["x"],
+13015:["x"],
+13016:["v","to bind tightly (nautical)","縛りつける（海事）"],
+13017:["v","to twist; to thwart (Scottish)","ねじる、逆らう（スコットランド）"],
+13018:["n","the number 3","3","I have three brothers."],
+13019:["v","sent through the air (past of throw)","投げた","He threw the ball."],
+13020:["n","a tiny sap-sucking insect","アザミウマ"],
+13021:["v","to beat strongly; to pulsate","ずきずきする、どきどきする"],
+13022:["n","a violent spasm of pain","激痛"],
+13023:["x"],
+13024:["v","to send through the air with the hand","投げる","Throw me the ball."],
+13025:["v","to make a continuous low humming sound","ぶーんと鳴る"],
+13026:["x"],
+13027:["n","dull heavy sounds (plural of thud)","ドスン（複数）"],
+13028:["n","violent criminals (plural of thug)","凶漢（複数）"],
+13029:["n","a coniferous tree, the arborvitae","クロベ属"],
+13030:["n","the farthest north land of the ancient world","トゥーレ（極北の地）"],
+13031:["x"],
+13032:["n","the short thick finger","親指","She gave a thumbs up."],
+13033:["v","to hit heavily","ドンとたたく"],
+13034:["x"],
+13035:["x"],
+13036:["x"],
+13037:["n","a hole; a short passage between mine adits","穴、坑道連絡路"],
+13038:["x"],
+13039:["x"],
+13040:["n","a thuja tree","クロベ"],
+13041:["n","a herb with small leaves","タイム（ハーブ）","Add thyme to the soup."],
+13042:["n","thymus glands (plural of thymus)","胸腺（複数）"],
+13043:["x"],
+13044:["adj","full of thyme","タイムの茂った"],
+13045:["n","an African antelope, a variety of topi","ティアン（アンテロープ）"],
+13046:["n","a jewelled semicircular headdress","ティアラ"],
+13047:["x"],
+13048:["x"],
+13049:["n","a high region in south-west China","チベット","Tibet is called the roof of the world."],
+13050:["x"],
+13051:["n","the shin bone","脛骨","He broke his tibia."],
+13052:["n","a former Siamese coin and weight","ティカル（旧タイの通貨）"],
+13053:["x"],
+13054:["x"],
+13055:["v","makes a clicking sound; marks as correct (third person of tick)","カチカチ鳴る、チェックを付ける"],
+13056:["x"],
+13057:["x"],
+13058:["adj","of the tides","潮の","A tidal wave."],
+13059:["adj","very small (dialect)","ちっちゃな（方言）"],
+13060:["adj","affected by tides","潮の満ち干のある"],
+13061:["n","rises and falls of the sea (plural of tide)","潮（複数）"],
+13062:["interj","well, well (French)","おやおや（フランス語）"],
+13063:["n","levels or ranks (plural of tier)","層、段（複数）"],
+13064:["n","petty quarrels (plural of tiff)","ちょっとした口論（複数）"],
+13065:["x"],
+13066:["n","a large wild cat with orange fur and black stripes","トラ","The tiger crept through the grass."],
+13067:["adj","fitting closely; firmly fixed","きつい","These shoes are tight."],
+13068:["n","the offspring of a male tiger and a female lion","タイゴン"],
+13069:["n","small children; mongrels (plural of tike)","ちびっ子、雑種犬（複数）"],
+13070:["n","carved Polynesian human figures (plural of tiki)","ティキ像（複数）"],
+13071:["n","marinated meat cooked on skewers, as in chicken tikka","ティッカ"],
+13072:["n","an arrowroot starch from an East Indian turmeric","ティコール（澱粉）"],
+13073:["n","an East Indian tree with yellow fruit (Garcinia)","ガルシニアの一種"],
+13074:["n","a mark on the forehead worn by Hindus","ティラク（額の印）"],
+13075:["n","the diacritical mark ~","チルダ"],
+13076:["adj","covered with tiles","タイル張りの"],
+13077:["n","a person who lays tiles; a doorkeeper of a Masonic lodge","タイル職人、フリーメーソンの門番"],
+13078:["n","flat pieces for covering floors or roofs (plural of tile)","タイル、瓦（複数）"],
+13079:["n","cash registers (plural of till)","レジ（複数）"],
+13080:["x"],
+13081:["n","cultivated land; the condition of tilled soil","耕作地、耕土の状態"],
+13082:["v","leans or slopes (third person of tilt)","傾く"],
+13083:["x"],
+13084:["n","a fief held for military service in the Ottoman empire","ティマール（封土）"],
+13085:["x"],
+13086:["n","a South American vine used as a fish poison","ティンボ（魚毒植物）"],
+13087:["v","measured the time of (past of time)","時間を計った","She timed the race."],
+13088:["n","a device that measures time","タイマー","Set the timer for ten minutes."],
+13089:["n","occasions; periods (plural of time)","回、時代","I've been there three times."],
+13090:["x"],
+13091:["adj","shy and easily frightened","臆病な","A timid child."],
+13092:["x"],
+13093:["x"],
+13094:["n","a tint (archaic)","色合い（古語）"],
+13095:["n","a fungal skin infection such as ringworm","白癬"],
+13096:["adj","having prongs","叉のある"],
+13097:["n","prongs of a fork or antler (plural of tine)","叉、枝角（複数）"],
+13098:["n","a slight trace of colour or feeling","かすかな色合い、気味"],
+13099:["x"],
+13100:["n","light ringing sounds (plural of ting)","チンという音（複数）"],
+13101:["adj","thin and metallic in sound; cheaply made","金属的な音の、安っぽい"],
+13102:["x"],
+13103:["x"],
+13104:["n","shades of colour (plural of tint)","色合い（複数）"],
+13105:["x"],
+13106:["n","cone-shaped tents (plural of tipi)","ティピー（複数）"],
+13107:["x"],
+13108:["n","a small Latin American guitar","ティプレ（小型ギター）"],
+13109:["adj","unsteady; liable to tip over","ぐらつく"],
+13110:["adj","slightly drunk","ほろ酔いの"],
+13111:["x"],
+13112:["n","a medieval Islamic embroidered band with inscriptions","ティラーズ（銘入り刺繍布）"],
+13113:["adj","needing rest","疲れた","I'm tired."],
+13114:["x"],
+13115:["n","rubber wheel coverings (plural of tire)","タイヤ（複数）"],
+13116:["v","twirls; rattles (Scottish, third person of tirl)","回す、がたがた鳴らす（スコットランド）"],
+13117:["n","an oystercatcher (dialect)","ミヤコドリ（方言）"],
+13118:["n","beginners (plural of tiro)","初心者（複数）"],
+13119:["x"],
+13120:["n","the fireplace of an annealing oven","焼きなまし炉の火床"],
+13121:["n","consumption; phthisis (obsolete)","肺病（廃語）"],
+13122:["x"],
+13123:["n","a person of great strength or importance","巨人、大物"],
+13124:["x"],
+13125:["n","the concentration of a solution or antibody","力価"],
+13126:["n","a tenth of income given to the church","十分の一税"],
+13127:["n","small South American monkeys (plural of titi)","ティティ（複数）"],
+13128:["n","the name of a book, film or song","題名","What's the title of the song?"],
+13129:["n","the concentration of a solution or antibody (British spelling)","力価（英綴り）"],
+13130:["n","a woman's breast (vulgar)","おっぱい（卑語）"],
+13131:["n","a red ochre for marking sheep (dialect)","羊の印付け用代赭（方言）"],
+13132:["n","a state of nervous excitement","あわてふためき"],
+13133:["n","an old Mexican copper coin","トラコ（旧メキシコ硬貨）"],
+13134:["x"],
+13135:["n","warty frog-like amphibians (plural of toad)","ヒキガエル（複数）"],
+13136:["n","a person who flatters for personal gain","おべっか使い"],
+13137:["n","bread browned by heat; a drink in someone's honor","トースト、乾杯","Toast and jam."],
+13138:["adv","on this day","今日","It's hot today."],
+13139:["n","a hot drink of spirits with sugar and water; palm sap","トディー、椰子酒"],
+13140:["n","rich upper-class people (British informal, plural of toff)","上流気取り（英略式、複数）"],
+13141:["n","toffee","タフィー"],
+13142:["n","homesteads; knolls (plural of toft)","屋敷地、小丘（複数）"],
+13143:["n","soybean curds (plural of tofu)","豆腐（複数）"],
+13144:["n","Roman togas (plural of toga)","トーガ（複数）"],
+13145:["n","loose outer robes of ancient Rome (plural of toga)","トーガ（複数）"],
+13146:["adj","wearing a toga","トーガを着た"],
+13147:["n","the lake trout","レイクトラウト"],
+13148:["x"],
+13149:["n","a linen fabric; a trial version of a garment","トワル（麻布）、仮縫い"],
+13150:["v","works very hard (third person of toil)","骨折って働く"],
+13151:["n","an old French measure of length, about two metres","トワーズ（旧フランスの長さの単位）"],
+13152:["x"],
+13153:["x"],
+13154:["x"],
+13155:["n","a sweet Hungarian wine; a large gecko","トカイワイン、トッケイヤモリ"],
+13156:["v","puffed on a marijuana cigarette (past of toke)","大麻を吸った"],
+13157:["n","a sign or symbol; a coin-like disc","しるし、代用硬貨","A token of thanks."],
+13158:["n","puffs on a marijuana cigarette (plural of toke)","大麻の一服（複数）"],
+13159:["n","the capital of Japan","東京","Tokyo is a huge city."],
+13160:["n","diphenylacetylene, a hydrocarbon","トラン"],
+13161:["n","Indian units of weight (plural of tola)","トーラ（複数）"],
+13162:["x"],
+13163:["v","lured; enticed (past of tole)","おびき寄せた"],
+13164:["v","lures; entices (third person of tole)","おびき寄せる"],
+13165:["n","fees for using roads or bridges (plural of toll)","通行料（複数）"],
+13166:["x"],
+13167:["n","balsams from a South American tree (plural of tolu)","トルーバルサム（複数）"],
+13168:["n","a hydrocarbon group derived from toluene","トリル基"],
+13169:["n","a Persian money of account","トマーン（ペルシャの通貨）"],
+13170:["x"],
+13171:["n","burial chambers (plural of tomb)","墓（複数）"],
+13172:["n","large heavy books (plural of tome)","大冊（複数）"],
+13173:["n","cutting edges of a bird's bill (plural of tomium)","嘴縁（複数）"],
+13174:["x"],
+13175:["n","a given name","トミー（人名）","Tommy loves trains."],
+13176:["adj","relating to tone or tonality","音調の、調性の"],
+13177:["n","circular paintings or reliefs (plural of tondo)","トンド（複数）"],
+13178:["n","a circular painting or relief","トンド（円形画）"],
+13179:["adj","having firm muscles; having a certain tone","引き締まった、色調の"],
+13180:["n","powder ink for printers; a skin lotion","トナー、化粧水"],
+13181:["n","sounds; qualities of voice (plural of tone)","音色、口調（複数）"],
+13182:["n","a light two-wheeled vehicle in India","トンガ（二輪馬車）"],
+13183:["n","a tool for picking things up","トング、火ばさみ"],
+13184:["n","a drink that makes you feel better; tonic water","強壮剤、トニックウォーター","Gin and tonic."],
+13185:["n","a bean used for its vanilla-like scent","トンカ豆"],
+13186:["n","a metric ton of 1000 kilograms","トン（メートル法）"],
+13187:["n","normal muscle tension","緊張、トーヌス"],
+13188:["n","implements (plural of tool)","道具（複数）"],
+13189:["n","cartoon characters (informal, plural of toon)","アニメキャラクター（略式、複数）"],
+13190:["x"],
+13191:["n","one of the hard white things in the mouth","歯","I have a loose tooth."],
+13192:["v","sounds a horn (third person of toot)","警笛を鳴らす"],
+13193:["x"],
+13194:["n","a rhinoceros hornbill","サイチョウ"],
+13195:["n","a yellow gemstone; a golden brown color","トパーズ（色）","Her ring has a topaz."],
+13196:["v","drank alcohol to excess (past of tope)","大酒を飲んだ"],
+13197:["n","a sun helmet (topi)","日よけ帽"],
+13198:["n","a heavy drinker","大酒飲み"],
+13199:["v","drinks heavily (third person of tope)","大酒を飲む"],
+13200:["x"],
+13201:["n","deposits of urates in gout (plural of tophus)","痛風結節（複数）"],
+13202:["x"],
+13203:["x"],
+13204:["n","a subject to talk or write about","話題","Let's change the topic."],
+13205:["n","sun helmets; African antelopes (plural of topi)","日よけ帽、トピ（複数）"],
+13206:["x"],
+13207:["n","traditional themes (plural of topos)","トポス（複数）"],
+13208:["n","a traditional theme or motif in literature","トポス（常套的主題）"],
+13209:["x"],
+13210:["x"],
+13211:["x"],
+13212:["n","a small brimless hat; a chef's tall white hat","トーク帽、コック帽"],
+13213:["n","the Jewish holy scriptures","トーラー（律法）","He reads the Torah."],
+13214:["x"],
+13215:["n","a carved gateway of a Buddhist or Hindu shrine (torana)","トーラナ（塔門）"],
+13216:["n","Torah scrolls (plural of tora)","トーラー（複数）"],
+13217:["n","a flashlight; a burning stick","懐中電灯、たいまつ","The Olympic torch."],
+13218:["n","metal neck rings worn by ancient Celts (plural of torc)","トルク（首環、複数）"],
+13219:["x"],
+13220:["n","tori; rounded mouldings (plural of tore)","トーラス（複数）"],
+13221:["n","a ring on a dog collar or hawk's leash (obsolete)","首輪の環（廃語）"],
+13222:["adj","shaped like a part of a torus, as a toric lens","トーリック（乱視用レンズの形）"],
+13223:["n","a gateway to a Shinto shrine","鳥居"],
+13224:["n","a ritual cake used in Tibetan Buddhism","トルマ（チベット仏教の供物）"],
+13225:["n","bulls (Spanish, plural of toro)","雄牛（スペイン語、複数）"],
+13226:["n","a heraldic wreath","紋章の花輪"],
+13227:["n","trunks of the body (plural of torso)","胴体（複数）"],
+13228:["n","a North Atlantic fish related to cod (cusk)","カスク（タラの類）"],
+13229:["n","the body without the head, arms and legs","胴体","The statue has only a torso."],
+13230:["n","a flat heap of silver ore for the patio process","トルタ（銀鉱の平積み）"],
+13231:["n","a rich layered cake","トルテ"],
+13232:["n","civil wrongs (law, plural of tort)","不法行為（複数）"],
+13233:["n","a ring-shaped surface; a large convex moulding","トーラス、円環体"],
+13234:["adj","grim; stern (obsolete)","険しい（廃語）"],
+13235:["x"],
+13236:["x"],
+13237:["adj","contemptuous; pert","横柄な"],
+13238:["n","the whole amount","合計","The total is ten dollars."],
+13239:["v","carried (past of tote)","運んだ"],
+13240:["n","a natural object serving as an emblem of a clan","トーテム"],
+13241:["n","a person who carries things","運搬人"],
+13242:["v","carries (third person of tote)","運ぶ"],
+13243:["adj","dizzy; unsteady (dialect)","ふらつく（方言）"],
+13244:["n","a teetotum, a spinning top","さいころ独楽"],
+13245:["v","to put your hand on","触る","Don't touch the paint."],
+13246:["adj","strong; difficult","頑丈な、難しい","It was a tough exam."],
+13247:["x"],
+13248:["n","a spinning wheel; a sheriff's court (obsolete)","糸車、州長官の巡回裁判（廃語）"],
+13249:["n","trips to visit places (plural of tour)","ツアー","Guided tours."],
+13250:["x"],
+13251:["v","to pull about roughly (dialect)","手荒に扱う（方言）"],
+13252:["x"],
+13253:["adj","tousled (Scottish)","くしゃくしゃの（スコットランド）"],
+13254:["v","promotes insistently (third person of tout)","しつこく売り込む"],
+13255:["x"],
+13256:["x"],
+13257:["n","a New Zealand tree (kamahi)","トワイ（ニュージーランドの木）"],
+13258:["x"],
+13259:["v","pulled along behind (past of tow)","牽引した"],
+13260:["n","a cloth for drying","タオル","Dry your hands on the towel."],
+13261:["n","a tall narrow building","塔","Tokyo Tower is red and white."],
+13262:["x"],
+13263:["n","places where people live, smaller than cities (plural of town)","町","Small towns are quiet."],
+13264:["n","a resident of a town, as opposed to students","町の住人"],
+13265:["adj","tousled (dialect)","くしゃくしゃの（方言）"],
+13266:["adj","poisonous","有毒な","Toxic waste."],
+13267:["n","a poison made by a living thing","毒素","Snake toxin."],
+13268:["x"],
+13269:["v","played idly (past of toy)","もてあそんだ"],
+13270:["n","a person who toys; a trifler","戯れる人"],
+13271:["n","an evergreen shrub of California with red berries","トーヨン"],
+13272:["n","straws used for hat-making (plural of toyo)","トーヨー（帽子用わら、複数）"],
+13273:["x"],
+13274:["x"],
+13275:["x"],
+13276:["n","a mark or sign left behind; a tiny amount","跡、微量","There was no trace of the thief."],
+13277:["n","a path; a rail line; a song on an album","小道、線路、曲","The train left the track."],
+13278:["n","an area of land; a system of organs","（土地の）広がり、管","The digestive tract."],
+13279:["n","buying and selling","貿易、取引","Trade between the two countries grew."],
+13280:["x"],
+13281:["n","small flaps in front of the ear openings (plural of tragus)","耳珠（複数）"],
+13282:["v","to wander; to decline in health (Scottish)","さまよう、衰える（スコットランド）"],
+13283:["n","a path through the countryside","小道","We hiked the mountain trail."],
+13284:["n","a line of railway cars pulled by an engine","電車","I take the train to work."],
+13285:["n","a quality of a person","特性","A family trait."],
+13286:["n","the tissue lining the gills of certain fungi","菌髄"],
+13287:["x"],
+13288:["n","a homeless person who walks from place to place","放浪者","A tramp slept in the barn."],
+13289:["n","streetcars (plural of tram)","路面電車（複数）"],
+13290:["x"],
+13291:["adj","across (used in compounds)","横断の、〜を越えた","The trans-Siberian railway."],
+13292:["v","to peddle (obsolete)","行商する（廃語）"],
+13293:["n","devices for catching animals (plural of trap)","わな","Mouse traps."],
+13294:["v","trapped (archaic)","わなにかけた（古語）"],
+13295:["n","garbage","ごみ","Take out the trash."],
+13296:["n","a volcanic tuff used in hydraulic cement","トラス（火山灰セメント）"],
+13297:["x"],
+13298:["n","a crossbeam; a frame for restraining a horse being shod","横梁、枠場"],
+13299:["v","to fish with a large net dragged along the sea; to search thoroughly","トロール漁をする、徹底的に探す"],
+13300:["n","flat boards for carrying things (plural of tray)","トレイ","Food trays."],
+13301:["v","to walk on","踏む","Tread carefully."],
+13302:["n","an abbreviation of treasurer or treasury","会計係（略）","The Treas. report."],
+13303:["v","to behave toward; to give medical care","扱う、治療する","Treat others kindly."],
+13304:["v","chased up a tree (past of tree)","木に追い上げた"],
+13305:["adj","made of wood (obsolete)","木製の（廃語）"],
+13306:["n","tall woody plants (plural of tree)","木（複数）"],
+13307:["x"],
+13308:["adj","not kosher (treif)","コーシャーでない"],
+13309:["n","long hard journeys (plural of trek)","長旅（複数）"],
+13310:["n","a general change or direction","傾向、流行","The latest fashion trend."],
+13311:["n","a long lock of hair","長い髪の房"],
+13312:["x"],
+13313:["n","allowances for waste in weighing goods (plural of tret)","目減り引き（複数）"],
+13314:["n","close-fitting tartan trousers","タータンのズボン"],
+13315:["n","threes at dice or cards (plural of trey)","3の目、3の札（複数）"],
+13316:["n","a semiconductor switch for alternating current","トライアック"],
+13317:["n","a group of three; a three-note chord","三つ組、三和音"],
+13318:["n","the hearing of a case in court; a test","裁判、試験","The trial lasted a week."],
+13319:["n","the Triassic period","三畳紀"],
+13320:["n","a group of families sharing a culture","部族","The tribe lives by the river."],
+13321:["n","a lichen fruit body with spiral ridges","トリカ（地衣類の子器）"],
+13322:["n","a moment, as in \"in a trice\"","一瞬"],
+13323:["n","a clever act to fool someone","いたずら、手品","A magic trick."],
+13324:["v","made an attempt (past of try)","試した","I tried my best."],
+13325:["n","a person who tries; a judge of a case","試みる人、審理者"],
+13326:["n","attempts (plural of try)","試み","Three tries left."],
+13327:["adj","not kosher (treif)","コーシャーでない"],
+13328:["n","an ancient three-horse chariot","三頭立て戦車"],
+13329:["n","wheat (Spanish)","小麦（スペイン語）"],
+13330:["n","trigonometry (informal); trig points (plural of trig)","三角法（略式）、三角点（複数）"],
+13331:["n","a tricycle (informal)","三輪車（略式）"],
+13332:["n","a rapid alternation of two musical notes; a bird's warble","トリル、さえずり"],
+13333:["v","cuts to make neat (third person of trim)","刈り込む"],
+13334:["x"],
+13335:["adj","threefold; relating to an aspect of 120 degrees (astrology)","三重の、三分（120度）の"],
+13336:["n","a kind of fishing net (obsolete)","漁網の一種（廃語）"],
+13337:["n","an alcohol containing three hydroxyl groups","トリオール"],
+13338:["n","a trier, a person appointed to try a juror's impartiality","審査員"],
+13339:["n","groups of three (plural of trio)","三重奏、三人組（複数）"],
+13340:["n","stomach lining of a cow used as food; nonsense","胃袋（食用）、くだらないもの"],
+13341:["x"],
+13342:["n","journeys (plural of trip)","旅行（複数）"],
+13343:["v","tripped (archaic)","つまずいた（古語）"],
+13344:["x"],
+13345:["adj","sad (archaic)","悲しい（古語）"],
+13346:["adj","overused and unoriginal","陳腐な"],
+13347:["x"],
+13348:["v","to bellow, as a buck in rutting time","発情期の雄鹿が鳴く"],
+13349:["x"],
+13350:["x"],
+13351:["x"],
+13352:["n","an old lawn game like billiards","トロコ（芝生ビリヤード）"],
+13353:["v","trod (archaic past of tread)","踏んだ（古語）"],
+13354:["x"],
+13355:["v","walks wearily (British informal, third person of trog)","とぼとぼ歩く（英略式）"],
+13356:["adj","relating to Troy","トロイの"],
+13357:["x"],
+13358:["v","to barter (Scottish)","物々交換する（スコットランド）"],
+13359:["n","an ugly giant of folklore; a person who posts provocative messages online","トロール、荒らし"],
+13360:["n","a water-powered blowing device for furnaces","トロンプ（水力送風機）"],
+13361:["n","a mineral of sodium carbonate","トロナ石"],
+13362:["n","a pool of tips shared among staff","チップの共同積立"],
+13363:["n","a steelyard for weighing wool (dialect)","竿秤（方言）"],
+13364:["x"],
+13365:["n","a group of soldiers or scouts","部隊","A troop of scouts."],
+13366:["x"],
+13367:["x"],
+13368:["n","a figure of speech; a common theme","比喩、定番の型"],
+13369:["n","faithfulness; a pledge, especially to marry (archaic)","誠実、婚約（古語）"],
+13370:["v","runs at a moderate pace (third person of trot)","速歩で進む"],
+13371:["x"],
+13372:["n","a freshwater fish related to salmon","マス","He caught a trout."],
+13373:["x"],
+13374:["n","a store of valuable things","宝の山"],
+13375:["v","believes (archaic, third person of trow)","思う（古語）"],
+13376:["x"],
+13377:["n","an East Indian herring","ヒルサ類のニシン"],
+13378:["n","an agreement to stop fighting","休戦","A truce was signed."],
+13379:["n","a large vehicle for carrying goods","トラック","The truck delivered the sofa."],
+13380:["v","adjusted to be exactly straight (past of true)","正しく調整した"],
+13381:["adj","more true (comparative of true)","より真実の"],
+13382:["v","adjusts to be exactly straight (third person of true)","正しく調整する"],
+13383:["x"],
+13384:["n","a prostitute (archaic)","売春婦（古語）"],
+13385:["adv","really; sincerely","本当に","I am truly sorry."],
+13386:["n","a card of the suit that beats others","切り札","Hearts are trumps."],
+13387:["n","the main stem of a tree; an elephant's long nose","幹、象の鼻","The elephant raised its trunk."],
+13388:["x"],
+13389:["n","a frame of beams supporting a roof or bridge","トラス（構造）","A steel truss."],
+13390:["v","to believe someone is honest","信頼する","I trust you."],
+13391:["n","what is true","真実","Tell the truth."],
+13392:["n","a nut with a fibrous husk, as a walnut","核果状堅果"],
+13393:["x"],
+13394:["x"],
+13395:["n","a secret meeting of lovers","逢い引き"],
+13396:["n","a letter of the Hebrew alphabet (tsadi)","ツァディ"],
+13397:["n","the eighteenth letter of the Hebrew alphabet","ツァディ"],
+13398:["n","Russian emperors (plural of tsar)","ツァーリ（複数）"],
+13399:["n","a Hebrew vowel point","ツェレ（ヘブライ文字の母音符）"],
+13400:["n","the banteng, a wild ox of Southeast Asia","バンテン"],
+13401:["v","made a tsk sound of disapproval (past of tsk)","舌打ちした"],
+13402:["n","the guard of a Japanese sword","鍔"],
+13403:["n","a Japanese unit of area, about 3.3 square metres","坪"],
+13404:["x"],
+13405:["x"],
+13406:["n","a eucalyptus tree of Western Australia","トゥアート（ユーカリ）"],
+13407:["n","a territory ruled by a king in ancient Ireland","トゥアハ（古代アイルランドの小王国）"],
+13408:["n","tubas (plural of tuba)","チューバ（複数）"],
+13409:["adj","relating to a tube such as the Fallopian tube","卵管の"],
+13410:["x"],
+13411:["n","large low brass instruments (plural of tuba)","チューバ（複数）"],
+13412:["x"],
+13413:["adj","short and fat (informal)","ずんぐりした（略式）"],
+13414:["adj","having tubes","管のある"],
+13415:["n","a thick underground stem, such as a potato","塊茎"],
+13416:["n","hollow cylinders (plural of tube)","管（複数）"],
+13417:["x"],
+13418:["x"],
+13419:["v","pushes in neatly (third person of tuck)","押し込む"],
+13420:["x"],
+13421:["n","a Brazilian palm yielding strong fibre","ツクム椰子"],
+13422:["x"],
+13423:["n","the royal family of England from 1485 to 1603","チューダー朝","A Tudor house."],
+13424:["x"],
+13425:["n","porous limestone deposits (plural of tufa)","石灰華（複数）"],
+13426:["n","rocks of compacted volcanic ash (plural of tuff)","凝灰岩（複数）"],
+13427:["n","bunches of hair or grass (plural of tuft)","房（複数）"],
+13428:["adj","growing in tufts","房状の"],
+13429:["x"],
+13430:["n","the attitude of focusing on the other person","他者本位"],
+13431:["x"],
+13432:["n","large bulrushes (plural of tule)","フトイ（複数）"],
+13433:["n","a cup-shaped spring flower","チューリップ","Tulips bloom in April."],
+13434:["n","fine netting fabric used for veils","チュール"],
+13435:["n","a city in Oklahoma, USA","タルサ","Tulsa is in Oklahoma."],
+13436:["n","holy basil, sacred in Hinduism","トゥルシー（カミメボウキ）"],
+13437:["adj","swollen; pompous","腫れた、誇張した"],
+13438:["x"],
+13439:["n","the stomach (informal)","おなか（略式）"],
+13440:["n","an abnormal growth in the body","腫瘍","The doctor removed the tumor."],
+13441:["n","small mounds (plural of tump)","小山（複数）"],
+13442:["x"],
+13443:["n","large ocean fish (plural of tuna)","マグロ（複数）"],
+13444:["x"],
+13445:["v","adjusted an instrument or radio (past of tune)","調律した","The piano was tuned."],
+13446:["n","a person or device that tunes","調律師、チューナー"],
+13447:["n","melodies (plural of tune)","曲（複数）"],
+13448:["x"],
+13449:["n","tung trees (plural of tung)","アブラギリ（複数）"],
+13450:["n","a loose garment reaching the hips or knees","チュニック"],
+13451:["x"],
+13452:["x"],
+13453:["x"],
+13454:["n","a tuna","マグロ"],
+13455:["n","an Inuit summer tent","トゥピク（イヌイットの夏用テント）"],
+13456:["n","an Inuit summer tent","トゥピク（イヌイットの夏用テント）"],
+13457:["n","an ordered list of elements","タプル"],
+13458:["n","a knitted woollen cap (Canadian)","毛糸の帽子（カナダ）"],
+13459:["n","a turbocharger","ターボ"],
+13460:["n","an Algerian infantryman in the French army","アルジェリア歩兵"],
+13461:["n","lumps of excrement (vulgar, plural of turd)","糞（卑語、複数）"],
+13462:["n","pieces of grass-covered earth (plural of turf)","芝（複数）"],
+13463:["adj","covered with turf","芝に覆われた"],
+13464:["x"],
+13465:["n","a young shoot or sucker","若芽"],
+13466:["n","the Turkic languages or peoples","チュルク系の言語・民族"],
+13467:["n","people from Turkey (plural of Turk)","トルコ人（複数）"],
+13468:["x"],
+13469:["v","rotates; changes direction (third person of turn)","回る、曲がる"],
+13470:["n","turpentine (informal)","テレビン油（略式）"],
+13471:["x"],
+13472:["x"],
+13473:["x"],
+13474:["x"],
+13475:["n","the buttocks (informal)","お尻（略式）"],
+13476:["n","long pointed teeth of elephants (plural of tusk)","牙（複数）"],
+13477:["adj","having tusks","牙のある"],
+13478:["n","a person taught by a tutor","個別指導を受ける生徒"],
+13479:["n","a poisonous compound from the tutu shrub","ツチン"],
+13480:["x"],
+13481:["n","a private teacher","家庭教師","A math tutor."],
+13482:["adv","all together (music)","全員で（音楽）"],
+13483:["x"],
+13484:["n","crude zinc oxide from furnace flues","粗製酸化亜鉛"],
+13485:["n","ballet skirts (plural of tutu)","チュチュ（複数）"],
+13486:["n","tuxedos (plural of tux)","タキシード（複数）"],
+13487:["n","a nozzle for blowing air into a furnace (tuyere)","羽口"],
+13488:["x"],
+13489:["n","two (old word); Mark Twain","2（古語）","Never the twain shall meet."],
+13490:["n","a species of shad","ニシンダマシの一種"],
+13491:["x"],
+13492:["x"],
+13493:["n","a sharp ringing sound; a nasal tone of voice","ビーンという音、鼻声"],
+13494:["v","to twang","ビーンと鳴らす"],
+13495:["x"],
+13496:["n","stupid people (vulgar, plural of twat)","ばか（卑語、複数）"],
+13497:["v","to tweak (obsolete)","つねる（廃語）"],
+13498:["v","to pull or twist sharply; to adjust slightly","つまんでひねる、微調整する"],
+13499:["n","a rough woollen cloth","ツイード"],
+13500:["x"],
+13501:["n","twill (Scottish)","綾織り（スコットランド）"],
+13502:["n","a child between about 10 and 12","プレティーン","Clothes for tweens."],
+13503:["n","a bird's chirp; a short post on social media","さえずり、ツイート"],
+13504:["x"],
+13505:["v","it were (archaic contraction)","～であったなら（古語）"],
+13506:["n","a silly or annoying person (informal)","ばか者（略式）"],
+13507:["adv","two times","2 回","I've seen it twice."],
+13508:["x"],
+13509:["n","a furnace tuyere","羽口"],
+13510:["n","small thin branches (plural of twig)","小枝（複数）"],
+13511:["n","a fabric woven with diagonal ridges","綾織り"],
+13512:["n","a quilt (dialect)","キルト掛け布団（方言）"],
+13513:["n","strong string made of twisted strands","より糸"],
+13514:["v","to twinkle; to wink (obsolete)","きらめく、まばたく（廃語）"],
+13515:["n","two children born at the same time (plural of twin)","双子","The twins look alike."],
+13516:["x"],
+13517:["adj","twisting like twine","よじれた"],
+13518:["v","to peep or glance (obsolete)","のぞく（廃語）"],
+13519:["x"],
+13520:["v","to spin round quickly","くるくる回す"],
+13521:["n","a twerp (informal)","ばか者（略式）"],
+13522:["v","to turn around","ねじる","Twist the lid."],
+13523:["n","a small brown finch of upland moors","キバシヒワ"],
+13524:["n","silly people (informal, plural of twit)","まぬけ（略式、複数）"],
+13525:["prep","between (archaic)","～の間に（古語）"],
+13526:["x"],
+13527:["n","a furnace tuyere","羽口"],
+13528:["x"],
+13529:["n","large chinook salmon (plural of tyee)","マスノスケ（複数）"],
+13530:["v","fastening with string (present participle of tie)","結んでいる","Tying shoelaces."],
+13531:["x"],
+13532:["n","small children; people from Yorkshire (plural of tyke)","ちびっ子、ヨークシャー人（複数）"],
+13533:["n","a given name or family name","タイラー（人名）","Tyler is a painter."],
+13534:["x"],
+13535:["v","lost (Scottish, past of tyne)","失った（スコットランド）"],
+13536:["v","loses (Scottish, third person of tyne)","失う（スコットランド）"],
+13537:["adj","serving as a type; typical","典型的な"],
+13538:["v","wrote with a keyboard (past of type)","入力した","She typed the letter."],
+13539:["n","a person who types","タイプする人"],
+13540:["n","kinds or categories (plural of type)","型、種類（複数）"],
+13541:["adj","having the typical features of a breed","品種の特徴を備えた"],
+13542:["adj","typical","典型的な"],
+13543:["n","typing mistakes (plural of typo)","誤字（複数）"],
+13544:["x"],
+13545:["adj","fitted with tyres","タイヤの付いた"],
+13546:["n","rubber wheel coverings (British spelling, plural of tyre)","タイヤ（英綴り、複数）"],
+13547:["n","beginners (plural of tyro)","初心者（複数）"],
+13548:["x"],
+13549:["n","a tithe (archaic spelling)","十分の一税（古い綴り）"],
+13550:["n","Russian emperors (plural of tzar)","ツァーリ（複数）"],
+13551:["x"],
+13552:["n","the five unlucky days ending the Maya year","ワイェブ（マヤ暦の不吉な5日間）"],
+13553:["x"],
+13554:["n","a member of an ascetic Sikh order","ウダーシー派の行者"],
+13555:["n","the milk-producing organ of a cow or goat","乳房（家畜）"],
+13556:["x"],
+13557:["n","a stiff maize porridge of East Africa","ウガリ（トウモロコシ粥）"],
+13558:["n","hybrid citrus fruits (plural of ugli)","アグリフルーツ（複数）"],
+13559:["adj","relating to the Ugric languages","ウゴル語派の"],
+13560:["n","a lancer in the Polish or German cavalry","槍騎兵"],
+13561:["x"],
+13562:["n","freedom; national independence (Swahili)","自由、独立（スワヒリ語）"],
+13563:["n","a member of a Turkic people of western China (Uyghur)","ウイグル人"],
+13564:["n","a Maya period of twenty days","ウィナル（マヤ暦の20日）"],
+13565:["n","an edict of the Russian tsar; an arbitrary order","勅令、一方的命令"],
+13566:["n","Muslim scholars of religious law","ウラマー（イスラム法学者）"],
+13567:["n","uhlans (plural of ulan)","槍騎兵（複数）"],
+13568:["n","a sore on the skin or inside the body","潰瘍","A stomach ulcer."],
+13569:["n","an ulcer (Latin)","潰瘍（ラテン語）"],
+13570:["n","Muslim scholars of religious law","ウラマー（イスラム法学者）"],
+13571:["x"],
+13572:["adj","relating to ulmin","ウルミンの"],
+13573:["n","a brown substance in decaying vegetation","ウルミン（腐植質）"],
+13574:["adv","toward the ulna","尺骨側へ"],
+13575:["n","forearm bones (plural of ulna)","尺骨（複数）"],
+13576:["adj","relating to the ulna","尺骨の"],
+13577:["n","forearm bones (plural of ulna)","尺骨（複数）"],
+13578:["adj","resembling a scar","瘢痕状の"],
+13579:["n","an intensive Hebrew language school in Israel","ウルパン（ヘブライ語集中講座）"],
+13580:["adj","extreme (used in compounds)","超〜","Ultra-light."],
+13581:["x"],
+13582:["x"],
+13583:["n","sea lettuces (plural of ulva)","アオサ（複数）"],
+13584:["n","an umbrella-shaped flower cluster","散形花序"],
+13585:["n","a dark brown earth color","アンバー（こげ茶色）","The artist mixed burnt umber."],
+13586:["x"],
+13587:["n","bosses of shields; rounded knobs (plural of umbo)","盾の突起、臍（複数）"],
+13588:["n","the darkest part of a shadow","本影"],
+13589:["n","the umbrette, an African wading bird","シュモクドリ"],
+13590:["x"],
+13591:["n","an umiak","ウミアック"],
+13592:["n","an open Inuit boat made of skins","ウミアック（皮舟）"],
+13593:["n","an umiak","ウミアック"],
+13594:["x"],
+13595:["x"],
+13596:["x"],
+13597:["v","acted as umpire (informal, past of ump)","審判を務めた（略式）"],
+13598:["adj","of an indefinitely large number (informal)","何十もの（略式）"],
+13599:["x"],
+13600:["x"],
+13601:["x"],
+13602:["n","two-toed sloths (plural of unai)","フタユビナマケモノ（複数）"],
+13603:["x"],
+13604:["adj","unsuitable; slow (archaic)","不適当な、鈍い（古語）"],
+13605:["x"],
+13606:["v","to disarm","武装解除する"],
+13607:["adj","having a single operand or element","単項の"],
+13608:["n","two-toed sloths (plural of unau)","フタユビナマケモノ（複数）"],
+13609:["v","to take out of a bag","袋から出す"],
+13610:["v","to remove a bar from","かんぬきを外す"],
+13611:["v","to open; to let loose (obsolete)","解き放つ（廃語）"],
+13612:["v","to rouse from bed","寝床から起こす"],
+13613:["x"],
+13614:["adj","unbidden (archaic)","頼まれない（古語）"],
+13615:["v","to remove turns of a cable from the bits (nautical)","係柱から綱を外す（海事）"],
+13616:["x"],
+13617:["v","to unbend (rare)","ゆるめる（まれ）"],
+13618:["v","to take out of a box","箱から出す"],
+13619:["v","to take away boyish traits (rare)","少年らしさを失わせる（まれ）"],
+13620:["x"],
+13621:["v","to remove a cap or limit from","ふたを取る、上限をなくす"],
+13622:["n","a twelfth part; an ounce (Roman)","12分の1、オンス（ローマ）"],
+13623:["n","the brother of your mother or father","おじ","My uncle lives in Canada."],
+13624:["n","strangers; news (Scottish, plural of unco)","よそ者、ニュース（スコットランド、複数）"],
+13625:["x"],
+13626:["x"],
+13627:["n","a hook-shaped part (biology)","鉤状突起"],
+13628:["adj","not cut or shortened","切っていない、ノーカットの"],
+13629:["v","to free from a dam","せき止めを外す"],
+13630:["x"],
+13631:["x"],
+13632:["prep","below","〜の下に","The cat is under the table."],
+13633:["v","reversed; unfastened (past of undo)","元に戻した、ほどいた"],
+13634:["x"],
+13635:["x"],
+13636:["x"],
+13637:["x"],
+13638:["x"],
+13639:["x"],
+13640:["adj","more than is reasonable","過度の","Undue stress."],
+13641:["adj","not dug","掘られていない"],
+13642:["x"],
+13643:["x"],
+13644:["x"],
+13645:["adj","not fed","食事を与えられていない"],
+13646:["x"],
+13647:["adj","not suitable; not healthy","不適当な、不健康な","Unfit to drink."],
+13648:["v","to detach; to unsettle","外す、不安定にする"],
+13649:["x"],
+13650:["v","to remove a gag from","猿ぐつわを外す"],
+13651:["v","to cause to be unborn (rare)","生まれなかったことにする（まれ）"],
+13652:["n","the siamang, a gibbon","フクロテナガザル"],
+13653:["v","to deprive of divinity (rare)","神性を奪う（まれ）"],
+13654:["adj","not obtained; unbegotten (archaic)","得られていない、生まれていない（古語）"],
+13655:["v","to remove gum from","ゴムを取り除く"],
+13656:["x"],
+13657:["n","misfortune (obsolete)","不運（廃語）"],
+13658:["v","to take off one's hat","帽子を脱ぐ"],
+13659:["x"],
+13660:["x"],
+13661:["adj","not fashionable (informal)","流行遅れの（略式）"],
+13662:["adj","not hit","当たっていない"],
+13663:["x"],
+13664:["n","a member of an Eastern church in union with Rome","東方帰一教会の信徒"],
+13665:["x"],
+13666:["v","to make into a single whole","統一する"],
+13667:["x"],
+13668:["n","a joining together; a group of workers","結合、組合","He joined the union."],
+13669:["x"],
+13670:["x"],
+13671:["v","to join together","団結する","Unite the team."],
+13672:["n","single things; measures (plural of unit)","単位、部隊（複数）"],
+13673:["n","being together as one","統一、団結","Unity is strength."],
+13674:["x"],
+13675:["v","to free from being jammed","詰まりを取る"],
+13676:["adj","strange; lonely (dialect)","奇妙な、寂しい（方言）"],
+13677:["x"],
+13678:["x"],
+13679:["x"],
+13680:["x"],
+13681:["x"],
+13682:["v","to unfold (obsolete)","広げる（廃語）"],
+13683:["v","to annul a law; to outlaw (obsolete)","法を無効にする、法の保護外に置く（廃語）"],
+13684:["v","to relax (informal)","くつろぐ（略式）"],
+13685:["v","to untwist a rope","ロープのよりを戻す"],
+13686:["adj","not led","導かれない"],
+13687:["adj","not rented out","貸し出されていない"],
+13688:["v","to remove the lid from","ふたを取る"],
+13689:["x"],
+13690:["adj","not lit","火のついていない、暗い"],
+13691:["x"],
+13692:["v","to deprive of courage","意気をくじく"],
+13693:["adj","not satisfied or fulfilled","満たされていない"],
+13694:["v","to release from confinement","解放する"],
+13695:["v","to separate things that were mixed","分離する"],
+13696:["x"],
+13697:["x"],
+13698:["x"],
+13699:["v","to remove oil from","油を取り除く"],
+13700:["x"],
+13701:["x"],
+13702:["x"],
+13703:["v","to undo or annul (obsolete)","帳消しにする（廃語）"],
+13704:["v","to remove pegs from; to unfix a price","杭を抜く、固定を外す"],
+13705:["v","to release from a pen","囲いから出す"],
+13706:["v","to remove pins from","ピンを外す"],
+13707:["v","to take a plant out of a pot","鉢から出す"],
+13708:["x"],
+13709:["x"],
+13710:["x"],
+13711:["x"],
+13712:["x"],
+13713:["v","to strip of rigging","索具を外す"],
+13714:["v","to rip open","切り開く"],
+13715:["x"],
+13716:["x"],
+13717:["adj","unsteady; fickle (obsolete)","移り気な（廃語）"],
+13718:["v","to take back something said","撤回する"],
+13719:["v","to forget having seen something","見なかったことにする"],
+13720:["adj","not set; not fixed","固定されていない"],
+13721:["v","to undo the stitches of","縫い目をほどく"],
+13722:["v","to deprive of sexual qualities","性的特質を奪う"],
+13723:["x"],
+13724:["v","to make free of sin (obsolete)","罪を取り去る（廃語）"],
+13725:["x"],
+13726:["x"],
+13727:["x"],
+13728:["x"],
+13729:["x"],
+13730:["x"],
+13731:["x"],
+13732:["v","to undo a knot","ほどく"],
+13733:["prep","up to a certain time","〜まで","Wait until tomorrow."],
+13734:["x"],
+13735:["x"],
+13736:["x"],
+13737:["x"],
+13738:["x"],
+13739:["x"],
+13740:["x"],
+13741:["adj","not married","未婚の"],
+13742:["adj","not wet","ぬれていない"],
+13743:["x"],
+13744:["n","lack of wit (obsolete)","無知（廃語）"],
+13745:["adj","not won","勝ち取られていない"],
+13746:["x"],
+13747:["x"],
+13748:["v","to open a zip; to decompress a file","ファスナーを開ける、解凍する"],
+13749:["x"],
+13750:["n","skilful means, in Buddhism","方便"],
+13751:["v","to fasten with a bar (rare)","かんぬきを掛ける（まれ）"],
+13752:["x"],
+13753:["x"],
+13754:["x"],
+13755:["x"],
+13756:["x"],
+13757:["x"],
+13758:["n","hairstyles with the hair swept up (plural of updo)","アップヘア（複数）"],
+13759:["x"],
+13760:["x"],
+13761:["v","to set on end; to turn upside down","逆さにする、ひっくり返す"],
+13762:["x"],
+13763:["x"],
+13764:["n","a fir pole used for scaffolding","足場用のモミ材"],
+13765:["x"],
+13766:["v","to hoard (obsolete)","ため込む（廃語）"],
+13767:["x"],
+13768:["adj","lit from below","下から照らされた"],
+13769:["v","to convert audio to more channels","アップミックスする"],
+13770:["v","raised; increased (past of up)","引き上げた"],
+13771:["adj","higher","上の","The upper floor."],
+13772:["x"],
+13773:["x"],
+13774:["x"],
+13775:["v","to run up; to ascend (obsolete)","駆け上がる（廃語）"],
+13776:["adj","unhappy and worried","動揺した","She was upset."],
+13777:["x"],
+13778:["x"],
+13779:["n","the time between sunrise and sunset","日中"],
+13780:["x"],
+13781:["v","to tie up (obsolete)","縛り上げる（廃語）"],
+13782:["x"],
+13783:["x"],
+13784:["n","cobra emblems on Egyptian crowns (plural of uraeus)","ウラエウス（複数）"],
+13785:["n","curare","クラーレ"],
+13786:["n","curare","クラーレ"],
+13787:["n","curare","クラーレ"],
+13788:["n","an enzyme that breaks down urea (urease)","ウレアーゼ"],
+13789:["n","a salt of uric acid","尿酸塩"],
+13790:["adj","of a city","都会の","Urban life is busy."],
+13791:["adj","relating to a city","都市の"],
+13792:["adj","having pointed ends (heraldry)","先の尖った（紋章）"],
+13793:["adj","relating to urea","尿素の"],
+13794:["n","nitrogen compounds in urine (plural of urea)","尿素（複数）"],
+13795:["n","a spore stage of rust fungi","夏胞子期"],
+13796:["adj","relating to urea","尿素の"],
+13797:["n","a compound derived from urea (ureide)","ウレイド"],
+13798:["n","a tropical plant of the mallow family","ボンテンカ属"],
+13799:["adj","burning; stinging (botany)","焼けつくような（植物）"],
+13800:["v","strongly advised (past of urge)","強く勧めた","She urged me to go."],
+13801:["n","a person who urges","促す人"],
+13802:["n","strong desires (plural of urge)","衝動（複数）"],
+13803:["n","a wild sheep of central Asia","ウリアル"],
+13804:["x"],
+13805:["n","liquid waste from the body","尿","The doctor tested his urine."],
+13806:["n","a segment of an arthropod's abdomen","腹節"],
+13807:["n","the theme of a bagpipe pibroch","ウルラール（ピーブロックの主題）"],
+13808:["x"],
+13809:["n","a swampy coniferous forest of Siberia","ウルマン（シベリアの湿地林）"],
+13810:["x"],
+13811:["adj","relating to an urn","骨壷の"],
+13812:["x"],
+13813:["n","the northern fur seal","キタオットセイ"],
+13814:["n","the Canada porcupine","カナダヤマアラシ"],
+13815:["n","the bearded seal","アゴヒゲアザラシ"],
+13816:["n","the American black vulture","クロコンドル"],
+13817:["n","the annatto tree","ベニノキ"],
+13818:["n","a venomous South American pit viper","ウルツー（マムシ類）"],
+13819:["n","the way something is used","使用（法）","Water usage is high in summer."],
+13820:["adj","accustomed (obsolete)","慣れた（廃語）"],
+13821:["x"],
+13822:["x"],
+13823:["n","people who use something (plural of user)","利用者（複数）"],
+13824:["n","the Hindu goddess of dawn","ウシャス（暁の女神）"],
+13825:["n","a person who shows people to their seats","案内係","The usher showed us in."],
+13826:["n","a factory (French)","工場（フランス語）"],
+13827:["v","putting to use (present participle of use)","使っている","I'm using the computer."],
+13828:["n","a greyish hanging lichen","サルオガセ"],
+13829:["adj","relating to an acid from lichens","ウスニン酸の"],
+13830:["n","usnic acid","ウスニン"],
+13831:["x"],
+13832:["x"],
+13833:["adj","normal; typical","いつもの","Let's meet at the usual place."],
+13834:["v","to practise usury (obsolete)","高利で貸す（廃語）"],
+13835:["v","to take power or position illegally","奪う、強奪する"],
+13836:["n","lending money at excessive interest","高利貸し"],
+13837:["x"],
+13838:["x"],
+13839:["x"],
+13840:["n","wombs (plural of uterus)","子宮（複数）"],
+13841:["x"],
+13842:["x"],
+13843:["x"],
+13844:["adj","useful","有用な"],
+13845:["x"],
+13846:["x"],
+13847:["v","to say","口にする","He didn't utter a word."],
+13848:["n","a large depression formed by merged sinkholes","ウバーレ（連合ドリーネ）"],
+13849:["n","a conserve made of grapes","ブドウの砂糖漬け"],
+13850:["adj","relating to the uvea of the eye","ぶどう膜の"],
+13851:["n","middle layers of the eye (plural of uvea)","ぶどう膜（複数）"],
+13852:["adj","transmitting ultraviolet light, of glass","紫外線を透過する"],
+13853:["x"],
+13854:["x"],
+13855:["n","a euphroe, a block used to adjust awning lines","ユーフロー（天幕索の滑車）"],
+13856:["n","the fleshy lobe hanging at the back of the throat","口蓋垂"],
+13857:["x"],
+13858:["n","an African plant whose root is used medicinally","ウザラ（薬用植物）"],
+13859:["n","a member of a Turkic people of Uzbekistan","ウズベク人"],
+13860:["x"],
+13861:["n","a screw pine of Mauritius","タコノキ"],
+13862:["n","empty spaces (plural of vacuum)","真空（複数）"],
+13863:["x"],
+13864:["x"],
+13865:["adj","relating to the vagus nerve","迷走神経の"],
+13866:["x"],
+13867:["adj","not clear","あいまいな","A vague answer."],
+13868:["n","the vagus nerve","迷走神経"],
+13869:["n","tips or gratuities (archaic, plural of vail)","心付け（古語、複数）"],
+13870:["x"],
+13871:["n","squirrel furs used in heraldry (plural of vair)","ヴェア（リス毛皮、複数）"],
+13872:["adj","patterned with vair (heraldry)","ヴェア模様の（紋章）"],
+13873:["n","a thunderbolt symbol in Hinduism and Buddhism","金剛杵"],
+13874:["x"],
+13875:["n","an agent or attorney in India","代理人、弁護士（インド）"],
+13876:["n","valleys (plural of vale)","谷（複数）"],
+13877:["n","a man's personal servant; a person who parks cars","従者、駐車係"],
+13878:["x"],
+13879:["adj","legally acceptable; reasonable","有効な、妥当な","Your ticket is valid for a week."],
+13880:["n","great courage","勇気"],
+13881:["n","a waltz","ワルツ"],
+13882:["n","how much something is worth","価値","The value of the house rose."],
+13883:["x"],
+13884:["n","a device that controls the flow of liquid or gas","弁","Turn the valve to stop the water."],
+13885:["n","the acyl group of valine","バリル基"],
+13886:["x"],
+13887:["v","improvises music; repairs (third person of vamp)","即興で伴奏する、継ぎはぎする"],
+13888:["n","a tropical orchid","バンダ（ラン）"],
+13889:["adj","having vanes","羽根のある"],
+13890:["n","blades turned by wind or water (plural of vane)","羽根、風見（複数）"],
+13891:["n","ropes steadying a gaff or boom (plural of vang)","バング（複数）"],
+13892:["n","a group of fertility gods in Norse mythology","ヴァン神族"],
+13893:["adj","dull and lacking energy","退屈な、気の抜けた"],
+13894:["n","tiny drops of liquid in the air","蒸気","Water vapor forms clouds."],
+13895:["x"],
+13896:["n","a monitor lizard","オオトカゲ"],
+13897:["n","Spanish units of length (plural of vara)","バラ（長さの単位、複数）"],
+13898:["x"],
+13899:["n","kelp; ashes of seaweed","海藻灰"],
+13900:["n","a collection of various items","雑録"],
+13901:["x"],
+13902:["n","a varicose vein; a ridge on a shell","静脈瘤、縦張肋"],
+13903:["n","any of the four traditional Hindu classes","ヴァルナ（四姓）"],
+13904:["n","a deformity in which a limb is turned inward","内反"],
+13905:["n","an annual layer of sediment in a lake","年縞"],
+13906:["adj","relating to a vessel or duct","脈管の"],
+13907:["n","decorative containers for flowers (plural of vase)","花瓶（複数）"],
+13908:["n","immense spaces (plural of vast)","広大な空間（複数）"],
+13909:["adj","vast (archaic)","広大な（古語）"],
+13910:["n","poets or prophets (Latin, plural of vates)","詩人、予言者（ラテン語）"],
+13911:["adj","prophetic","予言的な"],
+13912:["x"],
+13913:["n","a secure room for valuables; a jump","金庫室、跳躍","A bank vault."],
+13914:["v","to boast about","自慢する"],
+13915:["n","meats of calves (plural of veal)","子牛肉（複数）"],
+13916:["adj","like veal; immature","子牛肉のような、未熟な"],
+13917:["n","a member of an indigenous people of Sri Lanka","ヴェッダ人"],
+13918:["x"],
+13919:["adj","relating to the Vedas","ヴェーダの"],
+13920:["n","an old Russian liquid measure","ヴェドロ（旧ロシアの液量単位）"],
+13921:["n","a South Indian stringed instrument (vina)","ヴィーナ"],
+13922:["n","vice presidents (informal, plural of veep)","副大統領（略式、複数）"],
+13923:["v","changes direction suddenly (third person of veer)","急に向きを変える"],
+13924:["n","a North American thrush","ビリーチャツグミ"],
+13925:["x"],
+13926:["n","a person who eats no animal products","ビーガン"],
+13927:["n","fertile plains (Spanish, plural of vega)","沃野（スペイン語、複数）"],
+13928:["n","a secret medieval German tribunal","フェーメ（秘密法廷）"],
+13929:["n","thin coverings for the face (plural of veil)","ベール（複数）"],
+13930:["x"],
+13931:["n","blood vessels carrying blood to the heart (plural of vein)","静脈（複数）"],
+13932:["adj","having prominent veins","静脈の浮き出た"],
+13933:["x"],
+13934:["adj","made with the back of the tongue against the soft palate","軟口蓋の"],
+13935:["n","open grasslands of southern Africa (plural of veld)","草原（複数）"],
+13936:["n","open grassland of southern Africa","草原"],
+13937:["adj","relating to the soft palate","軟口蓋の"],
+13938:["x"],
+13939:["n","a membrane or veil-like structure; the soft palate","膜、軟口蓋"],
+13940:["n","veins (plural of vena)","静脈（複数）"],
+13941:["adj","open to bribery","買収されやすい"],
+13942:["v","sells (third person of vend)","売る"],
+13943:["v","to avenge (obsolete)","復讐する（廃語）"],
+13944:["x"],
+13945:["n","a toxic substance in snake venom","ベニン（蛇毒成分）"],
+13946:["n","poison from a snake or insect","毒液"],
+13947:["n","an inn (Spanish)","宿屋（スペイン語）"],
+13948:["n","openings for air or gas (plural of vent)","通気口（複数）"],
+13949:["n","a place where an event happens","会場","The concert venue."],
+13950:["n","the second planet from the sun; the Roman goddess of love","金星、ヴィーナス","Venus is very hot."],
+13951:["adj","very; true (obsolete)","真の（廃語）"],
+13952:["n","words describing actions (plural of verb)","動詞（複数）"],
+13953:["adj","using many verbs","動詞の多い"],
+13954:["adj","green (Spanish)","緑の（スペイン語）","Salsa verde."],
+13955:["x"],
+13956:["x"],
+13957:["x"],
+13958:["n","an edge; the point just before","縁、瀬戸際","On the verge of tears."],
+13959:["x"],
+13960:["x"],
+13961:["x"],
+13962:["x"],
+13963:["n","poetry; a section of a song or poem","詩、節","Sing the second verse."],
+13964:["n","a left-hand page of a book","左ページ"],
+13965:["n","an old Russian unit of distance, about a kilometre","露里"],
+13966:["n","green vegetation in a forest (law, plural of vert)","森林の緑樹（法律、複数）"],
+13967:["n","a love of or taste for fine art objects (virtu)","骨董趣味"],
+13968:["x"],
+13969:["x"],
+13970:["n","vigour and enthusiasm","気迫、活気"],
+13971:["n","a short wooden or wax match","マッチ"],
+13972:["n","sleeveless garments (plural of vest)","ベスト、肌着（複数）"],
+13973:["n","a climbing plant of the pea family","ソラマメ属の草"],
+13974:["x"],
+13975:["x"],
+13976:["n","a widow (French)","未亡人（フランス語）"],
+13977:["adj","annoyed; much debated","いらだった、論争中の"],
+13978:["n","a person who annoys","悩ます人"],
+13979:["v","annoys (third person of vex)","いらだたせる"],
+13980:["n","a flag or banner (vexillum)","旗"],
+13981:["n","a voyage (obsolete)","航海（廃語）"],
+13982:["n","small glass bottles (plural of vial)","小瓶（複数）"],
+13983:["n","an item of food (literary)","食べ物（文語）"],
+13984:["n","atmospheres or feelings (informal); a vibraphone","雰囲気（略式）、ビブラフォン"],
+13985:["n","a streak-like bruise under the skin","線状出血"],
+13986:["x"],
+13987:["n","a priest in charge of a parish","教区牧師","The vicar gave a sermon."],
+13988:["adj","vicious; corrupt (obsolete)","邪悪な（廃語）"],
+13989:["n","immoral habits (plural of vice)","悪徳（複数）"],
+13990:["n","a sparkling mineral water from Vichy, France","ヴィシー水"],
+13991:["x"],
+13992:["n","a Roman village or settlement","ウィクス（ローマの村落）"],
+13993:["n","recorded moving pictures","動画、ビデオ","Watch this video."],
+13994:["x"],
+13995:["n","knowledge, in Hindu philosophy","ヴィディヤー（知）"],
+13996:["x"],
+13997:["n","sights; opinions (plural of view)","眺め、意見（複数）"],
+13998:["adj","fanciful; showy","空想的な、見た目の派手な"],
+13999:["n","dried unsalted meat (Orkney and Shetland)","干し肉（オークニー・シェトランド）"],
+14000:["n","roof beams in adobe buildings (plural of viga)","ビガ（日干し煉瓦建築の梁、複数）"],
+14001:["n","a warning on a chart of a possible hazard","ビジア（海図上の危険注記）"],
+14002:["n","a period of staying awake to watch or pray","寝ずの番、徹夜の祈り"],
+14003:["n","strength and energy","活力","Full of vigor."],
+14004:["x"],
+14005:["adj","more vile (comparative of vile)","より卑劣な"],
+14006:["n","a large house in the country or by the sea","別荘","A villa in Italy."],
+14007:["n","town (in place names)","町（地名）","Nashville, Louisville."],
+14008:["n","tiny finger-like projections, as in the intestine (plural of villus)","絨毛（複数）"],
+14009:["n","townships or villages (plural of vill)","村（複数）"],
+14010:["n","a long flexible shoot","細長い若枝"],
+14011:["x"],
+14012:["adj","relating to wine","ワインの"],
+14013:["n","Indian stringed instruments (plural of vina)","ヴィーナ（複数）"],
+14014:["n","a periwinkle plant","ツルニチニチソウ"],
+14015:["x"],
+14016:["x"],
+14017:["adj","covered with vines","つる草に覆われた"],
+14018:["n","a vinedresser (obsolete)","ぶどう園の手入れ人（廃語）"],
+14019:["n","climbing plants (plural of vine)","つる植物（複数）"],
+14020:["x"],
+14021:["n","mould; mustiness (obsolete)","かび（廃語）"],
+14022:["x"],
+14023:["adj","relating to or derived from wine","ワインの"],
+14024:["adj","mouldy (dialect)","かびた（方言）"],
+14025:["n","wines (informal, plural of vino)","ワイン（略式、複数）"],
+14026:["n","a traditional outrigger boat of the southern Philippines","ヴィンタ（フィリピンの帆船）"],
+14027:["n","wine (in pharmacy)","ワイン（薬学）"],
+14028:["n","a type of plastic; records made of it","ビニール、レコード","He collects vinyl."],
+14029:["n","a string instrument slightly larger than a violin","ビオラ","She plays the viola."],
+14030:["n","early bowed stringed instruments (plural of viol)","ヴィオール（複数）"],
+14031:["n","a poisonous snake","毒ヘビ、マムシ","The viper bit the hiker."],
+14032:["adj","caused by a virus; spreading fast online","ウイルス性の、拡散する","The video went viral."],
+14033:["n","a small insect-eating American songbird","モズモドキ"],
+14034:["n","powers (Latin, as in ultra vires)","権限（ラテン語）"],
+14035:["n","streaks of rain that evaporate before reaching the ground","尾流雲"],
+14036:["n","a verge; a rod of office (obsolete)","職杖（廃語）"],
+14037:["n","the sixth sign of the zodiac; a constellation","乙女座"],
+14038:["adj","green (obsolete)","緑の（廃語）"],
+14039:["n","ferrules (Scottish, plural of virl)","石突き（スコットランド、複数）"],
+14040:["x"],
+14041:["n","a love of fine art objects; such objects collectively","骨董趣味、美術品"],
+14042:["n","a tiny germ that causes disease; a harmful computer program","ウイルス","The flu is caused by a virus."],
+14043:["n","permits to enter a country (plural of visa)","ビザ（複数）"],
+14044:["v","endorsed a passport (past of vise)","査証した"],
+14045:["n","vices, clamping tools (American spelling, plural of vise)","万力（複数）"],
+14046:["x"],
+14047:["v","to go to see","訪れる","Visit us soon."],
+14048:["n","a neighbourhood; a venue (law)","近隣、裁判地（法律）"],
+14049:["n","the American mink","アメリカミンク"],
+14050:["n","a movable face guard on a helmet; a sun shield","面頬、日よけ"],
+14051:["n","a beautiful view","眺め","A mountain vista."],
+14052:["n","a vista (rare)","眺望（まれ）"],
+14053:["n","summaries of a person's career (plural of vita)","履歴書（複数）"],
+14054:["adj","very important; necessary for life","極めて重要な","Water is vital for life."],
+14055:["x"],
+14056:["adv","in glass (as in in vitro)","試験管内で（in vitro）","In vitro tests."],
+14057:["x"],
+14058:["n","an oil tube in certain fruits; a stripe of colour","油管、色帯"],
+14059:["x"],
+14060:["n","oral examinations (plural of viva)","口頭試問（複数）"],
+14061:["interj","long live! (Latin)","万歳（ラテン語）"],
+14062:["n","a species of malaria parasite","三日熱マラリア原虫"],
+14063:["n","dried unsalted meat (vifda)","干し肉"],
+14064:["x"],
+14065:["n","a swelling of the glands in horses","耳下腺炎（馬）"],
+14066:["adj","bright and clear","鮮やかな","Vivid colors."],
+14067:["x"],
+14068:["x"],
+14069:["n","a female fox; a spiteful woman","雌ギツネ、意地悪女"],
+14070:["n","a vizier","宰相"],
+14071:["n","a visor","面頬、日よけ"],
+14072:["x"],
+14073:["n","a member of a Romance-speaking people of the Balkans","ヴラフ人"],
+14074:["x"],
+14075:["n","vocabulary (informal)","語彙（略式）"],
+14076:["adj","of the voice; speaking out","声の、声高な","Vocal cords."],
+14077:["x"],
+14078:["n","voices (Latin, plural of vox)","声（ラテン語、複数）"],
+14079:["n","an early electronic speech synthesizer","ヴォーダー（音声合成装置）"],
+14080:["n","a clear Russian spirit","ウォッカ"],
+14081:["x"],
+14082:["n","voodoo, a West African and Haitian religion","ブードゥー"],
+14083:["adj","vain; merry (Scottish)","うぬぼれた、陽気な（スコットランド）"],
+14084:["n","fashion","流行","In vogue."],
+14085:["n","the sound you make when you speak or sing","声","She has a lovely voice."],
+14086:["n","empty spaces (plural of void)","空所（複数）"],
+14087:["interj","there it is (French)","ほらね（フランス語）"],
+14088:["n","a thin semi-transparent fabric","ボイル（薄地の布）"],
+14089:["adj","relating to the palm or sole","手のひらの、足の裏の"],
+14090:["v","won all the tricks in a card game (past of vole)","全勝した（トランプ）"],
+14091:["n","small mouse-like rodents (plural of vole)","ハタネズミ（複数）"],
+14092:["n","a wing of a triptych","三連祭壇画の翼"],
+14093:["x"],
+14094:["v","to baptize (obsolete, contemptuous)","洗礼を施す（廃語、軽蔑的）"],
+14095:["n","a lively old dance; a musical direction meaning a time","ヴォルタ（舞曲）、回（音楽）"],
+14096:["n","a sudden change of opinion, as in volte-face","豹変"],
+14097:["v","turn over the page (music)","ページをめくれ（音楽）"],
+14098:["x"],
+14099:["n","units of electric potential (plural of volt)","ボルト（複数）"],
+14100:["n","a cup at the base of the stalk of some fungi","つぼ（菌類）"],
+14101:["n","the thin bone dividing the nostrils","鋤骨"],
+14102:["v","to bring food up from the stomach","吐く"],
+14103:["x"],
+14104:["x"],
+14105:["v","made a choice in an election (past of vote)","投票した","We voted for her."],
+14106:["n","a person who votes","有権者","Young voters."],
+14107:["n","formal choices in elections (plural of vote)","票（複数）"],
+14108:["v","to guarantee, as in vouch for","保証する"],
+14109:["n","a medieval polearm with a long blade","ヴォウジェ（長柄武器）"],
+14110:["x"],
+14111:["v","promised solemnly (past of vow)","誓った"],
+14112:["n","a letter like a, e, i, o or u","母音","\"Apple\" starts with a vowel."],
+14113:["n","a person who makes a vow","誓う人"],
+14114:["n","seaweed used as fertilizer in the Channel Islands","肥料用海藻（チャネル諸島）"],
+14115:["n","the roar of an engine","ブルーン（エンジン音）"],
+14116:["n","a woman or wife (Dutch)","女性、妻（オランダ語）"],
+14117:["n","women (plural of vrow)","女性（複数）"],
+14118:["x"],
+14119:["n","small cavities in rock (plural of vugg)","晶洞（複数）"],
+14120:["adj","full of small cavities","晶洞の多い"],
+14121:["n","small cavities in rock (plural of vugh)","晶洞（複数）"],
+14122:["adv","commonly; popularly (Latin)","俗に（ラテン語）"],
+14123:["n","the external female genitals","外陰部"],
+14124:["x"],
+14125:["v","competing (present participle of vie)","競い合っている"],
+14126:["x"],
+14127:["n","a loon (dialect)","アビ（方言）"],
+14128:["n","a soft rock derived from basalt","ワッケ"],
+14129:["n","eccentric people (plural of wack)","変わり者（複数）"],
+14130:["adj","funny in a strange way","風変わりな、ばかげた"],
+14131:["n","an Aboriginal war club","ワディ（棍棒）"],
+14132:["v","walked through water (past of wade)","水の中を歩いた"],
+14133:["n","a long-legged bird that wades; a waterproof boot","渉禽、防水長靴"],
+14134:["v","walks through water (third person of wade)","水の中を歩く"],
+14135:["n","a thick lump or wad (informal)","塊（略式）"],
+14136:["n","dry riverbeds (plural of wadi)","涸れ谷（複数）"],
+14137:["v","would not (Scottish)","～しないだろう（スコットランド）"],
+14138:["adj","woeful (Scottish)","悲しげな（スコットランド）"],
+14139:["n","a thin crisp biscuit","ウエハース","Ice cream with a wafer."],
+14140:["x"],
+14141:["v","floats gently through the air (third person of waft)","漂う"],
+14142:["x"],
+14143:["v","carried on a war or campaign (past of wage)","（戦争を）行った","They waged war."],
+14144:["n","a bet","賭け"],
+14145:["n","money paid for work (plural of wage)","賃金","Wages are paid weekly."],
+14146:["x"],
+14147:["n","a blanket made of sacks (Australian)","袋布の毛布（豪）"],
+14148:["adj","wagging","尾を振る"],
+14149:["n","a four-wheeled cart","荷馬車","A covered wagon."],
+14150:["n","a large game fish; a shrub","カマスサワラ、ニシキギの一種"],
+14151:["n","homeless, neglected children (plural of waif)","浮浪児（複数）"],
+14152:["v","cries out in grief (third person of wail)","泣き叫ぶ"],
+14153:["x"],
+14154:["n","farm wagons (plural of wain)","荷車（複数）"],
+14155:["x"],
+14156:["n","pieces of plank (plural of wair)","板材（複数）"],
+14157:["x"],
+14158:["n","the narrow middle part of the body","腰、ウエスト","She tied a belt around her waist."],
+14159:["v","stays until something happens (third person of wait)","待つ"],
+14160:["v","to give up a right; to not require","放棄する、免除する","The fee was waived."],
+14161:["n","a spiritual power (Lakota)","ワカン（霊力）"],
+14162:["n","Maori canoes (plural of waka)","ワカ（マオリのカヌー、複数）"],
+14163:["v","woke (past of wake)","目覚めた"],
+14164:["v","to wake up","目を覚ます"],
+14165:["n","a person who wakes","目覚める人"],
+14166:["v","stops sleeping (third person of wake)","目覚める"],
+14167:["n","the founder of an Islamic charitable endowment","ワクフ設定者"],
+14168:["x"],
+14169:["v","marked with welts (past of wale)","みみず腫れにした"],
+14170:["n","a horse from New South Wales","ウェーラー（豪州産の馬）"],
+14171:["n","a country that is part of the United Kingdom","ウェールズ","Wales has many castles."],
+14172:["v","moves on foot (third person of walk)","歩く"],
+14173:["n","a person in charge of something (India); background crowd noise","係の人（インド）、ガヤ"],
+14174:["n","vertical structures enclosing spaces (plural of wall)","壁（複数）"],
+14175:["n","a silly person (British informal)","まぬけ（英略式）"],
+14176:["n","a family name","ウォルシュ（姓）","Mr. Walsh teaches art."],
+14177:["x"],
+14178:["adj","liable to roll over, of a ship (rare)","転覆しやすい（まれ）"],
+14179:["n","a ballroom dance in triple time","ワルツ"],
+14180:["x"],
+14181:["n","bellies (Scottish, plural of wame)","腹（スコットランド、複数）"],
+14182:["n","a heavy outer jacket","作業用上着"],
+14183:["n","thin magic sticks (plural of wand)","杖（複数）"],
+14184:["adj","long and flexible (dialect)","しなやかな（方言）"],
+14185:["v","decreased in size or strength (past of wane)","衰えた、欠けた"],
+14186:["v","decreases (third person of wane)","衰える、欠ける"],
+14187:["adj","having a bark-covered edge, of timber","丸身のある（木材）"],
+14188:["n","a charm or spell in voodoo","ワンガ（呪物）"],
+14189:["adj","pretentious or contemptible (British vulgar)","気取った、くだらない（英卑語）"],
+14190:["x"],
+14191:["adv","in a pale, weak way","弱々しく"],
+14192:["v","want to (informal)","～したい（略式）"],
+14193:["x"],
+14194:["v","desires (third person of want)","欲しがる"],
+14195:["n","a strap for binding a load on a pack animal","荷縄"],
+14196:["v","to wane (obsolete)","衰える（廃語）"],
+14197:["x"],
+14198:["n","rooms in a hospital; areas of a city (plural of ward)","病棟、区","Hospital wards."],
+14199:["v","spent (Scottish, past of ware)","費やした（スコットランド）"],
+14200:["n","goods for sale","商品","Traders sold their wares."],
+14201:["n","works; buildings (Scottish, plural of wark)","仕事、建物（スコットランド、複数）"],
+14202:["adj","warlike; worldly (Scottish)","好戦的な、世俗的な（スコットランド）"],
+14203:["v","makes warmer (third person of warm)","温める"],
+14204:["v","gives notice of danger (third person of warn)","警告する"],
+14205:["x"],
+14206:["v","bends out of shape (third person of warp)","ゆがむ"],
+14207:["adj","worse (Scottish)","より悪い（スコットランド）"],
+14208:["adj","worst (Scottish)","最も悪い（スコットランド）"],
+14209:["x"],
+14210:["n","small hard growths on the skin (plural of wart)","いぼ（複数）"],
+14211:["adj","covered with warts","いぼだらけの"],
+14212:["x"],
+14213:["x"],
+14214:["adj","watery; pale and weak","水っぽい、色の薄い"],
+14215:["x"],
+14216:["n","stinging winged insects (plural of wasp)","スズメバチ（複数）"],
+14217:["adj","like a wasp; irritable","ハチのような、怒りっぽい"],
+14218:["v","to use carelessly","無駄にする","Don't waste food."],
+14219:["x"],
+14220:["x"],
+14221:["n","spruce roots used as thread by Native Americans","ワタップ（トウヒの根の糸）"],
+14222:["v","to look at for a time","見る、見守る","Watch the game."],
+14223:["n","the clear liquid in rain, rivers and seas","水","Drink some water."],
+14224:["n","units of power (plural of watt)","ワット","A 60-watt bulb."],
+14225:["x"],
+14226:["interj","an exclamation of disgust or grief","うわあ"],
+14227:["v","fulls cloth (Scottish, third person of wauk)","布を縮絨する（スコットランド）"],
+14228:["v","cries like a cat (third person of waul)","猫のように鳴く"],
+14229:["x"],
+14230:["x"],
+14231:["v","moved the hand to greet (past of wave)","手を振った","She waved goodbye."],
+14232:["v","to be unsure; to flicker","迷う、揺らぐ"],
+14233:["n","moving ridges of water (plural of wave)","波","Waves crashed on the rocks."],
+14234:["n","the snow goose (Canadian)","ハクガン（カナダ）"],
+14235:["x"],
+14236:["v","cries like a cat (third person of wawl)","猫のように鳴く"],
+14237:["v","polished with wax; grew (past of wax)","ワックスをかけた、満ちた"],
+14238:["adj","made of wax; pale like wax","蝋製の、青白い"],
+14239:["n","a person or device that applies wax","ワックスをかける人"],
+14240:["n","substances such as beeswax (plural of wax)","蝋（複数）"],
+14241:["n","a given name","ウェイン（人名）","Wayne coaches hockey."],
+14242:["n","a vizier","宰相"],
+14243:["x"],
+14244:["n","open or wooded country (archaic)","森林地帯（古語）"],
+14245:["n","raised marks on the skin (plural of weal)","みみず腫れ（複数）"],
+14246:["v","gets a baby used to food other than milk (third person of wean)","乳離れさせる"],
+14247:["v","has on the body (third person of wear)","着ている"],
+14248:["adj","very tired","疲れ果てた","Weary travelers."],
+14249:["v","to make cloth by crossing threads","織る","Weave a basket."],
+14250:["adj","like a web; webbed","クモの巣のような"],
+14251:["n","a unit of magnetic flux; a family name","ウェーバー（単位・姓）","Max Weber was a sociologist."],
+14252:["n","a weight; a sieve-like tray (Scottish)","重さ、穀物箕（スコットランド）"],
+14253:["v","to ski with quick short turns","ウェーデルンで滑る"],
+14254:["n","a piece thick at one end and thin at the other","くさび","A wedge of cheese."],
+14255:["adj","wedge-shaped","くさび形の"],
+14256:["x"],
+14257:["n","unwanted wild plants (plural of weed)","雑草","Pull the weeds."],
+14258:["adj","full of weeds; thin and weak","雑草だらけの、ひょろひょろの"],
+14259:["n","periods of seven days (plural of week)","週（複数）"],
+14260:["v","thinks (archaic, third person of ween)","思う（古語）"],
+14261:["x"],
+14262:["adj","very small (informal)","ちっちゃな（略式）"],
+14263:["v","cries (third person of weep)","泣く"],
+14264:["adj","tearful; sentimental","涙もろい、お涙ちょうだいの"],
+14265:["x"],
+14266:["x"],
+14267:["v","knows (obsolete, third person of weet)","知る（廃語）"],
+14268:["x"],
+14269:["x"],
+14270:["n","crosswise threads in weaving (plural of weft)","横糸（複数）"],
+14271:["x"],
+14272:["x"],
+14273:["v","to measure how heavy","重さを量る","Weigh the flour."],
+14274:["adj","very strange","変な","A weird noise."],
+14275:["n","low dams across rivers (plural of weir)","堰（複数）"],
+14276:["n","overuse of the word \"we\"","「我々」の多用"],
+14277:["n","flightless New Zealand rails (plural of weka)","ニュージーランドクイナ（複数）"],
+14278:["n","the laughing owl of New Zealand","ワライフクロウ"],
+14279:["v","to fail to pay a debt (offensive)","借金を踏み倒す（侮蔑的）","He welched on the bet."],
+14280:["v","joins metal by heating (third person of weld)","溶接する"],
+14281:["n","deep holes for getting water (plural of well)","井戸","The village has two wells."],
+14282:["n","a rubber boot (British informal)","ゴム長靴（英略式）"],
+14283:["adj","from Wales","ウェールズの","Welsh cakes."],
+14284:["n","raised marks on the skin (plural of welt)","みみず腫れ（複数）"],
+14285:["x"],
+14286:["n","a young woman (archaic or humorous)","娘、小娘（古語・戯言）"],
+14287:["v","weened; thought (obsolete)","思った（廃語）"],
+14288:["v","goes slowly on one's way (third person of wend)","進む"],
+14289:["adj","like a wen","こぶ状の"],
+14290:["x"],
+14291:["adj","tasteless; insipid (Scottish)","味のない（スコットランド）"],
+14292:["x"],
+14293:["x"],
+14294:["adj","dizzy (dialect)","目の回る（方言）"],
+14295:["adv","in a wet way","濡れて"],
+14296:["x"],
+14297:["v","to hit hard","強くたたく"],
+14298:["n","a very large sea mammal","クジラ","A whale jumped out of the water."],
+14299:["x"],
+14300:["x"],
+14301:["x"],
+14302:["n","a horsefly","アブ"],
+14303:["x"],
+14304:["v","hits hard (third person of wham)","強打する"],
+14305:["x"],
+14306:["v","to hit with a loud noise","バシッと打つ"],
+14307:["x"],
+14308:["v","hits hard (third person of whap)","強打する"],
+14309:["n","a Maori house or hut","ファレ（マオリの家）"],
+14310:["n","a platform where ships load and unload","波止場","Fish sold at the wharf."],
+14311:["n","a guttural pronunciation of r","rの喉音発音"],
+14312:["n","a fine sand from the River Trent used for polishing","研磨用の細砂"],
+14313:["x"],
+14314:["x"],
+14315:["n","a raised storehouse (Maori)","高床式倉庫（マオリ）"],
+14316:["x"],
+14317:["x"],
+14318:["x"],
+14319:["n","a curlew (Scottish)","ダイシャクシギ（スコットランド）"],
+14320:["adv","where (Scottish)","どこに（スコットランド）"],
+14321:["n","a raised mark on the skin","みみず腫れ"],
+14322:["x"],
+14323:["n","a grain used to make flour","小麦","Bread is made from wheat."],
+14324:["n","a round part that turns","車輪","A car has four wheels."],
+14325:["x"],
+14326:["n","a good number; a few (Scottish)","かなりの数、少数（スコットランド）"],
+14327:["x"],
+14328:["x"],
+14329:["n","a waft; a signal flag","合図の旗"],
+14330:["x"],
+14331:["n","a New Zealand tree fern","ウェキ（木生シダ）"],
+14332:["n","a sea snail eaten as food","バイ貝"],
+14333:["v","to engulf or overwhelm","圧倒する、飲み込む"],
+14334:["n","a puppy or cub","子犬、子獣"],
+14335:["x"],
+14336:["adv","in or to what place","どこに","Where do you live?"],
+14337:["v","sharpens; stimulates (third person of whet)","研ぐ、そそる"],
+14338:["x"],
+14339:["x"],
+14340:["x"],
+14341:["n","watery parts of curdled milk (plural of whey)","乳清（複数）"],
+14342:["x"],
+14343:["pron","what one of a group","どれ、どちら","Which do you want?"],
+14344:["x"],
+14345:["x"],
+14346:["n","a faint smell; a puff of air","かすかなにおい、一吹き"],
+14347:["x"],
+14348:["n","members of a former British political party (plural of Whig)","ホイッグ党員（複数）"],
+14349:["conj","during the time that","〜する間に","Read while you wait."],
+14350:["pron","which (Scottish)","どれ、どちら（スコットランド）"],
+14351:["x"],
+14352:["x"],
+14353:["n","sudden wishes (plural of whim)","気まぐれ（複数）"],
+14354:["v","to make a long high complaining sound","哀れっぽく泣く、ぐちを言う"],
+14355:["x"],
+14356:["n","gorse bushes (plural of whin)","ハリエニシダ（複数）"],
+14357:["adj","tending to complain","泣き言ばかり言う"],
+14358:["n","flexible lashes for hitting (plural of whip)","鞭（複数）"],
+14359:["v","whipped (archaic)","鞭打った（古語）"],
+14360:["v","to spin round quickly","ぐるぐる回る"],
+14361:["n","a continuous buzzing sound","ブーンという音"],
+14362:["v","makes a whirring sound (third person of whir)","ブーンと鳴る"],
+14363:["v","to move with a soft rushing sound","ヒューと音を立てる"],
+14364:["v","to beat eggs or cream; to move quickly","泡立てる、さっと運ぶ"],
+14365:["n","a wisp; a flock of snipe","一つかみ、シギの群れ"],
+14366:["x"],
+14367:["n","a card game for four players","ホイスト（トランプ）"],
+14368:["adj","the color of snow","白い","A white shirt."],
+14369:["n","tiny amounts (plural of whit)","微量（複数）"],
+14370:["x"],
+14371:["v","to move very fast with a buzzing sound","ビュンと飛ぶ"],
+14372:["adj","all of something","全体の","He ate the whole cake."],
+14373:["x"],
+14374:["v","to strike heavily (informal)","ドシンと打つ（略式）"],
+14375:["x"],
+14376:["x"],
+14377:["n","a loud excited shout","歓声"],
+14378:["v","to hoot (obsolete)","ホーホー鳴く（廃語）"],
+14379:["v","hits hard (third person of whop)","強打する"],
+14380:["n","a prostitute (offensive)","売春婦（侮蔑的）"],
+14381:["n","a spiral pattern; a ring of leaves around a stem","渦巻き、輪生"],
+14382:["n","a whortleberry; a bilberry","コケモモ"],
+14383:["x"],
+14384:["pron","belonging to which person","誰の","Whose bag is this?"],
+14385:["pron","whoever (archaic)","だれでも（古語）"],
+14386:["x"],
+14387:["x"],
+14388:["x"],
+14389:["n","a dull thudding sound","ドスンという音"],
+14390:["x"],
+14391:["x"],
+14392:["n","a modern pagan religion of witchcraft","ウイッカ"],
+14393:["x"],
+14394:["n","strings in candles that burn (plural of wick)","芯（複数）"],
+14395:["x"],
+14396:["n","a rope made of twigs; a halter (Scottish)","柳の枝の縄（スコットランド）"],
+14397:["v","to make wider","広げる","Widen the road."],
+14398:["adj","more wide (comparative of wide)","より広い","The river is wider here."],
+14399:["n","balls bowled out of reach in cricket (plural of wide)","ワイド（クリケット、複数）"],
+14400:["n","a woman whose husband has died","未亡人","She became a widow at forty."],
+14401:["n","how wide something is","幅","Measure the width of the door."],
+14402:["v","to hold and use a weapon or tool; to have power","振るう、行使する"],
+14403:["x"],
+14404:["x"],
+14405:["x"],
+14406:["n","a woman (Scottish informal)","女の人（スコットランド略式）"],
+14407:["n","a stiff canvas-like cotton fabric for linings","ウィガン（芯地）"],
+14408:["adj","crazy (slang)","いかれた（俗）"],
+14409:["n","a creature or person (old word)","人、生き物（古語）","The Isle of Wight."],
+14410:["interj","will comply (radio communication)","了解（無線通信）"],
+14411:["n","uninhabited natural areas","荒野"],
+14412:["v","lured by tricks (past of wile)","たぶらかした"],
+14413:["n","clever tricks (plural of wile)","策略（複数）"],
+14414:["n","a small drought-resistant Australian tree","ウィルガ（オーストラリアの木）"],
+14415:["x"],
+14416:["n","legal documents of bequests (plural of will)","遺言（複数）"],
+14417:["n","a large wicker basket; a penis (British informal)","大かご、おちんちん（英略式）"],
+14418:["v","droops (third person of wilt)","しおれる"],
+14419:["v","to flinch slightly from pain or embarrassment","顔をしかめる、たじろぐ"],
+14420:["n","a hauling device with a rope wound round a drum","ウインチ"],
+14421:["n","moving air (plural of wind)","風","Strong winds blew all night."],
+14422:["adj","with a lot of wind","風の強い","A windy day."],
+14423:["x"],
+14424:["v","entertained with wine (past of wine)","ワインでもてなした"],
+14425:["x"],
+14426:["n","alcoholic drinks made from grapes (plural of wine)","ワイン（複数）"],
+14427:["adj","tasting of wine","ワインの味のする"],
+14428:["n","parts a bird uses to fly (plural of wing)","翼","The bird spread its wings."],
+14429:["adj","winged; swift","翼のある、速い"],
+14430:["v","closes one eye briefly (third person of wink)","ウインクする"],
+14431:["x"],
+14432:["v","will not (Scottish)","～しないだろう（スコットランド）"],
+14433:["n","homeless alcoholics (informal, plural of wino)","アル中（略式、複数）"],
+14434:["n","a small shaft between levels in a mine","坑内立坑"],
+14435:["v","cleaned by rubbing (past of wipe)","拭いた","She wiped the table."],
+14436:["n","a device for wiping a windscreen","ワイパー"],
+14437:["v","cleans by rubbing (third person of wipe)","拭く"],
+14438:["adj","connected with wires; excited","配線された、興奮した","A wired network."],
+14439:["n","a person who installs wiring","配線工"],
+14440:["n","thin metal threads (plural of wire)","針金、電線（複数）"],
+14441:["interj","an Irish exclamation of sorrow","ああ（アイルランドの嘆き）"],
+14442:["v","became aware, as in wised up (past of wise)","気づいた"],
+14443:["x"],
+14444:["adj","more wise (comparative of wise)","より賢い","Older and wiser."],
+14445:["v","makes aware, as in wises up (third person of wise)","知らせる"],
+14446:["interj","an Irish exclamation of surprise","おやまあ（アイルランド）"],
+14447:["adj","sad; eerie (dialect)","悲しげな、不気味な（方言）"],
+14448:["x"],
+14449:["n","small thin strands (plural of wisp)","一筋（複数）"],
+14450:["adj","thin and fine like a wisp","細くて薄い"],
+14451:["v","to show; to guide (obsolete)","示す、導く（廃語）"],
+14452:["v","knew (obsolete)","知っていた（廃語）"],
+14453:["v","knows (archaic, third person of wist)","知る（古語）"],
+14454:["n","the council of the Anglo-Saxon kings","賢人会議"],
+14455:["n","a woman with magic powers in stories","魔女","The witch rode a broom."],
+14456:["v","blamed (Scottish, past of wite)","とがめた（スコットランド）"],
+14457:["v","know (obsolete plural of wit)","知る（廃語）"],
+14458:["v","blames (Scottish, third person of wite)","とがめる（スコットランド）"],
+14459:["n","a tough flexible twig used for tying","細枝の縄"],
+14460:["n","a willow twig; an osier","柳の枝"],
+14461:["adj","clever and funny","機知に富んだ","A witty reply."],
+14462:["v","married a woman (past of wive)","妻をめとった"],
+14463:["n","a wyvern, a winged dragon in heraldry","ワイバーン"],
+14464:["n","married women (plural of wife)","妻たち","The king had six wives."],
+14465:["v","to shrivel or wither","しなびる"],
+14466:["n","experts (informal, plural of wiz)","名人（略式、複数）"],
+14467:["x"],
+14468:["n","a unit of land area in medieval Poland","ヴウォカ（中世ポーランドの面積単位）"],
+14469:["n","plants yielding blue dye (plural of woad)","タイセイ（複数）"],
+14470:["adj","coloured with woad","大青で染めた"],
+14471:["n","weld, a dye plant","キバナモクセイソウ"],
+14472:["n","seeds of the yellow pond lily (plural of woca)","スイレンの種（複数）"],
+14473:["n","the chief Anglo-Saxon god (Odin)","ウォーデン（オーディン）"],
+14474:["n","a large lump (British informal)","塊（英略式）"],
+14475:["x"],
+14476:["adj","woeful","悲しい"],
+14477:["n","a member of the Mansi people of western Siberia","ヴォグル人（マンシ人）"],
+14478:["x"],
+14479:["n","seeds of the yellow pond lily (plural of woka)","スイレンの種（複数）"],
+14480:["v","awakened (past participle of wake)","目覚めた"],
+14481:["n","open upland areas (plural of wold)","高原地帯（複数）"],
+14482:["x"],
+14483:["v","eats greedily (third person of wolf)","がつがつ食べる"],
+14484:["x"],
+14485:["v","to behave like a wolf; to hunt wolves","オオカミ狩りをする"],
+14486:["n","an adult female person","女性","A woman opened the door."],
+14487:["n","uteruses (plural of womb)","子宮（複数）"],
+14488:["adj","hollow; capacious (obsolete)","中空の、広い（廃語）"],
+14489:["n","adult female people (plural of woman)","女性たち","Women's football is growing."],
+14490:["n","money (British slang)","金（英俗）"],
+14491:["adj","crooked; unsteady","傾いた、ぐらつく"],
+14492:["x"],
+14493:["n","habits (plural of wont)","習慣（複数）"],
+14494:["n","an area with many trees","森","We walked in the woods."],
+14495:["adj","covered with trees; like wood","木の多い、木質の","A woody hill."],
+14496:["v","courted; sought to win (past of woo)","求愛した"],
+14497:["n","a suitor","求婚者"],
+14498:["n","barks of dogs; weft threads (plural of woof)","ワンという鳴き声、横糸（複数）"],
+14499:["adj","dense in texture","密な"],
+14500:["v","to wind rope tightly around a mast","帆柱にロープを巻き締める"],
+14501:["n","a wolf (obsolete spelling)","オオカミ（古い綴り）"],
+14502:["n","fabrics made from sheep's hair (plural of wool)","羊毛（複数）"],
+14503:["adj","woolly","羊毛の、ふわふわした"],
+14504:["x"],
+14505:["x"],
+14506:["interj","an exclamation on making a mistake (whoops)","おっと"],
+14507:["v","to move with a rushing sound","ヒュッと動く"],
+14508:["n","a high-quality steel from ancient India","ウーツ鋼"],
+14509:["adj","dizzy and unsteady","ふらふらする"],
+14510:["x"],
+14511:["n","units of language (plural of word)","言葉、単語","Learn ten new words a day."],
+14512:["adj","using too many words","言葉数の多い"],
+14513:["v","does a job; functions (third person of work)","働く、機能する","The machine works well."],
+14514:["x"],
+14515:["n","the earth and all the people on it","世界","She traveled the world."],
+14516:["n","long soft invertebrates (plural of worm)","虫、ミミズ（複数）"],
+14517:["adj","full of worms","虫の食った"],
+14518:["v","to feel anxious","心配する","Don't worry."],
+14519:["adj","more bad (comparative of bad)","より悪い","The weather got worse."],
+14520:["adj","most bad (superlative of bad)","最悪の","It was the worst day of my life."],
+14521:["adj","having a value of","〜の価値がある","It's worth a try."],
+14522:["n","plants, herbs; infusions of malt (plural of wort)","草、麦汁（複数）"],
+14523:["x"],
+14524:["x"],
+14525:["v","used to talk about imagined situations or to ask politely","〜だろう、〜していただけますか","Would you like some tea?"],
+14526:["n","an injury that breaks the skin","傷","The wound healed slowly."],
+14527:["adj","made by weaving","織られた","A woven basket."],
+14528:["v","impressed greatly (past of wow)","感嘆させた"],
+14529:["n","seaweed washed ashore; wreckage","打ち上げられた海藻、破滅"],
+14530:["x"],
+14531:["adj","wrong (Scottish)","間違った（スコットランド）"],
+14532:["v","covers in paper or cloth (third person of wrap)","包む"],
+14533:["v","wrapped (archaic)","包んだ（古語）"],
+14534:["x"],
+14535:["n","great anger","激怒","The wrath of God."],
+14536:["v","to cry like a cat (obsolete)","猫のように鳴く（廃語）"],
+14537:["v","to cause damage, as in wreak havoc","（損害を）もたらす"],
+14538:["x"],
+14539:["n","a badly damaged ship, car or building","残骸、難破船","A ship wreck."],
+14540:["n","small brown songbirds (plural of wren)","ミソサザイ（複数）"],
+14541:["v","to pull away forcibly","もぎ取る"],
+14542:["v","to sprain or twist (rick)","くじく"],
+14543:["x"],
+14544:["v","twisted (past of wry)","ねじった"],
+14545:["adj","more wry (comparative of wry)","より皮肉な"],
+14546:["v","twists (third person of wry)","ねじる"],
+14547:["v","to twist and squeeze","絞る"],
+14548:["n","the joint between the hand and the arm","手首","She wears a watch on her wrist."],
+14549:["v","to put words on paper or a screen","書く","Write your name here."],
+14550:["x"],
+14551:["n","written court orders (plural of writ)","令状（複数）"],
+14552:["x"],
+14553:["v","wreaked (obsolete past of wreak)","加えた（廃語）"],
+14554:["adj","not correct","間違った","That's the wrong answer."],
+14555:["v","wrote (obsolete)","書いた（廃語）"],
+14556:["v","put words on paper (past of write)","書いた","She wrote a letter."],
+14557:["adj","angry (archaic)","怒った（古語）"],
+14558:["v","twisted and squeezed (past of wring)","絞った"],
+14559:["adj","more wry (comparative of wry)","より皮肉な"],
+14560:["adv","in a dryly humorous way","皮肉っぽく"],
+14561:["x"],
+14562:["x"],
+14563:["n","an Aboriginal shelter of branches (Australian)","小屋（アボリジニ）"],
+14564:["n","a German sausage","ソーセージ"],
+14565:["x"],
+14566:["x"],
+14567:["x"],
+14568:["n","narrow lanes (Scottish, plural of wynd)","路地（スコットランド、複数）"],
+14569:["n","the runic letter wynn","ウィン（ルーン文字）"],
+14570:["n","runic letters representing w (plural of wynn)","ウィン（ルーン文字、複数）"],
+14571:["x"],
+14572:["x"],
+14573:["v","blamed (past of wyte)","とがめた"],
+14574:["v","blames (third person of wyte)","とがめる"],
+14575:["x"],
+14576:["n","a small three-masted Mediterranean ship","ジーベック船"],
+14577:["n","the effect of pollen on the seed or fruit","キセニア"],
+14578:["adj","grown with unidentified organisms, of a culture","異種生物を含む（培養）"],
+14579:["n","a heavy inert gas, chemical element 54","キセノン"],
+14580:["n","the biphenylyl group","キセニル基"],
+14581:["n","sherry","シェリー酒"],
+14582:["adj","very dry; adapted to dry conditions","乾燥した、乾生の"],
+14583:["v","to photocopy","コピーする"],
+14584:["n","a genus of African ground squirrels","アフリカジリス属"],
+14585:["n","primitive wooden cult statues of ancient Greece (plural of xoanon)","クソアノン（木像、複数）"],
+14586:["n","a fish of the jack family","マアジの類"],
+14587:["n","18 in Roman numerals","18（ローマ数字）","Louis XVIII."],
+14588:["n","23 in Roman numerals","23（ローマ数字）","Chapter XXIII."],
+14589:["n","a gummy polysaccharide in wood","キシラン"],
+14590:["n","the water-conducting tissue of plants","木部"],
+14591:["adj","relating to xylene","キシレンの"],
+14592:["n","xylene, a solvent","キシロール"],
+14593:["x"],
+14594:["n","a radical derived from xylene","キシリル基"],
+14595:["n","a yellow-eyed grass","トウエンソウ"],
+14596:["n","covered porticoes for exercise (plural of xystus)","屋根付き柱廊（複数）"],
+14597:["n","covered porticoes for exercise (plural of xyst)","屋根付き柱廊（複数）"],
+14598:["x"],
+14599:["n","a small Australian freshwater crayfish","ヤビー（ザリガニ）"],
+14600:["x"],
+14601:["n","a hard Philippine timber tree","ヤカル（フィリピンの硬材）"],
+14602:["n","a West Indian podocarp tree","ヤッカ（マキ科の木）"],
+14603:["n","a boat with sails used for pleasure","ヨット","A luxury yacht."],
+14604:["v","chatters (informal, third person of yack)","ぺちゃくちゃしゃべる（略式）"],
+14605:["x"],
+14606:["v","barks; scolds (Scottish, third person of yaff)","吠える、がみがみ言う（スコットランド）"],
+14607:["n","a German rifleman (jäger)","猟兵"],
+14608:["n","directional antennas (plural of yagi)","八木アンテナ（複数）"],
+14609:["x"],
+14610:["x"],
+14611:["n","a rude, coarse person","粗野な人"],
+14612:["n","a yard (Scottish)","庭（スコットランド）"],
+14613:["n","the takin","ターキン"],
+14614:["n","hard work (Australian informal)","重労働（豪略式）"],
+14615:["x"],
+14616:["n","the office of a Chinese mandarin","衙門（がもん）"],
+14617:["n","a plant with edible roots of western North America","ヤンパ（食用根）"],
+14618:["x"],
+14619:["x"],
+14620:["n","bright masculine principles (plural of yang)","陽（複数）"],
+14621:["v","pulls sharply (third person of yank)","ぐいと引く"],
+14622:["x"],
+14623:["x"],
+14624:["n","a water opossum","ミズオポッサム"],
+14625:["n","yaupon, a holly","ヤポンノキ"],
+14626:["adj","barking shrilly; talkative","キャンキャン吠える、おしゃべりな"],
+14627:["n","a state of hunting readiness in a hawk","ヤラク（狩りの準備ができた状態）"],
+14628:["x"],
+14629:["n","units of length; gardens (plural of yard)","ヤード、庭（複数）"],
+14630:["adj","more ready or nimble (comparative of yare)","より機敏な"],
+14631:["n","a saki monkey","サキ（サル）"],
+14632:["x"],
+14633:["n","spun threads; long stories (plural of yarn)","毛糸、ほら話（複数）"],
+14634:["x"],
+14635:["n","earth (dialect)","大地（方言）"],
+14636:["n","old mares (Scottish, plural of yaud)","老いた雌馬（スコットランド、複数）"],
+14637:["adj","active; nimble (Scottish)","機敏な（スコットランド）"],
+14638:["v","cries loudly (third person of yaup)","大声で叫ぶ"],
+14639:["v","swung off course (past of yaw)","偏揺れした"],
+14640:["x"],
+14641:["n","two-masted sailing boats (plural of yawl)","ヨール（複数）"],
+14642:["v","opens the mouth wide from tiredness (third person of yawn)","あくびをする"],
+14643:["adj","tending to yawn","あくびの出る"],
+14644:["v","shouts harshly (third person of yawp)","わめく"],
+14645:["adj","clad (archaic)","装った（古語）"],
+14646:["v","gives birth to lambs or kids (third person of yean)","子を産む（羊・ヤギ）"],
+14647:["n","the California poison oak","ウエスタンポイズンオーク"],
+14648:["x"],
+14649:["v","to long for something intensely","切望する"],
+14650:["n","periods of twelve months (plural of year)","年","Ten years ago."],
+14651:["n","a fungus used to make bread rise","酵母","Add yeast to the flour."],
+14652:["interj","an expression of disgust","げえっ"],
+14653:["x"],
+14654:["adj","disgusting (informal)","気持ち悪い（略式）"],
+14655:["interj","an expression of disgust","げえっ"],
+14656:["n","safecrackers (slang, plural of yegg)","金庫破り（俗、複数）"],
+14657:["n","a long Turkish vest or coat","イェレク（トルコの長い上着）"],
+14658:["n","yolks (plural of yelk)","卵黄（複数）"],
+14659:["v","shouts loudly (third person of yell)","叫ぶ"],
+14660:["v","gives sharp cries (third person of yelp)","キャンと鳴く"],
+14661:["n","a country in the south of the Arabian peninsula","イエメン","Yemen grows coffee."],
+14662:["n","a gossipy, meddling woman (Yiddish)","おせっかいなうわさ好き（イディッシュ語）"],
+14663:["n","a yenta","おせっかいなうわさ好き"],
+14664:["x"],
+14665:["n","a herb; mate tea, as in yerba mate","ハーブ、マテ茶"],
+14666:["x"],
+14667:["v","jerks; kicks (obsolete, third person of yerk)","ぐいと動かす、蹴る（廃語）"],
+14668:["x"],
+14669:["x"],
+14670:["n","affirmative answers (plural of yes)","イエス（複数）"],
+14671:["x"],
+14672:["adj","yeasty (obsolete)","泡立つ（廃語）"],
+14673:["n","abominable snowmen (plural of yeti)","雪男（複数）"],
+14674:["n","gates (Scottish, plural of yett)","門（スコットランド、複数）"],
+14675:["v","itches (Scottish, third person of yeuk)","かゆい（スコットランド）"],
+14676:["adj","itchy (Scottish)","かゆい（スコットランド）"],
+14677:["v","given (obsolete)","与えられた（廃語）"],
+14678:["x"],
+14679:["adv","together (obsolete)","一緒に（廃語）"],
+14680:["n","a flooded forest along the Amazon (igapó)","イガポ（アマゾンの浸水林）"],
+14681:["v","to produce; to give way","生み出す、譲る","The farm yields corn."],
+14682:["interj","an expression of alarm or surprise","うわっ"],
+14683:["n","ales (Scottish, plural of yill)","エール（スコットランド、複数）"],
+14684:["adv","once (Scottish)","一度（スコットランド）"],
+14685:["x"],
+14686:["interj","an expression of alarm (yikes)","うわっ"],
+14687:["v","buries (Scottish, third person of yird)","埋める（スコットランド）"],
+14688:["v","snarls (third person of yirr)","うなる"],
+14689:["n","earth (Scottish)","大地（スコットランド）"],
+14690:["n","the primordial matter of the universe (plural of ylem)","アイレム（宇宙の始原物質、複数）"],
+14691:["n","a loutish young man (British slang)","不良、ちんぴら（英俗）"],
+14692:["x"],
+14693:["n","laughs (slang, plural of yock)","大笑い（俗、複数）"],
+14694:["v","to sing with rapid switches between normal and falsetto voice","ヨーデルで歌う"],
+14695:["n","the tenth letter of the Hebrew alphabet (plural of yodh)","ヨッド（複数）"],
+14696:["v","to yodel","ヨーデルで歌う"],
+14697:["n","systems of exercise and meditation (plural of yoga)","ヨガ（複数）"],
+14698:["n","a yogi","ヨガ行者"],
+14699:["n","a Middle English letter ȝ (plural of yogh)","ヨッホ（中英語の文字、複数）"],
+14700:["adj","relating to yoga","ヨガの"],
+14701:["n","a yogi","ヨガ行者"],
+14702:["n","practitioners of yoga (plural of yogi)","ヨガ行者（複数）"],
+14703:["interj","a cry urging on hounds (yoicks)","それ行け（猟犬への掛け声）"],
+14704:["n","an Indian measure of distance of about five miles","ヨージャナ（インドの距離単位）"],
+14705:["v","joined with a yoke (past of yoke)","くびきでつないだ"],
+14706:["n","an unsophisticated country person","田舎者"],
+14707:["x"],
+14708:["n","wooden bars joining draught animals (plural of yoke)","くびき（複数）"],
+14709:["n","the yellow parts of eggs (plural of yolk)","卵黄（複数）"],
+14710:["adj","like or containing yolk","卵黄のような"],
+14711:["x"],
+14712:["n","days (Hebrew, plural of yom)","日（ヘブライ語、複数）"],
+14713:["x"],
+14714:["adj","relating to or shaped like a yoni","ヨーニの"],
+14715:["n","Hindu symbols of female generative power (plural of yoni)","ヨーニ（複数）"],
+14716:["n","times long past (plural of yore)","昔（複数）"],
+14717:["x"],
+14718:["adj","not old","若い","She is young."],
+14719:["x"],
+14720:["pron","yours (dialect)","あなたのもの（方言）"],
+14721:["pron","belonging to you","あなたのもの","Is this yours?"],
+14722:["x"],
+14723:["pron","you, plural (dialect)","あんたら（方言）"],
+14724:["n","the time of being young; a young person","若さ、若者","In my youth I played soccer."],
+14725:["x"],
+14726:["n","the cheetah (obsolete)","チーター（廃語）"],
+14727:["v","given (obsolete)","与えられた（廃語）"],
+14728:["v","yowled (past of yow)","わめいた"],
+14729:["n","ewes (Scottish, plural of yowe)","雌羊（スコットランド、複数）"],
+14730:["n","a hairy man-like creature of Australian folklore","ヨーウィ（豪州の獣人）"],
+14731:["v","cries loudly and mournfully (third person of yowl)","わめく"],
+14732:["x"],
+14733:["n","Chinese monetary units (plural of yuan)","元（複数）"],
+14734:["n","an evergreen plant with stiff sword-shaped leaves","ユッカ"],
+14735:["interj","an expression of disgust","げえっ"],
+14736:["n","laughs (slang, plural of yuck)","大笑い（俗、複数）"],
+14737:["adj","unpleasant; disgusting (informal)","気持ち悪い（略式）"],
+14738:["n","Hindu ages of the world (plural of yuga)","ユガ（複数）"],
+14739:["n","a territory in north-western Canada","ユーコン","The Yukon gold rush."],
+14740:["n","a Chinese magnolia with large white flowers","ハクモクレン"],
+14741:["n","Christmas seasons (plural of yule)","クリスマスの季節（複数）"],
+14742:["adj","relating to the Yuman languages of the American southwest","ユマ語族の"],
+14743:["adj","delicious (informal)","おいしい（略式）"],
+14744:["n","yaupon, a holly","ヤポンノキ"],
+14745:["n","a yurt","ユルト"],
+14746:["n","round felt tents of Central Asia (plural of yurt)","ユルト、ゲル（複数）"],
+14747:["n","a small sailing vessel of the Spanish coast","サブラ（小型帆船）"],
+14748:["x"],
+14749:["n","the former currency of Zaire","ザイール（旧通貨）"],
+14750:["n","zakat","ザカート"],
+14751:["n","obligatory almsgiving in Islam","ザカート（喜捨）"],
+14752:["n","the rain tree, a large tropical tree","アメリカネム"],
+14753:["n","an offensive old term for a person of mixed African and Indigenous American ancestry","ザンボ（蔑称）"],
+14754:["n","a cycad of tropical America","ザミア"],
+14755:["n","zantewood, a yellow timber","サンテ材"],
+14756:["n","an African musical instrument, a thumb piano","ザンザ（親指ピアノ）"],
+14757:["n","a thumb piano (zanza)","ザンザ（親指ピアノ）"],
+14758:["x"],
+14759:["n","metal holders for handleless coffee cups (plural of zarf)","ザルフ（複数）"],
+14760:["n","slate-cutting tools (plural of zax)","スレート切り（複数）"],
+14761:["n","a public shelter for travellers in Burma","ザヤット（休憩所）"],
+14762:["n","the seventh letter of the Hebrew alphabet","ザイン"],
+14763:["n","seated meditation in Zen Buddhism","座禅"],
+14764:["n","strong enthusiasms (plural of zeal)","熱意（複数）"],
+14765:["n","a xebec, a small Mediterranean ship","ジーベック船"],
+14766:["n","an African wild horse with black and white stripes","シマウマ","A zebra drank at the river."],
+14767:["n","a noxious fly of Ethiopia","ゼブブ（アフリカのハエ）"],
+14768:["n","humped domestic cattle (plural of zebu)","コブウシ（複数）"],
+14769:["n","proteins found in maize (plural of zein)","ゼイン（複数）"],
+14770:["n","pellagra, once blamed on maize","ペラグラ"],
+14771:["x"],
+14772:["x"],
+14773:["n","the blind mole rat","メクラネズミ"],
+14774:["n","the blind mole rat of eastern Europe","メクラネズミ"],
+14775:["n","a Zen meditation hall","禅堂"],
+14776:["n","the fennec fox","フェネック"],
+14777:["n","the number 0 (plural of zero)","ゼロ（複数）"],
+14778:["n","enthusiasms; citrus peels (plural of zest)","熱意、柑橘の皮（複数）"],
+14779:["adj","having a strong pleasant flavour; lively","風味の強い、元気な"],
+14780:["n","the sixth letter of the Greek alphabet (plural of zeta)","ゼータ（複数）"],
+14781:["n","a pilgrimage to a Muslim shrine (ziyarat)","参詣"],
+14782:["n","a civet of southern Asia","オオジャコウネコ"],
+14783:["n","curd made from whey by adding acid","乳清チーズ"],
+14784:["n","beards (Australian slang, plural of ziff)","ひげ（豪俗、複数）"],
+14785:["n","a gypsy (dated)","ジプシー（古い語）"],
+14786:["n","a form of divorce in early Islamic law","ズィハール（離婚の一形式）"],
+14787:["n","nothing (informal)","ゼロ、皆無（略式）"],
+14788:["n","small finger cymbals (plural of zill)","ジル（指シンバル、複数）"],
+14789:["n","a small shell used as money in Africa","タカラガイ（貝貨）"],
+14790:["x"],
+14791:["x"],
+14792:["x"],
+14793:["n","a zinc printing plate","亜鉛版"],
+14794:["v","coats with zinc (third person of zinc)","亜鉛めっきする"],
+14795:["adj","containing or like zinc","亜鉛の"],
+14796:["n","a fungicide based on zinc","ジネブ（殺菌剤）"],
+14797:["n","short high buzzing sounds (plural of zing)","ビュッという音（複数）"],
+14798:["adj","lively; zesty (informal)","元気な、ぴりっとした（略式）"],
+14799:["n","a cornett, an old wind instrument","ツィンク（古楽器）"],
+14800:["adj","zincky, like zinc","亜鉛の"],
+14801:["adj","quick and energetic","きびきびした"],
+14802:["x"],
+14803:["n","a fungicide containing zinc","ジラム（殺菌剤）"],
+14804:["n","pasta tubes (plural of ziti)","ジーティ（複数）"],
+14805:["n","the suslik, a ground squirrel","ジリス"],
+14806:["n","fringes on a Jewish prayer shawl (tzitzit)","ツィツィート"],
+14807:["n","zlotys (plural of zloty)","ズウォティ（複数）"],
+14808:["n","the basic unit of money in Poland","ズウォティ"],
+14809:["n","a zoea, a crab larva","ゾエア（カニの幼生）"],
+14810:["n","a socle, a plain plinth","台座"],
+14811:["n","crab larvae (plural of zoea)","ゾエア（複数）"],
+14812:["adj","relating to a zoea","ゾエアの"],
+14813:["n","crab larvae (plural of zoea)","ゾエア（複数）"],
+14814:["x"],
+14815:["n","reverence for animal life","動物崇拝"],
+14816:["n","a believer in zoism","動物崇拝者"],
+14817:["n","a burrowing rodent of Asia","ゾコール（モグラネズミ）"],
+14818:["x"],
+14819:["n","a zombie","ゾンビ"],
+14820:["adj","relating to a zone","帯状の、地帯の"],
+14821:["n","a belt Christians and Jews in the Levant were forced to wear","ゾナール（識別帯）"],
+14822:["n","a hot dry wind of Argentina","ソンダ（アルゼンチンの熱風）"],
+14823:["adj","divided into zones; having bands","区画された、帯のある"],
+14824:["n","one who zones","区画する人"],
+14825:["n","areas with particular features (plural of zone)","地帯（複数）"],
+14826:["x"],
+14827:["x"],
+14828:["n","an individual animal in a colony","個虫"],
+14829:["interj","a mild oath (gadzooks)","おやまあ"],
+14830:["v","moves very quickly (third person of zoom)","ぶーんと進む"],
+14831:["x"],
+14832:["n","individual animals from a single egg (plural of zoon)","単一個体（複数）"],
+14833:["adj","flashy in style (slang)","派手な（俗）"],
+14834:["n","the striped polecat of Africa","ゾリラ"],
+14835:["n","flat thonged sandals (plural of zori)","草履（複数）"],
+14836:["n","a South American fox","南米のキツネ"],
+14837:["interj","an expression of surprise or delight","わお"],
+14838:["x"],
+14839:["x"],
+14840:["n","members of a Bantu people of South Africa (plural of Zulu)","ズールー族（複数）"],
+14841:["n","members of a Pueblo people of New Mexico (plural of Zuni)","ズニ族（複数）"],
+14842:["adj","shaped like an H, of a brain fissure","H 字形の"],
+14843:["x"],
+14844:["n","ferments (plural of zyme)","酵素（複数）"],
+14845:["adj","relating to fermentation","発酵の"],
+14846:["n","a ferment; an enzyme preparation","酵素剤"],
+};
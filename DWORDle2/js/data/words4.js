@@ -0,0 +1,6 @@
+// 4 文字版 DWORDle の単語リスト（problems.js の LENGTH_SETS）。DWORDle 2 で選んだ一般的な英単語で、
+// おおむねよく使う語から順に並べてある。レベル別候補リストはこの配列の先頭 topK 語をそのまま使い、
+// Guess として受け付けるのはこの配列の語すべて。
+// 配列の順序と語数が出題の再現性に直結するため、並べ替え・追加・削除をしないこと。
+
+export const WORDS_4 = ["that","with","have","this","from","they","will","what","when","make","like","time","just","know","take","into","year","your","good","some","them","than","then","look","only","come","over","also","back","work","well","even","want","give","most","find","here","tell","very","need","feel","much","many","last","long","down","life","must","such","call","hand","high","part","keep","both","help","talk","turn","show","hear","play","move","live","read","word","home","same","city","next","four","five","open","seem","mean","side","kind","head","fact","week","real","line","name","game","best","able","half","idea","body","book","area","plan","face","room","team","hope","walk","rest","girl","unit","data","form","case","sure","late","less","care","land","door","held","free","full","near","love","hard","food","road","gave","told","sent","paid","lead","stop","base","town","note","past","once","fall","rule","test","fire","poor","wife","deal","news","true","hour","stay","boys","dark","hold","sort","bank","draw","cost","view","rate","main","army","pass","mind","wait","send","fine","upon","role","lost","step","miss","size","star","sign","ever","type","rise","lady","fish","bill","cold","blue","drop","felt","cash","died","fast","skin","farm","wall","seen","shot","kept","grow","wind","plus","rock","hair","lose","safe","song","goes","ship","hall","sell","shop","club","wide","seat","feet","baby","foot","card","hurt","deep","gone","rich","bird","west","race","hill","soft","tree","till","born","wish","fill","edge","firm","rain","gold","mark","camp","snow","pick","page","sale","shut","rose","wood","wear","park","iron","vote","debt","link","tour","sold","heat","text","list","loss","king","moon","cell","milk","path","wine","meet","busy","pull","save","seek","wave","lack","bear","sick","pool","join","salt","task","fair","rare","calm","warm","kill","gain","host","huge","ride","vast","soon","nice","eyes","arms","legs","lips","neck","nose","ears","sand","soil","rope","coal","boat","desk","file","lamp","cake","meal","soup","meat","rice","corn","bean","pork","beef","duck","lamb","lake","pond","bush","leaf","root","seed","stem","lily","wolf","deer","lion","frog","crab","worm","moth","wing","tail","horn","claw","hide","pale","grey","pink","gray","tone","tune","band","drum","harp","hymn","poem","tale","myth","joke","fool","hero","lord","duke","earl","monk","maid","aunt","twin","sons","kids","mate","pair","gift","wage","fund","loan","risk","coin","rent","fare","item","tool","pipe","wire","bolt","nail","gear","tank","pump","fuel","bomb","fort","flag","riot","coup","ally","foes","acid","aged","ages","aids","aims","airs","alms","alto","amid","anew","ants","apex","arch","arcs","aria","arid","atom","auto","avid","away","awry","axes","axis","axle","babe","bake","bald","bale","ball","balm","bare","bark","barn","bars","bath","bays","bead","beak","beam","beat","beds","beer","bees","beet","bell","belt","bend","bent","bets","bias","bike","bind","bite","bits","blew","blob","blot","blow","blur","boar","bode","boil","bold","bond","bone","bony","boom","boon","boot","bore","boss","bout","bowl","brag","bran","brew","brim","bulb","bulk","bull","bump","bunk","buoy","burn","bury","bust","buzz","cafe","cage","calf","came","cane","cape","caps","carb","cart","cave","cent","chap","chat","chef","chin","chip","chop","cite","clad","clam","clan","clap","clay","clip","clog","clot","clue","coat","code","coil","colt","comb","cone","cook","cool","cope","copy","cord","core","cork","cosy","cove","cowl","crew","crib","crop","crow","cube","cuff","cult","curb","cure","curl","cute","dame","damp","dare","darn","dart","dash","date","dawn","days","daze","dead","deaf","dean","dear","deck","deed","deem","dent","deny","dial","dice","diet","dime","dine","dire","dirt","disc","dish","disk","dive","dock","does","doll","dome","doom","dose","dots","dove","doze","drag","dram","drew","drip","dual","duel","dues","dull","dumb","dump","dune","dusk","dust","duty","each","earn","ease","east","easy","echo","edit","eels","else","envy","epic","etch","euro","evil","exam","exit","expo","fade","fail","fake","fame","fang","fate","fawn","fear","feat","feed","fees","fell","fern","feud","figs","fist","flap","flat","flaw","flea","fled","flee","flew","flip","flit","flow","foam","fold","folk","fond","font","fore","fork","foul","fowl","fray","fume","fury","fuse","fuss","gale","gall","gang","gape","garb","gash","gasp","gate","gaze","geek","gems","germ","gild","gist","glad","glee","glen","glow","glue","glum","gnaw","goal","goat","gods","golf","gong","gore","gown","grab","gram","grid","grim","grin","grip","grit","grub","gulf","gull","gulp","gums","guru","gust","guts","hack","hail","hale","halo","halt","hang","hare","harm","hash","hate","haul","hawk","haze","hazy","heal","heap","heel","heir","hell","helm","herb","herd","hers","hike","hint","hire","hiss","hive","hoax","hogs","hole","holy","hood","hoof","hook","hoop","hoot","hose","hull","hump","hunt","hurl","hush","icon","idle","idol","inch","info","itch","jail","jazz","jeep","jerk","jest","jobs","jogs","jolt","jury","keen","kelp","kick","kiln","kilt","kiss","kite","kits","knee","knew","knit","knob","knot","lace","laid","lair","lane","laps","lard","lash","lass","lava","lawn","laws","lazy","leak","lean","leap","lend","lens","lent","liar","lick","lied","lies","lieu","lift","limb","lime","limp","lint","load","loaf","loam","lobe","loft","logo","lone","loom","loop","lore","lots","loud","lout","lump","lung","lure","lurk","lush","lust","mace","made","mail","male","mall","malt","mane","mare","mash","mask","mass","mast","maze","mead","meek","melt","memo","mend","menu","mere","mesh","mess","mice","mild","mile","mill","mime","mine","mint","mist","mitt","moan","moat","mock","mode","mold","mole","mood","moor","mope","more","moss","muck","mule","muse","mush","mute","navy","neat","neon","nerd","nest","nets","newt","nine","node","none","noon","norm","noun","nude","null","numb","nuts","oath","oats","obey","odds","odor","oils","okay","omen","omit","onto","ooze","oven","owed","owes","owls","owns","pace","pack","pact","pads","pail","pain","palm","pane","pang","pans","pant","pare","pave","pawn","peak","peal","pear","peas","peck","peel","peep","peer","pelt","pens","perk","pest","pets","pier","pies","pike","pile","pill","pine","pint","pity","plea","plod","plot","plow","ploy","plug","plum","poke","pole","poll","polo","pomp","pore","port","pose","posh","post","pour","pout","pray","prey","prim","prod","prom","prop","prow","pubs","puff","pulp","puma","punk","puns","pure","purr","push","quit","quiz","rack","raft","rage","raid","rail","rake","ramp","rang","rank","rash","rasp","rats","rave","rays","raze","reap","rear","reed","reef","reek","reel","rein","rely","rend","ribs","rift","ring","rink","ripe","rite","roam","roar","robe","rode","roll","roof","rook","rosy","rots","rout","rude","ruin","rung","runt","ruse","rush","rust","sack","saga","sage","said","sail","sake","sane","sang","sash","scan","scar","seal","seam","sear","sect","self","sets","sewn","shed","shin","shoe","shoo","shun","sigh","silk","sill","silt","sing","sink","sire","site","skid","skim","skip","skit","slab","slag","slam","slap","slat","sled","slew","slid","slim","slip","slit","slob","slot","slow","slug","slum","slur","smog","snag","snap","snob","snug","soak","soap","soar","sock","soda","sofa","sole","solo","sore","sour","sown","spam","span","spar","spat","sped","spin","spit","spot","spur","stab","stag","stew","stir","stub","stud","stun","suck","suit","sulk","sumo","sung","sunk","surf","swam","swan","swap","sway","swim","tack","tact","tags","tall","tame","tang","tape","taps","tart","taut","taxi","teak","teal","tear","teas","teem","teen","tees","tend","tent","term","tern","thaw","thee","thin","thou","thud","thug","thus","tick","tide","tidy","tied","tier","ties","tile","tilt","tint","tiny","tips","tire","toad","toes","tofu","toga","toil","toll","tomb","tome","tore","torn","toss","tout","toys","tram","trap","tray","trek","trim","trio","trip","trod","trot","tuba","tube","tuck","tuft","tusk","tutu","twig","ugly","undo","unto","urge","used","user","vain","vale","vane","vary","vase","veal","veil","vein","vent","verb","vest","veto","vial","vibe","vice","vine","visa","void","volt","wade","wail","wake","wand","ward","warn","warp","wart","wary","wash","wasp","wavy","waxy","weak","wean","wept","were","whip","whim","whiz","wick","wild","wilt","wily","wimp","wink","wipe","wiry","wise","wisp","woke","womb","wool","wore","worn","wove","wrap","wren","yard","yarn","yawn","yell","yelp","yoga","yoke","yolk","zany","zeal","zero","zest","zinc","zone","zoom"];
@@ -0,0 +1,6 @@
+// 6 文字版 DWORDle の単語リスト（problems.js の LENGTH_SETS）。DWORDle 2 で選んだ一般的な英単語で、
+// おおむねよく使う語から順に並べてある。レベル別候補リストはこの配列の先頭 topK 語をそのまま使い、
+// Guess として受け付けるのはこの配列の語すべて。
+// 配列の順序と語数が出題の再現性に直結するため、並べ替え・追加・削除をしないこと。
+
+export const WORDS_6 = ["people","should","little","before","around","school","really","number","always","family","during","public","better","within","change","become","system","toward","second","almost","though","others","office","enough","across","policy","report","mother","father","sister","friend","course","market","rather","member","health","nature","minute","moment","simple","reason","result","action","choose","common","decide","effect","follow","future","ground","happen","indeed","inside","letter","matter","nearly","online","period","person","player","recent","remain","return","social","source","spring","street","strong","summer","winter","animal","answer","appear","artist","attack","budget","camera","center","church","client","corner","county","couple","credit","damage","design","detail","dinner","doctor","energy","expect","finger","flight","flower","forest","garden","global","growth","income","island","leader","living","manage","method","middle","mostly","museum","nation","normal","notice","object","option","orange","parent","police","pretty","prison","theory","travel","unless","weight","window","wonder","worker","writer","silver","yellow","purple","castle","bridge","butter","candle","carpet","cattle","cheese","circle","coffee","cookie","cotton","desert","dragon","engine","farmer","fabric","filter","finish","flavor","frozen","guitar","hammer","honest","insect","jacket","jungle","kitten","ladder","lesson","liquid","locker","marble","meadow","mirror","monkey","muscle","napkin","needle","noodle","oyster","palace","pencil","pepper","pillow","planet","pocket","potato","powder","puzzle","rabbit","record","ribbon","rocket","saddle","salmon","shadow","shower","signal","silent","smooth","spider","stable","statue","stream","string","studio","summit","tablet","tennis","thread","ticket","timber","tomato","tongue","tunnel","turkey","turtle","velvet","violin","voyage","wallet","walnut","wealth","weapon","wisdom","wizard","wooden","yogurt","zipper","absent","absorb","accent","accept","access","accuse","active","actual","adjust","admire","advice","advise","affair","afford","afraid","agency","agenda","almond","amount","anchor","ankles","annual","anyone","anyway","appeal","arcade","archer","arctic","arrest","arrive","aspect","assert","assess","assign","assist","assume","assure","asylum","attach","attend","august","author","autumn","avenue","backup","banana","banker","barely","barrel","basket","battle","beauty","beaver","behalf","behave","behind","belief","belong","beside","betray","beyond","binary","biopsy","bishop","bitter","blonde","bodily","border","boring","borrow","bottle","bottom","bounce","branch","breath","breeze","bright","broken","bronze","brutal","bubble","bucket","buckle","bullet","bundle","burden","bureau","burger","butler","button","cactus","canvas","carbon","career","carrot","casual","caught","cellar","cement","cereal","chance","chapel","charge","cheeky","cherry","chorus","chosen","cinema","circus","citrus","claims","clause","clever","closed","closet","clutch","coarse","cobalt","collar","colony","column","combat","comedy","commit","comply","convey","copper","cosmic","costly","cousin","create","crisis","crispy","critic","crunch","cruise","cuddle","curfew","cursor","custom","dancer","danger","daring","debate","decade","defeat","defend","define","degree","demand","denial","depart","depend","deploy","deputy","desire","device","devote","diesel","differ","digest","dining","direct","divide","domain","donkey","double","dozens","drawer","driven","easily","eating","editor","effort","eighth","either","eleven","emerge","empire","employ","enable","ending","endure","engage","ensure","entire","entity","equity","escape","estate","ethnic","evolve","exceed","except","excuse","exhale","exotic","expand","expert","expire","export","expose","extend","extent","facing","factor","fairly","fallen","famous","fasten","faucet","fellow","female","fierce","figure","filthy","fiscal","flawed","fleece","flimsy","floppy","fluent","flying","folder","forbid","forced","forget","formal","format","former","fossil","foster","fourth","freeze","fridge","fuller","fungus","gadget","galaxy","gallon","gamble","garage","garlic","gather","gender","gentle","giggle","ginger","glance","glider","glossy","goblin","golden","gospel","gossip","govern","grease","grocer","guilty","hamper","handle","harbor","hardly","hassle","hatred","hazard","header","heaven","height","helmet","hermit","hidden","hiking","hinder","hockey","holder","hollow","homage","honour","hooked","hoping","horror","humble","hunger","hunter","hurdle","hybrid","ignore","immune","impact","import","impose","indoor","infant","inform","inject","injury","inmate","insane","insert","insist","intact","intend","intent","invent","invest","invite","itself","jaguar","jersey","jockey","joking","joyful","judged","junior","justly","kettle","kidney","kindle","knight","lagoon","lately","latter","launch","lawyer","layout","leaves","legacy","legend","lender","length","lessen","lethal","levels","likely","liking","limits","linear","lining","lizard","loaded","locate","lonely","losing","lovely","loving","lumber","luxury","magnet","maiden","mainly","making","mammal","manner","mantle","marine","marker","mascot","master","matrix","medium","mellow","melody","memory","menace","mental","mentor","merely","merger","merits","midday","mighty","mildly","minded","mingle","misery","mobile","modern","modest","modify","molten","motion","motive","muffin","murder","mutual","myself","narrow","nearby","neatly","nephew","nerves","nestle","neural","newest","nickel","nights","nobody","notion","novice","nutmeg","obtain","occupy","oddity","offend","offset","oldest","openly","oppose","optics","oracle","orchid","orient","origin","outfit","outlet","output","oxygen","packet","paddle","pardon","parish","parrot","pastel","patent","patrol","patron","peanut","pebble","pellet","perish","permit","pickle","pigeon","pirate","plague","plenty","plural","poetry","poison","polish","polite","portal","poster","potent","praise","prayer","prefer","priest","prince","profit","prompt","proper","proven","pulley","punish","puppet","purity","pursue","quaint","quartz","quench","racket","radish","random","ransom","rarely","rating","reader","realms","reboot","recall","recipe","reckon","reduce","reform","refuge","refund","regard","regime","region","regret","reject","relate","relief","remark","remedy","remind","remote","rental","repair","repeat","rescue","resign","resist","resort","retail","retain","retire","reveal","review","revolt","reward","rhythm","riddle","ridden","ripple","ritual","robust","rotate","rotten","rubber","rudder","ruined","rumble","runner","runway","rustic","sacred","safety","saints","salary","sample","sandal","sauces","saving","saying","scarce","scenic","scheme","scroll","season","secret","sector","secure","seldom","select","seller","senior","sensor","serial","series","settle","severe","shield","shiver","shrimp","shrink","sickle","siesta","signed","simmer","simply","singer","single","sketch","slalom","sleeve","slight","slogan","slower","slowly","smudge","sneeze","soccer","socket","soften","softly","solemn","sorrow","sorted","sought","sphere","spinal","spirit","splash","sponge","spouse","sprain","sprint","square","squash","squeak","squint","stance","staple","starve","status","steady","stitch","stolen","strain","strand","strict","stride","strike","stripe","strive","stroll","struck","subtle","suburb","sudden","suffer","sugary","suited","sunset","superb","supply","surely","survey","switch","symbol","syntax","tackle","talent","target","teapot","temple","tenant","tender","tenure","thirst","thirty","thorny","thrive","throat","throne","thrown","thrust","tidier","timely","tissue","toffee","tonsil","topple","tragic","trance","trauma","treaty","tremor","trench","trendy","tribal","trophy","trowel","truant","tumble","tundra","turnip","twelve","twenty","typing","unfair","unique","united","unlock","unrest","unseen","untidy","upbeat","update","uphold","upload","uproar","upside","upward","urgent","usable","useful","utmost","vacant","vacuum","valley","vanish","vendor","verbal","verify","vessel","victim","viewer","vigour","virtue","vision","visual","volume","voters","waffle","waiter","walker","wander","warmth","weekly","whisky","widely","widget","wiggle","wildly","willow","winner","wintry","wiring","wisely","wobble","worthy","wreath","wrench","yearly","zealot","zombie"];
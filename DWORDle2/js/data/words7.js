@@ -0,0 +1,6 @@
+// 7 文字版 DWORDle の単語リスト（problems.js の LENGTH_SETS）。DWORDle 2 で選んだ一般的な英単語で、
+// おおむねよく使う語から順に並べてある。レベル別候補リストはこの配列の先頭 topK 語をそのまま使い、
+// Guess として受け付けるのはこの配列の語すべて。
+// 配列の順序と語数が出題の再現性に直結するため、並べ替え・追加・削除をしないこと。
+
+export const WORDS_7 = ["between","through","another","because","without","however","company","problem","service","against","country","million","example","general","several","include","program","history","believe","current","reality","student","already","perhaps","process","whether","control","require","station","support","someone","provide","nothing","himself","subject","medical","morning","project","science","private","western","federal","economy","imagine","usually","husband","natural","brother","certain","similar","foreign","running","picture","produce","analyze","college","quality","teacher","society","kitchen","success","central","culture","written","address","improve","machine","trouble","present","concern","article","popular","suggest","hundred","evening","weather","nuclear","letters","protect","reflect","finally","officer","billion","patient","outside","defense","village","biggest","feeling","receive","serious","purpose","chicken","chapter","opinion","musical","library","message","network","freedom","balance","captain","citizen","climate","comfort","compare","contact","content","courage","crystal","cabinet","curtain","diamond","digital","disease","display","dolphin","drawing","dynamic","eastern","elegant","emotion","episode","eternal","factory","fashion","fiction","finance","fortune","forward","genuine","harmony","healthy","holiday","hostile","housing","illegal","illness","initial","inquiry","journey","justice","kingdom","leather","liberty","listing","magical","manager","measure","mineral","minimal","mission","mistake","mixture","monitor","monster","mystery","neither","nervous","notable","obvious","ordinal","organic","orchard","package","painter","panther","passage","passion","pattern","pension","perfect","pianist","pilgrim","planner","plastic","pleased","poverty","predict","premier","primary","printer","product","profile","promise","prophet","protein","pudding","pumpkin","pyramid","quarter","quickly","rainbow","reading","realize","recover","refusal","regular","release","remains","removal","replace","request","reserve","respect","respond","restore","revenue","roughly","routine","sailing","scholar","section","segment","session","shelter","shortly","silence","skilled","soldier","speaker","special","species","sponsor","squeeze","stadium","stomach","storage","strange","stretch","succeed","sunrise","surface","surgeon","survive","suspect","sweater","texture","theater","thunder","tobacco","tonight","totally","tourist","trainer","transit","trigger","triumph","typical","uniform","unknown","unusual","upgrade","upright","utility","variety","various","vehicle","venture","version","veteran","victory","vintage","violent","virtual","visible","visitor","volcano","warrior","weekend","welcome","welfare","whisper","witness","wrestle","writing","ability","absence","academy","account","accused","achieve","acquire","actress","adapter","admiral","advance","adverse","advised","airline","airport","alcohol","alleged","amazing","amongst","amateur","ancient","anxiety","anxious","anybody","applied","arrange","arrival","artwork","ashamed","athlete","attempt","attract","auction","average","awesome","awkward","backing","baggage","bargain","barrier","battery","bearing","bedroom","benefit","besides","betting","bicycle","biscuit","blanket","blessed","blister","boiling","bombing","booking","bouquet","bracket","breadth","breathe","brewery","briefly","brigade","brownie","browser","buffalo","builder","burning","cabbage","caliber","calcium","calling","candles","capable","capital","captive","capture","caravan","cartoon","caution","ceiling","century","ceramic","chamber","channel","chaotic","charity","charter","checked","cheaper","chemist","chimney","circuit","classic","cleaner","clearly","climber","closely","closure","cluster","coastal","cockpit","collect","collide","colonel","combine","command","comment","compact","compass","compile","complex","compose","compost","concept","concert","conduct","confirm","connect","consent","console","consult","contain","contest","context","convert","convict","cooking","coolant","copying","correct","costume","cottage","council","counsel","counter","courier","crawler","created","creator","cricket","crimson","crowded","crucial","cruelty","cuisine","culprit","cunning","curious","cushion","custody","cutting","cyclist","dancing","dealing","dearest","decimal","decline","default","defence","deficit","delight","deliver","density","deposit","desktop","despair","destroy","develop","devoted","diagram","dictate","diploma","discuss","dismiss","distant","diverse","divorce","donated","drastic","dressed","dribble","driving","dropped","drought","durable","dweller","earnest","earning","earring","eclipse","ecology","edition","educate","elderly","elected","element","elevate","embrace","emerald","emperor","enclose","endless","enforce","engaged","enhance","enquiry","entitle","entropy","equally","erosion","erratic","essence","evident","exactly","examine","exclude","execute","exhaust","exhibit","expense","explain","exploit","explore","express","extinct","extract","extreme","fabrics","failure","fairway","falling","fantasy","farming","fatigue","feather","feature","fertile","festive","fifteen","fighter","filling","finding","firefly","fishing","fitness","flannel","flatten","flaming","flutter","folding","foolish","footage","forbade","forever","forgive","formula","fortify","founder","fragile","freight","freshly","frantic","frigate","fulfill","funeral","furious","furnace","further","gallery","garbage","garment","gateway","gazette","gearbox","gelatin","genetic","gesture","getting","giraffe","glacier","glimpse","glitter","goggles","goodbye","gorilla","gourmet","grammar","granite","graphic","gravity","grocery","grumble","guarded","habitat","haircut","halfway","hallway","handful","handset","hanging","happily","harvest","heading","hearing","heating","heavily","helpful","heroine","herself","hexagon","highway","hobbies","horizon","hostage","hostess","hotline","hunting","hurried","hygiene","iceberg","ignored","illicit","imagery","impulse","inbound","indoors","inflate","inherit","inspect","install","instant","instead","insulin","insight","integer","intense","interim","invader","invoice","involve","isolate","jackpot","janitor","jasmine","javelin","jealous","jewelry","joining","journal","joyride","jubilee","judging","juggler","jukebox","jumping","juniper","keyhole","keynote","kidnaps","kindred","kinetic","knitted","knowing","labeled","landing","lantern","largely","laundry","lawsuit","leading","learner","leisure","lengthy","lettuce","licence","lighter","limited","lobster","locally","lottery","loyalty","luggage","madness","magenta","mailbox","majesty","mammoth","mankind","mansion","marital","married","martial","massive","matches","maximum","meaning","meeting","melting","mention","mermaid","midwife","migrant","militia","minimum","miracle","miserly","missile","mobster","modular","molding","monarch","morally","mustard","narrate","naughty","neglect","neutral","newborn","nightly","nitrate","nominal","nonstop","notably","nourish","novelty","nowhere","numeral","nursery","oatmeal","obesity","obscure","observe","obtains","offence","offense","offline","omitted","ongoing","opening","operate","opposed","optical","optimal","orbital","orderly","ostrich","outcome","outdoor","outline","outlook","outpost","overall","overlap","oversee","padlock","painful","palette","panicky","panoply","parable","paradox","parking","partial","partner","passive","pasture","patriot","payment","payroll","peasant","pelican","penalty","pending","penguin","percent","perfume","persist","phantom","phoenix","phrases","physics","pickles","pigment","pillage","pioneer","plaster","platter","playful","plumber","pointer","polling","pottery","poultry","precise","prefect","premise","prepare","presume","pretend","prevail","prevent","printed","privacy","probate","procure","prodigy","profess","promote","prudent","publish","pulling","pursuit","puzzled","quarrel","quartet","queenly","quicken","quieter","quilted","rabbits","raccoon","radiant","railway","rampage","rancher","ranking","rapidly","rapport","rattler","reactor","readily","rebound","recital","reclaim","recount","recruit","redwood","referee","regimen","related","relaxed","reliant","remorse","renewal","replica","reptile","rescuer","resolve","retreat","reunion","reverse","revival","rewrite","ribbons","robotic","rooftop","royalty","rubbish","runaway","sadness","salvage","sandbox","sapling","satchel","satisfy","sausage","scarlet","scenery","scandal","scatter","scooter","scratch","screech","seafood","seaside","seaweed","secrecy","selfish","sensory","serpent","servant","setback","setting","seventh","seventy","shallow","shampoo","sheriff","shipped","shotgun","showing","shuffle","sibling","signify","silicon","sincere","singing","sitting","sixteen","skating","sketchy","skyline","slender","slipper","smaller","smiling","smoking","snippet","snowman","soaking","sorcery","sparkle","spatula","spinach","spotted","stamina","starter","statute","steamer","sterile","steward","stories","striker","sublime","subsidy","suburbs","suffice","summary","sunburn","sunroof","supreme","surgery","surplus","surreal","sustain","swallow","sweeper","swimmer","symptom","tabloid","tactics","tadpole","talking","tangent","tapioca","taxable","tearful","teenage","tempest","tension","terrain","terrace","terrify","textile","theatre","therapy","thermal","thicken","thimble","thirsty","thistle","thought","tighten","tiptoes","toaster","toddler","topping","tornado","torrent","tractor","traffic","tragedy","trailer","trainee","traitor","trample","travels","trellis","tribune","tribute","trickle","trilogy","trinket","trolley","tropics","truffle","trumpet","trustee","tsunami","tuition","turbine","turmoil","twinkle","typhoon","unaware","unclear","uncover","undergo","undoing","unearth","unhappy","unicorn","unravel","untried","unwound","upfront","upstart","urgency","utensil","utopian","vaccine","vagrant","valiant","vampire","vanilla","varnish","velvety","verdict","vibrant","villain","vinegar","vitamin","voltage","wagging","waiting","walking","walnuts","wanting","warfare","warming","warning","washing","wasting","watcher","weapons","wedding","weekday","weights","wetland","whistle","widower","wildcat","willing","windows","winning","wishful","wizards","wobbled","wording","workers","working","workout","worship","wrapper","wrinkle","yearned","younger","zealous"];
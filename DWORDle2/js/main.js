@@ -31,6 +31,9 @@ function notify(message) {
 // 画面モジュールは import するだけで registerScreen される。
 const appReady = (async () => {
   await Promise.all([
+    // 履歴を IndexedDB から読む（初回は localStorage から移す）。画面が履歴を読むのはルータ起動後なので、
+    // 画面モジュールの読み込みと並べて待てばよい
+    import("./core/records.js?v=20260806-a").then((m) => m.initRecordStore()),
     import("./ui/title-screen.js?v=20260806-a"),
     import("./ui/game-screen.js?v=20260806-a"),
     import("./ui/result-screen.js?v=20260806-a"),
@@ -40,6 +43,16 @@ const appReady = (async () => {
     import("./ui/player-card.js?v=20260806-a"),
     import("./ui/analysis-screen.js?v=20260806-a"),
     import("./ui/settings-screen.js?v=20260806-a"),
+    import("./ui/custom-screen.js?v=20260806-a"),
+    import("./ui/speed-screen.js?v=20260806-a"),
+    import("./ui/duel-screen.js?v=20260806-a"),
+    import("./ui/hotseat-screen.js?v=20260806-a"),
+    import("./ui/challenges-screen.js?v=20260806-a"),
+    import("./ui/calendar-screen.js?v=20260806-a"),
+    import("./ui/stats-screen.js?v=20260806-a"),
+    import("./ui/tutorial-screen.js?v=20260806-a"),
+    import("./ui/packs-screen.js?v=20260806-a"),
+    import("./ui/study-screen.js?v=20260806-a"),
   ]);
   // 物理キーボード（ゲーム画面が読み込まれてから登録する。扉絵の間は入力を受けない）
   const { handlePhysicalKey, handlePhysicalKeyUp, releaseKeyboardPresses } =
@@ -54,6 +67,11 @@ const appReady = (async () => {
 })();
 // 失敗の扱いは扉絵側（再読み込みを促して閉じない）。ここでは未処理リジェクト警告だけ抑える。
 appReady.catch(() => {});
+// 履歴全体の分析（統計ダッシュボード）を実行中のまま閉じていたら、続きから進める
+appReady
+  .then(() => import("./ui/batch-analysis-job.js?v=20260806-a"))
+  .then((m) => m.resumeBatchAnalysis())
+  .catch(() => {});
 
 // 古い Android Chrome は dvh に未対応のため、実際の表示領域を CSS 変数で補う。
 // 対応ブラウザでは CSS 側の 100dvh が優先される。
@@ -8,7 +8,7 @@ import { registerScreen, navigate, setViewMood } from "./app.js?v=20260806-a";
 import { findGame, MODES } from "../core/records.js?v=20260806-a";
 import { Logic } from "../core/logic.js?v=20260806-a";
 import { pidLabel } from "../core/problems.js?v=20260806-a";
-import { computeTruePatternIds, resultToPatternId, patternIdToStates } from "../core/analysis-core.js?v=20260806-a";
+import { computeTruePatternIdsForAnswers, resultToPatternId, patternIdToStates } from "../core/analysis-core.js?v=20260806-a";
 import { checkOnEvent } from "../core/achievements.js?v=20260806-a";
 import { achievementCelebration } from "./toast.js?v=20260806-a";
 import { playSfx } from "../audio/sound.js?v=20260806-a";
@@ -34,7 +34,7 @@ function fmtCount(n) {
 }
 
 function tilesRow(word, patternId, small = true) {
-  const states = patternIdToStates(patternId);
+  const states = patternIdToStates(patternId, word.length);
   return el(
     "div",
     { class: "rrow", style: { display: "flex", gap: "4px" }, role: "img", "aria-label": rowAriaLabel(word, states) },
@@ -146,7 +146,7 @@ function render(args) {
 
   // Worker 起動
   const logic = new Logic(record.problemID);
-  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, record.guessWord);
+  const truePatternIds = computeTruePatternIdsForAnswers(logic.answers, record.guessWord);
   const shownPatternIds =
     record.gameMode === "uso" ? record.usoResults.map((r) => resultToPatternId(r)) : truePatternIds;
 
@@ -194,6 +194,9 @@ function render(args) {
 function renderResult(body, record, logic, res) {
   playSfx("swoosh");
   const isUso = record.gameMode === "uso";
+  // 英語表記の「組」。TRIWORDle / QUADWORDle は 3 つ組・4 つ組なので pairs と呼ばない
+  const unitEn = res.answerCount > 2 ? "sets" : "pairs";
+  const answersText = logic.answers.map((word) => word.toUpperCase()).join(" / ");
 
   // サマリカード
   body.append(
@@ -201,20 +204,20 @@ function renderResult(body, record, logic, res) {
       "div",
       { class: "card", style: { display: "flex", flexDirection: "column", gap: "6px" } },
       el("div", { style: { fontWeight: "800" } }, `${MODES[record.gameMode].title} ${pidLabel(record.problemID)}`),
-      el("div", { class: "hint" }, tr(`答え: ${logic.ans1.toUpperCase()} / ${logic.ans2.toUpperCase()}`, `Answers: ${logic.ans1.toUpperCase()} / ${logic.ans2.toUpperCase()}`)),
+      el("div", { class: "hint" }, tr(`答え: ${answersText}`, `Answers: ${answersText}`)),
       el(
         "div",
         { class: "hint" },
         tr(
           `候補リスト ${fmtCount(res.candListSize)} 語 → 答えの組は ${fmtCount(res.initialPairs)} 通り`,
-          `${fmtCount(res.candListSize)} candidate words → ${fmtCount(res.initialPairs)} answer pairs`
+          `${fmtCount(res.candListSize)} candidate words → ${fmtCount(res.initialPairs)} answer ${unitEn}`
         )
       ),
       res.sampled
         ? el(
             "div",
             { class: "hint", style: { color: "var(--accent-2)" } },
-            tr("※ 組が膨大なため、サンプリングによる推定値で表示しています", "Estimated from a sample because the number of pairs is very large.")
+            tr("※ 組が膨大なため、サンプリングによる推定値で表示しています", `Estimated from a sample because the number of ${unitEn} is very large.`)
           )
         : null,
       isUso
@@ -223,7 +226,7 @@ function renderResult(body, record, logic, res) {
             { class: "hint", style: { color: "#ff7a9a" } },
             tr(
               "※ 裏モード: 表示は嘘なので「真の判定と全位置で食い違う組」が候補として残ります",
-              "DWORDlie: displayed feedback lies, so pairs whose true feedback differs at every position remain candidates."
+              `DWORDlie: displayed feedback lies, so ${unitEn} whose true feedback differs at every position remain candidates.`
             )
           )
         : null
@@ -263,14 +266,14 @@ function renderResult(body, record, logic, res) {
             style: { width: `${Math.max(2, (100 * Math.log2(Math.max(2, turn.after))) / maxLogInitial)}%`, "--bar-index": t * 3 },
           })
         ),
-        el("div", { class: "bar-value" }, tr(`${fmtCount(turn.after)} 組`, `${fmtCount(turn.after)} pairs`))
+        el("div", { class: "bar-value" }, tr(`${fmtCount(turn.after)} 組`, `${fmtCount(turn.after)} ${unitEn}`))
       ),
       el(
         "div",
         { class: "hint" },
         tr(
           `${fmtCount(turn.before)} → ${fmtCount(turn.after)} 組（${elimPct.toFixed(1)}% を排除）`,
-          `${fmtCount(turn.before)} → ${fmtCount(turn.after)} pairs (${elimPct.toFixed(1)}% eliminated)`
+          `${fmtCount(turn.before)} → ${fmtCount(turn.after)} ${unitEn} (${elimPct.toFixed(1)}% eliminated)`
         )
       ),
       // 情報量
@@ -320,7 +323,7 @@ function renderResult(body, record, logic, res) {
         sug.playedRank !== null
           ? tr(
               `あなたの手は ${sug.playedRank} 位 / ${sug.evalPairs < turn.before ? "評価はサンプル" : "評価対象"} ${fmtCount(sug.evalPairs)} 組（期待 ${fmtBits(sug.playedExpectedBits)}）`,
-              `Your Guess ranked #${sug.playedRank} across ${fmtCount(sug.evalPairs)} ${sug.evalPairs < turn.before ? "sampled" : "evaluated"} pairs (expected ${fmtBits(sug.playedExpectedBits)})`
+              `Your Guess ranked #${sug.playedRank} across ${fmtCount(sug.evalPairs)} ${sug.evalPairs < turn.before ? "sampled" : "evaluated"} ${unitEn} (expected ${fmtBits(sug.playedExpectedBits)})`
             )
           : null;
       card.append(
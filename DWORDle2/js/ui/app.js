@@ -3,12 +3,25 @@
 // ルートはハッシュ形式:
 //   #/            タイトル
 //   #/game        プレイ中のゲーム
+//   #/game/speed  Speed Run のプレイ中の問題
+//   #/game/hotseat ホットシートのプレイ中の盤面
+//   #/game/tutorial チュートリアルのプレイ中のレッスン
 //   #/history     プレイ履歴一覧
 //   #/problems    問題一覧
 //   #/achievements 実績
 //   #/settings    設定
 //   #/result/<mode>/<startTime>   結果画面
 //   #/analysis/<mode>/<startTime> 分析画面
+//   #/custom/<token>  カスタム問題（答えの組を指定した出題リンク）
+//   #/speed       Speed Run の入口（#/speed/<startTime> はランの結果）
+//   #/duel/<code> 対戦（相手の結果コードを受けて同じ問題を遊び、結果を比べる）
+//   #/hotseat     ホットシートの入口（#/hotseat/<startTime> はセッションの順位）
+//   #/challenges  ウィークリーチャレンジ・月間エクストリームと達成カレンダー
+//   #/calendar    デイリーのアーカイブ（#/calendar/<YYYYMMDD> はその日を選んで開く）
+//   #/stats       統計ダッシュボード（勝率の推移などのグラフ）
+//   #/tutorial    チュートリアルのレッスン一覧
+//   #/packs       パズルパックの一覧と取り込み（#/packs/<id> はそのパックの問題）
+//   #/study       単語の復習（#/study/cards はフラッシュカード、#/study/quiz はスペルクイズ）
 
 import { loadJSON, saveJSON } from "../core/store.js?v=20260806-a";
 import { setUsoMood } from "../audio/sound.js?v=20260806-a";
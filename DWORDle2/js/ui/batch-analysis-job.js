@@ -0,0 +1,137 @@
+// 履歴全体の分析のジョブ。まだ分析していない局を新しい順に CHUNK 局ずつ Worker（analysis.worker.js の
+// kind: "batch"）へ送り、チャンクごとに要約を保存する（core/batch-analysis.js）。
+//
+// どの画面にいても裏で進める。ただしプレイ中（#/game）は残り候補やヒントの Worker と取り合わないよう、
+// チャンクの切れ目で画面を離れるまで待つ。再読み込みやアプリの再起動をまたいでも、実行中だったら main.js が
+// resumeBatchAnalysis で続きから再開する。
+
+import { currentScreenName } from "./app.js?v=20260806-a";
+import { getHistory } from "../core/records.js?v=20260806-a";
+import { Logic } from "../core/logic.js?v=20260806-a";
+import { computeTruePatternIdsForAnswers, resultToPatternId } from "../core/analysis-core.js?v=20260806-a";
+import { isAnalysisJobRunning, pendingAnalyses, saveAnalyses, setAnalysisJobRunning, analysisKey } from "../core/batch-analysis.js?v=20260806-a";
+
+const CHUNK = 4; // 1 回の問い合わせで分析する局数（終わるたびに保存する）
+const PLAYING_WAIT_MS = 5000; // プレイ中に様子を見る間隔
+
+let worker = null;
+let settleChunk = null; // 分析中のチャンクの resolve（Worker を止めたら null で終わらせる）
+let workerBroken = false; // Worker を読み込めなかった・計算が例外で止まった
+let looping = false;
+const listeners = new Set();
+
+function notify() {
+  for (const listener of listeners) listener();
+}
+
+// 進み具合が変わるたびに呼ばれる。戻り値で登録を外す
+export function onBatchAnalysisProgress(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function batchAnalysisRunning() {
+  return isAnalysisJobRunning();
+}
+
+export function startBatchAnalysis() {
+  setAnalysisJobRunning(true);
+  notify();
+  void loop();
+}
+
+// 一時停止。いま計算しているチャンクは捨て、次に始めたときに分析し直す
+export function pauseBatchAnalysis() {
+  setAnalysisJobRunning(false);
+  stopWorker();
+  notify();
+}
+
+// 起動時: 前回実行中のまま閉じていたら続きから
+export function resumeBatchAnalysis() {
+  if (isAnalysisJobRunning()) void loop();
+}
+
+function stopWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  settleChunk?.(null);
+  settleChunk = null;
+}
+
+function workerParams(record) {
+  const answers = new Logic(record.problemID).answers;
+  const truePatternIds = computeTruePatternIdsForAnswers(answers, record.guessWord);
+  return {
+    key: analysisKey(record),
+    answers,
+    pid: record.problemID,
+    mode: record.gameMode,
+    guessWords: record.guessWord,
+    truePatternIds,
+    shownPatternIds: record.gameMode === "uso" ? record.usoResults.map((r) => resultToPatternId(r)) : truePatternIds,
+  };
+}
+
+// 1 チャンクを分析する。Worker を止めた・読み込めなかったときは null
+function analyzeChunk(games) {
+  if (!worker) worker = new Worker(new URL("../core/analysis.worker.js?v=20260806-a", import.meta.url), { type: "module" });
+  return new Promise((resolve) => {
+    settleChunk = resolve;
+    worker.onmessage = (e) => {
+      settleChunk = null;
+      if (e.data.type === "error") workerBroken = true;
+      resolve(e.data.type === "error" ? null : e.data.result);
+    };
+    worker.onerror = () => {
+      workerBroken = true;
+      stopWorker();
+    };
+    worker.postMessage({ kind: "batch", serial: 0, games });
+  });
+}
+
+async function loop() {
+  if (looping) return;
+  looping = true;
+  try {
+    while (isAnalysisJobRunning()) {
+      if (currentScreenName() === "game") {
+        stopWorker();
+        await new Promise((resolve) => setTimeout(resolve, PLAYING_WAIT_MS));
+        continue;
+      }
+      const chunk = pendingAnalyses(getHistory()).slice(0, CHUNK);
+      if (chunk.length === 0) {
+        setAnalysisJobRunning(false);
+        break;
+      }
+      const games = [];
+      const failed = [];
+      for (const record of chunk) {
+        try {
+          games.push(workerParams(record));
+        } catch {
+          failed.push({ key: analysisKey(record), summary: null }); // 出題を復元できない記録
+        }
+      }
+      const results = games.length > 0 ? await analyzeChunk(games) : [];
+      if (!isAnalysisJobRunning()) break; // 待っている間に一時停止された
+      if (results === null) {
+        // Worker が使えない環境では進めようがないので止める。一時停止してすぐ再開したときは同じチャンクからやり直す
+        if (!workerBroken) continue;
+        workerBroken = false;
+        setAnalysisJobRunning(false);
+        break;
+      }
+      saveAnalyses([...results, ...failed]);
+      notify();
+    }
+  } finally {
+    stopWorker();
+    looping = false;
+    notify();
+  }
+}
@@ -0,0 +1,269 @@
+// デイリーのアーカイブ。原作の最初のデイリー（ARCHIVE_FIRST_DAILY_PID）から今日までを月ごとに並べる。
+// ルート: #/calendar              今月（今日を選択）
+//         #/calendar/<YYYYMMDD>   その日の月を開いて、その日を選択
+//
+// 2026-08-01（NEW_ERA.dailyFromPID）より前の日は原作と同じ旧 LCG、以降は新出題の問題になる
+// （PID は日付そのままで、出題の切り分けは problems.js の usesNewGenerator）。
+// 過去の日も遊び直せるが、デイリーの連続記録・デイリー系の実績には数えない（records.js の isDailyOnTheDay）。
+// 達成状況は問題一覧と同じく、いまのモード（DWORDle / DWORDlie）の記録で数える。
+// 旧作から取り込んだ 2026-08-01 以降のデイリー（classic-daily 帯）の記録も、その日のプレイとして並べる。
+
+import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, getAppMode } from "./app.js?v=20260806-a";
+import { buildProblemStatus, MODES } from "../core/records.js?v=20260806-a";
+import { ARCHIVE_FIRST_DAILY_PID, NEW_ERA, classicDailyImportPID, pidLabel, todayPID } from "../core/problems.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { confirmAndStart } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+let calendarMonth = null; // year * 12 + month（0 始まり）。null は今月
+let selectedPid = null; // 選択中の日付 PID。null は今日
+
+function build() {
+  root = document.getElementById("screen-calendar");
+}
+
+function datePid(year, month, day) {
+  return year * 10000 + (month + 1) * 100 + day;
+}
+
+function monthOfPid(pid) {
+  return Math.floor(pid / 10000) * 12 + (Math.floor(pid / 100) % 100) - 1;
+}
+
+function dateText(pid) {
+  const year = Math.floor(pid / 10000);
+  const month = Math.floor(pid / 100) % 100;
+  const day = pid % 100;
+  return tr(`${year}年${month}月${day}日`, `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`);
+}
+
+// その日のプレイ（新しい順）と状態。旧作から取り込んだ classic-daily 帯の記録も合わせる
+function dayStatus(statusMap, pid) {
+  const entries = [...new Set([pid, classicDailyImportPID(pid)])]
+    .map((problemID) => [problemID, statusMap.get(problemID)])
+    .filter(([, st]) => st);
+  const plays = entries
+    .flatMap(([problemID, st]) => st.times.map((time) => ({ problemID, time })))
+    .sort((a, b) => b.time - a.time);
+  const cleared = entries.some(([, st]) => st.cleared > 0);
+  const doubleClear = entries.some(([, st]) => st.doubleClears > 0);
+  const status = doubleClear ? "double-clear" : cleared ? "cleared" : plays.length > 0 ? "failed" : "unplayed";
+  const label =
+    status === "double-clear"
+      ? "DOUBLE CLEAR"
+      : status === "cleared"
+      ? tr("クリア済み", "Cleared")
+      : status === "failed"
+      ? tr("プレイ済み（未クリア）", "Played, not cleared")
+      : tr("未プレイ", "Unplayed");
+  return { status, label, plays };
+}
+
+function statusMark(status) {
+  return status === "double-clear" ? "★" : status === "cleared" ? "✓" : status === "failed" ? "!" : "";
+}
+
+function render(args = []) {
+  if (!root) build();
+  clear(root);
+  const mode = getAppMode();
+  const statusMap = buildProblemStatus(mode);
+  const todayPid = todayPID();
+  // #/calendar/<YYYYMMDD> はその日を開く（アーカイブの範囲外は今日）
+  const requested = Number(args[0]);
+  if (Number.isInteger(requested) && requested >= ARCHIVE_FIRST_DAILY_PID && requested <= todayPid) {
+    selectedPid = requested;
+    calendarMonth = monthOfPid(requested);
+  }
+  const selected = selectedPid ?? todayPid;
+  const firstMonth = monthOfPid(ARCHIVE_FIRST_DAILY_PID);
+  const currentMonth = monthOfPid(todayPid);
+  if (calendarMonth === null || calendarMonth < firstMonth || calendarMonth > currentMonth) calendarMonth = currentMonth;
+  const year = Math.floor(calendarMonth / 12);
+  const month = calendarMonth % 12;
+
+  // 曜日の並びは問題一覧のカレンダーと同じ日曜始まり
+  const cells = [];
+  const firstWeekday = new Date(year, month, 1).getDay();
+  for (let i = 0; i < firstWeekday; i++) cells.push(el("span", { class: "daily-calendar-day empty", "aria-hidden": "true" }));
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  let clearedDays = 0;
+  let playableDays = 0;
+  for (let day = 1; day <= daysInMonth; day++) {
+    const pid = datePid(year, month, day);
+    const outside = pid < ARCHIVE_FIRST_DAILY_PID || pid > todayPid;
+    const { status, label } = dayStatus(statusMap, pid);
+    if (!outside) {
+      playableDays++;
+      if (status === "cleared" || status === "double-clear") clearedDays++;
+    }
+    const today = pid === todayPid;
+    cells.push(
+      el(
+        "button",
+        {
+          class: `daily-calendar-day ${status} ${today ? "today" : ""} ${outside ? "future" : ""} ${pid === selected ? "selected" : ""}`,
+          disabled: outside,
+          "aria-label": `${dateText(pid)}${today ? tr("、今日", ", today") : ""}${tr("、", ", ")}${outside ? tr("アーカイブの範囲外", "not in the archive") : label}`,
+          "aria-pressed": String(pid === selected),
+          onclick: () => {
+            playSfx("ui");
+            selectedPid = pid;
+            render();
+          },
+        },
+        el("span", { class: "daily-calendar-number" }, String(day)),
+        el("span", { class: "daily-calendar-mark", "aria-hidden": "true" }, statusMark(status) || (today ? "●" : ""))
+      )
+    );
+  }
+  while (cells.length % 7 !== 0) cells.push(el("span", { class: "daily-calendar-day empty", "aria-hidden": "true" }));
+
+  const monthValue = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+  const calendar = el(
+    "section",
+    { class: "card daily-calendar-card", "aria-label": tr("デイリーのアーカイブ", "Daily archive") },
+    el(
+      "div",
+      { class: "daily-calendar-nav" },
+      el(
+        "button",
+        {
+          class: "icon-btn",
+          disabled: calendarMonth <= firstMonth,
+          "aria-label": tr("前の月", "Previous month"),
+          onclick: () => {
+            playSfx("ui");
+            calendarMonth--;
+            render();
+          },
+        },
+        icon("arrowLeft", 17)
+      ),
+      // 2022 年からの数十か月を 1 か月ずつ辿らずに済むよう、年月を直接選べるようにする
+      el("input", {
+        type: "month",
+        class: "daily-calendar-month archive-month",
+        value: monthValue(calendarMonth),
+        min: monthValue(firstMonth),
+        max: monthValue(currentMonth),
+        "aria-label": tr("年月を選ぶ", "Choose month"),
+        onchange: (e) => {
+          const [y, m] = e.target.value.split("-").map(Number);
+          if (!y || !m) return;
+          calendarMonth = Math.min(currentMonth, Math.max(firstMonth, y * 12 + m - 1));
+          render();
+        },
+      }),
+      el(
+        "button",
+        {
+          class: "icon-btn daily-calendar-next",
+          disabled: calendarMonth >= currentMonth,
+          "aria-label": tr("次の月", "Next month"),
+          onclick: () => {
+            playSfx("ui");
+            calendarMonth++;
+            render();
+          },
+        },
+        icon("arrowLeft", 17)
+      )
+    ),
+    el("div", { class: "hint archive-month-progress" }, tr(`この月 ${clearedDays} / ${playableDays} 日クリア`, `${clearedDays} of ${playableDays} days cleared this month`)),
+    el(
+      "div",
+      { class: "daily-calendar-weekdays", "aria-hidden": "true" },
+      tr(["日", "月", "火", "水", "木", "金", "土"], ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]).map((label) => el("span", {}, label))
+    ),
+    el("div", { class: "daily-calendar-grid" }, cells),
+    dayDetail(statusMap, selected, todayPid, mode)
+  );
+
+  root.append(
+    el(
+      "div",
+      { class: "header" },
+      el(
+        "button",
+        { class: "icon-btn", "aria-label": tr("タイトルへ戻る", "Back to title"), onclick: () => { playSfx("ui"); navigate("/"); } },
+        icon("arrowLeft")
+      ),
+      el("h1", { class: "title" }, tr("デイリーのアーカイブ", "Daily Archive")),
+      el("span", { class: "spacer" }),
+      el("span", { class: `mode-chip ${mode === "uso" ? "uso" : ""}` }, MODES[mode].title),
+      soundToggleButton()
+    ),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "原作の最初のデイリーから今日までの問題を遊べます。2026-08-01 より前は原作と同じ問題です。過去の日の問題は、デイリーの連続記録・実績には数えません。",
+          "Play every Daily from the original game's first one up to today. Days before 2026-08-01 are the original game's puzzles. Past days do not count toward Daily streaks or achievements."
+        )
+      ),
+      calendar
+    )
+  );
+}
+
+// 選んだ日の内容: 遊ぶボタンと、その日の問題のこれまでのプレイ（結果画面へ）
+function dayDetail(statusMap, pid, todayPid, mode) {
+  const { status, label, plays } = dayStatus(statusMap, pid);
+  const isToday = pid === todayPid;
+  return el(
+    "div",
+    { class: "daily-detail", "aria-live": "polite" },
+    el(
+      "div",
+      { class: "daily-detail-head" },
+      el("span", { class: "daily-detail-date" }, dateText(pid)),
+      isToday ? el("span", { class: "daily-detail-today" }, tr("今日", "Today")) : null,
+      pid < NEW_ERA.dailyFromPID ? el("span", { class: "mode-chip" }, tr("旧出題", "Classic")) : null,
+      el("span", { class: "spacer" }),
+      el("span", { class: `daily-detail-status ${status}` }, label)
+    ),
+    el(
+      "button",
+      {
+        class: "btn btn-primary daily-detail-play",
+        onclick: () => {
+          playSfx("ui");
+          void confirmAndStart(pid, mode, { archive: true });
+        },
+      },
+      icon(plays.length > 0 ? "retry" : "play"),
+      plays.length > 0 ? tr("この日の問題をもう一度", "Replay this day's puzzle") : tr("この日の問題をプレイ", "Play this day's puzzle")
+    ),
+    plays.length
+      ? el(
+          "div",
+          { class: "daily-detail-plays" },
+          ...plays.map(({ problemID, time }) =>
+            el(
+              "button",
+              { class: "btn", onclick: () => { playSfx("ui"); navigate(`/result/${mode}/${time}`); } },
+              problemID === pid
+                ? tr(`${fmtDateTime(time)} のプレイ`, `Play on ${fmtDateTime(time)}`)
+                : tr(`${fmtDateTime(time)} のプレイ（${pidLabel(problemID)}）`, `Play on ${fmtDateTime(time)} (${pidLabel(problemID)})`)
+            )
+          )
+        )
+      : null
+  );
+}
+
+registerScreen("calendar", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
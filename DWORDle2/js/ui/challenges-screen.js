@@ -0,0 +1,249 @@
+// ウィークリーチャレンジ・月間エクストリームの一覧。
+// ルート: #/challenges
+//
+// 上に選んだ週（初期値は今週）の 5 問と、その月の月間エクストリーム、
+// 下に 1 か月ごとのカレンダー（ISO 週 1 行ごとに 5 問の達成状況）を並べる。
+// 週・月は出題が決まるだけで締め切りは無いので、過ぎた週・月の問題もここから遊べる。
+// 達成状況は問題一覧と同じく、いまのモード（DWORDle / DWORDlie）の記録で数える。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, getAppMode } from "./app.js?v=20260806-a";
+import { buildProblemStatus, MODES } from "../core/records.js?v=20260806-a";
+import { MONTHLY_LEVEL, WEEKLY_LEVELS, isoWeekOf } from "../core/problems.js?v=20260806-a";
+import {
+  FIRST_CHALLENGE_MONTH_INDEX,
+  extremeChallenge,
+  monthChallenges,
+  monthIndex,
+  monthOfIndex,
+  weekChallenge,
+} from "../core/challenges.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { confirmAndStart } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { localizedLevel, tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+let calendarMonth = null; // monthIndex。null は今月
+let selectedWeek = null; // { year, week }。null は今週
+
+function build() {
+  root = document.getElementById("screen-challenges");
+}
+
+function weekName(year, week) {
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+function monthName(year, month) {
+  return tr(`${year}年${month}月`, `${year}-${String(month).padStart(2, "0")}`);
+}
+
+function shortDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+function statusMark(status) {
+  return status === "cleared" ? "✓" : status === "failed" ? "!" : "";
+}
+
+function statusLabel(status) {
+  return status === "cleared" ? tr("クリア済み", "Cleared") : status === "failed" ? tr("未クリア", "Failed") : tr("未プレイ", "Unplayed");
+}
+
+function problemButton(pid, level, status) {
+  const mode = getAppMode();
+  return el(
+    "button",
+    {
+      class: `btn challenge-problem ${status}`,
+      "aria-label": `Lv.${level.id} ${localizedLevel(level).name}${tr("、", ", ")}${statusLabel(status)}`,
+      onclick: () => {
+        playSfx("ui");
+        void confirmAndStart(pid, mode);
+      },
+    },
+    el("span", { class: "challenge-problem-level" }, `Lv.${level.id}`),
+    el("span", { class: "hint challenge-problem-name" }, localizedLevel(level).name),
+    el("span", { class: "challenge-problem-mark", "aria-hidden": "true" }, statusMark(status))
+  );
+}
+
+function weekCard(week) {
+  const sunday = new Date(week.monday.getFullYear(), week.monday.getMonth(), week.monday.getDate() + 6);
+  return el(
+    "section",
+    { class: "card challenge-week-card" },
+    el(
+      "div",
+      { class: "challenge-card-head" },
+      el("h2", {}, week.current ? tr("今週のチャレンジ", "This week") : tr("ウィークリーチャレンジ", "Weekly Challenge")),
+      el("span", { class: "hint" }, `${weekName(week.year, week.week)} ・ ${shortDate(week.monday)}〜${shortDate(sunday)}`),
+      el("span", { class: "spacer" }),
+      el("span", { class: `challenge-progress ${week.cleared === WEEKLY_LEVELS.length ? "complete" : ""}` }, `${week.cleared} / ${WEEKLY_LEVELS.length}`)
+    ),
+    week.future
+      ? el("p", { class: "hint" }, tr("この週の問題は、その週になったらプレイできます", "These puzzles unlock when the week begins"))
+      : el(
+          "div",
+          { class: "challenge-problems" },
+          week.problems.map((problem) => problemButton(problem.pid, problem.level, problem.status))
+        )
+  );
+}
+
+function extremeCard(extreme, year, month) {
+  return el(
+    "section",
+    { class: "card challenge-extreme-card" },
+    el(
+      "div",
+      { class: "challenge-card-head" },
+      el("h2", {}, extreme.current ? tr("今月のエクストリーム", "This month's Extreme") : tr("月間エクストリーム", "Monthly Extreme")),
+      el("span", { class: "hint" }, monthName(year, month)),
+      el("span", { class: "spacer" }),
+      el("span", { class: `challenge-progress ${extreme.status === "cleared" ? "complete" : ""}` }, statusLabel(extreme.status))
+    ),
+    extreme.future
+      ? el("p", { class: "hint" }, tr("この月の問題は、その月になったらプレイできます", "This puzzle unlocks when the month begins"))
+      : el("div", { class: "challenge-problems" }, problemButton(extreme.pid, MONTHLY_LEVEL, extreme.status))
+  );
+}
+
+function calendarCard(statusMap, now) {
+  const currentMonth = monthIndex(now.getFullYear(), now.getMonth() + 1);
+  const firstMonth = Math.min(FIRST_CHALLENGE_MONTH_INDEX, currentMonth);
+  if (calendarMonth === null || calendarMonth < firstMonth || calendarMonth > currentMonth) calendarMonth = currentMonth;
+  const { year, month } = monthOfIndex(calendarMonth);
+  const data = monthChallenges(statusMap, year, month, now);
+  const selected = selectedWeek ?? isoWeekOf(now);
+
+  const rows = data.weeks.map((week) => {
+    const isSelected = week.year === selected.year && week.week === selected.week;
+    return el(
+      "button",
+      {
+        class: `challenge-week-row ${week.current ? "today" : ""} ${week.future ? "future" : ""} ${isSelected ? "selected" : ""} ${week.cleared === WEEKLY_LEVELS.length ? "complete" : ""}`,
+        "aria-pressed": String(isSelected),
+        "aria-label": tr(
+          `${weekName(week.year, week.week)}、${week.future ? "まだ出題前" : `${WEEKLY_LEVELS.length} 問中 ${week.cleared} 問クリア`}`,
+          `${weekName(week.year, week.week)}, ${week.future ? "not available yet" : `${week.cleared} of ${WEEKLY_LEVELS.length} cleared`}`
+        ),
+        onclick: () => {
+          playSfx("ui");
+          selectedWeek = { year: week.year, week: week.week };
+          render();
+        },
+      },
+      el("span", { class: "challenge-week-name" }, `W${String(week.week).padStart(2, "0")}`),
+      el("span", { class: "hint challenge-week-date" }, shortDate(week.monday)),
+      el(
+        "span",
+        { class: "challenge-week-dots", "aria-hidden": "true" },
+        week.problems.map((problem) => el("span", { class: `challenge-dot ${problem.status}` }))
+      ),
+      el("span", { class: "challenge-week-count" }, week.future ? "" : `${week.cleared}/${WEEKLY_LEVELS.length}`)
+    );
+  });
+
+  const extreme = data.extreme;
+  return el(
+    "section",
+    { class: "card daily-calendar-card challenge-calendar", "aria-label": tr("チャレンジの達成状況", "Challenge progress") },
+    el(
+      "div",
+      { class: "daily-calendar-nav" },
+      el(
+        "button",
+        {
+          class: "icon-btn",
+          disabled: calendarMonth <= firstMonth,
+          "aria-label": tr("前の月", "Previous month"),
+          onclick: () => {
+            playSfx("ui");
+            calendarMonth--;
+            render();
+          },
+        },
+        icon("arrowLeft", 17)
+      ),
+      el("span", { class: "daily-calendar-month", "aria-live": "polite" }, monthName(year, month)),
+      el(
+        "button",
+        {
+          class: "icon-btn daily-calendar-next",
+          disabled: calendarMonth >= currentMonth,
+          "aria-label": tr("次の月", "Next month"),
+          onclick: () => {
+            playSfx("ui");
+            calendarMonth++;
+            render();
+          },
+        },
+        icon("arrowLeft", 17)
+      )
+    ),
+    el("div", { class: "challenge-weeks" }, rows),
+    el(
+      "div",
+      { class: `challenge-week-row challenge-extreme-row ${extreme.status === "cleared" ? "complete" : ""}` },
+      el("span", { class: "challenge-week-name" }, "Extreme"),
+      el("span", { class: "spacer" }),
+      el("span", { class: `challenge-dot ${extreme.status}`, "aria-hidden": "true" }),
+      el("span", { class: "challenge-week-count" }, statusLabel(extreme.status))
+    )
+  );
+}
+
+function render() {
+  if (!root) build();
+  clear(root);
+  const mode = getAppMode();
+  const now = new Date();
+  const statusMap = buildProblemStatus(mode);
+  const selected = selectedWeek ?? isoWeekOf(now);
+  const week = weekChallenge(statusMap, selected.year, selected.week, now);
+  // 週の月は、その週の木曜日の月（カレンダーの行と同じ決め方）
+  const thursday = new Date(week.monday.getFullYear(), week.monday.getMonth(), week.monday.getDate() + 3);
+  const extreme = extremeChallenge(statusMap, thursday.getFullYear(), thursday.getMonth() + 1, now);
+
+  root.append(
+    el(
+      "div",
+      { class: "header" },
+      el(
+        "button",
+        { class: "icon-btn", "aria-label": tr("タイトルへ戻る", "Back to title"), onclick: () => { playSfx("ui"); navigate("/"); } },
+        icon("arrowLeft")
+      ),
+      el("h1", { class: "title" }, tr("チャレンジ", "Challenges")),
+      el("span", { class: "spacer" }),
+      el("span", { class: `mode-chip ${mode === "uso" ? "uso" : ""}` }, MODES[mode].title),
+      soundToggleButton()
+    ),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "毎週 Lv.1〜Lv.5 の 5 問と、毎月 1 問の極（全語彙）。全員が同じ問題なので、チームの目標にもどうぞ。過ぎた週・月の問題もここから遊べます。",
+          "Five puzzles every week, one per level from Lv.1 to Lv.5, plus one all-words Extreme each month. Everyone gets the same puzzles, so they make a good team goal. Past weeks and months stay playable here."
+        )
+      ),
+      weekCard(week),
+      extremeCard(extreme, thursday.getFullYear(), thursday.getMonth() + 1),
+      calendarCard(statusMap, now)
+    )
+  );
+}
+
+registerScreen("challenges", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
@@ -0,0 +1,190 @@
+// 統計ダッシュボード（stats-screen.js）のグラフを canvas に描く。
+// 外部のグラフライブラリを使わないので、Service Worker が precache した js だけでオフラインでも描ける。
+// 配色は snapshot.js と同じくテーマ（cyber / classic / pop）ごとの表と、判定色（config.js の tileColorsFor）から取る。
+// canvas は親要素の幅に合わせ、devicePixelRatio 倍で描いてから CSS で縮める（高 DPI でもにじまない）。
+
+import { tileColorsFor } from "../config.js?v=20260806-a";
+import { getSettings } from "../core/settings.js?v=20260806-a";
+
+const CHART_THEMES = {
+  cyber: {
+    fg: "#e8f6ff",
+    dim: "#7d92b5",
+    grid: "rgba(120, 150, 200, 0.22)",
+    line: "#00d5ff",
+    lineUso: "#ff2b5e",
+    empty: "rgba(120, 150, 200, 0.12)",
+    glow: true,
+    font: '"Avenir Next", "Helvetica Neue", "Segoe UI", sans-serif',
+  },
+  classic: {
+    fg: "#f2f2f2",
+    dim: "#9a9a9a",
+    grid: "#444",
+    line: "#f2f2f2",
+    lineUso: "#c83c3c",
+    empty: "#333",
+    glow: false,
+    font: '"Helvetica Neue", Arial, sans-serif',
+  },
+  pop: {
+    fg: "#3a2b3c",
+    dim: "#9c8aa3",
+    grid: "rgba(255, 79, 158, 0.2)",
+    line: "#ff4f9e",
+    lineUso: "#e0426a",
+    empty: "rgba(255, 79, 158, 0.1)",
+    glow: false,
+    font: '"Avenir Next Rounded", "Avenir Next", "Helvetica Neue", sans-serif',
+  },
+};
+
+// 現在のテーマの配色。uso は DWORDlie の記録だけを見ているとき（線の色を裏モードの色にする）
+export function chartTheme(uso = false) {
+  const { theme, highContrast } = getSettings();
+  const st = CHART_THEMES[theme] ?? CHART_THEMES.cyber;
+  const tiles = tileColorsFor(theme, highContrast);
+  return { ...st, line: uso ? st.lineUso : st.line, correct: tiles.correct, used: tiles.used, unused: tiles.unused };
+}
+
+// canvas を親の内側の幅 × height（CSS px）にし、CSS px で描ける 2D コンテキストを返す
+function contentWidth(parent) {
+  if (!parent) return 320;
+  const style = getComputedStyle(parent);
+  return parent.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+}
+
+function setup(canvas, height) {
+  const width = Math.max(240, Math.floor(contentWidth(canvas.parentElement) || 320));
+  const dpr = globalThis.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return { ctx, width, height };
+}
+
+function text(ctx, st, value, x, y, { size = 10, color = st.dim, align = "left", baseline = "alphabetic", weight = 600 } = {}) {
+  ctx.font = `${weight} ${size}px ${st.font}`;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = baseline;
+  ctx.fillText(value, x, y);
+}
+
+// 折れ線。points は [{ label, value | null }]（null は途切れる）。
+// yTicks は目盛りの値、format は目盛りと値の表示
+export function drawLineChart(canvas, { points, min, max, yTicks, format, st, height = 170 }) {
+  const { ctx, width } = setup(canvas, height);
+  const left = 34;
+  const right = width - 8;
+  const top = 10;
+  const bottom = height - 22;
+  const x = (i) => (points.length <= 1 ? (left + right) / 2 : left + ((right - left) * i) / (points.length - 1));
+  const y = (v) => bottom - ((bottom - top) * (v - min)) / (max - min || 1);
+
+  ctx.strokeStyle = st.grid;
+  ctx.lineWidth = 1;
+  for (const tick of yTicks) {
+    ctx.beginPath();
+    ctx.moveTo(left, y(tick));
+    ctx.lineTo(right, y(tick));
+    ctx.stroke();
+    text(ctx, st, format(tick), left - 5, y(tick), { align: "right", baseline: "middle" });
+  }
+  // x 軸のラベルは間引いて最大 6 個
+  const step = Math.max(1, Math.ceil(points.length / 6));
+  points.forEach((p, i) => {
+    if (i % step === 0 || i === points.length - 1) text(ctx, st, p.label, x(i), height - 6, { align: "center" });
+  });
+
+  ctx.save();
+  if (st.glow) {
+    ctx.shadowColor = st.line;
+    ctx.shadowBlur = 8;
+  }
+  ctx.strokeStyle = st.line;
+  ctx.lineWidth = 2;
+  ctx.lineJoin = "round";
+  ctx.beginPath();
+  let drawing = false;
+  points.forEach((p, i) => {
+    if (p.value === null) {
+      drawing = false;
+      return;
+    }
+    if (drawing) ctx.lineTo(x(i), y(p.value));
+    else ctx.moveTo(x(i), y(p.value));
+    drawing = true;
+  });
+  ctx.stroke();
+  ctx.fillStyle = st.line;
+  points.forEach((p, i) => {
+    if (p.value === null) return;
+    ctx.beginPath();
+    ctx.arc(x(i), y(p.value), 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+}
+
+// 横棒。bars は [{ label, value, note }]。note は棒の右に添える文字（値そのものでなくてよい）
+export function drawBarChart(canvas, { bars, max, color, st, rowHeight = 18 }) {
+  const height = Math.max(40, bars.length * rowHeight + 8);
+  const { ctx, width } = setup(canvas, height);
+  ctx.font = `600 10px ${st.font}`;
+  const labelWidth = Math.min(width * 0.4, Math.max(18, ...bars.map((b) => ctx.measureText(b.label).width)) + 8);
+  const noteWidth = 44;
+  const span = width - labelWidth - noteWidth;
+  bars.forEach((bar, i) => {
+    const top = 4 + i * rowHeight;
+    const mid = top + rowHeight / 2;
+    text(ctx, st, bar.label, labelWidth - 6, mid, { align: "right", baseline: "middle" });
+    const w = max > 0 ? Math.max(3, (span * bar.value) / max) : 3;
+    ctx.fillStyle = bar.value > 0 ? color : st.empty;
+    ctx.beginPath();
+    ctx.roundRect?.(labelWidth, top + 3, w, rowHeight - 6, 3) ?? ctx.rect(labelWidth, top + 3, w, rowHeight - 6);
+    ctx.fill();
+    text(ctx, st, bar.note, labelWidth + w + 5, mid, { baseline: "middle", color: st.fg });
+  });
+}
+
+// 曜日 × 時間帯のヒートマップ。counts[曜日][時]。rowLabels は曜日の表示名（counts と同じ順）
+export function drawHeatmap(canvas, { counts, rowLabels, st }) {
+  const { ctx, width } = setup(canvas, 7 * 16 + 22);
+  const left = 26;
+  const cell = (width - left) / 24;
+  const peak = Math.max(1, ...counts.flat());
+  counts.forEach((row, d) => {
+    text(ctx, st, rowLabels[d], left - 5, d * 16 + 8, { align: "right", baseline: "middle" });
+    row.forEach((n, h) => {
+      ctx.fillStyle = st.empty;
+      ctx.fillRect(left + h * cell + 1, d * 16 + 1, cell - 2, 14);
+      if (n === 0) return;
+      ctx.globalAlpha = 0.25 + (0.75 * n) / peak;
+      ctx.fillStyle = st.correct;
+      ctx.fillRect(left + h * cell + 1, d * 16 + 1, cell - 2, 14);
+      ctx.globalAlpha = 1;
+    });
+  });
+  for (const h of [0, 6, 12, 18, 23]) text(ctx, st, String(h), left + h * cell + cell / 2, 7 * 16 + 14, { align: "center" });
+}
+
+// デイリーの連続記録のタイムライン。1 日 1 マスで、週ごとに折り返す（列 = 週、行 = 曜日）
+export function drawTimeline(canvas, { timeline, st }) {
+  const weeks = Math.ceil(timeline.length / 7);
+  const { ctx, width } = setup(canvas, 7 * 13 + 4);
+  const size = Math.min(13, (width - 4) / weeks);
+  // 最後（今日）の列が右端に来るように、最初の週の空きを前に詰める
+  const offset = weeks * 7 - timeline.length;
+  timeline.forEach(({ status }, i) => {
+    const index = i + offset;
+    const col = Math.floor(index / 7);
+    const row = index % 7;
+    ctx.fillStyle = status === "cleared" ? st.correct : status === "failed" ? st.unused : st.empty;
+    ctx.fillRect(width - (weeks - col) * size + 1, row * 13 + 2, size - 2, 11);
+  });
+}
@@ -0,0 +1,200 @@
+// カスタム問題（答えの組を指定して友だちに出題するリンク）の受け取り画面と作成ダイアログ。
+// ルート: #/custom/<token>
+//
+// 受け取った側には答えを見せず、カスタム問題であること（実績の対象外）だけを伝えて開始する。
+// トークンの形式は core/custom-puzzle.js を参照。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, getAppMode } from "./app.js?v=20260806-a";
+import { customPIDFromToken, customTokenForPair } from "../core/custom-puzzle.js?v=20260806-a";
+import { pidLabel } from "../core/problems.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { showModal } from "./modal.js?v=20260806-a";
+import { confirmAndStart } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { SHARE_URL } from "../config.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+
+function build() {
+  root = document.getElementById("screen-custom");
+}
+
+export function customPuzzleURL(token) {
+  return `${SHARE_URL}#/custom/${token}`;
+}
+
+function render(args) {
+  if (!root) build();
+  clear(root);
+  const pid = customPIDFromToken(args[0]);
+
+  const header = el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("タイトルへ戻る", "Back to title"), onclick: () => { playSfx("ui"); navigate("/"); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, tr("カスタム問題", "Custom puzzle")),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+
+  const card =
+    pid === null
+      ? el(
+          "div",
+          { class: "card custom-card" },
+          el("h2", {}, tr("リンクを読み取れませんでした", "This link could not be read")),
+          el(
+            "p",
+            { class: "hint" },
+            tr(
+              "URL が途中で切れているか、書き換えられている可能性があります。出題者にもう一度リンクを送ってもらってください。",
+              "The URL may be truncated or modified. Ask the sender to share the link again."
+            )
+          ),
+          el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/"); } }, tr("タイトルへ", "Title"))
+        )
+      : el(
+          "div",
+          { class: "card custom-card" },
+          el("h2", {}, pidLabel(pid)),
+          el(
+            "p",
+            { class: "hint" },
+            tr(
+              "出題者が答えの 2 語を選んだ問題です。答えは全単語リストから選ばれているので、珍しい単語かもしれません。",
+              "The sender picked both answers for this puzzle. They may be any word in the full list, including rare ones."
+            )
+          ),
+          el("p", { class: "hint" }, tr("カスタム問題は実績の対象外です。", "Custom puzzles do not count toward achievements.")),
+          el(
+            "button",
+            {
+              class: "btn btn-primary",
+              onclick: () => {
+                playSfx("ui");
+                void confirmAndStart(pid, getAppMode());
+              },
+            },
+            icon("play"),
+            tr("この問題をプレイ", "Play this puzzle")
+          )
+        );
+
+  root.append(header, el("div", { class: "list-screen-body" }, card));
+}
+
+// 作成したリンクを見せて、コピー / 共有できるようにする
+function showCustomLink(url) {
+  showModal({
+    title: tr("カスタム問題のリンク", "Custom puzzle link"),
+    body: [
+      el("input", { type: "text", class: "custom-link", value: url, readonly: true, "aria-label": tr("リンク", "Link"), onfocus: (e) => e.target.select() }),
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "リンクを開いた人は答えを知らずにプレイできます（答えは URL 上で読めないように目隠ししてあります）。",
+          "Anyone who opens the link can play without seeing the answers (they are obscured in the URL)."
+        )
+      ),
+    ],
+    actions: [
+      {
+        label: tr("共有", "Share"),
+        onClick: async () => {
+          if (navigator.share) {
+            try {
+              await navigator.share({ url });
+              return;
+            } catch (error) {
+              if (error?.name === "AbortError") return;
+            }
+          }
+          toast(tr("この環境では共有できません。コピーして送ってください", "Sharing is not available here. Copy the link instead"));
+        },
+      },
+      {
+        label: tr("コピー", "Copy"),
+        primary: true,
+        onClick: async () => {
+          try {
+            await navigator.clipboard.writeText(url);
+            toast(tr("リンクをコピーしました", "Link copied"));
+          } catch {
+            toast(tr("コピーに失敗しました", "Copy failed"));
+          }
+        },
+      },
+    ],
+  });
+}
+
+// タイトルの「カスタム問題を出題」から開く作成ダイアログ
+export function customPuzzlePrompt() {
+  const wordInput = (label) =>
+    el("input", {
+      type: "text",
+      class: "custom-word",
+      maxlength: "5",
+      autocomplete: "off",
+      autocapitalize: "off",
+      spellcheck: "false",
+      "aria-label": label,
+      placeholder: label,
+    });
+  const first = wordInput(tr("答え 1", "Answer 1"));
+  const second = wordInput(tr("答え 2", "Answer 2"));
+  showModal({
+    title: tr("カスタム問題を出題", "Create a custom puzzle"),
+    body: [
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "答えにする 2 語を入力すると、その問題を遊べるリンクを作ります。単語リストにある異なる 2 語を選んでください。",
+          "Enter two answers to create a link to that puzzle. Both must be different words from the word list."
+        )
+      ),
+      el("div", { class: "custom-words" }, first, second),
+    ],
+    actions: [
+      { label: tr("キャンセル", "Cancel"), onClick: () => {} },
+      {
+        label: tr("リンクを作成", "Create link"),
+        primary: true,
+        onClick: () => {
+          const a = first.value.trim().toLowerCase();
+          const b = second.value.trim().toLowerCase();
+          if (a && a === b) {
+            toast(tr("2 つの答えには異なる単語を入力してください", "Enter two different words"));
+            return false;
+          }
+          const token = customTokenForPair(a, b);
+          if (!token) {
+            toast(tr("単語リストにない単語です", "Not in the word list"));
+            return false;
+          }
+          queueMicrotask(() => showCustomLink(customPuzzleURL(token)));
+          return true;
+        },
+      },
+    ],
+  });
+  setTimeout(() => first.focus(), 60);
+}
+
+registerScreen("custom", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
@@ -0,0 +1,57 @@
+// 答えの単語の意味（core/dictionary.js）を並べる部品。結果画面と問題一覧で使う。
+// 辞書は初めて表示するときに読み込む。読み込むまでは単語だけを並べておき、引けたら中身を差し替える。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { PARTS_OF_SPEECH, loadDictionary } from "../core/dictionary.js?v=20260806-a";
+import { isEnglish, tr } from "../core/i18n.js?v=20260806-a";
+
+// 品詞の表示名
+export function partOfSpeechLabel(pos) {
+  const part = PARTS_OF_SPEECH[pos];
+  return part ? tr(part.ja, part.en) : "";
+}
+
+function meaningBody(word, entry) {
+  if (!entry) {
+    return [el("span", { class: "hint" }, tr("この単語は辞書に載っていません", "This word is not in the dictionary"))];
+  }
+  // 日本語の UI では訳を先に、英語の定義を添える。英語の UI では定義だけ
+  return [
+    el("span", { class: "word-meaning-pos" }, partOfSpeechLabel(entry.pos)),
+    isEnglish() ? null : el("span", { class: "word-meaning-gloss" }, entry.gloss),
+    el("span", { class: "word-meaning-definition" }, entry.definition),
+    entry.example ? el("span", { class: "word-meaning-example" }, entry.example) : null,
+  ];
+}
+
+/**
+ * 単語ごとに品詞・訳・定義・例文を並べたリスト。
+ * @param {string[]} words
+ * @param {{ action?: (word: string) => Node }} [options] action は単語の横に置くボタン（単語の復習の印など）
+ */
+export function wordMeaningList(words, { action = null } = {}) {
+  const items = words.map((word) => {
+    const body = el("span", { class: "word-meaning-body" }, el("span", { class: "hint" }, tr("読み込み中…", "Loading…")));
+    const item = el(
+      "li",
+      { class: "word-meaning" },
+      el("span", { class: "word-meaning-word" }, word.toUpperCase(), action ? action(word) : null),
+      body
+    );
+    return { word, body, item };
+  });
+  loadDictionary()
+    .then((lookup) => {
+      for (const { word, body } of items) {
+        clear(body);
+        body.append(...meaningBody(word, lookup(word)).filter(Boolean));
+      }
+    })
+    .catch(() => {
+      for (const { body } of items) {
+        clear(body);
+        body.append(el("span", { class: "hint" }, tr("辞書を読み込めませんでした", "Could not load the dictionary")));
+      }
+    });
+  return el("ul", { class: "word-meanings" }, items.map(({ item }) => item));
+}
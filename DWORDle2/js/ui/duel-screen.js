@@ -0,0 +1,254 @@
+// 非同期の対戦（デュエル）の受け取り画面と、対戦コードを見せるダイアログ。
+// ルート: #/duel/<code>
+//
+// 受け取った側には相手の結果（クリアしたか・手数・時間）だけを見せ、同じ問題を遊んでもらう。
+// 遊び終えたら、同じ画面で 2 人の結果を並べて勝敗を出す。コードの形式は core/duel.js を参照。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, getAppMode, setAppMode } from "./app.js?v=20260806-a";
+import { MODES, getCurrentGame, isAlreadyPlayed, maxGuessFor } from "../core/records.js?v=20260806-a";
+import { pidLabel } from "../core/problems.js?v=20260806-a";
+import { acceptDuel, compareDuel, createDuelCode, duelEntryFromRecord, duelRecord, findDuel, readDuelCode } from "../core/duel.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { showModal } from "./modal.js?v=20260806-a";
+import { confirmAndStart } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { SHARE_URL } from "../config.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+let renderToken = 0;
+
+function build() {
+  root = document.getElementById("screen-duel");
+}
+
+export function duelURL(code) {
+  return `${SHARE_URL}#/duel/${code}`;
+}
+
+function fmtElapsed(sec) {
+  const minutes = Math.floor(sec / 60);
+  return `${minutes}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+function guessText(entry) {
+  const max = maxGuessFor(entry.mode, entry.pid);
+  return entry.clear ? `${entry.guesses}/${max}` : `X/${max}`;
+}
+
+function header() {
+  return el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("タイトルへ戻る", "Back to title"), onclick: () => { playSfx("ui"); navigate("/"); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, tr("対戦", "Duel")),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+}
+
+function invalidCard() {
+  return el(
+    "div",
+    { class: "card custom-card" },
+    el("h2", {}, tr("対戦コードを読み取れませんでした", "This duel code could not be read")),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "URL が途中で切れているか、書き換えられている可能性があります。相手にもう一度リンクを送ってもらってください。",
+        "The URL may be truncated or modified. Ask your opponent to share the link again."
+      )
+    ),
+    el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/"); } }, tr("タイトルへ", "Title"))
+  );
+}
+
+async function startDuel(code, entry) {
+  playSfx("ui");
+  // 相手と同じモードで遊ぶ（ゲーム画面は表/裏の現在のモードの進行中ゲームを開くため）
+  if (getAppMode() !== entry.mode) setAppMode(entry.mode);
+  acceptDuel(code, entry);
+  await confirmAndStart(entry.pid, entry.mode);
+}
+
+function challengeCard(code, entry) {
+  const duel = findDuel(code);
+  const current = getCurrentGame(entry.mode);
+  const inProgress = duel && current?.problemID === entry.pid && current.startTime >= duel.acceptedAt;
+  return el(
+    "div",
+    { class: "card custom-card" },
+    el("h2", {}, `${pidLabel(entry.pid)} ・ ${MODES[entry.mode].title}`),
+    el(
+      "p",
+      {},
+      tr(
+        `相手の結果: ${entry.clear ? "クリア" : "失敗"} ${guessText(entry)} ・ ${fmtElapsed(entry.elapsedSec)}`,
+        `Opponent: ${entry.clear ? "solved" : "failed"} ${guessText(entry)} · ${fmtElapsed(entry.elapsedSec)}`
+      )
+    ),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "同じ問題を遊んで、結果を比べます。クリアした方 → 手数の少ない方 → 時間の短い方が勝ちです。",
+        "Play the same puzzle and compare results. Solving beats failing, then fewer Guesses wins, then less time."
+      )
+    ),
+    isAlreadyPlayed(entry.pid, entry.mode)
+      ? el("p", { class: "hint" }, tr("※この問題はプレイ済みです。", "You have already played this puzzle."))
+      : null,
+    inProgress
+      ? el(
+          "button",
+          { class: "btn btn-primary", onclick: () => { playSfx("ui"); if (getAppMode() !== entry.mode) setAppMode(entry.mode); navigate("/game"); } },
+          icon("play"),
+          tr("続きから", "Continue")
+        )
+      : el("button", { class: "btn btn-primary", onclick: () => void startDuel(code, entry) }, icon("swords"), tr("挑戦する", "Accept the duel"))
+  );
+}
+
+function resultCard(entry, record) {
+  const mine = duelEntryFromRecord(record);
+  const { winner, by } = compareDuel(mine, entry);
+  const verdict =
+    winner === "a" ? tr("あなたの勝ち！", "You win!") : winner === "b" ? tr("あなたの負け", "You lose") : tr("引き分け", "Draw");
+  const reason =
+    by === "clear"
+      ? tr("クリアの差", "Decided by solving")
+      : by === "guesses"
+      ? tr("手数の差", "Decided by Guesses")
+      : by === "time"
+      ? tr("同じ手数で、時間の差", "Same Guesses, decided by time")
+      : "";
+  const row = (label, a, b, highlight) =>
+    el(
+      "tr",
+      {},
+      el("th", { scope: "row" }, label),
+      el("td", { class: highlight === "a" ? "duel-better" : "" }, a),
+      el("td", { class: highlight === "b" ? "duel-better" : "" }, b)
+    );
+  return [
+    el("div", { class: `result-title ${winner === "a" ? "clear" : winner === "b" ? "over" : "discarded"}` }, verdict),
+    reason ? el("div", { class: "hint duel-reason" }, reason) : null,
+    el(
+      "table",
+      { class: "card duel-table" },
+      el(
+        "thead",
+        {},
+        el("tr", {}, el("th", { scope: "col" }, `${pidLabel(entry.pid)} ・ ${MODES[entry.mode].title}`), el("th", { scope: "col" }, tr("あなた", "You")), el("th", { scope: "col" }, tr("相手", "Opponent")))
+      ),
+      el(
+        "tbody",
+        {},
+        row(tr("結果", "Result"), mine.clear ? "CLEAR" : "MISS", entry.clear ? "CLEAR" : "MISS", by === "clear" ? winner : null),
+        row(tr("手数", "Guesses"), guessText(mine), guessText(entry), by === "guesses" ? winner : null),
+        row(tr("時間", "Time"), fmtElapsed(mine.elapsedSec), fmtElapsed(entry.elapsedSec), by === "time" ? winner : null)
+      )
+    ),
+    el(
+      "div",
+      { class: "result-actions" },
+      el(
+        "button",
+        { class: "btn btn-primary", onclick: () => void showDuelCodeModal(record) },
+        icon("swords"),
+        tr("自分の結果で挑戦状を送る", "Send a duel with your result")
+      ),
+      el(
+        "button",
+        { class: "btn", onclick: () => { playSfx("ui"); navigate(`/result/${record.gameMode}/${record.startTime}`); } },
+        tr("結果を見る", "View result")
+      ),
+      el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/"); } }, tr("タイトルへ", "Title"))
+    ),
+  ];
+}
+
+async function render(args) {
+  if (!root) build();
+  clear(root);
+  const token = ++renderToken;
+  const code = args[0] ?? "";
+  const entry = await readDuelCode(code);
+  if (token !== renderToken) return; // 読み取り中に別の対戦コードへ移った
+  const duel = entry ? findDuel(code) : null;
+  const record = duel ? duelRecord(duel) : null;
+  const content = !entry ? [invalidCard()] : record ? resultCard(entry, record) : [challengeCard(code, entry)];
+  root.append(header(), el("div", { class: "list-screen-body" }, content));
+}
+
+/**
+ * 記録から対戦コードを作り、リンクを見せてコピー / 共有できるようにする（結果画面・対戦結果から開く）
+ */
+export async function showDuelCodeModal(record) {
+  playSfx("ui");
+  const code = await createDuelCode(record);
+  if (!code) {
+    toast(tr("この記録からは対戦コードを作れません", "A duel code cannot be made from this record"));
+    return;
+  }
+  const url = duelURL(code);
+  const text = tr(`${pidLabel(record.problemID)} で勝負！`, `Beat my ${pidLabel(record.problemID)}!`);
+  showModal({
+    title: tr("対戦コード", "Duel code"),
+    body: [
+      el("input", { type: "text", class: "custom-link", value: url, readonly: true, "aria-label": tr("リンク", "Link"), onfocus: (e) => e.target.select() }),
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "リンクを開いた人は、あなたの結果（手数・時間）を見てから同じ問題に挑戦できます。答えはリンクに含まれません。",
+          "Whoever opens the link sees your result (Guesses and time) and can play the same puzzle. The answers are not in the link."
+        )
+      ),
+    ],
+    actions: [
+      {
+        label: tr("共有", "Share"),
+        onClick: async () => {
+          if (navigator.share) {
+            try {
+              await navigator.share({ text, url });
+              return;
+            } catch (error) {
+              if (error?.name === "AbortError") return;
+            }
+          }
+          toast(tr("この環境では共有できません。コピーして送ってください", "Sharing is not available here. Copy the link instead"));
+        },
+      },
+      {
+        label: tr("コピー", "Copy"),
+        primary: true,
+        onClick: async () => {
+          try {
+            await navigator.clipboard.writeText(url);
+            toast(tr("リンクをコピーしました", "Link copied"));
+          } catch {
+            toast(tr("コピーに失敗しました", "Copy failed"));
+          }
+        },
+      },
+    ],
+  });
+}
+
+registerScreen("duel", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
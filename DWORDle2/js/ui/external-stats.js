@@ -0,0 +1,84 @@
+// ほかのワードゲーム（NYT Wordle など）の統計のダイアログ。プレイ履歴の統計から開く。
+// 記録は core/external-history.js。本作の統計とは混ぜず、ゲームごと・取り込んだ統計ごとに別のカードで出す。
+
+import { el, fmtDateTime } from "./dom.js?v=20260806-a";
+import { externalStatistics, getExternalSnapshots } from "../core/external-history.js?v=20260806-a";
+import { showModal } from "./modal.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+const SOURCE_LABELS = {
+  nyt: () => tr("NYT Wordle の統計", "NYT Wordle statistics"),
+  "react-wordle": () => tr("react-wordle の統計", "react-wordle statistics"),
+};
+
+// barBase: バーの時差アニメの通し番号の起点（history-screen.js の統計と同じ）
+function statCard(title, note, { played, won, currentStreak, maxStreak, dist }, barBase) {
+  const winPct = played ? Math.round((100 * won) / played) : 0;
+  const maxFreq = Math.max(1, ...dist);
+  return el(
+    "div",
+    { class: "card", style: { display: "flex", flexDirection: "column", gap: "8px" } },
+    el("div", { style: { fontWeight: "800" } }, title),
+    note ? el("div", { class: "hint" }, note) : null,
+    el(
+      "div",
+      { class: "stat-metrics" },
+      el("div", {}, el("b", {}, played), el("div", { class: "hint" }, "Played")),
+      el("div", {}, el("b", {}, winPct), el("div", { class: "hint" }, "Win %")),
+      el("div", {}, el("b", {}, currentStreak), el("div", { class: "hint" }, "Current Streak")),
+      el("div", {}, el("b", {}, maxStreak), el("div", { class: "hint" }, "Max Streak"))
+    ),
+    el(
+      "div",
+      { style: { display: "flex", flexDirection: "column", gap: "3px" } },
+      dist.map((n, i) =>
+        el(
+          "div",
+          { style: { display: "flex", alignItems: "center", gap: "6px", fontSize: "11px" } },
+          el("span", { style: { width: "18px", textAlign: "right", color: "var(--fg-dim)" } }, i + 1),
+          el("div", {
+            class: "bar-grow",
+            style: {
+              height: "10px",
+              width: `${Math.max(3, (100 * n) / maxFreq)}%`,
+              background: "var(--tile-correct)",
+              borderRadius: "3px",
+              "--bar-index": barBase + i,
+            },
+          }),
+          el("span", { class: "hint" }, n)
+        )
+      )
+    )
+  );
+}
+
+export function showExternalStats() {
+  const cards = [];
+  let barBase = 0;
+  for (const stats of externalStatistics()) {
+    cards.push(statCard(stats.game, tr("取り込んだ 1 局ずつの記録から", "From the individual games you imported"), stats, barBase));
+    barBase += stats.dist.length;
+  }
+  for (const snapshot of getExternalSnapshots()) {
+    const title = SOURCE_LABELS[snapshot.source]?.() ?? snapshot.game;
+    const note = tr(`${fmtDateTime(snapshot.importedAt)} に取り込んだ時点の値`, `As of ${fmtDateTime(snapshot.importedAt)}, when imported`);
+    cards.push(statCard(title, note, snapshot, barBase));
+    barBase += snapshot.dist.length;
+  }
+  showModal({
+    title: tr("ほかのワードゲーム", "Other word games"),
+    body: [
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "設定の「プレイ履歴をインポート」から取り込んだ記録です。DWORDle 2 の統計・実績には数えません。",
+          "Records imported with “Import play history” in Settings. They never count toward DWORDle 2 statistics or achievements."
+        )
+      ),
+      ...cards,
+    ],
+    actions: [{ label: tr("閉じる", "Close"), primary: true, onClick: () => {} }],
+  });
+}
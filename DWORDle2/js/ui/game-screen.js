@@ -5,29 +5,64 @@
 //   → "extraGuess"（追加推理の入力受付）→ "extraChecking"（追加推理の判定中）を経て "finish"。
 // 原作と同じく、Guess は確定するたびに保存され、リロードしても再開できる。
 // 追加推理タイムの途中でリロード・離脱した場合、チャンスは消滅して通常クリアで記録される。
+// 設定「残り候補を表示」が ON なら、判定が開くたびに残りの答えの組を分析用 Worker で数えて
+// 盤面の上に出す。一度でも表示したゲームは記録に assisted: true が付く。
+// ヘッダのヒントボタンは 1 ゲーム HINTS_PER_GAME 回まで（core/hints.js）。使ったヒントは盤面の上に並べ、
+// 記録の hints に残す。「おすすめの単語」は残り候補と同じ Worker で計算する。
+// Speed Run（#/game/speed、core/speed-run.js）では同じ盤面で gameMode: "speed" の問題を次々に解く。
+// 決着したら結果画面へは行かずに次の問題へ進み、時間切れでランの結果（#/speed/<startTime>）へ。
+// ヒント・残り候補・EXTRA SHOT・ハードモードは使わない。
+// ホットシート（#/game/hotseat、core/hotseat.js）も同じ盤面で gameMode: "hotseat" の問題を遊ぶ。
+// 盤面の上に成績表を出し、入力する人をヘッダーに示す。separate では決着のたびに空の盤面へ替えて
+// 次の人へ回し、全員が終えたら順位（#/hotseat/<startTime>）へ。Speed Run と同じく補助機能は使わない。
+// チュートリアル（#/game/tutorial、core/tutorial.js）は答えを決めたレッスンを同じ盤面で遊ぶ。
+// 手順どおりの単語だけを受け付け、判定が開くたびに盤面の上の解説（coach）で色の出どころを線で示す。
+// 記録は履歴に残さず、決着したらレッスン一覧（#/tutorial）へ戻る。補助機能は使わない。
 
 import { el, clear, effectiveZoom } from "./dom.js?v=20260806-a";
 import { APP_VERSION, UI, FX } from "../config.js?v=20260806-a";
 import { Logic, CELL, displayResultForMode } from "../core/logic.js?v=20260806-a";
-import { MODES, saveCurrentGame, clearCurrentGame, getCurrentGame, addFinishedGame, addDiscardedGame, isAlreadyPlayed, getHistory, getExtraShot } from "../core/records.js?v=20260806-a";
-import { NEW_ERA, isClassicPID, isDailyPID, numberPrefix, pidLabel, todayPID } from "../core/problems.js?v=20260806-a";
-import { checkOnGameFinish } from "../core/achievements.js?v=20260806-a";
+import { MODES, maxGuessFor, maxGuessForRecord, saveCurrentGame, clearCurrentGame, getCurrentGame, addFinishedGame, addDiscardedGame, isAlreadyPlayed, getHistory, getExtraShot } from "../core/records.js?v=20260806-a";
+import {
+  NEW_ERA,
+  answerCountForPID,
+  categoryForPID,
+  challengeForPID,
+  dailyDatePID,
+  isClassicPID,
+  isCustomPID,
+  isDailyPID,
+  isFutureChallengePID,
+  lengthSetForPID,
+  multiSetForPID,
+  numberPrefix,
+  pidLabel,
+  todayPID,
+  usesNewGenerator,
+} from "../core/problems.js?v=20260806-a";
+import { checkOnGameFinish, checkOnSpeedRunFinish } from "../core/achievements.js?v=20260806-a";
 import { addReloadBlocker } from "../core/critical-update.js?v=20260806-a";
-import { registerScreen, navigate, redirect, getAppMode, currentScreenName } from "./app.js?v=20260806-a";
+import { registerScreen, navigate, redirect, getAppMode, currentScreenName, setViewMood } from "./app.js?v=20260806-a";
 import { toast, achievementCelebration, bgmUnlockCelebration, themeUnlockCelebration, extraShotUnlockCelebration } from "./toast.js?v=20260806-a";
 import { isExtraShotEnabled, claimExtraShotUnlockNotice } from "../core/extra-shot.js?v=20260806-a";
 import { playExtraShotCutin, playDoubleClearCutin, cancelExtraShotFx } from "./extra-shot-fx.js?v=20260806-a";
 import { bgmTracksUnlockedBy, playSfx } from "../audio/sound.js?v=20260806-a";
 import { hiddenThemesUnlockedBy } from "../core/settings.js?v=20260806-a";
 import { burstAtElement, cancelTileFlights, winBurst, colorForState, flyInTiles } from "../fx/effects.js?v=20260806-a";
-import { showHelpModal, hasSeenHelp } from "./help.js?v=20260806-a";
+import { buildTracePanel, showHelpModal, hasSeenHelp } from "./help.js?v=20260806-a";
 import { trackEvent } from "../core/analytics.js?v=20260806-a";
 import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
 import { icon } from "./icons.js?v=20260806-a";
 import { tr } from "../core/i18n.js?v=20260806-a";
 import { getSettings } from "../core/settings.js?v=20260806-a";
 import { shouldReduceMotion } from "../core/motion.js?v=20260806-a";
+import { isHardModeConsistent } from "../core/hard-mode.js?v=20260806-a";
+import { resultToPatternId } from "../core/analysis-core.js?v=20260806-a";
+import { HINTS_PER_GAME, describeHint, hintsLeft, letterHint, positionHint, suggestHint } from "../core/hints.js?v=20260806-a";
+import { finishSpeedRun, getCurrentRun, recordSpeedPuzzle, speedTimeLeftMs } from "../core/speed-run.js?v=20260806-a";
+import { currentPlayerIndex, finishHotseat, getCurrentSession, hotseatScoreboard, recordHotseatBoard, saveCurrentSession } from "../core/hotseat.js?v=20260806-a";
 import { announce, feedbackName, rowAriaLabel, tileAriaLabel } from "./a11y.js?v=20260806-a";
+import { LESSONS, TRACK_LESSONS, isTutorialComplete, lessonForGame, lessonPID, lessonShownResult, markLessonDone } from "../core/tutorial.js?v=20260806-a";
 
 const KEY_ROWS = [
   [..."qwertyuiop".split(""), "backspace"],
@@ -47,14 +82,31 @@ let headerTitleEl = null;
 let seedEl = null;
 let counterEl = null;
 let resultFab = null;
+let remainingEl = null;
+let remainingSerial = 0; // 古い残り候補の結果を捨てるための世代カウンタ
+let remainingPairsList = null; // 一覧を出せるときの [[ans1, ans2], ...]（TRIWORDle / QUADWORDle は 3 語・4 語）
+let hintBtn = null;
+let hintStripEl = null;
+let hintBusy = false; // おすすめの単語を計算中
+let liveWorker = null; // 残り候補・おすすめの単語を計算する分析用 Worker
+let liveSerial = 0;
+const livePending = new Map(); // serial -> resolve
+let speedClockEl = null;
+let speedRun = null; // Speed Run 中のラン（core/speed-run.js）。それ以外は null
+let speedTimer = null;
+let hotseat = null; // ホットシート中のセッション（core/hotseat.js）。それ以外は null
+let hotseatBoardEl = null;
+let lesson = null; // チュートリアルのレッスン（core/tutorial.js）。それ以外は null
+let coachEl = null;
+let coachTrace = null; // 解説の線の再生（help.js の buildTracePanel）
 
 // ゲーム進行状態
-let game = null; // { gameMode, problemID, startTime, guessWord, usoResults }
+let game = null; // { gameMode, problemID, startTime, guessWord, usoResults, hard? }
 let logic = null;
 let state = "idle";
 let inputBuffer = ""; // 入力中の文字
-let rows = []; // [{ rowEl, tiles: [tileEl x5] }]
-let buttonStates = {}; // キーボードの色状態 (normal モードのみ)
+let rows = []; // [{ rowEl, tiles: [tileEl x 文字数] }]
+let buttonStates = {}; // キーボードの色状態 (DWORDlie 以外)
 let keyEls = {};
 let seedHidden = false;
 let finishedRecord = null; // 終了後に結果画面へ渡す
@@ -97,8 +149,15 @@ function build() {
     ),
     headerTitleEl,
     el("span", { class: "spacer" }),
+    (speedClockEl = el("span", { class: "speed-clock", role: "timer", hidden: true })),
     counterEl,
     seedEl,
+    (hintBtn = el(
+      "button",
+      { class: "icon-btn hint-btn", onclick: openHintMenu },
+      icon("sparkle", 18),
+      el("span", { class: "hint-count", "aria-hidden": "true" })
+    )),
     soundToggleButton(),
     el(
       "button",
@@ -107,6 +166,11 @@ function build() {
     )
   );
 
+  remainingEl = el("button", { class: "remaining-counter", hidden: true, onclick: showRemainingList });
+  hintStripEl = el("div", { class: "hint-strip", hidden: true });
+  hotseatBoardEl = el("div", { class: "hotseat-scoreboard", hidden: true });
+  coachEl = el("div", { class: "tutorial-coach", hidden: true });
+
   boardEl = el("div", { id: "board" });
   boardScrollEl = el("div", { id: "board-scroll" }, boardEl);
   installBoardDragScroll();
@@ -132,7 +196,7 @@ function build() {
     tr("結果を見る", "View result")
   );
 
-  root.append(header, boardScrollEl, keyboardEl, kbdToggle, resultFab);
+  root.append(header, remainingEl, hintStripEl, hotseatBoardEl, coachEl, boardScrollEl, keyboardEl, kbdToggle, resultFab);
 }
 
 // キーボード折りたたみ: 盤面を全画面で見たいとき用。状態はセッション中だけ保持する。
@@ -329,6 +393,11 @@ function discardGame(current) {
     problemID: current.problemID,
     guessWord: current.guessWord.slice(),
     usoResults: current.gameMode === "uso" ? (current.usoResults ?? []).slice() : undefined,
+    hard: current.hard ? true : undefined,
+    assisted: current.assisted ? true : undefined,
+    hints: current.hints?.length ? current.hints.slice() : undefined,
+    pack: current.pack,
+    maxGuess: current.maxGuess,
   });
   clearCurrentGame(current.gameMode);
   trackEvent("game_discard", {
@@ -341,6 +410,12 @@ function discardGame(current) {
 
 async function requestBackToTitle() {
   playSfx("ui");
+  if (speedRun) return requestEndSpeedRun();
+  if (hotseat) return requestEndHotseat();
+  if (lesson) {
+    navigate("/tutorial"); // 途中の盤面は残り、一覧から続きを遊べる
+    return;
+  }
   if (!isExtraShotActive()) {
     // 1 手以上入力済みで未終了のときだけ、中断か破棄かを選ばせる
     // （0 手なら失うものがなく、終了後は既に履歴へ記録済み）。
@@ -381,22 +456,53 @@ async function requestBackToTitle() {
 function updateHeader() {
   const mode = MODES[game.gameMode];
   headerTitleEl.textContent = mode.title;
+  if (speedRun) {
+    const solved = speedRun.puzzles.filter((puzzle) => puzzle.clear).length;
+    headerTitleEl.append(
+      el("span", { class: "mode-chip speed", "aria-label": tr(`${solved} 問クリア`, `${solved} solved`) }, `✓${solved}`)
+    );
+  }
+  if (hotseat && state !== "finish") {
+    headerTitleEl.append(el("span", { class: "mode-chip hotseat" }, `▶ ${hotseat.players[currentPlayerIndex(hotseat, game)]}`));
+  }
+  if (lesson) headerTitleEl.append(el("span", { class: "mode-chip lesson" }, "LESSON"));
+  if (game.pack) headerTitleEl.append(el("span", { class: "mode-chip pack", "aria-label": tr(`パックの ${game.pack.index + 1} 問目`, `Pack puzzle ${game.pack.index + 1}`) }, `P${game.pack.index + 1}`));
+  const multi = multiSetForPID(game.problemID);
+  if (multi) {
+    headerTitleEl.append(
+      el("span", { class: "mode-chip multi", "aria-label": tr(`答え ${multi.answers} 語`, `${multi.answers} answers`) }, multi.key.toUpperCase())
+    );
+  }
+  const lengthSet = lengthSetForPID(game.problemID);
+  if (lengthSet) {
+    headerTitleEl.append(
+      el("span", { class: "mode-chip length", "aria-label": tr(`${lengthSet.length} 文字`, `${lengthSet.length} letters`) }, `${lengthSet.length}L`)
+    );
+  }
+  if (game.hard) headerTitleEl.append(el("span", { class: "mode-chip hard" }, "HARD"));
+  if (game.assisted) headerTitleEl.append(el("span", { class: "mode-chip assisted" }, "ASSIST"));
   const inExtraShot = state === "extraCutin" || state === "extraGuess" || state === "extraChecking";
   counterEl.classList.toggle("fa-counter", inExtraShot);
   if (inExtraShot) {
     counterEl.replaceChildren(el("span", {}, "EXTRA"), el("span", {}, "SHOT"));
     counterEl.setAttribute("aria-label", "EXTRA SHOT");
   } else {
-    counterEl.textContent = `${game.guessWord.length + (state === "finish" ? 0 : 1)} / ${mode.maxGuess}`;
+    counterEl.textContent = `${game.guessWord.length + (state === "finish" ? 0 : 1)} / ${maxGuessForRecord(game)}`;
     counterEl.removeAttribute("aria-label");
   }
   // 伏せるのは番号（デイリーなら日付）だけ。どの出題かは隠さない
   // ―― Cls.（旧出題）は実績の扱いが変わるうえ、"No.????" だけだとデイリーが
-  // 新出題の番号付き問題に見えてしまう。
-  const label = seedHidden
+  // 新出題の番号付き問題に見えてしまう。カスタム問題も同じく "Custom" は残す。
+  const label = lesson
+    ? `Lesson ${LESSONS.indexOf(lesson) + 1}`
+    : seedHidden
     ? isDailyPID(game.problemID)
       ? "Daily ????-??-??"
-      : `${numberPrefix(isClassicPID(game.problemID))}????`
+      : isCustomPID(game.problemID)
+      ? "Custom #?????"
+      : challengeForPID(game.problemID)
+      ? `${challengeForPID(game.problemID).kind === "weekly" ? "Weekly" : "Extreme"} ????`
+      : `${multi?.prefix ?? lengthSet?.prefix ?? categoryForPID(game.problemID)?.prefix ?? numberPrefix(isClassicPID(game.problemID))}????`
     : pidLabel(game.problemID);
   // "Daily 2026-07-22" のような 2 語ラベルは 2 行 + 小さめの文字で表示し、
   // 狭い端末でもタイトルや右側のボタン群を削らずに収める
@@ -408,37 +514,68 @@ function updateHeader() {
     seedEl.textContent = label;
   }
   seedEl.setAttribute("aria-label", seedHidden ? tr("問題番号を表示", "Show puzzle number") : tr("問題番号を隠す", "Hide puzzle number"));
+  updateHints();
+  updateHotseatBoard();
 }
 
 // ---- ゲーム開始 / 再開 ----
 
-// 新しいゲームを開始して #/game へ
-export function startNewGame(pid, mode) {
-  const g = {
+// 新しいゲームを開始して #/game へ。
+// ハードモードは開始時の設定で決め、途中で設定を切り替えてもそのゲームには効かせない。
+// 答えが 3 語以上の出題（TRIWORDle / QUADWORDle）・Speed Run・ホットシート・チュートリアルには効かせない（core/hard-mode.js 参照）。
+// lesson はチュートリアルのレッスンの id、pack / maxGuess はパズルパック（core/packs.js）の問題の位置と最大手数
+function newGame(pid, mode, { lesson = null, pack = null, maxGuess = null } = {}) {
+  return {
     version: APP_VERSION,
     startTime: Math.floor(Date.now() / 1000),
     gameMode: mode,
     problemID: pid,
     guessWord: [],
     usoResults: [],
+    ...(lesson ? { lesson } : {}),
+    ...(pack ? { pack } : {}),
+    ...(maxGuess ? { maxGuess } : {}),
+    ...((mode === "normal" || mode === "uso") && !lesson && answerCountForPID(pid) === 2 && getSettings().hardMode ? { hard: true } : {}),
   };
-  saveCurrentGame(g);
-  navigate("/game");
-  if (currentScreenName() === "game") render([]); // 既に #/game にいる場合
 }
 
-function render() {
+export function startNewGame(pid, mode, options = {}) {
+  saveCurrentGame(newGame(pid, mode, options));
+  const args = mode === "speed" || mode === "hotseat" ? [mode] : [];
+  navigate(["/game", ...args].join("/"));
+  if (currentScreenName() === "game") render(args); // 既に #/game にいる場合
+}
+
+// チュートリアルのレッスンを最初から始める（途中の盤面は捨てる）
+export function startLesson(target) {
+  saveCurrentGame(newGame(lessonPID(target), target.mode, { lesson: target.id }));
+  navigate("/game/tutorial");
+  if (currentScreenName() === "game") render(["tutorial"]);
+}
+
+function render(args = []) {
   if (!root) build();
   gatherSession++;
   resultFab.textContent = tr("結果を見る", "View result");
-  const mode = getAppMode();
+  const session = args[0] === "speed" || args[0] === "hotseat" || args[0] === "tutorial";
+  const mode = session ? args[0] : getAppMode();
+  speedRun = mode === "speed" ? getCurrentRun() : null;
+  hotseat = mode === "hotseat" ? getCurrentSession() : null;
   const current = getCurrentGame(mode);
-  if (!current) {
+  lesson = mode === "tutorial" ? lessonForGame(current) : null;
+  if (!current || (mode === "speed" && !speedRun) || (mode === "hotseat" && !hotseat) || (mode === "tutorial" && !lesson)) {
     // navigate だと #/game が履歴に残り、戻るボタンで再リダイレクトの往復になる
-    redirect("/");
+    redirect(session ? `/${mode}` : "/");
+    return;
+  }
+  if (speedRun && speedTimeLeftMs(speedRun) === 0) {
+    // 画面を離れている間に時間切れになっていたラン
+    redirect(`/speed/${endSpeedRun().startTime}`);
     return;
   }
   game = current;
+  if (speedRun || hotseat) setViewMood(mode); // 裏モードで開いても DWORDle の配色で遊ぶ
+  else if (lesson) setViewMood(lesson.mode); // レッスンはそのレッスンのモードの配色で遊ぶ
   logic = new Logic(game.problemID);
   state = "guess";
   inputBuffer = "";
@@ -452,6 +589,8 @@ function render() {
   resultFab.style.display = "none";
   rows = [];
   clear(boardEl);
+  // 6・7 文字版は横幅に収まるようタイルを小さくする（css の #board.len-N）
+  boardEl.className = logic.wordLength === 5 ? "" : `len-${logic.wordLength}`;
   buttonStates = {};
   for (const c of "abcdefghijklmnopqrstuvwxyz") buttonStates[c] = CELL.GUESSING;
 
@@ -460,31 +599,39 @@ function render() {
     const word = game.guessWord[t];
     const result = game.gameMode === "uso" ? game.usoResults[t] : logic.queryWord(word);
     const row = addRow(false);
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < word.length; i++) {
       setTile(row.tiles[i], word[i], result[i]);
     }
-    if (game.gameMode === "normal") updateButtonStates(word, result);
+    if (game.gameMode !== "uso") updateButtonStates(word, result);
   }
   applyAllKeyStyles();
 
   // 決着済みかチェック（リロード対策）
   const last = game.guessWord[game.guessWord.length - 1];
-  const maxGuess = MODES[game.gameMode].maxGuess;
+  const maxGuess = maxGuessForRecord(game);
   if (last && (logic.isGameClear(last) || game.guessWord.length >= maxGuess)) {
     finishGame(false);
   } else {
     addRow(true);
   }
+  refreshRemaining();
   updateHeader();
+  if (speedRun) startSpeedClock();
+  else stopSpeedClock();
   scrollToBottom();
   // 遊び方を一度も開いていないモードは、盤面に入った時点で強制的に開く
   // （タイトルの基本ルールを飛ばしても、ルールを知らないまま始めさせない）
-  if (!hasSeenHelp(game.gameMode)) showHelpModal(game.gameMode);
+  // ホットシート（separate）の盤面の始めには、次の人への受け渡しの案内を出す
+  const handover = hotseat?.style === "separate" && game.guessWord.length === 0 && state === "guess" ? showHotseatHandover : null;
+  updateCoach();
+  if (lesson) return; // レッスンは解説がルールの説明を兼ねる
+  if (!hasSeenHelp(game.gameMode)) showHelpModal(game.gameMode, handover);
+  else handover?.();
 }
 
 function addRow(animate) {
   const tiles = [];
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < logic.wordLength; i++) {
     tiles.push(el("div", { class: "tile", role: "img", "aria-label": tileAriaLabel("") }));
   }
   const rowEl = el(
@@ -596,7 +743,7 @@ function handleKey(k) {
     }
     return;
   }
-  if (inputBuffer.length >= 5) return;
+  if (inputBuffer.length >= logic.wordLength) return;
   playSfx("key");
   const tile = currentRow().tiles[inputBuffer.length];
   inputBuffer += k;
@@ -621,10 +768,10 @@ function queuePendingKey(k) {
   if (pendingKeys.includes("enter")) return;
   const length = pendingBufferLength();
   if (k === "enter") {
-    if (length === 5) pendingKeys.push(k);
+    if (length === logic.wordLength) pendingKeys.push(k);
   } else if (k === "backspace") {
     if (length > 0) pendingKeys.push(k);
-  } else if (length < 5) {
+  } else if (length < logic.wordLength) {
     pendingKeys.push(k);
   }
 }
@@ -670,34 +817,56 @@ export function releaseKeyboardPresses() {
 }
 
 function submitGuess() {
-  if (inputBuffer.length !== 5) {
-    return rejectGuess(tr("5文字入力してください", "Not enough letters"));
+  if (speedRun && speedTimeLeftMs(speedRun) === 0) return; // 時間切れ（ランの終了待ち）
+  if (inputBuffer.length !== logic.wordLength) {
+    return rejectGuess(tr(`${logic.wordLength}文字入力してください`, "Not enough letters"));
   }
   const word = inputBuffer;
   if (!logic.isValidWord(word)) {
     return rejectGuess(tr("未登録の単語です", "Not in word list"));
   }
+  const step = lesson?.steps[game.guessWord.length];
+  if (step && word !== step.word) {
+    return rejectGuess(tr(`この手順では ${step.word.toUpperCase()} と入力してください`, `Type ${step.word.toUpperCase()} for this step`));
+  }
+  if (
+    game.hard &&
+    !isHardModeConsistent(word, {
+      pid: game.problemID,
+      mode: game.gameMode,
+      guessWords: game.guessWord,
+      shownResults: game.gameMode === "uso" ? game.usoResults : game.guessWord.map((w) => logic.queryWord(w)),
+    })
+  ) {
+    return rejectGuess(tr("ハードモード: これまでの判定と矛盾します", "Hard mode: this contradicts earlier feedback"));
+  }
 
   const trueResult = logic.queryWord(word);
-  const shownResult = displayResultForMode(trueResult, game.gameMode);
+  const shownResult = lesson ? lessonShownResult(lesson, game.guessWord.length, trueResult) : displayResultForMode(trueResult, game.gameMode);
 
   game.guessWord.push(word);
   if (game.gameMode === "uso") game.usoResults.push(shownResult);
   saveCurrentGame(game);
-  if (game.gameMode === "normal") updateButtonStates(word, trueResult);
+  if (game.gameMode !== "uso") updateButtonStates(word, trueResult);
 
   state = "checking";
   revealRow(currentRow(), word, shownResult, () => {
-    const maxGuess = MODES[game.gameMode].maxGuess;
-    if (logic.isGameClear(word) && isExtraShotEnabled()) {
+    const maxGuess = maxGuessForRecord(game);
+    // EXTRA SHOT は「残る 1 語」を当てる追加推理なので、答えが 3 語以上の出題では起きない
+    if (logic.isGameClear(word) && isExtraShotEnabled() && !inSessionMode() && logic.otherAnswer(word)) {
       beginExtraShot(word);
     } else if (logic.isGameClear(word) || game.guessWord.length >= maxGuess) {
       finishGame(true);
+    } else if (speedRun && speedTimeLeftMs(speedRun) === 0) {
+      timeUpSpeedRun(); // 判定を開いている間に時間切れになった
     } else {
       state = "guess";
       inputBuffer = "";
       addRow(true);
+      refreshRemaining();
       updateHeader();
+      updateCoach();
+      if (hotseat?.style === "shared") announceHotseatTurn();
       flushPendingKeys();
     }
   });
@@ -708,6 +877,7 @@ function submitGuess() {
 // クリアの判定オープン直後に呼ばれる。カットインを流してから追加推理の行を出す。
 function beginExtraShot(clearedWord) {
   state = "extraCutin";
+  refreshRemaining();
   pendingKeys = []; // クリア判定中の先行入力は「次の通常 Guess」のつもりなので捨てる
   inputBuffer = "";
   const canSkip = getHistory().some(
@@ -736,8 +906,8 @@ function beginExtraShot(clearedWord) {
 
 // 追加推理の確定。チャンスは 1 回だけで、成功なら DOUBLE CLEAR として記録される。
 function submitExtraShot() {
-  if (inputBuffer.length !== 5) {
-    return rejectGuess(tr("5文字入力してください", "Not enough letters"));
+  if (inputBuffer.length !== logic.wordLength) {
+    return rejectGuess(tr(`${logic.wordLength}文字入力してください`, "Not enough letters"));
   }
   const word = inputBuffer;
   if (!logic.isValidWord(word)) {
@@ -811,10 +981,11 @@ function rejectGuess(message) {
 function revealRow(row, word, result, done) {
   const session = gatherSession;
   const extraShotReveal = state === "extraChecking";
+  const lastIndex = result.length - 1;
   const pauseBeforeLastTile = extraShotReveal
-    && result.slice(0, 4).every((stateName) => stateName === CELL.CORRECT);
+    && result.slice(0, lastIndex).every((stateName) => stateName === CELL.CORRECT);
   const revealDelay = (index) =>
-    index * UI.revealIntervalMs + (pauseBeforeLastTile && index === 4 ? FX.extraShot.lastTilePauseMs : 0);
+    index * UI.revealIntervalMs + (pauseBeforeLastTile && index === lastIndex ? FX.extraShot.lastTilePauseMs : 0);
   const timers = [];
   const revealSounds = [];
   let settled = false;
@@ -829,7 +1000,7 @@ function revealRow(row, word, result, done) {
       tile.classList.remove("reveal", "filled", "state-unused", "state-used", "state-correct");
       tile.classList.add(`state-${stateName}`);
       tile.setAttribute("aria-label", tileAriaLabel(word[i], stateName));
-      if (game.gameMode === "normal") applyKeyStyle(word[i]);
+      if (game.gameMode !== "uso") applyKeyStyle(word[i]);
     });
   };
   const complete = () => {
@@ -860,7 +1031,7 @@ function revealRow(row, word, result, done) {
         tile.setAttribute("aria-label", tileAriaLabel(word[i], stateName));
         playRevealSound(stateName === CELL.CORRECT ? "revealCorrect" : stateName === CELL.USED ? "revealUsed" : "revealUnused");
         burstAtElement(tile, colorForState(stateName), FX.burst.countPerTile[stateName] ?? 7);
-        if (game.gameMode === "normal") applyKeyStyle(word[i]);
+        if (game.gameMode !== "uso") applyKeyStyle(word[i]);
       }, UI.revealFlipMs / 2);
       schedule(() => {
         // forwards の3Dアニメーション状態を残すと、Safariが各タイルを恒久的な
@@ -869,7 +1040,7 @@ function revealRow(row, word, result, done) {
       }, UI.revealFlipMs + 20);
     }, revealDelay(i));
   });
-  schedule(complete, 5 * UI.revealIntervalMs
+  schedule(complete, result.length * UI.revealIntervalMs
     + (pauseBeforeLastTile ? FX.extraShot.lastTilePauseMs : 0)
     + UI.revealFlipMs / 2
     + UI.afterRevealPauseMs);
@@ -884,10 +1055,208 @@ function revealRow(row, word, result, done) {
   };
 }
 
+// ---- 残り候補カウンタ ----
+
+// 入力受付中で、1 行以上の判定が出ていて、設定が ON のときだけ表示する。
+// 決着後・EXTRA SHOT 中は隠す（もう一方の答えの手がかりになるため）。
+function refreshRemaining() {
+  const serial = ++remainingSerial;
+  remainingPairsList = null;
+  const visible = getSettings().remainingCounter && !inSessionMode() && state === "guess" && game.guessWord.length > 0;
+  remainingEl.hidden = !visible;
+  if (!visible) return;
+  if (!game.assisted) {
+    game.assisted = true;
+    saveCurrentGame(game);
+  }
+  remainingEl.classList.remove("listable");
+  remainingEl.removeAttribute("aria-haspopup");
+  remainingEl.replaceChildren(icon("search", 14), tr("残り候補を計算中…", "Counting remaining pairs…"));
+  void askLiveWorker("remaining").then((result) => {
+    if (serial !== remainingSerial) return; // 次の行が開いた後の古い結果
+    if (result) showRemaining(result);
+    else remainingEl.hidden = true;
+  });
+}
+
+// 分析用 Worker に、いまの盤面（表示済みの行）について問い合わせる。失敗したら null で解決する。
+function askLiveWorker(kind) {
+  if (!liveWorker) {
+    liveWorker = new Worker(new URL("../core/analysis.worker.js?v=20260806-a", import.meta.url), { type: "module" });
+    liveWorker.onmessage = (e) => {
+      const msg = e.data;
+      const resolve = livePending.get(msg.serial);
+      if (!resolve) return;
+      livePending.delete(msg.serial);
+      resolve(msg.type === "error" ? null : msg.result);
+    };
+    // 読み込み失敗は onmessage に届かないので、待っている問い合わせをここで打ち切る
+    liveWorker.onerror = () => settleLiveQueries();
+  }
+  const serial = ++liveSerial;
+  const shown = game.gameMode === "uso" ? game.usoResults : game.guessWord.map((w) => logic.queryWord(w));
+  liveWorker.postMessage({
+    kind,
+    serial,
+    pid: game.problemID,
+    mode: game.gameMode,
+    guessWords: game.guessWord.slice(),
+    shownPatternIds: shown.map((result) => resultToPatternId(result)),
+  });
+  return new Promise((resolve) => livePending.set(serial, resolve));
+}
+
+function settleLiveQueries() {
+  for (const resolve of livePending.values()) resolve(null);
+  livePending.clear();
+}
+
+// 英語表記の「組」。TRIWORDle / QUADWORDle の答えは 3 つ組・4 つ組なので pair と呼ばない
+function answerSetWordEn(plural = true) {
+  const word = logic.answers.length > 2 ? "set" : "pair";
+  return plural ? `${word}s` : word;
+}
+
+function showRemaining({ count, sampled, pairs }) {
+  const unit = answerSetWordEn();
+  const text = sampled
+    ? count > 0
+      ? tr(`残り 約${count.toLocaleString()}組（推定）`, `~${count.toLocaleString()} ${unit} left (estimate)`)
+      : tr("残り わずか（推定）", `Few ${unit} left (estimate)`)
+    : tr(`残り ${count.toLocaleString()}組`, count === 1 ? `1 ${answerSetWordEn(false)} left` : `${count.toLocaleString()} ${unit} left`);
+  remainingPairsList = pairs;
+  remainingEl.classList.toggle("listable", Boolean(pairs?.length));
+  if (pairs?.length) remainingEl.setAttribute("aria-haspopup", "dialog");
+  remainingEl.replaceChildren(
+    icon("search", 14),
+    text,
+    pairs?.length ? el("span", { class: "remaining-open" }, tr("一覧", "List")) : null
+  );
+}
+
+async function showRemainingList() {
+  if (!remainingPairsList?.length) return;
+  playSfx("ui");
+  const { showModal } = await import("./modal.js?v=20260806-a");
+  showModal({
+    title: tr("残っている答えの組", `Remaining answer ${answerSetWordEn()}`),
+    body: [
+      el(
+        "p",
+        { class: "hint" },
+        game.gameMode === "uso"
+          ? tr("表示された判定が全マスで嘘になる組です（順不同）。", `Answer ${answerSetWordEn()} for which every shown tile is a lie (unordered).`)
+          : tr("これまでの判定をすべて説明できる組です（順不同）。", `Answer ${answerSetWordEn()} that explain all feedback so far (unordered).`)
+      ),
+      el(
+        "ul",
+        { class: "remaining-list" },
+        remainingPairsList.map((words) => el("li", {}, words.map((word) => el("span", {}, word.toUpperCase()))))
+      ),
+    ],
+    actions: [{ label: tr("閉じる", "Close"), primary: true, onClick: () => {} }],
+  });
+}
+
+// ---- ヒント ----
+
+function updateHints() {
+  hintBtn.hidden = inSessionMode();
+  const left = hintsLeft(game);
+  const usable = state === "guess" && left > 0 && !hintBusy;
+  hintBtn.querySelector(".hint-count").textContent = String(left);
+  hintBtn.classList.toggle("spent", !usable);
+  hintBtn.setAttribute(
+    "aria-label",
+    tr(`ヒント（残り ${left} / ${HINTS_PER_GAME}）`, `Hint (${left} of ${HINTS_PER_GAME} left)`)
+  );
+  const hints = game.hints ?? [];
+  hintStripEl.hidden = hints.length === 0 || inSessionMode();
+  hintStripEl.replaceChildren(...hints.map((hint) => el("span", { class: "hint-chip" }, icon("sparkle", 12), describeHint(hint))));
+}
+
+async function openHintMenu() {
+  if (!game || state !== "guess" || hintBusy || inSessionMode()) return;
+  playSfx("ui");
+  const left = hintsLeft(game);
+  if (left === 0) {
+    toast(tr("このゲームのヒントは使い切りました", "No hints left for this game"));
+    return;
+  }
+  const { showModal } = await import("./modal.js?v=20260806-a");
+  let close = () => {};
+  const option = (kind, title, desc) =>
+    el(
+      "button",
+      {
+        class: "btn hint-option",
+        onclick: () => {
+          close();
+          void useHint(kind);
+        },
+      },
+      el("span", { class: "hint-option-name" }, title),
+      el("span", { class: "hint hint-option-desc" }, desc)
+    );
+  close = showModal({
+    title: tr(`ヒント（残り ${left} / ${HINTS_PER_GAME}）`, `Hint (${left} of ${HINTS_PER_GAME} left)`),
+    body: [
+      option(
+        "position",
+        tr("文字と位置", "Letter and position"),
+        tr("答えのどちらかが、ある位置に持つ文字を 1 つ明かす", "Reveals a letter one answer has at a given position")
+      ),
+      option(
+        "letter",
+        tr("含まれる文字", "Letter in an answer"),
+        tr("答えのどちらかに必ず含まれる文字を 1 つ明かす", "Reveals a letter that appears in one of the answers")
+      ),
+      option(
+        "suggest",
+        tr("おすすめの単語", "Suggested word"),
+        tr("いまの盤面で候補を最も絞れそうな単語を教える", "Suggests the word expected to narrow the pairs the most")
+      ),
+    ],
+    actions: [{ label: tr("キャンセル", "Cancel"), onClick: () => {} }],
+  });
+}
+
+async function useHint(kind) {
+  if (state !== "guess" || hintsLeft(game) === 0) return;
+  let hint;
+  if (kind === "suggest") {
+    const current = game;
+    const turn = game.guessWord.length;
+    hintBusy = true;
+    updateHints();
+    toast(tr("おすすめの単語を計算中…", "Finding a suggestion…"));
+    const suggestion = await askLiveWorker("suggest");
+    hintBusy = false;
+    // 計算中に画面を離れた・次の Guess を確定した場合は使わない（トークンも消費しない）
+    if (game !== current || game.guessWord.length !== turn || state !== "guess") {
+      if (game === current) updateHints();
+      return;
+    }
+    hint = suggestHint(game, suggestion);
+  } else {
+    hint = kind === "position" ? positionHint(game, logic) : letterHint(game, logic);
+  }
+  if (!hint) {
+    toast(tr("このヒントで明かせることはもうありません", "This hint has nothing left to reveal"));
+    updateHints();
+    return;
+  }
+  game.hints = [...(game.hints ?? []), hint];
+  saveCurrentGame(game);
+  updateHints();
+  announce(describeHint(hint));
+  toast(describeHint(hint));
+}
+
 // ---- キーボード色 ----
 
 function updateButtonStates(word, result) {
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < word.length; i++) {
     const c = word[i];
     if (RESULT_PRIORITY[buttonStates[c]] < RESULT_PRIORITY[result[i]]) {
       buttonStates[c] = result[i];
@@ -899,7 +1268,7 @@ function applyKeyStyle(c) {
   const btn = keyEls[c];
   if (!btn) return;
   btn.classList.remove("state-unused", "state-used", "state-correct");
-  if (game?.gameMode === "normal" && getSettings().keyboardHints && buttonStates[c] !== CELL.GUESSING) {
+  if (game && game.gameMode !== "uso" && getSettings().keyboardHints && buttonStates[c] !== CELL.GUESSING) {
     btn.classList.add(`state-${buttonStates[c]}`);
     btn.setAttribute("aria-label", tr(`${c.toUpperCase()}、${feedbackName(buttonStates[c])}`, `${c.toUpperCase()}, ${feedbackName(buttonStates[c])}`));
   } else {
@@ -925,6 +1294,11 @@ function persistFinishedGame({ includeExtraShot = true } = {}) {
     problemID: game.problemID,
     guessWord: game.guessWord.slice(),
     usoResults: game.gameMode === "uso" ? game.usoResults.slice() : undefined,
+    hard: game.hard ? true : undefined,
+    assisted: game.assisted ? true : undefined,
+    hints: game.hints?.length ? game.hints.slice() : undefined,
+    pack: game.pack,
+    maxGuess: game.maxGuess,
     // 棄権・リロード復帰は通常クリアとして扱い、EXTRA SHOT の記録を付けない。
     extraShot: includeExtraShot && extraShotPhase?.attempt
       ? {
@@ -943,7 +1317,7 @@ function persistFinishedGame({ includeExtraShot = true } = {}) {
     results,
     durationSec: record.endTime - record.startTime,
     endDate: new Date(record.endTime * 1000),
-    maxGuess: MODES[game.gameMode].maxGuess,
+    maxGuess: maxGuessFor(game.gameMode, game.problemID),
     hadLostBefore,
   });
   return { record, newly };
@@ -976,7 +1350,11 @@ function forfeitExtraShot() {
 }
 
 function finishGame(justFinished) {
+  if (speedRun) return finishSpeedPuzzle();
+  if (hotseat) return finishHotseatBoard();
+  if (lesson) return finishLesson();
   state = "finish";
+  refreshRemaining();
   pendingKeys = []; // 決着後に持ち越された先行入力は捨てる
   extraShotFinishPending = false;
   extraShotSkipReveal = null;
@@ -1024,9 +1402,333 @@ function finishGame(justFinished) {
   }
 }
 
+// Speed Run・ホットシート・チュートリアルの最中か。どれもヒント・残り候補・EXTRA SHOT を使わない
+function inSessionMode() {
+  return Boolean(speedRun || hotseat || lesson);
+}
+
+// ---- チュートリアル ----
+
+// 盤面の上の解説。最後の行の色の出どころを線で示し、手順の説明と次に打つ単語を出す
+function updateCoach() {
+  coachTrace?.stop();
+  coachTrace = null;
+  clear(coachEl);
+  coachEl.hidden = !lesson;
+  if (!lesson) return;
+  const turn = game.guessWord.length;
+  const total = lesson.steps.length;
+  coachEl.append(
+    el("div", { class: "tutorial-coach-head" }, [
+      el("strong", {}, tr(lesson.titleJa, lesson.titleEn)),
+      el("span", { class: "tutorial-coach-step" }, `${Math.min(turn + (state === "finish" ? 0 : 1), total)} / ${total}`),
+    ])
+  );
+  if (turn === 0) {
+    coachEl.append(el("p", { class: "hint" }, tr(lesson.introJa, lesson.introEn)));
+  } else {
+    const t = turn - 1;
+    coachTrace = buildTracePanel({
+      answers: lesson.answers,
+      guess: game.guessWord[t],
+      shown: lesson.mode === "uso" ? game.usoResults[t] : null,
+    });
+    coachEl.append(
+      coachTrace.element,
+      el("p", { class: "hint" }, tr(lesson.steps[t].noteJa, lesson.steps[t].noteEn))
+    );
+  }
+  const next = lesson.steps[turn];
+  if (next && state !== "finish") {
+    coachEl.append(
+      el("p", { class: "tutorial-coach-next" }, tr(`${next.word.toUpperCase()} と入力して Enter`, `Type ${next.word.toUpperCase()} and press Enter`))
+    );
+  }
+}
+
+// レッスンの決着。記録は履歴に残さず、済んだ印だけ付けて次のレッスンへ案内する
+async function finishLesson() {
+  state = "finish";
+  pendingKeys = [];
+  refreshRemaining();
+  updateHeader();
+  updateCoach();
+  const finished = lesson;
+  const wasComplete = isTutorialComplete();
+  markLessonDone(finished.id);
+  clearCurrentGame("tutorial");
+  playSfx("win");
+  winBurst([colorForState(CELL.CORRECT), colorForState(CELL.USED), 0x00d5ff]);
+  announce(tr(`レッスン「${finished.titleJa}」を終えました。`, `Lesson complete: ${finished.titleEn}.`));
+
+  const session = gatherSession;
+  const { showModal } = await import("./modal.js?v=20260806-a");
+  if (session !== gatherSession) return;
+  const unlocked = !wasComplete && isTutorialComplete();
+  const next = LESSONS[LESSONS.indexOf(finished) + 1];
+  showModal({
+    title: tr("レッスン完了", "Lesson complete"),
+    body: el(
+      "p",
+      { class: "hint" },
+      unlocked
+        ? tr("DWORDle のレッスンをすべて終えました。タイトルのメニューが開きました。", "You finished every DWORDle lesson. The title menu is now open.")
+        : tr(finished.steps.at(-1).noteJa, finished.steps.at(-1).noteEn)
+    ),
+    actions: [
+      ...(next ? [{ label: tr("次のレッスンへ", "Next lesson"), primary: true, onClick: () => startLesson(next) }] : []),
+      { label: tr("レッスン一覧", "All lessons"), primary: !next, onClick: () => navigate("/tutorial") },
+    ],
+  });
+}
+
+// ---- Speed Run ----
+
+function startSpeedClock() {
+  stopSpeedClock();
+  speedClockEl.hidden = false;
+  updateSpeedClock();
+  speedTimer = setInterval(updateSpeedClock, 250);
+}
+
+function stopSpeedClock() {
+  clearInterval(speedTimer);
+  speedTimer = null;
+  if (speedClockEl) speedClockEl.hidden = true;
+}
+
+function updateSpeedClock() {
+  if (!speedRun) return;
+  const left = speedTimeLeftMs(speedRun);
+  const sec = Math.ceil(left / 1000);
+  speedClockEl.textContent = `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+  speedClockEl.classList.toggle("urgent", sec <= 30);
+  // 判定を開いている最中の Guess は時間内に確定したものなので、開き終わってから締める
+  if (left === 0 && state !== "checking") timeUpSpeedRun();
+}
+
+// 決着した 1 問をランに記録し、少し間を置いて次の問題へ
+function finishSpeedPuzzle() {
+  state = "finish";
+  pendingKeys = [];
+  const cleared = logic.isGameClear(game.guessWord[game.guessWord.length - 1]);
+  const nextPid = recordSpeedPuzzle(speedRun, game);
+  // 次の問題は先に保存しておく（間を置いている最中にリロードしても続きから始まる）
+  saveCurrentGame(newGame(nextPid, "speed"));
+  updateHeader();
+  if (cleared) {
+    playSfx("win");
+    winBurst([colorForState(CELL.CORRECT), colorForState(CELL.USED), 0x00d5ff]);
+    announce(tr("クリア。次の問題へ。", "Solved. Next puzzle."));
+  } else {
+    playSfx("lose");
+    toast(tr(`答え: ${logic.ans1.toUpperCase()} / ${logic.ans2.toUpperCase()}`, `Answers: ${logic.ans1.toUpperCase()} / ${logic.ans2.toUpperCase()}`));
+  }
+  if (speedTimeLeftMs(speedRun) === 0) {
+    timeUpSpeedRun();
+    return;
+  }
+  const session = gatherSession;
+  setTimeout(() => {
+    if (session === gatherSession && speedRun) render(["speed"]);
+  }, cleared ? 700 : 1400);
+}
+
+// ランを締めて記録し、実績を判定する。解いている途中の問題は core/speed-run.js が未クリアとして加える。
+function endSpeedRun() {
+  const run = speedRun ?? getCurrentRun();
+  stopSpeedClock();
+  speedRun = null;
+  state = "finish";
+  const record = finishSpeedRun(run, getCurrentGame("speed"));
+  clearCurrentGame("speed");
+  trackEvent("speed_run_finish", { level: record.level, solved: record.solved, ended_early: Boolean(record.endedEarly) });
+  const newly = checkOnSpeedRunFinish(record);
+  queueMicrotask(() => showFinishUnlocks(newly));
+  return record;
+}
+
+function timeUpSpeedRun() {
+  if (!speedRun) return;
+  const record = endSpeedRun();
+  playSfx("lose");
+  announce(tr(`時間切れ。${record.solved} 問クリア。`, `Time's up. ${record.solved} solved.`));
+  toast("TIME UP!");
+  const session = gatherSession;
+  setTimeout(() => {
+    if (session === gatherSession) navigate(`/speed/${record.startTime}`);
+  }, 1200);
+}
+
+async function requestEndSpeedRun() {
+  if (leavePromptOpen) return;
+  leavePromptOpen = true;
+  const { confirmModal } = await import("./modal.js?v=20260806-a");
+  const ok = await confirmModal(
+    tr("Speed Run を終了", "End Speed Run"),
+    tr(
+      "ここまでの記録でランを終了しますか？\n\n※残り時間は使えなくなります。",
+      "End this run with the puzzles solved so far?\n\nThe remaining time will be forfeited."
+    )
+  );
+  leavePromptOpen = false;
+  if (!ok || !speedRun) return;
+  const record = endSpeedRun();
+  navigate(`/speed/${record.startTime}`);
+}
+
+// 画面を離れている間に時間切れになったランを締める（Speed Run 画面から呼ぶ）。
+// force なら時間内でも締める（新しいランを始める前など）。
+// 締めたランの記録を返す。進行中のランが無い・まだ時間内なら null。
+export function settleSpeedRun({ force = false } = {}) {
+  const run = getCurrentRun();
+  if (!run || (!force && speedTimeLeftMs(run) > 0)) return null;
+  speedRun = run;
+  return endSpeedRun();
+}
+
+// ---- ホットシート ----
+
+function hotseatScoreText(score, index, turn) {
+  if (hotseat.style === "shared") {
+    return tr(
+      `${score.guesses} 手 ・ 緑 ${score.hits}${score.found ? " ✓" : ""}`,
+      `${score.guesses} G · ${score.hits} green${score.found ? " ✓" : ""}`
+    );
+  }
+  if (score.done) return score.clear ? tr(`${score.guesses} 手`, `${score.guesses} G`) : "MISS";
+  return index === turn ? tr("プレイ中", "Playing") : "—";
+}
+
+// 盤面の上の成績表。いま入力する人を強調する
+function updateHotseatBoard() {
+  hotseatBoardEl.hidden = !hotseat;
+  if (!hotseat) return;
+  const turn = state === "finish" ? -1 : currentPlayerIndex(hotseat, game);
+  hotseatBoardEl.replaceChildren(
+    ...hotseatScoreboard(hotseat, game).map((score, index) =>
+      el(
+        "span",
+        { class: `hotseat-score${index === turn ? " current" : ""}`, "aria-current": index === turn ? "true" : null },
+        el("span", { class: "hotseat-score-name" }, score.player),
+        el("span", { class: "hotseat-score-detail" }, hotseatScoreText(score, index, turn))
+      )
+    )
+  );
+}
+
+function announceHotseatTurn() {
+  const name = hotseat.players[currentPlayerIndex(hotseat, game)];
+  announce(tr(`${name} さんの番です。`, `${name}'s turn.`));
+}
+
+// separate: 盤面を次の人へ渡す案内。受け渡しを待つ間は時間に数えないよう、閉じた時刻から計る
+async function showHotseatHandover() {
+  const name = hotseat.players[hotseat.turn];
+  const session = gatherSession;
+  const { showModal } = await import("./modal.js?v=20260806-a");
+  if (session !== gatherSession) return;
+  let started = false;
+  const begin = () => {
+    if (started || session !== gatherSession || game.guessWord.length > 0) return;
+    started = true;
+    game.startTime = Math.floor(Date.now() / 1000);
+    saveCurrentGame(game);
+  };
+  showModal({
+    title: tr(`${name} さんの番`, `${name}'s turn`),
+    body: el(
+      "p",
+      { class: "hint" },
+      tr(
+        `端末を ${name} さんに渡してください。前の人の盤面は見えません。準備ができたら始めてください。`,
+        `Hand the device to ${name}. Earlier boards stay hidden. Start when ready.`
+      )
+    ),
+    actions: [{ label: tr("はじめる", "Start"), primary: true, onClick: begin }],
+    onClose: begin,
+  });
+}
+
+// 決着した盤面の処理。separate はまだ遊んでいない人がいれば空の盤面で次の人へ、
+// いなければ（shared は 1 つの盤面が決着したら）セッションを終えて順位へ
+function finishHotseatBoard() {
+  state = "finish";
+  pendingKeys = [];
+  refreshRemaining();
+  const cleared = logic.isGameClear(game.guessWord[game.guessWord.length - 1]);
+  if (cleared) {
+    playSfx("win");
+    winBurst([colorForState(CELL.CORRECT), colorForState(CELL.USED), 0x00d5ff]);
+  } else {
+    playSfx("lose");
+  }
+  const session = gatherSession;
+  if (hotseat.style === "separate") {
+    const player = hotseat.players[hotseat.turn];
+    const guesses = game.guessWord.length;
+    const more = recordHotseatBoard(hotseat, game);
+    toast(cleared ? tr(`${player}: ${guesses} 手でクリア`, `${player}: solved in ${guesses}`) : tr(`${player}: 失敗`, `${player}: missed`));
+    if (more) {
+      // 次の盤面は先に保存しておく（間を置いている最中にリロードしても次の人から始まる）
+      saveCurrentGame(newGame(hotseat.problemID, "hotseat"));
+      updateHeader();
+      setTimeout(() => {
+        if (session === gatherSession && hotseat) render(["hotseat"]);
+      }, cleared ? 900 : 700);
+      return;
+    }
+  }
+  updateHeader();
+  const record = endHotseat();
+  setTimeout(() => {
+    if (session === gatherSession) navigate(`/hotseat/${record.startTime}`);
+  }, cleared ? 1400 : 900);
+}
+
+// セッションを締めて記録する。遊んでいる途中の盤面は core/hotseat.js が扱う
+function endHotseat() {
+  const session = hotseat ?? getCurrentSession();
+  hotseat = null;
+  state = "finish";
+  const record = finishHotseat(session, getCurrentGame("hotseat"));
+  clearCurrentGame("hotseat");
+  if (hotseatBoardEl) updateHotseatBoard();
+  trackEvent("hotseat_finish", { style: record.style, players: record.players.length });
+  return record;
+}
+
+async function requestEndHotseat() {
+  if (leavePromptOpen) return;
+  leavePromptOpen = true;
+  const { confirmModal } = await import("./modal.js?v=20260806-a");
+  const ok = await confirmModal(
+    tr("ホットシートを終了", "End Hot Seat"),
+    tr(
+      "ここまでの結果で順位を出して終了しますか？\n\n※まだ遊んでいない人は最下位になります。",
+      "End the session and rank everyone by the results so far?\n\nPlayers who have not played yet are ranked last."
+    )
+  );
+  leavePromptOpen = false;
+  if (!ok || !hotseat) return;
+  const record = endHotseat();
+  navigate(`/hotseat/${record.startTime}`);
+}
+
+// 進行中のセッションを今の結果で締める（ホットシートの入口から、新しく始める前など）。
+// 締めたセッションの記録を返す。進行中のセッションが無ければ null。
+export function settleHotseat() {
+  if (!getCurrentSession()) return null;
+  hotseat = null;
+  return endHotseat();
+}
+
 // すでにプレイ済みなら確認してから開始する（原作の確認ダイアログ相当）
-export async function confirmAndStart(pid, mode) {
-  if (isDailyPID(pid) && pid !== todayPID()) {
+// archive: デイリーのアーカイブ（#/calendar）から開く。過去の日のデイリーも遊べる
+// pack / maxGuess はパズルパック（core/packs.js）から始めるときだけ渡す（newGame 参照）
+export async function confirmAndStart(pid, mode, { archive = false, pack = null, maxGuess = null } = {}) {
+  const pastDaily = isDailyPID(pid) && dailyDatePID(pid) < todayPID();
+  if (isDailyPID(pid) && pid !== todayPID() && !(archive && pastDaily)) {
     toast(
       tr(
         "過去・未来のDaily問題はプレイできません",
@@ -1035,6 +1737,10 @@ export async function confirmAndStart(pid, mode) {
     );
     return false;
   }
+  if (isFutureChallengePID(pid)) {
+    toast(tr("まだ始まっていないチャレンジです", "This challenge has not started yet"));
+    return false;
+  }
   const today = new Date().toDateString();
   const playedTodayGames = getHistory().filter((record) => {
     if (record.problemID !== pid) return false;
@@ -1102,7 +1808,7 @@ export async function confirmAndStart(pid, mode) {
     if (!ok) return false;
     discardGame(current);
   }
-  startNewGame(pid, mode);
+  startNewGame(pid, mode, { pack, maxGuess });
   // Cls.（旧出題）は実績の対象外。始めた時点で毎回知らせる（ヘッダの "Cls." だけでは伝わらない）
   if (isClassicPID(pid) && Date.now() / 1000 >= NEW_ERA.achievementCutoffSec) {
     toast(
@@ -1112,6 +1818,20 @@ export async function confirmAndStart(pid, mode) {
       )
     );
   }
+  if (isCustomPID(pid)) {
+    toast(tr("カスタム問題は実績の対象外です", "Custom puzzles do not count toward achievements"));
+  }
+  if (categoryForPID(pid)) {
+    toast(tr("テーマ別の問題は実績の対象外です", "Themed puzzles do not count toward achievements"));
+  }
+  if (pastDaily) {
+    // 切り替え前の日は原作と同じ旧出題なので、Cls. と同じく実績そのものの対象外
+    toast(
+      usesNewGenerator(pid)
+        ? tr("過去のデイリーは、デイリーの連続記録・実績に数えません", "Past Daily puzzles do not count toward Daily streaks or achievements")
+        : tr("2026-08-01 より前のデイリーは旧出題のため、実績の対象外です", "Daily puzzles before 2026-08-01 use the original generator and do not count toward achievements")
+    );
+  }
   return true;
 }
 
@@ -1124,8 +1844,16 @@ registerScreen("game", {
   onLeave() {
     // ブラウザの戻る操作やハッシュ遷移など、ヘッダーボタン以外の離脱も棄権として確定する。
     if (isExtraShotActive()) forfeitExtraShot();
+    stopSpeedClock(); // ランの時計は実時間で進み続ける（戻れば再開、時間切れなら結果へ）
+    if (game?.gameMode === "speed" || game?.gameMode === "hotseat" || lesson) setViewMood(null);
+    coachTrace?.stop();
+    coachTrace = null;
     gatherSession++;
     pendingKeys = [];
+    remainingSerial++;
+    liveWorker?.terminate();
+    liveWorker = null;
+    settleLiveQueries();
     cancelTileFlights();
     cancelExtraShotFx();
     rows.forEach((row) => {
@@ -2,11 +2,13 @@
 // BLOOD / SOLVE に TOOLS を入力し、緑・黄がどちらの答えの文字を
 // 参照した判定なのかを線とハイライトで順番に示す。
 // DWORDle では解説後、同じパネルを使って「全部緑でも不正解」の例を再生する。
+// チュートリアルのレッスン（core/tutorial.js）も、盤面の上で同じ線の解説を見せる（buildTracePanel）。
 
 import { el, effectiveZoom } from "./dom.js?v=20260806-a";
 import { showModal } from "./modal.js?v=20260806-a";
 import { playSfx } from "../audio/sound.js?v=20260806-a";
 import { queryWordPair, usoConvert } from "../core/logic.js?v=20260806-a";
+import { traceFeedback } from "../core/tutorial.js?v=20260806-a";
 import { currentLanguage } from "../core/i18n.js?v=20260806-a";
 import { getSettings } from "../core/settings.js?v=20260806-a";
 import { shouldReduceMotion } from "../core/motion.js?v=20260806-a";
@@ -64,41 +66,6 @@ function stopAnimation() {
   timers = [];
 }
 
-// 本体ロジックと同じ消費順で、各判定が参照した Word / 文字位置も記録する。
-function traceExample() {
-  const result = queryWordPair(EX.guess, EX.ans1, EX.ans2);
-  const flags = [Array(5).fill(0), Array(5).fill(0)];
-  const links = Array(5).fill(null);
-
-  for (let i = 0; i < 5; i++) {
-    if (result[i] !== "correct") continue;
-    if (EX.guess[i] === EX.ans1[i]) {
-      flags[0][i] = 1;
-      links[i] = { answer: 0, target: i, state: "correct" };
-    } else {
-      flags[1][i] = 1;
-      links[i] = { answer: 1, target: i, state: "correct" };
-    }
-  }
-  for (let i = 0; i < 5; i++) {
-    if (result[i] !== "used") continue;
-    for (let j = 0; j < 5; j++) {
-      if (i === j) continue;
-      if (!flags[0][j] && EX.guess[i] === EX.ans1[j]) {
-        flags[0][j] = 1;
-        links[i] = { answer: 0, target: j, state: "used" };
-        break;
-      }
-      if (!flags[1][j] && EX.guess[i] === EX.ans2[j]) {
-        flags[1][j] = 1;
-        links[i] = { answer: 1, target: j, state: "used" };
-        break;
-      }
-    }
-  }
-  return { result, links };
-}
-
 function buildWordRow(label, word) {
   const tiles = word
     .split("")
@@ -114,10 +81,74 @@ function buildWordRow(label, word) {
   };
 }
 
+// Guess のマスと、その判定が参照した答えのマスを線で結ぶ（解説の 1 コマ）。
+// 線と強調は box の中に描き、caption に「緑 T → Word 2・2 文字目（同位置）」の形で添える
+function reactionGuide({ box, guessTiles, answerRows, caption, reactionLine, isEnglish }) {
+  const c = colorWords(isEnglish);
+  const clearReaction = () => {
+    guessTiles.forEach((tile) => tile.classList.remove("reacting"));
+    answerRows.forEach((row) => {
+      row.element.classList.remove("checking-absent");
+      row.tiles.forEach((tile) => tile.classList.remove("reacting", "reaction-correct", "reaction-used"));
+    });
+    reactionLine.className = "help-reaction-line";
+  };
+
+  const showReaction = (guessIndex, link, guess) => {
+    clearReaction();
+    const from = guessTiles[guessIndex];
+    const to = answerRows[link.answer].tiles[link.target];
+    from.classList.add("reacting");
+    to.classList.add("reacting", `reaction-${link.state}`);
+
+    const boxRect = box.getBoundingClientRect();
+    const fromRect = from.getBoundingClientRect();
+    const toRect = to.getBoundingClientRect();
+    // 大画面での全体拡大（--app-zoom）下では rect は拡大後の px。
+    // style へ書き戻す座標は拡大前の座標系なので、倍率で割ってから使う
+    const zoom = effectiveZoom(box);
+    const x1 = (fromRect.left + fromRect.width / 2 - boxRect.left) / zoom;
+    const y1 = (fromRect.top - boxRect.top) / zoom;
+    const x2 = (toRect.left + toRect.width / 2 - boxRect.left) / zoom;
+    const y2 = (toRect.top + toRect.height / 2 - boxRect.top) / zoom;
+    const distance = Math.hypot(x2 - x1, y2 - y1);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const lineHalfHeight = reactionLine.offsetHeight / 2;
+    Object.assign(reactionLine.style, {
+      left: `${x1}px`,
+      top: `${y1 - lineHalfHeight}px`,
+      width: `${distance}px`,
+      transform: `rotate(${angle}rad)`,
+    });
+    reactionLine.className = `help-reaction-line show ${link.state}`;
+
+    const char = guess[guessIndex].toUpperCase();
+    const stateLabel = link.state === "correct" ? c.Green : c.Yellow;
+    const reason = link.state === "correct"
+      ? (isEnglish ? "same spot" : "同位置")
+      : (isEnglish ? "elsewhere" : "別位置");
+    caption.textContent = isEnglish
+      ? `${stateLabel} ${char} → Word ${link.answer + 1} #${link.target + 1} (${reason})`
+      : `${stateLabel} ${char} → Word ${link.answer + 1}・${link.target + 1} 文字目（${reason}）`;
+  };
+
+  const showNoMatch = (guessIndex, guess) => {
+    clearReaction();
+    guessTiles[guessIndex].classList.add("reacting");
+    answerRows.forEach((row) => row.element.classList.add("checking-absent"));
+    const char = guess[guessIndex].toUpperCase();
+    caption.textContent = isEnglish
+      ? `Gray ${char} → neither word`
+      : `灰 ${char} → どちらの Word にもなし`;
+  };
+
+  return { clearReaction, showReaction, showNoMatch };
+}
+
 function buildExample(mode, language) {
   const isEnglish = language === "en";
   const c = colorWords(isEnglish);
-  const { result: trueResult, links } = traceExample();
+  const { result: trueResult, links } = traceFeedback(EX.guess, EX.ans1, EX.ans2);
   const allGreenResult = queryWordPair(ALL_GREEN_EX.guess, ALL_GREEN_EX.ans1, ALL_GREEN_EX.ans2);
   const answerRows = [
     buildWordRow("Word 1", EX.ans1),
@@ -157,14 +188,7 @@ function buildExample(mode, language) {
     });
   };
 
-  const clearReaction = () => {
-    guessTiles.forEach((tile) => tile.classList.remove("reacting"));
-    answerRows.forEach((row) => {
-      row.element.classList.remove("checking-absent");
-      row.tiles.forEach((tile) => tile.classList.remove("reacting", "reaction-correct", "reaction-used"));
-    });
-    reactionLine.className = "help-reaction-line";
-  };
+  const { clearReaction, showReaction, showNoMatch } = reactionGuide({ box, guessTiles, answerRows, caption, reactionLine, isEnglish });
 
   const switchExample = (nextExample) => {
     box.classList.remove("help-example-switch-in");
@@ -178,54 +202,6 @@ function buildExample(mode, language) {
     }, TIMING.switchOutMs);
   };
 
-  const showReaction = (guessIndex, link, example = EX) => {
-    clearReaction();
-    const from = guessTiles[guessIndex];
-    const to = answerRows[link.answer].tiles[link.target];
-    from.classList.add("reacting");
-    to.classList.add("reacting", `reaction-${link.state}`);
-
-    const boxRect = box.getBoundingClientRect();
-    const fromRect = from.getBoundingClientRect();
-    const toRect = to.getBoundingClientRect();
-    // 大画面での全体拡大（--app-zoom）下では rect は拡大後の px。
-    // style へ書き戻す座標は拡大前の座標系なので、倍率で割ってから使う
-    const zoom = effectiveZoom(box);
-    const x1 = (fromRect.left + fromRect.width / 2 - boxRect.left) / zoom;
-    const y1 = (fromRect.top - boxRect.top) / zoom;
-    const x2 = (toRect.left + toRect.width / 2 - boxRect.left) / zoom;
-    const y2 = (toRect.top + toRect.height / 2 - boxRect.top) / zoom;
-    const distance = Math.hypot(x2 - x1, y2 - y1);
-    const angle = Math.atan2(y2 - y1, x2 - x1);
-    const lineHalfHeight = reactionLine.offsetHeight / 2;
-    Object.assign(reactionLine.style, {
-      left: `${x1}px`,
-      top: `${y1 - lineHalfHeight}px`,
-      width: `${distance}px`,
-      transform: `rotate(${angle}rad)`,
-    });
-    reactionLine.className = `help-reaction-line show ${link.state}`;
-
-    const char = example.guess[guessIndex].toUpperCase();
-    const stateLabel = link.state === "correct" ? c.Green : c.Yellow;
-    const reason = link.state === "correct"
-      ? (isEnglish ? "same spot" : "同位置")
-      : (isEnglish ? "elsewhere" : "別位置");
-    caption.textContent = isEnglish
-      ? `${stateLabel} ${char} → Word ${link.answer + 1} #${link.target + 1} (${reason})`
-      : `${stateLabel} ${char} → Word ${link.answer + 1}・${link.target + 1} 文字目（${reason}）`;
-  };
-
-  const showNoMatch = (guessIndex) => {
-    clearReaction();
-    guessTiles[guessIndex].classList.add("reacting");
-    answerRows.forEach((row) => row.element.classList.add("checking-absent"));
-    const char = EX.guess[guessIndex].toUpperCase();
-    caption.textContent = isEnglish
-      ? `Gray ${char} → neither word`
-      : `灰 ${char} → どちらの Word にもなし`;
-  };
-
   // 元の判定色から、実際に選ばれた嘘の色へ一度だけ反転する。
   const showLieResult = (lieResult) => {
     guessTiles.forEach((tile) => tile.classList.remove("flip", "lied"));
@@ -294,7 +270,7 @@ function buildExample(mode, language) {
     const reactions = links.map((link, index) => ({ link, index }));
     reactions.forEach(({ link, index }, order) => {
       later(
-        () => (link ? showReaction(index, link) : showNoMatch(index)),
+        () => (link ? showReaction(index, link, EX.guess) : showNoMatch(index, EX.guess)),
         revealDone + 300 + order * TIMING.reactionMs
       );
     });
@@ -360,7 +336,7 @@ function buildExample(mode, language) {
     }));
     reactions.forEach(({ link, index }, order) => {
       later(
-        () => showReaction(index, link, ALL_GREEN_EX),
+        () => showReaction(index, link, ALL_GREEN_EX.guess),
         revealDone + 300 + order * TIMING.reactionMs
       );
     });
@@ -437,6 +413,71 @@ function buildExample(mode, language) {
   return box;
 }
 
+// チュートリアルのレッスン（ゲーム画面）用: 答えの組と 1 行の Guess を並べ、各マスの判定が
+// どちらの答えから来たのかを遊び方と同じ線で 1 マスずつ示す。shown（DWORDlie で実際に見せた嘘の判定）を
+// 渡すと、本当の判定で結び終えたあとに嘘の色へ反転する。タップでもう一度再生する。
+// 戻り値の stop() で再生を止める（盤面を離れるとき用）
+export function buildTracePanel({ answers, guess, shown = null }) {
+  const isEnglish = currentLanguage() === "en";
+  let panelTimers = [];
+  const after = (fn, ms) => panelTimers.push(setTimeout(fn, ms));
+  const { result, links } = traceFeedback(guess, answers[0], answers[1]);
+  const answerRows = answers.map((word, index) => buildWordRow(`Word ${index + 1}`, word));
+  const guessTiles = [...guess].map((char) => el("div", { class: "rcell htile big" }, char));
+  const guessRow = el(
+    "div",
+    { class: "help-ans-line", "aria-hidden": "true" },
+    el("span", { class: "hint help-ans-spacer" }, "Word 1"),
+    el("div", { class: "help-anim-row" }, guessTiles)
+  );
+  const caption = el("div", { class: "help-caption", "aria-live": "polite" }, "\u00a0");
+  const reactionLine = el("div", { class: "help-reaction-line", "aria-hidden": "true" });
+  const box = el(
+    "div",
+    { class: "help-example-box tutorial-trace", title: isEnglish ? "Tap to replay" : "タップでもう一度" },
+    el("div", { class: "help-answers" }, answerRows.map((row) => row.element)),
+    el("div", { class: "help-guess-area" }, guessRow),
+    caption,
+    reactionLine
+  );
+  const guide = reactionGuide({ box, guessTiles, answerRows, caption, reactionLine, isEnglish });
+
+  const stop = () => {
+    panelTimers.forEach(clearTimeout);
+    panelTimers = [];
+    guide.clearReaction();
+  };
+  const play = () => {
+    stop();
+    guessTiles.forEach((tile, index) => {
+      tile.classList.remove(...FEEDBACK_STATES, "flip", "lied");
+      tile.classList.add(result[index]);
+    });
+    caption.textContent = shown ? (isEnglish ? "The true feedback was…" : "本当の判定は…") : "\u00a0";
+    links.forEach((link, index) => {
+      after(() => (link ? guide.showReaction(index, link, guess) : guide.showNoMatch(index, guess)), 300 + index * TIMING.reactionMs);
+    });
+    after(() => {
+      guide.clearReaction();
+      if (!shown) {
+        caption.textContent = isEnglish ? "Tap to replay" : "タップでもう一度";
+        return;
+      }
+      caption.textContent = isEnglish ? "…and the colors you were shown" : "……実際に表示された色";
+      guessTiles.forEach((tile) => tile.classList.add("flip"));
+      after(() => {
+        guessTiles.forEach((tile, index) => {
+          tile.classList.remove(...FEEDBACK_STATES);
+          tile.classList.add(shown[index], "lied");
+        });
+      }, TIMING.lieFlipMs / 2);
+    }, 300 + links.length * TIMING.reactionMs);
+  };
+  box.addEventListener("click", play);
+  after(play, 80);
+  return { element: box, stop };
+}
+
 function localizedBody(mode, language) {
   const isEnglish = language === "en";
   const c = colorWords(isEnglish);
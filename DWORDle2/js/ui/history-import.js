@@ -10,12 +10,24 @@ import { tr } from "../core/i18n.js?v=20260806-a";
 // withAchievements=false のとき（「実績は解除しない」を選んだインポート）は、
 // 実績の再集計も migrate 実績も走らせない。取り込まれたレコード自体は
 // noAchievements 付きで保存されるため、後からの再集計でも解除されない。
-export function finishHistoryImport(added, { withAchievements = true } = {}) {
+// synced は端末間の同期（core/sync.js の syncWith の戻り値）。通知を同期の結果に差し替える。
+export function finishHistoryImport(added, { withAchievements = true, synced = null } = {}) {
   _reload();
   const newly = withAchievements ? reconcileAchievementsFromHistory() : [];
   if (withAchievements && added > 0) newly.push(...checkOnEvent("migrate"));
 
-  if (added > 0) {
+  if (synced) {
+    toast(
+      !synced.pulled
+        ? tr("同期先に今の履歴と実績を書き出しました", "Saved your history and achievements to the sync target")
+        : added > 0 || synced.achievements > 0
+          ? tr(
+              `同期しました（プレイ ${added} 件・実績 ${synced.achievements} 個を取り込み）`,
+              `Synced (${added} ${added === 1 ? "play" : "plays"} and ${synced.achievements} ${synced.achievements === 1 ? "achievement" : "achievements"} merged)`
+            )
+          : tr("同期しました（新しく取り込むものはありませんでした）", "Synced (nothing new to merge)")
+    );
+  } else if (added > 0) {
     toast(tr(`${added} 件のプレイ履歴をマージしました`, `Merged ${added} play ${added === 1 ? "record" : "records"}`));
   } else if (newly.length > 0) {
     toast(
@@ -3,15 +3,17 @@
 
 import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
 import { registerScreen, navigate } from "./app.js?v=20260806-a";
-import { getRecentGames, getStatistics, MODES, getExtraShot } from "../core/records.js?v=20260806-a";
+import { getRecentGames, getStatistics, MODES, getExtraShot, maxGuessForRecord } from "../core/records.js?v=20260806-a";
 import { Logic, CELL } from "../core/logic.js?v=20260806-a";
-import { pidLabel } from "../core/problems.js?v=20260806-a";
+import { LENGTH_SETS, MULTI_SETS, multiSetForAnswers, pidLabel } from "../core/problems.js?v=20260806-a";
 import { playSfx } from "../audio/sound.js?v=20260806-a";
 import { showModal } from "./modal.js?v=20260806-a";
 import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
 import { icon } from "./icons.js?v=20260806-a";
 import { currentLanguage, tr } from "../core/i18n.js?v=20260806-a";
 import { rowAriaLabel } from "./a11y.js?v=20260806-a";
+import { hasExternalHistory } from "../core/external-history.js?v=20260806-a";
+import { showExternalStats } from "./external-stats.js?v=20260806-a";
 
 let root = null;
 let filter = "all"; // "all" | "normal" | "uso"
@@ -55,15 +57,23 @@ function miniGrid(record) {
 
 function showStats() {
   // barBase: バーの時差アニメの通し番号の起点（表→裏へと連続して波打たせる）
-  const statBlock = (mode, barBase) => {
-    const s = getStatistics(mode);
+  const statBlock = (mode, barBase, { hard, answers, length } = {}) => {
+    const s = getStatistics(mode, { hard, answers, length });
     const winPct = s.count ? Math.round((100 * s.win) / s.count) : 0;
-    const maxGuess = MODES[mode].maxGuess;
+    const multi = answers === undefined ? null : multiSetForAnswers(answers);
+    const maxGuess = MODES[mode].maxGuess + (multi?.extraGuesses ?? 0);
     const maxFreq = Math.max(1, ...Object.values(s.hist));
     return el(
       "div",
       { class: "card", style: { display: "flex", flexDirection: "column", gap: "8px" } },
-      el("div", { style: { fontWeight: "800" } }, MODES[mode].title),
+      el(
+        "div",
+        { style: { fontWeight: "800" } },
+        MODES[mode].title,
+        hard ? el("span", { class: "mode-chip hard", style: { marginLeft: "6px" } }, "HARD") : null,
+        multi ? el("span", { class: "mode-chip multi", style: { marginLeft: "6px" } }, multi.key.toUpperCase()) : null,
+        length ? el("span", { class: "mode-chip length", style: { marginLeft: "6px" } }, `${length}L`) : null
+      ),
       el(
         "div",
         { class: "stat-metrics" },
@@ -101,9 +111,42 @@ function showStats() {
       )
     );
   };
+  // ハードモードの内訳は、遊んだことのあるモードだけ続けて出す
+  const breakdownBlocks = [];
+  let breakdownBarBase = MODES.normal.maxGuess + MODES.uso.maxGuess;
+  for (const mode of ["normal", "uso"]) {
+    if (getStatistics(mode, { hard: true }).count === 0) continue;
+    breakdownBlocks.push(statBlock(mode, breakdownBarBase, { hard: true }));
+    breakdownBarBase += MODES[mode].maxGuess;
+  }
+  // TRIWORDle / QUADWORDle の内訳も同じく、遊んだことのあるものだけ
+  for (const mode of ["normal", "uso"]) {
+    for (const set of MULTI_SETS) {
+      if (getStatistics(mode, { answers: set.answers }).count === 0) continue;
+      breakdownBlocks.push(statBlock(mode, breakdownBarBase, { answers: set.answers }));
+      breakdownBarBase += MODES[mode].maxGuess + set.extraGuesses;
+    }
+  }
+  // 4・6・7 文字版も同じく
+  for (const mode of ["normal", "uso"]) {
+    for (const set of LENGTH_SETS) {
+      if (getStatistics(mode, { length: set.length }).count === 0) continue;
+      breakdownBlocks.push(statBlock(mode, breakdownBarBase, { length: set.length }));
+      breakdownBarBase += MODES[mode].maxGuess;
+    }
+  }
   showModal({
     title: tr("統計", "Statistics"),
-    body: [statBlock("normal", 0), statBlock("uso", MODES.normal.maxGuess)],
+    body: [
+      statBlock("normal", 0),
+      statBlock("uso", MODES.normal.maxGuess),
+      ...breakdownBlocks,
+      el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/stats"); } }, icon("chart"), tr("グラフで見る（統計ダッシュボード）", "Charts (Statistics Dashboard)")),
+      // 取り込んだほかのワードゲームの記録は、本作の統計と混ぜずに別のダイアログで見せる
+      hasExternalHistory()
+        ? el("button", { class: "btn", onclick: () => { playSfx("ui"); showExternalStats(); } }, icon("chart"), tr("ほかのワードゲームの統計", "Other word games"))
+        : null,
+    ],
     actions: [{ label: tr("閉じる", "Close"), primary: true, onClick: () => {} }],
   });
 }
@@ -422,7 +465,7 @@ function renderList() {
         : tr("フィルタ条件を変更してください。", "Try changing the filters.")));
   }
   for (const g of visibleGames) {
-    const maxGuess = MODES[g.gameMode].maxGuess;
+    const maxGuess = maxGuessForRecord(g);
     const discarded = Boolean(g.discarded);
     const doubleClear = Boolean(getExtraShot(g)?.success); // EXTRA SHOT 成功は金バッジ + 星
     const resultJa = discarded ? "破棄" : g.clear ? (doubleClear ? "ダブルクリア" : "成功") : "失敗";
@@ -454,7 +497,9 @@ function renderList() {
             "div",
             { class: "line1" },
             pidLabel(g.problemID),
-            el("span", { class: `mode-chip ${g.gameMode === "uso" ? "uso" : ""}` }, MODES[g.gameMode].title)
+            el("span", { class: `mode-chip ${g.gameMode === "uso" ? "uso" : ""}` }, MODES[g.gameMode].title),
+            g.hard ? el("span", { class: "mode-chip hard" }, "HARD") : null,
+            g.assisted ? el("span", { class: "mode-chip assisted" }, "ASSIST") : null
           ),
           el(
             "div",
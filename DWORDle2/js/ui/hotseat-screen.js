@@ -0,0 +1,422 @@
+// ホットシートの入口（メンバー・遊び方・レベル選択・プレイヤー別の成績）と、1 回のセッションの順位画面。
+// ルート: #/hotseat              入口
+//         #/hotseat/<startTime>  順位
+//
+// セッションそのものはゲーム画面（#/game/hotseat）で遊ぶ。記録の形式は core/hotseat.js を参照。
+
+import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate } from "./app.js?v=20260806-a";
+import { MODES, hotseatPlayerStats } from "../core/records.js?v=20260806-a";
+import { Logic } from "../core/logic.js?v=20260806-a";
+import { LEVELS, levelForPID, pidLabel, pidRangeForLevel } from "../core/problems.js?v=20260806-a";
+import {
+  HOTSEAT_MAX_PLAYERS,
+  HOTSEAT_MIN_PLAYERS,
+  findHotseatSession,
+  getCurrentSession,
+  getHotseatSessions,
+  lastPlayers,
+  startHotseat,
+  validatePlayers,
+} from "../core/hotseat.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { settleHotseat, startNewGame } from "./game-screen.js?v=20260806-a";
+import { NAME_MAX_CHARS, playerCardName, sanitizeName } from "./player-card.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { localizedLevel, tr } from "../core/i18n.js?v=20260806-a";
+
+const RECENT_SESSIONS = 10; // 入口に並べる最近のセッションの数
+
+let root = null;
+// 入口で編集中のメンバーと遊び方（画面を行き来しても入力を残す）
+let draftPlayers = null;
+let draftStyle = "shared";
+
+function build() {
+  root = document.getElementById("screen-hotseat");
+}
+
+function styleName(style) {
+  return style === "shared" ? tr("1 つの盤面を交代で", "Shared board") : tr("1 人ずつ別の盤面", "Separate boards");
+}
+
+function levelName(level) {
+  return `Lv.${level.id} ${localizedLevel(level).name}`;
+}
+
+function header(title, back) {
+  return el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("前の画面へ戻る", "Back"), onclick: () => { playSfx("ui"); navigate(back); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, title),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+}
+
+// 前回のメンバー。初めてならプレイヤーカードの名前を 1 人目に入れる
+function initialPlayers() {
+  const last = lastPlayers();
+  if (last.length >= HOTSEAT_MIN_PLAYERS) return last.slice();
+  return [playerCardName(), ""];
+}
+
+async function startSession(players, style, level) {
+  playSfx("ui");
+  const names = players.map(sanitizeName);
+  const invalid = validatePlayers(names);
+  if (invalid) {
+    toast(
+      invalid === "empty"
+        ? tr("全員の名前を入れてください", "Enter a name for every player")
+        : invalid === "duplicate"
+        ? tr("同じ名前の人がいます", "Player names must be different")
+        : tr(`${HOTSEAT_MIN_PLAYERS}〜${HOTSEAT_MAX_PLAYERS} 人で遊べます`, `${HOTSEAT_MIN_PLAYERS}–${HOTSEAT_MAX_PLAYERS} players`)
+    );
+    return;
+  }
+  if (getCurrentSession()) {
+    const { confirmModal } = await import("./modal.js?v=20260806-a");
+    const ok = await confirmModal(
+      tr("進行中のホットシート", "Session in progress"),
+      tr(
+        "進行中のホットシートをここまでの結果で終了し、新しく始めますか？",
+        "End the current session with its results so far and start a new one?"
+      )
+    );
+    if (!ok) return;
+    settleHotseat();
+  }
+  const [lo, hi] = pidRangeForLevel(level);
+  const pid = lo + Math.floor(Math.random() * (hi - lo + 1));
+  startHotseat({ players: names, style, pid });
+  startNewGame(pid, "hotseat");
+}
+
+function playersCard() {
+  const list = el("div", { class: "hotseat-players" });
+  const refresh = () => {
+    list.replaceChildren(
+      ...draftPlayers.map((name, index) =>
+        el(
+          "div",
+          { class: "hotseat-player-row" },
+          el("span", { class: "hotseat-player-no" }, `${index + 1}`),
+          el("input", {
+            type: "text",
+            class: "hotseat-player-name",
+            value: name,
+            maxlength: String(NAME_MAX_CHARS),
+            placeholder: tr(`プレイヤー ${index + 1}`, `Player ${index + 1}`),
+            "aria-label": tr(`プレイヤー ${index + 1} の名前`, `Player ${index + 1} name`),
+            oninput: (e) => {
+              draftPlayers[index] = e.target.value;
+            },
+          }),
+          draftPlayers.length > HOTSEAT_MIN_PLAYERS
+            ? el(
+                "button",
+                {
+                  class: "icon-btn",
+                  "aria-label": tr(`プレイヤー ${index + 1} を外す`, `Remove player ${index + 1}`),
+                  onclick: () => {
+                    playSfx("ui");
+                    draftPlayers.splice(index, 1);
+                    refresh();
+                  },
+                },
+                icon("x", 16)
+              )
+            : null
+        )
+      ),
+      draftPlayers.length < HOTSEAT_MAX_PLAYERS
+        ? el(
+            "button",
+            {
+              class: "btn hotseat-add",
+              onclick: () => {
+                playSfx("ui");
+                draftPlayers.push("");
+                refresh();
+              },
+            },
+            tr("＋ プレイヤーを追加", "+ Add player")
+          )
+        : null
+    );
+  };
+  refresh();
+
+  const styleButtons = ["shared", "separate"].map((style) =>
+    el(
+      "button",
+      {
+        class: draftStyle === style ? "active" : "",
+        "aria-pressed": draftStyle === style ? "true" : "false",
+        onclick: (e) => {
+          playSfx("ui");
+          draftStyle = style;
+          for (const button of e.currentTarget.parentElement.children) {
+            const on = button === e.currentTarget;
+            button.classList.toggle("active", on);
+            button.setAttribute("aria-pressed", on ? "true" : "false");
+          }
+        },
+      },
+      styleName(style)
+    )
+  );
+
+  return el(
+    "div",
+    { class: "card" },
+    el("h2", {}, tr("メンバー", "Players")),
+    list,
+    el("h2", {}, tr("遊び方", "Style")),
+    el("div", { class: "seg" }, styleButtons),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "交代: 1 手ずつ順番に Guess し、答えを当てた人の勝ち。別の盤面: 同じ問題を 1 人ずつ遊び、クリア → 手数 → 時間で比べます。",
+        "Shared: take turns one Guess at a time; whoever finds an answer wins. Separate: everyone plays the same puzzle in turn, ranked by solving, then Guesses, then time."
+      )
+    )
+  );
+}
+
+function renderHub() {
+  if (!draftPlayers) draftPlayers = initialPlayers();
+  const current = getCurrentSession();
+
+  const intro = el(
+    "div",
+    { class: "card speed-intro" },
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        `1 台の端末を回して ${HOTSEAT_MIN_PLAYERS}〜${HOTSEAT_MAX_PLAYERS} 人で同じ問題を遊びます。ルールは DWORDle と同じで、${MODES.hotseat.maxGuess} 手まで。`,
+        `Pass one device around so ${HOTSEAT_MIN_PLAYERS}–${HOTSEAT_MAX_PLAYERS} players play the same puzzle. Same rules as DWORDle, up to ${MODES.hotseat.maxGuess} Guesses.`
+      )
+    ),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "記録はプレイヤーごとに残り、あなたのプレイ履歴・統計・実績には数えません。",
+        "Results are kept per player and do not count toward your own history, statistics, or achievements."
+      )
+    )
+  );
+
+  const resume = current
+    ? el(
+        "div",
+        { class: "hotseat-resume" },
+        el(
+          "button",
+          { class: "btn btn-primary", onclick: () => { playSfx("ui"); navigate("/game/hotseat"); } },
+          icon("play"),
+          tr(
+            `続きから（${pidLabel(current.problemID)}・${current.players.length} 人）`,
+            `Continue (${pidLabel(current.problemID)} · ${current.players.length} players)`
+          )
+        ),
+        el(
+          "button",
+          {
+            class: "btn",
+            onclick: () => {
+              playSfx("ui");
+              const record = settleHotseat();
+              if (record) navigate(`/hotseat/${record.startTime}`);
+            },
+          },
+          tr("ここで終えて順位を見る", "End and see ranking")
+        )
+      )
+    : null;
+
+  const levelButtons = LEVELS.map((level) =>
+    el(
+      "button",
+      { class: "btn random-level-option", onclick: () => void startSession(draftPlayers, draftStyle, level) },
+      el("span", { class: "random-level-name" }, levelName(level)),
+      el("span", { class: "hint random-level-desc" }, tr("ランダムな No. 問題", "Random No. puzzle"))
+    )
+  );
+
+  const stats = hotseatPlayerStats();
+  const statsCard = stats.length > 0
+    ? el(
+        "div",
+        { class: "card" },
+        el("h2", {}, tr("プレイヤー別の成績", "By player")),
+        el(
+          "table",
+          { class: "speed-bests" },
+          el(
+            "thead",
+            {},
+            el(
+              "tr",
+              {},
+              el("th", { scope: "col" }, tr("名前", "Name")),
+              el("th", { scope: "col" }, tr("参加", "Played")),
+              el("th", { scope: "col" }, tr("1 位", "1st")),
+              el("th", { scope: "col" }, tr("クリア", "Solved"))
+            )
+          ),
+          el(
+            "tbody",
+            {},
+            stats.map((entry) =>
+              el(
+                "tr",
+                {},
+                el("th", { scope: "row" }, entry.player),
+                el("td", {}, entry.plays),
+                el("td", {}, entry.wins),
+                el("td", {}, entry.clears)
+              )
+            )
+          )
+        )
+      )
+    : null;
+
+  const recent = getHotseatSessions().slice(-RECENT_SESSIONS).reverse();
+  const recentCard = recent.length > 0
+    ? el(
+        "div",
+        { class: "card" },
+        el("h2", {}, tr("最近のセッション", "Recent sessions")),
+        el(
+          "div",
+          { class: "speed-runs" },
+          recent.map((session) =>
+            el(
+              "button",
+              { class: "speed-run-item", onclick: () => { playSfx("ui"); navigate(`/hotseat/${session.startTime}`); } },
+              el("span", { class: "speed-run-solved" }, pidLabel(session.problemID)),
+              el("span", {}, winnerText(session)),
+              el("span", { class: "hint" }, fmtDateTime(session.startTime))
+            )
+          )
+        )
+      )
+    : null;
+
+  root.append(
+    header("Hot Seat", "/"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      intro,
+      resume,
+      playersCard(),
+      el("div", { class: "speed-levels" }, levelButtons),
+      statsCard,
+      recentCard
+    )
+  );
+}
+
+function winnerText(session) {
+  const winners = session.scores.filter((score) => score.rank === 1);
+  if (winners.length === session.scores.length) return tr("引き分け", "Draw");
+  return tr(`1 位 ${winners.map((score) => score.player).join("・")}`, `1st: ${winners.map((score) => score.player).join(", ")}`);
+}
+
+function scoreDetail(session, score) {
+  if (session.style === "shared") {
+    return tr(
+      `${score.found ? "答えを当てた ・ " : ""}${score.guesses} 手 ・ 緑 ${score.hits}`,
+      `${score.found ? "Found an answer · " : ""}${score.guesses} Guesses · ${score.hits} green`
+    );
+  }
+  if (!score.done) return tr("未プレイ", "Did not play");
+  const time = `${Math.floor(score.elapsedSec / 60)}:${String(score.elapsedSec % 60).padStart(2, "0")}`;
+  return score.clear
+    ? tr(`クリア ${score.guesses} 手 ・ ${time}`, `Solved in ${score.guesses} · ${time}`)
+    : tr(`失敗 ・ ${time}`, `Missed · ${time}`);
+}
+
+function renderSession(startTime) {
+  const session = findHotseatSession(startTime);
+  if (!session) {
+    root.append(
+      header("Hot Seat", "/hotseat"),
+      el("div", { class: "list-screen-body" }, el("div", { class: "card" }, tr("記録が見つかりません", "Session not found")))
+    );
+    return;
+  }
+  const logic = new Logic(session.problemID);
+  const level = levelForPID(session.problemID);
+
+  root.append(
+    header(tr("ホットシートの順位", "Hot Seat ranking"), "/hotseat"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el("div", { class: "result-title clear" }, winnerText(session)),
+      el(
+        "div",
+        { class: "hint" },
+        `${pidLabel(session.problemID)} ・ ${styleName(session.style)} ・ ${fmtDateTime(session.startTime)}`
+      ),
+      el(
+        "ol",
+        { class: "card hotseat-ranking" },
+        session.scores.map((score) =>
+          el(
+            "li",
+            { class: `hotseat-rank${score.rank === 1 ? " first" : ""}` },
+            el("span", { class: "hotseat-rank-no" }, score.rank === 1 ? icon("crown", 18) : `${score.rank}`),
+            el("span", { class: "hotseat-rank-name" }, score.player),
+            el("span", { class: "hint" }, scoreDetail(session, score))
+          )
+        )
+      ),
+      el("div", { class: "card speed-puzzle-words" }, tr(`答え: ${logic.answers.map((word) => word.toUpperCase()).join(" / ")}`, `Answers: ${logic.answers.map((word) => word.toUpperCase()).join(" / ")}`)),
+      el(
+        "div",
+        { class: "result-actions" },
+        level
+          ? el(
+              "button",
+              { class: "btn btn-primary", onclick: () => void startSession(session.players, session.style, level) },
+              icon("retry"),
+              tr("同じメンバーでもう一度", "Play again with the same players")
+            )
+          : null,
+        el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/hotseat"); } }, icon("users"), "Hot Seat")
+      )
+    )
+  );
+}
+
+function render(args) {
+  if (!root) build();
+  clear(root);
+  const startTime = Number(args[0]);
+  if (args[0] !== undefined && Number.isInteger(startTime)) renderSession(startTime);
+  else renderHub();
+}
+
+registerScreen("hotseat", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
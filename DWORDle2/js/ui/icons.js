@@ -74,6 +74,8 @@ const ICONS = {
   // 新実績（深淵の両取り / 双璧の連鎖）用
   deepGem: '<path d="M12 2.5 21 9l-9 12.5L3 9Z"/><path d="m8.5 8.5 3.5 3.5 3.5-3.5M8.5 13l3.5 3.5 3.5-3.5"/>',
   chain: '<path d="m9.4 14.6 5.2-5.2"/><path d="m13.1 6.9 1.5-1.5a3.6 3.6 0 0 1 5.1 5.1l-1.5 1.5M10.9 17.1l-1.5 1.5a3.6 3.6 0 0 1-5.1-5.1l1.5-1.5"/>',
+  // ホットシート（1 台を回して遊ぶ）用
+  users: '<circle cx="9" cy="8" r="3.2"/><path d="M3.5 19c.6-3.4 2.8-5.2 5.5-5.2s4.9 1.8 5.5 5.2"/><path d="M15.5 5.2a3 3 0 0 1 0 5.6M17 13.9c1.9.5 3.1 2.2 3.5 5.1"/>',
 };
 
 // SVG 要素を生成
@@ -0,0 +1,261 @@
+// パズルパックの一覧と取り込み、パックごとの問題一覧。
+// ルート: #/packs（一覧と取り込み）、#/packs/<id>（そのパックの問題）
+//
+// パックの形式と保存は core/packs.js、進み具合は records.js の buildPackProgress（履歴から数える）。
+// 問題は通常のゲームとして遊び、記録に pack: { id, index } を付ける（game-screen.js の confirmAndStart）。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, redirect, getAppMode, setAppMode } from "./app.js?v=20260806-a";
+import { getInstalledPacks, installPack, packById, packMode, packPuzzleMaxGuess, readPackText, removePack } from "../core/packs.js?v=20260806-a";
+import { MODES, buildPackProgress } from "../core/records.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { confirmModal } from "./modal.js?v=20260806-a";
+import { confirmAndStart } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+
+function build() {
+  root = document.getElementById("screen-packs");
+}
+
+// core/packs.js が投げるメッセージの英語版
+function englishPackError(message) {
+  if (message === "JSON として読み取れませんでした") return "Could not parse this as JSON";
+  if (message === "パズルパックの JSON ではないようです（title と puzzles が必要です）") return "This does not look like a puzzle pack (title and puzzles are required)";
+  if (message === "title が空です") return "The title is empty";
+  if (message === "パックに問題がありません") return "The pack has no puzzles";
+  if (message === "mode は normal か uso にしてください") return "mode must be normal or uso";
+  if (message === "id は英数字・-・_ の 64 文字までにしてください") return "id must be up to 64 letters, digits, - or _";
+  const max = message.match(/^問題は (\d+) 問までです$/);
+  if (max) return `A pack can hold up to ${max[1]} puzzles`;
+  const puzzle = message.match(/^(\d+) 問目: (.*)$/);
+  if (!puzzle) return "Could not read this pack";
+  const [, n, detail] = puzzle;
+  const word = detail.match(/^(.+) は単語リストにありません$/);
+  const pid = detail.match(/^(.+) は問題番号として使えません$/);
+  const limit = detail.match(/^maxGuess は 1〜(\d+) の整数にしてください$/);
+  const english = word
+    ? `${word[1]} is not in the word list`
+    : pid
+      ? `${pid[1]} is not a usable puzzle number`
+      : limit
+        ? `maxGuess must be a whole number from 1 to ${limit[1]}`
+        : detail === "answers か pid のどちらかが必要です"
+          ? "needs either answers or pid"
+          : detail === "answers は 2 語にしてください"
+            ? "answers must be two words"
+            : detail === "2 つの答えが同じです"
+              ? "the two answers are the same"
+              : detail === "デイリーの問題はパックに入れられません"
+                ? "Daily puzzles cannot be put in a pack"
+                : "could not be read";
+  return `Puzzle ${n}: ${english}`;
+}
+
+function header(title, back) {
+  return el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": back === "/" ? tr("タイトルへ戻る", "Back to title") : tr("戻る", "Back"), onclick: () => { playSfx("ui"); navigate(back); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, title),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+}
+
+function modeChip(pack) {
+  return pack.mode ? el("span", { class: `mode-chip ${pack.mode === "uso" ? "uso" : ""}` }, MODES[pack.mode].title) : null;
+}
+
+function install(text) {
+  try {
+    const { pack, replaced } = installPack(readPackText(text));
+    playSfx("ui");
+    toast(
+      replaced
+        ? tr(`「${pack.title}」を新しい内容に置き換えました（${pack.puzzles.length} 問）`, `Updated “${pack.title}” (${pack.puzzles.length} puzzles)`)
+        : tr(`「${pack.title}」を取り込みました（${pack.puzzles.length} 問）`, `Installed “${pack.title}” (${pack.puzzles.length} puzzles)`)
+    );
+    return true;
+  } catch (e) {
+    toast(tr(e.message, englishPackError(e.message)));
+    return false;
+  }
+}
+
+function importCard() {
+  const ta = el("textarea", { placeholder: tr("パズルパックの JSON を貼り付け", "Paste a puzzle pack JSON"), "aria-label": tr("パズルパックの JSON", "Puzzle pack JSON") });
+  const fileInput = el("input", {
+    type: "file",
+    accept: ".json,application/json",
+    class: "pack-file",
+    "aria-label": tr("パズルパックのファイル", "Puzzle pack file"),
+    onchange: async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      if (install(await file.text())) render([]);
+      fileInput.value = "";
+    },
+  });
+  return el(
+    "details",
+    { class: "card pack-import" },
+    el("summary", {}, tr("パックを取り込む", "Install a pack")),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "title・puzzles（答えの 2 語の answers か、問題番号の pid）を持つ JSON を、ファイルか貼り付けで取り込みます。同じ id のパックは置き換えます。",
+        "Install a JSON with a title and puzzles (answers with two words, or a puzzle pid) from a file or by pasting. A pack with the same id is replaced."
+      )
+    ),
+    el("label", { class: "btn pack-file-label" }, icon("box"), tr("ファイルを選ぶ", "Choose a file"), fileInput),
+    ta,
+    el(
+      "button",
+      {
+        class: "btn btn-primary",
+        onclick: () => {
+          if (!ta.value.trim()) {
+            toast(tr("JSON を貼り付けてください", "Paste the JSON first"));
+            return;
+          }
+          if (install(ta.value)) render([]);
+        },
+      },
+      icon("download"),
+      tr("貼り付けた JSON を取り込む", "Install pasted JSON")
+    )
+  );
+}
+
+function packCard(pack) {
+  const progress = buildPackProgress(pack);
+  const cleared = progress.filter((st) => st.cleared > 0).length;
+  return el(
+    "li",
+    { class: `card pack-card${cleared === pack.puzzles.length ? " complete" : ""}` },
+    el("div", { class: "pack-card-head" }, el("h2", {}, pack.title), modeChip(pack)),
+    pack.author ? el("p", { class: "hint" }, tr(`作: ${pack.author}`, `By ${pack.author}`)) : null,
+    el("p", { class: "pack-progress" }, tr(`${cleared} / ${pack.puzzles.length} 問クリア`, `${cleared} / ${pack.puzzles.length} solved`)),
+    el(
+      "div",
+      { class: "pack-actions" },
+      el("button", { class: "btn btn-primary", onclick: () => { playSfx("ui"); navigate(`/packs/${pack.id}`); } }, icon("grid"), tr("問題を見る", "Puzzles")),
+      el(
+        "button",
+        {
+          class: "btn",
+          "aria-label": tr(`${pack.title} を取り外す`, `Remove ${pack.title}`),
+          onclick: async () => {
+            playSfx("ui");
+            const ok = await confirmModal(
+              tr("パックを取り外す", "Remove pack"),
+              tr(
+                `「${pack.title}」を取り外しますか？\n遊んだ記録は履歴に残り、取り込み直すと進み具合も戻ります。`,
+                `Remove “${pack.title}”?\nYour plays stay in history, and progress comes back if you install it again.`
+              )
+            );
+            if (!ok) return;
+            removePack(pack.id);
+            render([]);
+          },
+        },
+        icon("trash")
+      )
+    )
+  );
+}
+
+function renderList() {
+  const packs = getInstalledPacks();
+  root.append(
+    header(tr("パズルパック", "Puzzle Packs"), "/"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      importCard(),
+      packs.length
+        ? el("ul", { class: "pack-list" }, packs.map(packCard))
+        : el("p", { class: "hint pack-empty" }, tr("取り込んだパックはまだありません。", "No packs installed yet."))
+    )
+  );
+}
+
+async function playPuzzle(pack, index) {
+  playSfx("ui");
+  const puzzle = pack.puzzles[index];
+  const mode = packMode(pack, getAppMode());
+  if (getAppMode() !== mode) setAppMode(mode);
+  await confirmAndStart(puzzle.pid, mode, {
+    pack: { id: pack.id, index },
+    maxGuess: puzzle.maxGuess === null ? null : packPuzzleMaxGuess(puzzle, mode),
+  });
+}
+
+function renderPack(pack) {
+  const progress = buildPackProgress(pack);
+  const cleared = progress.filter((st) => st.cleared > 0).length;
+  const cells = pack.puzzles.map((puzzle, i) => {
+    const st = progress[i];
+    const state = st.cleared > 0 ? "cleared" : st.played > 0 ? "failed" : "";
+    const stateJa = state === "cleared" ? `クリア済み（最少 ${st.bestGuesses} 手）` : state === "failed" ? "未クリア" : "未プレイ";
+    const stateEn = state === "cleared" ? `solved (best ${st.bestGuesses})` : state === "failed" ? "not solved" : "unplayed";
+    return el(
+      "button",
+      {
+        class: `num-cell ${state}`,
+        "aria-label": tr(`${i + 1} 問目、${stateJa}`, `Puzzle ${i + 1}, ${stateEn}`),
+        onclick: () => playPuzzle(pack, i),
+      },
+      String(i + 1)
+    );
+  });
+  root.append(
+    header(pack.title, "/packs"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el(
+        "div",
+        { class: "pack-card-head" },
+        el("p", { class: "hint" }, pack.author ? tr(`作: ${pack.author}`, `By ${pack.author}`) : null),
+        modeChip(pack)
+      ),
+      el(
+        "p",
+        { class: "progress-note" },
+        tr(`${cleared} / ${pack.puzzles.length} 問クリア。答えを指定した問題はカスタム問題と同じく実績の対象外です。`, `${cleared} / ${pack.puzzles.length} solved. Puzzles with chosen answers do not count toward achievements, like custom puzzles.`)
+      ),
+      el("div", { class: "num-grid" }, cells)
+    )
+  );
+}
+
+function render(args = []) {
+  if (!root) build();
+  clear(root);
+  if (args[0] === undefined) return renderList();
+  const pack = packById(args[0]);
+  if (!pack) {
+    redirect("/packs");
+    return;
+  }
+  renderPack(pack);
+}
+
+registerScreen("packs", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
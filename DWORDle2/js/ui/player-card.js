@@ -25,10 +25,15 @@ import { icon, iconSvg } from "./icons.js?v=20260806-a";
 import { announce } from "./a11y.js?v=20260806-a";
 import { SHARE_URL } from "../config.js?v=20260806-a";
 import { tr } from "../core/i18n.js?v=20260806-a";
+import { RATING_TIERS, ratingHistory, ratingTier } from "../core/rating.js?v=20260806-a";
+import { chartTheme, drawLineChart } from "./charts.js?v=20260806-a";
 
 // 解放しきい値（タイトルメニューの MENU_UNLOCKS と同じ値を参照させる）
 export const CARD_UNLOCK_PLAYS = 5;
 
+// レーティングのグラフに並べる直近の局数
+const RATING_GRAPH_GAMES = 100;
+
 // 名前の最大文字数（カードの印字幅に収まる上限）
 export const NAME_MAX_CHARS = 12;
 
@@ -274,6 +279,39 @@ export function rankForStats(stats) {
   return rank;
 }
 
+// レーティングの段位（core/rating.js の RATING_TIERS）の色。段位はカードのランクと同じ id で、フレーム色をそのまま使う
+function rankForRatingTier(tier) {
+  return RANKS.find((r) => r.id === tier.id) ?? RANKS[0];
+}
+
+// 段位のバッジ（フレームと同じグラデーションの札）
+export function ratingTierBadge(rating) {
+  const tier = ratingTier(rating);
+  const rank = rankForRatingTier(tier);
+  return el("span", { class: "rating-tier", style: { background: `linear-gradient(90deg, ${rank.frame.join(", ")})` } }, tier.id);
+}
+
+// レーティングの推移を折れ線で描く。線は今の段位のフレーム色、目盛りは段位の境目
+export function drawRatingChart(canvas, series, st) {
+  const points = series.slice(-RATING_GRAPH_GAMES).map((p) => {
+    const d = new Date(p.startTime * 1000);
+    return { label: `${d.getMonth() + 1}/${d.getDate()}`, value: p.rating };
+  });
+  const values = points.map((p) => p.value);
+  const min = Math.floor((Math.min(...values) - 20) / 50) * 50;
+  const max = Math.ceil((Math.max(...values) + 20) / 50) * 50;
+  const bounds = RATING_TIERS.map((t) => t.min).filter((v) => v > min && v < max);
+  const line = rankForRatingTier(ratingTier(values[values.length - 1])).frame[1];
+  drawLineChart(canvas, {
+    points,
+    min,
+    max,
+    yTicks: bounds.length > 0 ? bounds : [min, max],
+    format: (v) => String(v),
+    st: { ...st, line },
+  });
+}
+
 function themeLabel(id) {
   if (id === "cyber") return tr("サイバー", "Cyber");
   if (id === "classic") return tr("クラシック", "Classic");
@@ -775,7 +813,12 @@ function getSavedCard() {
   return loadJSON("playerCard", null);
 }
 
-function sanitizeName(raw) {
+// プレイヤーカードに設定した名前（未設定なら空文字）。ホットシートの 1 人目の初期値にも使う
+export function playerCardName() {
+  return getSavedCard()?.name ?? "";
+}
+
+export function sanitizeName(raw) {
   return String(raw ?? "")
     .replace(/[\u0000-\u001f\u007f]/g, "")
     .trim()
@@ -1175,6 +1218,49 @@ async function drawInto(stage, name, { deal }) {
   attachCardGestures(stage, tilt);
 }
 
+// カードの下に添えるレーティング。描画は DOM に入れてから（canvas の幅が親の幅で決まる）
+function ratingSection() {
+  const result = ratingHistory(getHistory());
+  const title = tr("レーティング", "Rating");
+  const section = el("section", { class: "card stats-chart-card player-card-rating", "aria-label": title });
+  if (result.games === 0) {
+    section.append(
+      el("div", { class: "stats-chart-title" }, title),
+      el("p", { class: "hint" }, tr("レベルのある問題を遊ぶと、ソルバーとの比較で評価が付きます。", "Play a levelled puzzle to get rated against the solver."))
+    );
+    return { section, draw: () => {} };
+  }
+  const rating = Math.round(result.rating);
+  const canvas = el("canvas", {
+    class: "stats-chart",
+    role: "img",
+    "aria-label": tr(
+      `レーティングの推移。直近 ${Math.min(result.series.length, RATING_GRAPH_GAMES)} 局。現在 ${rating}、最高 ${Math.round(result.peak)}`,
+      `Rating over the last ${Math.min(result.series.length, RATING_GRAPH_GAMES)} games. Now ${rating}, peak ${Math.round(result.peak)}`
+    ),
+  });
+  section.append(
+    el(
+      "div",
+      { class: "stats-chart-title player-card-rating-head" },
+      title,
+      el("b", {}, String(rating)),
+      ratingTierBadge(result.rating),
+      result.provisional ? el("span", { class: "hint" }, tr("暫定", "Provisional")) : null
+    ),
+    canvas,
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "1 局ごとに、そのレベルの自動ソルバーと比べた手数と、履歴全体の分析で分かった手の質で上下します。段位の色はカードのフレームと同じです。",
+        "Each game moves it by your guess count against the auto-solver for that level, plus your move quality from the whole-history analysis. Tier colours match the card frames."
+      )
+    )
+  );
+  return { section, draw: () => drawRatingChart(canvas, result.series, chartTheme()) };
+}
+
 function render() {
   if (!root) build();
   clear(root);
@@ -1210,6 +1296,7 @@ function render() {
   );
 
   const stage = el("div", { class: "player-card-stage" });
+  const rating = ratingSection();
   const actions = el(
     "div",
     { class: "result-actions player-card-actions", hidden: true },
@@ -1272,10 +1359,12 @@ function render() {
     ),
     stage,
     actions,
-    saved ? null : issueButton
+    saved ? null : issueButton,
+    rating.section
   );
 
   root.append(header, body);
+  rating.draw();
 
   // 発行済みなら画面に入るたびにお披露目アニメーション付きで表示する
   if (saved) {
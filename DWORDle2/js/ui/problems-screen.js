@@ -7,6 +7,7 @@ import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
 import { registerScreen, navigate, getAppMode, setAppMode } from "./app.js?v=20260806-a";
 import { buildProblemStatus, MODES } from "../core/records.js?v=20260806-a";
 import {
+  ARCHIVE_FIRST_DAILY_PID,
   LEVELS,
   PID,
   isDailyPID,
@@ -25,6 +26,8 @@ import { toast } from "./toast.js?v=20260806-a";
 import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
 import { icon } from "./icons.js?v=20260806-a";
 import { localizedLevel, tr } from "../core/i18n.js?v=20260806-a";
+import { Logic } from "../core/logic.js?v=20260806-a";
+import { wordMeaningList } from "./dictionary-view.js?v=20260806-a";
 
 const BLOCK_SIZE = 100;
 
@@ -67,6 +70,19 @@ function statusOf(statusMap, pid) {
   return "failed";
 }
 
+// 遊んだ問題の答えと意味（まだ遊んでいない問題は答えを伏せたまま）。辞書は 5 文字の語だけ
+function answerMeanings(pid, statusMap) {
+  if (!statusMap.get(pid)) return null;
+  const logic = new Logic(pid);
+  if (logic.wordLength !== 5) return null;
+  return el(
+    "details",
+    { class: "problem-meanings" },
+    el("summary", {}, tr("答えと意味", "Answers and meanings")),
+    wordMeaningList(logic.answers)
+  );
+}
+
 function openProblemMenu(pid, statusMap) {
   const mode = getAppMode();
   const st = statusMap.get(pid);
@@ -96,6 +112,7 @@ function openProblemMenu(pid, statusMap) {
         tr("この問題をプレイ", "Play this puzzle")
       ),
       classicSet ? classicNote() : null,
+      answerMeanings(pid, statusMap),
       historyItems.length
         ? el("div", { class: "hint", style: { marginTop: "6px" } }, tr("プレイ履歴:", "Play history:"))
         : el("p", { class: "hint" }, tr("この問題はまだプレイしていません。", "This puzzle has not been played yet.")),
@@ -290,7 +307,7 @@ function dailyDetail(pid, statusMap, todayPid) {
           tr("この日の問題は、その日になったらプレイできます", "This puzzle unlocks on that day")
         )
       : null,
-    // 説明文は置かず、今日のプレイ導線と過去のプレイ結果へのリンクだけを並べる
+    // 説明文は置かず、今日のプレイ導線（過去の日はアーカイブへ）と過去のプレイ結果へのリンクだけを並べる
     isToday
       ? el(
           "button",
@@ -298,7 +315,15 @@ function dailyDetail(pid, statusMap, todayPid) {
           icon("play"),
           tr("この問題をプレイ", "Play this puzzle")
         )
+      : !isFuture && pid >= ARCHIVE_FIRST_DAILY_PID
+      ? el(
+          "button",
+          { class: "btn daily-detail-play", onclick: () => { playSfx("ui"); navigate(`/calendar/${pid}`); } },
+          icon("book"),
+          tr("アーカイブで遊ぶ", "Play in the Daily Archive")
+        )
       : null,
+    answerMeanings(pid, statusMap),
     plays.length
       ? el(
           "div",
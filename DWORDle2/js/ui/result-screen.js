@@ -3,9 +3,9 @@
 
 import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
 import { registerScreen, navigate, setViewMood } from "./app.js?v=20260806-a";
-import { findGame, MODES, getExtraShot, getExtraShotResult } from "../core/records.js?v=20260806-a";
+import { findGame, MODES, getExtraShot, getExtraShotResult, maxGuessForRecord } from "../core/records.js?v=20260806-a";
 import { Logic, CELL } from "../core/logic.js?v=20260806-a";
-import { pidLabel } from "../core/problems.js?v=20260806-a";
+import { lengthSetForPID, multiSetForPID, pidLabel } from "../core/problems.js?v=20260806-a";
 import { playSfx } from "../audio/sound.js?v=20260806-a";
 import { toast } from "./toast.js?v=20260806-a";
 import { confirmAndStart } from "./game-screen.js?v=20260806-a";
@@ -17,6 +17,11 @@ import { getSettings } from "../core/settings.js?v=20260806-a";
 import { tr } from "../core/i18n.js?v=20260806-a";
 import { rowAriaLabel } from "./a11y.js?v=20260806-a";
 import { createRotatingCrownCanvas } from "./crown.js?v=20260806-a";
+import { describeHint } from "../core/hints.js?v=20260806-a";
+import { duelEntryFromRecord, duelForRecord } from "../core/duel.js?v=20260806-a";
+import { showDuelCodeModal } from "./duel-screen.js?v=20260806-a";
+import { wordMeaningList } from "./dictionary-view.js?v=20260806-a";
+import { studyMarkButton } from "./study-screen.js?v=20260806-a";
 
 let root = null;
 
@@ -64,11 +69,20 @@ function buildShareText(record, logic, cleared) {
   // Daily は日付まで入れる（"Daily" だけだと別の日のシェアと見分けが付かない）。
   // 画面表示・履歴と同じ pidLabel を使う: "Daily 2026-07-26" / "No.12345"
   const seedLabel = pidLabel(record.problemID);
-  const maxGuess = MODES[record.gameMode].maxGuess;
-  const name = record.gameMode === "uso" ? tr("[嘘] DWORDlie2", "[LIE] DWORDlie2") : "DWORDle2";
+  const maxGuess = maxGuessForRecord(record);
+  // TRIWORDle / QUADWORDle と 4・6・7 文字版はその名前で出す（同じ番号でも DWORDle とは別の問題なので）
+  const set = multiSetForPID(record.problemID) ?? lengthSetForPID(record.problemID);
+  const name =
+    record.gameMode === "uso"
+      ? `${tr("[嘘]", "[LIE]")} ${set?.title ?? "DWORDlie2"}`
+      : set?.title ?? "DWORDle2";
   const countText = record.discarded
     ? `DISCARDED ${record.guessWord.length}/${maxGuess}`
     : cleared ? `${record.guessWord.length}/${maxGuess}` : `X/${maxGuess}`;
+  // ハードモードは本家 Wordle と同じく手数の後ろに * を付ける
+  const hardMark = record.hard ? "*" : "";
+  // ヒントを使った記録は回数を添える（ヒントなしの記録と見分けられるように）
+  const hintMark = record.hints?.length ? ` 💡${record.hints.length}` : "";
   // ハイコントラスト設定では絵文字も本家 Wordle と同じ 🟧 / 🟦 に置き換える
   const highContrast = getSettings().highContrast;
   const correctEmoji = highContrast ? "🟧" : "🟩";
@@ -76,7 +90,7 @@ function buildShareText(record, logic, cleared) {
   const rowEmoji = (row) =>
     row.map((s) => (s === CELL.CORRECT ? correctEmoji : s === CELL.USED ? usedEmoji : "⬜")).join("");
 
-  let gridBlock = `${name} ${seedLabel} ${countText}\n\n`;
+  let gridBlock = `${name} ${seedLabel} ${countText}${hardMark}${hintMark}\n\n`;
   for (const row of results) gridBlock += `${rowEmoji(row)}\n`;
 
   const wordNo = cleared ? logic.matchWordNo(record.guessWord[record.guessWord.length - 1]) : null;
@@ -125,7 +139,7 @@ function render(args) {
   const cleared = record.clear;
   const discarded = Boolean(record.discarded);
   const results = displayResults(record, logic);
-  const maxGuess = MODES[record.gameMode].maxGuess;
+  const maxGuess = maxGuessForRecord(record);
   // EXTRA SHOT の記録。旧 finalAnswer レコードも同じ表示へ透過する。
   const fa = getExtraShot(record);
   const doubleClear = Boolean(fa?.success);
@@ -152,10 +166,14 @@ function render(args) {
     el("span", { class: "spacer" }),
     el("span", { class: "sub" }, pidLabel(record.problemID)),
     el("span", { class: `mode-chip ${record.gameMode === "uso" ? "uso" : ""}` }, MODES[record.gameMode].title),
+    multiSetForPID(record.problemID) ? el("span", { class: "mode-chip multi" }, multiSetForPID(record.problemID).key.toUpperCase()) : null,
+    lengthSetForPID(record.problemID) ? el("span", { class: "mode-chip length" }, `${lengthSetForPID(record.problemID).length}L`) : null,
+    record.hard ? el("span", { class: "mode-chip hard" }, "HARD") : null,
+    record.assisted ? el("span", { class: "mode-chip assisted" }, "ASSIST") : null,
     soundToggleButton()
   );
 
-  // 答えを判定グリッドと同じ寸法・位置の 2 x 5 タイルで表示。
+  // 答えを判定グリッドと同じ寸法・位置の（答えの語数）x 5 タイルで表示。
   // ラベルは左、正解を示す旗は右へ絶対配置し、有無で行がずれないようにする。
   const answerRow = (no, word) => {
     const matched = cleared && lastWord === word;
@@ -231,6 +249,32 @@ function render(args) {
       )
     : null;
 
+  // 使ったヒント（使った順。何手目の前に使ったかも添える）
+  const hintsCard = record.hints?.length
+    ? el(
+        "div",
+        { class: "card hints-card" },
+        el("div", { class: "hints-card-head" }, icon("sparkle", 14), tr(`ヒント ${record.hints.length} 回`, `${record.hints.length} hint(s) used`)),
+        el(
+          "ul",
+          { class: "hints-card-list" },
+          record.hints.map((hint) =>
+            el("li", {}, el("span", { class: "hint" }, tr(`${hint.turn + 1} 手目の前`, `Before guess ${hint.turn + 1}`)), describeHint(hint))
+          )
+        )
+      )
+    : null;
+
+  // 答えの意味（辞書は 5 文字の語だけ。4・6・7 文字版では出さない）。☆ で単語の復習（#/study）に入れられる
+  const meaningsCard = logic.wordLength === 5
+    ? el(
+        "div",
+        { class: "card meanings-card" },
+        el("div", { class: "meanings-card-head" }, icon("book", 14), tr("答えの意味", "Meanings")),
+        wordMeaningList(logic.answers, { action: (word) => studyMarkButton(word) })
+      )
+    : null;
+
   const grid = el(
     "div",
     { class: "result-grid" },
@@ -245,6 +289,8 @@ function render(args) {
 
   const actionBtn = (iconName, label, onclick, primary = false) =>
     el("button", { class: `btn ${primary ? "btn-primary" : ""}`, onclick }, icon(iconName), label);
+  // 受けた対戦の記録なら対戦結果へ。破棄していない記録からは対戦コードを作れる
+  const duel = duelForRecord(record);
 
   const body = el(
     "div",
@@ -262,9 +308,11 @@ function render(args) {
         `${fmtDateTime(record.startTime)} · ${record.guessWord.length} / ${maxGuess} Guesses${discarded ? " · Discarded · No achievements" : ""}${record.imported ? " · Imported" : ""}`
       )
     ),
-    el("div", { class: "card answers-grid" }, answerRow(1, logic.ans1), answerRow(2, logic.ans2)),
+    el("div", { class: "card answers-grid" }, logic.answers.map((word, i) => answerRow(i + 1, word))),
     grid,
     extraShotCard,
+    hintsCard,
+    meaningsCard,
     el(
       "div",
       { class: "result-actions" },
@@ -299,6 +347,8 @@ function render(args) {
       actionBtn("camera", tr("画像保存", "Save image"), () => {
         void downloadResultPNG(record, logic, results).then(() => toast(tr("画像を保存しました", "Image saved")));
       }),
+      duel ? actionBtn("swords", tr("対戦結果", "Duel result"), () => navigate(`/duel/${duel.code}`), true) : null,
+      duelEntryFromRecord(record) ? actionBtn("swords", tr("対戦コード", "Duel code"), () => void showDuelCodeModal(record)) : null,
       actionBtn("flask", tr("分析", "Analysis"), () => navigate(`/analysis/${record.gameMode}/${record.startTime}`)),
       actionBtn("retry", tr("もう一度", "Play again"), () => confirmAndStart(record.problemID, record.gameMode)),
       el("button", { class: "btn", onclick: () => navigate("/") }, tr("タイトルへ", "Title"))
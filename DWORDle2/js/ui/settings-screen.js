@@ -1,11 +1,11 @@
-// 設定画面。テーマ・サウンド・履歴の移行 / エクスポート / 削除。
+// 設定画面。テーマ・サウンド・履歴の移行 / 端末間の同期 / エクスポート（JSON・CSV / TSV） / 削除。
 // ルート: #/settings
 
 import { el, clear } from "./dom.js?v=20260806-a";
 import { registerScreen, navigate, currentScreenName } from "./app.js?v=20260806-a";
 import { getSettings, setSetting, HIDDEN_THEMES } from "../core/settings.js?v=20260806-a";
-import { importFromLocalStorage, importFromText, scanLegacyHistory } from "../core/migrate.js?v=20260806-a";
-import { exportJSON } from "../core/records.js?v=20260806-a";
+import { importExternalFromText, importFromLocalStorage, importFromText, scanLegacyHistory } from "../core/migrate.js?v=20260806-a";
+import { deleteAllHistory, exportGamesTable, exportGuessesTable, exportJSON } from "../core/records.js?v=20260806-a";
 import { removeKey } from "../core/store.js?v=20260806-a";
 import { getUnlocked } from "../core/achievements.js?v=20260806-a";
 import { BGM_TRACKS, playSfx } from "../audio/sound.js?v=20260806-a";
@@ -13,6 +13,7 @@ import { toast } from "./toast.js?v=20260806-a";
 import { showModal, confirmModal } from "./modal.js?v=20260806-a";
 import { icon } from "./icons.js?v=20260806-a";
 import { finishHistoryImport } from "./history-import.js?v=20260806-a";
+import { showSyncModal } from "./sync-modal.js?v=20260806-a";
 import { APP_VERSION, AUDIO } from "../config.js?v=20260806-a";
 import { SOURCE_HASH } from "../version.js?v=20260806-a";
 import { isEnglish, syncDocumentLanguage, tr } from "../core/i18n.js?v=20260806-a";
@@ -218,11 +219,66 @@ function handleDebugEntryTap() {
   }, 2000);
 }
 
+function downloadText(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  el("a", { href: url, download: filename }).click();
+  // ダウンロード開始後に解放する（エクスポート連打で Blob が溜まらないように）
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 表計算ソフト向けの書き出し（CSV / TSV）。1 局 1 行と 1 Guess 1 行の 2 つの表を別々のファイルにする
+function showTableExportModal() {
+  const download = (table, delimiter) => {
+    playSfx("ui");
+    const csv = delimiter === ",";
+    const text = table === "games" ? exportGamesTable(delimiter) : exportGuessesTable(delimiter);
+    downloadText(text, csv ? "text/csv" : "text/tab-separated-values", `dwordle2_${table}_${Date.now()}.${csv ? "csv" : "tsv"}`);
+    toast(tr("表をダウンロードしました", "Table downloaded"));
+  };
+  const row = (table, label, desc) =>
+    el(
+      "div",
+      { class: "table-export-row" },
+      el("div", {}, el("b", {}, label), el("div", { class: "hint" }, desc)),
+      el(
+        "div",
+        { class: "table-export-actions" },
+        el("button", { class: "btn", onclick: () => download(table, ",") }, "CSV"),
+        el("button", { class: "btn", onclick: () => download(table, "\t") }, "TSV")
+      )
+    );
+  showModal({
+    title: tr("表計算用に書き出す", "Export for spreadsheets"),
+    body: [
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "プレイ履歴を表の形で書き出します。取り込み（移行）には使えないので、端末間の移行にはエクスポート JSON を使ってください。",
+          "Exports your play history as flat tables. These files cannot be imported back; use the export JSON to move between devices."
+        )
+      ),
+      row(
+        "games",
+        tr("1 局 1 行", "One row per game"),
+        tr("日時・モード・問題・レベル・手数・勝敗・DOUBLE CLEAR・所要時間・Guess", "Date, mode, puzzle, level, guesses, win, DOUBLE CLEAR, duration, and words")
+      ),
+      row(
+        "guesses",
+        tr("1 Guess 1 行", "One row per guess"),
+        tr("各 Guess と表示した判定（G = 緑・Y = 黄・- = 灰）", "Each guess with the pattern shown (G = green, Y = yellow, - = gray)")
+      ),
+    ],
+    actions: [{ label: tr("閉じる", "Close"), primary: true, onClick: () => {} }],
+    closeButton: true,
+  });
+}
+
 function showImportModal() {
   const ta = el("textarea", {
     placeholder: tr(
-      "DWORDle 2 のエクスポート JSON を貼り付け",
-      "Paste an export JSON from DWORDle 2"
+      "DWORDle 2 のエクスポート JSON・NYT Wordle の統計 JSON・シェア文を貼り付け",
+      "Paste a DWORDle 2 export JSON, NYT Wordle statistics JSON, or share texts"
     ),
   });
   let closeModal = () => {};
@@ -232,6 +288,18 @@ function showImportModal() {
     finishHistoryImport(added, { withAchievements: achievementsCheck.checked });
     render();
   };
+  // ほかのワードゲームの記録は本作の履歴に入らないので、実績の再集計はせず件数だけ知らせる
+  const completeExternal = ({ added, snapshots }) => {
+    closeModal();
+    toast(
+      added > 0 || snapshots > 0
+        ? tr(
+            `ほかのワードゲームの記録を取り込みました（${added} 局・統計 ${snapshots} 件）。プレイ履歴の統計から見られます`,
+            `Imported other word-game records (${added} ${added === 1 ? "game" : "games"}, ${snapshots} ${snapshots === 1 ? "summary" : "summaries"}). See them from the play history statistics`
+          )
+        : tr("新しく取り込める記録はありませんでした", "No new records were found to import")
+    );
+  };
   const manualImport = async () => {
     playSfx("ui");
     if (!ta.value.trim()) {
@@ -241,7 +309,17 @@ function showImportModal() {
     try {
       const { added } = await importFromText(ta.value, { withAchievements: achievementsCheck.checked });
       complete(added);
-    } catch (e) {
+    } catch (error) {
+      let e = error;
+      // 本作のエクスポート JSON でなければ、ほかのワードゲームの記録（NYT Wordle の統計・シェア文）として読む
+      if (e.message === "JSON として読み取れませんでした" || e.message === "DWORDle 2 のエクスポート JSON ではないようです") {
+        try {
+          completeExternal(importExternalFromText(ta.value));
+          return;
+        } catch (externalError) {
+          e = externalError;
+        }
+      }
       const englishMessage = e.message === "JSON として読み取れませんでした"
         ? "Could not parse this as JSON"
         : e.message === "旧 DWORDle / DWORDlie の履歴は「自動検出」から取り込んでください"
@@ -250,7 +328,9 @@ function showImportModal() {
             ? "This does not appear to be a DWORDle 2 export JSON"
             : e.message === "JSON が書き出したときと違います。貼り直してみてください"
               ? "This JSON differs from the export. Try pasting it again"
-              : "Could not import this history data";
+              : e.message === "DWORDle 2 のエクスポート JSON でも、対応しているワードゲームの記録でもないようです"
+                ? "This is neither a DWORDle 2 export JSON nor a supported word-game record"
+                : "Could not import this history data";
       toast(tr(e.message, englishMessage));
     }
   };
@@ -309,6 +389,14 @@ function showImportModal() {
               "Paste a DWORDle 2 export JSON from another device. History from the original DWORDle / DWORDlie is imported with “Auto-detect” above."
             )
           ),
+          el(
+            "p",
+            { class: "hint" },
+            tr(
+              "NYT Wordle の統計 JSON（localStorage の nyt-wordle-statistics など）や、Wordle 系のシェア文（例: Wordle 1,234 3/6）も貼り付けられます。こちらは「ほかのワードゲーム」として別に記録し、DWORDle 2 の統計・実績には数えません。",
+              "You can also paste NYT Wordle statistics JSON (such as nyt-wordle-statistics in localStorage) or Wordle-style share texts (e.g. Wordle 1,234 3/6). These are kept separately as “Other word games” and never count toward DWORDle 2 statistics or achievements."
+            )
+          ),
           ta,
           el("button", { class: "btn", style: { width: "100%" }, onclick: manualImport }, tr("JSONを取り込む", "Import JSON"))
         )
@@ -508,6 +596,11 @@ function render() {
           "Disable pinch and double-tap zoom (prevents accidental zooming while playing)"
         ),
         toggle("lockZoom", tr("ズーム固定", "Lock zoom"))
+      ),
+      settingRow(
+        tr("画像に答えの意味", "Meanings in images"),
+        tr("結果の画像保存で、答えの品詞と意味も入れます", "Add the part of speech and meaning of each answer to saved result images"),
+        toggle("snapshotMeanings", tr("画像に答えの意味", "Meanings in images"))
       )
     ),
     // EXTRA SHOT モード（10 回プレイ or デバッグモードで解放）。
@@ -523,6 +616,22 @@ function render() {
         hidden: activeSettingsTab !== "gameplay",
       },
       el("div", { style: { fontWeight: "800", marginBottom: "4px" } }, tr("ゲームプレイ", "Gameplay")),
+      settingRow(
+        tr("ハードモード", "Hard mode"),
+        tr(
+          "それまでの判定と矛盾する単語は Guess できません（次のゲームから有効。TRIWORDle / QUADWORDle には効きません）",
+          "Guesses must fit all feedback so far (applies from the next game; not in TRIWORDle / QUADWORDle)"
+        ),
+        toggle("hardMode", tr("ハードモード", "Hard mode"))
+      ),
+      settingRow(
+        tr("残り候補を表示", "Show remaining pairs"),
+        tr(
+          "プレイ中、判定と矛盾しない答えの組の数を表示します。表示したゲームは ASSIST として記録されます",
+          "Shows how many answer pairs still fit the feedback during play. Games where it was shown are recorded as ASSIST"
+        ),
+        toggle("remainingCounter", tr("残り候補を表示", "Show remaining pairs"))
+      ),
       isExtraShotUnlocked()
         ? settingRow(
             el("span", { class: "fa-setting-name" }, "EXTRA SHOT"),
@@ -656,18 +765,15 @@ function render() {
       el("div", { style: { fontWeight: "800", marginBottom: "4px" } }, tr("データ", "Data")),
       el("div", { style: { display: "flex", flexDirection: "column", gap: "8px", marginTop: "8px" } },
         el("button", { class: "btn", onclick: showImportModal }, icon("box"), tr("プレイ履歴をインポート（移行）", "Import play history (migration)")),
+        el("button", { class: "btn", onclick: () => { playSfx("ui"); showSyncModal({ onSynced: render }); } }, icon("cloud"), tr("端末間で同期", "Sync between devices")),
         el("button", {
           class: "btn",
           onclick: async () => {
-            const blob = new Blob([await exportJSON()], { type: "application/json" });
-            const url = URL.createObjectURL(blob);
-            const a = el("a", { href: url, download: `dwordle2_history_${Date.now()}.json` });
-            a.click();
-            // ダウンロード開始後に解放する（エクスポート連打で Blob が溜まらないように）
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            downloadText(await exportJSON(), "application/json", `dwordle2_history_${Date.now()}.json`);
             toast(tr("プレイ履歴をダウンロードしました", "Play history downloaded"));
           },
         }, icon("download"), tr("プレイ履歴をエクスポート", "Export play history")),
+        el("button", { class: "btn", onclick: () => { playSfx("ui"); showTableExportModal(); } }, icon("download"), tr("表計算用に書き出す（CSV / TSV）", "Export for spreadsheets (CSV / TSV)")),
         el("button", {
           class: "btn",
           style: { borderColor: "var(--danger)", color: "#ff8888" },
@@ -684,6 +790,9 @@ function render() {
             setAnalyticsConsent(false);
             for (const key of [
               "history",
+              "externalHistory", // ほかのワードゲームの記録
+              "analysisCache", // 履歴全体の分析の結果と、実行中かどうか
+              "analysisJob",
               "achievements",
               "achievements.reconcileVersion",
               "achievements.sig", // 実績ごとの達成状況の署名
@@ -691,11 +800,24 @@ function render() {
               "settings",
               "current.normal",
               "current.uso",
+              "current.speed",
+              "speedRun.current", // Speed Run の進行中のランと、終わったランの記録
+              "speedRuns",
+              "duels", // 受けた対戦の結果
+              "hotseat.current", // ホットシートの進行中のセッションと盤面・終わったセッション・プレイヤー別の記録・最後のメンバー
+              "current.hotseat",
+              "hotseatSessions",
+              "hotseatHistory",
+              "hotseat.players",
               "mode",
               "lastPlayedMode",
               "legacyImportPrompted",
               "tutorialSeen",
               "tutorialSeenUso",
+              "tutorial", // チュートリアルの済んだレッスンと、遊んでいる途中のレッスン
+              "current.tutorial",
+              "packs", // 取り込んだパズルパック
+              "study", // 単語の復習の印と出題の予定
               "helpSeen", // 遊び方の強制表示も初回プレイと同じ状態に戻す
               "helpSeenUso",
               "playCount", // タイトルメニューの段階解放も初期状態へ戻す
@@ -708,9 +830,11 @@ function render() {
               "playerId", // プレイヤー ID も新規プレイヤーとして発番し直す
               "activity", // 行動ログ（クリック・画面滞在などの端末内記録）
               "analyticsConsent", // 分析の選択も削除し、次回本番起動時に改めて確認する
+              "sync", // 端末間の同期先（WebDAV の URL・パスワード）と最後に同期した時刻
             ]) {
               removeKey(key);
             }
+            await deleteAllHistory(); // プレイ履歴の本体は IndexedDB にある
             history.replaceState(null, "", "#/");
             location.reload();
           },
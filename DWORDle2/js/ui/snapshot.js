@@ -2,13 +2,17 @@
 // 画面のキャプチャではなく、必要事項（タイトル・No.・盤面・答え・URL）だけを
 // canvas に再レンダリングして PNG としてダウンロードする。
 // コンテンツ配置は全テーマ共通で、配色・装飾だけを現在のテーマに合わせる。
+// 設定「画像に答えの意味」が ON なら、答えの品詞と意味（core/dictionary.js）を下に添える。
 
 import { SHARE_URL, tileColorsFor, tileInkFor } from "../config.js?v=20260806-a";
-import { MODES, getExtraShot, getExtraShotResult } from "../core/records.js?v=20260806-a";
+import { MODES, getExtraShot, getExtraShotResult, maxGuessForRecord } from "../core/records.js?v=20260806-a";
 import { pidLabel } from "../core/problems.js?v=20260806-a";
 import { CELL } from "../core/logic.js?v=20260806-a";
 import { getSettings } from "../core/settings.js?v=20260806-a";
 import { drawCrown3D } from "./crown.js?v=20260806-a";
+import { loadDictionary } from "../core/dictionary.js?v=20260806-a";
+import { partOfSpeechLabel } from "./dictionary-view.js?v=20260806-a";
+import { isEnglish } from "../core/i18n.js?v=20260806-a";
 
 // レイアウト定数（すべて基準幅 720px に対する px）
 const SS = {
@@ -21,6 +25,7 @@ const SS = {
   tileGap: 8,
   tileRadius: 10,
   footerSize: 18,
+  meaningRow: 54, // 答えの意味 1 語ぶんの高さ
   /* 設定「判定マーク」ON のとき判定タイルの右下に描く記号。比率は CSS の
      --state-symbol-scale 系と同じ見た目になるようタイル幅基準で合わせてある */
   symbolScale: 0.3, // ● と × のサイズ（タイル幅比）
@@ -112,6 +117,14 @@ function drawGuessFlag(ctx, x, y, r, color) {
   ctx.restore();
 }
 
+// 幅に収まらない文は末尾を … にする
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return `${text.slice(0, end).trimEnd()}…`;
+}
+
 function extraShotInfo(record, logic) {
   const attempt = getExtraShot(record);
   const lastWord = record.guessWord[record.guessWord.length - 1];
@@ -124,8 +137,9 @@ function extraShotInfo(record, logic) {
   };
 }
 
-// record + logic + 表示用判定から PNG canvas を作る
-export function renderResultCanvas(record, logic, displayRows) {
+// record + logic + 表示用判定から PNG canvas を作る。
+// meanings は答えと同じ並びの lookupWord の結果（辞書に無い語は null）。渡せば盤面の下に添える
+export function renderResultCanvas(record, logic, displayRows, meanings = null) {
   const { theme, highContrast, stateSymbols } = getSettings();
   const st = THEME_STYLES[theme] ?? THEME_STYLES.cyber;
   const tileColors = tileColorsFor(theme, highContrast);
@@ -138,12 +152,16 @@ export function renderResultCanvas(record, logic, displayRows) {
   const cleared = record.clear;
   const discarded = Boolean(record.discarded);
   const extraInfo = extraShotInfo(record, logic);
-  const maxGuess = MODES[record.gameMode].maxGuess;
+  const maxGuess = maxGuessForRecord(record);
 
   const rows = record.guessWord.length;
   const gridH = rows * (SS.tile + SS.tileGap);
-  // ヘッダ部(タイトル+メタ+CLEAR表示) ≈ 220px、答え 2 行 + フッタ ≈ 190px
-  const height = 220 + gridH + 190 + (extraInfo ? 142 : 0);
+  // ヘッダ部(タイトル+メタ+CLEAR表示) ≈ 220px、答え 2 行 + フッタ ≈ 190px。
+  // TRIWORDle / QUADWORDle は答えの行が増えるぶん伸ばす
+  const answerRowsH = (logic.answers.length - 2) * (SS.tile + 10);
+  const meaningEntries = meanings?.some(Boolean) ? meanings : null;
+  const meaningsH = meaningEntries ? 24 + meaningEntries.length * SS.meaningRow : 0;
+  const height = 220 + gridH + 190 + answerRowsH + (extraInfo ? 142 : 0) + meaningsH;
 
   const scale = 2; // Retina 向けに 2 倍で描く
   const cv = document.createElement("canvas");
@@ -198,7 +216,8 @@ export function renderResultCanvas(record, logic, displayRows) {
   const d = new Date(record.startTime * 1000);
   const dateStr = `${d.getFullYear()}/${String(d.getMonth() + 1).padStart(2, "0")}/${String(d.getDate()).padStart(2, "0")}`;
   const countText = discarded ? `DISCARDED ${rows}/${maxGuess}` : cleared ? `${rows}/${maxGuess}` : `X/${maxGuess}`;
-  ctx.fillText(`${pidLabel(record.problemID)}   ${dateStr}   ${countText}`, centerX, y);
+  const hintText = record.hints?.length ? `   HINT ×${record.hints.length}` : "";
+  ctx.fillText(`${pidLabel(record.problemID)}   ${dateStr}   ${countText}${hintText}`, centerX, y);
 
   // DOUBLE CLEAR! / GAME CLEAR / DISCARDED / GAME OVER（DOUBLE CLEAR は金色で目立たせる）
   y += 52;
@@ -214,12 +233,15 @@ export function renderResultCanvas(record, logic, displayRows) {
 
   // 答え → 入力履歴 → EXTRA SHOT の順に並べる。
   y += 56;
-  const gridW = 5 * SS.tile + 4 * SS.tileGap;
+  // 7 文字版でも基準幅 720px に収まる（7 枚 + 左の "Word n" ラベル）ので、タイル寸法は変えない
+  const wordLength = logic.wordLength;
+  const gridW = wordLength * SS.tile + (wordLength - 1) * SS.tileGap;
   const gx0 = centerX - gridW / 2;
   const lastWord = record.guessWord[rows - 1];
   const ax0 = gx0;
   const flagX = ax0 + gridW + 24;
-  for (const [label, word] of [["Word 1", logic.ans1], ["Word 2", logic.ans2]]) {
+  for (const [index, word] of logic.answers.entries()) {
+    const label = `Word ${index + 1}`;
     if (cleared && word === lastWord) drawGuessFlag(ctx, flagX, y + SS.tile / 2, 20, flagColor);
     if (doubleClear && word === extraInfo.target) {
       drawCrown3D(ctx, flagX, y + SS.tile / 2 + 5, 34, Math.PI / 9, st.extraAccent);
@@ -230,7 +252,7 @@ export function renderResultCanvas(record, logic, displayRows) {
     ctx.fillText(label, ax0 - 14, y + SS.tile / 2);
     ctx.textAlign = "center";
     ctx.font = `800 ${SS.tile * 0.5}px "Avenir Next", sans-serif`;
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < wordLength; i++) {
       const x = ax0 + i * (SS.tile + SS.tileGap);
       ctx.fillStyle = "rgba(127,127,127,0.16)";
       roundRect(ctx, x, y, SS.tile, SS.tile, SS.tileRadius);
@@ -248,7 +270,7 @@ export function renderResultCanvas(record, logic, displayRows) {
   y += 26;
   ctx.font = `800 ${SS.tile * 0.5}px "Avenir Next", sans-serif`;
   for (let r = 0; r < rows; r++) {
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < wordLength; i++) {
       const s = displayRows[r][i];
       const x = gx0 + i * (SS.tile + SS.tileGap);
       const color = s === CELL.CORRECT ? tileColors.correct : s === CELL.USED ? tileColors.used : tileColors.unused;
@@ -286,7 +308,7 @@ export function renderResultCanvas(record, logic, displayRows) {
     ctx.fillText("EXTRA SHOT", centerX, cardY + 18);
     const rowY = cardY + 34;
     ctx.font = `800 ${SS.tile * 0.5}px "Avenir Next", sans-serif`;
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < wordLength; i++) {
       const stateName = extraInfo.result[i];
       const x = ax0 + i * (SS.tile + SS.tileGap);
       ctx.fillStyle =
@@ -316,6 +338,30 @@ export function renderResultCanvas(record, logic, displayRows) {
     );
   }
 
+  // 答えの意味。日本語の UI では訳、英語の UI では英語の定義を 2 行目に書く
+  if (meaningEntries) {
+    let my = y + (extraInfo ? 142 : 0) + 24;
+    const left = gx0 - 70;
+    const maxWidth = SS.width - left - SS.pad;
+    ctx.textAlign = "left";
+    for (const [index, entry] of meaningEntries.entries()) {
+      const word = logic.answers[index].toUpperCase();
+      ctx.font = `800 17px "Avenir Next", sans-serif`;
+      ctx.fillStyle = st.fg;
+      ctx.fillText(word, left, my + 10);
+      const wordW = ctx.measureText(word).width;
+      ctx.font = `600 14px "Avenir Next", sans-serif`;
+      ctx.fillStyle = accent;
+      ctx.fillText(entry ? partOfSpeechLabel(entry.pos) : "", left + wordW + 12, my + 10);
+      ctx.fillStyle = st.dim;
+      ctx.font = `600 15px "Avenir Next", sans-serif`;
+      const text = entry ? (isEnglish() ? entry.definition : `${entry.gloss} — ${entry.definition}`) : "—";
+      ctx.fillText(fitText(ctx, text, maxWidth), left, my + 33);
+      my += SS.meaningRow;
+    }
+    ctx.textAlign = "center";
+  }
+
   // フッター (URL)
   ctx.font = `600 ${SS.footerSize}px "Avenir Next", sans-serif`;
   ctx.fillStyle = st.dim;
@@ -327,7 +373,13 @@ export function renderResultCanvas(record, logic, displayRows) {
 // iOS Safari は data: URL + download 属性の保存を無視することがあるため、
 // Blob URL + DOM に追加した a 要素で保存する（履歴エクスポートと同じ方式）
 export async function downloadResultPNG(record, logic, displayRows) {
-  const cv = renderResultCanvas(record, logic, displayRows);
+  let meanings = null;
+  if (getSettings().snapshotMeanings && logic.wordLength === 5) {
+    // 辞書を読み込めなくても画像は保存する（意味を添えないだけ）
+    const lookup = await loadDictionary().catch(() => null);
+    meanings = lookup ? logic.answers.map((word) => lookup(word)) : null;
+  }
+  const cv = renderResultCanvas(record, logic, displayRows, meanings);
   const blob = await new Promise((resolve) => cv.toBlob(resolve, "image/png"));
   const url = blob ? URL.createObjectURL(blob) : cv.toDataURL("image/png");
   const a = document.createElement("a");
@@ -0,0 +1,260 @@
+// Speed Run の入口（レベル選択・自己ベスト・最近のラン）と、1 回のランの結果画面。
+// ルート: #/speed              入口
+//         #/speed/<startTime>  ランの結果
+//
+// ランそのものはゲーム画面（#/game/speed）で遊ぶ。記録の形式は core/speed-run.js を参照。
+
+import { el, clear, fmtDateTime } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate } from "./app.js?v=20260806-a";
+import { MODES } from "../core/records.js?v=20260806-a";
+import { Logic } from "../core/logic.js?v=20260806-a";
+import { LEVELS, pidLabel } from "../core/problems.js?v=20260806-a";
+import {
+  findSpeedRun,
+  getCurrentRun,
+  getSpeedRuns,
+  isPersonalBest,
+  personalBests,
+  speedTimeLeftMs,
+  startSpeedRun,
+} from "../core/speed-run.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { settleSpeedRun, startNewGame } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { localizedLevel, tr } from "../core/i18n.js?v=20260806-a";
+
+const RECENT_RUNS = 10; // 入口に並べる最近のランの数
+
+let root = null;
+
+function build() {
+  root = document.getElementById("screen-speed");
+}
+
+function levelName(id) {
+  const level = LEVELS.find((lv) => lv.id === id);
+  return level ? `Lv.${level.id} ${localizedLevel(level).name}` : "";
+}
+
+function solvedText(run) {
+  return tr(`${run.solved} 問`, `${run.solved} solved`);
+}
+
+function header(title, back) {
+  return el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("前の画面へ戻る", "Back"), onclick: () => { playSfx("ui"); navigate(back); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, title),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+}
+
+async function startRun(levelId) {
+  playSfx("ui");
+  if (getCurrentRun()) {
+    const { confirmModal } = await import("./modal.js?v=20260806-a");
+    const ok = await confirmModal(
+      tr("進行中のラン", "Run in progress"),
+      tr(
+        "進行中の Speed Run をここまでの記録で終了し、新しいランを始めますか？",
+        "End the current Speed Run with its results so far and start a new one?"
+      )
+    );
+    if (!ok) return;
+    settleSpeedRun({ force: true });
+  }
+  const { pid } = startSpeedRun(levelId);
+  startNewGame(pid, "speed");
+}
+
+function renderHub() {
+  settleSpeedRun(); // 離れている間に時間切れになったランを先に締める
+  const current = getCurrentRun();
+  const bests = personalBests();
+  const minutes = MODES.speed.timeLimitSec / 60;
+
+  const intro = el(
+    "div",
+    { class: "card speed-intro" },
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        `${minutes} 分間で、選んだレベルの問題を連番で何問解けるか。ルールは DWORDle と同じで、1 問 ${MODES.speed.maxGuess} 手まで。クリアでも失敗でもすぐ次の問題へ進みます。`,
+        `Solve as many consecutive puzzles of one level as you can in ${minutes} minutes. Same rules as DWORDle, up to ${MODES.speed.maxGuess} Guesses each. Solved or not, the next puzzle starts right away.`
+      )
+    ),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "時計は画面を離れても止まりません。記録はプレイ履歴・統計とは別に残ります。",
+        "The clock keeps running even if you leave. Runs are kept separately from your play history and statistics."
+      )
+    )
+  );
+
+  const resume = current
+    ? el(
+        "button",
+        { class: "btn btn-primary speed-resume", onclick: () => { playSfx("ui"); navigate("/game/speed"); } },
+        icon("play"),
+        tr(
+          `続きから（${levelName(current.level)}・残り ${Math.ceil(speedTimeLeftMs(current) / 1000)} 秒）`,
+          `Continue (${levelName(current.level)} · ${Math.ceil(speedTimeLeftMs(current) / 1000)}s left)`
+        )
+      )
+    : null;
+
+  const levelButtons = LEVELS.map((lv) => {
+    const best = bests.get(lv.id);
+    return el(
+      "button",
+      { class: "btn random-level-option", onclick: () => void startRun(lv.id) },
+      el("span", { class: "random-level-name" }, levelName(lv.id)),
+      el(
+        "span",
+        { class: "hint random-level-desc" },
+        best ? tr(`自己ベスト ${best.solved} 問`, `Best: ${best.solved} solved`) : tr("記録なし", "No record yet")
+      )
+    );
+  });
+
+  const bestRows = LEVELS.filter((lv) => bests.has(lv.id)).map((lv) => {
+    const best = bests.get(lv.id);
+    return el(
+      "tr",
+      {},
+      el("th", { scope: "row" }, levelName(lv.id)),
+      el("td", {}, solvedText(best)),
+      el("td", {}, tr(`${best.guesses} 手`, `${best.guesses} Guesses`)),
+      el("td", {}, fmtDateTime(best.startTime))
+    );
+  });
+  const bestTable = el(
+    "div",
+    { class: "card" },
+    el("h2", {}, tr("自己ベスト", "Personal bests")),
+    bestRows.length > 0
+      ? el(
+          "table",
+          { class: "speed-bests" },
+          el(
+            "thead",
+            {},
+            el(
+              "tr",
+              {},
+              el("th", { scope: "col" }, tr("レベル", "Level")),
+              el("th", { scope: "col" }, tr("クリア", "Solved")),
+              el("th", { scope: "col" }, tr("手数計", "Guesses")),
+              el("th", { scope: "col" }, tr("日時", "Date"))
+            )
+          ),
+          el("tbody", {}, bestRows)
+        )
+      : el("p", { class: "hint" }, tr("まだ記録がありません。", "No runs yet."))
+  );
+
+  const recent = getSpeedRuns().slice(-RECENT_RUNS).reverse();
+  const recentCard = recent.length > 0
+    ? el(
+        "div",
+        { class: "card" },
+        el("h2", {}, tr("最近のラン", "Recent runs")),
+        el(
+          "div",
+          { class: "speed-runs" },
+          recent.map((run) =>
+            el(
+              "button",
+              { class: "speed-run-item", onclick: () => { playSfx("ui"); navigate(`/speed/${run.startTime}`); } },
+              el("span", { class: "speed-run-solved" }, solvedText(run)),
+              el("span", {}, levelName(run.level)),
+              el("span", { class: "hint" }, fmtDateTime(run.startTime))
+            )
+          )
+        )
+      )
+    : null;
+
+  root.append(
+    header("Speed Run", "/"),
+    el("div", { class: "list-screen-body" }, intro, resume, el("div", { class: "speed-levels" }, levelButtons), bestTable, recentCard)
+  );
+}
+
+function renderRun(startTime) {
+  const run = findSpeedRun(startTime);
+  if (!run) {
+    root.append(
+      header("Speed Run", "/speed"),
+      el("div", { class: "list-screen-body" }, el("div", { class: "card" }, tr("記録が見つかりません", "Run not found")))
+    );
+    return;
+  }
+  const best = run.solved > 0 && isPersonalBest(run);
+
+  const puzzleRows = run.puzzles.map((puzzle) => {
+    const logic = new Logic(puzzle.problemID);
+    return el(
+      "li",
+      { class: `speed-puzzle ${puzzle.clear ? "clear" : "miss"}` },
+      el("span", { class: "speed-puzzle-mark", "aria-label": puzzle.clear ? "CLEAR" : "MISS" }, puzzle.clear ? "✓" : "✗"),
+      el("span", { class: "speed-puzzle-label" }, pidLabel(puzzle.problemID)),
+      el("span", { class: "speed-puzzle-words" }, `${logic.ans1.toUpperCase()} / ${logic.ans2.toUpperCase()}`),
+      el("span", { class: "hint" }, tr(`${puzzle.guessWord.length} 手`, `${puzzle.guessWord.length} Guesses`))
+    );
+  });
+
+  root.append(
+    header(tr("Speed Run の結果", "Speed Run result"), "/speed"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el("div", { class: "result-title clear" }, run.endedEarly ? "FINISHED" : "TIME UP"),
+      el("div", { class: "speed-score" }, solvedText(run)),
+      best ? el("div", { class: "speed-best-badge" }, icon("trophy", 16), tr("自己ベスト！", "Personal best!")) : null,
+      el(
+        "div",
+        { class: "hint" },
+        tr(
+          `${levelName(run.level)} ・ ${fmtDateTime(run.startTime)} ・ ${run.puzzles.length} 問に挑戦${run.endedEarly ? " ・ 途中終了" : ""}`,
+          `${levelName(run.level)} · ${fmtDateTime(run.startTime)} · ${run.puzzles.length} attempted${run.endedEarly ? " · Ended early" : ""}`
+        )
+      ),
+      run.puzzles.length > 0
+        ? el("ol", { class: "card speed-puzzles" }, puzzleRows)
+        : el("div", { class: "card hint" }, tr("1 手も入力しないまま終わりました。", "No Guesses were made in this run.")),
+      el(
+        "div",
+        { class: "result-actions" },
+        el("button", { class: "btn btn-primary", onclick: () => void startRun(run.level) }, icon("retry"), tr("同じレベルでもう一度", "Run this level again")),
+        el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/speed"); } }, icon("gauge"), "Speed Run")
+      )
+    )
+  );
+}
+
+function render(args) {
+  if (!root) build();
+  clear(root);
+  const startTime = Number(args[0]);
+  if (args[0] !== undefined && Number.isInteger(startTime)) renderRun(startTime);
+  else renderHub();
+}
+
+registerScreen("speed", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
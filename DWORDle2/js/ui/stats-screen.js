@@ -0,0 +1,640 @@
+// 統計ダッシュボード。プレイ履歴の統計（数字と手数の分布）を、推移・傾向のグラフで見る。
+// ルート: #/stats
+//
+// 集計は core/stats.js、描画は charts.js（canvas）。上のモード切り替えで全部のグラフを絞り込む。
+// 獲得情報量の推移だけは候補ペアの計算が要るので、直近の局から分析用 Worker に 1 局ずつ問い合わせ、
+// 結果が届くたびに線を伸ばす（analysis.worker.js の kind: "bits"）。
+// 1 手目の単語の表も、期待情報量とおすすめの 1 手目は同じ Worker で計算する（kind: "openers"）。
+// 履歴全体の分析は画面を離れても続くので、別の Worker を持つジョブ（batch-analysis-job.js）に任せる。
+// canvas は画像として読み上げられるよう role="img" にし、aria-label に要約を入れる。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, currentScreenName } from "./app.js?v=20260806-a";
+import { getHistory, getStatistics, dailyClearStreak, MODES } from "../core/records.js?v=20260806-a";
+import { Logic } from "../core/logic.js?v=20260806-a";
+import { MULTI_SETS } from "../core/problems.js?v=20260806-a";
+import { aggregateAnalyses, isAnalysable } from "../core/batch-analysis.js?v=20260806-a";
+import { batchAnalysisRunning, onBatchAnalysisProgress, pauseBatchAnalysis, startBatchAnalysis } from "./batch-analysis-job.js?v=20260806-a";
+import { computeTruePatternIdsForAnswers, resultToPatternId } from "../core/analysis-core.js?v=20260806-a";
+import { averageBits, averageGuessesByLevel, dailyTimeline, openerUsage, playHeatmap, winRateSeries } from "../core/stats.js?v=20260806-a";
+import { ratingHistory } from "../core/rating.js?v=20260806-a";
+import { drawRatingChart, ratingTierBadge } from "./player-card.js?v=20260806-a";
+import { chartTheme, drawBarChart, drawHeatmap, drawLineChart, drawTimeline } from "./charts.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { currentLanguage, tr } from "../core/i18n.js?v=20260806-a";
+
+const BITS_GAMES = 30; // 獲得情報量の推移に使う直近の局数
+const OPENER_ROWS = 8; // オープナーの表に並べる単語の数
+
+let root = null;
+let filter = "all"; // "all" | "normal" | "uso"
+let openerGroupKey = null; // オープナーの表で選んでいる出題の種類（openerUsage の key）。null は最も遊んだもの
+let draws = []; // いまの画面のグラフを描き直す関数（画面幅が変わったとき用）
+let worker = null;
+let workerSerial = 0;
+const pending = new Map(); // serial -> resolve
+let renderToken = 0; // 古い Worker 結果を捨てるための世代カウンタ
+let unsubscribeJob = null; // 履歴全体の分析の進み具合の購読を外す関数
+
+function build() {
+  root = document.getElementById("screen-stats");
+}
+
+function fmtDate(date, unit) {
+  const locale = currentLanguage() === "en" ? "en-US" : "ja-JP";
+  return unit === "month"
+    ? date.toLocaleDateString(locale, { year: "2-digit", month: "numeric" })
+    : date.toLocaleDateString(locale, { month: "numeric", day: "numeric" });
+}
+
+function chartCard(title, note, ...content) {
+  return el(
+    "section",
+    { class: "card stats-chart-card", "aria-label": title },
+    el("div", { class: "stats-chart-title" }, title),
+    note ? el("div", { class: "hint" }, note) : null,
+    ...content
+  );
+}
+
+function chartCanvas(label) {
+  return el("canvas", { class: "stats-chart", role: "img", "aria-label": label });
+}
+
+function emptyNote() {
+  return el("p", { class: "hint" }, tr("まだ記録がありません。", "No games yet."));
+}
+
+// グラフを描く関数を登録する。canvas の幅は親の幅で決まるので、カードを DOM に入れてから
+// まとめて描く（redraw）。画面幅が変わったときも同じ関数で描き直す
+function addDraw(draw) {
+  draws.push(draw);
+}
+
+function winRateCard(records, st) {
+  const { unit, buckets } = winRateSeries(records);
+  const title = tr("勝率の推移", "Win rate over time");
+  const note = unit === "week" ? tr("週ごと", "Per week") : tr("月ごと", "Per month");
+  if (buckets.length === 0) return chartCard(title, note, emptyNote());
+  const played = buckets.filter((b) => b.plays > 0);
+  const latest = played[played.length - 1];
+  const canvas = chartCanvas(
+    tr(
+      `勝率の推移。${buckets.length} 区間。直近は ${fmtDate(latest.start, unit)} からの ${latest.plays} 局で ${Math.round(latest.rate * 100)}%`,
+      `Win rate over ${buckets.length} ${unit}s. Latest: ${Math.round(latest.rate * 100)}% of ${latest.plays} games from ${fmtDate(latest.start, unit)}`
+    )
+  );
+  addDraw(() =>
+    drawLineChart(canvas, {
+      points: buckets.map((b) => ({ label: fmtDate(b.start, unit), value: b.rate })),
+      min: 0,
+      max: 1,
+      yTicks: [0, 0.5, 1],
+      format: (v) => `${Math.round(v * 100)}%`,
+      st,
+    })
+  );
+  return chartCard(title, note, canvas);
+}
+
+function levelCard(records, st) {
+  const title = tr("レベル別の平均手数", "Average guesses by level");
+  const rows = averageGuessesByLevel(records);
+  if (rows.length === 0) return chartCard(title, tr("クリアした局だけを数えます", "Cleared games only"), emptyNote());
+  const bars = rows.map(({ level, length, wins, average }) => {
+    const name = tr(level.name, level.nameEn ?? level.name);
+    return { label: length === 5 ? name : `${length}L ${name}`, value: average, note: average.toFixed(2), wins };
+  });
+  const canvas = chartCanvas(
+    bars.map((b) => tr(`${b.label}: 平均 ${b.note} 手（${b.wins} 局）`, `${b.label}: ${b.note} guesses on average (${b.wins} games)`)).join(tr("、", ", "))
+  );
+  addDraw(() => drawBarChart(canvas, { bars, max: Math.max(...bars.map((b) => b.value)), color: st.line, st }));
+  return chartCard(title, tr("クリアした局だけを数えます", "Cleared games only"), canvas);
+}
+
+// 手数の分布は履歴画面の統計と同じく、モードごとに最大手数まで並べる
+function distributionCard(st) {
+  const modes = filter === "all" ? ["normal", "uso"] : [filter];
+  const blocks = modes.map((mode) => {
+    const { hist, count } = getStatistics(mode);
+    const bars = Object.entries(hist).map(([guesses, n]) => ({ label: guesses, value: n, note: String(n) }));
+    const canvas = chartCanvas(
+      tr(
+        `${MODES[mode].title} の手数分布: ${bars.filter((b) => b.value > 0).map((b) => `${b.label} 手 ${b.value} 回`).join("、") || "クリアなし"}`,
+        `${MODES[mode].title} guess distribution: ${bars.filter((b) => b.value > 0).map((b) => `${b.label} guesses ${b.value}×`).join(", ") || "no clears"}`
+      )
+    );
+    addDraw(() => drawBarChart(canvas, { bars, max: Math.max(...bars.map((b) => b.value)), color: st.correct, st, rowHeight: 15 }));
+    return el(
+      "div",
+      { class: "stats-dist" },
+      el("div", { class: "hint" }, tr(`${MODES[mode].title}（${count} 局）`, `${MODES[mode].title} (${count} games)`)),
+      canvas
+    );
+  });
+  return chartCard(tr("手数の分布", "Guess distribution"), null, ...blocks);
+}
+
+function heatmapCard(records, st) {
+  const title = tr("遊んだ時間帯", "When you play");
+  if (records.length === 0) return chartCard(title, null, emptyNote());
+  const counts = playHeatmap(records);
+  const weekdays = tr(["日", "月", "火", "水", "木", "金", "土"], ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]);
+  let peak = { day: 0, hour: 0, n: -1 };
+  counts.forEach((row, day) => row.forEach((n, hour) => { if (n > peak.n) peak = { day, hour, n }; }));
+  const canvas = chartCanvas(
+    tr(
+      `曜日と時間帯ごとの局数。いちばん多いのは ${weekdays[peak.day]}曜 ${peak.hour} 時台の ${peak.n} 局`,
+      `Games by weekday and hour. Most often ${weekdays[peak.day]} ${peak.hour}:00 (${peak.n} games)`
+    )
+  );
+  addDraw(() => drawHeatmap(canvas, { counts, rowLabels: weekdays, st }));
+  return chartCard(title, tr("端末の時刻で数えます", "In this device's time zone"), canvas);
+}
+
+function dailyCard(records, st) {
+  const { timeline, max } = dailyTimeline(records);
+  const current = filter === "all" ? dailyClearStreak() : null;
+  const cleared = timeline.filter((d) => d.status === "cleared").length;
+  const canvas = chartCanvas(
+    tr(`直近 ${timeline.length} 日のうち ${cleared} 日デイリーをクリア`, `Daily cleared on ${cleared} of the last ${timeline.length} days`)
+  );
+  addDraw(() => drawTimeline(canvas, { timeline, st }));
+  return chartCard(
+    tr("デイリーの連続記録", "Daily streak"),
+    tr(`直近 ${timeline.length} 日。その日のうちに遊んだデイリーだけを数えます`, `The last ${timeline.length} days. Only Dailies played on their own day count`),
+    el(
+      "div",
+      { class: "stat-metrics" },
+      current === null ? null : el("div", {}, el("b", {}, current), el("div", { class: "hint" }, "Current Streak")),
+      el("div", {}, el("b", {}, max), el("div", { class: "hint" }, "Max Streak")),
+      el("div", {}, el("b", {}, cleared), el("div", { class: "hint" }, tr(`${timeline.length} 日中`, `of ${timeline.length} days`)))
+    ),
+    canvas
+  );
+}
+
+// 出題の種類の表示名（例: "ふつう"・"6L ふつう"・"TRIWORDle やさしい"）
+function openerGroupLabel({ mode, level, length, answers }) {
+  const multi = MULTI_SETS.find((set) => set.answers === answers);
+  return [MODES[mode].title, multi?.title, length === 5 ? null : `${length}L`, tr(level.name, level.nameEn ?? level.name)].filter(Boolean).join(" ");
+}
+
+function fmtBits(bits) {
+  return `${bits.toFixed(2)} bit`;
+}
+
+// 1 手目の単語ごとの使用回数・勝率・平均手数と、その候補リストに対する期待情報量。
+// 期待情報量とおすすめの 1 手目は Worker で計算し、届いたら表を埋める
+function openersCard(records) {
+  const title = tr("1 手目の単語", "Your openers");
+  const groups = openerUsage(records);
+  if (groups.length === 0) return chartCard(title, null, emptyNote());
+  const content = el("div", { class: "stats-openers" });
+  const fill = (group) => {
+    clear(content);
+    const openers = group.openers.slice(0, OPENER_ROWS);
+    const bitsCells = openers.map(() => el("td", {}, "…"));
+    const advice = el("div", { class: "hint", "aria-live": "polite" }, tr("期待情報量を計算しています…", "Calculating expected information…"));
+    content.append(
+      el(
+        "table",
+        { class: "speed-bests" },
+        el(
+          "thead",
+          {},
+          el(
+            "tr",
+            {},
+            el("th", { scope: "col" }, tr("単語", "Word")),
+            el("th", { scope: "col" }, tr("回数", "Uses")),
+            el("th", { scope: "col" }, tr("勝率", "Win %")),
+            el("th", { scope: "col" }, tr("平均手数", "Avg. guesses")),
+            el("th", { scope: "col" }, tr("期待情報量", "Expected"))
+          )
+        ),
+        el(
+          "tbody",
+          {},
+          openers.map((opener, i) =>
+            el(
+              "tr",
+              {},
+              el("th", { scope: "row" }, opener.word.toUpperCase()),
+              el("td", {}, opener.uses),
+              el("td", {}, `${Math.round((100 * opener.wins) / opener.uses)}%`),
+              el("td", {}, opener.averageGuesses === null ? "-" : opener.averageGuesses.toFixed(2)),
+              bitsCells[i]
+            )
+          )
+        )
+      ),
+      advice
+    );
+    const token = renderToken;
+    void askWorker("openers", { pid: group.pid, mode: group.mode, words: openers.map((opener) => opener.word) }).then((result) => {
+      if (token !== renderToken || !content.isConnected || content.dataset.group !== group.key) return;
+      if (!result) {
+        bitsCells.forEach((cell) => { cell.textContent = "-"; });
+        advice.textContent = tr("期待情報量を計算できませんでした", "Could not calculate expected information");
+        return;
+      }
+      result.words.forEach(({ expectedBits }, i) => { bitsCells[i].textContent = fmtBits(expectedBits); });
+      const favourite = result.words[0];
+      const better = result.best.filter((s) => s.expectedBits > favourite.expectedBits + 0.005);
+      advice.replaceWith(
+        el(
+          "div",
+          { class: "stats-opener-advice" },
+          el(
+            "div",
+            { class: "hint" },
+            better.length > 0
+              ? tr(
+                  `いちばん使っている ${favourite.word.toUpperCase()} より、次の単語のほうが 1 手目で候補を絞れる見込みです:`,
+                  `These openers are expected to narrow the candidates more than your favourite, ${favourite.word.toUpperCase()}:`
+                )
+              : tr(
+                  `いちばん使っている ${favourite.word.toUpperCase()} は、このレベルで期待情報量が最も高い単語と同じくらい良い 1 手目です。`,
+                  `Your favourite, ${favourite.word.toUpperCase()}, is about as good as the best openers for this level.`
+                )
+          ),
+          better.length > 0
+            ? el(
+                "div",
+                { class: "suggest-list" },
+                better.map((s, i) =>
+                  el(
+                    "div",
+                    { class: "srow" },
+                    el("span", { class: "hint", style: { width: "18px" } }, `${i + 1}.`),
+                    el("span", { class: "sword" }, s.word),
+                    el("span", { class: "sbits" }, tr(`期待 ${fmtBits(s.expectedBits)}`, `Expected ${fmtBits(s.expectedBits)}`)),
+                    el("span", { class: "hint" }, `+${(s.expectedBits - favourite.expectedBits).toFixed(2)}`)
+                  )
+                )
+              )
+            : null,
+          result.sampled
+            ? el("div", { class: "hint" }, tr("候補の組が多いレベルなので、一部の組から見積もった値です。", "This level has too many candidate sets, so the values are estimated from a sample."))
+            : null
+        )
+      );
+    });
+  };
+  const selected = groups.find((group) => group.key === openerGroupKey) ?? groups[0];
+  const select =
+    groups.length > 1
+      ? el(
+          "select",
+          {
+            class: "stats-opener-select",
+            "aria-label": tr("出題の種類", "Puzzle type"),
+            onchange: (e) => {
+              openerGroupKey = e.target.value;
+              const group = groups.find((g) => g.key === openerGroupKey);
+              content.dataset.group = group.key;
+              fill(group);
+            },
+          },
+          groups.map((group) => el("option", { value: group.key }, tr(`${openerGroupLabel(group)}（${group.plays} 局）`, `${openerGroupLabel(group)} (${group.plays} games)`)))
+        )
+      : el("div", { class: "hint" }, openerGroupLabel(selected));
+  select.value = selected.key;
+  content.dataset.group = selected.key;
+  fill(selected);
+  return chartCard(
+    title,
+    tr(
+      "期待情報量は、その出題の答えの組全体に対して 1 手目で得られる情報量の見込み（分析画面と同じ計算）。平均手数はクリアした局だけ",
+      "Expected information is what the opener is expected to reveal against every possible answer set (as on the analysis screen). Average guesses count cleared games only"
+    ),
+    select,
+    content
+  );
+}
+
+function bitsTargets(records) {
+  return records.filter(isAnalysable).slice(-BITS_GAMES);
+}
+
+// 履歴全体の分析（ui/batch-analysis-job.js）の進み具合と、運と腕前・無駄手・最善手の割合・スキル評価。
+// ジョブが 1 チャンク進むたびに中身を描き直す
+function batchCard(records) {
+  const content = el("div", { class: "stats-batch" });
+  const fill = () => {
+    clear(content);
+    const agg = aggregateAnalyses(records);
+    const running = batchAnalysisRunning();
+    const done = agg.analysed + agg.failed;
+    const pct = (v) => (v === null ? "-" : `${Math.round(v * 100)}%`);
+    content.append(
+      el(
+        "div",
+        { class: "bar-track", role: "progressbar", "aria-valuemin": "0", "aria-valuemax": String(agg.total), "aria-valuenow": String(done) },
+        el("div", { class: "bar-fill", style: { width: `${agg.total > 0 ? (100 * done) / agg.total : 0}%` } })
+      ),
+      el(
+        "div",
+        { class: "stats-batch-status" },
+        el(
+          "span",
+          { class: "hint", "aria-live": "polite" },
+          running
+            ? tr(`分析しています… ${done} / ${agg.total} 局`, `Analyzing… ${done} / ${agg.total} games`)
+            : tr(`分析済み ${done} / ${agg.total} 局`, `${done} of ${agg.total} games analyzed`)
+        ),
+        el("span", { class: "spacer" }),
+        done < agg.total || running
+          ? el(
+              "button",
+              {
+                class: "btn",
+                onclick: () => {
+                  playSfx("ui");
+                  if (running) pauseBatchAnalysis();
+                  else startBatchAnalysis();
+                },
+              },
+              icon(running ? "hourglass" : "play"),
+              running ? tr("一時停止", "Pause") : done > 0 ? tr("続きを分析", "Resume") : tr("分析を始める", "Start analysis")
+            )
+          : null
+      ),
+      agg.analysed === 0
+        ? el(
+            "p",
+            { class: "hint" },
+            tr(
+              "1 局ずつ分析画面と同じ計算をするので時間がかかります。ほかの画面にいても進み、アプリを閉じても次に開いたときに続きから再開します（プレイ中は休みます）。",
+              "Each game gets the same analysis as the analysis screen, so this takes a while. It keeps going on other screens and picks up where it left off next time you open the app (it pauses while you play)."
+            )
+          )
+        : el(
+            "div",
+            { class: "stat-metrics" },
+            el("div", {}, el("b", {}, agg.rating ?? "-"), el("div", { class: "hint" }, agg.provisional ? tr("スキル（暫定）", "Skill (provisional)") : tr("スキル", "Skill"))),
+            el("div", {}, el("b", {}, pct(agg.efficiency)), el("div", { class: "hint" }, tr("手の質", "Move quality"))),
+            el("div", {}, el("b", {}, pct(agg.bestRate)), el("div", { class: "hint" }, tr("最善手", "Best move"))),
+            el("div", {}, el("b", {}, agg.wastedPerGame.toFixed(2)), el("div", { class: "hint" }, tr("無駄手 / 局", "Wasted / game")))
+          ),
+      agg.luck === null
+        ? null
+        : el(
+            "div",
+            { class: "hint" },
+            agg.luck >= 0
+              ? tr(`運: 1 手あたり +${agg.luck.toFixed(2)} bit（判定の出方に恵まれています）`, `Luck: +${agg.luck.toFixed(2)} bits per guess (the feedback has favoured you)`)
+              : tr(`運: 1 手あたり ${agg.luck.toFixed(2)} bit（判定の出方に恵まれていません）`, `Luck: ${agg.luck.toFixed(2)} bits per guess (the feedback has been unkind)`)
+          ),
+      agg.sampled > 0
+        ? el("div", { class: "hint" }, tr(`うち ${agg.sampled} 局は候補の組が多く、一部の組から見積もった値です。`, `${agg.sampled} of these games had too many candidate sets and were estimated from a sample.`))
+        : null
+    );
+  };
+  fill();
+  unsubscribeJob?.();
+  unsubscribeJob = onBatchAnalysisProgress(fill);
+  return chartCard(
+    tr("履歴全体の分析", "Whole-history analysis"),
+    tr(
+      "スキルは勝ち負けや運ではなく、打った手の質（その時点で最善の手と比べた期待情報量）から、候補を絞れない無駄手の割合を差し引いた 0〜100 の評価です。運は、実際に得た情報量と期待情報量の差です。",
+      "Skill is a 0–100 rating of your moves, not your wins or luck: the expected information of each guess compared with the best guess at that point, discounted by the share of wasted guesses that could not narrow anything. Luck is the information you actually gained minus what was expected."
+    ),
+    content
+  );
+}
+
+// レーティングの推移と、出題の種類ごとの評価（core/rating.js）。段位の色はプレイヤーカードのフレームと同じ
+function ratingCard(records, st) {
+  const title = tr("レーティング", "Rating");
+  const note = tr(
+    "実績の対象になる局ごとに、そのレベルの自動ソルバーの平均手数と比べた手数と、履歴全体の分析で分かった手の質（分析済みの局だけ）で上下します。",
+    "Each scored game moves it by your guess count against the auto-solver's average for that level, plus your move quality from the whole-history analysis (analyzed games only)."
+  );
+  const result = ratingHistory(records);
+  if (result.games === 0) return chartCard(title, note, emptyNote());
+  const rating = Math.round(result.rating);
+  const canvas = chartCanvas(
+    tr(
+      `レーティングの推移。${result.games} 局。現在 ${rating}、最高 ${Math.round(result.peak)}`,
+      `Rating over ${result.games} games. Now ${rating}, peak ${Math.round(result.peak)}`
+    )
+  );
+  addDraw(() => drawRatingChart(canvas, result.series, st));
+  const provisional = (row) => (row.provisional ? tr("（暫定）", " (provisional)") : "");
+  return chartCard(
+    title,
+    note,
+    el(
+      "div",
+      { class: "stat-metrics" },
+      el("div", {}, el("b", {}, rating), el("div", { class: "hint" }, tr("現在", "Now") + provisional(result))),
+      el("div", {}, el("b", {}, Math.round(result.peak)), el("div", { class: "hint" }, tr("最高", "Peak"))),
+      el("div", {}, ratingTierBadge(result.rating), el("div", { class: "hint" }, tr("段位", "Tier")))
+    ),
+    canvas,
+    el(
+      "table",
+      { class: "speed-bests" },
+      el(
+        "thead",
+        {},
+        el(
+          "tr",
+          {},
+          el("th", { scope: "col" }, tr("レベル", "Level")),
+          el("th", { scope: "col" }, tr("局数", "Games")),
+          el("th", { scope: "col" }, tr("評価", "Rating")),
+          el("th", { scope: "col" }, tr("段位", "Tier"))
+        )
+      ),
+      el(
+        "tbody",
+        {},
+        result.levels.map((row) =>
+          el(
+            "tr",
+            {},
+            el("th", { scope: "row" }, openerGroupLabel(row)),
+            el("td", {}, row.games),
+            el("td", {}, `${Math.round(row.rating)}${provisional(row)}`),
+            el("td", {}, ratingTierBadge(row.rating))
+          )
+        )
+      )
+    )
+  );
+}
+
+function bitsCard(records, st) {
+  const title = tr("獲得情報量の推移", "Information gained over time");
+  const note = tr(
+    `直近 ${BITS_GAMES} 局の、1 手あたりの平均獲得情報量（bit）。計算しながら描きます`,
+    `Average bits gained per guess over the last ${BITS_GAMES} games, drawn as they are calculated`
+  );
+  const targets = bitsTargets(records);
+  if (targets.length === 0) return chartCard(title, note, emptyNote());
+  const status = el("div", { class: "hint", "aria-live": "polite" }, tr("計算しています…", "Calculating…"));
+  const canvas = chartCanvas(title);
+  const values = targets.map(() => null);
+  const draw = () => {
+    const max = Math.max(2, Math.ceil(Math.max(0, ...values.filter((v) => v !== null))));
+    drawLineChart(canvas, {
+      points: targets.map((g, i) => ({ label: fmtDate(new Date(g.startTime * 1000), "week"), value: values[i] })),
+      min: 0,
+      max,
+      yTicks: [0, max / 2, max],
+      format: (v) => v.toFixed(1),
+      st,
+    });
+  };
+  addDraw(draw);
+  void (async () => {
+    const token = renderToken;
+    for (let i = 0; i < targets.length; i++) {
+      const record = targets[i];
+      let shownPatternIds;
+      try {
+        shownPatternIds =
+          record.gameMode === "uso"
+            ? record.usoResults.map((r) => resultToPatternId(r))
+            : computeTruePatternIdsForAnswers(new Logic(record.problemID).answers, record.guessWord);
+      } catch {
+        continue; // 出題を復元できない記録は飛ばす
+      }
+      const result = await askWorker("bits", { pid: record.problemID, mode: record.gameMode, guessWords: record.guessWord, shownPatternIds });
+      if (token !== renderToken) return;
+      values[i] = result ? averageBits(result.bits) : null;
+      draw();
+      status.textContent = tr(`計算しています… ${i + 1} / ${targets.length}`, `Calculating… ${i + 1} / ${targets.length}`);
+    }
+    const known = values.filter((v) => v !== null);
+    const mean = averageBits(known);
+    status.textContent =
+      mean === null ? tr("計算できませんでした", "Could not calculate") : tr(`平均 ${mean.toFixed(2)} bit / 手`, `${mean.toFixed(2)} bits per guess on average`);
+    canvas.setAttribute(
+      "aria-label",
+      mean === null ? title : tr(`${title}。${known.length} 局の平均 ${mean.toFixed(2)} bit`, `${title}. ${mean.toFixed(2)} bits on average over ${known.length} games`)
+    );
+  })();
+  return chartCard(title, note, canvas, status);
+}
+
+// 分析用 Worker に問い合わせる。失敗したら null で解決する。
+// Worker は 1 件ずつ順に計算するので、局ごとに await しながら投げると届いた順に描き足せる
+// （まとめて投げると最後の局まで何も描けない）
+function askWorker(kind, params) {
+  if (!worker) {
+    worker = new Worker(new URL("../core/analysis.worker.js?v=20260806-a", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      const resolve = pending.get(msg.serial);
+      if (!resolve) return;
+      pending.delete(msg.serial);
+      resolve(msg.type === "error" ? null : msg.result);
+    };
+    // 読み込み失敗は onmessage に届かないので、待っている問い合わせをここで打ち切る
+    worker.onerror = () => stopWorker();
+  }
+  const serial = ++workerSerial;
+  worker.postMessage({ kind, serial, ...params });
+  return new Promise((resolve) => pending.set(serial, resolve));
+}
+
+function stopWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  for (const resolve of pending.values()) resolve(null);
+  pending.clear();
+}
+
+function render() {
+  if (!root) build();
+  clear(root);
+  renderToken++;
+  stopWorker();
+  draws = [];
+
+  const header = el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("プレイ履歴へ戻る", "Back to play history"), onclick: () => { playSfx("ui"); navigate("/history"); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, tr("統計ダッシュボード", "Statistics Dashboard")),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+
+  const seg = el(
+    "div",
+    { class: "seg", style: { margin: "10px 12px 0" } },
+    [
+      ["all", tr("すべて", "All")],
+      ["normal", "DWORDle"],
+      ["uso", "DWORDlie"],
+    ].map(([key, label]) =>
+      el(
+        "button",
+        {
+          class: key === filter ? "active" : "",
+          "aria-pressed": String(key === filter),
+          onclick: () => {
+            playSfx("ui");
+            filter = key;
+            render();
+          },
+        },
+        label
+      )
+    )
+  );
+
+  // 開始時刻の分からない移行レコードは、日付で並べるグラフに置けないので除く
+  const records = getHistory().filter((g) => g.startTime > 0 && (filter === "all" || g.gameMode === filter));
+  const body = el("div", { class: "list-screen-body stats-dashboard" });
+  root.append(header, seg, body);
+  const st = chartTheme(filter === "uso");
+  body.append(
+    winRateCard(records, st),
+    levelCard(records, st),
+    distributionCard(st),
+    heatmapCard(records, st),
+    dailyCard(records, st),
+    bitsCard(records, st),
+    openersCard(records),
+    ratingCard(records, st),
+    batchCard(records)
+  );
+  redraw();
+}
+
+function redraw() {
+  for (const draw of draws) draw();
+}
+
+addEventListener("resize", () => {
+  if (currentScreenName() === "stats") redraw();
+});
+
+registerScreen("stats", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+  onLeave() {
+    renderToken++;
+    stopWorker();
+    draws = [];
+    unsubscribeJob?.();
+    unsubscribeJob = null;
+  },
+});
@@ -0,0 +1,478 @@
+// 単語の復習。負けた局の答えと印を付けた語を、フラッシュカードとスペルクイズで覚え直す。
+// ルート: #/study（一覧）、#/study/cards（フラッシュカード）、#/study/quiz（スペルクイズ）
+//
+// 集める語と SM-2 の予定は core/study.js、意味は core/dictionary.js。
+// どちらの復習も今日の語（予定が今日まで）を出し、評価を予定に書き戻す。
+// 今日の語が無いときのスペルクイズは練習として全部の語から出し、予定は変えない。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate, redirect } from "./app.js?v=20260806-a";
+import {
+  GRADES,
+  QUIZ_TRIES,
+  dueStudyCards,
+  getStudyDeck,
+  isMarkedStudyWord,
+  quizClue,
+  quizGrade,
+  reviewStudyWord,
+  scheduleCard,
+  setStudyMark,
+} from "../core/study.js?v=20260806-a";
+import { localDayNumber } from "../core/records.js?v=20260806-a";
+import { queryWordSingle } from "../core/logic.js?v=20260806-a";
+import { loadDictionary } from "../core/dictionary.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { partOfSpeechLabel, wordMeaningList } from "./dictionary-view.js?v=20260806-a";
+import { isEnglish, tr } from "../core/i18n.js?v=20260806-a";
+
+const QUIZ_PRACTICE_SIZE = 10; // 練習のスペルクイズで出す語数
+
+let root = null;
+// 遊んでいる復習。{ kind: "cards" | "quiz", queue: [語...], index, practice, correct, step }
+// step はカードなら "front" | "back"、クイズなら { guesses: [語...], over }
+let session = null;
+
+function build() {
+  root = document.getElementById("screen-study");
+}
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function header(title, back) {
+  return el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": back === "/" ? tr("タイトルへ戻る", "Back to title") : tr("戻る", "Back"), onclick: () => { playSfx("ui"); navigate(back); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, title),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+}
+
+function sourceChips(sources) {
+  const names = {
+    lost: tr("負けた局", "Lost"),
+    extraShot: "EXTRA SHOT",
+    marked: tr("印", "Marked"),
+  };
+  return el("span", { class: "study-sources" }, sources.map((source) => el("span", { class: `study-source ${source}` }, names[source])));
+}
+
+// 次に出す日までの日数の表示
+function dueLabel(days) {
+  if (days <= 0) return tr("今日", "Today");
+  return tr(`${days} 日後`, days === 1 ? "In 1 day" : `In ${days} days`);
+}
+
+function wordTiles(word, states = null) {
+  return el(
+    "div",
+    { class: "rrow study-tiles", role: "img", "aria-label": word.toUpperCase() },
+    word.split("").map((c, i) => el("div", { class: `rcell htile big ${states ? states[i] : ""}`, "aria-hidden": "true" }, c))
+  );
+}
+
+/** 結果画面の「答えの意味」に置く、単語の復習に入れる印のボタン。onChange は付け外しのあとに呼ぶ */
+export function studyMarkButton(word, onChange = null) {
+  const button = el(
+    "button",
+    {
+      class: "icon-btn study-mark",
+      title: tr("単語の復習", "Word Study"),
+      onclick: () => {
+        playSfx("ui");
+        const marked = !isMarkedStudyWord(word);
+        setStudyMark(word, marked);
+        update();
+        onChange?.();
+        toast(
+          marked
+            ? tr(`${word.toUpperCase()} を単語の復習に入れました`, `Added ${word.toUpperCase()} to Word Study`)
+            : tr(`${word.toUpperCase()} の印を外しました`, `Unmarked ${word.toUpperCase()}`)
+        );
+      },
+    },
+    icon("star", 16)
+  );
+  const update = () => {
+    const marked = isMarkedStudyWord(word);
+    button.classList.toggle("active", marked);
+    button.setAttribute("aria-pressed", String(marked));
+    button.setAttribute("aria-label", marked ? tr(`${word.toUpperCase()} の印を外す`, `Unmark ${word.toUpperCase()}`) : tr(`${word.toUpperCase()} を単語の復習に入れる`, `Add ${word.toUpperCase()} to Word Study`));
+  };
+  update();
+  return button;
+}
+
+// ---- 一覧 ----
+
+function renderList() {
+  const deck = getStudyDeck();
+  const today = localDayNumber(nowSec());
+  const due = deck.filter((item) => item.isDue).length;
+  const start = (kind) => {
+    playSfx("ui");
+    session = null;
+    navigate(`/study/${kind}`);
+  };
+  root.append(
+    header(tr("単語の復習", "Word Study"), "/"),
+    el(
+      "div",
+      { class: "list-screen-body" },
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "負けた局の答え・EXTRA SHOT で外したもう一つの答え・結果画面で印を付けた語を、忘れかけたころにもう一度出します（5 文字の語だけ）。",
+          "Answers from lost games, answers you missed with EXTRA SHOT and words you marked on the result screen come back just before you forget them (5-letter words only)."
+        )
+      ),
+      el(
+        "div",
+        { class: "card study-summary" },
+        el("div", { class: "study-summary-count" }, el("strong", {}, String(due)), tr(" 語を今日復習", " to review today")),
+        el("div", { class: "hint" }, tr(`全 ${deck.length} 語`, `${deck.length} word${deck.length === 1 ? "" : "s"} in total`)),
+        el(
+          "div",
+          { class: "study-actions" },
+          el("button", { class: "btn btn-primary", disabled: due === 0, onclick: () => start("cards") }, icon("layers"), tr("フラッシュカード", "Flashcards")),
+          el(
+            "button",
+            { class: "btn", disabled: deck.length === 0, onclick: () => start("quiz") },
+            icon("type"),
+            due === 0 && deck.length > 0 ? tr("スペルクイズ（練習）", "Spelling quiz (practice)") : tr("スペルクイズ", "Spelling quiz")
+          )
+        )
+      ),
+      deck.length
+        ? el(
+            "ul",
+            { class: "study-list" },
+            deck.map((item) =>
+              el(
+                "li",
+                { class: `study-item${item.isDue ? " due" : ""}` },
+                el("span", { class: "study-item-word" }, item.word.toUpperCase()),
+                sourceChips(item.sources),
+                el("span", { class: "spacer" }),
+                el("span", { class: "study-item-due" }, dueLabel(item.due - today)),
+                item.sources.includes("marked") ? studyMarkButton(item.word, () => render([])) : null
+              )
+            )
+          )
+        : el(
+            "p",
+            { class: "hint study-empty" },
+            tr(
+              "まだ復習する語はありません。負けた局の答えや、結果画面の「答えの意味」で印を付けた語がここに集まります。",
+              "Nothing to review yet. Answers from lost games and words you mark under “Meanings” on the result screen gather here."
+            )
+          )
+    )
+  );
+}
+
+// ---- 終わったとき ----
+
+function renderDone(message) {
+  return el(
+    "div",
+    { class: "card study-done" },
+    el("h2", {}, tr("おつかれさまでした", "Well done")),
+    el("p", { class: "hint" }, message),
+    el(
+      "div",
+      { class: "study-actions" },
+      el("button", { class: "btn btn-primary", onclick: () => { playSfx("ui"); session = null; navigate("/study"); } }, icon("book"), tr("一覧へ", "Back to list")),
+      el("button", { class: "btn", onclick: () => { playSfx("ui"); navigate("/"); } }, tr("タイトルへ", "Title"))
+    )
+  );
+}
+
+function progressLabel() {
+  return el("p", { class: "hint study-progress" }, `${Math.min(session.index + 1, session.queue.length)} / ${session.queue.length}`);
+}
+
+// ---- フラッシュカード ----
+
+function gradeButtons(word) {
+  const today = localDayNumber(nowSec());
+  const card = getStudyDeck().find((item) => item.word === word)?.card ?? null;
+  const grades = [
+    ["again", tr("もう一度", "Again")],
+    ["hard", tr("難しい", "Hard")],
+    ["good", tr("覚えた", "Good")],
+    ["easy", tr("簡単", "Easy")],
+  ];
+  return el(
+    "div",
+    { class: "study-grades" },
+    grades.map(([key, label]) =>
+      el(
+        "button",
+        {
+          class: `btn study-grade ${key}`,
+          onclick: () => {
+            playSfx("ui");
+            reviewStudyWord(word, GRADES[key]);
+            // 「もう一度」の語は、この回の最後にもう一度出す
+            if (GRADES[key] < 3) session.queue.push(word);
+            session.index++;
+            session.step = "front";
+            render(["cards"]);
+          },
+        },
+        el("span", {}, label),
+        el("span", { class: "study-grade-next" }, dueLabel(scheduleCard(card, GRADES[key], today).interval))
+      )
+    )
+  );
+}
+
+function renderCards() {
+  if (!session || session.kind !== "cards") {
+    const queue = dueStudyCards().map((item) => item.word);
+    if (queue.length === 0) {
+      redirect("/study");
+      return;
+    }
+    session = { kind: "cards", queue, index: 0, step: "front" };
+  }
+  root.append(header(tr("フラッシュカード", "Flashcards"), "/study"));
+  const body = el("div", { class: "list-screen-body" });
+  root.append(body);
+  if (session.index >= session.queue.length) {
+    const words = new Set(session.queue).size;
+    body.append(renderDone(tr(`今日の ${words} 語を復習しました。`, `You reviewed today's ${words} word${words === 1 ? "" : "s"}.`)));
+    return;
+  }
+  const word = session.queue[session.index];
+  const back = session.step === "back";
+  body.append(
+    progressLabel(),
+    el(
+      "div",
+      { class: "card study-card" },
+      wordTiles(word),
+      back
+        ? [wordMeaningList([word]), gradeButtons(word)]
+        : el(
+            "button",
+            { class: "btn btn-primary", onclick: () => { playSfx("ui"); session.step = "back"; render(["cards"]); } },
+            icon("eye"),
+            tr("意味を見る", "Show meaning")
+          )
+    )
+  );
+}
+
+// ---- スペルクイズ ----
+
+// 例文の中の答え（と活用した形）を伏せる
+function maskedExample(example, word) {
+  return example.replace(new RegExp(`\\b${word}\\w*`, "gi"), "_____");
+}
+
+// 手掛かり（core/study.js の quizClue）。辞書で意味を引けない語は、頭文字と逃した局の盤面で出す
+function quizPrompt({ entry, first, rows }, word) {
+  if (!entry) {
+    return el(
+      "div",
+      { class: "study-quiz-prompt" },
+      el(
+        "span",
+        { class: "hint" },
+        rows.length > 0
+          ? tr(`辞書で意味を引けない語です。${first.toUpperCase()} で始まる 5 文字で、逃した局ではこう判定されました`, `No meaning in the dictionary. It starts with ${first.toUpperCase()}; this is how your guesses scored against it`)
+          : tr(`辞書で意味を引けない語です。${first.toUpperCase()} で始まる 5 文字`, `No meaning in the dictionary. It has 5 letters and starts with ${first.toUpperCase()}`)
+      ),
+      rows.map(({ guess, result }) => wordTiles(guess, result))
+    );
+  }
+  return el(
+    "div",
+    { class: "study-quiz-prompt" },
+    el("span", { class: "word-meaning-pos" }, partOfSpeechLabel(entry.pos)),
+    isEnglish() ? null : el("span", { class: "word-meaning-gloss" }, entry.gloss),
+    el("span", { class: "word-meaning-definition" }, entry.definition),
+    entry.example ? el("span", { class: "word-meaning-example" }, maskedExample(entry.example, word)) : null
+  );
+}
+
+function quizBoard(word, guesses, typing) {
+  const rows = [];
+  for (let r = 0; r < QUIZ_TRIES; r++) {
+    const guess = guesses[r];
+    if (guess) {
+      rows.push(wordTiles(guess, queryWordSingle(guess, word)));
+    } else {
+      const letters = r === guesses.length ? typing : "";
+      rows.push(
+        el(
+          "div",
+          { class: "rrow study-tiles", "aria-hidden": "true" },
+          Array.from({ length: 5 }, (_, i) => el("div", { class: `rcell htile big${letters[i] ? " typed" : ""}` }, letters[i] ?? ""))
+        )
+      );
+    }
+  }
+  return el("div", { class: "study-quiz-board" }, rows);
+}
+
+function submitQuiz(word, value) {
+  const guess = value.trim().toLowerCase();
+  if (!/^[a-z]{5}$/.test(guess)) {
+    playSfx("invalid");
+    toast(tr("英字 5 文字で入力してください", "Type 5 letters"));
+    return;
+  }
+  const step = session.step;
+  step.guesses.push(guess);
+  const solved = guess === word;
+  if (solved || step.guesses.length >= QUIZ_TRIES) {
+    step.over = true;
+    if (solved) session.correct++;
+    if (!session.practice) reviewStudyWord(word, quizGrade(step.guesses.length, solved));
+  }
+  playSfx(solved ? "revealCorrect" : "revealUnused");
+  render(["quiz"]);
+}
+
+function renderQuizStep(body, lookup) {
+  if (session.index >= session.queue.length) {
+    body.append(
+      renderDone(
+        tr(
+          `${session.queue.length} 問中 ${session.correct} 問正解。${session.practice ? "（練習なので予定は変わりません）" : ""}`,
+          `${session.correct} of ${session.queue.length} correct.${session.practice ? " (Practice does not change the schedule.)" : ""}`
+        )
+      )
+    );
+    return;
+  }
+  const word = session.queue[session.index];
+  const step = session.step;
+  const solved = step.guesses.includes(word);
+  // 入力した文字を盤面の今の行へ映す（盤面は入力のたびに作り直す）
+  const boardSlot = el("div", {}, quizBoard(word, step.guesses, ""));
+  const input = el("input", {
+    class: "study-quiz-input",
+    type: "text",
+    maxlength: "5",
+    autocomplete: "off",
+    autocapitalize: "off",
+    spellcheck: "false",
+    "aria-label": tr("答えの綴り", "Spelling of the answer"),
+    oninput: () => {
+      input.value = input.value.replace(/[^A-Za-z]/g, "").slice(0, 5);
+      boardSlot.replaceChildren(quizBoard(word, step.guesses, input.value.toLowerCase()));
+    },
+  });
+  body.append(
+    progressLabel(),
+    el(
+      "div",
+      { class: "card study-card" },
+      quizPrompt(quizClue(word, lookup), word),
+      boardSlot,
+      step.over
+        ? [
+            el(
+              "p",
+              { class: `study-quiz-result ${solved ? "solved" : "missed"}` },
+              solved ? tr("正解！", "Correct!") : tr("正解は", "The answer was"),
+              solved ? null : wordTiles(word)
+            ),
+            el(
+              "button",
+              {
+                class: "btn btn-primary",
+                onclick: () => {
+                  playSfx("ui");
+                  session.index++;
+                  session.step = { guesses: [], over: false };
+                  render(["quiz"]);
+                },
+              },
+              tr("次へ", "Next")
+            ),
+          ]
+        : el(
+            "form",
+            { class: "study-quiz-form", onsubmit: (e) => { e.preventDefault(); submitQuiz(word, input.value); } },
+            input,
+            el("button", { class: "btn btn-primary", type: "submit" }, tr("答える", "Enter")),
+            el("span", { class: "hint" }, tr(`あと ${QUIZ_TRIES - step.guesses.length} 回`, `${QUIZ_TRIES - step.guesses.length} ${QUIZ_TRIES - step.guesses.length === 1 ? "try" : "tries"} left`))
+          )
+    )
+  );
+  if (!step.over) input.focus();
+}
+
+function shuffle(words) {
+  const list = words.slice();
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+function renderQuiz() {
+  root.append(header(tr("スペルクイズ", "Spelling Quiz"), "/study"));
+  const body = el("div", { class: "list-screen-body" }, el("p", { class: "hint" }, tr("辞書を読み込んでいます…", "Loading the dictionary…")));
+  root.append(body);
+  loadDictionary()
+    .then((lookup) => {
+      if (!root.contains(body)) return; // 読み込むあいだに別の画面へ移った
+      if (!session || session.kind !== "quiz") {
+        // 意味が引けない語も、頭文字と逃した局の盤面を手掛かりに出す（quizClue）
+        const due = dueStudyCards().map((item) => item.word);
+        const practice = due.length === 0;
+        const queue = practice ? shuffle(getStudyDeck().map((item) => item.word)).slice(0, QUIZ_PRACTICE_SIZE) : due;
+        if (queue.length === 0) {
+          toast(tr("クイズに出せる語がありません", "No words to quiz yet"));
+          redirect("/study");
+          return;
+        }
+        session = { kind: "quiz", queue, index: 0, practice, correct: 0, step: { guesses: [], over: false } };
+      }
+      clear(body);
+      renderQuizStep(body, lookup);
+    })
+    .catch(() => {
+      clear(body);
+      body.append(el("p", { class: "hint" }, tr("辞書を読み込めませんでした", "Could not load the dictionary")));
+    });
+}
+
+function render(args = []) {
+  if (!root) build();
+  clear(root);
+  if (args[0] === undefined) return renderList();
+  if (args[0] === "cards") return renderCards();
+  if (args[0] === "quiz") return renderQuiz();
+  redirect("/study");
+}
+
+registerScreen("study", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+  onLeave() {
+    session = null; // 一覧から入り直すと、その日の語で最初から
+  },
+});
@@ -0,0 +1,203 @@
+// 端末間の同期のダイアログ（設定 → データ）。同期そのものは core/sync.js。
+//
+// 同期先は 2 種類:
+//   ファイル       File System Access API があれば、選んだファイルを直接読み書きする
+//                  （クラウドドライブの同期フォルダに置けば、端末をまたいで同じファイルを使える）。
+//                  無いブラウザでは、選んだファイルを読み込み、マージ結果をダウンロードする
+//   WebDAV / HTTP  URL（と必要ならユーザー名・パスワード）を入れて GET / PUT する
+
+import { el, fmtDateTime } from "./dom.js?v=20260806-a";
+import {
+  SYNC_FILE_NAME,
+  createFileHandleBackend,
+  createHttpBackend,
+  createTransferBackend,
+  getSyncConfig,
+  setHttpSyncTarget,
+  syncWith,
+} from "../core/sync.js?v=20260806-a";
+import { showModal } from "./modal.js?v=20260806-a";
+import { toast } from "./toast.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { finishHistoryImport } from "./history-import.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+// File System Access API で選んだファイル。ページを開いている間だけ覚えておく
+let fileHandle = null;
+
+const FILE_TYPES = [{ description: "DWORDle 2 sync", accept: { "application/json": [".json"] } }];
+
+function fileAccessAvailable() {
+  return typeof globalThis.showOpenFilePicker === "function" && typeof globalThis.showSaveFilePicker === "function";
+}
+
+// core/sync.js・core/migrate.js が投げるメッセージの英語版
+function englishSyncError(message) {
+  if (message === "同期先に接続できませんでした") return "Could not connect to the sync target";
+  if (message === "同期中に別の端末が同期しました。もう一度同期してください") return "Another device synced in the meantime. Please sync again";
+  if (message === "JSON として読み取れませんでした") return "The sync file could not be parsed as JSON";
+  if (message === "DWORDle 2 のエクスポート JSON ではないようです") return "The sync file does not appear to be a DWORDle 2 export";
+  const http = message.match(/^同期先(から読み込め|へ書き込め)ませんでした（HTTP (\d+)）$/);
+  if (http) return `Could not ${http[1] === "から読み込め" ? "read from" : "write to"} the sync target (HTTP ${http[2]})`;
+  return "Sync failed";
+}
+
+function syncErrorMessage(e) {
+  // 署名が合わないのは、同期ファイルに手が入ったとき。貼り付けの「貼り直して」は当てはまらない
+  if (e.message === "JSON が書き出したときと違います。貼り直してみてください") {
+    return tr("同期ファイルの中身が書き出したときと違うので、取り込みませんでした", "The sync file was modified after it was written, so nothing was merged");
+  }
+  return tr(e.message, englishSyncError(e.message));
+}
+
+export function showSyncModal({ onSynced = () => {} } = {}) {
+  let closeModal = () => {};
+  let busy = false;
+  const run = async (backend) => {
+    if (busy) return;
+    busy = true;
+    try {
+      const result = await syncWith(backend);
+      closeModal();
+      finishHistoryImport(result.added, { synced: result });
+      onSynced();
+    } catch (e) {
+      // ファイル選択のキャンセルは何もしない
+      if (e?.name !== "AbortError") toast(syncErrorMessage(e));
+    } finally {
+      busy = false;
+    }
+  };
+
+  const config = getSyncConfig();
+  const fileLabel = el("span", { class: "hint sync-file-name" }, fileHandle ? fileHandle.name : tr("未選択", "No file selected"));
+  const pickFile = async (create) => {
+    playSfx("ui");
+    try {
+      const handle = create
+        ? await showSaveFilePicker({ suggestedName: SYNC_FILE_NAME, types: FILE_TYPES })
+        : (await showOpenFilePicker({ types: FILE_TYPES }))[0];
+      // 書き戻しの許可は、ユーザー操作の続きのうちに取っておく
+      if ((await handle.requestPermission?.({ mode: "readwrite" })) === "denied") {
+        toast(tr("ファイルへの書き込みが許可されませんでした", "Write access to the file was not granted"));
+        return;
+      }
+      fileHandle = handle;
+      fileLabel.textContent = handle.name;
+      await run(createFileHandleBackend(handle));
+    } catch (e) {
+      if (e?.name !== "AbortError") toast(syncErrorMessage(e));
+    }
+  };
+
+  // File System Access API が無いブラウザ: 選んだファイルを読み込み、結果をダウンロードする
+  const uploadInput = el("input", { type: "file", accept: ".json,application/json", class: "sync-upload", "aria-label": tr("同期ファイル", "Sync file") });
+  const transferBackend = createTransferBackend({
+    upload: async () => (uploadInput.files[0] ? uploadInput.files[0].text() : null),
+    download: async (text) => {
+      const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+      el("a", { href: url, download: SYNC_FILE_NAME }).click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+  });
+
+  const fileSection = fileAccessAvailable()
+    ? el(
+        "div",
+        { class: "sync-section" },
+        el("div", { class: "sync-section-title" }, tr("ファイル", "File")),
+        el(
+          "p",
+          { class: "hint" },
+          tr(
+            "クラウドドライブの同期フォルダなど、どの端末からも開ける場所のファイルを選びます。初回は「新しく作る」、2 台目からは「開く」で同じファイルを選んでください。",
+            "Pick a file somewhere every device can reach, such as a synced cloud-drive folder. Use “Create” the first time and “Open” the same file on your other devices."
+          )
+        ),
+        fileLabel,
+        el(
+          "div",
+          { class: "sync-actions" },
+          fileHandle
+            ? el("button", { class: "btn btn-primary", onclick: () => { playSfx("ui"); void run(createFileHandleBackend(fileHandle)); } }, icon("cloud"), tr("このファイルと同期", "Sync with this file"))
+            : null,
+          el("button", { class: "btn", onclick: () => pickFile(false) }, icon("box"), tr("開く", "Open")),
+          el("button", { class: "btn", onclick: () => pickFile(true) }, icon("download"), tr("新しく作る", "Create"))
+        )
+      )
+    : el(
+        "div",
+        { class: "sync-section" },
+        el("div", { class: "sync-section-title" }, tr("ファイル", "File")),
+        el(
+          "p",
+          { class: "hint" },
+          tr(
+            `前回ダウンロードした ${SYNC_FILE_NAME} を選んで同期すると、マージした結果を新しくダウンロードします。初回はファイルを選ばずに同期してください。`,
+            `Choose the ${SYNC_FILE_NAME} you downloaded last time, then sync to download the merged result. The first time, sync without choosing a file.`
+          )
+        ),
+        uploadInput,
+        el("button", { class: "btn btn-primary", onclick: () => { playSfx("ui"); void run(transferBackend); } }, icon("cloud"), tr("同期してダウンロード", "Sync and download"))
+      );
+
+  const urlInput = el("input", { type: "text", inputmode: "url", value: config.url, placeholder: `https://dav.example.com/${SYNC_FILE_NAME}`, "aria-label": "URL" });
+  const userInput = el("input", { type: "text", value: config.username, autocomplete: "username", placeholder: tr("ユーザー名（任意）", "User name (optional)"), "aria-label": tr("ユーザー名", "User name") });
+  const passwordInput = el("input", { type: "password", value: config.password, autocomplete: "current-password", placeholder: tr("パスワード（任意）", "Password (optional)"), "aria-label": tr("パスワード", "Password") });
+  const httpSection = el(
+    "div",
+    { class: "sync-section" },
+    el("div", { class: "sync-section-title" }, "WebDAV / HTTP"),
+    el(
+      "p",
+      { class: "hint" },
+      tr(
+        "同期ファイルの URL を入れます（GET で読み、PUT で書きます）。入力した内容は、パスワードも含めてこの端末に保存されます。アプリ用パスワードの利用をおすすめします。",
+        "Enter the URL of the sync file (read with GET, written with PUT). What you enter, including the password, is saved on this device. An app-specific password is recommended."
+      )
+    ),
+    urlInput,
+    userInput,
+    passwordInput,
+    el(
+      "button",
+      {
+        class: "btn btn-primary",
+        onclick: () => {
+          playSfx("ui");
+          const target = { url: urlInput.value.trim(), username: userInput.value, password: passwordInput.value };
+          if (!/^https?:\/\//.test(target.url)) {
+            toast(tr("http:// か https:// で始まる URL を入れてください", "Enter a URL starting with http:// or https://"));
+            return;
+          }
+          setHttpSyncTarget(target);
+          void run(createHttpBackend(target));
+        },
+      },
+      icon("cloud"),
+      tr("同期", "Sync")
+    )
+  );
+
+  closeModal = showModal({
+    title: tr("端末間の同期", "Sync between devices"),
+    body: [
+      el(
+        "p",
+        { class: "hint" },
+        tr(
+          "同期先のファイルとこの端末のプレイ履歴・実績をマージし、結果を同期先へ書き戻します。どちらの記録も消えません。",
+          "Merges the play history and achievements in the sync file with this device, then writes the result back. Nothing is removed on either side."
+        )
+      ),
+      config.lastSyncedAt
+        ? el("p", { class: "hint" }, tr(`前回の同期: ${fmtDateTime(config.lastSyncedAt)}`, `Last synced: ${fmtDateTime(config.lastSyncedAt)}`))
+        : null,
+      fileSection,
+      httpSection,
+    ],
+    actions: [{ label: tr("閉じる", "Close"), primary: true, onClick: () => {} }],
+    closeButton: true,
+  });
+}
@@ -4,12 +4,22 @@
 import { el, clear, effectiveZoom } from "./dom.js?v=20260806-a";
 import { registerScreen, navigate, getAppMode, setAppMode } from "./app.js?v=20260806-a";
 import { countPlays, getCurrentGame, getHistory, isAlreadyPlayed } from "../core/records.js?v=20260806-a";
+import { isTutorialComplete } from "../core/tutorial.js?v=20260806-a";
 import { isDebugMode } from "../core/debug.js?v=20260806-a";
 import {
+  CATEGORIES,
+  LENGTH_LEVELS,
+  LENGTH_SETS,
   LEVELS,
+  MULTI_SETS,
   PID,
+  categoryPidRange,
   isValidPID,
+  lengthPidRangeForLevel,
+  multiPidRangeForLevel,
   numberPrefix,
+  pidForLengthNumber,
+  pidForMultiNumber,
   pidForNumber,
   problemNumber,
   pidLabel,
@@ -34,6 +44,7 @@ import { APP_VERSION } from "../config.js?v=20260806-a";
 import { SOURCE_HASH } from "../version.js?v=20260806-a";
 import { localizedLevel, tr } from "../core/i18n.js?v=20260806-a";
 import { CARD_UNLOCK_PLAYS } from "./player-card.js?v=20260806-a";
+import { customPuzzlePrompt } from "./custom-screen.js?v=20260806-a";
 
 let root = null;
 let legacyImportCheckDone = false;
@@ -51,11 +62,35 @@ function randomPID(lo, hi, mode) {
   return lo + Math.floor(Math.random() * (hi - lo + 1));
 }
 
+// 番号を指定して遊べる出題セット。No.（新出題）が既定で、Cls.（旧出題）と
+// TRIWORDle / QUADWORDle（答えが 3 語・4 語。番号帯は No. と同じ）、
+// 4・6・7 文字版（番号は 1〜LENGTH_NUMBER_MAX、レベルは LENGTH_LEVELS）も選べる。
+const NUMBER_SETS = [
+  { key: "new", name: () => tr("新出題", "New"), prefix: numberPrefix(false), levels: LEVELS, max: PID.NUMBER_MAX, pid: (number) => pidForNumber(number) },
+  { key: "classic", name: () => tr("旧出題", "Classic"), prefix: numberPrefix(true), levels: LEVELS, max: PID.NUMBER_MAX, pid: (number) => pidForNumber(number, true) },
+  ...MULTI_SETS.map((set) => ({
+    key: set.key,
+    name: () => tr(`答え ${set.answers} 語`, `${set.answers} answers`),
+    prefix: set.prefix,
+    levels: LEVELS,
+    max: PID.NUMBER_MAX,
+    pid: (number) => pidForMultiNumber(number, set.answers),
+  })),
+  ...LENGTH_SETS.map((set) => ({
+    key: set.key,
+    name: () => tr(`${set.length} 文字`, `${set.length} letters`),
+    prefix: set.prefix,
+    levels: LENGTH_LEVELS,
+    max: PID.LENGTH_NUMBER_MAX,
+    pid: (number) => pidForLengthNumber(number, set.length),
+  })),
+];
+
 // 番号の割り当て表。レベル順（Lv.1→Lv.6）で並べる。
 // 左右の列を通しで揃えるため、行ラッパーを作らず 2 列グリッドへ直接並べる。
-// classic を指定すると Cls.（旧出題）側の表記になる。
+// prefix は出題セットの接頭辞（No. / Cls. / Tri. / Quad. / L4. など）、levels はそのセットのレベル表。
 // デイリーはここに載せない（番号を持たず、タイトルの「本日の問題」から遊ぶ）。
-function numberGuide(classic = false) {
+function numberGuide(prefix = numberPrefix(false), levels = LEVELS) {
   const cells = [];
   const addRow = (range, name, desc) => {
     cells.push(
@@ -68,8 +103,7 @@ function numberGuide(classic = false) {
       )
     );
   };
-  const prefix = numberPrefix(classic);
-  for (const level of LEVELS.slice().sort((a, b) => a.id - b.id)) {
+  for (const level of levels.slice().sort((a, b) => a.id - b.id)) {
     const localized = localizedLevel(level);
     addRow(`${prefix}${level.range[0]}-${level.range[1]}`, `Lv.${level.id} ${localized.name}`, localized.desc);
   }
@@ -78,8 +112,8 @@ function numberGuide(classic = false) {
 
 function numberPrompt(mode) {
   // 既定は新出題。Cls. は原作互換の旧出題で、実績の対象外であることを添えて選べるようにする。
-  let classic = false;
-  const [easyMin, easyMax] = pidRangeForLevel(LEVELS[0], classic);
+  let numberSet = NUMBER_SETS[0];
+  const [easyMin, easyMax] = pidRangeForLevel(LEVELS[0]);
   const input = el("input", {
     type: "number",
     value: String(problemNumber(randomPID(easyMin, easyMax, mode))),
@@ -96,29 +130,27 @@ function numberPrompt(mode) {
       "Cls. puzzles use the original DWORDle generator. Plays on or after 2026-08-01 do not count toward achievements (play days and play streaks still count)."
     )
   );
-  const setButtons = [
-    [false, tr("新出題", "New"), "No."],
-    [true, tr("旧出題", "Classic"), "Cls."],
-  ].map(([value, label, prefix]) =>
+  const setButtons = NUMBER_SETS.map((set) =>
     el(
       "button",
       {
         onclick: () => {
           playSfx("ui");
-          classic = value;
+          numberSet = set;
           refresh();
         },
       },
-      el("span", { class: "problem-set-name" }, label),
-      el("span", { class: "problem-set-prefix" }, prefix)
+      el("span", { class: "problem-set-name" }, set.name()),
+      el("span", { class: "problem-set-prefix" }, set.prefix)
     )
   );
   const setSeg = el("div", { class: "seg problem-set-tabs" }, setButtons);
   function refresh() {
-    setButtons.forEach((button, i) => button.classList.toggle("active", classic === (i === 1)));
-    note.style.display = classic ? "" : "none";
+    setButtons.forEach((button, i) => button.classList.toggle("active", NUMBER_SETS[i] === numberSet));
+    note.style.display = numberSet.key === "classic" ? "" : "none";
+    input.max = String(numberSet.max);
     clear(guideBox);
-    guideBox.append(numberGuide(classic));
+    guideBox.append(numberGuide(numberSet.prefix, numberSet.levels));
   }
   refresh();
   showModal({
@@ -138,9 +170,9 @@ function numberPrompt(mode) {
           // デイリーはここからは選べない（番号を持たない共通問題なので、
           // タイトルの「本日の問題」から遊ぶ）
           const number = parseInt(input.value, 10);
-          const pid = pidForNumber(number, classic);
-          if (!Number.isInteger(number) || number < PID.EASY_MIN || number > PID.NUMBER_MAX || !isValidPID(pid)) {
-            toast(tr("1〜39999 の番号を入力してください", "Enter a number from 1 to 39999"));
+          const pid = numberSet.pid(number);
+          if (!Number.isInteger(number) || number < PID.EASY_MIN || number > numberSet.max || !isValidPID(pid)) {
+            toast(tr(`1〜${numberSet.max} の番号を入力してください`, `Enter a number from 1 to ${numberSet.max}`));
             return false;
           }
           return confirmAndStart(pid, mode);
@@ -151,36 +183,89 @@ function numberPrompt(mode) {
   setTimeout(() => input.select(), 60);
 }
 
-// ランダムプレイ。難しさ（レベル）を選んでスタートする。
-// 前回選んだレベルを覚えておく。
+// ランダムプレイ。出題セット（DWORDle / TRIWORDle / QUADWORDle / 4・6・7 文字版）と
+// 難しさ（レベル）を選んでスタートする。前回選んだセットとレベルを覚えておく。
+// 文字数違いの版はレベル表が別（LENGTH_LEVELS）なので、セットを切り替えたらレベルの一覧を作り直す。
+// 「テーマ別」はレベルの代わりにテーマ（CATEGORIES）を並べる。
 function randomPrompt(mode) {
-  const lastLevel = getSettings().randomLevel;
-  showModal({
-    title: tr("ランダム（難しさを選択）", "Random (choose difficulty)"),
-    body: LEVELS.map((lv) => {
+  const { randomLevel: lastLevel, randomCategory: lastCategory } = getSettings();
+  const playSets = [
+    { answers: 2, length: 5, title: "DWORDle", sub: () => tr("答え 2 語", "2 answers"), levels: LEVELS, range: pidRangeForLevel },
+    ...MULTI_SETS.map((set) => ({
+      answers: set.answers,
+      length: 5,
+      title: set.title,
+      sub: () => tr(`答え ${set.answers} 語`, `${set.answers} answers`),
+      levels: LEVELS,
+      range: (lv) => multiPidRangeForLevel(lv, set.answers),
+    })),
+    ...LENGTH_SETS.map((set) => ({
+      answers: 2,
+      length: set.length,
+      title: set.title,
+      sub: () => tr(`${set.length} 文字`, `${set.length} letters`),
+      levels: LENGTH_LEVELS,
+      range: (lv) => lengthPidRangeForLevel(lv, set.length),
+    })),
+    { answers: 2, length: 5, theme: true, title: tr("テーマ別", "Themes"), sub: () => tr("単語のテーマ", "Word themes"), levels: CATEGORIES, range: categoryPidRange },
+  ];
+  const { randomAnswers, randomLength, randomTheme } = getSettings();
+  let playSet = randomTheme
+    ? playSets.find((set) => set.theme)
+    : playSets.find((set) => !set.theme && set.answers === randomAnswers && set.length === randomLength) ?? playSets[0];
+  const levelBox = el("div", { class: "random-level-list" });
+  const setButtons = playSets.map((set) =>
+    el(
+      "button",
+      {
+        onclick: () => {
+          playSfx("ui");
+          playSet = set;
+          setSetting("randomAnswers", set.answers);
+          setSetting("randomLength", set.length);
+          setSetting("randomTheme", Boolean(set.theme));
+          refresh();
+        },
+      },
+      el("span", { class: "problem-set-name" }, set.title),
+      el("span", { class: "problem-set-prefix" }, set.sub())
+    )
+  );
+  function refresh() {
+    setButtons.forEach((button, i) => button.classList.toggle("active", playSets[i] === playSet));
+    clear(levelBox);
+    levelBox.append(...playSet.levels.map((lv) => {
       const localized = localizedLevel(lv);
+      const last = playSet.theme ? lv.key === lastCategory : lv.id === lastLevel;
       return el(
           "button",
           {
-            class: `btn random-level-option ${lv.id === lastLevel ? "btn-primary" : ""}`,
+            class: `btn random-level-option ${last ? "btn-primary" : ""}`,
             onclick: () => {
               playSfx("ui");
-              setSetting("randomLevel", lv.id);
-              const [lo, hi] = pidRangeForLevel(lv); // ランダムプレイは新出題から選ぶ
+              if (playSet.theme) setSetting("randomCategory", lv.key);
+              else setSetting("randomLevel", lv.id);
+              // ランダムプレイは新出題（ほかのセットならその番号帯）から選ぶ
+              const [lo, hi] = playSet.range(lv);
               confirmAndStart(randomPID(lo, hi, mode), mode);
             },
           },
           el(
             "span",
             { class: "random-level-name" },
-            `Lv.${lv.id} ${localized.name}`,
-            lv.id === lastLevel
+            playSet.theme ? localized.name : `Lv.${lv.id} ${localized.name}`,
+            last
               ? el("span", { class: "random-level-last" }, tr("（前回）", "(last)"))
               : null
           ),
           el("span", { class: "hint random-level-desc" }, localized.desc)
         );
-    }),
+    }));
+  }
+  refresh();
+  showModal({
+    title: tr("ランダム（難しさを選択）", "Random (choose difficulty)"),
+    body: [el("div", { class: "seg problem-set-tabs" }, setButtons), levelBox],
     actions: [{ label: tr("閉じる", "Close"), onClick: () => {} }],
   });
 }
@@ -256,7 +341,8 @@ function maybeShowFirstTutorial(mode, afterClose = null) {
 // 1 回プレイで DWORDlie（uso）以外をすべて解放し、2 回プレイで DWORDlie を解放する。
 // プレイヤーカードは 5 回プレイで解放。
 // プレイ回数は countPlays()（同日・同問題の再プレイも数え、旧作インポートは数えない）。
-const MENU_UNLOCKS = { history: 1, achievements: 1, random: 1, problems: 1, number: 1, uso: 2, card: CARD_UNLOCK_PLAYS };
+// チュートリアル（core/tutorial.js）の DWORDle のレッスンをすべて終えると、1 回プレイしたものとみなす。
+const MENU_UNLOCKS = { history: 1, achievements: 1, random: 1, problems: 1, number: 1, custom: 1, packs: 1, study: 1, speed: 1, hotseat: 1, challenges: 1, calendar: 1, uso: 2, card: CARD_UNLOCK_PLAYS };
 // 解放お披露目アニメーションの項目ごとの時間差
 const UNLOCK_REVEAL_STAGGER_MS = 150;
 // DWORDlie 解放モーダルは解錠演出（鍵シェイク→開錠）が終わってから出す
@@ -290,7 +376,7 @@ function render() {
   const hasOngoing = current && current.guessWord.length > 0;
 
   // 段階解放: 新しく解放された項目にはお披露目アニメーションを付ける
-  const plays = countPlays();
+  const plays = Math.max(countPlays(), isTutorialComplete() ? 1 : 0);
   const bypass = isDebugMode();
   const seenPlays = loadJSON("menuUnlockSeen", 0);
   const isUnlocked = (req) => bypass || plays >= req;
@@ -438,8 +524,17 @@ function render() {
           )
         : null,
       menuBtn("calendar", tr("本日の問題", "Daily puzzle"), () => { playSfx("ui"); confirmAndStart(todayPID(), mode); }, !hasOngoing),
+      menuBtn("footprints", tr("チュートリアル", "Tutorial"), () => { playSfx("ui"); navigate("/tutorial"); }),
+      menuBtn("book", tr("デイリーのアーカイブ", "Daily Archive"), () => { playSfx("ui"); navigate("/calendar"); }, false, MENU_UNLOCKS.calendar),
+      menuBtn("mountain", tr("ウィークリー・月間チャレンジ", "Weekly & Monthly Challenges"), () => { playSfx("ui"); navigate("/challenges"); }, false, MENU_UNLOCKS.challenges),
       menuBtn("dice", tr("ランダム（難しさを選択）", "Random (choose difficulty)"), () => { playSfx("ui"); randomPrompt(mode); }, false, MENU_UNLOCKS.random),
-      menuBtn("hash", tr("番号を指定", "Choose puzzle number"), () => { playSfx("ui"); numberPrompt(mode); }, false, MENU_UNLOCKS.number)
+      menuBtn("hash", tr("番号を指定", "Choose puzzle number"), () => { playSfx("ui"); numberPrompt(mode); }, false, MENU_UNLOCKS.number),
+      menuBtn("share", tr("カスタム問題を出題", "Create a custom puzzle"), () => { playSfx("ui"); customPuzzlePrompt(); }, false, MENU_UNLOCKS.custom),
+      menuBtn("layers", tr("パズルパック", "Puzzle Packs"), () => { playSfx("ui"); navigate("/packs"); }, false, MENU_UNLOCKS.packs),
+      menuBtn("type", tr("単語の復習", "Word Study"), () => { playSfx("ui"); navigate("/study"); }, false, MENU_UNLOCKS.study),
+      // Speed Run は DWORDle のルールで遊ぶので、表モードのメニューにだけ置く
+      isUso ? null : menuBtn("gauge", "Speed Run", () => { playSfx("ui"); navigate("/speed"); }, false, MENU_UNLOCKS.speed),
+      isUso ? null : menuBtn("users", tr("ホットシート（みんなで）", "Hot Seat (pass and play)"), () => { playSfx("ui"); navigate("/hotseat"); }, false, MENU_UNLOCKS.hotseat)
     ),
     el(
       "div",
@@ -0,0 +1,94 @@
+// チュートリアルのレッスン一覧。
+// ルート: #/tutorial
+//
+// レッスンの中身と済んだ印は core/tutorial.js、遊ぶのはゲーム画面（#/game/tutorial）。
+// 途中のレッスンがあれば「続きから」で戻れる。DWORDle のレッスンをすべて終えるとタイトルのメニューが開く。
+
+import { el, clear } from "./dom.js?v=20260806-a";
+import { registerScreen, navigate } from "./app.js?v=20260806-a";
+import { LESSONS, TRACK_LESSONS, isLessonDone, isTutorialComplete, lessonForGame } from "../core/tutorial.js?v=20260806-a";
+import { getCurrentGame } from "../core/records.js?v=20260806-a";
+import { playSfx } from "../audio/sound.js?v=20260806-a";
+import { startLesson } from "./game-screen.js?v=20260806-a";
+import { soundToggleButton } from "./sound-toggle.js?v=20260806-a";
+import { icon } from "./icons.js?v=20260806-a";
+import { tr } from "../core/i18n.js?v=20260806-a";
+
+let root = null;
+
+function build() {
+  root = document.getElementById("screen-tutorial");
+}
+
+function lessonCard(lesson, index, ongoing) {
+  const done = isLessonDone(lesson.id);
+  const resuming = ongoing?.id === lesson.id;
+  return el(
+    "li",
+    { class: `card tutorial-lesson${done ? " done" : ""}` },
+    el("div", { class: "tutorial-lesson-head" }, [
+      el("span", { class: "tutorial-lesson-no" }, `Lesson ${index + 1}`),
+      lesson.mode === "uso" ? el("span", { class: "mode-chip uso" }, "DWORDlie") : null,
+      done ? el("span", { class: "tutorial-lesson-done" }, tr("済", "Done")) : null,
+    ]),
+    el("h2", {}, tr(lesson.titleJa, lesson.titleEn)),
+    el("p", { class: "hint" }, tr(lesson.introJa, lesson.introEn)),
+    el(
+      "button",
+      {
+        class: `btn ${done && !resuming ? "" : "btn-primary"}`,
+        onclick: () => {
+          playSfx("ui");
+          if (resuming) navigate("/game/tutorial");
+          else startLesson(lesson);
+        },
+      },
+      icon("play"),
+      resuming ? tr("続きから", "Continue") : done ? tr("もう一度", "Play again") : tr("はじめる", "Start")
+    )
+  );
+}
+
+function render() {
+  if (!root) build();
+  clear(root);
+  const ongoing = lessonForGame(getCurrentGame("tutorial"));
+
+  const header = el(
+    "div",
+    { class: "header" },
+    el(
+      "button",
+      { class: "icon-btn", "aria-label": tr("タイトルへ戻る", "Back to title"), onclick: () => { playSfx("ui"); navigate("/"); } },
+      icon("arrowLeft")
+    ),
+    el("h1", { class: "title" }, tr("チュートリアル", "Tutorial")),
+    el("span", { class: "spacer" }),
+    soundToggleButton()
+  );
+
+  const remaining = TRACK_LESSONS.filter((lesson) => !isLessonDone(lesson.id)).length;
+  const lead = el(
+    "p",
+    { class: "hint" },
+    isTutorialComplete()
+      ? tr("DWORDle のレッスンはすべて終えました。DWORDlie のレッスンもどうぞ。", "You finished every DWORDle lesson. Try the DWORDlie lesson too.")
+      : tr(
+          `答えの決まった短い問題で、判定の色の読み方を 1 手ずつ確かめます。DWORDle のレッスンをあと ${remaining} つ終えると、タイトルのメニューが開きます。`,
+          `Short puzzles with fixed answers walk you through reading the colors, one guess at a time. Finish ${remaining} more DWORDle lesson${remaining === 1 ? "" : "s"} to open the title menu.`
+        )
+  );
+
+  root.append(
+    header,
+    el("div", { class: "list-screen-body" }, lead, el("ol", { class: "tutorial-lessons" }, LESSONS.map((lesson, i) => lessonCard(lesson, i, ongoing))))
+  );
+}
+
+registerScreen("tutorial", {
+  get element() {
+    if (!root) build();
+    return root;
+  },
+  render,
+});
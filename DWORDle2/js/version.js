@@ -1,3 +1,3 @@
 // 自動生成ファイル。tools/make-source-hash.mjs が書き出す（手で編集しない）。
 // DWORDle2 ディレクトリを最後に変更した Git コミットの短縮ハッシュ。
-export const SOURCE_HASH = "90c6f18";
+export const SOURCE_HASH = "f29e928";
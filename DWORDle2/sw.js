@@ -2,8 +2,8 @@
 // DWORDle 2 の Service Worker。全資産をインストール時に事前キャッシュし、
 // オフラインでも完全動作させる（キャッシュ優先 + ネットワークフォールバック）。
 // キャッシュ名はコミットのハッシュ入りで、デプロイのたびに新しいキャッシュへ入れ替わる。
-const CACHE_NAME = "dwordle2-90c6f18";
-const SOURCE_HASH = "90c6f18";
+const CACHE_NAME = "dwordle2-f29e928";
+const SOURCE_HASH = "f29e928";
 // 緊急更新フラグ。true なら、開いているページに強制リロードを促す
 // （make-source-hash.mjs --force-reload で立てる。既定は false）。
 // 実際にいつリロードするかはページ側の js/core/critical-update.js が決める。
@@ -29,21 +29,44 @@ const PRECACHE = [
   "js/core/analysis-core.js",
   "js/core/analysis.worker.js",
   "js/core/analytics.js",
+  "js/core/batch-analysis.js",
+  "js/core/challenges.js",
   "js/core/critical-update.js",
+  "js/core/custom-puzzle.js",
   "js/core/debug.js",
+  "js/core/dictionary.js",
+  "js/core/duel.js",
+  "js/core/external-history.js",
   "js/core/extra-shot.js",
+  "js/core/hard-mode.js",
+  "js/core/hints.js",
+  "js/core/hotseat.js",
   "js/core/i18n.js",
   "js/core/logic.js",
   "js/core/migrate.js",
   "js/core/motion.js",
+  "js/core/packs.js",
   "js/core/problems.js",
+  "js/core/rating.js",
+  "js/core/record-store.js",
   "js/core/records.js",
   "js/core/secret.js",
   "js/core/settings.js",
   "js/core/signature.js",
+  "js/core/solver.js",
+  "js/core/speed-run.js",
+  "js/core/stats.js",
   "js/core/store.js",
+  "js/core/study.js",
+  "js/core/sync.js",
+  "js/core/tutorial.js",
+  "js/data/categories.js",
+  "js/data/dictionary.js",
   "js/data/levels.js",
   "js/data/words.js",
+  "js/data/words4.js",
+  "js/data/words6.js",
+  "js/data/words7.js",
   "js/fx/background.js",
   "js/fx/bursts.js",
   "js/fx/effects.js",
@@ -54,25 +77,40 @@ const PRECACHE = [
   "js/ui/achievements-screen.js",
   "js/ui/analysis-screen.js",
   "js/ui/app.js",
+  "js/ui/batch-analysis-job.js",
+  "js/ui/calendar-screen.js",
+  "js/ui/challenges-screen.js",
+  "js/ui/charts.js",
   "js/ui/consent-banner.js",
   "js/ui/crown.js",
+  "js/ui/custom-screen.js",
+  "js/ui/dictionary-view.js",
   "js/ui/dom.js",
+  "js/ui/duel-screen.js",
+  "js/ui/external-stats.js",
   "js/ui/extra-shot-fx.js",
   "js/ui/game-screen.js",
   "js/ui/gate.js",
   "js/ui/help.js",
   "js/ui/history-import.js",
   "js/ui/history-screen.js",
+  "js/ui/hotseat-screen.js",
   "js/ui/icons.js",
   "js/ui/modal.js",
+  "js/ui/packs-screen.js",
   "js/ui/player-card.js",
   "js/ui/problems-screen.js",
   "js/ui/result-screen.js",
   "js/ui/settings-screen.js",
   "js/ui/snapshot.js",
   "js/ui/sound-toggle.js",
+  "js/ui/speed-screen.js",
+  "js/ui/stats-screen.js",
+  "js/ui/study-screen.js",
+  "js/ui/sync-modal.js",
   "js/ui/title-screen.js",
   "js/ui/toast.js",
+  "js/ui/tutorial-screen.js",
   "js/version.js",
   "vendor/three-LICENSE.md",
   "vendor/three.module.min.js"
@@ -15,6 +15,7 @@ import { Logic, queryWordPair } from "../js/core/logic.js?v=20260806-a";
 import { reveal } from "../js/core/secret.js?v=20260806-a";
 import { ALL_WORDS } from "../js/data/words.js?v=20260806-a";
 import { pidForNumber } from "../js/core/problems.js?v=20260806-a";
+import { isDailyOnTheDay } from "../js/core/records.js?v=20260806-a";
 
 function clearRecord({
   pid = 1,
@@ -37,6 +38,12 @@ function clearRecord({
   };
 }
 
+// デイリー PID の日付のローカル正午（その日のうちに遊んだデイリーの開始時刻）
+function dailyStartTime(pid) {
+  const date = new Date(Math.floor(pid / 10000), (Math.floor(pid / 100) % 100) - 1, pid % 100, 12, 0, 0);
+  return Math.floor(date.getTime() / 1000);
+}
+
 assert.equal(ACHIEVEMENTS.find((achievement) => achievement.id === "new-year")?.name, "初日の出DWORDler");
 assert.equal(COLLECTOR_REQUIREMENT, 30, "Achievement Hunter should require 30 unlocked achievements");
 assert.equal(
@@ -212,11 +219,22 @@ assert.deepEqual(
 }
 
 {
+  // デイリーはその日のうちに遊んだものだけを数える（開始時刻のローカル日付 = 問題の日付）
   const dailyGames = Array.from({ length: 7 }, (_, index) =>
-    clearRecord({ pid: 20260715 + index, startTime: 1_700_000_000 + index * 86400 })
+    clearRecord({ pid: 20260815 + index, startTime: dailyStartTime(20260815 + index) })
   );
+  assert(dailyGames.every(isDailyOnTheDay));
+  assert(!isDailyOnTheDay({ ...dailyGames[0], startTime: dailyStartTime(20260816) }), "a Daily started the next day is an archive play");
+  assert(isDailyOnTheDay({ ...dailyGames[0], startTime: 0 }), "a migrated record without a start time counts as played on the day");
+  assert(!isDailyOnTheDay(clearRecord({ pid: 123 })), "a numbered puzzle is not a Daily");
   const ids = achievementIdsFromHistory(dailyGames);
   assert(ids.has("daily-7"), "seven historical consecutive Daily clears should restore Perfect Week");
+  // アーカイブから後でまとめて遊んだ過去のデイリーは、連続にもデイリークリアにも数えない
+  const later = Math.floor(new Date(2026, 8, 1, 12, 0, 0).getTime() / 1000);
+  const archiveGames = dailyGames.map((game, index) => clearRecord({ pid: game.problemID, startTime: later + index * 600 }));
+  const archiveIds = achievementIdsFromHistory(archiveGames);
+  assert(!archiveIds.has("daily-7"), "Daily clears played later from the archive must not restore Perfect Week");
+  assert(!archiveIds.has("daily-clear"), "a past Daily played from the archive must not restore Daily Clear");
 }
 
 {
@@ -343,7 +361,7 @@ assert.deepEqual(
 
 {
   const dailyRegular = Array.from({ length: 30 }, (_, index) =>
-    clearRecord({ pid: 20260601 + index, startTime: 1_700_000_000 + index * 86400 })
+    clearRecord({ pid: 20260601 + index, startTime: dailyStartTime(20260601 + index) })
   );
   const ids = achievementIdsFromHistory(dailyRegular);
   assert(ids.has("daily-30"), "30 Daily clears should restore Daily Regular");
@@ -352,7 +370,7 @@ assert.deepEqual(
 
 {
   const fortnight = Array.from({ length: 14 }, (_, index) =>
-    clearRecord({ pid: 20260501 + index, startTime: 1_699_000_000 + index * 86400 })
+    clearRecord({ pid: 20260501 + index, startTime: dailyStartTime(20260501 + index) })
   );
   assert(achievementIdsFromHistory(fortnight).has("daily-streak-14"), "14 consecutive Daily clears should restore Perfect Fortnight");
   assert(!achievementIdsFromHistory(fortnight.slice(0, 13)).has("daily-streak-14"), "13 consecutive Daily clears must not restore Perfect Fortnight");
@@ -364,7 +382,7 @@ assert.deepEqual(
   for (let d = 1; d <= 13; d++) dates.push(20260600 + d); // 6/1-6/13
   for (let d = 15; d <= 27; d++) dates.push(20260600 + d); // 6/15-6/27
   for (let d = 1; d <= 4; d++) dates.push(20260700 + d); // 7/1-7/4
-  const gapped = dates.map((pid, index) => clearRecord({ pid, startTime: 1_700_000_000 + index * 86400 }));
+  const gapped = dates.map((pid) => clearRecord({ pid, startTime: dailyStartTime(pid) }));
   const ids = achievementIdsFromHistory(gapped);
   assert(ids.has("daily-30"));
   assert(!ids.has("daily-streak-14"), "a gapped Daily run must not restore Perfect Fortnight");
@@ -9,6 +9,7 @@ import {
   patternIdToStates,
   computeTruePatternIds,
   analyzeGame,
+  remainingPairs,
   makeRng,
 } from "../js/core/analysis-core.js?v=20260806-a";
 import { ALL_WORDS } from "../js/data/words.js?v=20260806-a";
@@ -127,6 +128,43 @@ function check(cond, message) {
   check(res.turns[0].before === res.initialPairs, "スケール後の初期ペア数表示");
 }
 
+// ---- 6. プレイ中の残り候補（remainingPairs）----
+{
+  // 分析の最終ターンの after と一致し、真の答えの組が一覧に含まれる
+  const pid = 1234;
+  const logic = new Logic(pid);
+  const guesses = ["about", "crane", "shine"];
+  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, guesses);
+  const res = analyzeGame({ pid, mode: "normal", guessWords: guesses, truePatternIds });
+  const live = remainingPairs({ pid, mode: "normal", guessWords: guesses, shownPatternIds: truePatternIds });
+  check(live.sampled === false, "easy の残り候補は厳密に数えるはず");
+  check(live.count === res.turns[2].after, `残り候補数は分析と一致するはず: ${live.count} vs ${res.turns[2].after}`);
+  if (live.pairs) {
+    check(
+      live.pairs.some(([a, b]) => [a, b].sort().join() === [logic.ans1, logic.ans2].sort().join()),
+      "一覧に真の答えの組が含まれるはず"
+    );
+  } else {
+    check(live.count > 30, "一覧が無いのは組が多いときだけのはず");
+  }
+  const none = remainingPairs({ pid, mode: "normal", guessWords: [], shownPatternIds: [] });
+  check(none.count === res.initialPairs, "Guess 前は全組が残るはず");
+
+  // 嘘モード: 表示（嘘）と全位置で食い違う組を残す
+  const lie = truePatternIds.map((id) =>
+    resultToPatternId(patternIdToStates(id).map((s) => (s === "unused" ? "used" : s === "used" ? "correct" : "unused")))
+  );
+  const uso = remainingPairs({ pid, mode: "uso", guessWords: guesses, shownPatternIds: lie });
+  const usoRes = analyzeGame({ pid, mode: "uso", guessWords: guesses, truePatternIds, shownPatternIds: lie });
+  check(uso.count === usoRes.turns[2].after, "DWORDlie の残り候補数も分析と一致するはず");
+  check(uso.count >= 1, "DWORDlie でも真の答えの組は残るはず");
+
+  // サンプリング帯は推定値で、一覧は出さない
+  const extreme = remainingPairs({ pid: 15000, mode: "normal", guessWords: ["raise"], shownPatternIds: [0] });
+  check(extreme.sampled === true && extreme.pairs === null, "極の残り候補は推定で、一覧は出さないはず");
+  console.log(`remainingPairs: easy ${live.count}, uso ${uso.count}, extreme ~${extreme.count}`);
+}
+
 if (failures === 0) console.log("ALL TESTS PASSED");
 else {
   console.error(`${failures} failures`);
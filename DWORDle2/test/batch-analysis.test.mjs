@@ -0,0 +1,121 @@
+// 履歴全体の分析（analysis-core.js の summarizeAnalysis / analyzeBatch と core/batch-analysis.js）のテスト。
+// 実行: node test/batch-analysis.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 1 局の要約が分析画面と同じ基準（正解した手は評価しない・提案の 1 位が最善手）で数えられる
+//  2. キャッシュ済みの局は飛ばして続きから分析でき、分析の版が変わったら捨てる
+//  3. スキル評価は勝ち負けではなく手の質と無駄手で決まる
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { analyzeBatch, analyzeGame, computeTruePatternIds, summarizeAnalysis } = await import("../js/core/analysis-core.js?v=20260806-a");
+const batch = await import("../js/core/batch-analysis.js?v=20260806-a");
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+
+const pid = 1234;
+const logic = new Logic(pid);
+
+// ---- 1 局の要約 ----
+{
+  // 同じ単語を 2 回打つと、2 回目は候補を絞れない（無駄手）。最後は答えを当てる
+  const guessWords = ["about", "about", "crane", logic.ans1];
+  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, guessWords);
+  const res = analyzeGame({ pid, mode: "normal", guessWords, truePatternIds });
+  const summary = summarizeAnalysis(res, logic.answers);
+  assert.equal(summary.guesses, 4);
+  assert.equal(summary.turns, 3, "正解した手は評価しないはず");
+  assert.equal(summary.wasted, 1, "同じ単語の 2 回目は無駄手のはず");
+  assert.ok(summary.rated <= summary.turns);
+  assert.ok(summary.efficiency >= 0 && summary.efficiency <= summary.rated);
+  const best = res.turns.slice(0, 3).filter((turn) => turn.suggestions.playedRank === 1).length;
+  assert.equal(summary.best, best);
+  const luck = res.turns.slice(0, 3).reduce((sum, turn) => sum + turn.bitsGained - turn.expectedBits, 0);
+  assert.ok(Math.abs(summary.luck - luck) < 1e-9);
+  assert.equal(summary.sampled, false);
+
+  // まとめて分析しても同じ要約。出題を壊した局だけが null になる
+  const results = analyzeBatch({
+    games: [
+      { key: "normal:1", answers: logic.answers, pid, mode: "normal", guessWords, truePatternIds },
+      { key: "normal:2", answers: logic.answers, pid, mode: "normal", guessWords: null, truePatternIds },
+    ],
+  });
+  assert.deepEqual(results, [
+    { key: "normal:1", summary },
+    { key: "normal:2", summary: null },
+  ]);
+}
+
+// ---- キャッシュと続きからの分析 ----
+const record = (startTime, extra = {}) => ({ startTime, gameMode: "normal", problemID: pid, guessWord: ["about", logic.ans1], clear: true, ...extra });
+const records = [
+  record(100),
+  record(200),
+  record(300, { discarded: true, clear: false }), // 破棄した局は分析しない
+  record(400, { gameMode: "uso", usoResults: [] }), // 表示した判定が揃っていない DWORDlie も
+  record(500),
+];
+{
+  assert.deepEqual(batch.pendingAnalyses(records).map((r) => r.startTime), [500, 200, 100], "新しい順に分析するはず");
+  const summary = { guesses: 2, turns: 1, rated: 1, efficiency: 0.8, best: 0, wasted: 0, luck: 0.5, sampled: false };
+  batch.saveAnalyses([
+    { key: "normal:500", summary },
+    { key: "normal:200", summary: null }, // 分析できなかった局も二度と繰り返さない
+  ]);
+  assert.deepEqual(batch.pendingAnalyses(records).map((r) => r.startTime), [100]);
+
+  // 再読み込みしても続きから
+  batch._reloadAnalysisCache();
+  assert.deepEqual(batch.pendingAnalyses(records).map((r) => r.startTime), [100]);
+  assert.deepEqual(batch.getCachedAnalysis(records[4]), summary);
+
+  batch.setAnalysisJobRunning(true);
+  assert.equal(batch.isAnalysisJobRunning(), true);
+  batch.setAnalysisJobRunning(false);
+  assert.equal(batch.isAnalysisJobRunning(), false);
+}
+
+// ---- 集計とスキル評価 ----
+{
+  batch.saveAnalyses([{ key: "normal:100", summary: { guesses: 5, turns: 4, rated: 3, efficiency: 2.4, best: 1, wasted: 1, luck: -1.3, sampled: true } }]);
+  const agg = batch.aggregateAnalyses(records);
+  assert.equal(agg.total, 3);
+  assert.equal(agg.analysed, 2);
+  assert.equal(agg.failed, 1);
+  assert.ok(Math.abs(agg.efficiency - 3.2 / 4) < 1e-9);
+  assert.equal(agg.bestRate, 1 / 4);
+  assert.equal(agg.wasted, 1);
+  assert.equal(agg.wastedPerGame, 0.5);
+  assert.ok(Math.abs(agg.luck - -0.8 / 5) < 1e-9);
+  assert.equal(agg.rating, Math.round(100 * 0.8 * (1 - 1 / 5)));
+  assert.equal(agg.provisional, true);
+  assert.equal(agg.sampled, 1);
+
+  // 負けた局でも手の質が同じならスキルは変わらない（勝率ではない）
+  const lost = records.map((r) => ({ ...r, clear: false }));
+  assert.equal(batch.aggregateAnalyses(lost).rating, agg.rating);
+  assert.equal(batch.skillRating(1, 0), 100);
+  assert.equal(batch.skillRating(null, 0), null);
+
+  const empty = batch.aggregateAnalyses([record(900)]);
+  assert.deepEqual([empty.total, empty.analysed, empty.rating, empty.wasted], [1, 0, null, null]);
+}
+
+// ---- 分析の版が変わったらキャッシュを捨てる ----
+{
+  const saved = JSON.parse(storage.get("dwordle2.analysisCache"));
+  storage.set("dwordle2.analysisCache", JSON.stringify({ ...saved, v: batch.ANALYSIS_CACHE_VERSION - 1 }));
+  batch._reloadAnalysisCache();
+  assert.deepEqual(batch.pendingAnalyses(records).map((r) => r.startTime), [500, 200, 100]);
+}
+
+console.log("履歴全体の分析テスト: OK");
@@ -0,0 +1,89 @@
+// テーマ別の出題（problems.js の CATEGORIES）のテスト。
+// 実行: node test/categories.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. テーマの単語リストはどれも 5 文字の全単語リストにあり、重複しない
+//  2. テーマ別の番号帯は既存の帯と重ならず、答えはそのテーマのリストから決まった通りに引く
+//  3. テーマ別の問題はレベルを持たず、実績の対象外
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const problems = await import("../js/core/problems.js?v=20260806-a");
+const { habitEligibleRecords } = await import("../js/core/achievements.js?v=20260806-a");
+const { ALL_WORDS } = await import("../js/data/words.js?v=20260806-a");
+
+const { CATEGORIES, PID, categoryForPID, candidateWordsForPID, pidForCategoryNumber, pidLabel } = problems;
+const WORD_SET = new Set(ALL_WORDS);
+
+// ---- 単語リスト ----
+assert.equal(new Set(CATEGORIES.map((c) => c.id)).size, CATEGORIES.length, "id が重複している");
+assert.equal(new Set(CATEGORIES.map((c) => c.key)).size, CATEGORIES.length, "key が重複している");
+for (const category of CATEGORIES) {
+  assert(category.id >= 1 && category.id <= 9, `${category.key}: id は 1〜9`);
+  assert(category.words.length >= 20, `${category.key} の単語リストが小さすぎる`);
+  assert.equal(new Set(category.words).size, category.words.length, `${category.key} の単語リストに重複がある`);
+  for (const word of category.words) assert(WORD_SET.has(word), `${category.key}: ${word} が全単語リストに無い`);
+  assert.match(category.prefix, /^[A-Za-z]+\.$/, "ラベルはヘッダの 2 行表示を崩さない 1 語");
+}
+
+// ---- 番号帯 ----
+for (const category of CATEGORIES) {
+  const pid = pidForCategoryNumber(42, category.key);
+  assert.equal(pid, PID.CATEGORY_OFFSET + category.id * PID.CATEGORY_SPAN + 42);
+  assert.equal(categoryForPID(pid), category);
+  assert.equal(pidLabel(pid), `${category.prefix}42`);
+  assert.equal(problems.problemNumber(pid), 42);
+  assert.equal(problems.answerCountForPID(pid), 2);
+  assert.equal(problems.wordLengthForPID(pid), 5);
+  assert.equal(problems.levelForPID(pid), null, "テーマ別はレベルを持たない");
+  assert.equal(candidateWordsForPID(pid), category.words);
+  assert(problems.isValidPID(pid));
+  assert.equal(problems.isValidPID(category.offset), false, "番号 0 は無効のはず");
+  assert.equal(problems.isValidPID(category.offset + PID.CATEGORY_NUMBER_MAX + 1), false, "帯の外は無効のはず");
+  const [lo, hi] = problems.categoryPidRange(category);
+  assert.equal(categoryForPID(lo), category);
+  assert.equal(categoryForPID(hi), category);
+  // 既存の帯のどれにも入らない
+  assert.equal(problems.isNewPID(pid) || problems.isClassicPID(pid) || problems.isDailyPID(pid), false);
+  assert.equal(problems.multiSetForPID(pid) ?? problems.lengthSetForPID(pid) ?? problems.challengeForPID(pid), null);
+}
+assert(CATEGORIES.every((c) => c.offset + PID.CATEGORY_NUMBER_MAX < PID.LEN6_OFFSET), "6 文字版の帯と重なる");
+assert.equal(categoryForPID(PID.NEW_OFFSET + 42), null);
+assert.equal(categoryForPID(PID.LEN4_OFFSET + 42), null);
+
+// ---- 抽選 ----
+{
+  const animals = problems.categoryForKey("animals");
+  const food = problems.categoryForKey("food");
+  const seen = new Set();
+  for (let number = 1; number <= 300; number++) {
+    const logic = new Logic(pidForCategoryNumber(number, "animals"));
+    assert.equal(logic.answers.length, 2);
+    assert.notEqual(logic.ans1, logic.ans2);
+    assert(logic.answers.every((word) => animals.words.includes(word)), "答えはテーマのリストから引くはず");
+    assert(logic.isValidWord("crane"), "Guess は全単語リストから受け付けるはず");
+    seen.add(logic.answers.join(","));
+    // 同じ番号は何度引いても同じ答え
+    assert.deepEqual(new Logic(pidForCategoryNumber(number, "animals")).answers, logic.answers);
+  }
+  assert(seen.size > 250, "番号ごとにばらけて引くはず");
+  const a = new Logic(pidForCategoryNumber(1, "food")).answers;
+  assert(a.every((word) => food.words.includes(word)));
+}
+
+// ---- 実績 ----
+{
+  const record = (problemID, startTime) => ({ problemID, startTime, endTime: startTime + 60, gameMode: "normal", guessWord: ["crane"], clear: true });
+  const eligible = habitEligibleRecords([record(PID.NEW_OFFSET + 42, 1_800_000_000), record(pidForCategoryNumber(42, "food"), 1_800_000_100)]);
+  assert.deepEqual(eligible.map((r) => r.problemID), [PID.NEW_OFFSET + 42], "テーマ別は実績の対象外");
+}
+
+console.log("テーマ別の出題のテスト: OK");
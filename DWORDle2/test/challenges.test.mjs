@@ -0,0 +1,161 @@
+// ウィークリーチャレンジ・月間エクストリームのテスト。
+// 実行: node test/challenges.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 週・月と PID の対応（ISO 週の年またぎを含む）が決まった通りで、帯の中の無効な番号は弾く
+//  2. 出題は新出題の抽選を別の接頭辞で引き、同じ番号の No. とは別の問題になる
+//  3. カレンダーの達成状況と、継続系の実績（週・月の連続）が正しく数えられる
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const problems = await import("../js/core/problems.js?v=20260806-a");
+const challenges = await import("../js/core/challenges.js?v=20260806-a");
+const { achievementIdsFromHistory, ACHIEVEMENTS } = await import("../js/core/achievements.js?v=20260806-a");
+const { ALL_WORDS, EASY_WORDS } = await import("../js/data/words.js?v=20260806-a");
+
+const { LEVELS, PID, WEEKLY_LEVELS, challengeForPID, isoWeekOf, monthlyPID, pidLabel, weeklyPID } = problems;
+
+// ---- ISO 週 ----
+{
+  assert.deepEqual(isoWeekOf(new Date(2026, 9, 19)), { year: 2026, week: 43 });
+  assert.deepEqual(isoWeekOf(new Date(2026, 0, 1)), { year: 2026, week: 1 }, "木曜始まりの年の 1/1 は W01 のはず");
+  assert.deepEqual(isoWeekOf(new Date(2027, 0, 1)), { year: 2026, week: 53 }, "金曜の 1/1 は前年の最終週のはず");
+  assert.deepEqual(isoWeekOf(new Date(2024, 11, 30)), { year: 2025, week: 1 }, "年末の月曜が翌年の W01 になる場合があるはず");
+  assert.equal(problems.isoWeeksInYear(2026), 53);
+  assert.equal(problems.isoWeeksInYear(2027), 52);
+  const monday = problems.isoWeekMonday(2026, 43);
+  assert.deepEqual([monday.getFullYear(), monday.getMonth(), monday.getDate(), monday.getDay()], [2026, 9, 19, 1]);
+  assert.deepEqual(isoWeekOf(problems.isoWeekMonday(2025, 1)), { year: 2025, week: 1 });
+}
+
+// ---- 番号帯 ----
+{
+  const date = new Date(2026, 8, 10);
+  const weekly = problems.weeklyPIDs(date);
+  assert.deepEqual(weekly, [826371, 826372, 826373, 826374, 826375], "2026-W37 の Lv.1〜5 のはず");
+  assert.equal(problems.monthlyExtremePID(date), 902609);
+  assert.deepEqual(weekly.map((pid) => challengeForPID(pid).level), WEEKLY_LEVELS);
+  assert.deepEqual(WEEKLY_LEVELS, LEVELS.slice(0, 5));
+  assert.equal(challengeForPID(902609).level, LEVELS[5], "月間エクストリームは極のはず");
+
+  for (const pid of [...weekly, 902609]) {
+    assert(problems.isValidPID(pid));
+    assert(problems.usesNewGenerator(pid), "新出題の抽選で引くはず");
+    assert.equal(problems.isNewPID(pid), false);
+    assert.equal(problems.isDailyPID(pid), false);
+    assert.equal(problems.levelForPID(pid), challengeForPID(pid).level);
+  }
+  assert.equal(pidLabel(826373), "Weekly 2026-W37-Lv3");
+  assert.equal(pidLabel(902609), "Extreme 2026-09");
+  assert.equal(pidLabel(826373).split(" ").length, 2, "ヘッダの 2 行表示に合わせて 2 語のはず");
+  assert.equal(problems.problemNumber(826373), 26373);
+  assert.equal(problems.candidateWordsForPID(826371), EASY_WORDS, "Lv.1 はやさしい語彙のはず");
+  assert.equal(problems.candidateWordsForPID(902609), ALL_WORDS, "極は全語彙のはず");
+  assert.equal(problems.candidateWordsForPID(826375).length, problems.candidateWordsForPID(pidFor(LEVELS[4])).length);
+
+  // 帯の中でも、存在しない週・レベル・月は無効
+  for (const pid of [weeklyPID(2026, 54, 1), weeklyPID(2027, 53, 1), weeklyPID(2026, 0, 1), weeklyPID(2026, 10, 6), weeklyPID(2026, 10, 0), monthlyPID(2026, 13), monthlyPID(2026, 0), PID.WEEKLY_OFFSET, PID.MONTHLY_OFFSET]) {
+    assert.equal(challengeForPID(pid), null, `${pid} は無効のはず`);
+    assert.equal(problems.isValidPID(pid), false, `${pid} は無効のはず`);
+  }
+  assert.equal(challengeForPID(pidFor(LEVELS[2])), null);
+  assert.equal(challengeForPID(20261019), null, "デイリーは含めないはず");
+
+  const now = new Date(2026, 9, 19, 12);
+  assert.equal(problems.isFutureChallengePID(weeklyPID(2026, 43, 1), now), false);
+  assert.equal(problems.isFutureChallengePID(weeklyPID(2026, 44, 1), now), true);
+  assert.equal(problems.isFutureChallengePID(monthlyPID(2026, 10), now), false);
+  assert.equal(problems.isFutureChallengePID(monthlyPID(2026, 11), now), true);
+}
+
+function pidFor(level) {
+  return problems.pidRangeForLevel(level)[0];
+}
+
+// ---- 出題 ----
+{
+  for (const pid of [826371, 826375, 902609]) {
+    const a = new Logic(pid);
+    const b = new Logic(pid);
+    assert.deepEqual(a.answers, b.answers, "同じ PID なら同じ出題のはず");
+    assert.notEqual(a.ans1, a.ans2);
+    for (const word of a.answers) assert(a.candWords.includes(word), "答えはレベルの候補から引くはず");
+  }
+  // 同じ週の別レベル、隣の週は別の出題
+  const week = problems.weeklyPIDs(new Date(2026, 8, 10)).map((pid) => new Logic(pid).answers.join(","));
+  assert.equal(new Set(week).size, week.length);
+  assert.notDeepEqual(new Logic(weeklyPID(2026, 37, 2)).answers, new Logic(weeklyPID(2026, 38, 2)).answers);
+  // 接頭辞が違うので、番号が同じ No. とも別の出題になる
+  assert.notDeepEqual(new Logic(902609).answers, new Logic(problems.pidForNumber(2609)).answers);
+}
+
+// ---- カレンダー ----
+{
+  const now = new Date(2026, 9, 19, 12);
+  const status = new Map([
+    [weeklyPID(2026, 41, 1), { cleared: 1 }],
+    [weeklyPID(2026, 41, 2), { cleared: 0 }],
+    [monthlyPID(2026, 10), { cleared: 2 }],
+  ]);
+  const october = challenges.monthChallenges(status, 2026, 10, now);
+  assert.deepEqual(october.weeks.map((week) => week.week), [40, 41, 42, 43, 44], "木曜日が 10 月にある週のはず");
+  const w41 = october.weeks[1];
+  assert.equal(w41.cleared, 1);
+  assert.deepEqual(w41.problems.map((problem) => problem.status), ["cleared", "failed", "unplayed", "unplayed", "unplayed"]);
+  assert.equal(october.weeks[3].current, true);
+  assert.equal(october.weeks[4].future, true);
+  assert.equal(october.extreme.status, "cleared");
+  assert.equal(october.extreme.current, true);
+  // 年末の週は木曜日の年・月に数える
+  const december = challenges.monthChallenges(new Map(), 2026, 12, now);
+  assert.deepEqual(december.weeks.map((week) => `${week.year}-${week.week}`).slice(-1), ["2026-53"]);
+  assert.deepEqual(challenges.monthChallenges(new Map(), 2027, 1, now).weeks[0].week, 1);
+  assert.equal(challenges.monthOfIndex(challenges.FIRST_CHALLENGE_MONTH_INDEX).month, problems.CHALLENGE_FIRST_MONTH.month);
+  const current = challenges.currentChallenges(status, now);
+  assert.equal(current.week.week, 43);
+  assert.equal(current.extreme.pid, monthlyPID(2026, 10));
+}
+
+// ---- 実績 ----
+{
+  let startTime = 1_790_000_000;
+  function clear(pid) {
+    const logic = new Logic(pid);
+    startTime += 3600;
+    return { startTime, endTime: startTime + 60, gameMode: "normal", problemID: pid, guessWord: [logic.ans1], clear: true };
+  }
+  const fullWeek = (week) => WEEKLY_LEVELS.map((level) => clear(weeklyPID(2026, week, level.id)));
+
+  for (const id of ["weekly-clear", "weekly-streak-4", "monthly-streak-3"]) {
+    assert.equal(ACHIEVEMENTS.find((achievement) => achievement.id === id)?.cat, "habit", `${id} は継続系のはず`);
+  }
+
+  const almost = achievementIdsFromHistory(fullWeek(37).slice(0, 4));
+  assert(!almost.has("weekly-clear"), "4 問では週間制覇にならないはず");
+  assert(achievementIdsFromHistory(fullWeek(37)).has("weekly-clear"));
+
+  // 年をまたいでも連続として数える（2026-W53 → 2027-W01）
+  const streak = [...fullWeek(51), ...fullWeek(52), ...fullWeek(53), ...WEEKLY_LEVELS.map((level) => clear(weeklyPID(2027, 1, level.id)))];
+  assert(achievementIdsFromHistory(streak).has("weekly-streak-4"));
+  const gap = [...fullWeek(40), ...fullWeek(41), ...fullWeek(43), ...fullWeek(44)];
+  assert(!achievementIdsFromHistory(gap).has("weekly-streak-4"), "間の週が欠けたら連続にしないはず");
+
+  const months = [monthlyPID(2026, 11), monthlyPID(2026, 12), monthlyPID(2027, 1)].map(clear);
+  assert(achievementIdsFromHistory(months).has("monthly-streak-3"), "年をまたいでも 3 か月連続のはず");
+  assert(!achievementIdsFromHistory([months[0], months[2]]).has("monthly-streak-3"));
+  const failed = { ...clear(monthlyPID(2026, 12)), clear: false };
+  assert(!achievementIdsFromHistory([months[0], failed, months[2]]).has("monthly-streak-3"), "クリアしていない月は数えないはず");
+
+  // 月間エクストリームは No. の極の帯ではないので、帯の実績には数えない
+  assert(!achievementIdsFromHistory([clear(monthlyPID(2026, 10))]).has("extreme-clear"));
+}
+
+console.log("チャレンジテスト: OK");
@@ -0,0 +1,84 @@
+// カスタム問題（答えの組を指定した出題リンク）のテスト。
+// 実行: node test/custom-puzzle.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const problems = await import("../js/core/problems.js?v=20260806-a");
+const { customPIDFromToken, customTokenForPair, customTokenForPID } = await import("../js/core/custom-puzzle.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const achievements = await import("../js/core/achievements.js?custom-puzzle-test");
+
+// ---- トークン ↔ PID ----
+const token = customTokenForPair(" Crane ", "zesty");
+assert(token, "単語リストにある 2 語ならトークンを作れるはず");
+assert.match(token, /^[A-Za-z0-9_-]+$/, "トークンは URL にそのまま載る文字だけのはず");
+assert(!/crane|zesty/i.test(token), "トークンから答えがそのまま読めてはいけない");
+
+const pid = customPIDFromToken(token);
+assert(problems.isCustomPID(pid));
+assert.equal(customTokenForPID(pid), token, "記録の PID から同じトークンを作り直せるはず");
+assert.deepEqual(problems.customPairForPID(pid), ["crane", "zesty"]);
+
+// 答えの並び順も保つ（queryWordPair は ans1 を優先して黄を消費するため）
+const logic = new Logic(pid);
+assert.equal(logic.ans1, "crane");
+assert.equal(logic.ans2, "zesty");
+const swapped = new Logic(customPIDFromToken(customTokenForPair("zesty", "crane")));
+assert.equal(swapped.ans1, "zesty");
+assert.equal(swapped.ans2, "crane");
+
+// ---- 不正な入力 ----
+assert.equal(customTokenForPair("crane", "crane"), null, "同じ語 2 つは出題できないはず");
+assert.equal(customTokenForPair("crane", "qqqqq"), null, "単語リストにない語は出題できないはず");
+assert.equal(customTokenForPair("crane", ""), null);
+assert.equal(customPIDFromToken(""), null);
+assert.equal(customPIDFromToken("not a token!"), null, "URL に載らない文字を含むトークンは読めないはず");
+assert.equal(customPIDFromToken(token.slice(0, -3)), null, "途中で切れたトークンは読めないはず");
+assert.equal(customPIDFromToken(undefined), null);
+
+// ---- PID の帯 ----
+assert(problems.isValidPID(pid));
+assert.equal(problems.isDailyPID(pid), false, "カスタム問題はデイリー扱いにならないはず");
+assert.equal(problems.isClassicDailyPID(pid), false);
+assert.equal(problems.isClassicPID(pid), false);
+assert.equal(problems.levelForPID(pid), null);
+assert.match(problems.pidLabel(pid), /^Custom #[0-9A-Z]{5}$/);
+assert.notEqual(problems.pidLabel(pid), problems.pidLabel(customPIDFromToken(customTokenForPair("zesty", "crane"))), "並び順が違えば別の問題のはず");
+assert.equal(problems.isCustomPID(20260801), false);
+assert.equal(problems.isCustomPID(120260801), false);
+assert.equal(problems.isValidPID(problems.PID.CUSTOM_OFFSET + 14847 * 14847 + 5), false, "範囲外のカスタム PID は無効のはず");
+
+// ---- 実績の対象外 ----
+const base = Math.floor(new Date(2026, 7, 20, 12, 0, 0).getTime() / 1000);
+const record = records.addFinishedGame({
+  startTime: base,
+  endTime: base + 60,
+  gameMode: "normal",
+  problemID: pid,
+  guessWord: ["crane"],
+});
+assert.equal(records.getStatistics("normal").count, 1, "カスタム問題も履歴と統計には残るはず");
+assert.equal(achievements.habitEligibleRecords(records.getHistory()).length, 0, "カスタム問題は実績判定に使わないはず");
+assert.deepEqual(
+  achievements.checkOnGameFinish({
+    record,
+    results: [logic.queryWord("crane")],
+    durationSec: 60,
+    endDate: new Date(record.endTime * 1000),
+    maxGuess: records.MODES.normal.maxGuess,
+    hadLostBefore: false,
+  }),
+  [],
+  "1 手クリアでもカスタム問題では実績を解除しないはず"
+);
+assert.equal(achievements.achievementIdsFromHistory(records.getHistory()).size, 0);
+
+console.log("カスタム問題テスト: OK");
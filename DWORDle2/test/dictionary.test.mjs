@@ -0,0 +1,80 @@
+// 答えの辞書（core/dictionary.js と data/dictionary.js）のテスト。
+// 実行: node test/dictionary.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. データのキーは ALL_WORDS の index で、中身は [品詞, 定義, 訳, 例文?] の形（品詞 x は ["x"] だけ）
+//  2. デイリー・各レベル・テーマ別・チュートリアルの答えになりうる語はすべて引ける
+//  3. 読み込むまでと、ALL_WORDS に無い語・5 文字でない語は null。意味を確かめられなかった語は品詞 x
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { ALL_WORDS, EASY_WORDS } = await import("../js/data/words.js?v=20260806-a");
+const { DICTIONARY } = await import("../js/data/dictionary.js?v=20260806-a");
+const { PARTS_OF_SPEECH, isDictionaryLoaded, loadDictionary, lookupWord } = await import("../js/core/dictionary.js?v=20260806-a");
+const { CATEGORIES, LEVELS, candidateWordsForPID, pidForLevelIndex } = await import("../js/core/problems.js?v=20260806-a");
+const { LESSONS } = await import("../js/core/tutorial.js?v=20260806-a");
+
+// ---- データの形 ----
+for (const [key, entry] of Object.entries(DICTIONARY)) {
+  const index = Number(key);
+  assert(Number.isInteger(index) && index >= 0 && index < ALL_WORDS.length, `${key} は ALL_WORDS の index ではない`);
+  if (entry[0] === "x") {
+    assert.equal(entry.length, 1, `${ALL_WORDS[index]} の形が違う（品詞 x は ["x"] だけ）`);
+    continue;
+  }
+  assert(Array.isArray(entry) && (entry.length === 3 || entry.length === 4), `${ALL_WORDS[index]} の形が違う`);
+  const [pos, definition, gloss, example] = entry;
+  assert(Object.hasOwn(PARTS_OF_SPEECH, pos), `${ALL_WORDS[index]} の品詞 ${pos} が無い`);
+  for (const text of [definition, gloss, example ?? "x"]) {
+    assert(typeof text === "string" && text.trim() === text && text.length > 0, `${ALL_WORDS[index]} に空の項目がある`);
+  }
+  assert(definition.length <= 120, `${ALL_WORDS[index]} の定義が長すぎる`);
+}
+
+// ---- 読み込む前は引けない ----
+assert.equal(isDictionaryLoaded(), false);
+assert.equal(lookupWord("tiger"), null);
+
+const lookup = await loadDictionary();
+assert.equal(lookup, lookupWord);
+assert.equal(isDictionaryLoaded(), true);
+assert.equal(loadDictionary(), loadDictionary(), "2 回目以降は同じ Promise");
+
+// ---- 収録範囲 ----
+const mustHave = new Set([
+  ...EASY_WORDS,
+  ...CATEGORIES.flatMap((category) => category.words),
+  ...LESSONS.flatMap((lesson) => lesson.answers),
+]);
+const missing = [...mustHave].filter((word) => !lookupWord(word));
+assert.deepEqual(missing, [], "答えになりうる語が辞書に無い");
+for (const level of LEVELS) {
+  const candidates = candidateWordsForPID(pidForLevelIndex(level, 0));
+  assert(candidates.length > 0, `Lv.${level.id} の候補が空`);
+  const unlisted = candidates.filter((word) => !lookupWord(word));
+  assert.deepEqual(unlisted.slice(0, 10), [], `Lv.${level.id} の候補 ${unlisted.length} 語が辞書に無い`);
+}
+
+// ---- 引いた結果 ----
+const tiger = lookupWord("TIGER");
+assert.equal(tiger.word, "tiger", "大文字でも引ける");
+assert.equal(tiger.pos, "n");
+assert.equal(typeof tiger.definition, "string");
+assert.equal(typeof tiger.gloss, "string");
+assert(tiger.example === null || typeof tiger.example === "string");
+assert.equal(lookupWord("qqqqq"), null);
+assert.equal(lookupWord("tigers"), null, "5 文字でない語は引けない");
+assert.equal(lookupWord(undefined), null);
+const unconfirmed = lookupWord(ALL_WORDS.find((_, i) => DICTIONARY[i][0] === "x"));
+assert.equal(unconfirmed.pos, "x", "意味を確かめられなかった語は品詞 x");
+assert(unconfirmed.definition.length > 0 && unconfirmed.gloss.length > 0, "定義と訳は core/dictionary.js が添える");
+assert.equal(unconfirmed.example, null);
+
+console.log("辞書のテスト: OK");
@@ -0,0 +1,92 @@
+// 非同期の対戦（対戦コード・勝敗・受けた対戦と記録の結び付け）のテスト。
+// 実行: node test/duel.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { pidForNumber, pidForLengthNumber } = await import("../js/core/problems.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const duel = await import("../js/core/duel.js?v=20260806-a");
+
+const base = Math.floor(new Date(2026, 8, 1, 12, 0, 0).getTime() / 1000);
+const pid = pidForNumber(1234);
+const logic = new Logic(pid);
+
+function finishedRecord(startTime, guessWord, gameMode = "normal", problemID = pid) {
+  return { startTime, endTime: startTime + 95, gameMode, problemID, guessWord, clear: new Logic(problemID).isGameClear(guessWord.at(-1)) };
+}
+
+// ---- コード ----
+{
+  const record = finishedRecord(base, ["crane", "pilot", logic.ans1]);
+  const code = await duel.createDuelCode(record);
+  assert.match(code, /^d1\.[0-9a-z]+\.n\.3\.1\.[0-9a-z]+\.[0-9a-f]{16}$/, "URL にそのまま載る短い形式のはず");
+  assert.deepEqual(await duel.readDuelCode(code), { pid, mode: "normal", guesses: 3, clear: true, elapsedSec: 95 });
+  assert.equal(await duel.createDuelCode(record), code, "同じ記録なら同じコードのはず");
+
+  // 数字を 1 か所でも書き換えたら読まない
+  const parts = code.split(".");
+  for (const [index, value] of [[1, (pid + 1).toString(36)], [2, "u"], [3, "2"], [4, "0"], [5, "1"]]) {
+    const forged = parts.slice();
+    forged[index] = value;
+    assert.equal(await duel.readDuelCode(forged.join(".")), null, `書き換えたコードは読まないはず: ${forged.join(".")}`);
+  }
+  for (const broken of ["", "d1", code.replace(/^d1/, "d2"), `${code}.x`, code.slice(0, -1), undefined]) {
+    assert.equal(await duel.readDuelCode(broken), null, `壊れたコードは null のはず: ${broken}`);
+  }
+
+  const lie = finishedRecord(base, ["planet"], "uso", pidForLengthNumber(5, 6));
+  assert.equal((await duel.readDuelCode(await duel.createDuelCode(lie))).mode, "uso", "DWORDlie・文字数違いの版でも作れるはず");
+  assert.equal(await duel.createDuelCode({ ...record, discarded: true }), null, "破棄した記録からは作らないはず");
+  assert.equal(await duel.createDuelCode({ ...record, endTime: undefined }), null, "遊び終えていない記録からは作らないはず");
+}
+
+// ---- 勝敗 ----
+{
+  const entry = (clear, guesses, elapsedSec) => ({ clear, guesses, elapsedSec });
+  assert.deepEqual(duel.compareDuel(entry(true, 9, 500), entry(false, 10, 10)), { winner: "a", by: "clear" }, "クリアが最優先のはず");
+  assert.deepEqual(duel.compareDuel(entry(true, 5, 500), entry(true, 4, 900)), { winner: "b", by: "guesses" }, "次に手数のはず");
+  assert.deepEqual(duel.compareDuel(entry(true, 4, 60), entry(true, 4, 61)), { winner: "a", by: "time" }, "同じ手数なら時間のはず");
+  assert.deepEqual(duel.compareDuel(entry(true, 4, 60), entry(true, 4, 60)), { winner: null, by: null });
+  assert.deepEqual(duel.compareDuel(entry(false, 10, 30), entry(false, 10, 300)), { winner: null, by: null }, "どちらも失敗なら引き分けのはず");
+}
+
+// ---- 受けた対戦と記録 ----
+{
+  const code = await duel.createDuelCode(finishedRecord(base, ["crane", logic.ans2]));
+  const entry = await duel.readDuelCode(code);
+
+  // 受ける前に遊んだ記録は対戦の記録にしない
+  records.addFinishedGame(finishedRecord(base + 100, ["crane", "pilot", logic.ans1]));
+  const accepted = duel.acceptDuel(code, entry, (base + 200) * 1000);
+  assert.equal(accepted.acceptedAt, base + 200);
+  assert.equal(duel.duelRecord(accepted), null, "受ける前の記録は数えないはず");
+
+  // 受け直しても、遊び終えるまでは受けた時刻を更新するだけ
+  assert.equal(duel.acceptDuel(code, entry, (base + 300) * 1000).acceptedAt, base + 300);
+
+  records.addFinishedGame({ ...finishedRecord(base + 310, ["crane"]), discarded: true });
+  assert.equal(duel.duelRecord(accepted), null, "破棄した記録は数えないはず");
+  records.addFinishedGame(finishedRecord(base + 400, ["pilot", logic.ans1]));
+  const mine = duel.duelRecord(accepted);
+  assert.equal(mine?.startTime, base + 400);
+  assert.equal(duel.duelForRecord(mine)?.code, code, "結果画面から対戦を引けるはず");
+  assert.deepEqual(duel.compareDuel(duel.duelEntryFromRecord(mine), entry), { winner: null, by: null }, "同じ手数・同じ時間なら引き分けのはず");
+
+  // 遊び終えた対戦は、受け直しても記録を差し替えない
+  assert.equal(duel.acceptDuel(code, entry, (base + 1000) * 1000).acceptedAt, base + 300);
+  records.addFinishedGame(finishedRecord(base + 1100, [logic.ans1]));
+  assert.equal(duel.duelRecord(accepted).startTime, base + 400, "最初に遊び終えた記録のはず");
+
+  duel._reload();
+  assert.equal(duel.findDuel(code)?.acceptedAt, base + 300, "受けた対戦は保存され、読み直せるはず");
+}
+
+console.log("対戦テスト: OK");
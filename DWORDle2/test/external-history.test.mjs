@@ -0,0 +1,131 @@
+// ほかのワードゲームの記録（migrate.js の importExternalFromText と core/external-history.js）のテスト。
+// 実行: node test/external-history.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. NYT Wordle の統計 JSON（旧版・現行版）・react-wordle の統計・シェア文を読める
+//  2. 同じゲームの同じ番号は何度取り込んでも増えない。統計は取り込むたびに置き換わる
+//  3. 本作の履歴・countPlays・実績には入らない
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { importExternalFromText, importFromText, readExternalText } = await import("../js/core/migrate.js?v=20260806-a");
+const external = await import("../js/core/external-history.js?v=20260806-a");
+const { countPlays, getHistory } = await import("../js/core/records.js?v=20260806-a");
+const { getUnlocked } = await import("../js/core/achievements.js?v=20260806-a");
+
+const nytLegacy = {
+  currentStreak: 3,
+  maxStreak: 12,
+  guesses: { 1: 0, 2: 4, 3: 20, 4: 31, 5: 10, 6: 2, fail: 3 },
+  winPercentage: 96,
+  gamesPlayed: 70,
+  gamesWon: 67,
+  averageGuesses: 4,
+};
+
+// ---- NYT 旧版: localStorage の値そのもの、またはキーごと ----
+{
+  const { games, snapshots } = readExternalText(JSON.stringify(nytLegacy));
+  assert.equal(games.length, 0);
+  assert.deepEqual(snapshots, [
+    { source: "nyt", game: "Wordle", played: 70, won: 67, currentStreak: 3, maxStreak: 12, dist: [0, 4, 20, 31, 10, 2] },
+  ]);
+  const wrapped = readExternalText(JSON.stringify({ "nyt-wordle-statistics": JSON.stringify(nytLegacy) }));
+  assert.deepEqual(wrapped.snapshots, snapshots, "キーごと貼った JSON 文字列も読むはず");
+}
+
+// ---- NYT 現行版: stats と、その日の盤面 ----
+{
+  const moogle = {
+    game: { id: "x", dayOffset: 1234, boardState: ["crane", "stale", "slate", "", "", ""], status: "WIN", hardMode: true },
+    settings: {},
+    stats: { ...nytLegacy, gamesPlayed: 71, gamesWon: 68, currentStreak: 4, isOnStreak: true, hasPlayed: true },
+    timestamp: 1_790_000_000,
+  };
+  assert.deepEqual(importExternalFromText(JSON.stringify(moogle)), { added: 1, snapshots: 1 });
+  assert.deepEqual(
+    external.getExternalGames().map(({ importedAt, ...game }) => game),
+    [{ source: "nyt", game: "Wordle", number: 1234, guesses: 3, maxGuesses: 6, won: true, hard: true }]
+  );
+  assert.equal(external.getExternalSnapshots()[0].played, 71);
+
+  // 遊んでいる途中の盤面は取り込まない
+  const playing = { ...moogle, game: { ...moogle.game, dayOffset: 1235, status: "IN_PROGRESS" } };
+  assert.deepEqual(importExternalFromText(JSON.stringify(playing)), { added: 0, snapshots: 1 });
+}
+
+// ---- react-wordle ----
+{
+  const { snapshots } = readExternalText(
+    JSON.stringify({ winDistribution: [1, 2, 3, 4, 0, 0], gamesFailed: 2, currentStreak: 0, bestStreak: 5, totalGames: 12, successRate: 83 })
+  );
+  assert.deepEqual(snapshots[0], {
+    source: "react-wordle", game: "Wordle (react-wordle)", played: 12, won: 10, currentStreak: 0, maxStreak: 5, dist: [1, 2, 3, 4, 0, 0],
+  });
+}
+
+// ---- シェア文（何局分でも） ----
+{
+  const text = [
+    "Wordle 1,234 3/6*", // NYT の盤面と同じ日 → 重複
+    "",
+    "⬛🟨⬛⬛⬛",
+    "🟩🟩🟩🟩🟩",
+    "Wordle 1,235 X/6",
+    "Wordle 1.236 4/6",
+    "Wordle (ES) #88 2/6",
+    "DWORDle2 No.12345 4/10", // 本作のシェア文は取り込まない
+    "[嘘] DWORDlie2 Daily 2026-08-01 5/15",
+    "Wordle 1,237 9/6", // 手数が最大より多い行は壊れている
+  ].join("\n");
+  const { games } = readExternalText(text);
+  assert.deepEqual(
+    games.map((game) => [game.game, game.number, game.guesses, game.won, game.hard]),
+    [
+      ["Wordle", 1234, 3, true, true],
+      ["Wordle", 1235, 6, false, false],
+      ["Wordle", 1236, 4, true, false],
+      ["Wordle (ES)", 88, 2, true, false],
+    ]
+  );
+  assert.deepEqual(importExternalFromText(text), { added: 3, snapshots: 0 });
+  assert.deepEqual(importExternalFromText(text), { added: 0, snapshots: 0 }, "何度取り込んでも増えないはず");
+}
+
+// ---- ゲーム別の統計 ----
+{
+  const [wordle, es] = external.externalStatistics();
+  assert.equal(es.game, "Wordle (ES)");
+  assert.deepEqual(wordle, { game: "Wordle", played: 3, won: 2, currentStreak: 1, maxStreak: 1, dist: [0, 0, 1, 1, 0, 0] });
+  assert.equal(external.hasExternalHistory(), true);
+}
+
+// ---- 本作の履歴・実績には入らない ----
+{
+  assert.equal(getHistory().length, 0);
+  assert.equal(countPlays(), 0);
+  assert.deepEqual(getUnlocked(), {});
+  assert.equal(storage.has("dwordle2.history"), false);
+  // 本作の取り込みの入り口は、ほかのワードゲームの記録を受け付けない（設定画面が読み分ける）
+  await assert.rejects(importFromText(JSON.stringify(nytLegacy)), /エクスポート JSON ではないようです/);
+  assert.throws(() => readExternalText("hello"), /対応しているワードゲームの記録でもないようです/);
+  assert.throws(() => readExternalText(JSON.stringify({ app: "other" })), /対応しているワードゲームの記録でもないようです/);
+}
+
+// ---- 保存と読み直し ----
+{
+  external._reloadExternal();
+  assert.equal(external.getExternalGames().length, 4);
+  assert.equal(external.getExternalSnapshots().length, 1);
+}
+
+console.log("ほかのワードゲームの記録テスト: OK");
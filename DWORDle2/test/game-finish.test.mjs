@@ -263,9 +263,15 @@ function rainbowWord(logic) {
 // ---- デイリー問題のクリア ----
 {
   const pid = 20260720;
-  const ctx = finishGameCtx({ pid, guessWords: [new Logic(pid).ans1] });
+  // その日のうちに遊んだデイリーだけを数える（開始はその日のローカル正午）
+  const startTime = Math.floor(new Date(2026, 6, 20, 12, 0, 0).getTime() / 1000);
+  const ctx = finishGameCtx({ pid, guessWords: [new Logic(pid).ans1], startTime });
   const check = await scenario([ctx.record]);
   assert.ok(idsOf(check(ctx)).has("daily-clear"), "デイリー問題のクリアで daily-clear が解放されるはず");
+
+  const later = finishGameCtx({ pid, guessWords: [new Logic(pid).ans1], startTime: startTime + 30 * 86400 });
+  const laterCheck = await scenario([later.record]);
+  assert.ok(!idsOf(laterCheck(later)).has("daily-clear"), "アーカイブから後で遊んだデイリーでは daily-clear は解放されないはず");
 }
 
 // ---- 極・レベル問題のクリア ----
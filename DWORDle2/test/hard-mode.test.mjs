@@ -0,0 +1,152 @@
+// ハードモード（Guess 制約・統計の内訳・実績）のテスト。
+// 実行: node test/hard-mode.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic, queryWordPair, usoConvert } = await import("../js/core/logic.js?v=20260806-a");
+const { candidateWordsForPID } = await import("../js/core/problems.js?v=20260806-a");
+const { isHardModeConsistent } = await import("../js/core/hard-mode.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const achievements = await import("../js/core/achievements.js?hard-mode-test");
+
+// ---- Guess 制約 ----
+const pid = 100123;
+const logic = new Logic(pid);
+const words = candidateWordsForPID(pid);
+const opener = words.find((word) => word !== logic.ans1 && word !== logic.ans2);
+const shown = logic.queryWord(opener);
+
+assert.equal(
+  isHardModeConsistent("zzzzz", { pid, mode: "normal", guessWords: [], shownResults: [] }),
+  true,
+  "1 手目はどの単語でも Guess できるはず"
+);
+for (const answer of [logic.ans1, logic.ans2]) {
+  assert.equal(
+    isHardModeConsistent(answer, { pid, mode: "normal", guessWords: [opener], shownResults: [shown] }),
+    true,
+    "本当の答えは常に判定と矛盾しないはず"
+  );
+}
+// 判定と矛盾する単語: 答えのどちらとも組めない（全候補と組んでも判定を説明できない）
+const contradicting = words.find((word) => {
+  if (word === logic.ans1 || word === logic.ans2) return false;
+  return words.every(
+    (other) =>
+      other === word ||
+      (queryWordPair(opener, word, other).join() !== shown.join() &&
+        queryWordPair(opener, other, word).join() !== shown.join())
+  );
+});
+assert(contradicting, "テスト用の矛盾する単語が見つかるはず");
+assert.equal(
+  isHardModeConsistent(contradicting, { pid, mode: "normal", guessWords: [opener], shownResults: [shown] }),
+  false,
+  "判定と矛盾する単語は Guess できないはず"
+);
+
+// DWORDlie: 表示は全マスで嘘なので、真の判定と 1 マスでも一致する表示なら矛盾になる
+const LIE = { unused: "used", used: "correct", correct: "unused" };
+const lie = shown.map((state) => LIE[state]);
+assert.equal(
+  isHardModeConsistent(logic.ans1, { pid, mode: "uso", guessWords: [opener], shownResults: [lie] }),
+  true,
+  "DWORDlie でも本当の答えは嘘の判定と矛盾しないはず"
+);
+assert.equal(
+  isHardModeConsistent(logic.ans1, { pid, mode: "uso", guessWords: [opener], shownResults: [shown] }),
+  false,
+  "DWORDlie で真の判定そのものが表示されていたら、その組は残らないはず"
+);
+
+// 行ごとに絞ってキャッシュした候補でも、全候補と組んで確かめた結果と変わらない
+// （行が増える・局が変わる・モードが変わるたびに呼び直す）
+const bruteForce = (word, mode, guessWords, shownResults) =>
+  words.some(
+    (other) =>
+      other !== word &&
+      guessWords.every((guess, t) => {
+        const result = queryWordPair(guess, word, other);
+        return result.every((state, i) => (mode === "uso" ? state !== shownResults[t][i] : state === shownResults[t][i]));
+      })
+  );
+for (const mode of ["normal", "uso", "normal"]) {
+  const guessWords = [];
+  const shownResults = [];
+  for (const guess of words.slice(0, 4)) {
+    guessWords.push(guess);
+    const result = logic.queryWord(guess);
+    shownResults.push(mode === "uso" ? result.map((state) => LIE[state]) : result);
+    for (const word of [logic.ans1, logic.ans2, ...words.slice(0, 60)]) {
+      assert.equal(
+        isHardModeConsistent(word, { pid, mode, guessWords, shownResults }),
+        bruteForce(word, mode, guessWords, shownResults),
+        `${mode} ${guessWords.join(",")} の後の ${word}`
+      );
+    }
+  }
+}
+
+// ---- 統計の内訳と実績 ----
+const base = Math.floor(new Date(2026, 7, 20, 12, 0, 0).getTime() / 1000);
+for (let i = 0; i < 10; i++) {
+  const problemID = 100200 + i;
+  const game = new Logic(problemID);
+  records.addFinishedGame({
+    startTime: base + i * 600,
+    endTime: base + i * 600 + 120,
+    gameMode: "normal",
+    problemID,
+    guessWord: [game.ans1],
+    hard: true,
+  });
+}
+const normal = new Logic(100300);
+records.addFinishedGame({
+  startTime: base + 7200,
+  endTime: base + 7300,
+  gameMode: "normal",
+  problemID: 100300,
+  guessWord: [normal.ans2],
+});
+
+assert.equal(records.getStatistics("normal").count, 11, "内訳を指定しなければ全記録を数えるはず");
+assert.equal(records.getStatistics("normal", { hard: true }).count, 10, "ハードモードの記録だけを数えるはず");
+assert.equal(records.getStatistics("normal", { hard: false }).count, 1, "ハードモード以外だけを数えるはず");
+assert.equal(records.getStatistics("uso", { hard: true }).count, 0);
+
+const ids = achievements.achievementIdsFromHistory(records.getHistory());
+assert(ids.has("hard-clear"), "ハードモードのクリアで実績を復元できるはず");
+assert(ids.has("hard-10"), "ハードモード 10 勝で実績を復元できるはず");
+assert(!ids.has("hard-uso"), "DWORDlie のハードモードクリアが無ければ解除しないはず");
+
+const usoLogic = new Logic(100400);
+const usoRecord = records.addFinishedGame({
+  startTime: base + 9000,
+  endTime: base + 9100,
+  gameMode: "uso",
+  problemID: 100400,
+  guessWord: [usoLogic.ans1],
+  usoResults: [usoLogic.queryWord(usoLogic.ans1).map((state) => usoConvert(state))],
+  hard: true,
+});
+const newly = achievements.checkOnGameFinish({
+  record: usoRecord,
+  results: [usoLogic.queryWord(usoLogic.ans1)],
+  durationSec: 100,
+  endDate: new Date(usoRecord.endTime * 1000),
+  maxGuess: records.MODES.uso.maxGuess,
+  hadLostBefore: false,
+}).map((achievement) => achievement.id);
+assert(newly.includes("hard-clear"));
+assert(newly.includes("hard-uso"), "DWORDlie をハードモードでクリアしたら解除するはず");
+assert(newly.includes("hard-10"));
+
+console.log("ハードモードテスト: OK");
@@ -0,0 +1,117 @@
+// ヒント（1 ゲーム 3 回まで。位置・文字・おすすめ単語）のテスト。
+// 実行: node test/hint.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+// describeHint の言語判定用（ブラウザ以外では navigator が無い）
+globalThis.navigator ??= { language: "ja" };
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { candidateWordsForPID } = await import("../js/core/problems.js?v=20260806-a");
+const { resultToPatternId, suggestNextGuess } = await import("../js/core/analysis-core.js?v=20260806-a");
+const hints = await import("../js/core/hints.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+
+// 決まった順に 0, 1/7, 2/7, ... を返す乱数（選ばれ方を偏らせずに再現できるように）
+function cyclingRandom() {
+  let k = 0;
+  return () => (k++ % 7) / 7;
+}
+
+const pid = 100123;
+const logic = new Logic(pid);
+const words = candidateWordsForPID(pid);
+const opener = words.find((word) => word !== logic.ans1 && word !== logic.ans2);
+
+// ---- 残り回数 ----
+assert.equal(hints.hintsLeft({ guessWord: [] }), hints.HINTS_PER_GAME);
+assert.equal(hints.hintsLeft({ guessWord: [], hints: [{}, {}] }), hints.HINTS_PER_GAME - 2);
+assert.equal(hints.hintsLeft({ guessWord: [], hints: [{}, {}, {}, {}] }), 0, "記録が多すぎても負にはならないはず");
+
+// ---- 文字と位置 ----
+{
+  const game = { guessWord: [opener], hints: [] };
+  const random = cyclingRandom();
+  const seen = new Set();
+  for (;;) {
+    const hint = hints.positionHint(game, logic, random);
+    if (!hint) break;
+    assert.equal(hint.kind, "position");
+    assert.equal(hint.turn, 1);
+    assert(
+      logic.ans1[hint.pos] === hint.letter || logic.ans2[hint.pos] === hint.letter,
+      "明かした文字は答えのどちらかのその位置にあるはず"
+    );
+    assert.notEqual(opener[hint.pos], hint.letter, "Guess で既に緑が出ている文字は明かさないはず");
+    const key = `${hint.pos}:${hint.letter}`;
+    assert(!seen.has(key), "同じ位置・文字は二度明かさないはず");
+    seen.add(key);
+    game.hints.push(hint);
+  }
+  assert(seen.size > 0 && seen.size <= 10);
+}
+
+// ---- 含まれる文字 ----
+{
+  const game = { guessWord: [opener], hints: [] };
+  const random = cyclingRandom();
+  const letters = new Set(logic.ans1 + logic.ans2);
+  const fresh = [...letters].filter((c) => !opener.includes(c));
+  const revealed = [];
+  for (;;) {
+    const hint = hints.letterHint(game, logic, random);
+    if (!hint) break;
+    assert.equal(hint.kind, "letter");
+    assert(letters.has(hint.letter), "明かした文字は答えのどちらかに含まれるはず");
+    assert(!revealed.includes(hint.letter), "同じ文字は二度明かさないはず");
+    revealed.push(hint.letter);
+    game.hints.push(hint);
+  }
+  assert.equal(revealed.length, letters.size, "含まれる文字は全部明かし終えるまで出るはず");
+  assert.deepEqual(
+    new Set(revealed.slice(0, fresh.length)),
+    new Set(fresh),
+    "まだ Guess に使っていない文字から先に明かすはず"
+  );
+}
+
+// ---- おすすめの単語 ----
+{
+  const shown = resultToPatternId(logic.queryWord(opener));
+  const suggestion = suggestNextGuess({ pid, mode: "normal", guessWords: [opener], shownPatternIds: [shown] });
+  assert(suggestion, "残りの組があればおすすめの単語を返すはず");
+  assert(words.includes(suggestion.word), "おすすめは候補リストの単語のはず");
+  assert(suggestion.expectedBits >= 0);
+  const hint = hints.suggestHint({ guessWord: [opener] }, suggestion);
+  assert.deepEqual(hint, { kind: "suggest", turn: 1, word: suggestion.word });
+  assert.equal(hints.suggestHint({ guessWord: [] }, null), null, "提案が無ければヒントにしないはず");
+
+  const uso = suggestNextGuess({ pid, mode: "uso", guessWords: [], shownPatternIds: [] });
+  assert(uso && words.includes(uso.word), "DWORDlie でもおすすめの単語を返すはず");
+}
+
+// ---- 表示 ----
+assert.match(hints.describeHint({ kind: "position", turn: 0, pos: 1, letter: "a" }), /2.*A/);
+assert.match(hints.describeHint({ kind: "letter", turn: 0, letter: "q" }), /Q/);
+assert.match(hints.describeHint({ kind: "suggest", turn: 0, word: "crane" }), /CRANE/);
+
+// ---- 記録 ----
+const base = Math.floor(new Date(2026, 7, 20, 12, 0, 0).getTime() / 1000);
+const used = [{ kind: "letter", turn: 0, letter: logic.ans1[0] }];
+records.addFinishedGame({
+  startTime: base,
+  endTime: base + 60,
+  gameMode: "normal",
+  problemID: pid,
+  guessWord: [opener, logic.ans1],
+  hints: used,
+});
+assert.deepEqual(records.getHistory().at(-1).hints, used, "使ったヒントは記録に残るはず");
+
+console.log("ヒントテスト: OK");
@@ -0,0 +1,73 @@
+// 表計算ソフト向けの書き出し（records.js の exportGamesTable / exportGuessesTable）のテスト。
+// 実行: node test/history-table.test.mjs
+
+import assert from "node:assert/strict";
+
+process.env.TZ = "UTC";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic, queryWordPair } = await import("../js/core/logic.js?v=20260806-a");
+const { PID, pidLabel } = await import("../js/core/problems.js?v=20260806-a");
+
+const normal = new Logic(20001);
+const uso = new Logic(PID.HARD_MIN);
+const daily = new Logic(20260801);
+const wrong = normal.candWords.find((word) => !normal.answers.includes(word));
+const lie = ["correct", "used", "unused", "unused", "unused"];
+
+storage.set(
+  "dwordle2.history",
+  JSON.stringify([
+    {
+      startTime: 1_790_000_000, endTime: 1_790_000_095, gameMode: "normal", problemID: 20001,
+      guessWord: [wrong, normal.ans1], clear: true, extraShot: { word: normal.ans2, success: true },
+    },
+    {
+      startTime: 1_790_100_000, endTime: 1_790_100_040, gameMode: "uso", problemID: PID.HARD_MIN,
+      guessWord: [uso.ans1], usoResults: [lie], clear: true,
+    },
+    { startTime: 1_790_200_000, endTime: 1_790_200_010, gameMode: "normal", problemID: 20260801, guessWord: [daily.candWords[0]], clear: false, discarded: true },
+  ])
+);
+
+const { exportGamesTable, exportGuessesTable } = await import("../js/core/records.js?v=20260806-a");
+
+const parse = (text, delimiter) => text.trimEnd().split("\r\n").map((line) => line.split(delimiter));
+
+// ---- 1 局 1 行 ----
+{
+  const text = exportGamesTable();
+  assert(text.endsWith("\r\n"), "行末は CRLF のはず");
+  const [header, ...rows] = parse(text, ",");
+  assert.deepEqual(header, ["date", "mode", "pid", "level", "guesses", "win", "double_clear", "discarded", "duration_sec", "words"]);
+  assert.equal(rows.length, 3);
+  assert.deepEqual(rows[0], ["2026-09-21 14:13:20", "DWORDle", pidLabel(20001), "2", "2", "TRUE", "TRUE", "FALSE", "95", `${wrong} ${normal.ans1}`]);
+  assert.deepEqual(rows[1].slice(1, 7), ["DWORDlie", pidLabel(PID.HARD_MIN), "6", "1", "TRUE", "FALSE"]);
+  assert.deepEqual(rows[2].slice(2, 9), ["Daily 2026-08-01", "1", "1", "FALSE", "FALSE", "TRUE", "10"]);
+
+  const tsv = exportGamesTable("\t");
+  assert.deepEqual(parse(tsv, "\t")[1], rows[0], "TSV も同じ列のはず");
+}
+
+// ---- 1 Guess 1 行（表示した判定）----
+{
+  const [header, ...rows] = parse(exportGuessesTable(), ",");
+  assert.deepEqual(header, ["date", "mode", "pid", "turn", "word", "pattern", "true_pattern"]);
+  assert.equal(rows.length, 4);
+  const truth = queryWordPair(wrong, normal.ans1, normal.ans2)
+    .map((state) => ({ correct: "G", used: "Y", unused: "-" })[state])
+    .join("");
+  assert.deepEqual(rows[0], ["2026-09-21 14:13:20", "DWORDle", pidLabel(20001), "1", wrong, truth, truth]);
+  assert.deepEqual(rows[1].slice(3), ["2", normal.ans1, "GGGGG", "GGGGG"]);
+  assert.deepEqual(rows[2].slice(3), ["1", uso.ans1, "GY---", "GGGGG"], "DWORDlie は表示した嘘の判定と本当の判定を分けるはず");
+}
+
+console.log("表の書き出しテスト: OK");
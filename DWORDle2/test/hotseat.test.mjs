@@ -0,0 +1,126 @@
+// ホットシート（1 台を回して 2〜4 人で遊ぶ）のテスト。
+// 実行: node test/hotseat.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { pidForNumber } = await import("../js/core/problems.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const hotseat = await import("../js/core/hotseat.js?v=20260806-a");
+
+const base = new Date(2026, 8, 10, 12, 0, 0).getTime();
+const pid = pidForNumber(2345);
+const logic = new Logic(pid);
+// 答えでない語（どちらの答えとも違う語を 3 つ）
+const misses = ["crane", "pilot", "dumpy", "shown", "vigor"].filter((word) => !logic.answers.includes(word)).slice(0, 3);
+
+function game(startTime, guessWord) {
+  return { startTime, gameMode: "hotseat", problemID: pid, guessWord, usoResults: [] };
+}
+
+// ---- メンバー ----
+{
+  assert.equal(hotseat.validatePlayers(["A", "B"]), null);
+  assert.equal(hotseat.validatePlayers(["A"]), "count");
+  assert.equal(hotseat.validatePlayers(["A", "B", "C", "D", "E"]), "count");
+  assert.equal(hotseat.validatePlayers(["A", ""]), "empty");
+  assert.equal(hotseat.validatePlayers(["A", "A"]), "duplicate");
+  assert.equal(hotseat.startHotseat({ players: ["A"], style: "shared", pid }), null, "1 人では始めないはず");
+  assert.equal(hotseat.startHotseat({ players: ["A", "B"], style: "solo", pid }), null, "知らない遊び方では始めないはず");
+  assert.equal(hotseat.getCurrentSession(), null);
+}
+
+// ---- shared: 1 つの盤面を交代で ----
+{
+  const session = hotseat.startHotseat({ players: ["Aki", "Ben", "Cho"], style: "shared", pid, now: base });
+  assert.deepEqual(hotseat.lastPlayers(), ["Aki", "Ben", "Cho"], "入口の初期値に残すはず");
+  const board = game(session.startTime, []);
+  assert.equal(hotseat.currentPlayerIndex(session, board), 0);
+  board.guessWord.push(misses[0], misses[1]);
+  assert.equal(hotseat.currentPlayerIndex(session, board), 2, "手数で順番に回るはず");
+  board.guessWord.push(misses[2], logic.ans2);
+  assert.equal(hotseat.currentPlayerIndex(session, board), 1);
+
+  // 緑は最初に出した人だけに数える
+  const live = hotseat.hotseatScoreboard(session, board);
+  const totalGreens = new Set(
+    board.guessWord.flatMap((word) => logic.queryWord(word).flatMap((state, i) => (state === "correct" ? [`${i}${word[i]}`] : [])))
+  ).size;
+  assert.equal(live.reduce((sum, score) => sum + score.hits, 0), totalGreens, "同じ位置・文字の緑は 1 回だけ数えるはず");
+  assert.deepEqual(live.map((score) => score.guesses), [2, 1, 1]);
+  assert.deepEqual(live.map((score) => score.found), [true, false, false], "4 手目（Aki）が答えを当てたはず");
+  assert.equal(live[0].rank, 1, "答えを当てた人が 1 位のはず");
+
+  const record = hotseat.finishHotseat(session, board, base + 120000);
+  assert.equal(record.scores[0].player, "Aki", "scores は順位順のはず");
+  assert.equal(hotseat.getCurrentSession(), null, "終えたら進行中のセッションは消えるはず");
+  assert.equal(hotseat.findHotseatSession(record.startTime), record);
+
+  const aki = records.getHotseatHistory("Aki");
+  assert.equal(aki.length, 1);
+  assert.equal(aki[0].gameMode, "hotseat");
+  assert.equal(aki[0].rank, 1);
+  assert.equal(aki[0].clear, true);
+  assert.equal(aki[0].session, session.startTime);
+  assert.deepEqual(aki[0].guessBy, ["Aki", "Ben", "Cho", "Aki"], "誰がどの手を入力したかを残すはず");
+  assert.equal(records.getHotseatHistory("Ben")[0].clear, false, "当てていない人はクリアにしないはず");
+}
+
+// ---- separate: 1 人ずつ別の盤面 ----
+{
+  const session = hotseat.startHotseat({ players: ["Aki", "Ben", "Cho"], style: "separate", pid, now: base + 3600000 });
+  const start = session.startTime;
+  assert.equal(hotseat.recordHotseatBoard(session, game(start, [misses[0], logic.ans1]), base + 3600000 + 90000), true);
+  assert.equal(hotseat.currentPlayerIndex(session, null), 1, "盤面ごとに次の人へ回るはず");
+  assert.equal(hotseat.recordHotseatBoard(session, game(start + 100, [logic.ans2]), base + 3600000 + 160000), true);
+  // 3 人目は途中で終える（1 手だけ）
+  const stored = hotseat.getCurrentSession();
+  assert.equal(stored.turn, 2, "盤面を記録するたびに保存するはず");
+  const record = hotseat.finishHotseat(stored, game(start + 200, [misses[1]]), base + 3600000 + 300000);
+  assert.deepEqual(record.scores.map((score) => score.player), ["Ben", "Aki", "Cho"], "クリア → 手数 の順のはず");
+  assert.deepEqual(record.scores.map((score) => score.rank), [1, 2, 3]);
+  assert.equal(record.scores[2].clear, false, "途中で終えた盤面は未クリアのはず");
+  assert.equal(records.getHotseatHistory("Cho").length, 2);
+  assert.equal(records.getHotseatHistory("Cho")[1].guessBy, undefined, "separate は guessBy を持たないはず");
+}
+
+// ---- separate: 同点と、遊ばなかった人 ----
+{
+  const session = hotseat.startHotseat({ players: ["Aki", "Ben", "Dee"], style: "separate", pid, now: base + 7200000 });
+  const start = session.startTime;
+  hotseat.recordHotseatBoard(session, game(start, [logic.ans1]), (start + 30) * 1000);
+  hotseat.recordHotseatBoard(session, game(start + 40, [logic.ans2]), (start + 70) * 1000);
+  const record = hotseat.finishHotseat(session, game(start + 80, []), (start + 100) * 1000);
+  assert.deepEqual(record.scores.map((score) => score.rank), [1, 1, 3], "同じ手数・同じ時間は同じ順位のはず");
+  assert.equal(record.scores[2].done, false, "遊ばなかった人は最下位のはず");
+  assert.equal(records.getHotseatHistory("Dee").length, 0, "1 手も入力していない人の記録は残さないはず");
+}
+
+// ---- 通算成績・持ち主の履歴 ----
+{
+  const stats = records.hotseatPlayerStats();
+  assert.deepEqual(
+    stats.map((entry) => [entry.player, entry.plays, entry.wins, entry.clears]),
+    [
+      ["Aki", 3, 2, 3],
+      ["Ben", 3, 2, 2],
+      ["Cho", 2, 0, 0],
+    ]
+  );
+  assert.equal(records.getHistory().length, 0, "持ち主の履歴には入れないはず");
+  assert.equal(records.countPlays(), 0, "段階解放のプレイ回数にも数えないはず");
+
+  records._reload();
+  hotseat._reload();
+  assert.equal(records.getHotseatHistory().length, 8, "保存され、読み直せるはず");
+  assert.equal(hotseat.getHotseatSessions().length, 3);
+}
+
+console.log("ホットシートテスト: OK");
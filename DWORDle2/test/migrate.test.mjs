@@ -8,6 +8,8 @@ globalThis.localStorage = {
   getItem: (key) => storage.get(key) ?? null,
   setItem: (key, value) => storage.set(key, String(value)),
 };
+// describeHint の言語判定用（ブラウザ以外では navigator が無い）
+globalThis.navigator ??= { language: "ja" };
 
 const makeLegacyGame = ({ startTime, gameMode, problemID }) => {
   const logic = new Logic(problemID);
@@ -159,6 +161,64 @@ assert(achievementIds.has("uso-clear"));
   );
 }
 
+// ---- パズルパックの記録: maxGuess は盤面の行数になるので、壊れていれば pack ごと捨てる ----
+{
+  const { importFromText } = await import("../js/core/migrate.js?v=20260806-a");
+  const { added } = await importFromText(
+    JSON.stringify({
+      app: "dwordle2",
+      version: 1,
+      history: [
+        { startTime: 1_770_001_000, gameMode: "normal", problemID: 41, guessWord: ["about"], pack: { id: "animals", index: 0 }, maxGuess: 8 },
+        { startTime: 1_770_001_100, gameMode: "normal", problemID: 42, guessWord: ["about"], pack: { id: "animals", index: 1 }, maxGuess: 99 },
+        { startTime: 1_770_001_200, gameMode: "normal", problemID: 43, guessWord: ["about"], pack: { id: 7, index: 2 } },
+      ],
+    })
+  );
+  assert.equal(added, 3);
+  const find = (problemID) => getHistory().find((r) => r.problemID === problemID);
+  assert.deepEqual([find(41).pack, find(41).maxGuess], [{ id: "animals", index: 0 }, 8], "well-formed pack fields must be kept");
+  assert.deepEqual([find(42).pack, find(42).maxGuess], [undefined, undefined], "a maxGuess above the mode's limit must be dropped with its pack");
+  assert.equal(find(43).pack, undefined, "a malformed pack must be dropped");
+}
+
+// ---- ヒントと hard / assisted: 結果画面が 1 件ずつ文にするので、壊れた項目は捨てる ----
+{
+  const { importFromText } = await import("../js/core/migrate.js?v=20260806-a");
+  const { describeHint, HINTS_PER_GAME } = await import("../js/core/hints.js?v=20260806-a");
+  const good = [
+    { kind: "position", turn: 0, pos: 2, letter: "o" },
+    { kind: "letter", turn: 1, letter: "b", extra: "dropped" },
+    { kind: "suggest", turn: 1, word: "crane" },
+  ];
+  const { added } = await importFromText(
+    JSON.stringify({
+      app: "dwordle2",
+      version: 1,
+      history: [
+        {
+          startTime: 1_770_002_000,
+          gameMode: "normal",
+          problemID: 44,
+          guessWord: ["crane", "about"],
+          hints: [null, "letter", { turn: 0, letter: "a" }, { kind: "suggest", turn: 0, word: null }, { kind: "position", turn: 0, pos: 5, letter: "a" }, { kind: "letter", turn: 9, letter: "a" }, ...good, good[0]],
+          hard: "yes",
+          assisted: true,
+        },
+        { startTime: 1_770_002_100, gameMode: "normal", problemID: 45, guessWord: ["about"], hints: "position", hard: true, assisted: 1 },
+      ],
+    })
+  );
+  assert.equal(added, 2);
+  const first = getHistory().find((r) => r.problemID === 44);
+  assert.equal(first.hints.length, HINTS_PER_GAME, "only well-formed hints, up to the per-game count, must be kept");
+  assert.deepEqual(first.hints[1], { kind: "letter", turn: 1, letter: "b" });
+  assert.doesNotThrow(() => first.hints.map(describeHint));
+  assert.deepEqual([first.hard, first.assisted], [undefined, true]);
+  const second = getHistory().find((r) => r.problemID === 45);
+  assert.deepEqual([second.hints, second.hard, second.assisted], [undefined, true, undefined]);
+}
+
 // ---- 旧作形式の startTime: 非数値キーで startTime も無いレコードは取り込まない ----
 // 旧作の履歴の入り口は自動検出だけ（貼り付けは本作のエクスポート専用）なので、
 // localStorage に置いてから importFromLocalStorage で取り込む。
@@ -0,0 +1,152 @@
+// TRIWORDle / QUADWORDle（答えが 3 語・4 語の出題）のテスト。
+// 実行: node test/multi-answer.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 答え 2 語の出題（No.・Cls.・デイリー）の答えと判定は 1 つも変わらない
+//  2. Tri. / Quad. の番号帯・手数・答えの抽選が決まった通りに動く
+//  3. 分析（残りの組の絞り込み）が 3 語・4 語の組でも本当の答えを落とさない
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic, queryWordAnswers, queryWordPair } = await import("../js/core/logic.js?v=20260806-a");
+const problems = await import("../js/core/problems.js?v=20260806-a");
+const analysis = await import("../js/core/analysis-core.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const { solveGame } = await import("../js/core/solver.js?v=20260806-a");
+
+const { MULTI_SETS, PID, answerCountForPID, candidateWordsForPID, pidForMultiNumber, pidLabel } = problems;
+
+// ---- 番号帯 ----
+{
+  const tri = pidForMultiNumber(123, 3);
+  const quad = pidForMultiNumber(123, 4);
+  assert.equal(tri, PID.TRI_OFFSET + 123);
+  assert.equal(quad, PID.QUAD_OFFSET + 123);
+  assert.equal(pidLabel(tri), "Tri.123");
+  assert.equal(pidLabel(quad), "Quad.123");
+  assert.equal(problems.problemNumber(tri), 123);
+  assert.equal(answerCountForPID(tri), 3);
+  assert.equal(answerCountForPID(quad), 4);
+  assert.equal(answerCountForPID(problems.pidForNumber(123)), 2);
+  assert.equal(answerCountForPID(20260801), 2, "デイリーは 2 語のはず");
+  assert(problems.isValidPID(tri) && problems.isValidPID(quad));
+  assert.equal(problems.isNewPID(tri), false, "Tri. は No. の帯に含めないはず");
+  assert.equal(problems.multiSetForPID(PID.TRI_OFFSET), null, "番号 0 は無効のはず");
+  assert.equal(problems.multiSetForPID(problems.pidForNumber(5)), null);
+  for (const set of MULTI_SETS) {
+    for (const level of problems.LEVELS) {
+      const [lo, hi] = problems.multiPidRangeForLevel(level, set.answers);
+      const [nlo, nhi] = problems.pidRangeForLevel(level);
+      assert.equal(lo - set.offset, nlo - PID.NEW_OFFSET, "レベルの番号帯は No. と同じはず");
+      assert.equal(hi - set.offset, nhi - PID.NEW_OFFSET);
+      assert.deepEqual(candidateWordsForPID(lo), candidateWordsForPID(nlo), "候補リストは No. の同じ番号と同じはず");
+    }
+  }
+}
+
+// ---- 手数 ----
+assert.equal(records.maxGuessFor("normal", problems.pidForNumber(1)), records.MODES.normal.maxGuess);
+assert.equal(records.maxGuessFor("normal", pidForMultiNumber(1, 3)), records.MODES.normal.maxGuess + 2);
+assert.equal(records.maxGuessFor("uso", pidForMultiNumber(1, 4)), records.MODES.uso.maxGuess + 4);
+
+// ---- 答えの抽選 ----
+{
+  // 2 語の出題は従来通り（parity.test.mjs / problem-sets.test.mjs の固定値もここで崩れないこと）
+  for (const pid of [1, 777, 100001, 120000, 20260801]) {
+    const logic = new Logic(pid);
+    assert.deepEqual(logic.answers, [logic.ans1, logic.ans2]);
+  }
+  for (const set of MULTI_SETS) {
+    for (const number of [1, 2, 5000, 39999]) {
+      const pid = pidForMultiNumber(number, set.answers);
+      const logic = new Logic(pid);
+      assert.equal(logic.answers.length, set.answers);
+      assert.equal(new Set(logic.answers).size, set.answers, "答えは重複しないはず");
+      const words = candidateWordsForPID(pid);
+      assert(logic.answers.every((word) => words.includes(word)), "答えは候補リストの単語のはず");
+      assert.deepEqual(new Logic(pid).answers, logic.answers, "同じ PID なら同じ答えのはず");
+      for (const answer of logic.answers) assert(logic.isGameClear(answer), "どの答えでもクリアのはず");
+      assert.equal(logic.matchWordNo(logic.answers.at(-1)), set.answers);
+      assert.equal(logic.otherAnswer(logic.answers[0]), null, "EXTRA SHOT は無いはず");
+    }
+  }
+  const triAnswers = new Logic(pidForMultiNumber(10, 3)).answers;
+  const quadAnswers = new Logic(pidForMultiNumber(10, 4)).answers;
+  assert.notDeepEqual(triAnswers, quadAnswers.slice(0, 3), "Tri. と Quad. の同じ番号は別の抽選のはず");
+}
+
+// ---- 判定 ----
+{
+  const words = candidateWordsForPID(pidForMultiNumber(1, 3));
+  let seed = 12345;
+  const pick = () => words[(seed = (seed * 1103515245 + 12345) % 2147483648) % words.length];
+  const W = analysis.encodeWords(words);
+  const index = new Map(words.map((word, i) => [word, i]));
+  for (let n = 0; n < 2000; n++) {
+    const guess = pick();
+    const pair = [pick(), pick()];
+    assert.deepEqual(queryWordAnswers(guess, pair), queryWordPair(guess, ...pair), "2 語では queryWordPair と同じはず");
+    for (const k of [3, 4]) {
+      const answers = Array.from({ length: k }, pick);
+      const T = Uint16Array.from(answers, (word) => index.get(word));
+      assert.equal(
+        analysis.patternIdTuple(W, index.get(guess) * 5, W, T, 0, k),
+        analysis.resultToPatternId(queryWordAnswers(guess, answers)),
+        `patternIdTuple は queryWordAnswers と同じはず: ${guess} / ${answers}`
+      );
+    }
+  }
+  assert.equal(analysis.combinations(10, 3), 120);
+  assert.equal(analysis.combinations(4, 4), 1);
+}
+
+// ---- 残りの組 ----
+for (const set of MULTI_SETS) {
+  const pid = pidForMultiNumber(321, set.answers);
+  const logic = new Logic(pid);
+  const guessWords = ["crane", "pilot", "dumpy"].filter((word) => !logic.answers.includes(word));
+  const shownPatternIds = analysis.computeTruePatternIdsForAnswers(logic.answers, guessWords);
+  const { count, pairs } = analysis.remainingPairs({ pid, mode: "normal", guessWords, shownPatternIds });
+  assert(count >= 1);
+  if (pairs) {
+    // 組は候補リストの並び順で持つので、語の集合として比べる
+    const truth = [...logic.answers].sort().join();
+    assert(pairs.some((tuple) => [...tuple].sort().join() === truth), "本当の答えの組は残るはず");
+  }
+  const { answerCount } = analysis.analyzeGame({ pid, mode: "normal", guessWords, truePatternIds: shownPatternIds });
+  assert.equal(answerCount, set.answers);
+}
+
+// ---- 統計 ----
+{
+  const base = Math.floor(new Date(2026, 7, 20, 12, 0, 0).getTime() / 1000);
+  const games = [problems.pidForNumber(50), pidForMultiNumber(50, 3), pidForMultiNumber(51, 3), pidForMultiNumber(50, 4)];
+  games.forEach((pid, i) => {
+    const logic = new Logic(pid);
+    records.addFinishedGame({
+      startTime: base + i * 100,
+      endTime: base + i * 100 + 60,
+      gameMode: "normal",
+      problemID: pid,
+      guessWord: [logic.answers[0]],
+    });
+  });
+  assert.equal(records.getStatistics("normal").count, 4);
+  assert.equal(records.getStatistics("normal", { answers: 2 }).count, 1);
+  assert.equal(records.getStatistics("normal", { answers: 3 }).count, 2);
+  const quad = records.getStatistics("normal", { answers: 4 });
+  assert.equal(quad.count, 1);
+  assert.equal(Object.keys(quad.hist).length, records.MODES.normal.maxGuess + 4, "手数分布は増えた手数まで持つはず");
+}
+
+// ---- ソルバー ----
+assert.throws(() => solveGame(pidForMultiNumber(1, 3)), /2 語/, "ソルバーは 2 語の出題だけを解くはず");
+
+console.log("TRIWORDle / QUADWORDle テスト: OK");
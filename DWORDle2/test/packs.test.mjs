@@ -0,0 +1,119 @@
+// パズルパック（core/packs.js）のテスト。
+// 実行: node test/packs.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. パックの JSON は全単語リスト・問題番号・最大手数まで確かめてから取り込む（壊れた問題を 1 つも持ち込まない）
+//  2. 同じ id のパックを取り込み直すと置き換わる（id を省略しても同じ中身なら同じ id）
+//  3. 進み具合は履歴の pack: { id, index } から数え、盤面の最大手数はパックの maxGuess を使う
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const packs = await import("../js/core/packs.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const { customPairForPID, isCustomPID } = await import("../js/core/problems.js?v=20260806-a");
+
+const { readPackText, installPack, getInstalledPacks, packById, removePack, packPuzzleMaxGuess } = packs;
+const text = (pack) => JSON.stringify(pack);
+const throwsMessage = (pack, message) => assert.throws(() => readPackText(typeof pack === "string" ? pack : text(pack)), { message });
+
+// ---- 読み込みと正規化 ----
+const animals = readPackText(
+  text({
+    id: "animals",
+    title: " 動物の単語 ",
+    author: "DWORDle 部",
+    mode: "normal",
+    puzzles: [{ answers: ["Tiger", "zebra"], maxGuess: 8 }, { answers: ["horse", "sheep"] }, { pid: 20001 }],
+  })
+);
+assert.equal(animals.id, "animals");
+assert.equal(animals.title, "動物の単語");
+assert.equal(animals.mode, "normal");
+assert.equal(animals.puzzles.length, 3);
+assert(isCustomPID(animals.puzzles[0].pid));
+assert.deepEqual(customPairForPID(animals.puzzles[0].pid), ["tiger", "zebra"], "答えは小文字にして並び順も保つはず");
+assert.equal(animals.puzzles[0].maxGuess, 8);
+assert.equal(animals.puzzles[1].maxGuess, null);
+assert.equal(animals.puzzles[2].pid, 20001);
+
+// id を省略したら中身から作る。同じ中身なら同じ id
+const noId = { title: "Christmas", puzzles: [{ answers: ["merry", "angel"] }] };
+assert.match(readPackText(text(noId)).id, /^pack-[0-9a-z]+$/);
+assert.equal(readPackText(text(noId)).id, readPackText(text(noId)).id);
+assert.notEqual(readPackText(text(noId)).id, readPackText(text({ ...noId, title: "Xmas" })).id);
+assert.equal(readPackText(text(noId)).mode, null, "mode を省略したら遊ぶときのモードで遊ぶ");
+
+// ---- 壊れたパック ----
+throwsMessage("{", "JSON として読み取れませんでした");
+throwsMessage({ puzzles: [] }, "パズルパックの JSON ではないようです（title と puzzles が必要です）");
+throwsMessage({ title: " ", puzzles: [{ pid: 1 }] }, "title が空です");
+throwsMessage({ title: "x", puzzles: [] }, "パックに問題がありません");
+throwsMessage({ title: "x", puzzles: Array(packs.MAX_PACK_PUZZLES + 1).fill({ pid: 1 }) }, `問題は ${packs.MAX_PACK_PUZZLES} 問までです`);
+throwsMessage({ title: "x", mode: "speed", puzzles: [{ pid: 1 }] }, "mode は normal か uso にしてください");
+throwsMessage({ title: "x", id: "a/b", puzzles: [{ pid: 1 }] }, "id は英数字・-・_ の 64 文字までにしてください");
+throwsMessage({ title: "x", puzzles: [{ pid: 1 }, {}] }, "2 問目: answers か pid のどちらかが必要です");
+throwsMessage({ title: "x", puzzles: [{ answers: ["tiger"] }] }, "1 問目: answers は 2 語にしてください");
+throwsMessage({ title: "x", puzzles: [{ answers: ["tiger", "qqqqq"] }] }, "1 問目: qqqqq は単語リストにありません");
+throwsMessage({ title: "x", puzzles: [{ answers: ["tiger", "tigers"] }] }, "1 問目: tigers は単語リストにありません");
+throwsMessage({ title: "x", puzzles: [{ answers: ["tiger", "TIGER"] }] }, "1 問目: 2 つの答えが同じです");
+throwsMessage({ title: "x", puzzles: [{ pid: 0 }] }, "1 問目: 0 は問題番号として使えません");
+throwsMessage({ title: "x", puzzles: [{ pid: 20260801 }] }, "1 問目: デイリーの問題はパックに入れられません");
+throwsMessage({ title: "x", mode: "normal", puzzles: [{ pid: 1, maxGuess: 11 }] }, "1 問目: maxGuess は 1〜10 の整数にしてください");
+throwsMessage({ title: "x", puzzles: [{ pid: 1, maxGuess: 0 }] }, "1 問目: maxGuess は 1〜15 の整数にしてください");
+// モードを決めていないパックの maxGuess は、DWORDle で遊ぶときモードの上限で切る
+const loose = readPackText(text({ title: "x", puzzles: [{ pid: 1, maxGuess: 12 }] }));
+assert.equal(packPuzzleMaxGuess(loose.puzzles[0], "uso"), 12);
+assert.equal(packPuzzleMaxGuess(loose.puzzles[0], "normal"), 10);
+assert.equal(packPuzzleMaxGuess(animals.puzzles[1], "normal"), 10);
+
+// ---- 取り込み・置き換え・取り外し ----
+assert.deepEqual(getInstalledPacks(), []);
+assert.equal(installPack(animals).replaced, false);
+assert.equal(installPack(readPackText(text(noId))).replaced, false);
+const updated = { ...animals, title: "動物の単語 2" };
+assert.equal(installPack(updated).replaced, true);
+assert.deepEqual(getInstalledPacks().map((p) => p.title), ["動物の単語 2", "Christmas"], "置き換えても並びの位置は変えない");
+assert.equal(packById("animals").puzzles.length, 3);
+assert.equal(packById("missing"), null);
+
+// ---- 進み具合と最大手数 ----
+let t = 1_800_000_000;
+const play = (index, guessWord, extra = {}) =>
+  records.addFinishedGame({
+    startTime: t++,
+    endTime: t,
+    gameMode: "normal",
+    problemID: animals.puzzles[index].pid,
+    guessWord,
+    pack: { id: "animals", index },
+    ...extra,
+  });
+play(0, ["crane", "tiger"], { maxGuess: 8 });
+play(0, ["crane", "slate", "tiger"], { maxGuess: 8 });
+play(1, ["crane", "slate"]);
+records.addDiscardedGame({ startTime: t++, gameMode: "normal", problemID: animals.puzzles[2].pid, guessWord: ["crane"], pack: { id: "animals", index: 2 } });
+// 取り込み直しで 2 問目が別の問題に替わっていたときの古い記録は数えない
+records.addFinishedGame({ startTime: t++, gameMode: "normal", problemID: 12345, guessWord: ["crane"], pack: { id: "animals", index: 1 } });
+
+const progress = records.buildPackProgress(packById("animals"));
+assert.deepEqual(progress, [
+  { played: 2, cleared: 2, bestGuesses: 2 },
+  { played: 1, cleared: 0, bestGuesses: null },
+  { played: 0, cleared: 0, bestGuesses: null },
+]);
+const [first] = records.getHistory().filter((g) => g.pack?.index === 0);
+assert.equal(records.maxGuessForRecord(first), 8);
+assert.equal(records.maxGuessForRecord({ gameMode: "uso", problemID: 20001 }), 15, "パックの外の記録はモードの最大手数");
+
+removePack("animals");
+assert.deepEqual(getInstalledPacks().map((p) => p.id), [readPackText(text(noId)).id]);
+assert.equal(records.getHistory().filter((g) => g.pack?.id === "animals").length, 5, "取り外しても遊んだ記録は履歴に残る");
+
+console.log("パズルパックのテスト: OK");
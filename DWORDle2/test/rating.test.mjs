@@ -0,0 +1,116 @@
+// レーティング（core/rating.js）のテスト。
+// 実行: node test/rating.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 1 局のスコアはそのレベルのソルバーの平均手数が基準（同じ手数で 0.5、負けは 0）
+//  2. 実績の対象にならない局（切り替え後の Cls. など）は評価を動かさない
+//  3. 履歴全体の分析が済んだ局は、手の質も評価に入る
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const rating = await import("../js/core/rating.js?v=20260806-a");
+const { saveAnalyses } = await import("../js/core/batch-analysis.js?v=20260806-a");
+const { LENGTH_SETS, MULTI_SETS, NEW_ERA, levelForPID } = await import("../js/core/problems.js?v=20260806-a");
+
+const { SOLVER_EXPECTED_GUESSES, expectedGuessesForPID, gameScore, ratingHistory } = rating;
+
+const after = NEW_ERA.achievementCutoffSec + 86400;
+const game = (startTime, { problemID = 100001, guesses = 4, clear = true, gameMode = "normal", ...extra } = {}) => ({
+  startTime,
+  endTime: startTime + 60,
+  gameMode,
+  problemID,
+  guessWord: Array(guesses).fill("about"),
+  clear,
+  ...extra,
+});
+
+// ---- ソルバーの平均手数 ----
+{
+  const lv = levelForPID(100001).id;
+  assert.equal(expectedGuessesForPID(100001, "normal"), SOLVER_EXPECTED_GUESSES.normal[5][lv - 1]);
+  assert.equal(expectedGuessesForPID(100001, "uso"), SOLVER_EXPECTED_GUESSES.uso[5][lv - 1]);
+  // 答えが 3 語以上はモードで増える手数を足す
+  const tri = MULTI_SETS[0];
+  assert.equal(expectedGuessesForPID(tri.offset + 1, "normal"), SOLVER_EXPECTED_GUESSES.normal[5][levelForPID(tri.offset + 1).id - 1] + tri.extraGuesses);
+  // 文字数違いの DWORDlie は測っていないので DWORDle の値より多く見積もる
+  const len6 = LENGTH_SETS.find((set) => set.length === 6).offset + 1;
+  assert.ok(expectedGuessesForPID(len6, "uso") > expectedGuessesForPID(len6, "normal"));
+  // デイリーはやさしい語彙、カスタム問題はレベルが無いので対象外
+  assert.equal(expectedGuessesForPID(20260804, "normal"), SOLVER_EXPECTED_GUESSES.normal[5][0]);
+  assert.equal(expectedGuessesForPID(Number.MAX_SAFE_INTEGER, "normal"), null);
+}
+
+// ---- 1 局のスコア ----
+{
+  const expected = expectedGuessesForPID(100001, "normal");
+  // ソルバーと同じ手数なら 0.5、2 手少なければ満点
+  assert.equal(gameScore(game(after, { guesses: 3 })).score, 0.5 + (expected - 3) / 4);
+  assert.equal(gameScore(game(after, { guesses: 1 })).score, 1);
+  assert.equal(gameScore(game(after, { guesses: 10, clear: false })).score, 0, "負けは 0");
+  // 分析済みなら手の質との平均
+  const summary = { guesses: 4, turns: 4, rated: 2, efficiency: 1.6, best: 1, wasted: 1, luck: 0, sampled: false };
+  const { score, quality } = gameScore(game(after, { guesses: 10, clear: false }), summary);
+  assert.equal(quality, 0.8 * (1 - 1 / 4));
+  assert.equal(score, quality / 2);
+  assert.equal(gameScore(game(after), { failed: true }).quality, null);
+}
+
+// ---- 評価の推移 ----
+{
+  const wins = Array.from({ length: 12 }, (_, i) => game(after + i * 3600, { guesses: 2 }));
+  const up = ratingHistory(wins);
+  assert.equal(up.games, 12);
+  assert.equal(up.provisional, false);
+  assert.ok(up.series.every((p, i) => i === 0 || p.rating > up.series[i - 1].rating), "勝ち続ければ上がり続けるはず");
+  assert.equal(up.peak, up.rating);
+  assert.deepEqual(up.levels.map((l) => [l.key, l.games]), [[`5:2:${levelForPID(100001).id}`, 12]]);
+
+  const losses = ratingHistory(wins.map((r) => ({ ...r, clear: false })));
+  assert.ok(losses.rating < rating.RATING_INITIAL);
+  assert.equal(losses.peak, rating.RATING_INITIAL);
+
+  // 対象外の局は数えない: 破棄・1 手も打っていない・カスタム問題・切り替え後の Cls.
+  const ignored = ratingHistory([
+    game(after, { discarded: true }),
+    game(after, { guesses: 0 }),
+    game(after, { problemID: Number.MAX_SAFE_INTEGER }),
+    game(after, { problemID: 1234 }),
+  ]);
+  assert.equal(ignored.games, 0);
+  assert.equal(ignored.rating, rating.RATING_INITIAL);
+  assert.deepEqual(ignored.levels, []);
+  // 切り替え前の Cls. は数える
+  assert.equal(ratingHistory([game(NEW_ERA.achievementCutoffSec - 86400, { problemID: 1234 })]).games, 1);
+
+  // 出題の種類ごとに別の評価。全体の評価はすべての局で動く
+  const mixed = ratingHistory([game(after), game(after + 60, { problemID: MULTI_SETS[0].offset + 1 })]);
+  assert.equal(mixed.games, 2);
+  assert.deepEqual(mixed.levels.map((l) => [l.answers, l.games]), [[2, 1], [3, 1]]);
+}
+
+// ---- 分析が済むと手の質が入る ----
+{
+  const record = game(after, { guesses: 10, clear: false });
+  const before = ratingHistory([record]).rating;
+  saveAnalyses([{ key: `normal:${after}`, summary: { guesses: 10, turns: 10, rated: 10, efficiency: 10, best: 10, wasted: 0, luck: 0, sampled: false } }]);
+  assert.ok(ratingHistory([record]).rating > before, "最善手だけで負けた局は、手数だけの評価より上がるはず");
+}
+
+// ---- 段位 ----
+{
+  assert.equal(rating.ratingTier(rating.RATING_INITIAL).id, "BRONZE");
+  assert.equal(rating.ratingTier(1450).id, "GOLD");
+  assert.equal(rating.ratingTier(5000).id, "DIAMOND");
+}
+
+console.log("レーティングのテスト: OK");
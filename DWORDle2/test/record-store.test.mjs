@@ -0,0 +1,162 @@
+// プレイ履歴の保存先（js/core/record-store.js と records.js の initRecordStore）のテスト。
+// 実行: node test/record-store.test.mjs
+//
+// Node には IndexedDB が無いので、openRecordStore と同じ形のメモリ上のストアを渡して確かめる。
+// ここで守りたいのは 4 つ。
+//  1. localStorage の旧履歴は一度だけ IndexedDB へ移り、移し終えたら localStorage から消える
+//  2. 保存は加わったレコードだけ（全体を書き直さない）。別タブへも知らせる（全データ削除も）
+//  3. mode・PID・日付で絞り込める（IndexedDB が無いときも同じ結果）
+//  4. デバッグ中は IndexedDB に書かない
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+// 同じ端末の別タブ役。postMessage は自分以外の同名チャンネルへ届く
+const channels = [];
+globalThis.BroadcastChannel = class {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    channels.push(this);
+  }
+  postMessage(data) {
+    for (const channel of channels) {
+      if (channel !== this && channel.name === this.name) channel.onmessage?.({ data: structuredClone(data) });
+    }
+  }
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { matchesQuery } = await import("../js/core/record-store.js?v=20260806-a");
+
+function game(problemID, startTime, gameMode = "normal") {
+  const logic = new Logic(problemID);
+  return { startTime, endTime: startTime + 30, gameMode, problemID, guessWord: [logic.ans1, logic.ans2], clear: true };
+}
+
+// openRecordStore と同じインターフェイスの、メモリ上のストア
+function fakeStore() {
+  const rows = new Map();
+  const key = (record) => `${record.startTime}/${record.gameMode}`;
+  const store = {
+    rows,
+    puts: [],
+    async getAll() {
+      return [...rows.values()].map((record) => structuredClone(record));
+    },
+    async putAll(records) {
+      store.puts.push(records.length);
+      for (const record of records) rows.set(key(record), structuredClone(record));
+    },
+    async clear() {
+      rows.clear();
+    },
+    async query(filter) {
+      return (await store.getAll()).filter((record) => matchesQuery(record, filter)).sort((a, b) => a.startTime - b.startTime);
+    },
+  };
+  return store;
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// 別タブ役のチャンネル。届いたメッセージを順に持つ
+const otherTab = new BroadcastChannel("dwordle2.history");
+const messages = [];
+otherTab.onmessage = (event) => messages.push(event.data);
+
+// 更新前のバージョンが localStorage に残した履歴
+storage.set("dwordle2.history", JSON.stringify([game(1, 1_790_000_000), game(2, 1_790_086_400, "uso")]));
+
+const records = await import("../js/core/records.js?v=20260806-a");
+const store = fakeStore();
+
+// ---- 1. 旧履歴の移行 ----
+{
+  assert.equal(await records.initRecordStore(async () => store), true);
+  assert.equal(store.rows.size, 2, "旧履歴は IndexedDB へ移るはず");
+  assert.equal(storage.has("dwordle2.history"), false, "移し終えたら localStorage の履歴は消すはず");
+  assert.deepEqual(records.getHistory().map((record) => record.problemID), [1, 2]);
+
+  // 更新前のタブがあとから書いた分も、次の起動で拾う（同じキーは上書きなので増えない）
+  storage.set("dwordle2.history", JSON.stringify([game(1, 1_790_000_000), game(3, 1_790_172_800)]));
+  assert.equal(await records.initRecordStore(async () => store), true);
+  assert.equal(store.rows.size, 3);
+  assert.equal(storage.has("dwordle2.history"), false);
+  assert.deepEqual(records.getHistory().map((record) => record.problemID), [1, 2, 3]);
+}
+
+// ---- 2. 保存は加わったレコードだけ。別タブへも届く ----
+{
+  store.puts.length = 0;
+  messages.length = 0;
+  records.addFinishedGame(game(4, 1_790_259_200));
+  await settle();
+  assert.deepEqual(store.puts, [1], "1 局終えたら、その 1 件だけを書くはず");
+  assert.equal(store.rows.size, 4);
+  assert.equal(storage.has("dwordle2.history"), false, "IndexedDB に移したあとは localStorage に書かないはず");
+  assert.deepEqual(messages.flat().map((record) => record.problemID), [4]);
+
+  // 別タブが保存したレコードは、こちらのメモリ上の履歴にも入る
+  otherTab.postMessage([game(5, 1_790_345_600)]);
+  assert.equal(records.getHistory().at(-1).problemID, 5);
+
+  store.puts.length = 0;
+  assert.equal(records.addImportedGames([game(4, 1_790_259_200), game(6, 1_790_432_000), game(7, 1_790_432_000, "uso")]), 2);
+  await settle();
+  assert.deepEqual(store.puts, [2], "取り込みは加わった分だけを 1 回で書くはず");
+}
+
+// ---- 3. 絞り込み ----
+{
+  const pids = (list) => list.map((record) => record.problemID);
+  assert.deepEqual(pids(await records.queryHistory({ mode: "uso" })), [2, 7]);
+  assert.deepEqual(pids(await records.queryHistory({ pid: 3 })), [3]);
+  assert.deepEqual(pids(await records.queryHistory({ from: 1_790_086_400, to: 1_790_259_200 })), [2, 3, 4]);
+  assert.deepEqual(pids(await records.queryHistory({ mode: "normal", from: 1_790_259_200 })), [4, 6]);
+  assert.deepEqual(pids(await records.queryHistory()), [1, 2, 3, 4, 6, 7], "別タブ分（5）は IndexedDB に無いので出ないはず");
+}
+
+// ---- IndexedDB が無いときは localStorage のまま ----
+{
+  const before = records.getHistory().length;
+  assert.equal(await records.initRecordStore(async () => null), false);
+  assert.equal(records.getHistory().length, before, "開けなければ今の保存先のまま続けるはず");
+}
+
+// ---- 全データ削除 ----
+{
+  messages.length = 0;
+  await records.deleteAllHistory();
+  assert.equal(store.rows.size, 0);
+  assert.deepEqual(records.getHistory(), []);
+  assert.deepEqual(messages, [{ cleared: true }], "別タブにも全データ削除を知らせるはず");
+
+  // 別タブで全データを削除したら、こちらのメモリ上の履歴も空になる（次の保存で古い履歴を書き戻さない）
+  otherTab.postMessage([game(9, 1_790_600_000)]);
+  assert.equal(records.getHistory().length, 1);
+  otherTab.postMessage({ cleared: true });
+  assert.deepEqual(records.getHistory(), [], "別タブの全データ削除で、メモリ上の履歴も空になるはず");
+}
+
+// ---- 4. デバッグ中は IndexedDB に書かない ----
+{
+  const { tryEnableDebugMode } = await import("../js/core/debug.js?v=20260806-a");
+  const { reveal } = await import("../js/core/secret.js?v=20260806-a");
+  assert.equal(tryEnableDebugMode(reveal("GxklxmSgBPRJXQ==")), true);
+  records.addFinishedGame(game(8, 1_790_518_400));
+  await settle();
+  assert.equal(store.rows.size, 0, "デバッグ中のプレイは保存しないはず");
+  assert.deepEqual(records.getHistory().map((record) => record.problemID), [8], "同じセッションの間は見えるはず");
+  assert.deepEqual((await records.queryHistory({ pid: 8 })).map((record) => record.problemID), [8], "絞り込みもメモリ上の履歴からのはず");
+}
+
+console.log("履歴の保存先テスト: OK");
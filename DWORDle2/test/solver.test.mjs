@@ -0,0 +1,40 @@
+// 自動ソルバーのテスト。
+// 実行: node test/solver.test.mjs
+
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { solveGame } = await import("../js/core/solver.js?v=20260806-a");
+
+for (const mode of ["normal", "uso"]) {
+  for (const pid of [100001, 100777, 20260801]) {
+    const result = solveGame(pid, mode);
+    const logic = new Logic(pid);
+    assert.equal(result.solved, true, `${mode} ${pid}: やさしい問題は解けるはず`);
+    assert(logic.isGameClear(result.guesses[result.guesses.length - 1]), "最後の Guess は答えのはず");
+    // DWORDlie は同じ単語でも毎回違う嘘が出て手がかりになるので、繰り返しを許す
+    if (mode === "normal") assert.equal(new Set(result.guesses).size, result.guesses.length, "同じ単語を二度 Guess しないはず");
+    assert(result.guesses.length <= (mode === "uso" ? 15 : 10), `${mode} ${pid}: 上限以内で解けるはず`);
+    assert.deepEqual(solveGame(pid, mode).guesses, result.guesses, "同じ問題は同じ手順で解くはず");
+  }
+}
+
+// 初手は候補リストだけで決まる（PID によらない）
+assert.equal(solveGame(100002, "normal").guesses[0], solveGame(100003, "normal").guesses[0]);
+
+// 中程度の帯（厳密計算の上限を超える語彙）も解ける
+const common = solveGame(120001, "normal");
+assert.equal(common.solved, true, "Lv.2 の問題も解けるはず");
+
+// tools/solve.mjs は規則を知らないモードを受け付けない（speed / hotseat は MODES にあっても弾く）
+for (const mode of ["speed", "hotseat", "nope"]) {
+  const run = spawnSync(process.execPath, [new URL("../tools/solve.mjs", import.meta.url).pathname, "--mode", mode], {
+    encoding: "utf8",
+    timeout: 60_000,
+  });
+  assert.notEqual(run.status, 0, `--mode ${mode} は弾くはず`);
+  assert.match(run.stderr, /--mode は normal \/ uso: /, "使えるモードをエラーに出すはず");
+}
+
+console.log("ソルバーテスト: OK");
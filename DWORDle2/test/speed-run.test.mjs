@@ -0,0 +1,126 @@
+// Speed Run（時間内に連番の問題を何問解けるか）のテスト。
+// 実行: node test/speed-run.test.mjs
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { LEVELS, pidForNumber } = await import("../js/core/problems.js?v=20260806-a");
+const { MODES } = await import("../js/core/records.js?v=20260806-a");
+const speed = await import("../js/core/speed-run.js?v=20260806-a");
+const achievements = await import("../js/core/achievements.js?speed-run-test");
+
+const base = new Date(2026, 7, 20, 12, 0, 0).getTime();
+const level = LEVELS.find((lv) => lv.id === 2);
+const [lo, hi] = level.range;
+
+// 解いた / 解けなかった 1 問ぶんの進行中ゲーム
+function playedGame(pid, startMs, solved) {
+  const logic = new Logic(pid);
+  const miss = ["zzzzz", "yyyyy"];
+  return {
+    startTime: Math.floor(startMs / 1000),
+    gameMode: "speed",
+    problemID: pid,
+    guessWord: solved ? [miss[0], logic.ans1] : miss,
+  };
+}
+
+// ---- 開始 ----
+{
+  const { run, pid } = speed.startSpeedRun(level.id, { now: base, random: () => 0 });
+  assert.equal(pid, pidForNumber(lo), "random = 0 なら帯の先頭の番号から始まるはず");
+  assert.equal(run.level, level.id);
+  assert.equal(run.startTime, Math.floor(base / 1000));
+  assert.equal(run.endsAt, base + MODES.speed.timeLimitSec * 1000);
+  assert.equal(run.nextNumber, lo + 1);
+  assert.deepEqual(speed.getCurrentRun(), run, "進行中のランは保存されるはず");
+  assert.equal(speed.speedTimeLeftMs(run, base + 1000), MODES.speed.timeLimitSec * 1000 - 1000);
+  assert.equal(speed.speedTimeLeftMs(run, run.endsAt + 5000), 0, "残り時間は負にならないはず");
+}
+
+// ---- 帯の終わりで先頭へ戻る ----
+{
+  const { run, pid } = speed.startSpeedRun(level.id, { now: base, random: () => 0.999999 });
+  assert.equal(pid, pidForNumber(hi), "random が 1 に近ければ帯の最後の番号から始まるはず");
+  assert.equal(run.nextNumber, lo, "帯の最後の次は先頭へ戻るはず");
+  const next = speed.recordSpeedPuzzle(run, playedGame(pid, base, true), base + 20_000);
+  assert.equal(next, pidForNumber(lo));
+  assert.equal(run.nextNumber, lo + 1);
+}
+
+// ---- 1 問ずつ記録して終える ----
+{
+  const { run, pid: first } = speed.startSpeedRun(level.id, { now: base + 60_000, random: () => 0.5 });
+  let pid = first;
+  const played = [];
+  for (let i = 0; i < 3; i++) {
+    played.push(pid);
+    const next = speed.recordSpeedPuzzle(run, playedGame(pid, base + 60_000 + i * 30_000, i !== 1), base + 90_000 + i * 30_000);
+    assert.equal(next, pid + 1, "クリアでも失敗でも次の番号へ進むはず");
+    pid = next;
+  }
+  assert.deepEqual(speed.getCurrentRun().puzzles.map((p) => p.problemID), played, "1 問ごとに進行中のランへ保存されるはず");
+
+  // 解いている途中の問題は、1 手以上あれば未クリアとして加える
+  const inProgress = { ...playedGame(pid, base + 150_000, false), guessWord: ["zzzzz"] };
+  const record = speed.finishSpeedRun(run, inProgress, run.endsAt + 3000);
+  assert.equal(record.solved, 2);
+  assert.equal(record.guesses, 4, "合計手数はクリアした問題の手数だけを数えるはず");
+  assert.equal(record.puzzles.length, 4);
+  assert.deepEqual(record.puzzles.map((p) => p.clear), [true, false, true, false]);
+  assert.equal(record.endTime, Math.floor(run.endsAt / 1000), "終了時刻は制限時間で打ち切るはず");
+  assert.equal(record.endedEarly, undefined, "時間切れで終えたランには endedEarly を付けないはず");
+  assert.equal(speed.getCurrentRun(), null, "終えたら進行中のランは消えるはず");
+
+  // 二重に終えても記録は 1 件
+  speed.finishSpeedRun(run, null, run.endsAt + 5000);
+  assert.equal(speed.getSpeedRuns().filter((r) => r.startTime === run.startTime).length, 1);
+  speed._reload();
+  assert.deepEqual(speed.findSpeedRun(run.startTime), record, "記録は保存され、読み直せるはず");
+}
+
+// ---- 途中終了・手を付けていない問題 ----
+{
+  const now = base + 3_600_000;
+  const { run, pid } = speed.startSpeedRun(level.id, { now, random: () => 0 });
+  const record = speed.finishSpeedRun(run, { ...playedGame(pid, now, false), guessWord: [] }, now + 10_000);
+  assert.equal(record.endedEarly, true, "時間切れの前に終えたランには endedEarly を付けるはず");
+  assert.equal(record.puzzles.length, 0, "1 手も入れていない問題は記録に加えないはず");
+  assert.equal(record.solved, 0);
+}
+
+// ---- 自己ベスト ----
+{
+  const runs = [
+    { startTime: 1, level: 1, solved: 3, guesses: 20 },
+    { startTime: 2, level: 1, solved: 3, guesses: 18 },
+    { startTime: 3, level: 1, solved: 3, guesses: 18 },
+    { startTime: 4, level: 1, solved: 2, guesses: 8 },
+    { startTime: 5, level: 3, solved: 0, guesses: 0 },
+  ];
+  const bests = speed.personalBests(runs);
+  assert.equal(bests.get(1), runs[1], "同じ解いた数なら合計手数が少なく、先に出した記録がベストのはず");
+  assert.equal(bests.has(3), false, "1 問も解けていないランはベストにしないはず");
+  assert.equal(speed.isPersonalBest(runs[0], runs), true, "その時点までで最良ならベストのはず");
+  assert.equal(speed.isPersonalBest(runs[1], runs), true);
+  assert.equal(speed.isPersonalBest(runs[2], runs), false, "同点は先に出した記録を残すはず");
+  assert.equal(speed.isPersonalBest(runs[3], runs), false);
+}
+
+// ---- 実績 ----
+assert.equal(achievements.isUnlocked("speed-run-1"), false);
+{
+  const newly = achievements.checkOnSpeedRunFinish({ solved: 5 }).map((a) => a.id);
+  assert(newly.includes("speed-run-1") && newly.includes("speed-run-5"), "5 問解いたら 1 問・5 問の実績が解放されるはず");
+  assert(!newly.includes("speed-run-10"));
+  assert.deepEqual(achievements.checkOnSpeedRunFinish({ solved: 5 }), [], "解放済みの実績は二度解放されないはず");
+}
+
+console.log("Speed Run テスト: OK");
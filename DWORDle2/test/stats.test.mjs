@@ -0,0 +1,212 @@
+// 統計ダッシュボードの集計（core/stats.js）と、獲得情報量の推移・1 手目の期待情報量の計算
+// （analysis-core.js の gameBits / openerBits）のテスト。
+// 実行: node test/stats.test.mjs
+//
+// 日付の区切りは端末のローカル時刻なので、TZ を UTC に固定して数える。
+
+process.env.TZ = "UTC";
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { averageBits, averageGuessesByLevel, dailyTimeline, openerUsage, playHeatmap, winRateSeries } = await import("../js/core/stats.js?v=20260806-a");
+const { ANALYSIS_LIMITS, analyzeGame, computeTruePatternIds, gameBits, openerBits } = await import("../js/core/analysis-core.js?v=20260806-a");
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { levelForPID } = await import("../js/core/problems.js?v=20260806-a");
+
+const at = (iso) => Date.parse(iso) / 1000;
+const game = (iso, { clear = true, problemID = 100001, guesses = 4, gameMode = "normal" } = {}) => ({
+  startTime: at(iso),
+  endTime: at(iso) + 60,
+  gameMode,
+  problemID,
+  guessWord: Array(guesses).fill("about"),
+  clear,
+});
+
+// ---- 勝率の推移: 半年以内は週ごと（月曜始まり）、遊ばなかった週は rate: null ----
+{
+  const records = [
+    game("2026-08-03T10:00:00Z"), // 月曜
+    game("2026-08-09T23:00:00Z", { clear: false }), // 同じ週の日曜
+    game("2026-08-24T08:00:00Z"),
+  ];
+  const { unit, buckets } = winRateSeries(records);
+  assert.equal(unit, "week");
+  assert.deepEqual(
+    buckets.map((b) => [b.start.toISOString().slice(0, 10), b.plays, b.rate]),
+    [
+      ["2026-08-03", 2, 0.5],
+      ["2026-08-10", 0, null],
+      ["2026-08-17", 0, null],
+      ["2026-08-24", 1, 1],
+    ]
+  );
+  assert.deepEqual(winRateSeries([]), { unit: "week", buckets: [] });
+}
+
+// ---- 半年を超えると月ごと。区間は直近 maxBuckets まで ----
+{
+  const records = [game("2025-01-15T00:00:00Z"), game("2026-08-02T00:00:00Z", { clear: false })];
+  const { unit, buckets } = winRateSeries(records, { maxBuckets: 3 });
+  assert.equal(unit, "month");
+  assert.deepEqual(
+    buckets.map((b) => [b.start.toISOString().slice(0, 7), b.plays]),
+    [
+      ["2026-06", 0],
+      ["2026-07", 0],
+      ["2026-08", 1],
+    ]
+  );
+}
+
+// ---- レベル別の平均手数: クリアした局だけ、文字数 → レベルの順 ----
+{
+  const rows = averageGuessesByLevel([
+    game("2026-08-01T00:00:00Z", { guesses: 4 }),
+    game("2026-08-02T00:00:00Z", { guesses: 6 }),
+    game("2026-08-03T00:00:00Z", { guesses: 9, clear: false }),
+    game("2026-08-04T00:00:00Z", { problemID: 400001, guesses: 7 }),
+  ]);
+  assert.equal(rows.length, 2);
+  assert.deepEqual([rows[0].length, rows[0].level.id, rows[0].wins, rows[0].average], [4, levelForPID(400001).id, 1, 7]);
+  assert.deepEqual([rows[1].length, rows[1].level.id, rows[1].wins, rows[1].average], [5, levelForPID(100001).id, 2, 5]);
+}
+
+// ---- 時間帯のヒートマップ: [曜日][時] ----
+{
+  const counts = playHeatmap([game("2026-08-03T10:15:00Z"), game("2026-08-03T10:45:00Z"), game("2026-08-09T23:00:00Z")]);
+  assert.equal(counts[1][10], 2); // 月曜 10 時台
+  assert.equal(counts[0][23], 1); // 日曜 23 時台
+  assert.equal(counts.flat().reduce((a, b) => a + b, 0), 3);
+}
+
+// ---- デイリーのタイムライン: その日のうちに遊んだデイリーだけ。max は最長の連続クリア ----
+{
+  const now = at("2026-08-10T12:00:00Z");
+  const records = [
+    game("2026-08-05T09:00:00Z", { problemID: 20260805 }),
+    game("2026-08-06T09:00:00Z", { problemID: 20260806 }),
+    game("2026-08-07T09:00:00Z", { problemID: 20260807, clear: false }),
+    game("2026-08-07T10:00:00Z", { problemID: 20260807 }), // 同じ日に解き直せばクリア
+    game("2026-08-09T09:00:00Z", { problemID: 20260809, clear: false }),
+    game("2026-08-10T09:00:00Z", { problemID: 20260801 }), // アーカイブから遊んだ過去の日は数えない
+    game("2026-08-10T10:00:00Z", { problemID: 100001 }), // デイリー以外も数えない
+  ];
+  const { timeline, max } = dailyTimeline(records, { days: 7, now });
+  assert.deepEqual(
+    timeline.map((d) => [d.pid, d.status]),
+    [
+      [20260804, "none"],
+      [20260805, "cleared"],
+      [20260806, "cleared"],
+      [20260807, "cleared"],
+      [20260808, "none"],
+      [20260809, "failed"],
+      [20260810, "none"],
+    ]
+  );
+  assert.equal(max, 3);
+}
+
+// ---- 獲得情報量: gameBits は analyzeGame の bitsGained と同じ値 ----
+{
+  const pid = 1234;
+  const logic = new Logic(pid);
+  const guessWords = ["about", "crane", logic.ans1];
+  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, guessWords);
+  const { bits, sampled } = gameBits({ pid, mode: "normal", guessWords, shownPatternIds: truePatternIds });
+  const res = analyzeGame({ pid, mode: "normal", guessWords, truePatternIds });
+  assert.equal(sampled, res.sampled);
+  assert.deepEqual(bits, res.turns.map((t) => t.bitsGained));
+  assert.equal(averageBits(bits), bits.reduce((a, b) => a + b, 0) / bits.length);
+  assert.equal(averageBits([]), null);
+}
+
+// ---- 1 手目の集計: 候補リストが同じ出題ごと、使った回数の多い順 ----
+{
+  const opener = (iso, word, options) => ({ ...game(iso, options), guessWord: [word, ...Array((options?.guesses ?? 4) - 1).fill("about")] });
+  const groups = openerUsage([
+    opener("2026-08-01T00:00:00Z", "crane", { problemID: 100001, guesses: 4 }),
+    opener("2026-08-02T00:00:00Z", "crane", { problemID: 100002, guesses: 6 }),
+    opener("2026-08-03T00:00:00Z", "slate", { problemID: 100003, guesses: 9, clear: false }),
+    opener("2026-08-04T00:00:00Z", "stone", { problemID: 20260804, guesses: 3 }), // デイリーもやさしい語彙
+    opener("2026-08-05T00:00:00Z", "rained", { problemID: 600001, guesses: 5 }),
+    { ...game("2026-08-06T00:00:00Z"), guessWord: [] }, // 1 手も打っていない記録は数えない
+  ]);
+  assert.deepEqual(
+    groups.map((g) => [g.key, g.plays, g.pid]),
+    [
+      [`normal:5:2:${levelForPID(100001).id}`, 4, 20260804],
+      [`normal:6:2:${levelForPID(600001).id}`, 1, 600001],
+    ]
+  );
+  assert.deepEqual(groups[0].openers, [
+    { word: "crane", uses: 2, wins: 2, averageGuesses: 5 },
+    { word: "slate", uses: 1, wins: 0, averageGuesses: null },
+    { word: "stone", uses: 1, wins: 1, averageGuesses: 3 },
+  ]);
+}
+
+// ---- 1 手目の集計: DWORDlie は同じ候補リストでも DWORDle と混ぜない ----
+{
+  const opener = (iso, word, options) => ({ ...game(iso, options), guessWord: [word, ...Array((options?.guesses ?? 4) - 1).fill("about")] });
+  const groups = openerUsage([
+    opener("2026-08-01T00:00:00Z", "crane", { problemID: 100001, guesses: 4 }),
+    opener("2026-08-02T00:00:00Z", "crane", { problemID: 100002, guesses: 12, gameMode: "uso" }),
+    opener("2026-08-03T00:00:00Z", "slate", { problemID: 100003, guesses: 10, gameMode: "uso" }),
+  ]);
+  const level = levelForPID(100001).id;
+  assert.deepEqual(
+    groups.map((g) => [g.key, g.mode, g.plays, g.pid]),
+    [
+      [`uso:5:2:${level}`, "uso", 2, 100003],
+      [`normal:5:2:${level}`, "normal", 1, 100001],
+    ]
+  );
+  assert.deepEqual(groups[0].openers, [
+    { word: "crane", uses: 1, wins: 1, averageGuesses: 12 },
+    { word: "slate", uses: 1, wins: 1, averageGuesses: 10 },
+  ]);
+  assert.deepEqual(groups[1].openers, [{ word: "crane", uses: 1, wins: 1, averageGuesses: 4 }], "DWORDlie の手数は平均に入れないはず");
+}
+
+// ---- 1 手目の期待情報量: 分析画面の 1 手目の期待情報量と同じ値 ----
+{
+  const pid = 1234;
+  const logic = new Logic(pid);
+  const guessWords = ["about", "crane"];
+  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, guessWords);
+  const res = analyzeGame({ pid, mode: "normal", guessWords, truePatternIds });
+  const { words, best, sampled } = openerBits({ pid, words: ["about"] });
+  assert.equal(sampled, false);
+  assert.deepEqual(words, [{ word: "about", expectedBits: res.turns[0].suggestions.playedExpectedBits }]);
+  assert.equal(best.length, ANALYSIS_LIMITS.SUGGEST_TOP);
+  assert.ok(best.every((s, i) => i === 0 || best[i - 1].expectedBits >= s.expectedBits), "おすすめは期待情報量の高い順のはず");
+  assert.ok(best[0].expectedBits >= words[0].expectedBits);
+}
+
+// DWORDlie は表示されうる嘘の分布で数える（分析画面の DWORDlie の 1 手目と同じ値。候補の組が少ないテーマ別で比べる）
+{
+  const pid = 510001;
+  const logic = new Logic(pid);
+  const guessWords = ["crane"];
+  const truePatternIds = computeTruePatternIds(logic.ans1, logic.ans2, guessWords);
+  const res = analyzeGame({ pid, mode: "uso", guessWords, truePatternIds, shownPatternIds: [0] });
+  const uso = openerBits({ pid, mode: "uso", words: guessWords });
+  const normal = openerBits({ pid, mode: "normal", words: guessWords });
+  assert.ok(Math.abs(uso.words[0].expectedBits - res.turns[0].expectedBits) < 1e-9, "DWORDlie の期待情報量は嘘の分布で数えるはず");
+  assert.notEqual(uso.words[0].expectedBits, normal.words[0].expectedBits);
+  assert.ok(uso.best.every((s, i) => i === 0 || uso.best[i - 1].expectedBits >= s.expectedBits));
+  assert.ok(uso.best[0].expectedBits >= uso.words[0].expectedBits - 1e-9);
+}
+
+console.log("統計ダッシュボードのテスト: OK");
@@ -0,0 +1,141 @@
+// 単語の復習（core/study.js）のテスト。
+// 実行: node test/study.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 復習する語は、負けた局の答え・EXTRA SHOT で外したもう一つの答え・印を付けた語（5 文字の語だけ）
+//  2. 出題の予定は SM-2（覚えた語ほど間隔が延び、もう一度なら同じ日に戻る）
+//  3. 印を外すと、履歴から集まる語でなければ予定ごと消える
+//  4. 辞書で意味を引けない語も、頭文字と逃した局の盤面を手掛かりにクイズに出せる
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const study = await import("../js/core/study.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const { Logic, queryWordSingle } = await import("../js/core/logic.js?v=20260806-a");
+const { customPIDForPair, pidForLengthNumber, pidForMultiNumber } = await import("../js/core/problems.js?v=20260806-a");
+
+const { GRADES, scheduleCard, missedAnswers, getStudyDeck, dueStudyCards, reviewStudyWord, quizClue, quizGrade, isMarkedStudyWord, setStudyMark } = study;
+
+// ---- SM-2 ----
+{
+  const first = scheduleCard(null, GRADES.good, 100);
+  assert.deepEqual(first, { ef: 2.5, interval: 1, reps: 1, due: 101, lapses: 0 });
+  const second = scheduleCard(first, GRADES.good, 101);
+  assert.equal(second.interval, 6);
+  assert.equal(second.due, 107);
+  const third = scheduleCard(second, GRADES.good, 107);
+  assert.equal(third.interval, 15, "3 回目からは前の間隔 × EF");
+  assert.ok(scheduleCard(second, GRADES.easy, 107).interval > third.interval, "簡単なら間隔がもっと延びる");
+  assert.ok(Math.abs(scheduleCard(first, GRADES.hard, 101).ef - 2.36) < 1e-9, "難しいなら EF が下がる");
+
+  const lapse = scheduleCard(third, GRADES.again, 122);
+  assert.equal(lapse.reps, 0);
+  assert.equal(lapse.interval, 0);
+  assert.equal(lapse.due, 122, "もう一度なら同じ日にもう一度出す");
+  assert.equal(lapse.lapses, 1);
+  assert.equal(scheduleCard(lapse, GRADES.good, 122).interval, 1, "覚え直しは 1 日後から");
+  assert.equal(scheduleCard(null, GRADES.again, 5).lapses, 0, "まだ覚えていない語を忘れても lapses は数えない");
+
+  let card = null;
+  for (let i = 0; i < 10; i++) card = scheduleCard(card, GRADES.again, 1);
+  assert.equal(card.ef, 1.3, "EF は 1.3 より下げない");
+}
+
+assert.equal(quizGrade(1, true), GRADES.good);
+assert.equal(quizGrade(3, true), GRADES.hard);
+assert.equal(quizGrade(3, false), GRADES.again);
+
+// ---- 履歴から集める ----
+let t = 1_800_000_000;
+const finish = (problemID, guessWord, extra = {}) =>
+  records.addFinishedGame({ startTime: t++, endTime: t, gameMode: "normal", problemID, guessWord, ...extra });
+
+finish(customPIDForPair("tiger", "zebra"), ["crane", "slate"]); // 負け
+finish(customPIDForPair("horse", "sheep"), ["crane", "horse"], { extraShot: { word: "shelf", success: false } }); // DOUBLE CLEAR を逃した
+finish(customPIDForPair("apple", "lemon"), ["lemon"], { extraShot: { word: "apple", success: true } }); // DOUBLE CLEAR
+finish(customPIDForPair("bread", "water"), ["bread"]); // クリア
+records.addDiscardedGame({ startTime: t++, gameMode: "normal", problemID: customPIDForPair("grape", "melon"), guessWord: ["crane"] });
+finish(pidForLengthNumber(1, 6), ["planet"]); // 6 文字版の負けは集めない
+const tri = pidForMultiNumber(1, 3);
+finish(tri, ["crane"]); // TRIWORDle の負けは答え 3 語とも
+
+const missed = missedAnswers();
+const triAnswers = new Logic(tri).answers;
+assert.deepEqual([...missed.keys()].sort(), ["sheep", "tiger", "zebra", ...triAnswers].sort());
+assert.deepEqual([...missed.get("tiger").sources], ["lost"]);
+assert.deepEqual([...missed.get("sheep").sources], ["extraShot"], "当てた方ではなく、もう一つの答え");
+
+// ---- 予定 ----
+const now = t + 60;
+const today = records.localDayNumber(now);
+let deck = getStudyDeck(now);
+assert.equal(deck.length, 6);
+assert.ok(deck.every((item) => item.isDue && item.card === null && item.due === today), "初めての語は今日出す");
+assert.ok(triAnswers.includes(deck[0].word), "同じ日なら最近逃した語から");
+
+const reviewed = reviewStudyWord("tiger", GRADES.good, now);
+assert.equal(reviewed.due, today + 1);
+deck = getStudyDeck(now);
+assert.equal(deck[deck.length - 1].word, "tiger", "予定の遠い語は後ろ");
+assert.equal(deck.find((item) => item.word === "tiger").isDue, false);
+assert.equal(dueStudyCards(now).length, 5);
+assert.equal(dueStudyCards(now + 86400).length, 6, "翌日にはまた出る");
+
+reviewStudyWord("zebra", GRADES.again, now);
+assert.ok(dueStudyCards(now).some((item) => item.word === "zebra"), "もう一度の語は今日のうちに残る");
+
+// ---- 印 ----
+assert.equal(isMarkedStudyWord("quiet"), false);
+setStudyMark("quiet", true);
+setStudyMark("tiger", true);
+setStudyMark("qqqqq", true); // 単語リストに無い語は付けない
+assert.equal(isMarkedStudyWord("qqqqq"), false);
+deck = getStudyDeck(now);
+assert.deepEqual(deck.find((item) => item.word === "quiet").sources, ["marked"]);
+assert.deepEqual(deck.find((item) => item.word === "tiger").sources, ["lost", "marked"]);
+
+reviewStudyWord("quiet", GRADES.good, now);
+setStudyMark("quiet", false);
+setStudyMark("tiger", false);
+deck = getStudyDeck(now);
+assert.equal(deck.some((item) => item.word === "quiet"), false);
+setStudyMark("quiet", true);
+assert.equal(getStudyDeck(now).find((item) => item.word === "quiet").card, null, "付け直すと最初から");
+assert.equal(deck.find((item) => item.word === "tiger").card.reps, 1, "履歴から集まる語は印を外しても予定が残る");
+
+// ---- クイズの手掛かり ----
+{
+  const notListed = () => null; // 辞書に載っていない語として引く
+  const tiger = quizClue("tiger", notListed);
+  assert.equal(tiger.entry, null);
+  assert.equal(tiger.first, "t");
+  assert.deepEqual(
+    tiger.rows,
+    ["crane", "slate"].map((guess) => ({ guess, result: queryWordSingle(guess, "tiger") })),
+    "負けた局の Guess を、その語に対して判定した行のはず"
+  );
+  assert.deepEqual(
+    quizClue("sheep", notListed).rows.map((row) => row.guess),
+    ["crane", "horse"],
+    "EXTRA SHOT で外した答えも、その局の盤面から"
+  );
+  const answered = quizClue("lemon", notListed);
+  assert.deepEqual(answered.rows, [], "逃していない語は盤面を添えない");
+  finish(customPIDForPair("lemon", "pasta"), ["lemon", "crane"]); // 片方は当てて負けた
+  assert.deepEqual(quizClue("lemon", notListed).rows.map((row) => row.guess), ["crane"], "答えそのものの行は出さない");
+
+  const entry = { word: "tiger", pos: "n" };
+  assert.equal(quizClue("tiger", () => entry).entry, entry, "辞書に載っていれば意味を出す");
+  const unconfirmed = quizClue("tiger", () => ({ word: "tiger", pos: "x" }));
+  assert.equal(unconfirmed.entry, null, "意味を確かめられなかった語（品詞 x）は載っていない語と同じ");
+  assert.equal(unconfirmed.rows.length, 2);
+}
+
+console.log("単語の復習のテスト: OK");
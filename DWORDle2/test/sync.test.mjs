@@ -0,0 +1,233 @@
+// 端末間の同期（js/core/sync.js）のテスト。
+// 実行: node test/sync.test.mjs
+//
+// ここで守りたいのは 4 つ。
+//  1. 同期先が空なら書き出すだけ、あればマージしてから両方の和集合を書き戻す
+//  2. 履歴のマージは addImportedGames と同じ (startTime, gameMode) の重複規則で、何度同期しても増えない
+//  3. 実績は解除時刻の早いほうを残し、このバージョンが知らない実績も消さない
+//  4. 同期先の中身が読めない・署名が合わないときは、どちらにも何もしない
+//  5. 読んでから書くまでに別の端末が書き込んだら（初回の同期どうしでも）、上書きせずに読み直してマージする
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic } = await import("../js/core/logic.js?v=20260806-a");
+const { signPayload } = await import("../js/core/signature.js?v=20260806-a");
+
+function game(problemID, startTime, gameMode = "normal") {
+  const logic = new Logic(problemID);
+  return { startTime, endTime: startTime + 30, gameMode, problemID, guessWord: [logic.ans1], clear: true };
+}
+
+// この端末の履歴と実績
+storage.set("dwordle2.history", JSON.stringify([game(1, 1_790_000_000), game(2, 1_790_000_100)]));
+storage.set("dwordle2.achievements", JSON.stringify({ "first-play": 1_790_000_030, "first-clear": 1_790_000_030 }));
+
+const sync = await import("../js/core/sync.js?v=20260806-a");
+const { getHistory } = await import("../js/core/records.js?v=20260806-a");
+const { getUnlocked } = await import("../js/core/achievements.js?v=20260806-a");
+
+// GET / PUT と ETag だけを持つ、1 ファイルの同期先（tools/sync-server.mjs と同じふるまい）
+function fakeServer() {
+  const server = { text: null, version: 0, requests: [] };
+  const etag = () => `"v${server.version}"`;
+  server.fetch = async (url, { method, headers = {}, body } = {}) => {
+    server.requests.push({ url, method, headers });
+    const response = (status, text = "") => {
+      const tag = etag(); // 返した時点の版
+      return { status, ok: status >= 200 && status < 300, headers: { get: (name) => (name === "ETag" ? tag : null) }, text: async () => text };
+    };
+    if (method === "GET") return server.text === null ? response(404) : response(200, server.text);
+    if (headers["If-Match"] && headers["If-Match"] !== etag()) return response(412);
+    if (headers["If-None-Match"] === "*" && server.text !== null) return response(412);
+    const created = server.text === null;
+    server.text = body;
+    server.version++;
+    return response(created ? 201 : 204);
+  };
+  return server;
+}
+
+// 別の端末が書き出した同期ファイル（exportJSON と同じ形・署名付き）
+async function remoteExport(history, achievements) {
+  const payload = { app: "dwordle2", version: 2, exportedAt: 1_790_100_000, history, achievements };
+  return JSON.stringify({ ...payload, signature: await signPayload(payload) });
+}
+
+// ---- 初回: 同期先が空なら書き出すだけ ----
+const server = fakeServer();
+const backend = sync.createHttpBackend({ url: "http://localhost:8643/dwordle2-sync.json" }, server.fetch);
+{
+  const result = await sync.syncWith(backend);
+  assert.deepEqual(result, { added: 0, achievements: 0, pulled: false });
+  const written = JSON.parse(server.text);
+  assert.equal(written.app, "dwordle2");
+  assert.equal(written.history.length, 2);
+  assert.deepEqual(Object.keys(written.achievements).sort(), ["first-clear", "first-play"]);
+  assert.equal(typeof written.signature, "string", "署名付きで書き出すはず");
+  assert.equal(server.requests[0].headers.Authorization, undefined, "認証情報が無ければ Authorization を付けないはず");
+  assert.equal(sync.getSyncConfig().lastBackend, "http");
+  assert(sync.getSyncConfig().lastSyncedAt > 0);
+}
+
+// ---- 別の端末の履歴・実績をマージして、和集合を書き戻す ----
+{
+  server.text = await remoteExport(
+    [
+      game(1, 1_790_000_000), // 同じプレイ（同期済み）
+      game(3, 1_790_000_100), // 同じ開始時刻・別の問題 → 1 秒ずらして共存
+      game(4, 1_790_050_000, "uso"),
+    ],
+    {
+      "first-play": { at: 1_789_000_000, sig: "remote-sig" }, // あちらのほうが早い
+      "first-clear": { at: 1_799_000_000 }, // こちらのほうが早い
+      "uso-clear": { at: 1_790_050_030 },
+      "future-achievement": { at: 1_790_060_000 }, // 新しいバージョンで増えた実績
+      broken: { at: "x" },
+    }
+  );
+  server.version++;
+  const result = await sync.syncWith(backend);
+  assert.equal(result.pulled, true);
+  assert.equal(result.added, 2);
+  assert.equal(result.achievements, 2, "こちらで未解除だった実績の数のはず（未知の実績も数える）");
+
+  const history = getHistory();
+  assert.equal(history.length, 4);
+  assert.deepEqual(
+    history.map((record) => [record.startTime, record.problemID]),
+    [[1_790_000_000, 1], [1_790_000_100, 2], [1_790_000_101, 3], [1_790_050_000, 4]]
+  );
+  assert.equal(history.find((record) => record.problemID === 4).imported, undefined, "同期したプレイに貼り付けの印は付けないはず");
+
+  const unlocked = JSON.parse(storage.get("dwordle2.achievements"));
+  assert.equal(unlocked["first-play"], 1_789_000_000, "解除時刻は早いほうを残すはず");
+  assert.equal(unlocked["first-clear"], 1_790_000_030);
+  assert.equal(unlocked["future-achievement"], 1_790_060_000, "知らない実績も記録は残すはず");
+  assert.equal(unlocked.broken, undefined);
+  assert.equal(getUnlocked()["future-achievement"], undefined, "画面には知っている実績だけを出すはず");
+  assert.equal(getUnlocked()["uso-clear"], 1_790_050_030);
+  assert.equal(JSON.parse(storage.get("dwordle2.achievements.sig"))["first-play"], "remote-sig", "署名は採った解除時刻の側のはず");
+
+  // 書き戻した同期ファイルには両方が入っている
+  const written = JSON.parse(server.text);
+  assert.equal(written.history.length, 4);
+  assert.equal(written.achievements["first-play"].at, 1_789_000_000);
+  assert.equal(written.achievements["future-achievement"].at, 1_790_060_000);
+
+  // 何度同期しても増えない
+  assert.deepEqual(await sync.syncWith(backend), { added: 0, achievements: 0, pulled: true });
+  assert.equal(getHistory().length, 4);
+}
+
+// ---- 同期先が読めない・署名が合わないときは、どちらにも何もしない ----
+{
+  const before = server.text;
+  const tampered = JSON.parse(before);
+  tampered.history.push(game(5, 1_790_090_000));
+  server.text = JSON.stringify(tampered);
+  await assert.rejects(sync.syncWith(backend), /書き出したときと違います/);
+  assert.equal(getHistory().length, 4);
+  assert.equal(server.text, JSON.stringify(tampered), "署名が合わなければ書き戻さないはず");
+
+  server.text = "not json";
+  await assert.rejects(sync.syncWith(backend), /JSON として読み取れませんでした/);
+  server.text = before;
+}
+
+// ---- 読んでから書くまでに別の端末が書き込んだら、上書きしない ----
+{
+  let reads = 0;
+  const racing = sync.createHttpBackend({ url: "http://localhost:8643/dwordle2-sync.json" }, async (url, options) => {
+    const response = await server.fetch(url, options);
+    if (options.method === "GET") {
+      reads++;
+      server.version++; // 読んだ直後に別の端末が書き込んだ
+    }
+    return response;
+  });
+  const before = server.text;
+  await assert.rejects(sync.syncWith(racing), /別の端末が同期しました/);
+  assert.equal(reads, 3, "競合したら読み直して、決まった回数で諦めるはず");
+  assert.equal(server.text, before, "競合したまま上書きはしないはず");
+}
+
+// ---- HTTP のエラーと認証 ----
+{
+  const failing = sync.createHttpBackend({ url: "http://localhost:1/x.json" }, async () => {
+    throw new TypeError("fetch failed");
+  });
+  await assert.rejects(failing.read(), /同期先に接続できませんでした/);
+
+  const forbidden = sync.createHttpBackend({ url: "http://localhost/x.json" }, async () => ({ status: 403, ok: false, headers: { get: () => null } }));
+  await assert.rejects(forbidden.read(), /HTTP 403/);
+
+  const authServer = fakeServer();
+  await sync.createHttpBackend({ url: "http://localhost/x.json", username: "ユーザー", password: "pw" }, authServer.fetch).read();
+  const header = authServer.requests[0].headers.Authorization;
+  assert.equal(Buffer.from(header.replace(/^Basic /, ""), "base64").toString("utf8"), "ユーザー:pw", "Basic 認証は UTF-8 のはず");
+
+  sync.setHttpSyncTarget({ url: "http://localhost/x.json", username: "a", password: "b" });
+  assert.equal(sync.getSyncConfig().url, "http://localhost/x.json");
+  assert(sync.getSyncConfig().lastSyncedAt > 0, "接続先を変えても最後の同期時刻は残るはず");
+}
+
+// ---- ファイル（File System Access API のハンドル）と、ダウンロードへのフォールバック ----
+{
+  let content = "";
+  const handle = {
+    name: "dwordle2-sync.json",
+    getFile: async () => ({ text: async () => content }),
+    createWritable: async () => {
+      let buffer = "";
+      return { write: async (text) => { buffer += text; }, close: async () => { content = buffer; } };
+    },
+  };
+  const fileBackend = sync.createFileHandleBackend(handle);
+  assert.equal(fileBackend.label, "dwordle2-sync.json");
+  assert.equal((await sync.syncWith(fileBackend)).pulled, false, "空のファイルは初回として扱うはず");
+  assert.equal(JSON.parse(content).history.length, 4);
+  assert.equal((await sync.syncWith(fileBackend)).pulled, true);
+
+  // フォールバック: 前回ダウンロードしたファイルを読み込み、結果をダウンロードする
+  let downloaded = null;
+  const transfer = sync.createTransferBackend({ upload: async () => content, download: async (text) => { downloaded = text; } });
+  assert.deepEqual(await sync.syncWith(transfer), { added: 0, achievements: 0, pulled: true });
+  assert.equal(JSON.parse(downloaded).history.length, 4);
+}
+
+// ---- 初回の同期どうしが重なっても、あとから書く側が読み直してマージする ----
+{
+  const first = fakeServer();
+  const url = "http://localhost:8643/first.json";
+  const other = await remoteExport([game(6, 1_790_200_000)], {});
+  const puts = [];
+  const backendA = sync.createHttpBackend({ url }, async (target, options) => {
+    if (options.method === "PUT") {
+      // この端末が空を読んだあと、書く前に別の端末が初回の同期を済ませた
+      if (puts.length === 0) await first.fetch(target, { method: "PUT", headers: { "If-None-Match": "*" }, body: other });
+      puts.push(options.headers);
+    }
+    return first.fetch(target, options);
+  });
+  const count = getHistory().length;
+  const result = await sync.syncWith(backendA);
+  assert.equal(puts[0]["If-None-Match"], "*", "まだ何も無ければ If-None-Match: * で書くはず");
+  assert.equal(puts[0]["If-Match"], undefined);
+  assert.equal(puts.length, 2, "412 が返ったら読み直して書き直すはず");
+  assert.equal(puts[1]["If-Match"], '"v1"', "読み直した版に If-Match で書くはず");
+  assert.deepEqual(result, { added: 1, achievements: 0, pulled: true });
+  const written = JSON.parse(first.text);
+  assert(written.history.some((record) => record.problemID === 6), "別の端末の初回の分も残るはず");
+  assert.equal(written.history.length, count + 1);
+}
+
+console.log("同期テスト: OK");
@@ -0,0 +1,102 @@
+// チュートリアル（core/tutorial.js）のテスト。
+// 実行: node test/tutorial.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 書き下ろしのレッスンが本物のゲームで遊べる（単語は辞書にあり、最後の手で答えを当てる）
+//  2. 色の出どころ（traceFeedback）が本物の判定（queryWordPair）と一致する
+//  3. DWORDlie のレッスンの嘘は、どのマスも本当の判定と違う色
+// あわせて済んだ印と、DWORDle のレッスンをすべて終えたかの判定も確かめる。
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  get length() { return storage.size; },
+  key: (index) => [...storage.keys()][index] ?? null,
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const tutorial = await import("../js/core/tutorial.js?v=20260806-a");
+const { CELL, Logic, queryWordPair } = await import("../js/core/logic.js?v=20260806-a");
+const { customPairForPID } = await import("../js/core/problems.js?v=20260806-a");
+const { loadJSON } = await import("../js/core/store.js?v=20260806-a");
+
+const { LESSONS, TRACK_LESSONS, lessonPID, lessonShownResult, traceFeedback } = tutorial;
+
+// ---- レッスンが遊べる ----
+{
+  assert.equal(new Set(LESSONS.map((l) => l.id)).size, LESSONS.length, "id が重複している");
+  assert.ok(TRACK_LESSONS.length > 0 && TRACK_LESSONS.every((l) => l.mode === "normal"));
+  assert.ok(LESSONS.some((l) => l.mode === "uso"), "DWORDlie のレッスンがあるはず");
+  for (const lesson of LESSONS) {
+    const pid = lessonPID(lesson);
+    assert.notEqual(pid, null, `${lesson.id}: 答えが辞書に無い`);
+    assert.deepEqual(customPairForPID(pid), lesson.answers);
+    const logic = new Logic(pid);
+    lesson.steps.forEach((step, i) => {
+      assert.ok(logic.isValidWord(step.word), `${lesson.id}: ${step.word} が辞書に無い`);
+      assert.ok(step.noteJa && step.noteEn, `${lesson.id}: ${i + 1} 手目の解説が無い`);
+      const last = i === lesson.steps.length - 1;
+      assert.equal(logic.isGameClear(step.word), last, `${lesson.id}: 答えを当てるのは最後の手だけのはず`);
+    });
+  }
+}
+
+// ---- 色の出どころ ----
+{
+  const words = ["crane", "spoil", "stone", "block", "eerie", "geese", "sassy", "llama", "abbey"];
+  const pairs = [["chair", "stone"], ["about", "black"], ["geese", "eerie"], ["sassy", "abbey"], ["llama", "ghost"]];
+  for (const [a, b] of pairs) {
+    for (const word of words) {
+      const { result, links } = traceFeedback(word, a, b);
+      assert.deepEqual(result, queryWordPair(word, a, b));
+      const used = new Set();
+      links.forEach((link, i) => {
+        if (result[i] === CELL.UNUSED) return assert.equal(link, null, `${word} / ${a},${b}: 灰のマスに線がある`);
+        assert.ok(link, `${word} / ${a},${b}: ${i + 1} 文字目の出どころが無い`);
+        assert.equal(link.state, result[i]);
+        assert.equal([a, b][link.answer][link.target], word[i], "出どころの文字が違う");
+        if (link.state === CELL.CORRECT) assert.equal(link.target, i);
+        else assert.notEqual(link.target, i);
+        const key = `${link.answer}:${link.target}`;
+        assert.ok(!used.has(key), `${word} / ${a},${b}: 答えの同じ文字を 2 回使っている`);
+        used.add(key);
+      });
+    }
+  }
+}
+
+// ---- DWORDlie の嘘 ----
+{
+  for (const lesson of LESSONS) {
+    lesson.steps.forEach((step, i) => {
+      const truth = queryWordPair(step.word, ...lesson.answers);
+      const shown = lessonShownResult(lesson, i, truth);
+      if (lesson.mode === "uso") {
+        assert.equal(step.shown?.length, step.word.length, `${lesson.id}: ${i + 1} 手目の嘘が無い`);
+        shown.forEach((state, j) => assert.notEqual(state, truth[j], `${lesson.id}: ${i + 1} 手目 ${j + 1} 文字目が本当の色`));
+      } else {
+        assert.deepEqual(shown, truth);
+      }
+    });
+  }
+}
+
+// ---- 済んだ印 ----
+{
+  assert.equal(tutorial.isTutorialComplete(), false);
+  const uso = LESSONS.find((l) => l.mode === "uso");
+  tutorial.markLessonDone(uso.id);
+  assert.equal(tutorial.isTutorialComplete(), false, "DWORDlie のレッスンだけではメニューは開かない");
+  for (const lesson of TRACK_LESSONS) tutorial.markLessonDone(lesson.id);
+  tutorial.markLessonDone(TRACK_LESSONS[0].id);
+  assert.equal(tutorial.isTutorialComplete(), true);
+  assert.equal(loadJSON("tutorial", {}).done.length, LESSONS.length, "同じレッスンは 1 回だけ記録する");
+  assert.equal(tutorial.lessonForGame({ lesson: uso.id }), uso);
+  assert.equal(tutorial.lessonForGame({ lesson: "missing" }), null);
+  assert.equal(tutorial.lessonForGame(null), null);
+}
+
+console.log("チュートリアルのテスト: OK");
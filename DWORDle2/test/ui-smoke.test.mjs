@@ -1088,10 +1088,8 @@ try {
   // 文字数確認用の記録は履歴から取り除く（以降の統計・フィルターの検証を汚さない）
   await page.evaluate(async ({ times, playCount }) => {
     const records = await import("./js/core/records.js?v=20260806-a");
-    const kept = records.getHistory().filter((record) => !times.includes(record.startTime));
-    localStorage.setItem("dwordle2.history", JSON.stringify(kept));
+    await records._removeGames(times);
     localStorage.setItem("dwordle2.playCount", playCount);
-    records._reload();
   }, { times: shareFixtureTimes, playCount: playCountBeforeShareFixtures });
 
   // 結果フィルターで EXTRA SHOT 成功（DOUBLE CLEAR）だけを抽出できる。
@@ -1648,8 +1646,8 @@ try {
       .getByRole("button", { name: "OK", exact: true })
       .click();
     await forfeitPage.waitForURL(/#\/$/);
-    const forfeited = await forfeitPage.evaluate(() => {
-      const history = JSON.parse(localStorage.getItem("dwordle2.history") || "[]");
+    const forfeited = await forfeitPage.evaluate(async () => {
+      const history = (await import("./js/core/records.js?v=20260806-a")).getHistory();
       const record = history[0] ?? null;
       return {
         historyLength: history.length,
@@ -1861,7 +1859,7 @@ try {
     );
 
     const snapshotExtraShot = await successPage.evaluate(async () => {
-      const history = JSON.parse(localStorage.getItem("dwordle2.history") || "[]");
+      const history = (await import("./js/core/records.js?v=20260806-a")).getHistory();
       const record = history[0];
       const { Logic } = await import("./js/core/logic.js?v=20260806-a");
       const { renderResultCanvas } = await import("./js/ui/snapshot.js?v=20260806-a");
@@ -2073,8 +2071,8 @@ try {
     assert.ok(Date.now() - skipStartedAt < 800, "A repeat-play tap should skip the EXTRA SHOT reveal immediately");
     await repeatPage.waitForURL(/#\/result\/normal\/\d+$/, { timeout: 8000 });
     await repeatPage.getByText("全部緑。でも、もう一つの答えそのものではなかった！", { exact: true }).waitFor();
-    const savedMiss = await repeatPage.evaluate(() => {
-      const history = JSON.parse(localStorage.getItem("dwordle2.history") || "[]");
+    const savedMiss = await repeatPage.evaluate(async () => {
+      const history = (await import("./js/core/records.js?v=20260806-a")).getHistory();
       return history.at(-1)?.extraShot;
     });
     assert.deepEqual(savedMiss, { word: "pouch", success: false, result: Array(5).fill("correct") });
@@ -2156,8 +2154,8 @@ try {
       })}`
     );
     await usoPage.waitForURL(/#\/result\/uso\/\d+$/, { timeout: 10000 });
-    const usoExtra = await usoPage.evaluate(() => {
-      const record = JSON.parse(localStorage.getItem("dwordle2.history") || "[]")[0];
+    const usoExtra = await usoPage.evaluate(async () => {
+      const record = (await import("./js/core/records.js?v=20260806-a")).getHistory()[0];
       return {
         attempt: record.extraShot,
         tileStates: [...document.querySelectorAll("#screen-result .fa-result .rcell")].map((tile) =>
@@ -2499,7 +2497,7 @@ try {
       0,
       "the Continue button must disappear after discarding"
     );
-    const discardedHistory = await leavePage.evaluate(() => JSON.parse(localStorage.getItem("dwordle2.history") || "[]"));
+    const discardedHistory = await leavePage.evaluate(async () => (await import("./js/core/records.js?v=20260806-a")).getHistory());
     assert.equal(discardedHistory.length, 1, "a discarded game must be recorded in history");
     assert.equal(discardedHistory[0].discarded, true, "the history record must identify the game as discarded");
     assert.equal(discardedHistory[0].clear, false, "a discarded game must not be a clear");
@@ -3272,8 +3270,8 @@ try {
     await optOutDialog.getByRole("button", { name: "DWORDle / DWORDlie を自動検出" }).click();
     await importOptOutPage.locator("#toast-layer .toast").filter({ hasText: "件のプレイ履歴をマージしました" }).waitFor();
 
-    const optOutState = await importOptOutPage.evaluate(() => ({
-      history: JSON.parse(localStorage.getItem("dwordle2.history") ?? "[]"),
+    const optOutState = await importOptOutPage.evaluate(async () => ({
+      history: (await import("./js/core/records.js?v=20260806-a")).getHistory(),
       achievements: Object.keys(JSON.parse(localStorage.getItem("dwordle2.achievements") ?? "{}")),
     }));
     assert.equal(optOutState.history.length, 1, "the record should still be imported");
@@ -3320,8 +3318,8 @@ try {
     const exportedJson = JSON.parse(exportedText);
     assert.match(exportedJson.signature, /^[0-9a-f]{64}$/, "the export should carry a signature");
     assert.ok(exportedJson.achievements, "the export should carry the achievement records");
-    const stateBeforeTamper = await importOptOutPage.evaluate(() => ({
-      history: localStorage.getItem("dwordle2.history"),
+    const stateBeforeTamper = await importOptOutPage.evaluate(async () => ({
+      history: JSON.stringify((await import("./js/core/records.js?v=20260806-a")).getHistory()),
       achievements: localStorage.getItem("dwordle2.achievements"),
     }));
     const tampered = JSON.stringify({
@@ -3338,8 +3336,8 @@ try {
       .filter({ hasText: "JSON が書き出したときと違います" })
       .waitFor();
     assert.deepEqual(
-      await importOptOutPage.evaluate(() => ({
-        history: localStorage.getItem("dwordle2.history"),
+      await importOptOutPage.evaluate(async () => ({
+        history: JSON.stringify((await import("./js/core/records.js?v=20260806-a")).getHistory()),
         achievements: localStorage.getItem("dwordle2.achievements"),
       })),
       stateBeforeTamper,
@@ -3395,7 +3393,8 @@ try {
       localStorage.setItem("dwordle2.playCount", "5");
       localStorage.setItem("dwordle2.menuUnlockSeen", "5");
       localStorage.setItem("dwordle2.achievements.reconcileVersion", "99");
-      // 履歴の初期シードは初回ロードのみ（リロード後にテスト側で増やした履歴を上書きしない）
+      // 履歴の初期シードは初回ロードのみ（リロード後にテスト側で増やした履歴を上書きしない）。
+      // 起動時に IndexedDB へ移されてキーが消えるので、リロードのたびに同じ 6 件を入れ直すが、キーが同じなので増えない
       if (!localStorage.getItem("dwordle2.history")) {
         const games = [];
         for (let i = 0; i < 6; i++) {
@@ -3843,8 +3842,9 @@ try {
     assert.equal(ranks.diamondWithoutAllAchievements, "DIAMOND:頂のDWORDler", "the king requires every achievement, not just plays");
 
     // 昇格演出: 前回カードを見たときよりランクが上がっていたら RANK UP 演出が 1 回だけ出る
+    // 旧形式の localStorage に置くと、次の起動で IndexedDB の 6 件に足される（移行の確認も兼ねる）
     await cardPage.evaluate(() => {
-      const games = JSON.parse(localStorage.getItem("dwordle2.history"));
+      const games = [];
       for (let i = 0; i < 90; i++) {
         games.push({
           gameMode: "normal",
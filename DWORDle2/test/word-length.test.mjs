@@ -0,0 +1,171 @@
+// 4・6・7 文字版（L4. / L6. / L7.）のテスト。
+// 実行: node test/word-length.test.mjs
+//
+// ここで守りたいのは 3 つ。
+//  1. 5 文字の出題（No.・Cls.・デイリー・Tri.・Quad.）の答えと判定は 1 つも変わらない
+//  2. 文字数違いの版の番号帯・レベル・答えの抽選・単語チェックが決まった通りに動く
+//  3. 判定・分析・ソルバーが 5 文字以外の長さでも正しく動く
+
+import assert from "node:assert/strict";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const { Logic, queryWordPair } = await import("../js/core/logic.js?v=20260806-a");
+const problems = await import("../js/core/problems.js?v=20260806-a");
+const analysis = await import("../js/core/analysis-core.js?v=20260806-a");
+const records = await import("../js/core/records.js?v=20260806-a");
+const { solveGame } = await import("../js/core/solver.js?v=20260806-a");
+const { ALL_WORDS } = await import("../js/data/words.js?v=20260806-a");
+
+const { LENGTH_LEVELS, LENGTH_SETS, PID, candidateWordsForPID, pidForLengthNumber, pidLabel, wordLengthForPID } = problems;
+
+// ---- 単語リスト ----
+for (const set of LENGTH_SETS) {
+  assert(set.words.length >= 900, `${set.title} の単語リストが小さすぎる`);
+  assert.equal(new Set(set.words).size, set.words.length, `${set.title} の単語リストに重複がある`);
+  for (const word of set.words) {
+    assert.match(word, new RegExp(`^[a-z]{${set.length}}$`), `${set.title} に長さ違いの語がある: ${word}`);
+  }
+  assert.equal(problems.wordsOfLength(set.length), set.words);
+}
+assert.equal(problems.wordsOfLength(5), ALL_WORDS);
+
+// ---- 番号帯・レベル ----
+{
+  for (const set of LENGTH_SETS) {
+    const pid = pidForLengthNumber(123, set.length);
+    assert.equal(pid, set.offset + 123);
+    assert.equal(pidLabel(pid), `L${set.length}.123`);
+    assert.equal(problems.problemNumber(pid), 123);
+    assert.equal(wordLengthForPID(pid), set.length);
+    assert.equal(problems.answerCountForPID(pid), 2, "文字数違いの版は答え 2 語のはず");
+    assert(problems.isValidPID(pid));
+    assert.equal(problems.isValidPID(set.offset), false, "番号 0 は無効のはず");
+    assert.equal(problems.isValidPID(set.offset + PID.LENGTH_NUMBER_MAX + 1), false, "帯の外は無効のはず");
+    assert.equal(problems.isNewPID(pid), false, "L4. などは No. の帯に含めないはず");
+    assert.equal(problems.lengthSetForPID(pid), set);
+    assert.equal(problems.lengthSetForLength(set.length), set);
+    assert.equal(records.maxGuessFor("normal", pid), records.MODES.normal.maxGuess, "手数は DWORDle と同じはず");
+
+    let previous = 0;
+    for (const level of LENGTH_LEVELS) {
+      const [lo, hi] = problems.lengthPidRangeForLevel(level, set.length);
+      assert.equal(lo, set.offset + level.range[0]);
+      assert.equal(hi, set.offset + level.range[1]);
+      assert.equal(problems.levelForPID(lo), level);
+      const words = candidateWordsForPID(lo);
+      assert(words.length > previous, "上のレベルほど候補が広いはず");
+      assert(words.every((word) => word.length === set.length));
+      previous = words.length;
+    }
+  }
+  for (const pid of [1, problems.pidForNumber(1), problems.pidForMultiNumber(1, 3), 20260801]) {
+    assert.equal(wordLengthForPID(pid), 5);
+    assert.equal(problems.lengthSetForPID(pid), null);
+  }
+}
+
+// ---- 答えの抽選・単語チェック ----
+{
+  for (const set of LENGTH_SETS) {
+    for (const number of [1, 2, 5000, 14999]) {
+      const pid = pidForLengthNumber(number, set.length);
+      const logic = new Logic(pid);
+      assert.equal(logic.wordLength, set.length);
+      assert.equal(logic.answers.length, 2);
+      assert.notEqual(logic.ans1, logic.ans2, "答えは重複しないはず");
+      const words = candidateWordsForPID(pid);
+      assert(logic.answers.every((word) => words.includes(word)), "答えは候補リストの単語のはず");
+      assert.deepEqual(new Logic(pid).answers, logic.answers, "同じ PID なら同じ答えのはず");
+      assert(logic.isGameClear(logic.ans2));
+      assert.equal(logic.otherAnswer(logic.ans1), logic.ans2, "EXTRA SHOT は DWORDle と同じく使えるはず");
+      assert(logic.isValidWord(set.words.at(-1)), "リストの語は Guess できるはず");
+      assert.equal(logic.isValidWord("crane"), set.length === 5, "長さ違いの語は Guess できないはず");
+    }
+  }
+  const l4 = new Logic(pidForLengthNumber(10, 4)).answers;
+  const l6 = new Logic(pidForLengthNumber(10, 6)).answers;
+  assert.notDeepEqual(l4, l6);
+  // 5 文字の出題は従来通り（parity.test.mjs / problem-sets.test.mjs の固定値もここで崩れないこと）
+  const five = new Logic(problems.pidForNumber(10));
+  assert.equal(five.wordLength, 5);
+  assert(five.isValidWord("crane") && !five.isValidWord(LENGTH_SETS[0].words[0]));
+}
+
+// ---- 判定 ----
+for (const set of LENGTH_SETS) {
+  const L = set.length;
+  const words = set.words;
+  let seed = 4321 + L;
+  const pick = () => words[(seed = (seed * 1103515245 + 12345) % 2147483648) % words.length];
+  const W = analysis.encodeWords(words, L);
+  const index = new Map(words.map((word, i) => [word, i]));
+  for (let n = 0; n < 1500; n++) {
+    const guess = pick();
+    const [a, b] = [pick(), pick()];
+    const result = queryWordPair(guess, a, b);
+    assert.equal(result.length, L);
+    const id = analysis.resultToPatternId(result);
+    assert(id < analysis.patternCount(L));
+    assert.equal(
+      analysis.patternIdFast(W, index.get(guess) * L, W, index.get(a) * L, index.get(b) * L, L),
+      id,
+      `patternIdFast は queryWordPair と同じはず: ${guess} / ${a}, ${b}`
+    );
+    assert.deepEqual(analysis.patternIdToStates(id, L), result);
+  }
+  assert.equal(analysis.patternCount(L), 3 ** L);
+}
+
+// ---- 残りの組・分析 ----
+for (const set of LENGTH_SETS) {
+  const pid = pidForLengthNumber(321, set.length);
+  const logic = new Logic(pid);
+  const guessWords = set.words.slice(0, 3).filter((word) => !logic.answers.includes(word));
+  const shownPatternIds = analysis.computeTruePatternIds(logic.ans1, logic.ans2, guessWords);
+  const { count, pairs } = analysis.remainingPairs({ pid, mode: "normal", guessWords, shownPatternIds });
+  assert(count >= 1);
+  if (pairs) {
+    const truth = [...logic.answers].sort().join();
+    assert(pairs.some((pair) => [...pair].sort().join() === truth), "本当の答えの組は残るはず");
+  }
+  const result = analysis.analyzeGame({ pid, mode: "normal", guessWords, truePatternIds: shownPatternIds });
+  assert.equal(result.wordLength, set.length);
+}
+
+// ---- 統計 ----
+{
+  const base = Math.floor(new Date(2026, 7, 20, 12, 0, 0).getTime() / 1000);
+  const games = [problems.pidForNumber(60), pidForLengthNumber(60, 4), pidForLengthNumber(61, 4), pidForLengthNumber(60, 7)];
+  games.forEach((pid, i) => {
+    const logic = new Logic(pid);
+    records.addFinishedGame({
+      startTime: base + i * 100,
+      endTime: base + i * 100 + 60,
+      gameMode: "normal",
+      problemID: pid,
+      guessWord: [logic.answers[0]],
+    });
+  });
+  assert.equal(records.getStatistics("normal").count, 4);
+  assert.equal(records.getStatistics("normal", { length: 5 }).count, 1);
+  assert.equal(records.getStatistics("normal", { length: 4 }).count, 2);
+  assert.equal(records.getStatistics("normal", { length: 7 }).win, 1);
+}
+
+// ---- ソルバー ----
+{
+  const pid = pidForLengthNumber(42, 4);
+  const game = solveGame(pid);
+  const logic = new Logic(pid);
+  assert(game.solved, "4 文字版も解けるはず");
+  assert(logic.isGameClear(game.guesses.at(-1)));
+  assert.equal(new Set(game.guesses).size, game.guesses.length, "同じ語を 2 回 Guess しないはず");
+}
+
+console.log("4・6・7 文字版テスト: OK");
@@ -22,6 +22,7 @@ const BUILD = {
   exclude: new Set([
     ".git",
     ".gitignore",
+    ".sync", // tools/sync-server.mjs の保存先
     ".DS_Store",
     "CLAUDE.md",
     "README.md",
@@ -0,0 +1,115 @@
+// 自動ソルバー（js/core/solver.js）で問題をまとめて解き、手数の分布を表示する開発用ツール。
+// レベルごとの実際の難しさを測るためのもの。
+//
+// 使い方:
+//   node tools/solve.mjs                         全レベルを 20 問ずつ（DWORDle）
+//   node tools/solve.mjs --level 3 --count 100   Lv.3 の帯から 100 問
+//   node tools/solve.mjs --level all --mode uso  DWORDlie で全レベル
+//   node tools/solve.mjs --length 6              6 文字版（L6.）の全レベル
+//   node tools/solve.mjs 100001-100050           内部 PID の範囲を全部（1 問だけなら 100001）
+//
+//   オプション:
+//     --mode normal|uso   モード（既定 normal）
+//     --level N|all       LEVELS の id（既定 all）。PID の範囲を指定したときは無視する
+//     --length 4|6|7      文字数違いの版の帯から選ぶ（レベルは LENGTH_LEVELS の id）
+//     --count N           レベルごとに解く問題数（帯の中から等間隔に選ぶ。既定 20）
+//     --classic           Cls.（旧出題）の帯から選ぶ
+//     --verbose           1 問ごとに Guess の列を表示する
+//
+// 語彙の多い帯（Lv.5 以上・極）は 1 問に数秒〜数十秒かかる（DWORDlie は特に遅い）。
+// 初手は候補リストごとに一度だけ計算して使い回す。
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const { solveGame } = await import(path.join(root, "js/core/solver.js"));
+const { LENGTH_LEVELS, LEVELS, lengthPidRangeForLevel, lengthSetForLength, pidLabel, pidRangeForLevel } = await import(
+  path.join(root, "js/core/problems.js")
+);
+const { MODES } = await import(path.join(root, "js/core/records.js"));
+
+// ソルバーが規則を知っているモード。speed / hotseat は MODES にあるが、判定の規則は DWORDle と同じで別に解く意味が無い
+const SOLVER_MODES = ["normal", "uso"];
+
+function parseArgs(argv) {
+  const opts = { mode: "normal", level: "all", count: 20, classic: false, length: 5, verbose: false, range: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--mode") opts.mode = argv[++i];
+    else if (arg === "--level") opts.level = argv[++i];
+    else if (arg === "--count") opts.count = Number(argv[++i]);
+    else if (arg === "--classic") opts.classic = true;
+    else if (arg === "--length") opts.length = Number(argv[++i]);
+    else if (arg === "--verbose") opts.verbose = true;
+    else if (arg.startsWith("--")) throw new Error(`不明なオプション: ${arg}`);
+    else if (opts.range === null) opts.range = arg;
+    else throw new Error(`引数が多すぎる: ${arg}`);
+  }
+  if (!SOLVER_MODES.includes(opts.mode)) throw new Error(`--mode は ${SOLVER_MODES.join(" / ")}: ${opts.mode}`);
+  if (!Number.isInteger(opts.count) || opts.count < 1) throw new Error(`--count は 1 以上の整数: ${opts.count}`);
+  if (opts.length !== 5 && !lengthSetForLength(opts.length)) throw new Error(`--length は 4 / 6 / 7: ${opts.length}`);
+  return opts;
+}
+
+// 帯 [lo, hi] から count 問を等間隔に選ぶ（毎回同じ問題になるよう乱数は使わない）
+function spreadPIDs(lo, hi, count) {
+  const size = hi - lo + 1;
+  if (count >= size) return Array.from({ length: size }, (_, k) => lo + k);
+  return Array.from({ length: count }, (_, k) => lo + Math.floor((k * size) / count));
+}
+
+function targets(opts) {
+  if (opts.range !== null) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(opts.range);
+    if (!match) throw new Error(`PID の範囲は 100001-100050 の形式: ${opts.range}`);
+    const lo = Number(match[1]);
+    const hi = Number(match[2] ?? match[1]);
+    return [{ name: `PID ${lo}-${hi}`, pids: Array.from({ length: hi - lo + 1 }, (_, k) => lo + k) }];
+  }
+  const lengthSet = lengthSetForLength(opts.length);
+  const all = lengthSet ? LENGTH_LEVELS : LEVELS;
+  const levels = opts.level === "all" ? all : all.filter((lv) => String(lv.id) === String(opts.level));
+  if (levels.length === 0) throw new Error(`不明なレベル: ${opts.level}`);
+  return levels.map((lv) => {
+    const [lo, hi] = lengthSet ? lengthPidRangeForLevel(lv, opts.length) : pidRangeForLevel(lv, opts.classic);
+    return { name: `${lengthSet ? `${lengthSet.title} ` : ""}Lv.${lv.id} ${lv.name}`, pids: spreadPIDs(lo, hi, opts.count) };
+  });
+}
+
+function report(name, results, maxGuess) {
+  const solved = results.filter((r) => r.solved);
+  const within = solved.filter((r) => r.guesses.length <= maxGuess);
+  const distribution = new Map();
+  for (const r of solved) distribution.set(r.guesses.length, (distribution.get(r.guesses.length) ?? 0) + 1);
+  const average = solved.length > 0 ? solved.reduce((sum, r) => sum + r.guesses.length, 0) / solved.length : NaN;
+  console.log(`\n== ${name} ==`);
+  console.log(
+    `  ${results.length} 問 / 平均 ${average.toFixed(2)} 手 / ${maxGuess} 手以内 ${within.length} 問` +
+      (solved.length < results.length ? ` / 未解決 ${results.length - solved.length} 問` : "")
+  );
+  const widest = Math.max(...distribution.values(), 1);
+  for (const turns of [...distribution.keys()].sort((a, b) => a - b)) {
+    const n = distribution.get(turns);
+    const bar = "#".repeat(Math.max(1, Math.round((30 * n) / widest)));
+    const over = turns > maxGuess ? "  (上限超え)" : "";
+    console.log(`  ${String(turns).padStart(2)} 手: ${String(n).padStart(4)} ${bar}${over}`);
+  }
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const maxGuess = MODES[opts.mode].maxGuess;
+console.log(`${MODES[opts.mode].title}（上限 ${maxGuess} 手）`);
+for (const { name, pids } of targets(opts)) {
+  const started = Date.now();
+  const results = [];
+  for (const pid of pids) {
+    const result = solveGame(pid, opts.mode);
+    results.push(result);
+    if (opts.verbose) console.log(`  ${pidLabel(pid)}: ${result.guesses.join(" ")}${result.solved ? "" : " (未解決)"}`);
+    else process.stdout.write(".");
+  }
+  if (!opts.verbose) process.stdout.write("\n");
+  report(name, results, maxGuess);
+  console.log(`  (${((Date.now() - started) / 1000).toFixed(1)} 秒)`);
+}
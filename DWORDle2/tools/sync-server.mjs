@@ -0,0 +1,75 @@
+// 端末間の同期（js/core/sync.js）の HTTP バックエンドを手元で試すための、1 ファイルだけの簡易サーバ。
+// WebDAV サーバの代わりに、GET で読み、PUT で書く（ETag / If-Match / If-None-Match: * も WebDAV と同じく扱う）。
+//
+//   node tools/sync-server.mjs                        http://localhost:8643/dwordle2-sync.json
+//   node tools/sync-server.mjs --port 9000 --file /tmp/sync.json
+//
+// 同期の画面で「WebDAV / HTTP」の URL に上の URL を入れる。中身は --file のファイル
+// （既定は DWORDle2/.sync/dwordle2-sync.json）に保存される。
+// 同じ LAN のスマホから試すときは localhost を PC の IP アドレスに置き換える。
+// 認証はしないので、手元の確認以外には使わない。
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(option("--port", 8643));
+const file = path.resolve(process.cwd(), option("--file", path.join(root, ".sync", "dwordle2-sync.json")));
+
+const etagOf = (text) => `"${createHash("sha256").update(text).digest("hex").slice(0, 16)}"`;
+
+async function current() {
+  try {
+    return await readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// ブラウザ（別オリジンの http://localhost:8642 など）から読み書きできるようにする
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, If-None-Match",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+const server = createServer(async (req, res) => {
+  const send = (status, body = "", headers = {}) => {
+    res.writeHead(status, { ...CORS, ...headers });
+    res.end(body);
+  };
+  if (req.method === "OPTIONS") return send(204);
+  const text = await current();
+  if (req.method === "GET") {
+    if (text === null) return send(404, "not found");
+    return send(200, text, { "Content-Type": "application/json", ETag: etagOf(text) });
+  }
+  if (req.method === "PUT") {
+    // 読んだあとに別の端末が書き込んでいたら（初回の同期なら、もうファイルができていたら）、上書きせずに 412 を返す
+    const ifMatch = req.headers["if-match"];
+    if (ifMatch && (text === null || ifMatch !== etagOf(text))) return send(412, "precondition failed");
+    if (req.headers["if-none-match"] === "*" && text !== null) return send(412, "precondition failed");
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString("utf8");
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, body);
+    console.log(`${new Date().toISOString()}  PUT ${body.length} bytes`);
+    return send(text === null ? 201 : 204, "", { ETag: etagOf(body) });
+  }
+  send(405, "method not allowed");
+});
+
+server.listen(port, () => {
+  console.log(`同期サーバ: http://localhost:${port}/${path.basename(file)}  （保存先 ${path.relative(process.cwd(), file)}）`);
+});